@@ -44,9 +44,12 @@ jQuery( function( $ ) {
 		foot_cell: '<th><input type="checkbox" /><input type="hidden" class="visibility" name="table[visibility][columns][]" value="1" /></th>',
 		set_table_changed: function() {
 			tp.made_changes = true;
+			tp.history.record();
+			tp.formulas.schedule_refresh();
 		},
 		unset_table_changed: function() {
 			tp.made_changes = false;
+			tp.history.saved = tp.history.get_fingerprint();
 			$id( 'edit-form-body' ).one( 'change', 'textarea', tp.table.set_table_changed );
 			// @TODO: maybe use .tablepress-postbox-table here and further below
 			$( '#tablepress_edit-table-information, #tablepress_edit-table-options, #tablepress_edit-datatables-features' ).one( 'change', 'input, textarea, select', tp.table.set_table_changed );
@@ -101,6 +104,8 @@ jQuery( function( $ ) {
 				pagination_enabled = ( $pagination_checkbox.prop( 'checked' ) && ! $pagination_checkbox.prop( 'disabled' ) );
 			$id( 'option-datatables-lengthchange' ).prop( 'disabled', ! pagination_enabled );
 			$id( 'option-datatables-paginate_entries' ).prop( 'disabled', ! pagination_enabled );
+			// server-side processing loads the table page by page
+			$id( 'option-datatables-serverside' ).prop( 'disabled', ! pagination_enabled );
 		},
 		prepare_ajax_request: function( wp_action, wp_nonce ) {
 			var $table_body = $id( 'edit-form-body' ),
@@ -140,6 +145,8 @@ jQuery( function( $ ) {
 				datatables_paginate_entries: $id( 'option-datatables-paginate_entries' ).val(),
 				datatables_info: $id( 'option-datatables-info' ).prop( 'checked' ),
 				datatables_scrollx: $id( 'option-datatables-scrollx' ).prop( 'checked' ),
+				datatables_column_filters: $id( 'option-datatables-column-filters' ).prop( 'checked' ),
+				datatables_serverside: $id( 'option-datatables-serverside' ).prop( 'checked' ),
 				datatables_custom_commands: $id( 'option-datatables-custom-commands' ).val()
 			};
 			table_options = JSON.stringify( table_options );
@@ -494,9 +501,7 @@ jQuery( function( $ ) {
 
 	tp.columns = {
 		append: function( /* event */ ) {
-			var i,
-				num_columns = $id( 'columns-append-number' ).val(),
-				new_head_cells = '', new_body_cells = '', new_foot_cells = '';
+			var num_columns = $id( 'columns-append-number' ).val();
 
 			if ( ! ( /^[1-9][0-9]{0,4}$/ ).test( num_columns ) ) {
 				alert( tablepress_strings.append_num_columns_invalid );
@@ -504,6 +509,14 @@ jQuery( function( $ ) {
 				return;
 			}
 
+			tp.columns.add( num_columns );
+
+			tp.reindex();
+		},
+		add: function( num_columns ) {
+			var i,
+				new_head_cells = '', new_body_cells = '', new_foot_cells = '';
+
 			for ( i = 0; i < num_columns; i++ ) {
 				new_body_cells += tp.table.body_cell;
 				new_head_cells += tp.table.head_cell;
@@ -518,8 +531,6 @@ jQuery( function( $ ) {
 				.before( new_head_cells );
 			$id( 'edit-form-foot' ).children().slice( - tp.table.no_data_columns_post )
 				.before( new_foot_cells );
-
-			tp.reindex();
 		},
 		insert: function( event ) {
 			var column_idxs,
@@ -755,7 +766,8 @@ jQuery( function( $ ) {
 		advanced_editor: {
 			prompt_shown: false,
 			keyopen: function( event ) {
-				if ( ! event.shiftKey ) {
+				// Shift+click into another cell selects a range of cells, see tp.cells.range.select()
+				if ( ! event.shiftKey || this !== document.activeElement ) {
 					return;
 				}
 
@@ -799,6 +811,260 @@ jQuery( function( $ ) {
 				return false;
 			}
 		},
+		// position of a cell textarea in the table data
+		position: function( textarea ) {
+			var $cell = $( textarea ).parent();
+			return {
+				row: $cell.parent().index(),
+				column: $cell.index() - tp.table.no_data_columns_pre
+			};
+		},
+		get: function( row_idx, column_idx ) {
+			return $id( 'cell-' + tp.columns.number_to_letter( column_idx + 1 ) + ( row_idx + 1 ) );
+		},
+		keyboard: {
+			navigate: function( event ) {
+				var value = this.value,
+					caret_start = this.selectionStart,
+					caret_end = this.selectionEnd,
+					no_selection = ( caret_start === caret_end ),
+					position, row_delta = 0, column_delta = 0, $target;
+
+				if ( event.ctrlKey || event.metaKey ) {
+					return;
+				}
+
+				switch ( event.which ) {
+					case 9: // Tab
+						column_delta = event.shiftKey ? -1 : 1;
+						break;
+					case 13: // Enter, Alt+Enter inserts a line break like in spreadsheet applications
+						if ( event.altKey ) {
+							event.preventDefault();
+							this.value = value.substring( 0, caret_start ) + '\n' + value.substring( caret_end );
+							this.selectionStart = this.selectionEnd = caret_start + 1;
+							return;
+						}
+						row_delta = event.shiftKey ? -1 : 1;
+						break;
+					case 37: // Left Arrow, only at the beginning of the text
+						if ( event.shiftKey || event.altKey || ! no_selection || 0 !== caret_start ) {
+							return;
+						}
+						column_delta = -1;
+						break;
+					case 39: // Right Arrow, only at the end of the text
+						if ( event.shiftKey || event.altKey || ! no_selection || value.length !== caret_end ) {
+							return;
+						}
+						column_delta = 1;
+						break;
+					case 38: // Up Arrow, only in the first line of the text
+						if ( event.shiftKey || event.altKey || ! no_selection || -1 !== value.lastIndexOf( '\n', caret_start - 1 ) ) {
+							return;
+						}
+						row_delta = -1;
+						break;
+					case 40: // Down Arrow, only in the last line of the text
+						if ( event.shiftKey || event.altKey || ! no_selection || -1 !== value.indexOf( '\n', caret_end ) ) {
+							return;
+						}
+						row_delta = 1;
+						break;
+					case 27: // Escape
+						tp.cells.range.clear();
+						return;
+					default:
+						return;
+				}
+
+				event.preventDefault();
+
+				position = tp.cells.position( this );
+				position.row += row_delta;
+				position.column += column_delta;
+				// Tab continues in the next or previous row
+				if ( position.column >= tp.table.columns && 9 === event.which ) {
+					position.column = 0;
+					position.row++;
+				} else if ( position.column < 0 && 9 === event.which ) {
+					position.column = tp.table.columns - 1;
+					position.row--;
+				}
+
+				$target = tp.cells.get( position.row, position.column );
+				if ( $target.length ) {
+					tp.cells.range.clear();
+					$target.trigger( 'focus' );
+					$target.get(0).selectionStart = $target.get(0).selectionEnd = $target.val().length;
+				}
+			}
+		},
+		range: {
+			start: null,
+			end: null,
+			select: function( event ) {
+				var focused = document.activeElement;
+
+				// a Shift+click extends the range from the focused cell, otherwise the range is removed
+				if ( ! event.shiftKey ) {
+					tp.cells.range.clear();
+					return;
+				}
+
+				if ( this === focused || ! $( focused ).closest( '#edit-form-body' ).length || ! $( focused ).is( 'textarea' ) ) {
+					return; // Shift+click into the focused cell opens the "Advanced Editor"
+				}
+
+				event.preventDefault(); // keep the focus in the first cell
+				if ( null === tp.cells.range.start ) {
+					tp.cells.range.start = tp.cells.position( focused );
+				}
+				tp.cells.range.end = tp.cells.position( this );
+				tp.cells.range.highlight();
+			},
+			highlight: function() {
+				var range = tp.cells.range.get();
+				$id( 'edit-form-body' ).find( '.range-selected' ).removeClass( 'range-selected' );
+				if ( null === range ) {
+					return;
+				}
+				$id( 'edit-form-body' ).children().slice( range.top, range.bottom + 1 ).each( function() {
+					$(this).children().slice( tp.table.no_data_columns_pre + range.left, tp.table.no_data_columns_pre + range.right + 1 ).addClass( 'range-selected' );
+				} );
+			},
+			get: function() {
+				if ( null === tp.cells.range.start || null === tp.cells.range.end ) {
+					return null;
+				}
+				return {
+					top: Math.min( tp.cells.range.start.row, tp.cells.range.end.row ),
+					bottom: Math.max( tp.cells.range.start.row, tp.cells.range.end.row ),
+					left: Math.min( tp.cells.range.start.column, tp.cells.range.end.column ),
+					right: Math.max( tp.cells.range.start.column, tp.cells.range.end.column )
+				};
+			},
+			clear: function() {
+				tp.cells.range.start = tp.cells.range.end = null;
+				tp.cells.range.highlight();
+			}
+		},
+		clipboard: {
+			// tab-separated values, like spreadsheet applications copy them, with quotes around values with tabs, line breaks, or quotes
+			to_tsv: function( data ) {
+				return $.map( data, function( row ) {
+					return $.map( row, function( value ) {
+						if ( /[\t\n\r"]/.test( value ) ) {
+							value = '"' + value.replace( /"/g, '""' ) + '"';
+						}
+						return value;
+					} ).join( '\t' );
+				} ).join( '\n' );
+			},
+			from_tsv: function( text ) {
+				var data = [ [] ], value = '', quoted = false,
+					i, character;
+
+				text = text.replace( /\r\n?/g, '\n' ).replace( /\n$/, '' );
+				for ( i = 0; i < text.length; i++ ) {
+					character = text.charAt( i );
+					if ( quoted ) {
+						if ( '"' === character && '"' === text.charAt( i + 1 ) ) {
+							value += '"';
+							i++;
+						} else if ( '"' === character ) {
+							quoted = false;
+						} else {
+							value += character;
+						}
+					} else if ( '"' === character && '' === value ) {
+						quoted = true;
+					} else if ( '\t' === character ) {
+						data[ data.length - 1 ].push( value );
+						value = '';
+					} else if ( '\n' === character ) {
+						data[ data.length - 1 ].push( value );
+						data.push( [] );
+						value = '';
+					} else {
+						value += character;
+					}
+				}
+				data[ data.length - 1 ].push( value );
+				return data;
+			},
+			copy: function( event ) {
+				var range = tp.cells.range.get(),
+					clipboard = event.originalEvent.clipboardData,
+					data = [];
+
+				if ( null === range || ! clipboard ) {
+					return;
+				}
+
+				// copying from fields outside of the table is not affected
+				if ( $( event.target ).is( 'input, textarea, select' ) && ! $( event.target ).closest( '#edit-form-body' ).length ) {
+					return;
+				}
+
+				$id( 'edit-form-body' ).children().slice( range.top, range.bottom + 1 ).each( function() {
+					data.push( $(this).find( 'textarea' ).slice( range.left, range.right + 1 ).map( function() { return this.value; } ).get() );
+				} );
+
+				clipboard.setData( 'text/plain', tp.cells.clipboard.to_tsv( data ) );
+				event.preventDefault();
+			},
+			paste: function( event ) {
+				var clipboard = event.originalEvent.clipboardData,
+					range = tp.cells.range.get(),
+					text, data, start, missing_rows, missing_columns = 0;
+
+				if ( ! clipboard ) {
+					return;
+				}
+
+				text = clipboard.getData( 'text/plain' );
+				// a single value is pasted into the cell by the browser
+				if ( ! /[\t\n\r]/.test( text.replace( /\r?\n$/, '' ) ) ) {
+					return;
+				}
+
+				event.preventDefault();
+
+				data = tp.cells.clipboard.from_tsv( text );
+				start = ( null !== range ) ? { row: range.top, column: range.left } : tp.cells.position( this );
+
+				// expand the table if the pasted block does not fit
+				missing_rows = start.row + data.length - tp.table.rows;
+				$.each( data, function( row_idx, row ) {
+					missing_columns = Math.max( missing_columns, start.column + row.length - tp.table.columns );
+				} );
+				if ( missing_columns > 0 ) {
+					tp.columns.add( missing_columns );
+					tp.table.columns += missing_columns;
+				}
+				if ( missing_rows > 0 ) {
+					$id( 'edit-form-body' ).append( tp.rows.create( missing_rows ) );
+				}
+
+				$id( 'edit-form-body' ).children().slice( start.row, start.row + data.length ).each( function( row_idx, row ) {
+					var $textareas = $( row ).find( 'textarea' );
+					$.each( data[ row_idx ], function( column_idx, value ) {
+						$textareas.eq( start.column + column_idx ).val( value );
+					} );
+				} );
+
+				tp.cells.range.start = start;
+				tp.cells.range.end = { row: start.row + data.length - 1, column: start.column + data[0].length - 1 };
+				$.each( data, function( row_idx, row ) {
+					tp.cells.range.end.column = Math.max( tp.cells.range.end.column, start.column + row.length - 1 );
+				} );
+
+				tp.rows.stripe();
+				tp.reindex();
+				tp.cells.range.highlight();
+			}
+		},
 		checkboxes: {
 			last_clicked: { '#edit-form-body' : false, '#edit-form-foot' : false },
 			multi_select: function ( event ) {
@@ -981,10 +1247,15 @@ jQuery( function( $ ) {
 
 					// Find the replacement value (with updated cell references) for each expression and replace the old one with it.
 					expressions.forEach( function( expression ) {
-						var new_expression = expression.replace( /([A-Z]+[0-9]+)(?::([A-Z]+[0-9]+))?/g, function( full_match, first_cell, second_cell ) {
+						var new_expression = expression.replace( /(Table[A-Za-z0-9_-]+!)?([A-Z]+[0-9]+)(?::([A-Z]+[0-9]+))?/g, function( full_match, table_prefix, first_cell, second_cell ) {
 							// first_cell must always exist, while second_cell only exists in ranges like A4:B7
 							// we will use full_match as our result variable, so that we don't need an extra one
 
+							// references to cells in other tables, like Table5!C3, are not affected by changes to this table
+							if ( ( 'undefined' !== typeof table_prefix ) && ( '' !== table_prefix ) ) {
+								return full_match;
+							}
+
 							if ( ! known_references.hasOwnProperty( first_cell ) ) {
 								$cell = $id( 'cell-' + first_cell );
 								if ( $cell.length ) {
@@ -1147,6 +1418,340 @@ jQuery( function( $ ) {
 		}
 	};
 
+	tp.history = {
+		limit: 100,
+		states: [],
+		index: -1,
+		saved: '',
+		restoring: false,
+		// the table data and the visibility of rows and columns, as a JSON string for cheap comparisons
+		get_state: function() {
+			var state = { data: [], rows: [], columns: [] };
+			$id( 'edit-form-body' ).children().each( function( row_idx, row ) {
+				var $row = $( row );
+				state.data[ row_idx ] = $row.find( 'textarea' ).map( function() { return this.value; } ).get();
+				state.rows[ row_idx ] = parseInt( $row.find( '.visibility' ).val(), 10 );
+			} );
+			state.columns = $id( 'edit-form-foot' ).find( '.visibility' ).map( function() { return parseInt( this.value, 10 ); } ).get();
+			return JSON.stringify( state );
+		},
+		// everything that is saved, to find out if undoing has restored the saved table
+		get_fingerprint: function() {
+			return JSON.stringify( tp.table.prepare_ajax_request( '', '' ).tablepress );
+		},
+		record: function() {
+			var state;
+
+			if ( tp.history.restoring ) {
+				return;
+			}
+
+			state = tp.history.get_state();
+			if ( state === tp.history.states[ tp.history.index ] ) {
+				return;
+			}
+
+			// a new change discards the states that could have been redone
+			tp.history.states.splice( tp.history.index + 1 );
+			tp.history.states.push( state );
+			if ( tp.history.states.length > tp.history.limit ) {
+				tp.history.states.shift();
+			}
+			tp.history.index = tp.history.states.length - 1;
+			tp.history.update_buttons();
+		},
+		undo: function() {
+			// cell edits that have not been recorded yet (e.g. while typing) are undone first
+			tp.history.record();
+			if ( tp.history.index > 0 ) {
+				tp.history.index--;
+				tp.history.restore( tp.history.states[ tp.history.index ] );
+			}
+		},
+		redo: function() {
+			tp.history.record();
+			if ( tp.history.index < tp.history.states.length - 1 ) {
+				tp.history.index++;
+				tp.history.restore( tp.history.states[ tp.history.index ] );
+			}
+		},
+		restore: function( state ) {
+			var difference, i,
+				new_head_cells = '', new_foot_cells = '',
+				focused_cell = document.activeElement ? document.activeElement.id : '',
+				$head = $id( 'edit-form-head' ),
+				$foot = $id( 'edit-form-foot' ),
+				$table_body = $id( 'edit-form-body' );
+
+			state = JSON.parse( state );
+			tp.history.restoring = true;
+
+			// add or remove columns in table head and foot
+			difference = state.columns.length - tp.table.columns;
+			if ( difference > 0 ) {
+				for ( i = 0; i < difference; i++ ) {
+					new_head_cells += tp.table.head_cell;
+					new_foot_cells += tp.table.foot_cell;
+				}
+				$head.children().slice( - tp.table.no_data_columns_post ).before( new_head_cells );
+				$foot.children().slice( - tp.table.no_data_columns_post ).before( new_foot_cells );
+			} else if ( difference < 0 ) {
+				$head.add( $foot ).each( function() {
+					$(this).children().slice( tp.table.no_data_columns_pre + state.columns.length, - tp.table.no_data_columns_post ).remove();
+				} );
+			}
+			tp.table.columns = state.columns.length;
+
+			$head.children( '.head' ).each( function( column_idx, cell ) {
+				$( cell ).toggleClass( 'column-hidden', 0 === state.columns[ column_idx ] );
+			} );
+			$foot.find( '.visibility' ).each( function( column_idx, field ) {
+				$( field ).val( state.columns[ column_idx ] ).closest( 'th' ).toggleClass( 'column-hidden', 0 === state.columns[ column_idx ] );
+			} );
+
+			// rebuild the table body, tp.rows.create() takes care of hidden columns
+			$table_body.empty().append( tp.rows.create( state.data.length ) );
+			$table_body.children().each( function( row_idx, row ) {
+				var $row = $( row ).toggleClass( 'row-hidden', 0 === state.rows[ row_idx ] );
+				$row.find( '.visibility' ).val( state.rows[ row_idx ] );
+				$row.find( 'textarea' ).val( function( column_idx ) {
+					return state.data[ row_idx ][ column_idx ];
+				} );
+			} );
+
+			tp.rows.stripe();
+			tp.reindex();
+
+			if ( 0 === focused_cell.indexOf( 'cell-' ) ) {
+				$id( focused_cell ).trigger( 'focus' );
+			}
+
+			tp.history.restoring = false;
+
+			// undoing all changes since the last save means that there are no unsaved changes
+			if ( tp.history.get_fingerprint() === tp.history.saved ) {
+				tp.table.unset_table_changed();
+			}
+			tp.history.update_buttons();
+		},
+		update_buttons: function() {
+			$id( 'history-undo' ).prop( 'disabled', tp.history.index <= 0 );
+			$id( 'history-redo' ).prop( 'disabled', tp.history.index >= tp.history.states.length - 1 );
+		},
+		keydown: function( event ) {
+			var $target = $( event.target ),
+				key = String.fromCharCode( event.which ).toUpperCase();
+
+			if ( ! ( event.ctrlKey || event.metaKey ) || event.altKey || ( 'Z' !== key && 'Y' !== key ) ) {
+				return;
+			}
+
+			// fields outside of the table, like the table description, keep the browser's undo
+			if ( $target.is( 'input, textarea, select' ) && ! $target.closest( '#edit-form' ).length ) {
+				return;
+			}
+
+			event.preventDefault();
+			if ( 'Y' === key || event.shiftKey ) {
+				tp.history.redo();
+			} else {
+				tp.history.undo();
+			}
+		}
+	};
+
+	tp.formulas = {
+		timeout: null,
+		request: 0,
+		schedule_refresh: function() {
+			if ( ! tablepress_options.formulas_live_preview ) {
+				return;
+			}
+			// wait until typing has stopped, to not send a request for every key press
+			clearTimeout( tp.formulas.timeout );
+			tp.formulas.timeout = setTimeout( tp.formulas.refresh, 750 );
+		},
+		refresh: function() {
+			var request = ++tp.formulas.request,
+				has_formulas = false;
+
+			$id( 'edit-form-body' ).find( 'textarea' ).each( function() {
+				if ( '=' === this.value.charAt( 0 ) && '=' !== this.value ) {
+					has_formulas = true;
+					return false; // break loop
+				}
+			} );
+
+			if ( ! has_formulas ) {
+				tp.formulas.show( {} );
+				return;
+			}
+
+			$.ajax( {
+				'type': 'POST',
+				'url': ajaxurl,
+				'data': tp.table.prepare_ajax_request( 'tablepress_evaluate_formulas', '#nonce-preview-table' ),
+				'success': function( data ) {
+					// ignore results for an older state of the table, as the table has been changed while the request was running
+					if ( request === tp.formulas.request && ( 'undefined' !== typeof data ) && ( null !== data ) && data.success ) {
+						tp.formulas.show( data.results );
+					}
+				},
+				'dataType': 'json'
+			} );
+		},
+		show: function( results ) {
+			$id( 'edit-form-body' ).find( '.formula-cell' )
+				.removeClass( 'formula-cell formula-error' )
+				.removeAttr( 'data-formula-result' )
+				.children( 'textarea' ).removeAttr( 'title' );
+
+			$.each( results, function( cell_name, result ) {
+				var value = result.error ? result.value.replace( '!ERROR!', '' ).trim() : result.value;
+				$id( 'cell-' + cell_name )
+					.attr( 'title', ( result.error ? tablepress_strings.formula_error : tablepress_strings.formula_result ) + ': ' + value )
+					.parent()
+						.addClass( 'formula-cell' )
+						.toggleClass( 'formula-error', result.error )
+						.attr( 'data-formula-result', value );
+			} );
+		}
+	};
+
+	tp.sync = {
+		hash: '',
+		get_settings: function() {
+			var type = $id( 'table-source-type' ).val();
+			return {
+				type: type,
+				location: $( '.table-source-location' ).filter( '[data-source-type="' + type + '"]' ).val(),
+				format: $id( 'table-source-format' ).val(),
+				schedule: $id( 'table-source-schedule' ).val()
+			};
+		},
+		change_type: function( /* event */ ) {
+			var type = $id( 'table-source-type' ).val();
+			$( '.table-source-setting' ).toggle( '' !== type );
+			$( '.table-source-location, .table-source-location-wrapper' ).each( function() {
+				$(this).toggle( $(this).data( 'source-type' ) === type );
+			} );
+			$id( 'table-source-changes' ).hide();
+		},
+		request: function( wp_action, data, callback ) {
+			$id( 'table-source-status' ).empty().append( '<span class="animation-sync spinner is-active" title="' + tablepress_strings.sync_checking + '"/>' );
+			$( '#table-source-save, #table-source-check, #table-source-apply' ).prop( 'disabled', true );
+			$( 'body' ).addClass( 'wait' );
+
+			data.id = tp.table.id;
+			$.ajax({
+				'type': 'POST',
+				'url': ajaxurl,
+				'data': {
+					action: wp_action,
+					_ajax_nonce: $( '#nonce-edit-table' ).val(),
+					tablepress: data
+				},
+				'success': function( response ) {
+					tp.sync.done();
+					if ( ( 'undefined' === typeof response ) || ( null === response ) || ( '-1' === response ) || ( 'undefined' === typeof response.success ) ) {
+						tp.sync.message( 'error', tablepress_strings.sync_error + ': AJAX call successful, but unclear data.' );
+						return;
+					}
+					callback( response );
+				},
+				'error': function( jqXHR, status, error_thrown ) {
+					tp.sync.done();
+					tp.sync.message( 'error', tablepress_strings.sync_error + ': AJAX call failed: ' + status + ' - ' + error_thrown );
+				},
+				'dataType': 'json'
+			} );
+		},
+		done: function() {
+			$( '.animation-sync' ).remove();
+			$( '#table-source-save, #table-source-check, #table-source-apply' ).prop( 'disabled', false );
+			$( 'body' ).removeClass( 'wait' );
+		},
+		message: function( type, message, details ) {
+			// Print debug information, if we are in debug mode
+			if ( ( 'undefined' !== typeof details ) && ( tablepress_options.print_debug_output ) ) {
+				message += '</p><pre>' + details + '</pre><p>';
+			}
+			$id( 'table-source-status' ).html( '<span class="table-source-' + type + '">' + message + '</span>' );
+		},
+		save: function( /* event */ ) {
+			tp.sync.request( 'tablepress_save_table_source', { source: tp.sync.get_settings() }, function( response ) {
+				tp.sync.message( response.success ? 'success' : 'error', tablepress_strings[ response.message ], response.error_details );
+			} );
+		},
+		check: function( /* event */ ) {
+			$id( 'table-source-changes' ).hide();
+			// the data source is saved first, so that the check uses the current settings
+			tp.sync.request( 'tablepress_save_table_source', { source: tp.sync.get_settings() }, function( response ) {
+				if ( ! response.success ) {
+					tp.sync.message( 'error', tablepress_strings[ response.message ], response.error_details );
+					return;
+				}
+				tp.sync.request( 'tablepress_sync_table', {}, tp.sync.show_changes );
+			} );
+		},
+		show_changes: function( response ) {
+			var diff = response.diff,
+				$list = $id( 'table-source-changes-list' ).empty(),
+				$table;
+
+			if ( ! response.success ) {
+				tp.sync.message( 'error', tablepress_strings.sync_error + ': ' + $( '<span/>' ).text( response.error_message ).html(), response.error_details );
+				return;
+			}
+
+			tp.sync.hash = diff.hash;
+			if ( 0 === diff.changed_cells && diff.rows[0] === diff.rows[1] && diff.columns[0] === diff.columns[1] ) {
+				tp.sync.message( 'success', tablepress_strings.sync_no_changes );
+				return;
+			}
+
+			tp.sync.message( 'success', tablepress_strings.sync_changes
+				.replace( '%1$s', diff.changed_cells )
+				.replace( '%2$s', diff.rows[0] ).replace( '%3$s', diff.rows[1] )
+				.replace( '%4$s', diff.columns[0] ).replace( '%5$s', diff.columns[1] ) );
+
+			if ( diff.cells.length ) {
+				$table = $( '<table class="widefat striped table-source-diff"><thead><tr><th/><th/><th/></tr></thead><tbody/></table>' );
+				$table.find( 'th' )
+					.eq( 0 ).text( tablepress_strings.sync_cell ).end()
+					.eq( 1 ).text( tablepress_strings.sync_old_value ).end()
+					.eq( 2 ).text( tablepress_strings.sync_new_value );
+				$.each( diff.cells, function( idx, cell ) {
+					$( '<tr/>' )
+						.append( $( '<td/>' ).text( cell.cell ) )
+						.append( $( '<td class="table-source-old"/>' ).text( cell.old ) )
+						.append( $( '<td class="table-source-new"/>' ).text( cell.new ) )
+						.appendTo( $table.children( 'tbody' ) );
+				} );
+				$list.append( $table );
+			}
+			if ( diff.cells.length < diff.changed_cells ) {
+				$list.append( $( '<p class="description"/>' ).text( tablepress_strings.sync_more_cells.replace( '%s', diff.cells.length ) ) );
+			}
+			$id( 'table-source-changes' ).show();
+		},
+		apply: function( /* event */ ) {
+			if ( tp.made_changes && ! confirm( tablepress_strings.sync_apply_unsaved_changes ) ) {
+				return;
+			}
+			tp.sync.request( 'tablepress_sync_table', { apply: 'true', hash: tp.sync.hash }, function( response ) {
+				if ( ! response.success ) {
+					$id( 'table-source-changes' ).hide();
+					tp.sync.message( 'error', tablepress_strings.sync_error + ': ' + $( '<span/>' ).text( response.error_message ).html(), response.error_details );
+					return;
+				}
+				// reload the page, to show the new table content
+				tp.made_changes = false; // to prevent onunload warning
+				window.location.href = window.location.href.replace( /&message=[a-z_]+/gi, '' ) + '&message=success_sync';
+			} );
+		}
+	};
+
 	tp.init = function() {
 		var callbacks = {
 			'click': {
@@ -1166,8 +1771,13 @@ jQuery( function( $ ) {
 				'#image-add':			tp.content.image.add,
 				'#span-add-rowspan':	function() { tp.content.span.add( '#rowspan#' ); },
 				'#span-add-colspan':	function() { tp.content.span.add( '#colspan#' ); },
+				'#history-undo':		tp.history.undo,
+				'#history-redo':		tp.history.redo,
 				'.show-preview-button': tp.table.preview.trigger,
 				'.save-changes-button': tp.save_changes.trigger,
+				'#table-source-save':	tp.sync.save,
+				'#table-source-check':	tp.sync.check,
+				'#table-source-apply':	tp.sync.apply,
 				'.show-help-box':		function() {
 					var helpbox_id = $(this).data( 'help-box' );
 					$( helpbox_id ).wpdialog( {
@@ -1187,7 +1797,8 @@ jQuery( function( $ ) {
 				'#option-table-head':			tp.table.change_table_head,
 				'#option-table-foot':			tp.table.change_table_foot,
 				'#option-use-datatables':		tp.table.change_datatables,
-				'#option-datatables-paginate':	tp.table.change_datatables_pagination
+				'#option-datatables-paginate':	tp.table.change_datatables_pagination,
+				'#table-source-type':			tp.sync.change_type
 			},
 			'blur': {
 				'#table-new-id':		tp.table.change_id	// onchange would not recognize changed values from tp.check.table_id
@@ -1207,6 +1818,7 @@ jQuery( function( $ ) {
 		$id( 'option-table-head' ).trigger( 'change' ); // init changed/disabled states of DataTables JS features checkboxes
 		$id( 'option-print-name' ).on( 'change', tp.table.change_print_name_description ).trigger( 'change' ); // init dropdowns for name and description position
 		$id( 'option-print-description' ).on( 'change', tp.table.change_print_name_description ).trigger( 'change' );
+		tp.sync.change_type();
 
 		// just once is enough, will be reset after saving
 		$table.one( 'change', 'textarea', tp.table.set_table_changed );
@@ -1248,6 +1860,24 @@ jQuery( function( $ ) {
 
 		$id( 'edit-form-head' ).on( 'click', '.sort-control', tp.rows.sort );
 
+		// spreadsheet-like navigation, range selection, and copy and paste of tab-separated values
+		$table.on( 'keydown', 'textarea', tp.cells.keyboard.navigate );
+		$table.on( 'mousedown', 'textarea', tp.cells.range.select );
+		$table.on( 'paste', 'textarea', tp.cells.clipboard.paste );
+		$( document ).on( 'copy', tp.cells.clipboard.copy );
+
+		// undo and redo of changes to the table data, starting with the loaded table
+		tp.history.record();
+		tp.history.saved = tp.history.get_fingerprint();
+		$table.on( 'change', 'textarea', tp.history.record );
+		$( document ).on( 'keydown', tp.history.keydown );
+
+		// live preview of formula results, with error markers
+		$table.on( 'input', 'textarea', tp.formulas.schedule_refresh );
+		if ( tablepress_options.formulas_live_preview ) {
+			tp.formulas.refresh();
+		}
+
 		// on form submit: Enable disabled fields, so that they are transmitted in the POST request
 		$id( 'tablepress-page' ).find( 'form' ).on( 'submit', function() {
 			$(this).find( '.tablepress-postbox-table' ).find( 'input, select' ).prop( 'disabled', false );
@@ -1 +1 @@
-window.tp=window.tp||{},jQuery(function(i){"use strict";function l(e){return i(document.getElementById(e))}tp.made_changes=!1,tp.table={id:l("table-id").val(),new_id:l("table-new-id").val(),rows:parseInt(l("number-rows").val(),10),columns:parseInt(l("number-columns").val(),10),head:l("option-table-head").prop("checked"),foot:l("option-table-foot").prop("checked"),no_data_columns_pre:2,no_data_columns_post:1,body_cells_pre:'<tr><td><span class="move-handle"></span></td><td><input type="checkbox" /><input type="hidden" class="visibility" name="table[visibility][rows][]" value="1" /></td>',body_cells_post:'<td><span class="move-handle"></span></td></tr>',body_cell:'<td><textarea rows="1"></textarea></td>',head_cell:'<th class="head"><span class="sort-control sort-desc" title="'+tablepress_strings.sort_desc+'"><span class="sorting-indicator"></span></span><span class="sort-control sort-asc" title="'+tablepress_strings.sort_asc+'"><span class="sorting-indicator"></span></span><span class="move-handle"></span></th>',foot_cell:'<th><input type="checkbox" /><input type="hidden" class="visibility" name="table[visibility][columns][]" value="1" /></th>',set_table_changed:function(){tp.made_changes=!0},unset_table_changed:function(){tp.made_changes=!1,l("edit-form-body").one("change","textarea",tp.table.set_table_changed),i("#tablepress_edit-table-information, #tablepress_edit-table-options, #tablepress_edit-datatables-features").one("change","input, textarea, select",tp.table.set_table_changed)},change_id:function(){return""===l("table-new-id").val().toString().trim()?(alert(tablepress_strings.table_id_not_empty),void l("table-new-id").val(tp.table.new_id).trigger("focus").trigger("select")):"0"===l("table-new-id").val().toString().trim()?(alert(tablepress_strings.table_id_not_zero),void l("table-new-id").val(tp.table.new_id).trigger("focus").trigger("select")):void(this.value!==tp.table.new_id&&(confirm(tablepress_strings.ays_change_table_id)?(tp.table.new_id=this.value,i(".table-shortcode").val("["+tablepress_options.shortcode+" id="+tp.table.new_id+" /]").trigger("click"),tp.table.set_table_changed()):i(this).val(tp.table.new_id)))},change_table_head:function(){tp.table.head=i(this).prop("checked"),l("option-use-datatables").prop("disabled",!tp.table.head).trigger("change"),l("notice-datatables-head-row").toggle(!tp.table.head),tp.rows.stripe()},change_table_foot:function(){tp.table.foot=i(this).prop("checked"),tp.rows.stripe()},change_print_name_description:function(){l(this.id+"-position").prop("disabled",!i(this).prop("checked"))},change_datatables:function(){var e=l("option-use-datatables"),t=!(e.prop("checked")&&!e.prop("disabled"));e.closest("tbody").find("input").not(e).prop("disabled",t),tp.table.change_datatables_pagination()},change_datatables_pagination:function(){var e=l("option-datatables-paginate"),e=e.prop("checked")&&!e.prop("disabled");l("option-datatables-lengthchange").prop("disabled",!e),l("option-datatables-paginate_entries").prop("disabled",!e)},prepare_ajax_request:function(e,t){var a,n=l("edit-form-body"),o=[],s={rows:tp.table.rows,columns:tp.table.columns,hidden_rows:0,hidden_columns:0},r={rows:[],columns:[]};return n.children().each(function(e,t){o[e]=i(t).find("textarea").map(function(){return this.value}).get()}),o=JSON.stringify(o),a={table_head:tp.table.head,table_foot:tp.table.foot,alternating_row_colors:l("option-alternating-row-colors").prop("checked"),row_hover:l("option-row-hover").prop("checked"),print_name:l("option-print-name").prop("checked"),print_description:l("option-print-description").prop("checked"),print_name_position:l("option-print-name-position").val(),print_description_position:l("option-print-description-position").val(),extra_css_classes:l("option-extra-css-classes").val(),use_datatables:l("option-use-datatables").prop("checked"),datatables_sort:l("option-datatables-sort").prop("checked"),datatables_filter:l("option-datatables-filter").prop("checked"),datatables_paginate:l("option-datatables-paginate").prop("checked"),datatables_lengthchange:l("option-datatables-lengthchange").prop("checked"),datatables_paginate_entries:l("option-datatables-paginate_entries").val(),datatables_info:l("option-datatables-info").prop("checked"),datatables_scrollx:l("option-datatables-scrollx").prop("checked"),datatables_custom_commands:l("option-datatables-custom-commands").val()},a=JSON.stringify(a),r.rows=n.find('input[type="hidden"]').map(function(){return"1"===i(this).val()?1:(s.hidden_rows+=1,0)}).get(),r.columns=l("edit-form-foot").find('input[type="hidden"]').map(function(){return"1"===i(this).val()?1:(s.hidden_columns+=1,0)}).get(),r=JSON.stringify(r),{action:e,_ajax_nonce:i(t).val(),tablepress:{id:tp.table.id,new_id:tp.table.new_id,name:l("table-name").val(),description:l("table-description").val(),number:s,data:o,options:a,visibility:r}}},preview:{trigger:function(){return tp.made_changes?l("option-datatables-paginate").prop("checked")&&!/^[1-9][0-9]{0,4}$/.test(l("option-datatables-paginate_entries").val())?(alert(tablepress_strings.num_pagination_entries_invalid),void l("option-datatables-paginate_entries").trigger("focus").trigger("select")):/[^A-Za-z0-9- _:]/.test(l("option-extra-css-classes").val())?(alert(tablepress_strings.extra_css_classes_invalid),void l("option-extra-css-classes").trigger("focus").trigger("select")):(i(this).closest("p").append('<span class="animation-preview spinner is-active" title="'+tablepress_strings.preparing_preview+'"/>'),i("body").addClass("wait"),l("table-preview").empty(),i.ajax({type:"POST",url:ajaxurl,data:tp.table.prepare_ajax_request("tablepress_preview_table","#nonce-preview-table"),success:tp.table.preview.ajax_success,error:tp.table.preview.ajax_error,dataType:"json"}),!1):(tp.table.preview.show(i(this).attr("href")+"&TB_iframe=true"),!1)},ajax_success:function(e,t){void 0===t||"success"!==t?tp.table.preview.error("AJAX call successful, but unclear status."):null==e||"-1"===e||void 0===e.success||!0!==e.success?tp.table.preview.error("AJAX call successful, but unclear data."):tp.table.preview.success(e)},ajax_error:function(e,t,a){tp.table.preview.error("AJAX call failed: "+t+" - "+a)},success:function(t){l("table-preview").empty(),i('<iframe id="table-preview-iframe" />').load(function(){var e=i(this).contents();e.find("head").append(t.head_html),e.find("body").append(t.body_html)}).appendTo("#table-preview"),i(".animation-preview").remove(),i("body").removeClass("wait"),tp.table.preview.show("#TB_inline?inlineId=preview-container")},error:function(e){i(".animation-preview").closest("p").after('<div class="ajax-alert preview-error error"><p>'+tablepress_strings.preview_error+": "+e+"</p></div>"),i(".animation-preview").remove(),i(".preview-error").delay(6e3).fadeOut(2e3,function(){i(this).remove()}),i("body").removeClass("wait")},show:function(e){var t=i(window).width()-120,a=i(window).height()-120;i("#wpadminbar").length&&(a-=parseInt(i("#wpadminbar").css("height"),10)),tb_show(i(".show-preview-button").first().text(),e+"&height="+a+"&width="+t,!1)}}},tp.rows={create:function(e){for(var t,a,n="",o=0;o<e;o++){for(n+=tp.table.body_cells_pre,t=0;t<tp.table.columns;t++)n+=tp.table.body_cell;n+=tp.table.body_cells_post}return a=l("edit-form-foot").find(".column-hidden").map(function(){return i(this).index()}).get(),i(n).each(function(e,t){i(t).children().filter(function(e){return-1!==i.inArray(e,a)}).addClass("column-hidden")})},append:function(){var e=l("rows-append-number").val();if(!/^[1-9][0-9]{0,4}$/.test(e))return alert(tablepress_strings.append_num_rows_invalid),void l("rows-append-number").trigger("focus").trigger("select");l("edit-form-body").append(tp.rows.create(e)),tp.rows.stripe(),tp.reindex()},insert:function(e){e=l("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==e.length?(e.before(tp.rows.create(1)),tp.rows.stripe(),tp.reindex()):alert(tablepress_strings.no_rows_selected)},duplicate:function(e){e=l("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==e.length?(e.each(function(e,t){var a=i(t),n=a.find("textarea"),t=a.clone();t.find("textarea").removeAttr("id").each(function(e,t){i(t).val(n.eq(e).val())}),a.after(t)}),tp.rows.stripe(),tp.reindex()):alert(tablepress_strings.no_rows_selected)},hide:function(e){e=l("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==e.length?(e.addClass("row-hidden").find(".visibility").val("0"),tp.rows.stripe(),tp.table.set_table_changed()):alert(tablepress_strings.no_rows_selected)},unhide:function(e){e=l("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==e.length?(e.removeClass("row-hidden").find(".visibility").val("1"),tp.rows.stripe(),tp.table.set_table_changed()):alert(tablepress_strings.no_rows_selected)},remove:function(){var e,t=l("edit-form-body").find("input:checked").closest("tr");0!==t.length?tp.table.rows!==t.length?(e=1===t.length?tablepress_strings.ays_remove_rows_singular:tablepress_strings.ays_remove_rows_plural,confirm(e)&&(t.remove(),tp.rows.stripe(),tp.reindex())):alert(tablepress_strings.no_remove_all_rows):alert(tablepress_strings.no_rows_selected)},move:{start:function(e,t){i(t.placeholder).removeClass("row-hidden").css("visibility","visible").html('<td colspan="'+(tp.table.columns+tp.table.no_data_columns_pre+tp.table.no_data_columns_post)+'"><div/></td>'),i(t.helper).removeClass("odd head-row foot-row")},change:function(e,t){tp.rows.stripe(t.helper)},stop:function(){tp.rows.stripe()}},sort:function(){function a(e,t){function a(e,t){return(!e.match(c)||1===t)&&parseFloat(e)||e.replace(i," ").replace(r,"")||0}var n,o,s=/(^([+\-]?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?(?=\D|\s|$))|^0x[\da-fA-F]+$|\d+)/g,r=/^\s+|\s+$/g,i=/\s+/g,l=/^0x[0-9a-f]+$/i,c=/^0/,e=e.replace(r,"")||"",t=t.replace(r,"")||"",d=e.replace(s,"\0$1\0").replace(/\0$/,"").replace(/^\0/,"").split("\0"),p=t.replace(s,"\0$1\0").replace(/\0$/,"").replace(/^\0/,"").split("\0"),e=parseInt(e.match(l),16)||1!==d.length&&Date.parse(e);if(t=parseInt(t.match(l),16)||e&&t.match(/(^([\w ]+,?[\w ]+)?[\w ]+,?[\w ]+\d+:\d+(:\d+)?[\w ]?|^\d{1,4}[\/\-]\d{1,4}[\/\-]\d{1,4}|^\w+, \w+ \d+, \d{4})/)&&Date.parse(t)||null){if(e<t)return-1;if(t<e)return 1}for(var u=0,h=d.length,_=p.length,m=Math.max(h,_);u<m;u++){if(n=a(d[u]||"",h),o=a(p[u]||"",_),isNaN(n)!==isNaN(o))return isNaN(n)?1:-1;if(/[^\x00-\x80]/.test(n+o)&&n.localeCompare){var b=n.localeCompare(o);return b/Math.abs(b)}if(n<o)return-1;if(o<n)return 1}}var n=i(this).parent().index(),o=i(this).hasClass("sort-asc")?1:-1,e=i("#edit-form-body"),t=e.find(".head-row").prevAll().addBack(),s=e.find(".foot-row").nextAll().addBack(),r=e.children().not(t).not(s).get();i.each(r,function(e,t){t.sort_key=(""+i(t).children().eq(n).find("textarea").val()).toLowerCase()}),r.sort(function(e,t){return o*a(e.sort_key,t.sort_key)}),i.each(r,function(e,t){t.sort_key=null}),e.append(t),e.append(r),e.append(s),tp.rows.stripe(),tp.reindex()},stripe:function(e){e=i(e=void 0===e?null:e);var t=l("edit-form-body").children().removeClass("odd head-row foot-row").not(e);t.even().addClass("odd"),t=t.not(".row-hidden"),e.hasClass("row-hidden")&&(t=t.not(".ui-sortable-placeholder")),tp.table.head&&t.first().addClass("head-row"),tp.table.foot&&t.last().addClass("foot-row")}},tp.columns={append:function(){var e,t=l("columns-append-number").val(),a="",n="",o="";if(!/^[1-9][0-9]{0,4}$/.test(t))return alert(tablepress_strings.append_num_columns_invalid),void l("columns-append-number").trigger("focus").trigger("select");for(e=0;e<t;e++)n+=tp.table.body_cell,a+=tp.table.head_cell,o+=tp.table.foot_cell;l("edit-form-body").children().each(function(e,t){i(t).children().slice(-tp.table.no_data_columns_post).before(n)}),l("edit-form-head").children().slice(-tp.table.no_data_columns_post).before(a),l("edit-form-foot").children().slice(-tp.table.no_data_columns_post).before(o),tp.reindex()},insert:function(e){var a,e=l("edit-form-foot").find("input:checked").prop("checked",e.shiftKey).closest("th");0!==e.length?(a=e.map(function(){return i(this).index()}).get(),l("edit-form-body").children().each(function(e,t){i(t).children().filter(function(e){return-1!==i.inArray(e,a)}).before(tp.table.body_cell)}),l("edit-form-head").children().filter(function(e){return-1!==i.inArray(e,a)}).before(tp.table.head_cell),e.before(tp.table.foot_cell),tp.reindex()):alert(tablepress_strings.no_columns_selected)},duplicate:function(e){var a,e=l("edit-form-foot").find("input:checked").prop("checked",e.shiftKey).closest("th");0!==e.length?(a=e.map(function(){return i(this).index()}).get(),l("edit-form").find("tr").each(function(e,t){i(t).children().each(function(e,t){-1!==i.inArray(e,a)&&((t=(e=i(t)).clone()).find("textarea").removeAttr("id").val(e.find("textarea").val()),e.after(t))})}),tp.reindex()):alert(tablepress_strings.no_columns_selected)},hide:function(e){var a,e=l("edit-form-foot").find("input:checked").prop("checked",e.shiftKey).closest("th");0!==e.length?(a=e.map(function(){return i(this).index()}).get(),l("edit-form-body").children().add("#edit-form-head").each(function(e,t){i(t).children().filter(function(e){return-1!==i.inArray(e,a)}).addClass("column-hidden")}),e.addClass("column-hidden").find(".visibility").val("0"),tp.table.set_table_changed()):alert(tablepress_strings.no_columns_selected)},unhide:function(e){var a,e=l("edit-form-foot").find("input:checked").prop("checked",e.shiftKey).closest("th");0!==e.length?(a=e.map(function(){return i(this).index()}).get(),l("edit-form-body").children().add("#edit-form-head").each(function(e,t){i(t).children().filter(function(e){return-1!==i.inArray(e,a)}).removeClass("column-hidden")}),e.removeClass("column-hidden").find(".visibility").val("1"),tp.table.set_table_changed()):alert(tablepress_strings.no_columns_selected)},remove:function(){var a,e,t=l("edit-form-foot").find("input:checked").closest("th");0!==t.length?tp.table.columns!==t.length?(e=1===t.length?tablepress_strings.ays_remove_columns_singular:tablepress_strings.ays_remove_columns_plural,confirm(e)&&(a=t.map(function(){return i(this).index()}).get(),l("edit-form-body").children().add("#edit-form-head").each(function(e,t){i(t).children().filter(function(e){return-1!==i.inArray(e,a)}).remove()}),t.remove(),tp.reindex())):alert(tablepress_strings.no_remove_all_columns):alert(tablepress_strings.no_columns_selected)},move:{source_idx:-1,target_idx:-1,$rows:null,$row_children:null,$cell:null,$cells:null,$placeholder:null,$helper:null,start:function(e,t){t=i(t.item);tp.columns.move.source_idx=t.index(),tp.columns.move.$rows=l("edit-form-body").children().add("#edit-form-foot"),tp.columns.move.$cells=tp.columns.move.$rows.children(":nth-child("+(tp.columns.move.source_idx+1)+")").each(function(){tp.columns.move.$cell=i(this),i('<td class="move-placeholder"><div/></td>').insertBefore(tp.columns.move.$cell),tp.columns.move.$cell.insertAfter(tp.columns.move.$cell.nextAll().last()).clone().addClass("move-hover").insertAfter(tp.columns.move.$cell).find("textarea").val(tp.columns.move.$cell.find("textarea").val())}).hide(),tp.columns.move.$helper=tp.columns.move.$rows.find(".move-hover"),t=tp.columns.move.$helper.eq(1).width(),tp.columns.move.$helper.eq(0).width(t),tp.columns.move.$placeholder=tp.columns.move.$rows.find(".move-placeholder"),tp.columns.move.$placeholder.find("div").width(t)},change:function(e,t){tp.columns.move.target_idx=i(t.placeholder).index(),tp.columns.move.target_idx-tp.columns.move.source_idx==1?tp.columns.move.target_idx+=1:tp.columns.move.target_idx===tp.columns.move.source_idx&&--tp.columns.move.target_idx,tp.columns.move.$placeholder.each(function(){tp.columns.move.$cell=i(this),tp.columns.move.$cell.insertBefore(tp.columns.move.$cell.parent().children().eq(tp.columns.move.target_idx))}),tp.columns.move.target_idx>tp.columns.move.source_idx&&--tp.columns.move.target_idx,tp.columns.move.source_idx=tp.columns.move.target_idx},sort:function(e,t){tp.columns.move.$helper.css("left",t.position.left)},stop:function(){tp.columns.move.$helper.remove(),tp.columns.move.$cells.each(function(){tp.columns.move.$cell=i(this),tp.columns.move.$cell.insertBefore(tp.columns.move.$cell.parent().find(".move-placeholder"))}).show(),tp.columns.move.$placeholder.remove(),tp.columns.move.source_idx=tp.columns.move.target_idx=-1,tp.columns.move.$rows=tp.columns.move.$row_children=tp.columns.move.$cell=tp.columns.move.$cells=tp.columns.move.$placeholder=tp.columns.move.$helper=null,tp.reindex()}},number_to_letter:function(e){for(var t="";0<e;)t=String.fromCharCode(65+(e-1)%26)+t,e=Math.floor((e-1)/26);return t}},tp.cells={$focus:i(null),$textarea:null,autogrow:function(){tp.cells.$focus.removeClass("focus"),tp.cells.$focus=i(this).closest("tr").addClass("focus")},advanced_editor:{prompt_shown:!1,keyopen:function(e){e.shiftKey&&(e=l("advanced-editor-content"),tp.cells.$textarea=i(this).trigger("blur"),e.val(tp.cells.$textarea.val()),l("advanced-editor").wpdialog("open"),e.get(0).selectionStart=e.get(0).selectionEnd=e.val().length,e.trigger("focus"))},buttonopen:function(){(tp.cells.advanced_editor.prompt_shown||confirm(tablepress_strings.advanced_editor_open))&&(tp.cells.advanced_editor.prompt_shown=!0,l("edit-form-body").one("click","textarea",function(){var e=l("advanced-editor-content");tp.cells.$textarea=i(this).trigger("blur"),e.val(tp.cells.$textarea.val()),l("advanced-editor").wpdialog("open"),e.get(0).selectionStart=e.get(0).selectionEnd=e.val().length,e.trigger("focus")}))},save:function(){var e=l("advanced-editor-content").trigger("blur").val();tp.cells.$textarea.val()!==e&&(tp.cells.$textarea.val(e),tp.cells.$textarea.get(0).selectionStart=tp.cells.$textarea.get(0).selectionEnd=tp.cells.$textarea.val().length,tp.table.set_table_changed()),tp.cells.$textarea.trigger("focus"),tp.cells.advanced_editor.close()},close:function(){return l("advanced-editor").wpdialog("close"),!1}},checkboxes:{last_clicked:{"#edit-form-body":!1,"#edit-form-foot":!1},multi_select:function(e){if("undefined"===e.shiftKey)return!0;if(e.shiftKey){if(!tp.cells.checkboxes.last_clicked[e.data.parent])return!0;var t=i(e.data.parent).find(":checkbox"),a=t.index(tp.cells.checkboxes.last_clicked[e.data.parent]),n=t.index(this);a!==n&&t.slice(Math.min(a,n),Math.max(a,n)).prop("checked",i(this).prop("checked"))}return tp.cells.checkboxes.last_clicked[e.data.parent]=this,!0}}},tp.content={link:{prompt_shown:!1,add:function(){(tp.content.link.prompt_shown||confirm(tablepress_strings.link_add))&&(tp.content.link.prompt_shown=!0,l("edit-form-body").one("mousedown","textarea",function(){var e=this.id;i(document).one("mouseup",function(){"undefined"!=typeof wpLink&&(wpLink.open(e),tp.table.set_table_changed())})}))}},image:{prompt_shown:!1,add:function(){(tp.content.image.prompt_shown||confirm(tablepress_strings.image_add))&&(tp.content.image.prompt_shown=!0,l("edit-form-body").one("click","textarea",function(){var e=this.id,t={frame:"post",state:"insert",title:wp.media.view.l10n.addMedia,multiple:!0};this.selectionStart=this.selectionEnd=this.value.length,i(this).trigger("blur"),wp.media.editor.open(e,t),tp.table.set_table_changed()}))}},span:{prompt_shown:!1,add:function(n){var e="#rowspan#"===n?tablepress_strings.rowspan_add:tablepress_strings.colspan_add;if(!1===tp.content.span.prompt_shown&&(tp.content.span.prompt_shown={},tp.content.span.prompt_shown["#rowspan#"]=tp.content.span.prompt_shown["#colspan#"]=!1),l("option-use-datatables").prop("checked")){if(!confirm(tablepress_strings.span_add_datatables_warning))return;l("option-use-datatables").prop("checked",!1).trigger("change")}(tp.content.span.prompt_shown[n]||confirm(e))&&(tp.content.span.prompt_shown[n]=!0,l("edit-form-body").one("click","textarea",function(){var e=i(this),t=e.parent().index(),a=e.closest("tr").index();if("#rowspan#"===n){if(0===a)return void alert(tablepress_strings.no_rowspan_first_row);if(tp.table.head&&1===a)return void alert(tablepress_strings.no_rowspan_table_head);if(tp.table.foot&&tp.table.rows-1===a)return void alert(tablepress_strings.no_rowspan_table_foot)}else if("#colspan#"===n&&tp.table.no_data_columns_pre===t)return void alert(tablepress_strings.no_colspan_first_col);e.val(n),tp.table.set_table_changed()}))}}},tp.check={table_id:function(e){37!==e.which&&39!==e.which&&(e=i(this)).val(e.val().replace(/[^0-9a-zA-Z-_]/g,""))},changes_saved:function(){if(tp.made_changes)return tablepress_strings.unsaved_changes_unload}},tp.reindex=function(){var a,n,e=l("edit-form-body").children(),o={};tp.table.rows=e.length,0<tp.table.rows?tp.table.columns=e.first().children().length-tp.table.no_data_columns_pre-tp.table.no_data_columns_post:tp.table.columns=0,e.each(function(t,e){(a=i(e)).find("textarea").val(function(e,a){if(""===a||"="!==a.charAt(0))return a;var t=a.match(/{.+?}/g);return(t=null===t?[a]:t).forEach(function(e){var t=e.replace(/([A-Z]+[0-9]+)(?::([A-Z]+[0-9]+))?/g,function(e,t,a){return o.hasOwnProperty(t)||((n=l("cell-"+t)).length?o[t]=tp.columns.number_to_letter(n.parent().index()-tp.table.no_data_columns_pre+1)+(n.closest("tr").index()+1):o[t]=t),e=o[t],void 0!==a&&""!==a&&(o.hasOwnProperty(a)||((n=l("cell-"+a)).length?o[a]=tp.columns.number_to_letter(n.parent().index()-tp.table.no_data_columns_pre+1)+(n.closest("tr").index()+1):o[a]=a),e+=":"+o[a]),e});a=a.replace(e,t)}),a}).attr("name",function(e){return"table[data]["+t+"]["+e+"]"}),a.find(".move-handle").html(t+1)}).each(function(t,e){i(e).find("textarea").attr("id",function(e){return"cell-"+tp.columns.number_to_letter(e+1)+(t+1)})}),l("edit-form-head").find(".move-handle").html(function(e){return tp.columns.number_to_letter(e+1)}),l("number-rows").val(tp.table.rows),l("number-columns").val(tp.table.columns),tp.table.set_table_changed()},tp.save_changes={trigger:function(e){return l("option-datatables-paginate").prop("checked")&&!/^[1-9][0-9]{0,4}$/.test(l("option-datatables-paginate_entries").val())?(alert(tablepress_strings.num_pagination_entries_invalid),void l("option-datatables-paginate_entries").trigger("focus").trigger("select")):/[^A-Za-z0-9- _:]/.test(l("option-extra-css-classes").val())?(alert(tablepress_strings.extra_css_classes_invalid),void l("option-extra-css-classes").trigger("focus").trigger("select")):e.shiftKey?(tp.made_changes=!1,void l("tablepress-page").find("form").trigger("submit")):(i(this).closest("p").append('<span class="animation-saving spinner is-active" title="'+tablepress_strings.saving_changes+'"/>'),i(".save-changes-button").prop("disabled",!0),i("body").addClass("wait"),void i.ajax({type:"POST",url:ajaxurl,data:tp.table.prepare_ajax_request("tablepress_save_table","#nonce-edit-table"),success:tp.save_changes.ajax_success,error:tp.save_changes.ajax_error,dataType:"json"}))},ajax_success:function(e,t){void 0===t||"success"!==t?tp.save_changes.error("AJAX call successful, but unclear status. Try again while holding down the &#8220;Shift&#8221; key."):null==e||"-1"===e||void 0===e.success?tp.save_changes.error("AJAX call successful, but unclear data. Try again while holding down the &#8220;Shift&#8221; key."):!0!==e.success?(t="",void 0!==e.error_details&&tablepress_options.print_debug_output&&(t="</p><p>These errors were encountered:</p><pre>"+e.error_details+"</pre><p>"),tp.save_changes.error("AJAX call successful, internal saving process failed. Try again while holding down the &#8220;Shift&#8221; key."+t)):tp.save_changes.success(e)},ajax_error:function(e,t,a){tp.save_changes.error("AJAX call failed: "+t+" - "+a+". Try again while holding down the &#8220;Shift&#8221; key.")},success:function(e){tp.table.id!==e.table_id&&"pushState"in window.history&&null!==window.history.pushState&&window.history.pushState("","",window.location.href.replace(/table_id=[0-9a-zA-Z-_]+/gi,"table_id="+e.table_id)),l("edit-form").removeClass("tablepress-edit-screen-id-"+tp.table.id).addClass("tablepress-edit-screen-id-"+e.table_id),tp.table.id=tp.table.new_id=e.table_id,l("table-id").val(tp.table.id),l("table-new-id").val(tp.table.new_id),i(".table-shortcode").val("["+tablepress_options.shortcode+" id="+tp.table.new_id+" /]"),l("nonce-edit-table").val(e.new_edit_nonce),l("nonce-preview-table").val(e.new_preview_nonce);var t=i(".show-preview-button");t.length&&t.attr("href",t.first().attr("href").replace(/item=[a-zA-Z0-9_-]+/g,"item="+e.table_id).replace(/&_wpnonce=[a-z0-9]+/gi,"&_wpnonce="+e.new_preview_nonce)),l("last-modified").text(e.last_modified),l("last-editor").text(e.last_editor),tp.table.unset_table_changed(),tp.save_changes.after_saving_dialog("success",tablepress_strings[e.message])},error:function(e){tp.save_changes.after_saving_dialog("error",e)},after_saving_dialog:function(e,t){t=void 0===t?"":": "+t;var a="save-changes-"+e,n="success"===e?(a+=" notice notice-success",3e3):(a+=" notice notice-error",6e3);i(".animation-saving").closest("p").after('<div class="ajax-alert '+a+'"><p>'+tablepress_strings["save_changes_"+e]+t+"</p></div>"),i(".animation-saving").remove(),i(".save-changes-"+e).delay(n).fadeOut(2e3,function(){i(this).remove()}),i(".save-changes-button").prop("disabled",!1),i("body").removeClass("wait")}},tp.init=function(){var e={click:{"#rows-insert":tp.rows.insert,"#columns-insert":tp.columns.insert,"#rows-duplicate":tp.rows.duplicate,"#columns-duplicate":tp.columns.duplicate,"#rows-remove":tp.rows.remove,"#columns-remove":tp.columns.remove,"#rows-hide":tp.rows.hide,"#columns-hide":tp.columns.hide,"#rows-unhide":tp.rows.unhide,"#columns-unhide":tp.columns.unhide,"#rows-append":tp.rows.append,"#columns-append":tp.columns.append,"#link-add":tp.content.link.add,"#image-add":tp.content.image.add,"#span-add-rowspan":function(){tp.content.span.add("#rowspan#")},"#span-add-colspan":function(){tp.content.span.add("#colspan#")},".show-preview-button":tp.table.preview.trigger,".save-changes-button":tp.save_changes.trigger,".show-help-box":function(){var e=i(this).data("help-box");i(e).wpdialog({title:i(this).attr("title"),height:470,width:320,modal:!0,dialogClass:"wp-dialog",closeOnEscape:!0})}},keyup:{"#table-new-id":tp.check.table_id},change:{"#option-table-head":tp.table.change_table_head,"#option-table-foot":tp.table.change_table_foot,"#option-use-datatables":tp.table.change_datatables,"#option-datatables-paginate":tp.table.change_datatables_pagination},blur:{"#table-new-id":tp.table.change_id}},t=l("edit-form-body");i.each(e,function(a,e){i.each(e,function(e,t){i(e).on(a,t)})}),i(window).on("beforeunload",tp.check.changes_saved),l("option-table-head").trigger("change"),l("option-print-name").on("change",tp.table.change_print_name_description).trigger("change"),l("option-print-description").on("change",tp.table.change_print_name_description).trigger("change"),t.one("change","textarea",tp.table.set_table_changed),i("#tablepress_edit-table-information, #tablepress_edit-table-options, #tablepress_edit-datatables-features").one("change","input, textarea, select",tp.table.set_table_changed),tablepress_options.cells_advanced_editor?(t.on("click","textarea",tp.cells.advanced_editor.keyopen),l("advanced-editor-open").on("click",tp.cells.advanced_editor.buttonopen),l("advanced-editor-confirm").on("click",tp.cells.advanced_editor.save),l("advanced-editor-cancel").on("click",tp.cells.advanced_editor.close),l("advanced-editor").wpdialog({autoOpen:!1,title:l("advanced-editor-open").val(),width:600,modal:!0,dialogClass:"wp-dialog",resizable:!1,closeOnEscape:!0}),l("wp-link").on("focus","input",function(e){e.stopPropagation()})):l("advanced-editor-open").hide(),i("body").on("focus",".media-modal .media-frame-content input, .media-modal .media-frame-content textarea",function(e){e.stopPropagation()}),tablepress_options.cells_auto_grow&&t.on("focus","textarea",tp.cells.autogrow),l("edit-form-body").on("click","input:checkbox",{parent:"#edit-form-body"},tp.cells.checkboxes.multi_select),l("edit-form-foot").on("click","input:checkbox",{parent:"#edit-form-foot"},tp.cells.checkboxes.multi_select),l("edit-form-head").on("click",".sort-control",tp.rows.sort),l("tablepress-page").find("form").on("submit",function(){i(this).find(".tablepress-postbox-table").find("input, select").prop("disabled",!1)}),t.sortable({axis:"y",containment:l("edit-form"),forceHelperSize:!0,handle:".move-handle",start:tp.rows.move.start,change:tp.rows.move.change,stop:tp.rows.move.stop,update:tp.reindex}),l("edit-form-head").sortable({axis:"x",items:".head",containment:"parent",forceHelperSize:!0,helper:"clone",handle:".move-handle",start:tp.columns.move.start,stop:tp.columns.move.stop,change:tp.columns.move.change,sort:tp.columns.move.sort}).disableSelection()},tp.init()});
\ No newline at end of file
+window.tp=window.tp||{},jQuery(function(e){"use strict";var t=function(t){return e(document.getElementById(t))};tp.made_changes=!1,tp.table={id:t("table-id").val(),new_id:t("table-new-id").val(),rows:parseInt(t("number-rows").val(),10),columns:parseInt(t("number-columns").val(),10),head:t("option-table-head").prop("checked"),foot:t("option-table-foot").prop("checked"),no_data_columns_pre:2,no_data_columns_post:1,body_cells_pre:'<tr><td><span class="move-handle"></span></td><td><input type="checkbox" /><input type="hidden" class="visibility" name="table[visibility][rows][]" value="1" /></td>',body_cells_post:'<td><span class="move-handle"></span></td></tr>',body_cell:'<td><textarea rows="1"></textarea></td>',head_cell:'<th class="head"><span class="sort-control sort-desc" title="'+tablepress_strings.sort_desc+'"><span class="sorting-indicator"></span></span><span class="sort-control sort-asc" title="'+tablepress_strings.sort_asc+'"><span class="sorting-indicator"></span></span><span class="move-handle"></span></th>',foot_cell:'<th><input type="checkbox" /><input type="hidden" class="visibility" name="table[visibility][columns][]" value="1" /></th>',set_table_changed:function(){tp.made_changes=!0,tp.history.record(),tp.formulas.schedule_refresh()},unset_table_changed:function(){tp.made_changes=!1,tp.history.saved=tp.history.get_fingerprint(),t("edit-form-body").one("change","textarea",tp.table.set_table_changed),e("#tablepress_edit-table-information, #tablepress_edit-table-options, #tablepress_edit-datatables-features").one("change","input, textarea, select",tp.table.set_table_changed)},change_id:function(){return""===t("table-new-id").val().toString().trim()?(alert(tablepress_strings.table_id_not_empty),void t("table-new-id").val(tp.table.new_id).trigger("focus").trigger("select")):"0"===t("table-new-id").val().toString().trim()?(alert(tablepress_strings.table_id_not_zero),void t("table-new-id").val(tp.table.new_id).trigger("focus").trigger("select")):void(this.value!==tp.table.new_id&&(confirm(tablepress_strings.ays_change_table_id)?(tp.table.new_id=this.value,e(".table-shortcode").val("["+tablepress_options.shortcode+" id="+tp.table.new_id+" /]").trigger("click"),tp.table.set_table_changed()):e(this).val(tp.table.new_id)))},change_table_head:function(){tp.table.head=e(this).prop("checked"),t("option-use-datatables").prop("disabled",!tp.table.head).trigger("change"),t("notice-datatables-head-row").toggle(!tp.table.head),tp.rows.stripe()},change_table_foot:function(){tp.table.foot=e(this).prop("checked"),tp.rows.stripe()},change_print_name_description:function(){t(this.id+"-position").prop("disabled",!e(this).prop("checked"))},change_datatables:function(){var e=t("option-use-datatables"),a=!(e.prop("checked")&&!e.prop("disabled"));e.closest("tbody").find("input").not(e).prop("disabled",a),tp.table.change_datatables_pagination()},change_datatables_pagination:function(){var e=t("option-datatables-paginate"),a=e.prop("checked")&&!e.prop("disabled");t("option-datatables-lengthchange").prop("disabled",!a),t("option-datatables-paginate_entries").prop("disabled",!a),t("option-datatables-serverside").prop("disabled",!a)},prepare_ajax_request:function(a,s){var n,r=t("edit-form-body"),o=[],l={rows:tp.table.rows,columns:tp.table.columns,hidden_rows:0,hidden_columns:0},i={rows:[],columns:[]};return r.children().each(function(t,a){o[t]=e(a).find("textarea").map(function(){return this.value}).get()}),o=JSON.stringify(o),n={table_head:tp.table.head,table_foot:tp.table.foot,alternating_row_colors:t("option-alternating-row-colors").prop("checked"),row_hover:t("option-row-hover").prop("checked"),print_name:t("option-print-name").prop("checked"),print_description:t("option-print-description").prop("checked"),print_name_position:t("option-print-name-position").val(),print_description_position:t("option-print-description-position").val(),extra_css_classes:t("option-extra-css-classes").val(),use_datatables:t("option-use-datatables").prop("checked"),datatables_sort:t("option-datatables-sort").prop("checked"),datatables_filter:t("option-datatables-filter").prop("checked"),datatables_paginate:t("option-datatables-paginate").prop("checked"),datatables_lengthchange:t("option-datatables-lengthchange").prop("checked"),datatables_paginate_entries:t("option-datatables-paginate_entries").val(),datatables_info:t("option-datatables-info").prop("checked"),datatables_scrollx:t("option-datatables-scrollx").prop("checked"),datatables_column_filters:t("option-datatables-column-filters").prop("checked"),datatables_serverside:t("option-datatables-serverside").prop("checked"),datatables_custom_commands:t("option-datatables-custom-commands").val()},n=JSON.stringify(n),i.rows=r.find('input[type="hidden"]').map(function(){return"1"===e(this).val()?1:(l.hidden_rows+=1,0)}).get(),i.columns=t("edit-form-foot").find('input[type="hidden"]').map(function(){return"1"===e(this).val()?1:(l.hidden_columns+=1,0)}).get(),i=JSON.stringify(i),{action:a,_ajax_nonce:e(s).val(),tablepress:{id:tp.table.id,new_id:tp.table.new_id,name:t("table-name").val(),description:t("table-description").val(),number:l,data:o,options:n,visibility:i}}},preview:{trigger:function(){return tp.made_changes?t("option-datatables-paginate").prop("checked")&&!/^[1-9][0-9]{0,4}$/.test(t("option-datatables-paginate_entries").val())?(alert(tablepress_strings.num_pagination_entries_invalid),void t("option-datatables-paginate_entries").trigger("focus").trigger("select")):/[^A-Za-z0-9- _:]/.test(t("option-extra-css-classes").val())?(alert(tablepress_strings.extra_css_classes_invalid),void t("option-extra-css-classes").trigger("focus").trigger("select")):(e(this).closest("p").append('<span class="animation-preview spinner is-active" title="'+tablepress_strings.preparing_preview+'"/>'),e("body").addClass("wait"),t("table-preview").empty(),e.ajax({type:"POST",url:ajaxurl,data:tp.table.prepare_ajax_request("tablepress_preview_table","#nonce-preview-table"),success:tp.table.preview.ajax_success,error:tp.table.preview.ajax_error,dataType:"json"}),!1):(tp.table.preview.show(e(this).attr("href")+"&TB_iframe=true"),!1)},ajax_success:function(e,t){void 0===t||"success"!==t?tp.table.preview.error("AJAX call successful, but unclear status."):null==e||"-1"===e||void 0===e.success||!0!==e.success?tp.table.preview.error("AJAX call successful, but unclear data."):tp.table.preview.success(e)},ajax_error:function(e,t,a){tp.table.preview.error("AJAX call failed: "+t+" - "+a)},success:function(a){t("table-preview").empty(),e('<iframe id="table-preview-iframe" />').load(function(){var t=e(this).contents();t.find("head").append(a.head_html),t.find("body").append(a.body_html)}).appendTo("#table-preview"),e(".animation-preview").remove(),e("body").removeClass("wait"),tp.table.preview.show("#TB_inline?inlineId=preview-container")},error:function(t){e(".animation-preview").closest("p").after('<div class="ajax-alert preview-error error"><p>'+tablepress_strings.preview_error+": "+t+"</p></div>"),e(".animation-preview").remove(),e(".preview-error").delay(6e3).fadeOut(2e3,function(){e(this).remove()}),e("body").removeClass("wait")},show:function(t){var a=e(window).width()-120,s=e(window).height()-120;e("#wpadminbar").length&&(s-=parseInt(e("#wpadminbar").css("height"),10)),tb_show(e(".show-preview-button").first().text(),t+"&height="+s+"&width="+a,!1)}}},tp.rows={create:function(a){var s,n,r,o="";for(s=0;s<a;s++){for(o+=tp.table.body_cells_pre,n=0;n<tp.table.columns;n++)o+=tp.table.body_cell;o+=tp.table.body_cells_post}return r=t("edit-form-foot").find(".column-hidden").map(function(){return e(this).index()}).get(),e(o).each(function(t,a){e(a).children().filter(function(t){return-1!==e.inArray(t,r)}).addClass("column-hidden")})},append:function(){var e=t("rows-append-number").val();if(!/^[1-9][0-9]{0,4}$/.test(e))return alert(tablepress_strings.append_num_rows_invalid),void t("rows-append-number").trigger("focus").trigger("select");t("edit-form-body").append(tp.rows.create(e)),tp.rows.stripe(),tp.reindex()},insert:function(e){var a=t("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==a.length?(a.before(tp.rows.create(1)),tp.rows.stripe(),tp.reindex()):alert(tablepress_strings.no_rows_selected)},duplicate:function(a){var s=t("edit-form-body").find("input:checked").prop("checked",a.shiftKey).closest("tr");0!==s.length?(s.each(function(t,a){var s=e(a),n=s.find("textarea"),r=s.clone();r.find("textarea").removeAttr("id").each(function(t,a){e(a).val(n.eq(t).val())}),s.after(r)}),tp.rows.stripe(),tp.reindex()):alert(tablepress_strings.no_rows_selected)},hide:function(e){var a=t("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==a.length?(a.addClass("row-hidden").find(".visibility").val("0"),tp.rows.stripe(),tp.table.set_table_changed()):alert(tablepress_strings.no_rows_selected)},unhide:function(e){var a=t("edit-form-body").find("input:checked").prop("checked",e.shiftKey).closest("tr");0!==a.length?(a.removeClass("row-hidden").find(".visibility").val("1"),tp.rows.stripe(),tp.table.set_table_changed()):alert(tablepress_strings.no_rows_selected)},remove:function(){var e,a=t("edit-form-body").find("input:checked").closest("tr");0!==a.length?tp.table.rows!==a.length?(e=1===a.length?tablepress_strings.ays_remove_rows_singular:tablepress_strings.ays_remove_rows_plural,confirm(e)&&(a.remove(),tp.rows.stripe(),tp.reindex())):alert(tablepress_strings.no_remove_all_rows):alert(tablepress_strings.no_rows_selected)},move:{start:function(t,a){e(a.placeholder).removeClass("row-hidden").css("visibility","visible").html('<td colspan="'+(tp.table.columns+tp.table.no_data_columns_pre+tp.table.no_data_columns_post)+'"><div/></td>'),e(a.helper).removeClass("odd head-row foot-row")},change:function(e,t){tp.rows.stripe(t.helper)},stop:function(){tp.rows.stripe()}},sort:function(){var t=e(this).parent().index(),a=e(this).hasClass("sort-asc")?1:-1,s=e("#edit-form-body"),n=s.find(".head-row").prevAll().addBack(),r=s.find(".foot-row").nextAll().addBack(),o=s.children().not(n).not(r).get();e.each(o,function(a,s){s.sort_key=(""+e(s).children().eq(t).find("textarea").val()).toLowerCase()}),o.sort(function(e,t){return a*function(e,t){var a,s,n=/(^([+\-]?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?(?=\D|\s|$))|^0x[\da-fA-F]+$|\d+)/g,r=/^\s+|\s+$/g,o=/\s+/g,l=/^0x[0-9a-f]+$/i,i=/^0/,c=e.replace(r,"")||"",p=t.replace(r,"")||"",d=c.replace(n,"\0$1\0").replace(/\0$/,"").replace(/^\0/,"").split("\0"),u=p.replace(n,"\0$1\0").replace(/\0$/,"").replace(/^\0/,"").split("\0"),h=parseInt(c.match(l),16)||1!==d.length&&Date.parse(c),_=parseInt(p.match(l),16)||h&&p.match(/(^([\w ]+,?[\w ]+)?[\w ]+,?[\w ]+\d+:\d+(:\d+)?[\w ]?|^\d{1,4}[\/\-]\d{1,4}[\/\-]\d{1,4}|^\w+, \w+ \d+, \d{4})/)&&Date.parse(p)||null,m=function(e,t){return(!e.match(i)||1===t)&&parseFloat(e)||e.replace(o," ").replace(r,"")||0};if(_){if(h<_)return-1;if(h>_)return 1}for(var f=0,b=d.length,g=u.length,v=Math.max(b,g);f<v;f++){if(a=m(d[f]||"",b),s=m(u[f]||"",g),isNaN(a)!==isNaN(s))return isNaN(a)?1:-1;if(/[^\x00-\x80]/.test(a+s)&&a.localeCompare){var w=a.localeCompare(s);return w/Math.abs(w)}if(a<s)return-1;if(a>s)return 1}}(e.sort_key,t.sort_key)}),e.each(o,function(e,t){t.sort_key=null}),s.append(n),s.append(o),s.append(r),tp.rows.stripe(),tp.reindex()},stripe:function(a){void 0===a&&(a=null),a=e(a);var s=t("edit-form-body").children().removeClass("odd head-row foot-row").not(a);s.even().addClass("odd"),s=s.not(".row-hidden"),a.hasClass("row-hidden")&&(s=s.not(".ui-sortable-placeholder")),tp.table.head&&s.first().addClass("head-row"),tp.table.foot&&s.last().addClass("foot-row")}},tp.columns={append:function(){var e=t("columns-append-number").val();if(!/^[1-9][0-9]{0,4}$/.test(e))return alert(tablepress_strings.append_num_columns_invalid),void t("columns-append-number").trigger("focus").trigger("select");tp.columns.add(e),tp.reindex()},add:function(a){var s,n="",r="",o="";for(s=0;s<a;s++)r+=tp.table.body_cell,n+=tp.table.head_cell,o+=tp.table.foot_cell;t("edit-form-body").children().each(function(t,a){e(a).children().slice(-tp.table.no_data_columns_post).before(r)}),t("edit-form-head").children().slice(-tp.table.no_data_columns_post).before(n),t("edit-form-foot").children().slice(-tp.table.no_data_columns_post).before(o)},insert:function(a){var s,n=t("edit-form-foot").find("input:checked").prop("checked",a.shiftKey).closest("th");0!==n.length?(s=n.map(function(){return e(this).index()}).get(),t("edit-form-body").children().each(function(t,a){e(a).children().filter(function(t){return-1!==e.inArray(t,s)}).before(tp.table.body_cell)}),t("edit-form-head").children().filter(function(t){return-1!==e.inArray(t,s)}).before(tp.table.head_cell),n.before(tp.table.foot_cell),tp.reindex()):alert(tablepress_strings.no_columns_selected)},duplicate:function(a){var s,n=t("edit-form-foot").find("input:checked").prop("checked",a.shiftKey).closest("th");0!==n.length?(s=n.map(function(){return e(this).index()}).get(),t("edit-form").find("tr").each(function(t,a){e(a).children().each(function(t,a){if(-1!==e.inArray(t,s)){var n=e(a),r=n.clone();r.find("textarea").removeAttr("id").val(n.find("textarea").val()),n.after(r)}})}),tp.reindex()):alert(tablepress_strings.no_columns_selected)},hide:function(a){var s,n=t("edit-form-foot").find("input:checked").prop("checked",a.shiftKey).closest("th");0!==n.length?(s=n.map(function(){return e(this).index()}).get(),t("edit-form-body").children().add("#edit-form-head").each(function(t,a){e(a).children().filter(function(t){return-1!==e.inArray(t,s)}).addClass("column-hidden")}),n.addClass("column-hidden").find(".visibility").val("0"),tp.table.set_table_changed()):alert(tablepress_strings.no_columns_selected)},unhide:function(a){var s,n=t("edit-form-foot").find("input:checked").prop("checked",a.shiftKey).closest("th");0!==n.length?(s=n.map(function(){return e(this).index()}).get(),t("edit-form-body").children().add("#edit-form-head").each(function(t,a){e(a).children().filter(function(t){return-1!==e.inArray(t,s)}).removeClass("column-hidden")}),n.removeClass("column-hidden").find(".visibility").val("1"),tp.table.set_table_changed()):alert(tablepress_strings.no_columns_selected)},remove:function(){var a,s,n=t("edit-form-foot").find("input:checked").closest("th");0!==n.length?tp.table.columns!==n.length?(s=1===n.length?tablepress_strings.ays_remove_columns_singular:tablepress_strings.ays_remove_columns_plural,confirm(s)&&(a=n.map(function(){return e(this).index()}).get(),t("edit-form-body").children().add("#edit-form-head").each(function(t,s){e(s).children().filter(function(t){return-1!==e.inArray(t,a)}).remove()}),n.remove(),tp.reindex())):alert(tablepress_strings.no_remove_all_columns):alert(tablepress_strings.no_columns_selected)},move:{source_idx:-1,target_idx:-1,$rows:null,$row_children:null,$cell:null,$cells:null,$placeholder:null,$helper:null,start:function(a,s){var n,r=e(s.item);tp.columns.move.source_idx=r.index(),tp.columns.move.$rows=t("edit-form-body").children().add("#edit-form-foot"),tp.columns.move.$cells=tp.columns.move.$rows.children(":nth-child("+(tp.columns.move.source_idx+1)+")").each(function(){tp.columns.move.$cell=e(this),e('<td class="move-placeholder"><div/></td>').insertBefore(tp.columns.move.$cell),tp.columns.move.$cell.insertAfter(tp.columns.move.$cell.nextAll().last()).clone().addClass("move-hover").insertAfter(tp.columns.move.$cell).find("textarea").val(tp.columns.move.$cell.find("textarea").val())}).hide(),tp.columns.move.$helper=tp.columns.move.$rows.find(".move-hover"),n=tp.columns.move.$helper.eq(1).width(),tp.columns.move.$helper.eq(0).width(n),tp.columns.move.$placeholder=tp.columns.move.$rows.find(".move-placeholder"),tp.columns.move.$placeholder.find("div").width(n)},change:function(t,a){tp.columns.move.target_idx=e(a.placeholder).index(),tp.columns.move.target_idx-tp.columns.move.source_idx===1?tp.columns.move.target_idx+=1:tp.columns.move.target_idx===tp.columns.move.source_idx&&(tp.columns.move.target_idx-=1),tp.columns.move.$placeholder.each(function(){tp.columns.move.$cell=e(this),tp.columns.move.$cell.insertBefore(tp.columns.move.$cell.parent().children().eq(tp.columns.move.target_idx))}),tp.columns.move.target_idx>tp.columns.move.source_idx&&(tp.columns.move.target_idx-=1),tp.columns.move.source_idx=tp.columns.move.target_idx},sort:function(e,t){tp.columns.move.$helper.css("left",t.position.left)},stop:function(){tp.columns.move.$helper.remove(),tp.columns.move.$cells.each(function(){tp.columns.move.$cell=e(this),tp.columns.move.$cell.insertBefore(tp.columns.move.$cell.parent().find(".move-placeholder"))}).show(),tp.columns.move.$placeholder.remove(),tp.columns.move.source_idx=tp.columns.move.target_idx=-1,tp.columns.move.$rows=tp.columns.move.$row_children=tp.columns.move.$cell=tp.columns.move.$cells=tp.columns.move.$placeholder=tp.columns.move.$helper=null,tp.reindex()}},number_to_letter:function(e){for(var t="";e>0;)t=String.fromCharCode(65+(e-1)%26)+t,e=Math.floor((e-1)/26);return t}},tp.cells={$focus:e(null),$textarea:null,autogrow:function(){tp.cells.$focus.removeClass("focus"),tp.cells.$focus=e(this).closest("tr").addClass("focus")},advanced_editor:{prompt_shown:!1,keyopen:function(a){if(a.shiftKey&&this===document.activeElement){var s=t("advanced-editor-content");tp.cells.$textarea=e(this).trigger("blur"),s.val(tp.cells.$textarea.val()),t("advanced-editor").wpdialog("open"),s.get(0).selectionStart=s.get(0).selectionEnd=s.val().length,s.trigger("focus")}},buttonopen:function(){(tp.cells.advanced_editor.prompt_shown||confirm(tablepress_strings.advanced_editor_open))&&(tp.cells.advanced_editor.prompt_shown=!0,t("edit-form-body").one("click","textarea",function(){var a=t("advanced-editor-content");tp.cells.$textarea=e(this).trigger("blur"),a.val(tp.cells.$textarea.val()),t("advanced-editor").wpdialog("open"),a.get(0).selectionStart=a.get(0).selectionEnd=a.val().length,a.trigger("focus")}))},save:function(){var e=t("advanced-editor-content").trigger("blur").val();tp.cells.$textarea.val()!==e&&(tp.cells.$textarea.val(e),tp.cells.$textarea.get(0).selectionStart=tp.cells.$textarea.get(0).selectionEnd=tp.cells.$textarea.val().length,tp.table.set_table_changed()),tp.cells.$textarea.trigger("focus"),tp.cells.advanced_editor.close()},close:function(){return t("advanced-editor").wpdialog("close"),!1}},position:function(t){var a=e(t).parent();return{row:a.parent().index(),column:a.index()-tp.table.no_data_columns_pre}},get:function(e,a){return t("cell-"+tp.columns.number_to_letter(a+1)+(e+1))},keyboard:{navigate:function(e){var t,a,s=this.value,n=this.selectionStart,r=this.selectionEnd,o=n===r,l=0,i=0;if(!e.ctrlKey&&!e.metaKey){switch(e.which){case 9:i=e.shiftKey?-1:1;break;case 13:if(e.altKey)return e.preventDefault(),this.value=s.substring(0,n)+"\n"+s.substring(r),void(this.selectionStart=this.selectionEnd=n+1);l=e.shiftKey?-1:1;break;case 37:if(e.shiftKey||e.altKey||!o||0!==n)return;i=-1;break;case 39:if(e.shiftKey||e.altKey||!o||s.length!==r)return;i=1;break;case 38:if(e.shiftKey||e.altKey||!o||-1!==s.lastIndexOf("\n",n-1))return;l=-1;break;case 40:if(e.shiftKey||e.altKey||!o||-1!==s.indexOf("\n",r))return;l=1;break;case 27:return void tp.cells.range.clear();default:return}e.preventDefault(),(t=tp.cells.position(this)).row+=l,t.column+=i,t.column>=tp.table.columns&&9===e.which?(t.column=0,t.row++):t.column<0&&9===e.which&&(t.column=tp.table.columns-1,t.row--),(a=tp.cells.get(t.row,t.column)).length&&(tp.cells.range.clear(),a.trigger("focus"),a.get(0).selectionStart=a.get(0).selectionEnd=a.val().length)}}},range:{start:null,end:null,select:function(t){var a=document.activeElement;t.shiftKey?this!==a&&e(a).closest("#edit-form-body").length&&e(a).is("textarea")&&(t.preventDefault(),null===tp.cells.range.start&&(tp.cells.range.start=tp.cells.position(a)),tp.cells.range.end=tp.cells.position(this),tp.cells.range.highlight()):tp.cells.range.clear()},highlight:function(){var a=tp.cells.range.get();t("edit-form-body").find(".range-selected").removeClass("range-selected"),null!==a&&t("edit-form-body").children().slice(a.top,a.bottom+1).each(function(){e(this).children().slice(tp.table.no_data_columns_pre+a.left,tp.table.no_data_columns_pre+a.right+1).addClass("range-selected")})},get:function(){return null===tp.cells.range.start||null===tp.cells.range.end?null:{top:Math.min(tp.cells.range.start.row,tp.cells.range.end.row),bottom:Math.max(tp.cells.range.start.row,tp.cells.range.end.row),left:Math.min(tp.cells.range.start.column,tp.cells.range.end.column),right:Math.max(tp.cells.range.start.column,tp.cells.range.end.column)}},clear:function(){tp.cells.range.start=tp.cells.range.end=null,tp.cells.range.highlight()}},clipboard:{to_tsv:function(t){return e.map(t,function(t){return e.map(t,function(e){return/[\t\n\r"]/.test(e)&&(e='"'+e.replace(/"/g,'""')+'"'),e}).join("\t")}).join("\n")},from_tsv:function(e){var t,a,s=[[]],n="",r=!1;for(e=e.replace(/\r\n?/g,"\n").replace(/\n$/,""),t=0;t<e.length;t++)a=e.charAt(t),r?'"'===a&&'"'===e.charAt(t+1)?(n+='"',t++):'"'===a?r=!1:n+=a:'"'===a&&""===n?r=!0:"\t"===a?(s[s.length-1].push(n),n=""):"\n"===a?(s[s.length-1].push(n),s.push([]),n=""):n+=a;return s[s.length-1].push(n),s},copy:function(a){var s=tp.cells.range.get(),n=a.originalEvent.clipboardData,r=[];null!==s&&n&&(e(a.target).is("input, textarea, select")&&!e(a.target).closest("#edit-form-body").length||(t("edit-form-body").children().slice(s.top,s.bottom+1).each(function(){r.push(e(this).find("textarea").slice(s.left,s.right+1).map(function(){return this.value}).get())}),n.setData("text/plain",tp.cells.clipboard.to_tsv(r)),a.preventDefault()))},paste:function(a){var s,n,r,o,l=a.originalEvent.clipboardData,i=tp.cells.range.get(),c=0;l&&(s=l.getData("text/plain"),/[\t\n\r]/.test(s.replace(/\r?\n$/,""))&&(a.preventDefault(),n=tp.cells.clipboard.from_tsv(s),o=(r=null!==i?{row:i.top,column:i.left}:tp.cells.position(this)).row+n.length-tp.table.rows,e.each(n,function(e,t){c=Math.max(c,r.column+t.length-tp.table.columns)}),c>0&&(tp.columns.add(c),tp.table.columns+=c),o>0&&t("edit-form-body").append(tp.rows.create(o)),t("edit-form-body").children().slice(r.row,r.row+n.length).each(function(t,a){var s=e(a).find("textarea");e.each(n[t],function(e,t){s.eq(r.column+e).val(t)})}),tp.cells.range.start=r,tp.cells.range.end={row:r.row+n.length-1,column:r.column+n[0].length-1},e.each(n,function(e,t){tp.cells.range.end.column=Math.max(tp.cells.range.end.column,r.column+t.length-1)}),tp.rows.stripe(),tp.reindex(),tp.cells.range.highlight()))}},checkboxes:{last_clicked:{"#edit-form-body":!1,"#edit-form-foot":!1},multi_select:function(t){if("undefined"===t.shiftKey)return!0;if(t.shiftKey){if(!tp.cells.checkboxes.last_clicked[t.data.parent])return!0;var a=e(t.data.parent).find(":checkbox"),s=a.index(tp.cells.checkboxes.last_clicked[t.data.parent]),n=a.index(this);s!==n&&a.slice(Math.min(s,n),Math.max(s,n)).prop("checked",e(this).prop("checked"))}return tp.cells.checkboxes.last_clicked[t.data.parent]=this,!0}}},tp.content={link:{prompt_shown:!1,add:function(){(tp.content.link.prompt_shown||confirm(tablepress_strings.link_add))&&(tp.content.link.prompt_shown=!0,t("edit-form-body").one("mousedown","textarea",function(){var t=this.id;e(document).one("mouseup",function(){"undefined"!=typeof wpLink&&(wpLink.open(t),tp.table.set_table_changed())})}))}},image:{prompt_shown:!1,add:function(){(tp.content.image.prompt_shown||confirm(tablepress_strings.image_add))&&(tp.content.image.prompt_shown=!0,t("edit-form-body").one("click","textarea",function(){var t=this.id,a={frame:"post",state:"insert",title:wp.media.view.l10n.addMedia,multiple:!0};this.selectionStart=this.selectionEnd=this.value.length,e(this).trigger("blur"),wp.media.editor.open(t,a),tp.table.set_table_changed()}))}},span:{prompt_shown:!1,add:function(a){var s="#rowspan#"===a?tablepress_strings.rowspan_add:tablepress_strings.colspan_add;if(!1===tp.content.span.prompt_shown&&(tp.content.span.prompt_shown={},tp.content.span.prompt_shown["#rowspan#"]=tp.content.span.prompt_shown["#colspan#"]=!1),t("option-use-datatables").prop("checked")){if(!confirm(tablepress_strings.span_add_datatables_warning))return;t("option-use-datatables").prop("checked",!1).trigger("change")}(tp.content.span.prompt_shown[a]||confirm(s))&&(tp.content.span.prompt_shown[a]=!0,t("edit-form-body").one("click","textarea",function(){var t=e(this),s=t.parent().index(),n=t.closest("tr").index();if("#rowspan#"===a){if(0===n)return void alert(tablepress_strings.no_rowspan_first_row);if(tp.table.head&&1===n)return void alert(tablepress_strings.no_rowspan_table_head);if(tp.table.foot&&tp.table.rows-1===n)return void alert(tablepress_strings.no_rowspan_table_foot)}else if("#colspan#"===a&&tp.table.no_data_columns_pre===s)return void alert(tablepress_strings.no_colspan_first_col);t.val(a),tp.table.set_table_changed()}))}}},tp.check={table_id:function(t){if(37!==t.which&&39!==t.which){var a=e(this);a.val(a.val().replace(/[^0-9a-zA-Z-_]/g,""))}},changes_saved:function(){if(tp.made_changes)return tablepress_strings.unsaved_changes_unload}},tp.reindex=function(){var a,s,n=t("edit-form-body").children(),r={};tp.table.rows=n.length,tp.table.rows>0?tp.table.columns=n.first().children().length-tp.table.no_data_columns_pre-tp.table.no_data_columns_post:tp.table.columns=0,n.each(function(n,o){(a=e(o)).find("textarea").val(function(e,a){if(""===a||"="!==a.charAt(0))return a;var n=a.match(/{.+?}/g);return null===n&&(n=[a]),n.forEach(function(e){var n=e.replace(/(Table[A-Za-z0-9_-]+!)?([A-Z]+[0-9]+)(?::([A-Z]+[0-9]+))?/g,function(e,a,n,o){return void 0!==a&&""!==a||(r.hasOwnProperty(n)||((s=t("cell-"+n)).length?r[n]=tp.columns.number_to_letter(s.parent().index()-tp.table.no_data_columns_pre+1)+(s.closest("tr").index()+1):r[n]=n),e=r[n],void 0!==o&&""!==o&&(r.hasOwnProperty(o)||((s=t("cell-"+o)).length?r[o]=tp.columns.number_to_letter(s.parent().index()-tp.table.no_data_columns_pre+1)+(s.closest("tr").index()+1):r[o]=o),e+=":"+r[o])),e});a=a.replace(e,n)}),a}).attr("name",function(e){return"table[data]["+n+"]["+e+"]"}),a.find(".move-handle").html(n+1)}).each(function(t,a){e(a).find("textarea").attr("id",function(e){return"cell-"+tp.columns.number_to_letter(e+1)+(t+1)})}),t("edit-form-head").find(".move-handle").html(function(e){return tp.columns.number_to_letter(e+1)}),t("number-rows").val(tp.table.rows),t("number-columns").val(tp.table.columns),tp.table.set_table_changed()},tp.save_changes={trigger:function(a){return t("option-datatables-paginate").prop("checked")&&!/^[1-9][0-9]{0,4}$/.test(t("option-datatables-paginate_entries").val())?(alert(tablepress_strings.num_pagination_entries_invalid),void t("option-datatables-paginate_entries").trigger("focus").trigger("select")):/[^A-Za-z0-9- _:]/.test(t("option-extra-css-classes").val())?(alert(tablepress_strings.extra_css_classes_invalid),void t("option-extra-css-classes").trigger("focus").trigger("select")):a.shiftKey?(tp.made_changes=!1,void t("tablepress-page").find("form").trigger("submit")):(e(this).closest("p").append('<span class="animation-saving spinner is-active" title="'+tablepress_strings.saving_changes+'"/>'),e(".save-changes-button").prop("disabled",!0),e("body").addClass("wait"),void e.ajax({type:"POST",url:ajaxurl,data:tp.table.prepare_ajax_request("tablepress_save_table","#nonce-edit-table"),success:tp.save_changes.ajax_success,error:tp.save_changes.ajax_error,dataType:"json"}))},ajax_success:function(e,t){if(void 0===t||"success"!==t)tp.save_changes.error("AJAX call successful, but unclear status. Try again while holding down the &#8220;Shift&#8221; key.");else if(null==e||"-1"===e||void 0===e.success)tp.save_changes.error("AJAX call successful, but unclear data. Try again while holding down the &#8220;Shift&#8221; key.");else if(!0!==e.success){var a="";void 0!==e.error_details&&tablepress_options.print_debug_output&&(a="</p><p>These errors were encountered:</p><pre>"+e.error_details+"</pre><p>"),tp.save_changes.error("AJAX call successful, internal saving process failed. Try again while holding down the &#8220;Shift&#8221; key."+a)}else tp.save_changes.success(e)},ajax_error:function(e,t,a){tp.save_changes.error("AJAX call failed: "+t+" - "+a+". Try again while holding down the &#8220;Shift&#8221; key.")},success:function(a){tp.table.id!==a.table_id&&"pushState"in window.history&&null!==window.history.pushState&&window.history.pushState("","",window.location.href.replace(/table_id=[0-9a-zA-Z-_]+/gi,"table_id="+a.table_id)),t("edit-form").removeClass("tablepress-edit-screen-id-"+tp.table.id).addClass("tablepress-edit-screen-id-"+a.table_id),tp.table.id=tp.table.new_id=a.table_id,t("table-id").val(tp.table.id),t("table-new-id").val(tp.table.new_id),e(".table-shortcode").val("["+tablepress_options.shortcode+" id="+tp.table.new_id+" /]"),t("nonce-edit-table").val(a.new_edit_nonce),t("nonce-preview-table").val(a.new_preview_nonce);var s=e(".show-preview-button");s.length&&s.attr("href",s.first().attr("href").replace(/item=[a-zA-Z0-9_-]+/g,"item="+a.table_id).replace(/&_wpnonce=[a-z0-9]+/gi,"&_wpnonce="+a.new_preview_nonce)),t("last-modified").text(a.last_modified),t("last-editor").text(a.last_editor),tp.table.unset_table_changed(),tp.save_changes.after_saving_dialog("success",tablepress_strings[a.message])},error:function(e){tp.save_changes.after_saving_dialog("error",e)},after_saving_dialog:function(t,a){a=void 0===a?"":": "+a;var s,n="save-changes-"+t;"success"===t?(n+=" notice notice-success",s=3e3):(n+=" notice notice-error",s=6e3),e(".animation-saving").closest("p").after('<div class="ajax-alert '+n+'"><p>'+tablepress_strings["save_changes_"+t]+a+"</p></div>"),e(".animation-saving").remove(),e(".save-changes-"+t).delay(s).fadeOut(2e3,function(){e(this).remove()}),e(".save-changes-button").prop("disabled",!1),e("body").removeClass("wait")}},tp.history={limit:100,states:[],index:-1,saved:"",restoring:!1,get_state:function(){var a={data:[],rows:[],columns:[]};return t("edit-form-body").children().each(function(t,s){var n=e(s);a.data[t]=n.find("textarea").map(function(){return this.value}).get(),a.rows[t]=parseInt(n.find(".visibility").val(),10)}),a.columns=t("edit-form-foot").find(".visibility").map(function(){return parseInt(this.value,10)}).get(),JSON.stringify(a)},get_fingerprint:function(){return JSON.stringify(tp.table.prepare_ajax_request("","").tablepress)},record:function(){var e;tp.history.restoring||(e=tp.history.get_state())!==tp.history.states[tp.history.index]&&(tp.history.states.splice(tp.history.index+1),tp.history.states.push(e),tp.history.states.length>tp.history.limit&&tp.history.states.shift(),tp.history.index=tp.history.states.length-1,tp.history.update_buttons())},undo:function(){tp.history.record(),tp.history.index>0&&(tp.history.index--,tp.history.restore(tp.history.states[tp.history.index]))},redo:function(){tp.history.record(),tp.history.index<tp.history.states.length-1&&(tp.history.index++,tp.history.restore(tp.history.states[tp.history.index]))},restore:function(a){var s,n,r="",o="",l=document.activeElement?document.activeElement.id:"",i=t("edit-form-head"),c=t("edit-form-foot"),p=t("edit-form-body");if(a=JSON.parse(a),tp.history.restoring=!0,(s=a.columns.length-tp.table.columns)>0){for(n=0;n<s;n++)r+=tp.table.head_cell,o+=tp.table.foot_cell;i.children().slice(-tp.table.no_data_columns_post).before(r),c.children().slice(-tp.table.no_data_columns_post).before(o)}else s<0&&i.add(c).each(function(){e(this).children().slice(tp.table.no_data_columns_pre+a.columns.length,-tp.table.no_data_columns_post).remove()});tp.table.columns=a.columns.length,i.children(".head").each(function(t,s){e(s).toggleClass("column-hidden",0===a.columns[t])}),c.find(".visibility").each(function(t,s){e(s).val(a.columns[t]).closest("th").toggleClass("column-hidden",0===a.columns[t])}),p.empty().append(tp.rows.create(a.data.length)),p.children().each(function(t,s){var n=e(s).toggleClass("row-hidden",0===a.rows[t]);n.find(".visibility").val(a.rows[t]),n.find("textarea").val(function(e){return a.data[t][e]})}),tp.rows.stripe(),tp.reindex(),0===l.indexOf("cell-")&&t(l).trigger("focus"),tp.history.restoring=!1,tp.history.get_fingerprint()===tp.history.saved&&tp.table.unset_table_changed(),tp.history.update_buttons()},update_buttons:function(){t("history-undo").prop("disabled",tp.history.index<=0),t("history-redo").prop("disabled",tp.history.index>=tp.history.states.length-1)},keydown:function(t){var a=e(t.target),s=String.fromCharCode(t.which).toUpperCase();!t.ctrlKey&&!t.metaKey||t.altKey||"Z"!==s&&"Y"!==s||a.is("input, textarea, select")&&!a.closest("#edit-form").length||(t.preventDefault(),"Y"===s||t.shiftKey?tp.history.redo():tp.history.undo())}},tp.formulas={timeout:null,request:0,schedule_refresh:function(){tablepress_options.formulas_live_preview&&(clearTimeout(tp.formulas.timeout),tp.formulas.timeout=setTimeout(tp.formulas.refresh,750))},refresh:function(){var a=++tp.formulas.request,s=!1;t("edit-form-body").find("textarea").each(function(){if("="===this.value.charAt(0)&&"="!==this.value)return s=!0,!1}),s?e.ajax({type:"POST",url:ajaxurl,data:tp.table.prepare_ajax_request("tablepress_evaluate_formulas","#nonce-preview-table"),success:function(e){a===tp.formulas.request&&null!=e&&e.success&&tp.formulas.show(e.results)},dataType:"json"}):tp.formulas.show({})},show:function(a){t("edit-form-body").find(".formula-cell").removeClass("formula-cell formula-error").removeAttr("data-formula-result").children("textarea").removeAttr("title"),e.each(a,function(e,a){var s=a.error?a.value.replace("!ERROR!","").trim():a.value;t("cell-"+e).attr("title",(a.error?tablepress_strings.formula_error:tablepress_strings.formula_result)+": "+s).parent().addClass("formula-cell").toggleClass("formula-error",a.error).attr("data-formula-result",s)})}},tp.sync={hash:"",get_settings:function(){var a=t("table-source-type").val();return{type:a,location:e(".table-source-location").filter('[data-source-type="'+a+'"]').val(),format:t("table-source-format").val(),schedule:t("table-source-schedule").val()}},change_type:function(){var a=t("table-source-type").val();e(".table-source-setting").toggle(""!==a),e(".table-source-location, .table-source-location-wrapper").each(function(){e(this).toggle(e(this).data("source-type")===a)}),t("table-source-changes").hide()},request:function(a,s,n){t("table-source-status").empty().append('<span class="animation-sync spinner is-active" title="'+tablepress_strings.sync_checking+'"/>'),e("#table-source-save, #table-source-check, #table-source-apply").prop("disabled",!0),e("body").addClass("wait"),s.id=tp.table.id,e.ajax({type:"POST",url:ajaxurl,data:{action:a,_ajax_nonce:e("#nonce-edit-table").val(),tablepress:s},success:function(e){tp.sync.done(),null!=e&&"-1"!==e&&void 0!==e.success?n(e):tp.sync.message("error",tablepress_strings.sync_error+": AJAX call successful, but unclear data.")},error:function(e,t,a){tp.sync.done(),tp.sync.message("error",tablepress_strings.sync_error+": AJAX call failed: "+t+" - "+a)},dataType:"json"})},done:function(){e(".animation-sync").remove(),e("#table-source-save, #table-source-check, #table-source-apply").prop("disabled",!1),e("body").removeClass("wait")},message:function(e,a,s){void 0!==s&&tablepress_options.print_debug_output&&(a+="</p><pre>"+s+"</pre><p>"),t("table-source-status").html('<span class="table-source-'+e+'">'+a+"</span>")},save:function(){tp.sync.request("tablepress_save_table_source",{source:tp.sync.get_settings()},function(e){tp.sync.message(e.success?"success":"error",tablepress_strings[e.message],e.error_details)})},check:function(){t("table-source-changes").hide(),tp.sync.request("tablepress_save_table_source",{source:tp.sync.get_settings()},function(e){e.success?tp.sync.request("tablepress_sync_table",{},tp.sync.show_changes):tp.sync.message("error",tablepress_strings[e.message],e.error_details)})},show_changes:function(a){var s,n=a.diff,r=t("table-source-changes-list").empty();a.success?(tp.sync.hash=n.hash,0!==n.changed_cells||n.rows[0]!==n.rows[1]||n.columns[0]!==n.columns[1]?(tp.sync.message("success",tablepress_strings.sync_changes.replace("%1$s",n.changed_cells).replace("%2$s",n.rows[0]).replace("%3$s",n.rows[1]).replace("%4$s",n.columns[0]).replace("%5$s",n.columns[1])),n.cells.length&&((s=e('<table class="widefat striped table-source-diff"><thead><tr><th/><th/><th/></tr></thead><tbody/></table>')).find("th").eq(0).text(tablepress_strings.sync_cell).end().eq(1).text(tablepress_strings.sync_old_value).end().eq(2).text(tablepress_strings.sync_new_value),e.each(n.cells,function(t,a){e("<tr/>").append(e("<td/>").text(a.cell)).append(e('<td class="table-source-old"/>').text(a.old)).append(e('<td class="table-source-new"/>').text(a.new)).appendTo(s.children("tbody"))}),r.append(s)),n.cells.length<n.changed_cells&&r.append(e('<p class="description"/>').text(tablepress_strings.sync_more_cells.replace("%s",n.cells.length))),t("table-source-changes").show()):tp.sync.message("success",tablepress_strings.sync_no_changes)):tp.sync.message("error",tablepress_strings.sync_error+": "+e("<span/>").text(a.error_message).html(),a.error_details)},apply:function(){tp.made_changes&&!confirm(tablepress_strings.sync_apply_unsaved_changes)||tp.sync.request("tablepress_sync_table",{apply:"true",hash:tp.sync.hash},function(a){if(!a.success)return t("table-source-changes").hide(),void tp.sync.message("error",tablepress_strings.sync_error+": "+e("<span/>").text(a.error_message).html(),a.error_details);tp.made_changes=!1,window.location.href=window.location.href.replace(/&message=[a-z_]+/gi,"")+"&message=success_sync"})}},tp.init=function(){var a={click:{"#rows-insert":tp.rows.insert,"#columns-insert":tp.columns.insert,"#rows-duplicate":tp.rows.duplicate,"#columns-duplicate":tp.columns.duplicate,"#rows-remove":tp.rows.remove,"#columns-remove":tp.columns.remove,"#rows-hide":tp.rows.hide,"#columns-hide":tp.columns.hide,"#rows-unhide":tp.rows.unhide,"#columns-unhide":tp.columns.unhide,"#rows-append":tp.rows.append,"#columns-append":tp.columns.append,"#link-add":tp.content.link.add,"#image-add":tp.content.image.add,"#span-add-rowspan":function(){tp.content.span.add("#rowspan#")},"#span-add-colspan":function(){tp.content.span.add("#colspan#")},"#history-undo":tp.history.undo,"#history-redo":tp.history.redo,".show-preview-button":tp.table.preview.trigger,".save-changes-button":tp.save_changes.trigger,"#table-source-save":tp.sync.save,"#table-source-check":tp.sync.check,"#table-source-apply":tp.sync.apply,".show-help-box":function(){var t=e(this).data("help-box");e(t).wpdialog({title:e(this).attr("title"),height:470,width:320,modal:!0,dialogClass:"wp-dialog",closeOnEscape:!0})}},keyup:{"#table-new-id":tp.check.table_id},change:{"#option-table-head":tp.table.change_table_head,"#option-table-foot":tp.table.change_table_foot,"#option-use-datatables":tp.table.change_datatables,"#option-datatables-paginate":tp.table.change_datatables_pagination,"#table-source-type":tp.sync.change_type},blur:{"#table-new-id":tp.table.change_id}},s=t("edit-form-body");e.each(a,function(t,a){e.each(a,function(a,s){e(a).on(t,s)})}),e(window).on("beforeunload",tp.check.changes_saved),t("option-table-head").trigger("change"),t("option-print-name").on("change",tp.table.change_print_name_description).trigger("change"),t("option-print-description").on("change",tp.table.change_print_name_description).trigger("change"),tp.sync.change_type(),s.one("change","textarea",tp.table.set_table_changed),e("#tablepress_edit-table-information, #tablepress_edit-table-options, #tablepress_edit-datatables-features").one("change","input, textarea, select",tp.table.set_table_changed),tablepress_options.cells_advanced_editor?(s.on("click","textarea",tp.cells.advanced_editor.keyopen),t("advanced-editor-open").on("click",tp.cells.advanced_editor.buttonopen),t("advanced-editor-confirm").on("click",tp.cells.advanced_editor.save),t("advanced-editor-cancel").on("click",tp.cells.advanced_editor.close),t("advanced-editor").wpdialog({autoOpen:!1,title:t("advanced-editor-open").val(),width:600,modal:!0,dialogClass:"wp-dialog",resizable:!1,closeOnEscape:!0}),t("wp-link").on("focus","input",function(e){e.stopPropagation()})):t("advanced-editor-open").hide(),e("body").on("focus",".media-modal .media-frame-content input, .media-modal .media-frame-content textarea",function(e){e.stopPropagation()}),tablepress_options.cells_auto_grow&&s.on("focus","textarea",tp.cells.autogrow),t("edit-form-body").on("click","input:checkbox",{parent:"#edit-form-body"},tp.cells.checkboxes.multi_select),t("edit-form-foot").on("click","input:checkbox",{parent:"#edit-form-foot"},tp.cells.checkboxes.multi_select),t("edit-form-head").on("click",".sort-control",tp.rows.sort),s.on("keydown","textarea",tp.cells.keyboard.navigate),s.on("mousedown","textarea",tp.cells.range.select),s.on("paste","textarea",tp.cells.clipboard.paste),e(document).on("copy",tp.cells.clipboard.copy),tp.history.record(),tp.history.saved=tp.history.get_fingerprint(),s.on("change","textarea",tp.history.record),e(document).on("keydown",tp.history.keydown),s.on("input","textarea",tp.formulas.schedule_refresh),tablepress_options.formulas_live_preview&&tp.formulas.refresh(),t("tablepress-page").find("form").on("submit",function(){e(this).find(".tablepress-postbox-table").find("input, select").prop("disabled",!1)}),s.sortable({axis:"y",containment:t("edit-form"),forceHelperSize:!0,handle:".move-handle",start:tp.rows.move.start,change:tp.rows.move.change,stop:tp.rows.move.stop,update:tp.reindex}),t("edit-form-head").sortable({axis:"x",items:".head",containment:"parent",forceHelperSize:!0,helper:"clone",handle:".move-handle",start:tp.columns.move.start,stop:tp.columns.move.stop,change:tp.columns.move.change,sort:tp.columns.move.sort}).disableSelection()},tp.init()});
\ No newline at end of file
@@ -24,6 +24,8 @@ jQuery( function( $ ) {
 	$( '#row-import-type' ).on( 'change', 'input', function() {
 		var import_type = $( this ).val();
 		$( '#tables-import-existing-table' ).prop( 'disabled', ( ( 'replace' !== import_type && 'append' !== import_type ) || 'zip' === extension ) );
+		// Appended rows can not be refreshed from the data source.
+		$( '#tables-import-sync, #tables-import-sync-schedule' ).prop( 'disabled', 'append' === import_type );
 	} )
 	.find( 'input:checked' ).trigger( 'change' );
 
@@ -35,6 +37,8 @@ jQuery( function( $ ) {
 	$( '#row-import-source' ).on( 'change', 'input', function() {
 		$( '#row-import-source-file-upload, #row-import-source-url, #row-import-source-server, #row-import-source-form-field' ).hide();
 		$( '#row-import-source-' + $(this).val() ).show();
+		// Only URLs and files on the server can stay linked to a table.
+		$( '#row-import-sync' ).toggle( 'url' === $(this).val() || 'server' === $(this).val() );
 	} )
 	.find( 'input:checked' ).trigger( 'change' );
 
@@ -90,6 +94,513 @@ jQuery( function( $ ) {
 		$( '#tables-import-format' ).val( extension );
 	} );
 
+	/**
+	 * Reading of XLSX files in the browser, for a worksheet selection and a preview before the import.
+	 *
+	 * XLSX files are ZIP archives of XML files. Browsers without the needed APIs, or files that can not be read,
+	 * are uploaded and imported on the server as before.
+	 *
+	 * @since 1.15.0
+	 */
+	var xlsx = {
+
+		/**
+		 * Worksheets of the read file, with their name and data.
+		 */
+		sheets: [],
+
+		/**
+		 * Name of the read file.
+		 */
+		file_name: '',
+
+		/**
+		 * Number of rows that are shown in the preview.
+		 */
+		preview_rows: 10,
+
+		/**
+		 * Check whether the browser has all APIs that are needed for reading XLSX files.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @return {bool} Whether XLSX files can be read.
+		 */
+		supported: function() {
+			return ( 'undefined' !== typeof window.DecompressionStream && 'undefined' !== typeof window.Response && 'undefined' !== typeof window.TextDecoder && 'undefined' !== typeof window.DOMParser );
+		},
+
+		/**
+		 * Read the worksheets of a selected file and show the worksheet selection and the preview.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {File} file Selected file.
+		 */
+		load: function( file ) {
+			var $status = $( '#tables-import-xlsx-status' );
+
+			xlsx.sheets = [];
+			xlsx.file_name = file.name;
+			$( '#tables-import-xlsx-sheet' ).empty();
+			$( '#tables-import-xlsx-preview' ).empty();
+			$status.text( tablepress_strings.xlsx_reading );
+			$( '#tables-import-xlsx' ).removeClass( 'hidden' );
+
+			file.arrayBuffer()
+				.then( xlsx.read )
+				.then( function( sheets ) {
+					// Don't show the result if another file was selected in the meantime.
+					if ( file.name !== xlsx.file_name ) {
+						return;
+					}
+					xlsx.sheets = sheets;
+					$( '#tables-import-xlsx-sheet' ).append( $.map( sheets, function( sheet, idx ) {
+						return $( '<option />' ).val( idx ).text( sheet.name );
+					} ) ).trigger( 'change' );
+				} )
+				.catch( function() {
+					xlsx.sheets = [];
+					$( '#tables-import-xlsx-sheet' ).empty();
+					$status.text( tablepress_strings.xlsx_error );
+				} );
+		},
+
+		/**
+		 * Hide the worksheet selection and forget the read file.
+		 *
+		 * @since 1.15.0
+		 */
+		reset: function() {
+			xlsx.sheets = [];
+			xlsx.file_name = '';
+			$( '#tables-import-xlsx' ).addClass( 'hidden' );
+		},
+
+		/**
+		 * Get the selected worksheet.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @return {object|undefined} Selected worksheet, if a file was read.
+		 */
+		get_selected_sheet: function() {
+			return xlsx.sheets[ $( '#tables-import-xlsx-sheet' ).val() ];
+		},
+
+		/**
+		 * Show the first rows of the selected worksheet.
+		 *
+		 * @since 1.15.0
+		 */
+		preview: function() {
+			var sheet = xlsx.get_selected_sheet(),
+				$table = $( '<table class="widefat striped" />' );
+
+			if ( ! sheet ) {
+				return;
+			}
+
+			if ( 0 === sheet.data.length ) {
+				$( '#tables-import-xlsx-status' ).text( tablepress_strings.xlsx_empty_sheet );
+				$( '#tables-import-xlsx-preview' ).empty();
+				return;
+			}
+
+			$( '#tables-import-xlsx-status' ).text( tablepress_strings.xlsx_preview.replace( '%1$s', Math.min( xlsx.preview_rows, sheet.data.length ) ).replace( '%2$s', sheet.data.length ) );
+			$.each( sheet.data.slice( 0, xlsx.preview_rows ), function( row_idx, row ) {
+				$table.append( $( '<tr />' ).append( $.map( row, function( cell ) {
+					return $( '<td />' ).text( cell );
+				} ) ) );
+			} );
+			$( '#tables-import-xlsx-preview' ).html( $table );
+		},
+
+		/**
+		 * Read the worksheets from the content of an XLSX file.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {ArrayBuffer} buffer File content.
+		 * @return {Promise} Promise that resolves with the worksheets.
+		 */
+		read: function( buffer ) {
+			var entries = xlsx.zip_entries( buffer ),
+				files = {};
+
+			// Extracts a file from the archive into the files object, optional files are resolved with an empty string.
+			function extract( path, optional ) {
+				if ( ! entries[ path ] ) {
+					return optional ? Promise.resolve( files[ path ] = '' ) : Promise.reject( new Error( path ) );
+				}
+				return xlsx.zip_extract( buffer, entries[ path ] ).then( function( content ) {
+					files[ path ] = content;
+				} );
+			}
+
+			return Promise.all( [
+				extract( 'xl/workbook.xml' ),
+				extract( 'xl/_rels/workbook.xml.rels' ),
+				extract( 'xl/sharedStrings.xml', true ),
+				extract( 'xl/styles.xml', true )
+			] ).then( function() {
+				var workbook = xlsx.parse_xml( files['xl/workbook.xml'] ),
+					relationships = {},
+					sheets = [],
+					shared_strings = files['xl/sharedStrings.xml'] ? xlsx.get_shared_strings( xlsx.parse_xml( files['xl/sharedStrings.xml'] ) ) : [],
+					date_styles = files['xl/styles.xml'] ? xlsx.get_date_styles( xlsx.parse_xml( files['xl/styles.xml'] ) ) : [],
+					workbook_properties = workbook.getElementsByTagNameNS( '*', 'workbookPr' )[0],
+					date1904 = ( workbook_properties && /^(1|true)$/.test( workbook_properties.getAttribute( 'date1904' ) ) );
+
+				$.each( xlsx.parse_xml( files['xl/_rels/workbook.xml.rels'] ).getElementsByTagNameNS( '*', 'Relationship' ), function( idx, relationship ) {
+					var target = relationship.getAttribute( 'Target' );
+					// Targets are relative to the "xl" folder, or absolute in the archive.
+					relationships[ relationship.getAttribute( 'Id' ) ] = ( '/' === target.charAt( 0 ) ) ? target.substr( 1 ) : 'xl/' + target;
+				} );
+
+				$.each( workbook.getElementsByTagNameNS( '*', 'sheet' ), function( idx, sheet ) {
+					var path = relationships[ xlsx.get_attribute( sheet, 'id' ) ];
+					if ( path && entries[ path ] ) {
+						sheets.push( {
+							name: sheet.getAttribute( 'name' ),
+							path: path
+						} );
+					}
+				} );
+
+				if ( 0 === sheets.length ) {
+					throw new Error( 'No worksheets' );
+				}
+
+				return Promise.all( $.map( sheets, function( sheet ) {
+					return xlsx.zip_extract( buffer, entries[ sheet.path ] ).then( function( content ) {
+						return {
+							name: sheet.name,
+							data: xlsx.get_sheet_data( xlsx.parse_xml( content ), shared_strings, date_styles, date1904 )
+						};
+					} );
+				} ) );
+			} );
+		},
+
+		/**
+		 * Get the file entries from the central directory of a ZIP archive.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {ArrayBuffer} buffer ZIP archive.
+		 * @return {object} Entries with the compression method, compressed size, and offset of the local header, by file name.
+		 */
+		zip_entries: function( buffer ) {
+			var view = new DataView( buffer ),
+				decoder = new TextDecoder(),
+				entries = {},
+				offset,
+				num_entries,
+				name_length,
+				idx;
+
+			// The "End of central directory" record is at the end of the file, followed by an optional comment.
+			for ( offset = buffer.byteLength - 22; offset >= 0; offset-- ) {
+				if ( 0x06054b50 === view.getUint32( offset, true ) ) {
+					break;
+				}
+			}
+			if ( offset < 0 ) {
+				throw new Error( 'No ZIP archive' );
+			}
+
+			num_entries = view.getUint16( offset + 10, true );
+			offset = view.getUint32( offset + 16, true );
+			for ( idx = 0; idx < num_entries; idx++ ) {
+				if ( 0x02014b50 !== view.getUint32( offset, true ) ) {
+					throw new Error( 'Invalid ZIP archive' );
+				}
+				name_length = view.getUint16( offset + 28, true );
+				entries[ decoder.decode( new Uint8Array( buffer, offset + 46, name_length ) ) ] = {
+					method: view.getUint16( offset + 10, true ),
+					size: view.getUint32( offset + 20, true ),
+					offset: view.getUint32( offset + 42, true )
+				};
+				offset += 46 + name_length + view.getUint16( offset + 30, true ) + view.getUint16( offset + 32, true );
+			}
+			return entries;
+		},
+
+		/**
+		 * Extract a file from a ZIP archive, as text.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {ArrayBuffer} buffer ZIP archive.
+		 * @param {object}      entry  Entry of the file in the central directory.
+		 * @return {Promise} Promise that resolves with the content of the file.
+		 */
+		zip_extract: function( buffer, entry ) {
+			var view = new DataView( buffer ),
+				start,
+				data;
+
+			if ( 0x04034b50 !== view.getUint32( entry.offset, true ) ) {
+				return Promise.reject( new Error( 'Invalid ZIP archive' ) );
+			}
+			start = entry.offset + 30 + view.getUint16( entry.offset + 26, true ) + view.getUint16( entry.offset + 28, true );
+			data = new Uint8Array( buffer, start, entry.size );
+
+			// Files are either stored or deflated.
+			if ( 0 === entry.method ) {
+				return Promise.resolve( new TextDecoder().decode( data ) );
+			}
+			if ( 8 === entry.method ) {
+				return new Response( new Blob( [ data ] ).stream().pipeThrough( new DecompressionStream( 'deflate-raw' ) ) ).text();
+			}
+			return Promise.reject( new Error( 'Unsupported compression' ) );
+		},
+
+		/**
+		 * Parse an XML string.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {string} content XML string.
+		 * @return {Document} XML document.
+		 */
+		parse_xml: function( content ) {
+			var xml = new DOMParser().parseFromString( content, 'application/xml' );
+			if ( xml.getElementsByTagName( 'parsererror' ).length ) {
+				throw new Error( 'Invalid XML' );
+			}
+			return xml;
+		},
+
+		/**
+		 * Get an attribute by its local name, independent of the namespace prefix (like "r:id").
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {Element} element    XML element.
+		 * @param {string}  local_name Local name of the attribute.
+		 * @return {string} Attribute value.
+		 */
+		get_attribute: function( element, local_name ) {
+			var idx;
+			for ( idx = 0; idx < element.attributes.length; idx++ ) {
+				if ( local_name === element.attributes[ idx ].localName ) {
+					return element.attributes[ idx ].value;
+				}
+			}
+			return '';
+		},
+
+		/**
+		 * Get the text of a string item, without phonetic hints.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {Element} element String item ("si" or "is" element).
+		 * @return {string} Text.
+		 */
+		get_text: function( element ) {
+			return $.map( element.getElementsByTagNameNS( '*', 't' ), function( text ) {
+				return ( 'rPh' === text.parentNode.localName ) ? null : text.textContent;
+			} ).join( '' );
+		},
+
+		/**
+		 * Get the shared strings of a workbook.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {Document} xml Shared strings XML document.
+		 * @return {Array} Shared strings.
+		 */
+		get_shared_strings: function( xml ) {
+			return $.map( xml.getElementsByTagNameNS( '*', 'si' ), function( item ) {
+				return [ xlsx.get_text( item ) ];
+			} );
+		},
+
+		/**
+		 * Get the indices of the cell styles that format numbers as dates or times.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {Document} xml Styles XML document.
+		 * @return {Array} Indices of date cell styles.
+		 */
+		get_date_styles: function( xml ) {
+			var date_formats = [ 14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47 ],
+				cell_formats = xml.getElementsByTagNameNS( '*', 'cellXfs' )[0],
+				date_styles = [];
+
+			$.each( xml.getElementsByTagNameNS( '*', 'numFmt' ), function( idx, number_format ) {
+				// Custom formats are date formats if they have a month or minute, outside of strings and conditions.
+				var format_code = number_format.getAttribute( 'formatCode' ).replace( /"[^"]*"|\[[^\]]*\]/g, '' );
+				if ( /m/i.test( format_code ) ) {
+					date_formats.push( parseInt( number_format.getAttribute( 'numFmtId' ), 10 ) );
+				}
+			} );
+
+			if ( cell_formats ) {
+				$.each( cell_formats.getElementsByTagNameNS( '*', 'xf' ), function( idx, cell_format ) {
+					if ( -1 !== $.inArray( parseInt( cell_format.getAttribute( 'numFmtId' ), 10 ), date_formats ) ) {
+						date_styles.push( idx );
+					}
+				} );
+			}
+			return date_styles;
+		},
+
+		/**
+		 * Format a date serial number like the server-side XLSX import does.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {number} serial   Date serial number (days since 1900 or 1904).
+		 * @param {bool}   date1904 Whether the workbook uses the 1904 date system.
+		 * @return {string} Date in the format "YYYY-MM-DD HH:MM:SS".
+		 */
+		format_date: function( serial, date1904 ) {
+			var days = Math.floor( serial ) + ( date1904 ? 1462 : 0 ),
+				date = new Date( ( days - 25569 ) * 86400000 + Math.round( ( serial - Math.floor( serial ) ) * 86400 ) * 1000 );
+			return date.toISOString().substr( 0, 19 ).replace( 'T', ' ' );
+		},
+
+		/**
+		 * Get the cell values of a worksheet, with merged cells as TablePress combined cells.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {Document} xml            Worksheet XML document.
+		 * @param {Array}    shared_strings Shared strings of the workbook.
+		 * @param {Array}    date_styles    Indices of date cell styles.
+		 * @param {bool}     date1904       Whether the workbook uses the 1904 date system.
+		 * @return {Array} Two-dimensional array of cell values.
+		 */
+		get_sheet_data: function( xml, shared_strings, date_styles, date1904 ) {
+			var data = [],
+				num_columns = 0,
+				row_idx = -1,
+				col_idx;
+
+			$.each( xml.getElementsByTagNameNS( '*', 'row' ), function( idx, row ) {
+				var col_idx = -1;
+
+				row_idx = row.getAttribute( 'r' ) ? parseInt( row.getAttribute( 'r' ), 10 ) - 1 : row_idx + 1;
+				data[ row_idx ] = [];
+
+				$.each( row.getElementsByTagNameNS( '*', 'c' ), function( idx, cell ) {
+					var reference = /^([A-Z]+)/.exec( cell.getAttribute( 'r' ) || '' ),
+						value_element = cell.getElementsByTagNameNS( '*', 'v' )[0],
+						value = value_element ? value_element.textContent : '',
+						inline_string;
+
+					col_idx = reference ? xlsx.column_to_index( reference[1] ) : col_idx + 1;
+
+					switch ( cell.getAttribute( 't' ) ) {
+						case 's':
+							value = ( '' !== value && undefined !== shared_strings[ value ] ) ? shared_strings[ value ] : '';
+							break;
+						case 'inlineStr':
+							inline_string = cell.getElementsByTagNameNS( '*', 'is' )[0];
+							value = inline_string ? xlsx.get_text( inline_string ) : '';
+							break;
+						case 'b':
+							value = ( '1' === value ) ? 'TRUE' : 'FALSE';
+							break;
+						case 'str':
+						case 'e':
+							break;
+						default:
+							if ( '' !== value && isFinite( value ) ) {
+								if ( -1 !== $.inArray( parseInt( cell.getAttribute( 's' ) || '0', 10 ), date_styles ) ) {
+									value = xlsx.format_date( parseFloat( value ), date1904 );
+								} else {
+									// Remove floating point artifacts, like in 0.30000000000000004.
+									value = String( parseFloat( parseFloat( value ).toPrecision( 15 ) ) );
+								}
+							}
+					}
+
+					data[ row_idx ][ col_idx ] = value;
+					num_columns = Math.max( num_columns, col_idx + 1 );
+				} );
+			} );
+
+			// Make the array rectangular.
+			for ( row_idx = 0; row_idx < data.length; row_idx++ ) {
+				data[ row_idx ] = data[ row_idx ] || [];
+				for ( col_idx = 0; col_idx < num_columns; col_idx++ ) {
+					if ( undefined === data[ row_idx ][ col_idx ] ) {
+						data[ row_idx ][ col_idx ] = '';
+					}
+				}
+			}
+
+			// Transform merged cells to the TablePress equivalent (cell content), like for the XLS import.
+			$.each( xml.getElementsByTagNameNS( '*', 'mergeCell' ), function( idx, merge_cell ) {
+				var range = /^([A-Z]+)([0-9]+):([A-Z]+)([0-9]+)$/.exec( merge_cell.getAttribute( 'ref' ) ),
+					first_row, last_row, first_col, last_col, row, col;
+
+				if ( ! range ) {
+					return;
+				}
+				first_row = parseInt( range[2], 10 ) - 1;
+				last_row = Math.min( parseInt( range[4], 10 ) - 1, data.length - 1 );
+				first_col = xlsx.column_to_index( range[1] );
+				last_col = Math.min( xlsx.column_to_index( range[3] ), num_columns - 1 );
+				for ( row = first_row; row <= last_row; row++ ) {
+					for ( col = first_col; col <= last_col; col++ ) {
+						if ( row === first_row && col === first_col ) {
+							continue;
+						}
+						if ( row === first_row ) {
+							data[ row ][ col ] = '#colspan#';
+						} else if ( col === first_col ) {
+							data[ row ][ col ] = '#rowspan#';
+						} else {
+							data[ row ][ col ] = '#span#';
+						}
+					}
+				}
+			} );
+
+			return data;
+		},
+
+		/**
+		 * Convert a column name to a zero-based column index.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param {string} column Column name, like "A" or "AB".
+		 * @return {number} Column index.
+		 */
+		column_to_index: function( column ) {
+			var index = 0,
+				idx;
+			for ( idx = 0; idx < column.length; idx++ ) {
+				index = index * 26 + column.charCodeAt( idx ) - 64;
+			}
+			return index - 1;
+		}
+
+	};
+
+	/**
+	 * Read selected XLSX files in the browser, for the worksheet selection and preview.
+	 *
+	 * @since 1.15.0
+	 */
+	$( '#tables-import-file-upload' ).on( 'change', function() {
+		if ( 'xlsx' === extension && this.files && this.files[0] && xlsx.supported() ) {
+			xlsx.load( this.files[0] );
+		} else {
+			xlsx.reset();
+		}
+	} );
+	$( '#tables-import-xlsx-sheet' ).on( 'change', xlsx.preview );
+
 	/**
 	 * Check, whether inputs are valid
 	 *
@@ -97,9 +608,25 @@ jQuery( function( $ ) {
 	 */
 	$( '#tablepress-page' ).find( 'form' ).on( 'submit.tablepress', function( /* event */ ) {
 		var import_source = $( '#row-import-source' ).find( 'input:checked' ).val(),
-			selected_import_source_field = $( '#tables-import-' + import_source ).get(0),
+			selected_import_source_field,
 			valid_form = true,
-			import_type = $( '#row-import-type' ).find( 'input:checked' ).val();
+			import_type = $( '#row-import-type' ).find( 'input:checked' ).val(),
+			xlsx_sheet = xlsx.get_selected_sheet();
+
+		// Import the selected worksheet of an XLSX file that was read in the browser as JSON, instead of uploading the file.
+		if ( 'file-upload' === import_source && xlsx_sheet ) {
+			$( '#tables-import-form-field' ).val( JSON.stringify( {
+				name: xlsx.file_name,
+				description: xlsx.file_name,
+				data: ( xlsx_sheet.data.length > 0 ) ? xlsx_sheet.data : [ [ '' ] ]
+			} ) );
+			$( '#tables-import-source-form-field' ).prop( 'checked', true );
+			$( '#tables-import-format' ).val( 'json' );
+			$( '#tables-import-file-upload' ).val( '' );
+			import_source = 'form-field';
+		}
+
+		selected_import_source_field = $( '#tables-import-' + import_source ).get(0);
 
 		// The value of the selected import source field must be set/changed from the default.
 		if ( selected_import_source_field.defaultValue === selected_import_source_field.value ) {
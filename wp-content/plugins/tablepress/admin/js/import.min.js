@@ -1 +1 @@
-jQuery(function(a){"use strict";var o="csv";a("#row-import-type").on("change","input",function(){var e=a(this).val();a("#tables-import-existing-table").prop("disabled","replace"!==e&&"append"!==e||"zip"===o)}).find("input:checked").trigger("change"),a("#row-import-source").on("change","input",function(){a("#row-import-source-file-upload, #row-import-source-url, #row-import-source-server, #row-import-source-form-field").hide(),a("#row-import-source-"+a(this).val()).show()}).find("input:checked").trigger("change"),a("#tables-import-file-upload, #tables-import-url, #tables-import-server").on("change",function(e){var t=a(this).val(),i=a("#row-import-type").find("input:checked").val(),r=t;"tables-import-url"===e.target.id&&(o="html"),e=(r=-1!==(e=t.lastIndexOf("\\"))||-1!==(e=t.lastIndexOf("/"))?t.substr(e+1):r).lastIndexOf("."),"xlsm"===(o="htm"===(o=-1!==e?r.substr(e+1).toLowerCase():o)?"html":o)&&(o="xlsx"),a("#tables-import-existing-table").prop("disabled","replace"!==i&&"append"!==i||"zip"===o),"zip"!==o&&a("#tables-import-format").val(o)}),a("#tablepress-page").find("form").on("submit.tablepress",function(){var e=a("#row-import-source").find("input:checked").val(),t=a("#tables-import-"+e).get(0),i=!0,e=a("#row-import-type").find("input:checked").val();if(t.defaultValue===t.value&&(a(t).addClass("invalid").one("change",function(){a(this).removeClass("invalid")}).trigger("focus").trigger("select"),i=!1),"replace"!==e&&"append"!==e||"zip"===o||""===a("#tables-import-existing-table").val()&&(a("#row-import-type").one("change","input",function(){a("#tables-import-existing-table").removeClass("invalid")}),a("#tables-import-existing-table").addClass("invalid").one("change",function(){a(this).removeClass("invalid")}).trigger("focus").trigger("select"),i=!1),!i)return!1})});
\ No newline at end of file
+jQuery(function(e){"use strict";var t="csv";e("#row-import-type").on("change","input",function(){var r=e(this).val();e("#tables-import-existing-table").prop("disabled","replace"!==r&&"append"!==r||"zip"===t),e("#tables-import-sync, #tables-import-sync-schedule").prop("disabled","append"===r)}).find("input:checked").trigger("change"),e("#row-import-source").on("change","input",function(){e("#row-import-source-file-upload, #row-import-source-url, #row-import-source-server, #row-import-source-form-field").hide(),e("#row-import-source-"+e(this).val()).show(),e("#row-import-sync").toggle("url"===e(this).val()||"server"===e(this).val())}).find("input:checked").trigger("change"),e("#tables-import-file-upload, #tables-import-url, #tables-import-server").on("change",function(r){var a,n,s=e(this).val(),i=e("#row-import-type").find("input:checked").val(),o=s;"tables-import-url"===r.target.id&&(t="html"),(-1!==(a=s.lastIndexOf("\\"))||-1!==(a=s.lastIndexOf("/")))&&(o=s.substr(a+1)),-1!==(n=o.lastIndexOf("."))&&(t=o.substr(n+1).toLowerCase()),"htm"===t&&(t="html"),"xlsm"===t&&(t="xlsx"),e("#tables-import-existing-table").prop("disabled","replace"!==i&&"append"!==i||"zip"===t),"zip"!==t&&e("#tables-import-format").val(t)});var r={sheets:[],file_name:"",preview_rows:10,supported:function(){return void 0!==window.DecompressionStream&&void 0!==window.Response&&void 0!==window.TextDecoder&&void 0!==window.DOMParser},load:function(t){var a=e("#tables-import-xlsx-status");r.sheets=[],r.file_name=t.name,e("#tables-import-xlsx-sheet").empty(),e("#tables-import-xlsx-preview").empty(),a.text(tablepress_strings.xlsx_reading),e("#tables-import-xlsx").removeClass("hidden"),t.arrayBuffer().then(r.read).then(function(a){t.name===r.file_name&&(r.sheets=a,e("#tables-import-xlsx-sheet").append(e.map(a,function(t,r){return e("<option />").val(r).text(t.name)})).trigger("change"))}).catch(function(){r.sheets=[],e("#tables-import-xlsx-sheet").empty(),a.text(tablepress_strings.xlsx_error)})},reset:function(){r.sheets=[],r.file_name="",e("#tables-import-xlsx").addClass("hidden")},get_selected_sheet:function(){return r.sheets[e("#tables-import-xlsx-sheet").val()]},preview:function(){var t=r.get_selected_sheet(),a=e('<table class="widefat striped" />');if(t){if(0===t.data.length)return e("#tables-import-xlsx-status").text(tablepress_strings.xlsx_empty_sheet),void e("#tables-import-xlsx-preview").empty();e("#tables-import-xlsx-status").text(tablepress_strings.xlsx_preview.replace("%1$s",Math.min(r.preview_rows,t.data.length)).replace("%2$s",t.data.length)),e.each(t.data.slice(0,r.preview_rows),function(t,r){a.append(e("<tr />").append(e.map(r,function(t){return e("<td />").text(t)})))}),e("#tables-import-xlsx-preview").html(a)}},read:function(t){var a=r.zip_entries(t),n={};function s(e,s){return a[e]?r.zip_extract(t,a[e]).then(function(t){n[e]=t}):s?Promise.resolve(n[e]=""):Promise.reject(new Error(e))}return Promise.all([s("xl/workbook.xml"),s("xl/_rels/workbook.xml.rels"),s("xl/sharedStrings.xml",!0),s("xl/styles.xml",!0)]).then(function(){var s=r.parse_xml(n["xl/workbook.xml"]),i={},o=[],l=n["xl/sharedStrings.xml"]?r.get_shared_strings(r.parse_xml(n["xl/sharedStrings.xml"])):[],p=n["xl/styles.xml"]?r.get_date_styles(r.parse_xml(n["xl/styles.xml"])):[],m=s.getElementsByTagNameNS("*","workbookPr")[0],u=m&&/^(1|true)$/.test(m.getAttribute("date1904"));if(e.each(r.parse_xml(n["xl/_rels/workbook.xml.rels"]).getElementsByTagNameNS("*","Relationship"),function(e,t){var r=t.getAttribute("Target");i[t.getAttribute("Id")]="/"===r.charAt(0)?r.substr(1):"xl/"+r}),e.each(s.getElementsByTagNameNS("*","sheet"),function(e,t){var n=i[r.get_attribute(t,"id")];n&&a[n]&&o.push({name:t.getAttribute("name"),path:n})}),0===o.length)throw new Error("No worksheets");return Promise.all(e.map(o,function(e){return r.zip_extract(t,a[e.path]).then(function(t){return{name:e.name,data:r.get_sheet_data(r.parse_xml(t),l,p,u)}})}))})},zip_entries:function(e){var t,r,a,n,s=new DataView(e),i=new TextDecoder,o={};for(t=e.byteLength-22;t>=0&&101010256!==s.getUint32(t,!0);t--);if(t<0)throw new Error("No ZIP archive");for(r=s.getUint16(t+10,!0),t=s.getUint32(t+16,!0),n=0;n<r;n++){if(33639248!==s.getUint32(t,!0))throw new Error("Invalid ZIP archive");a=s.getUint16(t+28,!0),o[i.decode(new Uint8Array(e,t+46,a))]={method:s.getUint16(t+10,!0),size:s.getUint32(t+20,!0),offset:s.getUint32(t+42,!0)},t+=46+a+s.getUint16(t+30,!0)+s.getUint16(t+32,!0)}return o},zip_extract:function(e,t){var r,a,n=new DataView(e);return 67324752!==n.getUint32(t.offset,!0)?Promise.reject(new Error("Invalid ZIP archive")):(r=t.offset+30+n.getUint16(t.offset+26,!0)+n.getUint16(t.offset+28,!0),a=new Uint8Array(e,r,t.size),0===t.method?Promise.resolve((new TextDecoder).decode(a)):8===t.method?new Response(new Blob([a]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).text():Promise.reject(new Error("Unsupported compression")))},parse_xml:function(e){var t=(new DOMParser).parseFromString(e,"application/xml");if(t.getElementsByTagName("parsererror").length)throw new Error("Invalid XML");return t},get_attribute:function(e,t){var r;for(r=0;r<e.attributes.length;r++)if(t===e.attributes[r].localName)return e.attributes[r].value;return""},get_text:function(t){return e.map(t.getElementsByTagNameNS("*","t"),function(e){return"rPh"===e.parentNode.localName?null:e.textContent}).join("")},get_shared_strings:function(t){return e.map(t.getElementsByTagNameNS("*","si"),function(e){return[r.get_text(e)]})},get_date_styles:function(t){var r=[14,15,16,17,18,19,20,21,22,45,46,47],a=t.getElementsByTagNameNS("*","cellXfs")[0],n=[];return e.each(t.getElementsByTagNameNS("*","numFmt"),function(e,t){var a=t.getAttribute("formatCode").replace(/"[^"]*"|\[[^\]]*\]/g,"");/m/i.test(a)&&r.push(parseInt(t.getAttribute("numFmtId"),10))}),a&&e.each(a.getElementsByTagNameNS("*","xf"),function(t,a){-1!==e.inArray(parseInt(a.getAttribute("numFmtId"),10),r)&&n.push(t)}),n},format_date:function(e,t){var r=Math.floor(e)+(t?1462:0);return new Date(864e5*(r-25569)+1e3*Math.round(86400*(e-Math.floor(e)))).toISOString().substr(0,19).replace("T"," ")},get_sheet_data:function(t,a,n,s){var i,o=[],l=0,p=-1;for(e.each(t.getElementsByTagNameNS("*","row"),function(t,i){var m=-1;p=i.getAttribute("r")?parseInt(i.getAttribute("r"),10)-1:p+1,o[p]=[],e.each(i.getElementsByTagNameNS("*","c"),function(t,i){var u,c=/^([A-Z]+)/.exec(i.getAttribute("r")||""),g=i.getElementsByTagNameNS("*","v")[0],d=g?g.textContent:"";switch(m=c?r.column_to_index(c[1]):m+1,i.getAttribute("t")){case"s":d=""!==d&&void 0!==a[d]?a[d]:"";break;case"inlineStr":d=(u=i.getElementsByTagNameNS("*","is")[0])?r.get_text(u):"";break;case"b":d="1"===d?"TRUE":"FALSE";break;case"str":case"e":break;default:""!==d&&isFinite(d)&&(d=-1!==e.inArray(parseInt(i.getAttribute("s")||"0",10),n)?r.format_date(parseFloat(d),s):String(parseFloat(parseFloat(d).toPrecision(15))))}o[p][m]=d,l=Math.max(l,m+1)})}),p=0;p<o.length;p++)for(o[p]=o[p]||[],i=0;i<l;i++)void 0===o[p][i]&&(o[p][i]="");return e.each(t.getElementsByTagNameNS("*","mergeCell"),function(e,t){var a,n,s,i,p,m,u=/^([A-Z]+)([0-9]+):([A-Z]+)([0-9]+)$/.exec(t.getAttribute("ref"));if(u)for(a=parseInt(u[2],10)-1,n=Math.min(parseInt(u[4],10)-1,o.length-1),s=r.column_to_index(u[1]),i=Math.min(r.column_to_index(u[3]),l-1),p=a;p<=n;p++)for(m=s;m<=i;m++)p===a&&m===s||(o[p][m]=p===a?"#colspan#":m===s?"#rowspan#":"#span#")}),o},column_to_index:function(e){var t,r=0;for(t=0;t<e.length;t++)r=26*r+e.charCodeAt(t)-64;return r-1}};e("#tables-import-file-upload").on("change",function(){"xlsx"===t&&this.files&&this.files[0]&&r.supported()?r.load(this.files[0]):r.reset()}),e("#tables-import-xlsx-sheet").on("change",r.preview),e("#tablepress-page").find("form").on("submit.tablepress",function(){var a,n=e("#row-import-source").find("input:checked").val(),s=!0,i=e("#row-import-type").find("input:checked").val(),o=r.get_selected_sheet();if("file-upload"===n&&o&&(e("#tables-import-form-field").val(JSON.stringify({name:r.file_name,description:r.file_name,data:o.data.length>0?o.data:[[""]]})),e("#tables-import-source-form-field").prop("checked",!0),e("#tables-import-format").val("json"),e("#tables-import-file-upload").val(""),n="form-field"),(a=e("#tables-import-"+n).get(0)).defaultValue===a.value&&(e(a).addClass("invalid").one("change",function(){e(this).removeClass("invalid")}).trigger("focus").trigger("select"),s=!1),"replace"!==i&&"append"!==i||"zip"===t||""===e("#tables-import-existing-table").val()&&(e("#row-import-type").one("change","input",function(){e("#tables-import-existing-table").removeClass("invalid")}),e("#tables-import-existing-table").addClass("invalid").one("change",function(){e(this).removeClass("invalid")}).trigger("focus").trigger("select"),s=!1),!s)return!1})});
\ No newline at end of file
@@ -39,6 +39,16 @@ jQuery( function( $ ) {
 		return false;
 	} );
 
+	/**
+	 * Show or hide the change log of a table with a data source
+	 *
+	 * @since 1.15.0
+	 */
+	$( '.tablepress-all-tables' ).on( 'click', '.sync-log-toggle a', function( /* event */ ) {
+		$(this).parent().next( '.tablepress-sync-log' ).toggleClass( 'hide-if-js' );
+		return false;
+	} );
+
 	/**
 	 * Process links with a class "ajax-link" with AJAX
 	 *
@@ -1 +1 @@
-jQuery(function(o){"use strict";o(".tablepress-all-tables").on("click",".shortcode a",function(){return prompt(tablepress_list.shortcode_popup,o(this).attr("title")),!1}),o(".tablepress-all-tables").on("click",".table-preview a",function(){var t=o(window).width()-120,e=o(window).height()-120,a=o(this);return o("#wpadminbar").length&&(e-=parseInt(o("#wpadminbar").css("height"),10)),tb_show(a.text(),a.attr("href")+"TB_iframe=true&height="+e+"&width="+t,!1),!1}),o("#tablepress-page").on("click",".ajax-link",function(){var e=o(this),a=e.data("action"),s=e.data("item"),i=e.data("target");return o.get(ajaxurl,this.href.split("?")[1],function(t){"1"===t&&"hide_message"===a&&("donation_nag"===s&&""!==i&&(e.closest("div").after('<div class="donation-message-after-click-message notice notice-success"><p><strong>'+tablepress_list["donation-message-"+i]+"</strong></p></div>"),o(".donation-message-after-click-message").delay(1e4).fadeOut(2e3,function(){o(this).remove()})),e.closest("div").remove())}),!1}),o("#doaction, #doaction2").on("click",function(){var t=o(".tablepress-all-tables").find("tbody").find("input:checked").length,e="doaction"===this.id?"top":"bottom";return"-1"!==o("#bulk-action-selector-"+e).val()&&(0!==t&&(!("delete"===o("#bulk-action-selector-"+e).val()&&(t=1===t?tablepress_common.ays_delete_single_table:tablepress_common.ays_delete_multiple_tables,!confirm(t)))&&void 0))})});
\ No newline at end of file
+jQuery(function(e){"use strict";e(".tablepress-all-tables").on("click",".shortcode a",function(){return prompt(tablepress_list.shortcode_popup,e(this).attr("title")),!1}),e(".tablepress-all-tables").on("click",".table-preview a",function(){var t=e(window).width()-120,a=e(window).height()-120,s=e(this);return e("#wpadminbar").length&&(a-=parseInt(e("#wpadminbar").css("height"),10)),tb_show(s.text(),s.attr("href")+"TB_iframe=true&height="+a+"&width="+t,!1),!1}),e(".tablepress-all-tables").on("click",".sync-log-toggle a",function(){return e(this).parent().next(".tablepress-sync-log").toggleClass("hide-if-js"),!1}),e("#tablepress-page").on("click",".ajax-link",function(){var t=e(this),a=t.data("action"),s=t.data("item"),i=t.data("target");return e.get(ajaxurl,this.href.split("?")[1],function(n){if("1"===n&&"hide_message"===a)"donation_nag"===s&&""!==i&&(t.closest("div").after('<div class="donation-message-after-click-message notice notice-success"><p><strong>'+tablepress_list["donation-message-"+i]+"</strong></p></div>"),e(".donation-message-after-click-message").delay(1e4).fadeOut(2e3,function(){e(this).remove()})),t.closest("div").remove()}),!1}),e("#doaction, #doaction2").on("click",function(){var t,a,s=e(".tablepress-all-tables").find("tbody").find("input:checked").length;return t="doaction"===this.id?"top":"bottom","-1"!==e("#bulk-action-selector-"+t).val()&&(0!==s&&(!("delete"===e("#bulk-action-selector-"+t).val()&&(a=1===s?tablepress_common.ays_delete_single_table:tablepress_common.ays_delete_multiple_tables,!confirm(a)))&&void 0))})});
\ No newline at end of file
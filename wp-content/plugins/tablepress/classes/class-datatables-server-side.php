@@ -0,0 +1,416 @@
+<?php
+/**
+ * TablePress DataTables Server-side Processing Class
+ *
+ * @package TablePress
+ * @subpackage Frontend
+ * @author Tobias Bäthge
+ * @since 1.15.0
+ */
+
+// Prohibit direct script loading.
+defined( 'ABSPATH' ) || die( 'No direct script access allowed!' );
+
+/**
+ * TablePress DataTables Server-side Processing Class
+ *
+ * Determines the column filters of a table, and searches, filters, sorts, and paginates the rows of a table
+ * for the server-side processing mode of the DataTables JavaScript library.
+ *
+ * The rules for detecting column filters and numbers must match those in js/datatables-filters.js.
+ *
+ * @package TablePress
+ * @subpackage Frontend
+ * @author Tobias Bäthge
+ * @since 1.15.0
+ */
+class TablePress_DataTables_Server_Side {
+
+	/**
+	 * Types of column filters.
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	public static $filter_types = array( 'auto', 'select', 'range', 'text', 'none' );
+
+	/**
+	 * Maximum number of different values in a column, for which a dropdown filter is used.
+	 *
+	 * @since 1.15.0
+	 * @var int
+	 */
+	protected $max_select_options = 20;
+
+	/**
+	 * Plain text of the cells of the table body, initialized in set_data().
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	protected $text_data = array();
+
+	/**
+	 * Numeric values of the cells of the table body (null for non-numeric cells), initialized in set_data().
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	protected $number_data = array();
+
+	/**
+	 * Columns and directions for sorting the rows of the current request, set in process_request().
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	protected $order = array();
+
+	/**
+	 * Initialize the Server-side Processing class.
+	 *
+	 * @since 1.15.0
+	 */
+	public function __construct() {
+		$this->max_select_options = self::get_max_select_options();
+	}
+
+	/**
+	 * Get the maximum number of different values in a column, for which a dropdown filter is used.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @return int Maximum number of options of a dropdown filter.
+	 */
+	public static function get_max_select_options() {
+		/**
+		 * Filter the maximum number of different values in a column, for which a dropdown filter is used instead of a range or text filter.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param int $max_select_options Maximum number of options of a dropdown filter. Default 20.
+		 */
+		return (int) apply_filters( 'tablepress_datatables_column_filter_max_options', 20 );
+	}
+
+	/**
+	 * Parse the column filter types, e.g. from the "datatables_column_filters" Shortcode parameter.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param bool|string $column_filters True for automatically detected filters for all columns, or a list of filter types, separated by "|".
+	 * @return array|false List of column filter types (missing types are "auto"), or false if there are no column filters.
+	 */
+	public static function parse_filter_types( $column_filters ) {
+		if ( true === $column_filters ) {
+			return array();
+		}
+		if ( ! is_string( $column_filters ) || '' === $column_filters ) {
+			return false;
+		}
+		$types = explode( '|', strtolower( $column_filters ) );
+		foreach ( $types as $idx => $type ) {
+			$type = trim( $type );
+			$types[ $idx ] = in_array( $type, self::$filter_types, true ) ? $type : 'auto';
+		}
+		return $types;
+	}
+
+	/**
+	 * Set the rows of the table body and extract their plain text and numeric values.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $body_data Rows of the table body, as returned by TablePress_Render::get_body_data().
+	 */
+	public function set_data( array $body_data ) {
+		$this->text_data = array();
+		$this->number_data = array();
+		foreach ( $body_data as $row_idx => $row ) {
+			foreach ( $row as $col_idx => $cell_content ) {
+				$text = $this->get_text( $cell_content );
+				$this->text_data[ $row_idx ][ $col_idx ] = $text;
+				$this->number_data[ $row_idx ][ $col_idx ] = $this->parse_number( $text );
+			}
+		}
+	}
+
+	/**
+	 * Get the plain text of the HTML content of a cell.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $cell_content HTML content of a cell.
+	 * @return string Plain text of the cell.
+	 */
+	protected function get_text( $cell_content ) {
+		$text = html_entity_decode( wp_strip_all_tags( $cell_content ), ENT_QUOTES, get_option( 'blog_charset' ) );
+		return trim( preg_replace( '/\s+/u', ' ', $text ) );
+	}
+
+	/**
+	 * Get the numeric value of a text, like "1,250.50", "Rp 25.000.000", "25 %", or "150 cc".
+	 *
+	 * A single separator that is followed by exactly three digits is treated as a thousands separator.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $text Text.
+	 * @return float|null Numeric value, or null if the text is not a number.
+	 */
+	public function parse_number( $text ) {
+		if ( ! preg_match( '/^(?:[A-Za-z]{1,3}\.?\s|[^A-Za-z0-9\s]{1,2}\s?)?(-?\d[\d.,]*)(?:\s[A-Za-z]{1,3}|\s?[^A-Za-z0-9\s.,]{1,2})?$/', $text, $matches ) ) {
+			return null;
+		}
+		$number = $matches[1];
+		$last_dot = strrpos( $number, '.' );
+		$last_comma = strrpos( $number, ',' );
+		if ( false !== $last_dot && false !== $last_comma ) {
+			// The separator that comes last is the decimal separator.
+			$decimal = ( $last_dot > $last_comma ) ? '.' : ',';
+			$thousands = ( '.' === $decimal ) ? ',' : '.';
+			$number = str_replace( array( $thousands, $decimal ), array( '', '.' ), $number );
+		} elseif ( false !== $last_dot || false !== $last_comma ) {
+			$separator = ( false !== $last_dot ) ? '.' : ',';
+			$position = ( false !== $last_dot ) ? $last_dot : $last_comma;
+			if ( substr_count( $number, $separator ) > 1 || 3 === strlen( $number ) - $position - 1 ) {
+				$number = str_replace( $separator, '', $number );
+			} else {
+				$number = str_replace( $separator, '.', $number );
+			}
+		}
+		return is_numeric( $number ) ? (float) $number : null;
+	}
+
+	/**
+	 * Determine the filters of the columns, with their options or value ranges.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $filter_types List of column filter types, missing types are "auto".
+	 * @return array List of column filters, with the "type" and the "options" or "min" and "max".
+	 */
+	public function get_column_filters( array $filter_types ) {
+		$num_columns = empty( $this->text_data ) ? 0 : count( $this->text_data[0] );
+		$filters = array();
+		for ( $col_idx = 0; $col_idx < $num_columns; $col_idx++ ) {
+			$type = isset( $filter_types[ $col_idx ] ) ? $filter_types[ $col_idx ] : 'auto';
+			if ( 'none' === $type || 'text' === $type ) {
+				$filters[] = array( 'type' => $type );
+				continue;
+			}
+
+			$values = array();
+			$all_numeric = true;
+			$min = null;
+			$max = null;
+			foreach ( $this->text_data as $row_idx => $row ) {
+				if ( '' === $row[ $col_idx ] ) {
+					continue;
+				}
+				$values[ $row[ $col_idx ] ] = $this->number_data[ $row_idx ][ $col_idx ];
+				if ( is_null( $this->number_data[ $row_idx ][ $col_idx ] ) ) {
+					$all_numeric = false;
+					continue;
+				}
+				$min = is_null( $min ) ? $this->number_data[ $row_idx ][ $col_idx ] : min( $min, $this->number_data[ $row_idx ][ $col_idx ] );
+				$max = is_null( $max ) ? $this->number_data[ $row_idx ][ $col_idx ] : max( $max, $this->number_data[ $row_idx ][ $col_idx ] );
+			}
+
+			if ( 'auto' === $type ) {
+				if ( ! empty( $values ) && count( $values ) <= $this->max_select_options ) {
+					$type = 'select';
+				} elseif ( ! empty( $values ) && $all_numeric ) {
+					$type = 'range';
+				} else {
+					$type = 'text';
+				}
+			}
+
+			if ( 'select' === $type ) {
+				if ( $all_numeric ) {
+					asort( $values, SORT_NUMERIC );
+				} else {
+					uksort( $values, 'strnatcasecmp' );
+				}
+				$filters[] = array(
+					'type'    => 'select',
+					'options' => array_map( 'strval', array_keys( $values ) ),
+				);
+			} elseif ( 'range' === $type ) {
+				$filters[] = array(
+					'type' => 'range',
+					'min'  => $min,
+					'max'  => $max,
+				);
+			} else {
+				$filters[] = array( 'type' => 'text' );
+			}
+		}
+		return $filters;
+	}
+
+	/**
+	 * Search, filter, sort, and paginate the rows of the table body, according to a DataTables server-side processing request.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $body_data      Rows of the table body, as returned by TablePress_Render::get_body_data().
+	 * @param array $request        DataTables request parameters ("start", "length", "search", "order", "columns").
+	 * @param array $column_filters Column filters, as returned by get_column_filters().
+	 * @return array Number of all and of filtered rows, and the rows of the requested page.
+	 */
+	public function process_request( array $body_data, array $request, array $column_filters ) {
+		$row_idxs = array_keys( $this->text_data );
+
+		// Global search, where every word has to be found in the row.
+		$search = isset( $request['search']['value'] ) ? trim( (string) $request['search']['value'] ) : '';
+		if ( '' !== $search ) {
+			$words = preg_split( '/\s+/u', $search );
+			foreach ( $row_idxs as $key => $row_idx ) {
+				$row_text = implode( ' ', $this->text_data[ $row_idx ] );
+				foreach ( $words as $word ) {
+					if ( false === mb_stripos( $row_text, $word ) ) {
+						unset( $row_idxs[ $key ] );
+						break;
+					}
+				}
+			}
+		}
+
+		// Column filters.
+		if ( isset( $request['columns'] ) && is_array( $request['columns'] ) ) {
+			foreach ( $request['columns'] as $col_idx => $column ) {
+				$col_idx = (int) $col_idx;
+				$value = isset( $column['search']['value'] ) ? trim( (string) $column['search']['value'] ) : '';
+				if ( '' === $value || ! isset( $column_filters[ $col_idx ] ) ) {
+					continue;
+				}
+				foreach ( $row_idxs as $key => $row_idx ) {
+					if ( ! $this->cell_matches_filter( $row_idx, $col_idx, $column_filters[ $col_idx ]['type'], $value ) ) {
+						unset( $row_idxs[ $key ] );
+					}
+				}
+			}
+		}
+
+		// Sorting, by one or more columns.
+		$this->order = array();
+		if ( isset( $request['order'] ) && is_array( $request['order'] ) ) {
+			foreach ( $request['order'] as $order_column ) {
+				if ( ! isset( $order_column['column'] ) ) {
+					continue;
+				}
+				$this->order[] = array(
+					'column' => (int) $order_column['column'],
+					'desc'   => ( isset( $order_column['dir'] ) && 'desc' === $order_column['dir'] ),
+				);
+			}
+		}
+		if ( ! empty( $this->order ) ) {
+			usort( $row_idxs, array( $this, 'compare_rows' ) );
+		}
+
+		// Pagination, a length of -1 means all rows.
+		$records_filtered = count( $row_idxs );
+		$start = isset( $request['start'] ) ? max( 0, (int) $request['start'] ) : 0;
+		$length = isset( $request['length'] ) ? (int) $request['length'] : -1;
+		$row_idxs = array_slice( array_values( $row_idxs ), $start, ( $length > 0 ) ? $length : null );
+
+		$data = array();
+		foreach ( $row_idxs as $row_idx ) {
+			$data[] = $body_data[ $row_idx ];
+		}
+
+		return array(
+			'recordsTotal'    => count( $this->text_data ),
+			'recordsFiltered' => $records_filtered,
+			'data'            => $data,
+		);
+	}
+
+	/**
+	 * Check whether a cell matches the value of a column filter.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param int    $row_idx Row index of the cell.
+	 * @param int    $col_idx Column index of the cell.
+	 * @param string $type    Column filter type.
+	 * @param string $value   Filter value, a range is given as "min~max".
+	 * @return bool Whether the cell matches the filter.
+	 */
+	protected function cell_matches_filter( $row_idx, $col_idx, $type, $value ) {
+		if ( ! isset( $this->text_data[ $row_idx ][ $col_idx ] ) ) {
+			return false;
+		}
+		$text = $this->text_data[ $row_idx ][ $col_idx ];
+		switch ( $type ) {
+			case 'select':
+				return 0 === strcasecmp( $text, $value );
+			case 'range':
+				$range = explode( '~', $value, 2 );
+				$number = $this->number_data[ $row_idx ][ $col_idx ];
+				if ( is_null( $number ) ) {
+					return false;
+				}
+				if ( '' !== $range[0] && is_numeric( $range[0] ) && $number < (float) $range[0] ) {
+					return false;
+				}
+				if ( isset( $range[1] ) && '' !== $range[1] && is_numeric( $range[1] ) && $number > (float) $range[1] ) {
+					return false;
+				}
+				return true;
+			case 'none':
+				return true;
+			default:
+				return false !== mb_stripos( $text, $value );
+		}
+	}
+
+	/**
+	 * Compare two rows for sorting, by the columns of the current request.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param int $row_a Index of the first row.
+	 * @param int $row_b Index of the second row.
+	 * @return int Result of the comparison.
+	 */
+	public function compare_rows( $row_a, $row_b ) {
+		foreach ( $this->order as $order_column ) {
+			$result = $this->compare_cells( $row_a, $row_b, $order_column['column'] );
+			if ( 0 !== $result ) {
+				return $order_column['desc'] ? -$result : $result;
+			}
+		}
+		// Keep the original order of rows with equal values.
+		return $row_a - $row_b;
+	}
+
+	/**
+	 * Compare two cells of a column for sorting, numerically if both are numbers, and in natural order otherwise.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param int $row_a   Row index of the first cell.
+	 * @param int $row_b   Row index of the second cell.
+	 * @param int $col_idx Column index of the cells.
+	 * @return int Result of the comparison (-1, 0, 1).
+	 */
+	protected function compare_cells( $row_a, $row_b, $col_idx ) {
+		if ( ! isset( $this->text_data[ $row_a ][ $col_idx ], $this->text_data[ $row_b ][ $col_idx ] ) ) {
+			return 0;
+		}
+		$number_a = $this->number_data[ $row_a ][ $col_idx ];
+		$number_b = $this->number_data[ $row_b ][ $col_idx ];
+		if ( ! is_null( $number_a ) && ! is_null( $number_b ) ) {
+			if ( $number_a === $number_b ) {
+				return 0;
+			}
+			return ( $number_a < $number_b ) ? -1 : 1;
+		}
+		return strnatcasecmp( $this->text_data[ $row_a ][ $col_idx ], $this->text_data[ $row_b ][ $col_idx ] );
+	}
+
+} // class TablePress_DataTables_Server_Side
@@ -47,6 +47,30 @@ class TablePress_Evaluate {
 	 */
 	protected $known_ranges = array();
 
+	/**
+	 * ID of the table in which formulas shall be evaluated.
+	 *
+	 * @since 1.15.0
+	 * @var string
+	 */
+	protected $table_id = '';
+
+	/**
+	 * Storage for text values that have been replaced by placeholders in formulas.
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	protected $text_values = array();
+
+	/**
+	 * Formula Evaluation class instances of all tables that are involved in the current evaluation, for references like Table5!C3.
+	 *
+	 * @since 1.15.0
+	 * @var TablePress_Evaluate[]
+	 */
+	protected static $evaluators = array();
+
 	/**
 	 * Initialize the Formula Evaluation class, include the EvalMath class.
 	 *
@@ -68,15 +92,13 @@ class TablePress_Evaluate {
 	 * @return array Table data with evaluated formulas.
 	 */
 	public function evaluate_table_data( array $table_data, $table_id ) {
-		$this->table_data = $table_data;
+		$this->_set_table_data( $table_data, $table_id );
+		// References to this table from other tables shall use the passed (and maybe not yet saved) table data.
+		self::$evaluators[ (string) $table_id ] = $this;
+
 		$num_rows = count( $this->table_data );
 		$num_columns = count( $this->table_data[0] );
 
-		// Make fixed table data available as variables in formulas.
-		$this->evalmath->variables['table_id'] = $table_id;
-		$this->evalmath->variables['num_rows'] = $num_rows;
-		$this->evalmath->variables['num_columns'] = $num_columns;
-
 		// Use two for-loops instead of foreach here to be sure to always work on the "live" table data and not some in-memory copy.
 		for ( $row_idx = 0; $row_idx < $num_rows; $row_idx++ ) {
 			for ( $col_idx = 0; $col_idx < $num_columns; $col_idx++ ) {
@@ -87,6 +109,75 @@ class TablePress_Evaluate {
 		return $this->table_data;
 	}
 
+	/**
+	 * Set the table data in which formulas shall be evaluated.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array  $table_data Table data in which formulas shall be evaluated.
+	 * @param string $table_id   ID of the passed table.
+	 */
+	protected function _set_table_data( array $table_data, $table_id ) {
+		$this->table_data = $table_data;
+		$this->table_id = (string) $table_id;
+
+		// Make fixed table data available as variables in formulas.
+		$this->evalmath->variables['table_id'] = $table_id;
+		$this->evalmath->variables['num_rows'] = count( $this->table_data );
+		$this->evalmath->variables['num_columns'] = count( $this->table_data[0] );
+	}
+
+	/**
+	 * Get the Formula Evaluation class instance of another table, which only evaluates the cells that are referenced.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id ID of the table.
+	 * @return TablePress_Evaluate|false Formula Evaluation class instance of the table, or false if the table could not be loaded.
+	 */
+	protected function _get_evaluator( $table_id ) {
+		if ( ! isset( self::$evaluators[ $table_id ] ) ) {
+			// Load table, with table data, but without options and visibility settings.
+			$table = TablePress::$model_table->load( $table_id, true, false );
+			if ( is_wp_error( $table ) || empty( $table['data'] ) ) {
+				return false;
+			}
+
+			$evaluator = TablePress::load_class( 'TablePress_Evaluate', 'class-evaluate.php', 'classes' );
+			$evaluator->_set_table_data( $table['data'], $table_id );
+			self::$evaluators[ $table_id ] = $evaluator;
+		}
+
+		return self::$evaluators[ $table_id ];
+	}
+
+	/**
+	 * Get the evaluated content of a cell.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param int    $row_idx Row index of the cell.
+	 * @param int    $col_idx Column index of the cell.
+	 * @param string $name    Name of the cell reference, like A3 or Table5!A3, for error messages.
+	 * @param array  $parents List of cells (with table ID) that depend on this cell (to prevent circle references).
+	 * @return string Evaluated content of the cell.
+	 */
+	public function get_cell_value( $row_idx, $col_idx, $name, array $parents ) {
+		$key = $this->table_id . '!' . TablePress::number_to_letter( $col_idx + 1 ) . ( $row_idx + 1 );
+		if ( in_array( $key, $parents, true ) ) {
+			return '!ERROR! Circle Reference';
+		}
+
+		if ( ! isset( $this->table_data[ $row_idx ][ $col_idx ] ) ) {
+			return "!ERROR! Cell {$name} does not exist";
+		}
+
+		$parents[] = $key;
+		$result = $this->_evaluate_cell( $this->table_data[ $row_idx ][ $col_idx ], $row_idx, $col_idx, $parents );
+		$this->table_data[ $row_idx ][ $col_idx ] = $result;
+		return $result;
+	}
+
 	/**
 	 * Parse and evaluate the content of a cell.
 	 *
@@ -118,107 +209,471 @@ class TablePress_Evaluate {
 
 		foreach ( $expressions as $expression ) {
 			$orig_expression = $expression[0];
-			$expression = $expression[1];
-
-			$replaced_references = array();
-			$replaced_ranges = array();
 
+			// Replace text in quotation marks (like "Beat CBS") with placeholders, as it might contain whitespace or characters that look like cell references.
+			$expression = preg_replace_callback( '#"((?:[^"]|"")*)"#', array( $this, '_replace_text_literal' ), $expression[1] );
 			// Remove all whitespace characters.
 			$expression = str_replace( array( "\n", "\r", "\t", ' ' ), '', $expression );
 
-			// Expand cell ranges (like A3:A6) to a list of single cells (like A3,A4,A5,A6).
-			if ( preg_match_all( '#([A-Z]+)([0-9]+):([A-Z]+)([0-9]+)#', $expression, $referenced_cell_ranges, PREG_SET_ORDER ) ) {
-				foreach ( $referenced_cell_ranges as $cell_range ) {
-					if ( in_array( $cell_range[0], $replaced_ranges, true ) ) {
-						continue;
-					}
+			$result = $this->_evaluate_expression( $expression, $row_idx, $col_idx, $parents );
+			// Bail if there was an error.
+			if ( false !== strpos( $result, '!ERROR!' ) ) {
+				return $result;
+			}
+			$result = $this->_get_value( $result );
 
-					$replaced_ranges[] = $cell_range[0];
+			// Support putting formulas in strings, like =Total: {A3+A4}.
+			if ( $formula_in_string ) {
+				$content = str_replace( $orig_expression, $result, $content );
+			} else {
+				$content = $result;
+			}
+		}
 
-					if ( isset( $this->known_ranges[ $cell_range[0] ] ) ) {
-						$expression = preg_replace( '#(?<![A-Z])' . preg_quote( $cell_range[0], '#' ) . '(?![0-9])#', $this->known_ranges[ $cell_range[0] ], $expression );
-						continue;
-					}
+		return $content;
+	}
 
-					// No -1 necessary for this transformation, as we don't actually access the table.
-					$first_col = TablePress::letter_to_number( $cell_range[1] );
-					$first_row = $cell_range[2];
-					$last_col = TablePress::letter_to_number( $cell_range[3] );
-					$last_row = $cell_range[4];
-
-					$col_start = min( $first_col, $last_col );
-					$col_end = max( $first_col, $last_col ) + 1; // +1 for loop below
-					$row_start = min( $first_row, $last_row );
-					$row_end = max( $first_row, $last_row ) + 1; // +1 for loop below
-
-					$cell_list = array();
-					for ( $col = $col_start; $col < $col_end; $col++ ) {
-						for ( $row = $row_start; $row < $row_end; $row++ ) {
-							$column = TablePress::number_to_letter( $col );
-							$cell_list[] = "{$column}{$row}";
-						}
-					}
-					$cell_list = implode( ',', $cell_list );
+	/**
+	 * Replace a text literal in a formula with a placeholder.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $matches Matches of the text literal regular expression.
+	 * @return string Placeholder for the text.
+	 */
+	protected function _replace_text_literal( array $matches ) {
+		return $this->_get_text_placeholder( str_replace( '""', '"', $matches[1] ) );
+	}
 
-					$expression = preg_replace( '#(?<![A-Z])' . preg_quote( $cell_range[0], '#' ) . '(?![0-9])#', $cell_list, $expression );
-					$this->known_ranges[ $cell_range[0] ] = $cell_list;
-				}
+	/**
+	 * Get a placeholder for a text value, which can not be used in math expressions.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $text   Text value.
+	 * @param string $source Optional. Cell reference that the text comes from, for error messages.
+	 * @return string Placeholder for the text.
+	 */
+	protected function _get_text_placeholder( $text, $source = '' ) {
+		$this->text_values[] = array(
+			'text'   => $text,
+			'source' => $source,
+		);
+		return '#s' . ( count( $this->text_values ) - 1 ) . '#';
+	}
+
+	/**
+	 * Get the value that a result of an expression (a number or a text placeholder) stands for.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $result Result of an expression.
+	 * @return string Number or text.
+	 */
+	protected function _get_value( $result ) {
+		if ( preg_match( '#^\#s([0-9]+)\#$#', $result, $placeholder ) ) {
+			return $this->text_values[ $placeholder[1] ]['text'];
+		}
+		// Remove the parentheses around negative numbers.
+		return trim( $result, '()' );
+	}
+
+	/**
+	 * Convert the evaluated content of a cell to a number or a text placeholder that can be put into an expression.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $value  Evaluated content of a cell.
+	 * @param string $source Cell reference that the value comes from.
+	 * @return string Number or text placeholder.
+	 */
+	protected function _get_value_token( $value, $source = '' ) {
+		// Remove all whitespace characters.
+		$number = str_replace( array( "\n", "\r", "\t", ' ' ), '', $value );
+		// Treat empty cells as 0.
+		if ( '' === $number ) {
+			return '0';
+		}
+		if ( is_numeric( $number ) ) {
+			// Wrap negative numbers in parentheses, so that they can follow an operator.
+			return ( $number < 0 ) ? "({$number})" : $number;
+		}
+		return $this->_get_text_placeholder( trim( $value ), $source );
+	}
+
+	/**
+	 * Evaluate an expression, which is a formula without leading = sign and without whitespace.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $expression Expression.
+	 * @param int    $row_idx    Row index of the cell.
+	 * @param int    $col_idx    Column index of the cell.
+	 * @param array  $parents    List of cells that depend on this cell (to prevent circle references).
+	 * @return string Number, text placeholder, or error message.
+	 */
+	protected function _evaluate_expression( $expression, $row_idx, $col_idx, array $parents ) {
+		$replaced_references = array();
+		$replaced_ranges = array();
+
+		// Evaluate functions that work on text or on cell ranges (like VLOOKUP(A3,Table5!A1:C9,2,0)), from the outside to the inside.
+		while ( preg_match( '#(?<![A-Za-z0-9_])(VLOOKUP|INDEX|MATCH|IF|CURRENCY)\(#i', $expression, $function_call, PREG_OFFSET_CAPTURE ) ) {
+			$start = $function_call[0][1];
+			$arguments = $this->_split_arguments( $expression, $start + strlen( $function_call[0][0] ) );
+			if ( false === $arguments ) {
+				return "!ERROR! Missing closing parenthesis for {$function_call[1][0]}";
 			}
 
-			// Parse and evaluate single cell references (like A3 or XY312), while prohibiting circle references.
-			if ( preg_match_all( '#([A-Z]+)([0-9]+)(?![0-9A-Z\(])#', $expression, $referenced_cells, PREG_SET_ORDER ) ) {
-				foreach ( $referenced_cells as $cell_reference ) {
-					if ( in_array( $cell_reference[0], $parents, true ) ) {
-						return '!ERROR! Circle Reference';
-					}
+			$result = $this->_evaluate_function( strtoupper( $function_call[1][0] ), $arguments['arguments'], $row_idx, $col_idx, $parents );
+			if ( false !== strpos( $result, '!ERROR!' ) ) {
+				return $result;
+			}
 
-					if ( in_array( $cell_reference[0], $replaced_references, true ) ) {
-						continue;
-					}
+			$expression = substr( $expression, 0, $start ) . $result . substr( $expression, $arguments['end'] + 1 );
+		}
+
+		// Parse and evaluate references to cells and cell ranges in other tables (like Table5!C3 or Table5!A3:A6).
+		if ( preg_match_all( '#Table([A-Za-z0-9_-]+)!([A-Z]+[0-9]+(?::[A-Z]+[0-9]+)?)(?![0-9A-Z\(])#', $expression, $table_references, PREG_SET_ORDER ) ) {
+			foreach ( $table_references as $table_reference ) {
+				if ( in_array( $table_reference[0], $replaced_references, true ) ) {
+					continue;
+				}
 
-					$replaced_references[] = $cell_reference[0];
+				$replaced_references[] = $table_reference[0];
 
-					$ref_col = TablePress::letter_to_number( $cell_reference[1] ) - 1;
-					$ref_row = $cell_reference[2] - 1;
+				$values = $this->_get_range_values( $table_reference[0], $parents );
+				if ( ! is_array( $values ) ) {
+					return $values;
+				}
 
-					if ( ! isset( $this->table_data[ $ref_row ][ $ref_col ] ) ) {
-						return "!ERROR! Cell {$cell_reference[0]} does not exist";
+				$cell_list = array();
+				foreach ( $values as $row => $row_values ) {
+					foreach ( $row_values as $col => $value ) {
+						$cell_list[ $col * count( $values ) + $row ] = $this->_get_value_token( $value, $table_reference[0] );
 					}
+				}
+				// Use the same order as for ranges in the same table, which are expanded column by column.
+				ksort( $cell_list );
+				$cell_list = implode( ',', $cell_list );
 
-					$ref_parents = $parents;
-					$ref_parents[] = $cell_reference[0];
+				$expression = preg_replace( '#' . preg_quote( $table_reference[0], '#' ) . '(?![0-9:])#', $cell_list, $expression );
+			}
+		}
 
-					$result = $this->_evaluate_cell( $this->table_data[ $ref_row ][ $ref_col ], $ref_row, $ref_col, $ref_parents );
-					$this->table_data[ $ref_row ][ $ref_col ] = $result;
-					// Bail if there was an error already.
-					if ( false !== strpos( $result, '!ERROR!' ) ) {
-						return $result;
-					}
-					// Remove all whitespace characters.
-					$result = str_replace( array( "\n", "\r", "\t", ' ' ), '', $result );
-					// Treat empty cells as 0.
-					if ( '' === $result ) {
-						$result = 0;
-					}
-					// Bail if the cell does not result in a number (meaning it was a number or expression before being evaluated).
-					if ( ! is_numeric( $result ) ) {
-						return "!ERROR! {$cell_reference[0]} does not contain a number or expression";
+		// Expand cell ranges (like A3:A6) to a list of single cells (like A3,A4,A5,A6).
+		if ( preg_match_all( '#([A-Z]+)([0-9]+):([A-Z]+)([0-9]+)#', $expression, $referenced_cell_ranges, PREG_SET_ORDER ) ) {
+			foreach ( $referenced_cell_ranges as $cell_range ) {
+				if ( in_array( $cell_range[0], $replaced_ranges, true ) ) {
+					continue;
+				}
+
+				$replaced_ranges[] = $cell_range[0];
+
+				if ( isset( $this->known_ranges[ $cell_range[0] ] ) ) {
+					$expression = preg_replace( '#(?<![A-Z])' . preg_quote( $cell_range[0], '#' ) . '(?![0-9])#', $this->known_ranges[ $cell_range[0] ], $expression );
+					continue;
+				}
+
+				// No -1 necessary for this transformation, as we don't actually access the table.
+				$first_col = TablePress::letter_to_number( $cell_range[1] );
+				$first_row = $cell_range[2];
+				$last_col = TablePress::letter_to_number( $cell_range[3] );
+				$last_row = $cell_range[4];
+
+				$col_start = min( $first_col, $last_col );
+				$col_end = max( $first_col, $last_col ) + 1; // +1 for loop below
+				$row_start = min( $first_row, $last_row );
+				$row_end = max( $first_row, $last_row ) + 1; // +1 for loop below
+
+				$cell_list = array();
+				for ( $col = $col_start; $col < $col_end; $col++ ) {
+					for ( $row = $row_start; $row < $row_end; $row++ ) {
+						$column = TablePress::number_to_letter( $col );
+						$cell_list[] = "{$column}{$row}";
 					}
+				}
+				$cell_list = implode( ',', $cell_list );
+
+				$expression = preg_replace( '#(?<![A-Z])' . preg_quote( $cell_range[0], '#' ) . '(?![0-9])#', $cell_list, $expression );
+				$this->known_ranges[ $cell_range[0] ] = $cell_list;
+			}
+		}
+
+		// Parse and evaluate single cell references (like A3 or XY312), while prohibiting circle references.
+		if ( preg_match_all( '#([A-Z]+)([0-9]+)(?![0-9A-Z\(])#', $expression, $referenced_cells, PREG_SET_ORDER ) ) {
+			foreach ( $referenced_cells as $cell_reference ) {
+				if ( in_array( $cell_reference[0], $replaced_references, true ) ) {
+					continue;
+				}
+
+				$replaced_references[] = $cell_reference[0];
+
+				$ref_col = TablePress::letter_to_number( $cell_reference[1] ) - 1;
+				$ref_row = $cell_reference[2] - 1;
 
-					$expression = preg_replace( '#(?<![A-Z])' . $cell_reference[0] . '(?![0-9])#', $result, $expression );
+				$result = $this->get_cell_value( $ref_row, $ref_col, $cell_reference[0], $parents );
+				// Bail if there was an error already.
+				if ( false !== strpos( $result, '!ERROR!' ) ) {
+					return $result;
 				}
+
+				$expression = preg_replace( '#(?<![A-Z])' . $cell_reference[0] . '(?![0-9])#', $this->_get_value_token( $result, $cell_reference[0] ), $expression );
 			}
+		}
 
-			$result = $this->_evaluate_math_expression( $expression, $row_idx, $col_idx );
-			// Support putting formulas in strings, like =Total: {A3+A4}.
-			if ( $formula_in_string ) {
-				$content = str_replace( $orig_expression, $result, $content );
+		// Text can be the result of a formula, but it can not be used in calculations.
+		if ( preg_match( '#^\#s[0-9]+\#$#', $expression ) ) {
+			return $expression;
+		}
+		if ( preg_match( '#\#s([0-9]+)\##', $expression, $placeholder ) ) {
+			$source = $this->text_values[ $placeholder[1] ]['source'];
+			if ( '' === $source ) {
+				return '!ERROR! Text can not be used in calculations';
+			}
+			return "!ERROR! {$source} does not contain a number or expression";
+		}
+
+		return $this->_evaluate_math_expression( $expression, $row_idx, $col_idx );
+	}
+
+	/**
+	 * Split the arguments of a function call in an expression.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $expression Expression.
+	 * @param int    $offset     Position after the opening parenthesis of the function call.
+	 * @return array|false Arguments of the function call and position of the closing parenthesis, or false if the parentheses don't match.
+	 */
+	protected function _split_arguments( $expression, $offset ) {
+		$arguments = array();
+		$argument = '';
+		$depth = 0;
+		$length = strlen( $expression );
+		for ( $position = $offset; $position < $length; $position++ ) {
+			$character = $expression[ $position ];
+			if ( ')' === $character && 0 === $depth ) {
+				$arguments[] = $argument;
+				return array(
+					'arguments' => $arguments,
+					'end'       => $position,
+				);
+			}
+			if ( ',' === $character && 0 === $depth ) {
+				$arguments[] = $argument;
+				$argument = '';
+				continue;
+			}
+			if ( '(' === $character ) {
+				$depth++;
+			} elseif ( ')' === $character ) {
+				$depth--;
+			}
+			$argument .= $character;
+		}
+		return false;
+	}
+
+	/**
+	 * Get the evaluated values of a cell or a cell range, like A3, A3:C6, or Table5!A3:C6.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $range   Cell or cell range, with optional table.
+	 * @param array  $parents List of cells that depend on this cell (to prevent circle references).
+	 * @return array|string Values of the cells, by row and column, or error message.
+	 */
+	protected function _get_range_values( $range, array $parents ) {
+		if ( ! preg_match( '#^(?:Table([A-Za-z0-9_-]+)!)?([A-Z]+)([0-9]+)(?::([A-Z]+)([0-9]+))?$#', $range, $range_parts ) ) {
+			return "!ERROR! {$range} is not a cell range";
+		}
+
+		$evaluator = $this;
+		if ( '' !== $range_parts[1] ) {
+			$evaluator = $this->_get_evaluator( $range_parts[1] );
+			if ( false === $evaluator ) {
+				return "!ERROR! Table {$range_parts[1]} does not exist";
+			}
+		}
+
+		if ( empty( $range_parts[4] ) ) {
+			$range_parts[4] = $range_parts[2];
+			$range_parts[5] = $range_parts[3];
+		}
+
+		$first_col = TablePress::letter_to_number( $range_parts[2] ) - 1;
+		$last_col = TablePress::letter_to_number( $range_parts[4] ) - 1;
+		$first_row = $range_parts[3] - 1;
+		$last_row = $range_parts[5] - 1;
+
+		$values = array();
+		for ( $row = min( $first_row, $last_row ); $row <= max( $first_row, $last_row ); $row++ ) {
+			$row_values = array();
+			for ( $col = min( $first_col, $last_col ); $col <= max( $first_col, $last_col ); $col++ ) {
+				$name = ( '' !== $range_parts[1] ? "Table{$range_parts[1]}!" : '' ) . TablePress::number_to_letter( $col + 1 ) . ( $row + 1 );
+				$value = $evaluator->get_cell_value( $row, $col, $name, $parents );
+				if ( false !== strpos( $value, '!ERROR!' ) ) {
+					return $value;
+				}
+				$row_values[] = $value;
+			}
+			$values[] = $row_values;
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Evaluate a function that works on text or on cell ranges.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $function  Function name, in uppercase.
+	 * @param array  $arguments Unevaluated arguments of the function.
+	 * @param int    $row_idx   Row index of the cell.
+	 * @param int    $col_idx   Column index of the cell.
+	 * @param array  $parents   List of cells that depend on this cell (to prevent circle references).
+	 * @return string Number, text placeholder, or error message.
+	 */
+	protected function _evaluate_function( $function, array $arguments, $row_idx, $col_idx, array $parents ) {
+		// Arguments that are cell ranges, and the number of allowed arguments.
+		$signatures = array(
+			'VLOOKUP'  => array( array( 1 ), 3, 4 ),
+			'INDEX'    => array( array( 0 ), 2, 3 ),
+			'MATCH'    => array( array( 1 ), 2, 3 ),
+			'IF'       => array( array(), 2, 3 ),
+			'CURRENCY' => array( array(), 1, 3 ),
+		);
+		list( $range_arguments, $min_arguments, $max_arguments ) = $signatures[ $function ];
+
+		// Treat empty trailing arguments as omitted.
+		while ( count( $arguments ) > $min_arguments && '' === end( $arguments ) ) {
+			array_pop( $arguments );
+		}
+		if ( count( $arguments ) < $min_arguments || count( $arguments ) > $max_arguments ) {
+			return "!ERROR! Wrong number of arguments for {$function}";
+		}
+
+		// Only the branch of IF() that is used is evaluated.
+		if ( 'IF' === $function ) {
+			$condition = $this->_evaluate_expression( $arguments[0], $row_idx, $col_idx, $parents );
+			if ( false !== strpos( $condition, '!ERROR!' ) ) {
+				return $condition;
+			}
+			if ( 0.0 !== (float) $this->_get_value( $condition ) ) {
+				return $this->_evaluate_expression( $arguments[1], $row_idx, $col_idx, $parents );
+			}
+			return isset( $arguments[2] ) ? $this->_evaluate_expression( $arguments[2], $row_idx, $col_idx, $parents ) : '0';
+		}
+
+		$values = array();
+		foreach ( $arguments as $idx => $argument ) {
+			if ( in_array( $idx, $range_arguments, true ) ) {
+				$values[ $idx ] = $this->_get_range_values( $argument, $parents );
+				if ( ! is_array( $values[ $idx ] ) ) {
+					return $values[ $idx ];
+				}
 			} else {
-				$content = $result;
+				$value = $this->_evaluate_expression( $argument, $row_idx, $col_idx, $parents );
+				if ( false !== strpos( $value, '!ERROR!' ) ) {
+					return $value;
+				}
+				$values[ $idx ] = $this->_get_value( $value );
 			}
 		}
 
-		return $content;
+		switch ( $function ) {
+			case 'VLOOKUP':
+				$column = (int) $values[2];
+				if ( $column < 1 || $column > count( $values[1][0] ) ) {
+					return '!ERROR! VLOOKUP column is outside of the cell range';
+				}
+				$lookup_column = array();
+				foreach ( $values[1] as $row_values ) {
+					$lookup_column[] = $row_values[0];
+				}
+				// Like in spreadsheet applications, an approximate match (in a sorted first column) is the default.
+				$row = $this->_find_match( $values[0], $lookup_column, ( isset( $values[3] ) && ! (float) $values[3] ) ? 0 : 1 );
+				if ( false === $row ) {
+					return "!ERROR! VLOOKUP value {$values[0]} not found";
+				}
+				return $this->_get_value_token( $values[1][ $row ][ $column - 1 ] );
+			case 'INDEX':
+				$row = (int) $values[1];
+				$column = isset( $values[2] ) ? (int) $values[2] : 1;
+				// In a range with only one row, the second argument is the column.
+				if ( ! isset( $values[2] ) && 1 === count( $values[0] ) ) {
+					$column = $row;
+					$row = 1;
+				}
+				if ( ! isset( $values[0][ $row - 1 ][ $column - 1 ] ) ) {
+					return '!ERROR! INDEX position is outside of the cell range';
+				}
+				return $this->_get_value_token( $values[0][ $row - 1 ][ $column - 1 ] );
+			case 'MATCH':
+				if ( 1 === count( $values[1] ) ) {
+					$lookup_values = $values[1][0];
+				} elseif ( 1 === count( $values[1][0] ) ) {
+					$lookup_values = array();
+					foreach ( $values[1] as $row_values ) {
+						$lookup_values[] = $row_values[0];
+					}
+				} else {
+					return '!ERROR! MATCH needs a cell range with only one row or column';
+				}
+				$position = $this->_find_match( $values[0], $lookup_values, isset( $values[2] ) ? (int) $values[2] : 1 );
+				if ( false === $position ) {
+					return "!ERROR! MATCH value {$values[0]} not found";
+				}
+				return (string) ( $position + 1 );
+			case 'CURRENCY':
+				if ( ! is_numeric( $values[0] ) ) {
+					return '!ERROR! CURRENCY needs a number';
+				}
+				$decimals = isset( $values[1] ) ? max( 0, (int) $values[1] ) : 2;
+				$text = number_format_i18n( (float) $values[0], $decimals );
+				if ( isset( $values[2] ) && '' !== $values[2] ) {
+					$text = "{$values[2]} {$text}";
+				}
+				return $this->_get_text_placeholder( $text );
+		}
+
+		return "!ERROR! Unknown function {$function}";
+	}
+
+	/**
+	 * Find the position of a value in a list of values, like the MATCH() function of spreadsheet applications.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $needle     Value to find.
+	 * @param array  $haystack   Values to search in.
+	 * @param int    $match_type 0 for an exact match, 1 for the largest value that is less than or equal to the needle (in ascending values),
+	 *                           -1 for the smallest value that is greater than or equal to the needle (in descending values).
+	 * @return int|false Index of the found value, or false if it was not found.
+	 */
+	protected function _find_match( $needle, array $haystack, $match_type ) {
+		$found = false;
+		foreach ( array_values( $haystack ) as $idx => $value ) {
+			if ( is_numeric( $needle ) && is_numeric( $value ) ) {
+				$comparison = ( (float) $value < (float) $needle ) ? -1 : ( ( (float) $value > (float) $needle ) ? 1 : 0 );
+			} else {
+				$comparison = strcasecmp( trim( $value ), trim( $needle ) );
+			}
+
+			if ( 0 === $comparison ) {
+				return $idx;
+			}
+			if ( 0 === $match_type ) {
+				continue;
+			}
+			// Stop at the first value that is past the needle in the sort order.
+			if ( ( $match_type > 0 && $comparison > 0 ) || ( $match_type < 0 && $comparison < 0 ) ) {
+				break;
+			}
+			$found = $idx;
+		}
+		return $found;
 	}
 
 	/**
@@ -50,22 +50,42 @@ class TablePress_Export {
 	 * @since 1.0.0
 	 */
 	public function __construct() {
+		/** This filter is documented in the WordPress function unzip_file() in wp-admin/includes/file.php */
+		if ( class_exists( 'ZipArchive', false ) && apply_filters( 'unzip_file_use_ziparchive', true ) ) {
+			$this->zip_support_available = true;
+		}
+
 		// Initiate here, because function call not possible outside a class method.
 		$this->export_formats = array(
-			'csv'  => __( 'CSV - Character-Separated Values', 'tablepress' ),
-			'html' => __( 'HTML - Hypertext Markup Language', 'tablepress' ),
-			'json' => __( 'JSON - JavaScript Object Notation', 'tablepress' ),
+			'csv'        => __( 'CSV - Character-Separated Values', 'tablepress' ),
+			'html'       => __( 'HTML - Hypertext Markup Language', 'tablepress' ),
+			'json'       => __( 'JSON - JavaScript Object Notation', 'tablepress' ),
+			'json_typed' => __( 'JSON - JavaScript Object Notation, with column types', 'tablepress' ),
 		);
+		// XLSX files are ZIP archives.
+		if ( $this->zip_support_available ) {
+			$this->export_formats['xlsx'] = __( 'XLSX - Microsoft Excel 2007-2019', 'tablepress' );
+		}
 		$this->csv_delimiters = array(
 			';'   => __( '; (semicolon)', 'tablepress' ),
 			','   => __( ', (comma)', 'tablepress' ),
 			'tab' => __( '\t (tabulator)', 'tablepress' ),
 		);
+	}
 
-		/** This filter is documented in the WordPress function unzip_file() in wp-admin/includes/file.php */
-		if ( class_exists( 'ZipArchive', false ) && apply_filters( 'unzip_file_use_ziparchive', true ) ) {
-			$this->zip_support_available = true;
+	/**
+	 * Get the file extension for an export format.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $export_format Format for the export.
+	 * @return string File extension.
+	 */
+	public function get_file_extension( $export_format ) {
+		if ( 'json_typed' === $export_format ) {
+			return 'json';
 		}
+		return $export_format;
 	}
 
 	/**
@@ -74,9 +94,9 @@ class TablePress_Export {
 	 * @since 1.0.0
 	 *
 	 * @param array  $table         Table to be exported.
-	 * @param string $export_format Format for the export ('csv', 'html', 'json').
+	 * @param string $export_format Format for the export ('csv', 'html', 'json', 'json_typed', 'xlsx').
 	 * @param string $csv_delimiter Delimiter for CSV export.
-	 * @return string Exported table (only data for CSV and HTML, full tables (including options) for JSON).
+	 * @return string Exported table (only data for CSV, HTML, and XLSX, full tables (including options) for JSON).
 	 */
 	public function export_table( array $table, $export_format, $csv_delimiter ) {
 		switch ( $export_format ) {
@@ -130,6 +150,12 @@ class TablePress_Export {
 			case 'json':
 				$output = wp_json_encode( $table, TABLEPRESS_JSON_OPTIONS );
 				break;
+			case 'json_typed':
+				$output = wp_json_encode( $this->json_add_schema( $table ), TABLEPRESS_JSON_OPTIONS );
+				break;
+			case 'xlsx':
+				$output = $this->xlsx_create_file( $table );
+				break;
 			default:
 				$output = '';
 		}
@@ -193,4 +219,193 @@ class TablePress_Export {
 		$cell_content = "\t\t\t<{$html_tag}>{$cell_content}</{$html_tag}>\n";
 	}
 
+	/**
+	 * Add the types of the columns to a table for the typed JSON export, and store numbers as JSON numbers.
+	 *
+	 * A column is a number column if all its cells (except for the table head and foot rows) are empty
+	 * or numbers with the same number of decimals, so that the import can restore them exactly.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $table Table to be exported.
+	 * @return array Table with the "schema" property.
+	 */
+	protected function json_add_schema( array $table ) {
+		$num_rows = count( $table['data'] );
+		$num_columns = ( $num_rows > 0 ) ? count( $table['data'][0] ) : 0;
+		$first_row_idx = ( ! empty( $table['options']['table_head'] ) && $num_rows > 1 ) ? 1 : 0;
+		$last_row_idx = ( ! empty( $table['options']['table_foot'] ) && $num_rows > 1 ) ? $num_rows - 2 : $num_rows - 1;
+
+		$columns = array();
+		for ( $col_idx = 0; $col_idx < $num_columns; $col_idx++ ) {
+			$type = 'number';
+			$decimals = null;
+			$has_formulas = false;
+			$has_text = false;
+			for ( $row_idx = $first_row_idx; $row_idx <= $last_row_idx; $row_idx++ ) {
+				$cell = $table['data'][ $row_idx ][ $col_idx ];
+				if ( '' === $cell ) {
+					continue;
+				}
+				if ( '=' === $cell[0] ) {
+					$has_formulas = true;
+				} else {
+					$has_text = true;
+				}
+				if ( 1 !== preg_match( '#^-?(?:0|[1-9][0-9]*)(?:\.([0-9]+))?$#', $cell, $number ) ) {
+					$type = 'text';
+					continue;
+				}
+				$cell_decimals = isset( $number[1] ) ? strlen( $number[1] ) : 0;
+				if ( null !== $decimals && $decimals !== $cell_decimals ) {
+					$type = 'text';
+				}
+				$decimals = $cell_decimals;
+			}
+			if ( $has_formulas && ! $has_text ) {
+				$type = 'formula';
+			}
+
+			$column = array( 'type' => $type );
+			if ( 'number' === $type ) {
+				$column['decimals'] = (int) $decimals;
+				for ( $row_idx = $first_row_idx; $row_idx <= $last_row_idx; $row_idx++ ) {
+					$cell = $table['data'][ $row_idx ][ $col_idx ];
+					if ( '' === $cell ) {
+						$table['data'][ $row_idx ][ $col_idx ] = null;
+					} else {
+						$table['data'][ $row_idx ][ $col_idx ] = ( 0 === $decimals ) ? (int) $cell : (float) $cell;
+					}
+				}
+			}
+			$columns[] = $column;
+		}
+
+		$table['schema'] = array(
+			'version'    => 1,
+			'header_row' => (bool) $first_row_idx,
+			'footer_row' => ( $last_row_idx < $num_rows - 1 ),
+			'columns'    => $columns,
+		);
+		return $table;
+	}
+
+	/**
+	 * Create an XLSX file of a table, with combined cells (#rowspan#, #colspan#, #span#) as merged cells.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $table Table to be exported.
+	 * @return string Content of the XLSX file, or an empty string on error.
+	 */
+	protected function xlsx_create_file( array $table ) {
+		if ( ! $this->zip_support_available ) {
+			return '';
+		}
+
+		$span_keywords = array( '#rowspan#', '#colspan#', '#span#' );
+		$rows_xml = '';
+		$merge_cells = array();
+		$max_decimals = 0;
+
+		foreach ( $table['data'] as $row_idx => $row ) {
+			$cells_xml = '';
+			foreach ( $row as $col_idx => $cell_content ) {
+				$cell_name = TablePress::number_to_letter( $col_idx + 1 ) . ( $row_idx + 1 );
+
+				// Cells that are combined with another cell are exported as empty cells of the merged cell.
+				if ( in_array( $cell_content, $span_keywords, true ) ) {
+					continue;
+				}
+
+				$colspan = 1;
+				while ( isset( $row[ $col_idx + $colspan ] ) && '#colspan#' === $row[ $col_idx + $colspan ] ) {
+					$colspan++;
+				}
+				$rowspan = 1;
+				while ( isset( $table['data'][ $row_idx + $rowspan ][ $col_idx ] ) && '#rowspan#' === $table['data'][ $row_idx + $rowspan ][ $col_idx ] ) {
+					$rowspan++;
+				}
+				if ( $colspan > 1 || $rowspan > 1 ) {
+					$merge_cells[] = $cell_name . ':' . TablePress::number_to_letter( $col_idx + $colspan ) . ( $row_idx + $rowspan );
+				}
+
+				if ( '' === $cell_content ) {
+					continue;
+				}
+
+				// Numbers keep their number of decimals by using a number format.
+				if ( 1 === preg_match( '#^-?(?:0|[1-9][0-9]*)(?:\.([0-9]+))?$#', $cell_content, $number ) ) {
+					$decimals = isset( $number[1] ) ? strlen( $number[1] ) : 0;
+					$max_decimals = max( $max_decimals, $decimals );
+					$style = ( $decimals > 0 ) ? " s=\"{$decimals}\"" : '';
+					$cells_xml .= "<c r=\"{$cell_name}\"{$style}><v>{$cell_content}</v></c>";
+				} else {
+					$cells_xml .= "<c r=\"{$cell_name}\" t=\"inlineStr\"><is><t xml:space=\"preserve\">" . $this->xlsx_escape( $cell_content ) . '</t></is></c>';
+				}
+			}
+			$rows_xml .= '<row r="' . ( $row_idx + 1 ) . "\">{$cells_xml}</row>";
+		}
+
+		$merge_cells_xml = '';
+		if ( ! empty( $merge_cells ) ) {
+			$merge_cells_xml = '<mergeCells count="' . count( $merge_cells ) . '"><mergeCell ref="' . implode( '"/><mergeCell ref="', $merge_cells ) . '"/></mergeCells>';
+		}
+
+		// Number formats with 1 to $max_decimals decimals, the style index is the number of decimals.
+		$num_fmts_xml = '';
+		$cell_xfs_xml = '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>';
+		for ( $decimals = 1; $decimals <= $max_decimals; $decimals++ ) {
+			$num_fmt_id = 163 + $decimals;
+			$num_fmts_xml .= "<numFmt numFmtId=\"{$num_fmt_id}\" formatCode=\"0." . str_repeat( '0', $decimals ) . '"/>';
+			$cell_xfs_xml .= "<xf numFmtId=\"{$num_fmt_id}\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyNumberFormat=\"1\"/>";
+		}
+		if ( '' !== $num_fmts_xml ) {
+			$num_fmts_xml = "<numFmts count=\"{$max_decimals}\">{$num_fmts_xml}</numFmts>";
+		}
+
+		// Worksheet names are limited to 31 characters and can not contain some characters.
+		$sheet_name = trim( str_replace( array( '\\', '/', '?', '*', '[', ']', ':' ), ' ', $table['name'] ) );
+		$sheet_name = ( '' !== $sheet_name ) ? mb_substr( $sheet_name, 0, 31 ) : 'Table ' . $table['id'];
+
+		$xml_declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n";
+		$files = array(
+			'[Content_Types].xml'        => $xml_declaration . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>',
+			'_rels/.rels'                => $xml_declaration . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+			'xl/workbook.xml'            => $xml_declaration . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="' . $this->xlsx_escape( $sheet_name ) . '" sheetId="1" r:id="rId1"/></sheets></workbook>',
+			'xl/_rels/workbook.xml.rels' => $xml_declaration . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+			'xl/styles.xml'              => $xml_declaration . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' . $num_fmts_xml . '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="' . ( $max_decimals + 1 ) . '">' . $cell_xfs_xml . '</cellXfs></styleSheet>',
+			'xl/worksheets/sheet1.xml'   => $xml_declaration . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' . $rows_xml . '</sheetData>' . $merge_cells_xml . '</worksheet>',
+		);
+
+		$zip_file = new ZipArchive();
+		$full_filename = wp_tempnam( 'tablepress-export.xlsx' );
+		if ( true !== $zip_file->open( $full_filename, ZIPARCHIVE::OVERWRITE ) ) {
+			@unlink( $full_filename ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			return '';
+		}
+		foreach ( $files as $filename => $content ) {
+			$zip_file->addFromString( $filename, $content );
+		}
+		$zip_file->close();
+
+		$output = file_get_contents( $full_filename );
+		@unlink( $full_filename ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		return $output;
+	}
+
+	/**
+	 * Escape a string for use in the XML files of an XLSX file.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $string String to escape.
+	 * @return string Escaped string.
+	 */
+	protected function xlsx_escape( $string ) {
+		// Remove control characters that are not allowed in XML.
+		$string = preg_replace( '#[\x00-\x08\x0B\x0C\x0E-\x1F]#', '', $string );
+		return htmlspecialchars( $string, ENT_QUOTES | ENT_XML1, 'UTF-8' );
+	}
+
 } // class TablePress_Export
@@ -290,6 +290,22 @@ class TablePress_Import {
 		if ( isset( $json_table['data'] ) ) {
 			// JSON data contained a full export.
 			$table = $json_table;
+
+			// Convert the values of a typed JSON export back to strings, with the number of decimals from the column type.
+			if ( isset( $table['schema']['columns'] ) && is_array( $table['schema']['columns'] ) ) {
+				foreach ( $table['data'] as $row_idx => $row ) {
+					foreach ( (array) $row as $col_idx => $cell ) {
+						if ( is_null( $cell ) ) {
+							$cell = '';
+						} elseif ( is_int( $cell ) || is_float( $cell ) ) {
+							$decimals = isset( $table['schema']['columns'][ $col_idx ]['decimals'] ) ? absint( $table['schema']['columns'][ $col_idx ]['decimals'] ) : 0;
+							$cell = number_format( $cell, $decimals, '.', '' );
+						}
+						$table['data'][ $row_idx ][ $col_idx ] = (string) $cell;
+					}
+				}
+				unset( $table['schema'] );
+			}
 		} else {
 			// JSON data contained only the data of a table, but no options.
 			$table = array( 'data' => array() );
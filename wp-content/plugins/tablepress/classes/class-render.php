@@ -131,11 +131,59 @@ class TablePress_Render {
 		$this->_evaluate_table_data();
 		// Remove hidden rows and columns.
 		$this->_prepare_render_data();
+		// With server-side processing, only the first page is part of the HTML, as the DataTables JS library loads all other pages.
+		if ( $this->render_options['use_datatables'] && ! empty( $this->render_options['datatables_serverside'] ) && $this->render_options['datatables_paginate'] ) {
+			$this->_limit_render_data( (int) $this->render_options['datatables_paginate_entries'] );
+		}
 		// Generate HTML output.
 		$this->_render_table();
 		return $this->output;
 	}
 
+	/**
+	 * Process the table and return the content of the cells of the table body, e.g. for server-side processing with DataTables.
+	 *
+	 * Span trigger keywords are removed, as the DataTables JS library does not support combined cells.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @return array Rows of the table body, with the processed content of their cells.
+	 */
+	public function get_body_data() {
+		$this->_evaluate_table_data();
+		$this->_prepare_render_data();
+
+		$num_rows = count( $this->table['data'] );
+		$num_columns = ( $num_rows > 0 ) ? count( $this->table['data'][0] ) : 0;
+		$first_row_idx = ( $this->render_options['table_head'] && $num_rows > 1 ) ? 1 : 0;
+		$last_row_idx = ( $this->render_options['table_foot'] && $num_rows > 1 ) ? $num_rows - 2 : $num_rows - 1;
+
+		// Deactivate nl2br() for this render process, if "convert_line_breaks" Shortcode parameter is set to false.
+		if ( ! $this->render_options['convert_line_breaks'] ) {
+			add_filter( 'tablepress_apply_nl2br', '__return_false', 9 ); // Priority 9, so that this filter can easily be overwritten at the default priority.
+		}
+
+		$body_data = array();
+		for ( $row_idx = $first_row_idx; $row_idx <= $last_row_idx; $row_idx++ ) {
+			$row = array();
+			for ( $col_idx = 0; $col_idx < $num_columns; $col_idx++ ) {
+				$cell_content = $this->_get_cell_content( $row_idx, $col_idx );
+				if ( in_array( $cell_content, $this->span_trigger, true ) ) {
+					$cell_content = '';
+				}
+				$row[] = $cell_content;
+			}
+			$body_data[] = $row;
+		}
+
+		// Re-instate nl2br() behavior after this render process, if "convert_line_breaks" Shortcode parameter is set to false.
+		if ( ! $this->render_options['convert_line_breaks'] ) {
+			remove_filter( 'tablepress_apply_nl2br', '__return_false', 9 ); // Priority 9, so that this filter can easily be overwritten at the default priority.
+		}
+
+		return $body_data;
+	}
+
 	/**
 	 * Loop through the table to evaluate math expressions/formulas.
 	 *
@@ -258,6 +306,26 @@ class TablePress_Render {
 		$this->table = apply_filters( 'tablepress_table_render_data', $this->table, $orig_table, $this->render_options );
 	}
 
+	/**
+	 * Remove all rows of the table body after the given number of rows, but keep the table head and foot rows.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param int $num_body_rows Number of rows of the table body that are kept.
+	 */
+	protected function _limit_render_data( $num_body_rows ) {
+		$num_rows = count( $this->table['data'] );
+		$has_head = ( $this->render_options['table_head'] && $num_rows > 1 );
+		$has_foot = ( $this->render_options['table_foot'] && $num_rows > 1 );
+		$first_row_idx = $has_head ? 1 : 0;
+		if ( $num_body_rows < 1 || $first_row_idx + $num_body_rows >= $num_rows - ( $has_foot ? 1 : 0 ) ) {
+			return;
+		}
+
+		$foot_row = $has_foot ? array( end( $this->table['data'] ) ) : array();
+		$this->table['data'] = array_merge( array_slice( $this->table['data'], 0, $first_row_idx + $num_body_rows ), $foot_row );
+	}
+
 	/**
 	 * Generate the HTML output of the table.
 	 *
@@ -601,26 +669,7 @@ class TablePress_Render {
 		$row_cells = array();
 		// Loop through cells in reversed order, to search for colspan or rowspan trigger words.
 		for ( $col_idx = $this->last_column_idx; $col_idx >= 0; $col_idx-- ) {
-			$cell_content = $this->table['data'][ $row_idx ][ $col_idx ];
-
-			// Print formulas that are escaped with '= (like in Excel) as text.
-			if ( "'=" === substr( $cell_content, 0, 2 ) ) {
-				$cell_content = substr( $cell_content, 1 );
-			}
-			$cell_content = do_shortcode( $this->safe_output( $cell_content ) );
-			/**
-			 * Filter the content of a single cell.
-			 *
-			 * Filter the content of a single cell, after formulas have been evaluated, the output has been sanitized, and Shortcodes have been evaluated.
-			 *
-			 * @since 1.0.0
-			 *
-			 * @param string $cell_content The cell content.
-			 * @param string $table_id     The current table ID.
-			 * @param int    $row_idx      The row number of the cell.
-			 * @param int    $col_idx      The column number of the cell.
-			 */
-			$cell_content = apply_filters( 'tablepress_cell_content', $cell_content, $this->table['id'], $row_idx + 1, $col_idx + 1 );
+			$cell_content = $this->_get_cell_content( $row_idx, $col_idx );
 
 			if ( $this->span_trigger['rowspan'] === $cell_content ) { // There will be a rowspan.
 				// Check for #rowspan# in first row, which doesn't make sense.
@@ -767,6 +816,38 @@ class TablePress_Render {
 		return "<tr{$tr_attributes}>\n\t" . implode( '', $row_cells ) . "\n</tr>\n";
 	}
 
+	/**
+	 * Get the processed content of a cell, for the output.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param int $row_idx Index of the row of the cell.
+	 * @param int $col_idx Index of the column of the cell.
+	 * @return string Content of the cell.
+	 */
+	protected function _get_cell_content( $row_idx, $col_idx ) {
+		$cell_content = $this->table['data'][ $row_idx ][ $col_idx ];
+
+		// Print formulas that are escaped with '= (like in Excel) as text.
+		if ( "'=" === substr( $cell_content, 0, 2 ) ) {
+			$cell_content = substr( $cell_content, 1 );
+		}
+		$cell_content = do_shortcode( $this->safe_output( $cell_content ) );
+		/**
+		 * Filter the content of a single cell.
+		 *
+		 * Filter the content of a single cell, after formulas have been evaluated, the output has been sanitized, and Shortcodes have been evaluated.
+		 *
+		 * @since 1.0.0
+		 *
+		 * @param string $cell_content The cell content.
+		 * @param string $table_id     The current table ID.
+		 * @param int    $row_idx      The row number of the cell.
+		 * @param int    $col_idx      The column number of the cell.
+		 */
+		return apply_filters( 'tablepress_cell_content', $cell_content, $this->table['id'], $row_idx + 1, $col_idx + 1 );
+	}
+
 	/**
 	 * Convert an array of HTML tag attributes to a string.
 	 *
@@ -846,6 +927,8 @@ class TablePress_Render {
 			'datatables_info'             => null,
 			'datatables_scrollx'          => null,
 			'datatables_scrolly'          => false,
+			'datatables_column_filters'   => null,
+			'datatables_serverside'       => null,
 			'datatables_custom_commands'  => null,
 			'datatables_locale'           => get_locale(),
 			'show_rows'                   => '',
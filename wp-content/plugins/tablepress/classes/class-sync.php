@@ -0,0 +1,493 @@
+<?php
+/**
+ * TablePress Table Sync Class
+ *
+ * @package TablePress
+ * @subpackage Export/Import
+ * @author Tobias Bäthge
+ * @since 1.15.0
+ */
+
+// Prohibit direct script loading.
+defined( 'ABSPATH' ) || die( 'No direct script access allowed!' );
+
+/**
+ * TablePress Table Sync Class
+ *
+ * Keeps tables linked to a data source (a URL, a file on the server, or a file in the Media Library),
+ * and refreshes them manually or on a WP-Cron schedule.
+ *
+ * @package TablePress
+ * @subpackage Export/Import
+ * @author Tobias Bäthge
+ * @since 1.15.0
+ */
+class TablePress_Sync {
+
+	/**
+	 * Name of the WP-Cron hook that refreshes the tables with a schedule.
+	 *
+	 * @since 1.15.0
+	 * @var string
+	 */
+	public static $cron_hook = 'tablepress_sync_tables';
+
+	/**
+	 * Types of data sources that a table can be linked to.
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	public $source_types = array();
+
+	/**
+	 * Schedules for refreshing a table from its data source.
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	public $schedules = array();
+
+	/**
+	 * Maximum number of entries in the change log of a table.
+	 *
+	 * @since 1.15.0
+	 * @var int
+	 */
+	protected $log_length = 25;
+
+	/**
+	 * Maximum number of changed cells that are returned for the preview of changes.
+	 *
+	 * @since 1.15.0
+	 * @var int
+	 */
+	protected $max_preview_cells = 500;
+
+	/**
+	 * Initialize the Sync class.
+	 *
+	 * @since 1.15.0
+	 */
+	public function __construct() {
+		// Initiate here, because function call not possible outside a class method.
+		$this->source_types = array(
+			'url'   => __( 'URL', 'tablepress' ),
+			'media' => __( 'File in the Media Library', 'tablepress' ),
+		);
+		// For security reasons, the `server` source is only available for administrators, like for the import.
+		if ( ( ! is_multisite() && current_user_can( 'manage_options' ) ) || is_super_admin() ) {
+			$this->source_types['server'] = __( 'File on server', 'tablepress' );
+		}
+		$this->schedules = array(
+			'manual'     => __( 'Only manually', 'tablepress' ),
+			'hourly'     => __( 'Hourly', 'tablepress' ),
+			'twicedaily' => __( 'Twice daily', 'tablepress' ),
+			'daily'      => __( 'Daily', 'tablepress' ),
+			'weekly'     => __( 'Weekly', 'tablepress' ),
+		);
+	}
+
+	/**
+	 * Check and sanitize the settings of a data source, as submitted on the "Edit" or "Import" screens.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $settings Data source settings ("type", "location", "format", "schedule").
+	 * @param array $source   Optional. Existing data source of the table, which keeps its sync status and change log.
+	 * @return array|WP_Error Data source on success, WP_Error on error.
+	 */
+	public function sanitize_source( array $settings, array $source = array() ) {
+		$settings = wp_parse_args( $settings, array(
+			'type'     => '',
+			'location' => '',
+			'format'   => 'csv',
+			'schedule' => 'manual',
+		) );
+		$settings['location'] = trim( $settings['location'] );
+
+		// The `server` source can only be kept by other users, but not be changed.
+		$source_types = $this->source_types;
+		if ( isset( $source['type'], $source['location'] ) && 'server' === $source['type'] && $settings['location'] === $source['location'] ) {
+			$source_types['server'] = true;
+		}
+		if ( ! isset( $source_types[ $settings['type'] ] ) ) {
+			return new WP_Error( 'table_sync_source_type_invalid', '', $settings['type'] );
+		}
+
+		switch ( $settings['type'] ) {
+			case 'url':
+				if ( ! wp_http_validate_url( $settings['location'] ) || ! $this->is_allowed_host( $settings['location'] ) ) {
+					return new WP_Error( 'table_sync_source_url_invalid', '', $settings['location'] );
+				}
+				break;
+			case 'server':
+				if ( '' === $settings['location'] || ABSPATH === $settings['location'] ) {
+					return new WP_Error( 'table_sync_source_server_invalid', '', $settings['location'] );
+				}
+				break;
+			case 'media':
+				$settings['location'] = (string) absint( $settings['location'] );
+				if ( 'attachment' !== get_post_type( (int) $settings['location'] ) ) {
+					return new WP_Error( 'table_sync_source_media_invalid', '', $settings['location'] );
+				}
+				break;
+		}
+
+		$importer = TablePress::load_class( 'TablePress_Import', 'class-import.php', 'classes' );
+		if ( ! isset( $importer->import_formats[ $settings['format'] ] ) ) {
+			return new WP_Error( 'table_sync_source_format_invalid', '', $settings['format'] );
+		}
+		if ( ! isset( $this->schedules[ $settings['schedule'] ] ) ) {
+			$settings['schedule'] = 'manual';
+		}
+
+		$source = wp_parse_args( $source, array(
+			'last_check' => 0,
+			'last_sync'  => 0,
+			'last_error' => '',
+			'log'        => array(),
+		) );
+		return array_merge( $source, array(
+			'type'     => $settings['type'],
+			'location' => $settings['location'],
+			'format'   => $settings['format'],
+			'schedule' => $settings['schedule'],
+		) );
+	}
+
+	/**
+	 * Save the data source of a table and make sure that the WP-Cron event for scheduled refreshes exists.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id Table ID.
+	 * @param array  $source   Data source, as returned by sanitize_source().
+	 * @return bool True on success, false on error.
+	 */
+	public function save_source( $table_id, array $source ) {
+		$saved = TablePress::$model_table->update_table_source( $table_id, $source );
+		if ( $saved && 'manual' !== $source['schedule'] && ! wp_next_scheduled( self::$cron_hook ) ) {
+			wp_schedule_event( time() + MINUTE_IN_SECONDS, 'hourly', self::$cron_hook );
+		}
+		return $saved;
+	}
+
+	/**
+	 * Check whether the host of a URL may be accessed.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $url URL.
+	 * @return bool Whether the host may be accessed.
+	 */
+	protected function is_allowed_host( $url ) {
+		// Check the host of the URL against a blacklist of hosts, which should not be accessible, e.g. for security considerations.
+		$host = wp_parse_url( $url, PHP_URL_HOST );
+		$blocked_hosts = array(
+			'169.254.169.254', // AWS Meta-data API
+		);
+		return ( ! empty( $host ) && ! in_array( $host, $blocked_hosts, true ) );
+	}
+
+	/**
+	 * Get the current content of a data source.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $source Data source.
+	 * @return string|WP_Error Content of the data source on success, WP_Error on error.
+	 */
+	protected function fetch_source( array $source ) {
+		$file_location = false;
+		$unlink_file = false;
+		switch ( $source['type'] ) {
+			case 'url':
+				if ( ! $this->is_allowed_host( $source['location'] ) ) {
+					return new WP_Error( 'table_sync_fetch_url_blocked', __( 'The URL can not be accessed.', 'tablepress' ), $source['location'] );
+				}
+				// download_url() is not loaded in WP-Cron requests.
+				if ( ! function_exists( 'download_url' ) ) {
+					require_once ABSPATH . 'wp-admin/includes/file.php';
+				}
+				$file_location = download_url( $source['location'] );
+				if ( is_wp_error( $file_location ) ) {
+					return $file_location;
+				}
+				$unlink_file = true;
+				break;
+			case 'server':
+				$file_location = $source['location'];
+				break;
+			case 'media':
+				$file_location = get_attached_file( (int) $source['location'] );
+				break;
+		}
+
+		if ( ! $file_location || ! is_readable( $file_location ) ) {
+			return new WP_Error( 'table_sync_fetch_not_readable', __( 'The file could not be read.', 'tablepress' ), $source['location'] );
+		}
+
+		$data = file_get_contents( $file_location );
+		if ( $unlink_file ) {
+			@unlink( $file_location ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		}
+		if ( false === $data ) {
+			return new WP_Error( 'table_sync_fetch_not_readable', __( 'The file could not be read.', 'tablepress' ), $source['location'] );
+		}
+		return $data;
+	}
+
+	/**
+	 * Get the table data from a data source.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $source Data source.
+	 * @return array|WP_Error Two-dimensional array of table data on success, WP_Error on error.
+	 */
+	public function import_source( array $source ) {
+		$data = $this->fetch_source( $source );
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		// The JSON import stops with an error page on invalid data, which must not happen in WP-Cron requests.
+		if ( 'json' === $source['format'] && null === json_decode( $data ) ) {
+			return new WP_Error( 'table_sync_import_json_invalid', __( 'The file contains invalid JSON data.', 'tablepress' ) );
+		}
+
+		$importer = TablePress::load_class( 'TablePress_Import', 'class-import.php', 'classes' );
+		$imported_table = $importer->import_table( $source['format'], $data );
+		if ( false === $imported_table || empty( $imported_table['data'] ) ) {
+			return new WP_Error( 'table_sync_import_failed', __( 'The file could not be imported.', 'tablepress' ) );
+		}
+
+		// Don't empty a table, if a source is temporarily empty, e.g. while it is being written.
+		if ( array( array( '' ) ) === $imported_table['data'] ) {
+			return new WP_Error( 'table_sync_import_empty', __( 'The file does not contain any data.', 'tablepress' ) );
+		}
+
+		return $imported_table['data'];
+	}
+
+	/**
+	 * Get the differences between the current and the new data of a table.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $old_data Current table data.
+	 * @param array $new_data New table data.
+	 * @return array {
+	 *     Differences between the table data.
+	 *
+	 *     @type array $rows          Number of rows before and after.
+	 *     @type array $columns       Number of columns before and after.
+	 *     @type int   $changed_cells Number of changed cells, including cells of added or removed rows and columns.
+	 *     @type array $cells         Changed cells (up to $max_preview_cells), with their name and old and new content.
+	 * }
+	 */
+	public function get_diff( array $old_data, array $new_data ) {
+		$old_rows = count( $old_data );
+		$new_rows = count( $new_data );
+		$old_columns = ( $old_rows > 0 ) ? count( $old_data[0] ) : 0;
+		$new_columns = ( $new_rows > 0 ) ? count( $new_data[0] ) : 0;
+
+		$diff = array(
+			'rows'          => array( $old_rows, $new_rows ),
+			'columns'       => array( $old_columns, $new_columns ),
+			'changed_cells' => 0,
+			'cells'         => array(),
+		);
+
+		$max_rows = max( $old_rows, $new_rows );
+		$max_columns = max( $old_columns, $new_columns );
+		for ( $row_idx = 0; $row_idx < $max_rows; $row_idx++ ) {
+			for ( $col_idx = 0; $col_idx < $max_columns; $col_idx++ ) {
+				$old_cell = isset( $old_data[ $row_idx ][ $col_idx ] ) ? (string) $old_data[ $row_idx ][ $col_idx ] : null;
+				$new_cell = isset( $new_data[ $row_idx ][ $col_idx ] ) ? (string) $new_data[ $row_idx ][ $col_idx ] : null;
+				if ( $old_cell === $new_cell ) {
+					continue;
+				}
+				$diff['changed_cells']++;
+				if ( count( $diff['cells'] ) < $this->max_preview_cells ) {
+					$diff['cells'][] = array(
+						'cell' => TablePress::number_to_letter( $col_idx + 1 ) . ( $row_idx + 1 ),
+						'old'  => $old_cell,
+						'new'  => $new_cell,
+					);
+				}
+			}
+		}
+
+		return $diff;
+	}
+
+	/**
+	 * Check a table's data source for changes, without changing the table.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id Table ID.
+	 * @return array|WP_Error Differences (see get_diff()), with the hash of the new data, on success, WP_Error on error.
+	 */
+	public function preview( $table_id ) {
+		$source = TablePress::$model_table->get_table_source( $table_id );
+		if ( empty( $source ) ) {
+			return new WP_Error( 'table_sync_no_source', '', $table_id );
+		}
+
+		// Load table, with table data, but without options and visibility settings.
+		$table = TablePress::$model_table->load( $table_id, true, false );
+		if ( is_wp_error( $table ) ) {
+			return $table;
+		}
+
+		$new_data = $this->import_source( $source );
+		if ( is_wp_error( $new_data ) ) {
+			return $new_data;
+		}
+
+		$diff = $this->get_diff( $table['data'], $new_data );
+		$diff['hash'] = md5( wp_json_encode( $new_data ) );
+		return $diff;
+	}
+
+	/**
+	 * Refresh a table from its data source and add an entry to its change log.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id      Table ID.
+	 * @param string $trigger       What started the refresh, "manual" or "schedule".
+	 * @param string $expected_hash Optional. Hash of the data from the preview, to make sure that exactly the previewed changes are applied.
+	 * @return array|WP_Error Differences (see get_diff()) on success, WP_Error on error.
+	 */
+	public function sync_table( $table_id, $trigger, $expected_hash = '' ) {
+		$source = TablePress::$model_table->get_table_source( $table_id );
+		if ( empty( $source ) ) {
+			return new WP_Error( 'table_sync_no_source', '', $table_id );
+		}
+		$source['last_check'] = time();
+
+		// Load table, with table data, options, and visibility settings.
+		$existing_table = TablePress::$model_table->load( $table_id, true, true );
+		if ( is_wp_error( $existing_table ) ) {
+			return $existing_table;
+		}
+		if ( isset( $existing_table['is_corrupted'] ) && $existing_table['is_corrupted'] ) {
+			return new WP_Error( 'table_sync_table_corrupted', '', $table_id );
+		}
+
+		$new_data = $this->import_source( $source );
+		if ( is_wp_error( $new_data ) ) {
+			// Only log an error once, and not on every scheduled check.
+			if ( $new_data->get_error_message() !== $source['last_error'] ) {
+				$this->add_log_entry( $source, $trigger, null, $new_data->get_error_message() );
+			}
+			$source['last_error'] = $new_data->get_error_message();
+			TablePress::$model_table->update_table_source( $table_id, $source );
+			return $new_data;
+		}
+
+		if ( '' !== $expected_hash && md5( wp_json_encode( $new_data ) ) !== $expected_hash ) {
+			return new WP_Error( 'table_sync_source_changed', __( 'The data source changed after the preview. Please check for changes again.', 'tablepress' ), $table_id );
+		}
+
+		$diff = $this->get_diff( $existing_table['data'], $new_data );
+		$source['last_error'] = '';
+
+		if ( $diff['changed_cells'] > 0 ) {
+			// Cut the visibility arrays (if the new table is smaller), and pad them if it is bigger, like for the import.
+			$num_rows = count( $new_data );
+			$num_columns = count( $new_data[0] );
+			$new_table = array(
+				'id'         => $existing_table['id'],
+				'data'       => $new_data,
+				'visibility' => array(
+					'rows'    => array_pad( array_slice( $existing_table['visibility']['rows'], 0, $num_rows ), $num_rows, 1 ),
+					'columns' => array_pad( array_slice( $existing_table['visibility']['columns'], 0, $num_columns ), $num_columns, 1 ),
+				),
+			);
+			$table = TablePress::$model_table->prepare_table( $existing_table, $new_table, false );
+			if ( is_wp_error( $table ) ) {
+				return $table;
+			}
+			$saved = TablePress::$model_table->save( $table );
+			if ( is_wp_error( $saved ) ) {
+				return $saved;
+			}
+			$this->add_log_entry( $source, $trigger, $diff );
+		}
+
+		$source['last_sync'] = $source['last_check'];
+		TablePress::$model_table->update_table_source( $table_id, $source );
+
+		/**
+		 * Fires after a table was refreshed from its data source.
+		 *
+		 * @since 1.15.0
+		 *
+		 * @param string $table_id Table ID.
+		 * @param array  $diff     Differences between the previous and the new table data.
+		 * @param string $trigger  What started the refresh, "manual" or "schedule".
+		 */
+		do_action( 'tablepress_event_synced_table', $table_id, $diff, $trigger );
+
+		return $diff;
+	}
+
+	/**
+	 * Add an entry to the change log of a data source, and remove the oldest entries.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array      $source  Data source, passed by reference.
+	 * @param string     $trigger What started the refresh, "manual" or "schedule".
+	 * @param array|null $diff    Differences of the refresh, or null on error.
+	 * @param string     $error   Optional. Error message.
+	 */
+	protected function add_log_entry( array &$source, $trigger, $diff, $error = '' ) {
+		$entry = array(
+			'time'    => current_time( 'mysql' ),
+			'user'    => get_current_user_id(),
+			'trigger' => $trigger,
+		);
+		if ( is_array( $diff ) ) {
+			$entry['rows'] = $diff['rows'];
+			$entry['columns'] = $diff['columns'];
+			$entry['changed_cells'] = $diff['changed_cells'];
+		} else {
+			$entry['error'] = $error;
+		}
+		array_unshift( $source['log'], $entry );
+		$source['log'] = array_slice( $source['log'], 0, $this->log_length );
+	}
+
+	/**
+	 * Refresh all tables whose schedule is due, called by the WP-Cron event.
+	 *
+	 * @since 1.15.0
+	 */
+	public function run_scheduled_syncs() {
+		$schedules = wp_get_schedules();
+		$scheduled_tables = 0;
+		foreach ( TablePress::$model_table->get_table_sources() as $table_id => $source ) {
+			if ( empty( $source['schedule'] ) || ! isset( $schedules[ $source['schedule'] ] ) ) {
+				continue;
+			}
+			$scheduled_tables++;
+			// Allow some tolerance, as the WP-Cron event itself only runs hourly.
+			if ( time() < (int) $source['last_check'] + $schedules[ $source['schedule'] ]['interval'] - 5 * MINUTE_IN_SECONDS ) {
+				continue;
+			}
+			$this->sync_table( (string) $table_id, 'schedule' );
+		}
+
+		// The WP-Cron event is no longer needed, if no table has a schedule.
+		if ( 0 === $scheduled_tables ) {
+			wp_clear_scheduled_hook( self::$cron_hook );
+		}
+	}
+
+} // class TablePress_Sync
@@ -47,7 +47,7 @@ abstract class TablePress {
 	 * @since 1.0.0
 	 * @const int
 	 */
-	const table_scheme_version = 3; // phpcs:ignore Generic.NamingConventions.UpperCaseConstantName.ClassConstantNotUpperCase
+	const table_scheme_version = 4; // phpcs:ignore Generic.NamingConventions.UpperCaseConstantName.ClassConstantNotUpperCase
 
 	/**
 	 * Instance of the Options Model.
@@ -106,6 +106,9 @@ abstract class TablePress {
 		 */
 		do_action( 'tablepress_run' );
 
+		// Tables that are linked to a data source are refreshed in WP-Cron requests, for which TablePress is not loaded otherwise.
+		add_action( 'tablepress_sync_tables', array( 'TablePress', 'run_scheduled_table_syncs' ) );
+
 		// Exit early if TablePress doesn't have to be loaded.
 		if ( ( 'wp-login.php' === basename( $_SERVER['SCRIPT_FILENAME'] ) ) // Login screen
 			|| ( defined( 'XMLRPC_REQUEST' ) && XMLRPC_REQUEST )
@@ -156,6 +159,20 @@ abstract class TablePress {
 		self::$controller = self::load_controller( $controller );
 	}
 
+	/**
+	 * Refresh the tables that are linked to a data source and whose schedule is due (WP-Cron event callback).
+	 *
+	 * @since 1.15.0
+	 */
+	public static function run_scheduled_table_syncs() {
+		if ( is_null( self::$model_table ) ) {
+			self::$model_options = self::load_model( 'options' );
+			self::$model_table = self::load_model( 'table' );
+		}
+		$syncer = self::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+		$syncer->run_scheduled_syncs();
+	}
+
 	/**
 	 * Load a file with require_once(), after running it through a filter.
 	 *
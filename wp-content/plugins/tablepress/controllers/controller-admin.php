@@ -411,6 +411,19 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 				if ( ! current_user_can( 'tablepress_edit_table', $_GET['table_id'] ) ) {
 					wp_die( __( 'Sorry, you are not allowed to access this page.', 'default' ), 403 );
 				}
+				$data['table_source'] = TablePress::$model_table->get_table_source( $_GET['table_id'] );
+				$syncer = TablePress::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+				$data['sync_source_types'] = $syncer->source_types;
+				$data['sync_schedules'] = $syncer->schedules;
+				$importer = TablePress::load_class( 'TablePress_Import', 'class-import.php', 'classes' );
+				$data['import_formats'] = $importer->import_formats;
+				// Files in the Media Library that can be used as a data source.
+				$data['sync_media_files'] = get_posts( array(
+					'post_type'      => 'attachment',
+					'post_status'    => 'inherit',
+					'post_mime_type' => array( 'text/csv', 'text/tab-separated-values', 'text/html', 'application/json', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ),
+					'posts_per_page' => 100,
+				) );
 				break;
 			case 'export':
 				// Load all table IDs without priming the post meta cache, as table options/visibility are not needed.
@@ -444,6 +457,8 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 				$data['import_url'] = ( ! empty( $_GET['import_url'] ) ) ? wp_unslash( $_GET['import_url'] ) : 'https://';
 				$data['import_server'] = ( ! empty( $_GET['import_server'] ) ) ? wp_unslash( $_GET['import_server'] ) : ABSPATH;
 				$data['import_form_field'] = ( ! empty( $_GET['import_form_field'] ) ) ? wp_unslash( $_GET['import_form_field'] ) : '';
+				$syncer = TablePress::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+				$data['sync_schedules'] = $syncer->schedules;
 				break;
 		}
 
@@ -689,6 +704,8 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 			'datatables_lengthchange',
 			'datatables_info',
 			'datatables_scrollx',
+			'datatables_column_filters',
+			'datatables_serverside',
 		);
 		foreach ( $checkbox_options as $option ) {
 			$edit_table['options'][ $option ] = ( isset( $edit_table['options'][ $option ] ) && 'true' === $edit_table['options'][ $option ] );
@@ -920,7 +937,7 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 			if ( isset( $table['is_corrupted'] ) && $table['is_corrupted'] ) {
 				TablePress::redirect( array( 'action' => 'export', 'message' => 'error_table_corrupted', 'export_format' => $export['format'], 'csv_delimiter' => $export['csv_delimiter'] ) );
 			}
-			$download_filename = sprintf( '%1$s-%2$s-%3$s.%4$s', $table['id'], $table['name'], wp_date( 'Y-m-d' ), $export['format'] );
+			$download_filename = sprintf( '%1$s-%2$s-%3$s.%4$s', $table['id'], $table['name'], wp_date( 'Y-m-d' ), $exporter->get_file_extension( $export['format'] ) );
 			$download_filename = sanitize_file_name( $download_filename );
 			// Export the table.
 			$export_data = $exporter->export_table( $table, $export['format'], $export['csv_delimiter'] );
@@ -931,7 +948,7 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 			 *
 			 * @param string $export_data   The exported table data.
 			 * @param array  $table         Table to be exported.
-			 * @param string $export_format Format for the export ('csv', 'html', 'json').
+			 * @param string $export_format Format for the export ('csv', 'html', 'json', 'json_typed', 'xlsx').
 			 * @param string $csv_delimiter Delimiter for CSV export.
 			 */
 			$export_data = apply_filters( 'tablepress_export_data', $export_data, $table, $export['format'], $export['csv_delimiter'] );
@@ -969,7 +986,7 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 				$export_data = $exporter->export_table( $table, $export['format'], $export['csv_delimiter'] );
 				/** This filter is documented in controllers/controller-admin.php */
 				$export_data = apply_filters( 'tablepress_export_data', $export_data, $table, $export['format'], $export['csv_delimiter'] );
-				$export_filename = sprintf( '%1$s-%2$s-%3$s.%4$s', $table['id'], $table['name'], wp_date( 'Y-m-d' ), $export['format'] );
+				$export_filename = sprintf( '%1$s-%2$s-%3$s.%4$s', $table['id'], $table['name'], wp_date( 'Y-m-d' ), $exporter->get_file_extension( $export['format'] ) );
 				$export_filename = sanitize_file_name( $export_filename );
 				$zip_file->addFromString( $export_filename, $export_data );
 			}
@@ -1138,6 +1155,22 @@ class TablePress_Admin_Controller extends TablePress_Controller {
 				TablePress::redirect( array( 'action' => 'import', 'message' => 'error_import_data' ) );
 			}
 
+			// Keep the table linked to a URL or a file on the server, to refresh it from there later. Appended rows can not be refreshed.
+			if ( ! empty( $import['sync'] ) && in_array( $import['source'], array( 'url', 'server' ), true ) && 'append' !== $import['type'] ) {
+				$syncer = TablePress::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+				$source = $syncer->sanitize_source( array(
+					'type'     => $import['source'],
+					'location' => $import[ $import['source'] ],
+					'format'   => $import['format'],
+					'schedule' => isset( $import['sync_schedule'] ) ? $import['sync_schedule'] : 'manual',
+				) );
+				if ( ! is_wp_error( $source ) ) {
+					$source['last_check'] = time();
+					$source['last_sync'] = $source['last_check'];
+					$syncer->save_source( $table_id, $source );
+				}
+			}
+
 			TablePress::redirect( array( 'action' => 'edit', 'table_id' => $table_id, 'message' => 'success_import' ) );
 		} else {
 			// Zipping can use a lot of memory and execution time, but not this much hopefully.
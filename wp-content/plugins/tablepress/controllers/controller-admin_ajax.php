@@ -31,10 +31,17 @@ class TablePress_Admin_AJAX_Controller extends TablePress_Controller {
 
 		parent::__construct();
 
-		$ajax_actions = array( 'hide_message', 'save_table', 'preview_table' );
+		$ajax_actions = array( 'hide_message', 'save_table', 'preview_table', 'evaluate_formulas', 'save_table_source', 'sync_table' );
 		foreach ( $ajax_actions as $action ) {
 			add_action( "wp_ajax_tablepress_{$action}", array( $this, "ajax_action_{$action}" ) );
 		}
+
+		// These actions are used on the frontend, so they are also available for visitors who are not logged in.
+		$public_ajax_actions = array( 'datatables_data' );
+		foreach ( $public_ajax_actions as $action ) {
+			add_action( "wp_ajax_tablepress_{$action}", array( $this, "ajax_action_{$action}" ) );
+			add_action( "wp_ajax_nopriv_tablepress_{$action}", array( $this, "ajax_action_{$action}" ) );
+		}
 	}
 
 	/**
@@ -293,6 +300,252 @@ class TablePress_Admin_AJAX_Controller extends TablePress_Controller {
 		wp_send_json( $response );
 	}
 
+	/**
+	 * Return the results of the formulas in a table that has non-saved changes, for the live preview on the "Edit" screen.
+	 *
+	 * @since 1.15.0
+	 */
+	public function ajax_action_evaluate_formulas() {
+		if ( empty( $_POST['tablepress']['id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$preview_table = wp_unslash( $_POST['tablepress'] );
+
+		// Check if the submitted nonce matches the generated nonce we created earlier, dies -1 on failure.
+		TablePress::check_nonce( 'preview_table', $preview_table['id'], '_ajax_nonce', true );
+
+		// Ignore the request if the current user doesn't have sufficient permissions.
+		if ( ! current_user_can( 'tablepress_preview_table', $preview_table['id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$success = false;
+		$results = array();
+		$table_data = empty( $preview_table['data'] ) ? array() : (array) json_decode( $preview_table['data'], true );
+		if ( ! empty( $table_data ) && is_array( $table_data[0] ) ) {
+			$formula_evaluator = TablePress::load_class( 'TablePress_Evaluate', 'class-evaluate.php', 'classes' );
+			$evaluated_data = $formula_evaluator->evaluate_table_data( $table_data, $preview_table['id'] );
+
+			// Only return the results of cells with formulas, by cell name.
+			foreach ( $table_data as $row_idx => $row ) {
+				foreach ( $row as $col_idx => $cell_content ) {
+					if ( '' === $cell_content || '=' === $cell_content || '=' !== $cell_content[0] ) {
+						continue;
+					}
+					$result = (string) $evaluated_data[ $row_idx ][ $col_idx ];
+					$cell_name = TablePress::number_to_letter( $col_idx + 1 ) . ( $row_idx + 1 );
+					$results[ $cell_name ] = array(
+						'value' => $result,
+						'error' => ( false !== strpos( $result, '!ERROR!' ) ),
+					);
+				}
+			}
+			$success = true;
+		}
+
+		// Generate the response.
+		$response = array(
+			'success' => $success,
+			'results' => (object) $results,
+		);
+		// Buffer all outputs, to prevent errors/warnings being printed that make the JSON invalid.
+		$output_buffer = ob_get_clean();
+		if ( ! empty( $output_buffer ) ) {
+			$response['output_buffer'] = $output_buffer;
+		}
+
+		// Send the response.
+		wp_send_json( $response );
+	}
+
+	/**
+	 * Save or remove the data source of a table on the "Edit" screen.
+	 *
+	 * @since 1.15.0
+	 */
+	public function ajax_action_save_table_source() {
+		if ( empty( $_POST['tablepress']['id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$edit_table = wp_unslash( $_POST['tablepress'] );
+
+		// Check if the submitted nonce matches the generated nonce we created earlier, dies -1 on failure.
+		TablePress::check_nonce( 'edit', $edit_table['id'], '_ajax_nonce', true );
+
+		// Ignore the request if the current user doesn't have sufficient permissions.
+		if ( ! current_user_can( 'tablepress_edit_table', $edit_table['id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$success = false;
+		$error_details = '';
+		$settings = ( ! empty( $edit_table['source'] ) && is_array( $edit_table['source'] ) ) ? $edit_table['source'] : array();
+		if ( empty( $settings['type'] ) ) {
+			// An empty source type removes the link to the data source.
+			TablePress::$model_table->delete_table_source( $edit_table['id'] );
+			$success = true;
+		} else {
+			$syncer = TablePress::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+			$source = $syncer->sanitize_source( $settings, TablePress::$model_table->get_table_source( $edit_table['id'] ) );
+			if ( is_wp_error( $source ) ) {
+				$error_details = $this->get_wp_error_string( $source );
+			} else {
+				$success = $syncer->save_source( $edit_table['id'], $source );
+			}
+		}
+
+		// Generate the response.
+		$response = array(
+			'success' => $success,
+			'message' => $success ? 'success_save_source' : 'error_save_source',
+		);
+		if ( ! empty( $error_details ) ) {
+			$response['error_details'] = esc_html( $error_details );
+		}
+		// Buffer all outputs, to prevent errors/warnings being printed that make the JSON invalid.
+		$output_buffer = ob_get_clean();
+		if ( ! empty( $output_buffer ) ) {
+			$response['output_buffer'] = $output_buffer;
+		}
+
+		// Send the response.
+		wp_send_json( $response );
+	}
+
+	/**
+	 * Check the data source of a table for changes, or apply the changes, on the "Edit" screen.
+	 *
+	 * @since 1.15.0
+	 */
+	public function ajax_action_sync_table() {
+		if ( empty( $_POST['tablepress']['id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$edit_table = wp_unslash( $_POST['tablepress'] );
+
+		// Check if the submitted nonce matches the generated nonce we created earlier, dies -1 on failure.
+		TablePress::check_nonce( 'edit', $edit_table['id'], '_ajax_nonce', true );
+
+		// Ignore the request if the current user doesn't have sufficient permissions.
+		if ( ! current_user_can( 'tablepress_edit_table', $edit_table['id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$syncer = TablePress::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+		if ( ! empty( $edit_table['apply'] ) && 'true' === $edit_table['apply'] ) {
+			$hash = isset( $edit_table['hash'] ) ? (string) $edit_table['hash'] : '';
+			$diff = $syncer->sync_table( $edit_table['id'], 'manual', $hash );
+		} else {
+			$diff = $syncer->preview( $edit_table['id'] );
+		}
+
+		// Generate the response.
+		if ( is_wp_error( $diff ) ) {
+			$error_message = $diff->get_error_message();
+			$response = array(
+				'success'       => false,
+				'error_message' => ( '' !== $error_message ) ? $error_message : __( 'The data source could not be read.', 'tablepress' ),
+				'error_details' => esc_html( $this->get_wp_error_string( $diff ) ),
+			);
+		} else {
+			$response = array(
+				'success' => true,
+				'diff'    => $diff,
+			);
+		}
+		// Buffer all outputs, to prevent errors/warnings being printed that make the JSON invalid.
+		$output_buffer = ob_get_clean();
+		if ( ! empty( $output_buffer ) ) {
+			$response['output_buffer'] = $output_buffer;
+		}
+
+		// Send the response.
+		wp_send_json( $response );
+	}
+
+	/**
+	 * Return a page of a table for the server-side processing mode of the DataTables JavaScript library on the frontend.
+	 *
+	 * There's no nonce check, as the pages with the table might be cached. Instead, only tables for which
+	 * server-side processing is enabled on the "Edit" screen can be requested, and visibility settings can only hide further rows and columns.
+	 *
+	 * @since 1.15.0
+	 */
+	public function ajax_action_datatables_data() {
+		if ( empty( $_POST['table_id'] ) ) {
+			wp_die( '-1' );
+		}
+
+		$table_id = preg_replace( '/[^a-zA-Z0-9_-]/', '', wp_unslash( $_POST['table_id'] ) );
+		if ( ! TablePress::$model_table->table_exists( $table_id ) ) {
+			wp_die( '-1' );
+		}
+
+		// Load table, with table data, options, and visibility settings.
+		$table = TablePress::$model_table->load( $table_id, true, true );
+		if ( is_wp_error( $table ) || ( isset( $table['is_corrupted'] ) && $table['is_corrupted'] )
+			|| ! $table['options']['use_datatables'] || empty( $table['options']['datatables_serverside'] ) ) {
+			wp_die( '-1' );
+		}
+
+		// Use the options from the "Edit" screen, but allow the visibility Shortcode parameters that hide rows and columns.
+		$_render = TablePress::load_class( 'TablePress_Render', 'class-render.php', 'classes' );
+		$render_options = $_render->get_default_render_options();
+		foreach ( $render_options as $key => $value ) {
+			if ( is_null( $value ) && isset( $table['options'][ $key ] ) ) {
+				$render_options[ $key ] = $table['options'][ $key ];
+			}
+		}
+		foreach ( array( 'hide_rows', 'hide_columns' ) as $option ) {
+			if ( ! empty( $_POST[ $option ] ) ) {
+				$render_options[ $option ] = preg_replace( '/[^a-zA-Z0-9,-]/', '', wp_unslash( $_POST[ $option ] ) );
+			}
+		}
+		/** This filter is documented in controllers/controller-frontend.php */
+		$render_options = apply_filters( 'tablepress_table_render_options', $render_options, $table );
+
+		// Evaluating formulas and Shortcodes of every cell is expensive, so the body data is cached like the table output.
+		$body_data = false;
+		if ( $render_options['cache_table_output'] && ! is_user_logged_in() ) {
+			$table_hash = md5( wp_json_encode( array( $table_id, $table['last_modified'], $render_options ), TABLEPRESS_JSON_OPTIONS ) );
+			$transient_name = 'tablepress_d_' . $table_hash; // Attention: This string must not be longer than 45 characters!
+			$body_data = get_transient( $transient_name );
+		}
+		if ( ! is_array( $body_data ) ) {
+			$_render->set_input( $table, $render_options );
+			$body_data = $_render->get_body_data();
+			if ( isset( $transient_name ) ) {
+				set_transient( $transient_name, $body_data, DAY_IN_SECONDS );
+				TablePress::$model_table->add_table_output_cache( $table_id, $transient_name );
+			}
+		}
+
+		$server_side = TablePress::load_class( 'TablePress_DataTables_Server_Side', 'class-datatables-server-side.php', 'classes' );
+		$server_side->set_data( $body_data );
+		$filter_types = isset( $_POST['column_filters'] ) ? TablePress_DataTables_Server_Side::parse_filter_types( wp_unslash( $_POST['column_filters'] ) ) : false;
+		$column_filters = $server_side->get_column_filters( is_array( $filter_types ) ? $filter_types : array() );
+
+		// Generate the response.
+		$request = wp_unslash( $_POST );
+		$response = array( 'draw' => isset( $request['draw'] ) ? absint( $request['draw'] ) : 0 );
+		$response = array_merge( $response, $server_side->process_request( $body_data, $request, $column_filters ) );
+		// The column filters are only needed to set up the filter fields, after the first request.
+		if ( is_array( $filter_types ) && 1 === $response['draw'] ) {
+			$response['columnFilters'] = $column_filters;
+		}
+		// Buffer all outputs, to prevent errors/warnings being printed that make the JSON invalid.
+		$output_buffer = ob_get_clean();
+		if ( ! empty( $output_buffer ) ) {
+			$response['output_buffer'] = $output_buffer;
+		}
+
+		// Send the response.
+		wp_send_json( $response );
+	}
+
 	/**
 	 * Retrieve all information of a WP_Error object as a string.
 	 *
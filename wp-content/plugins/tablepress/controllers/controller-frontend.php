@@ -217,6 +217,29 @@ class TablePress_Frontend_Controller extends TablePress_Controller {
 		wp_enqueue_script( 'tablepress-datatables', $js_url, array( 'jquery' ), TablePress::version, true );
 	}
 
+	/**
+	 * Enqueue the JavaScript code for column filters, server-side processing, and the filter state in the URL of DataTables tables.
+	 *
+	 * @since 1.15.0
+	 */
+	protected function _enqueue_datatables_filters() {
+		if ( wp_script_is( 'tablepress-datatables-filters', 'enqueued' ) ) {
+			return;
+		}
+		$suffix = SCRIPT_DEBUG ? '' : '.min';
+		$js_url = plugins_url( "js/datatables-filters{$suffix}.js", TABLEPRESS__FILE__ );
+		wp_enqueue_script( 'tablepress-datatables-filters', $js_url, array( 'jquery', 'tablepress-datatables' ), TablePress::version, true );
+		TablePress::load_file( 'class-datatables-server-side.php', 'classes' );
+		wp_localize_script( 'tablepress-datatables-filters', 'tablepress_datatables_filters', array(
+			'all'                => __( 'All', 'tablepress' ),
+			'min'                => __( 'Min', 'tablepress' ),
+			'max'                => __( 'Max', 'tablepress' ),
+			'filter'             => __( 'Filter', 'tablepress' ),
+			'filter_column'      => __( 'Filter by %s', 'tablepress' ),
+			'max_select_options' => TablePress_DataTables_Server_Side::get_max_select_options(),
+		) );
+	}
+
 	/**
 	 * Add JS code for invocation of DataTables JS library.
 	 *
@@ -325,6 +348,48 @@ class TablePress_Frontend_Controller extends TablePress_Controller {
 					$parameters['scrollY'] = '"scrollY":"' . preg_replace( '#[^0-9a-z.%]#', '', $js_options['datatables_scrolly'] ) . '"';
 					$parameters['scrollCollapse'] = '"scrollCollapse":true';
 				}
+				// Column filters, with the types of the filters, which are detected automatically for missing types.
+				$column_filter_types = false;
+				if ( ! empty( $js_options['datatables_column_filters'] ) ) {
+					TablePress::load_file( 'class-datatables-server-side.php', 'classes' );
+					$column_filter_types = TablePress_DataTables_Server_Side::parse_filter_types( $js_options['datatables_column_filters'] );
+				}
+				if ( false !== $column_filter_types ) {
+					$parameters['tablepressColumnFilters'] = '"tablepressColumnFilters":' . wp_json_encode( $column_filter_types );
+				}
+				if ( ! empty( $js_options['datatables_serverside'] ) ) {
+					$ajax_data = array(
+						'action'   => 'tablepress_datatables_data',
+						'table_id' => (string) $table_id,
+					);
+					foreach ( array( 'hide_rows', 'hide_columns' ) as $option ) {
+						if ( ! empty( $js_options[ $option ] ) ) {
+							$ajax_data[ $option ] = $js_options[ $option ];
+						}
+					}
+					if ( false !== $column_filter_types ) {
+						$ajax_data['column_filters'] = implode( '|', $column_filter_types );
+					}
+					$parameters['serverSide'] = '"serverSide":true';
+					$parameters['processing'] = '"processing":true';
+					$parameters['ajax'] = '"ajax":' . wp_json_encode( array(
+						'url'  => admin_url( 'admin-ajax.php' ),
+						'type' => 'POST',
+						'data' => $ajax_data,
+					) );
+				}
+				/**
+				 * Filter whether the search, column filters, sorting, and page of a table shall be kept in the URL, so that links can point to them.
+				 *
+				 * @since 1.15.0
+				 *
+				 * @param bool   $url_state Whether to keep the state of the table in the URL. Default true for tables with column filters or server-side processing.
+				 * @param string $table_id  The current table ID.
+				 * @param string $html_id   The ID of the table HTML element.
+				 */
+				if ( apply_filters( 'tablepress_datatables_url_state', ( false !== $column_filter_types || ! empty( $js_options['datatables_serverside'] ) ), $table_id, $html_id ) ) {
+					$parameters['tablepressUrlState'] = '"tablepressUrlState":true';
+				}
 				if ( ! empty( $js_options['datatables_custom_commands'] ) ) {
 					$parameters['custom_commands'] = $js_options['datatables_custom_commands'];
 				}
@@ -578,6 +643,12 @@ JS;
 		 */
 		$render_options = apply_filters( 'tablepress_table_render_options', $render_options, $table );
 
+		// Server-side processing needs the DataTables pagination, which can not be used together with vertical scrolling.
+		if ( ! empty( $render_options['datatables_serverside'] )
+			&& ( ! $render_options['use_datatables'] || ! $render_options['table_head'] || ! $render_options['datatables_paginate'] || false !== $render_options['datatables_scrolly'] ) ) {
+			$render_options['datatables_serverside'] = false;
+		}
+
 		// Eventually add this table to list of tables which have a JS library enabled and thus are to be included in the script's call in the footer.
 		if ( $render_options['use_datatables'] && $render_options['table_head'] && count( $table['data'] ) > 1 ) {
 			// Get options for the DataTables JavaScript library from the table's render options.
@@ -593,11 +664,18 @@ JS;
 				'datatables_info',
 				'datatables_scrollx',
 				'datatables_scrolly',
+				'datatables_column_filters',
+				'datatables_serverside',
 				'datatables_locale',
 				'datatables_custom_commands',
 			) as $option ) {
 				$js_options[ $option ] = $render_options[ $option ];
 			}
+			// Rows and columns that are hidden with Shortcode parameters also have to be hidden in the server-side processing requests.
+			if ( $js_options['datatables_serverside'] ) {
+				$js_options['hide_rows'] = $render_options['hide_rows'];
+				$js_options['hide_columns'] = $render_options['hide_columns'];
+			}
 			/**
 			 * Filter the JavaScript options for the table.
 			 *
@@ -613,6 +691,9 @@ JS;
 			$js_options = apply_filters( 'tablepress_table_js_options', $js_options, $table_id, $render_options );
 			$this->shown_tables[ $table_id ]['instances'][ $render_options['html_id'] ] = $js_options;
 			$this->_enqueue_datatables();
+			if ( $js_options['datatables_column_filters'] || $js_options['datatables_serverside'] ) {
+				$this->_enqueue_datatables_filters();
+			}
 		}
 
 		// Check if table output shall and can be loaded from the transient cache, otherwise generate the output.
@@ -628,17 +709,7 @@ JS;
 				// Save render output in a transient, set cache timeout to 24 hours.
 				set_transient( $transient_name, $output, DAY_IN_SECONDS );
 				// Update output caches list transient (necessary for cache invalidation upon table saving).
-				$caches_list_transient_name = 'tablepress_c_' . md5( $table_id );
-				$caches_list = get_transient( $caches_list_transient_name );
-				if ( false === $caches_list ) {
-					$caches_list = array();
-				} else {
-					$caches_list = (array) json_decode( $caches_list, true );
-				}
-				if ( ! in_array( $transient_name, $caches_list, true ) ) {
-					$caches_list[] = $transient_name;
-				}
-				set_transient( $caches_list_transient_name, wp_json_encode( $caches_list, TABLEPRESS_JSON_OPTIONS ), 2 * DAY_IN_SECONDS );
+				TablePress::$model_table->add_table_output_cache( $table_id, $transient_name );
 			} else {
 				/**
 				 * Filter the cache hit comment message.
@@ -0,0 +1,429 @@
+/**
+ * JavaScript code for the column filters, server-side processing, and the filter state in the URL of DataTables tables
+ *
+ * The rules for detecting column filters and numbers must match those in classes/class-datatables-server-side.php.
+ *
+ * @package TablePress
+ * @subpackage Frontend JavaScript
+ * @author Tobias Bäthge
+ * @since 1.15.0
+ */
+
+/* global tablepress_datatables_filters */
+
+( function( $ ) {
+
+	'use strict';
+
+	var strings = tablepress_datatables_filters,
+		max_select_options = parseInt( strings.max_select_options, 10 ),
+		$decoder = $( '<textarea />' );
+
+	var tp_filters = {
+		/**
+		 * Get the plain text of the HTML content of a cell
+		 *
+		 * @since 1.15.0
+		 */
+		get_text: function( cell_content ) {
+			var text = String( null === cell_content ? '' : cell_content ).replace( /<[^>]*>/g, '' );
+			if ( -1 !== text.indexOf( '&' ) ) {
+				text = $decoder.html( text ).val();
+			}
+			return text.replace( /\s+/g, ' ' ).trim();
+		},
+
+		/**
+		 * Get the numeric value of a text, like "1,250.50", "Rp 25.000.000", "25 %", or "150 cc", or null
+		 *
+		 * @since 1.15.0
+		 */
+		parse_number: function( text ) {
+			var matches = text.match( /^(?:[A-Za-z]{1,3}\.?\s|[^A-Za-z0-9\s]{1,2}\s?)?(-?\d[\d.,]*)(?:\s[A-Za-z]{1,3}|\s?[^A-Za-z0-9\s.,]{1,2})?$/ ),
+				number, last_dot, last_comma, separator, position;
+			if ( null === matches ) {
+				return null;
+			}
+			number = matches[1];
+			last_dot = number.lastIndexOf( '.' );
+			last_comma = number.lastIndexOf( ',' );
+			if ( -1 !== last_dot && -1 !== last_comma ) {
+				// the separator that comes last is the decimal separator
+				if ( last_dot > last_comma ) {
+					number = number.replace( /,/g, '' );
+				} else {
+					number = number.replace( /\./g, '' ).replace( ',', '.' );
+				}
+			} else if ( -1 !== last_dot || -1 !== last_comma ) {
+				separator = ( -1 !== last_dot ) ? '.' : ',';
+				position = Math.max( last_dot, last_comma );
+				// a single separator with exactly three digits after it is a thousands separator
+				if ( number.split( separator ).length > 2 || 3 === number.length - position - 1 ) {
+					number = number.split( separator ).join( '' );
+				} else {
+					number = number.replace( separator, '.' );
+				}
+			}
+			number = parseFloat( number );
+			return isNaN( number ) ? null : number;
+		},
+
+		/**
+		 * Determine the filter of a column from its values, like it is done on the server for server-side processing
+		 *
+		 * @since 1.15.0
+		 */
+		detect: function( type, values ) {
+			var unique = {},
+				options = [],
+				all_numeric = true,
+				min = null,
+				max = null;
+
+			if ( 'none' === type || 'text' === type ) {
+				return { type: type };
+			}
+
+			$.each( values, function( idx, value ) {
+				var text = tp_filters.get_text( value ),
+					number;
+				if ( '' === text || unique.hasOwnProperty( text ) ) {
+					return;
+				}
+				number = tp_filters.parse_number( text );
+				unique[ text ] = number;
+				options.push( text );
+				if ( null === number ) {
+					all_numeric = false;
+					return;
+				}
+				min = ( null === min ) ? number : Math.min( min, number );
+				max = ( null === max ) ? number : Math.max( max, number );
+			} );
+
+			if ( 'auto' === type ) {
+				if ( options.length && options.length <= max_select_options ) {
+					type = 'select';
+				} else if ( options.length && all_numeric ) {
+					type = 'range';
+				} else {
+					type = 'text';
+				}
+			}
+
+			if ( 'select' === type ) {
+				options.sort( function( a, b ) {
+					if ( all_numeric ) {
+						return unique[ a ] - unique[ b ];
+					}
+					return a.localeCompare( b, undefined, { numeric: true, sensitivity: 'base' } );
+				} );
+				return { type: 'select', options: options };
+			}
+			if ( 'range' === type ) {
+				return { type: 'range', min: min, max: max };
+			}
+			return { type: 'text' };
+		},
+
+		/**
+		 * Check whether the text of a cell matches the value of a column filter (for client-side processing)
+		 *
+		 * @since 1.15.0
+		 */
+		matches: function( type, value, text ) {
+			var range, number;
+			switch ( type ) {
+				case 'select':
+					return text.toLowerCase() === value.toLowerCase();
+				case 'range':
+					range = value.split( '~' );
+					number = tp_filters.parse_number( text );
+					if ( null === number ) {
+						return false;
+					}
+					if ( '' !== range[0] && ! isNaN( range[0] ) && number < parseFloat( range[0] ) ) {
+						return false;
+					}
+					if ( range.length > 1 && '' !== range[1] && ! isNaN( range[1] ) && number > parseFloat( range[1] ) ) {
+						return false;
+					}
+					return true;
+				case 'none':
+					return true;
+				default:
+					return -1 !== text.toLowerCase().indexOf( value.toLowerCase() );
+			}
+		},
+
+		/**
+		 * Add a row with the filter fields to the table head
+		 *
+		 * @since 1.15.0
+		 */
+		add_fields: function( api, settings, column_filters ) {
+			var $row = $( '<tr class="tablepress-column-filters" />' ),
+				values = settings._tablepress_filter_values || {};
+
+			settings._tablepress_filters = {};
+			api.columns().every( function( col_idx ) {
+				var filter = column_filters[ col_idx ] || { type: 'none' },
+					label = strings.filter_column.replace( '%s', tp_filters.get_text( $( this.header() ).html() ) ),
+					value = values.hasOwnProperty( col_idx ) ? values[ col_idx ] : '',
+					$cell = $( '<th class="column-' + ( col_idx + 1 ) + '" />' ).appendTo( $row ),
+					$select, range;
+
+				settings._tablepress_filters[ col_idx ] = { type: filter.type, value: value };
+				switch ( filter.type ) {
+					case 'select':
+						$select = $( '<select />' ).attr( 'aria-label', label ).append( $( '<option value="" />' ).text( strings.all ) );
+						$.each( filter.options, function( idx, option ) {
+							$( '<option />' ).val( option ).text( option ).appendTo( $select );
+						} );
+						$select.val( value ).appendTo( $cell );
+						break;
+					case 'range':
+						range = value.split( '~' );
+						$.each( [ 'min', 'max' ], function( idx, bound ) {
+							$( '<input type="number" step="any" />' )
+								.addClass( 'tablepress-column-filter-' + bound )
+								.attr( { 'aria-label': label + ' (' + strings[ bound ] + ')', placeholder: ( null !== filter[ bound ] ) ? strings[ bound ] + ': ' + filter[ bound ] : strings[ bound ] } )
+								.val( ( range.length > idx ) ? range[ idx ] : '' )
+								.appendTo( $cell );
+						} );
+						break;
+					case 'text':
+						$( '<input type="search" />' ).attr( { 'aria-label': label, placeholder: strings.filter } ).val( value ).appendTo( $cell );
+						break;
+				}
+				$cell.data( 'column', col_idx );
+			} );
+
+			$row.data( 'tablepress-api', api )
+				.on( 'change', 'select', tp_filters.change )
+				.on( 'input change', 'input', tp_filters.change_delayed )
+				// prevent that the clicks trigger the sorting of the table
+				.on( 'click', function( event ) {
+					event.stopPropagation();
+				} );
+			$( api.table().header() ).append( $row );
+		},
+
+		/**
+		 * Get the value of the filter field(s) of a column, with a range given as "min~max"
+		 *
+		 * @since 1.15.0
+		 */
+		get_field_value: function( $cell ) {
+			var $min = $cell.find( '.tablepress-column-filter-min' );
+			if ( $min.length ) {
+				if ( '' === $min.val() && '' === $cell.find( '.tablepress-column-filter-max' ).val() ) {
+					return '';
+				}
+				return $min.val() + '~' + $cell.find( '.tablepress-column-filter-max' ).val();
+			}
+			return String( $cell.find( 'select, input' ).val() ).trim();
+		},
+
+		/**
+		 * Apply the changed value of a filter field to the table
+		 *
+		 * @since 1.15.0
+		 */
+		change: function( /* event */ ) {
+			var $cell = $(this).closest( 'th' ),
+				api = $cell.parent().data( 'tablepress-api' ),
+				settings = api.settings()[0],
+				col_idx = $cell.data( 'column' ),
+				value = tp_filters.get_field_value( $cell );
+
+			if ( ! settings._tablepress_filters || value === settings._tablepress_filters[ col_idx ].value ) {
+				return;
+			}
+			settings._tablepress_filters[ col_idx ].value = value;
+			if ( settings.oFeatures.bServerSide ) {
+				api.column( col_idx ).search( value );
+			}
+			api.draw();
+		},
+
+		/**
+		 * Apply the changed value of a text or range filter field, after the visitor stopped typing
+		 *
+		 * @since 1.15.0
+		 */
+		change_delayed: function( /* event */ ) {
+			var field = this;
+			clearTimeout( $.data( field, 'tablepress-filter-timeout' ) );
+			$.data( field, 'tablepress-filter-timeout', setTimeout( function() {
+				tp_filters.change.call( field );
+			}, 400 ) );
+		}
+	};
+
+	var tp_url_state = {
+		/**
+		 * Read the state of a table from the query string of the URL
+		 *
+		 * @since 1.15.0
+		 */
+		read: function( html_id ) {
+			var state = { columns: {} },
+				prefix = html_id + '_';
+			$.each( window.location.search.substring( 1 ).split( '&' ), function( idx, parameter ) {
+				var parts = parameter.split( '=' ),
+					name = decodeURIComponent( parts[0] ),
+					value = ( parts.length > 1 ) ? decodeURIComponent( parts.slice( 1 ).join( '=' ).replace( /\+/g, ' ' ) ) : '';
+				if ( 0 !== name.indexOf( prefix ) || '' === value ) {
+					return;
+				}
+				name = name.substring( prefix.length );
+				if ( /^col[0-9]+$/.test( name ) ) {
+					state.columns[ parseInt( name.substring( 3 ), 10 ) - 1 ] = value;
+				} else {
+					state[ name ] = value;
+				}
+			} );
+			return state;
+		},
+
+		/**
+		 * Write the state of a table to the query string of the URL, without reloading the page
+		 *
+		 * @since 1.15.0
+		 */
+		write: function( api, settings ) {
+			var prefix = settings.sTableId + '_',
+				parameters = [],
+				page_info = api.page.info(),
+				order = api.order(),
+				state = {},
+				url;
+
+			if ( '' !== api.search() ) {
+				state.search = api.search();
+			}
+			if ( order.length && order[0].length > 1 ) {
+				state.order = ( order[0][0] + 1 ) + '-' + order[0][1];
+			}
+			if ( page_info.page > 0 ) {
+				state.page = page_info.page + 1;
+			}
+			if ( settings._tablepress_initial_length !== page_info.length ) {
+				state.length = page_info.length;
+			}
+			$.each( settings._tablepress_filters || {}, function( col_idx, filter ) {
+				if ( '' !== filter.value ) {
+					state[ 'col' + ( parseInt( col_idx, 10 ) + 1 ) ] = filter.value;
+				}
+			} );
+
+			// keep all parameters that don't belong to this table
+			$.each( window.location.search.substring( 1 ).split( '&' ), function( idx, parameter ) {
+				if ( '' !== parameter && 0 !== decodeURIComponent( parameter.split( '=' )[0] ).indexOf( prefix ) ) {
+					parameters.push( parameter );
+				}
+			} );
+			$.each( state, function( name, value ) {
+				parameters.push( encodeURIComponent( prefix + name ) + '=' + encodeURIComponent( value ) );
+			} );
+
+			url = window.location.pathname + ( parameters.length ? '?' + parameters.join( '&' ) : '' ) + window.location.hash;
+			if ( url !== window.location.pathname + window.location.search + window.location.hash ) {
+				window.history.replaceState( window.history.state, '', url );
+			}
+		}
+	};
+
+	// filter the rows of tables with client-side processing by the values of the column filters
+	$.fn.dataTable.ext.search.push( function( settings, search_data ) {
+		var col_idx, filter;
+		if ( ! settings._tablepress_filters || settings.oFeatures.bServerSide ) {
+			return true;
+		}
+		for ( col_idx in settings._tablepress_filters ) {
+			if ( ! settings._tablepress_filters.hasOwnProperty( col_idx ) ) {
+				continue;
+			}
+			filter = settings._tablepress_filters[ col_idx ];
+			if ( '' !== filter.value && ! tp_filters.matches( filter.type, filter.value, tp_filters.get_text( search_data[ col_idx ] ) ) ) {
+				return false;
+			}
+		}
+		return true;
+	} );
+
+	// restore the state from the URL, before the table is drawn for the first time
+	$( document ).on( 'preInit.dt', function( event, settings ) {
+		var api, state, order, length;
+		if ( 'dt' !== event.namespace || ! settings.oInit.tablepressUrlState ) {
+			return;
+		}
+
+		api = new $.fn.dataTable.Api( settings );
+		state = tp_url_state.read( settings.sTableId );
+		settings._tablepress_initial_length = api.page.len();
+		if ( state.search ) {
+			api.search( state.search );
+		}
+		if ( state.order ) {
+			order = state.order.split( '-' );
+			if ( parseInt( order[0], 10 ) > 0 && parseInt( order[0], 10 ) <= api.columns().indexes().length ) {
+				api.order( [ parseInt( order[0], 10 ) - 1, ( 'desc' === order[1] ) ? 'desc' : 'asc' ] );
+			}
+		}
+		length = parseInt( state.length, 10 );
+		if ( length > 0 || -1 === length ) {
+			api.page.len( length );
+		}
+		if ( parseInt( state.page, 10 ) > 1 && api.page.len() > 0 ) {
+			settings.iInitDisplayStart = ( parseInt( state.page, 10 ) - 1 ) * api.page.len();
+		}
+		if ( settings.oInit.tablepressColumnFilters ) {
+			settings._tablepress_filter_values = state.columns;
+			// with server-side processing, the first request already has to contain the values of the column filters
+			if ( settings.oFeatures.bServerSide ) {
+				$.each( state.columns, function( col_idx, value ) {
+					if ( col_idx < api.columns().indexes().length ) {
+						api.column( col_idx ).search( value );
+					}
+				} );
+			}
+		}
+	} );
+
+	// add the column filter fields, after the table has been loaded
+	$( document ).on( 'init.dt', function( event, settings, json ) {
+		var api, filter_types, column_filters, has_values;
+		if ( 'dt' !== event.namespace || ! settings.oInit.tablepressColumnFilters ) {
+			return;
+		}
+
+		api = new $.fn.dataTable.Api( settings );
+		if ( settings.oFeatures.bServerSide ) {
+			column_filters = ( json && json.columnFilters ) ? json.columnFilters : [];
+		} else {
+			filter_types = settings.oInit.tablepressColumnFilters;
+			column_filters = [];
+			api.columns().every( function( col_idx ) {
+				column_filters.push( tp_filters.detect( filter_types[ col_idx ] || 'auto', this.data().toArray() ) );
+			} );
+		}
+		tp_filters.add_fields( api, settings, column_filters );
+
+		// with client-side processing, the values of the column filters from the URL can only be used now
+		has_values = ! $.isEmptyObject( settings._tablepress_filter_values || {} );
+		if ( has_values && ! settings.oFeatures.bServerSide ) {
+			api.draw( false );
+		}
+	} );
+
+	// keep the state of the table in the URL, so that links can point to it
+	$( document ).on( 'draw.dt', function( event, settings ) {
+		if ( 'dt' !== event.namespace || ! settings.oInit.tablepressUrlState || ! settings._bInitComplete || ! ( 'replaceState' in window.history ) ) {
+			return;
+		}
+		tp_url_state.write( new $.fn.dataTable.Api( settings ), settings );
+	} );
+
+} )( jQuery );
@@ -0,0 +1 @@
+!function(e){"use strict";var t=tablepress_datatables_filters,a=parseInt(t.max_select_options,10),n=e("<textarea />"),l={get_text:function(e){var t=String(null===e?"":e).replace(/<[^>]*>/g,"");return-1!==t.indexOf("&")&&(t=n.html(t).val()),t.replace(/\s+/g," ").trim()},parse_number:function(e){var t,a,n,l,s,r=e.match(/^(?:[A-Za-z]{1,3}\.?\s|[^A-Za-z0-9\s]{1,2}\s?)?(-?\d[\d.,]*)(?:\s[A-Za-z]{1,3}|\s?[^A-Za-z0-9\s.,]{1,2})?$/);return null===r?null:(a=(t=r[1]).lastIndexOf("."),n=t.lastIndexOf(","),-1!==a&&-1!==n?t=a>n?t.replace(/,/g,""):t.replace(/\./g,"").replace(",","."):-1===a&&-1===n||(l=-1!==a?".":",",s=Math.max(a,n),t=t.split(l).length>2||3==t.length-s-1?t.split(l).join(""):t.replace(l,".")),t=parseFloat(t),isNaN(t)?null:t)},detect:function(t,n){var s={},r=[],i=!0,o=null,c=null;return"none"===t||"text"===t?{type:t}:(e.each(n,function(e,t){var a,n=l.get_text(t);""===n||s.hasOwnProperty(n)||(a=l.parse_number(n),s[n]=a,r.push(n),null!==a?(o=null===o?a:Math.min(o,a),c=null===c?a:Math.max(c,a)):i=!1)}),"auto"===t&&(t=r.length&&r.length<=a?"select":r.length&&i?"range":"text"),"select"===t?(r.sort(function(e,t){return i?s[e]-s[t]:e.localeCompare(t,void 0,{numeric:!0,sensitivity:"base"})}),{type:"select",options:r}):"range"===t?{type:"range",min:o,max:c}:{type:"text"})},matches:function(e,t,a){var n,s;switch(e){case"select":return a.toLowerCase()===t.toLowerCase();case"range":return n=t.split("~"),null!==(s=l.parse_number(a))&&(!(""!==n[0]&&!isNaN(n[0])&&s<parseFloat(n[0]))&&!(n.length>1&&""!==n[1]&&!isNaN(n[1])&&s>parseFloat(n[1])));case"none":return!0;default:return-1!==a.toLowerCase().indexOf(t.toLowerCase())}},add_fields:function(a,n,s){var r=e('<tr class="tablepress-column-filters" />'),i=n._tablepress_filter_values||{};n._tablepress_filters={},a.columns().every(function(a){var o,c,p=s[a]||{type:"none"},u=t.filter_column.replace("%s",l.get_text(e(this.header()).html())),d=i.hasOwnProperty(a)?i[a]:"",h=e('<th class="column-'+(a+1)+'" />').appendTo(r);switch(n._tablepress_filters[a]={type:p.type,value:d},p.type){case"select":o=e("<select />").attr("aria-label",u).append(e('<option value="" />').text(t.all)),e.each(p.options,function(t,a){e("<option />").val(a).text(a).appendTo(o)}),o.val(d).appendTo(h);break;case"range":c=d.split("~"),e.each(["min","max"],function(a,n){e('<input type="number" step="any" />').addClass("tablepress-column-filter-"+n).attr({"aria-label":u+" ("+t[n]+")",placeholder:null!==p[n]?t[n]+": "+p[n]:t[n]}).val(c.length>a?c[a]:"").appendTo(h)});break;case"text":e('<input type="search" />').attr({"aria-label":u,placeholder:t.filter}).val(d).appendTo(h)}h.data("column",a)}),r.data("tablepress-api",a).on("change","select",l.change).on("input change","input",l.change_delayed).on("click",function(e){e.stopPropagation()}),e(a.table().header()).append(r)},get_field_value:function(e){var t=e.find(".tablepress-column-filter-min");return t.length?""===t.val()&&""===e.find(".tablepress-column-filter-max").val()?"":t.val()+"~"+e.find(".tablepress-column-filter-max").val():String(e.find("select, input").val()).trim()},change:function(){var t=e(this).closest("th"),a=t.parent().data("tablepress-api"),n=a.settings()[0],s=t.data("column"),r=l.get_field_value(t);n._tablepress_filters&&r!==n._tablepress_filters[s].value&&(n._tablepress_filters[s].value=r,n.oFeatures.bServerSide&&a.column(s).search(r),a.draw())},change_delayed:function(){var t=this;clearTimeout(e.data(t,"tablepress-filter-timeout")),e.data(t,"tablepress-filter-timeout",setTimeout(function(){l.change.call(t)},400))}},s=function(t){var a={columns:{}},n=t+"_";return e.each(window.location.search.substring(1).split("&"),function(e,t){var l=t.split("="),s=decodeURIComponent(l[0]),r=l.length>1?decodeURIComponent(l.slice(1).join("=").replace(/\+/g," ")):"";0===s.indexOf(n)&&""!==r&&(s=s.substring(n.length),/^col[0-9]+$/.test(s)?a.columns[parseInt(s.substring(3),10)-1]=r:a[s]=r)}),a},r=function(t,a){var n,l=a.sTableId+"_",s=[],r=t.page.info(),i=t.order(),o={};""!==t.search()&&(o.search=t.search()),i.length&&i[0].length>1&&(o.order=i[0][0]+1+"-"+i[0][1]),r.page>0&&(o.page=r.page+1),a._tablepress_initial_length!==r.length&&(o.length=r.length),e.each(a._tablepress_filters||{},function(e,t){""!==t.value&&(o["col"+(parseInt(e,10)+1)]=t.value)}),e.each(window.location.search.substring(1).split("&"),function(e,t){""!==t&&0!==decodeURIComponent(t.split("=")[0]).indexOf(l)&&s.push(t)}),e.each(o,function(e,t){s.push(encodeURIComponent(l+e)+"="+encodeURIComponent(t))}),(n=window.location.pathname+(s.length?"?"+s.join("&"):"")+window.location.hash)!==window.location.pathname+window.location.search+window.location.hash&&window.history.replaceState(window.history.state,"",n)};e.fn.dataTable.ext.search.push(function(e,t){var a,n;if(!e._tablepress_filters||e.oFeatures.bServerSide)return!0;for(a in e._tablepress_filters)if(e._tablepress_filters.hasOwnProperty(a)&&""!==(n=e._tablepress_filters[a]).value&&!l.matches(n.type,n.value,l.get_text(t[a])))return!1;return!0}),e(document).on("preInit.dt",function(t,a){var n,l,r,i;"dt"===t.namespace&&a.oInit.tablepressUrlState&&(n=new e.fn.dataTable.Api(a),l=s(a.sTableId),a._tablepress_initial_length=n.page.len(),l.search&&n.search(l.search),l.order&&(r=l.order.split("-"),parseInt(r[0],10)>0&&parseInt(r[0],10)<=n.columns().indexes().length&&n.order([parseInt(r[0],10)-1,"desc"===r[1]?"desc":"asc"])),((i=parseInt(l.length,10))>0||-1===i)&&n.page.len(i),parseInt(l.page,10)>1&&n.page.len()>0&&(a.iInitDisplayStart=(parseInt(l.page,10)-1)*n.page.len()),a.oInit.tablepressColumnFilters&&(a._tablepress_filter_values=l.columns,a.oFeatures.bServerSide&&e.each(l.columns,function(e,t){e<n.columns().indexes().length&&n.column(e).search(t)})))}),e(document).on("init.dt",function(t,a,n){var s,r,i;"dt"===t.namespace&&a.oInit.tablepressColumnFilters&&(s=new e.fn.dataTable.Api(a),a.oFeatures.bServerSide?i=n&&n.columnFilters?n.columnFilters:[]:(r=a.oInit.tablepressColumnFilters,i=[],s.columns().every(function(e){i.push(l.detect(r[e]||"auto",this.data().toArray()))})),l.add_fields(s,a,i),!e.isEmptyObject(a._tablepress_filter_values||{})&&!a.oFeatures.bServerSide&&s.draw(!1))}),e(document).on("draw.dt",function(t,a){"dt"===t.namespace&&a.oInit.tablepressUrlState&&a._bInitComplete&&"replaceState"in window.history&&r(new e.fn.dataTable.Api(a),a)})}(jQuery);
\ No newline at end of file
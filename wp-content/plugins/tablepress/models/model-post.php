@@ -356,7 +356,6 @@ class TablePress_Post_Model extends TablePress_Model {
 
 	/**
 	 * Delete a post meta field of a post.
-	 * (yet unused)
 	 *
 	 * @since 1.0.0
 	 *
@@ -365,7 +364,7 @@ class TablePress_Post_Model extends TablePress_Model {
 	 * @return bool True on success, false on error.
 	 */
 	public function delete_meta_field( $post_id, $field ) {
-		return delete_post_meta( $post_id, $field, true ); // true means single value
+		return delete_post_meta( $post_id, $field );
 	}
 
 	/**
@@ -44,6 +44,14 @@ class TablePress_Table_Model extends TablePress_Model {
 	 */
 	protected $table_visibility_field_name = '_tablepress_table_visibility';
 
+	/**
+	 * Name of the Post Meta Field for the data source of a table that is kept in sync with it.
+	 *
+	 * @since 1.15.0
+	 * @var string
+	 */
+	protected $table_source_field_name = '_tablepress_table_source';
+
 	/**
 	 * Default set of tables.
 	 *
@@ -697,6 +705,28 @@ class TablePress_Table_Model extends TablePress_Model {
 		);
 	}
 
+	/**
+	 * Add a transient used for output caching of a table to the list of its caches, so that it is deleted with them.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id       Table ID.
+	 * @param string $transient_name Name of the cache transient.
+	 */
+	public function add_table_output_cache( $table_id, $transient_name ) {
+		$caches_list_transient_name = 'tablepress_c_' . md5( $table_id );
+		$caches_list = get_transient( $caches_list_transient_name );
+		if ( false === $caches_list ) {
+			$caches_list = array();
+		} else {
+			$caches_list = (array) json_decode( $caches_list, true );
+		}
+		if ( ! in_array( $transient_name, $caches_list, true ) ) {
+			$caches_list[] = $transient_name;
+		}
+		set_transient( $caches_list_transient_name, wp_json_encode( $caches_list, TABLEPRESS_JSON_OPTIONS ), 2 * DAY_IN_SECONDS );
+	}
+
 	/**
 	 * Delete all transients used for output caching of a table (e.g. when the table is updated or deleted).
 	 *
@@ -895,6 +925,8 @@ class TablePress_Table_Model extends TablePress_Model {
 				'datatables_paginate_entries' => 10,
 				'datatables_info'             => true,
 				'datatables_scrollx'          => false,
+				'datatables_column_filters'   => false,
+				'datatables_serverside'       => false,
 				'datatables_custom_commands'  => '',
 			),
 			'visibility'    => array(
@@ -1103,6 +1135,86 @@ class TablePress_Table_Model extends TablePress_Model {
 		return json_decode( $visibility, true );
 	}
 
+	/**
+	 * Get the data source of a table, including the sync status and the change log.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id Table ID.
+	 * @return array Data source of the table, empty array if the table is not linked to a source.
+	 */
+	public function get_table_source( $table_id ) {
+		$post_id = $this->_get_post_id( $table_id );
+		if ( false === $post_id ) {
+			return array();
+		}
+		$source = $this->model_post->get_meta_field( $post_id, $this->table_source_field_name );
+		if ( empty( $source ) ) {
+			return array();
+		}
+		return (array) json_decode( $source, true );
+	}
+
+	/**
+	 * Save the data source of a table (in a post meta field of the table's post).
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id Table ID.
+	 * @param array  $source   Data source of the table.
+	 * @return bool True on success, false on error.
+	 */
+	public function update_table_source( $table_id, array $source ) {
+		$post_id = $this->_get_post_id( $table_id );
+		if ( false === $post_id ) {
+			return false;
+		}
+		$source = wp_json_encode( $source, TABLEPRESS_JSON_OPTIONS );
+		return $this->model_post->update_meta_field( $post_id, $this->table_source_field_name, $source );
+	}
+
+	/**
+	 * Remove the link between a table and its data source.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param string $table_id Table ID.
+	 * @return bool True on success, false on error.
+	 */
+	public function delete_table_source( $table_id ) {
+		$post_id = $this->_get_post_id( $table_id );
+		if ( false === $post_id ) {
+			return false;
+		}
+		return $this->model_post->delete_meta_field( $post_id, $this->table_source_field_name );
+	}
+
+	/**
+	 * Get the data sources of all tables that are linked to a source.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @return array Data sources, with the table IDs as keys.
+	 */
+	public function get_table_sources() {
+		$table_post = $this->tables->get( 'table_post' );
+		if ( empty( $table_post ) ) {
+			return array();
+		}
+
+		// Prime the meta cache with the data sources of all tables.
+		update_meta_cache( 'post', array_values( $table_post ) );
+
+		$sources = array();
+		foreach ( array_keys( $table_post ) as $table_id ) {
+			$source = $this->get_table_source( (string) $table_id );
+			if ( ! empty( $source ) ) {
+				$sources[ (string) $table_id ] = $source;
+			}
+		}
+		return $sources;
+	}
+
 	/**
 	 * Merge existing Table Options with default Table Options,
 	 * remove (no longer) existing options, after a table scheme change,
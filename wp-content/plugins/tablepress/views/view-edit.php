@@ -53,6 +53,7 @@ class TablePress_Edit_View extends TablePress_View {
 			'error_delete'                   => __( 'Error: The table could not be deleted.', 'tablepress' ),
 			'success_save_success_id_change' => __( 'The table was saved successfully, and the table ID was changed.', 'tablepress' ),
 			'success_save_error_id_change'   => __( 'The table was saved successfully, but the table ID could not be changed!', 'tablepress' ),
+			'success_sync'                   => __( 'The table was refreshed from its data source.', 'tablepress' ),
 		);
 		// Custom handling instead of $this->process_action_messages(). Also, $action_messages is used below.
 		if ( $data['message'] && isset( $action_messages[ $data['message'] ] ) ) {
@@ -101,6 +102,14 @@ class TablePress_Edit_View extends TablePress_View {
 				 * @param bool $auto_grow Whether the size of the cell textareas shall increase. Default true.
 				 */
 				'cells_auto_grow'       => apply_filters( 'tablepress_edit_cells_auto_grow', true ),
+				/**
+				 * Filter whether the results of formulas shall be shown in the table cells while editing.
+				 *
+				 * @since 1.15.0
+				 *
+				 * @param bool $live_preview Whether the live preview of formula results shall be enabled. Default true.
+				 */
+				'formulas_live_preview' => apply_filters( 'tablepress_edit_formulas_live_preview', true ),
 				'shortcode'             => esc_js( TablePress::$shortcode ),
 			),
 			'strings' => array_merge(
@@ -129,6 +138,8 @@ class TablePress_Edit_View extends TablePress_View {
 					'unsaved_changes_unload'         => __( 'The changes to this table were not saved yet and will be lost if you navigate away from this page.', 'tablepress' ),
 					'preparing_preview'              => __( 'The Table Preview is being loaded...', 'tablepress' ),
 					'preview_error'                  => __( 'The Table Preview could not be loaded.', 'tablepress' ),
+					'formula_result'                 => __( 'Formula result', 'tablepress' ),
+					'formula_error'                  => __( 'Formula error', 'tablepress' ),
 					'save_changes_success'           => __( 'Saving successful', 'tablepress' ),
 					'save_changes_error'             => __( 'Saving failed', 'tablepress' ),
 					'saving_changes'                 => __( 'Changes are being saved...', 'tablepress' ),
@@ -143,6 +154,17 @@ class TablePress_Edit_View extends TablePress_View {
 					'no_colspan_first_col'           => __( 'You can not add colspan to the first column!', 'tablepress' ),
 					'no_rowspan_table_head'          => __( 'You can not connect cells into the table head row!', 'tablepress' ),
 					'no_rowspan_table_foot'          => __( 'You can not connect cells out of the table foot row!', 'tablepress' ),
+					'success_save_source'            => __( 'The data source was saved successfully.', 'tablepress' ),
+					'error_save_source'              => __( 'The data source could not be saved.', 'tablepress' ),
+					'sync_checking'                  => __( 'The data source is being checked for changes...', 'tablepress' ),
+					'sync_no_changes'                => __( 'The table content is identical to the content of the data source.', 'tablepress' ),
+					'sync_changes'                   => __( 'Changed cells: %1$s, rows: %2$s &rarr; %3$s, columns: %4$s &rarr; %5$s', 'tablepress' ),
+					'sync_more_cells'                => __( 'Only the first %s changed cells are shown.', 'tablepress' ),
+					'sync_error'                     => __( 'The data source could not be loaded.', 'tablepress' ),
+					'sync_cell'                      => __( 'Cell', 'tablepress' ),
+					'sync_old_value'                 => __( 'Current content', 'tablepress' ),
+					'sync_new_value'                 => __( 'New content', 'tablepress' ),
+					'sync_apply_unsaved_changes'     => __( 'Applying the changes from the data source will discard the changes to this table that were not saved yet. Do you want to proceed?', 'tablepress' ),
 				),
 				// Merge this to have messages available for AJAX after save dialog.
 				$action_messages
@@ -154,6 +176,7 @@ class TablePress_Edit_View extends TablePress_View {
 		$this->add_meta_box( 'table-information', __( 'Table Information', 'tablepress' ), array( $this, 'postbox_table_information' ), 'normal' );
 		$this->add_meta_box( 'table-data', __( 'Table Content', 'tablepress' ), array( $this, 'postbox_table_data' ), 'normal' );
 		$this->add_meta_box( 'table-manipulation', __( 'Table Manipulation', 'tablepress' ), array( $this, 'postbox_table_manipulation' ), 'normal' );
+		$this->add_meta_box( 'table-source', __( 'Data Source', 'tablepress' ), array( $this, 'postbox_table_source' ), 'normal' );
 		$this->add_meta_box( 'table-options', __( 'Table Options', 'tablepress' ), array( $this, 'postbox_table_options' ), 'normal' );
 		$this->add_meta_box( 'datatables-features', __( 'Features of the DataTables JavaScript library', 'tablepress' ), array( $this, 'postbox_datatables_features' ), 'normal' );
 		$this->add_text_box( 'hidden-containers', array( $this, 'textbox_hidden_containers' ), 'additional' );
@@ -369,6 +392,8 @@ class TablePress_Edit_View extends TablePress_View {
 			<input type="button" class="button" id="link-add" value="<?php esc_attr_e( 'Insert Link', 'tablepress' ); ?>" />
 			<input type="button" class="button" id="image-add" value="<?php esc_attr_e( 'Insert Image', 'tablepress' ); ?>" />
 			<input type="button" class="button" id="advanced-editor-open" value="<?php esc_attr_e( 'Advanced Editor', 'tablepress' ); ?>" />
+			<input type="button" class="button" id="history-undo" value="<?php esc_attr_e( 'Undo', 'tablepress' ); ?>" title="<?php esc_attr_e( 'Undo (Ctrl+Z)', 'tablepress' ); ?>" disabled="disabled" />
+			<input type="button" class="button" id="history-redo" value="<?php esc_attr_e( 'Redo', 'tablepress' ); ?>" title="<?php esc_attr_e( 'Redo (Ctrl+Y)', 'tablepress' ); ?>" disabled="disabled" />
 		</td>
 		<td class="column-2">
 			<?php _e( 'Combine cells', 'tablepress' ); ?>:&nbsp;
@@ -427,6 +452,121 @@ class TablePress_Edit_View extends TablePress_View {
 		<?php
 	}
 
+	/**
+	 * Print the content of the "Data Source" post meta box.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $data Data for this screen.
+	 * @param array $box  Information about the meta box.
+	 */
+	public function postbox_table_source( array $data, array $box ) {
+		$source = wp_parse_args( $data['table_source'], array(
+			'type'       => '',
+			'location'   => '',
+			'format'     => 'csv',
+			'schedule'   => 'manual',
+			'last_sync'  => 0,
+			'last_error' => '',
+		) );
+		$source_types = $data['sync_source_types'];
+		// Other users can keep an existing `server` source, but not change it.
+		if ( 'server' === $source['type'] && ! isset( $source_types['server'] ) ) {
+			$source_types['server'] = __( 'File on server', 'tablepress' );
+		}
+		$media_files = wp_list_pluck( $data['sync_media_files'], 'post_title', 'ID' );
+		if ( 'media' === $source['type'] && ! isset( $media_files[ $source['location'] ] ) ) {
+			$media_files[ $source['location'] ] = get_the_title( (int) $source['location'] );
+		}
+		?>
+<table class="tablepress-postbox-table fixed hide-if-no-js">
+<tbody>
+	<tr class="bottom-border">
+		<th class="column-1" scope="row"><label for="table-source-type"><?php _e( 'Linked to', 'tablepress' ); ?>:</label></th>
+		<td class="column-2">
+			<select id="table-source-type">
+				<option value=""<?php selected( '', $source['type'] ); ?>><?php _e( '&mdash; Not linked &mdash;', 'tablepress' ); ?></option>
+			<?php
+			foreach ( $source_types as $type => $name ) {
+				echo '<option value="' . esc_attr( $type ) . '"' . selected( $type, $source['type'], false ) . '>' . esc_html( $name ) . '</option>';
+			}
+			?>
+			</select>
+		</td>
+	</tr>
+	<tr class="top-border table-source-setting">
+		<th class="column-1" scope="row"><label for="table-source-location-<?php echo esc_attr( '' !== $source['type'] ? $source['type'] : 'url' ); ?>"><?php _e( 'Location', 'tablepress' ); ?>:</label></th>
+		<td class="column-2">
+			<input type="url" id="table-source-location-url" class="large-text table-source-location" data-source-type="url" value="<?php echo esc_attr( 'url' === $source['type'] ? $source['location'] : 'https://' ); ?>" />
+			<?php if ( isset( $source_types['server'] ) ) { ?>
+			<input type="text" id="table-source-location-server" class="large-text code table-source-location" data-source-type="server" value="<?php echo esc_attr( 'server' === $source['type'] ? $source['location'] : ABSPATH ); ?>"<?php disabled( 'server' === $source['type'] && ! isset( $data['sync_source_types']['server'] ) ); ?> />
+			<?php } ?>
+			<span id="table-source-location-media-wrapper" class="table-source-location-wrapper" data-source-type="media">
+				<select id="table-source-location-media" class="table-source-location" data-source-type="media">
+				<?php
+				if ( empty( $media_files ) ) {
+					echo '<option value="">' . esc_html__( 'No spreadsheet files were found in the Media Library.', 'tablepress' ) . '</option>';
+				}
+				foreach ( $media_files as $attachment_id => $title ) {
+					echo '<option value="' . esc_attr( $attachment_id ) . '"' . selected( 'media' === $source['type'] ? $source['location'] : '', (string) $attachment_id, false ) . '>' . esc_html( $title ) . '</option>';
+				}
+				?>
+				</select>
+				<a href="<?php echo esc_url( admin_url( 'media-new.php' ) ); ?>" target="_blank"><?php _e( 'Upload a file', 'tablepress' ); ?></a>
+			</span>
+		</td>
+	</tr>
+	<tr class="table-source-setting">
+		<th class="column-1" scope="row"><label for="table-source-format"><?php _e( 'Format', 'tablepress' ); ?>:</label></th>
+		<td class="column-2">
+			<select id="table-source-format">
+			<?php
+			foreach ( $data['import_formats'] as $format => $name ) {
+				echo '<option value="' . esc_attr( $format ) . '"' . selected( $format, $source['format'], false ) . '>' . esc_html( $name ) . '</option>';
+			}
+			?>
+			</select>
+		</td>
+	</tr>
+	<tr class="bottom-border table-source-setting">
+		<th class="column-1" scope="row"><label for="table-source-schedule"><?php _e( 'Refresh', 'tablepress' ); ?>:</label></th>
+		<td class="column-2">
+			<select id="table-source-schedule">
+			<?php
+			foreach ( $data['sync_schedules'] as $schedule => $name ) {
+				echo '<option value="' . esc_attr( $schedule ) . '"' . selected( $schedule, $source['schedule'], false ) . '>' . esc_html( $name ) . '</option>';
+			}
+			?>
+			</select>
+			<p class="description"><?php _e( 'Scheduled refreshes replace the table content with the content of the data source, without a preview of the changes.', 'tablepress' ); ?></p>
+		</td>
+	</tr>
+	<tr class="top-border">
+		<td class="column-1"></td>
+		<td class="column-2">
+			<p id="table-source-status">
+			<?php
+			if ( '' !== $source['last_error'] ) {
+				echo '<span class="table-source-error">' . sprintf( __( 'The last refresh failed: %s', 'tablepress' ), esc_html( $source['last_error'] ) ) . '</span>';
+			} elseif ( $source['last_sync'] ) {
+				printf( __( 'Last refreshed on %s.', 'tablepress' ), TablePress::format_datetime( '@' . $source['last_sync'] ) );
+			}
+			?>
+			</p>
+			<input type="button" class="button" id="table-source-save" value="<?php esc_attr_e( 'Save Data Source', 'tablepress' ); ?>" />
+			<input type="button" class="button table-source-setting" id="table-source-check" value="<?php esc_attr_e( 'Check for Changes', 'tablepress' ); ?>" />
+			<div id="table-source-changes" class="hidden-container">
+				<div id="table-source-changes-list"></div>
+				<input type="button" class="button button-primary" id="table-source-apply" value="<?php esc_attr_e( 'Apply Changes', 'tablepress' ); ?>" />
+			</div>
+		</td>
+	</tr>
+</tbody>
+</table>
+<p class="hide-if-js"><?php _e( 'To link the table to a data source, JavaScript needs to be enabled in your browser.', 'tablepress' ); ?></p>
+		<?php
+	}
+
 	/**
 	 * Print the "Preview" and "Save Changes" button.
 	 *
@@ -612,9 +752,18 @@ class TablePress_Edit_View extends TablePress_View {
 		<th class="column-1" scope="row"><?php _e( 'Info', 'tablepress' ); ?>:</th>
 		<td class="column-2"><label for="option-datatables-info"><input type="checkbox" id="option-datatables-info" name="table[options][datatables_info]" value="true"<?php checked( $options['datatables_info'] ); ?> /> <?php _e( 'Enable the table information display, with information about the currently visible data, like the number of rows.', 'tablepress' ); ?></label></td>
 	</tr>
-	<tr<?php echo current_user_can( 'unfiltered_html' ) ? ' class="bottom-border"' : ''; ?>>
+	<tr>
 		<th class="column-1" scope="row"><?php _e( 'Horizontal Scrolling', 'tablepress' ); ?>:</th>
 		<td class="column-2"><label for="option-datatables-scrollx"><input type="checkbox" id="option-datatables-scrollx" name="table[options][datatables_scrollx]" value="true"<?php checked( $options['datatables_scrollx'] ); ?> /> <?php _e( 'Enable horizontal scrolling, to make viewing tables with many columns easier.', 'tablepress' ); ?></label></td>
+	</tr>
+	<tr>
+		<th class="column-1" scope="row"><?php _e( 'Column Filters', 'tablepress' ); ?>:</th>
+		<td class="column-2"><label for="option-datatables-column-filters"><input type="checkbox" id="option-datatables-column-filters" name="table[options][datatables_column_filters]" value="true"<?php checked( $options['datatables_column_filters'] ); ?> /> <?php _e( 'Show a filter below each column head: a dropdown for columns with few different values, a range for numeric columns, and a text field otherwise.', 'tablepress' ); ?></label></td>
+	</tr>
+	<tr<?php echo current_user_can( 'unfiltered_html' ) ? ' class="bottom-border"' : ''; ?>>
+		<th class="column-1" scope="row"><?php _e( 'Server-side Processing', 'tablepress' ); ?>:</th>
+		<td class="column-2"><label for="option-datatables-serverside"><input type="checkbox" id="option-datatables-serverside" name="table[options][datatables_serverside]" value="true"<?php checked( $options['datatables_serverside'] ); ?> /> <?php _e( 'Load the rows page by page from the server, while paginating, sorting, searching, and filtering. Recommended for tables with thousands of rows.', 'tablepress' ); ?></label>
+		<p class="description"><?php _e( 'The visible content of the table can then be requested from the server by anybody who knows the table ID.', 'tablepress' ); ?></p></td>
 	</tr>
 		<?php
 		// "Custom Commands" must only be available to trusted users. The text field must be in the page however, so that it's part of the HTTP POST request.
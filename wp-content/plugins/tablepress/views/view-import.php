@@ -31,7 +31,14 @@ class TablePress_Import_View extends TablePress_View {
 	public function setup( $action, array $data ) {
 		parent::setup( $action, $data );
 
-		$this->admin_page->enqueue_script( 'import', array( 'jquery' ) );
+		$this->admin_page->enqueue_script( 'import', array( 'jquery' ), array( // phpcs:ignore PEAR.Functions.FunctionCallSignature.MultipleArguments
+			'strings' => array(
+				'xlsx_reading'     => __( 'Reading the worksheets of the file &hellip;', 'tablepress' ),
+				'xlsx_error'       => __( 'The file could not be read in the browser. It will be imported on the server instead.', 'tablepress' ),
+				'xlsx_preview'     => __( 'Preview of the first %1$s of %2$s rows:', 'tablepress' ),
+				'xlsx_empty_sheet' => __( 'This worksheet is empty.', 'tablepress' ),
+			),
+		) );
 
 		$this->process_action_messages( array(
 			'error_import'                => __( 'Error: The import failed.', 'tablepress' ),
@@ -103,6 +110,11 @@ class TablePress_Import_View extends TablePress_View {
 				echo '<br /><span class="description">' . __( 'You can import multiple tables by placing them in a ZIP file.', 'tablepress' ) . '</span>';
 			}
 			?>
+			<div id="tables-import-xlsx" class="hidden">
+				<p><label for="tables-import-xlsx-sheet"><?php _e( 'Worksheet', 'tablepress' ); ?>:</label> <select id="tables-import-xlsx-sheet"></select></p>
+				<p id="tables-import-xlsx-status" class="description"></p>
+				<div id="tables-import-xlsx-preview" style="max-height: 300px; overflow: auto;"></div>
+			</div>
 		</td>
 	</tr>
 	<tr id="row-import-source-url" class="bottom-border">
@@ -183,6 +195,20 @@ class TablePress_Import_View extends TablePress_View {
 			</select>
 		</td>
 	</tr>
+	<tr id="row-import-sync" class="top-border bottom-border">
+		<th class="column-1" scope="row"><?php _e( 'Data Source', 'tablepress' ); ?>:</th>
+		<td class="column-2">
+			<label for="tables-import-sync"><input type="checkbox" id="tables-import-sync" name="import[sync]" value="true" /> <?php _e( 'Keep the table linked to the URL or file, to refresh it from there', 'tablepress' ); ?></label>
+			<label for="tables-import-sync-schedule" class="screen-reader-text"><?php _e( 'Refresh schedule', 'tablepress' ); ?></label>
+			<select id="tables-import-sync-schedule" name="import[sync_schedule]">
+			<?php
+			foreach ( $data['sync_schedules'] as $schedule => $name ) {
+				echo '<option value="' . esc_attr( $schedule ) . '">' . esc_html( $name ) . '</option>';
+			}
+			?>
+			</select>
+		</td>
+	</tr>
 	<tr class="top-border">
 		<td class="column-1"></td>
 		<td class="column-2"><input type="submit" value="<?php echo esc_attr_x( 'Import', 'button', 'tablepress' ); ?>" class="button button-primary button-large" name="submit" /></td>
@@ -263,6 +263,14 @@ class TablePress_All_Tables_List_Table extends WP_List_Table {
 	 */
 	protected $items_count = 0;
 
+	/**
+	 * Names of the refresh schedules of tables with a data source.
+	 *
+	 * @since 1.15.0
+	 * @var array
+	 */
+	protected $sync_schedules = array();
+
 	/**
 	 * Initialize the List Table.
 	 *
@@ -282,6 +290,9 @@ class TablePress_All_Tables_List_Table extends WP_List_Table {
 			'ajax'     => false,                   // Does this list table support AJAX?
 			'screen'   => $screen,                 // WP_Screen object.
 		) );
+
+		$syncer = TablePress::load_class( 'TablePress_Sync', 'class-sync.php', 'classes' );
+		$this->sync_schedules = $syncer->schedules;
 	}
 
 	/**
@@ -327,6 +338,7 @@ class TablePress_All_Tables_List_Table extends WP_List_Table {
 			'table_author'           => __( 'Author', 'tablepress' ),
 			'table_last_modified_by' => __( 'Last Modified By', 'tablepress' ),
 			'table_last_modified'    => __( 'Last Modified', 'tablepress' ),
+			'table_source'           => __( 'Data Source', 'tablepress' ),
 		);
 		return $columns;
 	}
@@ -519,6 +531,58 @@ class TablePress_All_Tables_List_Table extends WP_List_Table {
 		return '<abbr title="' . esc_attr( $readable_time ) . '">' . $time_diff . '</abbr>';
 	}
 
+	/**
+	 * Render a cell in the "table_source" column, with the refresh status and the change log of a linked table.
+	 *
+	 * @since 1.15.0
+	 *
+	 * @param array $item Data item for the current row.
+	 * @return string HTML content of the cell.
+	 */
+	protected function column_table_source( array $item ) {
+		$source = TablePress::$model_table->get_table_source( $item['id'] );
+		if ( empty( $source['type'] ) ) {
+			return '&mdash;';
+		}
+
+		$output = isset( $this->sync_schedules[ $source['schedule'] ] ) ? $this->sync_schedules[ $source['schedule'] ] : esc_html( $source['schedule'] );
+		if ( ! empty( $source['last_error'] ) ) {
+			$output .= '<br /><span class="sync-error">' . sprintf( __( 'The last refresh failed: %s', 'tablepress' ), esc_html( $source['last_error'] ) ) . '</span>';
+		} elseif ( ! empty( $source['last_sync'] ) ) {
+			$output .= '<br />' . sprintf( __( 'Refreshed %s ago', 'tablepress' ), human_time_diff( $source['last_sync'] ) );
+		}
+
+		if ( empty( $source['log'] ) ) {
+			return $output;
+		}
+
+		$triggers = array(
+			'manual'   => __( 'manually', 'tablepress' ),
+			'schedule' => __( 'on schedule', 'tablepress' ),
+		);
+		$output .= '<div class="sync-log-toggle hide-if-no-js"><a href="#">' . sprintf( __( 'Change log (%s)', 'tablepress' ), count( $source['log'] ) ) . '</a></div>';
+		$output .= '<ul class="tablepress-sync-log hide-if-js">';
+		foreach ( $source['log'] as $entry ) {
+			$trigger = isset( $triggers[ $entry['trigger'] ] ) ? $triggers[ $entry['trigger'] ] : esc_html( $entry['trigger'] );
+			$output .= '<li><abbr title="' . esc_attr( TablePress::format_datetime( $entry['time'] ) ) . '">' . TablePress::format_datetime( $entry['time'], get_option( 'date_format' ) ) . '</abbr>, ' . $trigger;
+			if ( ! empty( $entry['user'] ) ) {
+				$output .= ' (' . TablePress::get_user_display_name( $entry['user'] ) . ')';
+			}
+			$output .= ': ';
+			if ( isset( $entry['error'] ) ) {
+				$output .= '<span class="sync-error">' . esc_html( $entry['error'] ) . '</span>';
+			} else {
+				$output .= sprintf( _n( '%s changed cell', '%s changed cells', $entry['changed_cells'], 'tablepress' ), number_format_i18n( $entry['changed_cells'] ) );
+				if ( $entry['rows'][0] !== $entry['rows'][1] || $entry['columns'][0] !== $entry['columns'][1] ) {
+					$output .= ', ' . sprintf( __( 'size %1$s&times;%2$s &rarr; %3$s&times;%4$s', 'tablepress' ), $entry['rows'][0], $entry['columns'][0], $entry['rows'][1], $entry['columns'][1] );
+				}
+			}
+			$output .= '</li>';
+		}
+		$output .= '</ul>';
+		return $output;
+	}
+
 	/**
 	 * Handles output for the default column.
 	 *
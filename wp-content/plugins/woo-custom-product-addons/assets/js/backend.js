@@ -5,6 +5,267 @@ jQuery(function ($) {
     var $fb = $(document.getElementById("wcpa_editor"));
     var formData = $("#wcpa_fb-editor-json").text();
 
+    /* conditional logic editor, rules are saved in the "relations" attribute as json (see WCPA_Conditional) */
+    wcpa_functions.conditional = {
+
+        types: ['text', 'textarea', 'select', 'checkbox-group', 'radio-group', 'date', 'number', 'color', 'header', 'paragraph'],
+        source_types: ['text', 'textarea', 'select', 'checkbox-group', 'radio-group', 'date', 'number', 'color'],
+        relations: {
+            'is': 'is',
+            'is_not': 'is not',
+            'is_empty': 'is empty',
+            'is_not_empty': 'is not empty',
+            'contains': 'contains',
+            'greater_than': 'greater than',
+            'less_than': 'less than'
+        },
+
+        user_attrs: function (attrs) {
+            $.each(this.types, function (i, type) {
+                attrs[type] = $.extend(attrs[type] || {}, {
+                    enableCl: {
+                        label: 'Conditional logic',
+                        options: {'': 'Disabled', '1': 'Enabled'}
+                    },
+                    cl_rule: {
+                        label: 'Action',
+                        options: {'show': 'Show this field if', 'hide': 'Hide this field if'}
+                    },
+                    relations: {
+                        label: 'Rules',
+                        value: ''
+                    }
+                });
+            });
+            return attrs;
+        },
+        init_field: function (field) {
+            var $field = $(field);
+            var $input = $(".fld-relations", $field);
+            var $editor = $('<div class="wcpa_cl_editor"></div>');
+
+            $(".wcpa_cl_editor", $field).remove(); // cloned fields carry a copy of the source editor
+            $input.closest(".relations-wrap").hide().after($editor);
+
+            $field.on("change", ".fld-enableCl", function () {
+                wcpa_functions.conditional.toggle($field);
+            });
+            $editor.on("change keyup", "select, input", function (e) {
+                e.stopPropagation();
+                if ($(this).hasClass("wcpa_cl_field")) {
+                    wcpa_functions.conditional.set_value_options($(this).closest(".wcpa_cl_rule"));
+                }
+                wcpa_functions.conditional.serialize($field);
+            });
+            $editor.on("mousedown focus", "select.wcpa_cl_field", function () {
+                wcpa_functions.conditional.set_field_options($(this), $field);
+            });
+            $editor.on("click", ".wcpa_cl_add_rule", function (e) {
+                e.preventDefault();
+                var relations = wcpa_functions.conditional.read($field);
+                relations[$(this).closest(".wcpa_cl_group").index()].rules.push(wcpa_functions.conditional.empty_rule());
+                wcpa_functions.conditional.write($field, relations);
+            });
+            $editor.on("click", ".wcpa_cl_add_group", function (e) {
+                e.preventDefault();
+                var relations = wcpa_functions.conditional.read($field);
+                relations.push({rules: [wcpa_functions.conditional.empty_rule()]});
+                wcpa_functions.conditional.write($field, relations);
+            });
+            $editor.on("click", ".wcpa_cl_remove_rule", function (e) {
+                e.preventDefault();
+                var relations = wcpa_functions.conditional.read($field);
+                var group = $(this).closest(".wcpa_cl_group").index();
+                relations[group].rules.splice($(this).closest(".wcpa_cl_rule").index(), 1);
+                if (!relations[group].rules.length) {
+                    relations.splice(group, 1);
+                }
+                wcpa_functions.conditional.write($field, relations);
+            });
+
+            wcpa_functions.conditional.render($field);
+            wcpa_functions.conditional.toggle($field);
+        },
+        empty_rule: function () {
+            return {rules: {cl_field: '', cl_relation: 'is', cl_val: ''}};
+        },
+        read: function ($field) {
+            var relations;
+            try {
+                relations = JSON.parse($(".fld-relations", $field).val() || '[]');
+            } catch (e) {
+                relations = [];
+            }
+            return $.isArray(relations) ? relations : [];
+        },
+        write: function ($field, relations) {
+            $(".fld-relations", $field).val(relations.length ? JSON.stringify(relations) : '').trigger("change");
+            this.render($field);
+        },
+        toggle: function ($field) {
+            var enabled = !!$(".fld-enableCl", $field).val();
+            $(".cl_rule-wrap, .wcpa_cl_editor", $field).toggle(enabled);
+            if (enabled && !this.read($field).length) {
+                this.write($field, [{rules: [this.empty_rule()]}]);
+            }
+        },
+        /* other fields of the form which can be used as the source of a rule */
+        source_fields: function ($field) {
+            var fields = [];
+            $field.siblings("li.form-field").each(function () {
+                var $li = $(this);
+                var $label = $(".fld-label", $li);
+                if ($.inArray($li.attr("type"), wcpa_functions.conditional.source_types) === -1) {
+                    return;
+                }
+                fields.push({
+                    id: $(".fld-elementId", $li).val(),
+                    label: $('<div>').html($label.is("[contenteditable]") ? $label.html() : $label.val()).text() || $li.attr("type"),
+                    options: $(".sortable-options .option-value", $li).map(function () {
+                        return $(this).val();
+                    }).get()
+                });
+            });
+            return fields;
+        },
+        set_field_options: function ($select, $field) {
+            var current = $select.val();
+            $select.empty().append($('<option value="">').text('Select field'));
+            $.each(this.source_fields($field), function (i, f) {
+                $select.append($('<option>').val(f.id).text(f.label));
+            });
+            $select.val(current);
+        },
+        set_value_options: function ($rule) {
+            var id = $(".wcpa_cl_field", $rule).val();
+            var $list = $("datalist", $rule).empty();
+            $.each(this.source_fields($rule.closest("li.form-field")), function (i, f) {
+                if (f.id === id) {
+                    $.each(f.options, function (j, option) {
+                        $list.append($('<option>').val(option));
+                    });
+                }
+            });
+        },
+        render: function ($field) {
+            var $editor = $(".wcpa_cl_editor", $field).empty();
+            var fields = this.source_fields($field);
+            $.each(this.read($field), function (g, group) {
+                var $group = $('<div class="wcpa_cl_group"></div>');
+                if (g > 0) {
+                    $group.append('<p class="wcpa_cl_or">or</p>');
+                }
+                $.each(group.rules || [], function (r, rule) {
+                    var c = rule.rules || {};
+                    var list_id = $field.attr("id") + '-cl-' + g + '-' + r;
+                    var $rule = $('<div class="wcpa_cl_rule"></div>');
+                    var $select = $('<select class="wcpa_cl_field"></select>').append($('<option value="">').text('Select field'));
+                    var $relation = $('<select class="wcpa_cl_relation"></select>');
+                    $.each(fields, function (i, f) {
+                        $select.append($('<option>').val(f.id).text(f.label));
+                    });
+                    if (c.cl_field && !$select.find('option').filter(function () {
+                        return this.value === c.cl_field;
+                    }).length) {
+                        $select.append($('<option>').val(c.cl_field).text(c.cl_field + ' (removed)'));
+                    }
+                    $.each(wcpa_functions.conditional.relations, function (k, label) {
+                        $relation.append($('<option>').val(k).text(label));
+                    });
+                    $rule.append(
+                        $select.val(c.cl_field || ''),
+                        $relation.val(c.cl_relation || 'is'),
+                        $('<input type="text" class="wcpa_cl_value">').attr("list", list_id).val(c.cl_val || ''),
+                        $('<datalist>').attr("id", list_id),
+                        '<a href="#" class="wcpa_cl_remove_rule">&times;</a>'
+                    );
+                    $group.append($rule);
+                    wcpa_functions.conditional.set_value_options($rule);
+                });
+                $group.append('<a href="#" class="button wcpa_cl_add_rule">and</a>');
+                $editor.append($group);
+            });
+            $editor.append('<a href="#" class="button wcpa_cl_add_group">Add rule group</a>');
+        },
+        serialize: function ($field) {
+            var relations = [];
+            $(".wcpa_cl_group", $field).each(function () {
+                var rules = [];
+                $(".wcpa_cl_rule", this).each(function () {
+                    rules.push({
+                        rules: {
+                            cl_field: $(".wcpa_cl_field", this).val(),
+                            cl_relation: $(".wcpa_cl_relation", this).val(),
+                            cl_val: $(".wcpa_cl_value", this).val()
+                        }
+                    });
+                });
+                relations.push({rules: rules});
+            });
+            $(".fld-relations", $field).val(relations.length ? JSON.stringify(relations) : '').trigger("change");
+        }
+    };
+
+    /* price of a field, a number or a formula evaluated by WCPA_Formula / wcpa_front.formula */
+    wcpa_functions.pricing = {
+
+        user_attrs: function (attrs) {
+            $.each(wcpa_functions.conditional.source_types, function (i, type) {
+                attrs[type] = $.extend(attrs[type] || {}, {
+                    enablePrice: {
+                        label: 'Price',
+                        options: {'': 'Disabled', '1': 'Enabled'}
+                    },
+                    price: {
+                        label: 'Price formula',
+                        value: '',
+                        placeholder: 'eg: {product_price} * 0.03 * {value}',
+                        description: 'A fixed amount or a formula using + - * / ^ ( ), min(), max(), round(), ceil(), floor(), abs(), if(condition, then, else) and the placeholders {product_price}, {quantity}, {value} (this field), {count} (selected options of this field) or {other-field-name}'
+                    }
+                });
+            });
+            return attrs;
+        },
+        init_field: function (field) {
+            var $field = $(field);
+            $field.on("change", ".fld-enablePrice", function () {
+                wcpa_functions.pricing.toggle($field);
+            });
+            wcpa_functions.pricing.toggle($field);
+        },
+        toggle: function ($field) {
+            $(".price-wrap", $field).toggle(!!$(".fld-enablePrice", $field).val());
+        }
+    };
+
+    wcpa_functions.user_events = function () {
+        var events = {};
+        $.each(wcpa_functions.conditional.types, function (i, type) {
+            events[type] = {
+                onadd: wcpa_functions.init_field,
+                onclone: wcpa_functions.init_field
+            };
+        });
+        return events;
+    };
+    wcpa_functions.init_field = function (field) {
+        var $field = $(field);
+        var data = $field.data("fieldData");
+
+        // formBuilder mangles commas in attribute values, so restore the raw values from the field data
+        if (data && data.attrs) {
+            $.each(['relations', 'price'], function (i, attr) {
+                if (typeof data.attrs[attr] === 'string') {
+                    $(".fld-" + attr, $field).val(data.attrs[attr]);
+                }
+            });
+        }
+        wcpa_functions.conditional.init_field(field);
+        if ($(".fld-enablePrice", $field).length) {
+            wcpa_functions.pricing.init_field(field);
+        }
+    };
+
     if($fb.length){
         var formBuilder = $fb.formBuilder({
             "formData": formData,
@@ -21,6 +282,8 @@ jQuery(function ($) {
                 'color'
             ],
             disabledAttrs: ["access", "style", "toggle", "other", "inline", "description", "multiple"],
+            typeUserAttrs: wcpa_functions.pricing.user_attrs(wcpa_functions.conditional.user_attrs({})),
+            typeUserEvents: wcpa_functions.user_events()
 
         });
     }
@@ -0,0 +1,368 @@
+var wcpa_front = {};
+
+jQuery(function ($) {
+
+    /* conditional logic, keep in sync with WCPA_Conditional */
+    wcpa_front.conditional = {
+
+        init: function () {
+            $(".wcpa_form_outer").each(function () {
+                var $form = $(this);
+                if (!$("[data-wcpa-cl]", $form).length) {
+                    return;
+                }
+                $form.on("change keyup", "input, select, textarea", function () {
+                    wcpa_front.conditional.update($form);
+                });
+                wcpa_front.conditional.update($form);
+            });
+        },
+        field_value: function ($item) {
+            var $inputs = $item.find("input, select, textarea").not(":disabled");
+            if ($item.hasClass("wcpa_type_checkbox-group") || $item.hasClass("wcpa_type_radio-group")) {
+                return $inputs.filter(":checked").map(function () {
+                    return $(this).val();
+                }).get();
+            }
+            var value = $inputs.first().val();
+            if ($.isArray(value)) {
+                return value;
+            }
+            return (value === undefined || value === null || value === "") ? [] : [String(value)];
+        },
+        match_rule: function (rule, values) {
+            var cl_val = (rule.cl_val === undefined || rule.cl_val === null) ? "" : String(rule.cl_val);
+            values = $.grep(values, function (v) {
+                return v !== "";
+            });
+            switch (rule.cl_relation || "is") {
+                case "is":
+                    return $.inArray(cl_val, values) !== -1;
+                case "is_not":
+                    return $.inArray(cl_val, values) === -1;
+                case "is_empty":
+                    return values.length === 0;
+                case "is_not_empty":
+                    return values.length > 0;
+                case "contains":
+                    return cl_val !== "" && $.grep(values, function (v) {
+                        return v.toLowerCase().indexOf(cl_val.toLowerCase()) !== -1;
+                    }).length > 0;
+                case "greater_than":
+                case "less_than":
+                    if (!values.length || !$.isNumeric(values[0]) || !$.isNumeric(cl_val)) {
+                        return false;
+                    }
+                    return rule.cl_relation === "greater_than" ? parseFloat(values[0]) > parseFloat(cl_val) : parseFloat(values[0]) < parseFloat(cl_val);
+            }
+            return false;
+        },
+        match_relations: function (relations, values, hidden) {
+            return $.grep(relations || [], function (group) {
+                if (!group || !$.isArray(group.rules) || !group.rules.length) {
+                    return false;
+                }
+                return $.grep(group.rules, function (rule) {
+                    if (!rule || !rule.rules || !rule.rules.cl_field) {
+                        return false;
+                    }
+                    var field = rule.rules.cl_field;
+                    var value = (values[field] && !hidden[field]) ? values[field] : [];
+                    return !wcpa_front.conditional.match_rule(rule.rules, value);
+                }).length === 0;
+            }).length > 0;
+        },
+        update: function ($form) {
+            var values = {}, hidden = {}, $items = {}, changed, passes;
+            $("[data-wcpa-element]", $form).each(function () {
+                var $item = $(this), id = $item.data("wcpa-element");
+                $items[id] = $item;
+                values[id] = wcpa_front.conditional.field_value($item.removeClass("wcpa_cl_hidden").find("input, select, textarea").prop("disabled", false).end());
+            });
+
+            // a hidden field counts as empty for the rules depending on it, so loop until nothing changes
+            passes = Object.keys($items).length + 1;
+            do {
+                changed = false;
+                $.each($items, function (id, $item) {
+                    var cl = $item.data("wcpa-cl"), show;
+                    if (!cl) {
+                        return;
+                    }
+                    show = wcpa_front.conditional.match_relations(cl.relations, values, hidden);
+                    if (cl.rule === "hide") {
+                        show = !show;
+                    }
+                    if (show === !!hidden[id]) {
+                        if (show) {
+                            delete hidden[id];
+                        } else {
+                            hidden[id] = true;
+                        }
+                        changed = true;
+                    }
+                });
+            } while (changed && --passes > 0);
+
+            $.each(hidden, function (id) {
+                // disabled inputs are not submitted, so hidden fields stay out of the cart and order meta
+                $items[id].addClass("wcpa_cl_hidden").find("input, select, textarea").prop("disabled", true);
+            });
+            $form.data("wcpa-hidden", hidden).trigger("wcpa_cl_updated", [hidden]);
+        }
+    };
+
+    /* price formula parser, keep in sync with WCPA_Formula */
+    wcpa_front.formula = {
+
+        evaluate: function (formula, variables) {
+            var parser, result;
+            formula = String(formula).replace(/\{([^}]+)\}/g, function (m, key) {
+                var value = parseFloat(variables[$.trim(key)]);
+                return '(' + (isNaN(value) ? 0 : value) + ')';
+            });
+            try {
+                parser = {tokens: this.tokenize(formula), pos: 0};
+                if (!parser.tokens.length) {
+                    return false;
+                }
+                result = this.comparison(parser);
+                if (parser.pos < parser.tokens.length) {
+                    throw new Error('Unexpected ' + parser.tokens[parser.pos]);
+                }
+            } catch (e) {
+                return false;
+            }
+            return isFinite(result) ? result : false;
+        },
+        tokenize: function (formula) {
+            var re = /^\s*(\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|\.\d+|[a-zA-Z_]+|<=|>=|==|!=|[-+*\/%^(),<>])\s*/;
+            var tokens = [], match;
+            while (formula.length) {
+                match = re.exec(formula);
+                if (!match) {
+                    throw new Error('Invalid character');
+                }
+                tokens.push(match[1]);
+                formula = formula.slice(match[0].length);
+            }
+            return tokens;
+        },
+        peek: function (p) {
+            return p.pos < p.tokens.length ? p.tokens[p.pos] : null;
+        },
+        expect: function (p, token) {
+            if (this.peek(p) !== token) {
+                throw new Error('Expected ' + token);
+            }
+            p.pos++;
+        },
+        comparison: function (p) {
+            var left = this.additive(p), op = this.peek(p), right;
+            if ($.inArray(op, ['<', '>', '<=', '>=', '==', '!=']) !== -1) {
+                p.pos++;
+                right = this.additive(p);
+                switch (op) {
+                    case '<':
+                        return left < right ? 1 : 0;
+                    case '>':
+                        return left > right ? 1 : 0;
+                    case '<=':
+                        return left <= right ? 1 : 0;
+                    case '>=':
+                        return left >= right ? 1 : 0;
+                    case '==':
+                        return Math.abs(left - right) < 1e-9 ? 1 : 0;
+                    case '!=':
+                        return Math.abs(left - right) >= 1e-9 ? 1 : 0;
+                }
+            }
+            return left;
+        },
+        additive: function (p) {
+            var value = this.term(p), op;
+            while (this.peek(p) === '+' || this.peek(p) === '-') {
+                op = p.tokens[p.pos++];
+                value = op === '+' ? value + this.term(p) : value - this.term(p);
+            }
+            return value;
+        },
+        term: function (p) {
+            var value = this.unary(p), op, right;
+            while ($.inArray(this.peek(p), ['*', '/', '%']) !== -1) {
+                op = p.tokens[p.pos++];
+                right = this.unary(p);
+                if (op === '*') {
+                    value = value * right;
+                } else if (right === 0) {
+                    throw new Error('Division by zero');
+                } else {
+                    value = op === '/' ? value / right : value % right;
+                }
+            }
+            return value;
+        },
+        unary: function (p) {
+            var op = this.peek(p), value;
+            if (op === '-' || op === '+') {
+                p.pos++;
+                value = this.unary(p);
+                return op === '-' ? -value : value;
+            }
+            return this.power(p);
+        },
+        power: function (p) {
+            var base = this.primary(p);
+            if (this.peek(p) === '^') {
+                p.pos++;
+                return Math.pow(base, this.unary(p));
+            }
+            return base;
+        },
+        primary: function (p) {
+            var token = this.peek(p), value, args = [];
+            if (token === null) {
+                throw new Error('Unexpected end');
+            }
+            p.pos++;
+            if (token === '(') {
+                value = this.comparison(p);
+                this.expect(p, ')');
+                return value;
+            }
+            if (/^(\d|\.)/.test(token)) {
+                return parseFloat(token);
+            }
+            if (/^[a-zA-Z_]+$/.test(token)) {
+                this.expect(p, '(');
+                if (this.peek(p) !== ')') {
+                    args.push(this.comparison(p));
+                    while (this.peek(p) === ',') {
+                        p.pos++;
+                        args.push(this.comparison(p));
+                    }
+                }
+                this.expect(p, ')');
+                return this.call(token.toLowerCase(), args);
+            }
+            throw new Error('Unexpected ' + token);
+        },
+        call: function (name, args) {
+            var precision;
+            if (!args.length) {
+                throw new Error('Missing arguments for ' + name);
+            }
+            switch (name) {
+                case 'min':
+                    return Math.min.apply(Math, args);
+                case 'max':
+                    return Math.max.apply(Math, args);
+                case 'round':
+                    precision = Math.pow(10, args.length > 1 ? parseInt(args[1], 10) : 0);
+                    return Math.round(args[0] * precision) / precision;
+                case 'ceil':
+                    return Math.ceil(args[0]);
+                case 'floor':
+                    return Math.floor(args[0]);
+                case 'abs':
+                    return Math.abs(args[0]);
+                case 'if':
+                    if (args.length !== 3) {
+                        throw new Error('if() needs 3 arguments');
+                    }
+                    return args[0] ? args[1] : args[2];
+            }
+            throw new Error('Unknown function ' + name);
+        }
+    };
+
+    /* price preview of the fields having a price formula, the server recalculates it in WCPA_Form::field_prices */
+    wcpa_front.pricing = {
+
+        init: function () {
+            $(".wcpa_form_outer[data-wcpa-price-data]").each(function () {
+                var $form = $(this);
+                var $cart = $form.closest("form.cart");
+                var data = $form.data("wcpa-price-data");
+
+                $form.data("wcpa-base-price", data.product_price);
+                $form.on("change keyup", "input, select, textarea", function () {
+                    wcpa_front.pricing.update($form);
+                });
+                $form.on("wcpa_cl_updated", function () {
+                    wcpa_front.pricing.update($form);
+                });
+                $cart.on("change keyup", "input.qty", function () {
+                    wcpa_front.pricing.update($form);
+                });
+                $cart.on("found_variation", function (e, variation) {
+                    var price = data.variation_prices[variation.variation_id];
+                    $form.data("wcpa-base-price", price !== undefined ? price : data.product_price);
+                    wcpa_front.pricing.update($form);
+                });
+                $cart.on("reset_data", function () {
+                    $form.data("wcpa-base-price", data.product_price);
+                    wcpa_front.pricing.update($form);
+                });
+                wcpa_front.pricing.update($form);
+            });
+        },
+        number: function (values) {
+            var sum = 0;
+            $.each(values, function (i, v) {
+                sum += $.isNumeric(v) ? parseFloat(v) : 0;
+            });
+            return sum;
+        },
+        update: function ($form) {
+            var data = $form.data("wcpa-price-data");
+            var hidden = $form.data("wcpa-hidden") || {};
+            var quantity = parseFloat($form.closest("form.cart").find("input.qty").val());
+            var variables = {
+                product_price: parseFloat($form.data("wcpa-base-price")) || 0,
+                quantity: isNaN(quantity) ? 1 : Math.max(1, quantity)
+            };
+            var values = {}, total = 0, precision = Math.pow(10, data.decimals);
+
+            $("[data-wcpa-name]", $form).each(function () {
+                var $item = $(this), name = $item.data("wcpa-name");
+                values[name] = hidden[$item.data("wcpa-element")] ? [] : wcpa_front.conditional.field_value($item);
+                variables[name] = wcpa_front.pricing.number(values[name]);
+            });
+
+            $("[data-wcpa-price]", $form).each(function () {
+                var $item = $(this), name = $item.data("wcpa-name"), price;
+                if (!values[name] || !values[name].length) {
+                    return; // only charged when the customer filled/selected something
+                }
+                price = wcpa_front.formula.evaluate($item.attr("data-wcpa-price"), $.extend({}, variables, {
+                    value: variables[name],
+                    count: values[name].length
+                }));
+                if (price !== false) {
+                    total += Math.round(price * precision) / precision;
+                }
+            });
+
+            total = Math.round(total * precision) / precision;
+            $(".wcpa_price_total", $form).val(total.toFixed(data.decimals));
+            $(".wcpa_options_total", $form).html(this.format(total, data));
+            $(".wcpa_grand_total", $form).html(this.format((variables.product_price + total) * variables.quantity, data));
+            $form.trigger("wcpa_price_updated", [total, variables]);
+        },
+        /* same output as wc_price() */
+        format: function (amount, data) {
+            var negative = amount < 0;
+            var parts = Math.abs(amount).toFixed(data.decimals).split(".");
+            var number = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, data.thousand_separator);
+            if (parts.length > 1) {
+                number += data.decimal_separator + parts[1];
+            }
+            return (negative ? '-' : '') + data.price_format.replace('%1$s', $('<span>').text(data.currency_symbol).html()).replace('%2$s', number);
+        }
+    };
+
+    wcpa_front.conditional.init();
+    wcpa_front.pricing.init();
+
+});
@@ -0,0 +1 @@
+var wcpa_front={};jQuery(function(t){wcpa_front.conditional={init:function(){t(".wcpa_form_outer").each(function(){var e=t(this);t("[data-wcpa-cl]",e).length&&(e.on("change keyup","input, select, textarea",function(){wcpa_front.conditional.update(e)}),wcpa_front.conditional.update(e))})},field_value:function(e){var a=e.find("input, select, textarea").not(":disabled");if(e.hasClass("wcpa_type_checkbox-group")||e.hasClass("wcpa_type_radio-group"))return a.filter(":checked").map(function(){return t(this).val()}).get();var r=a.first().val();return t.isArray(r)?r:null==r||""===r?[]:[String(r)]},match_rule:function(e,a){var r=void 0===e.cl_val||null===e.cl_val?"":String(e.cl_val);switch(a=t.grep(a,function(t){return""!==t}),e.cl_relation||"is"){case"is":return-1!==t.inArray(r,a);case"is_not":return-1===t.inArray(r,a);case"is_empty":return 0===a.length;case"is_not_empty":return a.length>0;case"contains":return""!==r&&t.grep(a,function(t){return-1!==t.toLowerCase().indexOf(r.toLowerCase())}).length>0;case"greater_than":case"less_than":return!!(a.length&&t.isNumeric(a[0])&&t.isNumeric(r))&&("greater_than"===e.cl_relation?parseFloat(a[0])>parseFloat(r):parseFloat(a[0])<parseFloat(r))}return!1},match_relations:function(e,a,r){return t.grep(e||[],function(e){return!!(e&&t.isArray(e.rules)&&e.rules.length)&&0===t.grep(e.rules,function(t){if(!t||!t.rules||!t.rules.cl_field)return!1;var e=t.rules.cl_field,n=a[e]&&!r[e]?a[e]:[];return!wcpa_front.conditional.match_rule(t.rules,n)}).length}).length>0},update:function(e){var a,r,n={},i={},c={};t("[data-wcpa-element]",e).each(function(){var e=t(this),a=e.data("wcpa-element");c[a]=e,n[a]=wcpa_front.conditional.field_value(e.removeClass("wcpa_cl_hidden").find("input, select, textarea").prop("disabled",!1).end())}),r=Object.keys(c).length+1;do{a=!1,t.each(c,function(t,e){var r,c=e.data("wcpa-cl");c&&(r=wcpa_front.conditional.match_relations(c.relations,n,i),"hide"===c.rule&&(r=!r),r===!!i[t]&&(r?delete i[t]:i[t]=!0,a=!0))})}while(a&&--r>0);t.each(i,function(t){c[t].addClass("wcpa_cl_hidden").find("input, select, textarea").prop("disabled",!0)}),e.data("wcpa-hidden",i).trigger("wcpa_cl_updated",[i])}},wcpa_front.formula={evaluate:function(e,a){var r,n;e=String(e).replace(/\{([^}]+)\}/g,function(e,r){var n=parseFloat(a[t.trim(r)]);return"("+(isNaN(n)?0:n)+")"});try{if(!(r={tokens:this.tokenize(e),pos:0}).tokens.length)return!1;if(n=this.comparison(r),r.pos<r.tokens.length)throw new Error("Unexpected "+r.tokens[r.pos])}catch(t){return!1}return!!isFinite(n)&&n},tokenize:function(t){for(var e,a=/^\s*(\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|\.\d+|[a-zA-Z_]+|<=|>=|==|!=|[-+*\/%^(),<>])\s*/,r=[];t.length;){if(!(e=a.exec(t)))throw new Error("Invalid character");r.push(e[1]),t=t.slice(e[0].length)}return r},peek:function(t){return t.pos<t.tokens.length?t.tokens[t.pos]:null},expect:function(t,e){if(this.peek(t)!==e)throw new Error("Expected "+e);t.pos++},comparison:function(e){var a,r=this.additive(e),n=this.peek(e);if(-1!==t.inArray(n,["<",">","<=",">=","==","!="]))switch(e.pos++,a=this.additive(e),n){case"<":return r<a?1:0;case">":return r>a?1:0;case"<=":return r<=a?1:0;case">=":return r>=a?1:0;case"==":return Math.abs(r-a)<1e-9?1:0;case"!=":return Math.abs(r-a)>=1e-9?1:0}return r},additive:function(t){for(var e=this.term(t);"+"===this.peek(t)||"-"===this.peek(t);)e="+"===t.tokens[t.pos++]?e+this.term(t):e-this.term(t);return e},term:function(e){for(var a,r,n=this.unary(e);-1!==t.inArray(this.peek(e),["*","/","%"]);)if(a=e.tokens[e.pos++],r=this.unary(e),"*"===a)n*=r;else{if(0===r)throw new Error("Division by zero");n="/"===a?n/r:n%r}return n},unary:function(t){var e,a=this.peek(t);return"-"===a||"+"===a?(t.pos++,e=this.unary(t),"-"===a?-e:e):this.power(t)},power:function(t){var e=this.primary(t);return"^"===this.peek(t)?(t.pos++,Math.pow(e,this.unary(t))):e},primary:function(t){var e,a=this.peek(t),r=[];if(null===a)throw new Error("Unexpected end");if(t.pos++,"("===a)return e=this.comparison(t),this.expect(t,")"),e;if(/^(\d|\.)/.test(a))return parseFloat(a);if(/^[a-zA-Z_]+$/.test(a)){if(this.expect(t,"("),")"!==this.peek(t))for(r.push(this.comparison(t));","===this.peek(t);)t.pos++,r.push(this.comparison(t));return this.expect(t,")"),this.call(a.toLowerCase(),r)}throw new Error("Unexpected "+a)},call:function(t,e){var a;if(!e.length)throw new Error("Missing arguments for "+t);switch(t){case"min":return Math.min.apply(Math,e);case"max":return Math.max.apply(Math,e);case"round":return a=Math.pow(10,e.length>1?parseInt(e[1],10):0),Math.round(e[0]*a)/a;case"ceil":return Math.ceil(e[0]);case"floor":return Math.floor(e[0]);case"abs":return Math.abs(e[0]);case"if":if(3!==e.length)throw new Error("if() needs 3 arguments");return e[0]?e[1]:e[2]}throw new Error("Unknown function "+t)}},wcpa_front.pricing={init:function(){t(".wcpa_form_outer[data-wcpa-price-data]").each(function(){var e=t(this),a=e.closest("form.cart"),r=e.data("wcpa-price-data");e.data("wcpa-base-price",r.product_price),e.on("change keyup","input, select, textarea",function(){wcpa_front.pricing.update(e)}),e.on("wcpa_cl_updated",function(){wcpa_front.pricing.update(e)}),a.on("change keyup","input.qty",function(){wcpa_front.pricing.update(e)}),a.on("found_variation",function(t,a){var n=r.variation_prices[a.variation_id];e.data("wcpa-base-price",void 0!==n?n:r.product_price),wcpa_front.pricing.update(e)}),a.on("reset_data",function(){e.data("wcpa-base-price",r.product_price),wcpa_front.pricing.update(e)}),wcpa_front.pricing.update(e)})},number:function(e){var a=0;return t.each(e,function(e,r){a+=t.isNumeric(r)?parseFloat(r):0}),a},update:function(e){var a=e.data("wcpa-price-data"),r=e.data("wcpa-hidden")||{},n=parseFloat(e.closest("form.cart").find("input.qty").val()),i={product_price:parseFloat(e.data("wcpa-base-price"))||0,quantity:isNaN(n)?1:Math.max(1,n)},c={},o=0,p=Math.pow(10,a.decimals);t("[data-wcpa-name]",e).each(function(){var e=t(this),a=e.data("wcpa-name");c[a]=r[e.data("wcpa-element")]?[]:wcpa_front.conditional.field_value(e),i[a]=wcpa_front.pricing.number(c[a])}),t("[data-wcpa-price]",e).each(function(){var e,a=t(this),r=a.data("wcpa-name");c[r]&&c[r].length&&!1!==(e=wcpa_front.formula.evaluate(a.attr("data-wcpa-price"),t.extend({},i,{value:i[r],count:c[r].length})))&&(o+=Math.round(e*p)/p)}),o=Math.round(o*p)/p,t(".wcpa_price_total",e).val(o.toFixed(a.decimals)),t(".wcpa_options_total",e).html(this.format(o,a)),t(".wcpa_grand_total",e).html(this.format((i.product_price+o)*i.quantity,a)),e.trigger("wcpa_price_updated",[o,i])},format:function(e,a){var r=e<0,n=Math.abs(e).toFixed(a.decimals).split("."),i=n[0].replace(/\B(?=(\d{3})+(?!\d))/g,a.thousand_separator);return n.length>1&&(i+=a.decimal_separator+n[1]),(r?"-":"")+a.price_format.replace("%1$s",t("<span>").text(a.currency_symbol).html()).replace("%2$s",i)}},wcpa_front.conditional.init(),wcpa_front.pricing.init()});
\ No newline at end of file
@@ -100,6 +100,8 @@ class WCPA_Backend extends WCPA_Order_Meta
 
         add_action('woocommerce_before_save_order_items', array($this, 'before_save_order_items'), 10, 2);
 
+        add_filter('woocommerce_refund_wizard_item_addons', array($this, 'refund_wizard_item_addons'), 10, 2);
+
         add_action('woocommerce_order_item_get_formatted_meta_data', array($this, 'order_item_get_formatted_meta_data'), 10, 2);
 
         add_filter('manage_product_posts_columns', array($this, 'manage_products_columns'), 20, 1);
@@ -204,8 +206,9 @@ class WCPA_Backend extends WCPA_Order_Meta
                 }
             }
             foreach ($fb_meta_obj as $k => $v) {
-                if (isset($v->relations) && is_array($v->relations)) {
-                    foreach ($v->relations as $rel) {
+                $relations = WCPA_Conditional::relations($v);
+                if (count($relations)) {
+                    foreach ($relations as $rel) {
                         if (isset($rel->rules) && is_array($rel->rules)) {
                             foreach ($rel->rules as $rul) {
                                 if (isset($rul->rules->cl_field) && isset($old_id[$rul->rules->cl_field])) {
@@ -214,6 +217,7 @@ class WCPA_Backend extends WCPA_Order_Meta
                             }
                         }
                     }
+                    $v->relations = is_string($v->relations) ? json_encode($relations) : $relations;
                 }
             }
         }
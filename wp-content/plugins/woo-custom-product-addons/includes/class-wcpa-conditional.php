@@ -0,0 +1,138 @@
+<?php
+
+if (!defined('ABSPATH'))
+    exit;
+
+/**
+ * Evaluates the per-field visibility rules (conditional logic) saved by the form editor.
+ *
+ * Rules are stored on a field as `enableCl`, `cl_rule` (show|hide) and `relations`, where relations is a
+ * list of groups. Groups are OR'ed together, the rules inside a group are AND'ed:
+ * [{"rules":[{"rules":{"cl_field":"wcpa-select-1","cl_relation":"is","cl_val":"top_box"}}]}]
+ * The same evaluation runs in assets/js/frontend.js, keep both in sync.
+ */
+class WCPA_Conditional {
+
+    private $fields = array();
+
+    /**
+     * @param array $fields form fields as decoded from the form builder json
+     */
+    public function __construct($fields) {
+        foreach ($fields as $v) {
+            if (isset($v->elementId)) {
+                $this->fields[$v->elementId] = $v;
+            }
+        }
+    }
+
+    /**
+     * Relations are saved as a json string by the editor, older/migrated forms may have them as array
+     */
+    static function relations($v) {
+        if (!isset($v->relations) || empty($v->relations)) {
+            return array();
+        }
+        $relations = $v->relations;
+        if (is_string($relations)) {
+            $relations = json_decode($relations);
+        }
+        return is_array($relations) ? $relations : array();
+    }
+
+    static function has_logic($v) {
+        return isset($v->enableCl) && $v->enableCl && count(self::relations($v));
+    }
+
+    /**
+     * Element ids of the fields that end up hidden for the given values
+     * @param callable $get_value function($field) returning the submitted value of a field
+     * @return array
+     */
+    public function hidden_fields($get_value) {
+        $hidden = array();
+        $values = array();
+        foreach ($this->fields as $id => $v) {
+            $values[$id] = call_user_func($get_value, $v);
+        }
+
+        // a hidden field counts as empty for the rules depending on it, so loop until nothing changes
+        $passes = count($this->fields) + 1;
+        do {
+            $changed = false;
+            foreach ($this->fields as $id => $v) {
+                if (!self::has_logic($v)) {
+                    continue;
+                }
+                $matched = $this->match_relations(self::relations($v), $values, $hidden);
+                $show = (isset($v->cl_rule) && $v->cl_rule === 'hide') ? !$matched : $matched;
+                if ($show === isset($hidden[$id])) {
+                    if ($show) {
+                        unset($hidden[$id]);
+                    } else {
+                        $hidden[$id] = true;
+                    }
+                    $changed = true;
+                }
+            }
+        } while ($changed && --$passes > 0);
+
+        return array_keys($hidden);
+    }
+
+    private function match_relations($relations, $values, $hidden) {
+        foreach ($relations as $group) {
+            if (!isset($group->rules) || !is_array($group->rules) || empty($group->rules)) {
+                continue;
+            }
+            $group_matched = true;
+            foreach ($group->rules as $rule) {
+                if (!isset($rule->rules->cl_field)) {
+                    continue;
+                }
+                $rule = $rule->rules;
+                $value = isset($values[$rule->cl_field]) && !isset($hidden[$rule->cl_field]) ? $values[$rule->cl_field] : '';
+                if (!$this->match_rule($rule, $value)) {
+                    $group_matched = false;
+                    break;
+                }
+            }
+            if ($group_matched) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private function match_rule($rule, $value) {
+        $values = is_array($value) ? array_values(array_filter($value, 'strlen')) : (wcpa_empty($value) ? array() : array((string) $value));
+        $cl_val = isset($rule->cl_val) ? (string) $rule->cl_val : '';
+        $relation = isset($rule->cl_relation) ? $rule->cl_relation : 'is';
+
+        switch ($relation) {
+            case 'is':
+                return in_array($cl_val, $values, true);
+            case 'is_not':
+                return !in_array($cl_val, $values, true);
+            case 'is_empty':
+                return empty($values);
+            case 'is_not_empty':
+                return !empty($values);
+            case 'contains':
+                foreach ($values as $_v) {
+                    if ($cl_val !== '' && stripos($_v, $cl_val) !== false) {
+                        return true;
+                    }
+                }
+                return false;
+            case 'greater_than':
+            case 'less_than':
+                if (empty($values) || !is_numeric($values[0]) || !is_numeric($cl_val)) {
+                    return false;
+                }
+                return $relation === 'greater_than' ? floatval($values[0]) > floatval($cl_val) : floatval($values[0]) < floatval($cl_val);
+        }
+        return false;
+    }
+
+}
@@ -73,6 +73,18 @@ class WCPA_Form_Editor {
                     if (isset($d->description)) {
                         $d->description = wp_kses($d->description, $allowed);
                     }
+                    if (isset($d->price)) {
+                        // price formula, see WCPA_Formula for the supported syntax
+                        $d->price = preg_replace('/[^0-9a-zA-Z_\-{}().,+*\/%^<>=!\s]/', '', $d->price);
+                    }
+                    if (isset($d->relations)) {
+                        $relations = WCPA_Conditional::relations($d);
+                        if (count($relations)) {
+                            $d->relations = json_encode($relations);
+                        } else {
+                            unset($d->relations);
+                        }
+                    }
                     if (isset($d->values)) {
                         foreach ($d->values as $v) {
                             if (isset($v->label)) {
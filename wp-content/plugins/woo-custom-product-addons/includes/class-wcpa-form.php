@@ -193,20 +193,37 @@ class WCPA_Form {
         $this->data = apply_filters('wcpa_product_form_fields', $this->data, $product_id);
     }
 
-    public function validate_form_data($product_id = false) {
+    public function validate_form_data($product_id = false, $variation_id = false) {
 
         $this->get_forms_by_product($product_id);
 
         $status = true;
+        $hidden = $this->hidden_fields('request');
 
         foreach ($this->data as $v) {
 
+            if (isset($v->elementId) && in_array($v->elementId, $hidden)) {
+                continue; // fields hidden by conditional logic are not required
+            }
             if ($v->type != 'file' && isset($v->required) && $v->required && (!isset($_REQUEST[$v->name]) || $_REQUEST[$v->name] == "" || (is_string($_REQUEST[$v->name]) && trim($_REQUEST[$v->name]) == ""))) {
                 $status = FALSE;
                 $this->add_cart_error(sprintf(__('Field %s is required', 'woo-custom-product-addons'), $v->label));
             }
         }
 
+        // the price preview posts the total it showed, reject the add to cart if it differs from the actual price
+        if ($status && isset($_POST['wcpa_price_total']) && $_POST['wcpa_price_total'] !== '') {
+            $this->set_product($variation_id ? $variation_id : $product_id);
+            $total = 0;
+            foreach ($this->field_prices($hidden) as $price) {
+                $total += $price;
+            }
+            if (abs(floatval($_POST['wcpa_price_total']) - $total) > 0.01) {
+                $status = FALSE;
+                $this->add_cart_error(__('The price of the selected options has changed, please review them and try again', 'woo-custom-product-addons'));
+            }
+        }
+
         WCPA_Front_End::set_cart_error($product_id, !$status);
 
         return $status;
@@ -296,13 +313,18 @@ class WCPA_Form {
         return $submited_data;
     }
 
-    public function submited_data($product_id) {
+    public function submited_data($product_id, $variation_id = false) {
 
         $this->get_forms_by_product($product_id);
-        $this->set_product($product_id);
+        $this->set_product($variation_id ? $variation_id : $product_id);
         $hide_empty = wcpa_get_option('hide_empty_data', false);
+        $hidden = $this->hidden_fields('request');
+        $prices = $this->field_prices($hidden);
         $submited_data = array();
         foreach ($this->data as $k => $v) {
+            if (isset($v->elementId) && in_array($v->elementId, $hidden)) {
+                continue;
+            }
 
             $form_data = clone $v;
             unset($form_data->values); //avoid saving large number of data
@@ -314,7 +336,7 @@ class WCPA_Form {
                         'name' => $v->name,
                         'label' => (isset($v->label)) ? $v->label : '',
                         'value' => $this->sanitize_values($v),
-                        'price' => false,
+                        'price' => isset($prices[$v->name]) ? $prices[$v->name] : false,
                         'form_data' => $form_data
                     );
                 }
@@ -325,6 +347,119 @@ class WCPA_Form {
         return $submited_data;
     }
 
+    /**
+     * Element ids of the fields hidden by conditional logic
+     * @param string $source 'request' to check against the submitted values, 'default' for the initial form state
+     * @return array
+     */
+    public function hidden_fields($source = 'request') {
+        $conditional = new WCPA_Conditional($this->data);
+        $form = $this;
+        return $conditional->hidden_fields(function ($v) use ($form, $source) {
+            if (!isset($v->name) || in_array($v->type, array('header', 'paragraph'))) {
+                return '';
+            }
+            if ($source === 'default') {
+                return $form->field_default_value($v);
+            }
+            return isset($_REQUEST[$v->name]) ? $form->sanitize_values($v) : '';
+        });
+    }
+
+    public function field_default_value($v) {
+        return $this->default_value($v);
+    }
+
+    /**
+     * Numeric value of a field as used in price formulas. Option fields use the sum of the selected option values.
+     */
+    public function field_number($value) {
+        if (is_array($value)) {
+            $sum = 0;
+            foreach ($value as $_v) {
+                $sum += is_numeric($_v) ? floatval($_v) : 0;
+            }
+            return $sum;
+        }
+        return is_numeric($value) ? floatval($value) : 0;
+    }
+
+    /**
+     * Price of the fields having a price formula, calculated from the submitted values
+     * @param array $hidden element ids of the fields hidden by conditional logic, they are not charged
+     * @return array field name => price
+     */
+    public function field_prices($hidden = array()) {
+        $prices = array();
+        $values = array();
+        $variables = array(
+            'product_price' => $this->product ? floatval($this->product->get_price('edit')) : 0,
+            'quantity' => isset($_REQUEST['quantity']) ? max(1, floatval($_REQUEST['quantity'])) : 1
+        );
+
+        foreach ($this->data as $v) {
+            if (!isset($v->name) || in_array($v->type, array('header', 'paragraph'))) {
+                continue;
+            }
+            $is_hidden = isset($v->elementId) && in_array($v->elementId, $hidden);
+            $values[$v->name] = (!$is_hidden && isset($_REQUEST[$v->name])) ? $this->sanitize_values($v) : '';
+            $variables[$v->name] = $this->field_number($values[$v->name]);
+        }
+
+        $formula = new WCPA_Formula();
+        foreach ($this->data as $v) {
+            if (!isset($v->name) || !isset($v->enablePrice) || !$v->enablePrice || !isset($v->price) || wcpa_empty($v->price)) {
+                continue;
+            }
+            if (!isset($values[$v->name]) || wcpa_empty($values[$v->name])) {
+                continue; // only charged when the customer filled/selected something
+            }
+            $price = $formula->evaluate($v->price, array_merge($variables, array(
+                'value' => $variables[$v->name],
+                'count' => is_array($values[$v->name]) ? count($values[$v->name]) : 1
+            )));
+            if ($price !== false) {
+                $prices[$v->name] = round($price, wc_get_price_decimals());
+            }
+        }
+
+        return apply_filters('wcpa_field_prices', $prices, $this->data, $this->product);
+    }
+
+    public function has_price() {
+        foreach ($this->data as $v) {
+            if (isset($v->enablePrice) && $v->enablePrice && isset($v->price) && !wcpa_empty($v->price)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Data needed by frontend.js to preview the price
+     */
+    private function price_attrs() {
+        $product = $this->product;
+        $data = array(
+            'product_price' => floatval($product->get_price('edit')),
+            'variation_prices' => array(),
+            'decimals' => wc_get_price_decimals(),
+            'decimal_separator' => wc_get_price_decimal_separator(),
+            'thousand_separator' => wc_get_price_thousand_separator(),
+            'price_format' => get_woocommerce_price_format(),
+            'currency_symbol' => html_entity_decode(get_woocommerce_currency_symbol())
+        );
+        if ($product->is_type('variable')) {
+            foreach ($product->get_children() as $child_id) {
+                $variation = wc_get_product($child_id);
+                if ($variation) {
+                    $data['variation_prices'][$child_id] = floatval($variation->get_price('edit'));
+                }
+            }
+        }
+        return ' data-wcpa-price-data="' . esc_attr(json_encode($data)) . '"';
+    }
+
     /*
       Sanitize and return user input data based on the type of field
      */
@@ -392,18 +527,39 @@ class WCPA_Form {
 
     public function render() {
 
-        $has_price = false;
-        echo '<div class="wcpa_form_outer">';
+        $hidden = $this->hidden_fields($this->cart_error ? 'request' : 'default');
+        $has_price = $this->product && $this->has_price();
+        echo '<div class="wcpa_form_outer"' . ($has_price ? $this->price_attrs() : '') . '>';
         foreach ($this->data as $v) {
             $parent_class = 'wcpa_form_item wcpa_type_' . $v->type . ' ';
             if (isset($v->className)) {
                 $parent_class .= ' ' . $v->className . '_parent';
             }
+            $parent_attrs = '';
+            if (isset($v->elementId)) {
+                $parent_attrs .= ' data-wcpa-element="' . esc_attr($v->elementId) . '"';
+                if (isset($v->name)) {
+                    $parent_attrs .= ' data-wcpa-name="' . esc_attr($v->name) . '"';
+                }
+            }
+            if ($has_price && isset($v->enablePrice) && $v->enablePrice && isset($v->price) && !wcpa_empty($v->price)) {
+                $parent_attrs .= ' data-wcpa-price="' . esc_attr($v->price) . '"';
+                $parent_class .= ' wcpa_has_price';
+            }
+            if (WCPA_Conditional::has_logic($v)) {
+                $parent_attrs .= ' data-wcpa-cl="' . esc_attr(json_encode(array(
+                        'rule' => isset($v->cl_rule) ? $v->cl_rule : 'show',
+                        'relations' => WCPA_Conditional::relations($v)
+                    ))) . '"';
+                if (in_array($v->elementId, $hidden)) {
+                    $parent_class .= ' wcpa_cl_hidden';
+                }
+            }
             if ($v->type == 'hidden') {
                 $this->render_hidden($v);
             } else {
 
-                echo '<div class="' . $parent_class . '">';
+                echo '<div class="' . $parent_class . '"' . $parent_attrs . '>';
                 switch ($v->type) {
                     case 'text':
                         $this->render_text($v);
@@ -444,6 +600,14 @@ class WCPA_Form {
             }
         }
 
+        if ($has_price) {
+            echo '<input type="hidden" name="wcpa_price_total" class="wcpa_price_total" value="" />';
+            echo '<div class="wcpa_price_summary">'
+                . '<div class="wcpa_price_summary_row"><span>' . __('Options total', 'woo-custom-product-addons') . '</span> <span class="wcpa_options_total"></span></div>'
+                . '<div class="wcpa_price_summary_row wcpa_price_summary_total"><span>' . __('Total', 'woo-custom-product-addons') . '</span> <span class="wcpa_grand_total"></span></div>'
+                . '</div>';
+        }
+
         echo '</div>';
     }
 
@@ -0,0 +1,205 @@
+<?php
+
+if (!defined('ABSPATH'))
+    exit;
+
+/**
+ * Evaluates the price formula of a field, like "{product_price} * 0.03 * {value}".
+ *
+ * Supports numbers, + - * / % ^, comparisons (returning 1 or 0), parentheses and the functions
+ * min, max, round, ceil, floor, abs and if(condition, then, else). Placeholders in curly braces are
+ * resolved through the variables passed to evaluate(). The same grammar is implemented in
+ * assets/js/frontend.js, keep both in sync.
+ */
+class WCPA_Formula {
+
+    private $tokens = array();
+    private $pos = 0;
+
+    /**
+     * @param string $formula
+     * @param array $variables placeholder name => number
+     * @return float|false false if the formula is not valid
+     */
+    public function evaluate($formula, $variables = array()) {
+        $formula = preg_replace_callback('/\{([^}]+)\}/', function ($m) use ($variables) {
+            $key = trim($m[1]);
+            $value = isset($variables[$key]) ? floatval($variables[$key]) : 0;
+            return '(' . self::format_number($value) . ')';
+        }, (string) $formula);
+
+        try {
+            $this->tokens = $this->tokenize($formula);
+            $this->pos = 0;
+            if (empty($this->tokens)) {
+                return false;
+            }
+            $result = $this->comparison();
+            if ($this->pos < count($this->tokens)) {
+                throw new Exception('Unexpected ' . $this->tokens[$this->pos]);
+            }
+        } catch (Exception $e) {
+            return false;
+        }
+
+        return is_finite($result) ? $result : false;
+    }
+
+    /**
+     * Format a number for a formula. Casting a float to string follows the locale, which gives "1,5" under a locale
+     * with a decimal comma; %F never does.
+     *
+     * @param float $value
+     * @return string
+     */
+    public static function format_number($value) {
+        $number = rtrim(rtrim(sprintf('%.10F', $value), '0'), '.');
+        return $number === '' || $number === '-0' ? '0' : $number;
+    }
+
+    private function tokenize($formula) {
+        preg_match_all('/\s*(\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|\.\d+|[a-zA-Z_]+|<=|>=|==|!=|[-+*\/%^(),<>])\s*/A', $formula, $matches);
+        if (implode('', $matches[0]) !== $formula) {
+            throw new Exception('Invalid character');
+        }
+        return $matches[1];
+    }
+
+    private function peek() {
+        return isset($this->tokens[$this->pos]) ? $this->tokens[$this->pos] : null;
+    }
+
+    private function expect($token) {
+        if ($this->peek() !== $token) {
+            throw new Exception('Expected ' . $token);
+        }
+        $this->pos++;
+    }
+
+    private function comparison() {
+        $left = $this->additive();
+        $op = $this->peek();
+        if (in_array($op, array('<', '>', '<=', '>=', '==', '!='), true)) {
+            $this->pos++;
+            $right = $this->additive();
+            switch ($op) {
+                case '<':
+                    return $left < $right ? 1 : 0;
+                case '>':
+                    return $left > $right ? 1 : 0;
+                case '<=':
+                    return $left <= $right ? 1 : 0;
+                case '>=':
+                    return $left >= $right ? 1 : 0;
+                case '==':
+                    return abs($left - $right) < 1e-9 ? 1 : 0;
+                case '!=':
+                    return abs($left - $right) >= 1e-9 ? 1 : 0;
+            }
+        }
+        return $left;
+    }
+
+    private function additive() {
+        $value = $this->term();
+        while (in_array($this->peek(), array('+', '-'), true)) {
+            $op = $this->tokens[$this->pos++];
+            $right = $this->term();
+            $value = $op === '+' ? $value + $right : $value - $right;
+        }
+        return $value;
+    }
+
+    private function term() {
+        $value = $this->unary();
+        while (in_array($this->peek(), array('*', '/', '%'), true)) {
+            $op = $this->tokens[$this->pos++];
+            $right = $this->unary();
+            if ($op === '*') {
+                $value = $value * $right;
+            } else if ($right == 0) {
+                throw new Exception('Division by zero');
+            } else {
+                $value = $op === '/' ? $value / $right : fmod($value, $right);
+            }
+        }
+        return $value;
+    }
+
+    private function unary() {
+        $op = $this->peek();
+        if ($op === '-' || $op === '+') {
+            $this->pos++;
+            $value = $this->unary();
+            return $op === '-' ? -$value : $value;
+        }
+        return $this->power();
+    }
+
+    private function power() {
+        $base = $this->primary();
+        if ($this->peek() === '^') {
+            $this->pos++;
+            return pow($base, $this->unary());
+        }
+        return $base;
+    }
+
+    private function primary() {
+        $token = $this->peek();
+        if ($token === null) {
+            throw new Exception('Unexpected end');
+        }
+        $this->pos++;
+        if ($token === '(') {
+            $value = $this->comparison();
+            $this->expect(')');
+            return $value;
+        }
+        if (is_numeric($token)) {
+            return floatval($token);
+        }
+        if (preg_match('/^[a-zA-Z_]+$/', $token)) {
+            $this->expect('(');
+            $args = array();
+            if ($this->peek() !== ')') {
+                $args[] = $this->comparison();
+                while ($this->peek() === ',') {
+                    $this->pos++;
+                    $args[] = $this->comparison();
+                }
+            }
+            $this->expect(')');
+            return $this->call(strtolower($token), $args);
+        }
+        throw new Exception('Unexpected ' . $token);
+    }
+
+    private function call($name, $args) {
+        if (empty($args)) {
+            throw new Exception('Missing arguments for ' . $name);
+        }
+        switch ($name) {
+            case 'min':
+                return min($args);
+            case 'max':
+                return max($args);
+            case 'round':
+                $precision = isset($args[1]) ? (int) $args[1] : 0;
+                return round($args[0], $precision);
+            case 'ceil':
+                return ceil($args[0]);
+            case 'floor':
+                return floor($args[0]);
+            case 'abs':
+                return abs($args[0]);
+            case 'if':
+                if (count($args) !== 3) {
+                    throw new Exception('if() needs 3 arguments');
+                }
+                return $args[0] ? $args[1] : $args[2];
+        }
+        throw new Exception('Unknown function ' . $name);
+    }
+
+}
@@ -77,7 +77,9 @@ class WCPA_Front_End extends WCPA_Order_Meta
             // $product might be needed to set hooks based on product loaded
 
             add_filter('woocommerce_add_cart_item_data', array($this, 'add_cart_item_data'), 10, 3);
-            add_filter('woocommerce_add_to_cart_validation', array($this, 'add_to_cart_validation'), 10, 3);
+            add_filter('woocommerce_add_to_cart_validation', array($this, 'add_to_cart_validation'), 10, 4);
+            add_filter('woocommerce_add_cart_item', array($this, 'add_cart_item'), 10, 1);
+            add_filter('woocommerce_get_cart_item_from_session', array($this, 'add_cart_item'), 10, 1);
 
             add_filter('post_class', array($this, 'product_class'), 10, 3);
 
@@ -314,7 +316,7 @@ class WCPA_Front_End extends WCPA_Order_Meta
 
 
         $form = new WCPA_Form();
-        $data = $form->submited_data($product_id);
+        $data = $form->submited_data($product_id, $variation_id);
 
 
         if (!isset($cart_item_data[WCPA_CART_ITEM_KEY])) { // if already set  by order again option
@@ -324,16 +326,39 @@ class WCPA_Front_End extends WCPA_Order_Meta
         return $cart_item_data;
     }
 
-    public function add_to_cart_validation($passed, $product_id)
+    public function add_to_cart_validation($passed, $product_id, $quantity = 1, $variation_id = false)
     {
 
         $form = new WCPA_Form();
 
-        $passed = $form->validate_form_data($product_id);
+        $passed = $form->validate_form_data($product_id, $variation_id);
 
         return $passed;
     }
 
+    /**
+     * Add the price of the selected options to the cart item price.
+     * Runs when the item is added and every time the cart is loaded from session, the product object is
+     * fresh in both cases so the option price is never added twice.
+     */
+    public function add_cart_item($cart_item)
+    {
+        if (isset($cart_item[WCPA_CART_ITEM_KEY]) && is_array($cart_item[WCPA_CART_ITEM_KEY])) {
+            $options_price = 0;
+            foreach ($cart_item[WCPA_CART_ITEM_KEY] as $v) {
+                if (isset($v['price']) && $v['price'] !== false) {
+                    $options_price += floatval($v['price']);
+                }
+            }
+            if ($options_price != 0) {
+                $price = floatval($cart_item['data']->get_price('edit'));
+                $cart_item['data']->set_price(max(0, $price + $options_price));
+            }
+        }
+
+        return $cart_item;
+    }
+
     public function get_item_data($item_data, $cart_item)
     {
         if (!is_array($item_data)) {
@@ -343,10 +368,14 @@ class WCPA_Front_End extends WCPA_Order_Meta
         if (((wcpa_get_option('show_meta_in_cart') && !is_checkout()) || (is_checkout() && wcpa_get_option('show_meta_in_checkout'))) && isset($cart_item[WCPA_CART_ITEM_KEY]) && is_array($cart_item[WCPA_CART_ITEM_KEY]) && !empty($cart_item[WCPA_CART_ITEM_KEY])) {
             foreach ($cart_item[WCPA_CART_ITEM_KEY] as $v) {
                 if (!in_array($v['type'], array('header', 'paragraph'))) {
+                    $display = $this->cart_display($v);
+                    if (isset($v['price']) && $v['price'] !== false && $v['price'] != 0) {
+                        $display .= ' <span class="wcpa_cart_price">(' . wc_price($v['price']) . ')</span>';
+                    }
                     $item_data[] = array(
                         'name' => $v['name'],
                         'key' => $v['label'],
-                        'value' => $this->cart_display($v)
+                        'value' => $display
                     );
                 }
             }
@@ -425,6 +454,7 @@ class WCPA_Front_End extends WCPA_Order_Meta
         $product_id = $product->get_id();
         $form = new WCPA_Form();
         $form->get_forms_by_product($product_id);
+        $form->set_product($product);
         $form->render();
     }
 
@@ -457,7 +487,9 @@ class WCPA_Front_End extends WCPA_Order_Meta
      */
     public function enqueue_scripts()
     {
-
+        $suffix = defined('SCRIPT_DEBUG') && SCRIPT_DEBUG ? '' : '.min';
+        wp_register_script($this->_token . '-front', esc_url($this->assets_url) . 'js/frontend' . $suffix . '.js', array('jquery'), $this->_version, true);
+        wp_enqueue_script($this->_token . '-front');
     }
 
 // End enqueue_scripts ()
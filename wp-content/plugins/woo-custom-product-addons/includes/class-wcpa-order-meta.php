@@ -153,6 +153,23 @@ class WCPA_Order_Meta {
         WCPA_Backend::view('order-meta-line-item', ['meta_data' => $meta_data, 'order' => $order, 'item_id' => $item_id]);
     }
 
+    /**
+     * Priced fields of an order item, so the refund wizard can refund them apart from the product.
+     */
+    public function refund_wizard_item_addons($addons, $item) {
+        $meta_data = $item->get_meta(WCPA_ORDER_META_KEY);
+
+        if (is_array($meta_data)) {
+            foreach ($meta_data as $k => $v) {
+                if (isset($v['price']) && $v['price'] !== false && (float) $v['price'] > 0) {
+                    $addons[] = array('key' => 'wcpa_' . $k, 'label' => $v['label'], 'price' => (float) $v['price']);
+                }
+            }
+        }
+
+        return $addons;
+    }
+
     public function order_item_get_formatted_meta_data($formatted_meta, $item) {
 
         if (did_action('woocommerce_before_order_itemmeta') > 0) {
@@ -199,6 +216,9 @@ class WCPA_Order_Meta {
 
 
                             $meta_data[$k]['value'] = $this->sanitize_values($data[$k], $v['type']);
+                            if (isset($wcpa_meta['price'][$item_id][$k]) && $wcpa_meta['price'][$item_id][$k] !== '') {
+                                $meta_data[$k]['price'] = wc_format_decimal($wcpa_meta['price'][$item_id][$k]);
+                            }
                             $meta_value_temp['value'] = $meta_data[$k]['value'];
                             $meta_value_temp['type'] = $v['type'];
                             $meta_value = $this->order_meta_plain($meta_value_temp);
@@ -77,4 +77,25 @@ if (!function_exists('wcpa_is_wcpa_product')) {
 
     }
 
-}
\ No newline at end of file
+}
+
+if (!function_exists('wcpa_order_meta_price_cell')) {
+
+    /**
+     * Price cell of an add-on row in the order items admin, the input is picked by wcpa_meta_boxes_order_items
+     */
+    function wcpa_order_meta_price_cell($item_id, $k, $price)
+    {
+        ?>
+        <div class="view">
+            <?php echo wc_price($price); ?>
+        </div>
+        <div class="edit" style="display: none;">
+            <input type="text" class="wcpa_has_price" data-price="<?php echo esc_attr($price); ?>"
+                   name="wcpa_meta[price][<?php echo $item_id; ?>][<?php echo $k; ?>]"
+                   value="<?php echo esc_attr($price); ?>">
+        </div>
+        <?php
+    }
+
+}
@@ -5,6 +5,7 @@ if (is_array($meta_data) && count($meta_data)) {
         <tr>
             <th></th>
             <th><?php _e('Value','woo-custom-product-addons'); ?></th>
+            <th><?php _e('Price','woo-custom-product-addons'); ?></th>
             <th></th>
         </tr>
         <?php
@@ -12,6 +13,7 @@ if (is_array($meta_data) && count($meta_data)) {
 
             if (in_array($data['type'], array('checkbox-group')) && is_array($data['value'])) {
                 $label_printed = false;
+                $label_printed_price = false;
                 foreach ($data['value'] as $l => $v) {
                     ?>
                     <tr class="item_wcpa">
@@ -30,7 +32,14 @@ if (is_array($meta_data) && count($meta_data)) {
                             </div>
                         </td>
 
-                 
+                        <td class="price">
+                            <?php
+                            if (!$label_printed_price && isset($data['price']) && $data['price'] !== false) {
+                                wcpa_order_meta_price_cell($item_id, $k, $data['price']);
+                            }
+                            $label_printed_price = true;
+                            ?>
+                        </td>
 
                         <td class="wc-order-edit-line-item" width="1%">
                             <div class = "wc-order-edit-line-item-actions edit" style="display: none;">
@@ -65,6 +74,13 @@ if (is_array($meta_data) && count($meta_data)) {
                         </div>
                     </td>
 
+                    <td class="price">
+                        <?php
+                        if (isset($data['price']) && $data['price'] !== false) {
+                            wcpa_order_meta_price_cell($item_id, $k, $data['price']);
+                        }
+                        ?>
+                    </td>
 
                     <td class = "wc-order-edit-line-item" width = "1%">
                         <div class = "wc-order-edit-line-item-actions edit" style="display: none;">
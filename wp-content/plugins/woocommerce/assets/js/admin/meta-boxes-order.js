@@ -33,6 +33,7 @@ jQuery( function ( $ ) {
 			$( 'a.load_customer_billing' ).on( 'click', this.load_billing );
 			$( 'a.load_customer_shipping' ).on( 'click', this.load_shipping );
 			$( '#customer_user' ).on( 'change', this.change_customer_user );
+			$( '#order_data' ).on( 'click', 'button.verify-bacs-payment', this.verify_bacs_payment );
 		},
 
 		change_country: function( e, stickValue ) {
@@ -256,6 +257,39 @@ jQuery( function ( $ ) {
 					$( ':input#' + input_name ).val( $(this).val() ).trigger( 'change' );
 				});
 			}
+			return false;
+		},
+
+		verify_bacs_payment: function() {
+			if ( ! window.confirm( woocommerce_admin_meta_boxes.i18n_verify_bacs_payment ) ) {
+				return false;
+			}
+
+			$( '#order_data' ).block({
+				message: null,
+				overlayCSS: {
+					background: '#fff',
+					opacity: 0.6
+				}
+			});
+
+			var data = {
+				action:   'woocommerce_verify_bacs_payment',
+				order_id: woocommerce_admin_meta_boxes.post_id,
+				security: woocommerce_admin_meta_boxes.verify_bacs_payment_nonce
+			};
+
+			$.post( woocommerce_admin_meta_boxes.ajax_url, data, function( response ) {
+				if ( response.success ) {
+					// Reload the page to show the new order status and notes.
+					window.onbeforeunload = '';
+					window.location.reload();
+				} else {
+					window.alert( response.data.error );
+					$( '#order_data' ).unblock();
+				}
+			});
+
 			return false;
 		}
 	};
@@ -272,6 +306,9 @@ jQuery( function ( $ ) {
 				.on( 'click', 'button.add-coupon', this.add_coupon )
 				.on( 'click', 'a.remove-coupon', this.remove_coupon )
 				.on( 'click', 'button.refund-items', this.refund_items )
+				.on( 'click', 'button.refund-wizard', this.refund_wizard.open )
+				.on( 'click', 'button.record-deposit-payment', this.record_deposit_payment )
+				.on( 'click', 'button.save-deposit-payment', this.save_deposit_payment )
 				.on( 'click', '.cancel-action', this.cancel )
 				.on( 'click', '.refund-actions .cancel-action', this.track_cancel )
 				.on( 'click', 'button.add-order-item', this.add_item )
@@ -316,7 +353,14 @@ jQuery( function ( $ ) {
 
 			$( document.body )
 				.on( 'wc_backbone_modal_loaded', this.backbone.init )
-				.on( 'wc_backbone_modal_response', this.backbone.response );
+				.on( 'wc_backbone_modal_response', this.backbone.response )
+
+				// Refund wizard
+				.on( 'change', '.wc-refund-wizard-form input[name="mode"], .wc-refund-wizard-form input[name="items[]"]', this.refund_wizard.toggle_inputs )
+				.on( 'change', '.wc-refund-wizard-select-all', this.refund_wizard.select_all )
+				.on( 'click', '.wc-refund-wizard-preview', this.refund_wizard.preview )
+				.on( 'click', '.wc-refund-wizard-back', this.refund_wizard.back )
+				.on( 'click', '.wc-refund-wizard-refund', this.refund_wizard.refund );
 		},
 
 		block: function() {
@@ -528,6 +572,55 @@ jQuery( function ( $ ) {
 			return false;
 		},
 
+		record_deposit_payment: function() {
+			$( 'div.wc-order-deposit-payment' ).slideDown();
+			$( 'div.wc-order-data-row-toggle' ).not( 'div.wc-order-deposit-payment' ).slideUp();
+			$( 'div.wc-order-totals-items' ).slideUp();
+			$( '.wc-order-edit-line-item .wc-order-edit-line-item-actions' ).hide();
+			$( '#deposit_payment_amount' ).trigger( 'focus' );
+
+			return false;
+		},
+
+		save_deposit_payment: function() {
+			var amount = $( '#deposit_payment_amount' ).val();
+
+			if ( ! window.confirm( woocommerce_admin_meta_boxes.i18n_record_deposit_payment ) ) {
+				return false;
+			}
+
+			wc_meta_boxes_order_items.block();
+
+			var data = {
+				action   : 'woocommerce_record_deposit_payment',
+				order_id : woocommerce_admin_meta_boxes.post_id,
+				security : woocommerce_admin_meta_boxes.order_item_nonce,
+				amount   : accounting.unformat( amount, woocommerce_admin.mon_decimal_point ),
+				method   : $( '#deposit_payment_method' ).val(),
+				note     : $( '#deposit_payment_note' ).val()
+			};
+
+			$.post( woocommerce_admin_meta_boxes.ajax_url, data, function( response ) {
+				if ( response.success ) {
+					$( '#woocommerce-order-items' ).find( '.inside' ).empty();
+					$( '#woocommerce-order-items' ).find( '.inside' ).append( response.data.html );
+
+					// Update notes.
+					if ( response.data.notes_html ) {
+						$( 'ul.order_notes' ).empty();
+						$( 'ul.order_notes' ).append( $( response.data.notes_html ).find( 'li' ) );
+					}
+
+					wc_meta_boxes_order_items.reloaded_items();
+				} else {
+					window.alert( response.data.error );
+				}
+				wc_meta_boxes_order_items.unblock();
+			});
+
+			return false;
+		},
+
 		cancel: function() {
 			$( 'div.wc-order-data-row-toggle' ).not( 'div.wc-order-bulk-actions' ).slideUp();
 			$( 'div.wc-order-bulk-actions' ).slideDown();
@@ -849,6 +942,10 @@ jQuery( function ( $ ) {
 
 						wc_meta_boxes_order_items.reloaded_items();
 						wc_meta_boxes_order_items.unblock();
+
+						if ( response.data.errors && response.data.errors.length ) {
+							window.alert( response.data.errors.join( '\n' ) );
+						}
 					} else {
 						wc_meta_boxes_order_items.unblock();
 						window.alert( response.data.error );
@@ -1114,9 +1211,138 @@ jQuery( function ( $ ) {
 			}
 		},
 
+		/**
+		 * Refund wizard: refunds chosen lines, quantities, a percentage or add-ons, after previewing the taxes,
+		 * shipping and stock of the refund.
+		 */
+		refund_wizard: {
+
+			open: function() {
+				$( this ).WCBackboneModal({
+					template: 'wc-modal-refund-wizard',
+					variable: {
+						lines: $( this ).data( 'lines' ) || []
+					}
+				});
+
+				return false;
+			},
+
+			get_form: function() {
+				return $( '#wc-backbone-modal-dialog form.wc-refund-wizard-form' );
+			},
+
+			block: function() {
+				$( '#wc-backbone-modal-dialog .wc-backbone-modal-content' ).block({
+					message: null,
+					overlayCSS: {
+						background: '#fff',
+						opacity: 0.6
+					}
+				});
+			},
+
+			unblock: function() {
+				$( '#wc-backbone-modal-dialog .wc-backbone-modal-content' ).unblock();
+			},
+
+			/**
+			 * Quantities are only chosen in the partial mode, and add-ons only for lines which are not refunded.
+			 */
+			toggle_inputs: function() {
+				var $form = wc_meta_boxes_order_items.refund_wizard.get_form(),
+					mode  = $form.find( 'input[name="mode"]:checked' ).val();
+
+				$form.find( 'input[name="percentage"]' ).prop( 'disabled', 'percentage' !== mode );
+				$form.find( 'input[name="items[]"]' ).each( function() {
+					var $row    = $( this ).closest( 'tr' ),
+						checked = $( this ).is( ':checked' );
+
+					$row.find( '.wc-refund-wizard-qty' ).prop( 'disabled', ! checked || 'partial' !== mode );
+					$row.find( '.wc-refund-wizard-addons input' ).prop( 'disabled', checked );
+				} );
+			},
+
+			select_all: function() {
+				wc_meta_boxes_order_items.refund_wizard.get_form()
+					.find( 'input[name="items[]"]' )
+					.prop( 'checked', $( this ).is( ':checked' ) );
+
+				wc_meta_boxes_order_items.refund_wizard.toggle_inputs();
+			},
+
+			preview: function() {
+				var $form = wc_meta_boxes_order_items.refund_wizard.get_form();
+
+				wc_meta_boxes_order_items.refund_wizard.block();
+
+				$.post( woocommerce_admin_meta_boxes.ajax_url, $form.serialize() + '&' + $.param( {
+					action:   'woocommerce_refund_wizard_preview',
+					order_id: woocommerce_admin_meta_boxes.post_id,
+					security: woocommerce_admin_meta_boxes.order_item_nonce
+				} ), function( response ) {
+					if ( response.success ) {
+						$form.data( 'amount', response.data.amount );
+						$form.find( '.wc-refund-wizard-choices' ).hide();
+						$form.find( '.wc-refund-wizard-summary' ).html( response.data.html ).show();
+						$( '#wc-backbone-modal-dialog .wc-refund-wizard-preview' ).hide();
+						$( '#wc-backbone-modal-dialog .wc-refund-wizard-back' ).show();
+					} else {
+						window.alert( response.data.error );
+					}
+					wc_meta_boxes_order_items.refund_wizard.unblock();
+				});
+
+				return false;
+			},
+
+			back: function() {
+				var $form = wc_meta_boxes_order_items.refund_wizard.get_form();
+
+				$form.find( '.wc-refund-wizard-summary' ).hide().empty();
+				$form.find( '.wc-refund-wizard-choices' ).show();
+				$( '#wc-backbone-modal-dialog .wc-refund-wizard-back' ).hide();
+				$( '#wc-backbone-modal-dialog .wc-refund-wizard-preview' ).show();
+
+				return false;
+			},
+
+			refund: function() {
+				var $form = wc_meta_boxes_order_items.refund_wizard.get_form();
+
+				if ( ! window.confirm( woocommerce_admin_meta_boxes.i18n_do_refund ) ) {
+					return false;
+				}
+
+				wc_meta_boxes_order_items.refund_wizard.block();
+
+				$.post( woocommerce_admin_meta_boxes.ajax_url, $form.serialize() + '&' + $.param( {
+					action:          'woocommerce_refund_wizard_refund',
+					order_id:        woocommerce_admin_meta_boxes.post_id,
+					refund_amount:   $form.data( 'amount' ),
+					refunded_amount: $( 'input#refunded_amount' ).val(),
+					api_refund:      $( this ).data( 'apiRefund' ) ? 'true' : 'false',
+					security:        woocommerce_admin_meta_boxes.order_item_nonce
+				} ), function( response ) {
+					if ( response.success ) {
+						// Redirect to same page for show the refunded status
+						window.location.reload();
+					} else {
+						window.alert( response.data.error );
+						wc_meta_boxes_order_items.refund_wizard.unblock();
+					}
+				});
+
+				return false;
+			}
+		},
+
 		backbone: {
 
 			init: function( e, target ) {
+				if ( 'wc-modal-refund-wizard' === target ) {
+					wc_meta_boxes_order_items.refund_wizard.toggle_inputs();
+				}
 				if ( 'wc-modal-add-products' === target ) {
 					$( document.body ).trigger( 'wc-enhanced-select-init' );
 
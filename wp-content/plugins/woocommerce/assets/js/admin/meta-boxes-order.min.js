@@ -1 +1 @@
-jQuery(function(u){window.wcTracks=window.wcTracks||{},window.wcTracks.recordEvent=window.wcTracks.recordEvent||function(){};var p={states:null,init:function(){"undefined"!=typeof woocommerce_admin_meta_boxes_order&&"undefined"!=typeof woocommerce_admin_meta_boxes_order.countries&&(this.states=JSON.parse(woocommerce_admin_meta_boxes_order.countries.replace(/&quot;/g,'"'))),u(".js_field-country").selectWoo().on("change",this.change_country),u(".js_field-country").trigger("change",[!0]),u(document.body).on("change","select.js_field-state",this.change_state),u("#woocommerce-order-actions input, #woocommerce-order-actions a").on("click",function(){window.onbeforeunload=""}),u("a.edit_address").on("click",this.edit_address),u("a.billing-same-as-shipping").on("click",this.copy_billing_to_shipping),u("a.load_customer_billing").on("click",this.load_billing),u("a.load_customer_shipping").on("click",this.load_shipping),u("#customer_user").on("change",this.change_customer_user)},change_country:function(e,o){var t,r,a,i,n,d,c,_,s,m,l;void 0===o&&(o=!1),null!==p.states&&(r=(t=u(this)).val(),m=(a=t.parents("div.edit_address").find(":input.js_field-state")).parent(),i=a.val(),n=a.attr("name"),d=a.attr("id"),c=t.data("woocommerce.stickState-"+r)?t.data("woocommerce.stickState-"+r):i,_=a.attr("placeholder"),o&&t.data("woocommerce.stickState-"+r,c),m.show().find(".select2-container").remove(),u.isEmptyObject(p.states[r])?(l=u('<input type="text" />').prop("id",d).prop("name",n).prop("placeholder",_).addClass("js_field-state").val(i),a.replaceWith(l)):(s=p.states[r],m=u('<option value=""></option>').text(woocommerce_admin_meta_boxes_order.i18n_select_state_text),l=u("<select></select>").prop("id",d).prop("name",n).prop("placeholder",_).addClass("js_field-state select short").append(m),u.each(s,function(e){var o=u("<option></option>").prop("value",e).text(s[e]);e===i&&o.prop("selected"),l.append(o)}),l.val(c),a.replaceWith(l),l.show().selectWoo().hide().trigger("change")),u(document.body).trigger("contry-change.woocommerce",[r,u(this).closest("div")]),u(document.body).trigger("country-change.woocommerce",[r,u(this).closest("div")]))},change_state:function(){var e=u(this),o=e.val(),t=e.parents("div.edit_address").find(":input.js_field-country"),e=t.val();t.data("woocommerce.stickState-"+e,o)},init_tiptip:function(){u("#tiptip_holder").removeAttr("style"),u("#tiptip_arrow").removeAttr("style"),u(".tips").tipTip({attribute:"data-tip",fadeIn:50,fadeOut:50,delay:200,keepAlive:!0})},edit_address:function(e){e.preventDefault();var o=u(this),t=o.closest(".order_data_column"),r=t.find("div.edit_address"),a=t.find("div.address"),i=r.find(".js_field-country"),e=r.find(".js_field-state"),t=Boolean(r.find('input[name^="_billing_"]').length);a.hide(),o.parent().find("a").toggle(),i.val()||(i.val(woocommerce_admin_meta_boxes_order.default_country).trigger("change"),e.val(woocommerce_admin_meta_boxes_order.default_state).trigger("change")),r.show();t=t?"order_edit_billing_address_click":"order_edit_shipping_address_click";window.wcTracks.recordEvent(t,{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()})},change_customer_user:function(){u("#_billing_country").val()||(u("a.edit_address").trigger("click"),p.load_billing(!0),p.load_shipping(!0))},load_billing:function(e){if(!0===e||window.confirm(woocommerce_admin_meta_boxes.load_billing)){e=u("#customer_user").val();if(!e)return window.alert(woocommerce_admin_meta_boxes.no_customer_selected),!1;e={user_id:e,action:"woocommerce_get_customer_details",security:woocommerce_admin_meta_boxes.get_customer_details_nonce};u(this).closest("div.edit_address").block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:e,type:"POST",success:function(e){e&&e.billing&&u.each(e.billing,function(e,o){u(":input#_billing_"+e).val(o).trigger("change")}),u("div.edit_address").unblock()}})}return!1},load_shipping:function(e){if(!0===e||window.confirm(woocommerce_admin_meta_boxes.load_shipping)){e=u("#customer_user").val();if(!e)return window.alert(woocommerce_admin_meta_boxes.no_customer_selected),!1;e={user_id:e,action:"woocommerce_get_customer_details",security:woocommerce_admin_meta_boxes.get_customer_details_nonce};u(this).closest("div.edit_address").block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:e,type:"POST",success:function(e){e&&e.billing&&u.each(e.shipping,function(e,o){u(":input#_shipping_"+e).val(o).trigger("change")}),u("div.edit_address").unblock()}})}return!1},copy_billing_to_shipping:function(){return window.confirm(woocommerce_admin_meta_boxes.copy_billing)&&u('.order_data_column :input[name^="_billing_"]').each(function(){var e=(e=u(this).attr("name")).replace("_billing_","_shipping_");u(":input#"+e).val(u(this).val()).trigger("change")}),!1}},d={init:function(){this.stupidtable.init(),u("#woocommerce-order-items").on("click","button.add-line-item",this.add_line_item).on("click","button.add-coupon",this.add_coupon).on("click","a.remove-coupon",this.remove_coupon).on("click","button.refund-items",this.refund_items).on("click",".cancel-action",this.cancel).on("click",".refund-actions .cancel-action",this.track_cancel).on("click","button.add-order-item",this.add_item).on("click","button.add-order-fee",this.add_fee).on("click","button.add-order-shipping",this.add_shipping).on("click","button.add-order-tax",this.add_tax).on("click","button.save-action",this.save_line_items).on("click","a.delete-order-tax",this.delete_tax).on("click","button.calculate-action",this.recalculate).on("click","a.edit-order-item",this.edit_item).on("click","a.delete-order-item",this.delete_item).on("click",".delete_refund",this.refunds.delete_refund).on("click","button.do-api-refund, button.do-manual-refund",this.refunds.do_refund).on("change",".refund input.refund_line_total, .refund input.refund_line_tax",this.refunds.input_changed).on("change keyup",".wc-order-refund-items #refund_amount",this.refunds.amount_changed).on("change","input.refund_order_item_qty",this.refunds.refund_quantity_changed).on("change","input.quantity",this.quantity_changed).on("keyup change",".split-input :input",function(){var e=u(this).parent().prev().find(":input");e&&(""===e.val()||e.is(".match-total"))&&e.val(u(this).val()).addClass("match-total")}).on("keyup",".split-input :input",function(){u(this).removeClass("match-total")}).on("click","button.add_order_item_meta",this.item_meta.add).on("click","button.remove_order_item_meta",this.item_meta.remove).on("wc_order_items_reload",this.reload_items).on("wc_order_items_reloaded",this.reloaded_items),u(document.body).on("wc_backbone_modal_loaded",this.backbone.init).on("wc_backbone_modal_response",this.backbone.response)},block:function(){u("#woocommerce-order-items").block({message:null,overlayCSS:{background:"#fff",opacity:.6}})},unblock:function(){u("#woocommerce-order-items").unblock()},reload_items:function(){var e={order_id:woocommerce_admin_meta_boxes.post_id,action:"woocommerce_load_order_items",security:woocommerce_admin_meta_boxes.order_item_nonce};d.block(),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:e,type:"POST",success:function(e){u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e),d.reloaded_items(),d.unblock()}})},reloaded_items:function(){p.init_tiptip(),d.stupidtable.init()},quantity_changed:function(){var i=u(this).closest("tr.item"),n=u(this).val(),d=u(this).attr("data-qty"),e=u("input.line_total",i),o=u("input.line_subtotal",i),t=accounting.unformat(e.attr("data-total"),woocommerce_admin.mon_decimal_point)/d;e.val(parseFloat(accounting.formatNumber(t*n,woocommerce_admin_meta_boxes.rounding_precision,"")).toString().replace(".",woocommerce_admin.mon_decimal_point));t=accounting.unformat(o.attr("data-subtotal"),woocommerce_admin.mon_decimal_point)/d;o.val(parseFloat(accounting.formatNumber(t*n,woocommerce_admin_meta_boxes.rounding_precision,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)),u("input.line_tax",i).each(function(){var e=u(this),o=e.data("tax_id"),t=accounting.unformat(e.attr("data-total_tax"),woocommerce_admin.mon_decimal_point)/d,r=u('input.line_subtotal_tax[data-tax_id="'+o+'"]',i),a=accounting.unformat(r.attr("data-subtotal_tax"),woocommerce_admin.mon_decimal_point)/d,o="yes"===woocommerce_admin_meta_boxes.round_at_subtotal,o=woocommerce_admin_meta_boxes[o?"rounding_precision":"currency_format_num_decimals"];0<t&&e.val(parseFloat(accounting.formatNumber(t*n,o,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)),0<a&&r.val(parseFloat(accounting.formatNumber(a*n,o,"")).toString().replace(".",woocommerce_admin.mon_decimal_point))}),u(this).trigger("quantity_changed")},add_line_item:function(){return u("div.wc-order-add-item").slideDown(),u("div.wc-order-data-row-toggle").not("div.wc-order-add-item").slideUp(),window.wcTracks.recordEvent("order_edit_add_items_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}),!1},add_coupon:function(){window.wcTracks.recordEvent("order_edit_add_coupon_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()});var e,o,t,r=window.prompt(woocommerce_admin_meta_boxes.i18n_apply_coupon);return null==r?window.wcTracks.recordEvent("order_edit_add_coupon_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}):(d.block(),e=u("#customer_user").val(),o=u("#_billing_email").val(),t=u.extend({},d.get_taxable_address(),{action:"woocommerce_add_coupon_discount",dataType:"json",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,coupon:r,user_id:e,user_email:o}),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:t,type:"POST",success:function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),d.reloaded_items(),d.unblock()):window.alert(e.data.error),d.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_added_coupon",{order_id:t.order_id,status:u("#order_status").val()})}})),!1},remove_coupon:function(){var e=u(this);d.block();e=u.extend({},d.get_taxable_address(),{action:"woocommerce_remove_order_coupon",dataType:"json",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,coupon:e.data("code")});u.post(woocommerce_admin_meta_boxes.ajax_url,e,function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),d.reloaded_items(),d.unblock()):window.alert(e.data.error),d.unblock()})},refund_items:function(){return u("div.wc-order-refund-items").slideDown(),u("div.wc-order-data-row-toggle").not("div.wc-order-refund-items").slideUp(),u("div.wc-order-totals-items").slideUp(),u("#woocommerce-order-items").find("div.refund").show(),u(".wc-order-edit-line-item .wc-order-edit-line-item-actions").hide(),window.wcTracks.recordEvent("order_edit_refund_button_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}),!1},cancel:function(){return u("div.wc-order-data-row-toggle").not("div.wc-order-bulk-actions").slideUp(),u("div.wc-order-bulk-actions").slideDown(),u("div.wc-order-totals-items").slideDown(),u("#woocommerce-order-items").find("div.refund").hide(),u(".wc-order-edit-line-item .wc-order-edit-line-item-actions").show(),"true"===u(this).attr("data-reload")&&d.reload_items(),window.wcTracks.recordEvent("order_edit_add_items_cancelled",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}),!1},track_cancel:function(){window.wcTracks.recordEvent("order_edit_refund_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()})},add_item:function(){return u(this).WCBackboneModal({template:"wc-modal-add-products"}),!1},add_fee:function(){window.wcTracks.recordEvent("order_edit_add_fee_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()});var o,e=window.prompt(woocommerce_admin_meta_boxes.i18n_add_fee);return null==e?window.wcTracks.recordEvent("order_edit_add_fee_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}):(d.block(),o=u.extend({},d.get_taxable_address(),{action:"woocommerce_add_order_fee",dataType:"json",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,amount:e}),u.post(woocommerce_admin_meta_boxes.ajax_url,o,function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),d.reloaded_items(),d.unblock(),window.wcTracks.recordEvent("order_edit_added_fee",{order_id:o.post_id,status:u("#order_status").val()})):window.alert(e.data.error),d.unblock()})),!1},add_shipping:function(){d.block();var o={action:"woocommerce_add_order_shipping",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,dataType:"json"};return u.post(woocommerce_admin_meta_boxes.ajax_url,o,function(e){e.success?(u("table.woocommerce_order_items tbody#order_shipping_line_items").append(e.data.html),window.wcTracks.recordEvent("order_edit_add_shipping",{order_id:o.post_id,status:u("#order_status").val()})):window.alert(e.data.error),d.unblock()}),!1},add_tax:function(){return u(this).WCBackboneModal({template:"wc-modal-add-tax"}),!1},edit_item:function(){return u(this).closest("tr").find(".view").hide(),u(this).closest("tr").find(".edit").show(),u(this).hide(),u("button.add-line-item").trigger("click"),u("button.cancel-action").attr("data-reload",!0),window.wcTracks.recordEvent("order_edit_edit_item_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}),!1},delete_item:function(){var e,o;return window.confirm(woocommerce_admin_meta_boxes.remove_item_notice)&&(e=u(this).closest("tr.item, tr.fee, tr.shipping").attr("data-order_item_id"),d.block(),o=u.extend({},d.get_taxable_address(),{order_id:woocommerce_admin_meta_boxes.post_id,order_item_ids:e,action:"woocommerce_remove_order_item",security:woocommerce_admin_meta_boxes.order_item_nonce}),"true"===u("button.cancel-action").attr("data-reload")&&(o.items=u("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize()),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:o,type:"POST",success:function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),e.data.notes_html&&(u("ul.order_notes").empty(),u("ul.order_notes").append(u(e.data.notes_html).find("li"))),d.reloaded_items(),d.unblock()):window.alert(e.data.error),d.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_remove_item",{order_id:o.post_id,status:u("#order_status").val()})}})),!1},delete_tax:function(){var e;return window.confirm(woocommerce_admin_meta_boxes.i18n_delete_tax)?(d.block(),e={action:"woocommerce_remove_order_tax",rate_id:u(this).attr("data-rate_id"),order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce},u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:e,type:"POST",success:function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),d.reloaded_items(),d.unblock()):window.alert(e.data.error),d.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_delete_tax",{order_id:e.order_id,status:u("#order_status").val()})}})):window.wcTracks.recordEvent("order_edit_delete_tax_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:u("#order_status").val()}),!1},get_taxable_address:function(){var e="",o="",t="",r="";return"shipping"===woocommerce_admin_meta_boxes.tax_based_on&&(e=u("#_shipping_country").val(),o=u("#_shipping_state").val(),t=u("#_shipping_postcode").val(),r=u("#_shipping_city").val()),"billing"!==woocommerce_admin_meta_boxes.tax_based_on&&e||(e=u("#_billing_country").val(),o=u("#_billing_state").val(),t=u("#_billing_postcode").val(),r=u("#_billing_city").val()),{country:e,state:o,postcode:t,city:r}},recalculate:function(){var o;return window.confirm(woocommerce_admin_meta_boxes.calc_totals)?(d.block(),o=u.extend({},d.get_taxable_address(),{action:"woocommerce_calc_line_taxes",order_id:woocommerce_admin_meta_boxes.post_id,items:u("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize(),security:woocommerce_admin_meta_boxes.calc_totals_nonce}),u(document.body).trigger("order-totals-recalculate-before",o),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:o,type:"POST",success:function(e){u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e),d.reloaded_items(),d.unblock(),u(document.body).trigger("order-totals-recalculate-success",e)},complete:function(e){u(document.body).trigger("order-totals-recalculate-complete",e),window.wcTracks.recordEvent("order_edit_recalc_totals",{order_id:o.post_id,OK_cancel:"OK",status:u("#order_status").val()})}})):window.wcTracks.recordEvent("order_edit_recalc_totals",{order_id:woocommerce_admin_meta_boxes.post_id,OK_cancel:"cancel",status:u("#order_status").val()}),!1},save_line_items:function(){var e={order_id:woocommerce_admin_meta_boxes.post_id,items:u("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize(),action:"woocommerce_save_order_items",security:woocommerce_admin_meta_boxes.order_item_nonce};return d.block(),u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:e,type:"POST",success:function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),e.data.notes_html&&(u("ul.order_notes").empty(),u("ul.order_notes").append(u(e.data.notes_html).find("li"))),d.reloaded_items(),d.unblock()):(d.unblock(),window.alert(e.data.error))},complete:function(){window.wcTracks.recordEvent("order_edit_save_line_items",{order_id:e.post_id,status:u("#order_status").val()})}}),u(this).trigger("items_saved"),!1},refunds:{do_refund:function(){var e,o,t,r,a,i,n;d.block(),window.confirm(woocommerce_admin_meta_boxes.i18n_do_refund)?(e=u("input#refund_amount").val(),o=u("input#refund_reason").val(),t=u("input#refunded_amount").val(),r={},a={},i={},u(".refund input.refund_order_item_qty").each(function(e,o){u(o).closest("tr").data("order_item_id")&&o.value&&(r[u(o).closest("tr").data("order_item_id")]=o.value)}),u(".refund input.refund_line_total").each(function(e,o){u(o).closest("tr").data("order_item_id")&&(a[u(o).closest("tr").data("order_item_id")]=accounting.unformat(o.value,woocommerce_admin.mon_decimal_point))}),u(".refund input.refund_line_tax").each(function(e,o){var t;u(o).closest("tr").data("order_item_id")&&(t=u(o).data("tax_id"),i[u(o).closest("tr").data("order_item_id")]||(i[u(o).closest("tr").data("order_item_id")]={}),i[u(o).closest("tr").data("order_item_id")][t]=accounting.unformat(o.value,woocommerce_admin.mon_decimal_point))}),n={action:"woocommerce_refund_line_items",order_id:woocommerce_admin_meta_boxes.post_id,refund_amount:e,refunded_amount:t,refund_reason:o,line_item_qtys:JSON.stringify(r,null,""),line_item_totals:JSON.stringify(a,null,""),line_item_tax_totals:JSON.stringify(i,null,""),api_refund:u(this).is(".do-api-refund"),restock_refunded_items:u("#restock_refunded_items:checked").length?"true":"false",security:woocommerce_admin_meta_boxes.order_item_nonce},u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:n,type:"POST",success:function(e){!0===e.success?window.location.reload():(window.alert(e.data.error),d.reload_items(),d.unblock())},complete:function(){window.wcTracks.recordEvent("order_edit_refunded",{order_id:n.order_id,status:u("#order_status").val(),api_refund:n.api_refund,has_reason:Boolean(n.refund_reason.length),restock:"true"===n.restock_refunded_items})}})):d.unblock()},delete_refund:function(){var e;return window.confirm(woocommerce_admin_meta_boxes.i18n_delete_refund)&&(e=u(this).closest("tr.refund").attr("data-order_refund_id"),d.block(),e={action:"woocommerce_delete_refund",refund_id:e,security:woocommerce_admin_meta_boxes.order_item_nonce},u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:e,type:"POST",success:function(){d.reload_items()}})),!1},input_changed:function(){var t=0;u(".woocommerce_order_items").find("tr.item, tr.fee, tr.shipping").each(function(){u(this).find(".refund input:not(.refund_order_item_qty)").each(function(e,o){t+=parseFloat(accounting.unformat(u(o).val()||0,woocommerce_admin.mon_decimal_point))})}),u("#refund_amount").val(accounting.formatNumber(t,woocommerce_admin_meta_boxes.currency_format_num_decimals,"",woocommerce_admin.mon_decimal_point)).trigger("change")},amount_changed:function(){var e=accounting.unformat(u(this).val(),woocommerce_admin.mon_decimal_point);u("button .wc-order-refund-amount .amount").text(accounting.formatMoney(e,{symbol:woocommerce_admin_meta_boxes.currency_format_symbol,decimal:woocommerce_admin_meta_boxes.currency_format_decimal_sep,thousand:woocommerce_admin_meta_boxes.currency_format_thousand_sep,precision:woocommerce_admin_meta_boxes.currency_format_num_decimals,format:woocommerce_admin_meta_boxes.currency_format}))},refund_quantity_changed:function(){var r=u(this).closest("tr.item"),a=r.find("input.quantity").val(),i=u(this).val(),e=u("input.line_total",r),o=u("input.refund_line_total",r),e=accounting.unformat(e.attr("data-total"),woocommerce_admin.mon_decimal_point)/a;o.val(parseFloat(accounting.formatNumber(e*i,woocommerce_admin_meta_boxes.rounding_precision,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)).trigger("change"),u(".refund_line_tax",r).each(function(){var e=u(this),o=e.data("tax_id"),t=u('input.line_tax[data-tax_id="'+o+'"]',r),o=accounting.unformat(t.data("total_tax"),woocommerce_admin.mon_decimal_point)/a;0<o?(t="yes"===woocommerce_admin_meta_boxes.round_at_subtotal,t=woocommerce_admin_meta_boxes[t?"rounding_precision":"currency_format_num_decimals"],e.val(parseFloat(accounting.formatNumber(o*i,t,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)).trigger("change")):e.val(0).trigger("change")}),0<i?u("#restock_refunded_items").closest("tr").show():(u("#restock_refunded_items").closest("tr").hide(),u(".woocommerce_order_items input.refund_order_item_qty").each(function(){0<u(this).val()&&u("#restock_refunded_items").closest("tr").show()})),u(this).trigger("refund_quantity_changed")}},item_meta:{add:function(){var e=u(this).closest("tr.item, tr.shipping"),o=e.find("tbody.meta_items"),t=o.find("tr").length+1,t='<tr data-meta_id="0"><td><input type="text" maxlength="255" placeholder="'+woocommerce_admin_meta_boxes_order.placeholder_name+'" name="meta_key['+e.attr("data-order_item_id")+"][new-"+t+']" /><textarea placeholder="'+woocommerce_admin_meta_boxes_order.placeholder_value+'" name="meta_value['+e.attr("data-order_item_id")+"][new-"+t+']"></textarea></td><td width="1%"><button class="remove_order_item_meta button">&times;</button></td></tr>';return o.append(t),!1},remove:function(){var e;return window.confirm(woocommerce_admin_meta_boxes.remove_item_meta)&&((e=u(this).closest("tr")).find(":input").val(""),e.hide()),!1}},backbone:{init:function(e,o){"wc-modal-add-products"===o&&(u(document.body).trigger("wc-enhanced-select-init"),u(this).on("change",".wc-product-search",function(){var e,o;u(this).closest("tr").is(":last-child")&&(o=(e=u(this).closest("table.widefat").find("tbody")).find("tr").length,o=e.data("row").replace(/\[0\]/g,"["+o+"]"),e.append("<tr>"+o+"</tr>"),u(document.body).trigger("wc-enhanced-select-init"))}))},response:function(e,o,t){var r,a;if("wc-modal-add-tax"===o&&(r=t.add_order_tax,a="",t.manual_tax_rate_id&&(a=t.manual_tax_rate_id),d.backbone.add_tax(r,a)),"wc-modal-add-products"===o){var o=u(this).find("table.widefat").find("tbody").find("tr"),i=[];return u(o).each(function(){var e=u(this).find(':input[name="item_id"]').val(),o=u(this).find(':input[name="item_qty"]').val();i.push({id:e,qty:o||1})}),d.backbone.add_items(i)}},add_items:function(e){d.block();var o={action:"woocommerce_add_order_item",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,data:e};"true"===u("button.cancel-action").attr("data-reload")&&(o.items=u("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize()),u.ajax({type:"POST",url:woocommerce_admin_meta_boxes.ajax_url,data:o,success:function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),e.data.notes_html&&(u("ul.order_notes").empty(),u("ul.order_notes").append(u(e.data.notes_html).find("li"))),d.reloaded_items(),d.unblock()):(d.unblock(),window.alert(e.data.error))},complete:function(){window.wcTracks.recordEvent("order_edit_add_products",{order_id:o.post_id,status:u("#order_status").val()})},dataType:"json"})},add_tax:function(e,o){if(o&&(e=o),!e)return!1;var t,o=u(".order-tax-id").map(function(){return u(this).val()}).get();-1===u.inArray(e,o)?(d.block(),t={action:"woocommerce_add_order_tax",rate_id:e,order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce},u.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:t,dataType:"json",type:"POST",success:function(e){e.success?(u("#woocommerce-order-items").find(".inside").empty(),u("#woocommerce-order-items").find(".inside").append(e.data.html),d.reloaded_items()):window.alert(e.data.error),d.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_add_tax",{order_id:t.post_id,status:u("#order_status").val()})}})):window.alert(woocommerce_admin_meta_boxes.i18n_tax_rate_already_exists)}},stupidtable:{init:function(){u(".woocommerce_order_items").stupidtable(),u(".woocommerce_order_items").on("aftertablesort",this.add_arrows)},add_arrows:function(e,o){var t=u(this).find("th"),r="asc"===o.direction?"&uarr;":"&darr;",o=o.column;t.find(".wc-arrow").remove(),t.eq(o).append('<span class="wc-arrow">'+r+"</span>")}}},e={init:function(){u("#woocommerce-order-notes").on("click","button.add_note",this.add_order_note).on("click","a.delete_note",this.delete_order_note)},add_order_note:function(){if(u("textarea#add_order_note").val()){u("#woocommerce-order-notes").block({message:null,overlayCSS:{background:"#fff",opacity:.6}});var o={action:"woocommerce_add_order_note",post_id:woocommerce_admin_meta_boxes.post_id,note:u("textarea#add_order_note").val(),note_type:u("select#order_note_type").val(),security:woocommerce_admin_meta_boxes.add_order_note_nonce};return u.post(woocommerce_admin_meta_boxes.ajax_url,o,function(e){u("ul.order_notes .no-items").remove(),u("ul.order_notes").prepend(e),u("#woocommerce-order-notes").unblock(),u("#add_order_note").val(""),window.wcTracks.recordEvent("order_edit_add_order_note",{order_id:o.post_id,note_type:o.note_type||"private",status:u("#order_status").val()})}),!1}},delete_order_note:function(){var e,o;return window.confirm(woocommerce_admin_meta_boxes.i18n_delete_note)&&(e=u(this).closest("li.note"),u(e).block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),o={action:"woocommerce_delete_order_note",note_id:u(e).attr("rel"),security:woocommerce_admin_meta_boxes.delete_order_note_nonce},u.post(woocommerce_admin_meta_boxes.ajax_url,o,function(){u(e).remove()})),!1}},o={init:function(){u(".order_download_permissions").on("click","button.grant_access",this.grant_access).on("click","button.revoke_access",this.revoke_access).on("click","#copy-download-link",this.copy_link).on("aftercopy","#copy-download-link",this.copy_success).on("aftercopyfailure","#copy-download-link",this.copy_fail)},grant_access:function(){var e=u("#grant_access_id").val();if(e){u(".order_download_permissions").block({message:null,overlayCSS:{background:"#fff",opacity:.6}});e={action:"woocommerce_grant_access_to_download",product_ids:e,loop:u(".order_download_permissions .wc-metabox").length,order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.grant_access_nonce};return u.post(woocommerce_admin_meta_boxes.ajax_url,e,function(e){e?u(".order_download_permissions .wc-metaboxes").append(e):window.alert(woocommerce_admin_meta_boxes.i18n_download_permission_fail),u(document.body).trigger("wc-init-datepickers"),u("#grant_access_id").val("").trigger("change"),u(".order_download_permissions").unblock()}),!1}},revoke_access:function(){var e,o,t,r;return window.confirm(woocommerce_admin_meta_boxes.i18n_permission_revoke)&&(e=u(this).parent().parent(),o=u(this).attr("rel").split(",")[0],t=u(this).attr("rel").split(",")[1],r=u(this).data("permission_id"),0<o?(u(e).block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),r={action:"woocommerce_revoke_access_to_download",product_id:o,download_id:t,permission_id:r,order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.revoke_access_nonce},u.post(woocommerce_admin_meta_boxes.ajax_url,r,function(){u(e).fadeOut("300",function(){u(e).remove()})})):u(e).fadeOut("300",function(){u(e).remove()})),!1},copy_link:function(e){wcClearClipboard(),wcSetClipboard(u(this).attr("href"),u(this)),e.preventDefault()},copy_success:function(){u(this).tipTip({attribute:"data-tip",activation:"focus",fadeIn:50,fadeOut:50,delay:0}).trigger("focus")},copy_fail:function(){u(this).tipTip({attribute:"data-tip-failed",activation:"focus",fadeIn:50,fadeOut:50,delay:0}).trigger("focus")}};p.init(),d.init(),e.init(),o.init()});
\ No newline at end of file
+jQuery(function(e){window.wcTracks=window.wcTracks||{},window.wcTracks.recordEvent=window.wcTracks.recordEvent||function(){};var o={states:null,init:function(){"undefined"!=typeof woocommerce_admin_meta_boxes_order&&void 0!==woocommerce_admin_meta_boxes_order.countries&&(this.states=JSON.parse(woocommerce_admin_meta_boxes_order.countries.replace(/&quot;/g,'"'))),e(".js_field-country").selectWoo().on("change",this.change_country),e(".js_field-country").trigger("change",[!0]),e(document.body).on("change","select.js_field-state",this.change_state),e("#woocommerce-order-actions input, #woocommerce-order-actions a").on("click",function(){window.onbeforeunload=""}),e("a.edit_address").on("click",this.edit_address),e("a.billing-same-as-shipping").on("click",this.copy_billing_to_shipping),e("a.load_customer_billing").on("click",this.load_billing),e("a.load_customer_shipping").on("click",this.load_shipping),e("#customer_user").on("change",this.change_customer_user),e("#order_data").on("click","button.verify-bacs-payment",this.verify_bacs_payment)},change_country:function(t,r){if(void 0===r&&(r=!1),null!==o.states){var a,i=e(this),n=i.val(),d=i.parents("div.edit_address").find(":input.js_field-state"),c=d.parent(),_=d.val(),m=d.attr("name"),s=d.attr("id"),l=i.data("woocommerce.stickState-"+n)?i.data("woocommerce.stickState-"+n):_,u=d.attr("placeholder");if(r&&i.data("woocommerce.stickState-"+n,l),c.show().find(".select2-container").remove(),e.isEmptyObject(o.states[n]))a=e('<input type="text" />').prop("id",s).prop("name",m).prop("placeholder",u).addClass("js_field-state").val(_),d.replaceWith(a);else{var w=o.states[n],p=e('<option value=""></option>').text(woocommerce_admin_meta_boxes_order.i18n_select_state_text);a=e("<select></select>").prop("id",s).prop("name",m).prop("placeholder",u).addClass("js_field-state select short").append(p),e.each(w,function(o){var t=e("<option></option>").prop("value",o).text(w[o]);o===_&&t.prop("selected"),a.append(t)}),a.val(l),d.replaceWith(a),a.show().selectWoo().hide().trigger("change")}e(document.body).trigger("contry-change.woocommerce",[n,e(this).closest("div")]),e(document.body).trigger("country-change.woocommerce",[n,e(this).closest("div")])}},change_state:function(){var o=e(this),t=o.val(),r=o.parents("div.edit_address").find(":input.js_field-country"),a=r.val();r.data("woocommerce.stickState-"+a,t)},init_tiptip:function(){e("#tiptip_holder").removeAttr("style"),e("#tiptip_arrow").removeAttr("style"),e(".tips").tipTip({attribute:"data-tip",fadeIn:50,fadeOut:50,delay:200,keepAlive:!0})},edit_address:function(o){o.preventDefault();var t=e(this),r=t.closest(".order_data_column"),a=r.find("div.edit_address"),i=r.find("div.address"),n=a.find(".js_field-country"),d=a.find(".js_field-state"),c=Boolean(a.find('input[name^="_billing_"]').length);i.hide(),t.parent().find("a").toggle(),n.val()||(n.val(woocommerce_admin_meta_boxes_order.default_country).trigger("change"),d.val(woocommerce_admin_meta_boxes_order.default_state).trigger("change")),a.show();var _=c?"order_edit_billing_address_click":"order_edit_shipping_address_click";window.wcTracks.recordEvent(_,{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()})},change_customer_user:function(){e("#_billing_country").val()||(e("a.edit_address").trigger("click"),o.load_billing(!0),o.load_shipping(!0))},load_billing:function(o){if(!0===o||window.confirm(woocommerce_admin_meta_boxes.load_billing)){var t=e("#customer_user").val();if(!t)return window.alert(woocommerce_admin_meta_boxes.no_customer_selected),!1;var r={user_id:t,action:"woocommerce_get_customer_details",security:woocommerce_admin_meta_boxes.get_customer_details_nonce};e(this).closest("div.edit_address").block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:r,type:"POST",success:function(o){o&&o.billing&&e.each(o.billing,function(o,t){e(":input#_billing_"+o).val(t).trigger("change")}),e("div.edit_address").unblock()}})}return!1},load_shipping:function(o){if(!0===o||window.confirm(woocommerce_admin_meta_boxes.load_shipping)){var t=e("#customer_user").val();if(!t)return window.alert(woocommerce_admin_meta_boxes.no_customer_selected),!1;var r={user_id:t,action:"woocommerce_get_customer_details",security:woocommerce_admin_meta_boxes.get_customer_details_nonce};e(this).closest("div.edit_address").block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:r,type:"POST",success:function(o){o&&o.billing&&e.each(o.shipping,function(o,t){e(":input#_shipping_"+o).val(t).trigger("change")}),e("div.edit_address").unblock()}})}return!1},copy_billing_to_shipping:function(){return window.confirm(woocommerce_admin_meta_boxes.copy_billing)&&e('.order_data_column :input[name^="_billing_"]').each(function(){var o=e(this).attr("name");o=o.replace("_billing_","_shipping_"),e(":input#"+o).val(e(this).val()).trigger("change")}),!1},verify_bacs_payment:function(){if(!window.confirm(woocommerce_admin_meta_boxes.i18n_verify_bacs_payment))return!1;e("#order_data").block({message:null,overlayCSS:{background:"#fff",opacity:.6}});var o={action:"woocommerce_verify_bacs_payment",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.verify_bacs_payment_nonce};return e.post(woocommerce_admin_meta_boxes.ajax_url,o,function(o){o.success?(window.onbeforeunload="",window.location.reload()):(window.alert(o.data.error),e("#order_data").unblock())}),!1}},t={init:function(){this.stupidtable.init(),e("#woocommerce-order-items").on("click","button.add-line-item",this.add_line_item).on("click","button.add-coupon",this.add_coupon).on("click","a.remove-coupon",this.remove_coupon).on("click","button.refund-items",this.refund_items).on("click","button.refund-wizard",this.refund_wizard.open).on("click","button.record-deposit-payment",this.record_deposit_payment).on("click","button.save-deposit-payment",this.save_deposit_payment).on("click",".cancel-action",this.cancel).on("click",".refund-actions .cancel-action",this.track_cancel).on("click","button.add-order-item",this.add_item).on("click","button.add-order-fee",this.add_fee).on("click","button.add-order-shipping",this.add_shipping).on("click","button.add-order-tax",this.add_tax).on("click","button.save-action",this.save_line_items).on("click","a.delete-order-tax",this.delete_tax).on("click","button.calculate-action",this.recalculate).on("click","a.edit-order-item",this.edit_item).on("click","a.delete-order-item",this.delete_item).on("click",".delete_refund",this.refunds.delete_refund).on("click","button.do-api-refund, button.do-manual-refund",this.refunds.do_refund).on("change",".refund input.refund_line_total, .refund input.refund_line_tax",this.refunds.input_changed).on("change keyup",".wc-order-refund-items #refund_amount",this.refunds.amount_changed).on("change","input.refund_order_item_qty",this.refunds.refund_quantity_changed).on("change","input.quantity",this.quantity_changed).on("keyup change",".split-input :input",function(){var o=e(this).parent().prev().find(":input");o&&(""===o.val()||o.is(".match-total"))&&o.val(e(this).val()).addClass("match-total")}).on("keyup",".split-input :input",function(){e(this).removeClass("match-total")}).on("click","button.add_order_item_meta",this.item_meta.add).on("click","button.remove_order_item_meta",this.item_meta.remove).on("wc_order_items_reload",this.reload_items).on("wc_order_items_reloaded",this.reloaded_items),e(document.body).on("wc_backbone_modal_loaded",this.backbone.init).on("wc_backbone_modal_response",this.backbone.response).on("change",'.wc-refund-wizard-form input[name="mode"], .wc-refund-wizard-form input[name="items[]"]',this.refund_wizard.toggle_inputs).on("change",".wc-refund-wizard-select-all",this.refund_wizard.select_all).on("click",".wc-refund-wizard-preview",this.refund_wizard.preview).on("click",".wc-refund-wizard-back",this.refund_wizard.back).on("click",".wc-refund-wizard-refund",this.refund_wizard.refund)},block:function(){e("#woocommerce-order-items").block({message:null,overlayCSS:{background:"#fff",opacity:.6}})},unblock:function(){e("#woocommerce-order-items").unblock()},reload_items:function(){var o={order_id:woocommerce_admin_meta_boxes.post_id,action:"woocommerce_load_order_items",security:woocommerce_admin_meta_boxes.order_item_nonce};t.block(),e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:o,type:"POST",success:function(o){e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o),t.reloaded_items(),t.unblock()}})},reloaded_items:function(){o.init_tiptip(),t.stupidtable.init()},quantity_changed:function(){var o=e(this).closest("tr.item"),t=e(this).val(),r=e(this).attr("data-qty"),a=e("input.line_total",o),i=e("input.line_subtotal",o),n=accounting.unformat(a.attr("data-total"),woocommerce_admin.mon_decimal_point)/r;a.val(parseFloat(accounting.formatNumber(n*t,woocommerce_admin_meta_boxes.rounding_precision,"")).toString().replace(".",woocommerce_admin.mon_decimal_point));var d=accounting.unformat(i.attr("data-subtotal"),woocommerce_admin.mon_decimal_point)/r;i.val(parseFloat(accounting.formatNumber(d*t,woocommerce_admin_meta_boxes.rounding_precision,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)),e("input.line_tax",o).each(function(){var a=e(this),i=a.data("tax_id"),n=accounting.unformat(a.attr("data-total_tax"),woocommerce_admin.mon_decimal_point)/r,d=e('input.line_subtotal_tax[data-tax_id="'+i+'"]',o),c=accounting.unformat(d.attr("data-subtotal_tax"),woocommerce_admin.mon_decimal_point)/r,_="yes"===woocommerce_admin_meta_boxes.round_at_subtotal,m=woocommerce_admin_meta_boxes[_?"rounding_precision":"currency_format_num_decimals"];0<n&&a.val(parseFloat(accounting.formatNumber(n*t,m,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)),0<c&&d.val(parseFloat(accounting.formatNumber(c*t,m,"")).toString().replace(".",woocommerce_admin.mon_decimal_point))}),e(this).trigger("quantity_changed")},add_line_item:function(){return e("div.wc-order-add-item").slideDown(),e("div.wc-order-data-row-toggle").not("div.wc-order-add-item").slideUp(),window.wcTracks.recordEvent("order_edit_add_items_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()}),!1},add_coupon:function(){window.wcTracks.recordEvent("order_edit_add_coupon_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()});var o=window.prompt(woocommerce_admin_meta_boxes.i18n_apply_coupon);if(null==o)window.wcTracks.recordEvent("order_edit_add_coupon_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()});else{t.block();var r=e("#customer_user").val(),a=e("#_billing_email").val(),i=e.extend({},t.get_taxable_address(),{action:"woocommerce_add_coupon_discount",dataType:"json",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,coupon:o,user_id:r,user_email:a});e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:i,type:"POST",success:function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),t.reloaded_items(),t.unblock()):window.alert(o.data.error),t.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_added_coupon",{order_id:i.order_id,status:e("#order_status").val()})}})}return!1},remove_coupon:function(){var o=e(this);t.block();var r=e.extend({},t.get_taxable_address(),{action:"woocommerce_remove_order_coupon",dataType:"json",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,coupon:o.data("code")});e.post(woocommerce_admin_meta_boxes.ajax_url,r,function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),t.reloaded_items(),t.unblock()):window.alert(o.data.error),t.unblock()})},refund_items:function(){return e("div.wc-order-refund-items").slideDown(),e("div.wc-order-data-row-toggle").not("div.wc-order-refund-items").slideUp(),e("div.wc-order-totals-items").slideUp(),e("#woocommerce-order-items").find("div.refund").show(),e(".wc-order-edit-line-item .wc-order-edit-line-item-actions").hide(),window.wcTracks.recordEvent("order_edit_refund_button_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()}),!1},record_deposit_payment:function(){return e("div.wc-order-deposit-payment").slideDown(),e("div.wc-order-data-row-toggle").not("div.wc-order-deposit-payment").slideUp(),e("div.wc-order-totals-items").slideUp(),e(".wc-order-edit-line-item .wc-order-edit-line-item-actions").hide(),e("#deposit_payment_amount").trigger("focus"),!1},save_deposit_payment:function(){var o=e("#deposit_payment_amount").val();if(!window.confirm(woocommerce_admin_meta_boxes.i18n_record_deposit_payment))return!1;t.block();var r={action:"woocommerce_record_deposit_payment",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,amount:accounting.unformat(o,woocommerce_admin.mon_decimal_point),method:e("#deposit_payment_method").val(),note:e("#deposit_payment_note").val()};return e.post(woocommerce_admin_meta_boxes.ajax_url,r,function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),o.data.notes_html&&(e("ul.order_notes").empty(),e("ul.order_notes").append(e(o.data.notes_html).find("li"))),t.reloaded_items()):window.alert(o.data.error),t.unblock()}),!1},cancel:function(){return e("div.wc-order-data-row-toggle").not("div.wc-order-bulk-actions").slideUp(),e("div.wc-order-bulk-actions").slideDown(),e("div.wc-order-totals-items").slideDown(),e("#woocommerce-order-items").find("div.refund").hide(),e(".wc-order-edit-line-item .wc-order-edit-line-item-actions").show(),"true"===e(this).attr("data-reload")&&t.reload_items(),window.wcTracks.recordEvent("order_edit_add_items_cancelled",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()}),!1},track_cancel:function(){window.wcTracks.recordEvent("order_edit_refund_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()})},add_item:function(){return e(this).WCBackboneModal({template:"wc-modal-add-products"}),!1},add_fee:function(){window.wcTracks.recordEvent("order_edit_add_fee_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()});var o=window.prompt(woocommerce_admin_meta_boxes.i18n_add_fee);if(null==o)window.wcTracks.recordEvent("order_edit_add_fee_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()});else{t.block();var r=e.extend({},t.get_taxable_address(),{action:"woocommerce_add_order_fee",dataType:"json",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,amount:o});e.post(woocommerce_admin_meta_boxes.ajax_url,r,function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),t.reloaded_items(),t.unblock(),window.wcTracks.recordEvent("order_edit_added_fee",{order_id:r.post_id,status:e("#order_status").val()})):window.alert(o.data.error),t.unblock()})}return!1},add_shipping:function(){t.block();var o={action:"woocommerce_add_order_shipping",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,dataType:"json"};return e.post(woocommerce_admin_meta_boxes.ajax_url,o,function(r){r.success?(e("table.woocommerce_order_items tbody#order_shipping_line_items").append(r.data.html),window.wcTracks.recordEvent("order_edit_add_shipping",{order_id:o.post_id,status:e("#order_status").val()})):window.alert(r.data.error),t.unblock()}),!1},add_tax:function(){return e(this).WCBackboneModal({template:"wc-modal-add-tax"}),!1},edit_item:function(){return e(this).closest("tr").find(".view").hide(),e(this).closest("tr").find(".edit").show(),e(this).hide(),e("button.add-line-item").trigger("click"),e("button.cancel-action").attr("data-reload",!0),window.wcTracks.recordEvent("order_edit_edit_item_click",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()}),!1},delete_item:function(){if(window.confirm(woocommerce_admin_meta_boxes.remove_item_notice)){var o=e(this).closest("tr.item, tr.fee, tr.shipping").attr("data-order_item_id");t.block();var r=e.extend({},t.get_taxable_address(),{order_id:woocommerce_admin_meta_boxes.post_id,order_item_ids:o,action:"woocommerce_remove_order_item",security:woocommerce_admin_meta_boxes.order_item_nonce});"true"===e("button.cancel-action").attr("data-reload")&&(r.items=e("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize()),e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:r,type:"POST",success:function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),o.data.notes_html&&(e("ul.order_notes").empty(),e("ul.order_notes").append(e(o.data.notes_html).find("li"))),t.reloaded_items(),t.unblock()):window.alert(o.data.error),t.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_remove_item",{order_id:r.post_id,status:e("#order_status").val()})}})}return!1},delete_tax:function(){if(window.confirm(woocommerce_admin_meta_boxes.i18n_delete_tax)){t.block();var o={action:"woocommerce_remove_order_tax",rate_id:e(this).attr("data-rate_id"),order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce};e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:o,type:"POST",success:function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),t.reloaded_items(),t.unblock()):window.alert(o.data.error),t.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_delete_tax",{order_id:o.order_id,status:e("#order_status").val()})}})}else window.wcTracks.recordEvent("order_edit_delete_tax_cancel",{order_id:woocommerce_admin_meta_boxes.post_id,status:e("#order_status").val()});return!1},get_taxable_address:function(){var o="",t="",r="",a="";return"shipping"===woocommerce_admin_meta_boxes.tax_based_on&&(o=e("#_shipping_country").val(),t=e("#_shipping_state").val(),r=e("#_shipping_postcode").val(),a=e("#_shipping_city").val()),"billing"!==woocommerce_admin_meta_boxes.tax_based_on&&o||(o=e("#_billing_country").val(),t=e("#_billing_state").val(),r=e("#_billing_postcode").val(),a=e("#_billing_city").val()),{country:o,state:t,postcode:r,city:a}},recalculate:function(){if(window.confirm(woocommerce_admin_meta_boxes.calc_totals)){t.block();var o=e.extend({},t.get_taxable_address(),{action:"woocommerce_calc_line_taxes",order_id:woocommerce_admin_meta_boxes.post_id,items:e("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize(),security:woocommerce_admin_meta_boxes.calc_totals_nonce});e(document.body).trigger("order-totals-recalculate-before",o),e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:o,type:"POST",success:function(o){e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o),t.reloaded_items(),t.unblock(),e(document.body).trigger("order-totals-recalculate-success",o)},complete:function(t){e(document.body).trigger("order-totals-recalculate-complete",t),window.wcTracks.recordEvent("order_edit_recalc_totals",{order_id:o.post_id,OK_cancel:"OK",status:e("#order_status").val()})}})}else window.wcTracks.recordEvent("order_edit_recalc_totals",{order_id:woocommerce_admin_meta_boxes.post_id,OK_cancel:"cancel",status:e("#order_status").val()});return!1},save_line_items:function(){var o={order_id:woocommerce_admin_meta_boxes.post_id,items:e("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize(),action:"woocommerce_save_order_items",security:woocommerce_admin_meta_boxes.order_item_nonce};return t.block(),e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:o,type:"POST",success:function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),o.data.notes_html&&(e("ul.order_notes").empty(),e("ul.order_notes").append(e(o.data.notes_html).find("li"))),t.reloaded_items(),t.unblock(),o.data.errors&&o.data.errors.length&&window.alert(o.data.errors.join("\n"))):(t.unblock(),window.alert(o.data.error))},complete:function(){window.wcTracks.recordEvent("order_edit_save_line_items",{order_id:o.post_id,status:e("#order_status").val()})}}),e(this).trigger("items_saved"),!1},refunds:{do_refund:function(){if(t.block(),window.confirm(woocommerce_admin_meta_boxes.i18n_do_refund)){var o=e("input#refund_amount").val(),r=e("input#refund_reason").val(),a=e("input#refunded_amount").val(),i={},n={},d={};e(".refund input.refund_order_item_qty").each(function(o,t){e(t).closest("tr").data("order_item_id")&&t.value&&(i[e(t).closest("tr").data("order_item_id")]=t.value)}),e(".refund input.refund_line_total").each(function(o,t){e(t).closest("tr").data("order_item_id")&&(n[e(t).closest("tr").data("order_item_id")]=accounting.unformat(t.value,woocommerce_admin.mon_decimal_point))}),e(".refund input.refund_line_tax").each(function(o,t){if(e(t).closest("tr").data("order_item_id")){var r=e(t).data("tax_id");d[e(t).closest("tr").data("order_item_id")]||(d[e(t).closest("tr").data("order_item_id")]={}),d[e(t).closest("tr").data("order_item_id")][r]=accounting.unformat(t.value,woocommerce_admin.mon_decimal_point)}});var c={action:"woocommerce_refund_line_items",order_id:woocommerce_admin_meta_boxes.post_id,refund_amount:o,refunded_amount:a,refund_reason:r,line_item_qtys:JSON.stringify(i,null,""),line_item_totals:JSON.stringify(n,null,""),line_item_tax_totals:JSON.stringify(d,null,""),api_refund:e(this).is(".do-api-refund"),restock_refunded_items:e("#restock_refunded_items:checked").length?"true":"false",security:woocommerce_admin_meta_boxes.order_item_nonce};e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:c,type:"POST",success:function(e){!0===e.success?window.location.reload():(window.alert(e.data.error),t.reload_items(),t.unblock())},complete:function(){window.wcTracks.recordEvent("order_edit_refunded",{order_id:c.order_id,status:e("#order_status").val(),api_refund:c.api_refund,has_reason:Boolean(c.refund_reason.length),restock:"true"===c.restock_refunded_items})}})}else t.unblock()},delete_refund:function(){if(window.confirm(woocommerce_admin_meta_boxes.i18n_delete_refund)){var o=e(this).closest("tr.refund").attr("data-order_refund_id");t.block();var r={action:"woocommerce_delete_refund",refund_id:o,security:woocommerce_admin_meta_boxes.order_item_nonce};e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:r,type:"POST",success:function(){t.reload_items()}})}return!1},input_changed:function(){var o=0;e(".woocommerce_order_items").find("tr.item, tr.fee, tr.shipping").each(function(){e(this).find(".refund input:not(.refund_order_item_qty)").each(function(t,r){o+=parseFloat(accounting.unformat(e(r).val()||0,woocommerce_admin.mon_decimal_point))})}),e("#refund_amount").val(accounting.formatNumber(o,woocommerce_admin_meta_boxes.currency_format_num_decimals,"",woocommerce_admin.mon_decimal_point)).trigger("change")},amount_changed:function(){var o=accounting.unformat(e(this).val(),woocommerce_admin.mon_decimal_point);e("button .wc-order-refund-amount .amount").text(accounting.formatMoney(o,{symbol:woocommerce_admin_meta_boxes.currency_format_symbol,decimal:woocommerce_admin_meta_boxes.currency_format_decimal_sep,thousand:woocommerce_admin_meta_boxes.currency_format_thousand_sep,precision:woocommerce_admin_meta_boxes.currency_format_num_decimals,format:woocommerce_admin_meta_boxes.currency_format}))},refund_quantity_changed:function(){var o=e(this).closest("tr.item"),t=o.find("input.quantity").val(),r=e(this).val(),a=e("input.line_total",o),i=e("input.refund_line_total",o),n=accounting.unformat(a.attr("data-total"),woocommerce_admin.mon_decimal_point)/t;i.val(parseFloat(accounting.formatNumber(n*r,woocommerce_admin_meta_boxes.rounding_precision,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)).trigger("change"),e(".refund_line_tax",o).each(function(){var a=e(this),i=a.data("tax_id"),n=e('input.line_tax[data-tax_id="'+i+'"]',o),d=accounting.unformat(n.data("total_tax"),woocommerce_admin.mon_decimal_point)/t;if(0<d){var c="yes"===woocommerce_admin_meta_boxes.round_at_subtotal,_=woocommerce_admin_meta_boxes[c?"rounding_precision":"currency_format_num_decimals"];a.val(parseFloat(accounting.formatNumber(d*r,_,"")).toString().replace(".",woocommerce_admin.mon_decimal_point)).trigger("change")}else a.val(0).trigger("change")}),r>0?e("#restock_refunded_items").closest("tr").show():(e("#restock_refunded_items").closest("tr").hide(),e(".woocommerce_order_items input.refund_order_item_qty").each(function(){e(this).val()>0&&e("#restock_refunded_items").closest("tr").show()})),e(this).trigger("refund_quantity_changed")}},item_meta:{add:function(){var o=e(this).closest("tr.item, tr.shipping"),t=o.find("tbody.meta_items"),r=t.find("tr").length+1,a='<tr data-meta_id="0"><td><input type="text" maxlength="255" placeholder="'+woocommerce_admin_meta_boxes_order.placeholder_name+'" name="meta_key['+o.attr("data-order_item_id")+"][new-"+r+']" /><textarea placeholder="'+woocommerce_admin_meta_boxes_order.placeholder_value+'" name="meta_value['+o.attr("data-order_item_id")+"][new-"+r+']"></textarea></td><td width="1%"><button class="remove_order_item_meta button">&times;</button></td></tr>';return t.append(a),!1},remove:function(){if(window.confirm(woocommerce_admin_meta_boxes.remove_item_meta)){var o=e(this).closest("tr");o.find(":input").val(""),o.hide()}return!1}},refund_wizard:{open:function(){return e(this).WCBackboneModal({template:"wc-modal-refund-wizard",variable:{lines:e(this).data("lines")||[]}}),!1},get_form:function(){return e("#wc-backbone-modal-dialog form.wc-refund-wizard-form")},block:function(){e("#wc-backbone-modal-dialog .wc-backbone-modal-content").block({message:null,overlayCSS:{background:"#fff",opacity:.6}})},unblock:function(){e("#wc-backbone-modal-dialog .wc-backbone-modal-content").unblock()},toggle_inputs:function(){var o=t.refund_wizard.get_form(),r=o.find('input[name="mode"]:checked').val();o.find('input[name="percentage"]').prop("disabled","percentage"!==r),o.find('input[name="items[]"]').each(function(){var o=e(this).closest("tr"),t=e(this).is(":checked");o.find(".wc-refund-wizard-qty").prop("disabled",!t||"partial"!==r),o.find(".wc-refund-wizard-addons input").prop("disabled",t)})},select_all:function(){t.refund_wizard.get_form().find('input[name="items[]"]').prop("checked",e(this).is(":checked")),t.refund_wizard.toggle_inputs()},preview:function(){var o=t.refund_wizard.get_form();return t.refund_wizard.block(),e.post(woocommerce_admin_meta_boxes.ajax_url,o.serialize()+"&"+e.param({action:"woocommerce_refund_wizard_preview",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce}),function(r){r.success?(o.data("amount",r.data.amount),o.find(".wc-refund-wizard-choices").hide(),o.find(".wc-refund-wizard-summary").html(r.data.html).show(),e("#wc-backbone-modal-dialog .wc-refund-wizard-preview").hide(),e("#wc-backbone-modal-dialog .wc-refund-wizard-back").show()):window.alert(r.data.error),t.refund_wizard.unblock()}),!1},back:function(){var o=t.refund_wizard.get_form();return o.find(".wc-refund-wizard-summary").hide().empty(),o.find(".wc-refund-wizard-choices").show(),e("#wc-backbone-modal-dialog .wc-refund-wizard-back").hide(),e("#wc-backbone-modal-dialog .wc-refund-wizard-preview").show(),!1},refund:function(){var o=t.refund_wizard.get_form();return!!window.confirm(woocommerce_admin_meta_boxes.i18n_do_refund)&&(t.refund_wizard.block(),e.post(woocommerce_admin_meta_boxes.ajax_url,o.serialize()+"&"+e.param({action:"woocommerce_refund_wizard_refund",order_id:woocommerce_admin_meta_boxes.post_id,refund_amount:o.data("amount"),refunded_amount:e("input#refunded_amount").val(),api_refund:e(this).data("apiRefund")?"true":"false",security:woocommerce_admin_meta_boxes.order_item_nonce}),function(e){e.success?window.location.reload():(window.alert(e.data.error),t.refund_wizard.unblock())}),!1)}},backbone:{init:function(o,r){"wc-modal-refund-wizard"===r&&t.refund_wizard.toggle_inputs(),"wc-modal-add-products"===r&&(e(document.body).trigger("wc-enhanced-select-init"),e(this).on("change",".wc-product-search",function(){if(e(this).closest("tr").is(":last-child")){var o=e(this).closest("table.widefat").find("tbody"),t=o.find("tr").length,r=o.data("row").replace(/\[0\]/g,"["+t+"]");o.append("<tr>"+r+"</tr>"),e(document.body).trigger("wc-enhanced-select-init")}}))},response:function(o,r,a){if("wc-modal-add-tax"===r){var i=a.add_order_tax,n="";a.manual_tax_rate_id&&(n=a.manual_tax_rate_id),t.backbone.add_tax(i,n)}if("wc-modal-add-products"===r){var d=e(this).find("table.widefat").find("tbody").find("tr"),c=[];return e(d).each(function(){var o=e(this).find(':input[name="item_id"]').val(),t=e(this).find(':input[name="item_qty"]').val();c.push({id:o,qty:t||1})}),t.backbone.add_items(c)}},add_items:function(o){t.block();var r={action:"woocommerce_add_order_item",order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce,data:o};"true"===e("button.cancel-action").attr("data-reload")&&(r.items=e("table.woocommerce_order_items :input[name], .wc-order-totals-items :input[name]").serialize()),e.ajax({type:"POST",url:woocommerce_admin_meta_boxes.ajax_url,data:r,success:function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),o.data.notes_html&&(e("ul.order_notes").empty(),e("ul.order_notes").append(e(o.data.notes_html).find("li"))),t.reloaded_items(),t.unblock()):(t.unblock(),window.alert(o.data.error))},complete:function(){window.wcTracks.recordEvent("order_edit_add_products",{order_id:r.post_id,status:e("#order_status").val()})},dataType:"json"})},add_tax:function(o,r){if(r&&(o=r),!o)return!1;var a=e(".order-tax-id").map(function(){return e(this).val()}).get();if(-1===e.inArray(o,a)){t.block();var i={action:"woocommerce_add_order_tax",rate_id:o,order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.order_item_nonce};e.ajax({url:woocommerce_admin_meta_boxes.ajax_url,data:i,dataType:"json",type:"POST",success:function(o){o.success?(e("#woocommerce-order-items").find(".inside").empty(),e("#woocommerce-order-items").find(".inside").append(o.data.html),t.reloaded_items()):window.alert(o.data.error),t.unblock()},complete:function(){window.wcTracks.recordEvent("order_edit_add_tax",{order_id:i.post_id,status:e("#order_status").val()})}})}else window.alert(woocommerce_admin_meta_boxes.i18n_tax_rate_already_exists)}},stupidtable:{init:function(){e(".woocommerce_order_items").stupidtable(),e(".woocommerce_order_items").on("aftertablesort",this.add_arrows)},add_arrows:function(o,t){var r=e(this).find("th"),a="asc"===t.direction?"&uarr;":"&darr;",i=t.column;r.find(".wc-arrow").remove(),r.eq(i).append('<span class="wc-arrow">'+a+"</span>")}}},r={init:function(){e("#woocommerce-order-notes").on("click","button.add_note",this.add_order_note).on("click","a.delete_note",this.delete_order_note)},add_order_note:function(){if(e("textarea#add_order_note").val()){e("#woocommerce-order-notes").block({message:null,overlayCSS:{background:"#fff",opacity:.6}});var o={action:"woocommerce_add_order_note",post_id:woocommerce_admin_meta_boxes.post_id,note:e("textarea#add_order_note").val(),note_type:e("select#order_note_type").val(),security:woocommerce_admin_meta_boxes.add_order_note_nonce};return e.post(woocommerce_admin_meta_boxes.ajax_url,o,function(t){e("ul.order_notes .no-items").remove(),e("ul.order_notes").prepend(t),e("#woocommerce-order-notes").unblock(),e("#add_order_note").val(""),window.wcTracks.recordEvent("order_edit_add_order_note",{order_id:o.post_id,note_type:o.note_type||"private",status:e("#order_status").val()})}),!1}},delete_order_note:function(){if(window.confirm(woocommerce_admin_meta_boxes.i18n_delete_note)){var o=e(this).closest("li.note");e(o).block({message:null,overlayCSS:{background:"#fff",opacity:.6}});var t={action:"woocommerce_delete_order_note",note_id:e(o).attr("rel"),security:woocommerce_admin_meta_boxes.delete_order_note_nonce};e.post(woocommerce_admin_meta_boxes.ajax_url,t,function(){e(o).remove()})}return!1}},a={init:function(){e(".order_download_permissions").on("click","button.grant_access",this.grant_access).on("click","button.revoke_access",this.revoke_access).on("click","#copy-download-link",this.copy_link).on("aftercopy","#copy-download-link",this.copy_success).on("aftercopyfailure","#copy-download-link",this.copy_fail)},grant_access:function(){var o=e("#grant_access_id").val();if(o){e(".order_download_permissions").block({message:null,overlayCSS:{background:"#fff",opacity:.6}});var t={action:"woocommerce_grant_access_to_download",product_ids:o,loop:e(".order_download_permissions .wc-metabox").length,order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.grant_access_nonce};return e.post(woocommerce_admin_meta_boxes.ajax_url,t,function(o){o?e(".order_download_permissions .wc-metaboxes").append(o):window.alert(woocommerce_admin_meta_boxes.i18n_download_permission_fail),e(document.body).trigger("wc-init-datepickers"),e("#grant_access_id").val("").trigger("change"),e(".order_download_permissions").unblock()}),!1}},revoke_access:function(){if(window.confirm(woocommerce_admin_meta_boxes.i18n_permission_revoke)){var o=e(this).parent().parent(),t=e(this).attr("rel").split(",")[0],r=e(this).attr("rel").split(",")[1],a=e(this).data("permission_id");if(t>0){e(o).block({message:null,overlayCSS:{background:"#fff",opacity:.6}});var i={action:"woocommerce_revoke_access_to_download",product_id:t,download_id:r,permission_id:a,order_id:woocommerce_admin_meta_boxes.post_id,security:woocommerce_admin_meta_boxes.revoke_access_nonce};e.post(woocommerce_admin_meta_boxes.ajax_url,i,function(){e(o).fadeOut("300",function(){e(o).remove()})})}else e(o).fadeOut("300",function(){e(o).remove()})}return!1},copy_link:function(o){wcClearClipboard(),wcSetClipboard(e(this).attr("href"),e(this)),o.preventDefault()},copy_success:function(){e(this).tipTip({attribute:"data-tip",activation:"focus",fadeIn:50,fadeOut:50,delay:0}).trigger("focus")},copy_fail:function(){e(this).tipTip({attribute:"data-tip-failed",activation:"focus",fadeIn:50,fadeOut:50,delay:0}).trigger("focus")}};o.init(),t.init(),r.init(),a.init()});
\ No newline at end of file
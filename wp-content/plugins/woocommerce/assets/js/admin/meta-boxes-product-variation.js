@@ -1074,9 +1074,678 @@ jQuery( function( $ ) {
 		}
 	};
 
+	/**
+	 * Variations grid editor
+	 */
+	var wc_meta_boxes_product_variations_grid = {
+
+		/**
+		 * Cell the selection was started from
+		 *
+		 * @type {Object}
+		 */
+		selection_start: null,
+
+		/**
+		 * wp.media frame object
+		 *
+		 * @type {Object}
+		 */
+		image_frame: null,
+
+		/**
+		 * Cell the image is being chosen for
+		 *
+		 * @type {Object}
+		 */
+		image_cell: null,
+
+		/**
+		 * Initialize grid editor
+		 */
+		init: function() {
+			$( '#variable_product_options' )
+				.on( 'click', 'a.toggle-variations-grid', this.toggle )
+				.on( 'change', '.variations-grid-filters select', this.filter )
+				.on( 'click', 'button.fill-down-variations-grid', this.fill_down )
+				.on( 'click', 'button.save-variations-grid', this.save_variations )
+				.on( 'click', 'button.cancel-variations-grid', this.cancel_variations )
+				.on( 'click', '.variations-grid a.variations-grid-image', this.set_image )
+				.on( 'click', '.variations-grid td.cell', this.select_cells )
+				.on( 'keydown', '.variations-grid', this.keydown )
+				.on( 'change', '.variations-grid :input', this.input_changed );
+
+			$( '#woocommerce-product-data' ).on( 'woocommerce_variations_loaded', this.reload );
+			$( document.body ).on( 'woocommerce_variations_added', this.reload );
+			$( 'form#post' ).on( 'submit', this.save_on_submit );
+		},
+
+		/**
+		 * Check if the grid is shown instead of the list of variations
+		 *
+		 * @return {Bool}
+		 */
+		is_active: function() {
+			return ! $( '#variable_product_options' ).find( '.woocommerce_variations_grid' ).hasClass( 'hidden' );
+		},
+
+		/**
+		 * Switch between the list of variations and the grid
+		 *
+		 * @return {Bool}
+		 */
+		toggle: function() {
+			var grid        = wc_meta_boxes_product_variations_grid,
+				need_update = $( '#variable_product_options' ).find( '.woocommerce_variations .variation-needs-update' );
+
+			if ( grid.is_active() ) {
+				grid.check_for_changes( grid.hide );
+			} else if ( 0 < need_update.length && window.confirm( woocommerce_admin_meta_boxes_variations.i18n_edited_variations ) ) {
+				wc_meta_boxes_product_variations_ajax.save_changes( grid.show );
+			} else {
+				need_update.removeClass( 'variation-needs-update' );
+				grid.show();
+			}
+
+			return false;
+		},
+
+		/**
+		 * Show the grid
+		 */
+		show: function() {
+			var wrapper = $( '#variable_product_options' ),
+				button  = wrapper.find( 'a.toggle-variations-grid' );
+
+			button.text( button.attr( 'data-list-label' ) );
+			wrapper.find( '.woocommerce_variations_grid' ).removeClass( 'hidden' );
+
+			wc_meta_boxes_product_variations_grid.hide_list();
+			wc_meta_boxes_product_variations_grid.load_variations();
+		},
+
+		/**
+		 * Hide the grid and reload the list of variations
+		 */
+		hide: function() {
+			var wrapper = $( '#variable_product_options' ),
+				button  = wrapper.find( 'a.toggle-variations-grid' ),
+				list    = wrapper.find( '.woocommerce_variations' );
+
+			button.text( button.attr( 'data-grid-label' ) );
+			wrapper.find( '.woocommerce_variations_grid' ).addClass( 'hidden' );
+			list.show();
+
+			wc_meta_boxes_product_variations_pagenav.go_to_page( parseInt( list.attr( 'data-page' ), 10 ) );
+		},
+
+		/**
+		 * Hide the list of variations, its pagination and buttons
+		 */
+		hide_list: function() {
+			var wrapper = $( '#variable_product_options' );
+
+			wrapper.find( '.woocommerce_variations, .variations-pagenav' ).hide();
+			wrapper.find( 'button.save-variation-changes' ).closest( '.toolbar' ).hide();
+		},
+
+		/**
+		 * Reload the grid when variations are added, removed or bulk edited
+		 */
+		reload: function() {
+			var grid = wc_meta_boxes_product_variations_grid;
+
+			if ( grid.is_active() ) {
+				// Variations added while the grid is shown are already saved.
+				$( '#variable_product_options' ).find( '.woocommerce_variations .variation-needs-update' )
+					.removeClass( 'variation-needs-update' );
+
+				grid.hide_list();
+				grid.check_for_changes( grid.load_variations );
+			}
+		},
+
+		/**
+		 * Ask to save changes before they are lost
+		 *
+		 * @param {Function} callback Called once the changes are saved or discarded
+		 */
+		check_for_changes: function( callback ) {
+			var grid = wc_meta_boxes_product_variations_grid;
+
+			if (
+				0 < $( '.variations-grid tr.variation-needs-update' ).length &&
+				window.confirm( woocommerce_admin_meta_boxes_variations.i18n_edited_variations )
+			) {
+				grid.save_changes( function( saved ) {
+					if ( saved ) {
+						callback();
+					}
+				});
+			} else {
+				callback();
+			}
+		},
+
+		/**
+		 * Load all variations into the grid
+		 */
+		load_variations: function() {
+			var grid = wc_meta_boxes_product_variations_grid;
+
+			wc_meta_boxes_product_variations_ajax.block();
+
+			$.ajax({
+				url: woocommerce_admin_meta_boxes_variations.ajax_url,
+				data: {
+					action:     'woocommerce_load_variations_grid',
+					security:   woocommerce_admin_meta_boxes_variations.load_variations_nonce,
+					product_id: woocommerce_admin_meta_boxes_variations.post_id
+				},
+				type: 'POST',
+				success: function( response ) {
+					var tbody = $( '.variations-grid tbody' ).empty();
+
+					if ( response.success ) {
+						$.each( response.data.variations, function( index, variation ) {
+							tbody.append( grid.render_row( variation ) );
+						});
+					}
+
+					grid.show_errors( {} );
+					grid.filter();
+					$( 'button.save-variations-grid, button.cancel-variations-grid' ).prop( 'disabled', true );
+
+					wc_meta_boxes_product_variations_ajax.unblock();
+				}
+			});
+		},
+
+		/**
+		 * Get a grid cell
+		 *
+		 * @param {String} field Variation field edited in the cell
+		 * @param {Object} input
+		 *
+		 * @return {Object}
+		 */
+		get_cell: function( field, input ) {
+			return $( '<td class="cell" />' ).attr( 'data-field', field ).append( input );
+		},
+
+		/**
+		 * Get the grid row of a variation
+		 *
+		 * @param {Object} variation
+		 *
+		 * @return {Object}
+		 */
+		render_row: function( variation ) {
+			var grid         = wc_meta_boxes_product_variations_grid,
+				stock_status = $( '<select />' );
+
+			$.each( woocommerce_admin_meta_boxes_variations.stock_status_options, function( value, label ) {
+				stock_status.append( $( '<option />' ).val( value ).text( label ) );
+			});
+
+			return $( '<tr />' )
+				.attr( 'data-id', variation.id )
+				.data( 'attributes', variation.attributes )
+				.data( 'original_stock', variation.stock_quantity )
+				.append(
+					grid.get_cell( 'image_id', [
+						$( '<a href="#" class="variations-grid-image" />' )
+							.toggleClass( 'remove', !! variation.image_id )
+							.append( $( '<img />' ).attr( 'src', variation.image_url ) ),
+						$( '<input type="hidden" />' ).val( variation.image_id )
+					] ).addClass( 'image' ),
+					$( '<td class="name" />' ).text( '#' + variation.id + ' ' + variation.name ),
+					grid.get_cell( 'sku', $( '<input type="text" />' ).val( variation.sku ) ),
+					grid.get_cell( 'regular_price', $( '<input type="text" class="wc_input_price" />' ).val( variation.regular_price ) ),
+					grid.get_cell( 'sale_price', $( '<input type="text" class="wc_input_price" />' ).val( variation.sale_price ) ),
+					grid.get_cell( 'manage_stock', $( '<input type="checkbox" />' ).prop( 'checked', variation.manage_stock ) )
+						.addClass( 'manage-stock' ),
+					grid.get_cell( 'stock_quantity', $( '<input type="number" step="any" />' )
+						.val( variation.stock_quantity )
+						.prop( 'disabled', ! variation.manage_stock ) ),
+					grid.get_cell( 'stock_status', stock_status
+						.val( variation.stock_status )
+						.prop( 'disabled', variation.manage_stock ) ),
+					grid.get_cell( 'weight', $( '<input type="text" class="wc_input_decimal" />' ).val( variation.weight ) )
+				);
+		},
+
+		/**
+		 * Get the value of a cell
+		 *
+		 * @param {Object} cell
+		 *
+		 * @return {Mixed}
+		 */
+		get_value: function( cell ) {
+			var input = $( ':input', cell );
+
+			if ( 'image_id' === cell.attr( 'data-field' ) ) {
+				return {
+					id:  input.val(),
+					url: $( 'img', cell ).attr( 'src' )
+				};
+			}
+
+			if ( input.is( ':checkbox' ) ) {
+				return input.prop( 'checked' );
+			}
+
+			return input.val();
+		},
+
+		/**
+		 * Set the value of a cell
+		 *
+		 * @param {Object} cell
+		 * @param {Mixed} value
+		 */
+		set_value: function( cell, value ) {
+			var input = $( ':input', cell );
+
+			if ( 'image_id' === cell.attr( 'data-field' ) ) {
+				input.val( value.id );
+				$( 'img', cell ).attr( 'src', value.url );
+				$( 'a.variations-grid-image', cell ).toggleClass( 'remove', !! parseInt( value.id, 10 ) );
+			} else if ( input.is( ':checkbox' ) ) {
+				input.prop( 'checked', value );
+			} else {
+				input.val( value );
+			}
+
+			input.trigger( 'change' );
+		},
+
+		/**
+		 * Flag the cell as changed
+		 */
+		input_changed: function() {
+			var input = $( this ),
+				cell  = input.closest( 'td' ),
+				row   = cell.closest( 'tr' );
+
+			if ( 'manage_stock' === cell.attr( 'data-field' ) ) {
+				$( 'td[data-field="stock_quantity"] :input', row ).prop( 'disabled', ! input.prop( 'checked' ) );
+				$( 'td[data-field="stock_status"] :input', row ).prop( 'disabled', input.prop( 'checked' ) );
+			}
+
+			cell.addClass( 'changed' );
+			row.addClass( 'variation-needs-update' );
+
+			$( 'button.save-variations-grid, button.cancel-variations-grid' ).prop( 'disabled', false );
+		},
+
+		/**
+		 * Choose or remove the image of a variation
+		 *
+		 * @param {Object} event
+		 */
+		set_image: function( event ) {
+			var grid = wc_meta_boxes_product_variations_grid,
+				cell = $( this ).closest( 'td' );
+
+			event.preventDefault();
+
+			// Let modified clicks select the cell instead.
+			if ( event.shiftKey || event.ctrlKey || event.metaKey ) {
+				return;
+			}
+
+			if ( $( this ).is( '.remove' ) ) {
+				grid.set_value( cell, {
+					id:  '',
+					url: woocommerce_admin_meta_boxes_variations.woocommerce_placeholder_img_src
+				} );
+				return;
+			}
+
+			grid.image_cell = cell;
+
+			if ( ! grid.image_frame ) {
+				grid.image_frame = wp.media({
+					title: woocommerce_admin_meta_boxes_variations.i18n_choose_image,
+					button: {
+						text: woocommerce_admin_meta_boxes_variations.i18n_set_image
+					},
+					states: [
+						new wp.media.controller.Library({
+							title: woocommerce_admin_meta_boxes_variations.i18n_choose_image,
+							filterable: 'all'
+						})
+					]
+				});
+
+				grid.image_frame.on( 'select', function() {
+					var attachment = grid.image_frame.state().get( 'selection' ).first().toJSON(),
+						url = attachment.sizes && attachment.sizes.thumbnail ? attachment.sizes.thumbnail.url : attachment.url;
+
+					grid.set_value( grid.image_cell, {
+						id:  attachment.id,
+						url: url
+					} );
+				});
+			}
+
+			grid.image_frame.open();
+		},
+
+		/**
+		 * Get the cells of a column in the rows matching the filter
+		 *
+		 * @param {String} field
+		 *
+		 * @return {Object}
+		 */
+		get_column: function( field ) {
+			return $( '.variations-grid tbody tr[data-id]:visible td[data-field="' + field + '"]' );
+		},
+
+		/**
+		 * Select cells of a column. Shift-click selects a range of cells from the first one selected, ctrl-click
+		 * adds or removes a single cell.
+		 *
+		 * @param {Object} event
+		 */
+		select_cells: function( event ) {
+			var grid     = wc_meta_boxes_product_variations_grid,
+				cell     = $( this ),
+				start    = grid.selection_start,
+				selected = $( '.variations-grid td.selected' ),
+				column, from, to;
+
+			if ( start && start.attr( 'data-field' ) === cell.attr( 'data-field' ) && $.contains( document.documentElement, start[0] ) ) {
+				if ( event.shiftKey ) {
+					column = grid.get_column( cell.attr( 'data-field' ) );
+					from   = column.index( start );
+					to     = column.index( cell );
+
+					selected.removeClass( 'selected' );
+					column.slice( Math.min( from, to ), Math.max( from, to ) + 1 ).addClass( 'selected' );
+				} else if ( event.ctrlKey || event.metaKey ) {
+					cell.toggleClass( 'selected' );
+				} else {
+					grid.select_cell( cell );
+				}
+			} else {
+				grid.select_cell( cell );
+			}
+
+			$( 'button.fill-down-variations-grid' ).prop( 'disabled', 2 > $( '.variations-grid td.selected' ).length );
+		},
+
+		/**
+		 * Start a new selection from a cell
+		 *
+		 * @param {Object} cell
+		 */
+		select_cell: function( cell ) {
+			$( '.variations-grid td.selected' ).removeClass( 'selected' );
+
+			if ( cell ) {
+				cell.addClass( 'selected' );
+			}
+
+			wc_meta_boxes_product_variations_grid.selection_start = cell;
+
+			$( 'button.fill-down-variations-grid' ).prop( 'disabled', true );
+		},
+
+		/**
+		 * Fill down on Ctrl+D
+		 *
+		 * @param {Object} event
+		 */
+		keydown: function( event ) {
+			if ( ( event.ctrlKey || event.metaKey ) && 68 === event.which && 1 < $( '.variations-grid td.selected' ).length ) {
+				event.preventDefault();
+				wc_meta_boxes_product_variations_grid.fill_down();
+			}
+		},
+
+		/**
+		 * Copy the value of the first selected cell to the other selected cells
+		 *
+		 * @return {Bool}
+		 */
+		fill_down: function() {
+			var grid  = wc_meta_boxes_product_variations_grid,
+				cells = $( '.variations-grid td.selected:visible' ),
+				value = grid.get_value( cells.first() );
+
+			cells.slice( 1 ).each( function() {
+				var cell = $( this );
+
+				if ( ! $( ':input', cell ).prop( 'disabled' ) ) {
+					grid.set_value( cell, value );
+				}
+			});
+
+			return false;
+		},
+
+		/**
+		 * Show the variations which match the filter
+		 */
+		filter: function() {
+			var tbody   = $( '.variations-grid tbody' ),
+				filters = {},
+				shown   = 0;
+
+			$( '.variations-grid-filters select' ).each( function() {
+				if ( $( this ).val() ) {
+					filters[ $( this ).attr( 'data-attribute' ) ] = $( this ).val();
+				}
+			});
+
+			tbody.find( 'tr[data-id]' ).each( function() {
+				var row        = $( this ),
+					attributes = row.data( 'attributes' ),
+					visible    = true;
+
+				$.each( filters, function( attribute, value ) {
+					// Variations for any value of the attribute match every value.
+					if ( attributes[ attribute ] && attributes[ attribute ] !== value ) {
+						visible = false;
+					}
+				});
+
+				row.toggle( visible ).next( 'tr.variation-grid-error' ).toggle( visible );
+
+				if ( visible ) {
+					shown++;
+				}
+			});
+
+			tbody.find( 'tr.no-items' ).remove();
+
+			if ( 0 === shown ) {
+				tbody.append(
+					$( '<tr class="no-items" />' ).append(
+						$( '<td />' )
+							.attr( 'colspan', $( '.variations-grid thead th' ).length )
+							.text( woocommerce_admin_meta_boxes_variations.i18n_no_matching_variations )
+					)
+				);
+			}
+
+			wc_meta_boxes_product_variations_grid.select_cell( null );
+		},
+
+		/**
+		 * Get the changed values of the variations
+		 *
+		 * @return {Array}
+		 */
+		get_changes: function() {
+			var grid    = wc_meta_boxes_product_variations_grid,
+				changes = [];
+
+			$( '.variations-grid tr.variation-needs-update' ).each( function() {
+				var row    = $( this ),
+					change = {
+						id: row.attr( 'data-id' )
+					};
+
+				$( 'td.changed', row ).each( function() {
+					var cell  = $( this ),
+						field = cell.attr( 'data-field' ),
+						value = grid.get_value( cell );
+
+					if ( 'image_id' === field ) {
+						change[ field ] = value.id;
+					} else if ( 'manage_stock' === field ) {
+						change[ field ] = value ? 'yes' : 'no';
+					} else {
+						change[ field ] = value;
+					}
+				});
+
+				if ( undefined !== change.stock_quantity ) {
+					change.original_stock = row.data( 'original_stock' );
+				}
+
+				changes.push( change );
+			});
+
+			return changes;
+		},
+
+		/**
+		 * Save the changed variations in a single request
+		 *
+		 * @param {Function} callback Called once saving is complete, with whether all variations were saved
+		 */
+		save_changes: function( callback ) {
+			var grid    = wc_meta_boxes_product_variations_grid,
+				changes = grid.get_changes();
+
+			if ( 0 === changes.length ) {
+				if ( typeof callback === 'function' ) {
+					callback( true );
+				}
+				return;
+			}
+
+			wc_meta_boxes_product_variations_ajax.block();
+
+			$.ajax({
+				url: woocommerce_admin_meta_boxes_variations.ajax_url,
+				data: {
+					action:     'woocommerce_save_variations_grid',
+					security:   woocommerce_admin_meta_boxes_variations.save_variations_nonce,
+					product_id: woocommerce_admin_meta_boxes_variations.post_id,
+					variations: changes
+				},
+				type: 'POST',
+				success: function( response ) {
+					var errors = response.success ? response.data.errors : {};
+
+					if ( response.success ) {
+						$.each( response.data.variations, function( index, variation ) {
+							$( '.variations-grid tr[data-id="' + variation.id + '"]' ).replaceWith( grid.render_row( variation ) );
+						});
+					}
+
+					grid.show_errors( errors );
+					grid.filter();
+
+					if ( 0 === $( '.variations-grid tr.variation-needs-update' ).length ) {
+						$( 'button.save-variations-grid, button.cancel-variations-grid' ).prop( 'disabled', true );
+					}
+
+					$( '#woocommerce-product-data' ).trigger( 'woocommerce_variations_saved' );
+
+					if ( typeof callback === 'function' ) {
+						callback( response.success && $.isEmptyObject( errors ) );
+					}
+
+					wc_meta_boxes_product_variations_ajax.unblock();
+				}
+			});
+		},
+
+		/**
+		 * Show the errors of the variations which could not be saved under their rows
+		 *
+		 * @param {Object} errors Error messages keyed by variation ID
+		 */
+		show_errors: function( errors ) {
+			var container = $( '#variable_product_options' ).find( '.woocommerce_variations_grid' ),
+				tbody     = container.find( '.variations-grid tbody' );
+
+			container.find( '.notice' ).remove();
+			tbody.find( 'tr.variation-grid-error' ).remove();
+			tbody.find( 'tr.has-error' ).removeClass( 'has-error' );
+
+			if ( $.isEmptyObject( errors ) ) {
+				return;
+			}
+
+			$.each( errors, function( id, message ) {
+				var row = tbody.find( 'tr[data-id="' + id + '"]' );
+
+				row.addClass( 'has-error' ).after(
+					$( '<tr class="variation-grid-error" />' ).append(
+						$( '<td />' ).attr( 'colspan', row.children().length ).text( message )
+					)
+				);
+			});
+
+			container.find( '.variations-grid' ).before(
+				$( '<div class="error notice inline" />' ).append(
+					$( '<p />' ).text( woocommerce_admin_meta_boxes_variations.i18n_variations_grid_errors )
+				)
+			);
+		},
+
+		/**
+		 * Save variations
+		 *
+		 * @return {Bool}
+		 */
+		save_variations: function() {
+			wc_meta_boxes_product_variations_grid.save_changes();
+
+			return false;
+		},
+
+		/**
+		 * Discard changes
+		 *
+		 * @return {Bool}
+		 */
+		cancel_variations: function() {
+			wc_meta_boxes_product_variations_grid.load_variations();
+
+			return false;
+		},
+
+		/**
+		 * Save on post form submit
+		 *
+		 * @param {Object} e
+		 */
+		save_on_submit: function( e ) {
+			if ( ! e.isDefaultPrevented() && 0 < $( '.variations-grid tr.variation-needs-update' ).length ) {
+				e.preventDefault();
+				wc_meta_boxes_product_variations_grid.save_changes( function( saved ) {
+					if ( saved ) {
+						wc_meta_boxes_product_variations_ajax.save_on_submit_done();
+					}
+				});
+			}
+		}
+	};
+
 	wc_meta_boxes_product_variations_actions.init();
 	wc_meta_boxes_product_variations_media.init();
 	wc_meta_boxes_product_variations_ajax.init();
 	wc_meta_boxes_product_variations_pagenav.init();
+	wc_meta_boxes_product_variations_grid.init();
 
 });
@@ -1 +1 @@
-jQuery(function(c){"use strict";var o={init:function(){c("#variable_product_options").on("change","input.variable_is_downloadable",this.variable_is_downloadable).on("change","input.variable_is_virtual",this.variable_is_virtual).on("change","input.variable_manage_stock",this.variable_manage_stock).on("click","button.notice-dismiss",this.notice_dismiss).on("click","h3 .sort",this.set_menu_order).on("reload",this.reload),c("input.variable_is_downloadable, input.variable_is_virtual, input.variable_manage_stock").trigger("change"),c("#woocommerce-product-data").on("woocommerce_variations_loaded",this.variations_loaded),c(document.body).on("woocommerce_variations_added",this.variation_added)},reload:function(){n.load_variations(1),d.set_paginav(0)},variable_is_downloadable:function(){c(this).closest(".woocommerce_variation").find(".show_if_variation_downloadable").hide(),c(this).is(":checked")&&c(this).closest(".woocommerce_variation").find(".show_if_variation_downloadable").show()},variable_is_virtual:function(){c(this).closest(".woocommerce_variation").find(".hide_if_variation_virtual").show(),c(this).is(":checked")&&c(this).closest(".woocommerce_variation").find(".hide_if_variation_virtual").hide()},variable_manage_stock:function(){c(this).closest(".woocommerce_variation").find(".show_if_variation_manage_stock").hide(),c(this).closest(".woocommerce_variation").find(".variable_stock_status").show(),c(this).is(":checked")&&(c(this).closest(".woocommerce_variation").find(".show_if_variation_manage_stock").show(),c(this).closest(".woocommerce_variation").find(".variable_stock_status").hide()),c("input#_manage_stock:checked").length&&c(this).closest(".woocommerce_variation").find(".variable_stock_status").hide()},notice_dismiss:function(){c(this).closest("div.notice").remove()},variations_loaded:function(a,e){e=e||!1;var i=c("#woocommerce-product-data");e||(c("input.variable_is_downloadable, input.variable_is_virtual, input.variable_manage_stock",i).trigger("change"),c(".woocommerce_variation",i).each(function(a,e){var i=c(e),o=c(".sale_price_dates_from",i).val(),e=c(".sale_price_dates_to",i).val();""===o&&""===e||c("a.sale_schedule",i).trigger("click")}),c(".woocommerce_variations .variation-needs-update",i).removeClass("variation-needs-update"),c("button.cancel-variation-changes, button.save-variation-changes",i).attr("disabled","disabled")),c("#tiptip_holder").removeAttr("style"),c("#tiptip_arrow").removeAttr("style"),c(".woocommerce_variations .tips, .woocommerce_variations .help_tip, .woocommerce_variations .woocommerce-help-tip",i).tipTip({attribute:"data-tip",fadeIn:50,fadeOut:50,delay:200}),c(".sale_price_dates_fields",i).find("input").datepicker({defaultDate:"",dateFormat:"yy-mm-dd",numberOfMonths:1,showButtonPanel:!0,onSelect:function(){var a=c(this).is(".sale_price_dates_from")?"minDate":"maxDate",e=c(this).closest(".sale_price_dates_fields").find("input"),i=c(this).datepicker("getDate");e.not(this).datepicker("option",a,i),c(this).trigger("change")}}),c(".woocommerce_variations",i).sortable({items:".woocommerce_variation",cursor:"move",axis:"y",handle:".sort",scrollSensitivity:40,forcePlaceholderSize:!0,helper:"clone",opacity:.65,stop:function(){o.variation_row_indexes()}}),c(document.body).trigger("wc-enhanced-select-init")},variation_added:function(a,e){1===e&&o.variations_loaded(null,!0)},set_menu_order:function(a){a.preventDefault();var e=c(this).closest(".woocommerce_variation").find(".variation_menu_order"),a=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_enter_menu_order,e.val());null!=a&&(e.val(parseInt(a,10)).trigger("change"),n.save_variations())},variation_row_indexes:function(){var a=c("#variable_product_options").find(".woocommerce_variations"),a=parseInt(a.attr("data-page"),10),i=parseInt((a-1)*woocommerce_admin_meta_boxes_variations.variations_per_page,10);c(".woocommerce_variations .woocommerce_variation").each(function(a,e){c(".variation_menu_order",e).val(parseInt(c(e).index(".woocommerce_variations .woocommerce_variation"),10)+1+i).trigger("change")})}},t={variable_image_frame:null,setting_variation_image_id:null,setting_variation_image:null,wp_media_post_id:wp.media.model.settings.post.id,init:function(){c("#variable_product_options").on("click",".upload_image_button",this.add_image),c("a.add_media").on("click",this.restore_wp_media_post_id)},add_image:function(a){var e=c(this),i=e.attr("rel"),o=e.closest(".upload_image");if(t.setting_variation_image=o,t.setting_variation_image_id=i,a.preventDefault(),e.is(".remove"))c(".upload_image_id",t.setting_variation_image).val("").trigger("change"),t.setting_variation_image.find("img").eq(0).attr("src",woocommerce_admin_meta_boxes_variations.woocommerce_placeholder_img_src),t.setting_variation_image.find(".upload_image_button").removeClass("remove");else{if(t.variable_image_frame)return t.variable_image_frame.uploader.uploader.param("post_id",t.setting_variation_image_id),void t.variable_image_frame.open();wp.media.model.settings.post.id=t.setting_variation_image_id,t.variable_image_frame=wp.media.frames.variable_image=wp.media({title:woocommerce_admin_meta_boxes_variations.i18n_choose_image,button:{text:woocommerce_admin_meta_boxes_variations.i18n_set_image},states:[new wp.media.controller.Library({title:woocommerce_admin_meta_boxes_variations.i18n_choose_image,filterable:"all"})]}),t.variable_image_frame.on("select",function(){var a=t.variable_image_frame.state().get("selection").first().toJSON(),e=(a.sizes&&a.sizes.thumbnail?a.sizes.thumbnail:a).url;c(".upload_image_id",t.setting_variation_image).val(a.id).trigger("change"),t.setting_variation_image.find(".upload_image_button").addClass("remove"),t.setting_variation_image.find("img").eq(0).attr("src",e),wp.media.model.settings.post.id=t.wp_media_post_id}),t.variable_image_frame.open()}},restore_wp_media_post_id:function(){wp.media.model.settings.post.id=t.wp_media_post_id}},n={init:function(){c("li.variations_tab a").on("click",this.initial_load),c("#variable_product_options").on("click","button.save-variation-changes",this.save_variations).on("click","button.cancel-variation-changes",this.cancel_variations).on("click",".remove_variation",this.remove_variation).on("click",".downloadable_files a.delete",this.input_changed),c(document.body).on("change","#variable_product_options .woocommerce_variations :input",this.input_changed).on("change",".variations-defaults select",this.defaults_changed);var a=c("form#post");a.on("submit",this.save_on_submit),c("input:submit",a).on("click keypress",function(){a.data("callerid",this.id)}),c(".wc-metaboxes-wrapper").on("click","a.do_variation_action",this.do_variation_action)},check_for_changes:function(){var a=c("#variable_product_options").find(".woocommerce_variations .variation-needs-update");if(0<a.length){if(!window.confirm(woocommerce_admin_meta_boxes_variations.i18n_edited_variations))return a.removeClass("variation-needs-update"),!1;n.save_changes()}return!0},block:function(){c("#woocommerce-product-data").block({message:null,overlayCSS:{background:"#fff",opacity:.6}})},unblock:function(){c("#woocommerce-product-data").unblock()},initial_load:function(){0===c("#variable_product_options").find(".woocommerce_variations .woocommerce_variation").length&&d.go_to_page()},load_variations:function(e,a){e=e||1,a=a||woocommerce_admin_meta_boxes_variations.variations_per_page;var i=c("#variable_product_options").find(".woocommerce_variations");n.block(),c.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:{action:"woocommerce_load_variations",security:woocommerce_admin_meta_boxes_variations.load_variations_nonce,product_id:woocommerce_admin_meta_boxes_variations.post_id,attributes:i.data("attributes"),page:e,per_page:a},type:"POST",success:function(a){i.empty().append(a).attr("data-page",e),c("#woocommerce-product-data").trigger("woocommerce_variations_loaded"),n.unblock()}})},get_variations_fields:function(a){var i=c(":input",a).serializeJSON();return c(".variations-defaults select").each(function(a,e){e=c(e);i[e.attr("name")]=e.val()}),i},save_changes:function(e){var a=c("#variable_product_options").find(".woocommerce_variations"),i=c(".variation-needs-update",a),a={};0<i.length&&(n.block(),(a=n.get_variations_fields(i)).action="woocommerce_save_variations",a.security=woocommerce_admin_meta_boxes_variations.save_variations_nonce,a.product_id=woocommerce_admin_meta_boxes_variations.post_id,a["product-type"]=c("#product-type").val(),c.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:a,type:"POST",success:function(a){i.removeClass("variation-needs-update"),c("button.cancel-variation-changes, button.save-variation-changes").attr("disabled","disabled"),c("#woocommerce-product-data").trigger("woocommerce_variations_saved"),"function"==typeof e&&e(a),n.unblock()}}))},save_variations:function(){return c("#variable_product_options").trigger("woocommerce_variations_save_variations_button"),n.save_changes(function(a){var e=c("#variable_product_options").find(".woocommerce_variations"),i=e.attr("data-page");c("#variable_product_options").find("#woocommerce_errors").remove(),a&&e.before(a),c(".variations-defaults select").each(function(){c(this).attr("data-current",c(this).val())}),d.go_to_page(i)}),!1},save_on_submit:function(a){0<c("#variable_product_options").find(".woocommerce_variations .variation-needs-update").length&&(a.preventDefault(),c("#variable_product_options").trigger("woocommerce_variations_save_variations_on_submit"),n.save_changes(n.save_on_submit_done))},save_on_submit_done:function(){var a=c("form#post");("publish"===a.data("callerid")?a.append('<input type="hidden" name="publish" value="1" />'):a.append('<input type="hidden" name="save-post" value="1" />')).trigger("submit")},cancel_variations:function(){var a=parseInt(c("#variable_product_options").find(".woocommerce_variations").attr("data-page"),10);return c("#variable_product_options").find(".woocommerce_variations .variation-needs-update").removeClass("variation-needs-update"),c(".variations-defaults select").each(function(){c(this).val(c(this).attr("data-current"))}),d.go_to_page(a),!1},add_variation:function(){n.block();var a={action:"woocommerce_add_variation",post_id:woocommerce_admin_meta_boxes_variations.post_id,loop:c(".woocommerce_variation").length,security:woocommerce_admin_meta_boxes_variations.add_variation_nonce};return c.post(woocommerce_admin_meta_boxes_variations.ajax_url,a,function(a){a=c(a);a.addClass("variation-needs-update"),c(".woocommerce-notice-invalid-variation").remove(),c("#variable_product_options").find(".woocommerce_variations").prepend(a),c("button.cancel-variation-changes, button.save-variation-changes").prop("disabled",!1),c("#variable_product_options").trigger("woocommerce_variations_added",1),n.unblock()}),!1},remove_variation:function(){var a,e,i;return n.check_for_changes(),window.confirm(woocommerce_admin_meta_boxes_variations.i18n_remove_variation)&&(a=c(this).attr("rel"),e=[],i={action:"woocommerce_remove_variations"},n.block(),0<a?(e.push(a),i.variation_ids=e,i.security=woocommerce_admin_meta_boxes_variations.delete_variations_nonce,c.post(woocommerce_admin_meta_boxes_variations.ajax_url,i,function(){var a=c("#variable_product_options").find(".woocommerce_variations"),e=parseInt(a.attr("data-page"),10),i=Math.ceil((parseInt(a.attr("data-total"),10)-1)/woocommerce_admin_meta_boxes_variations.variations_per_page),a=1;c("#woocommerce-product-data").trigger("woocommerce_variations_removed"),e===i||e<=i?a=e:i<e&&0!==i&&(a=i),d.go_to_page(a,-1)})):n.unblock()),!1},link_all_variations:function(){var a;return n.check_for_changes(),window.confirm(woocommerce_admin_meta_boxes_variations.i18n_link_all_variations)&&(n.block(),a={action:"woocommerce_link_all_variations",post_id:woocommerce_admin_meta_boxes_variations.post_id,security:woocommerce_admin_meta_boxes_variations.link_variation_nonce},c.post(woocommerce_admin_meta_boxes_variations.ajax_url,a,function(a){a=parseInt(a,10);1===a?window.alert(a+" "+woocommerce_admin_meta_boxes_variations.i18n_variation_added):0===a||1<a?window.alert(a+" "+woocommerce_admin_meta_boxes_variations.i18n_variations_added):window.alert(woocommerce_admin_meta_boxes_variations.i18n_no_variations_added),0<a?(d.go_to_page(1,a),c("#variable_product_options").trigger("woocommerce_variations_added",a)):n.unblock()})),!1},input_changed:function(){c(this).closest(".woocommerce_variation").addClass("variation-needs-update"),c("button.cancel-variation-changes, button.save-variation-changes").prop("disabled",!1),c("#variable_product_options").trigger("woocommerce_variations_input_changed")},defaults_changed:function(){c(this).closest("#variable_product_options").find(".woocommerce_variation:first").addClass("variation-needs-update"),c("button.cancel-variation-changes, button.save-variation-changes").prop("disabled",!1),c("#variable_product_options").trigger("woocommerce_variations_defaults_changed")},do_variation_action:function(){var a,e=c("select.variation_actions").val(),i={},o=0;switch(e){case"add_variation":return void n.add_variation();case"link_all_variations":return void n.link_all_variations();case"delete_all":window.confirm(woocommerce_admin_meta_boxes_variations.i18n_delete_all_variations)&&window.confirm(woocommerce_admin_meta_boxes_variations.i18n_last_warning)&&(i.allowed=!0,o=-1*parseInt(c("#variable_product_options").find(".woocommerce_variations").attr("data-total"),10));break;case"variable_regular_price_increase":case"variable_regular_price_decrease":case"variable_sale_price_increase":case"variable_sale_price_decrease":if(null==(a=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_enter_a_value_fixed_or_percent)))return;0<=a.indexOf("%")?i.value=accounting.unformat(a.replace(/\%/,""),woocommerce_admin.mon_decimal_point)+"%":i.value=accounting.unformat(a,woocommerce_admin.mon_decimal_point);break;case"variable_regular_price":case"variable_sale_price":case"variable_stock":case"variable_low_stock_amount":case"variable_weight":case"variable_length":case"variable_width":case"variable_height":case"variable_download_limit":case"variable_download_expiry":if(null==(a=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_enter_a_value)))return;i.value=a;break;case"variable_sale_schedule":if(i.date_from=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_scheduled_sale_start),i.date_to=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_scheduled_sale_end),null===i.date_from&&(i.date_from=!1),null===i.date_to&&(i.date_to=!1),!1===i.date_to&&!1===i.date_from)return;break;default:c("select.variation_actions").trigger(e),i=c("select.variation_actions").triggerHandler(e+"_ajax_data",i)}"delete_all"===e&&i.allowed?c("#variable_product_options").find(".variation-needs-update").removeClass("variation-needs-update"):n.check_for_changes(),n.block(),c.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:{action:"woocommerce_bulk_edit_variations",security:woocommerce_admin_meta_boxes_variations.bulk_edit_variations_nonce,product_id:woocommerce_admin_meta_boxes_variations.post_id,product_type:c("#product-type").val(),bulk_action:e,data:i},type:"POST",success:function(){d.go_to_page(1,o)}})}},d={init:function(){c(document.body).on("woocommerce_variations_added",this.update_single_quantity).on("change",".variations-pagenav .page-selector",this.page_selector).on("click",".variations-pagenav .first-page",this.first_page).on("click",".variations-pagenav .prev-page",this.prev_page).on("click",".variations-pagenav .next-page",this.next_page).on("click",".variations-pagenav .last-page",this.last_page)},update_variations_count:function(a){var e=c("#variable_product_options").find(".woocommerce_variations"),i=parseInt(e.attr("data-total"),10)+a,a=c(".variations-pagenav .displaying-num");return e.attr("data-total",i),1===i?a.text(woocommerce_admin_meta_boxes_variations.i18n_variation_count_single.replace("%qty%",i)):a.text(woocommerce_admin_meta_boxes_variations.i18n_variation_count_plural.replace("%qty%",i)),i},update_single_quantity:function(a,e){var i;1===e&&(i=c(".variations-pagenav"),d.update_variations_count(e),i.is(":hidden")&&(c("option, optgroup",".variation_actions").show(),c(".variation_actions").val("add_variation"),c("#variable_product_options").find(".toolbar").show(),i.show(),c(".pagination-links",i).hide()))},set_paginav:function(a){var e=c("#variable_product_options").find(".woocommerce_variations"),i=d.update_variations_count(a),o=c("#variable_product_options").find(".toolbar"),t=c(".variation_actions"),n=c(".variations-pagenav"),a=c(".pagination-links",n),r=Math.ceil(i/woocommerce_admin_meta_boxes_variations.variations_per_page),_="";e.attr("data-total_pages",r),c(".total-pages",n).text(r);for(var s=1;s<=r;s++)_+='<option value="'+s+'">'+s+"</option>";c(".page-selector",n).empty().html(_),0===i?(o.not(".toolbar-top, .toolbar-buttons").hide(),n.hide(),c("option, optgroup",t).hide(),c(".variation_actions").val("add_variation"),c('option[data-global="true"]',t).show()):(o.show(),n.show(),c("option, optgroup",t).show(),c(".variation_actions").val("add_variation"),1===r?a.hide():a.show())},check_is_enabled:function(a){return!c(a).hasClass("disabled")},change_classes:function(a,e){var i=c(".variations-pagenav .first-page"),o=c(".variations-pagenav .prev-page"),t=c(".variations-pagenav .next-page"),n=c(".variations-pagenav .last-page");1===a?(i.addClass("disabled"),o.addClass("disabled")):(i.removeClass("disabled"),o.removeClass("disabled")),e===a?(t.addClass("disabled"),n.addClass("disabled")):(t.removeClass("disabled"),n.removeClass("disabled"))},set_page:function(a){c(".variations-pagenav .page-selector").val(a).first().trigger("change")},go_to_page:function(a,e){a=a||1,e=e||0,d.set_paginav(e),d.set_page(a)},page_selector:function(){var a=parseInt(c(this).val(),10),e=c("#variable_product_options").find(".woocommerce_variations");c(".variations-pagenav .page-selector").val(a),n.check_for_changes(),d.change_classes(a,parseInt(e.attr("data-total_pages"),10)),n.load_variations(a)},first_page:function(){return d.check_is_enabled(this)&&d.set_page(1),!1},prev_page:function(){var a;return d.check_is_enabled(this)&&(a=c("#variable_product_options").find(".woocommerce_variations"),a=0<(a=parseInt(a.attr("data-page"),10)-1)?a:1,d.set_page(a)),!1},next_page:function(){var a,e;return d.check_is_enabled(this)&&(a=c("#variable_product_options").find(".woocommerce_variations"),e=parseInt(a.attr("data-total_pages"),10),e=(a=parseInt(a.attr("data-page"),10)+1)<=e?a:e,d.set_page(e)),!1},last_page:function(){var a;return d.check_is_enabled(this)&&(a=c("#variable_product_options").find(".woocommerce_variations").attr("data-total_pages"),d.set_page(a)),!1}};o.init(),t.init(),n.init(),d.init()});
\ No newline at end of file
+jQuery(function(a){"use strict";var e={init:function(){a("#variable_product_options").on("change","input.variable_is_downloadable",this.variable_is_downloadable).on("change","input.variable_is_virtual",this.variable_is_virtual).on("change","input.variable_manage_stock",this.variable_manage_stock).on("click","button.notice-dismiss",this.notice_dismiss).on("click","h3 .sort",this.set_menu_order).on("reload",this.reload),a("input.variable_is_downloadable, input.variable_is_virtual, input.variable_manage_stock").trigger("change"),a("#woocommerce-product-data").on("woocommerce_variations_loaded",this.variations_loaded),a(document.body).on("woocommerce_variations_added",this.variation_added)},reload:function(){t.load_variations(1),o.set_paginav(0)},variable_is_downloadable:function(){a(this).closest(".woocommerce_variation").find(".show_if_variation_downloadable").hide(),a(this).is(":checked")&&a(this).closest(".woocommerce_variation").find(".show_if_variation_downloadable").show()},variable_is_virtual:function(){a(this).closest(".woocommerce_variation").find(".hide_if_variation_virtual").show(),a(this).is(":checked")&&a(this).closest(".woocommerce_variation").find(".hide_if_variation_virtual").hide()},variable_manage_stock:function(){a(this).closest(".woocommerce_variation").find(".show_if_variation_manage_stock").hide(),a(this).closest(".woocommerce_variation").find(".variable_stock_status").show(),a(this).is(":checked")&&(a(this).closest(".woocommerce_variation").find(".show_if_variation_manage_stock").show(),a(this).closest(".woocommerce_variation").find(".variable_stock_status").hide()),a("input#_manage_stock:checked").length&&a(this).closest(".woocommerce_variation").find(".variable_stock_status").hide()},notice_dismiss:function(){a(this).closest("div.notice").remove()},variations_loaded:function(i,t){t=t||!1;var o=a("#woocommerce-product-data");t||(a("input.variable_is_downloadable, input.variable_is_virtual, input.variable_manage_stock",o).trigger("change"),a(".woocommerce_variation",o).each(function(e,i){var t=a(i),o=a(".sale_price_dates_from",t).val(),n=a(".sale_price_dates_to",t).val();""===o&&""===n||a("a.sale_schedule",t).trigger("click")}),a(".woocommerce_variations .variation-needs-update",o).removeClass("variation-needs-update"),a("button.cancel-variation-changes, button.save-variation-changes",o).attr("disabled","disabled")),a("#tiptip_holder").removeAttr("style"),a("#tiptip_arrow").removeAttr("style"),a(".woocommerce_variations .tips, .woocommerce_variations .help_tip, .woocommerce_variations .woocommerce-help-tip",o).tipTip({attribute:"data-tip",fadeIn:50,fadeOut:50,delay:200}),a(".sale_price_dates_fields",o).find("input").datepicker({defaultDate:"",dateFormat:"yy-mm-dd",numberOfMonths:1,showButtonPanel:!0,onSelect:function(){var e=a(this).is(".sale_price_dates_from")?"minDate":"maxDate",i=a(this).closest(".sale_price_dates_fields").find("input"),t=a(this).datepicker("getDate");i.not(this).datepicker("option",e,t),a(this).trigger("change")}}),a(".woocommerce_variations",o).sortable({items:".woocommerce_variation",cursor:"move",axis:"y",handle:".sort",scrollSensitivity:40,forcePlaceholderSize:!0,helper:"clone",opacity:.65,stop:function(){e.variation_row_indexes()}}),a(document.body).trigger("wc-enhanced-select-init")},variation_added:function(a,i){1===i&&e.variations_loaded(null,!0)},set_menu_order:function(e){e.preventDefault();var i=a(this).closest(".woocommerce_variation").find(".variation_menu_order"),o=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_enter_menu_order,i.val());null!=o&&(i.val(parseInt(o,10)).trigger("change"),t.save_variations())},variation_row_indexes:function(){var e=a("#variable_product_options").find(".woocommerce_variations"),i=parseInt(e.attr("data-page"),10),t=parseInt((i-1)*woocommerce_admin_meta_boxes_variations.variations_per_page,10);a(".woocommerce_variations .woocommerce_variation").each(function(e,i){a(".variation_menu_order",i).val(parseInt(a(i).index(".woocommerce_variations .woocommerce_variation"),10)+1+t).trigger("change")})}},i={variable_image_frame:null,setting_variation_image_id:null,setting_variation_image:null,wp_media_post_id:wp.media.model.settings.post.id,init:function(){a("#variable_product_options").on("click",".upload_image_button",this.add_image),a("a.add_media").on("click",this.restore_wp_media_post_id)},add_image:function(e){var t=a(this),o=t.attr("rel"),n=t.closest(".upload_image");if(i.setting_variation_image=n,i.setting_variation_image_id=o,e.preventDefault(),t.is(".remove"))a(".upload_image_id",i.setting_variation_image).val("").trigger("change"),i.setting_variation_image.find("img").eq(0).attr("src",woocommerce_admin_meta_boxes_variations.woocommerce_placeholder_img_src),i.setting_variation_image.find(".upload_image_button").removeClass("remove");else{if(i.variable_image_frame)return i.variable_image_frame.uploader.uploader.param("post_id",i.setting_variation_image_id),void i.variable_image_frame.open();wp.media.model.settings.post.id=i.setting_variation_image_id,i.variable_image_frame=wp.media.frames.variable_image=wp.media({title:woocommerce_admin_meta_boxes_variations.i18n_choose_image,button:{text:woocommerce_admin_meta_boxes_variations.i18n_set_image},states:[new wp.media.controller.Library({title:woocommerce_admin_meta_boxes_variations.i18n_choose_image,filterable:"all"})]}),i.variable_image_frame.on("select",function(){var e=i.variable_image_frame.state().get("selection").first().toJSON(),t=e.sizes&&e.sizes.thumbnail?e.sizes.thumbnail.url:e.url;a(".upload_image_id",i.setting_variation_image).val(e.id).trigger("change"),i.setting_variation_image.find(".upload_image_button").addClass("remove"),i.setting_variation_image.find("img").eq(0).attr("src",t),wp.media.model.settings.post.id=i.wp_media_post_id}),i.variable_image_frame.open()}},restore_wp_media_post_id:function(){wp.media.model.settings.post.id=i.wp_media_post_id}},t={init:function(){a("li.variations_tab a").on("click",this.initial_load),a("#variable_product_options").on("click","button.save-variation-changes",this.save_variations).on("click","button.cancel-variation-changes",this.cancel_variations).on("click",".remove_variation",this.remove_variation).on("click",".downloadable_files a.delete",this.input_changed),a(document.body).on("change","#variable_product_options .woocommerce_variations :input",this.input_changed).on("change",".variations-defaults select",this.defaults_changed);var e=a("form#post");e.on("submit",this.save_on_submit),a("input:submit",e).on("click keypress",function(){e.data("callerid",this.id)}),a(".wc-metaboxes-wrapper").on("click","a.do_variation_action",this.do_variation_action)},check_for_changes:function(){var e=a("#variable_product_options").find(".woocommerce_variations .variation-needs-update");if(0<e.length){if(!window.confirm(woocommerce_admin_meta_boxes_variations.i18n_edited_variations))return e.removeClass("variation-needs-update"),!1;t.save_changes()}return!0},block:function(){a("#woocommerce-product-data").block({message:null,overlayCSS:{background:"#fff",opacity:.6}})},unblock:function(){a("#woocommerce-product-data").unblock()},initial_load:function(){0===a("#variable_product_options").find(".woocommerce_variations .woocommerce_variation").length&&o.go_to_page()},load_variations:function(e,i){e=e||1,i=i||woocommerce_admin_meta_boxes_variations.variations_per_page;var o=a("#variable_product_options").find(".woocommerce_variations");t.block(),a.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:{action:"woocommerce_load_variations",security:woocommerce_admin_meta_boxes_variations.load_variations_nonce,product_id:woocommerce_admin_meta_boxes_variations.post_id,attributes:o.data("attributes"),page:e,per_page:i},type:"POST",success:function(i){o.empty().append(i).attr("data-page",e),a("#woocommerce-product-data").trigger("woocommerce_variations_loaded"),t.unblock()}})},get_variations_fields:function(e){var i=a(":input",e).serializeJSON();return a(".variations-defaults select").each(function(e,t){var o=a(t);i[o.attr("name")]=o.val()}),i},save_changes:function(e){var i=a("#variable_product_options").find(".woocommerce_variations"),o=a(".variation-needs-update",i),n={};0<o.length&&(t.block(),(n=t.get_variations_fields(o)).action="woocommerce_save_variations",n.security=woocommerce_admin_meta_boxes_variations.save_variations_nonce,n.product_id=woocommerce_admin_meta_boxes_variations.post_id,n["product-type"]=a("#product-type").val(),a.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:n,type:"POST",success:function(i){o.removeClass("variation-needs-update"),a("button.cancel-variation-changes, button.save-variation-changes").attr("disabled","disabled"),a("#woocommerce-product-data").trigger("woocommerce_variations_saved"),"function"==typeof e&&e(i),t.unblock()}}))},save_variations:function(){return a("#variable_product_options").trigger("woocommerce_variations_save_variations_button"),t.save_changes(function(e){var i=a("#variable_product_options").find(".woocommerce_variations"),t=i.attr("data-page");a("#variable_product_options").find("#woocommerce_errors").remove(),e&&i.before(e),a(".variations-defaults select").each(function(){a(this).attr("data-current",a(this).val())}),o.go_to_page(t)}),!1},save_on_submit:function(e){0<a("#variable_product_options").find(".woocommerce_variations .variation-needs-update").length&&(e.preventDefault(),a("#variable_product_options").trigger("woocommerce_variations_save_variations_on_submit"),t.save_changes(t.save_on_submit_done))},save_on_submit_done:function(){var e=a("form#post");"publish"===e.data("callerid")?e.append('<input type="hidden" name="publish" value="1" />').trigger("submit"):e.append('<input type="hidden" name="save-post" value="1" />').trigger("submit")},cancel_variations:function(){var e=parseInt(a("#variable_product_options").find(".woocommerce_variations").attr("data-page"),10);return a("#variable_product_options").find(".woocommerce_variations .variation-needs-update").removeClass("variation-needs-update"),a(".variations-defaults select").each(function(){a(this).val(a(this).attr("data-current"))}),o.go_to_page(e),!1},add_variation:function(){t.block();var e={action:"woocommerce_add_variation",post_id:woocommerce_admin_meta_boxes_variations.post_id,loop:a(".woocommerce_variation").length,security:woocommerce_admin_meta_boxes_variations.add_variation_nonce};return a.post(woocommerce_admin_meta_boxes_variations.ajax_url,e,function(e){var i=a(e);i.addClass("variation-needs-update"),a(".woocommerce-notice-invalid-variation").remove(),a("#variable_product_options").find(".woocommerce_variations").prepend(i),a("button.cancel-variation-changes, button.save-variation-changes").prop("disabled",!1),a("#variable_product_options").trigger("woocommerce_variations_added",1),t.unblock()}),!1},remove_variation:function(){if(t.check_for_changes(),window.confirm(woocommerce_admin_meta_boxes_variations.i18n_remove_variation)){var e=a(this).attr("rel"),i=[],n={action:"woocommerce_remove_variations"};t.block(),0<e?(i.push(e),n.variation_ids=i,n.security=woocommerce_admin_meta_boxes_variations.delete_variations_nonce,a.post(woocommerce_admin_meta_boxes_variations.ajax_url,n,function(){var e=a("#variable_product_options").find(".woocommerce_variations"),i=parseInt(e.attr("data-page"),10),t=Math.ceil((parseInt(e.attr("data-total"),10)-1)/woocommerce_admin_meta_boxes_variations.variations_per_page),n=1;a("#woocommerce-product-data").trigger("woocommerce_variations_removed"),i===t||i<=t?n=i:i>t&&0!==t&&(n=t),o.go_to_page(n,-1)})):t.unblock()}return!1},link_all_variations:function(){if(t.check_for_changes(),window.confirm(woocommerce_admin_meta_boxes_variations.i18n_link_all_variations)){t.block();var e={action:"woocommerce_link_all_variations",post_id:woocommerce_admin_meta_boxes_variations.post_id,security:woocommerce_admin_meta_boxes_variations.link_variation_nonce};a.post(woocommerce_admin_meta_boxes_variations.ajax_url,e,function(e){var i=parseInt(e,10);1===i?window.alert(i+" "+woocommerce_admin_meta_boxes_variations.i18n_variation_added):0===i||i>1?window.alert(i+" "+woocommerce_admin_meta_boxes_variations.i18n_variations_added):window.alert(woocommerce_admin_meta_boxes_variations.i18n_no_variations_added),i>0?(o.go_to_page(1,i),a("#variable_product_options").trigger("woocommerce_variations_added",i)):t.unblock()})}return!1},input_changed:function(){a(this).closest(".woocommerce_variation").addClass("variation-needs-update"),a("button.cancel-variation-changes, button.save-variation-changes").prop("disabled",!1),a("#variable_product_options").trigger("woocommerce_variations_input_changed")},defaults_changed:function(){a(this).closest("#variable_product_options").find(".woocommerce_variation:first").addClass("variation-needs-update"),a("button.cancel-variation-changes, button.save-variation-changes").prop("disabled",!1),a("#variable_product_options").trigger("woocommerce_variations_defaults_changed")},do_variation_action:function(){var e,i=a("select.variation_actions").val(),n={},r=0;switch(i){case"add_variation":return void t.add_variation();case"link_all_variations":return void t.link_all_variations();case"delete_all":window.confirm(woocommerce_admin_meta_boxes_variations.i18n_delete_all_variations)&&window.confirm(woocommerce_admin_meta_boxes_variations.i18n_last_warning)&&(n.allowed=!0,r=-1*parseInt(a("#variable_product_options").find(".woocommerce_variations").attr("data-total"),10));break;case"variable_regular_price_increase":case"variable_regular_price_decrease":case"variable_sale_price_increase":case"variable_sale_price_decrease":if(null==(e=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_enter_a_value_fixed_or_percent)))return;e.indexOf("%")>=0?n.value=accounting.unformat(e.replace(/\%/,""),woocommerce_admin.mon_decimal_point)+"%":n.value=accounting.unformat(e,woocommerce_admin.mon_decimal_point);break;case"variable_regular_price":case"variable_sale_price":case"variable_stock":case"variable_low_stock_amount":case"variable_weight":case"variable_length":case"variable_width":case"variable_height":case"variable_download_limit":case"variable_download_expiry":if(null==(e=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_enter_a_value)))return;n.value=e;break;case"variable_sale_schedule":if(n.date_from=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_scheduled_sale_start),n.date_to=window.prompt(woocommerce_admin_meta_boxes_variations.i18n_scheduled_sale_end),null===n.date_from&&(n.date_from=!1),null===n.date_to&&(n.date_to=!1),!1===n.date_to&&!1===n.date_from)return;break;default:a("select.variation_actions").trigger(i),n=a("select.variation_actions").triggerHandler(i+"_ajax_data",n)}"delete_all"===i&&n.allowed?a("#variable_product_options").find(".variation-needs-update").removeClass("variation-needs-update"):t.check_for_changes(),t.block(),a.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:{action:"woocommerce_bulk_edit_variations",security:woocommerce_admin_meta_boxes_variations.bulk_edit_variations_nonce,product_id:woocommerce_admin_meta_boxes_variations.post_id,product_type:a("#product-type").val(),bulk_action:i,data:n},type:"POST",success:function(){o.go_to_page(1,r)}})}},o={init:function(){a(document.body).on("woocommerce_variations_added",this.update_single_quantity).on("change",".variations-pagenav .page-selector",this.page_selector).on("click",".variations-pagenav .first-page",this.first_page).on("click",".variations-pagenav .prev-page",this.prev_page).on("click",".variations-pagenav .next-page",this.next_page).on("click",".variations-pagenav .last-page",this.last_page)},update_variations_count:function(e){var i=a("#variable_product_options").find(".woocommerce_variations"),t=parseInt(i.attr("data-total"),10)+e,o=a(".variations-pagenav .displaying-num");return i.attr("data-total",t),1===t?o.text(woocommerce_admin_meta_boxes_variations.i18n_variation_count_single.replace("%qty%",t)):o.text(woocommerce_admin_meta_boxes_variations.i18n_variation_count_plural.replace("%qty%",t)),t},update_single_quantity:function(e,i){if(1===i){var t=a(".variations-pagenav");o.update_variations_count(i),t.is(":hidden")&&(a("option, optgroup",".variation_actions").show(),a(".variation_actions").val("add_variation"),a("#variable_product_options").find(".toolbar").show(),t.show(),a(".pagination-links",t).hide())}},set_paginav:function(e){var i=a("#variable_product_options").find(".woocommerce_variations"),t=o.update_variations_count(e),n=a("#variable_product_options").find(".toolbar"),r=a(".variation_actions"),s=a(".variations-pagenav"),_=a(".pagination-links",s),c=Math.ceil(t/woocommerce_admin_meta_boxes_variations.variations_per_page),d="";i.attr("data-total_pages",c),a(".total-pages",s).text(c);for(var l=1;l<=c;l++)d+='<option value="'+l+'">'+l+"</option>";a(".page-selector",s).empty().html(d),0===t?(n.not(".toolbar-top, .toolbar-buttons").hide(),s.hide(),a("option, optgroup",r).hide(),a(".variation_actions").val("add_variation"),a('option[data-global="true"]',r).show()):(n.show(),s.show(),a("option, optgroup",r).show(),a(".variation_actions").val("add_variation"),1===c?_.hide():_.show())},check_is_enabled:function(e){return!a(e).hasClass("disabled")},change_classes:function(e,i){var t=a(".variations-pagenav .first-page"),o=a(".variations-pagenav .prev-page"),n=a(".variations-pagenav .next-page"),r=a(".variations-pagenav .last-page");1===e?(t.addClass("disabled"),o.addClass("disabled")):(t.removeClass("disabled"),o.removeClass("disabled")),i===e?(n.addClass("disabled"),r.addClass("disabled")):(n.removeClass("disabled"),r.removeClass("disabled"))},set_page:function(e){a(".variations-pagenav .page-selector").val(e).first().trigger("change")},go_to_page:function(a,e){a=a||1,e=e||0,o.set_paginav(e),o.set_page(a)},page_selector:function(){var e=parseInt(a(this).val(),10),i=a("#variable_product_options").find(".woocommerce_variations");a(".variations-pagenav .page-selector").val(e),t.check_for_changes(),o.change_classes(e,parseInt(i.attr("data-total_pages"),10)),t.load_variations(e)},first_page:function(){return o.check_is_enabled(this)&&o.set_page(1),!1},prev_page:function(){if(o.check_is_enabled(this)){var e=a("#variable_product_options").find(".woocommerce_variations"),i=parseInt(e.attr("data-page"),10)-1,t=0<i?i:1;o.set_page(t)}return!1},next_page:function(){if(o.check_is_enabled(this)){var e=a("#variable_product_options").find(".woocommerce_variations"),i=parseInt(e.attr("data-total_pages"),10),t=parseInt(e.attr("data-page"),10)+1,n=i>=t?t:i;o.set_page(n)}return!1},last_page:function(){if(o.check_is_enabled(this)){var e=a("#variable_product_options").find(".woocommerce_variations").attr("data-total_pages");o.set_page(e)}return!1}},n={selection_start:null,image_frame:null,image_cell:null,init:function(){a("#variable_product_options").on("click","a.toggle-variations-grid",this.toggle).on("change",".variations-grid-filters select",this.filter).on("click","button.fill-down-variations-grid",this.fill_down).on("click","button.save-variations-grid",this.save_variations).on("click","button.cancel-variations-grid",this.cancel_variations).on("click",".variations-grid a.variations-grid-image",this.set_image).on("click",".variations-grid td.cell",this.select_cells).on("keydown",".variations-grid",this.keydown).on("change",".variations-grid :input",this.input_changed),a("#woocommerce-product-data").on("woocommerce_variations_loaded",this.reload),a(document.body).on("woocommerce_variations_added",this.reload),a("form#post").on("submit",this.save_on_submit)},is_active:function(){return!a("#variable_product_options").find(".woocommerce_variations_grid").hasClass("hidden")},toggle:function(){var e=n,i=a("#variable_product_options").find(".woocommerce_variations .variation-needs-update");return e.is_active()?e.check_for_changes(e.hide):0<i.length&&window.confirm(woocommerce_admin_meta_boxes_variations.i18n_edited_variations)?t.save_changes(e.show):(i.removeClass("variation-needs-update"),e.show()),!1},show:function(){var e=a("#variable_product_options"),i=e.find("a.toggle-variations-grid");i.text(i.attr("data-list-label")),e.find(".woocommerce_variations_grid").removeClass("hidden"),n.hide_list(),n.load_variations()},hide:function(){var e=a("#variable_product_options"),i=e.find("a.toggle-variations-grid"),t=e.find(".woocommerce_variations");i.text(i.attr("data-grid-label")),e.find(".woocommerce_variations_grid").addClass("hidden"),t.show(),o.go_to_page(parseInt(t.attr("data-page"),10))},hide_list:function(){var e=a("#variable_product_options");e.find(".woocommerce_variations, .variations-pagenav").hide(),e.find("button.save-variation-changes").closest(".toolbar").hide()},reload:function(){var e=n;e.is_active()&&(a("#variable_product_options").find(".woocommerce_variations .variation-needs-update").removeClass("variation-needs-update"),e.hide_list(),e.check_for_changes(e.load_variations))},check_for_changes:function(e){var i=n;0<a(".variations-grid tr.variation-needs-update").length&&window.confirm(woocommerce_admin_meta_boxes_variations.i18n_edited_variations)?i.save_changes(function(a){a&&e()}):e()},load_variations:function(){var e=n;t.block(),a.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:{action:"woocommerce_load_variations_grid",security:woocommerce_admin_meta_boxes_variations.load_variations_nonce,product_id:woocommerce_admin_meta_boxes_variations.post_id},type:"POST",success:function(i){var o=a(".variations-grid tbody").empty();i.success&&a.each(i.data.variations,function(a,i){o.append(e.render_row(i))}),e.show_errors({}),e.filter(),a("button.save-variations-grid, button.cancel-variations-grid").prop("disabled",!0),t.unblock()}})},get_cell:function(e,i){return a('<td class="cell" />').attr("data-field",e).append(i)},render_row:function(e){var i=n,t=a("<select />");return a.each(woocommerce_admin_meta_boxes_variations.stock_status_options,function(e,i){t.append(a("<option />").val(e).text(i))}),a("<tr />").attr("data-id",e.id).data("attributes",e.attributes).data("original_stock",e.stock_quantity).append(i.get_cell("image_id",[a('<a href="#" class="variations-grid-image" />').toggleClass("remove",!!e.image_id).append(a("<img />").attr("src",e.image_url)),a('<input type="hidden" />').val(e.image_id)]).addClass("image"),a('<td class="name" />').text("#"+e.id+" "+e.name),i.get_cell("sku",a('<input type="text" />').val(e.sku)),i.get_cell("regular_price",a('<input type="text" class="wc_input_price" />').val(e.regular_price)),i.get_cell("sale_price",a('<input type="text" class="wc_input_price" />').val(e.sale_price)),i.get_cell("manage_stock",a('<input type="checkbox" />').prop("checked",e.manage_stock)).addClass("manage-stock"),i.get_cell("stock_quantity",a('<input type="number" step="any" />').val(e.stock_quantity).prop("disabled",!e.manage_stock)),i.get_cell("stock_status",t.val(e.stock_status).prop("disabled",e.manage_stock)),i.get_cell("weight",a('<input type="text" class="wc_input_decimal" />').val(e.weight)))},get_value:function(e){var i=a(":input",e);return"image_id"===e.attr("data-field")?{id:i.val(),url:a("img",e).attr("src")}:i.is(":checkbox")?i.prop("checked"):i.val()},set_value:function(e,i){var t=a(":input",e);"image_id"===e.attr("data-field")?(t.val(i.id),a("img",e).attr("src",i.url),a("a.variations-grid-image",e).toggleClass("remove",!!parseInt(i.id,10))):t.is(":checkbox")?t.prop("checked",i):t.val(i),t.trigger("change")},input_changed:function(){var e=a(this),i=e.closest("td"),t=i.closest("tr");"manage_stock"===i.attr("data-field")&&(a('td[data-field="stock_quantity"] :input',t).prop("disabled",!e.prop("checked")),a('td[data-field="stock_status"] :input',t).prop("disabled",e.prop("checked"))),i.addClass("changed"),t.addClass("variation-needs-update"),a("button.save-variations-grid, button.cancel-variations-grid").prop("disabled",!1)},set_image:function(e){var i=n,t=a(this).closest("td");e.preventDefault(),e.shiftKey||e.ctrlKey||e.metaKey||(a(this).is(".remove")?i.set_value(t,{id:"",url:woocommerce_admin_meta_boxes_variations.woocommerce_placeholder_img_src}):(i.image_cell=t,i.image_frame||(i.image_frame=wp.media({title:woocommerce_admin_meta_boxes_variations.i18n_choose_image,button:{text:woocommerce_admin_meta_boxes_variations.i18n_set_image},states:[new wp.media.controller.Library({title:woocommerce_admin_meta_boxes_variations.i18n_choose_image,filterable:"all"})]}),i.image_frame.on("select",function(){var a=i.image_frame.state().get("selection").first().toJSON(),e=a.sizes&&a.sizes.thumbnail?a.sizes.thumbnail.url:a.url;i.set_value(i.image_cell,{id:a.id,url:e})})),i.image_frame.open()))},get_column:function(e){return a('.variations-grid tbody tr[data-id]:visible td[data-field="'+e+'"]')},select_cells:function(e){var i,t,o,r=n,s=a(this),_=r.selection_start,c=a(".variations-grid td.selected");_&&_.attr("data-field")===s.attr("data-field")&&a.contains(document.documentElement,_[0])?e.shiftKey?(t=(i=r.get_column(s.attr("data-field"))).index(_),o=i.index(s),c.removeClass("selected"),i.slice(Math.min(t,o),Math.max(t,o)+1).addClass("selected")):e.ctrlKey||e.metaKey?s.toggleClass("selected"):r.select_cell(s):r.select_cell(s),a("button.fill-down-variations-grid").prop("disabled",2>a(".variations-grid td.selected").length)},select_cell:function(e){a(".variations-grid td.selected").removeClass("selected"),e&&e.addClass("selected"),n.selection_start=e,a("button.fill-down-variations-grid").prop("disabled",!0)},keydown:function(e){(e.ctrlKey||e.metaKey)&&68===e.which&&1<a(".variations-grid td.selected").length&&(e.preventDefault(),n.fill_down())},fill_down:function(){var e=n,i=a(".variations-grid td.selected:visible"),t=e.get_value(i.first());return i.slice(1).each(function(){var i=a(this);a(":input",i).prop("disabled")||e.set_value(i,t)}),!1},filter:function(){var e=a(".variations-grid tbody"),i={},t=0;a(".variations-grid-filters select").each(function(){a(this).val()&&(i[a(this).attr("data-attribute")]=a(this).val())}),e.find("tr[data-id]").each(function(){var e=a(this),o=e.data("attributes"),n=!0;a.each(i,function(a,e){o[a]&&o[a]!==e&&(n=!1)}),e.toggle(n).next("tr.variation-grid-error").toggle(n),n&&t++}),e.find("tr.no-items").remove(),0===t&&e.append(a('<tr class="no-items" />').append(a("<td />").attr("colspan",a(".variations-grid thead th").length).text(woocommerce_admin_meta_boxes_variations.i18n_no_matching_variations))),n.select_cell(null)},get_changes:function(){var e=n,i=[];return a(".variations-grid tr.variation-needs-update").each(function(){var t=a(this),o={id:t.attr("data-id")};a("td.changed",t).each(function(){var i=a(this),t=i.attr("data-field"),n=e.get_value(i);o[t]="image_id"===t?n.id:"manage_stock"===t?n?"yes":"no":n}),void 0!==o.stock_quantity&&(o.original_stock=t.data("original_stock")),i.push(o)}),i},save_changes:function(e){var i=n,o=i.get_changes();0!==o.length?(t.block(),a.ajax({url:woocommerce_admin_meta_boxes_variations.ajax_url,data:{action:"woocommerce_save_variations_grid",security:woocommerce_admin_meta_boxes_variations.save_variations_nonce,product_id:woocommerce_admin_meta_boxes_variations.post_id,variations:o},type:"POST",success:function(o){var n=o.success?o.data.errors:{};o.success&&a.each(o.data.variations,function(e,t){a('.variations-grid tr[data-id="'+t.id+'"]').replaceWith(i.render_row(t))}),i.show_errors(n),i.filter(),0===a(".variations-grid tr.variation-needs-update").length&&a("button.save-variations-grid, button.cancel-variations-grid").prop("disabled",!0),a("#woocommerce-product-data").trigger("woocommerce_variations_saved"),"function"==typeof e&&e(o.success&&a.isEmptyObject(n)),t.unblock()}})):"function"==typeof e&&e(!0)},show_errors:function(e){var i=a("#variable_product_options").find(".woocommerce_variations_grid"),t=i.find(".variations-grid tbody");i.find(".notice").remove(),t.find("tr.variation-grid-error").remove(),t.find("tr.has-error").removeClass("has-error"),a.isEmptyObject(e)||(a.each(e,function(e,i){var o=t.find('tr[data-id="'+e+'"]');o.addClass("has-error").after(a('<tr class="variation-grid-error" />').append(a("<td />").attr("colspan",o.children().length).text(i)))}),i.find(".variations-grid").before(a('<div class="error notice inline" />').append(a("<p />").text(woocommerce_admin_meta_boxes_variations.i18n_variations_grid_errors))))},save_variations:function(){return n.save_changes(),!1},cancel_variations:function(){return n.load_variations(),!1},save_on_submit:function(e){!e.isDefaultPrevented()&&0<a(".variations-grid tr.variation-needs-update").length&&(e.preventDefault(),n.save_changes(function(a){a&&t.save_on_submit_done()}))}};e.init(),i.init(),t.init(),o.init(),n.init()});
\ No newline at end of file
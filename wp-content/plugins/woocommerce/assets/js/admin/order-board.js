@@ -0,0 +1,135 @@
+/* global jQuery, wc_order_board_params */
+jQuery( function ( $ ) {
+
+	/**
+	 * Order board: moves orders between statuses by dragging them.
+	 */
+	var wcOrderBoard = {
+		init: function() {
+			$( '.wc-order-board__cards' ).sortable( {
+				connectWith: '.wc-order-board__cards',
+				items: '.wc-order-board__card',
+				placeholder: 'wc-order-board__placeholder',
+				cursor: 'move',
+				start: this.start,
+				stop: this.stop,
+				receive: this.receive
+			} );
+		},
+
+		/**
+		 * Highlight the statuses the order can move to.
+		 *
+		 * @param {Object} event
+		 * @param {Object} ui
+		 */
+		start: function( event, ui ) {
+			var next    = ui.item.data( 'nextStatuses' ) || [],
+				current = $( this ).closest( '.wc-order-board__column' ).data( 'status' );
+
+			$( '.wc-order-board__column' ).each( function() {
+				var status = $( this ).data( 'status' );
+
+				if ( status !== current ) {
+					$( this ).addClass( -1 !== $.inArray( status, next ) ? 'is-allowed' : 'is-not-allowed' );
+				}
+			} );
+		},
+
+		/**
+		 * Remove the highlights, and put back orders which were only reordered within their status.
+		 *
+		 * @param {Object} event
+		 * @param {Object} ui
+		 */
+		stop: function( event, ui ) {
+			$( '.wc-order-board__column' ).removeClass( 'is-allowed is-not-allowed' );
+
+			if ( ui.item.parent().is( this ) ) {
+				$( this ).sortable( 'cancel' );
+			}
+		},
+
+		/**
+		 * Move the order to the status it was dropped on. The change goes through the same checks as on the order
+		 * screen, the order is put back when it is refused.
+		 *
+		 * @param {Object} event
+		 * @param {Object} ui
+		 */
+		receive: function( event, ui ) {
+			var $card   = ui.item,
+				$from   = ui.sender,
+				$to     = $( this ),
+				$column = $to.closest( '.wc-order-board__column' );
+
+			$card.block( {
+				message: null,
+				overlayCSS: {
+					background: '#fff',
+					opacity: 0.6
+				}
+			} );
+
+			$.ajax( {
+				url:  wc_order_board_params.ajax_url,
+				type: 'POST',
+				data: {
+					action:   'woocommerce_order_board_transition',
+					security: wc_order_board_params.nonce,
+					order_id: $card.data( 'orderId' ),
+					status:   $column.data( 'status' )
+				}
+			} ).done( function( response ) {
+				if ( response.success ) {
+					$card.data( 'nextStatuses', response.data.next_statuses );
+					wcOrderBoard.updateCount( $from, -1 );
+					wcOrderBoard.updateCount( $to, 1 );
+					wcOrderBoard.insertCard( $card, $to );
+				} else {
+					wcOrderBoard.insertCard( $card, $from );
+					window.alert( response.data && response.data.error ? response.data.error : wc_order_board_params.i18n_error );
+				}
+			} ).fail( function() {
+				wcOrderBoard.insertCard( $card, $from );
+				window.alert( wc_order_board_params.i18n_error );
+			} ).always( function() {
+				$card.unblock();
+			} );
+		},
+
+		/**
+		 * Put a card in a status, keeping the newest orders first.
+		 *
+		 * @param {Object} $card  Card of the order.
+		 * @param {Object} $cards List of cards of the status.
+		 */
+		insertCard: function( $card, $cards ) {
+			var date  = parseInt( $card.data( 'date' ), 10 ),
+				$next = $cards.children( '.wc-order-board__card' ).not( $card ).filter( function() {
+					return parseInt( $( this ).data( 'date' ), 10 ) < date;
+				} ).first();
+
+			if ( $next.length ) {
+				$card.insertBefore( $next );
+			} else {
+				$card.appendTo( $cards );
+			}
+		},
+
+		/**
+		 * Update the number of orders shown for a status.
+		 *
+		 * @param {Object} $cards List of cards of the status.
+		 * @param {Number} change Number of orders added or removed.
+		 */
+		updateCount: function( $cards, change ) {
+			var $count = $cards.closest( '.wc-order-board__column' ).find( '.wc-order-board__count' ),
+				count  = Math.max( 0, parseInt( $count.data( 'count' ), 10 ) + change );
+
+			$count.data( 'count', count ).text( count );
+		}
+	};
+
+	wcOrderBoard.init();
+} );
@@ -0,0 +1 @@
+jQuery(function(r){var a={init:function(){r(".wc-order-board__cards").sortable({connectWith:".wc-order-board__cards",items:".wc-order-board__card",placeholder:"wc-order-board__placeholder",cursor:"move",start:this.start,stop:this.stop,receive:this.receive})},start:function(a,t){var o=t.item.data("nextStatuses")||[],e=r(this).closest(".wc-order-board__column").data("status");r(".wc-order-board__column").each(function(){var a=r(this).data("status");a!==e&&r(this).addClass(-1!==r.inArray(a,o)?"is-allowed":"is-not-allowed")})},stop:function(a,t){r(".wc-order-board__column").removeClass("is-allowed is-not-allowed"),t.item.parent().is(this)&&r(this).sortable("cancel")},receive:function(t,o){var e=o.item,d=o.sender,n=r(this),s=n.closest(".wc-order-board__column");e.block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),r.ajax({url:wc_order_board_params.ajax_url,type:"POST",data:{action:"woocommerce_order_board_transition",security:wc_order_board_params.nonce,order_id:e.data("orderId"),status:s.data("status")}}).done(function(r){r.success?(e.data("nextStatuses",r.data.next_statuses),a.updateCount(d,-1),a.updateCount(n,1),a.insertCard(e,n)):(a.insertCard(e,d),window.alert(r.data&&r.data.error?r.data.error:wc_order_board_params.i18n_error))}).fail(function(){a.insertCard(e,d),window.alert(wc_order_board_params.i18n_error)}).always(function(){e.unblock()})},insertCard:function(a,t){var o=parseInt(a.data("date"),10),e=t.children(".wc-order-board__card").not(a).filter(function(){return parseInt(r(this).data("date"),10)<o}).first();e.length?a.insertBefore(e):a.appendTo(t)},updateCount:function(r,a){var t=r.closest(".wc-order-board__column").find(".wc-order-board__count"),o=Math.max(0,parseInt(t.data("count"),10)+a);t.data("count",o).text(o)}};a.init()});
\ No newline at end of file
@@ -1,108 +1,870 @@
 jQuery(function( $ ) {
 
 	function showTooltip( x, y, contents ) {
-		$( '<div class="chart-tooltip">' + contents + '</div>' ).css( {
+		$( '<div class="chart-tooltip"></div>' ).text( contents ).css( {
 			top: y - 16,
 			left: x + 20
 		}).appendTo( 'body' ).fadeIn( 200 );
 	}
 
-	var prev_data_index = null;
-	var prev_series_index = null;
+	/**
+	 * Draw a sparkline of the dashboard, as bars or as a line.
+	 *
+	 * @param {Object} el Sparkline placeholder, holding [timestamp in milliseconds, value] points.
+	 */
+	function draw_sparkline( el ) {
+		var $el      = $( el ),
+			width    = $el.width(),
+			height   = $el.height(),
+			color    = $el.data( 'color' ),
+			bars     = $el.hasClass( 'bars' ),
+			barwidth = bars ? parseInt( $el.data( 'barwidth' ), 10 ) || 0 : 0,
+			data     = $.map( $el.data( 'sparkline' ) || [], function( point ) {
+				return [ [ parseInt( point[0], 10 ), parseFloat( point[1] ) || 0 ] ];
+			} ),
+			first, span, max, svg, path;
+
+		if ( ! data.length || ! width || ! height ) {
+			return;
+		}
+
+		first = data[0][0] - barwidth / 2;
+		span  = data[ data.length - 1 ][0] + barwidth / 2 - first || 1;
+		max   = Math.max.apply( Math, $.map( data, function( point ) {
+			return point[1];
+		} ) ) || 1;
+
+		function x( time ) {
+			return ( time - first ) / span * width;
+		}
+
+		function y( value ) {
+			return height - 0.5 - value / max * ( height - 1 );
+		}
 
-	$( '.chart-placeholder' ).on( 'plothover', function ( event, pos, item ) {
-		if ( item ) {
-			if ( prev_data_index !== item.dataIndex || prev_series_index !== item.seriesIndex ) {
-				prev_data_index   = item.dataIndex;
-				prev_series_index = item.seriesIndex;
+		svg = create_svg( 'svg', {
+			width:  width,
+			height: height
+		} );
 
+		if ( bars ) {
+			$.each( data, function( index, point ) {
+				if ( ! point[1] ) {
+					return;
+				}
+
+				svg.appendChild( create_svg( 'rect', {
+					x:      x( point[0] - barwidth / 2 ),
+					y:      y( point[1] ),
+					width:  Math.max( 1, barwidth / span * width ),
+					height: height - y( point[1] ),
+					fill:   color
+				} ) );
+			} );
+		} else {
+			path = '';
+
+			$.each( data, function( index, point ) {
+				path += ( index ? 'L' : 'M' ) + x( point[0] ) + ',' + y( point[1] );
+			} );
+
+			svg.appendChild( create_svg( 'path', {
+				d:              path,
+				fill:           'none',
+				stroke:         color,
+				'stroke-width': 1
+			} ) );
+		}
+
+		$el.empty().append( svg );
+	}
+
+	/**
+	 * Draw a donut chart of the share of each slice, showing the value of a slice when hovering it.
+	 *
+	 * @param {Object} el Chart placeholder, holding the slices and the unit of their values.
+	 */
+	function draw_pie_chart( el ) {
+		var $el    = $( el ),
+			chart  = $el.data( 'chart' ),
+			width  = $el.width(),
+			height = $el.height(),
+			radius = Math.min( width, height ) / 2,
+			middle = radius * 0.8,
+			length = 2 * Math.PI * middle,
+			total  = 0,
+			offset = 0,
+			svg;
+
+		$.each( chart.slices, function( index, slice ) {
+			total += slice.value;
+		} );
+
+		svg = create_svg( 'svg', {
+			width:  width,
+			height: height
+		} );
+
+		$.each( chart.slices, function( index, slice ) {
+			var dash = total ? slice.value / total * length : 0;
+
+			if ( ! dash ) {
+				return;
+			}
+
+			// Each slice is a dash of a thick circle outline, starting at the top.
+			$( svg.appendChild( create_svg( 'circle', {
+				cx:                  width / 2,
+				cy:                  height / 2,
+				r:                   middle,
+				fill:                'none',
+				stroke:              slice.color,
+				'stroke-width':      radius * 0.4,
+				'stroke-dasharray':  dash + ' ' + ( length - dash ),
+				'stroke-dashoffset': -offset,
+				transform:           'rotate(-90 ' + width / 2 + ' ' + height / 2 + ')'
+			} ) ) ).on( 'mouseenter', function( e ) {
+				$( '.chart-tooltip' ).remove();
+				showTooltip( e.pageX, e.pageY, slice.label + ': ' + format_number( slice.value, 0 ) + ' ' + chart.unit );
+			} ).on( 'mouseleave', function() {
 				$( '.chart-tooltip' ).remove();
+			} );
 
-				if ( item.series.points.show || item.series.enable_tooltip ) {
+			offset += dash;
+		} );
 
-					var y = item.series.data[item.dataIndex][1],
-						tooltip_content = '';
+		$el.empty().append( svg );
+	}
 
-					if ( item.series.prepend_label ) {
-						tooltip_content = tooltip_content + item.series.label + ': ';
+	/**
+	 * Interactive chart of report series over time.
+	 *
+	 * Drag across the chart to zoom into a part of the period. Clicking a point opens the orders behind it in a new tab.
+	 * Series are shown or hidden from the legend under the chart, and CSV exports hold exactly the series and dates shown.
+	 *
+	 * @param {Object} el Chart placeholder, holding the chart data.
+	 */
+	var ReportChart = function( el ) {
+		var chart = this;
+
+		this.$el       = $( el );
+		this.data      = this.$el.data( 'chart' );
+		this.range     = null;
+		this.highlight = null;
+		this.brush     = null;
+		this.series    = $.map( this.data.series, function( series, index ) {
+			return $.extend( {
+				index:   index,
+				type:    'line',
+				axis:    'amount',
+				width:   2,
+				dashed:  false,
+				points:  true,
+				stack:   false,
+				visible: true,
+				'export': true
+			}, series, {
+				data: $.map( series.data, function( point ) {
+					return [ [ parseInt( point[0], 10 ), parseFloat( point[1] ) || 0 ] ];
+				} )
+			} );
+		} );
+		this.dates     = this.get_dates();
+
+		this.build();
+		this.draw();
+
+		$( window ).on( 'resize', function() {
+			clearTimeout( chart.resize_timer );
+			chart.resize_timer = setTimeout( function() {
+				chart.draw();
+			}, 100 );
+		} );
+	};
+
+	ReportChart.prototype = {
+
+		margin: {
+			top:    12,
+			right:  64,
+			bottom: 28,
+			left:   48
+		},
+
+		/**
+		 * Get the dates of all the points, oldest first.
+		 *
+		 * @return {Array}
+		 */
+		get_dates: function() {
+			var dates = {};
+
+			$.each( this.series, function( index, series ) {
+				$.each( series.data, function( i, point ) {
+					dates[ point[0] ] = point[0];
+				} );
+			} );
+
+			return $.map( dates, function( date ) {
+				return date;
+			} ).sort( function( a, b ) {
+				return a - b;
+			} );
+		},
+
+		/**
+		 * Get the dates shown, within the zoomed range.
+		 *
+		 * @return {Array}
+		 */
+		get_visible_dates: function() {
+			var range = this.range;
+
+			if ( ! range ) {
+				return this.dates;
+			}
+
+			return $.grep( this.dates, function( date ) {
+				return date >= range[0] && date <= range[1];
+			} );
+		},
+
+		/**
+		 * Get the value of a series on a date.
+		 *
+		 * @param {Object} series
+		 * @param {Number} date
+		 * @return {Number|null}
+		 */
+		get_value: function( series, date ) {
+			for ( var i = 0; i < series.data.length; i++ ) {
+				if ( series.data[ i ][0] === date ) {
+					return series.data[ i ][1];
+				}
+			}
+
+			return null;
+		},
+
+		build: function() {
+			var chart = this;
+
+			this.$toolbar = $( '<div class="wc-report-chart__toolbar"></div>' )
+				.append( $( '<span class="wc-report-chart__hint"></span>' ).text( wc_reports_params.i18n_chart_hint ) )
+				.append( $( '<button type="button" class="button wc-report-chart__reset"></button>' ).text( wc_reports_params.i18n_reset_zoom ).hide() );
+			this.$canvas  = $( '<div class="wc-report-chart__canvas"></div>' );
+			this.$legend  = $( '<ul class="wc-report-chart__legend"></ul>' );
+			this.$tooltip = $( '<div class="wc-report-chart__tooltip"></div>' ).hide();
+
+			$.each( this.series, function( index, series ) {
+				$( '<li></li>' )
+					.toggleClass( 'is-dashed', series.dashed )
+					.append( $( '<span class="wc-report-chart__swatch"></span>' ).css( 'border-color', series.color ) )
+					.append( $( '<span></span>' ).text( series.label ) )
+					.data( 'series', index )
+					.appendTo( chart.$legend );
+			} );
+
+			this.$el.empty().append( this.$toolbar, this.$canvas.append( this.$tooltip ), this.$legend );
+
+			this.$legend.on( 'click', 'li', function() {
+				var series = chart.series[ $( this ).data( 'series' ) ];
+
+				series.visible = ! series.visible;
+				$( this ).toggleClass( 'is-hidden', ! series.visible );
+				chart.draw();
+			} );
+
+			this.$toolbar.on( 'click', '.wc-report-chart__reset', function() {
+				chart.zoom( null );
+			} );
+
+			this.$canvas
+				.on( 'mousedown', function( e ) {
+					chart.brush = [ chart.get_mouse_x( e ), chart.get_mouse_x( e ) ];
+					e.preventDefault();
+				} )
+				.on( 'mousemove', function( e ) {
+					if ( chart.brush ) {
+						chart.brush[1] = chart.get_mouse_x( e );
+						chart.draw_brush();
+					} else {
+						chart.hover( e );
 					}
+				} )
+				.on( 'mouseup', function( e ) {
+					var brush = chart.brush;
+
+					chart.brush = null;
+					chart.draw_brush();
 
-					if ( item.series.prepend_tooltip ) {
-						tooltip_content = tooltip_content + item.series.prepend_tooltip;
+					if ( ! brush ) {
+						return;
+					}
+
+					if ( Math.abs( brush[1] - brush[0] ) > 5 ) {
+						chart.zoom_to_pixels( Math.min( brush[0], brush[1] ), Math.max( brush[0], brush[1] ) );
+					} else {
+						chart.drilldown( e );
 					}
+				} )
+				.on( 'mouseleave', function() {
+					chart.brush = null;
+					chart.draw_brush();
+					chart.hide_hover();
+				} );
+		},
+
+		/**
+		 * Get the position of the mouse within the chart.
+		 *
+		 * @param {Object} e Mouse event.
+		 * @return {Number}
+		 */
+		get_mouse_x: function( e ) {
+			return e.pageX - this.$canvas.offset().left;
+		},
+
+		get_mouse_y: function( e ) {
+			return e.pageY - this.$canvas.offset().top;
+		},
+
+		/**
+		 * Zoom into a range of dates, or out when no range is given.
+		 *
+		 * @param {Array|null} range First and last date.
+		 */
+		zoom: function( range ) {
+			this.range = range;
+			this.$toolbar.find( '.wc-report-chart__reset' ).toggle( !! range );
+			this.draw();
+		},
+
+		zoom_to_pixels: function( from, to ) {
+			var scale = this.scale,
+				dates = $.grep( this.get_visible_dates(), function( date ) {
+					var x = scale.x( date );
+					return x >= from && x <= to;
+				} );
+
+			if ( dates.length ) {
+				this.zoom( [ dates[0], dates[ dates.length - 1 ] ] );
+			}
+		},
+
+		/**
+		 * Get the date nearest to a position in the chart.
+		 *
+		 * @param {Number} x
+		 * @return {Number|null}
+		 */
+		get_nearest_date: function( x ) {
+			var scale   = this.scale,
+				nearest = null;
+
+			$.each( this.get_visible_dates(), function( index, date ) {
+				if ( null === nearest || Math.abs( scale.x( date ) - x ) < Math.abs( scale.x( nearest ) - x ) ) {
+					nearest = date;
+				}
+			} );
+
+			return nearest;
+		},
+
+		/**
+		 * Format a date as shown on the time axis.
+		 *
+		 * @param {Number} date
+		 * @return {String}
+		 */
+		format_date: function( date ) {
+			var d     = new Date( date ),
+				month = wc_reports_params.month_abbrev[ d.getUTCMonth() ];
+
+			if ( 'day' === this.data.groupby ) {
+				return d.getUTCDate() + ' ' + month;
+			}
+
+			return month + ' ' + d.getUTCFullYear();
+		},
+
+		/**
+		 * Format a value of a series.
+		 *
+		 * @param {Object} series
+		 * @param {Number} value
+		 * @return {String}
+		 */
+		format_value: function( series, value ) {
+			if ( 'amount' === series.axis ) {
+				return format_price( value );
+			}
+
+			return format_number( value, Math.round( value ) === value ? 0 : 2 );
+		},
+
+		/**
+		 * Get the highest value of the series drawn against an axis, stacked series added up.
+		 *
+		 * @param {String} axis
+		 * @param {Array}  dates
+		 * @return {Number}
+		 */
+		get_max: function( axis, dates ) {
+			var chart = this,
+				max   = 0;
 
-					tooltip_content = tooltip_content + y;
+			$.each( dates, function( i, date ) {
+				var stacked = 0;
 
-					if ( item.series.append_tooltip ) {
-						tooltip_content = tooltip_content + item.series.append_tooltip;
+				$.each( chart.series, function( index, series ) {
+					var value;
+
+					if ( ! series.visible || axis !== series.axis ) {
+						return;
 					}
 
-					if ( item.series.pie.show ) {
-						showTooltip( pos.pageX, pos.pageY, tooltip_content );
+					value = chart.get_value( series, date ) || 0;
+
+					if ( series.stack ) {
+						stacked += value;
+						max      = Math.max( max, stacked );
 					} else {
-						showTooltip( item.pageX, item.pageY, tooltip_content );
+						max = Math.max( max, value );
 					}
+				} );
+			} );
+
+			return nice_number( max );
+		},
+
+		draw: function() {
+			var chart  = this,
+				margin = this.margin,
+				width  = this.$canvas.width(),
+				height = this.$canvas.height(),
+				dates  = this.get_visible_dates(),
+				band   = ( width - margin.left - margin.right ) / Math.max( 1, dates.length ),
+				max    = {
+					count:  this.get_max( 'count', dates ),
+					amount: this.get_max( 'amount', dates )
+				},
+				bars   = $.grep( this.series, function( series ) {
+					return series.visible && 'bar' === series.type;
+				} ),
+				slots  = [],
+				svg;
+
+			this.scale = {
+				x: function( date ) {
+					var index = $.inArray( date, dates );
+
+					if ( -1 === index ) {
+						return date < dates[0] ? margin.left - band / 2 : width - margin.right + band / 2;
+					}
+
+					return margin.left + band * ( index + 0.5 );
+				},
+				y: function( value, axis ) {
+					return height - margin.bottom - ( height - margin.top - margin.bottom ) * ( max[ axis ] ? value / max[ axis ] : 0 );
+				}
+			};
+
+			this.$canvas.find( 'svg' ).remove();
+			svg = this.svg = create_svg( 'svg', {
+				width:  width,
+				height: height
+			} );
+
+			// Grid and axes: counts on the left, amounts on the right.
+			for ( var i = 0; i <= 4; i++ ) {
+				var y = margin.top + ( height - margin.top - margin.bottom ) * i / 4;
+
+				svg.appendChild( create_svg( 'line', {
+					x1: margin.left,
+					x2: width - margin.right,
+					y1: y,
+					y2: y,
+					'class': 'wc-report-chart__grid'
+				} ) );
+
+				if ( max.count ) {
+					svg.appendChild( create_svg( 'text', {
+						x: margin.left - 6,
+						y: y + 4,
+						'text-anchor': 'end',
+						'class': 'wc-report-chart__tick'
+					}, format_number( max.count * ( 4 - i ) / 4, max.count < 4 ? 1 : 0 ) ) );
+				}
+
+				if ( max.amount ) {
+					svg.appendChild( create_svg( 'text', {
+						x: width - margin.right + 6,
+						y: y + 4,
+						'class': 'wc-report-chart__tick'
+					}, format_number( max.amount * ( 4 - i ) / 4, 0 ) ) );
 				}
 			}
-		} else {
-			$( '.chart-tooltip' ).remove();
-			prev_data_index = null;
-		}
-	});
 
-	$( '.wc_sparkline.bars' ).each( function() {
-		var chart_data = $( this ).data( 'sparkline' );
+			$.each( dates, function( index, date ) {
+				if ( index % Math.max( 1, Math.ceil( 70 / band ) ) ) {
+					return;
+				}
+
+				svg.appendChild( create_svg( 'text', {
+					x: chart.scale.x( date ),
+					y: height - margin.bottom + 18,
+					'text-anchor': 'middle',
+					'class': 'wc-report-chart__tick'
+				}, chart.format_date( date ) ) );
+			} );
+
+			// Bars side by side, stacked bars sharing one slot.
+			$.each( bars, function( index, series ) {
+				if ( ! series.stack || -1 === $.inArray( 'stack', slots ) ) {
+					slots.push( series.stack ? 'stack' : series.index );
+				}
+			} );
+
+			$.each( dates, function( index, date ) {
+				var bottoms = {};
+
+				$.each( bars, function( i, series ) {
+					var slot      = $.inArray( series.stack ? 'stack' : series.index, slots ),
+						bar_width = band * 0.7 / slots.length,
+						value     = chart.get_value( series, date ) || 0,
+						bottom    = series.stack ? ( bottoms[ slot ] || 0 ) : 0,
+						top       = chart.scale.y( bottom + value, series.axis );
+
+					bottoms[ slot ] = bottom + value;
+
+					if ( ! value ) {
+						return;
+					}
+
+					svg.appendChild( create_svg( 'rect', {
+						x:      chart.scale.x( date ) - band * 0.35 + bar_width * slot,
+						y:      top,
+						width:  Math.max( 1, bar_width - 1 ),
+						height: Math.max( 0, chart.scale.y( bottom, series.axis ) - top ),
+						fill:   series.index === chart.highlight ? '#9c5d90' : series.color
+					} ) );
+				} );
+			} );
+
+			// Lines over the bars.
+			$.each( this.series, function( index, series ) {
+				var color  = series.index === chart.highlight ? '#9c5d90' : series.color,
+					points = $.grep( series.data, function( point ) {
+						return ! chart.range || ( point[0] >= chart.range[0] && point[0] <= chart.range[1] );
+					} ),
+					path   = '';
+
+				if ( ! series.visible || 'line' !== series.type || ! points.length ) {
+					return;
+				}
 
-		var options = {
-			grid: {
-				show: false
+				$.each( points, function( i, point ) {
+					path += ( i ? 'L' : 'M' ) + chart.scale.x( point[0] ) + ',' + chart.scale.y( point[1], series.axis );
+				} );
+
+				svg.appendChild( create_svg( 'path', {
+					d:                  path,
+					fill:               'none',
+					stroke:             color,
+					'stroke-width':     series.index === chart.highlight ? series.width + 3 : series.width,
+					'stroke-dasharray': series.dashed ? '6 4' : 'none'
+				} ) );
+
+				if ( ! series.points ) {
+					return;
+				}
+
+				$.each( points, function( i, point ) {
+					svg.appendChild( create_svg( 'circle', {
+						cx:             chart.scale.x( point[0] ),
+						cy:             chart.scale.y( point[1], series.axis ),
+						r:              series.width > 2 ? 5 : 4,
+						fill:           '#fff',
+						stroke:         color,
+						'stroke-width': 2
+					} ) );
+				} );
+			} );
+
+			this.guide = svg.appendChild( create_svg( 'line', {
+				y1: margin.top,
+				y2: height - margin.bottom,
+				'class': 'wc-report-chart__guide',
+				visibility: 'hidden'
+			} ) );
+
+			this.brush_rect = svg.appendChild( create_svg( 'rect', {
+				y:       margin.top,
+				height:  height - margin.top - margin.bottom,
+				'class': 'wc-report-chart__brush',
+				visibility: 'hidden'
+			} ) );
+
+			this.$canvas.prepend( svg );
+		},
+
+		draw_brush: function() {
+			if ( ! this.brush ) {
+				this.brush_rect.setAttribute( 'visibility', 'hidden' );
+				return;
 			}
-		};
-
-		// main series
-		var series = [{
-			data: chart_data,
-			color: $( this ).data( 'color' ),
-			bars: {
-				fillColor: $( this ).data( 'color' ),
-				fill: true,
-				show: true,
-				lineWidth: 1,
-				barWidth: $( this ).data( 'barwidth' ),
-				align: 'center'
-			},
-			shadowSize: 0
-		}];
-
-		// draw the sparkline
-		$.plot( $( this ), series, options );
-	});
 
-	$( '.wc_sparkline.lines' ).each( function() {
-		var chart_data = $( this ).data( 'sparkline' );
+			this.hide_hover();
+			this.brush_rect.setAttribute( 'x', Math.min( this.brush[0], this.brush[1] ) );
+			this.brush_rect.setAttribute( 'width', Math.abs( this.brush[1] - this.brush[0] ) );
+			this.brush_rect.setAttribute( 'visibility', 'visible' );
+		},
+
+		/**
+		 * Show the values of all series on the date under the mouse.
+		 *
+		 * @param {Object} e Mouse event.
+		 */
+		hover: function( e ) {
+			var chart = this,
+				date  = this.get_nearest_date( this.get_mouse_x( e ) ),
+				x, $list;
+
+			if ( null === date ) {
+				return;
+			}
+
+			x     = this.scale.x( date );
+			$list = $( '<ul></ul>' );
+
+			$.each( this.series, function( index, series ) {
+				var value = chart.get_value( series, date );
+
+				if ( ! series.visible || null === value ) {
+					return;
+				}
+
+				$( '<li></li>' )
+					.append( $( '<span class="wc-report-chart__swatch"></span>' ).css( 'border-color', series.color ) )
+					.append( document.createTextNode( series.label + ': ' + chart.format_value( series, value ) ) )
+					.appendTo( $list );
+			} );
 
-		var options = {
-			grid: {
-				show: false
+			this.guide.setAttribute( 'x1', x );
+			this.guide.setAttribute( 'x2', x );
+			this.guide.setAttribute( 'visibility', 'visible' );
+
+			this.$tooltip
+				.empty()
+				.append( $( '<strong></strong>' ).text( this.format_date( date ) ), $list )
+				.css( {
+					top:  this.margin.top,
+					left: x > this.$canvas.width() / 2 ? 'auto' : x + 12,
+					right: x > this.$canvas.width() / 2 ? this.$canvas.width() - x + 12 : 'auto'
+				} )
+				.show();
+		},
+
+		hide_hover: function() {
+			if ( this.guide ) {
+				this.guide.setAttribute( 'visibility', 'hidden' );
 			}
-		};
-
-		// main series
-		var series = [{
-			data: chart_data,
-			color: $( this ).data( 'color' ),
-			lines: {
-				fill: false,
-				show: true,
-				lineWidth: 1,
-				align: 'center'
-			},
-			shadowSize: 0
-		}];
-
-		// draw the sparkline
-		$.plot( $( this ), series, options );
-	});
+			this.$tooltip.hide();
+		},
+
+		/**
+		 * Open the orders behind the point clicked: the orders placed on the date, narrowed down by the filter of the
+		 * series nearest to the mouse. The orders list resolves the filter, e.g. a status or a breakdown group.
+		 *
+		 * @param {Object} e Mouse event.
+		 */
+		drilldown: function( e ) {
+			var chart   = this,
+				date    = this.get_nearest_date( this.get_mouse_x( e ) ),
+				mouse_y = this.get_mouse_y( e ),
+				nearest = null,
+				d, url;
+
+			if ( ! this.data.drilldown || null === date ) {
+				return;
+			}
+
+			$.each( this.series, function( index, series ) {
+				var value = chart.get_value( series, date ),
+					distance;
+
+				if ( ! series.visible || ! series.drilldown || null === value ) {
+					return;
+				}
+
+				distance = Math.abs( chart.scale.y( value, series.axis ) - mouse_y );
+
+				if ( distance < 16 && ( ! nearest || distance < nearest.distance ) ) {
+					nearest = {
+						series:   series,
+						value:    value,
+						distance: distance
+					};
+				}
+			} );
+
+			d   = new Date( date );
+			url = this.data.drilldown + '&m=' + d.getUTCFullYear() + pad( d.getUTCMonth() + 1 ) + ( 'day' === this.data.groupby ? pad( d.getUTCDate() ) : '' );
+
+			if ( nearest ) {
+				if ( ! nearest.value ) {
+					return;
+				}
+
+				url += '&' + $.param( nearest.series.drilldown );
+			}
+
+			window.open( url, '_blank' );
+		},
+
+		/**
+		 * Get the series and dates shown as CSV.
+		 *
+		 * @param {String} label   Label of the dates column.
+		 * @param {Array}  exclude Indexes of series to leave out.
+		 * @return {String}
+		 */
+		to_csv: function( label, exclude ) {
+			var chart  = this,
+				series = $.grep( this.series, function( series ) {
+					return series.visible && series[ 'export' ] && -1 === $.inArray( series.index.toString(), exclude );
+				} ),
+				rows   = [ [ label ].concat( $.map( series, function( s ) {
+					return s.label;
+				} ) ) ];
+
+			$.each( this.get_visible_dates(), function( index, date ) {
+				var d   = new Date( date ),
+					row = [ d.getUTCFullYear() + '-' + pad( d.getUTCMonth() + 1 ) + ( 'day' === chart.data.groupby ? '-' + pad( d.getUTCDate() ) : '' ) ];
+
+				$.each( series, function( i, s ) {
+					var value = chart.get_value( s, date ) || 0;
+					row.push( Math.round( value ) === value ? value : value.toFixed( 2 ) );
+				} );
+
+				rows.push( row );
+			} );
+
+			return $.map( rows, function( row ) {
+				return $.map( row, csv_cell ).join( ',' );
+			} ).join( '\n' ) + '\n';
+		},
+
+		set_highlight: function( index ) {
+			this.highlight = 'undefined' === typeof index ? null : index;
+			this.draw();
+		}
+	};
+
+	function create_svg( name, attributes, text ) {
+		var el = document.createElementNS( 'http://www.w3.org/2000/svg', name );
+
+		$.each( attributes || {}, function( key, value ) {
+			el.setAttribute( key, value );
+		} );
+
+		if ( 'undefined' !== typeof text ) {
+			el.textContent = text;
+		}
+
+		return el;
+	}
+
+	/**
+	 * Quote a value as a CSV cell. Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not run it as a
+	 * formula, like the CSV exporters do.
+	 *
+	 * @param {String|Number} value
+	 * @return {String}
+	 */
+	function csv_cell( value ) {
+		value = String( value );
+
+		if ( /^[=+\-@]/.test( value ) && isNaN( value ) ) {
+			value = '\'' + value;
+		}
+
+		return '"' + value.replace( /"/g, '""' ) + '"';
+	}
+
+	function pad( number ) {
+		return ( number < 10 ? '0' : '' ) + number;
+	}
+
+	/**
+	 * Round a maximum up to a number axes can be divided into evenly.
+	 *
+	 * @param {Number} value
+	 * @return {Number}
+	 */
+	function nice_number( value ) {
+		var magnitude;
+
+		if ( value <= 0 ) {
+			return 0;
+		}
+
+		magnitude = Math.pow( 10, Math.floor( Math.log( value ) / Math.LN10 ) );
+
+		return Math.ceil( value / magnitude * 2 ) / 2 * magnitude;
+	}
+
+	function format_number( value, decimals ) {
+		var parts = Math.abs( value ).toFixed( decimals ).split( '.' );
+
+		parts[0] = parts[0].replace( /\B(?=(\d{3})+(?!\d))/g, wc_reports_params.currency.thousand_sep );
+
+		return ( value < 0 ? '-' : '' ) + parts.join( wc_reports_params.currency.decimal_sep );
+	}
+
+	function format_price( value ) {
+		return wc_reports_params.currency.format
+			.replace( '%1$s', wc_reports_params.currency.symbol )
+			.replace( '%2$s', format_number( value, wc_reports_params.currency.decimals ) );
+	}
+
+	$( '.wc-report-chart' ).each( function() {
+		$( this ).data( 'wcReportChart', new ReportChart( this ) );
+	} );
+
+	$( '.wc_sparkline' ).each( function() {
+		draw_sparkline( this );
+	} );
+
+	$( '.wc-report-pie-chart' ).each( function() {
+		draw_pie_chart( this );
+	} );
+
+	var pie_resize_timer;
+
+	$( window ).on( 'resize', function() {
+		clearTimeout( pie_resize_timer );
+		pie_resize_timer = setTimeout( function() {
+			$( '.wc-report-pie-chart' ).each( function() {
+				draw_pie_chart( this );
+			} );
+		}, 100 );
+	} );
+
+	$( '.highlight_series' ).on( 'mouseenter', function() {
+		var chart = $( '.wc-report-chart' ).first().data( 'wcReportChart' );
+
+		if ( chart ) {
+			chart.set_highlight( $( this ).data( 'series' ) );
+		}
+	} ).on( 'mouseleave', function() {
+		var chart = $( '.wc-report-chart' ).first().data( 'wcReportChart' );
+
+		if ( chart ) {
+			chart.set_highlight();
+		}
+	} );
 
 	var dates = $( '.range_datepicker' ).datepicker({
 		changeMonth: true,
@@ -135,11 +897,8 @@ jQuery(function( $ ) {
 		exclude_series    = exclude_series.toString();
 		exclude_series    = exclude_series.split( ',' );
 		var xaxes_label   = $( this ).data( 'xaxes' );
-		var groupby       = $( this ) .data( 'groupby' );
-		var index_type    = $( this ).data( 'index_type' );
 		var export_format = $( this ).data( 'export' );
 		var csv_data      = '';
-		var s, series_data, d;
 
 		if ( 'table' === export_format ) {
 
@@ -147,7 +906,7 @@ jQuery(function( $ ) {
 				$( this ).find( 'th, td' ).each( function() {
 					var value = $( this ).text();
 					value = value.replace( '[?]', '' ).replace( '#', '' );
-					csv_data += '"' + value + '"' + ',';
+					csv_data += csv_cell( value ) + ',';
 				});
 				csv_data = csv_data.substring( 0, csv_data.length - 1 );
 				csv_data += '\n';
@@ -157,7 +916,7 @@ jQuery(function( $ ) {
 				$( this ).find( 'th, td' ).each( function() {
 					var value = $( this ).text();
 					value = value.replace( '[?]', '' ).replace( '#', '' );
-					csv_data += '"' + value + '"' + ',';
+					csv_data += csv_cell( value ) + ',';
 					if ( $( this ).attr( 'colspan' ) > 0 ) {
 						for ( i = 1; i < $(this).attr('colspan'); i++ ) {
 							csv_data += '"",';
@@ -170,83 +929,13 @@ jQuery(function( $ ) {
 
 		} else {
 
-			if ( ! window.main_chart ) {
-				return false;
-			}
-
-			var the_series = window.main_chart.getData();
-			var series     = [];
-			csv_data      += '"' + xaxes_label + '",';
-
-			$.each( the_series, function( index, value ) {
-				if ( ! exclude_series || $.inArray( index.toString(), exclude_series ) === -1 ) {
-					series.push( value );
-				}
-			});
-
-			// CSV Headers
-			for ( s = 0; s < series.length; ++s ) {
-				csv_data += '"' + series[s].label + '",';
-			}
-
-			csv_data = csv_data.substring( 0, csv_data.length - 1 );
-			csv_data += '\n';
-
-			// Get x axis values
-			var xaxis = {};
+			var chart = $( '.wc-report-chart' ).first().data( 'wcReportChart' );
 
-			for ( s = 0; s < series.length; ++s ) {
-				series_data = series[s].data;
-				for ( d = 0; d < series_data.length; ++d ) {
-					xaxis[series_data[d][0]] = [];
-					// Zero values to start
-					for ( var i = 0; i < series.length; ++i ) {
-						xaxis[series_data[d][0]].push(0);
-					}
-				}
-			}
-
-			// Add chart data
-			for ( s = 0; s < series.length; ++s ) {
-				series_data = series[s].data;
-				for ( d = 0; d < series_data.length; ++d ) {
-					xaxis[series_data[d][0]][s] = series_data[d][1];
-				}
+			if ( ! chart ) {
+				return false;
 			}
 
-			// Loop data and output to csv string
-			$.each( xaxis, function( index, value ) {
-				var date = new Date( parseInt( index, 10 ) );
-
-				if ( 'none' === index_type ) {
-					csv_data += '"' + index + '",';
-				} else {
-					if ( groupby === 'day' ) {
-						csv_data += '"' +
-							date.getUTCFullYear() +
-							'-' +
-							parseInt( date.getUTCMonth() + 1, 10 ) +
-							'-' +
-							date.getUTCDate() +
-							'",';
-					} else {
-						csv_data += '"' + date.getUTCFullYear() + '-' + parseInt( date.getUTCMonth() + 1, 10 ) + '",';
-					}
-				}
-
-				for ( var d = 0; d < value.length; ++d ) {
-					var val = value[d];
-
-					if ( Math.round( val ) !== val ) {
-						val = parseFloat( val );
-						val = val.toFixed( 2 );
-					}
-
-					csv_data += '"' + val + '",';
-				}
-				csv_data = csv_data.substring( 0, csv_data.length - 1 );
-				csv_data += '\n';
-			} );
+			csv_data = chart.to_csv( xaxes_label, exclude_series );
 		}
 
 		csv_data = 'data:text/csv;charset=utf-8,\uFEFF' + encodeURIComponent( csv_data );
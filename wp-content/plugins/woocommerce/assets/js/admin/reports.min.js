@@ -1 +1 @@
-jQuery(function(p){function r(t,e,a){p('<div class="chart-tooltip">'+a+"</div>").css({top:e-16,left:t+20}).appendTo("body").fadeIn(200)}var o=null,s=null;p(".chart-placeholder").on("plothover",function(t,e,a){var n,i;a?o===a.dataIndex&&s===a.seriesIndex||(o=a.dataIndex,s=a.seriesIndex,p(".chart-tooltip").remove(),(a.series.points.show||a.series.enable_tooltip)&&(n=a.series.data[a.dataIndex][1],i="",a.series.prepend_label&&(i=i+a.series.label+": "),a.series.prepend_tooltip&&(i+=a.series.prepend_tooltip),i+=n,a.series.append_tooltip&&(i+=a.series.append_tooltip),a.series.pie.show?r(e.pageX,e.pageY,i):r(a.pageX,a.pageY,i))):(p(".chart-tooltip").remove(),o=null)}),p(".wc_sparkline.bars").each(function(){var t=[{data:p(this).data("sparkline"),color:p(this).data("color"),bars:{fillColor:p(this).data("color"),fill:!0,show:!0,lineWidth:1,barWidth:p(this).data("barwidth"),align:"center"},shadowSize:0}];p.plot(p(this),t,{grid:{show:!1}})}),p(".wc_sparkline.lines").each(function(){var t=[{data:p(this).data("sparkline"),color:p(this).data("color"),lines:{fill:!1,show:!0,lineWidth:1,align:"center"},shadowSize:0}];p.plot(p(this),t,{grid:{show:!1}})});var a=p(".range_datepicker").datepicker({changeMonth:!0,changeYear:!0,defaultDate:"",dateFormat:"yy-mm-dd",numberOfMonths:1,minDate:"-20Y",maxDate:"+1D",showButtonPanel:!0,showOn:"focus",buttonImageOnly:!0,onSelect:function(){var t=p(this).is(".from")?"minDate":"maxDate",e=p(this).datepicker("getDate");a.not(this).datepicker("option",t,e)}});"undefined"==typeof document.createElement("a").download&&p(".export_csv").hide(),p(".export_csv").on("click",function(){var a=p(this).data("exclude_series")||"";a=(a=a.toString()).split(",");var t,e,n=p(this).data("xaxes"),r=p(this).data("groupby"),o=p(this).data("index_type"),i=p(this).data("export"),s="";if("table"===i)p(this).offsetParent().find("thead tr,tbody tr").each(function(){p(this).find("th, td").each(function(){var t=(t=p(this).text()).replace("[?]","").replace("#","");s+='"'+t+'",'}),s=s.substring(0,s.length-1),s+="\n"}),p(this).offsetParent().find("tfoot tr").each(function(){p(this).find("th, td").each(function(){var t=(t=p(this).text()).replace("[?]","").replace("#","");if(s+='"'+t+'",',0<p(this).attr("colspan"))for(c=1;c<p(this).attr("colspan");c++)s+='"",'}),s=s.substring(0,s.length-1),s+="\n"});else{if(!window.main_chart)return!1;var i=window.main_chart.getData(),l=[];for(s+='"'+n+'",',p.each(i,function(t,e){a&&-1!==p.inArray(t.toString(),a)||l.push(e)}),d=0;d<l.length;++d)s+='"'+l[d].label+'",';s=s.substring(0,s.length-1),s+="\n";for(var h={},d=0;d<l.length;++d)for(t=l[d].data,e=0;e<t.length;++e){h[t[e][0]]=[];for(var c=0;c<l.length;++c)h[t[e][0]].push(0)}for(d=0;d<l.length;++d)for(t=l[d].data,e=0;e<t.length;++e)h[t[e][0]][d]=t[e][1];p.each(h,function(t,e){var a=new Date(parseInt(t,10));s+="none"===o?'"'+t+'",':"day"===r?'"'+a.getUTCFullYear()+"-"+parseInt(a.getUTCMonth()+1,10)+"-"+a.getUTCDate()+'",':'"'+a.getUTCFullYear()+"-"+parseInt(a.getUTCMonth()+1,10)+'",';for(var n=0;n<e.length;++n){var i=e[n];Math.round(i)!==i&&(i=(i=parseFloat(i)).toFixed(2)),s+='"'+i+'",'}s=s.substring(0,s.length-1),s+="\n"})}return s="data:text/csv;charset=utf-8,\ufeff"+encodeURIComponent(s),p(this).attr("href",s),!0})});
\ No newline at end of file
+jQuery(function(t){function e(e){var i,a=t(e),r=a.data("chart"),s=a.width(),o=a.height(),c=Math.min(s,o)/2,l=.8*c,u=2*Math.PI*l,d=0,p=0;t.each(r.slices,function(t,e){d+=e.value}),i=n("svg",{width:s,height:o}),t.each(r.slices,function(e,a){var f=d?a.value/d*u:0;f&&(t(i.appendChild(n("circle",{cx:s/2,cy:o/2,r:l,fill:"none",stroke:a.color,"stroke-width":.4*c,"stroke-dasharray":f+" "+(u-f),"stroke-dashoffset":-p,transform:"rotate(-90 "+s/2+" "+o/2+")"}))).on("mouseenter",function(e){var i,n,s;t(".chart-tooltip").remove(),i=e.pageX,n=e.pageY,s=a.label+": "+h(a.value,0)+" "+r.unit,t('<div class="chart-tooltip"></div>').text(s).css({top:n-16,left:i+20}).appendTo("body").fadeIn(200)}).on("mouseleave",function(){t(".chart-tooltip").remove()}),p+=f)}),a.empty().append(i)}var a,r=function(e){var i=this;this.$el=t(e),this.data=this.$el.data("chart"),this.range=null,this.highlight=null,this.brush=null,this.series=t.map(this.data.series,function(e,i){return t.extend({index:i,type:"line",axis:"amount",width:2,dashed:!1,points:!0,stack:!1,visible:!0,export:!0},e,{data:t.map(e.data,function(t){return[[parseInt(t[0],10),parseFloat(t[1])||0]]})})}),this.dates=this.get_dates(),this.build(),this.draw(),t(window).on("resize",function(){clearTimeout(i.resize_timer),i.resize_timer=setTimeout(function(){i.draw()},100)})};function n(e,i,a){var r=document.createElementNS("http://www.w3.org/2000/svg",e);return t.each(i||{},function(t,e){r.setAttribute(t,e)}),void 0!==a&&(r.textContent=a),r}function s(t){return t=String(t),/^[=+\-@]/.test(t)&&isNaN(t)&&(t="'"+t),'"'+t.replace(/"/g,'""')+'"'}function o(t){return(t<10?"0":"")+t}function h(t,e){var i=Math.abs(t).toFixed(e).split(".");return i[0]=i[0].replace(/\B(?=(\d{3})+(?!\d))/g,wc_reports_params.currency.thousand_sep),(t<0?"-":"")+i.join(wc_reports_params.currency.decimal_sep)}r.prototype={margin:{top:12,right:64,bottom:28,left:48},get_dates:function(){var e={};return t.each(this.series,function(i,a){t.each(a.data,function(t,i){e[i[0]]=i[0]})}),t.map(e,function(t){return t}).sort(function(t,e){return t-e})},get_visible_dates:function(){var e=this.range;return e?t.grep(this.dates,function(t){return t>=e[0]&&t<=e[1]}):this.dates},get_value:function(t,e){for(var i=0;i<t.data.length;i++)if(t.data[i][0]===e)return t.data[i][1];return null},build:function(){var e=this;this.$toolbar=t('<div class="wc-report-chart__toolbar"></div>').append(t('<span class="wc-report-chart__hint"></span>').text(wc_reports_params.i18n_chart_hint)).append(t('<button type="button" class="button wc-report-chart__reset"></button>').text(wc_reports_params.i18n_reset_zoom).hide()),this.$canvas=t('<div class="wc-report-chart__canvas"></div>'),this.$legend=t('<ul class="wc-report-chart__legend"></ul>'),this.$tooltip=t('<div class="wc-report-chart__tooltip"></div>').hide(),t.each(this.series,function(i,a){t("<li></li>").toggleClass("is-dashed",a.dashed).append(t('<span class="wc-report-chart__swatch"></span>').css("border-color",a.color)).append(t("<span></span>").text(a.label)).data("series",i).appendTo(e.$legend)}),this.$el.empty().append(this.$toolbar,this.$canvas.append(this.$tooltip),this.$legend),this.$legend.on("click","li",function(){var i=e.series[t(this).data("series")];i.visible=!i.visible,t(this).toggleClass("is-hidden",!i.visible),e.draw()}),this.$toolbar.on("click",".wc-report-chart__reset",function(){e.zoom(null)}),this.$canvas.on("mousedown",function(t){e.brush=[e.get_mouse_x(t),e.get_mouse_x(t)],t.preventDefault()}).on("mousemove",function(t){e.brush?(e.brush[1]=e.get_mouse_x(t),e.draw_brush()):e.hover(t)}).on("mouseup",function(t){var i=e.brush;e.brush=null,e.draw_brush(),i&&(Math.abs(i[1]-i[0])>5?e.zoom_to_pixels(Math.min(i[0],i[1]),Math.max(i[0],i[1])):e.drilldown(t))}).on("mouseleave",function(){e.brush=null,e.draw_brush(),e.hide_hover()})},get_mouse_x:function(t){return t.pageX-this.$canvas.offset().left},get_mouse_y:function(t){return t.pageY-this.$canvas.offset().top},zoom:function(t){this.range=t,this.$toolbar.find(".wc-report-chart__reset").toggle(!!t),this.draw()},zoom_to_pixels:function(e,i){var a=this.scale,r=t.grep(this.get_visible_dates(),function(t){var r=a.x(t);return r>=e&&r<=i});r.length&&this.zoom([r[0],r[r.length-1]])},get_nearest_date:function(e){var i=this.scale,a=null;return t.each(this.get_visible_dates(),function(t,r){(null===a||Math.abs(i.x(r)-e)<Math.abs(i.x(a)-e))&&(a=r)}),a},format_date:function(t){var e=new Date(t),i=wc_reports_params.month_abbrev[e.getUTCMonth()];return"day"===this.data.groupby?e.getUTCDate()+" "+i:i+" "+e.getUTCFullYear()},format_value:function(t,e){return"amount"===t.axis?function(t){return wc_reports_params.currency.format.replace("%1$s",wc_reports_params.currency.symbol).replace("%2$s",h(t,wc_reports_params.currency.decimals))}(e):h(e,Math.round(e)===e?0:2)},get_max:function(e,i){var a=this,r=0;return t.each(i,function(i,n){var s=0;t.each(a.series,function(t,i){var o;i.visible&&e===i.axis&&(o=a.get_value(i,n)||0,i.stack?(s+=o,r=Math.max(r,s)):r=Math.max(r,o))})}),function(t){var e;if(t<=0)return 0;return e=Math.pow(10,Math.floor(Math.log(t)/Math.LN10)),Math.ceil(t/e*2)/2*e}(r)},draw:function(){var e,i=this,a=this.margin,r=this.$canvas.width(),s=this.$canvas.height(),o=this.get_visible_dates(),c=(r-a.left-a.right)/Math.max(1,o.length),l={count:this.get_max("count",o),amount:this.get_max("amount",o)},u=t.grep(this.series,function(t){return t.visible&&"bar"===t.type}),d=[];this.scale={x:function(e){var i=t.inArray(e,o);return-1===i?e<o[0]?a.left-c/2:r-a.right+c/2:a.left+c*(i+.5)},y:function(t,e){return s-a.bottom-(s-a.top-a.bottom)*(l[e]?t/l[e]:0)}},this.$canvas.find("svg").remove(),e=this.svg=n("svg",{width:r,height:s});for(var p=0;p<=4;p++){var f=a.top+(s-a.top-a.bottom)*p/4;e.appendChild(n("line",{x1:a.left,x2:r-a.right,y1:f,y2:f,class:"wc-report-chart__grid"})),l.count&&e.appendChild(n("text",{x:a.left-6,y:f+4,"text-anchor":"end",class:"wc-report-chart__tick"},h(l.count*(4-p)/4,l.count<4?1:0))),l.amount&&e.appendChild(n("text",{x:r-a.right+6,y:f+4,class:"wc-report-chart__tick"},h(l.amount*(4-p)/4,0)))}t.each(o,function(t,r){t%Math.max(1,Math.ceil(70/c))||e.appendChild(n("text",{x:i.scale.x(r),y:s-a.bottom+18,"text-anchor":"middle",class:"wc-report-chart__tick"},i.format_date(r)))}),t.each(u,function(e,i){i.stack&&-1!==t.inArray("stack",d)||d.push(i.stack?"stack":i.index)}),t.each(o,function(a,r){var s={};t.each(u,function(a,o){var h=t.inArray(o.stack?"stack":o.index,d),l=.7*c/d.length,u=i.get_value(o,r)||0,p=o.stack&&s[h]||0,f=i.scale.y(p+u,o.axis);s[h]=p+u,u&&e.appendChild(n("rect",{x:i.scale.x(r)-.35*c+l*h,y:f,width:Math.max(1,l-1),height:Math.max(0,i.scale.y(p,o.axis)-f),fill:o.index===i.highlight?"#9c5d90":o.color}))})}),t.each(this.series,function(a,r){var s=r.index===i.highlight?"#9c5d90":r.color,o=t.grep(r.data,function(t){return!i.range||t[0]>=i.range[0]&&t[0]<=i.range[1]}),h="";r.visible&&"line"===r.type&&o.length&&(t.each(o,function(t,e){h+=(t?"L":"M")+i.scale.x(e[0])+","+i.scale.y(e[1],r.axis)}),e.appendChild(n("path",{d:h,fill:"none",stroke:s,"stroke-width":r.index===i.highlight?r.width+3:r.width,"stroke-dasharray":r.dashed?"6 4":"none"})),r.points&&t.each(o,function(t,a){e.appendChild(n("circle",{cx:i.scale.x(a[0]),cy:i.scale.y(a[1],r.axis),r:r.width>2?5:4,fill:"#fff",stroke:s,"stroke-width":2}))}))}),this.guide=e.appendChild(n("line",{y1:a.top,y2:s-a.bottom,class:"wc-report-chart__guide",visibility:"hidden"})),this.brush_rect=e.appendChild(n("rect",{y:a.top,height:s-a.top-a.bottom,class:"wc-report-chart__brush",visibility:"hidden"})),this.$canvas.prepend(e)},draw_brush:function(){this.brush?(this.hide_hover(),this.brush_rect.setAttribute("x",Math.min(this.brush[0],this.brush[1])),this.brush_rect.setAttribute("width",Math.abs(this.brush[1]-this.brush[0])),this.brush_rect.setAttribute("visibility","visible")):this.brush_rect.setAttribute("visibility","hidden")},hover:function(e){var i,a,r=this,n=this.get_nearest_date(this.get_mouse_x(e));null!==n&&(i=this.scale.x(n),a=t("<ul></ul>"),t.each(this.series,function(e,i){var s=r.get_value(i,n);i.visible&&null!==s&&t("<li></li>").append(t('<span class="wc-report-chart__swatch"></span>').css("border-color",i.color)).append(document.createTextNode(i.label+": "+r.format_value(i,s))).appendTo(a)}),this.guide.setAttribute("x1",i),this.guide.setAttribute("x2",i),this.guide.setAttribute("visibility","visible"),this.$tooltip.empty().append(t("<strong></strong>").text(this.format_date(n)),a).css({top:this.margin.top,left:i>this.$canvas.width()/2?"auto":i+12,right:i>this.$canvas.width()/2?this.$canvas.width()-i+12:"auto"}).show())},hide_hover:function(){this.guide&&this.guide.setAttribute("visibility","hidden"),this.$tooltip.hide()},drilldown:function(e){var i,a,r=this,n=this.get_nearest_date(this.get_mouse_x(e)),s=this.get_mouse_y(e),h=null;if(this.data.drilldown&&null!==n){if(t.each(this.series,function(t,e){var i,a=r.get_value(e,n);e.visible&&e.drilldown&&null!==a&&(i=Math.abs(r.scale.y(a,e.axis)-s))<16&&(!h||i<h.distance)&&(h={series:e,value:a,distance:i})}),i=new Date(n),a=this.data.drilldown+"&m="+i.getUTCFullYear()+o(i.getUTCMonth()+1)+("day"===this.data.groupby?o(i.getUTCDate()):""),h){if(!h.value)return;a+="&"+t.param(h.series.drilldown)}window.open(a,"_blank")}},to_csv:function(e,i){var a=this,r=t.grep(this.series,function(e){return e.visible&&e.export&&-1===t.inArray(e.index.toString(),i)}),n=[[e].concat(t.map(r,function(t){return t.label}))];return t.each(this.get_visible_dates(),function(e,i){var s=new Date(i),h=[s.getUTCFullYear()+"-"+o(s.getUTCMonth()+1)+("day"===a.data.groupby?"-"+o(s.getUTCDate()):"")];t.each(r,function(t,e){var r=a.get_value(e,i)||0;h.push(Math.round(r)===r?r:r.toFixed(2))}),n.push(h)}),t.map(n,function(e){return t.map(e,s).join(",")}).join("\n")+"\n"},set_highlight:function(t){this.highlight=void 0===t?null:t,this.draw()}},t(".wc-report-chart").each(function(){t(this).data("wcReportChart",new r(this))}),t(".wc_sparkline").each(function(){!function(e){var i,a,r,s,o,h=t(e),c=h.width(),l=h.height(),u=h.data("color"),d=h.hasClass("bars"),p=d&&parseInt(h.data("barwidth"),10)||0,f=t.map(h.data("sparkline")||[],function(t){return[[parseInt(t[0],10),parseFloat(t[1])||0]]});function g(t){return(t-i)/a*c}function _(t){return l-.5-t/r*(l-1)}f.length&&c&&l&&(i=f[0][0]-p/2,a=f[f.length-1][0]+p/2-i||1,r=Math.max.apply(Math,t.map(f,function(t){return t[1]}))||1,s=n("svg",{width:c,height:l}),d?t.each(f,function(t,e){e[1]&&s.appendChild(n("rect",{x:g(e[0]-p/2),y:_(e[1]),width:Math.max(1,p/a*c),height:l-_(e[1]),fill:u}))}):(o="",t.each(f,function(t,e){o+=(t?"L":"M")+g(e[0])+","+_(e[1])}),s.appendChild(n("path",{d:o,fill:"none",stroke:u,"stroke-width":1}))),h.empty().append(s))}(this)}),t(".wc-report-pie-chart").each(function(){e(this)}),t(window).on("resize",function(){clearTimeout(a),a=setTimeout(function(){t(".wc-report-pie-chart").each(function(){e(this)})},100)}),t(".highlight_series").on("mouseenter",function(){var e=t(".wc-report-chart").first().data("wcReportChart");e&&e.set_highlight(t(this).data("series"))}).on("mouseleave",function(){var e=t(".wc-report-chart").first().data("wcReportChart");e&&e.set_highlight()});var c=t(".range_datepicker").datepicker({changeMonth:!0,changeYear:!0,defaultDate:"",dateFormat:"yy-mm-dd",numberOfMonths:1,minDate:"-20Y",maxDate:"+1D",showButtonPanel:!0,showOn:"focus",buttonImageOnly:!0,onSelect:function(){var e=t(this).is(".from")?"minDate":"maxDate",i=t(this).datepicker("getDate");c.not(this).datepicker("option",e,i)}});void 0===document.createElement("a").download&&t(".export_csv").hide(),t(".export_csv").on("click",function(){var e=t(this).data("exclude_series")||"";e=(e=e.toString()).split(",");var a=t(this).data("xaxes"),r=t(this).data("export"),n="";if("table"===r)t(this).offsetParent().find("thead tr,tbody tr").each(function(){t(this).find("th, td").each(function(){var e=t(this).text();e=e.replace("[?]","").replace("#",""),n+=s(e)+","}),n=n.substring(0,n.length-1),n+="\n"}),t(this).offsetParent().find("tfoot tr").each(function(){t(this).find("th, td").each(function(){var e=t(this).text();if(e=e.replace("[?]","").replace("#",""),n+=s(e)+",",t(this).attr("colspan")>0)for(i=1;i<t(this).attr("colspan");i++)n+='"",'}),n=n.substring(0,n.length-1),n+="\n"});else{var o=t(".wc-report-chart").first().data("wcReportChart");if(!o)return!1;n=o.to_csv(a,e)}return n="data:text/csv;charset=utf-8,\ufeff"+encodeURIComponent(n),t(this).attr("href",n),!0})});
\ No newline at end of file
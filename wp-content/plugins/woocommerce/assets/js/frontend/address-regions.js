@@ -0,0 +1,207 @@
+/* global wc_address_regions_params */
+jQuery( function( $ ) {
+
+	// wc_address_regions_params is required to continue, ensure the object exists
+	if ( typeof wc_address_regions_params === 'undefined' ) {
+		return false;
+	}
+
+	var requests = {};
+
+	/**
+	 * Fetch the cities, districts and postcodes of a state, once per state.
+	 */
+	var get_regions = function( country, state ) {
+		var key = country + ':' + state;
+
+		if ( ! requests[ key ] ) {
+			requests[ key ] = $.getJSON( wc_address_regions_params.regions_url, { country: country, state: state } );
+		}
+
+		return requests[ key ];
+	};
+
+	/**
+	 * Find a region by name, ignoring case.
+	 */
+	var find_region = function( regions, name ) {
+		var found = null;
+
+		name = $.trim( name || '' ).toLowerCase();
+
+		$.each( regions, function( index, region ) {
+			if ( region.name.toLowerCase() === name ) {
+				found = region;
+				return false;
+			}
+		} );
+
+		return found;
+	};
+
+	/**
+	 * AddressRegions class, turns the city, district and postcode fields of an address into cascading selects.
+	 */
+	var AddressRegions = function( type ) {
+		this.type   = type;
+		this.cities = [];
+	};
+
+	/**
+	 * Get a field of the address.
+	 */
+	AddressRegions.prototype.$field = function( key ) {
+		return $( '#' + this.type + '_' + key );
+	};
+
+	/**
+	 * Swap a field for a searchable select listing the given options, or back to a text input without options.
+	 */
+	AddressRegions.prototype.set_options = function( key, options, placeholder ) {
+		var $field = this.$field( key ),
+			value  = $field.val() || '',
+			match  = '',
+			$new_field;
+
+		if ( ! $field.length ) {
+			return;
+		}
+
+		if ( ! options ) {
+			if ( $field.is( 'select' ) ) {
+				$new_field = $( '<input type="text" />' )
+					.prop( 'id', $field.prop( 'id' ) )
+					.prop( 'name', $field.prop( 'name' ) )
+					.prop( 'placeholder', $field.data( 'placeholder' ) || '' )
+					.addClass( $field.attr( 'data-input-classes' ) || 'input-text' )
+					.val( value );
+
+				if ( $field.data( 'select2' ) ) {
+					$field.selectWoo( 'destroy' );
+				}
+
+				$field.replaceWith( $new_field );
+			}
+			return;
+		}
+
+		if ( $field.is( 'input' ) ) {
+			$new_field = $( '<select></select>' )
+				.prop( 'id', $field.prop( 'id' ) )
+				.prop( 'name', $field.prop( 'name' ) )
+				.data( 'placeholder', $field.prop( 'placeholder' ) )
+				.attr( 'data-input-classes', $field.attr( 'class' ) )
+				.addClass( 'wc-address-region-select' );
+			$field.replaceWith( $new_field );
+			$field = $new_field;
+		}
+
+		$field.empty().append( $( '<option value=""></option>' ).text( placeholder ) );
+
+		$.each( options, function( index, option ) {
+			$field.append( $( '<option></option>' ).prop( 'value', option ).text( option ) );
+
+			// Keep what was entered when it is one of the options.
+			if ( option.toLowerCase() === $.trim( value ).toLowerCase() ) {
+				match = option;
+			}
+		} );
+
+		$field.val( match );
+
+		if ( ! $field.data( 'select2' ) ) {
+			$field.selectWoo( {
+				placeholder: placeholder,
+				placeholderOption: 'first',
+				width: '100%'
+			} );
+		} else {
+			$field.trigger( 'change.select2' );
+		}
+	};
+
+	/**
+	 * Load the cities of the chosen state, or restore the text fields when the state has no regions.
+	 */
+	AddressRegions.prototype.update_cities = function() {
+		var self    = this,
+			country = self.$field( 'country' ).val(),
+			state   = self.$field( 'state' ).val(),
+			states  = wc_address_regions_params.states[ country ] || [];
+
+		if ( ! state || -1 === $.inArray( state, states ) ) {
+			self.cities = [];
+			self.set_options( 'city', false );
+			self.set_options( 'district', false );
+			self.set_options( 'postcode', false );
+			return;
+		}
+
+		get_regions( country, state ).done( function( response ) {
+			// Another state may have been chosen while loading.
+			if ( self.$field( 'country' ).val() !== country || self.$field( 'state' ).val() !== state ) {
+				return;
+			}
+
+			self.cities = response.cities || [];
+			self.set_options( 'city', $.map( self.cities, function( city ) {
+				return city.name;
+			} ), wc_address_regions_params.i18n_select_city_text );
+			self.update_districts();
+		} );
+	};
+
+	/**
+	 * List the districts of the chosen city.
+	 */
+	AddressRegions.prototype.update_districts = function() {
+		var city = find_region( this.cities, this.$field( 'city' ).val() );
+
+		this.set_options( 'district', city ? $.map( city.districts, function( district ) {
+			return district.name;
+		} ) : [], wc_address_regions_params.i18n_select_district_text );
+		this.update_postcodes();
+	};
+
+	/**
+	 * List the postcodes of the chosen district. The postcode stays free text for districts without postcodes.
+	 */
+	AddressRegions.prototype.update_postcodes = function() {
+		var city     = find_region( this.cities, this.$field( 'city' ).val() ),
+			district = city ? find_region( city.districts, this.$field( 'district' ).val() ) : null,
+			$postcode;
+
+		this.set_options( 'postcode', district && district.postcodes.length ? district.postcodes : false, wc_address_regions_params.i18n_select_postcode_text );
+
+		// Fill in the postcode when the district has only one.
+		$postcode = this.$field( 'postcode' );
+
+		if ( district && 1 === district.postcodes.length && ! $postcode.val() ) {
+			$postcode.val( district.postcodes[0] ).trigger( 'change' );
+		}
+	};
+
+	$.each( [ 'billing', 'shipping' ], function( index, type ) {
+		var address = new AddressRegions( type );
+
+		$( document.body )
+			.on( 'change', '#' + type + '_state', function() {
+				address.update_cities();
+			} )
+			.on( 'change', '#' + type + '_city', function() {
+				if ( $( this ).is( 'select' ) ) {
+					address.update_districts();
+				}
+			} )
+			.on( 'change', '#' + type + '_district', function() {
+				if ( $( this ).is( 'select' ) ) {
+					address.update_postcodes();
+				}
+			} )
+			.on( 'country_to_state_changed', function() {
+				address.update_cities();
+			} );
+
+		address.update_cities();
+	} );
+} );
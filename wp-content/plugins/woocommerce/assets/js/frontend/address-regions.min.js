@@ -0,0 +1 @@
+jQuery(function(t){if("undefined"==typeof wc_address_regions_params)return!1;var e={},i=function(e,i){var s=null;return i=t.trim(i||"").toLowerCase(),t.each(e,function(t,e){if(e.name.toLowerCase()===i)return s=e,!1}),s},s=function(t){this.type=t,this.cities=[]};s.prototype.$field=function(e){return t("#"+this.type+"_"+e)},s.prototype.set_options=function(e,i,s){var o,a=this.$field(e),n=a.val()||"",c="";a.length&&(i?(a.is("input")&&(o=t("<select></select>").prop("id",a.prop("id")).prop("name",a.prop("name")).data("placeholder",a.prop("placeholder")).attr("data-input-classes",a.attr("class")).addClass("wc-address-region-select"),a.replaceWith(o),a=o),a.empty().append(t('<option value=""></option>').text(s)),t.each(i,function(e,i){a.append(t("<option></option>").prop("value",i).text(i)),i.toLowerCase()===t.trim(n).toLowerCase()&&(c=i)}),a.val(c),a.data("select2")?a.trigger("change.select2"):a.selectWoo({placeholder:s,placeholderOption:"first",width:"100%"})):a.is("select")&&(o=t('<input type="text" />').prop("id",a.prop("id")).prop("name",a.prop("name")).prop("placeholder",a.data("placeholder")||"").addClass(a.attr("data-input-classes")||"input-text").val(n),a.data("select2")&&a.selectWoo("destroy"),a.replaceWith(o)))},s.prototype.update_cities=function(){var i=this,s=i.$field("country").val(),o=i.$field("state").val(),a=wc_address_regions_params.states[s]||[];if(!o||-1===t.inArray(o,a))return i.cities=[],i.set_options("city",!1),i.set_options("district",!1),void i.set_options("postcode",!1);(function(i,s){var o=i+":"+s;return e[o]||(e[o]=t.getJSON(wc_address_regions_params.regions_url,{country:i,state:s})),e[o]})(s,o).done(function(e){i.$field("country").val()===s&&i.$field("state").val()===o&&(i.cities=e.cities||[],i.set_options("city",t.map(i.cities,function(t){return t.name}),wc_address_regions_params.i18n_select_city_text),i.update_districts())})},s.prototype.update_districts=function(){var e=i(this.cities,this.$field("city").val());this.set_options("district",e?t.map(e.districts,function(t){return t.name}):[],wc_address_regions_params.i18n_select_district_text),this.update_postcodes()},s.prototype.update_postcodes=function(){var t,e=i(this.cities,this.$field("city").val()),s=e?i(e.districts,this.$field("district").val()):null;this.set_options("postcode",!(!s||!s.postcodes.length)&&s.postcodes,wc_address_regions_params.i18n_select_postcode_text),t=this.$field("postcode"),s&&1===s.postcodes.length&&!t.val()&&t.val(s.postcodes[0]).trigger("change")},t.each(["billing","shipping"],function(e,i){var o=new s(i);t(document.body).on("change","#"+i+"_state",function(){o.update_cities()}).on("change","#"+i+"_city",function(){t(this).is("select")&&o.update_districts()}).on("change","#"+i+"_district",function(){t(this).is("select")&&o.update_postcodes()}).on("country_to_state_changed",function(){o.update_cities()}),o.update_cities()})});
\ No newline at end of file
@@ -68,9 +68,56 @@ jQuery( function( $ ) {
 
 	/* Named callback for refreshing cart fragment */
 	function refresh_cart_fragment() {
+		clearTimeout( tab_refresh_timeout );
 		$.ajax( $fragment_refresh );
 	}
 
+	/* Tab Sync: the channel name and storage key are shared with the cart blocks */
+	var cart_channel           = ( 'BroadcastChannel' in window ) ? new window.BroadcastChannel( 'wc_cart' ) : null,
+		cart_updated_key       = 'wc-blocks_cart_update_timestamp',
+		tab_refresh_timeout    = null,
+		tab_refresh_when_shown = false;
+
+	/**
+	 * Refresh after the cart changed in another tab. Several changes in a row lead to one
+	 * request, and hidden tabs wait until they are shown again.
+	 */
+	function refresh_cart_fragment_from_another_tab() {
+		if ( document.hidden ) {
+			tab_refresh_when_shown = true;
+			return;
+		}
+		tab_refresh_when_shown = false;
+		clearTimeout( tab_refresh_timeout );
+		tab_refresh_timeout = setTimeout( refresh_cart_fragment, 250 );
+	}
+
+	/* Tell other tabs, including open cart blocks, that the cart has changed */
+	function broadcast_cart_update() {
+		var timestamp = ( new Date() ).getTime() / 1000;
+
+		if ( $supports_html5_storage ) {
+			localStorage.setItem( cart_updated_key, timestamp.toString() );
+		}
+		if ( cart_channel ) {
+			cart_channel.postMessage( { type: 'cart_updated', timestamp: timestamp } );
+		}
+	}
+
+	if ( cart_channel ) {
+		cart_channel.addEventListener( 'message', function( e ) {
+			if ( e.data && 'cart_updated' === e.data.type ) {
+				refresh_cart_fragment_from_another_tab();
+			}
+		} );
+	}
+
+	$( document ).on( 'visibilitychange', function() {
+		if ( tab_refresh_when_shown && ! document.hidden ) {
+			refresh_cart_fragment_from_another_tab();
+		}
+	} );
+
 	/* Cart Handling */
 	if ( $supports_html5_storage ) {
 
@@ -90,6 +137,7 @@ jQuery( function( $ ) {
 
 			sessionStorage.setItem( wc_cart_fragments_params.fragment_name, JSON.stringify( fragments ) );
 			set_cart_hash( cart_hash );
+			broadcast_cart_update();
 		});
 
 		$( document.body ).on( 'wc_fragments_refreshed', function() {
@@ -102,7 +150,12 @@ jQuery( function( $ ) {
 			if (
 				cart_hash_key === e.originalEvent.key && localStorage.getItem( cart_hash_key ) !== sessionStorage.getItem( cart_hash_key )
 			) {
-				refresh_cart_fragment();
+				refresh_cart_fragment_from_another_tab();
+			}
+
+			// Browsers without BroadcastChannel only see cart block changes through storage.
+			if ( ! cart_channel && cart_updated_key === e.originalEvent.key ) {
+				refresh_cart_fragment_from_another_tab();
 			}
 		});
 
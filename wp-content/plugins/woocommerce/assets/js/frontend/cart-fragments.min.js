@@ -1 +1 @@
-jQuery(function(r){if("undefined"==typeof wc_cart_fragments_params)return!1;var t=!0,o=wc_cart_fragments_params.cart_hash_key;try{t="sessionStorage"in window&&null!==window.sessionStorage,window.sessionStorage.setItem("wc","test"),window.sessionStorage.removeItem("wc"),window.localStorage.setItem("wc","test"),window.localStorage.removeItem("wc")}catch(w){t=!1}function a(){t&&sessionStorage.setItem("wc_cart_created",(new Date).getTime())}function s(e){t&&(localStorage.setItem(o,e),sessionStorage.setItem(o,e))}var e={url:wc_cart_fragments_params.wc_ajax_url.toString().replace("%%endpoint%%","get_refreshed_fragments"),type:"POST",data:{time:(new Date).getTime()},timeout:wc_cart_fragments_params.request_timeout,success:function(e){e&&e.fragments&&(r.each(e.fragments,function(e,t){r(e).replaceWith(t)}),t&&(sessionStorage.setItem(wc_cart_fragments_params.fragment_name,JSON.stringify(e.fragments)),s(e.cart_hash),e.cart_hash&&a()),r(document.body).trigger("wc_fragments_refreshed"))},error:function(){r(document.body).trigger("wc_fragments_ajax_error")}};function n(){r.ajax(e)}if(t){var i=null;r(document.body).on("wc_fragment_refresh updated_wc_div",function(){n()}),r(document.body).on("added_to_cart removed_from_cart",function(e,t,r){var n=sessionStorage.getItem(o);null!==n&&n!==undefined&&""!==n||a(),sessionStorage.setItem(wc_cart_fragments_params.fragment_name,JSON.stringify(t)),s(r)}),r(document.body).on("wc_fragments_refreshed",function(){clearTimeout(i),i=setTimeout(n,864e5)}),r(window).on("storage onstorage",function(e){o===e.originalEvent.key&&localStorage.getItem(o)!==sessionStorage.getItem(o)&&n()}),r(window).on("pageshow",function(e){e.originalEvent.persisted&&(r(".widget_shopping_cart_content").empty(),r(document.body).trigger("wc_fragment_refresh"))});try{var c=JSON.parse(sessionStorage.getItem(wc_cart_fragments_params.fragment_name)),_=sessionStorage.getItem(o),g=Cookies.get("woocommerce_cart_hash"),m=sessionStorage.getItem("wc_cart_created");if(null!==_&&_!==undefined&&""!==_||(_=""),null!==g&&g!==undefined&&""!==g||(g=""),_&&(null===m||m===undefined||""===m))throw"No cart_created";if(m){var d=+m+864e5,m=(new Date).getTime();if(d<m)throw"Fragment expired";i=setTimeout(n,d-m)}if(!c||!c["div.widget_shopping_cart_content"]||_!==g)throw"No fragment";r.each(c,function(e,t){r(e).replaceWith(t)}),r(document.body).trigger("wc_fragments_loaded")}catch(w){n()}}else n();0<Cookies.get("woocommerce_items_in_cart")?r(".hide_cart_widget_if_empty").closest(".widget_shopping_cart").show():r(".hide_cart_widget_if_empty").closest(".widget_shopping_cart").hide(),r(document.body).on("adding_to_cart",function(){r(".hide_cart_widget_if_empty").closest(".widget_shopping_cart").show()}),"undefined"!=typeof wp&&wp.customize&&wp.customize.selectiveRefresh&&wp.customize.widgetsPreview&&wp.customize.widgetsPreview.WidgetPartial&&wp.customize.selectiveRefresh.bind("partial-content-rendered",function(){n()})});
\ No newline at end of file
+jQuery(function(e){if("undefined"==typeof wc_cart_fragments_params)return!1;var t=!0,a=wc_cart_fragments_params.cart_hash_key;try{t="sessionStorage"in window&&null!==window.sessionStorage,window.sessionStorage.setItem("wc","test"),window.sessionStorage.removeItem("wc"),window.localStorage.setItem("wc","test"),window.localStorage.removeItem("wc")}catch(e){t=!1}function n(){t&&sessionStorage.setItem("wc_cart_created",(new Date).getTime())}function r(e){t&&(localStorage.setItem(a,e),sessionStorage.setItem(a,e))}var o={url:wc_cart_fragments_params.wc_ajax_url.toString().replace("%%endpoint%%","get_refreshed_fragments"),type:"POST",data:{time:(new Date).getTime()},timeout:wc_cart_fragments_params.request_timeout,success:function(a){a&&a.fragments&&(e.each(a.fragments,function(t,a){e(t).replaceWith(a)}),t&&(sessionStorage.setItem(wc_cart_fragments_params.fragment_name,JSON.stringify(a.fragments)),r(a.cart_hash),a.cart_hash&&n()),e(document.body).trigger("wc_fragments_refreshed"))},error:function(){e(document.body).trigger("wc_fragments_ajax_error")}};function i(){clearTimeout(m),e.ajax(o)}var s="BroadcastChannel"in window?new window.BroadcastChannel("wc_cart"):null,c="wc-blocks_cart_update_timestamp",m=null,_=!1;function g(){document.hidden?_=!0:(_=!1,clearTimeout(m),m=setTimeout(i,250))}if(s&&s.addEventListener("message",function(e){e.data&&"cart_updated"===e.data.type&&g()}),e(document).on("visibilitychange",function(){_&&!document.hidden&&g()}),t){var d=null,w=864e5;e(document.body).on("wc_fragment_refresh updated_wc_div",function(){i()}),e(document.body).on("added_to_cart removed_from_cart",function(e,o,i){var m,_=sessionStorage.getItem(a);null!=_&&""!==_||n(),sessionStorage.setItem(wc_cart_fragments_params.fragment_name,JSON.stringify(o)),r(i),m=(new Date).getTime()/1e3,t&&localStorage.setItem(c,m.toString()),s&&s.postMessage({type:"cart_updated",timestamp:m})}),e(document.body).on("wc_fragments_refreshed",function(){clearTimeout(d),d=setTimeout(i,w)}),e(window).on("storage onstorage",function(e){a===e.originalEvent.key&&localStorage.getItem(a)!==sessionStorage.getItem(a)&&g(),s||c!==e.originalEvent.key||g()}),e(window).on("pageshow",function(t){t.originalEvent.persisted&&(e(".widget_shopping_cart_content").empty(),e(document.body).trigger("wc_fragment_refresh"))});try{var f=JSON.parse(sessionStorage.getItem(wc_cart_fragments_params.fragment_name)),u=sessionStorage.getItem(a),l=Cookies.get("woocommerce_cart_hash"),p=sessionStorage.getItem("wc_cart_created");if(null!=u&&""!==u||(u=""),null!=l&&""!==l||(l=""),u&&(null==p||""===p))throw"No cart_created";if(p){var h=1*p+w,y=(new Date).getTime();if(h<y)throw"Fragment expired";d=setTimeout(i,h-y)}if(!f||!f["div.widget_shopping_cart_content"]||u!==l)throw"No fragment";e.each(f,function(t,a){e(t).replaceWith(a)}),e(document.body).trigger("wc_fragments_loaded")}catch(e){i()}}else i();Cookies.get("woocommerce_items_in_cart")>0?e(".hide_cart_widget_if_empty").closest(".widget_shopping_cart").show():e(".hide_cart_widget_if_empty").closest(".widget_shopping_cart").hide(),e(document.body).on("adding_to_cart",function(){e(".hide_cart_widget_if_empty").closest(".widget_shopping_cart").show()}),"undefined"!=typeof wp&&wp.customize&&wp.customize.selectiveRefresh&&wp.customize.widgetsPreview&&wp.customize.widgetsPreview.WidgetPartial&&wp.customize.selectiveRefresh.bind("partial-content-rendered",function(){i()})});
\ No newline at end of file
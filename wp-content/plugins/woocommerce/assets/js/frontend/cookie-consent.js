@@ -0,0 +1,268 @@
+/* global wc_cookie_consent_params, Cookies, elementorFrontend, elementorProFrontend */
+( function( $ ) {
+
+	// wc_cookie_consent_params is required to continue, ensure the object exists
+	if ( typeof wc_cookie_consent_params === 'undefined' ) {
+		return false;
+	}
+
+	var cookie_name    = wc_cookie_consent_params.cookie_name,
+		categories     = wc_cookie_consent_params.categories,
+		updated_event  = 'wc_cookie_consent_updated',
+		listeners      = [],
+		activated      = {};
+
+	/**
+	 * The decision is kept in a cookie so the server can skip gating scripts the visitor already
+	 * agreed to. It is readable from other scripts through window.wcCookieConsent.
+	 */
+	var wc_cookie_consent = {
+
+		/**
+		 * Get the stored decision.
+		 *
+		 * @return {Array|null} Granted categories, null when the visitor has not decided yet.
+		 */
+		get: function() {
+			var consent;
+
+			try {
+				consent = JSON.parse( Cookies.get( cookie_name ) || 'null' );
+			} catch ( err ) {
+				consent = null;
+			}
+
+			if ( ! consent || ! $.isArray( consent.categories ) ) {
+				return null;
+			}
+
+			return $.grep( consent.categories, function( category ) {
+				return -1 !== $.inArray( category, categories );
+			} );
+		},
+
+		/**
+		 * Whether the visitor agreed to a category.
+		 *
+		 * @param {string} category Category id.
+		 * @return {boolean}
+		 */
+		has: function( category ) {
+			return 'necessary' === category || -1 !== $.inArray( category, wc_cookie_consent.get() || [] );
+		},
+
+		/**
+		 * Store a decision and run what it allows.
+		 *
+		 * Scripts that already ran cannot be unloaded, so the page is reloaded when a category they
+		 * belong to is withdrawn.
+		 *
+		 * @param {Array} granted Granted categories.
+		 */
+		update: function( granted ) {
+			var previous = wc_cookie_consent.get() || [],
+				revoked  = $.grep( previous, function( category ) {
+					return -1 === $.inArray( category, granted ) && activated[ category ];
+				} );
+
+			Cookies.set(
+				cookie_name,
+				JSON.stringify( { categories: granted, date: new Date().getTime() } ),
+				{ expires: parseInt( wc_cookie_consent_params.expiry_days, 10 ), path: '/', sameSite: 'Lax' }
+			);
+
+			if ( revoked.length ) {
+				window.location.reload();
+				return;
+			}
+
+			wc_cookie_consent.apply();
+		},
+
+		/**
+		 * Run the callback now if the category is granted, otherwise once it is.
+		 *
+		 * @param {string}   category Category id.
+		 * @param {Function} callback Callback.
+		 */
+		whenGranted: function( category, callback ) {
+			if ( wc_cookie_consent.has( category ) ) {
+				callback();
+				return;
+			}
+			listeners.push( { category: category, callback: callback } );
+		},
+
+		/**
+		 * Tell scripts waiting for consent about the current decision.
+		 */
+		apply: function() {
+			var consent = {};
+
+			$.each( categories, function( i, category ) {
+				consent[ category ] = wc_cookie_consent.has( category );
+			} );
+
+			listeners = $.grep( listeners, function( listener ) {
+				if ( consent[ listener.category ] ) {
+					listener.callback();
+					return false;
+				}
+				return true;
+			} );
+
+			// Gated tags are printed up to the footer, so they are only looked for once the page is parsed.
+			$( wc_cookie_consent.runGatedScripts );
+
+			// WooCommerce Blocks analytics adapters.
+			if ( window.wp && window.wp.hooks ) {
+				window.wp.hooks.doAction( 'woocommerce_blocks_analytics_set_consent', consent );
+			}
+
+			$( document.body ).trigger( updated_event, [ consent ] );
+		},
+
+		/**
+		 * Run the script tags held back by the server whose category is granted, in document order.
+		 */
+		runGatedScripts: function() {
+			$( 'script[type="text/plain"][data-wc-consent]' ).each( function() {
+				var category = this.getAttribute( 'data-wc-consent' ),
+					script   = document.createElement( 'script' );
+
+				if ( ! wc_cookie_consent.has( category ) ) {
+					return;
+				}
+
+				$.each( this.attributes, function( i, attribute ) {
+					if ( 'type' !== attribute.name && 'data-wc-consent' !== attribute.name ) {
+						script.setAttribute( attribute.name, attribute.value );
+					}
+				} );
+
+				if ( this.src ) {
+					// Keep dependencies in order, scripts added this way are async by default.
+					script.async = false;
+				} else {
+					script.text = this.text;
+				}
+
+				activated[ category ] = true;
+				this.parentNode.replaceChild( script, this );
+			} );
+		}
+	};
+
+	window.wcCookieConsent = {
+		get: wc_cookie_consent.get,
+		has: wc_cookie_consent.has,
+		update: wc_cookie_consent.update,
+		whenGranted: wc_cookie_consent.whenGranted
+	};
+
+	/**
+	 * Elementor Pro loads the Facebook SDK and the share buttons library on its own, so they are
+	 * held back here rather than by the server.
+	 */
+	$( window ).on( 'elementor/frontend/init', function() {
+		var assets_loader = elementorFrontend.utils && elementorFrontend.utils.assetsLoader,
+			gated_assets  = wc_cookie_consent_params.elementor_assets;
+
+		if ( assets_loader ) {
+			var load = assets_loader.load;
+
+			assets_loader.load = function( type, key ) {
+				var loader = this,
+					args   = arguments;
+
+				if ( ! gated_assets[ key ] || wc_cookie_consent.has( gated_assets[ key ] ) ) {
+					return load.apply( loader, args );
+				}
+
+				return new Promise( function( resolve ) {
+					wc_cookie_consent.whenGranted( gated_assets[ key ], function() {
+						activated[ gated_assets[ key ] ] = true;
+						resolve( load.apply( loader, args ) );
+					} );
+				} );
+			};
+		}
+
+		if ( typeof elementorProFrontend === 'undefined' || ! elementorProFrontend.config.facebook_sdk || wc_cookie_consent.has( 'marketing' ) ) {
+			return;
+		}
+
+		// Facebook widgets skip loading the SDK while it is marked as loading, and parse once it is loaded.
+		elementorProFrontend.config.facebook_sdk.isLoading = true;
+
+		wc_cookie_consent.whenGranted( 'marketing', function() {
+			elementorProFrontend.config.facebook_sdk.isLoading = false;
+			activated.marketing = true;
+
+			$( '.elementor-widget-facebook-button, .elementor-widget-facebook-comments, .elementor-widget-facebook-embed, .elementor-widget-facebook-page' ).first().each( function() {
+				elementorFrontend.elementsHandler.runReadyTrigger( $( this ) );
+			} );
+		} );
+	} );
+
+	/* Banner */
+	$( function() {
+		var $banner = $( '.wc-cookie-consent' ),
+			$open   = $( '.wc-cookie-consent-open' );
+
+		function get_checked_categories() {
+			return $banner.find( 'input[name="wc_cookie_consent[]"]:checked' ).map( function() {
+				return this.value;
+			} ).get();
+		}
+
+		function show_banner() {
+			var granted = wc_cookie_consent.get() || [];
+
+			$banner.find( 'input[name="wc_cookie_consent[]"]' ).not( ':disabled' ).each( function() {
+				this.checked = -1 !== $.inArray( this.value, granted );
+			} );
+			$banner.prop( 'hidden', false );
+			$open.prop( 'hidden', true );
+		}
+
+		function save( granted ) {
+			$banner.prop( 'hidden', true );
+			$banner.find( '.wc-cookie-consent__preferences, .wc-cookie-consent__save' ).prop( 'hidden', true );
+			$banner.find( '.wc-cookie-consent__customize' ).prop( 'hidden', false );
+			$open.prop( 'hidden', false );
+			wc_cookie_consent.update( granted );
+		}
+
+		$banner
+			.on( 'click', '.wc-cookie-consent__accept', function() {
+				save( categories.slice() );
+			} )
+			.on( 'click', '.wc-cookie-consent__reject', function() {
+				save( [ 'necessary' ] );
+			} )
+			.on( 'click', '.wc-cookie-consent__save', function() {
+				save( get_checked_categories() );
+			} )
+			.on( 'click', '.wc-cookie-consent__customize', function() {
+				$banner.find( '.wc-cookie-consent__preferences, .wc-cookie-consent__save' ).prop( 'hidden', false );
+				$( this ).prop( 'hidden', true );
+			} );
+
+		// Themes can link to the preferences with the wc-cookie-consent-open class or a #cookie-settings link.
+		$( document.body ).on( 'click', '.wc-cookie-consent-open, a[href="#cookie-settings"]', function( e ) {
+			e.preventDefault();
+			show_banner();
+			$banner.find( '.wc-cookie-consent__customize' ).trigger( 'click' );
+		} );
+
+		if ( null === wc_cookie_consent.get() ) {
+			show_banner();
+		} else {
+			$open.prop( 'hidden', false );
+		}
+	} );
+
+	wc_cookie_consent.apply();
+
+} )( jQuery );
@@ -0,0 +1 @@
+!function(e){if("undefined"==typeof wc_cookie_consent_params)return!1;var n=wc_cookie_consent_params.cookie_name,o=wc_cookie_consent_params.categories,t=[],c={},i={get:function(){var t;try{t=JSON.parse(Cookies.get(n)||"null")}catch(e){t=null}return t&&e.isArray(t.categories)?e.grep(t.categories,function(n){return-1!==e.inArray(n,o)}):null},has:function(n){return"necessary"===n||-1!==e.inArray(n,i.get()||[])},update:function(o){var t=i.get()||[],r=e.grep(t,function(n){return-1===e.inArray(n,o)&&c[n]});Cookies.set(n,JSON.stringify({categories:o,date:(new Date).getTime()}),{expires:parseInt(wc_cookie_consent_params.expiry_days,10),path:"/",sameSite:"Lax"}),r.length?window.location.reload():i.apply()},whenGranted:function(e,n){i.has(e)?n():t.push({category:e,callback:n})},apply:function(){var n={};e.each(o,function(e,o){n[o]=i.has(o)}),t=e.grep(t,function(e){return!n[e.category]||(e.callback(),!1)}),e(i.runGatedScripts),window.wp&&window.wp.hooks&&window.wp.hooks.doAction("woocommerce_blocks_analytics_set_consent",n),e(document.body).trigger("wc_cookie_consent_updated",[n])},runGatedScripts:function(){e('script[type="text/plain"][data-wc-consent]').each(function(){var n=this.getAttribute("data-wc-consent"),o=document.createElement("script");i.has(n)&&(e.each(this.attributes,function(e,n){"type"!==n.name&&"data-wc-consent"!==n.name&&o.setAttribute(n.name,n.value)}),this.src?o.async=!1:o.text=this.text,c[n]=!0,this.parentNode.replaceChild(o,this))})}};window.wcCookieConsent={get:i.get,has:i.has,update:i.update,whenGranted:i.whenGranted},e(window).on("elementor/frontend/init",function(){var n=elementorFrontend.utils&&elementorFrontend.utils.assetsLoader,o=wc_cookie_consent_params.elementor_assets;if(n){var t=n.load;n.load=function(e,n){var r=this,a=arguments;return!o[n]||i.has(o[n])?t.apply(r,a):new Promise(function(e){i.whenGranted(o[n],function(){c[o[n]]=!0,e(t.apply(r,a))})})}}"undefined"!=typeof elementorProFrontend&&elementorProFrontend.config.facebook_sdk&&!i.has("marketing")&&(elementorProFrontend.config.facebook_sdk.isLoading=!0,i.whenGranted("marketing",function(){elementorProFrontend.config.facebook_sdk.isLoading=!1,c.marketing=!0,e(".elementor-widget-facebook-button, .elementor-widget-facebook-comments, .elementor-widget-facebook-embed, .elementor-widget-facebook-page").first().each(function(){elementorFrontend.elementsHandler.runReadyTrigger(e(this))})}))}),e(function(){var n=e(".wc-cookie-consent"),t=e(".wc-cookie-consent-open");function c(){var o=i.get()||[];n.find('input[name="wc_cookie_consent[]"]').not(":disabled").each(function(){this.checked=-1!==e.inArray(this.value,o)}),n.prop("hidden",!1),t.prop("hidden",!0)}function r(e){n.prop("hidden",!0),n.find(".wc-cookie-consent__preferences, .wc-cookie-consent__save").prop("hidden",!0),n.find(".wc-cookie-consent__customize").prop("hidden",!1),t.prop("hidden",!1),i.update(e)}n.on("click",".wc-cookie-consent__accept",function(){r(o.slice())}).on("click",".wc-cookie-consent__reject",function(){r(["necessary"])}).on("click",".wc-cookie-consent__save",function(){r(n.find('input[name="wc_cookie_consent[]"]:checked').map(function(){return this.value}).get())}).on("click",".wc-cookie-consent__customize",function(){n.find(".wc-cookie-consent__preferences, .wc-cookie-consent__save").prop("hidden",!1),e(this).prop("hidden",!0)}),e(document.body).on("click",'.wc-cookie-consent-open, a[href="#cookie-settings"]',function(e){e.preventDefault(),c(),n.find(".wc-cookie-consent__customize").trigger("click")}),null===i.get()?c():t.prop("hidden",!1)}),i.apply()}(jQuery);
\ No newline at end of file
@@ -0,0 +1,174 @@
+/* global wc_credit_simulator_params */
+jQuery( function( $ ) {
+
+	// wc_credit_simulator_params is required to continue, ensure the object exists
+	if ( typeof wc_credit_simulator_params === 'undefined' ) {
+		return false;
+	}
+
+	/**
+	 * CreditSimulator class.
+	 */
+	var CreditSimulator = function( $simulator ) {
+		var self = this;
+
+		self.$simulator    = $simulator;
+		self.$form         = $simulator.closest( 'form.cart' );
+		self.$partner      = $simulator.find( '.wc-credit-simulator__partner' );
+		self.$down_payment = $simulator.find( '.wc-credit-simulator__down-payment' );
+		self.$table        = $simulator.find( '.wc-credit-simulator__table' );
+		self.$notice       = $simulator.find( '.wc-credit-simulator__notice' );
+		self.price         = parseFloat( $simulator.data( 'price' ) ) || 0;
+		self.options_price = 0;
+
+		self.$form.on( 'show_variation', function( event, variation ) {
+			self.price = parseFloat( variation.display_price ) || 0;
+			self.render();
+		} );
+		self.$form.on( 'hide_variation reset_data', function() {
+			self.price = 0;
+			self.render();
+		} );
+		self.$form.on( 'wcpa_price_updated', function( event, total ) {
+			self.options_price = parseFloat( total ) || 0;
+			self.render();
+		} );
+		self.$partner.add( self.$down_payment ).on( 'change', function() {
+			self.render();
+		} );
+
+		self.render();
+	};
+
+	/**
+	 * Round a value up to a multiple of the rounding setting, or to the store decimals.
+	 */
+	CreditSimulator.prototype.round_up = function( value ) {
+		var rounding = parseFloat( wc_credit_simulator_params.rounding ) || 0,
+			precision;
+
+		if ( rounding > 0 ) {
+			return Math.ceil( Math.round( value / rounding * 1000000 ) / 1000000 ) * rounding;
+		}
+
+		precision = Math.pow( 10, wc_credit_simulator_params.currency_format.decimals );
+
+		return Math.round( value * precision ) / precision;
+	};
+
+	/**
+	 * Calculate a plan, mirrors WC_Credit_Simulator::calculate().
+	 */
+	CreditSimulator.prototype.calculate = function( price, partner, down_payment_share, tenor ) {
+		var rate = partner.rates[ tenor ],
+			down_payment, principal, interest, monthly;
+
+		if ( ! rate || price <= 0 || down_payment_share < partner.min_down_payment || down_payment_share >= 100 ) {
+			return false;
+		}
+
+		down_payment = this.round_up( price * down_payment_share / 100 );
+		principal    = Math.max( 0, price - down_payment );
+		interest     = principal * rate / 100 * tenor / 12;
+		monthly      = this.round_up( ( principal + interest ) / tenor );
+
+		return {
+			down_payment: down_payment,
+			first_payment: down_payment + partner.admin_fee,
+			monthly: monthly
+		};
+	};
+
+	/**
+	 * Get the selected partner.
+	 */
+	CreditSimulator.prototype.get_partner = function() {
+		var id = this.$partner.val();
+
+		return $.grep( wc_credit_simulator_params.partners, function( partner ) {
+			return partner.id === id;
+		} )[0];
+	};
+
+	/**
+	 * Format an amount like wc_price().
+	 */
+	CreditSimulator.prototype.format_price = function( amount ) {
+		var format = wc_credit_simulator_params.currency_format,
+			parts  = Math.abs( amount ).toFixed( format.decimals ).split( '.' ),
+			number = parts[0].replace( /\B(?=(\d{3})+(?!\d))/g, format.thousand );
+
+		if ( parts[1] ) {
+			number += format.decimal + parts[1];
+		}
+
+		return format.format.replace( '%1$s', format.symbol ).replace( '%2$s', ( amount < 0 ? '-' : '' ) + number );
+	};
+
+	/**
+	 * Render the instalments table for the current price.
+	 */
+	CreditSimulator.prototype.render = function() {
+		var self     = this,
+			price    = self.price > 0 ? self.price + self.options_price : 0,
+			partner  = self.get_partner(),
+			share    = parseFloat( self.$down_payment.val() ) || 0,
+			selected = self.$table.find( 'input[name="credit_simulator_tenor"]:checked' ).val(),
+			$tbody   = self.$table.find( 'tbody' ).empty();
+
+		self.$notice.toggle( price <= 0 );
+		self.$table.toggle( price > 0 && !! partner );
+
+		if ( price <= 0 || ! partner ) {
+			return;
+		}
+
+		$tbody.append( self.row( '', wc_credit_simulator_params.i18n_cash, self.format_price( price ), '&mdash;' ) );
+
+		$.each( wc_credit_simulator_params.tenors, function( index, tenor ) {
+			var plan = self.calculate( price, partner, share, tenor );
+
+			if ( false === plan && ! partner.rates[ tenor ] ) {
+				return;
+			}
+
+			$tbody.append(
+				plan
+					? self.row( tenor, wc_credit_simulator_params.i18n_months.replace( '%d', tenor ), self.format_price( plan.first_payment ), self.format_price( plan.monthly ) )
+					: self.row( tenor, wc_credit_simulator_params.i18n_months.replace( '%d', tenor ), wc_credit_simulator_params.i18n_not_available, '&mdash;', true )
+			);
+		} );
+
+		// Keep the customer's choice when the price changes, fall back to cash when the plan is gone.
+		var $selected = $tbody.find( 'input[name="credit_simulator_tenor"]:enabled' ).filter( function() {
+			return $( this ).val() === selected;
+		} );
+
+		( $selected.length ? $selected : $tbody.find( 'input[name="credit_simulator_tenor"]' ).first() ).prop( 'checked', true );
+	};
+
+	/**
+	 * Build a table row.
+	 */
+	CreditSimulator.prototype.row = function( value, label, first_payment, monthly, disabled ) {
+		var $input = $( '<input type="radio" name="credit_simulator_tenor" />' ).val( value ).prop( 'disabled', !! disabled ),
+			$row   = $( '<tr />' ).toggleClass( 'is-disabled', !! disabled );
+
+		$row.append( $( '<td />' ).append( $input ) );
+		$row.append( $( '<td />' ).append( $( '<label />' ).text( label ) ) );
+		$row.append( $( '<td />' ).html( first_payment ) );
+		$row.append( $( '<td />' ).html( monthly ) );
+
+		$row.on( 'click', function() {
+			if ( ! $input.prop( 'disabled' ) ) {
+				$input.prop( 'checked', true );
+			}
+		} );
+
+		return $row;
+	};
+
+	$( '.wc-credit-simulator' ).each( function() {
+		new CreditSimulator( $( this ) );
+	} );
+} );
@@ -0,0 +1 @@
+jQuery(function(r){if("undefined"==typeof wc_credit_simulator_params)return!1;var t=function(r){var t=this;t.$simulator=r,t.$form=r.closest("form.cart"),t.$partner=r.find(".wc-credit-simulator__partner"),t.$down_payment=r.find(".wc-credit-simulator__down-payment"),t.$table=r.find(".wc-credit-simulator__table"),t.$notice=r.find(".wc-credit-simulator__notice"),t.price=parseFloat(r.data("price"))||0,t.options_price=0,t.$form.on("show_variation",function(r,e){t.price=parseFloat(e.display_price)||0,t.render()}),t.$form.on("hide_variation reset_data",function(){t.price=0,t.render()}),t.$form.on("wcpa_price_updated",function(r,e){t.options_price=parseFloat(e)||0,t.render()}),t.$partner.add(t.$down_payment).on("change",function(){t.render()}),t.render()};t.prototype.round_up=function(r){var t,e=parseFloat(wc_credit_simulator_params.rounding)||0;return e>0?Math.ceil(Math.round(r/e*1e6)/1e6)*e:(t=Math.pow(10,wc_credit_simulator_params.currency_format.decimals),Math.round(r*t)/t)},t.prototype.calculate=function(r,t,e,a){var n,i,o,p,c=t.rates[a];return!(!c||r<=0||e<t.min_down_payment||e>=100)&&(n=this.round_up(r*e/100),o=(i=Math.max(0,r-n))*c/100*a/12,p=this.round_up((i+o)/a),{down_payment:n,first_payment:n+t.admin_fee,monthly:p})},t.prototype.get_partner=function(){var t=this.$partner.val();return r.grep(wc_credit_simulator_params.partners,function(r){return r.id===t})[0]},t.prototype.format_price=function(r){var t=wc_credit_simulator_params.currency_format,e=Math.abs(r).toFixed(t.decimals).split("."),a=e[0].replace(/\B(?=(\d{3})+(?!\d))/g,t.thousand);return e[1]&&(a+=t.decimal+e[1]),t.format.replace("%1$s",t.symbol).replace("%2$s",(r<0?"-":"")+a)},t.prototype.render=function(){var t=this,e=t.price>0?t.price+t.options_price:0,a=t.get_partner(),n=parseFloat(t.$down_payment.val())||0,i=t.$table.find('input[name="credit_simulator_tenor"]:checked').val(),o=t.$table.find("tbody").empty();if(t.$notice.toggle(e<=0),t.$table.toggle(e>0&&!!a),!(e<=0)&&a){o.append(t.row("",wc_credit_simulator_params.i18n_cash,t.format_price(e),"&mdash;")),r.each(wc_credit_simulator_params.tenors,function(r,i){var p=t.calculate(e,a,n,i);(!1!==p||a.rates[i])&&o.append(p?t.row(i,wc_credit_simulator_params.i18n_months.replace("%d",i),t.format_price(p.first_payment),t.format_price(p.monthly)):t.row(i,wc_credit_simulator_params.i18n_months.replace("%d",i),wc_credit_simulator_params.i18n_not_available,"&mdash;",!0))});var p=o.find('input[name="credit_simulator_tenor"]:enabled').filter(function(){return r(this).val()===i});(p.length?p:o.find('input[name="credit_simulator_tenor"]').first()).prop("checked",!0)}},t.prototype.row=function(t,e,a,n,i){var o=r('<input type="radio" name="credit_simulator_tenor" />').val(t).prop("disabled",!!i),p=r("<tr />").toggleClass("is-disabled",!!i);return p.append(r("<td />").append(o)),p.append(r("<td />").append(r("<label />").text(e))),p.append(r("<td />").html(a)),p.append(r("<td />").html(n)),p.on("click",function(){o.prop("disabled")||o.prop("checked",!0)}),p},r(".wc-credit-simulator").each(function(){new t(r(this))})});
\ No newline at end of file
@@ -0,0 +1,285 @@
+/* global wc_product_compare_params */
+jQuery( function( $ ) {
+
+	// wc_product_compare_params is required to continue, ensure the object exists
+	if ( typeof wc_product_compare_params === 'undefined' ) {
+		return false;
+	}
+
+	/* Storage Handling */
+	var $supports_html5_storage = true,
+		storage_key             = wc_product_compare_params.storage_key,
+		max_items               = parseInt( wc_product_compare_params.max_items, 10 ),
+		updated_event           = 'wc_product_compare_updated';
+
+	try {
+		$supports_html5_storage = ( 'sessionStorage' in window && window.sessionStorage !== null );
+		window.sessionStorage.setItem( 'wc', 'test' );
+		window.sessionStorage.removeItem( 'wc' );
+	} catch( err ) {
+		$supports_html5_storage = false;
+	}
+
+	if ( ! $supports_html5_storage ) {
+		$( '.wc-product-compare-toggle' ).hide();
+		return false;
+	}
+
+	/**
+	 * The selection is shared with the product compare block of WooCommerce Blocks, which uses the same
+	 * storage key and listens to the same event on the body.
+	 */
+	var wc_product_compare = {
+		cache: {},
+
+		/**
+		 * Initialize event handlers and UI state.
+		 */
+		init: function() {
+			$( document.body )
+				.on( 'change', '.wc-product-compare-toggle__input', this.onToggle )
+				.on( 'click', '.wc-product-compare__remove', this.onRemove )
+				.on( 'click', '.wc-product-compare-bar__open', this.openModal )
+				.on( 'click', '.wc-product-compare-bar__clear', this.onClear )
+				.on( 'click', '.wc-product-compare-modal__close', this.closeModal )
+				.on( 'click', '.wc-product-compare-modal', function( event ) {
+					if ( event.target === this ) {
+						wc_product_compare.closeModal();
+					}
+				} )
+				.on( updated_event, this.refresh );
+
+			$( document ).on( 'keydown', function( event ) {
+				if ( 27 === event.keyCode ) {
+					wc_product_compare.closeModal();
+				}
+			} );
+
+			// Variable products compare the chosen variation, reusing the data the variation form found.
+			$( '.variations_form' )
+				.on( 'found_variation', function( event, variation ) {
+					wc_product_compare.setToggleProduct( $( this ), variation.variation_id );
+				} )
+				.on( 'reset_data', function() {
+					wc_product_compare.setToggleProduct( $( this ), $( this ).data( 'product_id' ) );
+				} );
+
+			// Product grids loaded with ajax, e.g. infinite scroll or quick view.
+			$( document.body ).on( 'post-load wc_fragments_loaded', this.refresh );
+
+			this.refresh();
+		},
+
+		/**
+		 * Selected product and variation IDs.
+		 */
+		get: function() {
+			var ids;
+
+			try {
+				ids = JSON.parse( sessionStorage.getItem( storage_key ) );
+			} catch( err ) {
+				ids = [];
+			}
+
+			return $.isArray( ids ) ? $.map( ids, function( id ) {
+				id = parseInt( id, 10 );
+				return id > 0 ? id : null;
+			} ).slice( 0, max_items ) : [];
+		},
+
+		/**
+		 * Save the selection and let every listener know.
+		 */
+		set: function( ids ) {
+			var event;
+
+			sessionStorage.setItem( storage_key, JSON.stringify( ids ) );
+
+			// Native event so listeners that do not use jQuery, like the block, get it too.
+			try {
+				event = new CustomEvent( updated_event, { detail: ids } );
+			} catch( err ) {
+				event = document.createEvent( 'CustomEvent' );
+				event.initCustomEvent( updated_event, false, false, ids );
+			}
+
+			document.body.dispatchEvent( event );
+		},
+
+		/**
+		 * Add or remove a product. Returns false when the selection is full.
+		 */
+		toggle: function( id, add ) {
+			var ids = $.grep( wc_product_compare.get(), function( value ) {
+				return value !== id;
+			} );
+
+			if ( add ) {
+				if ( ids.length >= max_items ) {
+					window.alert( wc_product_compare_params.i18n_max );
+					return false;
+				}
+				ids.push( id );
+			}
+
+			wc_product_compare.set( ids );
+
+			return true;
+		},
+
+		onToggle: function() {
+			var $input = $( this );
+
+			if ( ! wc_product_compare.toggle( parseInt( $input.val(), 10 ), $input.is( ':checked' ) ) ) {
+				$input.prop( 'checked', false );
+			}
+		},
+
+		onRemove: function( event ) {
+			event.preventDefault();
+			wc_product_compare.toggle( parseInt( $( this ).data( 'product_id' ), 10 ), false );
+		},
+
+		onClear: function() {
+			wc_product_compare.set( [] );
+			wc_product_compare.closeModal();
+		},
+
+		/**
+		 * Point the single product toggle at a variation, or back at the parent.
+		 */
+		setToggleProduct: function( $form, id ) {
+			var $input = $form.find( '.wc-product-compare-toggle__input' );
+
+			if ( $input.length && id ) {
+				$input.val( id );
+				$input.prop( 'checked', $.inArray( parseInt( id, 10 ), wc_product_compare.get() ) > -1 );
+			}
+		},
+
+		openModal: function() {
+			$( '.wc-product-compare-modal' ).prop( 'hidden', false );
+			$( document.body ).addClass( 'wc-product-compare-modal-open' );
+			wc_product_compare.render();
+		},
+
+		closeModal: function() {
+			$( '.wc-product-compare-modal' ).prop( 'hidden', true );
+			$( document.body ).removeClass( 'wc-product-compare-modal-open' );
+		},
+
+		/**
+		 * Sync the checkboxes, the bar and the tables with the selection.
+		 */
+		refresh: function() {
+			var ids = wc_product_compare.get();
+
+			$( '.wc-product-compare-toggle__input' ).each( function() {
+				$( this ).prop( 'checked', $.inArray( parseInt( $( this ).val(), 10 ), ids ) > -1 );
+			} );
+
+			$( '.wc-product-compare-bar' ).prop( 'hidden', ! ids.length );
+			$( '.wc-product-compare-bar__count' ).text( wc_product_compare_params.i18n_count.replace( '%d', ids.length ) );
+			$( '.wc-product-compare-bar__open' ).prop( 'disabled', ids.length < 2 );
+
+			if ( ! ids.length ) {
+				wc_product_compare.closeModal();
+			}
+
+			wc_product_compare.render();
+		},
+
+		/**
+		 * Render the visible comparison tables.
+		 */
+		render: function() {
+			var $tables = $( '.wc-product-compare' ).filter( function() {
+					return ! $( this ).closest( '[hidden]' ).length;
+				} ),
+				ids     = wc_product_compare.get(),
+				key     = ids.join( ',' );
+
+			if ( ! $tables.length ) {
+				return;
+			}
+
+			$tables.find( '.wc-product-compare__empty' ).toggle( ! ids.length );
+
+			if ( ! ids.length ) {
+				$tables.find( '.wc-product-compare__table-wrapper' ).empty();
+				return;
+			}
+
+			if ( wc_product_compare.cache[ key ] ) {
+				wc_product_compare.renderTables( $tables, wc_product_compare.cache[ key ] );
+				return;
+			}
+
+			$tables.addClass( 'processing' );
+
+			$.ajax( {
+				url: wc_product_compare_params.wc_ajax_url.toString().replace( '%%endpoint%%', 'get_compare_products' ),
+				type: 'GET',
+				data: { product_ids: key },
+				dataType: 'json',
+				success: function( data ) {
+					if ( data && data.items ) {
+						wc_product_compare.cache[ key ] = data;
+						// Only render if the selection did not change while loading.
+						if ( key === wc_product_compare.get().join( ',' ) ) {
+							wc_product_compare.renderTables( $tables, data );
+						}
+					}
+				},
+				error: function() {
+					$tables.find( '.wc-product-compare__table-wrapper' ).html( $( '<p class="woocommerce-error" />' ).text( wc_product_compare_params.i18n_error ) );
+				},
+				complete: function() {
+					$tables.removeClass( 'processing' );
+				}
+			} );
+		},
+
+		/**
+		 * Build the table markup. Values are escaped server side.
+		 */
+		renderTables: function( $tables, data ) {
+			var $table = $( '<table class="shop_table wc-product-compare__table" />' ),
+				$head  = $( '<tr />' ).append( $( '<th />' ).text( wc_product_compare_params.i18n_product ) ),
+				$body  = $( '<tbody />' );
+
+			$.each( data.items, function( index, item ) {
+				var $cell = $( '<th class="wc-product-compare__product" />' );
+
+				$cell.append( $( '<a />' ).attr( 'href', item.permalink ).html( item.image ) );
+				$cell.append( $( '<a class="wc-product-compare__name" />' ).attr( 'href', item.permalink ).text( item.name ) );
+				$cell.append(
+					$( '<a href="#" class="wc-product-compare__remove remove" />' )
+						.attr( 'data-product_id', item.id )
+						.attr( 'aria-label', wc_product_compare_params.i18n_remove )
+						.html( '&times;' )
+				);
+				$head.append( $cell );
+			} );
+
+			$.each( data.rows, function( index, row ) {
+				var $row = $( '<tr />' ).addClass( 'wc-product-compare__row--' + row.key ).append( $( '<th />' ).text( row.label ) );
+
+				$.each( data.items, function( index, item ) {
+					$row.append( $( '<td />' ).html( item.values[ row.key ] || '&ndash;' ) );
+				} );
+
+				$body.append( $row );
+			} );
+
+			$table.append( $( '<thead />' ).append( $head ) ).append( $body );
+
+			$tables.each( function() {
+				$( this ).find( '.wc-product-compare__table-wrapper' ).html( $table.clone() );
+			} );
+		}
+	};
+
+	wc_product_compare.init();
+} );
@@ -0,0 +1 @@
+jQuery(function(e){if("undefined"==typeof wc_product_compare_params)return!1;var t=!0,o=wc_product_compare_params.storage_key,r=parseInt(wc_product_compare_params.max_items,10),c="wc_product_compare_updated";try{t="sessionStorage"in window&&null!==window.sessionStorage,window.sessionStorage.setItem("wc","test"),window.sessionStorage.removeItem("wc")}catch(e){t=!1}if(!t)return e(".wc-product-compare-toggle").hide(),!1;var a={cache:{},init:function(){e(document.body).on("change",".wc-product-compare-toggle__input",this.onToggle).on("click",".wc-product-compare__remove",this.onRemove).on("click",".wc-product-compare-bar__open",this.openModal).on("click",".wc-product-compare-bar__clear",this.onClear).on("click",".wc-product-compare-modal__close",this.closeModal).on("click",".wc-product-compare-modal",function(e){e.target===this&&a.closeModal()}).on(c,this.refresh),e(document).on("keydown",function(e){27===e.keyCode&&a.closeModal()}),e(".variations_form").on("found_variation",function(t,o){a.setToggleProduct(e(this),o.variation_id)}).on("reset_data",function(){a.setToggleProduct(e(this),e(this).data("product_id"))}),e(document.body).on("post-load wc_fragments_loaded",this.refresh),this.refresh()},get:function(){var t;try{t=JSON.parse(sessionStorage.getItem(o))}catch(e){t=[]}return e.isArray(t)?e.map(t,function(e){return(e=parseInt(e,10))>0?e:null}).slice(0,r):[]},set:function(e){var t;sessionStorage.setItem(o,JSON.stringify(e));try{t=new CustomEvent(c,{detail:e})}catch(o){(t=document.createEvent("CustomEvent")).initCustomEvent(c,!1,!1,e)}document.body.dispatchEvent(t)},toggle:function(t,o){var c=e.grep(a.get(),function(e){return e!==t});if(o){if(c.length>=r)return window.alert(wc_product_compare_params.i18n_max),!1;c.push(t)}return a.set(c),!0},onToggle:function(){var t=e(this);a.toggle(parseInt(t.val(),10),t.is(":checked"))||t.prop("checked",!1)},onRemove:function(t){t.preventDefault(),a.toggle(parseInt(e(this).data("product_id"),10),!1)},onClear:function(){a.set([]),a.closeModal()},setToggleProduct:function(t,o){var r=t.find(".wc-product-compare-toggle__input");r.length&&o&&(r.val(o),r.prop("checked",e.inArray(parseInt(o,10),a.get())>-1))},openModal:function(){e(".wc-product-compare-modal").prop("hidden",!1),e(document.body).addClass("wc-product-compare-modal-open"),a.render()},closeModal:function(){e(".wc-product-compare-modal").prop("hidden",!0),e(document.body).removeClass("wc-product-compare-modal-open")},refresh:function(){var t=a.get();e(".wc-product-compare-toggle__input").each(function(){e(this).prop("checked",e.inArray(parseInt(e(this).val(),10),t)>-1)}),e(".wc-product-compare-bar").prop("hidden",!t.length),e(".wc-product-compare-bar__count").text(wc_product_compare_params.i18n_count.replace("%d",t.length)),e(".wc-product-compare-bar__open").prop("disabled",t.length<2),t.length||a.closeModal(),a.render()},render:function(){var t=e(".wc-product-compare").filter(function(){return!e(this).closest("[hidden]").length}),o=a.get(),r=o.join(",");t.length&&(t.find(".wc-product-compare__empty").toggle(!o.length),o.length?a.cache[r]?a.renderTables(t,a.cache[r]):(t.addClass("processing"),e.ajax({url:wc_product_compare_params.wc_ajax_url.toString().replace("%%endpoint%%","get_compare_products"),type:"GET",data:{product_ids:r},dataType:"json",success:function(e){e&&e.items&&(a.cache[r]=e,r===a.get().join(",")&&a.renderTables(t,e))},error:function(){t.find(".wc-product-compare__table-wrapper").html(e('<p class="woocommerce-error" />').text(wc_product_compare_params.i18n_error))},complete:function(){t.removeClass("processing")}})):t.find(".wc-product-compare__table-wrapper").empty())},renderTables:function(t,o){var r=e('<table class="shop_table wc-product-compare__table" />'),c=e("<tr />").append(e("<th />").text(wc_product_compare_params.i18n_product)),a=e("<tbody />");e.each(o.items,function(t,o){var r=e('<th class="wc-product-compare__product" />');r.append(e("<a />").attr("href",o.permalink).html(o.image)),r.append(e('<a class="wc-product-compare__name" />').attr("href",o.permalink).text(o.name)),r.append(e('<a href="#" class="wc-product-compare__remove remove" />').attr("data-product_id",o.id).attr("aria-label",wc_product_compare_params.i18n_remove).html("&times;")),c.append(r)}),e.each(o.rows,function(t,r){var c=e("<tr />").addClass("wc-product-compare__row--"+r.key).append(e("<th />").text(r.label));e.each(o.items,function(t,o){c.append(e("<td />").html(o.values[r.key]||"&ndash;"))}),a.append(c)}),r.append(e("<thead />").append(c)).append(a),t.each(function(){e(this).find(".wc-product-compare__table-wrapper").html(r.clone())})}};a.init()});
\ No newline at end of file
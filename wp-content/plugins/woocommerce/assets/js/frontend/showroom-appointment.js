@@ -0,0 +1,84 @@
+/* global wc_showroom_appointment_params */
+jQuery( function( $ ) {
+
+	// wc_showroom_appointment_params is required to continue, ensure the object exists
+	if ( typeof wc_showroom_appointment_params === 'undefined' ) {
+		return false;
+	}
+
+	var $branch = $( '#showroom_branch' ),
+		$date   = $( '#showroom_date' ),
+		$slot   = $( '#showroom_slot' ),
+		request = null;
+
+	/**
+	 * Replace the options of a select, keeping its placeholder option.
+	 */
+	var set_options = function( $select, options ) {
+		$select.find( 'option' ).not( '[value=""]' ).remove();
+
+		$.each( options, function( index, option ) {
+			$( '<option></option>' )
+				.val( option.value )
+				.text( option.label )
+				.prop( 'disabled', !! option.disabled )
+				.appendTo( $select );
+		} );
+
+		$select.val( '' );
+	};
+
+	/**
+	 * List the dates the chosen branch opens on.
+	 */
+	var update_dates = function() {
+		var branch = wc_showroom_appointment_params.branches[ $branch.val() ];
+
+		set_options( $date, branch ? branch.dates : [] );
+		set_options( $slot, [] );
+	};
+
+	/**
+	 * Load the time slots of the chosen branch and date, with the places left.
+	 */
+	var update_slots = function() {
+		if ( request ) {
+			request.abort();
+			request = null;
+		}
+
+		set_options( $slot, [] );
+
+		if ( ! $branch.val() || ! $date.val() ) {
+			return;
+		}
+
+		$slot.closest( '.form-row' ).block( { message: null, overlayCSS: { background: '#fff', opacity: 0.6 } } );
+
+		request = $.getJSON( wc_showroom_appointment_params.slots_url, { branch: $branch.val(), date: $date.val() } )
+			.done( function( slots ) {
+				set_options( $slot, $.map( slots, function( slot ) {
+					return {
+						value: slot.slot,
+						label: slot.label + ' (' + (
+							slot.available
+								? ( 1 === slot.remaining ? wc_showroom_appointment_params.i18n_one_place_left : wc_showroom_appointment_params.i18n_places_left.replace( '%d', slot.remaining ) )
+								: wc_showroom_appointment_params.i18n_full
+						) + ')',
+						disabled: ! slot.available
+					};
+				} ) );
+			} )
+			.always( function() {
+				$slot.closest( '.form-row' ).unblock();
+			} );
+	};
+
+	$branch.on( 'change', update_dates );
+	$date.on( 'change', update_slots );
+
+	// The checkout may be shown again with a branch chosen, e.g. after going back in the browser.
+	if ( $branch.val() ) {
+		update_dates();
+	}
+} );
@@ -0,0 +1 @@
+jQuery(function(o){if("undefined"==typeof wc_showroom_appointment_params)return!1;var a=o("#showroom_branch"),n=o("#showroom_date"),e=o("#showroom_slot"),l=null,t=function(a,n){a.find("option").not('[value=""]').remove(),o.each(n,function(n,e){o("<option></option>").val(e.value).text(e.label).prop("disabled",!!e.disabled).appendTo(a)}),a.val("")},r=function(){var o=wc_showroom_appointment_params.branches[a.val()];t(n,o?o.dates:[]),t(e,[])};a.on("change",r),n.on("change",function(){l&&(l.abort(),l=null),t(e,[]),a.val()&&n.val()&&(e.closest(".form-row").block({message:null,overlayCSS:{background:"#fff",opacity:.6}}),l=o.getJSON(wc_showroom_appointment_params.slots_url,{branch:a.val(),date:n.val()}).done(function(a){t(e,o.map(a,function(o){return{value:o.slot,label:o.label+" ("+(o.available?1===o.remaining?wc_showroom_appointment_params.i18n_one_place_left:wc_showroom_appointment_params.i18n_places_left.replace("%d",o.remaining):wc_showroom_appointment_params.i18n_full)+")",disabled:!o.available}}))}).always(function(){e.closest(".form-row").unblock()}))}),a.val()&&r()});
\ No newline at end of file
@@ -0,0 +1,8405 @@
+<?php
+/**
+ * Regions
+ *
+ * Returns an array of the cities, districts and postcodes of country states, used to offer cascading address fields.
+ * Regions are keyed by country code, then state code, city (or regency) name and district name, and list the
+ * postcodes of each district. Region names are proper names and are not translated.
+ * Only states listed here get cascading fields, more can be added with the woocommerce_regions filter.
+ *
+ * Indonesian regencies and districts come from the idn-area-data package (https://github.com/fityannugroho/idn-area-data,
+ * Open Database License), which follows the regulations of the Ministry of Home Affairs. Regencies of the provinces
+ * formed in 2022 are listed under Papua and Papua Barat, the provinces they were part of. Districts without postcodes
+ * leave the postcode field free.
+ *
+ * @package WooCommerce\i18n
+ * @version 5.6.0
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+return array(
+	'ID' => array( // Indonesian regions.
+		'AC' => array(
+			'Kabupaten Aceh Barat'      => array(
+				'Arongan Lambalek' => array(),
+				'Bubon'            => array(),
+				'Johan Pahlawan'   => array(),
+				'Kaway XVI'        => array(),
+				'Meureubo'         => array(),
+				'Pante Ceureumen'  => array(),
+				'Panton Reu'       => array(),
+				'Samatiga'         => array(),
+				'Sungai Mas'       => array(),
+				'Woyla'            => array(),
+				'Woyla Barat'      => array(),
+				'Woyla Timur'      => array(),
+			),
+			'Kabupaten Aceh Barat Daya' => array(
+				'Babah Rot'     => array(),
+				'Blangpidie'    => array(),
+				'Jeumpa'        => array(),
+				'Kuala Batee'   => array(),
+				'Lembah Sabil'  => array(),
+				'Manggeng'      => array(),
+				'Setia'         => array(),
+				'Susoh'         => array(),
+				'Tangan-Tangan' => array(),
+			),
+			'Kabupaten Aceh Besar'      => array(
+				'Baitussalam'        => array(),
+				'Blang Bintang'      => array(),
+				'Darul Imarah'       => array(),
+				'Darul Kamal'        => array(),
+				'Darussalam'         => array(),
+				'Indrapuri'          => array(),
+				'Ingin Jaya'         => array(),
+				'Kota Jantho'        => array(),
+				'Krueng Barona Jaya' => array(),
+				'Kuta Baro'          => array(),
+				'Kuta Cot Glie'      => array(),
+				'Kuta Malaka'        => array(),
+				'Lembah Seulawah'    => array(),
+				'Leupung'            => array(),
+				'Lhoknga'            => array(),
+				'Lhoong'             => array(),
+				'Mesjid Raya'        => array(),
+				'Montasik'           => array(),
+				'Peukan Bada'        => array(),
+				'Pulo Aceh'          => array(),
+				'Seulimeum'          => array(),
+				'Simpang Tiga'       => array(),
+				'Sukamakmur'         => array(),
+			),
+			'Kabupaten Aceh Jaya'       => array(
+				'Darul Hikmah' => array(),
+				'Indra Jaya'   => array(),
+				'Jaya'         => array(),
+				'Krueng Sabee' => array(),
+				'Panga'        => array(),
+				'Pasie Raya'   => array(),
+				'Sampoi Niet'  => array(),
+				'Setia Bakti'  => array(),
+				'Teunom'       => array(),
+			),
+			'Kabupaten Aceh Selatan'    => array(
+				'Bakongan'          => array(),
+				'Bakongan Timur'    => array(),
+				'Kluet Selatan'     => array(),
+				'Kluet Tengah'      => array(),
+				'Kluet Timur'       => array(),
+				'Kluet Utara'       => array(),
+				'Kota Bahagia'      => array(),
+				'Labuhanhaji'       => array(),
+				'Labuhanhaji Barat' => array(),
+				'Labuhanhaji Timur' => array(),
+				'Meukek'            => array(),
+				'Pasie Raja'        => array(),
+				'Samadua'           => array(),
+				'Sawang'            => array(),
+				'Tapaktuan'         => array(),
+				'Trumon'            => array(),
+				'Trumon Tengah'     => array(),
+				'Trumon Timur'      => array(),
+			),
+			'Kabupaten Aceh Singkil'    => array(
+				'Danau Paris'        => array(),
+				'Gunung Meriah'      => array(),
+				'Kota Baharu'        => array(),
+				'Kuala Baru'         => array(),
+				'Pulau Banyak'       => array(),
+				'Pulau Banyak Barat' => array(),
+				'Simpang Kanan'      => array(),
+				'Singkil'            => array(),
+				'Singkil Utara'      => array(),
+				'Singkohor'          => array(),
+				'Suro Makmur'        => array(),
+			),
+			'Kabupaten Aceh Tamiang'    => array(
+				'Banda Mulia'       => array(),
+				'Bandar Pusaka'     => array(),
+				'Bendahara'         => array(),
+				'Karang Baru'       => array(),
+				'Kejuruan Muda'     => array(),
+				'Kota Kualasinpang' => array(),
+				'Manyak Payed'      => array(),
+				'Rantau'            => array(),
+				'Sekerak'           => array(),
+				'Seruway'           => array(),
+				'Tamiang Hulu'      => array(),
+				'Tenggulun'         => array(),
+			),
+			'Kabupaten Aceh Tengah'     => array(
+				'Atu Lintang'  => array(),
+				'Bebesen'      => array(),
+				'Bies'         => array(),
+				'Bintang'      => array(),
+				'Celala'       => array(),
+				'Jagong Jeget' => array(),
+				'Kebayakan'    => array(),
+				'Ketol'        => array(),
+				'Kute Panang'  => array(),
+				'Laut Tawar'   => array(),
+				'Linge'        => array(),
+				'Pegasing'     => array(),
+				'Rusip Antara' => array(),
+				'Silih Nara'   => array(),
+			),
+			'Kabupaten Aceh Tenggara'   => array(
+				'Babul Makmur'     => array(),
+				'Babul Rahmah'     => array(),
+				'Babussalam'       => array(),
+				'Badar'            => array(),
+				'Bambel'           => array(),
+				'Bukit Tusam'      => array(),
+				'Darul Hasanah'    => array(),
+				'Deleng Pokhkisen' => array(),
+				'Ketambe'          => array(),
+				'Lawe Alas'        => array(),
+				'Lawe Bulan'       => array(),
+				'Lawe Sigala-Gala' => array(),
+				'Lawe Sumur'       => array(),
+				'Leuser'           => array(),
+				'Semadam'          => array(),
+				'Tanoh Alas'       => array(),
+			),
+			'Kabupaten Aceh Timur'      => array(
+				'Banda Alam'      => array(),
+				'Birem Bayeun'    => array(),
+				'Darul Aman'      => array(),
+				'Darul Falah'     => array(),
+				'Darul Ihsan'     => array(),
+				'Idi Rayeuk'      => array(),
+				'Idi Timur'       => array(),
+				'Idi Tunong'      => array(),
+				'Indra Makmu'     => array(),
+				'Julok'           => array(),
+				'Madat'           => array(),
+				'Nurussalam'      => array(),
+				'Pante Bidari'    => array(),
+				'Peudawa'         => array(),
+				'Peunaron'        => array(),
+				'Peureulak'       => array(),
+				'Peureulak Barat' => array(),
+				'Peureulak Timur' => array(),
+				'Rantau Selamat'  => array(),
+				'Ranto Peureulak' => array(),
+				'Serbajadi'       => array(),
+				'Simpang Jernih'  => array(),
+				'Simpang Ulim'    => array(),
+				'Sungai Raya'     => array(),
+			),
+			'Kabupaten Aceh Utara'      => array(
+				'Baktiya'          => array(),
+				'Baktiya Barat'    => array(),
+				'Banda Baro'       => array(),
+				'Cot Girek'        => array(),
+				'Dewantara'        => array(),
+				'Geureudong Pase'  => array(),
+				'Kuta Makmur'      => array(),
+				'Langkahan'        => array(),
+				'Lapang'           => array(),
+				'Lhoksukon'        => array(),
+				'Matangkuli'       => array(),
+				'Meurah Mulia'     => array(),
+				'Muara Batu'       => array(),
+				'Nibong'           => array(),
+				'Nisam'            => array(),
+				'Nisam Antara'     => array(),
+				'Paya Bakong'      => array(),
+				'Pirak Timu'       => array(),
+				'Samudera'         => array(),
+				'Sawang'           => array(),
+				'Seunuddon'        => array(),
+				'Simpang Keuramat' => array(),
+				'Syamtalira Aron'  => array(),
+				'Syamtalira Bayu'  => array(),
+				'Tanah Jambo Aye'  => array(),
+				'Tanah Luas'       => array(),
+				'Tanah Pasir'      => array(),
+			),
+			'Kabupaten Bener Meriah'    => array(
+				'Bandar'          => array(),
+				'Bener Kelipah'   => array(),
+				'Bukit'           => array(),
+				'Gajah Putih'     => array(),
+				'Mesidah'         => array(),
+				'Permata'         => array(),
+				'Pintu Rime Gayo' => array(),
+				'Syiah Utama'     => array(),
+				'Timang gajah'    => array(),
+				'Wih Pesam'       => array(),
+			),
+			'Kabupaten Bireuen'         => array(
+				'Gandapura'               => array(),
+				'Jangka'                  => array(),
+				'Jeumpa'                  => array(),
+				'Jeunieb'                 => array(),
+				'Juli'                    => array(),
+				'Kota Juang'              => array(),
+				'Kuala'                   => array(),
+				'Kuta Blang'              => array(),
+				'Makmur'                  => array(),
+				'Pandrah'                 => array(),
+				'Peudada'                 => array(),
+				'Peulimbang'              => array(),
+				'Peusangan'               => array(),
+				'Peusangan Selatan'       => array(),
+				'Peusangan Siblah Krueng' => array(),
+				'Samalanga'               => array(),
+				'Simpang Mamplam'         => array(),
+			),
+			'Kabupaten Gayo Lues'       => array(
+				'Blangjerango'  => array(),
+				'Blangkejeren'  => array(),
+				'Blangpegayon'  => array(),
+				'Dabun Gelang'  => array(),
+				'Kutapanjang'   => array(),
+				'Pantan Cuaca'  => array(),
+				'Pining'        => array(),
+				'Puteri Betung' => array(),
+				'Rikit Gaib'    => array(),
+				'Terangun'      => array(),
+				'Teripe Jaya'   => array(),
+			),
+			'Kabupaten Nagan Raya'      => array(
+				'Beutong'                  => array(),
+				'Beutong Ateuh Banggalang' => array(),
+				'Darul Makmur'             => array(),
+				'Kuala'                    => array(),
+				'Kuala Pesisir'            => array(),
+				'Seunagan'                 => array(),
+				'Seunagan Timur'           => array(),
+				'Suka Makmue'              => array(),
+				'Tadu Raya'                => array(),
+				'Tripa Makmur'             => array(),
+			),
+			'Kabupaten Pidie'           => array(
+				'Batee'           => array(),
+				'Delima'          => array(),
+				'Geumpang'        => array(),
+				'Glumpang Baro'   => array(),
+				'Glumpang Tiga'   => array(),
+				'Grong-grong'     => array(),
+				'Indrajaya'       => array(),
+				'Kembang Tanjong' => array(),
+				'Keumala'         => array(),
+				'Kota Sigli'      => array(),
+				'Mane'            => array(),
+				'Mila'            => array(),
+				'Muara Tiga'      => array(),
+				'Mutiara'         => array(),
+				'Mutiara Timur'   => array(),
+				'Padang Tiji'     => array(),
+				'Peukan Baro'     => array(),
+				'Pidie'           => array(),
+				'Sakti'           => array(),
+				'Simpang Tiga'    => array(),
+				'Tangse'          => array(),
+				'Tiro/Truseb'     => array(),
+				'Titeue'          => array(),
+			),
+			'Kabupaten Pidie Jaya'      => array(
+				'Bandar Baru'  => array(),
+				'Bandar Dua'   => array(),
+				'Jangka Buya'  => array(),
+				'Meurah Dua'   => array(),
+				'Meureudu'     => array(),
+				'Panteraja'    => array(),
+				'Trienggadeng' => array(),
+				'Ulim'         => array(),
+			),
+			'Kabupaten Simeulue'        => array(
+				'Alafan'          => array(),
+				'Salang'          => array(),
+				'Simeulue Barat'  => array(),
+				'Simeulue Cut'    => array(),
+				'Simeulue Tengah' => array(),
+				'Simeulue Timur'  => array(),
+				'Teluk Dalam'     => array(),
+				'Teupah Barat'    => array(),
+				'Teupah Selatan'  => array(),
+				'Teupah Tengah'   => array(),
+			),
+			'Kota Banda Aceh'           => array(
+				'Baiturrahman' => array(),
+				'Banda Raya'   => array(),
+				'Jaya Baru'    => array(),
+				'Kuta Alam'    => array(),
+				'Kuta Raja'    => array(),
+				'Lueng Bata'   => array(),
+				'Meuraxa'      => array(),
+				'Syiah Kuala'  => array(),
+				'Ulee Kareng'  => array(),
+			),
+			'Kota Langsa'               => array(
+				'Langsa Barat' => array(),
+				'Langsa Baro'  => array(),
+				'Langsa Kota'  => array(),
+				'Langsa Lama'  => array(),
+				'Langsa Timur' => array(),
+			),
+			'Kota Lhokseumawe'          => array(
+				'Banda Sakti'  => array(),
+				'Blang Mangat' => array(),
+				'Muara Dua'    => array(),
+				'Muara Satu'   => array(),
+			),
+			'Kota Sabang'               => array(
+				'Sukajaya'   => array(),
+				'Sukakarya'  => array(),
+				'Sukamakmue' => array(),
+			),
+			'Kota Subulussalam'         => array(
+				'Longkib'       => array(),
+				'Penanggalan'   => array(),
+				'Rundeng'       => array(),
+				'Simpang Kiri'  => array(),
+				'Sultan Daulat' => array(),
+			),
+		),
+		'SU' => array(
+			'Kabupaten Asahan'              => array(
+				'Aek Kuasan'           => array(),
+				'Aek Ledong'           => array(),
+				'Aek Songsongan'       => array(),
+				'Air Batu'             => array(),
+				'Air Joman'            => array(),
+				'Bandar Pasir Mandoge' => array(),
+				'Bandar Pulau'         => array(),
+				'Buntu Pane'           => array(),
+				'Kota Kisaran Barat'   => array(),
+				'Kota Kisaran Timur'   => array(),
+				'Meranti'              => array(),
+				'Pulau Rakyat'         => array(),
+				'Pulo Bandring'        => array(),
+				'Rahuning'             => array(),
+				'Rawang Panca Arga'    => array(),
+				'Sei Dadap'            => array(),
+				'Sei Kepayang'         => array(),
+				'Sei Kepayang Barat'   => array(),
+				'Sei Kepayang Timur'   => array(),
+				'Setia Janji'          => array(),
+				'Silau Laut'           => array(),
+				'Simpang Empat'        => array(),
+				'Tanjung Balai'        => array(),
+				'Teluk Dalam'          => array(),
+				'Tinggi Raja'          => array(),
+			),
+			'Kabupaten Batu Bara'           => array(
+				'Air Putih'          => array(),
+				'Datuk Lima Puluh'   => array(),
+				'Datuk Tanah Datar'  => array(),
+				'Laut Tador'         => array(),
+				'Lima Puluh'         => array(),
+				'Lima Puluh Pesisir' => array(),
+				'Medang Deras'       => array(),
+				'Nibung Hangus'      => array(),
+				'Sei Balai'          => array(),
+				'Sei Suka'           => array(),
+				'Talawi'             => array(),
+				'Tanjung Tiram'      => array(),
+			),
+			'Kabupaten Dairi'               => array(
+				'Berampu'              => array(),
+				'Gunung Sitember'      => array(),
+				'Lae Parira'           => array(),
+				'Parbuluan'            => array(),
+				'Pegagan Hilir'        => array(),
+				'Sidikalang'           => array(),
+				'Siempat Nempu'        => array(),
+				'Siempat Nempu Hilir'  => array(),
+				'Siempat Nempu Hulu'   => array(),
+				'Silahisabungan'       => array(),
+				'Silima Pungga Pungga' => array(),
+				'Sitinjo'              => array(),
+				'Sumbul'               => array(),
+				'Tanah Pinem'          => array(),
+				'Tigalingga'           => array(),
+			),
+			'Kabupaten Deli Serdang'        => array(
+				'Bangun Purba'                => array(),
+				'Batang Kuis'                 => array(),
+				'Beringin'                    => array(),
+				'Biru-Biru'                   => array(),
+				'Deli Tua'                    => array(),
+				'Galang'                      => array(),
+				'Gunung Meriah'               => array(),
+				'Hamparan Perak'              => array(),
+				'Kutalimbaru'                 => array(),
+				'Labuhan Deli'                => array(),
+				'Lubuk Pakam'                 => array(),
+				'Namo Rambe'                  => array(),
+				'Pagar Merbau'                => array(),
+				'Pancur Batu'                 => array(),
+				'Pantai Labu'                 => array(),
+				'Patumbak'                    => array(),
+				'Percut Sei Tuan'             => array(),
+				'Sibolangit'                  => array(),
+				'Sinembah Tanjung Muda Hilir' => array(),
+				'Sinembah Tanjung Muda Hulu'  => array(),
+				'Sunggal'                     => array(),
+				'Tanjung Morawa'              => array(),
+			),
+			'Kabupaten Humbang Hasundutan'  => array(
+				'Baktiraja'      => array(),
+				'Dolok Sanggul'  => array(),
+				'Lintong Nihuta' => array(),
+				'Onan Ganjang'   => array(),
+				'Pakkat'         => array(),
+				'Paranginan'     => array(),
+				'Parlilitan'     => array(),
+				'Pollung'        => array(),
+				'Sijamapolang'   => array(),
+				'Tarabintang'    => array(),
+			),
+			'Kabupaten Karo'                => array(
+				'Barusjahe'     => array(),
+				'Berastagi'     => array(),
+				'Dolat Rayat'   => array(),
+				'Juhar'         => array(),
+				'Kabanjahe'     => array(),
+				'Kutabuluh'     => array(),
+				'Laubaleng'     => array(),
+				'Mardingding'   => array(),
+				'Merdeka'       => array(),
+				'Merek'         => array(),
+				'Munte'         => array(),
+				'Naman Teran'   => array(),
+				'Payung'        => array(),
+				'Simpang Empat' => array(),
+				'Tigabinanga'   => array(),
+				'Tiganderket'   => array(),
+				'Tigapanah'     => array(),
+			),
+			'Kabupaten Labuhanbatu'         => array(
+				'Bilah Barat'    => array(),
+				'Bilah Hilir'    => array(),
+				'Bilah Hulu'     => array(),
+				'Panai Hilir'    => array(),
+				'Panai Hulu'     => array(),
+				'Panai Tengah'   => array(),
+				'Pangkatan'      => array(),
+				'Rantau Selatan' => array(),
+				'Rantau Utara'   => array(),
+			),
+			'Kabupaten Labuhanbatu Selatan' => array(
+				'Kampung Rakyat' => array(),
+				'Kotapinang'     => array(),
+				'Silangkitang'   => array(),
+				'Sungai Kanan'   => array(),
+				'Torgamba'       => array(),
+			),
+			'Kabupaten Labuhanbatu Utara'   => array(
+				'Aek Kuo'        => array(),
+				'Aek Natas'      => array(),
+				'Kualuh Hilir'   => array(),
+				'Kualuh Hulu'    => array(),
+				'Kualuh Leidong' => array(),
+				'Kualuh Selatan' => array(),
+				'Marbau'         => array(),
+				'Na IX - X'      => array(),
+			),
+			'Kabupaten Langkat'             => array(
+				'Babalan'         => array(),
+				'Bahorok'         => array(),
+				'Batang Serangan' => array(),
+				'Berandan Barat'  => array(),
+				'Besitang'        => array(),
+				'Binjai'          => array(),
+				'Gebang'          => array(),
+				'Hinai'           => array(),
+				'Kuala'           => array(),
+				'Kutambaru'       => array(),
+				'Padang Tualang'  => array(),
+				'Pangkalan Susu'  => array(),
+				'Pematang Jaya'   => array(),
+				'Salapian'        => array(),
+				'Sawit Seberang'  => array(),
+				'Secanggang'      => array(),
+				'Sei Bingai'      => array(),
+				'Sei Lepan'       => array(),
+				'Selesai'         => array(),
+				'Sirapit'         => array(),
+				'Stabat'          => array(),
+				'Tanjung Pura'    => array(),
+				'Wampu'           => array(),
+			),
+			'Kabupaten Mandailing Natal'    => array(
+				'Batahan'             => array(),
+				'Batang Natal'        => array(),
+				'Bukit Malintang'     => array(),
+				'Huta Bargot'         => array(),
+				'Kotanopan'           => array(),
+				'Lembah Sorik Marapi' => array(),
+				'Lingga Bayu'         => array(),
+				'Muara Batang Gadis'  => array(),
+				'Muara Sipongi'       => array(),
+				'Naga Juang'          => array(),
+				'Natal'               => array(),
+				'Pakantan'            => array(),
+				'Panyabungan'         => array(),
+				'Panyabungan Barat'   => array(),
+				'Panyabungan Selatan' => array(),
+				'Panyabungan Timur'   => array(),
+				'Panyabungan Utara'   => array(),
+				'Puncak Sorik Marapi' => array(),
+				'Ranto Baek'          => array(),
+				'Siabu'               => array(),
+				'Sinunukan'           => array(),
+				'Tambangan'           => array(),
+				'Ulu Pungkut'         => array(),
+			),
+			'Kabupaten Nias'                => array(
+				'Bawolato'      => array(),
+				'Botomuzoi'     => array(),
+				'Gido'          => array(),
+				'Hiliduho'      => array(),
+				'Hiliserangkai' => array(),
+				'Idanogawo'     => array(),
+				'Ma\'u'         => array(),
+				'Sogae\'adu'    => array(),
+				'Somolo-molo'   => array(),
+				'Ulugawo'       => array(),
+			),
+			'Kabupaten Nias Barat'          => array(
+				'Lahomi'         => array(),
+				'Lolofitu Moi'   => array(),
+				'Mandrehe'       => array(),
+				'Mandrehe Barat' => array(),
+				'Mandrehe Utara' => array(),
+				'Moro\'o'        => array(),
+				'Sirombu'        => array(),
+				'Ulu Moro\'o'    => array(),
+			),
+			'Kabupaten Nias Selatan'        => array(
+				'Amandraya'              => array(),
+				'Aramo'                  => array(),
+				'Boronadu'               => array(),
+				'Fanayama'               => array(),
+				'Gomo'                   => array(),
+				'Hibala'                 => array(),
+				'Hilimegai'              => array(),
+				'Hilisalawa\'ahe'        => array(),
+				'Huruna'                 => array(),
+				'Idanotae'               => array(),
+				'Lahusa'                 => array(),
+				'Lolomatua'              => array(),
+				'Lolowau'                => array(),
+				'Luahagundre Maniamolo'  => array(),
+				'Maniamolo'              => array(),
+				'Mazino'                 => array(),
+				'Mazo'                   => array(),
+				'O\'o\'u'                => array(),
+				'Onohazumba'             => array(),
+				'Onolalu'                => array(),
+				'Pulau-Pulau Batu'       => array(),
+				'Pulau-Pulau Batu Barat' => array(),
+				'Pulau-Pulau Batu Timur' => array(),
+				'Pulau-Pulau Batu Utara' => array(),
+				'Sidua\'ori'             => array(),
+				'Simuk'                  => array(),
+				'Somambawa'              => array(),
+				'Susua'                  => array(),
+				'Tanah Masa'             => array(),
+				'Teluk Dalam'            => array(),
+				'Toma'                   => array(),
+				'Ulu Idanotae'           => array(),
+				'Ulunoyo'                => array(),
+				'Ulususua'               => array(),
+				'Umbunasi'               => array(),
+			),
+			'Kabupaten Nias Utara'          => array(
+				'Afulu'           => array(),
+				'Alasa'           => array(),
+				'Alasa Talumuzoi' => array(),
+				'Lahewa'          => array(),
+				'Lahewa Timur'    => array(),
+				'Lotu'            => array(),
+				'Namohalu Esiwa'  => array(),
+				'Sawo'            => array(),
+				'Sitolu Ori'      => array(),
+				'Tugala Oyo'      => array(),
+				'Tuhemberua'      => array(),
+			),
+			'Kabupaten Padang Lawas'        => array(
+				'Aek Nabara Barumun' => array(),
+				'Barumun'            => array(),
+				'Barumun Barat'      => array(),
+				'Barumun Baru'       => array(),
+				'Barumun Selatan'    => array(),
+				'Barumun Tengah'     => array(),
+				'Batang Lubu Sutam'  => array(),
+				'Huristak'           => array(),
+				'Hutaraja Tinggi'    => array(),
+				'Lubuk Barumun'      => array(),
+				'Sihapas Barumun'    => array(),
+				'Sosa'               => array(),
+				'Sosa Julu'          => array(),
+				'Sosa Timur'         => array(),
+				'Sosopan'            => array(),
+				'Ulu Barumun'        => array(),
+				'Ulu Sosa'           => array(),
+			),
+			'Kabupaten Padang Lawas Utara'  => array(
+				'Batang Onang'          => array(),
+				'Dolok'                 => array(),
+				'Dolok Sigompulon'      => array(),
+				'Halongonan'            => array(),
+				'Halongonan Timur'      => array(),
+				'Hulu Sihapas'          => array(),
+				'Padang Bolak'          => array(),
+				'Padang Bolak Julu'     => array(),
+				'Padang Bolak Tenggara' => array(),
+				'Portibi'               => array(),
+				'Simangambat'           => array(),
+				'Ujung Batu'            => array(),
+			),
+			'Kabupaten Pakpak Bharat'       => array(
+				'Kerajaan'                   => array(),
+				'Pagindar'                   => array(),
+				'Pergetteng Getteng Sengkut' => array(),
+				'Salak'                      => array(),
+				'Siempat Rube'               => array(),
+				'Sitelu Tali Urang Jehe'     => array(),
+				'Sitelu Tali Urang Julu'     => array(),
+				'Tinada'                     => array(),
+			),
+			'Kabupaten Samosir'             => array(
+				'Harian'            => array(),
+				'Nainggolan'        => array(),
+				'Onan Runggu'       => array(),
+				'Palipi'            => array(),
+				'Pangururan'        => array(),
+				'Ronggur Nihuta'    => array(),
+				'Sianjar Mula Mula' => array(),
+				'Simanindo'         => array(),
+				'Sitio-tio'         => array(),
+			),
+			'Kabupaten Serdang Bedagai'     => array(
+				'Bandar Khalipah'   => array(),
+				'Bintang Bayu'      => array(),
+				'Dolok Masihul'     => array(),
+				'Dolok Merawan'     => array(),
+				'Kotarih'           => array(),
+				'Pantai Cermin'     => array(),
+				'Pegajahan'         => array(),
+				'Perbaungan'        => array(),
+				'Sei Bamban'        => array(),
+				'Sei Rampah'        => array(),
+				'Serba Jadi'        => array(),
+				'Silinda'           => array(),
+				'Sipispis'          => array(),
+				'Tanjung Beringin'  => array(),
+				'Tebing Syahbandar' => array(),
+				'Tebing Tinggi'     => array(),
+				'Teluk Mengkudu'    => array(),
+			),
+			'Kabupaten Simalungun'          => array(
+				'Bandar'                 => array(),
+				'Bandar Huluan'          => array(),
+				'Bandar Masilam'         => array(),
+				'Bosar Maligas'          => array(),
+				'Dolog Masagal'          => array(),
+				'Dolok Batu Nanggar'     => array(),
+				'Dolok Panribuan'        => array(),
+				'Dolok Pardamean'        => array(),
+				'Dolok Silao'            => array(),
+				'Girsang Sipangan Bolon' => array(),
+				'Gunung Malela'          => array(),
+				'Gunung Maligas'         => array(),
+				'Haranggaol Horisan'     => array(),
+				'Hatonduhan'             => array(),
+				'Hutabayu Raja'          => array(),
+				'Jawa Maraja Bah Jambi'  => array(),
+				'Jorlang Hataran'        => array(),
+				'Pamatang Sidamanik'     => array(),
+				'Pamatang Silima Huta'   => array(),
+				'Panei'                  => array(),
+				'Panombeian Panei'       => array(),
+				'Pematang Bandar'        => array(),
+				'Purba'                  => array(),
+				'Raya'                   => array(),
+				'Raya Kahean'            => array(),
+				'Siantar'                => array(),
+				'Sidamanik'              => array(),
+				'Silimakuta'             => array(),
+				'Silou Kahean'           => array(),
+				'Tanah Jawa'             => array(),
+				'Tapian Dolok'           => array(),
+				'Ujung Padang'           => array(),
+			),
+			'Kabupaten Tapanuli Selatan'    => array(
+				'Aek Bilah'              => array(),
+				'Angkola Barat'          => array(),
+				'Angkola Muara Tais'     => array(),
+				'Angkola Sangkunur'      => array(),
+				'Angkola Selatan'        => array(),
+				'Angkola Timur'          => array(),
+				'Arse'                   => array(),
+				'Batang Angkola'         => array(),
+				'Batang Toru'            => array(),
+				'Marancar'               => array(),
+				'Muara Batang Toru'      => array(),
+				'Saipar Dolok Hole'      => array(),
+				'Sayur Matinggi'         => array(),
+				'Sipirok'                => array(),
+				'Tano Tombangan Angkola' => array(),
+			),
+			'Kabupaten Tapanuli Tengah'     => array(
+				'Andam Dewi'      => array(),
+				'Badiri'          => array(),
+				'Barus'           => array(),
+				'Barus Utara'     => array(),
+				'Kolang'          => array(),
+				'Lumut'           => array(),
+				'Manduamas'       => array(),
+				'Pandan'          => array(),
+				'Pasaribu Tobing' => array(),
+				'Pinangsori'      => array(),
+				'Sarudik'         => array(),
+				'Sibabangun'      => array(),
+				'Sirandorung'     => array(),
+				'Sitahuis'        => array(),
+				'Sorkam'          => array(),
+				'Sorkam Barat'    => array(),
+				'Sosorgadong'     => array(),
+				'Suka Bangun'     => array(),
+				'Tapian Nauli'    => array(),
+				'Tukka'           => array(),
+			),
+			'Kabupaten Tapanuli Utara'      => array(
+				'Adiankoting'    => array(),
+				'Garoga'         => array(),
+				'Muara'          => array(),
+				'Pagaran'        => array(),
+				'Pahae Jae'      => array(),
+				'Pahae Julu'     => array(),
+				'Pangaribuan'    => array(),
+				'Parmonangan'    => array(),
+				'Purbatua'       => array(),
+				'Siatas Barita'  => array(),
+				'Siborongborong' => array(),
+				'Simangumban'    => array(),
+				'Sipahutar'      => array(),
+				'Sipoholon'      => array(),
+				'Tarutung'       => array(),
+			),
+			'Kabupaten Toba'                => array(
+				'Ajibata'             => array(),
+				'Balige'              => array(),
+				'Bonatua Lunasi'      => array(),
+				'Borbor'              => array(),
+				'Habinsaran'          => array(),
+				'Laguboti'            => array(),
+				'Lumban Julu'         => array(),
+				'Nassau'              => array(),
+				'Parmaksian'          => array(),
+				'Pintu Pohan Meranti' => array(),
+				'Porsea'              => array(),
+				'Siantar Narumonda'   => array(),
+				'Sigumpar'            => array(),
+				'Silaen'              => array(),
+				'Tampahan'            => array(),
+				'Uluan'               => array(),
+			),
+			'Kota Binjai'                   => array(
+				'Binjai Barat'   => array(),
+				'Binjai Kota'    => array(),
+				'Binjai Selatan' => array(),
+				'Binjai Timur'   => array(),
+				'Binjai Utara'   => array(),
+			),
+			'Kota Gunungsitoli'             => array(
+				'Gunungsitoli'         => array(),
+				'Gunungsitoli Alo\'oa' => array(),
+				'Gunungsitoli Barat'   => array(),
+				'Gunungsitoli Idanoi'  => array(),
+				'Gunungsitoli Selatan' => array(),
+				'Gunungsitoli Utara'   => array(),
+			),
+			'Kota Medan'                    => array(
+				'Medan Amplas'     => array(),
+				'Medan Area'       => array(),
+				'Medan Barat'      => array(),
+				'Medan Baru'       => array(),
+				'Medan Belawan'    => array(),
+				'Medan Deli'       => array(),
+				'Medan Denai'      => array(),
+				'Medan Helvetia'   => array(),
+				'Medan Johor'      => array(),
+				'Medan Kota'       => array(),
+				'Medan Labuhan'    => array(),
+				'Medan Maimun'     => array(),
+				'Medan Marelan'    => array(),
+				'Medan Perjuangan' => array(),
+				'Medan Petisah'    => array(),
+				'Medan Polonia'    => array(),
+				'Medan Selayang'   => array(),
+				'Medan Sunggal'    => array(),
+				'Medan Tembung'    => array(),
+				'Medan Timur'      => array(),
+				'Medan Tuntungan'  => array(),
+			),
+			'Kota Padangsidimpuan'          => array(
+				'Padangsidimpuan Angkola Julu' => array(),
+				'Padangsidimpuan Batunadua'    => array(),
+				'Padangsidimpuan Hutaimbaru'   => array(),
+				'Padangsidimpuan Selatan'      => array(),
+				'Padangsidimpuan Tenggara'     => array(),
+				'Padangsidimpuan Utara'        => array(),
+			),
+			'Kota Pematangsiantar'          => array(
+				'Siantar Barat'      => array(),
+				'Siantar Marihat'    => array(),
+				'Siantar Marimbun'   => array(),
+				'Siantar Martoba'    => array(),
+				'Siantar Selatan'    => array(),
+				'Siantar Sitalasari' => array(),
+				'Siantar Timur'      => array(),
+				'Siantar Utara'      => array(),
+			),
+			'Kota Sibolga'                  => array(
+				'Sibolga Kota'    => array(),
+				'Sibolga Sambas'  => array(),
+				'Sibolga Selatan' => array(),
+				'Sibolga Utara'   => array(),
+			),
+			'Kota Tanjungbalai'             => array(
+				'Datuk Bandar'         => array(),
+				'Datuk Bandar Timur'   => array(),
+				'Sei Tualang Raso'     => array(),
+				'Tanjungbalai Selatan' => array(),
+				'Tanjungbalai Utara'   => array(),
+				'Teluk Nibung'         => array(),
+			),
+			'Kota Tebing Tinggi'            => array(
+				'Bajenis'            => array(),
+				'Padang Hilir'       => array(),
+				'Padang Hulu'        => array(),
+				'Rambutan'           => array(),
+				'Tebing Tinggi Kota' => array(),
+			),
+		),
+		'SB' => array(
+			'Kabupaten Agam'               => array(
+				'Ampek Angkek'    => array(),
+				'Ampek Nagari'    => array(),
+				'Banuhampu'       => array(),
+				'Baso'            => array(),
+				'Candung'         => array(),
+				'IV Koto'         => array(),
+				'Kamang Magek'    => array(),
+				'Lubuk Basung'    => array(),
+				'Malalak'         => array(),
+				'Matur'           => array(),
+				'Palembayan'      => array(),
+				'Palupuh'         => array(),
+				'Sungai Pua'      => array(),
+				'Tanjung Mutiara' => array(),
+				'Tanjung Raya'    => array(),
+				'Tilatang Kamang' => array(),
+			),
+			'Kabupaten Dharmasraya'        => array(
+				'Asam Jujuhan'  => array(),
+				'Koto Baru'     => array(),
+				'Koto Besar'    => array(),
+				'Koto Salak'    => array(),
+				'Padang Laweh'  => array(),
+				'Pulau Punjung' => array(),
+				'Sembilan Koto' => array(),
+				'Sitiung'       => array(),
+				'Sungai Rumbai' => array(),
+				'Timpeh'        => array(),
+				'Tiumang'       => array(),
+			),
+			'Kabupaten Kepulauan Mentawai' => array(
+				'Pagai Selatan'      => array(),
+				'Pagai Utara'        => array(),
+				'Siberut Barat'      => array(),
+				'Siberut Barat Daya' => array(),
+				'Siberut Selatan'    => array(),
+				'Siberut Tengah'     => array(),
+				'Siberut Utara'      => array(),
+				'Sikakap'            => array(),
+				'Sipora Selatan'     => array(),
+				'Sipora Utara'       => array(),
+			),
+			'Kabupaten Lima Puluh Kota'    => array(
+				'Akabiluru'            => array(),
+				'Bukik Barisan'        => array(),
+				'Guguak'               => array(),
+				'Gunuang Omeh'         => array(),
+				'Harau'                => array(),
+				'Kapur IX'             => array(),
+				'Lareh Sago Halaban'   => array(),
+				'Luak'                 => array(),
+				'Mungka'               => array(),
+				'Pangkalan Koto Baru'  => array(),
+				'Payakumbuh'           => array(),
+				'Situjuah Limo Nagari' => array(),
+				'Suliki'               => array(),
+			),
+			'Kabupaten Padang Pariaman'    => array(
+				'2 x 11 Anam Lingkuang' => array(),
+				'2 x 11 Kayu Tanam'     => array(),
+				'Anam Lingkuang'        => array(),
+				'Batang Anai'           => array(),
+				'Batang Gasan'          => array(),
+				'IV Koto Aua Malintang' => array(),
+				'Koto Patamuan'         => array(),
+				'Lubuak Aluang'         => array(),
+				'Nan Sabaris'           => array(),
+				'Sintuak Toboh Gadang'  => array(),
+				'Sungai Garinggiang'    => array(),
+				'Sungai Limau'          => array(),
+				'Ulakan Tapakih'        => array(),
+				'V Koto'                => array(),
+				'V Koto Timur'          => array(),
+				'VII Koto'              => array(),
+				'VII Koto Padang Sago'  => array(),
+			),
+			'Kabupaten Pasaman'            => array(
+				'Bonjol'                => array(),
+				'Duo Koto'              => array(),
+				'Lubuk Sikaping'        => array(),
+				'Mapat Tunggul'         => array(),
+				'Mapat Tunggul Selatan' => array(),
+				'Padang Gelugur'        => array(),
+				'Panti'                 => array(),
+				'Rao'                   => array(),
+				'Rao Selatan'           => array(),
+				'Rao Utara'             => array(),
+				'Simpang Alahan Mati'   => array(),
+				'Tigo Nagari'           => array(),
+			),
+			'Kabupaten Pasaman Barat'      => array(
+				'Gunung Tuleh'        => array(),
+				'Kinali'              => array(),
+				'Koto Balingka'       => array(),
+				'Lembah Melintang'    => array(),
+				'Luhak Nan Duo'       => array(),
+				'Pasaman'             => array(),
+				'Ranah Batahan'       => array(),
+				'Sasak Ranah Pasisie' => array(),
+				'Sungai Aur'          => array(),
+				'Sungai Beremas'      => array(),
+				'Talamau'             => array(),
+			),
+			'Kabupaten Pesisir Selatan'    => array(
+				'Airpura'                => array(),
+				'Basa Ampek Balai Tapan' => array(),
+				'Batang Kapas'           => array(),
+				'Bayang'                 => array(),
+				'IV Jurai'               => array(),
+				'IV Nagari Bayang Utara' => array(),
+				'Koto XI Tarusan'        => array(),
+				'Lengayang'              => array(),
+				'Linggo Sari Baganti'    => array(),
+				'Lunang'                 => array(),
+				'Pancung Soal'           => array(),
+				'Ranah Ampek Hulu Tapan' => array(),
+				'Ranah Pesisir'          => array(),
+				'Silaut'                 => array(),
+				'Sutera'                 => array(),
+			),
+			'Kabupaten Sijunjung'          => array(
+				'IV Nagari'      => array(),
+				'Kamang Baru'    => array(),
+				'Koto VII'       => array(),
+				'Kupitan'        => array(),
+				'Lubuk Tarok'    => array(),
+				'Sijunjung'      => array(),
+				'Sumpur Kudus'   => array(),
+				'Tanjung Gadang' => array(),
+			),
+			'Kabupaten Solok'              => array(
+				'Bukit Sundi'         => array(),
+				'Danau Kembar'        => array(),
+				'Gunung Talang'       => array(),
+				'Hiliran Gumanti'     => array(),
+				'IX Koto Sungai Lasi' => array(),
+				'Junjung Sirih'       => array(),
+				'Kubung'              => array(),
+				'Lembah Gumanti'      => array(),
+				'Lembang Jaya'        => array(),
+				'Pantai Cermin'       => array(),
+				'Payung Sekaki'       => array(),
+				'Tigo Lurah'          => array(),
+				'X Koto Diatas'       => array(),
+				'X Koto Singkarak'    => array(),
+			),
+			'Kabupaten Solok Selatan'      => array(
+				'Koto Parik Gadang Diateh' => array(),
+				'Pauh Duo'                 => array(),
+				'Sangir'                   => array(),
+				'Sangir Balai Janggo'      => array(),
+				'Sangir Batang Hari'       => array(),
+				'Sangir Jujuan'            => array(),
+				'Sungai Pagu'              => array(),
+			),
+			'Kabupaten Tanah Datar'        => array(
+				'Batipuah Selatan' => array(),
+				'Batipuh'          => array(),
+				'Lima Kaum'        => array(),
+				'Lintau Buo'       => array(),
+				'Lintau Buo Utara' => array(),
+				'Padang Ganting'   => array(),
+				'Pariangan'        => array(),
+				'Rambatan'         => array(),
+				'Salimpaung'       => array(),
+				'Sungai Tarab'     => array(),
+				'Sungayang'        => array(),
+				'Tanjuang Baru'    => array(),
+				'Tanjung Emas'     => array(),
+				'X Koto'           => array(),
+			),
+			'Kota Bukittinggi'             => array(
+				'Aur Birugo Tigo Baleh'   => array(),
+				'Guguak Panjang'          => array(),
+				'Mandiangin Koto Selayan' => array(),
+			),
+			'Kota Padang'                  => array(
+				'Bungus Teluk Kabung' => array(),
+				'Koto Tangah'         => array(),
+				'Kuranji'             => array(),
+				'Lubuk Begalung'      => array(),
+				'Lubuk Kilangan'      => array(),
+				'Nanggalo'            => array(),
+				'Padang Barat'        => array(),
+				'Padang Selatan'      => array(),
+				'Padang Timur'        => array(),
+				'Padang Utara'        => array(),
+				'Pauh'                => array(),
+			),
+			'Kota Padang Panjang'          => array(
+				'Padang Panjang Barat' => array(),
+				'Padang Panjang Timur' => array(),
+			),
+			'Kota Pariaman'                => array(
+				'Pariaman Selatan' => array(),
+				'Pariaman Tengah'  => array(),
+				'Pariaman Timur'   => array(),
+				'Pariaman Utara'   => array(),
+			),
+			'Kota Payakumbuh'              => array(
+				'Lamposi Tigo Nagori' => array(),
+				'Payakumbuh Barat'    => array(),
+				'Payakumbuh Selatan'  => array(),
+				'Payakumbuh Timur'    => array(),
+				'Payakumbuh Utara'    => array(),
+			),
+			'Kota Sawahlunto'              => array(
+				'Barangin'     => array(),
+				'Lembah Segar' => array(),
+				'Silungkang'   => array(),
+				'Talawi'       => array(),
+			),
+			'Kota Solok'                   => array(
+				'Lubuk Sikarah'   => array(),
+				'Tanjung Harapan' => array(),
+			),
+		),
+		'RI' => array(
+			'Kabupaten Bengkalis'         => array(
+				'Bandar Laksamana' => array(),
+				'Bantan'           => array(),
+				'Bathin Solapan'   => array(),
+				'Bengkalis'        => array(),
+				'Bukit Batu'       => array(),
+				'Mandau'           => array(),
+				'Pinggir'          => array(),
+				'Rupat'            => array(),
+				'Rupat Utara'      => array(),
+				'Siak Kecil'       => array(),
+				'Talang Muandau'   => array(),
+			),
+			'Kabupaten Indragiri Hilir'   => array(
+				'Batang Tuaka'     => array(),
+				'Concong'          => array(),
+				'Enok'             => array(),
+				'Gaung'            => array(),
+				'Gaung Anak Serka' => array(),
+				'Kateman'          => array(),
+				'Kempas'           => array(),
+				'Kemuning'         => array(),
+				'Keritang'         => array(),
+				'Kuala Indragiri'  => array(),
+				'Mandah'           => array(),
+				'Pelangiran'       => array(),
+				'Pulau Burung'     => array(),
+				'Reteh'            => array(),
+				'Sungai Batang'    => array(),
+				'Tanah Merah'      => array(),
+				'Teluk Belengkong' => array(),
+				'Tembilahan'       => array(),
+				'Tembilahan Hulu'  => array(),
+				'Tempuling'        => array(),
+			),
+			'Kabupaten Indragiri Hulu'    => array(
+				'Batang Cenaku'   => array(),
+				'Batang Gansal'   => array(),
+				'Batang Peranap'  => array(),
+				'Kelayang'        => array(),
+				'Kuala Cenaku'    => array(),
+				'Lirik'           => array(),
+				'Lubuk Batu Jaya' => array(),
+				'Pasir Penyu'     => array(),
+				'Peranap'         => array(),
+				'Rakit Kulim'     => array(),
+				'Rengat'          => array(),
+				'Rengat Barat'    => array(),
+				'Seberida'        => array(),
+				'Sungai Lala'     => array(),
+			),
+			'Kabupaten Kampar'            => array(
+				'Bangkinang'         => array(),
+				'Bangkinang Kota'    => array(),
+				'Gunung Sahilan'     => array(),
+				'Kampa'              => array(),
+				'Kampar'             => array(),
+				'Kampar Kiri'        => array(),
+				'Kampar Kiri Hilir'  => array(),
+				'Kampar Kiri Hulu'   => array(),
+				'Kampar Kiri Tengah' => array(),
+				'Kampar Utara'       => array(),
+				'Koto Kampar Hulu'   => array(),
+				'Kuok'               => array(),
+				'Perhentian Raja'    => array(),
+				'Rumbio Jaya'        => array(),
+				'Salo'               => array(),
+				'Siak Hulu'          => array(),
+				'Tambang'            => array(),
+				'Tapung'             => array(),
+				'Tapung Hilir'       => array(),
+				'Tapung Hulu'        => array(),
+				'XIII Koto Kampar'   => array(),
+			),
+			'Kabupaten Kepulauan Meranti' => array(
+				'Merbau'              => array(),
+				'Pulaumerbau'         => array(),
+				'Rangsang'            => array(),
+				'Rangsang Barat'      => array(),
+				'Rangsang Pesisir'    => array(),
+				'Tasik Putri Puyu'    => array(),
+				'Tebing Tinggi'       => array(),
+				'Tebing Tinggi Barat' => array(),
+				'Tebing Tinggi Timur' => array(),
+			),
+			'Kabupaten Kuantan Singingi'  => array(
+				'Benai'                  => array(),
+				'Cerenti'                => array(),
+				'Gunungtoar'             => array(),
+				'Hulu Kuantan'           => array(),
+				'Inuman'                 => array(),
+				'Kuantan Hilir'          => array(),
+				'Kuantan Hilir Seberang' => array(),
+				'Kuantan Mudik'          => array(),
+				'Kuantan Tengah'         => array(),
+				'Logas Tanah Darat'      => array(),
+				'Pangean'                => array(),
+				'Pucuk Rantau'           => array(),
+				'Sentajo Raya'           => array(),
+				'Singingi'               => array(),
+				'Singingi Hilir'         => array(),
+			),
+			'Kabupaten Pelalawan'         => array(
+				'Bandar Petalangan' => array(),
+				'Bandar Sei Kijang' => array(),
+				'Bunut'             => array(),
+				'Kerumutan'         => array(),
+				'Kuala Kampar'      => array(),
+				'Langgam'           => array(),
+				'Pangkalan Kerinci' => array(),
+				'Pangkalan Kuras'   => array(),
+				'Pangkalan Lesung'  => array(),
+				'Pelalawan'         => array(),
+				'Teluk Meranti'     => array(),
+				'Ukui'              => array(),
+			),
+			'Kabupaten Rokan Hilir'       => array(
+				'Bagan Sinembah Raya'         => array(),
+				'Bagansinembah'               => array(),
+				'Balai Jaya'                  => array(),
+				'Bangko'                      => array(),
+				'Bangko Pusako'               => array(),
+				'Batu Hampar'                 => array(),
+				'Kubu'                        => array(),
+				'Kubu Babussalam'             => array(),
+				'Pasir Limau Kapas'           => array(),
+				'Pekaitan'                    => array(),
+				'Pujud'                       => array(),
+				'Rantau Kopar'                => array(),
+				'Rimba Melintang'             => array(),
+				'Simpang Kanan'               => array(),
+				'Sinaboi'                     => array(),
+				'Tanah Putih'                 => array(),
+				'Tanah Putih Tanjung Melawan' => array(),
+				'Tanjung Medan'               => array(),
+			),
+			'Kabupaten Rokan Hulu'        => array(
+				'Bangun Purba'             => array(),
+				'Bonai Darussalam'         => array(),
+				'Kabun'                    => array(),
+				'Kepenuhan'                => array(),
+				'Kepenuhan Hulu'           => array(),
+				'Kunto Darussalam'         => array(),
+				'Pagaran Tapah Darussalam' => array(),
+				'Pendalian IV Koto'        => array(),
+				'Rambah'                   => array(),
+				'Rambah Hilir'             => array(),
+				'Rambah Samo'              => array(),
+				'Rokan IV Koto'            => array(),
+				'Tambusai'                 => array(),
+				'Tambusai Utara'           => array(),
+				'Tandun'                   => array(),
+				'Ujung Batu'               => array(),
+			),
+			'Kabupaten Siak'              => array(
+				'Bunga Raya'    => array(),
+				'Dayun'         => array(),
+				'Kandis'        => array(),
+				'Kerinci Kanan' => array(),
+				'Koto Gasib'    => array(),
+				'Lubuk Dalam'   => array(),
+				'Mempura'       => array(),
+				'Minas'         => array(),
+				'Pusako'        => array(),
+				'Sabak Auh'     => array(),
+				'Siak'          => array(),
+				'Sungai Apit'   => array(),
+				'Sungai Mandau' => array(),
+				'Tualang'       => array(),
+			),
+			'Kota Dumai'                  => array(
+				'Bukit Kapur'     => array(),
+				'Dumai Barat'     => array(),
+				'Dumai Kota'      => array(),
+				'Dumai Selatan'   => array(),
+				'Dumai Timur'     => array(),
+				'Medang Kampai'   => array(),
+				'Sungai Sembilan' => array(),
+			),
+			'Kota Pekanbaru'              => array(
+				'Binawidya'      => array(),
+				'Bukit Raya'     => array(),
+				'Kulim'          => array(),
+				'Limapuluh'      => array(),
+				'Marpoyan Damai' => array(),
+				'Payung Sekaki'  => array(),
+				'Pekanbaru Kota' => array(),
+				'Rumbai'         => array(),
+				'Rumbai Barat'   => array(),
+				'Rumbai Timur'   => array(),
+				'Sail'           => array(),
+				'Senapelan'      => array(),
+				'Sukajadi'       => array(),
+				'Tenayan Raya'   => array(),
+				'Tuahmadani'     => array(),
+			),
+		),
+		'KR' => array(
+			'Kabupaten Bintan'            => array(
+				'Bintan Pesisir'   => array(),
+				'Bintan Timur'     => array(),
+				'Bintan Utara'     => array(),
+				'Gunung Kijang'    => array(),
+				'Mantang'          => array(),
+				'Seri Kuala Lobam' => array(),
+				'Tambelan'         => array(),
+				'Teluk Bintan'     => array(),
+				'Teluk Sebong'     => array(),
+				'Toapaya'          => array(),
+			),
+			'Kabupaten Karimun'           => array(
+				'Belat'        => array(),
+				'Buru'         => array(),
+				'Durai'        => array(),
+				'Karimun'      => array(),
+				'Kundur'       => array(),
+				'Kundur Barat' => array(),
+				'Kundur Utara' => array(),
+				'Meral'        => array(),
+				'Meral Barat'  => array(),
+				'Moro'         => array(),
+				'Selat Gelam'  => array(),
+				'Sugie Besar'  => array(),
+				'Tebing'       => array(),
+				'Ungar'        => array(),
+			),
+			'Kabupaten Kepulauan Anambas' => array(
+				'Jemaja'          => array(),
+				'Jemaja Barat'    => array(),
+				'Jemaja Timur'    => array(),
+				'Kute Siantan'    => array(),
+				'Palmatak'        => array(),
+				'Siantan'         => array(),
+				'Siantan Selatan' => array(),
+				'Siantan Tengah'  => array(),
+				'Siantan Timur'   => array(),
+				'Siantan Utara'   => array(),
+			),
+			'Kabupaten Lingga'            => array(
+				'Bakung Serumpun' => array(),
+				'Katang Bidare'   => array(),
+				'Kepulauan Posek' => array(),
+				'Lingga'          => array(),
+				'Lingga Timur'    => array(),
+				'Lingga Utara'    => array(),
+				'Selayar'         => array(),
+				'Senayang'        => array(),
+				'Singkep'         => array(),
+				'Singkep Barat'   => array(),
+				'Singkep Pesisir' => array(),
+				'Singkep Selatan' => array(),
+				'Temiang Pesisir' => array(),
+			),
+			'Kabupaten Natuna'            => array(
+				'Bunguran Barat'      => array(),
+				'Bunguran Batubi'     => array(),
+				'Bunguran Selatan'    => array(),
+				'Bunguran Tengah'     => array(),
+				'Bunguran Timur'      => array(),
+				'Bunguran Timur Laut' => array(),
+				'Bunguran Utara'      => array(),
+				'Midai'               => array(),
+				'Pulau Laut'          => array(),
+				'Pulau Panjang'       => array(),
+				'Pulau Seluan'        => array(),
+				'Pulau Tiga'          => array(),
+				'Pulau Tiga Barat'    => array(),
+				'Serasan'             => array(),
+				'Serasan Timur'       => array(),
+				'Suak Midai'          => array(),
+				'Subi'                => array(),
+			),
+			'Kota Batam'                  => array(
+				'Batam Kota'      => array(),
+				'Batu Aji'        => array(),
+				'Batu Ampar'      => array(),
+				'Belakang Padang' => array(),
+				'Bengkong'        => array(),
+				'Bulang'          => array(),
+				'Galang'          => array(),
+				'Lubuk Baja'      => array(),
+				'Nongsa'          => array(),
+				'Sagulung'        => array(),
+				'Sei Beduk'       => array(),
+				'Sekupang'        => array(),
+			),
+			'Kota Tanjung Pinang'         => array(
+				'Bukit Bestari'        => array(),
+				'Tanjung Pinang Barat' => array(),
+				'Tanjung Pinang Kota'  => array(),
+				'Tanjung Pinang Timur' => array(),
+			),
+		),
+		'JA' => array(
+			'Kabupaten Batanghari'           => array(
+				'Bajubang'       => array(),
+				'Batin XXIV'     => array(),
+				'Maro Sebo Ilir' => array(),
+				'Maro Sebo Ulu'  => array(),
+				'Mersam'         => array(),
+				'Muara Bulian'   => array(),
+				'Muara Tembesi'  => array(),
+				'Pemayung'       => array(),
+			),
+			'Kabupaten Bungo'                => array(
+				'Bathin II Pelayang'     => array(),
+				'Bathin III'             => array(),
+				'Bathin III Ulu'         => array(),
+				'Batin II Babeko'        => array(),
+				'Bungo Dani'             => array(),
+				'Jujuhan'                => array(),
+				'Jujuhan Ilir'           => array(),
+				'Limbur Lubuk Mengkuang' => array(),
+				'Muko-muko Bathin VII'   => array(),
+				'Pasar Muaro Bungo'      => array(),
+				'Pelepat'                => array(),
+				'Pelepat Ilir'           => array(),
+				'Rantau Pandan'          => array(),
+				'Rimbo Tengah'           => array(),
+				'Tanah Sepenggal'        => array(),
+				'Tanah Sepenggal Lintas' => array(),
+				'Tanah Tumbuh'           => array(),
+			),
+			'Kabupaten Kerinci'              => array(
+				'Air Hangat'          => array(),
+				'Air Hangat Barat'    => array(),
+				'Air Hangat Timur'    => array(),
+				'Batang Merangin'     => array(),
+				'Bukit Kerman'        => array(),
+				'Danau Kerinci'       => array(),
+				'Danau Kerinci Barat' => array(),
+				'Depati Tujuh'        => array(),
+				'Gunung Kerinci'      => array(),
+				'Gunung Raya'         => array(),
+				'Gunung Tujuh'        => array(),
+				'Kayu Aro'            => array(),
+				'Kayu Aro Barat'      => array(),
+				'Keliling Danau'      => array(),
+				'Sitinjau Laut'       => array(),
+				'Siulak'              => array(),
+				'Siulak Mukai'        => array(),
+				'Tanah Cogok'         => array(),
+			),
+			'Kabupaten Merangin'             => array(
+				'Bangko'           => array(),
+				'Bangko Barat'     => array(),
+				'Batang Masumai'   => array(),
+				'Jangkat'          => array(),
+				'Jangkat Timur'    => array(),
+				'Lembah Masurai'   => array(),
+				'Margo Tabir'      => array(),
+				'Muara Siau'       => array(),
+				'Nalo Tantan'      => array(),
+				'Pamenang'         => array(),
+				'Pamenang Barat'   => array(),
+				'Pamenang Selatan' => array(),
+				'Pangkalan Jambu'  => array(),
+				'Renah Pamenang'   => array(),
+				'Renah Pembarap'   => array(),
+				'Sungai Manau'     => array(),
+				'Tabir'            => array(),
+				'Tabir Barat'      => array(),
+				'Tabir Ilir'       => array(),
+				'Tabir Lintas'     => array(),
+				'Tabir Selatan'    => array(),
+				'Tabir Timur'      => array(),
+				'Tabir Ulu'        => array(),
+				'Tiang Pumpung'    => array(),
+			),
+			'Kabupaten Muaro Jambi'          => array(
+				'Bahar Selatan'   => array(),
+				'Bahar Utara'     => array(),
+				'Jambi Luar Kota' => array(),
+				'Kumpeh'          => array(),
+				'Kumpeh Ulu'      => array(),
+				'Maro Sebo'       => array(),
+				'Mestong'         => array(),
+				'Sekernan'        => array(),
+				'Sungai Bahar'    => array(),
+				'Sungai Gelam'    => array(),
+				'Taman Rajo'      => array(),
+			),
+			'Kabupaten Sarolangun'           => array(
+				'Air Hitam'         => array(),
+				'Batang Asai'       => array(),
+				'Bathin VIII'       => array(),
+				'Cermin Nan Gedang' => array(),
+				'Limun'             => array(),
+				'Mandiangin'        => array(),
+				'Mandiangin Timur'  => array(),
+				'Pauh'              => array(),
+				'Pelawan'           => array(),
+				'Sarolangun'        => array(),
+				'Singkut'           => array(),
+			),
+			'Kabupaten Tanjung Jabung Barat' => array(
+				'Batang Asam'    => array(),
+				'Betara'         => array(),
+				'Bram Itam'      => array(),
+				'Kuala Betara'   => array(),
+				'Merlung'        => array(),
+				'Muara Papalik'  => array(),
+				'Pengabuan'      => array(),
+				'Renah Mendaluh' => array(),
+				'Seberang Kota'  => array(),
+				'Senyerang'      => array(),
+				'Tebing Tinggi'  => array(),
+				'Tungkal Ilir'   => array(),
+				'Tungkal Ulu'    => array(),
+			),
+			'Kabupaten Tanjung Jabung Timur' => array(
+				'Berbak'            => array(),
+				'Dendang'           => array(),
+				'Geragai'           => array(),
+				'Kuala Jambi'       => array(),
+				'Mendahara'         => array(),
+				'Mendahara Ulu'     => array(),
+				'Muara Sabak Barat' => array(),
+				'Muara Sabak Timur' => array(),
+				'Nipah Panjang'     => array(),
+				'Rantau Rasau'      => array(),
+				'Sadu'              => array(),
+			),
+			'Kabupaten Tebo'                 => array(
+				'Muara Tabir'    => array(),
+				'Rimbo Bujang'   => array(),
+				'Rimbo Ilir'     => array(),
+				'Rimbo Ulu'      => array(),
+				'Serai Serumpun' => array(),
+				'Sumay'          => array(),
+				'Tebo Ilir'      => array(),
+				'Tebo Tengah'    => array(),
+				'Tebo Ulu'       => array(),
+				'Tengah Ilir'    => array(),
+				'VII Koto'       => array(),
+				'VII Koto Ilir'  => array(),
+			),
+			'Kota Jambi'                     => array(
+				'Alam Barajo'   => array(),
+				'Danau Sipin'   => array(),
+				'Danau Teluk'   => array(),
+				'Jambi Selatan' => array(),
+				'Jambi Timur'   => array(),
+				'Jelutung'      => array(),
+				'Kota Baru'     => array(),
+				'Paal Merah'    => array(),
+				'Pasar Jambi'   => array(),
+				'Pelayangan'    => array(),
+				'Telanaipura'   => array(),
+			),
+			'Kota Sungai Penuh'              => array(
+				'Hamparan Rawang' => array(),
+				'Koto Baru'       => array(),
+				'Kumun Debai'     => array(),
+				'Pesisir Bukit'   => array(),
+				'Pondok Tinggi'   => array(),
+				'Sungai Bungkal'  => array(),
+				'Sungai Penuh'    => array(),
+				'Tanah Kampung'   => array(),
+			),
+		),
+		'SS' => array(
+			'Kabupaten Banyuasin'                  => array(
+				'Air Kumbang'         => array(),
+				'Air Salek'           => array(),
+				'Banyuasin I'         => array(),
+				'Banyuasin II'        => array(),
+				'Banyuasin III'       => array(),
+				'Betung'              => array(),
+				'Karang Agung Ilir'   => array(),
+				'Makarti Jaya'        => array(),
+				'Muara Padang'        => array(),
+				'Muara Sugihan'       => array(),
+				'Muara Telang'        => array(),
+				'Pulau Rimau'         => array(),
+				'Rambutan'            => array(),
+				'Rantau Bayur'        => array(),
+				'Selat Penuguan'      => array(),
+				'Sembawa'             => array(),
+				'Suak Tapeh'          => array(),
+				'Sumber Marga Telang' => array(),
+				'Talang Kelapa'       => array(),
+				'Tanjung Lago'        => array(),
+				'Tungkal Ilir'        => array(),
+			),
+			'Kabupaten Empat Lawang'               => array(
+				'Lintang Kanan'     => array(),
+				'Muara Pinang'      => array(),
+				'Pasemah Air Keruh' => array(),
+				'Pendopo'           => array(),
+				'Pendopo Barat'     => array(),
+				'Saling'            => array(),
+				'Sikap Dalam'       => array(),
+				'Talang Padang'     => array(),
+				'Tebing Tinggi'     => array(),
+				'Ulu Musi'          => array(),
+			),
+			'Kabupaten Lahat'                      => array(
+				'Gumay Talang'       => array(),
+				'Gumay Ulu'          => array(),
+				'Jarai'              => array(),
+				'Kikim Barat'        => array(),
+				'Kikim Selatan'      => array(),
+				'Kikim Tengah'       => array(),
+				'Kikim Timur'        => array(),
+				'Kota Agung'         => array(),
+				'Lahat'              => array(),
+				'Lahat Selatan'      => array(),
+				'Merapi Barat'       => array(),
+				'Merapi Selatan'     => array(),
+				'Merapi Timur'       => array(),
+				'Muarapayang'        => array(),
+				'Mulak Sebingkai'    => array(),
+				'Mulak Ulu'          => array(),
+				'Pagar Gunung'       => array(),
+				'Pajar Bulan'        => array(),
+				'Pseksu'             => array(),
+				'Pulau Pinang'       => array(),
+				'Sukamerindu'        => array(),
+				'Tanjung Sakti Pumi' => array(),
+				'Tanjungsakti Pumu'  => array(),
+				'Tanjungtebat'       => array(),
+			),
+			'Kabupaten Muara Enim'                 => array(
+				'Belida Darat'         => array(),
+				'Belimbing'            => array(),
+				'Benakat'              => array(),
+				'Empat Petulai Dangku' => array(),
+				'Gelumbang'            => array(),
+				'Gunung Megang'        => array(),
+				'Kelekar'              => array(),
+				'Lawang Kidul'         => array(),
+				'Lembak'               => array(),
+				'Lubai'                => array(),
+				'Lubai Ulu'            => array(),
+				'Muara Belida'         => array(),
+				'Muara Enim'           => array(),
+				'Panang Enim'          => array(),
+				'Rambang'              => array(),
+				'Rambang Niru'         => array(),
+				'Semende Darat Laut'   => array(),
+				'Semende Darat Tengah' => array(),
+				'Semende Darat Ulu'    => array(),
+				'Sungai Rotan'         => array(),
+				'Tanjung Agung'        => array(),
+				'Ujan Mas'             => array(),
+			),
+			'Kabupaten Musi Banyuasin'             => array(
+				'Babat Supat'      => array(),
+				'Babat Toman'      => array(),
+				'Batang Hari Leko' => array(),
+				'Bayung Lencir'    => array(),
+				'Jirak Jaya'       => array(),
+				'Keluang'          => array(),
+				'Lais'             => array(),
+				'Lalan'            => array(),
+				'Lawan Wetan'      => array(),
+				'Plakat Tinggi'    => array(),
+				'Sanga Desa'       => array(),
+				'Sekayu'           => array(),
+				'Sungai Keruh'     => array(),
+				'Sungai Lilin'     => array(),
+				'Tungkal Jaya'     => array(),
+			),
+			'Kabupaten Musi Rawas'                 => array(
+				'BTS. Ulu'               => array(),
+				'Jayaloka'               => array(),
+				'Megang Sakti'           => array(),
+				'Muara Beliti'           => array(),
+				'Muara Kelingi'          => array(),
+				'Muara Lakitan'          => array(),
+				'Purwodadi'              => array(),
+				'Selangit'               => array(),
+				'STL Ulu Terawas'        => array(),
+				'Suka Karya'             => array(),
+				'Sumber Harta'           => array(),
+				'Tiang Pumpung Kepungut' => array(),
+				'Tuah Negeri'            => array(),
+				'Tugumulyo'              => array(),
+			),
+			'Kabupaten Musi Rawas Utara'           => array(
+				'Karang Dapo' => array(),
+				'Karang Jaya' => array(),
+				'Nibung'      => array(),
+				'Rawas Ilir'  => array(),
+				'Rawas Ulu'   => array(),
+				'Rupit'       => array(),
+				'Ulu Rawas'   => array(),
+			),
+			'Kabupaten Ogan Ilir'                  => array(
+				'Indralaya'         => array(),
+				'Indralaya Selatan' => array(),
+				'Indralaya Utara'   => array(),
+				'Kandis'            => array(),
+				'Lubuk Keliat'      => array(),
+				'Muara Kuang'       => array(),
+				'Payaraman'         => array(),
+				'Pemulutan'         => array(),
+				'Pemulutan Barat'   => array(),
+				'Pemulutan Selatan' => array(),
+				'Rambang Kuang'     => array(),
+				'Rantau Alai'       => array(),
+				'Rantau Panjang'    => array(),
+				'Sungai Pinang'     => array(),
+				'Tanjung Batu'      => array(),
+				'Tanjung Raja'      => array(),
+			),
+			'Kabupaten Ogan Komering Ilir'         => array(
+				'Air Sugihan'        => array(),
+				'Cengal'             => array(),
+				'Jejawi'             => array(),
+				'Kayu Agung'         => array(),
+				'Lempuing'           => array(),
+				'Lempuing Jaya'      => array(),
+				'Mesuji'             => array(),
+				'Mesuji Makmur'      => array(),
+				'Mesuji Raya'        => array(),
+				'Pampangan'          => array(),
+				'Pangkalan Lampam'   => array(),
+				'Pedamaran'          => array(),
+				'Pedamaran Timur'    => array(),
+				'Sirah Pulau Padang' => array(),
+				'Sungai Menang'      => array(),
+				'Tanjung Lubuk'      => array(),
+				'Teluk Gelam'        => array(),
+				'Tulung Selapan'     => array(),
+			),
+			'Kabupaten Ogan Komering Ulu'          => array(
+				'Baturaja Barat'          => array(),
+				'Baturaja Timur'          => array(),
+				'Kedaton Peninjauan Raya' => array(),
+				'Lengkiti'                => array(),
+				'Lubuk Batang'            => array(),
+				'Lubuk Raja'              => array(),
+				'Muara Jaya'              => array(),
+				'Pengandonan'             => array(),
+				'Peninjauan'              => array(),
+				'Semidang Aji'            => array(),
+				'Sinar Peninjauan'        => array(),
+				'Sosoh Buay Rayap'        => array(),
+				'Ulu Ogan'                => array(),
+			),
+			'Kabupaten Ogan Komering Ulu Selatan'  => array(
+				'Banding Agung'                   => array(),
+				'Buana Pemaca'                    => array(),
+				'Buay Pemaca'                     => array(),
+				'Buay Pematang Ribu Ranau Tengah' => array(),
+				'Buay Rawan'                      => array(),
+				'Buay Runjung'                    => array(),
+				'Buay Sandang Aji'                => array(),
+				'Kisam Ilir'                      => array(),
+				'Kisam Tinggi'                    => array(),
+				'Mekakau Ilir'                    => array(),
+				'Muara Dua'                       => array(),
+				'Muara Dua Kisam'                 => array(),
+				'Pulau Beringin'                  => array(),
+				'Runjung Agung'                   => array(),
+				'Simpang'                         => array(),
+				'Sindang Danau'                   => array(),
+				'Sungai Are'                      => array(),
+				'Tiga Dihaji'                     => array(),
+				'Warkuk Ranau Selatan'            => array(),
+			),
+			'Kabupaten Ogan Komering Ulu Timur'    => array(
+				'Belitang'                => array(),
+				'Belitang II'             => array(),
+				'Belitang III'            => array(),
+				'Belitang Jaya'           => array(),
+				'Belitang Madang Raya'    => array(),
+				'Belitang Mulya'          => array(),
+				'Buay Madang'             => array(),
+				'Buay Madang Timur'       => array(),
+				'Buay Pemuka Bangsa Raja' => array(),
+				'Buay Pemuka Peliung'     => array(),
+				'Bunga Mayang'            => array(),
+				'Cempaka'                 => array(),
+				'Jayapura'                => array(),
+				'Madang Suku I'           => array(),
+				'Madang Suku II'          => array(),
+				'Madang Suku III'         => array(),
+				'Martapura'               => array(),
+				'Semendawai Barat'        => array(),
+				'Semendawai Suku III'     => array(),
+				'Semendawai Timur'        => array(),
+			),
+			'Kabupaten Penukal Abab Lematang Ilir' => array(
+				'Abab'          => array(),
+				'Penukal'       => array(),
+				'Penukal Utara' => array(),
+				'Talang Ubi'    => array(),
+				'Tanah Abang'   => array(),
+			),
+			'Kota Lubuk Linggau'                   => array(
+				'Lubuk Linggau Barat I'    => array(),
+				'Lubuk Linggau Barat II'   => array(),
+				'Lubuk Linggau Selatan I'  => array(),
+				'Lubuk Linggau Selatan II' => array(),
+				'Lubuk Linggau Timur I'    => array(),
+				'Lubuk Linggau Timur II'   => array(),
+				'Lubuk Linggau Utara I'    => array(),
+				'Lubuk Linggau Utara II'   => array(),
+			),
+			'Kota Pagar Alam'                      => array(
+				'Dempo Selatan'      => array(),
+				'Dempo Tengah'       => array(),
+				'Dempo Utara'        => array(),
+				'Pagar Alam Selatan' => array(),
+				'Pagar Alam Utara'   => array(),
+			),
+			'Kota Palembang'                       => array(
+				'Alang-alang Lebar' => array(),
+				'Bukitkecil'        => array(),
+				'Gandus'            => array(),
+				'Ilir Barat Dua'    => array(),
+				'Ilir Barat Satu'   => array(),
+				'Ilir Timur Dua'    => array(),
+				'Ilir Timur Satu'   => array(),
+				'Ilir Timur Tiga'   => array(),
+				'Jakabaring'        => array(),
+				'Kalidoni'          => array(),
+				'Kemuning'          => array(),
+				'Kertapati'         => array(),
+				'Plaju'             => array(),
+				'Sako'              => array(),
+				'Seberang Ulu Dua'  => array(),
+				'Seberang Ulu Satu' => array(),
+				'Sematangborang'    => array(),
+				'Sukarami'          => array(),
+			),
+			'Kota Prabumulih'                      => array(
+				'Cambai'               => array(),
+				'Prabumulih Barat'     => array(),
+				'Prabumulih Selatan'   => array(),
+				'Prabumulih Timur'     => array(),
+				'Prabumulih Utara'     => array(),
+				'Rambang Kapak Tengah' => array(),
+			),
+		),
+		'BB' => array(
+			'Kabupaten Bangka'         => array(
+				'Bakam'        => array(),
+				'Belinyu'      => array(),
+				'Mendo Barat'  => array(),
+				'Merawang'     => array(),
+				'Pemali'       => array(),
+				'Puding Besar' => array(),
+				'Riau Silip'   => array(),
+				'Sungailiat'   => array(),
+			),
+			'Kabupaten Bangka Barat'   => array(
+				'Jebus'           => array(),
+				'Kelapa'          => array(),
+				'Mentok'          => array(),
+				'Parittiga'       => array(),
+				'Simpang Teritip' => array(),
+				'Tempilang'       => array(),
+			),
+			'Kabupaten Bangka Selatan' => array(
+				'Airgegas'         => array(),
+				'Kepulauan Pongok' => array(),
+				'Lepar'            => array(),
+				'Payung'           => array(),
+				'Pulau Besar'      => array(),
+				'Simpang Rimba'    => array(),
+				'Toboali'          => array(),
+				'Tukak Sadai'      => array(),
+			),
+			'Kabupaten Bangka Tengah'  => array(
+				'Koba'           => array(),
+				'Lubuk Besar'    => array(),
+				'Namang'         => array(),
+				'Pangkalan Baru' => array(),
+				'Simpang Katis'  => array(),
+				'Sungai Selan'   => array(),
+			),
+			'Kabupaten Belitung'       => array(
+				'Badau'         => array(),
+				'Membalong'     => array(),
+				'Selat Nasik'   => array(),
+				'Sijuk'         => array(),
+				'Tanjungpandan' => array(),
+			),
+			'Kabupaten Belitung Timur' => array(
+				'Damar'             => array(),
+				'Dendang'           => array(),
+				'Gantung'           => array(),
+				'Kelapa Kampit'     => array(),
+				'Manggar'           => array(),
+				'Simpang Pesak'     => array(),
+				'Simpang Renggiang' => array(),
+			),
+			'Kota Pangkal Pinang'      => array(
+				'Bukit Intan'   => array(),
+				'Gabek'         => array(),
+				'Gerunggang'    => array(),
+				'Girimaya'      => array(),
+				'Pangkal Balam' => array(),
+				'Rangkui'       => array(),
+				'Taman Sari'    => array(),
+			),
+		),
+		'BE' => array(
+			'Kabupaten Bengkulu Selatan' => array(
+				'Air Nipis'     => array(),
+				'Bunga Mas'     => array(),
+				'Kedurang'      => array(),
+				'Kedurang Ilir' => array(),
+				'Kota Manna'    => array(),
+				'Manna'         => array(),
+				'Pasar Manna'   => array(),
+				'Pino'          => array(),
+				'Pino Raya'     => array(),
+				'Seginim'       => array(),
+				'Ulu Manna'     => array(),
+			),
+			'Kabupaten Bengkulu Tengah'  => array(
+				'Bang Haji'        => array(),
+				'Karang Tinggi'    => array(),
+				'Merigi Kelindang' => array(),
+				'Merigi Sakti'     => array(),
+				'Pagar Jati'       => array(),
+				'Pematang Tiga'    => array(),
+				'Pondok Kelapa'    => array(),
+				'Pondok Kubang'    => array(),
+				'Semidang Lagan'   => array(),
+				'Taba Penanjung'   => array(),
+				'Talang Empat'     => array(),
+			),
+			'Kabupaten Bengkulu Utara'   => array(
+				'Air Besi'            => array(),
+				'Air Napal'           => array(),
+				'Air Padang'          => array(),
+				'Arma Jaya'           => array(),
+				'Batik Nau'           => array(),
+				'Enggano'             => array(),
+				'Giri Mulya'          => array(),
+				'Hulu Palik'          => array(),
+				'Kerkap'              => array(),
+				'Ketahun'             => array(),
+				'Kota Arga Makmur'    => array(),
+				'Lais'                => array(),
+				'Marga Sakti Sebelat' => array(),
+				'Napal Putih'         => array(),
+				'Padang Jaya'         => array(),
+				'Pinang Raya'         => array(),
+				'Putri Hijau'         => array(),
+				'Tanjung Agung Palik' => array(),
+				'Ulok Kupai'          => array(),
+			),
+			'Kabupaten Kaur'             => array(
+				'Kaur Selatan'      => array(),
+				'Kaur Tengah'       => array(),
+				'Kaur Utara'        => array(),
+				'Kelam Tengah'      => array(),
+				'Kinal'             => array(),
+				'Luas'              => array(),
+				'Lungkang Kule'     => array(),
+				'Maje'              => array(),
+				'Muara Sahung'      => array(),
+				'Nasal'             => array(),
+				'Padang Guci Hilir' => array(),
+				'Padang Guci Hulu'  => array(),
+				'Semidang Gumay'    => array(),
+				'Tanjung Kemuning'  => array(),
+				'Tetap'             => array(),
+			),
+			'Kabupaten Kepahiang'        => array(
+				'Bermani Ilir'  => array(),
+				'Kebawetan'     => array(),
+				'Kepahiang'     => array(),
+				'Merigi'        => array(),
+				'Muara Kemumu'  => array(),
+				'Seberang Musi' => array(),
+				'Tebat Karai'   => array(),
+				'Ujan Mas'      => array(),
+			),
+			'Kabupaten Lebong'           => array(
+				'Amen'            => array(),
+				'Bingin Kuning'   => array(),
+				'Lebong Atas'     => array(),
+				'Lebong Sakti'    => array(),
+				'Lebong Selatan'  => array(),
+				'Lebong Tengah'   => array(),
+				'Lebong Utara'    => array(),
+				'Pinang Belapis'  => array(),
+				'Rimbo Pengadang' => array(),
+				'Topos'           => array(),
+				'Tubei'           => array(),
+				'Uram Jaya'       => array(),
+			),
+			'Kabupaten Mukomuko'         => array(
+				'Air Dikit'      => array(),
+				'Air Manjunto'   => array(),
+				'Air Rami'       => array(),
+				'Ipuh'           => array(),
+				'Kota Mukomuko'  => array(),
+				'Lubuk Pinang'   => array(),
+				'Malin Deman'    => array(),
+				'Penarik'        => array(),
+				'Pondok Suguh'   => array(),
+				'Selagan Raya'   => array(),
+				'Sungai Rumbai'  => array(),
+				'Teramang Jaya'  => array(),
+				'Teras Terunjam' => array(),
+				'V Koto'         => array(),
+				'XIV Koto'       => array(),
+			),
+			'Kabupaten Rejang Lebong'    => array(
+				'Bermani Ulu'         => array(),
+				'Bermani Ulu Raya'    => array(),
+				'Binduriang'          => array(),
+				'Curup'               => array(),
+				'Curup Selatan'       => array(),
+				'Curup Tengah'        => array(),
+				'Curup Timur'         => array(),
+				'Curup Utara'         => array(),
+				'Kota Padang'         => array(),
+				'Padang Ulak Tanding' => array(),
+				'Selupu Rejang'       => array(),
+				'Sindang Beliti Ilir' => array(),
+				'Sindang Beliti Ulu'  => array(),
+				'Sindang Dataran'     => array(),
+				'Sindang Kelingi'     => array(),
+			),
+			'Kabupaten Seluma'           => array(
+				'Air Periukan'        => array(),
+				'Ilir Talo'           => array(),
+				'Lubuk Sandi'         => array(),
+				'Seluma'              => array(),
+				'Seluma Barat'        => array(),
+				'Seluma Selatan'      => array(),
+				'Seluma Timur'        => array(),
+				'Seluma Utara'        => array(),
+				'Semidang Alas'       => array(),
+				'Semidang Alas Maras' => array(),
+				'Sukaraja'            => array(),
+				'Talo'                => array(),
+				'Talo Kecil'          => array(),
+				'Ulu Talo'            => array(),
+			),
+			'Kota Bengkulu'              => array(
+				'Gading Cempaka'    => array(),
+				'Kampung Melayu'    => array(),
+				'Muara Bangka Hulu' => array(),
+				'Ratu Agung'        => array(),
+				'Ratu Samban'       => array(),
+				'Selebar'           => array(),
+				'Singaran Pati'     => array(),
+				'Sungai Serut'      => array(),
+				'Teluk Segara'      => array(),
+			),
+		),
+		'LA' => array(
+			'Kabupaten Lampung Barat'       => array(
+				'Air Hitam'          => array(),
+				'Balik Bukit'        => array(),
+				'Bandar Negeri Suoh' => array(),
+				'Batu Brak'          => array(),
+				'Batu Ketulis'       => array(),
+				'Belalau'            => array(),
+				'Gedung Surian'      => array(),
+				'Kebun Tebu'         => array(),
+				'Lumbok Seminung'    => array(),
+				'Pagar Dewa'         => array(),
+				'Sekincau'           => array(),
+				'Sukau'              => array(),
+				'Sumber Jaya'        => array(),
+				'Suoh'               => array(),
+				'Way Tenong'         => array(),
+			),
+			'Kabupaten Lampung Selatan'     => array(
+				'Bakauheni'       => array(),
+				'Candipuro'       => array(),
+				'Jati Agung'      => array(),
+				'Kalianda'        => array(),
+				'Katibung'        => array(),
+				'Ketapang'        => array(),
+				'Merbau Mataram'  => array(),
+				'Natar'           => array(),
+				'Palas'           => array(),
+				'Penengahan'      => array(),
+				'Raja Basa'       => array(),
+				'Sidomulyo'       => array(),
+				'Sragi'           => array(),
+				'Tanjung Bintang' => array(),
+				'Tanjung Sari'    => array(),
+				'Way Panji'       => array(),
+				'Way Sulan'       => array(),
+			),
+			'Kabupaten Lampung Tengah'      => array(
+				'Anak Ratu Aji'    => array(),
+				'Anak Tuha'        => array(),
+				'Bandar Mataram'   => array(),
+				'Bandar Surabaya'  => array(),
+				'Bangun Rejo'      => array(),
+				'Bekri'            => array(),
+				'Bumi Nabung'      => array(),
+				'Bumi Ratu Nuban'  => array(),
+				'Gunung Sugih'     => array(),
+				'Kalirejo'         => array(),
+				'Kota Gajah'       => array(),
+				'Padang Ratu'      => array(),
+				'Pubian'           => array(),
+				'Punggur'          => array(),
+				'Putra Rumbia'     => array(),
+				'Rumbia'           => array(),
+				'Selagai Lingga'   => array(),
+				'Sendang Agung'    => array(),
+				'Seputih Agung'    => array(),
+				'Seputih Banyak'   => array(),
+				'Seputih Mataram'  => array(),
+				'Seputih Raman'    => array(),
+				'Seputih Surabaya' => array(),
+				'Terbanggi Besar'  => array(),
+				'Terusan Nunyai'   => array(),
+				'Trimurjo'         => array(),
+				'Way Pengubuan'    => array(),
+				'Way Seputih'      => array(),
+			),
+			'Kabupaten Lampung Timur'       => array(
+				'Bandar Sribhawono' => array(),
+				'Batanghari'        => array(),
+				'Batanghari Nuban'  => array(),
+				'Braja Selebah'     => array(),
+				'Bumi Agung'        => array(),
+				'Gunung Pelindung'  => array(),
+				'Jabung'            => array(),
+				'Labuhan Maringgai' => array(),
+				'Labuhan Ratu'      => array(),
+				'Marga Sekampung'   => array(),
+				'Marga Tiga'        => array(),
+				'Mataram Baru'      => array(),
+				'Melinting'         => array(),
+				'Metro Kibang'      => array(),
+				'Pasir Sakti'       => array(),
+				'Pekalongan'        => array(),
+				'Purbolinggo'       => array(),
+				'Raman Utara'       => array(),
+				'Sekampung'         => array(),
+				'Sekampung Udik'    => array(),
+				'Sukadana'          => array(),
+				'Waway Karya'       => array(),
+				'Way Bungur'        => array(),
+				'Way Jepara'        => array(),
+			),
+			'Kabupaten Lampung Utara'       => array(
+				'Abung Barat'      => array(),
+				'Abung Kunang'     => array(),
+				'Abung Pekurun'    => array(),
+				'Abung Selatan'    => array(),
+				'Abung Semuli'     => array(),
+				'Abung Surakarta'  => array(),
+				'Abung Tengah'     => array(),
+				'Abung Timur'      => array(),
+				'Abung Tinggi'     => array(),
+				'Blambangan Pagar' => array(),
+				'Bukit Kemuning'   => array(),
+				'Bunga Mayang'     => array(),
+				'Hulu Sungkai'     => array(),
+				'Kotabumi'         => array(),
+				'Kotabumi Selatan' => array(),
+				'Kotabumi Utara'   => array(),
+				'Muara Sungkai'    => array(),
+				'Sungkai Barat'    => array(),
+				'Sungkai Jaya'     => array(),
+				'Sungkai Selatan'  => array(),
+				'Sungkai Tengah'   => array(),
+				'Sungkai Utara'    => array(),
+				'Tanjung Raja'     => array(),
+			),
+			'Kabupaten Mesuji'              => array(
+				'Mesuji'           => array(),
+				'Mesuji Timur'     => array(),
+				'Panca Jaya'       => array(),
+				'Rawa Jitu Utara'  => array(),
+				'Simpang Pematang' => array(),
+				'Tanjung Raya'     => array(),
+				'Way Serdang'      => array(),
+			),
+			'Kabupaten Pesawaran'           => array(
+				'Gedong Tataan' => array(),
+				'Kedondong'     => array(),
+				'Marga Punduh'  => array(),
+				'Negeri Katon'  => array(),
+				'Padang Cermin' => array(),
+				'Punduh Pidada' => array(),
+				'Tegineneng'    => array(),
+				'Teluk Pandan'  => array(),
+				'Way Khilau'    => array(),
+				'Way Lima'      => array(),
+				'Way Ratai'     => array(),
+			),
+			'Kabupaten Pesisir Barat'       => array(
+				'Bangkunat'       => array(),
+				'Karya Penggawa'  => array(),
+				'Krui Selatan'    => array(),
+				'Lemong'          => array(),
+				'Ngambur'         => array(),
+				'Ngaras'          => array(),
+				'Pesisir Selatan' => array(),
+				'Pesisir Tengah'  => array(),
+				'Pesisir Utara'   => array(),
+				'Pulau Pisang'    => array(),
+				'Way Krui'        => array(),
+			),
+			'Kabupaten Pringsewu'           => array(
+				'Adiluwih'        => array(),
+				'Ambarawa'        => array(),
+				'Banyumas'        => array(),
+				'Gading Rejo'     => array(),
+				'Pagelaran'       => array(),
+				'Pagelaran Utara' => array(),
+				'Pardasuka'       => array(),
+				'Pringsewu'       => array(),
+				'Sukoharjo'       => array(),
+			),
+			'Kabupaten Tanggamus'           => array(
+				'Air Naningan'          => array(),
+				'Bandar Negeri Semuong' => array(),
+				'Bulok'                 => array(),
+				'Cukuh Balak'           => array(),
+				'Gisting'               => array(),
+				'Gunung Alip'           => array(),
+				'Kelumbayan'            => array(),
+				'Kelumbayan Barat'      => array(),
+				'Kota Agung'            => array(),
+				'Kota Agung Barat'      => array(),
+				'Kota Agung Timur'      => array(),
+				'Limau'                 => array(),
+				'Pematang Sawa'         => array(),
+				'Pugung'                => array(),
+				'Pulau Panggung'        => array(),
+				'Semaka'                => array(),
+				'Sumberejo'             => array(),
+				'Talang Padang'         => array(),
+				'Ulu Belu'              => array(),
+				'Wonosobo'              => array(),
+			),
+			'Kabupaten Tulang Bawang'       => array(
+				'Banjar Agung'      => array(),
+				'Banjar Baru'       => array(),
+				'Banjar Margo'      => array(),
+				'Dente Teladas'     => array(),
+				'Gedung Aji'        => array(),
+				'Gedung Aji Baru'   => array(),
+				'Gedung Meneng'     => array(),
+				'Menggala'          => array(),
+				'Menggala Timur'    => array(),
+				'Meraksa Aji'       => array(),
+				'Penawar Aji'       => array(),
+				'Penawar Tama'      => array(),
+				'Rawa Jitu Selatan' => array(),
+				'Rawa Jitu Timur'   => array(),
+				'Rawa Pitu'         => array(),
+			),
+			'Kabupaten Tulang Bawang Barat' => array(
+				'Batu Putih'           => array(),
+				'Gunung Agung'         => array(),
+				'Gunung Terang'        => array(),
+				'Lambu Kibang'         => array(),
+				'Pagar Dewa'           => array(),
+				'Tulang Bawang Tengah' => array(),
+				'Tulang Bawang Udik'   => array(),
+				'Tumijajar'            => array(),
+				'Way Kenanga'          => array(),
+			),
+			'Kabupaten Way Kanan'           => array(
+				'Bahuga'          => array(),
+				'Banjit'          => array(),
+				'Baradatu'        => array(),
+				'Blambangan Umpu' => array(),
+				'Buay Bahuga'     => array(),
+				'Bumi Agung'      => array(),
+				'Gunung Labuhan'  => array(),
+				'Kasui'           => array(),
+				'Negara Batin'    => array(),
+				'Negeri Agung'    => array(),
+				'Negeri Besar'    => array(),
+				'Pakuan Ratu'     => array(),
+				'Rebang Tangkas'  => array(),
+				'Umpu Semenguk'   => array(),
+				'Way Tuba'        => array(),
+			),
+			'Kota Bandar Lampung'           => array(
+				'Bumi Waras'          => array(),
+				'Enggal'              => array(),
+				'Kedamaian'           => array(),
+				'Kedaton'             => array(),
+				'Kemiling'            => array(),
+				'Labuhan Ratu'        => array(),
+				'Langkapura'          => array(),
+				'Panjang'             => array(),
+				'Rajabasa'            => array(),
+				'Sukabumi'            => array(),
+				'Sukarame'            => array(),
+				'Tanjung Senang'      => array(),
+				'Tanjungkarang Barat' => array(),
+				'Tanjungkarang Pusat' => array(),
+				'Tanjungkarang Timur' => array(),
+				'Telukbetung Barat'   => array(),
+				'Telukbetung Selatan' => array(),
+				'Telukbetung Timur'   => array(),
+				'Telukbetung Utara'   => array(),
+				'Way Halim'           => array(),
+			),
+			'Kota Metro'                    => array(
+				'Metro Barat'   => array(),
+				'Metro Pusat'   => array(),
+				'Metro Selatan' => array(),
+				'Metro Timur'   => array(),
+				'Metro Utara'   => array(),
+			),
+		),
+		'JK' => array(
+			'Kabupaten Kepulauan Seribu' => array(
+				'Kepulauan Seribu Selatan' => array( '14510', '14520' ),
+				'Kepulauan Seribu Utara'   => array( '14530', '14540' ),
+			),
+			'Kota Jakarta Barat'         => array(
+				'Cengkareng'        => array( '11710', '11720', '11730', '11740', '11750' ),
+				'Grogol Petamburan' => array( '11440', '11450', '11460', '11470' ),
+				'Kalideres'         => array( '11810', '11820', '11830', '11840', '11850' ),
+				'Kebon Jeruk'       => array( '11510', '11520', '11530', '11540', '11550', '11560' ),
+				'Kembangan'         => array( '11610', '11620', '11630', '11640', '11650' ),
+				'Pal Merah'         => array( '11410', '11420', '11430', '11480' ),
+				'Taman Sari'        => array( '11110', '11120', '11130', '11140', '11150', '11160', '11170', '11180' ),
+				'Tambora'           => array( '11210', '11220', '11230', '11240', '11250', '11260', '11270', '11310', '11320', '11330' ),
+			),
+			'Kota Jakarta Pusat'         => array(
+				'Cempaka Putih' => array( '10510', '10520', '10570' ),
+				'Gambir'        => array( '10110', '10120', '10130', '10140', '10150', '10160' ),
+				'Johar Baru'    => array( '10530', '10540', '10550', '10560' ),
+				'Kemayoran'     => array( '10610', '10620', '10630', '10640', '10650' ),
+				'Menteng'       => array( '10310', '10320', '10330', '10340', '10350' ),
+				'Sawah Besar'   => array( '10710', '10720', '10730', '10740', '10750' ),
+				'Senen'         => array( '10410', '10420', '10430', '10440', '10450', '10460' ),
+				'Tanah Abang'   => array( '10210', '10220', '10230', '10240', '10250', '10260', '10270' ),
+			),
+			'Kota Jakarta Selatan'       => array(
+				'Cilandak'         => array( '12410', '12420', '12430', '12440', '12450' ),
+				'Jagakarsa'        => array( '12530', '12610', '12620', '12630', '12640' ),
+				'Kebayoran Baru'   => array( '12110', '12120', '12130', '12140', '12150', '12160', '12170', '12180', '12190' ),
+				'Kebayoran Lama'   => array( '12210', '12220', '12230', '12240', '12310' ),
+				'Mampang Prapatan' => array( '12710', '12720', '12730', '12790' ),
+				'Pancoran'         => array( '12740', '12750', '12760', '12770', '12780' ),
+				'Pasar Minggu'     => array( '12510', '12520', '12540', '12550', '12560' ),
+				'Pesanggrahan'     => array( '12250', '12260', '12270', '12320', '12330' ),
+				'Setiabudi'        => array( '12910', '12920', '12930', '12940', '12950', '12960', '12970', '12980' ),
+				'Tebet'            => array( '12810', '12820', '12830', '12840', '12850', '12860', '12870' ),
+			),
+			'Kota Jakarta Timur'         => array(
+				'Cakung'      => array( '13910', '13920', '13930', '13940', '13950', '13960' ),
+				'Cipayung'    => array( '13810', '13820', '13840', '13850', '13860', '13870', '13880', '13890' ),
+				'Ciracas'     => array( '13720', '13730', '13740', '13750', '13830' ),
+				'Duren Sawit' => array( '13430', '13440', '13450', '13460', '13470' ),
+				'Jatinegara'  => array( '13310', '13320', '13330', '13340', '13350', '13410', '13420' ),
+				'Kramatjati'  => array( '13510', '13520', '13530', '13540', '13550', '13630', '13640' ),
+				'Makasar'     => array( '13560', '13570', '13610', '13620', '13650' ),
+				'Matraman'    => array( '13110', '13120', '13130', '13140', '13150' ),
+				'Pasar Rebo'  => array( '13710', '13760', '13770', '13780', '13790' ),
+				'Pulogadung'  => array( '13210', '13220', '13230', '13240', '13250', '13260' ),
+			),
+			'Kota Jakarta Utara'         => array(
+				'Cilincing'     => array( '14110', '14120', '14130', '14140', '14150' ),
+				'Kelapa Gading' => array( '14240', '14250' ),
+				'Koja'          => array( '14220', '14230', '14260', '14270' ),
+				'Pademangan'    => array( '14410', '14420', '14430' ),
+				'Penjaringan'   => array( '14440', '14450', '14460', '14470' ),
+				'Tanjung Priok' => array( '14310', '14320', '14330', '14340', '14350', '14370' ),
+			),
+		),
+		'JB' => array(
+			'Kabupaten Bandung'       => array(
+				'Arjasari'     => array(),
+				'Baleendah'    => array(),
+				'Banjaran'     => array(),
+				'Bojongsoang'  => array(),
+				'Cangkuang'    => array(),
+				'Cicalengka'   => array(),
+				'Cikancung'    => array(),
+				'Cilengkrang'  => array(),
+				'Cileunyi'     => array(),
+				'Cimaung'      => array(),
+				'Cimenyan'     => array(),
+				'Ciparay'      => array(),
+				'Ciwidey'      => array(),
+				'Dayeuhkolot'  => array(),
+				'Ibun'         => array(),
+				'Katapang'     => array(),
+				'Kertasari'    => array(),
+				'Kutawaringin' => array(),
+				'Majalaya'     => array(),
+				'Margaasih'    => array(),
+				'Margahayu'    => array(),
+				'Nagreg'       => array(),
+				'Pacet'        => array(),
+				'Pameungpeuk'  => array(),
+				'Pangalengan'  => array(),
+				'Paseh'        => array(),
+				'Pasirjambu'   => array(),
+				'Rancabali'    => array(),
+				'Rancaekek'    => array(),
+				'Solokanjeruk' => array(),
+				'Soreang'      => array(),
+			),
+			'Kabupaten Bandung Barat' => array(
+				'Batujajar'     => array(),
+				'Cihampelas'    => array(),
+				'Cikalongwetan' => array(),
+				'Cililin'       => array(),
+				'Cipatat'       => array(),
+				'Cipeundeuy'    => array(),
+				'Cipongkor'     => array(),
+				'Cisarua'       => array(),
+				'Gununghalu'    => array(),
+				'Lembang'       => array(),
+				'Ngamprah'      => array(),
+				'Padalarang'    => array(),
+				'Parongpong'    => array(),
+				'Rongga'        => array(),
+				'Saguling'      => array(),
+				'Sindangkerta'  => array(),
+			),
+			'Kabupaten Bekasi'        => array(
+				'Babelan'          => array(),
+				'Bojongmangu'      => array(),
+				'Cabangbungin'     => array(),
+				'Cibarusah'        => array(),
+				'Cibitung'         => array(),
+				'Cikarang Barat'   => array(),
+				'Cikarang Pusat'   => array(),
+				'Cikarang Selatan' => array(),
+				'Cikarang Timur'   => array(),
+				'Cikarang Utara'   => array(),
+				'Karang Bahagia'   => array(),
+				'Kedung Waringin'  => array(),
+				'Muaragembong'     => array(),
+				'Pebayuran'        => array(),
+				'Serang Baru'      => array(),
+				'Setu'             => array(),
+				'Sukakarya'        => array(),
+				'Sukatani'         => array(),
+				'Sukawangi'        => array(),
+				'Tambelang'        => array(),
+				'Tambun Selatan'   => array(),
+				'Tambun Utara'     => array(),
+				'Tarumajaya'       => array(),
+			),
+			'Kabupaten Bogor'         => array(
+				'Babakan Madang' => array(),
+				'Bojonggede'     => array(),
+				'Caringin'       => array(),
+				'Cariu'          => array(),
+				'Ciampea'        => array(),
+				'Ciawi'          => array(),
+				'Cibinong'       => array(),
+				'Cibungbulang'   => array(),
+				'Cigombong'      => array(),
+				'Cigudeg'        => array(),
+				'Cijeruk'        => array(),
+				'Cileungsi'      => array(),
+				'Ciomas'         => array(),
+				'Cisarua'        => array(),
+				'Ciseeng'        => array(),
+				'Citeureup'      => array(),
+				'Dramaga'        => array(),
+				'Gunungputri'    => array(),
+				'Gunungsindur'   => array(),
+				'Jasinga'        => array(),
+				'Jonggol'        => array(),
+				'Kemang'         => array(),
+				'Klapanunggal'   => array(),
+				'Leuwiliang'     => array(),
+				'Leuwisadeng'    => array(),
+				'Megamendung'    => array(),
+				'Nanggung'       => array(),
+				'Pamijahan'      => array(),
+				'Parung'         => array(),
+				'Parungpanjang'  => array(),
+				'Rancabungur'    => array(),
+				'Rumpin'         => array(),
+				'Sukajaya'       => array(),
+				'Sukamakmur'     => array(),
+				'Sukaraja'       => array(),
+				'Tajurhalang'    => array(),
+				'Tamansari'      => array(),
+				'Tanjungsari'    => array(),
+				'Tenjo'          => array(),
+				'Tenjolaya'      => array(),
+			),
+			'Kabupaten Ciamis'        => array(
+				'Banjaranyar'  => array(),
+				'Banjarsari'   => array(),
+				'Baregbeg'     => array(),
+				'Ciamis'       => array(),
+				'Cidolog'      => array(),
+				'Cihaurbeuti'  => array(),
+				'Cijeungjing'  => array(),
+				'Cikoneng'     => array(),
+				'Cimaragas'    => array(),
+				'Cipaku'       => array(),
+				'Cisaga'       => array(),
+				'Jatinagara'   => array(),
+				'Kawali'       => array(),
+				'Lakbok'       => array(),
+				'Lumbung'      => array(),
+				'Pamarican'    => array(),
+				'Panawangan'   => array(),
+				'Panjalu'      => array(),
+				'Panumbangan'  => array(),
+				'Purwadadi'    => array(),
+				'Rajadesa'     => array(),
+				'Rancah'       => array(),
+				'Sadananya'    => array(),
+				'Sindangkasih' => array(),
+				'Sukadana'     => array(),
+				'Sukamantri'   => array(),
+				'Tambaksari'   => array(),
+			),
+			'Kabupaten Cianjur'       => array(
+				'Agrabinta'     => array(),
+				'Bonjogpicung'  => array(),
+				'Campaka'       => array(),
+				'Campakamulya'  => array(),
+				'Cianjur'       => array(),
+				'Cibeber'       => array(),
+				'Cidaun'        => array(),
+				'Cijati'        => array(),
+				'Cikadu'        => array(),
+				'Cikalongkulon' => array(),
+				'Cilaku'        => array(),
+				'Cipanas'       => array(),
+				'Ciranjang'     => array(),
+				'Cubinong'      => array(),
+				'Cugenang'      => array(),
+				'Gekbrong'      => array(),
+				'Haurwangi'     => array(),
+				'Kadupandak'    => array(),
+				'Karangtengah'  => array(),
+				'Leles'         => array(),
+				'Mande'         => array(),
+				'Naringgul'     => array(),
+				'Pacet'         => array(),
+				'Pagelarang'    => array(),
+				'Pasirkuda'     => array(),
+				'Sindangbarang' => array(),
+				'Sukaluyu'      => array(),
+				'Sukanagara'    => array(),
+				'Sukaresmi'     => array(),
+				'Takokak'       => array(),
+				'Tanggeung'     => array(),
+				'Warungkondang' => array(),
+			),
+			'Kabupaten Cirebon'       => array(
+				'Arjawinangun'  => array(),
+				'Astanajapura'  => array(),
+				'Babakan'       => array(),
+				'Beber'         => array(),
+				'Ciledug'       => array(),
+				'Ciwaringin'    => array(),
+				'Depok'         => array(),
+				'Dukupuntang'   => array(),
+				'Gebang'        => array(),
+				'Gegesik'       => array(),
+				'Gempol'        => array(),
+				'Greged'        => array(),
+				'Gunung Jati'   => array(),
+				'Jamblang'      => array(),
+				'Kaliwedi'      => array(),
+				'Karangsembung' => array(),
+				'Karangwareng'  => array(),
+				'Kedawung'      => array(),
+				'Kepetakan'     => array(),
+				'Klangenan'     => array(),
+				'Lemahabang'    => array(),
+				'Losari'        => array(),
+				'Mundu'         => array(),
+				'Pabedilan'     => array(),
+				'Pabuaran'      => array(),
+				'Palimanan'     => array(),
+				'Pangenan'      => array(),
+				'Panguragan'    => array(),
+				'Pasaleman'     => array(),
+				'Plered'        => array(),
+				'Plumbon'       => array(),
+				'Sedong'        => array(),
+				'Sumber'        => array(),
+				'Suranenggala'  => array(),
+				'Susukan'       => array(),
+				'Susukan Lebak' => array(),
+				'Talun'         => array(),
+				'Tengah Tani'   => array(),
+				'Waled'         => array(),
+				'Weru'          => array(),
+			),
+			'Kabupaten Garut'         => array(
+				'Banjarwangi'    => array(),
+				'Banyuresmi'     => array(),
+				'Bayongbong'     => array(),
+				'Bl. Limbangan'  => array(),
+				'Bungbulang'     => array(),
+				'Caringin'       => array(),
+				'Cibalong'       => array(),
+				'Cibatu'         => array(),
+				'Cibiuk'         => array(),
+				'Cigedug'        => array(),
+				'Cihurip'        => array(),
+				'Cikajang'       => array(),
+				'Cikelet'        => array(),
+				'Cilawu'         => array(),
+				'Cisewu'         => array(),
+				'Cisompet'       => array(),
+				'Cisurupan'      => array(),
+				'Garut Kota'     => array(),
+				'Kadungora'      => array(),
+				'Karangpawitan'  => array(),
+				'Karangtengah'   => array(),
+				'Kersamanah'     => array(),
+				'Leles'          => array(),
+				'Leuwigoong'     => array(),
+				'Malangbong'     => array(),
+				'Mekarmukti'     => array(),
+				'Pakenjeng'      => array(),
+				'Pameungpeuk'    => array(),
+				'Pamulihan'      => array(),
+				'Pangatikan'     => array(),
+				'Pasirwangi'     => array(),
+				'Peundeuy'       => array(),
+				'Samarang'       => array(),
+				'Selaawi'        => array(),
+				'Singajaya'      => array(),
+				'Sucinaraja'     => array(),
+				'Sukaresmi'      => array(),
+				'Sukawening'     => array(),
+				'Talegong'       => array(),
+				'Tarogong Kaler' => array(),
+				'Tarogong Kidul' => array(),
+				'Wanaraja'       => array(),
+			),
+			'Kabupaten Indramayu'     => array(
+				'Anjatan'        => array(),
+				'Arahan'         => array(),
+				'Balongan'       => array(),
+				'Bangodua'       => array(),
+				'Bongas'         => array(),
+				'Cantigi'        => array(),
+				'Cikedung'       => array(),
+				'Gabuswetan'     => array(),
+				'Gantar'         => array(),
+				'Haurgeulis'     => array(),
+				'Indramayu'      => array(),
+				'Jatibarang'     => array(),
+				'Juntinyuat'     => array(),
+				'Kandanghaur'    => array(),
+				'Karangampel'    => array(),
+				'Kedokan Bunder' => array(),
+				'Kertasemaya'    => array(),
+				'Krangkeng'      => array(),
+				'Kroya'          => array(),
+				'Lelea'          => array(),
+				'Lohbener'       => array(),
+				'Losarang'       => array(),
+				'Pasekan'        => array(),
+				'Patrol'         => array(),
+				'Sindang'        => array(),
+				'Sliyeg'         => array(),
+				'Sukagumiwang'   => array(),
+				'Sukra'          => array(),
+				'Terisi'         => array(),
+				'Tukdana'        => array(),
+				'Widasari'       => array(),
+			),
+			'Kabupaten Karawang'      => array(
+				'Banyusari'        => array(),
+				'Batujaya'         => array(),
+				'Ciampel'          => array(),
+				'Cibuaya'          => array(),
+				'Cikampek'         => array(),
+				'Cilamaya Kulon'   => array(),
+				'Cilamaya Wetan'   => array(),
+				'Cilebar'          => array(),
+				'Jatisari'         => array(),
+				'Jayakerta'        => array(),
+				'Karawang Barat'   => array(),
+				'Karawang Timur'   => array(),
+				'Klari'            => array(),
+				'Kota Baru'        => array(),
+				'Kutawaluya'       => array(),
+				'Lemahabang'       => array(),
+				'Majalaya'         => array(),
+				'Pakisjaya'        => array(),
+				'Pangkalan'        => array(),
+				'Pedes'            => array(),
+				'Purwasari'        => array(),
+				'Rawamerta'        => array(),
+				'Rengasdengklok'   => array(),
+				'Tegalwaru'        => array(),
+				'Telagasari'       => array(),
+				'Telukjambe Barat' => array(),
+				'Telukjambe Timur' => array(),
+				'Tempuran'         => array(),
+				'Tirtajaya'        => array(),
+				'Tirtamulya'       => array(),
+			),
+			'Kabupaten Kuningan'      => array(
+				'Ciawigebang'   => array(),
+				'Cibeureum'     => array(),
+				'Cibingbin'     => array(),
+				'Cidahu'        => array(),
+				'Cigandamekar'  => array(),
+				'Cigugur'       => array(),
+				'Cilebak'       => array(),
+				'Cilimus'       => array(),
+				'Cimahi'        => array(),
+				'Ciniru'        => array(),
+				'Cipicung'      => array(),
+				'Ciwaru'        => array(),
+				'Darma'         => array(),
+				'Garawangi'     => array(),
+				'Hantara'       => array(),
+				'Jalaksana'     => array(),
+				'Japara'        => array(),
+				'Kadugede'      => array(),
+				'Kalimanggis'   => array(),
+				'Karangkancana' => array(),
+				'Kramatmulya'   => array(),
+				'Kuningan'      => array(),
+				'Lebakwangi'    => array(),
+				'Luragung'      => array(),
+				'Maleber'       => array(),
+				'Mandirancan'   => array(),
+				'Nusaherang'    => array(),
+				'Pancalang'     => array(),
+				'Pasawahan'     => array(),
+				'Selajambe'     => array(),
+				'Sindangagung'  => array(),
+				'Subang'        => array(),
+			),
+			'Kabupaten Majalengka'    => array(
+				'Argapura'     => array(),
+				'Banjaran'     => array(),
+				'Bantarujeg'   => array(),
+				'Cigasong'     => array(),
+				'Cikijing'     => array(),
+				'Cingambul'    => array(),
+				'Dawuan'       => array(),
+				'Jatitujuh'    => array(),
+				'Jatiwangi'    => array(),
+				'Kadipaten'    => array(),
+				'Kasokandel'   => array(),
+				'Kertajati'    => array(),
+				'Lemahsugih'   => array(),
+				'Leuwimunding' => array(),
+				'Ligung'       => array(),
+				'Maja'         => array(),
+				'Majalengka'   => array(),
+				'Malausma'     => array(),
+				'Palasah'      => array(),
+				'Panyingkiran' => array(),
+				'Rajagaluh'    => array(),
+				'Sindang'      => array(),
+				'Sindangwangi' => array(),
+				'Sukahaji'     => array(),
+				'Sumberjaya'   => array(),
+				'Talaga'       => array(),
+			),
+			'Kabupaten Pangandaran'   => array(
+				'Cigugur'       => array(),
+				'Cijulang'      => array(),
+				'Cimerak'       => array(),
+				'Kalipucang'    => array(),
+				'Langkaplancar' => array(),
+				'Mangunjaya'    => array(),
+				'Padaherang'    => array(),
+				'Pangandaran'   => array(),
+				'Parigi'        => array(),
+				'Sidamulih'     => array(),
+			),
+			'Kabupaten Purwakarta'    => array(
+				'Babakancikao' => array(),
+				'Bojong'       => array(),
+				'Bungursari'   => array(),
+				'Campaka'      => array(),
+				'Cibatu'       => array(),
+				'Darangdan'    => array(),
+				'Jatiluhur'    => array(),
+				'Kiarapedes'   => array(),
+				'Maniis'       => array(),
+				'Pasawahan'    => array(),
+				'Plered'       => array(),
+				'Pondoksalam'  => array(),
+				'Purwakarta'   => array(),
+				'Sukasari'     => array(),
+				'Sukatani'     => array(),
+				'Tegalwaru'    => array(),
+				'Wanayasa'     => array(),
+			),
+			'Kabupaten Subang'        => array(
+				'Binong'        => array(),
+				'Blanakan'      => array(),
+				'Ciasem'        => array(),
+				'Ciater'        => array(),
+				'Cibogo'        => array(),
+				'Cijambe'       => array(),
+				'Cikaum'        => array(),
+				'Cipeundeuy'    => array(),
+				'Cipunagara'    => array(),
+				'Cisalak'       => array(),
+				'Compreng'      => array(),
+				'Dawuan'        => array(),
+				'Jalancagak'    => array(),
+				'Kalijati'      => array(),
+				'Kasomalang'    => array(),
+				'Legonkulon'    => array(),
+				'Pabuaran'      => array(),
+				'Pagaden'       => array(),
+				'Pagaden Barat' => array(),
+				'Pamanukan'     => array(),
+				'Patokbeusi'    => array(),
+				'Purwadadi'     => array(),
+				'Pusakajaya'    => array(),
+				'Pusakanagara'  => array(),
+				'Sagalaherang'  => array(),
+				'Serangpanjang' => array(),
+				'Subang'        => array(),
+				'Sukasari'      => array(),
+				'Tambakdahan'   => array(),
+				'Tanjungsiang'  => array(),
+			),
+			'Kabupaten Sukabumi'      => array(
+				'Bantargadung'  => array(),
+				'Bojonggenteng' => array(),
+				'Caringin'      => array(),
+				'Ciambar'       => array(),
+				'Cibadak'       => array(),
+				'Cibitung'      => array(),
+				'Cicantayan'    => array(),
+				'Cicurug'       => array(),
+				'Cidadap'       => array(),
+				'Cidahu'        => array(),
+				'Cidolog'       => array(),
+				'Ciemas'        => array(),
+				'Cikakak'       => array(),
+				'Cikembar'      => array(),
+				'Cikidang'      => array(),
+				'Cimanggu'      => array(),
+				'Ciracap'       => array(),
+				'Cireunghas'    => array(),
+				'Cisaat'        => array(),
+				'Cisolok'       => array(),
+				'Curugkembar'   => array(),
+				'Gegerbitung'   => array(),
+				'Gunungguruh'   => array(),
+				'Jampangkulon'  => array(),
+				'Jampangtengah' => array(),
+				'Kabandungan'   => array(),
+				'Kadudampit'    => array(),
+				'Kalapanunggal' => array(),
+				'Kalibunder'    => array(),
+				'Kebonpedes'    => array(),
+				'Lengkong'      => array(),
+				'Nagrak'        => array(),
+				'Nyalindung'    => array(),
+				'Pabuaran'      => array(),
+				'Palabuhanratu' => array(),
+				'Parakansalak'  => array(),
+				'Parungkuda'    => array(),
+				'Purabaya'      => array(),
+				'Sagaranten'    => array(),
+				'Simpenan'      => array(),
+				'Sukabumi'      => array(),
+				'Sukalarang'    => array(),
+				'Sukaraja'      => array(),
+				'Surade'        => array(),
+				'Tegalbuleud'   => array(),
+				'Waluran'       => array(),
+				'Warungkiara'   => array(),
+			),
+			'Kabupaten Sumedang'      => array(
+				'Buahdua'          => array(),
+				'Cibugel'          => array(),
+				'Cimalaka'         => array(),
+				'Cimanggung'       => array(),
+				'Cisarua'          => array(),
+				'Cisitu'           => array(),
+				'Conggeang'        => array(),
+				'Darmaraja'        => array(),
+				'Ganeas'           => array(),
+				'Jatigede'         => array(),
+				'Jatinangor'       => array(),
+				'Jatinunggal'      => array(),
+				'Pamulihan'        => array(),
+				'Paseh'            => array(),
+				'Rancakalong'      => array(),
+				'Situraja'         => array(),
+				'Sukasari'         => array(),
+				'Sumedang Selatan' => array(),
+				'Sumedang Utara'   => array(),
+				'Surian'           => array(),
+				'Tanjungkerta'     => array(),
+				'Tanjungmedar'     => array(),
+				'Tanjungsari'      => array(),
+				'Tomo'             => array(),
+				'Ujungjaya'        => array(),
+				'Wado'             => array(),
+			),
+			'Kabupaten Tasikmalaya'   => array(
+				'Bantarkalong'   => array(),
+				'Bojongasih'     => array(),
+				'Bojonggambir'   => array(),
+				'Ciawi'          => array(),
+				'Cibalong'       => array(),
+				'Cigalontang'    => array(),
+				'Cikalong'       => array(),
+				'Cikatomas'      => array(),
+				'Cineam'         => array(),
+				'Cipatujah'      => array(),
+				'Cisayong'       => array(),
+				'Culamega'       => array(),
+				'Gunung Tanjung' => array(),
+				'Jamanis'        => array(),
+				'Jatiwaras'      => array(),
+				'Kadipaten'      => array(),
+				'Karang Jaya'    => array(),
+				'Karangnunggal'  => array(),
+				'Leuwisari'      => array(),
+				'Mangunreja'     => array(),
+				'Manonjaya'      => array(),
+				'Padakembang'    => array(),
+				'Pagerageung'    => array(),
+				'Pancatengah'    => array(),
+				'Parungponteng'  => array(),
+				'Puspahiang'     => array(),
+				'Rajapolah'      => array(),
+				'Salawu'         => array(),
+				'Salopa'         => array(),
+				'Sariwangi'      => array(),
+				'Singaparna'     => array(),
+				'Sodonghilir'    => array(),
+				'Sukahening'     => array(),
+				'Sukaraja'       => array(),
+				'Sukarame'       => array(),
+				'Sukaratu'       => array(),
+				'Sukaresik'      => array(),
+				'Tanjungjaya'    => array(),
+				'Taraju'         => array(),
+			),
+			'Kota Bandung'            => array(
+				'Andir'            => array(),
+				'Antapani'         => array(),
+				'Arcamanik'        => array(),
+				'Astanaanyar'      => array(),
+				'Babakan Ciparay'  => array(),
+				'Bandung Kidul'    => array(),
+				'Bandung Kulon'    => array(),
+				'Bandung Wetan'    => array(),
+				'Batununggal'      => array(),
+				'Bojongloa Kaler'  => array(),
+				'Bojongloa Kidul'  => array(),
+				'Buahbatu'         => array(),
+				'Cibeunying Kaler' => array(),
+				'Cibeunying Kidul' => array(),
+				'Cibiru'           => array(),
+				'Cicendo'          => array(),
+				'Cidadap'          => array(),
+				'Cinambo'          => array(),
+				'Coblong'          => array(),
+				'Gedebage'         => array(),
+				'Kiaracondong'     => array(),
+				'Lengkong'         => array(),
+				'Mandalajati'      => array(),
+				'Panyileukan'      => array(),
+				'Rancasari'        => array(),
+				'Regol'            => array(),
+				'Sukajadi'         => array(),
+				'Sukasari'         => array(),
+				'Sumur Bandung'    => array(),
+				'Ujungberung'      => array(),
+			),
+			'Kota Banjar'             => array(
+				'Banjar'     => array(),
+				'Langensari' => array(),
+				'Pataruman'  => array(),
+				'Purwaharja' => array(),
+			),
+			'Kota Bekasi'             => array(
+				'Bantargebang'   => array(),
+				'Bekasi Barat'   => array(),
+				'Bekasi Selatan' => array(),
+				'Bekasi Timur'   => array(),
+				'Bekasi Utara'   => array(),
+				'Jatiasih'       => array(),
+				'Jatisampurna'   => array(),
+				'Medansatria'    => array(),
+				'Mustikajaya'    => array(),
+				'Pondokgede'     => array(),
+				'Pondokmelati'   => array(),
+				'Rawalumbu'      => array(),
+			),
+			'Kota Bogor'              => array(
+				'Bogor Barat'   => array(),
+				'Bogor Selatan' => array(),
+				'Bogor Tengah'  => array(),
+				'Bogor Timur'   => array(),
+				'Bogor Utara'   => array(),
+				'Tanah Sareal'  => array(),
+			),
+			'Kota Cimahi'             => array(
+				'Cimahi Selatan' => array(),
+				'Cimahi Tengah'  => array(),
+				'Cimahi Utara'   => array(),
+			),
+			'Kota Cirebon'            => array(
+				'Harjamukti'   => array(),
+				'Kejaksan'     => array(),
+				'Kesambi'      => array(),
+				'Lemahwungkuk' => array(),
+				'Pekalipan'    => array(),
+			),
+			'Kota Depok'              => array(
+				'Beji'         => array(),
+				'Bojongsari'   => array(),
+				'Cilodong'     => array(),
+				'Cimanggis'    => array(),
+				'Cinere'       => array(),
+				'Cipayung'     => array(),
+				'Limo'         => array(),
+				'Pancoran Mas' => array(),
+				'Sawangan'     => array(),
+				'Sukmajaya'    => array(),
+				'Tapos'        => array(),
+			),
+			'Kota Sukabumi'           => array(
+				'Baros'        => array(),
+				'Cibeureum'    => array(),
+				'Cikole'       => array(),
+				'Citamiang'    => array(),
+				'Gunung Puyuh' => array(),
+				'Lembursitu'   => array(),
+				'Warudoyong'   => array(),
+			),
+			'Kota Tasikmalaya'        => array(
+				'Bungursari' => array(),
+				'Cibeureum'  => array(),
+				'Cihideung'  => array(),
+				'Cipedes'    => array(),
+				'Indihiang'  => array(),
+				'Kawalu'     => array(),
+				'Mangkubumi' => array(),
+				'Purbaratu'  => array(),
+				'Tamansari'  => array(),
+				'Tawang'     => array(),
+			),
+		),
+		'BT' => array(
+			'Kabupaten Lebak'        => array(
+				'Banjarsari'    => array(),
+				'Bayah'         => array(),
+				'Bojongmanik'   => array(),
+				'Cibadak'       => array(),
+				'Cibeber'       => array(),
+				'Cigemblong'    => array(),
+				'Cihara'        => array(),
+				'Cijaku'        => array(),
+				'Cikulur'       => array(),
+				'Cileles'       => array(),
+				'Cilograng'     => array(),
+				'Cimarga'       => array(),
+				'Cipanas'       => array(),
+				'Cirinten'      => array(),
+				'Curugbitung'   => array(),
+				'Gunungkencana' => array(),
+				'Kalanganyar'   => array(),
+				'Lebakgedong'   => array(),
+				'Leuwidamar'    => array(),
+				'Maja'          => array(),
+				'Malingping'    => array(),
+				'Muncang'       => array(),
+				'Panggarangan'  => array(),
+				'Rangkasbitung' => array(),
+				'Sajira'        => array(),
+				'Sobang'        => array(),
+				'Wanasalam'     => array(),
+				'Warunggunung'  => array(),
+			),
+			'Kabupaten Pandeglang'   => array(
+				'Angsana'        => array(),
+				'Banjar'         => array(),
+				'Bojong'         => array(),
+				'Cadasari'       => array(),
+				'Carita'         => array(),
+				'Cibaliung'      => array(),
+				'Cibitung'       => array(),
+				'Cigeulis'       => array(),
+				'Cikedal'        => array(),
+				'Cikeusik'       => array(),
+				'Cimanggu'       => array(),
+				'Cimanuk'        => array(),
+				'Cipeucang'      => array(),
+				'Cisata'         => array(),
+				'Jiput'          => array(),
+				'Kaduhejo'       => array(),
+				'Karang Tanjung' => array(),
+				'Koroncong'      => array(),
+				'Labuan'         => array(),
+				'Majasari'       => array(),
+				'Mandalawangi'   => array(),
+				'Mekarjaya'      => array(),
+				'Menes'          => array(),
+				'Munjul'         => array(),
+				'Pagelaran'      => array(),
+				'Pandeglang'     => array(),
+				'Panimbang'      => array(),
+				'Patia'          => array(),
+				'Picung'         => array(),
+				'Pulosari'       => array(),
+				'Saketi'         => array(),
+				'Sindangresmi'   => array(),
+				'Sobang'         => array(),
+				'Sukaresmi'      => array(),
+				'Sumur'          => array(),
+			),
+			'Kabupaten Serang'       => array(
+				'Anyar'          => array(),
+				'Bandung'        => array(),
+				'Baros'          => array(),
+				'Binuang'        => array(),
+				'Bojonegara'     => array(),
+				'Carenang'       => array(),
+				'Cikande'        => array(),
+				'Cikeusal'       => array(),
+				'Cinangka'       => array(),
+				'Ciomas'         => array(),
+				'Ciruas'         => array(),
+				'Gunungsari'     => array(),
+				'Jawilan'        => array(),
+				'Kibin'          => array(),
+				'Kopo'           => array(),
+				'Kragilan'       => array(),
+				'Kramatwatu'     => array(),
+				'Lebak Wangi'    => array(),
+				'Mancak'         => array(),
+				'Pabuaran'       => array(),
+				'Padarincang'    => array(),
+				'Pamarayan'      => array(),
+				'Petir'          => array(),
+				'Pontang'        => array(),
+				'Pulo Ampel'     => array(),
+				'Tanara'         => array(),
+				'Tirtayasa'      => array(),
+				'Tunjung Teja'   => array(),
+				'Waringinkurung' => array(),
+			),
+			'Kabupaten Tangerang'    => array(
+				'Balaraja'      => array(),
+				'Cikupa'        => array(),
+				'Cisauk'        => array(),
+				'Cisoka'        => array(),
+				'Curug'         => array(),
+				'Gunung Kaler'  => array(),
+				'Jambe'         => array(),
+				'Jayanti'       => array(),
+				'Kelapa Dua'    => array(),
+				'Kemiri'        => array(),
+				'Kosambi'       => array(),
+				'Kresek'        => array(),
+				'Kronjo'        => array(),
+				'Legok'         => array(),
+				'Mauk'          => array(),
+				'Mekar Baru'    => array(),
+				'Pagedangan'    => array(),
+				'Pakuhaji'      => array(),
+				'Panongan'      => array(),
+				'Pasar Kemis'   => array(),
+				'Rajeg'         => array(),
+				'Sepatan'       => array(),
+				'Sepatan Timur' => array(),
+				'Sindang Jaya'  => array(),
+				'Solear'        => array(),
+				'Sukadiri'      => array(),
+				'Sukamulya'     => array(),
+				'Teluknaga'     => array(),
+				'Tigaraksa'     => array(),
+			),
+			'Kota Cilegon'           => array(
+				'Cibeber'    => array(),
+				'Cilegon'    => array(),
+				'Citangkil'  => array(),
+				'Ciwandan'   => array(),
+				'Gerogol'    => array(),
+				'Jombang'    => array(),
+				'Pulomerak'  => array(),
+				'Purwakarta' => array(),
+			),
+			'Kota Serang'            => array(
+				'Cipocok Jaya' => array(),
+				'Curug'        => array(),
+				'Kasemen'      => array(),
+				'Serang'       => array(),
+				'Taktakan'     => array(),
+				'Walantaka'    => array(),
+			),
+			'Kota Tangerang'         => array(
+				'Batuceper'     => array(),
+				'Benda'         => array(),
+				'Cibodas'       => array(),
+				'Ciledug'       => array(),
+				'Cipondoh'      => array(),
+				'Jatiuwung'     => array(),
+				'Karang Tengah' => array(),
+				'Karawaci'      => array(),
+				'Larangan'      => array(),
+				'Neglasari'     => array(),
+				'Periuk'        => array(),
+				'Pinang'        => array(),
+				'Tangerang'     => array(),
+			),
+			'Kota Tangerang Selatan' => array(
+				'Ciputat'       => array(),
+				'Ciputat Timur' => array(),
+				'Pamulang'      => array(),
+				'Pondok Aren'   => array(),
+				'Serpong'       => array(),
+				'Serpong Utara' => array(),
+				'Setu'          => array(),
+			),
+		),
+		'JT' => array(
+			'Kabupaten Banjarnegara' => array(
+				'Banjarmangu'       => array(),
+				'Banjarnegara'      => array(),
+				'Batur'             => array(),
+				'Bawang'            => array(),
+				'Kalibening'        => array(),
+				'Karangkobar'       => array(),
+				'Madukara'          => array(),
+				'Mandiraja'         => array(),
+				'Pagedongan'        => array(),
+				'Pagentan'          => array(),
+				'Pandanarum'        => array(),
+				'Pejawaran'         => array(),
+				'Punggelan'         => array(),
+				'Purwanegara'       => array(),
+				'Purworeja Klampok' => array(),
+				'Rakit'             => array(),
+				'Sigaluh'           => array(),
+				'Susukan'           => array(),
+				'Wanadadi'          => array(),
+				'Wanayasa'          => array(),
+			),
+			'Kabupaten Banyumas'     => array(
+				'Ajibarang'          => array(),
+				'Banyumas'           => array(),
+				'Baturraden'         => array(),
+				'Cilongok'           => array(),
+				'Gumelar'            => array(),
+				'Jatilawang'         => array(),
+				'Kalibagor'          => array(),
+				'Karanglewas'        => array(),
+				'Kebasen'            => array(),
+				'Kedungbanteng'      => array(),
+				'Kembaran'           => array(),
+				'Kemranjen'          => array(),
+				'Lumbir'             => array(),
+				'Patikraja'          => array(),
+				'Pekuncen'           => array(),
+				'Purwojati'          => array(),
+				'Purwokerto Barat'   => array(),
+				'Purwokerto Selatan' => array(),
+				'Purwokerto Timur'   => array(),
+				'Purwokerto Utara'   => array(),
+				'Rawalo'             => array(),
+				'Sokaraja'           => array(),
+				'Somagede'           => array(),
+				'Sumbang'            => array(),
+				'Sumpiuh'            => array(),
+				'Tambak'             => array(),
+				'Wangon'             => array(),
+			),
+			'Kabupaten Batang'       => array(
+				'Bandar'      => array(),
+				'Banyuputih'  => array(),
+				'Batang'      => array(),
+				'Bawang'      => array(),
+				'Blado'       => array(),
+				'Gringsing'   => array(),
+				'Kandeman'    => array(),
+				'Limpung'     => array(),
+				'Pecalungan'  => array(),
+				'Reban'       => array(),
+				'Subah'       => array(),
+				'Tersono'     => array(),
+				'Tulis'       => array(),
+				'Warungasem'  => array(),
+				'Wonotunggal' => array(),
+			),
+			'Kabupaten Blora'        => array(
+				'Banjarejo'    => array(),
+				'Blora'        => array(),
+				'Bogorejo'     => array(),
+				'Cepu'         => array(),
+				'Japah'        => array(),
+				'Jati'         => array(),
+				'Jepon'        => array(),
+				'Jiken'        => array(),
+				'Kedungtuban'  => array(),
+				'Kradenan'     => array(),
+				'Kunduran'     => array(),
+				'Ngawen'       => array(),
+				'Randublatung' => array(),
+				'Sambong'      => array(),
+				'Todanan'      => array(),
+				'Tunjungan'    => array(),
+			),
+			'Kabupaten Boyolali'     => array(
+				'Ampel'       => array(),
+				'Andong'      => array(),
+				'Banyudono'   => array(),
+				'Boyolali'    => array(),
+				'Cepogo'      => array(),
+				'Gladagsari'  => array(),
+				'Juwangi'     => array(),
+				'Karanggede'  => array(),
+				'Kemusu'      => array(),
+				'Klego'       => array(),
+				'Mojosongo'   => array(),
+				'Musuk'       => array(),
+				'Ngemplak'    => array(),
+				'Nogosari'    => array(),
+				'Sambi'       => array(),
+				'Sawit'       => array(),
+				'Selo'        => array(),
+				'Simo'        => array(),
+				'Tamansari'   => array(),
+				'Teras'       => array(),
+				'Wonosamodro' => array(),
+				'Wonosegoro'  => array(),
+			),
+			'Kabupaten Brebes'       => array(
+				'Banjarharjo'  => array(),
+				'Bantarkawung' => array(),
+				'Brebes'       => array(),
+				'Bulakamba'    => array(),
+				'Bumiayu'      => array(),
+				'Jatibarang'   => array(),
+				'Kersana'      => array(),
+				'Ketanggungan' => array(),
+				'Larangan'     => array(),
+				'Losari'       => array(),
+				'Paguyangan'   => array(),
+				'Salem'        => array(),
+				'Sirampog'     => array(),
+				'Songgom'      => array(),
+				'Tanjung'      => array(),
+				'Tonjong'      => array(),
+				'Wanasari'     => array(),
+			),
+			'Kabupaten Cilacap'      => array(
+				'Adipala'         => array(),
+				'Bantarsari'      => array(),
+				'Binangun'        => array(),
+				'Cilacap Selatan' => array(),
+				'Cilacap Tengah'  => array(),
+				'Cilacap Utara'   => array(),
+				'Cimanggu'        => array(),
+				'Cipari'          => array(),
+				'Dayeuhluhur'     => array(),
+				'Gandrungmangu'   => array(),
+				'Jeruklegi'       => array(),
+				'Kampung Laut'    => array(),
+				'Karangpucung'    => array(),
+				'Kawunganten'     => array(),
+				'Kedungreja'      => array(),
+				'Kesugihan'       => array(),
+				'Kroya'           => array(),
+				'Majenang'        => array(),
+				'Maos'            => array(),
+				'Nusawungu'       => array(),
+				'Patimuan'        => array(),
+				'Sampang'         => array(),
+				'Sidareja'        => array(),
+				'Wanareja'        => array(),
+			),
+			'Kabupaten Demak'        => array(
+				'Bonang'       => array(),
+				'Demak'        => array(),
+				'Dempet'       => array(),
+				'Gajah'        => array(),
+				'Guntur'       => array(),
+				'Karanganyar'  => array(),
+				'Karangawen'   => array(),
+				'Karangtengah' => array(),
+				'Kebonagung'   => array(),
+				'Mijen'        => array(),
+				'Mranggen'     => array(),
+				'Sayung'       => array(),
+				'Wedung'       => array(),
+				'Wonosalam'    => array(),
+			),
+			'Kabupaten Grobogan'     => array(
+				'Brati'         => array(),
+				'Gabus'         => array(),
+				'Geyer'         => array(),
+				'Godong'        => array(),
+				'Grobogan'      => array(),
+				'Gubug'         => array(),
+				'Karangrayung'  => array(),
+				'Kedungjati'    => array(),
+				'Klambu'        => array(),
+				'Kradenan'      => array(),
+				'Ngaringan'     => array(),
+				'Penawangan'    => array(),
+				'Pulokulon'     => array(),
+				'Purwodadi'     => array(),
+				'Tanggungharjo' => array(),
+				'Tawangharjo'   => array(),
+				'Tegowanu'      => array(),
+				'Toroh'         => array(),
+				'Wirosari'      => array(),
+			),
+			'Kabupaten Jepara'       => array(
+				'Bangsri'      => array(),
+				'Batealit'     => array(),
+				'Donorojo'     => array(),
+				'Jepara'       => array(),
+				'Kalinyamatan' => array(),
+				'Karimunjawa'  => array(),
+				'Kedung'       => array(),
+				'Keling'       => array(),
+				'Kembang'      => array(),
+				'Mayong'       => array(),
+				'Mlonggo'      => array(),
+				'Nalumsari'    => array(),
+				'Pakis Aji'    => array(),
+				'Pecangaan'    => array(),
+				'Tahunan'      => array(),
+				'Welahan'      => array(),
+			),
+			'Kabupaten Karanganyar'  => array(
+				'Colomadu'     => array(),
+				'Gondangrejo'  => array(),
+				'Jaten'        => array(),
+				'Jatipuro'     => array(),
+				'Jatiyoso'     => array(),
+				'Jenawi'       => array(),
+				'Jumantono'    => array(),
+				'Jumapolo'     => array(),
+				'Karanganyar'  => array(),
+				'Karangpandan' => array(),
+				'Kebakkramat'  => array(),
+				'Kerjo'        => array(),
+				'Matesih'      => array(),
+				'Mojogedang'   => array(),
+				'Ngargoyoso'   => array(),
+				'Tasikmadu'    => array(),
+				'Tawangmangu'  => array(),
+			),
+			'Kabupaten Kebumen'      => array(
+				'Adimulyo'       => array(),
+				'Alian'          => array(),
+				'Ambal'          => array(),
+				'Ayah'           => array(),
+				'Bonorowo'       => array(),
+				'Buayan'         => array(),
+				'Buluspesantren' => array(),
+				'Gombong'        => array(),
+				'Karanganyar'    => array(),
+				'Karanggayam'    => array(),
+				'Karangsambung'  => array(),
+				'Kebumen'        => array(),
+				'Klirong'        => array(),
+				'Kutowinangun'   => array(),
+				'Kuwarasan'      => array(),
+				'Mirit'          => array(),
+				'Padureso'       => array(),
+				'Pejagoan'       => array(),
+				'Petanahan'      => array(),
+				'Poncowarno'     => array(),
+				'Prembun'        => array(),
+				'Puring'         => array(),
+				'Rowokele'       => array(),
+				'Sadang'         => array(),
+				'Sempor'         => array(),
+				'Sruweng'        => array(),
+			),
+			'Kabupaten Kendal'       => array(
+				'Boja'              => array(),
+				'Brangsong'         => array(),
+				'Cepiring'          => array(),
+				'Gemuh'             => array(),
+				'Kaliwungu'         => array(),
+				'Kaliwungu Selatan' => array(),
+				'Kangkung'          => array(),
+				'Kendal'            => array(),
+				'Limbangan'         => array(),
+				'Ngampel'           => array(),
+				'Pageruyung'        => array(),
+				'Patean'            => array(),
+				'Patebon'           => array(),
+				'Pegandon'          => array(),
+				'Plantungan'        => array(),
+				'Ringinarum'        => array(),
+				'Rowosari'          => array(),
+				'Singorojo'         => array(),
+				'Sukorejo'          => array(),
+				'Weleri'            => array(),
+			),
+			'Kabupaten Klaten'       => array(
+				'Bayat'          => array(),
+				'Cawas'          => array(),
+				'Ceper'          => array(),
+				'Delanggu'       => array(),
+				'Gantiwarno'     => array(),
+				'Jatinom'        => array(),
+				'Jogonalan'      => array(),
+				'Juwiring'       => array(),
+				'Kalikotes'      => array(),
+				'Karanganom'     => array(),
+				'Karangdowo'     => array(),
+				'Karangnongko'   => array(),
+				'Kebonarum'      => array(),
+				'Kemalang'       => array(),
+				'Klaten Selatan' => array(),
+				'Klaten Tengah'  => array(),
+				'Klaten Utara'   => array(),
+				'Manisrenggo'    => array(),
+				'Ngawen'         => array(),
+				'Pedan'          => array(),
+				'Polanharjo'     => array(),
+				'Prambanan'      => array(),
+				'Trucuk'         => array(),
+				'Tulung'         => array(),
+				'Wedi'           => array(),
+				'Wonosari'       => array(),
+			),
+			'Kabupaten Kudus'        => array(
+				'Bae'        => array(),
+				'Dawe'       => array(),
+				'Gebog'      => array(),
+				'Jati'       => array(),
+				'Jekulo'     => array(),
+				'Kaliwungu'  => array(),
+				'Kota Kudus' => array(),
+				'Mejobo'     => array(),
+				'Undaan'     => array(),
+			),
+			'Kabupaten Magelang'     => array(
+				'Bandongan'   => array(),
+				'Borobudur'   => array(),
+				'Candimulyo'  => array(),
+				'Dukun'       => array(),
+				'Grabag'      => array(),
+				'Kajoran'     => array(),
+				'Kaliangkrik' => array(),
+				'Mertoyudan'  => array(),
+				'Mungkid'     => array(),
+				'Muntilan'    => array(),
+				'Ngablak'     => array(),
+				'Ngluwar'     => array(),
+				'Pakis'       => array(),
+				'Salam'       => array(),
+				'Salaman'     => array(),
+				'Sawangan'    => array(),
+				'Secang'      => array(),
+				'Srumbung'    => array(),
+				'Tegalrejo'   => array(),
+				'Tempuran'    => array(),
+				'Windusari'   => array(),
+			),
+			'Kabupaten Pati'         => array(
+				'Batangan'      => array(),
+				'Cluwak'        => array(),
+				'Dukuhseti'     => array(),
+				'Gabus'         => array(),
+				'Gembong'       => array(),
+				'Gunungwungkal' => array(),
+				'Jaken'         => array(),
+				'Jakenan'       => array(),
+				'Juwana'        => array(),
+				'Kayen'         => array(),
+				'Margorejo'     => array(),
+				'Margoyoso'     => array(),
+				'Pati'          => array(),
+				'Pucakwangi'    => array(),
+				'Sukolilo'      => array(),
+				'Tambakromo'    => array(),
+				'Tayu'          => array(),
+				'Tlogowungu'    => array(),
+				'Trangkil'      => array(),
+				'Wedarijaksa'   => array(),
+				'Winong'        => array(),
+			),
+			'Kabupaten Pekalongan'   => array(
+				'Bojong'        => array(),
+				'Buaran'        => array(),
+				'Doro'          => array(),
+				'Kajen'         => array(),
+				'Kandangserang' => array(),
+				'Karanganyar'   => array(),
+				'Karangdadap'   => array(),
+				'Kedungwuni'    => array(),
+				'Kesesi'        => array(),
+				'Lebakbarang'   => array(),
+				'Paninggaran'   => array(),
+				'Petungkriyono' => array(),
+				'Siwalan'       => array(),
+				'Sragi'         => array(),
+				'Talun'         => array(),
+				'Tirto'         => array(),
+				'Wiradesa'      => array(),
+				'Wonokerto'     => array(),
+				'Wonopringgo'   => array(),
+			),
+			'Kabupaten Pemalang'     => array(
+				'Ampelgading'  => array(),
+				'Bantarbolang' => array(),
+				'Belik'        => array(),
+				'Bodeh'        => array(),
+				'Comal'        => array(),
+				'Moga'         => array(),
+				'Pemalang'     => array(),
+				'Petarukan'    => array(),
+				'Pulosari'     => array(),
+				'Randudongkal' => array(),
+				'Taman'        => array(),
+				'Ulujami'      => array(),
+				'Warungpring'  => array(),
+				'Watukumpul'   => array(),
+			),
+			'Kabupaten Purbalingga'  => array(
+				'Bobotsari'    => array(),
+				'Bojongsari'   => array(),
+				'Bukateja'     => array(),
+				'Kaligondang'  => array(),
+				'Kalimanah'    => array(),
+				'Karanganyar'  => array(),
+				'Karangjambu'  => array(),
+				'Karangmoncol' => array(),
+				'Karangreja'   => array(),
+				'Kejobong'     => array(),
+				'Kemangkon'    => array(),
+				'Kertanegara'  => array(),
+				'Kutasari'     => array(),
+				'Mrebet'       => array(),
+				'Padamara'     => array(),
+				'Pengadegan'   => array(),
+				'Purbalingga'  => array(),
+				'Rembang'      => array(),
+			),
+			'Kabupaten Purworejo'    => array(
+				'Bagelen'    => array(),
+				'Banyuurip'  => array(),
+				'Bayan'      => array(),
+				'Bener'      => array(),
+				'Bruno'      => array(),
+				'Butuh'      => array(),
+				'Gebang'     => array(),
+				'Grabag'     => array(),
+				'Kaligesing' => array(),
+				'Kemiri'     => array(),
+				'Kutoarjo'   => array(),
+				'Loano'      => array(),
+				'Ngombol'    => array(),
+				'Pituruh'    => array(),
+				'Purwodadi'  => array(),
+				'Purworejo'  => array(),
+			),
+			'Kabupaten Rembang'      => array(
+				'Bulu'    => array(),
+				'Gunem'   => array(),
+				'Kaliori' => array(),
+				'Kragan'  => array(),
+				'Lasem'   => array(),
+				'Pamotan' => array(),
+				'Pancur'  => array(),
+				'Rembang' => array(),
+				'Sale'    => array(),
+				'Sarang'  => array(),
+				'Sedan'   => array(),
+				'Sluke'   => array(),
+				'Sulang'  => array(),
+				'Sumber'  => array(),
+			),
+			'Kabupaten Semarang'     => array(
+				'Ambarawa'      => array(),
+				'Bancak'        => array(),
+				'Bandungan'     => array(),
+				'Banyubiru'     => array(),
+				'Bawen'         => array(),
+				'Bergas'        => array(),
+				'Bringin'       => array(),
+				'Getasan'       => array(),
+				'Jambu'         => array(),
+				'Kaliwungu'     => array(),
+				'Pabelan'       => array(),
+				'Pringapus'     => array(),
+				'Sumowono'      => array(),
+				'Suruh'         => array(),
+				'Susukan'       => array(),
+				'Tengaran'      => array(),
+				'Tuntang'       => array(),
+				'Ungaran Barat' => array(),
+				'Ungaran Timur' => array(),
+			),
+			'Kabupaten Sragen'       => array(
+				'Gemolong'     => array(),
+				'Gesi'         => array(),
+				'Gondang'      => array(),
+				'Jenar'        => array(),
+				'Kalijambe'    => array(),
+				'Karangmalang' => array(),
+				'Kedawung'     => array(),
+				'Masaran'      => array(),
+				'Miri'         => array(),
+				'Mondokan'     => array(),
+				'Ngrampal'     => array(),
+				'Plupuh'       => array(),
+				'Sambirejo'    => array(),
+				'Sambungmacan' => array(),
+				'Sidoharjo'    => array(),
+				'Sragen'       => array(),
+				'Sukodono'     => array(),
+				'Sumberlawang' => array(),
+				'Tangen'       => array(),
+				'Tanon'        => array(),
+			),
+			'Kabupaten Sukoharjo'    => array(
+				'Baki'       => array(),
+				'Bendosari'  => array(),
+				'Bulu'       => array(),
+				'Gatak'      => array(),
+				'Grogol'     => array(),
+				'Kartasura'  => array(),
+				'Mojolaban'  => array(),
+				'Nguter'     => array(),
+				'Polokarto'  => array(),
+				'Sukoharjo'  => array(),
+				'Tawangsari' => array(),
+				'Weru'       => array(),
+			),
+			'Kabupaten Tegal'        => array(
+				'Adiwerna'      => array(),
+				'Balapulang'    => array(),
+				'Bojong'        => array(),
+				'Bumijawa'      => array(),
+				'Dukuhturi'     => array(),
+				'Dukuhwaru'     => array(),
+				'Jatinegara'    => array(),
+				'Kedungbanteng' => array(),
+				'Kramat'        => array(),
+				'Lebaksiu'      => array(),
+				'Margasari'     => array(),
+				'Pagerbarang'   => array(),
+				'Pangkah'       => array(),
+				'Slawi'         => array(),
+				'Suradadi'      => array(),
+				'Talang'        => array(),
+				'Tarub'         => array(),
+				'Warureja'      => array(),
+			),
+			'Kabupaten Temanggung'   => array(
+				'Bansari'     => array(),
+				'Bejen'       => array(),
+				'Bulu'        => array(),
+				'Candiroto'   => array(),
+				'Gemawang'    => array(),
+				'Jumo'        => array(),
+				'Kaloran'     => array(),
+				'Kandangan'   => array(),
+				'Kedu'        => array(),
+				'Kledung'     => array(),
+				'Kranggan'    => array(),
+				'Ngadirejo'   => array(),
+				'Parakan'     => array(),
+				'Pringsurat'  => array(),
+				'Selopampang' => array(),
+				'Temanggung'  => array(),
+				'Tembarak'    => array(),
+				'Tlogomulyo'  => array(),
+				'Tretep'      => array(),
+				'Wonoboyo'    => array(),
+			),
+			'Kabupaten Wonogiri'     => array(
+				'Baturetno'    => array(),
+				'Batuwarno'    => array(),
+				'Bulukerto'    => array(),
+				'Eromoko'      => array(),
+				'Girimarto'    => array(),
+				'Giritontro'   => array(),
+				'Giriwoyo'     => array(),
+				'Jatipurno'    => array(),
+				'Jatiroto'     => array(),
+				'Jatisrono'    => array(),
+				'Karangtengah' => array(),
+				'Kismantoro'   => array(),
+				'Manyaran'     => array(),
+				'Ngadirojo'    => array(),
+				'Nguntoronadi' => array(),
+				'Paranggupito' => array(),
+				'Pracimantoro' => array(),
+				'Puhpelem'     => array(),
+				'Purwantoro'   => array(),
+				'Selogiri'     => array(),
+				'Sidoharjo'    => array(),
+				'Slogohimo'    => array(),
+				'Tirtomoyo'    => array(),
+				'Wonogiri'     => array(),
+				'Wuryantoro'   => array(),
+			),
+			'Kabupaten Wonosobo'     => array(
+				'Garung'       => array(),
+				'Kalibawang'   => array(),
+				'Kalikajar'    => array(),
+				'Kaliwiro'     => array(),
+				'Kejajar'      => array(),
+				'Kepil'        => array(),
+				'Kertek'       => array(),
+				'Leksono'      => array(),
+				'Mojotengah'   => array(),
+				'Sapuran'      => array(),
+				'Selomerto'    => array(),
+				'Sukoharjo'    => array(),
+				'Wadaslintang' => array(),
+				'Watumalang'   => array(),
+				'Wonosobo'     => array(),
+			),
+			'Kota Magelang'          => array(
+				'Magelang Selatan' => array(),
+				'Magelang Tengah'  => array(),
+				'Magelang Utara'   => array(),
+			),
+			'Kota Pekalongan'        => array(
+				'Pekalongan Barat'   => array(),
+				'Pekalongan Selatan' => array(),
+				'Pekalongan Timur'   => array(),
+				'Pekalongan Utara'   => array(),
+			),
+			'Kota Salatiga'          => array(
+				'Argomulyo' => array(),
+				'Sidomukti' => array(),
+				'Sidorejo'  => array(),
+				'Tingkir'   => array(),
+			),
+			'Kota Semarang'          => array(
+				'Banyumanik'       => array(),
+				'Candisari'        => array(),
+				'Gajahmungkur'     => array(),
+				'Gayamsari'        => array(),
+				'Genuk'            => array(),
+				'Gunungpati'       => array(),
+				'Mijen'            => array(),
+				'Ngaliyan'         => array(),
+				'Pedurungan'       => array(),
+				'Semarang Barat'   => array(),
+				'Semarang Selatan' => array(),
+				'Semarang Tengah'  => array(),
+				'Semarang Timur'   => array(),
+				'Semarang Utara'   => array(),
+				'Tembalang'        => array(),
+				'Tugu'             => array(),
+			),
+			'Kota Surakarta'         => array(
+				'Banjarsari'   => array(),
+				'Jebres'       => array(),
+				'Laweyan'      => array(),
+				'Pasar Kliwon' => array(),
+				'Serengan'     => array(),
+			),
+			'Kota Tegal'             => array(
+				'Margadana'     => array(),
+				'Tegal Barat'   => array(),
+				'Tegal Selatan' => array(),
+				'Tegal Timur'   => array(),
+			),
+		),
+		'JI' => array(
+			'Kabupaten Bangkalan'   => array(
+				'Arosbaya'     => array(),
+				'Bangkalan'    => array(),
+				'Blega'        => array(),
+				'Burneh'       => array(),
+				'Galis'        => array(),
+				'Geger'        => array(),
+				'Kamal'        => array(),
+				'Klampis'      => array(),
+				'Kokop'        => array(),
+				'Konang'       => array(),
+				'Kwanyar'      => array(),
+				'Labang'       => array(),
+				'Modung'       => array(),
+				'Sepulu'       => array(),
+				'Socah'        => array(),
+				'Tanah Merah'  => array(),
+				'Tanjung Bumi' => array(),
+				'Tragah'       => array(),
+			),
+			'Kabupaten Banyuwangi'  => array(
+				'Bangorejo'    => array(),
+				'Banyuwangi'   => array(),
+				'Blimbingsari' => array(),
+				'Cluring'      => array(),
+				'Gambiran'     => array(),
+				'Genteng'      => array(),
+				'Giri'         => array(),
+				'Glagah'       => array(),
+				'Glenmore'     => array(),
+				'Kabat'        => array(),
+				'Kalibaru'     => array(),
+				'Kalipuro'     => array(),
+				'Licin'        => array(),
+				'Muncar'       => array(),
+				'Pesanggaran'  => array(),
+				'Purwoharjo'   => array(),
+				'Rogojampi'    => array(),
+				'Sempu'        => array(),
+				'Siliragung'   => array(),
+				'Singojuruh'   => array(),
+				'Songgon'      => array(),
+				'Srono'        => array(),
+				'Tegaldlimo'   => array(),
+				'Tegalsari'    => array(),
+				'Wongsorejo'   => array(),
+			),
+			'Kabupaten Blitar'      => array(
+				'Bakung'       => array(),
+				'Binangun'     => array(),
+				'Doko'         => array(),
+				'Gandusari'    => array(),
+				'Garum'        => array(),
+				'Kademangan'   => array(),
+				'Kanigoro'     => array(),
+				'Kesamben'     => array(),
+				'Nglegok'      => array(),
+				'Panggungrejo' => array(),
+				'Ponggok'      => array(),
+				'Sanankulon'   => array(),
+				'Selopuro'     => array(),
+				'Selorejo'     => array(),
+				'Srengat'      => array(),
+				'Sutojayan'    => array(),
+				'Talun'        => array(),
+				'Udanawu'      => array(),
+				'Wates'        => array(),
+				'Wlingi'       => array(),
+				'Wonodadi'     => array(),
+				'Wonotirto'    => array(),
+			),
+			'Kabupaten Bojonegoro'  => array(
+				'Balen'      => array(),
+				'Baureno'    => array(),
+				'Bojonegoro' => array(),
+				'Bubulan'    => array(),
+				'Dander'     => array(),
+				'Gayam'      => array(),
+				'Gondang'    => array(),
+				'Kalitidu'   => array(),
+				'Kanor'      => array(),
+				'Kapas'      => array(),
+				'Kasiman'    => array(),
+				'Kedewan'    => array(),
+				'Kedungadem' => array(),
+				'Kepohbaru'  => array(),
+				'Malo'       => array(),
+				'Margomulyo' => array(),
+				'Ngambon'    => array(),
+				'Ngasem'     => array(),
+				'Ngraho'     => array(),
+				'Padangan'   => array(),
+				'Purwosari'  => array(),
+				'Sekar'      => array(),
+				'Sugihwaras' => array(),
+				'Sukosewu'   => array(),
+				'Sumberrejo' => array(),
+				'Tambakrejo' => array(),
+				'Temayang'   => array(),
+				'Trucuk'     => array(),
+			),
+			'Kabupaten Bondowoso'   => array(
+				'Binakal'                => array(),
+				'Bondowoso'              => array(),
+				'Botolinggo'             => array(),
+				'Cermee'                 => array(),
+				'Curahdami'              => array(),
+				'Grujugan'               => array(),
+				'Jambesari Darus Sholah' => array(),
+				'Klabang'                => array(),
+				'Maesan'                 => array(),
+				'Pakem'                  => array(),
+				'Prajekan'               => array(),
+				'Pujer'                  => array(),
+				'Sempol'                 => array(),
+				'Sukosari'               => array(),
+				'Sumberwringin'          => array(),
+				'Taman Krocok'           => array(),
+				'Tamanan'                => array(),
+				'Tapen'                  => array(),
+				'Tegalampel'             => array(),
+				'Tenggarang'             => array(),
+				'Tlogosari'              => array(),
+				'Wonosari'               => array(),
+				'Wringin'                => array(),
+			),
+			'Kabupaten Gresik'      => array(
+				'Balongpanggang' => array(),
+				'Benjeng'        => array(),
+				'Bungah'         => array(),
+				'Cerme'          => array(),
+				'Driyorejo'      => array(),
+				'Duduksampeyan'  => array(),
+				'Dukun'          => array(),
+				'Gresik'         => array(),
+				'Kebomas'        => array(),
+				'Kedamean'       => array(),
+				'Manyar'         => array(),
+				'Menganti'       => array(),
+				'Panceng'        => array(),
+				'Sangkapura'     => array(),
+				'Sidayu'         => array(),
+				'Tambak'         => array(),
+				'Ujungpangkah'   => array(),
+				'Wringinanom'    => array(),
+			),
+			'Kabupaten Jember'      => array(
+				'Ajung'       => array(),
+				'Ambulu'      => array(),
+				'Arjasa'      => array(),
+				'Balung'      => array(),
+				'Bangsalsari' => array(),
+				'Gumukmas'    => array(),
+				'Jelbuk'      => array(),
+				'Jenggawah'   => array(),
+				'Jombang'     => array(),
+				'Kalisat'     => array(),
+				'Kaliwates'   => array(),
+				'Kencong'     => array(),
+				'Ledokombo'   => array(),
+				'Mayang'      => array(),
+				'Mumbulsari'  => array(),
+				'Pakusari'    => array(),
+				'Panti'       => array(),
+				'Patrang'     => array(),
+				'Puger'       => array(),
+				'Rambipuji'   => array(),
+				'Semboro'     => array(),
+				'Silo'        => array(),
+				'Sukorambi'   => array(),
+				'Sukowono'    => array(),
+				'Sumberbaru'  => array(),
+				'Sumberjambe' => array(),
+				'Sumbersari'  => array(),
+				'Tanggul'     => array(),
+				'Tempurejo'   => array(),
+				'Umbulsari'   => array(),
+				'Wuluhan'     => array(),
+			),
+			'Kabupaten Jombang'     => array(
+				'Bandarkedungmulyo' => array(),
+				'Bareng'            => array(),
+				'Diwek'             => array(),
+				'Gudo'              => array(),
+				'Jogoroto'          => array(),
+				'Jombang'           => array(),
+				'Kabuh'             => array(),
+				'Kesamben'          => array(),
+				'Kudu'              => array(),
+				'Megaluh'           => array(),
+				'Mojoagung'         => array(),
+				'Mojowarno'         => array(),
+				'Ngoro'             => array(),
+				'Ngusikan'          => array(),
+				'Perak'             => array(),
+				'Peterongan'        => array(),
+				'Plandaan'          => array(),
+				'Ploso'             => array(),
+				'Sumobito'          => array(),
+				'Tembelang'         => array(),
+				'Wonosalam'         => array(),
+			),
+			'Kabupaten Kediri'      => array(
+				'Badas'       => array(),
+				'Banyakan'    => array(),
+				'Gampengrejo' => array(),
+				'Grogol'      => array(),
+				'Gurah'       => array(),
+				'Kandangan'   => array(),
+				'Kandat'      => array(),
+				'Kayen Kidul' => array(),
+				'Kepung'      => array(),
+				'Kras'        => array(),
+				'Kunjang'     => array(),
+				'Mojo'        => array(),
+				'Ngadiluwih'  => array(),
+				'Ngancar'     => array(),
+				'Ngasem'      => array(),
+				'Pagu'        => array(),
+				'Papar'       => array(),
+				'Pare'        => array(),
+				'Plemahan'    => array(),
+				'Plosoklaten' => array(),
+				'Puncu'       => array(),
+				'Purwoasri'   => array(),
+				'Ringinrejo'  => array(),
+				'Semen'       => array(),
+				'Tarokan'     => array(),
+				'Wates'       => array(),
+			),
+			'Kabupaten Lamongan'    => array(
+				'Babat'          => array(),
+				'Bluluk'         => array(),
+				'Brondong'       => array(),
+				'Deket'          => array(),
+				'Glagah'         => array(),
+				'Kalitengah'     => array(),
+				'Karangbinangun' => array(),
+				'Karanggeneng'   => array(),
+				'Kedungpring'    => array(),
+				'Kembangbahu'    => array(),
+				'Lamongan'       => array(),
+				'Laren'          => array(),
+				'Maduran'        => array(),
+				'Mantup'         => array(),
+				'Modo'           => array(),
+				'Ngimbang'       => array(),
+				'Paciran'        => array(),
+				'Pucuk'          => array(),
+				'Sambeng'        => array(),
+				'Sarirejo'       => array(),
+				'Sekaran'        => array(),
+				'Solokuro'       => array(),
+				'Sugio'          => array(),
+				'Sukodadi'       => array(),
+				'Sukorame'       => array(),
+				'Tikung'         => array(),
+				'Turi'           => array(),
+			),
+			'Kabupaten Lumajang'    => array(
+				'Candipuro'    => array(),
+				'Gucialit'     => array(),
+				'Jatiroto'     => array(),
+				'Kedungjajang' => array(),
+				'Klakah'       => array(),
+				'Kunir'        => array(),
+				'Lumajang'     => array(),
+				'Padang'       => array(),
+				'Pasirian'     => array(),
+				'Pasrujambe'   => array(),
+				'Pronojiwo'    => array(),
+				'Randuagung'   => array(),
+				'Ranuyoso'     => array(),
+				'Rowokangkung' => array(),
+				'Senduro'      => array(),
+				'Sukodono'     => array(),
+				'Sumbersuko'   => array(),
+				'Tekung'       => array(),
+				'Tempeh'       => array(),
+				'Tempursari'   => array(),
+				'Yosowilangun' => array(),
+			),
+			'Kabupaten Madiun'      => array(
+				'Balerejo'      => array(),
+				'Dagangan'      => array(),
+				'Dolopo'        => array(),
+				'Geger'         => array(),
+				'Gemarang'      => array(),
+				'Jiwan'         => array(),
+				'Kare'          => array(),
+				'Kebonsari'     => array(),
+				'Madiun'        => array(),
+				'Mejayan'       => array(),
+				'Pilangkenceng' => array(),
+				'Saradan'       => array(),
+				'Sawahan'       => array(),
+				'Wonoasri'      => array(),
+				'Wungu'         => array(),
+			),
+			'Kabupaten Magetan'     => array(
+				'Barat'        => array(),
+				'Bendo'        => array(),
+				'Karangrejo'   => array(),
+				'Karas'        => array(),
+				'Kartoharjo'   => array(),
+				'Kawedanan'    => array(),
+				'Lembeyan'     => array(),
+				'Magetan'      => array(),
+				'Maospati'     => array(),
+				'Ngariboyo'    => array(),
+				'Nguntoronadi' => array(),
+				'Panekan'      => array(),
+				'Parang'       => array(),
+				'Plaosan'      => array(),
+				'Poncol'       => array(),
+				'Sidorejo'     => array(),
+				'Sukomoro'     => array(),
+				'Takeran'      => array(),
+			),
+			'Kabupaten Malang'      => array(
+				'Ampelgading'         => array(),
+				'Bantur'              => array(),
+				'Bululawang'          => array(),
+				'Dampit'              => array(),
+				'Dau'                 => array(),
+				'Donomulyo'           => array(),
+				'Gedangan'            => array(),
+				'Gondanglegi'         => array(),
+				'Jabung'              => array(),
+				'Kalipare'            => array(),
+				'Karangploso'         => array(),
+				'Kasembon'            => array(),
+				'Kepanjen'            => array(),
+				'Kromengan'           => array(),
+				'Lawang'              => array(),
+				'Ngajum'              => array(),
+				'Ngantang'            => array(),
+				'Pagak'               => array(),
+				'Pagelaran'           => array(),
+				'Pakis'               => array(),
+				'Pakisaji'            => array(),
+				'Poncokusumo'         => array(),
+				'Pujon'               => array(),
+				'Singosari'           => array(),
+				'Sumbermanjing Wetan' => array(),
+				'Sumberpucung'        => array(),
+				'Tajinan'             => array(),
+				'Tirtoyudo'           => array(),
+				'Tumpang'             => array(),
+				'Turen'               => array(),
+				'Wagir'               => array(),
+				'Wajak'               => array(),
+				'Wonosari'            => array(),
+			),
+			'Kabupaten Mojokerto'   => array(
+				'Bangsal'       => array(),
+				'Dawarblandong' => array(),
+				'Dlanggu'       => array(),
+				'Gedeg'         => array(),
+				'Gondang'       => array(),
+				'Jatirejo'      => array(),
+				'Jetis'         => array(),
+				'Kemlagi'       => array(),
+				'Kutorejo'      => array(),
+				'Mojoanyar'     => array(),
+				'Mojosari'      => array(),
+				'Ngoro'         => array(),
+				'Pacet'         => array(),
+				'Pungging'      => array(),
+				'Puri'          => array(),
+				'Sooko'         => array(),
+				'Trawas'        => array(),
+				'Trowulan'      => array(),
+			),
+			'Kabupaten Nganjuk'     => array(
+				'Bagor'       => array(),
+				'Baron'       => array(),
+				'Berbek'      => array(),
+				'Gondang'     => array(),
+				'Jatikalen'   => array(),
+				'Kertosono'   => array(),
+				'Lengkong'    => array(),
+				'Loceret'     => array(),
+				'Nganjuk'     => array(),
+				'Ngetos'      => array(),
+				'Ngluyu'      => array(),
+				'Ngronggot'   => array(),
+				'Pace'        => array(),
+				'Patianrowo'  => array(),
+				'Prambon'     => array(),
+				'Rejoso'      => array(),
+				'Sawahan'     => array(),
+				'Sukomoro'    => array(),
+				'Tanjunganom' => array(),
+				'Wilangan'    => array(),
+			),
+			'Kabupaten Ngawi'       => array(
+				'Bringin'     => array(),
+				'Geneng'      => array(),
+				'Gerih'       => array(),
+				'Jogorogo'    => array(),
+				'Karanganyar' => array(),
+				'Karangjati'  => array(),
+				'Kasreman'    => array(),
+				'Kedunggalar' => array(),
+				'Kendal'      => array(),
+				'Kwadungan'   => array(),
+				'Mantingan'   => array(),
+				'Ngawi'       => array(),
+				'Ngrambe'     => array(),
+				'Padas'       => array(),
+				'Pangkur'     => array(),
+				'Paron'       => array(),
+				'Pitu'        => array(),
+				'Sine'        => array(),
+				'Widodaren'   => array(),
+			),
+			'Kabupaten Pacitan'     => array(
+				'Arjosari'   => array(),
+				'Bandar'     => array(),
+				'Donorojo'   => array(),
+				'Kebonagung' => array(),
+				'Nawangan'   => array(),
+				'Ngadirojo'  => array(),
+				'Pacitan'    => array(),
+				'Pringkuku'  => array(),
+				'Punung'     => array(),
+				'Sudimoro'   => array(),
+				'Tegalombo'  => array(),
+				'Tulakan'    => array(),
+			),
+			'Kabupaten Pamekasan'   => array(
+				'Batumarmar' => array(),
+				'Galis'      => array(),
+				'Kadur'      => array(),
+				'Larangan'   => array(),
+				'Pademawu'   => array(),
+				'Pakong'     => array(),
+				'Palengaan'  => array(),
+				'Pamekasan'  => array(),
+				'Pasean'     => array(),
+				'Pegantenan' => array(),
+				'Proppo'     => array(),
+				'Tlanakan'   => array(),
+				'Waru'       => array(),
+			),
+			'Kabupaten Pasuruan'    => array(
+				'Bangil'       => array(),
+				'Beji'         => array(),
+				'Gempol'       => array(),
+				'Gondangwetan' => array(),
+				'Grati'        => array(),
+				'Kejayan'      => array(),
+				'Kraton'       => array(),
+				'Lekok'        => array(),
+				'Lumbang'      => array(),
+				'Nguling'      => array(),
+				'Pandaan'      => array(),
+				'Pasrepan'     => array(),
+				'Pohjentrek'   => array(),
+				'Prigen'       => array(),
+				'Purwodadi'    => array(),
+				'Purwosari'    => array(),
+				'Puspo'        => array(),
+				'Rejoso'       => array(),
+				'Rembang'      => array(),
+				'Sukorejo'     => array(),
+				'Tosari'       => array(),
+				'Tutur'        => array(),
+				'Winongan'     => array(),
+				'Wonorejo'     => array(),
+			),
+			'Kabupaten Ponorogo'    => array(
+				'Babadan'  => array(),
+				'Badegan'  => array(),
+				'Balong'   => array(),
+				'Bungkal'  => array(),
+				'Jambon'   => array(),
+				'Jenangan' => array(),
+				'Jetis'    => array(),
+				'Kauman'   => array(),
+				'Mlarak'   => array(),
+				'Ngebel'   => array(),
+				'Ngrayun'  => array(),
+				'Ponorogo' => array(),
+				'Pudak'    => array(),
+				'Pulung'   => array(),
+				'Sambit'   => array(),
+				'Sampung'  => array(),
+				'Sawoo'    => array(),
+				'Siman'    => array(),
+				'Slahung'  => array(),
+				'Sooko'    => array(),
+				'Sukorejo' => array(),
+			),
+			'Kabupaten Probolinggo' => array(
+				'Bantaran'     => array(),
+				'Banyuanyar'   => array(),
+				'Besuk'        => array(),
+				'Dringu'       => array(),
+				'Gading'       => array(),
+				'Gending'      => array(),
+				'Kotaanyar'    => array(),
+				'Kraksaan'     => array(),
+				'Krejengan'    => array(),
+				'Krucil'       => array(),
+				'Kuripan'      => array(),
+				'Leces'        => array(),
+				'Lumbang'      => array(),
+				'Maron'        => array(),
+				'Paiton'       => array(),
+				'Pajarakan'    => array(),
+				'Pakuniran'    => array(),
+				'Sukapura'     => array(),
+				'Sumber'       => array(),
+				'Sumberasih'   => array(),
+				'Tegalsiwalan' => array(),
+				'Tiris'        => array(),
+				'Tongas'       => array(),
+				'Wonomerto'    => array(),
+			),
+			'Kabupaten Sampang'     => array(
+				'Banyuates'    => array(),
+				'Camplong'     => array(),
+				'Jrengik'      => array(),
+				'Karangpenang' => array(),
+				'Kedungdung'   => array(),
+				'Ketapang'     => array(),
+				'Omben'        => array(),
+				'Pangarengan'  => array(),
+				'Robatal'      => array(),
+				'Sampang'      => array(),
+				'Sokobanah'    => array(),
+				'Sreseh'       => array(),
+				'Tambelangan'  => array(),
+				'Torjun'       => array(),
+			),
+			'Kabupaten Sidoarjo'    => array(
+				'Balongbendo'  => array(),
+				'Buduran'      => array(),
+				'Candi'        => array(),
+				'Gedangan'     => array(),
+				'Jabon'        => array(),
+				'Krembung'     => array(),
+				'Krian'        => array(),
+				'Porong'       => array(),
+				'Prambon'      => array(),
+				'Sedati'       => array(),
+				'Sidoarjo'     => array(),
+				'Sukodono'     => array(),
+				'Taman'        => array(),
+				'Tanggulangin' => array(),
+				'Tarik'        => array(),
+				'Tulangan'     => array(),
+				'Waru'         => array(),
+				'Wonoayu'      => array(),
+			),
+			'Kabupaten Situbondo'   => array(
+				'Arjasa'       => array(),
+				'Asembagus'    => array(),
+				'Banyuglugur'  => array(),
+				'Banyuputih'   => array(),
+				'Besuki'       => array(),
+				'Bungatan'     => array(),
+				'Jangkar'      => array(),
+				'Jatibanteng'  => array(),
+				'Kapongan'     => array(),
+				'Kendit'       => array(),
+				'Mangaran'     => array(),
+				'Mlandingan'   => array(),
+				'Panarukan'    => array(),
+				'Panji'        => array(),
+				'Situbondo'    => array(),
+				'Suboh'        => array(),
+				'Sumbermalang' => array(),
+			),
+			'Kabupaten Sumenep'     => array(
+				'Ambunten'      => array(),
+				'Arjasa'        => array(),
+				'Batang Batang' => array(),
+				'Batuan'        => array(),
+				'Batuputih'     => array(),
+				'Bluto'         => array(),
+				'Dasuk'         => array(),
+				'Dungkek'       => array(),
+				'Ganding'       => array(),
+				'Gapura'        => array(),
+				'Gayam'         => array(),
+				'Giliginting'   => array(),
+				'Guluk-Guluk'   => array(),
+				'Kalianget'     => array(),
+				'Kangayan'      => array(),
+				'Kota Sumenep'  => array(),
+				'Lenteng'       => array(),
+				'Manding'       => array(),
+				'Masalembu'     => array(),
+				'Nonggunong'    => array(),
+				'Pasongsongan'  => array(),
+				'Pragaan'       => array(),
+				'Ra"as'         => array(),
+				'Rubaru'        => array(),
+				'Sapeken'       => array(),
+				'Saronggi'      => array(),
+				'Talango'       => array(),
+			),
+			'Kabupaten Trenggalek'  => array(
+				'Bendungan'  => array(),
+				'Dongko'     => array(),
+				'Durenan'    => array(),
+				'Gandusari'  => array(),
+				'Kampak'     => array(),
+				'Karangan'   => array(),
+				'Munjungan'  => array(),
+				'Panggul'    => array(),
+				'Pogalan'    => array(),
+				'Pule'       => array(),
+				'Suruh'      => array(),
+				'Trenggalek' => array(),
+				'Tugu'       => array(),
+				'Watulimo'   => array(),
+			),
+			'Kabupaten Tuban'       => array(
+				'Bancar'     => array(),
+				'Bangilan'   => array(),
+				'Grabagan'   => array(),
+				'Jatirogo'   => array(),
+				'Jenu'       => array(),
+				'Kenduruan'  => array(),
+				'Kerek'      => array(),
+				'Merakurak'  => array(),
+				'Montong'    => array(),
+				'Palang'     => array(),
+				'Parengan'   => array(),
+				'Plumpang'   => array(),
+				'Rengel'     => array(),
+				'Semanding'  => array(),
+				'Senori'     => array(),
+				'Singgahan'  => array(),
+				'Soko'       => array(),
+				'Tambakboyo' => array(),
+				'Tuban'      => array(),
+				'Widang'     => array(),
+			),
+			'Kabupaten Tulungagung' => array(
+				'Bandung'        => array(),
+				'Besuki'         => array(),
+				'Boyolangu'      => array(),
+				'Campurdarat'    => array(),
+				'Gondang'        => array(),
+				'Kalidawir'      => array(),
+				'Karangrejo'     => array(),
+				'Kauman'         => array(),
+				'Kedungwaru'     => array(),
+				'Ngantru'        => array(),
+				'Ngunut'         => array(),
+				'Pagerwojo'      => array(),
+				'Pakel'          => array(),
+				'Pucanglaban'    => array(),
+				'Rejotangan'     => array(),
+				'Sendang'        => array(),
+				'Sumbergempol'   => array(),
+				'Tanggunggunung' => array(),
+				'Tulungagung'    => array(),
+			),
+			'Kota Batu'             => array(
+				'Batu'    => array(),
+				'Bumiaji' => array(),
+				'Junrejo' => array(),
+			),
+			'Kota Blitar'           => array(
+				'Kepanjenkidul' => array(),
+				'Sananwetan'    => array(),
+				'Sukorejo'      => array(),
+			),
+			'Kota Kediri'           => array(
+				'Kota'      => array(),
+				'Mojoroto'  => array(),
+				'Pesantren' => array(),
+			),
+			'Kota Madiun'           => array(
+				'Kartoharjo' => array(),
+				'Manguharjo' => array(),
+				'Taman'      => array(),
+			),
+			'Kota Malang'           => array(
+				'Blimbing'      => array(),
+				'Kedungkandang' => array(),
+				'Klojen'        => array(),
+				'Lowokwaru'     => array(),
+				'Sukun'         => array(),
+			),
+			'Kota Mojokerto'        => array(
+				'Kranggan'      => array(),
+				'Magersari'     => array(),
+				'Prajuritkulon' => array(),
+			),
+			'Kota Pasuruan'         => array(
+				'Bugul Kidul'  => array(),
+				'Gadingrejo'   => array(),
+				'Panggungrejo' => array(),
+				'Purworejo'    => array(),
+			),
+			'Kota Probolinggo'      => array(
+				'Kademangan' => array(),
+				'Kanigaran'  => array(),
+				'Kedopok'    => array(),
+				'Mayangan'   => array(),
+				'Wonoasih'   => array(),
+			),
+			'Kota Surabaya'         => array(
+				'Asem Rowo'        => array(),
+				'Benowo'           => array(),
+				'Bubutan'          => array(),
+				'Bulak'            => array(),
+				'Dukuh Pakis'      => array(),
+				'Gayungan'         => array(),
+				'Genteng'          => array(),
+				'Gubeng'           => array(),
+				'Gunung Anyar'     => array(),
+				'Jambangan'        => array(),
+				'Karang Pilang'    => array(),
+				'Kenjeran'         => array(),
+				'Krembangan'       => array(),
+				'Lakarsantri'      => array(),
+				'Mulyorejo'        => array(),
+				'Pabean Cantian'   => array(),
+				'Pakal'            => array(),
+				'Rungkut'          => array(),
+				'Sambikerep'       => array(),
+				'Sawahan'          => array(),
+				'Semampir'         => array(),
+				'Simokerto'        => array(),
+				'Sukolilo'         => array(),
+				'Sukomanunggal'    => array(),
+				'Tambaksari'       => array(),
+				'Tandes'           => array(),
+				'Tegalsari'        => array(),
+				'Tenggilis Mejoyo' => array(),
+				'Wiyung'           => array(),
+				'Wonocolo'         => array(),
+				'Wonokromo'        => array(),
+			),
+		),
+		'YO' => array(
+			'Kabupaten Bantul'      => array(
+				'Bambanglipuro' => array(),
+				'Banguntapan'   => array(),
+				'Bantul'        => array(),
+				'Dlingo'        => array(),
+				'Imogiri'       => array(),
+				'Jetis'         => array(),
+				'Kasihan'       => array(),
+				'Kretek'        => array(),
+				'Pajangan'      => array(),
+				'Pandak'        => array(),
+				'Piyungan'      => array(),
+				'Pleret'        => array(),
+				'Pundong'       => array(),
+				'Sanden'        => array(),
+				'Sedayu'        => array(),
+				'Sewon'         => array(),
+				'Srandakan'     => array(),
+			),
+			'Kabupaten Gunungkidul' => array(
+				'Gedangsari'  => array(),
+				'Girisubo'    => array(),
+				'Karangmojo'  => array(),
+				'Ngawen'      => array(),
+				'Nglipar'     => array(),
+				'Paliyan'     => array(),
+				'Panggang'    => array(),
+				'Patuk'       => array(),
+				'Playen'      => array(),
+				'Ponjong'     => array(),
+				'Purwosari'   => array(),
+				'Rongkop'     => array(),
+				'Saptosari'   => array(),
+				'Semanu'      => array(),
+				'Semin'       => array(),
+				'Tanjungsari' => array(),
+				'Tepus'       => array(),
+				'Wonosari'    => array(),
+			),
+			'Kabupaten Kulon Progo' => array(
+				'Galur'      => array(),
+				'Girimulyo'  => array(),
+				'Kalibawang' => array(),
+				'Kokap'      => array(),
+				'Lendah'     => array(),
+				'Nanggulan'  => array(),
+				'Panjatan'   => array(),
+				'Pengasih'   => array(),
+				'Samigaluh'  => array(),
+				'Sentolo'    => array(),
+				'Temon'      => array(),
+				'Wates'      => array(),
+			),
+			'Kabupaten Sleman'      => array(
+				'Berbah'      => array(),
+				'Cangkringan' => array(),
+				'Depok'       => array(),
+				'Gamping'     => array(),
+				'Godean'      => array(),
+				'Kalasan'     => array(),
+				'Minggir'     => array(),
+				'Mlati'       => array(),
+				'Moyudan'     => array(),
+				'Ngaglik'     => array(),
+				'Ngemplak'    => array(),
+				'Pakem'       => array(),
+				'Prambanan'   => array(),
+				'Seyegan'     => array(),
+				'Sleman'      => array(),
+				'Tempel'      => array(),
+				'Turi'        => array(),
+			),
+			'Kota Yogyakarta'       => array(
+				'Danurejan'    => array(),
+				'Gedongtengen' => array(),
+				'Gondokusuman' => array(),
+				'Gondomanan'   => array(),
+				'Jetis'        => array(),
+				'Kotagede'     => array(),
+				'Kraton'       => array(),
+				'Mantrijeron'  => array(),
+				'Mergangsan'   => array(),
+				'Ngampilan'    => array(),
+				'Pakualaman'   => array(),
+				'Tegalrejo'    => array(),
+				'Umbulharjo'   => array(),
+				'Wirobrajan'   => array(),
+			),
+		),
+		'BA' => array(
+			'Kabupaten Badung'     => array(
+				'Abiansemal'   => array(),
+				'Kuta'         => array(),
+				'Kuta Selatan' => array(),
+				'Kuta Utara'   => array(),
+				'Mengwi'       => array(),
+				'Petang'       => array(),
+			),
+			'Kabupaten Bangli'     => array(
+				'Bangli'    => array(),
+				'Kintamani' => array(),
+				'Susut'     => array(),
+				'Tembuku'   => array(),
+			),
+			'Kabupaten Buleleng'   => array(
+				'Banjar'       => array(),
+				'Buleleng'     => array(),
+				'Busungbiu'    => array(),
+				'Gerokgak'     => array(),
+				'Kubutambahan' => array(),
+				'Sawan'        => array(),
+				'Seririt'      => array(),
+				'Sukasada'     => array(),
+				'Tejakula'     => array(),
+			),
+			'Kabupaten Gianyar'    => array(
+				'Blahbatuh'    => array(),
+				'Gianyar'      => array(),
+				'Payangan'     => array(),
+				'Sukawati'     => array(),
+				'Tampaksiring' => array(),
+				'Tegallalang'  => array(),
+				'Ubud'         => array(),
+			),
+			'Kabupaten Jembrana'   => array(
+				'Jembrana'  => array(),
+				'Melaya'    => array(),
+				'Mendoyo'   => array(),
+				'Negara'    => array(),
+				'Pekutatan' => array(),
+			),
+			'Kabupaten Karangasem' => array(
+				'Abang'      => array(),
+				'Bebandem'   => array(),
+				'Karangasem' => array(),
+				'Kubu'       => array(),
+				'Manggis'    => array(),
+				'Rendang'    => array(),
+				'Selat'      => array(),
+				'Sidemen'    => array(),
+			),
+			'Kabupaten Klungkung'  => array(
+				'Banjarangkan' => array(),
+				'Dawan'        => array(),
+				'Klungkung'    => array(),
+				'Nusa Penida'  => array(),
+			),
+			'Kabupaten Tabanan'    => array(
+				'Baturiti'        => array(),
+				'Kediri'          => array(),
+				'Kerambitan'      => array(),
+				'Marga'           => array(),
+				'Penebel'         => array(),
+				'Pupuan'          => array(),
+				'Selemadeg'       => array(),
+				'Selemadeg Barat' => array(),
+				'Selemadeg Timur' => array(),
+				'Tabanan'         => array(),
+			),
+			'Kota Denpasar'        => array(
+				'Denpasar Barat'   => array(),
+				'Denpasar Selatan' => array(),
+				'Denpasar Timur'   => array(),
+				'Denpasar Utara'   => array(),
+			),
+		),
+		'NB' => array(
+			'Kabupaten Bima'          => array(
+				'Ambalawi'   => array(),
+				'Belo'       => array(),
+				'Bolo'       => array(),
+				'Donggo'     => array(),
+				'Lambitu'    => array(),
+				'Lambu'      => array(),
+				'Langgudu'   => array(),
+				'Madapangga' => array(),
+				'Monta'      => array(),
+				'Palibelo'   => array(),
+				'Parado'     => array(),
+				'Sanggar'    => array(),
+				'Sape'       => array(),
+				'Soromandi'  => array(),
+				'Tambora'    => array(),
+				'Wawo'       => array(),
+				'Wera'       => array(),
+				'Woha'       => array(),
+			),
+			'Kabupaten Dompu'         => array(
+				'Dompu'      => array(),
+				'Hu\'u'      => array(),
+				'Kempo'      => array(),
+				'Kilo'       => array(),
+				'Manggalewa' => array(),
+				'Pajo'       => array(),
+				'Pekat'      => array(),
+				'Woja'       => array(),
+			),
+			'Kabupaten Lombok Barat'  => array(
+				'Batu Layar' => array(),
+				'Gerung'     => array(),
+				'Gunungsari' => array(),
+				'Kediri'     => array(),
+				'Kuripan'    => array(),
+				'Labuapi'    => array(),
+				'Lembar'     => array(),
+				'Lingsar'    => array(),
+				'Narmada'    => array(),
+				'Sekotong'   => array(),
+			),
+			'Kabupaten Lombok Tengah' => array(
+				'Batukliang'       => array(),
+				'Batukliang Utara' => array(),
+				'Janapria'         => array(),
+				'Jonggat'          => array(),
+				'Kopang'           => array(),
+				'Praya'            => array(),
+				'Praya Barat'      => array(),
+				'Praya Barat Daya' => array(),
+				'Praya Tengah'     => array(),
+				'Praya Timur'      => array(),
+				'Pringgarata'      => array(),
+				'Pujut'            => array(),
+			),
+			'Kabupaten Lombok Timur'  => array(
+				'Aikmel'         => array(),
+				'Jerowaru'       => array(),
+				'Keruak'         => array(),
+				'Labuhan Haji'   => array(),
+				'Lenek'          => array(),
+				'Masbagik'       => array(),
+				'Montong Gading' => array(),
+				'Pringgabaya'    => array(),
+				'Pringgasela'    => array(),
+				'Sakra'          => array(),
+				'Sakra Barat'    => array(),
+				'Sakra Timur'    => array(),
+				'Sambelia'       => array(),
+				'Selong'         => array(),
+				'Sembalun'       => array(),
+				'Sikur'          => array(),
+				'Sukamulia'      => array(),
+				'Suralaga'       => array(),
+				'Suwela'         => array(),
+				'Terara'         => array(),
+				'Wanasaba'       => array(),
+			),
+			'Kabupaten Lombok Utara'  => array(
+				'Bayan'    => array(),
+				'Gangga'   => array(),
+				'Kayangan' => array(),
+				'Pemenang' => array(),
+				'Tanjung'  => array(),
+			),
+			'Kabupaten Sumbawa'       => array(
+				'Alas'          => array(),
+				'Alas Barat'    => array(),
+				'Batu Lanteh'   => array(),
+				'Buer'          => array(),
+				'Empang'        => array(),
+				'Labangka'      => array(),
+				'Labuhan Badas' => array(),
+				'Lantung'       => array(),
+				'Lape'          => array(),
+				'Lenangguar'    => array(),
+				'Lopok'         => array(),
+				'Lunyuk'        => array(),
+				'Maronge'       => array(),
+				'Moyo Hilir'    => array(),
+				'Moyo Hulu'     => array(),
+				'Moyo Utara'    => array(),
+				'Orong Telu'    => array(),
+				'Plampang'      => array(),
+				'Rhee'          => array(),
+				'Ropang'        => array(),
+				'Sumbawa'       => array(),
+				'Tarano'        => array(),
+				'Unter Iwes'    => array(),
+				'Utan'          => array(),
+			),
+			'Kabupaten Sumbawa Barat' => array(
+				'Brang Ene'  => array(),
+				'Brang Rea'  => array(),
+				'Jereweh'    => array(),
+				'Maluk'      => array(),
+				'Poto Tano'  => array(),
+				'Sekongkang' => array(),
+				'Seteluk'    => array(),
+				'Taliwang'   => array(),
+			),
+			'Kota Bima'               => array(
+				'Asakota'       => array(),
+				'Mpunda'        => array(),
+				'Raba'          => array(),
+				'Rasanae Barat' => array(),
+				'Rasanae Timur' => array(),
+			),
+			'Kota Mataram'            => array(
+				'Ampenan'     => array(),
+				'Cakranegara' => array(),
+				'Mataram'     => array(),
+				'Sandubaya'   => array(),
+				'Sekarbela'   => array(),
+				'Selaparang'  => array(),
+			),
+		),
+		'NT' => array(
+			'Kabupaten Alor'                 => array(
+				'Abad Selatan'      => array(),
+				'Alor Barat Daya'   => array(),
+				'Alor Barat Laut'   => array(),
+				'Alor Selatan'      => array(),
+				'Alor Tengah Utara' => array(),
+				'Alor Timur'        => array(),
+				'Alor Timur Laut'   => array(),
+				'Kabola'            => array(),
+				'Lembur'            => array(),
+				'Mataru'            => array(),
+				'Pantar'            => array(),
+				'Pantar Barat'      => array(),
+				'Pantar Barat Laut' => array(),
+				'Pantar Tengah'     => array(),
+				'Pantar Timur'      => array(),
+				'Pulau Pura'        => array(),
+				'Pureman'           => array(),
+				'Teluk Mutiara'     => array(),
+			),
+			'Kabupaten Belu'                 => array(
+				'Atambua Barat'    => array(),
+				'Atambua Selatan'  => array(),
+				'Kakuluk Mesak'    => array(),
+				'Kota Atambua'     => array(),
+				'Lamaknen'         => array(),
+				'Lamaknen Selatan' => array(),
+				'Lasiolat'         => array(),
+				'Nanaet Duabesi'   => array(),
+				'Raihat'           => array(),
+				'Raimanuk'         => array(),
+				'Tasifeto Barat'   => array(),
+				'Tasifeto Timur'   => array(),
+			),
+			'Kabupaten Ende'                 => array(
+				'Detukeli'           => array(),
+				'Detusoko'           => array(),
+				'Ende'               => array(),
+				'Ende Selatan'       => array(),
+				'Ende Tengah'        => array(),
+				'Ende Timur'         => array(),
+				'Ende Utara'         => array(),
+				'Kelimutu'           => array(),
+				'Kota Baru'          => array(),
+				'Lepembusu Kelisoke' => array(),
+				'Lio Timur'          => array(),
+				'Maukaro'            => array(),
+				'Maurole'            => array(),
+				'Nangapanda'         => array(),
+				'Ndona'              => array(),
+				'Ndona Timur'        => array(),
+				'Ndori'              => array(),
+				'Pulau Ende'         => array(),
+				'Wewaria'            => array(),
+				'Wolojita'           => array(),
+				'Wolowaru'           => array(),
+			),
+			'Kabupaten Flores Timur'         => array(
+				'Adonara'        => array(),
+				'Adonara Barat'  => array(),
+				'Adonara Tengah' => array(),
+				'Adonara Timur'  => array(),
+				'Demon Pagong'   => array(),
+				'Ile Boleng'     => array(),
+				'Ile Bura'       => array(),
+				'Ile Mandiri'    => array(),
+				'Kelubagolit'    => array(),
+				'Larantuka'      => array(),
+				'Lewolema'       => array(),
+				'Solor Barat'    => array(),
+				'Solor Selatan'  => array(),
+				'Solor Timur'    => array(),
+				'Tanjung Bunga'  => array(),
+				'Titehena'       => array(),
+				'Witihama'       => array(),
+				'Wotan Ulumando' => array(),
+				'Wulanggitang'   => array(),
+			),
+			'Kabupaten Kupang'               => array(
+				'Amabi Oefeto'       => array(),
+				'Amabi Oefeto Timur' => array(),
+				'Amarasi'            => array(),
+				'Amarasi Barat'      => array(),
+				'Amarasi Selatan'    => array(),
+				'Amarasi Timur'      => array(),
+				'Amfoang Barat Daya' => array(),
+				'Amfoang Barat Laut' => array(),
+				'Amfoang Selatan'    => array(),
+				'Amfoang Tengah'     => array(),
+				'Amfoang Timur'      => array(),
+				'Amfoang Utara'      => array(),
+				'Fatuleu'            => array(),
+				'Fatuleu Barat'      => array(),
+				'Fatuleu Tengah'     => array(),
+				'Kupang Barat'       => array(),
+				'Kupang Tengah'      => array(),
+				'Kupang Timur'       => array(),
+				'Nekamese'           => array(),
+				'Semau'              => array(),
+				'Semau Selatan'      => array(),
+				'Sulamu'             => array(),
+				'Taebenu'            => array(),
+				'Takari'             => array(),
+			),
+			'Kabupaten Lembata'              => array(
+				'Atadei'        => array(),
+				'Buyasuri'      => array(),
+				'Ile Ape'       => array(),
+				'Ile Ape Timur' => array(),
+				'Lebatukan'     => array(),
+				'Naga Wutung'   => array(),
+				'Nubatukan'     => array(),
+				'Omesuri'       => array(),
+				'Wulandoni'     => array(),
+			),
+			'Kabupaten Malaka'               => array(
+				'Botin Leobele'  => array(),
+				'Io Kufeu'       => array(),
+				'Kobalima'       => array(),
+				'Kobalima Timur' => array(),
+				'Laenmanen'      => array(),
+				'Malaka Barat'   => array(),
+				'Malaka Tengah'  => array(),
+				'Malaka Timur'   => array(),
+				'Rinhat'         => array(),
+				'Sasitamean'     => array(),
+				'Weliman'        => array(),
+				'Wewiku'         => array(),
+			),
+			'Kabupaten Manggarai'            => array(
+				'Cibal'            => array(),
+				'Cibal barat'      => array(),
+				'Langke Rembong'   => array(),
+				'Lelak'            => array(),
+				'Rahong Utara'     => array(),
+				'Reok'             => array(),
+				'Reok Barat'       => array(),
+				'Ruteng'           => array(),
+				'Satar Mese'       => array(),
+				'Satar Mese Barat' => array(),
+				'Satar Mese Utara' => array(),
+				'Wae Rii'          => array(),
+			),
+			'Kabupaten Manggarai Barat'      => array(
+				'Boleng'         => array(),
+				'Komodo'         => array(),
+				'Kuwus'          => array(),
+				'Kuwus Barat'    => array(),
+				'Lembor'         => array(),
+				'Lembor Selatan' => array(),
+				'Macang Pacar'   => array(),
+				'Mbeliling'      => array(),
+				'Ndoso'          => array(),
+				'Pacar'          => array(),
+				'Sano Nggoang'   => array(),
+				'Welak'          => array(),
+			),
+			'Kabupaten Manggarai Timur'      => array(
+				'Borong'             => array(),
+				'Congkar'            => array(),
+				'Elar'               => array(),
+				'Elar Selatan'       => array(),
+				'Kota Komba'         => array(),
+				'Kota Komba Utara'   => array(),
+				'Lamba Leda'         => array(),
+				'Lamba Leda Selatan' => array(),
+				'Lamba Leda Timur'   => array(),
+				'Lamba Leda Utara'   => array(),
+				'Rana Mese'          => array(),
+				'Sambi Rampas'       => array(),
+			),
+			'Kabupaten Nagekeo'              => array(
+				'Aesesa'         => array(),
+				'Aesesa Selatan' => array(),
+				'Boawae'         => array(),
+				'Keo Tengah'     => array(),
+				'Mauponggo'      => array(),
+				'Nangaroro'      => array(),
+				'Wolowae'        => array(),
+			),
+			'Kabupaten Ngada'                => array(
+				'Aimere'         => array(),
+				'Bajawa'         => array(),
+				'Bajawa Utara'   => array(),
+				'Golewa'         => array(),
+				'Golewa Barat'   => array(),
+				'Golewa Selatan' => array(),
+				'Inerie'         => array(),
+				'Jerebuu'        => array(),
+				'Riung'          => array(),
+				'Riung Barat'    => array(),
+				'Soa'            => array(),
+				'Wolomeze'       => array(),
+			),
+			'Kabupaten Rote Ndao'            => array(
+				'Landu Leko'      => array(),
+				'Loaholu'         => array(),
+				'Lobalain'        => array(),
+				'Ndao Nuse'       => array(),
+				'Pantai Baru'     => array(),
+				'Rote Barat'      => array(),
+				'Rote Barat Daya' => array(),
+				'Rote Barat Laut' => array(),
+				'Rote Selatan'    => array(),
+				'Rote Tengah'     => array(),
+				'Rote Timur'      => array(),
+			),
+			'Kabupaten Sabu Raijua'          => array(
+				'Hawu Mehara' => array(),
+				'Raijua'      => array(),
+				'Sabu Barat'  => array(),
+				'Sabu Liae'   => array(),
+				'Sabu Tengah' => array(),
+				'Sabu Timur'  => array(),
+			),
+			'Kabupaten Sikka'                => array(
+				'Alok'       => array(),
+				'Alok Barat' => array(),
+				'Alok Timur' => array(),
+				'Bola'       => array(),
+				'Doreng'     => array(),
+				'Hewokloang' => array(),
+				'Kangae'     => array(),
+				'Kewapante'  => array(),
+				'Koting'     => array(),
+				'Lela'       => array(),
+				'Magepanda'  => array(),
+				'Mapitara'   => array(),
+				'Mego'       => array(),
+				'Nelle'      => array(),
+				'Nita'       => array(),
+				'Paga'       => array(),
+				'Palue'      => array(),
+				'Talibura'   => array(),
+				'Tana Wawo'  => array(),
+				'Waiblama'   => array(),
+				'Waigete'    => array(),
+			),
+			'Kabupaten Sumba Barat'          => array(
+				'Kota Waikabubak' => array(),
+				'Laboya Barat'    => array(),
+				'Lamboya'         => array(),
+				'Loli'            => array(),
+				'Tana Righu'      => array(),
+				'Wanokaka'        => array(),
+			),
+			'Kabupaten Sumba Barat Daya'     => array(
+				'Kodi'           => array(),
+				'Kodi Balaghar'  => array(),
+				'Kodi Bangedo'   => array(),
+				'Kodi Utara'     => array(),
+				'Kota Tambolaka' => array(),
+				'Loura'          => array(),
+				'Wewewa Barat'   => array(),
+				'Wewewa Selatan' => array(),
+				'Wewewa Tengah'  => array(),
+				'Wewewa Timur'   => array(),
+				'Wewewa Utara'   => array(),
+			),
+			'Kabupaten Sumba Tengah'         => array(
+				'Katiku Tana'            => array(),
+				'Katiku Tana Selatan'    => array(),
+				'Mamboro'                => array(),
+				'Umbu Ratu Nggay'        => array(),
+				'Umbu Ratu Nggay Barat'  => array(),
+				'Umbu Ratu Nggay Tengah' => array(),
+			),
+			'Kabupaten Sumba Timur'          => array(
+				'Haharu'              => array(),
+				'Kahaungu Eti'        => array(),
+				'Kambata Mapambuhang' => array(),
+				'Kambera'             => array(),
+				'Kanatang'            => array(),
+				'Karera'              => array(),
+				'Katala Hamu Lingu'   => array(),
+				'Kota Waingapu'       => array(),
+				'Lewa'                => array(),
+				'Lewa Tidahu'         => array(),
+				'Mahu'                => array(),
+				'Matawai La Pawu'     => array(),
+				'Ngadu Ngala'         => array(),
+				'Nggaha Ori Angu'     => array(),
+				'Paberiwai'           => array(),
+				'Pahunga Lodu'        => array(),
+				'Pandawai'            => array(),
+				'Pinu Pahar'          => array(),
+				'Rindi'               => array(),
+				'Tabundung'           => array(),
+				'Umalulu'             => array(),
+				'Wulla Waijelu'       => array(),
+			),
+			'Kabupaten Timor Tengah Selatan' => array(
+				'Amanatun Selatan' => array(),
+				'Amanatun Utara'   => array(),
+				'Amanuban Barat'   => array(),
+				'Amanuban Selatan' => array(),
+				'Amanuban Tengah'  => array(),
+				'Amanuban Timur'   => array(),
+				'Batu Putih'       => array(),
+				'Boking'           => array(),
+				'Fatukopa'         => array(),
+				'Fatumnasi'        => array(),
+				'Fautmolo'         => array(),
+				'KI\'E'            => array(),
+				'Kok Baun'         => array(),
+				'Kolbano'          => array(),
+				'Kot olin'         => array(),
+				'Kota Soe'         => array(),
+				'Kualin'           => array(),
+				'Kuanfatu'         => array(),
+				'Kuatnana'         => array(),
+				'Mollo Barat'      => array(),
+				'Mollo Selatan'    => array(),
+				'Mollo Tengah'     => array(),
+				'Mollo Utara'      => array(),
+				'Noebana'          => array(),
+				'Noebeba'          => array(),
+				'Nunbena'          => array(),
+				'Nunkolo'          => array(),
+				'Oenino'           => array(),
+				'Polen'            => array(),
+				'Santian'          => array(),
+				'Tobu'             => array(),
+				'Toianas'          => array(),
+			),
+			'Kabupaten Timor Tengah Utara'   => array(
+				'Biboki Anleu'    => array(),
+				'Biboki Feotleu'  => array(),
+				'Biboki Moenleu'  => array(),
+				'Biboki Selatan'  => array(),
+				'Biboki Tan Pah'  => array(),
+				'Biboki Utara'    => array(),
+				'Bikomi Nilulat'  => array(),
+				'Bikomi Selatan'  => array(),
+				'Bikomi Tengah'   => array(),
+				'Bikomi Utara'    => array(),
+				'Insana'          => array(),
+				'Insana Barat'    => array(),
+				'Insana Fafinesu' => array(),
+				'Insana Tengah'   => array(),
+				'Insana Utara'    => array(),
+				'Kota Kefamenanu' => array(),
+				'Miomaffo Barat'  => array(),
+				'Miomaffo Tengah' => array(),
+				'Miomaffo Timur'  => array(),
+				'Musi'            => array(),
+				'Mutis'           => array(),
+				'Naibenu'         => array(),
+				'Noemuti'         => array(),
+				'Noemuti Timur'   => array(),
+			),
+			'Kota Kupang'                    => array(
+				'Alak'        => array(),
+				'Kelapa Lima' => array(),
+				'Kota Lama'   => array(),
+				'Kota Raja'   => array(),
+				'Maulafa'     => array(),
+				'Oebobo'      => array(),
+			),
+		),
+		'KB' => array(
+			'Kabupaten Bengkayang'   => array(
+				'Bengkayang'            => array(),
+				'Capkala'               => array(),
+				'Jagoi Babang'          => array(),
+				'Ledo'                  => array(),
+				'Lembah Bawang'         => array(),
+				'Lumar'                 => array(),
+				'Monterado'             => array(),
+				'Samalantan'            => array(),
+				'Sanggau Ledo'          => array(),
+				'Seluas'                => array(),
+				'Siding'                => array(),
+				'Sungai Betung'         => array(),
+				'Sungai Raya'           => array(),
+				'Sungai Raya Kepulauan' => array(),
+				'Suti Semarang'         => array(),
+				'Teriak'                => array(),
+				'Tujuh Belas'           => array(),
+			),
+			'Kabupaten Kapuas Hulu'  => array(
+				'Badau'              => array(),
+				'Batang Lupar'       => array(),
+				'Bika'               => array(),
+				'Boyan Tanjung'      => array(),
+				'Bunut Hilir'        => array(),
+				'Bunut Hulu'         => array(),
+				'Embaloh Hilir'      => array(),
+				'Embaloh Hulu'       => array(),
+				'Empanang'           => array(),
+				'Hulu Gurung'        => array(),
+				'Jongkong'           => array(),
+				'Kalis'              => array(),
+				'Mentebah'           => array(),
+				'Pengkadan'          => array(),
+				'Puring Kencana'     => array(),
+				'Putussibau Selatan' => array(),
+				'Putussibau Utara'   => array(),
+				'Seberuang'          => array(),
+				'Selimbau'           => array(),
+				'Semitau'            => array(),
+				'Silat Hilir'        => array(),
+				'Silat Hulu'         => array(),
+				'Suhaid'             => array(),
+			),
+			'Kabupaten Kayong Utara' => array(
+				'Kepulauan Karimata' => array(),
+				'Pulau Maya'         => array(),
+				'Seponti'            => array(),
+				'Simpang Hilir'      => array(),
+				'Sukadana'           => array(),
+				'Teluk Batang'       => array(),
+			),
+			'Kabupaten Ketapang'     => array(
+				'Air Upas'            => array(),
+				'Benua Kayong'        => array(),
+				'Delta Pawan'         => array(),
+				'Hulu Sungai'         => array(),
+				'Jelai Hulu'          => array(),
+				'Kendawangan'         => array(),
+				'Manis Mata'          => array(),
+				'Marau'               => array(),
+				'Matan Hilir Selatan' => array(),
+				'Matan Hilir Utara'   => array(),
+				'Muara Pawan'         => array(),
+				'Nanga Tayap'         => array(),
+				'Pemahan'             => array(),
+				'Sandai'              => array(),
+				'Simpang Dua'         => array(),
+				'Simpang Hulu'        => array(),
+				'Singkup'             => array(),
+				'Sungai Laur'         => array(),
+				'Sungai Melayu Rayak' => array(),
+				'Tumbang Titi'        => array(),
+			),
+			'Kabupaten Kubu Raya'    => array(
+				'Batu Ampar'      => array(),
+				'Kuala Mandor B'  => array(),
+				'Kubu'            => array(),
+				'Rasau Jaya'      => array(),
+				'Sungai Ambawang' => array(),
+				'Sungai Kakap'    => array(),
+				'Sungai Raya'     => array(),
+				'Teluk Pakedai'   => array(),
+				'Terentang'       => array(),
+			),
+			'Kabupaten Landak'       => array(
+				'Air Besar'     => array(),
+				'Banyuke Hulu'  => array(),
+				'Jelimpo'       => array(),
+				'Kuala Behe'    => array(),
+				'Mandor'        => array(),
+				'Mempawah Hulu' => array(),
+				'Menjalin'      => array(),
+				'Menyuke'       => array(),
+				'Meranti'       => array(),
+				'Ngabang'       => array(),
+				'Sebangki'      => array(),
+				'Sengah Temila' => array(),
+				'Sompak'        => array(),
+			),
+			'Kabupaten Melawi'       => array(
+				'Belimbing'         => array(),
+				'Belimbing Hulu'    => array(),
+				'Ella Hilir'        => array(),
+				'Menukung'          => array(),
+				'Nanga Pinoh'       => array(),
+				'Pinoh Selatan'     => array(),
+				'Pinoh Utara'       => array(),
+				'Sayan'             => array(),
+				'Sokan'             => array(),
+				'Tanah Pinoh'       => array(),
+				'Tanah Pinoh Barat' => array(),
+			),
+			'Kabupaten Mempawah'     => array(
+				'Anjongan'       => array(),
+				'Jongkat'        => array(),
+				'Mempawah Hilir' => array(),
+				'Mempawah Timur' => array(),
+				'Sadaniang'      => array(),
+				'Segedong'       => array(),
+				'Sungai Kunyit'  => array(),
+				'Sungai Pinyuh'  => array(),
+				'Toho'           => array(),
+			),
+			'Kabupaten Sambas'       => array(
+				'Galing'         => array(),
+				'Jawai'          => array(),
+				'Jawai Selatan'  => array(),
+				'Paloh'          => array(),
+				'Pemangkat'      => array(),
+				'Sajad'          => array(),
+				'Sajingan Besar' => array(),
+				'Salatiga'       => array(),
+				'Sambas'         => array(),
+				'Sebawi'         => array(),
+				'Sejangkung'     => array(),
+				'Selakau'        => array(),
+				'Selakau Timur'  => array(),
+				'Semparuk'       => array(),
+				'Subah'          => array(),
+				'Tangaran'       => array(),
+				'Tebas'          => array(),
+				'Tekarang'       => array(),
+				'Teluk Keramat'  => array(),
+			),
+			'Kabupaten Sanggau'      => array(
+				'Balai'       => array(),
+				'Beduai'      => array(),
+				'Bonti'       => array(),
+				'Entikong'    => array(),
+				'Jangkang'    => array(),
+				'Kapuas'      => array(),
+				'Kembayan'    => array(),
+				'Meliau'      => array(),
+				'Mukok'       => array(),
+				'Noyan'       => array(),
+				'Parindu'     => array(),
+				'Sekayam'     => array(),
+				'Tayan Hilir' => array(),
+				'Tayan Hulu'  => array(),
+				'Toba'        => array(),
+			),
+			'Kabupaten Sekadau'      => array(
+				'Belitang'       => array(),
+				'Belitang Hilir' => array(),
+				'Belitang Hulu'  => array(),
+				'Nanga Mahap'    => array(),
+				'Nanga Taman'    => array(),
+				'Sekadau Hilir'  => array(),
+				'Sekadau Hulu'   => array(),
+			),
+			'Kabupaten Sintang'      => array(
+				'Ambalau'         => array(),
+				'Binjai Hulu'     => array(),
+				'Dedai'           => array(),
+				'Kayan Hilir'     => array(),
+				'Kayan Hulu'      => array(),
+				'Kelam Permai'    => array(),
+				'Ketungau Hilir'  => array(),
+				'Ketungau Hulu'   => array(),
+				'Ketungau Tengah' => array(),
+				'Sepauk'          => array(),
+				'Serawai'         => array(),
+				'Sintang'         => array(),
+				'Sungai Tebelian' => array(),
+				'Tempunak'        => array(),
+			),
+			'Kota Pontianak'         => array(
+				'Pontianak Barat'    => array(),
+				'Pontianak Kota'     => array(),
+				'Pontianak Selatan'  => array(),
+				'Pontianak Tenggara' => array(),
+				'Pontianak Timur'    => array(),
+				'Pontianak Utara'    => array(),
+			),
+			'Kota Singkawang'        => array(
+				'Singkawang Barat'   => array(),
+				'Singkawang Selatan' => array(),
+				'Singkawang Tengah'  => array(),
+				'Singkawang Timur'   => array(),
+				'Singkawang Utara'   => array(),
+			),
+		),
+		'KT' => array(
+			'Kabupaten Barito Selatan'     => array(
+				'Dusun Hilir'      => array(),
+				'Dusun Selatan'    => array(),
+				'Dusun Utara'      => array(),
+				'Gn. Bintang Awai' => array(),
+				'Jenamas'          => array(),
+				'Karau Kuala'      => array(),
+			),
+			'Kabupaten Barito Timur'       => array(
+				'Awang'           => array(),
+				'Banua Lima'      => array(),
+				'Dusun Tengah'    => array(),
+				'Dusun Timur'     => array(),
+				'Karusen Janang'  => array(),
+				'Paju Epat'       => array(),
+				'Paku'            => array(),
+				'Patangkep Tutui' => array(),
+				'Pematang Karau'  => array(),
+				'Raren Batuah'    => array(),
+			),
+			'Kabupaten Barito Utara'       => array(
+				'Gunung Purei'  => array(),
+				'Gunung Timang' => array(),
+				'Lahei'         => array(),
+				'Lahei Barat'   => array(),
+				'Montallat'     => array(),
+				'Teweh Baru'    => array(),
+				'Teweh Selatan' => array(),
+				'Teweh Tengah'  => array(),
+				'Teweh Timur'   => array(),
+			),
+			'Kabupaten Gunung Mas'         => array(
+				'Damang Batu'        => array(),
+				'Kahayan Hulu Utara' => array(),
+				'Kurun'              => array(),
+				'Manuhing'           => array(),
+				'Manuhing Raya'      => array(),
+				'Mihing Raya'        => array(),
+				'Miri Manasa'        => array(),
+				'Rungan'             => array(),
+				'Rungan Barat'       => array(),
+				'Rungan Hulu'        => array(),
+				'Sepang'             => array(),
+				'Tewah'              => array(),
+			),
+			'Kabupaten Kapuas'             => array(
+				'Basarang'        => array(),
+				'Bataguh'         => array(),
+				'Dadahup'         => array(),
+				'Kapuas Barat'    => array(),
+				'Kapuas Hilir'    => array(),
+				'Kapuas Hulu'     => array(),
+				'Kapuas Kuala'    => array(),
+				'Kapuas Murung'   => array(),
+				'Kapuas Tengah'   => array(),
+				'Kapuas Timur'    => array(),
+				'Mandau Talawang' => array(),
+				'Mantangai'       => array(),
+				'Pasak Talawang'  => array(),
+				'Pulau Petak'     => array(),
+				'Selat'           => array(),
+				'Tamban Catur'    => array(),
+				'Timpah'          => array(),
+			),
+			'Kabupaten Katingan'           => array(
+				'Bukit Raya'              => array(),
+				'Kamipang'                => array(),
+				'Katingan Hilir'          => array(),
+				'Katingan Hulu'           => array(),
+				'Katingan Kuala'          => array(),
+				'Katingan Tengah'         => array(),
+				'Marikit'                 => array(),
+				'Mendawai'                => array(),
+				'Petak Malai'             => array(),
+				'Pulau Malan'             => array(),
+				'Sanaman Mantikei'        => array(),
+				'Tasik Payawan'           => array(),
+				'Tewang Sangalang Garing' => array(),
+			),
+			'Kabupaten Kotawaringin Barat' => array(
+				'Arut Selatan'      => array(),
+				'Arut Utara'        => array(),
+				'Kotawaringin Lama' => array(),
+				'Kumai'             => array(),
+				'Pangkalan Banteng' => array(),
+				'Pangkalan Lada'    => array(),
+			),
+			'Kabupaten Kotawaringin Timur' => array(
+				'Antang Kalang'         => array(),
+				'Baamang'               => array(),
+				'Bukit Santuai'         => array(),
+				'Cempaga'               => array(),
+				'Cempaga Hulu'          => array(),
+				'Kota Besi'             => array(),
+				'Mentawa Baru Ketapang' => array(),
+				'Mentaya Hilir Selatan' => array(),
+				'Mentaya Hilir Utara'   => array(),
+				'Mentaya Hulu'          => array(),
+				'Parenggean'            => array(),
+				'Pulau Hanaut'          => array(),
+				'Seranau'               => array(),
+				'Telaga Antang'         => array(),
+				'Telawang'              => array(),
+				'Teluk Sampit'          => array(),
+				'Tualan Hulu'           => array(),
+			),
+			'Kabupaten Lamandau'           => array(
+				'Batang Kawa'     => array(),
+				'Belantikan Raya' => array(),
+				'Bulik'           => array(),
+				'Bulik Timur'     => array(),
+				'Delang'          => array(),
+				'Lamandau'        => array(),
+				'Menthobi Raya'   => array(),
+				'Sematu Jaya'     => array(),
+			),
+			'Kabupaten Murung Raya'        => array(
+				'Barito Tuhup Raya'   => array(),
+				'Laung Tuhup'         => array(),
+				'Murung'              => array(),
+				'Permata Intan'       => array(),
+				'Seribu Riam'         => array(),
+				'Sumber Barito'       => array(),
+				'Sungai Babuat'       => array(),
+				'Tanah Siang'         => array(),
+				'Tanah Siang Selatan' => array(),
+				'Uut Murung'          => array(),
+			),
+			'Kabupaten Pulang Pisau'       => array(
+				'Banama Tingang' => array(),
+				'Jabiren Raya'   => array(),
+				'Kahayan Hilir'  => array(),
+				'Kahayan Kuala'  => array(),
+				'Kahayan Tengah' => array(),
+				'Maliku'         => array(),
+				'Pandih Batu'    => array(),
+				'Sebangau Kuala' => array(),
+			),
+			'Kabupaten Seruyan'            => array(
+				'Batu Ampar'          => array(),
+				'Danau Seluluk'       => array(),
+				'Danau Sembuluh'      => array(),
+				'Hanau'               => array(),
+				'Seruyan Hilir'       => array(),
+				'Seruyan Hilir Timur' => array(),
+				'Seruyan Hulu'        => array(),
+				'Seruyan Raya'        => array(),
+				'Seruyan Tengah'      => array(),
+				'Suling Tambun'       => array(),
+			),
+			'Kabupaten Sukamara'           => array(
+				'Balai Riam'       => array(),
+				'Jelai'            => array(),
+				'Pantai Lunci'     => array(),
+				'Permata Kecubung' => array(),
+				'Sukamara'         => array(),
+			),
+			'Kota Palangkaraya'            => array(
+				'Bukit Batu' => array(),
+				'Jekan Raya' => array(),
+				'Pahandut'   => array(),
+				'Rakumpit'   => array(),
+				'Sabangau'   => array(),
+			),
+		),
+		'KI' => array(
+			'Kabupaten Berau'               => array(
+				'Batu Putih'    => array(),
+				'Biatan'        => array(),
+				'Biduk-Biduk'   => array(),
+				'Gunung Tabur'  => array(),
+				'Kelay'         => array(),
+				'Maratua'       => array(),
+				'Pulau Derawan' => array(),
+				'Sambaliung'    => array(),
+				'Segah'         => array(),
+				'Tabalar'       => array(),
+				'Talisayan'     => array(),
+				'Tanjung Redeb' => array(),
+				'Teluk Bayur'   => array(),
+			),
+			'Kabupaten Kutai Barat'         => array(
+				'Barong Tongkok'     => array(),
+				'Bentian Besar'      => array(),
+				'Bongan'             => array(),
+				'Damai'              => array(),
+				'Jempang'            => array(),
+				'Linggang Bigung'    => array(),
+				'Long Iram'          => array(),
+				'Melak'              => array(),
+				'Mook Manaar Bulatn' => array(),
+				'Muara Lawa'         => array(),
+				'Muara Pahu'         => array(),
+				'Nyuatan'            => array(),
+				'Penyinggahan'       => array(),
+				'Sekolaq Darat'      => array(),
+				'Siluq Ngurai'       => array(),
+				'Tering'             => array(),
+			),
+			'Kabupaten Kutai Kartanegara'   => array(
+				'Anggana'             => array(),
+				'Kembang Janggut'     => array(),
+				'Kenohan'             => array(),
+				'Kota Bangun'         => array(),
+				'Kota Bangun Darat'   => array(),
+				'Loa Janan'           => array(),
+				'Loa Kulu'            => array(),
+				'Marang Kayu'         => array(),
+				'Muara Badak'         => array(),
+				'Muara Jawa'          => array(),
+				'Muara Kaman'         => array(),
+				'Muara Muntai'        => array(),
+				'Muara Wis'           => array(),
+				'Samboja'             => array(),
+				'Samboja Barat'       => array(),
+				'Sanga Sanga'         => array(),
+				'Sebulu'              => array(),
+				'Tabang'              => array(),
+				'Tenggarong'          => array(),
+				'Tenggarong Seberang' => array(),
+			),
+			'Kabupaten Kutai Timur'         => array(
+				'Batu Ampar'       => array(),
+				'Bengalon'         => array(),
+				'Busang'           => array(),
+				'Kaliorang'        => array(),
+				'Karangan'         => array(),
+				'Kaubun'           => array(),
+				'Kombeng'          => array(),
+				'Long Mesangat'    => array(),
+				'Muara Ancalong'   => array(),
+				'Muara Bengkal'    => array(),
+				'Muara Wahau'      => array(),
+				'Rantau Pulung'    => array(),
+				'Sandaran'         => array(),
+				'Sangatta Selatan' => array(),
+				'Sangatta Utara'   => array(),
+				'Sangkulirang'     => array(),
+				'Telen'            => array(),
+				'Teluk Pandan'     => array(),
+			),
+			'Kabupaten Mahakam Ulu'         => array(
+				'Laham'         => array(),
+				'Long Apari'    => array(),
+				'Long Bagun'    => array(),
+				'Long Hubung'   => array(),
+				'Long Pahangai' => array(),
+			),
+			'Kabupaten Paser'               => array(
+				'Batu Engau'       => array(),
+				'Batu Sopang'      => array(),
+				'Kuaro'            => array(),
+				'Long Ikis'        => array(),
+				'Long Kali'        => array(),
+				'Muara Komam'      => array(),
+				'Muara Samu'       => array(),
+				'Paser Belengkong' => array(),
+				'Tanah Grogot'     => array(),
+				'Tanjung Harapan'  => array(),
+			),
+			'Kabupaten Penajam Paser Utara' => array(
+				'Babulu'  => array(),
+				'Penajam' => array(),
+				'Sepaku'  => array(),
+				'Waru'    => array(),
+			),
+			'Kota Balikpapan'               => array(
+				'Balikpapan Barat'   => array(),
+				'Balikpapan Kota'    => array(),
+				'Balikpapan Selatan' => array(),
+				'Balikpapan Tengah'  => array(),
+				'Balikpapan Timur'   => array(),
+				'Balikpapan Utara'   => array(),
+			),
+			'Kota Bontang'                  => array(
+				'Bontang Barat'   => array(),
+				'Bontang Selatan' => array(),
+				'Bontang Utara'   => array(),
+			),
+			'Kota Samarinda'                => array(
+				'Loa Janan Ilir'     => array(),
+				'Palaran'            => array(),
+				'Samarinda Ilir'     => array(),
+				'Samarinda Kota'     => array(),
+				'Samarinda Seberang' => array(),
+				'Samarinda Ulu'      => array(),
+				'Samarinda Utara'    => array(),
+				'Sambutan'           => array(),
+				'Sungai Kunjang'     => array(),
+				'Sungai Pinang'      => array(),
+			),
+		),
+		'KS' => array(
+			'Kabupaten Balangan'            => array(
+				'Awayan'           => array(),
+				'Batu Mandi'       => array(),
+				'Halong'           => array(),
+				'Juai'             => array(),
+				'Lampihong'        => array(),
+				'Paringin'         => array(),
+				'Paringin Selatan' => array(),
+				'Tebing Tinggi'    => array(),
+			),
+			'Kabupaten Banjar'              => array(
+				'Aluh Aluh'            => array(),
+				'Aranio'               => array(),
+				'Astambul'             => array(),
+				'Beruntung Baru'       => array(),
+				'Cintapuri Darussalam' => array(),
+				'Gambut'               => array(),
+				'Karang Intan'         => array(),
+				'Kertak Hanyar'        => array(),
+				'Martapura'            => array(),
+				'Martapura Barat'      => array(),
+				'Martapura Timur'      => array(),
+				'Mataraman'            => array(),
+				'Paramasan'            => array(),
+				'Pengaron'             => array(),
+				'Sambung Makmur'       => array(),
+				'Simpang Empat'        => array(),
+				'Sungai Pinang'        => array(),
+				'Sungai Tabuk'         => array(),
+				'Tatah Makmur'         => array(),
+				'Telaga Bauntung'      => array(),
+			),
+			'Kabupaten Barito Kuala'        => array(
+				'Alalak'        => array(),
+				'Anjir Muara'   => array(),
+				'Anjir Pasar'   => array(),
+				'Bakumpai'      => array(),
+				'Barambai'      => array(),
+				'Belawang'      => array(),
+				'Cerbon'        => array(),
+				'Jejangkit'     => array(),
+				'Kuripan'       => array(),
+				'Mandastana'    => array(),
+				'Marabahan'     => array(),
+				'Mekarsari'     => array(),
+				'Rantau Badauh' => array(),
+				'Tabukan'       => array(),
+				'Tabunganen'    => array(),
+				'Tamban'        => array(),
+				'Wanaraya'      => array(),
+			),
+			'Kabupaten Hulu Sungai Selatan' => array(
+				'Angkinang'      => array(),
+				'Daha Barat'     => array(),
+				'Daha Selatan'   => array(),
+				'Daha Utara'     => array(),
+				'Kalumpang'      => array(),
+				'Kandangan'      => array(),
+				'Loksado'        => array(),
+				'Padang Batung'  => array(),
+				'Simpur'         => array(),
+				'Sungai Raya'    => array(),
+				'Telaga Langsat' => array(),
+			),
+			'Kabupaten Hulu Sungai Tengah'  => array(
+				'Barabai'             => array(),
+				'Batang Alai Selatan' => array(),
+				'Batang Alai Timur'   => array(),
+				'Batang Alai Utara'   => array(),
+				'Batu Benawa'         => array(),
+				'Hantakan'            => array(),
+				'Haruyan'             => array(),
+				'Labuan Amas Selatan' => array(),
+				'Labuan Amas Utara'   => array(),
+				'Limpasu'             => array(),
+				'Pandawan'            => array(),
+			),
+			'Kabupaten Hulu Sungai Utara'   => array(
+				'Amuntai Selatan' => array(),
+				'Amuntai Tengah'  => array(),
+				'Amuntai Utara'   => array(),
+				'Babirik'         => array(),
+				'Banjang'         => array(),
+				'Danau Panggang'  => array(),
+				'Haur Gading'     => array(),
+				'Paminggir'       => array(),
+				'Sungai Pandan'   => array(),
+				'Sungai Tabukan'  => array(),
+			),
+			'Kabupaten Kotabaru'            => array(
+				'Hampang'                    => array(),
+				'Kelumpang Barat'            => array(),
+				'Kelumpang Hilir'            => array(),
+				'Kelumpang Hulu'             => array(),
+				'Kelumpang Selatan'          => array(),
+				'Kelumpang Tengah'           => array(),
+				'Kelumpang Utara'            => array(),
+				'Pamukan Barat'              => array(),
+				'Pamukan Selatan'            => array(),
+				'Pamukan Utara'              => array(),
+				'Pulau Laut Barat'           => array(),
+				'Pulau Laut Kepulauan'       => array(),
+				'Pulau Laut Selatan'         => array(),
+				'Pulau Laut Tanjung Selayar' => array(),
+				'Pulau Laut Tengah'          => array(),
+				'Pulau Laut Timur'           => array(),
+				'Pulau Sebuku'               => array(),
+				'Pulau Sembilan'             => array(),
+				'Pulaulaut Sigam'            => array(),
+				'Pulaulaut Utara'            => array(),
+				'Sampanahan'                 => array(),
+				'Sungai Durian'              => array(),
+			),
+			'Kabupaten Tabalong'            => array(
+				'Banua Lawas'  => array(),
+				'Bintang Ara'  => array(),
+				'Haruai'       => array(),
+				'Jaro'         => array(),
+				'Kelua'        => array(),
+				'Muara Harus'  => array(),
+				'Muara Uya'    => array(),
+				'Murung Pudak' => array(),
+				'Pugaan'       => array(),
+				'Tanjung'      => array(),
+				'Tanta'        => array(),
+				'Upau'         => array(),
+			),
+			'Kabupaten Tanah Bumbu'         => array(
+				'Angsana'        => array(),
+				'Batu Licin'     => array(),
+				'Karang Bintang' => array(),
+				'Kuranji'        => array(),
+				'Kusan Hilir'    => array(),
+				'Kusan Hulu'     => array(),
+				'Kusan Tengah'   => array(),
+				'Mantewe'        => array(),
+				'Satui'          => array(),
+				'Simpang Empat'  => array(),
+				'Sungai Loban'   => array(),
+				'Teluk Kepayang' => array(),
+			),
+			'Kabupaten Tanah Laut'          => array(
+				'Bajuin'        => array(),
+				'Bati Bati'     => array(),
+				'Batu Ampar'    => array(),
+				'Bumi Makmur'   => array(),
+				'Jorong'        => array(),
+				'Kintap'        => array(),
+				'Kurau'         => array(),
+				'Panyipatan'    => array(),
+				'Pelaihari'     => array(),
+				'Takisung'      => array(),
+				'Tambang Ulang' => array(),
+			),
+			'Kabupaten Tapin'               => array(
+				'Bakarangan'          => array(),
+				'Binuang'             => array(),
+				'Bungur'              => array(),
+				'Candi Laras Selatan' => array(),
+				'Candi Laras Utara'   => array(),
+				'Hatungun'            => array(),
+				'Lokpaikat'           => array(),
+				'Piani'               => array(),
+				'Salam Babaris'       => array(),
+				'Tapin Selatan'       => array(),
+				'Tapin Tengah'        => array(),
+				'Tapin Utara'         => array(),
+			),
+			'Kota Banjarbaru'               => array(
+				'Banjarbaru Selatan' => array(),
+				'Banjarbaru Utara'   => array(),
+				'Cempaka'            => array(),
+				'Landasan Ulin'      => array(),
+				'Liang Anggang'      => array(),
+			),
+			'Kota Banjarmasin'              => array(
+				'Banjarmasin Barat'   => array(),
+				'Banjarmasin Selatan' => array(),
+				'Banjarmasin Tengah'  => array(),
+				'Banjarmasin Timur'   => array(),
+				'Banjarmasin Utara'   => array(),
+			),
+		),
+		'KU' => array(
+			'Kabupaten Bulungan'    => array(
+				'Bunyu'                => array(),
+				'Peso'                 => array(),
+				'Peso Hilir'           => array(),
+				'Sekatak'              => array(),
+				'Tanjung Palas'        => array(),
+				'Tanjung Palas Barat'  => array(),
+				'Tanjung Palas Tengah' => array(),
+				'Tanjung Palas Timur'  => array(),
+				'Tanjung Palas Utara'  => array(),
+				'Tanjung Selor'        => array(),
+			),
+			'Kabupaten Malinau'     => array(
+				'Bahau Hulu'            => array(),
+				'Kayan Hilir'           => array(),
+				'Kayan Hulu'            => array(),
+				'Kayan Selatan'         => array(),
+				'Malinau Barat'         => array(),
+				'Malinau Kota'          => array(),
+				'Malinau Selatan'       => array(),
+				'Malinau Selatan Hilir' => array(),
+				'Malinau Selatan Hulu'  => array(),
+				'Malinau Utara'         => array(),
+				'Mentarang'             => array(),
+				'Mentarang Hulu'        => array(),
+				'Pujungan'              => array(),
+				'Sungai Boh'            => array(),
+				'Sungai Tubu'           => array(),
+			),
+			'Kabupaten Nunukan'     => array(
+				'Krayan'            => array(),
+				'Krayan Barat'      => array(),
+				'Krayan Selatan'    => array(),
+				'Krayan Tengah'     => array(),
+				'Krayan Timur'      => array(),
+				'Lumbis'            => array(),
+				'Lumbis Hulu'       => array(),
+				'Lumbis Ogong'      => array(),
+				'Lumbis Pansiangan' => array(),
+				'Nunukan'           => array(),
+				'Nunukan Selatan'   => array(),
+				'Sebatik'           => array(),
+				'Sebatik Barat'     => array(),
+				'Sebatik Tengah'    => array(),
+				'Sebatik Timur'     => array(),
+				'Sebatik Utara'     => array(),
+				'Sebuku'            => array(),
+				'Sei Menggaris'     => array(),
+				'Sembakung'         => array(),
+				'Sembakung Atulai'  => array(),
+				'Tulin Onsoi'       => array(),
+			),
+			'Kabupaten Tana Tidung' => array(
+				'Betayau'       => array(),
+				'Muruk Rian'    => array(),
+				'Sesayap'       => array(),
+				'Sesayap Hilir' => array(),
+				'Tana Lia'      => array(),
+			),
+			'Kota Tarakan'          => array(
+				'Tarakan Barat'  => array(),
+				'Tarakan Tengah' => array(),
+				'Tarakan Timur'  => array(),
+				'Tarakan Utara'  => array(),
+			),
+		),
+		'SA' => array(
+			'Kabupaten Bolaang Mongondow'                => array(
+				'Bilalang'        => array(),
+				'Bolaang'         => array(),
+				'Bolaang Timur'   => array(),
+				'Dumoga'          => array(),
+				'Dumoga Barat'    => array(),
+				'Dumoga Tengah'   => array(),
+				'Dumoga Tenggara' => array(),
+				'Dumoga Timur'    => array(),
+				'Dumoga Utara'    => array(),
+				'Lolak'           => array(),
+				'Lolayan'         => array(),
+				'Passi Barat'     => array(),
+				'Passi Timur'     => array(),
+				'Poigar'          => array(),
+				'Sang Tombolang'  => array(),
+			),
+			'Kabupaten Bolaang Mongondow Selatan'        => array(
+				'Bolaang Uki'       => array(),
+				'Helumo'            => array(),
+				'Pinolosian'        => array(),
+				'Pinolosian Tengah' => array(),
+				'Pinolosian Timur'  => array(),
+				'Posigadan'         => array(),
+				'Tomini'            => array(),
+			),
+			'Kabupaten Bolaang Mongondow Timur'          => array(
+				'Kotabunan'     => array(),
+				'Modayag'       => array(),
+				'Modayag Barat' => array(),
+				'Mooat'         => array(),
+				'Motongkad'     => array(),
+				'Nuangan'       => array(),
+				'Tutuyan'       => array(),
+			),
+			'Kabupaten Bolaang Mongondow Utara'          => array(
+				'Bintauna'          => array(),
+				'Bolangitang Barat' => array(),
+				'Bolangitang Timur' => array(),
+				'Kaidipang'         => array(),
+				'Pinogaluman'       => array(),
+				'Sangkub'           => array(),
+			),
+			'Kabupaten Kepulauan Sangihe'                => array(
+				'Kendahe'                  => array(),
+				'Kepulauan Marore'         => array(),
+				'Manganitu'                => array(),
+				'Manganitu Selatan'        => array(),
+				'Nusa Tabukan'             => array(),
+				'Tabukan Selatan'          => array(),
+				'Tabukan Selatan Tengah'   => array(),
+				'Tabukan Selatan Tenggara' => array(),
+				'Tabukan Tengah'           => array(),
+				'Tabukan Utara'            => array(),
+				'Tahuna'                   => array(),
+				'Tahuna Barat'             => array(),
+				'Tahuna Timur'             => array(),
+				'Tamako'                   => array(),
+				'Tatoareng'                => array(),
+			),
+			'Kabupaten Kepulauan Siau Tagulandang Biaro' => array(
+				'Biaro'               => array(),
+				'Siau Barat'          => array(),
+				'Siau Barat Selatan'  => array(),
+				'Siau Barat Utara'    => array(),
+				'Siau Tengah'         => array(),
+				'Siau Timur'          => array(),
+				'Siau Timur Selatan'  => array(),
+				'Tagulandang'         => array(),
+				'Tagulandang Selatan' => array(),
+				'Tagulandang Utara'   => array(),
+			),
+			'Kabupaten Kepulauan Talaud'                 => array(
+				'Beo'              => array(),
+				'Beo Selatan'      => array(),
+				'Beo Utara'        => array(),
+				'Damau'            => array(),
+				'Essang'           => array(),
+				'Essang Selatan'   => array(),
+				'Gemeh'            => array(),
+				'Kabaruan'         => array(),
+				'Kalongan'         => array(),
+				'Lirung'           => array(),
+				'Melonguane'       => array(),
+				'Melonguane Timur' => array(),
+				'Miangas'          => array(),
+				'Moronge'          => array(),
+				'Nanusa'           => array(),
+				'Pulutan'          => array(),
+				'Rainis'           => array(),
+				'Salibabu'         => array(),
+				'Tampan\' Amma'    => array(),
+			),
+			'Kabupaten Minahasa'                         => array(
+				'Eris'             => array(),
+				'Kakas'            => array(),
+				'Kakas Barat'      => array(),
+				'Kawangkoan'       => array(),
+				'Kawangkoan Barat' => array(),
+				'Kawangkoan Utara' => array(),
+				'Kombi'            => array(),
+				'Langowan Barat'   => array(),
+				'Langowan Selatan' => array(),
+				'Langowan Timur'   => array(),
+				'Langowan Utara'   => array(),
+				'Lembean Timur'    => array(),
+				'Mandolang'        => array(),
+				'Pineleng'         => array(),
+				'Remboken'         => array(),
+				'Sonder'           => array(),
+				'Tombariri'        => array(),
+				'Tombariri Timur'  => array(),
+				'Tombulu'          => array(),
+				'Tompaso'          => array(),
+				'Tompaso Barat'    => array(),
+				'Tondano Barat'    => array(),
+				'Tondano Selatan'  => array(),
+				'Tondano Timur'    => array(),
+				'Tondano Utara'    => array(),
+			),
+			'Kabupaten Minahasa Selatan'                 => array(
+				'Amurang'        => array(),
+				'Amurang Barat'  => array(),
+				'Amurang Timur'  => array(),
+				'Kumelembuai'    => array(),
+				'Maesaan'        => array(),
+				'Modoinding'     => array(),
+				'Motoling'       => array(),
+				'Motoling Barat' => array(),
+				'Motoling Timur' => array(),
+				'Ranoyapo'       => array(),
+				'Sinonsayang'    => array(),
+				'Suluun Tareran' => array(),
+				'Tareran'        => array(),
+				'Tatapaan'       => array(),
+				'Tenga'          => array(),
+				'Tompaso Baru'   => array(),
+				'Tumpaan'        => array(),
+			),
+			'Kabupaten Minahasa Tenggara'                => array(
+				'Belang'           => array(),
+				'Pasan'            => array(),
+				'Pusomaen'         => array(),
+				'Ratahan'          => array(),
+				'Ratahan Timur'    => array(),
+				'Ratatotok'        => array(),
+				'Silian Raya'      => array(),
+				'Tombatu'          => array(),
+				'Tombatu Timur'    => array(),
+				'Tombatu Utara'    => array(),
+				'Touluaan'         => array(),
+				'Touluaan Selatan' => array(),
+			),
+			'Kabupaten Minahasa Utara'                   => array(
+				'Airmadidi'        => array(),
+				'Dimembe'          => array(),
+				'Kalawat'          => array(),
+				'Kauditan'         => array(),
+				'Kema'             => array(),
+				'Likupang Barat'   => array(),
+				'Likupang Selatan' => array(),
+				'Likupang Timur'   => array(),
+				'Talawaan'         => array(),
+				'Wori'             => array(),
+			),
+			'Kota Bitung'                                => array(
+				'Aertembaga'     => array(),
+				'Girian'         => array(),
+				'Lembeh Selatan' => array(),
+				'Lembeh Utara'   => array(),
+				'Madidir'        => array(),
+				'Maesa'          => array(),
+				'Matuari'        => array(),
+				'Ranowulu'       => array(),
+			),
+			'Kota Kotamobagu'                            => array(
+				'Kotamobagu Barat'   => array(),
+				'Kotamobagu Selatan' => array(),
+				'Kotamobagu Timur'   => array(),
+				'Kotamobagu Utara'   => array(),
+			),
+			'Kota Manado'                                => array(
+				'Bunaken'           => array(),
+				'Bunaken Kepulauan' => array(),
+				'Malalayang'        => array(),
+				'Mapanget'          => array(),
+				'Paal Dua'          => array(),
+				'Sario'             => array(),
+				'Singkil'           => array(),
+				'Tikala'            => array(),
+				'Tuminting'         => array(),
+				'Wanea'             => array(),
+				'Wenang'            => array(),
+			),
+			'Kota Tomohon'                               => array(
+				'Tomohon Barat'   => array(),
+				'Tomohon Selatan' => array(),
+				'Tomohon Tengah'  => array(),
+				'Tomohon Timur'   => array(),
+				'Tomohon Utara'   => array(),
+			),
+		),
+		'ST' => array(
+			'Kabupaten Banggai'           => array(
+				'Balantak'         => array(),
+				'Balantak Selatan' => array(),
+				'Balantak Utara'   => array(),
+				'Batui'            => array(),
+				'Batui Selatan'    => array(),
+				'Bualemo'          => array(),
+				'Bunta'            => array(),
+				'Kintom'           => array(),
+				'Lamala'           => array(),
+				'Lobu'             => array(),
+				'Luwuk'            => array(),
+				'Luwuk Selatan'    => array(),
+				'Luwuk Timur'      => array(),
+				'Luwuk Utara'      => array(),
+				'Mantoh'           => array(),
+				'Masama'           => array(),
+				'Moilong'          => array(),
+				'Nambo'            => array(),
+				'Nuhon'            => array(),
+				'Pagimana'         => array(),
+				'Simpang Raya'     => array(),
+				'Toili'            => array(),
+				'Toili Barat'      => array(),
+				'Toili Jaya'       => array(),
+			),
+			'Kabupaten Banggai Kepulauan' => array(
+				'Buko'               => array(),
+				'Buko Selatan'       => array(),
+				'Bulagi'             => array(),
+				'Bulagi Selatan'     => array(),
+				'Bulagi Utara'       => array(),
+				'Liang'              => array(),
+				'Peling Tengah'      => array(),
+				'Tinangkung'         => array(),
+				'Tinangkung Selatan' => array(),
+				'Tinangkung Utara'   => array(),
+				'Totikum'            => array(),
+				'Totikum Selatan'    => array(),
+			),
+			'Kabupaten Banggai Laut'      => array(
+				'Banggai'         => array(),
+				'Banggai Selatan' => array(),
+				'Banggai Tengah'  => array(),
+				'Banggai Utara'   => array(),
+				'Bangkurung'      => array(),
+				'Bokan Kepulauan' => array(),
+				'Labobo'          => array(),
+			),
+			'Kabupaten Buol'              => array(
+				'Biau'          => array(),
+				'Bokat'         => array(),
+				'Bukal'         => array(),
+				'Bunobogu'      => array(),
+				'Gadung'        => array(),
+				'Karamat'       => array(),
+				'Lakea'         => array(),
+				'Momunu'        => array(),
+				'Paleleh'       => array(),
+				'Paleleh Barat' => array(),
+				'Tiloan'        => array(),
+			),
+			'Kabupaten Donggala'          => array(
+				'Balaesang'          => array(),
+				'Balaesang Tanjung'  => array(),
+				'Banawa'             => array(),
+				'Banawa Selatan'     => array(),
+				'Banawa Tengah'      => array(),
+				'Dampelas'           => array(),
+				'Labuan'             => array(),
+				'Pinembani'          => array(),
+				'Rio Pakava'         => array(),
+				'Sindue'             => array(),
+				'Sindue Tobata'      => array(),
+				'Sindue Tombusabora' => array(),
+				'Sirenja'            => array(),
+				'Sojol'              => array(),
+				'Sojol Utara'        => array(),
+				'Tanantovea'         => array(),
+			),
+			'Kabupaten Morowali'          => array(
+				'Bahodopi'          => array(),
+				'Bumi Raya'         => array(),
+				'Bungku Barat'      => array(),
+				'Bungku Pesisir'    => array(),
+				'Bungku Selatan'    => array(),
+				'Bungku Tengah'     => array(),
+				'Bungku Timur'      => array(),
+				'Menui Kepulauan'   => array(),
+				'Sombori Kepulauan' => array(),
+				'Wita Ponda'        => array(),
+			),
+			'Kabupaten Morowali Utara'    => array(
+				'Bungku Utara'  => array(),
+				'Lembo'         => array(),
+				'Lembo Raya'    => array(),
+				'Mamosalato'    => array(),
+				'Mori Atas'     => array(),
+				'Mori Utara'    => array(),
+				'Petasia'       => array(),
+				'Petasia Barat' => array(),
+				'Petasia Timur' => array(),
+				'Soyo Jaya'     => array(),
+			),
+			'Kabupaten Parigi Moutong'    => array(
+				'Ampibabo'        => array(),
+				'Balinggi'        => array(),
+				'Bolano'          => array(),
+				'Bolano Lambunu'  => array(),
+				'Kasimbar'        => array(),
+				'Mepanga'         => array(),
+				'Moutong'         => array(),
+				'Ongka Malino'    => array(),
+				'Palasa'          => array(),
+				'Parigi'          => array(),
+				'Parigi Barat'    => array(),
+				'Parigi Selatan'  => array(),
+				'Parigi Tengah'   => array(),
+				'Parigi Utara'    => array(),
+				'Sausu'           => array(),
+				'Sidoan'          => array(),
+				'Siniu'           => array(),
+				'Taopa'           => array(),
+				'Tinombo'         => array(),
+				'Tinombo Selatan' => array(),
+				'Tomini'          => array(),
+				'Toribulu'        => array(),
+				'Torue'           => array(),
+			),
+			'Kabupaten Poso'              => array(
+				'Lage'                 => array(),
+				'Lore Barat'           => array(),
+				'Lore Peore'           => array(),
+				'Lore Selatan'         => array(),
+				'Lore Tengah'          => array(),
+				'Lore Timur'           => array(),
+				'Lore Utara'           => array(),
+				'Pamona Barat'         => array(),
+				'Pamona Puselemba'     => array(),
+				'Pamona Selatan'       => array(),
+				'Pamona Tenggara'      => array(),
+				'Pamona Timur'         => array(),
+				'Pamona Utara'         => array(),
+				'Poso Kota'            => array(),
+				'Poso Kota Selatan'    => array(),
+				'Poso Kota Utara'      => array(),
+				'Poso Pesisir'         => array(),
+				'Poso Pesisir Selatan' => array(),
+				'Poso Pesisir Utara'   => array(),
+			),
+			'Kabupaten Sigi'              => array(
+				'Dolo'           => array(),
+				'Dolo Barat'     => array(),
+				'Dolo Selatan'   => array(),
+				'Gumbasa'        => array(),
+				'Kinovaro'       => array(),
+				'Kulawi'         => array(),
+				'Kulawi Selatan' => array(),
+				'Lindu'          => array(),
+				'Marawola'       => array(),
+				'Marawola Barat' => array(),
+				'Nokilalaki'     => array(),
+				'Palolo'         => array(),
+				'Pipikoro'       => array(),
+				'Sigi Biromaru'  => array(),
+				'Tanambulava'    => array(),
+			),
+			'Kabupaten Tojo Una Una'      => array(
+				'Ampana Kota'     => array(),
+				'Ampana Tete'     => array(),
+				'Batudaka'        => array(),
+				'Ratolindo'       => array(),
+				'Talatako'        => array(),
+				'Togean'          => array(),
+				'Tojo'            => array(),
+				'Tojo Barat'      => array(),
+				'Ulubongka'       => array(),
+				'Una Una'         => array(),
+				'Walea Besar'     => array(),
+				'Walea Kepulauan' => array(),
+			),
+			'Kabupaten Toli-Toli'         => array(
+				'Baolan'         => array(),
+				'Basidondo'      => array(),
+				'Dako Pemean'    => array(),
+				'Dampal Selatan' => array(),
+				'Dampal Utara'   => array(),
+				'Dondo'          => array(),
+				'Galang'         => array(),
+				'Lampasio'       => array(),
+				'Ogodeide'       => array(),
+				'Tolitoli Utara' => array(),
+			),
+			'Kota Palu'                   => array(
+				'Mantikulore'  => array(),
+				'Palu Barat'   => array(),
+				'Palu Selatan' => array(),
+				'Palu Timur'   => array(),
+				'Palu Utara'   => array(),
+				'Tatanga'      => array(),
+				'Tawaeli'      => array(),
+				'Ulujadi'      => array(),
+			),
+		),
+		'SG' => array(
+			'Kabupaten Bombana'          => array(
+				'Kabaena'            => array(),
+				'Kabaena Barat'      => array(),
+				'Kabaena Selatan'    => array(),
+				'Kabaena Tengah'     => array(),
+				'Kabaena Timur'      => array(),
+				'Kabaena Utara'      => array(),
+				'Kep. Masaloka Raya' => array(),
+				'Lantari Jaya'       => array(),
+				'Mata Oleo'          => array(),
+				'Mata Usu'           => array(),
+				'Poleang'            => array(),
+				'Poleang Barat'      => array(),
+				'Poleang Selatan'    => array(),
+				'Poleang Tengah'     => array(),
+				'Poleang Tenggara'   => array(),
+				'Poleang Timur'      => array(),
+				'Poleang Utara'      => array(),
+				'Rarowatu'           => array(),
+				'Rarowatu Utara'     => array(),
+				'Rumbia'             => array(),
+				'Rumbia Tengah'      => array(),
+				'Tontonunu'          => array(),
+			),
+			'Kabupaten Buton'            => array(
+				'Kapontori'        => array(),
+				'Lasalimu'         => array(),
+				'Lasalimu Selatan' => array(),
+				'Pasarwajo'        => array(),
+				'Siotapina'        => array(),
+				'Wabula'           => array(),
+				'Wolowa'           => array(),
+			),
+			'Kabupaten Buton Selatan'    => array(
+				'Batauga'      => array(),
+				'Batu Atas'    => array(),
+				'Kadatua'      => array(),
+				'Lapandewa'    => array(),
+				'Sampolawa'    => array(),
+				'Siompu'       => array(),
+				'Siompu Barat' => array(),
+			),
+			'Kabupaten Buton Tengah'     => array(
+				'Gu'                => array(),
+				'Lakudo'            => array(),
+				'Mawasangka'        => array(),
+				'Mawasangka Tengah' => array(),
+				'Mawasangka Timur'  => array(),
+				'Sangia Wambulu'    => array(),
+				'Talaga Raya'       => array(),
+			),
+			'Kabupaten Buton Utara'      => array(
+				'Bonegunu'        => array(),
+				'Kambowa'         => array(),
+				'Kulisusu'        => array(),
+				'Kulisusu Barat'  => array(),
+				'Kulisusu Utara'  => array(),
+				'Wakorumba Utara' => array(),
+			),
+			'Kabupaten Kolaka'           => array(
+				'Baula'      => array(),
+				'Iwoimendaa' => array(),
+				'Kolaka'     => array(),
+				'Latambaga'  => array(),
+				'Polinggona' => array(),
+				'Pomalaa'    => array(),
+				'Samaturu'   => array(),
+				'Tanggetada' => array(),
+				'Toari'      => array(),
+				'Watubangga' => array(),
+				'Wolo'       => array(),
+				'Wundulako'  => array(),
+			),
+			'Kabupaten Kolaka Timur'     => array(
+				'Aere'       => array(),
+				'Dangia'     => array(),
+				'Ladongi'    => array(),
+				'Lalolae'    => array(),
+				'Lambandia'  => array(),
+				'Loea'       => array(),
+				'Mowewe'     => array(),
+				'Poli Polia' => array(),
+				'Tinondo'    => array(),
+				'Tirawuta'   => array(),
+				'Ueesi'      => array(),
+				'Uluiwoi'    => array(),
+			),
+			'Kabupaten Kolaka Utara'     => array(
+				'Batu Putih'   => array(),
+				'Katoi'        => array(),
+				'Kodeoha'      => array(),
+				'Lambai'       => array(),
+				'Lasusua'      => array(),
+				'Ngapa'        => array(),
+				'Pakue'        => array(),
+				'Pakue Tengah' => array(),
+				'Pakue Utara'  => array(),
+				'Porehu'       => array(),
+				'Rante Angin'  => array(),
+				'Tiwu'         => array(),
+				'Tolala'       => array(),
+				'Watunohu'     => array(),
+				'Wawo'         => array(),
+			),
+			'Kabupaten Konawe'           => array(
+				'Abuki'            => array(),
+				'Amonggedo'        => array(),
+				'Anggaberi'        => array(),
+				'Anggalomoare'     => array(),
+				'Asinua'           => array(),
+				'Besulutu'         => array(),
+				'Bondoala'         => array(),
+				'Kapoiala'         => array(),
+				'Konawe'           => array(),
+				'Lalonggasumeeto'  => array(),
+				'Lambuya'          => array(),
+				'Latoma'           => array(),
+				'Meluhu'           => array(),
+				'Morosi'           => array(),
+				'Onembute'         => array(),
+				'Padangguni'       => array(),
+				'Pondidaha'        => array(),
+				'Puriala'          => array(),
+				'Routa'            => array(),
+				'Sampara'          => array(),
+				'Soropia'          => array(),
+				'Tongauna'         => array(),
+				'Tongauna Utara'   => array(),
+				'Uepai'            => array(),
+				'Unaaha'           => array(),
+				'Wawotobi'         => array(),
+				'Wonggeduku'       => array(),
+				'Wonggeduku Barat' => array(),
+			),
+			'Kabupaten Konawe Kepulauan' => array(
+				'Wawonii Barat'      => array(),
+				'Wawonii Selatan'    => array(),
+				'Wawonii Tengah'     => array(),
+				'Wawonii Tenggara'   => array(),
+				'Wawonii Timur'      => array(),
+				'Wawonii Timur Laut' => array(),
+				'Wawonii Utara'      => array(),
+			),
+			'Kabupaten Konawe Selatan'   => array(
+				'Andoolo'          => array(),
+				'Andoolo Barat'    => array(),
+				'Angata'           => array(),
+				'Baito'            => array(),
+				'Basala'           => array(),
+				'Benua'            => array(),
+				'Buke'             => array(),
+				'Kolono'           => array(),
+				'Kolono Timur'     => array(),
+				'Konda'            => array(),
+				'Laeya'            => array(),
+				'Lainea'           => array(),
+				'Lalembuu'         => array(),
+				'Landono'          => array(),
+				'Laonti'           => array(),
+				'Moramo'           => array(),
+				'Moramo Utara'     => array(),
+				'Mowila'           => array(),
+				'Palangga'         => array(),
+				'Palangga Selatan' => array(),
+				'Ranomeeto'        => array(),
+				'Ranomeeto Barat'  => array(),
+				'Sabulakoa'        => array(),
+				'Tinanggea'        => array(),
+				'Wolasi'           => array(),
+			),
+			'Kabupaten Konawe Utara'     => array(
+				'Andowia'          => array(),
+				'Asera'            => array(),
+				'Landawe'          => array(),
+				'Langgikima'       => array(),
+				'Lasolo'           => array(),
+				'Lasolo Kepulauan' => array(),
+				'Lembo'            => array(),
+				'Molawe'           => array(),
+				'Motui'            => array(),
+				'Oheo'             => array(),
+				'Sawa'             => array(),
+				'Wawolesea'        => array(),
+				'Wiwirano'         => array(),
+			),
+			'Kabupaten Muna'             => array(
+				'Batalaiworu'       => array(),
+				'Batukara'          => array(),
+				'Bone'              => array(),
+				'Duruka'            => array(),
+				'Kabangka'          => array(),
+				'Kabawo'            => array(),
+				'Katobu'            => array(),
+				'Kontu Kowuna'      => array(),
+				'Kontunaga'         => array(),
+				'Lasalepa'          => array(),
+				'Lohia'             => array(),
+				'Maligano'          => array(),
+				'Marobo'            => array(),
+				'Napabalano'        => array(),
+				'Parigi'            => array(),
+				'Pasi Kolaga'       => array(),
+				'Pasir Putih'       => array(),
+				'Tongkuno'          => array(),
+				'Tongkuno Selatan'  => array(),
+				'Towea'             => array(),
+				'Wakorumba Selatan' => array(),
+				'Watopute'          => array(),
+			),
+			'Kabupaten Muna Barat'       => array(
+				'Barangka'         => array(),
+				'Kusambi'          => array(),
+				'Lawa'             => array(),
+				'Maginti'          => array(),
+				'Napano Kusambi'   => array(),
+				'Sawerigadi'       => array(),
+				'Tiworo Kepulauan' => array(),
+				'Tiworo Selatan'   => array(),
+				'Tiworo Tengah'    => array(),
+				'Tiworo Utara'     => array(),
+				'Wadaga'           => array(),
+			),
+			'Kabupaten Wakatobi'         => array(
+				'Binongko'            => array(),
+				'Kaledupa'            => array(),
+				'Kaledupa Selatan'    => array(),
+				'Togo Binongko'       => array(),
+				'Tomia'               => array(),
+				'Tomia Timur'         => array(),
+				'Wangi Wangi Selatan' => array(),
+				'Wangi-Wangi'         => array(),
+			),
+			'Kota Bau Bau'               => array(
+				'Batupoaro'  => array(),
+				'Betoambari' => array(),
+				'Bungi'      => array(),
+				'Kokalukuna' => array(),
+				'Lea-Lea'    => array(),
+				'Murhum'     => array(),
+				'Sorawolio'  => array(),
+				'Wolio'      => array(),
+			),
+			'Kota Kendari'               => array(
+				'Abeli'         => array(),
+				'Baruga'        => array(),
+				'Kadia'         => array(),
+				'Kambu'         => array(),
+				'Kendari'       => array(),
+				'Kendari Barat' => array(),
+				'Mandonga'      => array(),
+				'Nambo'         => array(),
+				'Poasia'        => array(),
+				'Puuwatu'       => array(),
+				'Wua-Wua'       => array(),
+			),
+		),
+		'SR' => array(
+			'Kabupaten Majene'          => array(
+				'Banggae'           => array(),
+				'Banggae Timur'     => array(),
+				'Malunda'           => array(),
+				'Pamboang'          => array(),
+				'Sendana'           => array(),
+				'Tammerodo Sendana' => array(),
+				'Tubo Sendana'      => array(),
+				'Ulumanda'          => array(),
+			),
+			'Kabupaten Mamasa'          => array(
+				'Aralle'             => array(),
+				'Balla'              => array(),
+				'Bambang'            => array(),
+				'Buntumalangka'      => array(),
+				'Mamasa'             => array(),
+				'Mambi'              => array(),
+				'Mehalaan'           => array(),
+				'Messawa'            => array(),
+				'Nosu'               => array(),
+				'Pana'               => array(),
+				'Rantebulahan Timur' => array(),
+				'Sesenapadang'       => array(),
+				'Sumarorong'         => array(),
+				'Tabang'             => array(),
+				'Tabulahan'          => array(),
+				'Tanduk Kalua'       => array(),
+				'Tawalian'           => array(),
+			),
+			'Kabupaten Mamuju'          => array(
+				'Bonehau'                 => array(),
+				'Kalukku'                 => array(),
+				'Kalumpang'               => array(),
+				'Kepulauan Bala Balakang' => array(),
+				'Mamuju'                  => array(),
+				'Papalang'                => array(),
+				'Sampaga'                 => array(),
+				'Simboro'                 => array(),
+				'Tapalang'                => array(),
+				'Tapalang Barat'          => array(),
+				'Tommo'                   => array(),
+			),
+			'Kabupaten Mamuju Tengah'   => array(
+				'Budong-Budong' => array(),
+				'Karossa'       => array(),
+				'Pangale'       => array(),
+				'Tobadak'       => array(),
+				'Topoyo'        => array(),
+			),
+			'Kabupaten Pasangkayu'      => array(
+				'Bambaira'    => array(),
+				'Bambalamotu' => array(),
+				'Baras'       => array(),
+				'Bulu Taba'   => array(),
+				'Dapurang'    => array(),
+				'Duripoku'    => array(),
+				'Lariang'     => array(),
+				'Pasangkayu'  => array(),
+				'Pedongga'    => array(),
+				'Sarjo'       => array(),
+				'Sarudu'      => array(),
+				'Tikke Raya'  => array(),
+			),
+			'Kabupaten Polewali Mandar' => array(
+				'Allu'        => array(),
+				'Anreapi'     => array(),
+				'Balanipa'    => array(),
+				'Binuang'     => array(),
+				'Bulo'        => array(),
+				'Campalagian' => array(),
+				'Limboro'     => array(),
+				'Luyo'        => array(),
+				'Mapilli'     => array(),
+				'Matakali'    => array(),
+				'Matangnga'   => array(),
+				'Polewali'    => array(),
+				'Tapango'     => array(),
+				'Tinambung'   => array(),
+				'Tutar'       => array(),
+				'Wonomulyo'   => array(),
+			),
+		),
+		'SN' => array(
+			'Kabupaten Bantaeng'                 => array(
+				'Bantaeng'       => array(),
+				'Bissappu'       => array(),
+				'Eremerasa'      => array(),
+				'Gantarang Keke' => array(),
+				'Pajukukang'     => array(),
+				'Sinoa'          => array(),
+				'Tompo Bulu'     => array(),
+				'Uluere'         => array(),
+			),
+			'Kabupaten Barru'                    => array(
+				'Balusu'        => array(),
+				'Barru'         => array(),
+				'Mallusetasi'   => array(),
+				'Pujananting'   => array(),
+				'Soppeng Riaja' => array(),
+				'Tanete Riaja'  => array(),
+				'Tanete Rilau'  => array(),
+			),
+			'Kabupaten Bone'                     => array(
+				'Ajangale'              => array(),
+				'Amali'                 => array(),
+				'Awangpone'             => array(),
+				'Barebbo'               => array(),
+				'Bengo'                 => array(),
+				'Bontocani'             => array(),
+				'Cenrana'               => array(),
+				'Cina'                  => array(),
+				'Dua Boccoe'            => array(),
+				'Kahu'                  => array(),
+				'Kajuara'               => array(),
+				'Lamuru'                => array(),
+				'Lappariaja'            => array(),
+				'Libureng'              => array(),
+				'Mare'                  => array(),
+				'Palakka'               => array(),
+				'Patimpeng'             => array(),
+				'Ponre'                 => array(),
+				'Salomekko'             => array(),
+				'Sibulue'               => array(),
+				'Tanete Riattang'       => array(),
+				'Tanete Riattang Barat' => array(),
+				'Tanete Riattang Timur' => array(),
+				'Tellu Siattinge'       => array(),
+				'Tellulimpoe'           => array(),
+				'Tonra'                 => array(),
+				'Ulaweng'               => array(),
+			),
+			'Kabupaten Bulukumba'                => array(
+				'Bonto Bahari' => array(),
+				'Bonto Tiro'   => array(),
+				'Bulukumpa'    => array(),
+				'Gantarang'    => array(),
+				'Herlang'      => array(),
+				'Kajang'       => array(),
+				'Kindang'      => array(),
+				'Rilauale'     => array(),
+				'Ujung Bulu'   => array(),
+				'Ujungloe'     => array(),
+			),
+			'Kabupaten Enrekang'                 => array(
+				'Alla'       => array(),
+				'Anggeraja'  => array(),
+				'Baraka'     => array(),
+				'Baroko'     => array(),
+				'Bungin'     => array(),
+				'Buntu Batu' => array(),
+				'Cendana'    => array(),
+				'Curio'      => array(),
+				'Enrekang'   => array(),
+				'Maiwa'      => array(),
+				'Malua'      => array(),
+				'Masalle'    => array(),
+			),
+			'Kabupaten Gowa'                     => array(
+				'Bajeng'             => array(),
+				'Bajeng Barat'       => array(),
+				'Barombong'          => array(),
+				'Biringbulu'         => array(),
+				'Bontolempangang'    => array(),
+				'Bontomarannu'       => array(),
+				'Bontonompo'         => array(),
+				'Bontonompo Selatan' => array(),
+				'Bungaya'            => array(),
+				'Manuju'             => array(),
+				'Pallangga'          => array(),
+				'Parangloe'          => array(),
+				'Parigi'             => array(),
+				'Pattallasang'       => array(),
+				'Somba Opu'          => array(),
+				'Tinggimoncong'      => array(),
+				'Tombolopao'         => array(),
+				'Tompobulu'          => array(),
+			),
+			'Kabupaten Jeneponto'                => array(
+				'Arungkeke'      => array(),
+				'Bangkala'       => array(),
+				'Bangkala Barat' => array(),
+				'Batang'         => array(),
+				'Binamu'         => array(),
+				'Bontoramba'     => array(),
+				'Kelara'         => array(),
+				'Rumbia'         => array(),
+				'Tamalatea'      => array(),
+				'Tarowang'       => array(),
+				'Turatea'        => array(),
+			),
+			'Kabupaten Kepulauan Selayar'        => array(
+				'Benteng'            => array(),
+				'Bontoharu'          => array(),
+				'Bontomanai'         => array(),
+				'Bontomatene'        => array(),
+				'Bontosikuyu'        => array(),
+				'Buki'               => array(),
+				'Pasilambena'        => array(),
+				'Pasimarannu'        => array(),
+				'Pasimasunggu'       => array(),
+				'Pasimasunggu Timur' => array(),
+				'Taka Bonerate'      => array(),
+			),
+			'Kabupaten Luwu'                     => array(
+				'Bajo'                  => array(),
+				'Bajo Barat'            => array(),
+				'Basse Sangtempe'       => array(),
+				'Basse Sangtempe Utara' => array(),
+				'Belopa'                => array(),
+				'Belopa Utara'          => array(),
+				'Bua'                   => array(),
+				'Bua Ponrang'           => array(),
+				'Kamanre'               => array(),
+				'Lamasi'                => array(),
+				'Lamasi Timur'          => array(),
+				'Larompong'             => array(),
+				'Larompong Selatan'     => array(),
+				'Latimojong'            => array(),
+				'Ponrang'               => array(),
+				'Ponrang Selatan'       => array(),
+				'Suli'                  => array(),
+				'Suli Barat'            => array(),
+				'Walenrang'             => array(),
+				'Walenrang Barat'       => array(),
+				'Walenrang Timur'       => array(),
+				'Walenrang Utara'       => array(),
+			),
+			'Kabupaten Luwu Timur'               => array(
+				'Angkona'      => array(),
+				'Burau'        => array(),
+				'Kalaena'      => array(),
+				'Malili'       => array(),
+				'Mangkutana'   => array(),
+				'Nuha'         => array(),
+				'Tomoni'       => array(),
+				'Tomoni Timur' => array(),
+				'Towuti'       => array(),
+				'Wasuponda'    => array(),
+				'Wotu'         => array(),
+			),
+			'Kabupaten Luwu Utara'               => array(
+				'Baebunta'         => array(),
+				'Baebunta Selatan' => array(),
+				'Bone Bone'        => array(),
+				'Malangke'         => array(),
+				'Malangke Barat'   => array(),
+				'Mappedeceng'      => array(),
+				'Masamba'          => array(),
+				'Rampi'            => array(),
+				'Rongkong'         => array(),
+				'Sabbang'          => array(),
+				'Sabbang Selatan'  => array(),
+				'Seko'             => array(),
+				'Sukamaju'         => array(),
+				'Sukamaju Selatan' => array(),
+				'Tana Lili'        => array(),
+			),
+			'Kabupaten Maros'                    => array(
+				'Bantimurung' => array(),
+				'Bontoa'      => array(),
+				'Camba'       => array(),
+				'Cenrana'     => array(),
+				'Lau'         => array(),
+				'Malllawa'    => array(),
+				'Mandai'      => array(),
+				'Maros Baru'  => array(),
+				'Marusu'      => array(),
+				'Moncongloe'  => array(),
+				'Simbang'     => array(),
+				'Tanralili'   => array(),
+				'Tompobulu'   => array(),
+				'Turikale'    => array(),
+			),
+			'Kabupaten Pangkajene dan Kepulauan' => array(
+				'Balocci'                   => array(),
+				'Bungoro'                   => array(),
+				'Labakkang'                 => array(),
+				'Liukang Kalmas'            => array(),
+				'Liukang Tangaya'           => array(),
+				'Liukang Tupabbiring'       => array(),
+				'Liukang Tupabbiring Utara' => array(),
+				'Mandalle'                  => array(),
+				'Marang'                    => array(),
+				'Minasate\'ne'              => array(),
+				'Pangkajene'                => array(),
+				'Segeri'                    => array(),
+				'Tondong Tallasa'           => array(),
+			),
+			'Kabupaten Pinrang'                  => array(
+				'Batulappa'      => array(),
+				'Cempa'          => array(),
+				'Duampanua'      => array(),
+				'Lanrisang'      => array(),
+				'Lembang'        => array(),
+				'Mattiro Bulu'   => array(),
+				'Mattiro Sompe'  => array(),
+				'Paleteang'      => array(),
+				'Patampanua'     => array(),
+				'Suppa'          => array(),
+				'Tiroang'        => array(),
+				'Watang Sawitto' => array(),
+			),
+			'Kabupaten Sidenreng Rappang'        => array(
+				'Baranti'          => array(),
+				'Dua Pitue'        => array(),
+				'Kulo'             => array(),
+				'Maritengngae'     => array(),
+				'Panca Lautang'    => array(),
+				'Panca Rijang'     => array(),
+				'Pitu Riase'       => array(),
+				'Pitu Riawa'       => array(),
+				'Tellu Limpoe'     => array(),
+				'Watang Pulu'      => array(),
+				'Watang Sidenreng' => array(),
+			),
+			'Kabupaten Sinjai'                   => array(
+				'Bulupoddo'      => array(),
+				'Pulau Sembilan' => array(),
+				'Sinjai Barat'   => array(),
+				'Sinjai Borong'  => array(),
+				'Sinjai Selatan' => array(),
+				'Sinjai Tengah'  => array(),
+				'Sinjai Timur'   => array(),
+				'Sinjai Utara'   => array(),
+				'Tellu Limpoe'   => array(),
+			),
+			'Kabupaten Soppeng'                  => array(
+				'Citta'       => array(),
+				'Donri-Donri' => array(),
+				'Ganra'       => array(),
+				'Lalabata'    => array(),
+				'Liliriaja'   => array(),
+				'Lilirilau'   => array(),
+				'Marioriawa'  => array(),
+				'Marioriwawo' => array(),
+			),
+			'Kabupaten Takalar'                  => array(
+				'Galesong'               => array(),
+				'Galesong Selatan'       => array(),
+				'Galesong Utara'         => array(),
+				'Kepulauan Tanakeke'     => array(),
+				'Laikang'                => array(),
+				'Mangarabombang'         => array(),
+				'Mappakasunggu'          => array(),
+				'Pattallassang'          => array(),
+				'Polongbangkeng Selatan' => array(),
+				'Polongbangkeng Timur'   => array(),
+				'Polongbangkeng Utara'   => array(),
+				'Sanrobone'              => array(),
+			),
+			'Kabupaten Tana Toraja'              => array(
+				'Bittuang'             => array(),
+				'Bonggakaradeng'       => array(),
+				'Gandangbatu Sillanan' => array(),
+				'Kurra'                => array(),
+				'Makale'               => array(),
+				'Makale Selatan'       => array(),
+				'Makale Utara'         => array(),
+				'Malimbong Balepe\''   => array(),
+				'Mappak'               => array(),
+				'Masanda'              => array(),
+				'Mengkendek'           => array(),
+				'Rano'                 => array(),
+				'Rantetayo'            => array(),
+				'Rembon'               => array(),
+				'Salupputti'           => array(),
+				'Sangalla\''           => array(),
+				'Sangalla\' Selatan'   => array(),
+				'Sangalla\' Utara'     => array(),
+				'Simbuang'             => array(),
+			),
+			'Kabupaten Toraja Utara'             => array(
+				'Awan Rante Karua'     => array(),
+				'Balusu'               => array(),
+				'Bangkelekila'         => array(),
+				'Baruppu'              => array(),
+				'Buntao'               => array(),
+				'Buntu Pepasan'        => array(),
+				'Dende\' Piongan Napo' => array(),
+				'Kapala Pitu'          => array(),
+				'Kesu'                 => array(),
+				'Nanggala'             => array(),
+				'Rantebua'             => array(),
+				'Rantepao'             => array(),
+				'Rindingallo'          => array(),
+				'Sa\'dan'              => array(),
+				'Sanggalangi'          => array(),
+				'Sesean'               => array(),
+				'Sesean Suloara'       => array(),
+				'Sopai'                => array(),
+				'Tallunglipu'          => array(),
+				'Tikala'               => array(),
+				'Tondon'               => array(),
+			),
+			'Kabupaten Wajo'                     => array(
+				'Belawa'      => array(),
+				'Bola'        => array(),
+				'Gilireng'    => array(),
+				'Keera'       => array(),
+				'Majauleng'   => array(),
+				'Maniangpajo' => array(),
+				'Pammana'     => array(),
+				'Penrang'     => array(),
+				'Pitumpanua'  => array(),
+				'Sabangparu'  => array(),
+				'Sajoanging'  => array(),
+				'Takkalalla'  => array(),
+				'Tanasitolo'  => array(),
+				'Tempe'       => array(),
+			),
+			'Kota Makassar'                      => array(
+				'Biringkanaya'          => array(),
+				'Bontoala'              => array(),
+				'Kepulauan Sangkarrang' => array(),
+				'Makassar'              => array(),
+				'Mamajang'              => array(),
+				'Manggala'              => array(),
+				'Mariso'                => array(),
+				'Panakkukang'           => array(),
+				'Rappocini'             => array(),
+				'Tallo'                 => array(),
+				'Tamalanrea'            => array(),
+				'Tamalate'              => array(),
+				'Ujung Pandang'         => array(),
+				'Ujung Tanah'           => array(),
+				'Wajo'                  => array(),
+			),
+			'Kota Palopo'                        => array(
+				'Bara'         => array(),
+				'Mungkajang'   => array(),
+				'Sendana'      => array(),
+				'Telluwanua'   => array(),
+				'Wara'         => array(),
+				'Wara Barat'   => array(),
+				'Wara Selatan' => array(),
+				'Wara Timur'   => array(),
+				'Wara Utara'   => array(),
+			),
+			'Kota Parepare'                      => array(
+				'Bacukiki'       => array(),
+				'Bacukiki Barat' => array(),
+				'Soreang'        => array(),
+				'Ujung'          => array(),
+			),
+		),
+		'GO' => array(
+			'Kabupaten Boalemo'         => array(
+				'Botumoito'        => array(),
+				'Dulupi'           => array(),
+				'Mananggu'         => array(),
+				'Paguyaman'        => array(),
+				'Paguyaman Pantai' => array(),
+				'Tilamuta'         => array(),
+				'Wonosari'         => array(),
+			),
+			'Kabupaten Bone Bolango'    => array(
+				'Bone'            => array(),
+				'Bone Raya'       => array(),
+				'Bonepantai'      => array(),
+				'Botupingge'      => array(),
+				'Bulango Selatan' => array(),
+				'Bulango Timur'   => array(),
+				'Bulango Ulu'     => array(),
+				'Bulango Utara'   => array(),
+				'Bulawa'          => array(),
+				'Kabila'          => array(),
+				'Kabila Bone'     => array(),
+				'Pinogu'          => array(),
+				'Suwawa'          => array(),
+				'Suwawa Selatan'  => array(),
+				'Suwawa Tengah'   => array(),
+				'Suwawa Timur'    => array(),
+				'Tapa'            => array(),
+				'Tilongkabila'    => array(),
+			),
+			'Kabupaten Gorontalo'       => array(
+				'Asparaga'       => array(),
+				'Batudaa'        => array(),
+				'Batudaa Pantai' => array(),
+				'Bilato'         => array(),
+				'Biluhu'         => array(),
+				'Boliyohuto'     => array(),
+				'Bongomeme'      => array(),
+				'Dungaliyo'      => array(),
+				'Limboto'        => array(),
+				'Limboto Barat'  => array(),
+				'Mootilango'     => array(),
+				'Pulubala'       => array(),
+				'Tabongo'        => array(),
+				'Talaga Jaya'    => array(),
+				'Telaga'         => array(),
+				'Telaga Biru'    => array(),
+				'Tibawa'         => array(),
+				'Tilango'        => array(),
+				'Tolangohula'    => array(),
+			),
+			'Kabupaten Gorontalo Utara' => array(
+				'Anggrek'          => array(),
+				'Atinggola'        => array(),
+				'Biau'             => array(),
+				'Gentuma Raya'     => array(),
+				'Kwandang'         => array(),
+				'Monano'           => array(),
+				'Ponelo Kepulauan' => array(),
+				'Sumalata'         => array(),
+				'Sumalata Timur'   => array(),
+				'Tolinggula'       => array(),
+				'Tomilito'         => array(),
+			),
+			'Kabupaten Pohuwato'        => array(
+				'Buntulia'       => array(),
+				'Dengilo'        => array(),
+				'Duhiadaa'       => array(),
+				'Lemito'         => array(),
+				'Marisa'         => array(),
+				'Paguat'         => array(),
+				'Patilanggio'    => array(),
+				'Popayato'       => array(),
+				'Popayato Barat' => array(),
+				'Popayato Timur' => array(),
+				'Randangan'      => array(),
+				'Taluditi'       => array(),
+				'Wanggarasi'     => array(),
+			),
+			'Kota Gorontalo'            => array(
+				'Dumbo Raya'    => array(),
+				'Dungingi'      => array(),
+				'Hulonthalangi' => array(),
+				'Kota Barat'    => array(),
+				'Kota Selatan'  => array(),
+				'Kota Tengah'   => array(),
+				'Kota Timur'    => array(),
+				'Kota Utara'    => array(),
+				'Sipatana'      => array(),
+			),
+		),
+		'MA' => array(
+			'Kabupaten Buru'               => array(
+				'Air Buaya'    => array(),
+				'Batabual'     => array(),
+				'Fena Leisela' => array(),
+				'Lilialy'      => array(),
+				'Lolong Guba'  => array(),
+				'Namlea'       => array(),
+				'Teluk Kaiely' => array(),
+				'Waeapo'       => array(),
+				'Waelata'      => array(),
+				'Waplau'       => array(),
+			),
+			'Kabupaten Buru Selatan'       => array(
+				'Ambalau'      => array(),
+				'Fena Fafan'   => array(),
+				'Kepala Madan' => array(),
+				'Leksula'      => array(),
+				'Namrole'      => array(),
+				'Waesama'      => array(),
+			),
+			'Kabupaten Kepulauan Aru'      => array(
+				'Aru Selatan'             => array(),
+				'Aru Selatan Timur'       => array(),
+				'Aru Selatan Utara'       => array(),
+				'Aru Tengah'              => array(),
+				'Aru Tengah Selatan'      => array(),
+				'Aru Tengah Timur'        => array(),
+				'Aru Utara'               => array(),
+				'Aru Utara Timur Batuley' => array(),
+				'Pulau-Pulau Aru'         => array(),
+				'Sir-Sir'                 => array(),
+			),
+			'Kabupaten Kepulauan Tanimbar' => array(
+				'Fordata'          => array(),
+				'Kormomolin'       => array(),
+				'Molu Maru'        => array(),
+				'Nirunmas'         => array(),
+				'Selaru'           => array(),
+				'Tanimbar Selatan' => array(),
+				'Tanimbar Utara'   => array(),
+				'Wermaktian'       => array(),
+				'Wertamrian'       => array(),
+				'Wuar Labobar'     => array(),
+			),
+			'Kabupaten Maluku Barat Daya'  => array(
+				'Babar Barat'             => array(),
+				'Damer'                   => array(),
+				'Dawelor Dawera'          => array(),
+				'Kepulauan Luang Sermata' => array(),
+				'Kepulauan Roma'          => array(),
+				'Kisar Selatan'           => array(),
+				'Kisar Utara'             => array(),
+				'Moa'                     => array(),
+				'Pulau Lakor'             => array(),
+				'Pulau Leti'              => array(),
+				'Pulau Masela'            => array(),
+				'Pulau Wetang'            => array(),
+				'Pulau-pulau Babar Timur' => array(),
+				'Wetar Barat'             => array(),
+				'Wetar Selatan'           => array(),
+				'Wetar Timur'             => array(),
+				'Wetar Utara'             => array(),
+			),
+			'Kabupaten Maluku Tengah'      => array(
+				'Amahai'                 => array(),
+				'Banda'                  => array(),
+				'Kota Masohi'            => array(),
+				'Leihitu'                => array(),
+				'Leihitu Barat'          => array(),
+				'Nusa Laut'              => array(),
+				'Pulau Haruku'           => array(),
+				'Salahutu'               => array(),
+				'Saparua'                => array(),
+				'Saparua Timur'          => array(),
+				'Seram Utara'            => array(),
+				'Seram Utara Barat'      => array(),
+				'Seram Utara Timur Kobi' => array(),
+				'Seram Utara Timur Seti' => array(),
+				'Tehoru'                 => array(),
+				'Teluk Elpaputih'        => array(),
+				'Telutih'                => array(),
+				'Teon Nila Serua'        => array(),
+			),
+			'Kabupaten Maluku Tenggara'    => array(
+				'Hoat Sorbay'             => array(),
+				'Kei Besar'               => array(),
+				'Kei Besar Selatan'       => array(),
+				'Kei Besar Selatan Barat' => array(),
+				'Kei Besar Utara Barat'   => array(),
+				'Kei Besar Utara Timur'   => array(),
+				'Kei Kecil'               => array(),
+				'Kei Kecil Barat'         => array(),
+				'Kei Kecil Timur'         => array(),
+				'Kei Kecil Timur Selatan' => array(),
+				'Manyeuw'                 => array(),
+			),
+			'Kabupaten Seram Bagian Barat' => array(
+				'Amalatu'          => array(),
+				'Elpaputih'        => array(),
+				'Huamual'          => array(),
+				'Huamual Belakang' => array(),
+				'Inamosol'         => array(),
+				'Kairatu'          => array(),
+				'Kairatu Barat'    => array(),
+				'Kepulauan Manipa' => array(),
+				'Seram Barat'      => array(),
+				'Taniwel'          => array(),
+				'Taniwel Timur'    => array(),
+			),
+			'Kabupaten Seram Bagian Timur' => array(
+				'Bula'                => array(),
+				'Bula Barat'          => array(),
+				'Gorom Timur'         => array(),
+				'Kian Darat'          => array(),
+				'Kilmury'             => array(),
+				'Pulau Gorom'         => array(),
+				'Pulau Panjang'       => array(),
+				'Seram Timur'         => array(),
+				'Siritaun Wida Timur' => array(),
+				'Siwalalat'           => array(),
+				'Teluk Waru'          => array(),
+				'Teor'                => array(),
+				'Tutuk Tolu'          => array(),
+				'Ukar Sengan'         => array(),
+				'Wakate'              => array(),
+				'Werinama'            => array(),
+			),
+			'Kota Ambon'                   => array(
+				'Baguala'          => array(),
+				'Leitimur Selatan' => array(),
+				'Nusaniwe'         => array(),
+				'Sirimau'          => array(),
+				'Teluk Ambon'      => array(),
+			),
+			'Kota Tual'                    => array(
+				'Kur Selatan'          => array(),
+				'Pulau Dullah Selatan' => array(),
+				'Pulau Dullah Utara'   => array(),
+				'Pulau-Pulau Kur'      => array(),
+				'Tayando Tam'          => array(),
+			),
+		),
+		'MU' => array(
+			'Kabupaten Halmahera Barat'   => array(
+				'Ibu'             => array(),
+				'Ibu Selatan'     => array(),
+				'Ibu Utara'       => array(),
+				'Jailolo'         => array(),
+				'Jailolo Selatan' => array(),
+				'Loloda'          => array(),
+				'Loloda Tengah'   => array(),
+				'Sahu'            => array(),
+				'Sahu Timur'      => array(),
+			),
+			'Kabupaten Halmahera Selatan' => array(
+				'Bacan'                  => array(),
+				'Bacan Barat'            => array(),
+				'Bacan Barat Utara'      => array(),
+				'Bacan Selatan'          => array(),
+				'Bacan Timur'            => array(),
+				'Bacan Timur Selatan'    => array(),
+				'Bacan Timur Tengah'     => array(),
+				'Gane Barat'             => array(),
+				'Gane Barat Selatan'     => array(),
+				'Gane Barat Utara'       => array(),
+				'Gane Timur'             => array(),
+				'Gane Timur Selatan'     => array(),
+				'Gane Timur Tengah'      => array(),
+				'Kasiruta Barat'         => array(),
+				'Kasiruta Timur'         => array(),
+				'Kayoa'                  => array(),
+				'Kayoa Barat'            => array(),
+				'Kayoa Selatan'          => array(),
+				'Kayoa Utara'            => array(),
+				'Kepulauan Botanglomang' => array(),
+				'Kepulauan Joronga'      => array(),
+				'Makian Barat'           => array(),
+				'Mandioli Selatan'       => array(),
+				'Mandioli Utara'         => array(),
+				'Obi'                    => array(),
+				'Obi Barat'              => array(),
+				'Obi Selatan'            => array(),
+				'Obi Timur'              => array(),
+				'Obi Utara'              => array(),
+				'Pulau Makian'           => array(),
+			),
+			'Kabupaten Halmahera Tengah'  => array(
+				'Patani'       => array(),
+				'Patani Barat' => array(),
+				'Patani Timur' => array(),
+				'Patani Utara' => array(),
+				'Pulau Gebe'   => array(),
+				'Weda'         => array(),
+				'Weda Selatan' => array(),
+				'Weda Tengah'  => array(),
+				'Weda Timur'   => array(),
+				'Weda Utara'   => array(),
+			),
+			'Kabupaten Halmahera Timur'   => array(
+				'Kota Maba'      => array(),
+				'Maba'           => array(),
+				'Maba Selatan'   => array(),
+				'Maba Tengah'    => array(),
+				'Maba Utara'     => array(),
+				'Wasile'         => array(),
+				'Wasile Selatan' => array(),
+				'Wasile Tengah'  => array(),
+				'Wasile Timur'   => array(),
+				'Wasile Utara'   => array(),
+			),
+			'Kabupaten Halmahera Utara'   => array(
+				'Galela'           => array(),
+				'Galela Barat'     => array(),
+				'Galela Selatan'   => array(),
+				'Galela Utara'     => array(),
+				'Kao'              => array(),
+				'Kao Barat'        => array(),
+				'Kao Teluk'        => array(),
+				'Kao Utara'        => array(),
+				'Loloda Kepulauan' => array(),
+				'Loloda Utara'     => array(),
+				'Malifut'          => array(),
+				'Tobelo'           => array(),
+				'Tobelo Barat'     => array(),
+				'Tobelo Selatan'   => array(),
+				'Tobelo Tengah'    => array(),
+				'Tobelo Timur'     => array(),
+				'Tobelo Utara'     => array(),
+			),
+			'Kabupaten Kepulauan Sula'    => array(
+				'Mangoli Barat'       => array(),
+				'Mangoli Selatan'     => array(),
+				'Mangoli Tengah'      => array(),
+				'Mangoli Timur'       => array(),
+				'Mangoli Utara'       => array(),
+				'Mangoli Utara Timur' => array(),
+				'Sanana'              => array(),
+				'Sanana Utara'        => array(),
+				'Sulabesi Barat'      => array(),
+				'Sulabesi Selatan'    => array(),
+				'Sulabesi Tengah'     => array(),
+				'Sulabesi Timur'      => array(),
+			),
+			'Kabupaten Pulau Morotai'     => array(
+				'Morotai Jaya'          => array(),
+				'Morotai Selatan'       => array(),
+				'Morotai Selatan Barat' => array(),
+				'Morotai Timur'         => array(),
+				'Morotai Utara'         => array(),
+				'Pulau Rao'             => array(),
+			),
+			'Kabupaten Pulau Taliabu'     => array(
+				'Lede'                  => array(),
+				'Tabona'                => array(),
+				'Taliabu Barat'         => array(),
+				'Taliabu Barat Laut'    => array(),
+				'Taliabu Selatan'       => array(),
+				'Taliabu Timur'         => array(),
+				'Taliabu Timur Selatan' => array(),
+				'Taliabu Utara'         => array(),
+			),
+			'Kota Ternate'                => array(
+				'Kota Ternate Selatan' => array(),
+				'Kota Ternate Tengah'  => array(),
+				'Kota Ternate Utara'   => array(),
+				'Moti'                 => array(),
+				'Pulau Batang Dua'     => array(),
+				'Pulau Hiri'           => array(),
+				'Pulau Ternate'        => array(),
+				'Ternate Barat'        => array(),
+			),
+			'Kota Tidore Kepulauan'       => array(
+				'Oba'            => array(),
+				'Oba Selatan'    => array(),
+				'Oba Tengah'     => array(),
+				'Oba Utara'      => array(),
+				'Tidore'         => array(),
+				'Tidore Selatan' => array(),
+				'Tidore Timur'   => array(),
+				'Tidore Utara'   => array(),
+			),
+		),
+		'PA' => array(
+			'Kabupaten Asmat'              => array(
+				'Agats'            => array(),
+				'Akat'             => array(),
+				'Aswi'             => array(),
+				'Atsj'             => array(),
+				'Awyu'             => array(),
+				'Ayib'             => array(),
+				'Betcbamu'         => array(),
+				'Der Koumur'       => array(),
+				'Fayit'            => array(),
+				'Jetsy'            => array(),
+				'Joerat'           => array(),
+				'Joutu'            => array(),
+				'Kolf Braza'       => array(),
+				'Kopay'            => array(),
+				'Koroway Buluanop' => array(),
+				'Pantai Kasuari'   => array(),
+				'Pulau Tiga'       => array(),
+				'Safan'            => array(),
+				'Sawa Erma'        => array(),
+				'Sirets'           => array(),
+				'Sor Ep'           => array(),
+				'Suator'           => array(),
+				'Suru-suru'        => array(),
+				'Tomor Birip'      => array(),
+				'Unir Sirau'       => array(),
+			),
+			'Kabupaten Biak Numfor'        => array(
+				'Aimando Padaido' => array(),
+				'Andey'           => array(),
+				'Biak Barat'      => array(),
+				'Biak Kota'       => array(),
+				'Biak Timur'      => array(),
+				'Biak Utara'      => array(),
+				'Bondifuar'       => array(),
+				'Bruyadori'       => array(),
+				'Numfor Barat'    => array(),
+				'Numfor Timur'    => array(),
+				'Oridek'          => array(),
+				'Orkeri'          => array(),
+				'Padaido'         => array(),
+				'Poiru'           => array(),
+				'Samofa'          => array(),
+				'Swandiwe'        => array(),
+				'Warsa'           => array(),
+				'Yawosi'          => array(),
+				'Yendidori'       => array(),
+			),
+			'Kabupaten Boven Digoel'       => array(
+				'Ambatkwi'   => array(),
+				'Arimop'     => array(),
+				'Bomakia'    => array(),
+				'Firiwage'   => array(),
+				'Fofi'       => array(),
+				'Iniyandit'  => array(),
+				'Jair'       => array(),
+				'Kawagit'    => array(),
+				'Ki'         => array(),
+				'Kombay'     => array(),
+				'Kombut'     => array(),
+				'Kouh'       => array(),
+				'Mandobo'    => array(),
+				'Manggelum'  => array(),
+				'Mindiptana' => array(),
+				'Ninati'     => array(),
+				'Sesnuk'     => array(),
+				'Subur'      => array(),
+				'Waropko'    => array(),
+				'Yaniruma'   => array(),
+			),
+			'Kabupaten Deiyai'             => array(
+				'Bowobado'   => array(),
+				'Kapiraya'   => array(),
+				'Tigi'       => array(),
+				'Tigi Barat' => array(),
+				'Tigi Timur' => array(),
+			),
+			'Kabupaten Dogiyai'            => array(
+				'Dogiyai'         => array(),
+				'Kamu'            => array(),
+				'Kamu Selatan'    => array(),
+				'Kamu Timur'      => array(),
+				'Kamu Utara'      => array(),
+				'Mapia'           => array(),
+				'Mapia Barat'     => array(),
+				'Mapia Tengah'    => array(),
+				'Piyaiye'         => array(),
+				'Sukikai Selatan' => array(),
+			),
+			'Kabupaten Intan Jaya'         => array(
+				'Agisiga'  => array(),
+				'Biandoga' => array(),
+				'Hitadipa' => array(),
+				'Homeyo'   => array(),
+				'Sugapa'   => array(),
+				'Tomosiga' => array(),
+				'Ugimba'   => array(),
+				'Wandai'   => array(),
+			),
+			'Kabupaten Jayapura'           => array(
+				'Airu'          => array(),
+				'Demta'         => array(),
+				'Depapre'       => array(),
+				'Ebungfao'      => array(),
+				'Gresi Selatan' => array(),
+				'Kaureh'        => array(),
+				'Kemtuk'        => array(),
+				'Kemtuk Gresi'  => array(),
+				'Nambluong'     => array(),
+				'Nimbokrang'    => array(),
+				'Nimboran'      => array(),
+				'Raveni Rara'   => array(),
+				'Sentani'       => array(),
+				'Sentani Barat' => array(),
+				'Sentani Timur' => array(),
+				'Unurum Guay'   => array(),
+				'Waibu'         => array(),
+				'Yapsi'         => array(),
+				'Yokari'        => array(),
+			),
+			'Kabupaten Jayawijaya'         => array(
+				'Asologaima'      => array(),
+				'Asolokobal'      => array(),
+				'Asotipo'         => array(),
+				'Bolakme'         => array(),
+				'Bpiri'           => array(),
+				'Bugi'            => array(),
+				'Hubikiak'        => array(),
+				'Hubikosi'        => array(),
+				'Ibele'           => array(),
+				'Itlay Hisage'    => array(),
+				'Koragi'          => array(),
+				'Kurulu'          => array(),
+				'Libarek'         => array(),
+				'Maima'           => array(),
+				'Molagalome'      => array(),
+				'Muliama'         => array(),
+				'Musatfak'        => array(),
+				'Napua'           => array(),
+				'Pelebaga'        => array(),
+				'Piramid'         => array(),
+				'Pisugi'          => array(),
+				'Popugoba'        => array(),
+				'Siepkosi'        => array(),
+				'Silo Karno Doga' => array(),
+				'Taelarek'        => array(),
+				'Tagime'          => array(),
+				'Tagineri'        => array(),
+				'Trikora'         => array(),
+				'Usilimo'         => array(),
+				'Wadangku'        => array(),
+				'Walaik'          => array(),
+				'Walelagama'      => array(),
+				'Wame'            => array(),
+				'Wamena'          => array(),
+				'Welesi'          => array(),
+				'Wesaput'         => array(),
+				'Wita Waya'       => array(),
+				'Wolo'            => array(),
+				'Wouma'           => array(),
+				'Yalengga'        => array(),
+			),
+			'Kabupaten Keerom'             => array(
+				'Arso'       => array(),
+				'Arso Barat' => array(),
+				'Arso Timur' => array(),
+				'Kaisenar'   => array(),
+				'Mannem'     => array(),
+				'Senggi'     => array(),
+				'Skanto'     => array(),
+				'Towe'       => array(),
+				'Waris'      => array(),
+				'Web'        => array(),
+				'Yaffi'      => array(),
+			),
+			'Kabupaten Kepulauan Yapen'    => array(
+				'Angkaisera'      => array(),
+				'Anotaurei'       => array(),
+				'Kepulauan Ambai' => array(),
+				'Kosiwo'          => array(),
+				'Nusawani'        => array(),
+				'Poom'            => array(),
+				'Pulau Kurudu'    => array(),
+				'Pulau Yerui'     => array(),
+				'Raimbawi'        => array(),
+				'Teluk Ampimoi'   => array(),
+				'Windesi'         => array(),
+				'Wonawa'          => array(),
+				'Yapen Barat'     => array(),
+				'Yapen Selatan'   => array(),
+				'Yapen Timur'     => array(),
+				'Yapen Utara'     => array(),
+				'Yawakukat'       => array(),
+			),
+			'Kabupaten Lanny Jaya'         => array(
+				'Awina'          => array(),
+				'Ayumnati'       => array(),
+				'Balingga'       => array(),
+				'Balingga Barat' => array(),
+				'Bruwa'          => array(),
+				'Buguk Gona'     => array(),
+				'Dimba'          => array(),
+				'Gamelia'        => array(),
+				'Gelok Beam'     => array(),
+				'Goa Balim'      => array(),
+				'Gollo'          => array(),
+				'Guna'           => array(),
+				'Gupura'         => array(),
+				'Karu'           => array(),
+				'Kelulome'       => array(),
+				'Kolawa'         => array(),
+				'Kuly Lanny'     => array(),
+				'Kuyawage'       => array(),
+				'Lannyna'        => array(),
+				'Makki'          => array(),
+				'Melagi'         => array(),
+				'Melagineri'     => array(),
+				'Milimbo'        => array(),
+				'Mokoni'         => array(),
+				'Muara'          => array(),
+				'Nikogwe'        => array(),
+				'Niname'         => array(),
+				'Nogi'           => array(),
+				'Pirime'         => array(),
+				'Poga'           => array(),
+				'Tiom'           => array(),
+				'Tiom Ollo'      => array(),
+				'Tiomneri'       => array(),
+				'Wano Barat'     => array(),
+				'Wereka'         => array(),
+				'Wiringgambut'   => array(),
+				'Yiginua'        => array(),
+				'Yiluk'          => array(),
+				'Yugungwi'       => array(),
+			),
+			'Kabupaten Mamberamo Raya'     => array(
+				'Benuki'                 => array(),
+				'Mamberamo Hilir'        => array(),
+				'Mamberamo Hulu'         => array(),
+				'Mamberamo Tengah'       => array(),
+				'Mamberamo Tengah Timur' => array(),
+				'Rufaer'                 => array(),
+				'Sawai'                  => array(),
+				'Waropen Atas'           => array(),
+			),
+			'Kabupaten Mamberamo Tengah'   => array(
+				'Eragayam'   => array(),
+				'Ilugwa'     => array(),
+				'Kelila'     => array(),
+				'Kobakma'    => array(),
+				'Megambilis' => array(),
+			),
+			'Kabupaten Mappi'              => array(
+				'Assue'           => array(),
+				'Bamgi'           => array(),
+				'Citak-Mitak'     => array(),
+				'Edera'           => array(),
+				'Haju'            => array(),
+				'Kaibar'          => array(),
+				'Mambioman Bapai' => array(),
+				'Minyamur'        => array(),
+				'Obaa'            => array(),
+				'Passue'          => array(),
+				'Passue Bawah'    => array(),
+				'Syahcame'        => array(),
+				'Ti Zain'         => array(),
+				'Venaha'          => array(),
+				'Yakomi'          => array(),
+			),
+			'Kabupaten Merauke'            => array(
+				'Animha'       => array(),
+				'Elikobal'     => array(),
+				'Ilwayab'      => array(),
+				'Jagebob'      => array(),
+				'Kaptel'       => array(),
+				'Kimaam'       => array(),
+				'Kontuar'      => array(),
+				'Kurik'        => array(),
+				'Malind'       => array(),
+				'Merauke'      => array(),
+				'Muting'       => array(),
+				'Naukenjerai'  => array(),
+				'Ngguti'       => array(),
+				'Okaba'        => array(),
+				'Padua'        => array(),
+				'Semangga'     => array(),
+				'Sota'         => array(),
+				'Tabonji'      => array(),
+				'Tanah Miring' => array(),
+				'Tubang'       => array(),
+				'Ulilin'       => array(),
+				'Waan'         => array(),
+			),
+			'Kabupaten Mimika'             => array(
+				'Agimuga'             => array(),
+				'Alama'               => array(),
+				'Amar'                => array(),
+				'Hoya'                => array(),
+				'Iwaka'               => array(),
+				'Jila'                => array(),
+				'Jita'                => array(),
+				'Kuala Kencana'       => array(),
+				'Kwamki Narama'       => array(),
+				'Mimika Barat'        => array(),
+				'Mimika Barat Jauh'   => array(),
+				'Mimika Barat Tengah' => array(),
+				'Mimika Baru'         => array(),
+				'Mimika Tengah'       => array(),
+				'Mimika Timur'        => array(),
+				'Mimika Timur Jauh'   => array(),
+				'Tembagapura'         => array(),
+				'Wania'               => array(),
+			),
+			'Kabupaten Nabire'             => array(
+				'Dipa'         => array(),
+				'Makimi'       => array(),
+				'Menou'        => array(),
+				'Moora'        => array(),
+				'Nabire'       => array(),
+				'Nabire Barat' => array(),
+				'Napan'        => array(),
+				'Siriwo'       => array(),
+				'Teluk Kimi'   => array(),
+				'Teluk Umar'   => array(),
+				'Uwapa'        => array(),
+				'Wanggar'      => array(),
+				'Wapoga'       => array(),
+				'Yaro'         => array(),
+				'Yaur'         => array(),
+			),
+			'Kabupaten Nduga'              => array(
+				'Alama'        => array(),
+				'Dal'          => array(),
+				'Embetpen'     => array(),
+				'Gearek'       => array(),
+				'Geselma'      => array(),
+				'Inikgal'      => array(),
+				'Iniye'        => array(),
+				'Kegayem'      => array(),
+				'Kenyam'       => array(),
+				'Kilmid'       => array(),
+				'Kora'         => array(),
+				'Koroptak'     => array(),
+				'Krepkuri'     => array(),
+				'Mam'          => array(),
+				'Mapenduma'    => array(),
+				'Mbua Tengah'  => array(),
+				'Mbulmu Yalma' => array(),
+				'Mbuwa'        => array(),
+				'Mebarok'      => array(),
+				'Moba'         => array(),
+				'Mugi'         => array(),
+				'Nenggeagin'   => array(),
+				'Nirkuri'      => array(),
+				'Paro'         => array(),
+				'Pasir Putih'  => array(),
+				'Pija'         => array(),
+				'Wosak'        => array(),
+				'Wusi'         => array(),
+				'Wutpaga'      => array(),
+				'Yal'          => array(),
+				'Yenggelo'     => array(),
+				'Yigi'         => array(),
+			),
+			'Kabupaten Paniai'             => array(
+				'Aradide'      => array(),
+				'Aweida'       => array(),
+				'Baya Biru'    => array(),
+				'Bibida'       => array(),
+				'Bogabaida'    => array(),
+				'Deiyai Miyo'  => array(),
+				'Dogomo'       => array(),
+				'Dumadama'     => array(),
+				'Ekadide'      => array(),
+				'Fajar Timur'  => array(),
+				'Kebo'         => array(),
+				'Muye'         => array(),
+				'Nakama'       => array(),
+				'Paniai Barat' => array(),
+				'Paniai Timur' => array(),
+				'Pugo Dagi'    => array(),
+				'Siriwo'       => array(),
+				'Teluk Deya'   => array(),
+				'Topiyai'      => array(),
+				'Wegee Bino'   => array(),
+				'Wegee Muka'   => array(),
+				'Yagai'        => array(),
+				'Yatamo'       => array(),
+				'Youtadi'      => array(),
+			),
+			'Kabupaten Pegunungan Bintang' => array(
+				'Aboy'          => array(),
+				'Alemsom'       => array(),
+				'Awinbon'       => array(),
+				'Batani'        => array(),
+				'Batom'         => array(),
+				'Bime'          => array(),
+				'Borme'         => array(),
+				'Eipumek'       => array(),
+				'Iwur'          => array(),
+				'Jetfa'         => array(),
+				'Kalomdol'      => array(),
+				'Kawor'         => array(),
+				'Kiwirok'       => array(),
+				'Kiwirok Timur' => array(),
+				'Mofinop'       => array(),
+				'Murkim'        => array(),
+				'Nongme'        => array(),
+				'Ok Aom'        => array(),
+				'Okbab'         => array(),
+				'Okbape'        => array(),
+				'Okbemtau'      => array(),
+				'Okbibab'       => array(),
+				'Okhika'        => array(),
+				'Oklip'         => array(),
+				'Oksamol'       => array(),
+				'Oksebang'      => array(),
+				'Oksibil'       => array(),
+				'Oksop'         => array(),
+				'Pamek'         => array(),
+				'Pepera'        => array(),
+				'Serambakon'    => array(),
+				'Tarup'         => array(),
+				'Teiraplu'      => array(),
+				'Weime'         => array(),
+			),
+			'Kabupaten Puncak'             => array(
+				'Agandugume'  => array(),
+				'Amungkalpia' => array(),
+				'Beoga'       => array(),
+				'Beoga Barat' => array(),
+				'Beoga Timur' => array(),
+				'Bina'        => array(),
+				'Dervos'      => array(),
+				'Doufo'       => array(),
+				'Erelmakawia' => array(),
+				'Gome'        => array(),
+				'Gome Utara'  => array(),
+				'Ilaga'       => array(),
+				'Ilaga Utara' => array(),
+				'Kembru'      => array(),
+				'Lambewi'     => array(),
+				'Mabugi'      => array(),
+				'Mage\'abume' => array(),
+				'Ogamanim'    => array(),
+				'Omukia'      => array(),
+				'Oneri'       => array(),
+				'Pogoma'      => array(),
+				'Sinak'       => array(),
+				'Sinak Barat' => array(),
+				'Wangbe'      => array(),
+				'Yugumuak'    => array(),
+			),
+			'Kabupaten Puncak Jaya'        => array(
+				'Dagai'        => array(),
+				'Dokome'       => array(),
+				'Fawi'         => array(),
+				'Gubume'       => array(),
+				'Gurage'       => array(),
+				'Ilamburawi'   => array(),
+				'Ilu'          => array(),
+				'Irimuli'      => array(),
+				'Kalome'       => array(),
+				'Kiyage'       => array(),
+				'Lumo'         => array(),
+				'Mewoluk'      => array(),
+				'Molanikime'   => array(),
+				'Muara'        => array(),
+				'Mulia'        => array(),
+				'Nioga'        => array(),
+				'Nume'         => array(),
+				'Pagaleme'     => array(),
+				'Taganombak'   => array(),
+				'Tingginambut' => array(),
+				'Torere'       => array(),
+				'Waegi'        => array(),
+				'Wanwi'        => array(),
+				'Yambi'        => array(),
+				'Yamo'         => array(),
+				'Yamoneri'     => array(),
+			),
+			'Kabupaten Sarmi'              => array(
+				'Apawer Hulu'               => array(),
+				'Bonggo'                    => array(),
+				'Bonggo Timur'              => array(),
+				'Pantai Barat'              => array(),
+				'Pantai Timur'              => array(),
+				'Pantai Timur Bagian Barat' => array(),
+				'Sarmi'                     => array(),
+				'Sarmi Selatan'             => array(),
+				'Sarmi Timur'               => array(),
+				'Tor Atas'                  => array(),
+			),
+			'Kabupaten Supiori'            => array(
+				'Kepulauan Aruri' => array(),
+				'Supiori Barat'   => array(),
+				'Supiori Selatan' => array(),
+				'Supiori Timur'   => array(),
+				'Supiori Utara'   => array(),
+			),
+			'Kabupaten Tolikara'           => array(
+				'Airgaram'        => array(),
+				'Anawi'           => array(),
+				'Aweku'           => array(),
+				'Bewani'          => array(),
+				'Biuk'            => array(),
+				'Bogonuk'         => array(),
+				'Bokondini'       => array(),
+				'Bokoneri'        => array(),
+				'Danime'          => array(),
+				'Dow'             => array(),
+				'Dundu'           => array(),
+				'Egiam'           => array(),
+				'Geya'            => array(),
+				'Gika'            => array(),
+				'Gilubandu'       => array(),
+				'Goyage'          => array(),
+				'Gundagi'         => array(),
+				'Kai'             => array(),
+				'Kamboneri'       => array(),
+				'Kanggime'        => array(),
+				'Karubaga'        => array(),
+				'Kembu'           => array(),
+				'Konda/ Kondaga'  => array(),
+				'Kuari'           => array(),
+				'Kubu'            => array(),
+				'Li Anogomma'     => array(),
+				'Nabunage'        => array(),
+				'Nelawi'          => array(),
+				'Numba'           => array(),
+				'Nunggawi'        => array(),
+				'Panaga'          => array(),
+				'Poganeri'        => array(),
+				'Tagime'          => array(),
+				'Tagineri'        => array(),
+				'Telenggeme'      => array(),
+				'Timori'          => array(),
+				'Umagi'           => array(),
+				'Wakuwo'          => array(),
+				'Wari/Taiyeve II' => array(),
+				'Wenam'           => array(),
+				'Wina'            => array(),
+				'Woniki'          => array(),
+				'Wugi'            => array(),
+				'Wunim'           => array(),
+				'Yuko'            => array(),
+				'Yuneri'          => array(),
+			),
+			'Kabupaten Waropen'            => array(
+				'Demba'         => array(),
+				'Inggerus'      => array(),
+				'Kirihi'        => array(),
+				'Masirei'       => array(),
+				'Oudate'        => array(),
+				'Risei Sayati'  => array(),
+				'Soyoi Mambai'  => array(),
+				'Urei Faisei'   => array(),
+				'Wapoga'        => array(),
+				'Waropen Bawah' => array(),
+				'Wonti'         => array(),
+			),
+			'Kabupaten Yahukimo'           => array(
+				'Amuma'       => array(),
+				'Anggruk'     => array(),
+				'Bomela'      => array(),
+				'Dekai'       => array(),
+				'Dirwemna'    => array(),
+				'Duram'       => array(),
+				'Endomen'     => array(),
+				'Hereapini'   => array(),
+				'Hilipuk'     => array(),
+				'Hogio'       => array(),
+				'Holuwon'     => array(),
+				'Kabianggama' => array(),
+				'Kayo'        => array(),
+				'Kona'        => array(),
+				'Korupun'     => array(),
+				'Kosarek'     => array(),
+				'Kurima'      => array(),
+				'Kwelamdua'   => array(),
+				'Kwikma'      => array(),
+				'Langda'      => array(),
+				'Lolat'       => array(),
+				'Mugi'        => array(),
+				'Musaik'      => array(),
+				'Nalca'       => array(),
+				'Ninia'       => array(),
+				'Nipsan'      => array(),
+				'Obio'        => array(),
+				'Panggema'    => array(),
+				'Pasema'      => array(),
+				'Pronggoli'   => array(),
+				'Puldama'     => array(),
+				'Samenage'    => array(),
+				'Sela'        => array(),
+				'Seradala'    => array(),
+				'Silimo'      => array(),
+				'Soba'        => array(),
+				'Sobaham'     => array(),
+				'Soloikma'    => array(),
+				'Sumo'        => array(),
+				'Suntamon'    => array(),
+				'Suru Suru'   => array(),
+				'Talambo'     => array(),
+				'Tangma'      => array(),
+				'Ubahak'      => array(),
+				'Ubalihi'     => array(),
+				'Ukha'        => array(),
+				'Walma'       => array(),
+				'Werima'      => array(),
+				'Wusama'      => array(),
+				'Yahuliambut' => array(),
+				'Yogosem'     => array(),
+			),
+			'Kabupaten Yalimo'             => array(
+				'Abenaho'    => array(),
+				'Apalapsili' => array(),
+				'Benawa'     => array(),
+				'Elelim'     => array(),
+				'Welarek'    => array(),
+			),
+			'Kota Jayapura'                => array(
+				'Abepura'          => array(),
+				'Heram'            => array(),
+				'Jayapura Selatan' => array(),
+				'Jayapura Utara'   => array(),
+				'Muara Tami'       => array(),
+			),
+		),
+		'PB' => array(
+			'Kabupaten Fak Fak'           => array(
+				'Arguni'              => array(),
+				'Bomberay'            => array(),
+				'Fak-Fak'             => array(),
+				'Fak-Fak Barat'       => array(),
+				'Fak-Fak Tengah'      => array(),
+				'Fak-Fak Timur'       => array(),
+				'Fakfak Timur Tengah' => array(),
+				'Furwagi'             => array(),
+				'Karas'               => array(),
+				'Kayauni'             => array(),
+				'Kokas'               => array(),
+				'Kramongmongga'       => array(),
+				'Mbahamdandara'       => array(),
+				'Pariwari'            => array(),
+				'Teluk Patipi'        => array(),
+				'Tomage'              => array(),
+				'Wartutin'            => array(),
+			),
+			'Kabupaten Kaimana'           => array(
+				'Buruway'            => array(),
+				'Kaimana'            => array(),
+				'Kambrau'            => array(),
+				'Teluk Arguni Atas'  => array(),
+				'Teluk Arguni Bawah' => array(),
+				'Teluk Etna'         => array(),
+				'Yamor'              => array(),
+			),
+			'Kabupaten Manokwari'         => array(
+				'Aimasi'            => array(),
+				'Manokwari Barat'   => array(),
+				'Manokwari Selatan' => array(),
+				'Manokwari Timur'   => array(),
+				'Manokwari Utara'   => array(),
+				'Masni'             => array(),
+				'Masni Utara'       => array(),
+				'Mokwam'            => array(),
+				'Moruj Mega'        => array(),
+				'Prafi'             => array(),
+				'Sidey'             => array(),
+				'Tanah Rubuh'       => array(),
+				'Warmare'           => array(),
+				'Wasirawi'          => array(),
+			),
+			'Kabupaten Manokwari Selatan' => array(
+				'Dataran Isim' => array(),
+				'Momi Waren'   => array(),
+				'Neney'        => array(),
+				'Oransbari'    => array(),
+				'Ransiki'      => array(),
+				'Tahota'       => array(),
+			),
+			'Kabupaten Maybrat'           => array(
+				'Aifat'                 => array(),
+				'Aifat Selatan'         => array(),
+				'Aifat Timur'           => array(),
+				'Aifat Timur Jauh'      => array(),
+				'Aifat Timur Selatan'   => array(),
+				'Aifat Timur Tengah'    => array(),
+				'Aifat Utara'           => array(),
+				'Aitinyo'               => array(),
+				'Aitinyo Barat'         => array(),
+				'Aitinyo Raya'          => array(),
+				'Aitinyo Tengah'        => array(),
+				'Aitinyo Utara'         => array(),
+				'Ayamaru'               => array(),
+				'Ayamaru Barat'         => array(),
+				'Ayamaru Jaya'          => array(),
+				'Ayamaru Selatan'       => array(),
+				'Ayamaru Selatan Jaya'  => array(),
+				'Ayamaru Tengah'        => array(),
+				'Ayamaru Timur'         => array(),
+				'Ayamaru Timur Selatan' => array(),
+				'Ayamaru Utara'         => array(),
+				'Ayamaru Utara Timur'   => array(),
+				'Mare'                  => array(),
+				'Mare Selatan'          => array(),
+			),
+			'Kabupaten Pegunungan Arfak'  => array(
+				'Anggi'       => array(),
+				'Anggi Gida'  => array(),
+				'Catubouw'    => array(),
+				'Didohu'      => array(),
+				'Hingk'       => array(),
+				'Membey'      => array(),
+				'Minyambaouw' => array(),
+				'Sururey'     => array(),
+				'Taige'       => array(),
+				'Testega'     => array(),
+			),
+			'Kabupaten Raja Ampat'        => array(
+				'Ayau'                   => array(),
+				'Batanta Selatan'        => array(),
+				'Batanta Utara'          => array(),
+				'Kepulauan Ayau'         => array(),
+				'Kepulauan Sembilan'     => array(),
+				'Kofiau'                 => array(),
+				'Kota Waisai'            => array(),
+				'Meos Mansar'            => array(),
+				'Misool (Misool Utara)'  => array(),
+				'Misool Barat'           => array(),
+				'Misool Selatan'         => array(),
+				'Misool Timur'           => array(),
+				'Salawati Barat'         => array(),
+				'Salawati Tengah'        => array(),
+				'Salawati Utara'         => array(),
+				'Supnin'                 => array(),
+				'Teluk Mayalibit'        => array(),
+				'Tiplol Mayalibit'       => array(),
+				'Waigeo Barat'           => array(),
+				'Waigeo Barat Kepulauan' => array(),
+				'Waigeo Selatan'         => array(),
+				'Waigeo Timur'           => array(),
+				'Waigeo Utara'           => array(),
+				'Warwarbomi'             => array(),
+			),
+			'Kabupaten Sorong'            => array(
+				'Aimas'            => array(),
+				'Bagun'            => array(),
+				'Beraur'           => array(),
+				'Botain'           => array(),
+				'Buk'              => array(),
+				'Hobard'           => array(),
+				'Klabot'           => array(),
+				'Klamono'          => array(),
+				'Klasafet'         => array(),
+				'Klaso'            => array(),
+				'Klawak'           => array(),
+				'Klayili'          => array(),
+				'Konhir'           => array(),
+				'Makbon'           => array(),
+				'Malabotom'        => array(),
+				'Mariat'           => array(),
+				'Maudus'           => array(),
+				'Mayamuk'          => array(),
+				'Moisegen'         => array(),
+				'Saengkeduk'       => array(),
+				'Salawati'         => array(),
+				'Salawati Selatan' => array(),
+				'Salawati Tengah'  => array(),
+				'Sayosa'           => array(),
+				'Sayosa Timur'     => array(),
+				'Seget'            => array(),
+				'Segun'            => array(),
+				'Sorong'           => array(),
+				'Sunook'           => array(),
+				'Wemak'            => array(),
+			),
+			'Kabupaten Sorong Selatan'    => array(
+				'Fokour'       => array(),
+				'Inanwatan'    => array(),
+				'Kais'         => array(),
+				'Kais Darat'   => array(),
+				'Kokoda'       => array(),
+				'Kokoda Utara' => array(),
+				'Konda'        => array(),
+				'Matemani'     => array(),
+				'Moswaren'     => array(),
+				'Saifi'        => array(),
+				'Salkma'       => array(),
+				'Sawiat'       => array(),
+				'Seremuk'      => array(),
+				'Teminabuan'   => array(),
+				'Wayer'        => array(),
+			),
+			'Kabupaten Tambrauw'          => array(
+				'Abun'             => array(),
+				'Amberbaken'       => array(),
+				'Amberbaken Barat' => array(),
+				'Ases'             => array(),
+				'Bamusbama'        => array(),
+				'Bikar'            => array(),
+				'Fef'              => array(),
+				'Ireres'           => array(),
+				'Kasi'             => array(),
+				'Kebar'            => array(),
+				'Kebar Selatan'    => array(),
+				'Kebar Timur'      => array(),
+				'Kwesefo'          => array(),
+				'Kwoor'            => array(),
+				'Manekar'          => array(),
+				'Mawabuan'         => array(),
+				'Miyah'            => array(),
+				'Miyah Selatan'    => array(),
+				'Moraid'           => array(),
+				'Mpur'             => array(),
+				'Mubrani'          => array(),
+				'Sausapor'         => array(),
+				'Selemkai'         => array(),
+				'Senopi'           => array(),
+				'Syujak'           => array(),
+				'Tinggouw'         => array(),
+				'Tobouw'           => array(),
+				'Wilhem Roumbouts' => array(),
+				'Yembun'           => array(),
+			),
+			'Kabupaten Teluk Bintuni'     => array(
+				'Aranday'         => array(),
+				'Aroba'           => array(),
+				'Babo'            => array(),
+				'Bintuni'         => array(),
+				'Biscoop'         => array(),
+				'Dataran Beimes'  => array(),
+				'Fafurwar'        => array(),
+				'Kaitaro'         => array(),
+				'Kamundan'        => array(),
+				'Kuri'            => array(),
+				'Manimeri'        => array(),
+				'Masyeta'         => array(),
+				'Merdey'          => array(),
+				'Meyado'          => array(),
+				'Moskona Barat'   => array(),
+				'Moskona Selatan' => array(),
+				'Moskona Timur'   => array(),
+				'Moskona Utara'   => array(),
+				'Sumuri'          => array(),
+				'Tembuni'         => array(),
+				'Tomu'            => array(),
+				'Tuhiba'          => array(),
+				'Wamesa'          => array(),
+				'Weriagar'        => array(),
+			),
+			'Kabupaten Teluk Wondama'     => array(
+				'Kuri Wamesa'  => array(),
+				'Naikere'      => array(),
+				'Nikiwar'      => array(),
+				'Rasiei'       => array(),
+				'Roon'         => array(),
+				'Roswar'       => array(),
+				'Rumberpon'    => array(),
+				'Soug Jaya'    => array(),
+				'Teluk Duairi' => array(),
+				'Wamesa'       => array(),
+				'Wasior'       => array(),
+				'Windesi'      => array(),
+				'Wondiboy'     => array(),
+			),
+			'Kota Sorong'                 => array(
+				'Klaurung'         => array(),
+				'Maladum Mes'      => array(),
+				'Malaimsimsa'      => array(),
+				'Sorong'           => array(),
+				'Sorong Barat'     => array(),
+				'Sorong Kepulauan' => array(),
+				'Sorong Kota'      => array(),
+				'Sorong Manoi'     => array(),
+				'Sorong Timur'     => array(),
+				'Sorong Utara'     => array(),
+			),
+		),
+	),
+);
@@ -98,7 +98,7 @@ if ( ! class_exists( 'WC_Admin_Assets', false ) ) :
 		 * Enqueue scripts.
 		 */
 		public function admin_scripts() {
-			global $wp_query, $post;
+			global $wp_query, $post, $wp_locale;
 
 			$screen       = get_current_screen();
 			$screen_id    = $screen ? $screen->id : '';
@@ -268,6 +268,9 @@ if ( ! class_exists( 'WC_Admin_Assets', false ) ) :
 					'i18n_edited_variations'              => esc_js( __( 'Save changes before changing page?', 'woocommerce' ) ),
 					'i18n_variation_count_single'         => esc_js( __( '%qty% variation', 'woocommerce' ) ),
 					'i18n_variation_count_plural'         => esc_js( __( '%qty% variations', 'woocommerce' ) ),
+					'i18n_variations_grid_errors'         => esc_js( __( 'Some variations could not be saved. Correct the highlighted rows and save again.', 'woocommerce' ) ),
+					'i18n_no_matching_variations'         => esc_js( __( 'No variations match the filter.', 'woocommerce' ) ),
+					'stock_status_options'                => wc_get_product_stock_status_options(),
 					'variations_per_page'                 => absint( apply_filters( 'woocommerce_admin_meta_boxes_variations_per_page', 15 ) ),
 				);
 
@@ -357,6 +360,7 @@ if ( ! class_exists( 'WC_Admin_Assets', false ) ) :
 					'revoke_access_nonce'           => wp_create_nonce( 'revoke-access' ),
 					'add_order_note_nonce'          => wp_create_nonce( 'add-order-note' ),
 					'delete_order_note_nonce'       => wp_create_nonce( 'delete-order-note' ),
+					'verify_bacs_payment_nonce'     => wp_create_nonce( 'verify-bacs-payment' ),
 					'calendar_image'                => WC()->plugin_url() . '/assets/images/calendar.png',
 					'post_id'                       => isset( $post->ID ) ? $post->ID : '',
 					'base_country'                  => WC()->countries->get_base_country(),
@@ -374,6 +378,8 @@ if ( ! class_exists( 'WC_Admin_Assets', false ) ) :
 					'i18n_delete_note'              => __( 'Are you sure you wish to delete this note? This action cannot be undone.', 'woocommerce' ),
 					'i18n_apply_coupon'             => __( 'Enter a coupon code to apply. Discounts are applied to line totals, before taxes.', 'woocommerce' ),
 					'i18n_add_fee'                  => __( 'Enter a fixed amount or percentage to apply as a fee.', 'woocommerce' ),
+					'i18n_verify_bacs_payment'      => __( 'Mark this order as paid? Only do this after the transfer has arrived in your bank account.', 'woocommerce' ),
+					'i18n_record_deposit_payment'   => __( 'Record this balance payment against the order?', 'woocommerce' ),
 				);
 
 				wp_localize_script( 'wc-admin-meta-boxes', 'woocommerce_admin_meta_boxes', $params );
@@ -405,11 +411,22 @@ if ( ! class_exists( 'WC_Admin_Assets', false ) ) :
 				wp_register_script( 'wc-reports', WC()->plugin_url() . '/assets/js/admin/reports' . $suffix . '.js', array( 'jquery', 'jquery-ui-datepicker' ), $version );
 
 				wp_enqueue_script( 'wc-reports' );
-				wp_enqueue_script( 'flot' );
-				wp_enqueue_script( 'flot-resize' );
-				wp_enqueue_script( 'flot-time' );
-				wp_enqueue_script( 'flot-pie' );
-				wp_enqueue_script( 'flot-stack' );
+				wp_localize_script(
+					'wc-reports',
+					'wc_reports_params',
+					array(
+						'currency'        => array(
+							'symbol'       => html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, get_bloginfo( 'charset' ) ),
+							'format'       => get_woocommerce_price_format(),
+							'decimals'     => wc_get_price_decimals(),
+							'decimal_sep'  => wc_get_price_decimal_separator(),
+							'thousand_sep' => wc_get_price_thousand_separator(),
+						),
+						'month_abbrev'    => array_values( $wp_locale->month_abbrev ),
+						'i18n_chart_hint' => __( 'Drag across the chart to zoom in. Click a point to view its orders.', 'woocommerce' ),
+						'i18n_reset_zoom' => __( 'Reset zoom', 'woocommerce' ),
+					)
+				);
 			}
 
 			// API settings.
@@ -441,6 +458,21 @@ if ( ! class_exists( 'WC_Admin_Assets', false ) ) :
 				);
 			}
 
+			// Order board.
+			if ( $wc_screen_id . '_page_wc-order-board' === $screen_id ) {
+				wp_register_script( 'wc-admin-order-board', WC()->plugin_url() . '/assets/js/admin/order-board' . $suffix . '.js', array( 'jquery', 'jquery-ui-sortable', 'jquery-blockui' ), $version );
+				wp_enqueue_script( 'wc-admin-order-board' );
+				wp_localize_script(
+					'wc-admin-order-board',
+					'wc_order_board_params',
+					array(
+						'ajax_url'   => admin_url( 'admin-ajax.php' ),
+						'nonce'      => wp_create_nonce( 'order-board' ),
+						'i18n_error' => __( 'The order could not be moved. Please reload the page and try again.', 'woocommerce' ),
+					)
+				);
+			}
+
 			if ( in_array( $screen_id, array( 'user-edit', 'profile' ) ) ) {
 				wp_register_script( 'wc-users', WC()->plugin_url() . '/assets/js/admin/users' . $suffix . '.js', array( 'jquery', 'wc-enhanced-select', 'selectWoo' ), $version, true );
 				wp_enqueue_script( 'wc-users' );
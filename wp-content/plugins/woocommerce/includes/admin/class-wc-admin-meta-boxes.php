@@ -61,6 +61,9 @@ class WC_Admin_Meta_Boxes {
 		// Save Coupon Meta Boxes.
 		add_action( 'woocommerce_process_shop_coupon_meta', 'WC_Meta_Box_Coupon_Data::save', 10, 2 );
 
+		// Save Vehicle Unit Meta Boxes.
+		add_action( 'woocommerce_process_shop_vehicle_unit_meta', 'WC_Meta_Box_Vehicle_Unit_Data::save', 10, 2 );
+
 		// Save Rating Meta Boxes.
 		add_filter( 'wp_update_comment_data', 'WC_Meta_Box_Product_Reviews::save', 1 );
 
@@ -128,6 +131,8 @@ class WC_Admin_Meta_Boxes {
 			add_meta_box( 'woocommerce-order-items', __( 'Items', 'woocommerce' ), 'WC_Meta_Box_Order_Items::output', $type, 'normal', 'high' );
 			/* Translators: %s order type name. */
 			add_meta_box( 'woocommerce-order-notes', sprintf( __( '%s notes', 'woocommerce' ), $order_type_object->labels->singular_name ), 'WC_Meta_Box_Order_Notes::output', $type, 'side', 'default' );
+			/* Translators: %s order type name. */
+			add_meta_box( 'woocommerce-order-timeline', sprintf( __( '%s timeline', 'woocommerce' ), $order_type_object->labels->singular_name ), 'WC_Meta_Box_Order_Timeline::output', $type, 'normal', 'default' );
 			add_meta_box( 'woocommerce-order-downloads', __( 'Downloadable product permissions', 'woocommerce' ) . wc_help_tip( __( 'Note: Permissions for order items will automatically be granted when the order status changes to processing/completed.', 'woocommerce' ) ), 'WC_Meta_Box_Order_Downloads::output', $type, 'normal', 'default' );
 			/* Translators: %s order type name. */
 			add_meta_box( 'woocommerce-order-actions', sprintf( __( '%s actions', 'woocommerce' ), $order_type_object->labels->singular_name ), 'WC_Meta_Box_Order_Actions::output', $type, 'side', 'high' );
@@ -136,6 +141,10 @@ class WC_Admin_Meta_Boxes {
 		// Coupons.
 		add_meta_box( 'woocommerce-coupon-data', __( 'Coupon data', 'woocommerce' ), 'WC_Meta_Box_Coupon_Data::output', 'shop_coupon', 'normal', 'high' );
 
+		// Vehicle units.
+		add_meta_box( 'woocommerce-vehicle-unit-data', __( 'Unit data', 'woocommerce' ), 'WC_Meta_Box_Vehicle_Unit_Data::output', 'shop_vehicle_unit', 'normal', 'high' );
+		add_meta_box( 'woocommerce-vehicle-unit-history', __( 'Unit history', 'woocommerce' ), 'WC_Meta_Box_Vehicle_Unit_Data::output_history', 'shop_vehicle_unit', 'side', 'default' );
+
 		// Comment rating.
 		if ( 'comment' === $screen_id && isset( $_GET['c'] ) && metadata_exists( 'comment', wc_clean( wp_unslash( $_GET['c'] ) ), 'rating' ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended
 			add_meta_box( 'woocommerce-rating', __( 'Rating', 'woocommerce' ), 'WC_Meta_Box_Product_Reviews::output', 'comment', 'normal', 'high' );
@@ -220,7 +229,7 @@ class WC_Admin_Meta_Boxes {
 		// Check the post type.
 		if ( in_array( $post->post_type, wc_get_order_types( 'order-meta-boxes' ), true ) ) {
 			do_action( 'woocommerce_process_shop_order_meta', $post_id, $post );
-		} elseif ( in_array( $post->post_type, array( 'product', 'shop_coupon' ), true ) ) {
+		} elseif ( in_array( $post->post_type, array( 'product', 'shop_coupon', 'shop_vehicle_unit' ), true ) ) {
 			do_action( 'woocommerce_process_' . $post->post_type . '_meta', $post_id, $post );
 		}
 	}
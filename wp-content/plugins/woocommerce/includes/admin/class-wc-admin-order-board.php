@@ -0,0 +1,90 @@
+<?php
+/**
+ * Board of orders grouped by status, where orders are moved between statuses by dragging them.
+ *
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Admin_Order_Board Class.
+ */
+class WC_Admin_Order_Board {
+
+	/**
+	 * Number of orders shown per status.
+	 */
+	const ORDERS_PER_STATUS = 30;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		add_action( 'admin_menu', array( $this, 'add_to_menus' ), 55 );
+	}
+
+	/**
+	 * Add the board to the WooCommerce menu.
+	 */
+	public function add_to_menus() {
+		add_submenu_page( 'woocommerce', __( 'Order board', 'woocommerce' ), __( 'Order board', 'woocommerce' ), 'edit_shop_orders', 'wc-order-board', array( $this, 'output' ) );
+	}
+
+	/**
+	 * Get the statuses shown on the board. Orders which are closed without being fulfilled are left out.
+	 *
+	 * @return array Status labels keyed by status without the wc- prefix.
+	 */
+	public static function get_statuses() {
+		$statuses = array();
+		$hidden   = apply_filters( 'woocommerce_order_board_hidden_statuses', array( 'cancelled', 'refunded', 'failed', 'checkout-draft' ) );
+
+		foreach ( wc_get_order_statuses() as $status => $label ) {
+			$status = WC_Order_Workflow::remove_status_prefix( $status );
+
+			if ( ! in_array( $status, $hidden, true ) ) {
+				$statuses[ $status ] = $label;
+			}
+		}
+
+		return $statuses;
+	}
+
+	/**
+	 * Get the latest orders of a status.
+	 *
+	 * @param string $status Status without the wc- prefix.
+	 * @return WC_Order[]
+	 */
+	protected function get_orders( $status ) {
+		return wc_get_orders(
+			array(
+				'type'    => 'shop_order',
+				'status'  => array( 'wc-' . $status ),
+				'limit'   => self::ORDERS_PER_STATUS,
+				'orderby' => 'date',
+				'order'   => 'DESC',
+			)
+		);
+	}
+
+	/**
+	 * Output the board page.
+	 */
+	public function output() {
+		$columns = array();
+
+		foreach ( self::get_statuses() as $status => $label ) {
+			$columns[ $status ] = array(
+				'label'  => $label,
+				'count'  => wc_orders_count( $status ),
+				'orders' => $this->get_orders( $status ),
+			);
+		}
+
+		include __DIR__ . '/views/html-admin-page-order-board.php';
+	}
+}
+
+new WC_Admin_Order_Board();
@@ -102,6 +102,14 @@ class WC_Admin_Post_Types {
 				include_once __DIR__ . '/list-tables/class-wc-admin-list-table-coupons.php';
 				$wc_list_table = new WC_Admin_List_Table_Coupons();
 				break;
+			case 'edit-shop_saved_cart':
+				include_once __DIR__ . '/list-tables/class-wc-admin-list-table-saved-carts.php';
+				$wc_list_table = new WC_Admin_List_Table_Saved_Carts();
+				break;
+			case 'edit-shop_vehicle_unit':
+				include_once __DIR__ . '/list-tables/class-wc-admin-list-table-vehicle-units.php';
+				$wc_list_table = new WC_Admin_List_Table_Vehicle_Units();
+				break;
 			case 'edit-product':
 				include_once __DIR__ . '/list-tables/class-wc-admin-list-table-products.php';
 				$wc_list_table = new WC_Admin_List_Table_Products();
@@ -622,6 +630,9 @@ class WC_Admin_Post_Types {
 			case 'shop_coupon':
 				$text = esc_html__( 'Coupon code', 'woocommerce' );
 				break;
+			case 'shop_vehicle_unit':
+				$text = esc_html__( 'VIN', 'woocommerce' );
+				break;
 		}
 		return $text;
 	}
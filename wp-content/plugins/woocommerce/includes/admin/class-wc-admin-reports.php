@@ -140,6 +140,15 @@ class WC_Admin_Reports {
 			);
 		}
 
+		if ( 'yes' === get_option( 'woocommerce_analytics_first_party_enabled', 'no' ) ) {
+			$reports['customers']['reports']['funnel'] = array(
+				'title'       => __( 'Checkout funnel', 'woocommerce' ),
+				'description' => '',
+				'hide_title'  => true,
+				'callback'    => array( __CLASS__, 'get_report' ),
+			);
+		}
+
 		$reports = apply_filters( 'woocommerce_admin_reports', $reports );
 		$reports = apply_filters( 'woocommerce_reports_charts', $reports ); // Backwards compatibility.
 
@@ -0,0 +1,74 @@
+<?php
+/**
+ * Daily calendar of showroom pickups and test rides.
+ *
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Admin_Showroom_Calendar Class.
+ */
+class WC_Admin_Showroom_Calendar {
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		add_action( 'admin_menu', array( $this, 'add_to_menus' ), 55 );
+	}
+
+	/**
+	 * Add the calendar to the WooCommerce menu once appointments are configured.
+	 */
+	public function add_to_menus() {
+		if ( ! WC_Showroom_Appointments::get_branches() ) {
+			return;
+		}
+
+		add_submenu_page( 'woocommerce', __( 'Showroom calendar', 'woocommerce' ), __( 'Showroom calendar', 'woocommerce' ), 'edit_shop_orders', 'wc-showroom-calendar', array( $this, 'output' ) );
+	}
+
+	/**
+	 * Get the date being viewed.
+	 *
+	 * @return string Date in Y-m-d format.
+	 */
+	protected function get_current_date() {
+		$date = isset( $_GET['date'] ) ? wc_clean( wp_unslash( $_GET['date'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+		return preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date ) ? $date : current_datetime()->format( 'Y-m-d' );
+	}
+
+	/**
+	 * Group the appointments of a date by branch and slot.
+	 *
+	 * @param string $date Date in Y-m-d format.
+	 * @return array Orders keyed by branch id, then by slot.
+	 */
+	protected function get_appointments( $date ) {
+		$appointments = array();
+
+		foreach ( WC_Showroom_Appointments::get_orders( $date ) as $order ) {
+			$appointments[ $order->get_meta( '_showroom_branch' ) ][ $order->get_meta( '_showroom_slot' ) ][] = $order;
+		}
+
+		return $appointments;
+	}
+
+	/**
+	 * Output the calendar page.
+	 */
+	public function output() {
+		$date         = $this->get_current_date();
+		$day          = date_create_immutable( $date, wp_timezone() );
+		$branches     = WC_Showroom_Appointments::get_branches();
+		$appointments = $this->get_appointments( $date );
+		$types        = WC_Showroom_Appointments::get_types();
+
+		include __DIR__ . '/views/html-admin-page-showroom-calendar.php';
+	}
+}
+
+new WC_Admin_Showroom_Calendar();
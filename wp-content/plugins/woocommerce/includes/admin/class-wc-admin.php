@@ -61,6 +61,8 @@ class WC_Admin {
 		include_once __DIR__ . '/class-wc-admin-pointers.php';
 		include_once __DIR__ . '/class-wc-admin-importers.php';
 		include_once __DIR__ . '/class-wc-admin-exporters.php';
+		include_once __DIR__ . '/class-wc-admin-showroom-calendar.php';
+		include_once __DIR__ . '/class-wc-admin-order-board.php';
 
 		include_once WC_ABSPATH . 'includes/tracks/class-wc-tracks.php';
 		include_once WC_ABSPATH . 'includes/tracks/class-wc-tracks-event.php';
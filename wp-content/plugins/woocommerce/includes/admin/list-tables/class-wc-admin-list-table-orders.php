@@ -657,6 +657,7 @@ class WC_Admin_List_Table_Orders extends WC_Admin_List_Table {
 	public function handle_bulk_actions( $redirect_to, $action, $ids ) {
 		$ids     = apply_filters( 'woocommerce_bulk_action_ids', array_reverse( array_map( 'absint', $ids ) ), $action, 'order' );
 		$changed = 0;
+		$skipped = 0;
 
 		if ( 'remove_personal_data' === $action ) {
 			$report_action = 'removed_personal_data';
@@ -676,24 +677,27 @@ class WC_Admin_List_Table_Orders extends WC_Admin_List_Table {
 
 			// Sanity check: bail out if this is actually not a status, or is not a registered status.
 			if ( isset( $order_statuses[ 'wc-' . $new_status ] ) ) {
-				// Initialize payment gateways in case order has hooked status transition actions.
-				WC()->payment_gateways();
-
 				foreach ( $ids as $id ) {
 					$order = wc_get_order( $id );
-					$order->update_status( $new_status, __( 'Order status changed by bulk edit:', 'woocommerce' ), true );
-					do_action( 'woocommerce_order_edit_status', $id, $new_status );
-					$changed++;
+
+					// Orders the workflow does not allow to move to the status are left as they are.
+					try {
+						WC_Order_Workflow::transition( $order, $new_status, __( 'Order status changed by bulk edit:', 'woocommerce' ) );
+						$changed++;
+					} catch ( Exception $e ) {
+						$skipped++;
+					}
 				}
 			}
 		}
 
-		if ( $changed ) {
+		if ( $changed || $skipped ) {
 			$redirect_to = add_query_arg(
 				array(
 					'post_type'   => $this->list_table_type,
 					'bulk_action' => $report_action,
 					'changed'     => $changed,
+					'skipped'     => $skipped,
 					'ids'         => join( ',', $ids ),
 				),
 				$redirect_to
@@ -716,14 +720,23 @@ class WC_Admin_List_Table_Orders extends WC_Admin_List_Table {
 
 		$order_statuses = wc_get_order_statuses();
 		$number         = isset( $_REQUEST['changed'] ) ? absint( $_REQUEST['changed'] ) : 0; // WPCS: input var ok, CSRF ok.
+		$skipped        = isset( $_REQUEST['skipped'] ) ? absint( $_REQUEST['skipped'] ) : 0; // WPCS: input var ok, CSRF ok.
 		$bulk_action    = wc_clean( wp_unslash( $_REQUEST['bulk_action'] ) ); // WPCS: input var ok, CSRF ok.
 
 		// Check if any status changes happened.
 		foreach ( $order_statuses as $slug => $name ) {
 			if ( 'marked_' . str_replace( 'wc-', '', $slug ) === $bulk_action ) { // WPCS: input var ok, CSRF ok.
-				/* translators: %d: orders count */
-				$message = sprintf( _n( '%d order status changed.', '%d order statuses changed.', $number, 'woocommerce' ), number_format_i18n( $number ) );
-				echo '<div class="updated"><p>' . esc_html( $message ) . '</p></div>';
+				if ( $number ) {
+					/* translators: %d: orders count */
+					$message = sprintf( _n( '%d order status changed.', '%d order statuses changed.', $number, 'woocommerce' ), number_format_i18n( $number ) );
+					echo '<div class="updated"><p>' . esc_html( $message ) . '</p></div>';
+				}
+
+				if ( $skipped ) {
+					/* translators: 1: orders count 2: order status */
+					$message = sprintf( _n( '%1$s order was not changed because the order workflow does not allow it to move to %2$s.', '%1$s orders were not changed because the order workflow does not allow them to move to %2$s.', $skipped, 'woocommerce' ), number_format_i18n( $skipped ), $name );
+					echo '<div class="error"><p>' . esc_html( $message ) . '</p></div>';
+				}
 				break;
 			}
 		}
@@ -810,6 +823,27 @@ class WC_Admin_List_Table_Orders extends WC_Admin_List_Table {
 			// @codingStandardsIgnoreEnd
 		}
 
+		// Filter the orders by the series of a report chart point. The m query var filters them by its day or month.
+		if ( ! empty( $_GET['report_status'] ) ) { // WPCS: input var ok.
+			$report_statuses = array_map(
+				function( $status ) {
+					return 'wc-' . $status;
+				},
+				explode( ',', wc_clean( wp_unslash( $_GET['report_status'] ) ) ) // WPCS: input var ok, sanitization ok.
+			);
+
+			$query_vars['post_status'] = array_values( array_intersect( $report_statuses, array_keys( wc_get_order_statuses() ) ) );
+		}
+
+		if ( ! empty( $_GET['report_breakdown'] ) && isset( $_GET['report_group'] ) ) { // WPCS: input var ok.
+			$query_vars['post__in'] = $this->get_report_group_order_ids( wc_clean( wp_unslash( $_GET['report_breakdown'] ) ), wc_clean( wp_unslash( $_GET['report_group'] ) ), isset( $query_vars['m'] ) ? $query_vars['m'] : '' ); // WPCS: input var ok, sanitization ok.
+
+			// Match no order rather than all of them.
+			if ( ! $query_vars['post__in'] ) {
+				$query_vars['post__in'] = array( 0 );
+			}
+		}
+
 		// Sorting.
 		if ( isset( $query_vars['orderby'] ) ) {
 			if ( 'order_total' === $query_vars['orderby'] ) {
@@ -837,6 +871,31 @@ class WC_Admin_List_Table_Orders extends WC_Admin_List_Table {
 		return $query_vars;
 	}
 
+	/**
+	 * Get the orders behind a breakdown group of the sales report on a day or month.
+	 *
+	 * @param string $breakdown Branch or attribute taxonomy.
+	 * @param string $group     Label of the group.
+	 * @param string $date      Day as Ymd, or month as Ym.
+	 * @return int[]
+	 */
+	protected function get_report_group_order_ids( $breakdown, $group, $date ) {
+		if ( ! preg_match( '/^\d{6}(\d{2})?$/', $date ) ) {
+			return array();
+		}
+
+		include_once WC_ABSPATH . 'includes/admin/reports/class-wc-admin-report.php';
+		include_once WC_ABSPATH . 'includes/admin/reports/class-wc-report-sales-by-date.php';
+
+		$report                 = new WC_Report_Sales_By_Date();
+		$report->chart_groupby  = 8 === strlen( $date ) ? 'day' : 'month';
+		$report->chart_interval = 0;
+		$report->start_date     = strtotime( 'day' === $report->chart_groupby ? $date : $date . '01' );
+		$report->end_date       = 'day' === $report->chart_groupby ? $report->start_date : strtotime( gmdate( 'Y-m-t', $report->start_date ) );
+
+		return $report->get_breakdown_order_ids( $breakdown, $group );
+	}
+
 	/**
 	 * Change the label when searching orders.
 	 *
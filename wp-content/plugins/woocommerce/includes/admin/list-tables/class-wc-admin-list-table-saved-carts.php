@@ -0,0 +1,242 @@
+<?php
+/**
+ * List tables: saved carts.
+ *
+ * @package  WooCommerce\Admin
+ * @version  5.6.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_Admin_List_Table_Saved_Carts', false ) ) {
+	return;
+}
+
+if ( ! class_exists( 'WC_Admin_List_Table', false ) ) {
+	include_once __DIR__ . '/abstract-class-wc-admin-list-table.php';
+}
+
+/**
+ * WC_Admin_List_Table_Saved_Carts Class.
+ */
+class WC_Admin_List_Table_Saved_Carts extends WC_Admin_List_Table {
+
+	/**
+	 * Post type.
+	 *
+	 * @var string
+	 */
+	protected $list_table_type = 'shop_saved_cart';
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		parent::__construct();
+		add_filter( 'disable_months_dropdown', '__return_true' );
+	}
+
+	/**
+	 * Render blank state.
+	 */
+	protected function render_blank_state() {
+		echo '<div class="woocommerce-BlankState">';
+		echo '<h2 class="woocommerce-BlankState-message">' . esc_html__( 'Carts saved as quotes from the cart page will appear here, along with whether they turned into an order.', 'woocommerce' ) . '</h2>';
+		echo '</div>';
+	}
+
+	/**
+	 * Define primary column.
+	 *
+	 * @return string
+	 */
+	protected function get_primary_column() {
+		return 'saved_cart';
+	}
+
+	/**
+	 * Get row actions to show in the list table.
+	 *
+	 * @param array   $actions Array of actions.
+	 * @param WP_Post $post Current post object.
+	 * @return array
+	 */
+	protected function get_row_actions( $actions, $post ) {
+		unset( $actions['inline hide-if-no-js'], $actions['edit'] );
+
+		if ( ! WC_Saved_Carts::is_expired( $post->ID ) ) {
+			$actions['view'] = '<a href="' . esc_url( WC_Saved_Carts::get_url( $post->ID ) ) . '" target="_blank">' . esc_html__( 'Open link', 'woocommerce' ) . '</a>';
+		}
+
+		return $actions;
+	}
+
+	/**
+	 * Define which columns to show on this screen.
+	 *
+	 * @param array $columns Existing columns.
+	 * @return array
+	 */
+	public function define_columns( $columns ) {
+		$show_columns               = array();
+		$show_columns['cb']         = $columns['cb'];
+		$show_columns['saved_cart'] = __( 'Quote', 'woocommerce' );
+		$show_columns['author']     = __( 'Saved by', 'woocommerce' );
+		$show_columns['items']      = __( 'Items', 'woocommerce' );
+		$show_columns['total']      = __( 'Total', 'woocommerce' );
+		$show_columns['status']     = __( 'Status', 'woocommerce' );
+		$show_columns['restored']   = __( 'Opened', 'woocommerce' );
+		$show_columns['expires']    = __( 'Expires', 'woocommerce' );
+		$show_columns['date']       = __( 'Date', 'woocommerce' );
+
+		return $show_columns;
+	}
+
+	/**
+	 * Pre-fetch any data for the row each column has access to it.
+	 *
+	 * @param int $post_id Post ID being shown.
+	 */
+	protected function prepare_row_data( $post_id ) {
+		if ( empty( $this->object ) || $this->object->ID !== $post_id ) {
+			$this->object = get_post( $post_id );
+		}
+	}
+
+	/**
+	 * Render columm: saved_cart.
+	 */
+	protected function render_saved_cart_column() {
+		echo '<strong>' . esc_html( _draft_or_post_title( $this->object->ID ) ) . '</strong>';
+
+		if ( ! WC_Saved_Carts::is_expired( $this->object->ID ) ) {
+			echo '<input type="text" class="widefat wc-saved-cart-url" readonly="readonly" value="' . esc_attr( WC_Saved_Carts::get_url( $this->object->ID ) ) . '" onfocus="this.select();" />';
+		}
+	}
+
+	/**
+	 * Render columm: items.
+	 */
+	protected function render_items_column() {
+		$names = array();
+
+		foreach ( (array) get_post_meta( $this->object->ID, '_items', true ) as $item ) {
+			$product = wc_get_product( $item['variation_id'] ? $item['variation_id'] : $item['product_id'] );
+			$name    = $product ? $product->get_name() : __( 'Deleted product', 'woocommerce' );
+			$names[] = $item['quantity'] . ' &times; ' . esc_html( $name );
+		}
+
+		echo $names ? implode( '<br />', $names ) : '&ndash;'; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	}
+
+	/**
+	 * Render columm: total.
+	 */
+	protected function render_total_column() {
+		echo wp_kses_post( wc_price( get_post_meta( $this->object->ID, '_total', true ), array( 'currency' => get_post_meta( $this->object->ID, '_currency', true ) ) ) );
+	}
+
+	/**
+	 * Render columm: status.
+	 */
+	protected function render_status_column() {
+		$status   = WC_Saved_Carts::get_status( $this->object->ID );
+		$statuses = WC_Saved_Carts::get_statuses();
+		$order    = WC_Saved_Carts::get_order( $this->object->ID );
+
+		// Reuse the colours of the order statuses.
+		$classes = array(
+			'open'      => 'status-processing',
+			'expired'   => '',
+			'ordered'   => 'status-on-hold',
+			'converted' => 'status-completed',
+		);
+
+		printf( '<mark class="order-status %s"><span>%s</span></mark>', esc_attr( $classes[ $status ] ), esc_html( $statuses[ $status ] ) );
+
+		if ( $order ) {
+			/* translators: %s: order number */
+			echo ' <a href="' . esc_url( $order->get_edit_order_url() ) . '">' . esc_html( sprintf( __( 'Order #%s', 'woocommerce' ), $order->get_order_number() ) ) . '</a>';
+		}
+	}
+
+	/**
+	 * Render columm: restored.
+	 */
+	protected function render_restored_column() {
+		echo esc_html( absint( get_post_meta( $this->object->ID, '_restore_count', true ) ) );
+	}
+
+	/**
+	 * Render columm: expires.
+	 */
+	protected function render_expires_column() {
+		$expires = WC_Saved_Carts::get_date_expires( $this->object->ID );
+
+		if ( $expires ) {
+			echo esc_html( $expires->date_i18n( get_option( 'date_format' ) ) );
+		} else {
+			echo '&ndash;';
+		}
+	}
+
+	/**
+	 * Render any custom filters and search inputs for the list table.
+	 */
+	protected function render_filters() {
+		$current_status = isset( $_REQUEST['saved_cart_status'] ) ? wc_clean( wp_unslash( $_REQUEST['saved_cart_status'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+		$statuses       = array(
+			'open'    => __( 'Open', 'woocommerce' ),
+			'expired' => __( 'Expired', 'woocommerce' ),
+			'ordered' => __( 'Turned into an order', 'woocommerce' ),
+		);
+		?>
+		<select name="saved_cart_status" id="dropdown_shop_saved_cart_status">
+			<option value=""><?php esc_html_e( 'Show all statuses', 'woocommerce' ); ?></option>
+			<?php foreach ( $statuses as $status => $label ) : ?>
+				<option value="<?php echo esc_attr( $status ); ?>" <?php selected( $status, $current_status ); ?>><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<?php
+	}
+
+	/**
+	 * Handle any custom filters.
+	 *
+	 * @param array $query_vars Query vars.
+	 * @return array
+	 */
+	protected function query_filters( $query_vars ) {
+		$status = ! empty( $_GET['saved_cart_status'] ) ? wc_clean( wp_unslash( $_GET['saved_cart_status'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+		switch ( $status ) {
+			case 'open':
+			case 'expired':
+				$query_vars['meta_query'] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+					array(
+						'key'     => '_order_id',
+						'compare' => 'NOT EXISTS',
+					),
+					array(
+						'key'     => '_expires',
+						'value'   => time(),
+						'compare' => 'open' === $status ? '>=' : '<',
+						'type'    => 'NUMERIC',
+					),
+				);
+				break;
+			case 'ordered':
+				$query_vars['meta_query'] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+					array(
+						'key'     => '_order_id',
+						'compare' => 'EXISTS',
+					),
+				);
+				break;
+		}
+
+		return $query_vars;
+	}
+}
@@ -0,0 +1,228 @@
+<?php
+/**
+ * List tables: vehicle units.
+ *
+ * @package  WooCommerce\Admin
+ * @version  5.6.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_Admin_List_Table_Vehicle_Units', false ) ) {
+	return;
+}
+
+if ( ! class_exists( 'WC_Admin_List_Table', false ) ) {
+	include_once __DIR__ . '/abstract-class-wc-admin-list-table.php';
+}
+
+/**
+ * WC_Admin_List_Table_Vehicle_Units Class.
+ */
+class WC_Admin_List_Table_Vehicle_Units extends WC_Admin_List_Table {
+
+	/**
+	 * Post type.
+	 *
+	 * @var string
+	 */
+	protected $list_table_type = 'shop_vehicle_unit';
+
+	/**
+	 * Data of the unit being shown.
+	 *
+	 * @var array
+	 */
+	protected $unit = array();
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		parent::__construct();
+		add_filter( 'disable_months_dropdown', '__return_true' );
+	}
+
+	/**
+	 * Render blank state.
+	 */
+	protected function render_blank_state() {
+		echo '<div class="woocommerce-BlankState">';
+		echo '<h2 class="woocommerce-BlankState-message">' . esc_html__( 'Register each vehicle you stock with its VIN, engine and frame number, then assign the units to the lines of the orders they are sold with.', 'woocommerce' ) . '</h2>';
+		echo '<a class="woocommerce-BlankState-cta button-primary button" href="' . esc_url( admin_url( 'post-new.php?post_type=shop_vehicle_unit' ) ) . '">' . esc_html__( 'Register your first unit', 'woocommerce' ) . '</a>';
+		echo '</div>';
+	}
+
+	/**
+	 * Define primary column.
+	 *
+	 * @return string
+	 */
+	protected function get_primary_column() {
+		return 'vin';
+	}
+
+	/**
+	 * Get row actions to show in the list table.
+	 *
+	 * @param array   $actions Array of actions.
+	 * @param WP_Post $post Current post object.
+	 * @return array
+	 */
+	protected function get_row_actions( $actions, $post ) {
+		unset( $actions['inline hide-if-no-js'] );
+
+		return $actions;
+	}
+
+	/**
+	 * Define which columns to show on this screen.
+	 *
+	 * @param array $columns Existing columns.
+	 * @return array
+	 */
+	public function define_columns( $columns ) {
+		$show_columns                  = array();
+		$show_columns['cb']            = $columns['cb'];
+		$show_columns['vin']           = __( 'VIN', 'woocommerce' );
+		$show_columns['engine_number'] = __( 'Engine number', 'woocommerce' );
+		$show_columns['frame_number']  = __( 'Frame number', 'woocommerce' );
+		$show_columns['product']       = __( 'Product', 'woocommerce' );
+		$show_columns['status']        = __( 'Status', 'woocommerce' );
+		$show_columns['last_event']    = __( 'Last event', 'woocommerce' );
+		$show_columns['date']          = __( 'Registered', 'woocommerce' );
+
+		return $show_columns;
+	}
+
+	/**
+	 * Pre-fetch any data for the row each column has access to it.
+	 *
+	 * @param int $post_id Post ID being shown.
+	 */
+	protected function prepare_row_data( $post_id ) {
+		if ( empty( $this->object ) || $this->object->ID !== $post_id ) {
+			$this->object = get_post( $post_id );
+			$this->unit   = WC_Vehicle_Units::get_unit( $post_id );
+		}
+	}
+
+	/**
+	 * Render columm: vin.
+	 */
+	protected function render_vin_column() {
+		echo '<strong><a class="row-title" href="' . esc_url( get_edit_post_link( $this->object->ID ) ) . '">' . esc_html( _draft_or_post_title( $this->object->ID ) ) . '</a></strong>';
+	}
+
+	/**
+	 * Render columm: engine_number.
+	 */
+	protected function render_engine_number_column() {
+		echo $this->unit['engine_number'] ? esc_html( $this->unit['engine_number'] ) : '&ndash;';
+	}
+
+	/**
+	 * Render columm: frame_number.
+	 */
+	protected function render_frame_number_column() {
+		echo $this->unit['frame_number'] ? esc_html( $this->unit['frame_number'] ) : '&ndash;';
+	}
+
+	/**
+	 * Render columm: product.
+	 */
+	protected function render_product_column() {
+		$product = wc_get_product( $this->unit['product_id'] );
+
+		if ( $product ) {
+			echo '<a href="' . esc_url( get_edit_post_link( $product->get_parent_id() ? $product->get_parent_id() : $product->get_id() ) ) . '">' . esc_html( wp_strip_all_tags( $product->get_formatted_name() ) ) . '</a>';
+		} else {
+			echo '&ndash;';
+		}
+	}
+
+	/**
+	 * Render columm: status.
+	 */
+	protected function render_status_column() {
+		$order = $this->unit['order_id'] ? wc_get_order( $this->unit['order_id'] ) : false;
+
+		if ( ! $this->unit['order_item_id'] ) {
+			// Reuse the colours of the order statuses.
+			echo '<mark class="order-status status-processing"><span>' . esc_html__( 'Available', 'woocommerce' ) . '</span></mark>';
+			return;
+		}
+
+		echo '<mark class="order-status status-completed"><span>' . esc_html__( 'Sold', 'woocommerce' ) . '</span></mark>';
+
+		if ( $order ) {
+			/* translators: 1: order number 2: customer name */
+			echo ' <a href="' . esc_url( $order->get_edit_order_url() ) . '">' . esc_html( sprintf( __( 'Order #%1$s, %2$s', 'woocommerce' ), $order->get_order_number(), $order->get_formatted_billing_full_name() ) ) . '</a>';
+		}
+	}
+
+	/**
+	 * Render columm: last_event.
+	 */
+	protected function render_last_event_column() {
+		$history = WC_Vehicle_Units::get_history( $this->object->ID );
+		$entry   = end( $history );
+
+		if ( ! $entry ) {
+			echo '&ndash;';
+			return;
+		}
+
+		echo esc_html( $entry['note'] ) . '<br /><small>' . esc_html( date_i18n( wc_date_format(), $entry['date'] + wc_timezone_offset() ) ) . '</small>';
+	}
+
+	/**
+	 * Render any custom filters and search inputs for the list table.
+	 */
+	protected function render_filters() {
+		$current_status = isset( $_REQUEST['vehicle_unit_status'] ) ? wc_clean( wp_unslash( $_REQUEST['vehicle_unit_status'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+		$statuses       = array(
+			'available' => __( 'Available', 'woocommerce' ),
+			'sold'      => __( 'Sold', 'woocommerce' ),
+		);
+		?>
+		<select name="vehicle_unit_status" id="dropdown_shop_vehicle_unit_status">
+			<option value=""><?php esc_html_e( 'Show all statuses', 'woocommerce' ); ?></option>
+			<?php foreach ( $statuses as $status => $label ) : ?>
+				<option value="<?php echo esc_attr( $status ); ?>" <?php selected( $status, $current_status ); ?>><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<?php
+	}
+
+	/**
+	 * Handle any custom filters.
+	 *
+	 * Searches match the VIN, engine and frame numbers anywhere within them.
+	 *
+	 * @param array $query_vars Query vars.
+	 * @return array
+	 */
+	protected function query_filters( $query_vars ) {
+		$status = ! empty( $_GET['vehicle_unit_status'] ) ? wc_clean( wp_unslash( $_GET['vehicle_unit_status'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+		if ( in_array( $status, array( 'available', 'sold' ), true ) ) {
+			$query_vars['meta_query'] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				array(
+					'key'     => '_order_item_id',
+					'compare' => 'sold' === $status ? 'EXISTS' : 'NOT EXISTS',
+				),
+			);
+		}
+
+		if ( ! empty( $query_vars['s'] ) ) {
+			$unit_ids               = WC_Vehicle_Units::search( $query_vars['s'] );
+			$query_vars['post__in'] = $unit_ids ? $unit_ids : array( 0 );
+			$query_vars['s']        = '';
+		}
+
+		return $query_vars;
+	}
+}
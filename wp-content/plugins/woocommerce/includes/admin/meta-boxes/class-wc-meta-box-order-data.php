@@ -258,7 +258,7 @@ class WC_Meta_Box_Order_Data {
 							</label>
 							<select id="order_status" name="order_status" class="wc-enhanced-select">
 								<?php
-								$statuses = wc_get_order_statuses();
+								$statuses = WC_Order_Workflow::get_selectable_statuses( $order );
 								foreach ( $statuses as $status => $status_name ) {
 									echo '<option value="' . esc_attr( $status ) . '" ' . selected( $status, 'wc-' . $order->get_status( 'edit' ), false ) . '>' . esc_html( $status_name ) . '</option>';
 								}
@@ -627,7 +627,17 @@ class WC_Meta_Box_Order_Data {
 
 		// Save order data.
 		$order->set_props( $props );
-		$order->set_status( wc_clean( wp_unslash( $_POST['order_status'] ) ), '', true );
+
+		// Status changes must be allowed by the order workflow.
+		$new_status = wc_clean( wp_unslash( $_POST['order_status'] ) );
+		$valid      = WC_Order_Workflow::validate_transition( $order, $new_status );
+
+		if ( is_wp_error( $valid ) ) {
+			WC_Admin_Meta_Boxes::add_error( $valid->get_error_message() );
+		} else {
+			$order->set_status( $new_status, '', true );
+		}
+
 		$order->save();
 	}
 }
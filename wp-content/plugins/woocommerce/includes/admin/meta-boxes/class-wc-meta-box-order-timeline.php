@@ -0,0 +1,28 @@
+<?php
+/**
+ * Order Timeline
+ *
+ * Shows the status changes, notes, payments and refunds of an order in a single timeline.
+ *
+ * @package WooCommerce\Admin\Meta Boxes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Meta_Box_Order_Timeline Class.
+ */
+class WC_Meta_Box_Order_Timeline {
+
+	/**
+	 * Output the metabox.
+	 *
+	 * @param WP_Post $post Post object.
+	 */
+	public static function output( $post ) {
+		$order  = wc_get_order( $post->ID );
+		$events = $order ? WC_Order_Workflow::get_timeline( $order ) : array();
+
+		include __DIR__ . '/views/html-order-timeline.php';
+	}
+}
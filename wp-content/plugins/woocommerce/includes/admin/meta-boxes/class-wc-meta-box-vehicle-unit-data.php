@@ -0,0 +1,153 @@
+<?php
+/**
+ * Vehicle unit data
+ *
+ * Display the vehicle unit data and history meta boxes.
+ *
+ * @package WooCommerce\Admin\Meta Boxes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Meta_Box_Vehicle_Unit_Data Class.
+ */
+class WC_Meta_Box_Vehicle_Unit_Data {
+
+	/**
+	 * Output the metabox.
+	 *
+	 * @param WP_Post $post Post object.
+	 */
+	public static function output( $post ) {
+		wp_nonce_field( 'woocommerce_save_data', 'woocommerce_meta_nonce' );
+
+		$unit    = WC_Vehicle_Units::get_unit( $post->ID );
+		$product = $unit ? wc_get_product( $unit['product_id'] ) : false;
+		?>
+		<style type="text/css">
+			#edit-slug-box, #minor-publishing-actions { display:none }
+		</style>
+		<div id="vehicle_unit_data" class="panel woocommerce_options_panel">
+			<div class="options_group">
+				<p class="form-field">
+					<label for="vehicle_unit_product_id"><?php esc_html_e( 'Product', 'woocommerce' ); ?></label>
+					<select class="wc-product-search" style="width: 50%;" id="vehicle_unit_product_id" name="vehicle_unit_product_id" data-placeholder="<?php esc_attr_e( 'Search for a product&hellip;', 'woocommerce' ); ?>" data-action="woocommerce_json_search_products_and_variations" <?php disabled( $unit && $unit['order_item_id'] ); ?>>
+						<?php if ( $product ) : ?>
+							<option value="<?php echo esc_attr( $product->get_id() ); ?>" selected="selected"><?php echo esc_html( wp_strip_all_tags( $product->get_formatted_name() ) ); ?></option>
+						<?php endif; ?>
+					</select>
+					<?php echo wc_help_tip( __( 'The product or variation this unit is sold as. It is picked from the units of the variation ordered.', 'woocommerce' ) ); // WPCS: XSS ok. ?>
+				</p>
+				<?php
+				woocommerce_wp_text_input(
+					array(
+						'id'                => 'vehicle_unit_engine_number',
+						'label'             => __( 'Engine number', 'woocommerce' ),
+						'value'             => $unit ? $unit['engine_number'] : '',
+						'custom_attributes' => array( 'autocomplete' => 'off' ),
+					)
+				);
+
+				woocommerce_wp_text_input(
+					array(
+						'id'                => 'vehicle_unit_frame_number',
+						'label'             => __( 'Frame number', 'woocommerce' ),
+						'value'             => $unit ? $unit['frame_number'] : '',
+						'custom_attributes' => array( 'autocomplete' => 'off' ),
+					)
+				);
+				?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Output the history metabox.
+	 *
+	 * @param WP_Post $post Post object.
+	 */
+	public static function output_history( $post ) {
+		$unit    = WC_Vehicle_Units::get_unit( $post->ID );
+		$order   = $unit && $unit['order_id'] ? wc_get_order( $unit['order_id'] ) : false;
+		$history = array_reverse( WC_Vehicle_Units::get_history( $post->ID ) );
+
+		if ( $order ) {
+			/* translators: 1: order number 2: customer name */
+			echo '<p><strong>' . esc_html__( 'Sold', 'woocommerce' ) . ':</strong> <a href="' . esc_url( $order->get_edit_order_url() ) . '">' . esc_html( sprintf( __( 'Order #%1$s, %2$s', 'woocommerce' ), $order->get_order_number(), $order->get_formatted_billing_full_name() ) ) . '</a></p>';
+		}
+
+		if ( ! $history ) {
+			echo '<p>' . esc_html__( 'Nothing has happened to this unit yet.', 'woocommerce' ) . '</p>';
+			return;
+		}
+
+		echo '<ul class="order_notes">';
+
+		foreach ( $history as $entry ) {
+			$user = $entry['user'] ? get_user_by( 'id', $entry['user'] ) : false;
+			$date = new WC_DateTime( "@{$entry['date']}", new DateTimeZone( 'UTC' ) );
+			$date->setTimezone( new DateTimeZone( wc_timezone_string() ) );
+			?>
+			<li class="note">
+				<div class="note_content"><p><?php echo esc_html( $entry['note'] ); ?></p></div>
+				<p class="meta">
+					<?php
+					/* translators: 1: date 2: time */
+					echo esc_html( sprintf( __( '%1$s at %2$s', 'woocommerce' ), $date->date_i18n( wc_date_format() ), $date->date_i18n( wc_time_format() ) ) );
+
+					if ( $user ) {
+						/* translators: %s: user name */
+						echo ' ' . esc_html( sprintf( __( 'by %s', 'woocommerce' ), $user->display_name ) );
+					}
+					?>
+				</p>
+			</li>
+			<?php
+		}
+
+		echo '</ul>';
+	}
+
+	/**
+	 * Save meta box data.
+	 *
+	 * The VIN is the title of the unit. When the numbers cannot be saved the unit keeps its previous VIN.
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 */
+	public static function save( $post_id, $post ) {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing
+		$unit       = WC_Vehicle_Units::get_unit( $post_id );
+		$product_id = isset( $_POST['vehicle_unit_product_id'] ) ? absint( $_POST['vehicle_unit_product_id'] ) : 0;
+
+		try {
+			WC_Vehicle_Units::update_unit(
+				$post_id,
+				array(
+					'vin'           => $post->post_title,
+					'engine_number' => isset( $_POST['vehicle_unit_engine_number'] ) ? wc_clean( wp_unslash( $_POST['vehicle_unit_engine_number'] ) ) : '',
+					'frame_number'  => isset( $_POST['vehicle_unit_frame_number'] ) ? wc_clean( wp_unslash( $_POST['vehicle_unit_frame_number'] ) ) : '',
+					// Sold units keep their product, the field is disabled.
+					'product_id'    => $unit && $unit['order_item_id'] ? $unit['product_id'] : $product_id,
+				)
+			);
+		} catch ( Exception $e ) {
+			WC_Admin_Meta_Boxes::add_error( $e->getMessage() );
+		}
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		$vin = (string) get_post_meta( $post_id, '_vin', true );
+
+		if ( $vin !== $post->post_title ) {
+			wp_update_post(
+				array(
+					'ID'         => $post_id,
+					'post_title' => $vin,
+				)
+			);
+		}
+	}
+}
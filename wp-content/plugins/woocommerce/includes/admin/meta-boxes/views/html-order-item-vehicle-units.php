@@ -0,0 +1,62 @@
+<?php
+/**
+ * Shows the vehicle units assigned to an order item, and the fields to choose them when editing.
+ *
+ * @package WooCommerce\Admin
+ * @var WC_Order_Item_Product $item        The item being displayed.
+ * @var int                   $item_id     The ID of the item being displayed.
+ * @var array[]               $units       Units assigned to the item.
+ * @var array[]               $available   Units of the product which are not assigned to an order.
+ * @var string[]              $unit_labels Labels of the unit numbers.
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+$unit_options = array_merge( $units, $available );
+$unit_fields  = max( $item->get_quantity(), count( $units ) );
+$unit_ids     = array_values( wp_list_pluck( $units, 'id' ) );
+?>
+<div class="view">
+	<table cellspacing="0" class="display_meta wc-order-item-vehicle-units">
+		<?php if ( $units ) : ?>
+			<?php foreach ( $units as $unit ) : ?>
+				<tr>
+					<th><?php esc_html_e( 'Unit', 'woocommerce' ); ?>:</th>
+					<td>
+						<a href="<?php echo esc_url( get_edit_post_link( $unit['id'] ) ); ?>"><?php echo esc_html( $unit['vin'] ); ?></a>
+						<?php foreach ( array( 'engine_number', 'frame_number' ) as $field ) : ?>
+							<?php if ( $unit[ $field ] ) : ?>
+								<br /><?php echo esc_html( $unit_labels[ $field ] . ': ' . $unit[ $field ] ); ?>
+							<?php endif; ?>
+						<?php endforeach; ?>
+					</td>
+				</tr>
+			<?php endforeach; ?>
+		<?php endif; ?>
+		<?php if ( count( $units ) < $item->get_quantity() ) : ?>
+			<tr>
+				<th><?php esc_html_e( 'Unit', 'woocommerce' ); ?>:</th>
+				<?php /* translators: %d: number of units */ ?>
+				<td><mark class="wc-order-item-vehicle-units-missing"><?php echo esc_html( sprintf( _n( '%d unit not assigned yet', '%d units not assigned yet', $item->get_quantity() - count( $units ), 'woocommerce' ), $item->get_quantity() - count( $units ) ) ); ?></mark></td>
+			</tr>
+		<?php endif; ?>
+	</table>
+</div>
+<div class="edit" style="display: none;">
+	<table cellspacing="0" class="meta wc-order-item-vehicle-units">
+		<?php for ( $i = 0; $i < $unit_fields; $i++ ) : ?>
+			<tr>
+				<td>
+					<?php /* translators: %d: unit number within the item */ ?>
+					<label class="screen-reader-text" for="order_item_vehicle_units_<?php echo esc_attr( $item_id . '_' . $i ); ?>"><?php echo esc_html( sprintf( __( 'Unit %d', 'woocommerce' ), $i + 1 ) ); ?></label>
+					<select id="order_item_vehicle_units_<?php echo esc_attr( $item_id . '_' . $i ); ?>" name="order_item_vehicle_units[<?php echo absint( $item_id ); ?>][]">
+						<option value=""><?php esc_html_e( 'Choose a unit&hellip;', 'woocommerce' ); ?></option>
+						<?php foreach ( $unit_options as $unit ) : ?>
+							<option value="<?php echo esc_attr( $unit['id'] ); ?>" <?php selected( isset( $unit_ids[ $i ] ) ? $unit_ids[ $i ] : 0, $unit['id'] ); ?>><?php echo esc_html( implode( ' / ', array_filter( array( $unit['vin'], $unit['engine_number'], $unit['frame_number'] ) ) ) ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</td>
+			</tr>
+		<?php endfor; ?>
+	</table>
+</div>
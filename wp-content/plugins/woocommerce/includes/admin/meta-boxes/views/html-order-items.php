@@ -212,7 +212,46 @@ if ( wc_tax_enabled() ) {
 
 	<div class="clear"></div>
 
-	<?php if ( in_array( $order->get_status(), array( 'processing', 'completed', 'refunded' ), true ) && ! empty( $order->get_date_paid() ) ) : ?>
+	<?php if ( WC_Deposits::order_has_deposit( $order ) ) : ?>
+
+		<table class="wc-order-totals wc-order-deposit-totals" style="border-top: 1px solid #999; margin-top:12px; padding-top:12px">
+			<tr>
+				<td class="label"><?php esc_html_e( 'Booking fee', 'woocommerce' ); ?>:</td>
+				<td width="1%"></td>
+				<td class="total">
+					<?php echo wc_price( WC_Deposits::get_order_paid_at_checkout( $order ), array( 'currency' => $order->get_currency() ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+				</td>
+			</tr>
+			<?php foreach ( WC_Deposits::get_order_payments( $order ) as $deposit_payment ) : ?>
+				<tr>
+					<td class="label">
+						<?php
+						/* translators: 1: payment date. 2: payment method */
+						echo esc_html( sprintf( __( 'Balance payment on %1$s via %2$s', 'woocommerce' ), date_i18n( get_option( 'date_format' ), $deposit_payment['date'] ), $deposit_payment['method'] ? $deposit_payment['method'] : __( 'unknown method', 'woocommerce' ) ) );
+						?>
+						:
+						<?php if ( $deposit_payment['note'] ) : ?>
+							<?php echo wc_help_tip( $deposit_payment['note'] ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+						<?php endif; ?>
+					</td>
+					<td width="1%"></td>
+					<td class="total">
+						<?php echo wc_price( $deposit_payment['amount'], array( 'currency' => $order->get_currency() ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+					</td>
+				</tr>
+			<?php endforeach; ?>
+			<tr>
+				<td class="label label-highlight"><?php esc_html_e( 'Balance due', 'woocommerce' ); ?>:</td>
+				<td width="1%"></td>
+				<td class="total">
+					<?php echo wc_price( WC_Deposits::get_order_balance_due( $order ), array( 'currency' => $order->get_currency() ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+				</td>
+			</tr>
+		</table>
+
+	<div class="clear"></div>
+
+	<?php elseif ( in_array( $order->get_status(), array( 'processing', 'completed', 'refunded' ), true ) && ! empty( $order->get_date_paid() ) ) : ?>
 
 		<table class="wc-order-totals" style="border-top: 1px solid #999; margin-top:12px; padding-top:12px">
 			<tr>
@@ -284,6 +323,10 @@ if ( wc_tax_enabled() ) {
 		<?php endif; ?>
 		<?php if ( 0 < $order->get_total() - $order->get_total_refunded() || 0 < absint( $order->get_item_count() - $order->get_item_count_refunded() ) ) : ?>
 			<button type="button" class="button refund-items"><?php esc_html_e( 'Refund', 'woocommerce' ); ?></button>
+			<button type="button" class="button refund-wizard" data-lines="<?php echo esc_attr( wp_json_encode( WC_Refund_Wizard::get_wizard_lines( $order ) ) ); ?>"><?php esc_html_e( 'Refund wizard', 'woocommerce' ); ?></button>
+		<?php endif; ?>
+		<?php if ( 0 < WC_Deposits::get_order_balance_due( $order ) ) : ?>
+			<button type="button" class="button record-deposit-payment"><?php esc_html_e( 'Record balance payment', 'woocommerce' ); ?></button>
 		<?php endif; ?>
 		<?php
 			// Allow adding custom buttons.
@@ -377,6 +420,47 @@ if ( wc_tax_enabled() ) {
 	</div>
 </div>
 <?php endif; ?>
+<?php if ( 0 < WC_Deposits::get_order_balance_due( $order ) ) : ?>
+<div class="wc-order-data-row wc-order-deposit-payment wc-order-data-row-toggle" style="display: none;">
+	<table class="wc-order-totals">
+		<tr>
+			<td class="label"><?php esc_html_e( 'Balance due', 'woocommerce' ); ?>:</td>
+			<td class="total"><?php echo wc_price( WC_Deposits::get_order_balance_due( $order ), array( 'currency' => $order->get_currency() ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?></td>
+		</tr>
+		<tr>
+			<td class="label"><label for="deposit_payment_amount"><?php esc_html_e( 'Amount received', 'woocommerce' ); ?>:</label></td>
+			<td class="total">
+				<input type="text" id="deposit_payment_amount" name="deposit_payment_amount" class="wc_input_price" value="<?php echo esc_attr( wc_format_localized_price( WC_Deposits::get_order_balance_due( $order ) ) ); ?>" />
+				<div class="clear"></div>
+			</td>
+		</tr>
+		<tr>
+			<td class="label"><label for="deposit_payment_method"><?php esc_html_e( 'Payment method', 'woocommerce' ); ?>:</label></td>
+			<td class="total">
+				<input type="text" id="deposit_payment_method" name="deposit_payment_method" placeholder="<?php esc_attr_e( 'e.g. Cash at showroom', 'woocommerce' ); ?>" />
+				<div class="clear"></div>
+			</td>
+		</tr>
+		<tr>
+			<td class="label"><label for="deposit_payment_note"><?php esc_html_e( 'Note (optional)', 'woocommerce' ); ?>:</label></td>
+			<td class="total">
+				<input type="text" id="deposit_payment_note" name="deposit_payment_note" />
+				<div class="clear"></div>
+			</td>
+		</tr>
+	</table>
+	<div class="clear"></div>
+	<div class="deposit-payment-actions">
+		<button type="button" class="button button-primary save-deposit-payment"><?php esc_html_e( 'Record payment', 'woocommerce' ); ?></button>
+		<button type="button" class="button cancel-action"><?php esc_html_e( 'Cancel', 'woocommerce' ); ?></button>
+		<div class="clear"></div>
+	</div>
+</div>
+<?php endif; ?>
+
+<?php if ( 0 < $order->get_total() - $order->get_total_refunded() || 0 < absint( $order->get_item_count() - $order->get_item_count_refunded() ) ) : ?>
+	<?php include __DIR__ . '/html-order-refund-wizard.php'; ?>
+<?php endif; ?>
 
 <script type="text/template" id="tmpl-wc-modal-add-products">
 	<div class="wc-backbone-modal">
@@ -0,0 +1,107 @@
+<?php
+/**
+ * Preview of a refund made with the refund wizard.
+ *
+ * @var WC_Order                $order           Order object.
+ * @var array                   $calculation     Refund worked out by WC_Refund_Wizard::calculate().
+ * @var WC_Payment_Gateway|bool $payment_gateway Payment gateway of the order.
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+$currency   = array( 'currency' => $order->get_currency() );
+$tax_labels = array();
+
+foreach ( $order->get_taxes() as $tax_item ) {
+	$tax_labels[ $tax_item->get_rate_id() ] = $tax_item->get_label();
+}
+
+$subtotals = array(
+	'line_item' => __( 'Items', 'woocommerce' ),
+	'fee'       => __( 'Fees', 'woocommerce' ),
+	'shipping'  => __( 'Shipping', 'woocommerce' ),
+);
+?>
+<table class="widefat wc-refund-wizard-table">
+	<thead>
+		<tr>
+			<th><?php esc_html_e( 'Item', 'woocommerce' ); ?></th>
+			<th class="quantity"><?php esc_html_e( 'Qty', 'woocommerce' ); ?></th>
+			<th class="amount"><?php esc_html_e( 'Refund', 'woocommerce' ); ?></th>
+			<?php if ( wc_tax_enabled() ) : ?>
+				<th class="amount"><?php esc_html_e( 'Tax', 'woocommerce' ); ?></th>
+			<?php endif; ?>
+		</tr>
+	</thead>
+	<tbody>
+		<?php foreach ( $calculation['lines'] as $line ) : ?>
+			<tr>
+				<td><?php echo esc_html( $line['name'] ); ?></td>
+				<td class="quantity"><?php echo $line['qty'] ? esc_html( $line['qty'] ) : '&ndash;'; ?></td>
+				<td class="amount"><?php echo wp_kses_post( wc_price( $line['total'], $currency ) ); ?></td>
+				<?php if ( wc_tax_enabled() ) : ?>
+					<td class="amount"><?php echo wp_kses_post( wc_price( $line['tax'], $currency ) ); ?></td>
+				<?php endif; ?>
+			</tr>
+		<?php endforeach; ?>
+	</tbody>
+</table>
+
+<table class="wc-order-totals wc-refund-wizard-totals">
+	<?php foreach ( $subtotals as $type => $label ) : ?>
+		<?php if ( $calculation['totals'][ $type ] ) : ?>
+			<tr>
+				<td class="label"><?php echo esc_html( $label ); ?>:</td>
+				<td class="total"><?php echo wp_kses_post( wc_price( $calculation['totals'][ $type ], $currency ) ); ?></td>
+			</tr>
+		<?php endif; ?>
+	<?php endforeach; ?>
+	<?php foreach ( $calculation['taxes'] as $rate_id => $amount ) : ?>
+		<?php if ( $amount ) : ?>
+			<tr>
+				<td class="label"><?php echo esc_html( isset( $tax_labels[ $rate_id ] ) ? $tax_labels[ $rate_id ] : WC_Tax::get_rate_label( $rate_id ) ); ?>:</td>
+				<td class="total"><?php echo wp_kses_post( wc_price( $amount, $currency ) ); ?></td>
+			</tr>
+		<?php endif; ?>
+	<?php endforeach; ?>
+	<tr>
+		<td class="label"><strong><?php esc_html_e( 'Refund total', 'woocommerce' ); ?>:</strong></td>
+		<td class="total"><strong><?php echo wp_kses_post( wc_price( $calculation['amount'], $currency ) ); ?></strong></td>
+	</tr>
+</table>
+
+<h3><?php esc_html_e( 'Stock to restore', 'woocommerce' ); ?></h3>
+<?php if ( $calculation['restock'] ) : ?>
+	<table class="widefat wc-refund-wizard-table">
+		<thead>
+			<tr>
+				<th><?php esc_html_e( 'Product', 'woocommerce' ); ?></th>
+				<th class="quantity"><?php esc_html_e( 'In stock', 'woocommerce' ); ?></th>
+				<th class="quantity"><?php esc_html_e( 'Restored', 'woocommerce' ); ?></th>
+				<th class="quantity"><?php esc_html_e( 'After refund', 'woocommerce' ); ?></th>
+			</tr>
+		</thead>
+		<tbody>
+			<?php foreach ( $calculation['restock'] as $restock ) : ?>
+				<tr>
+					<td><?php echo wp_kses_post( $restock['name'] ); ?></td>
+					<td class="quantity"><?php echo esc_html( wc_stock_amount( $restock['before'] ) ); ?></td>
+					<td class="quantity">+<?php echo esc_html( $restock['qty'] ); ?></td>
+					<td class="quantity"><?php echo esc_html( wc_stock_amount( $restock['after'] ) ); ?></td>
+				</tr>
+			<?php endforeach; ?>
+		</tbody>
+	</table>
+<?php else : ?>
+	<p class="description"><?php esc_html_e( 'No stock will be changed by this refund.', 'woocommerce' ); ?></p>
+<?php endif; ?>
+
+<p class="wc-refund-wizard-actions">
+	<?php if ( $payment_gateway && $payment_gateway->can_refund_order( $order ) ) : ?>
+		<?php /* translators: 1: refund amount 2: payment method */ ?>
+		<button type="button" class="button button-primary wc-refund-wizard-refund" data-api-refund="true"><?php echo wp_kses_post( sprintf( __( 'Refund %1$s via %2$s', 'woocommerce' ), wc_price( $calculation['amount'], $currency ), $payment_gateway->get_title() ) ); ?></button>
+	<?php endif; ?>
+	<?php /* translators: %s: refund amount */ ?>
+	<button type="button" class="button wc-refund-wizard-refund" data-api-refund="false"><?php echo wp_kses_post( sprintf( __( 'Refund %s manually', 'woocommerce' ), wc_price( $calculation['amount'], $currency ) ) ); ?></button>
+</p>
@@ -0,0 +1,88 @@
+<?php
+/**
+ * Refund wizard modal template.
+ *
+ * The lines are passed to the template when the wizard is opened, so they stay current when the items are reloaded.
+ *
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+?>
+<script type="text/template" id="tmpl-wc-modal-refund-wizard">
+	<div class="wc-backbone-modal wc-refund-wizard">
+		<div class="wc-backbone-modal-content">
+			<section class="wc-backbone-modal-main" role="main">
+				<header class="wc-backbone-modal-header">
+					<h1><?php esc_html_e( 'Refund wizard', 'woocommerce' ); ?></h1>
+					<button class="modal-close modal-close-link dashicons dashicons-no-alt">
+						<span class="screen-reader-text">Close modal panel</span>
+					</button>
+				</header>
+				<article>
+					<form action="" method="post" class="wc-refund-wizard-form">
+						<div class="wc-refund-wizard-choices">
+							<fieldset class="wc-refund-wizard-modes">
+								<?php foreach ( WC_Refund_Wizard::get_modes() as $mode => $mode_label ) : ?>
+									<label><input type="radio" name="mode" value="<?php echo esc_attr( $mode ); ?>" <?php checked( 'full', $mode ); ?> /> <?php echo esc_html( $mode_label ); ?></label>
+								<?php endforeach; ?>
+								<label class="wc-refund-wizard-percentage"><input type="number" name="percentage" min="0" max="100" step="any" value="100" /> %</label>
+							</fieldset>
+							<table class="widefat wc-refund-wizard-table">
+								<thead>
+									<tr>
+										<td class="check-column"><input type="checkbox" class="wc-refund-wizard-select-all" /></td>
+										<th><?php esc_html_e( 'Item', 'woocommerce' ); ?></th>
+										<th class="quantity"><?php esc_html_e( 'Qty to refund', 'woocommerce' ); ?></th>
+										<th class="amount"><?php esc_html_e( 'Left to refund', 'woocommerce' ); ?></th>
+									</tr>
+								</thead>
+								<tbody>
+									<# _.each( data.lines, function( line ) { #>
+										<tr class="wc-refund-wizard-line wc-refund-wizard-line--{{ line.type }}">
+											<td class="check-column"><input type="checkbox" name="items[]" value="{{ line.id }}" id="wc-refund-wizard-item-{{ line.id }}" /></td>
+											<td>
+												<label for="wc-refund-wizard-item-{{ line.id }}">{{ line.name }}</label>
+												<# if ( line.addons.length ) { #>
+													<div class="wc-refund-wizard-addons">
+														<span class="description"><?php esc_html_e( 'Or refund only these add-ons:', 'woocommerce' ); ?></span>
+														<# _.each( line.addons, function( addon ) { #>
+															<label><input type="checkbox" name="addons[{{ line.id }}][]" value="{{ addon.key }}" /> {{ addon.label }} ({{{ addon.price }}})</label>
+														<# } ); #>
+													</div>
+												<# } #>
+											</td>
+											<td class="quantity">
+												<# if ( 'line_item' === line.type ) { #>
+													<input type="number" name="qty[{{ line.id }}]" class="wc-refund-wizard-qty" min="0" max="{{ line.qty }}" step="1" value="{{ line.qty }}" disabled="disabled" /> / {{ line.qty }}
+												<# } else { #>
+													&ndash;
+												<# } #>
+											</td>
+											<td class="amount">{{{ line.remaining }}}</td>
+										</tr>
+									<# } ); #>
+								</tbody>
+							</table>
+							<?php if ( 'yes' === get_option( 'woocommerce_manage_stock' ) ) : ?>
+								<p><label><input type="checkbox" name="restock" value="true" <?php checked( apply_filters( 'woocommerce_restock_refunded_items', true ) ); ?> /> <?php esc_html_e( 'Restock refunded items', 'woocommerce' ); ?></label></p>
+							<?php endif; ?>
+							<p>
+								<label for="wc-refund-wizard-reason"><?php esc_html_e( 'Reason for refund (optional):', 'woocommerce' ); ?></label><br />
+								<input type="text" name="refund_reason" id="wc-refund-wizard-reason" class="widefat" />
+							</p>
+						</div>
+						<div class="wc-refund-wizard-summary" style="display: none;"></div>
+					</form>
+				</article>
+				<footer>
+					<div class="inner">
+						<button type="button" class="button button-large wc-refund-wizard-back" style="display: none;"><?php esc_html_e( 'Back', 'woocommerce' ); ?></button>
+						<button type="button" class="button button-primary button-large wc-refund-wizard-preview"><?php esc_html_e( 'Preview refund', 'woocommerce' ); ?></button>
+					</div>
+				</footer>
+			</section>
+		</div>
+	</div>
+	<div class="wc-backbone-modal-backdrop modal-close"></div>
+</script>
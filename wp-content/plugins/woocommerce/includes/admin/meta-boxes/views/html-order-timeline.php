@@ -0,0 +1,40 @@
+<?php
+/**
+ * Order timeline HTML for meta box.
+ *
+ * @package WooCommerce\Admin
+ * @var array[] $events Events of the order, newest first.
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+?>
+<ol class="wc-order-timeline">
+	<?php if ( $events ) : ?>
+		<?php foreach ( $events as $event ) : ?>
+			<?php $date = new WC_DateTime( "@{$event['date']}", new DateTimeZone( 'UTC' ) ); ?>
+			<?php $date->setTimezone( new DateTimeZone( wc_timezone_string() ) ); ?>
+			<li class="wc-order-timeline__event wc-order-timeline__event--<?php echo esc_attr( $event['type'] ); ?>">
+				<p class="wc-order-timeline__title">
+					<strong><?php echo esc_html( $event['title'] ); ?></strong>
+					<abbr class="exact-date" title="<?php echo esc_attr( $date->date( 'Y-m-d H:i:s' ) ); ?>">
+						<?php
+						/* translators: %1$s: event date %2$s: event time */
+						echo esc_html( sprintf( __( '%1$s at %2$s', 'woocommerce' ), $date->date_i18n( wc_date_format() ), $date->date_i18n( wc_time_format() ) ) );
+
+						if ( $event['author'] ) {
+							/* translators: %s: user name */
+							echo esc_html( ' ' . sprintf( __( 'by %s', 'woocommerce' ), $event['author'] ) );
+						}
+						?>
+					</abbr>
+				</p>
+				<?php if ( $event['content'] ) : ?>
+					<div class="wc-order-timeline__content"><?php echo wp_kses_post( $event['content'] ); ?></div>
+				<?php endif; ?>
+			</li>
+		<?php endforeach; ?>
+	<?php else : ?>
+		<li class="no-items"><?php esc_html_e( 'Nothing has happened to this order yet.', 'woocommerce' ); ?></li>
+	<?php endif; ?>
+</ol>
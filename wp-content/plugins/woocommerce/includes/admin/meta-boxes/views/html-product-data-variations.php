@@ -90,6 +90,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 					<?php do_action( 'woocommerce_variable_product_bulk_edit_actions' ); ?>
 				</select>
 				<a class="button bulk_edit do_variation_action"><?php esc_html_e( 'Go', 'woocommerce' ); ?></a>
+				<a class="button toggle-variations-grid" data-list-label="<?php esc_attr_e( 'List view', 'woocommerce' ); ?>" data-grid-label="<?php esc_attr_e( 'Grid view', 'woocommerce' ); ?>"><?php esc_html_e( 'Grid view', 'woocommerce' ); ?></a>
 
 				<div class="variations-pagenav">
 					<?php /* translators: variations count */ ?>
@@ -118,6 +119,53 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 			<div class="woocommerce_variations wc-metaboxes" data-attributes="<?php echo wc_esc_json( wp_json_encode( wc_list_pluck( $variation_attributes, 'get_data' ) ) ); // WPCS: XSS ok. ?>" data-total="<?php echo esc_attr( $variations_count ); ?>" data-total_pages="<?php echo esc_attr( $variations_total_pages ); ?>" data-page="1" data-edited="false"></div>
 
+			<div class="woocommerce_variations_grid hidden">
+				<div class="toolbar variations-grid-filters">
+					<strong><?php esc_html_e( 'Filter', 'woocommerce' ); ?>:</strong>
+					<?php foreach ( $variation_attributes as $attribute ) : ?>
+						<select data-attribute="<?php echo esc_attr( sanitize_title( $attribute->get_name() ) ); ?>">
+							<?php /* translators: WooCommerce attribute label */ ?>
+							<option value=""><?php echo esc_html( sprintf( __( 'Any %s', 'woocommerce' ), wc_attribute_label( $attribute->get_name() ) ) ); ?></option>
+							<?php if ( $attribute->is_taxonomy() ) : ?>
+								<?php foreach ( $attribute->get_terms() as $option ) : ?>
+									<option value="<?php echo esc_attr( $option->slug ); ?>"><?php echo esc_html( apply_filters( 'woocommerce_variation_option_name', $option->name, $option, $attribute->get_name(), $product_object ) ); ?></option>
+								<?php endforeach; ?>
+							<?php else : ?>
+								<?php foreach ( $attribute->get_options() as $option ) : ?>
+									<option value="<?php echo esc_attr( $option ); ?>"><?php echo esc_html( apply_filters( 'woocommerce_variation_option_name', $option, null, $attribute->get_name(), $product_object ) ); ?></option>
+								<?php endforeach; ?>
+							<?php endif; ?>
+						</select>
+					<?php endforeach; ?>
+					<button type="button" class="button fill-down-variations-grid" disabled="disabled"><?php esc_html_e( 'Fill down', 'woocommerce' ); ?></button>
+					<?php echo wc_help_tip( __( 'Shift-click cells in a column to select them, then fill down (or press Ctrl+D) to copy the first selected value to the others.', 'woocommerce' ) ); // WPCS: XSS ok. ?>
+				</div>
+				<table class="widefat variations-grid">
+					<thead>
+						<tr>
+							<th class="image"><?php esc_html_e( 'Image', 'woocommerce' ); ?></th>
+							<th class="name"><?php esc_html_e( 'Variation', 'woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'SKU', 'woocommerce' ); ?></th>
+							<?php /* translators: %s: currency symbol */ ?>
+							<th><?php echo esc_html( sprintf( __( 'Regular price (%s)', 'woocommerce' ), get_woocommerce_currency_symbol() ) ); ?></th>
+							<?php /* translators: %s: currency symbol */ ?>
+							<th><?php echo esc_html( sprintf( __( 'Sale price (%s)', 'woocommerce' ), get_woocommerce_currency_symbol() ) ); ?></th>
+							<th class="manage-stock"><?php esc_html_e( 'Manage stock?', 'woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Stock quantity', 'woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Stock status', 'woocommerce' ); ?></th>
+							<?php /* translators: %s: weight unit */ ?>
+							<th><?php echo esc_html( sprintf( __( 'Weight (%s)', 'woocommerce' ), get_option( 'woocommerce_weight_unit' ) ) ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+				<div class="toolbar">
+					<button type="button" class="button-primary save-variations-grid" disabled="disabled"><?php esc_html_e( 'Save changes', 'woocommerce' ); ?></button>
+					<button type="button" class="button cancel-variations-grid" disabled="disabled"><?php esc_html_e( 'Cancel', 'woocommerce' ); ?></button>
+					<div class="clear"></div>
+				</div>
+			</div>
+
 			<div class="toolbar">
 				<button type="button" class="button-primary save-variation-changes" disabled="disabled"><?php esc_html_e( 'Save changes', 'woocommerce' ); ?></button>
 				<button type="button" class="button cancel-variation-changes" disabled="disabled"><?php esc_html_e( 'Cancel', 'woocommerce' ); ?></button>
@@ -502,6 +502,31 @@ class WC_Admin_Report {
 		return $prepared_data;
 	}
 
+	/**
+	 * Put the IDs of orders in the same days or months as prepare_chart_data(), so chart points can link to them.
+	 *
+	 * @param  array  $data Rows with an order ID and a date.
+	 * @param  string $date_key Key of the date.
+	 * @param  string $order_key Key of the order ID.
+	 * @param  string $group_by Group by day or month.
+	 * @return array Order IDs keyed by timestamp in milliseconds.
+	 */
+	public function prepare_chart_orders( $data, $date_key, $order_key, $group_by ) {
+		$prepared_orders = array();
+
+		foreach ( $data as $d ) {
+			if ( 'day' === $group_by ) {
+				$time = strtotime( date( 'Ymd', strtotime( $d->$date_key ) ) ) . '000';
+			} else {
+				$time = strtotime( date( 'Ym', strtotime( $d->$date_key ) ) . '01' ) . '000';
+			}
+
+			$prepared_orders[ $time ][ absint( $d->$order_key ) ] = absint( $d->$order_key );
+		}
+
+		return array_map( 'array_values', $prepared_orders );
+	}
+
 	/**
 	 * Prepares a sparkline to show sales in the last X days.
 	 *
@@ -708,6 +733,42 @@ class WC_Admin_Report {
 		return $currency_tooltip;
 	}
 
+	/**
+	 * Output an interactive chart of series over time, drawn by reports.js.
+	 *
+	 * Each series has a label, a colour, a type (line or bar), the axis it is drawn against (amount or count) and its
+	 * data as [timestamp in milliseconds, value] points, as returned by prepare_chart_data(). Series can also be dashed,
+	 * stacked, drawn without points, left out of CSV exports, or carry drilldown query args. Clicking a point opens the
+	 * orders placed on that day or month, narrowed down by the drilldown args of the series clicked, if any. The orders
+	 * list resolves them: report_status for statuses, report_breakdown and report_group for a breakdown group.
+	 *
+	 * @param array $series Series to draw.
+	 * @param array $args   Chart arguments: the orders list URL points link to, or an empty string to not link them.
+	 */
+	public function output_chart( $series, $args = array() ) {
+		$args  = wp_parse_args(
+			$args,
+			array(
+				'drilldown' => current_user_can( 'edit_shop_orders' ) ? admin_url( 'edit.php?post_type=shop_order' ) : '',
+			)
+		);
+		$chart = array(
+			'groupby'   => $this->chart_groupby,
+			'drilldown' => $args['drilldown'],
+			'series'    => array(),
+		);
+
+		foreach ( $series as $data ) {
+			$data['data']      = array_values( $data['data'] );
+			$chart['series'][] = $data;
+		}
+		?>
+		<div class="chart-container">
+			<div class="chart-placeholder main wc-report-chart" data-chart="<?php echo wc_esc_json( wp_json_encode( $chart ) ); ?>"></div>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Get the main chart.
 	 */
@@ -109,55 +109,30 @@ class WC_Report_Customers extends WC_Admin_Report {
 				'filter_range' => true,
 			)
 		);
+
+		$chart = array(
+			'unit'   => __( 'orders', 'woocommerce' ),
+			'slices' => array(
+				array(
+					'label' => __( 'Customer orders', 'woocommerce' ),
+					'value' => absint( $customer_order_totals->total_orders ),
+					'color' => $this->chart_colours['customers'],
+				),
+				array(
+					'label' => __( 'Guest orders', 'woocommerce' ),
+					'value' => absint( $guest_order_totals->total_orders ),
+					'color' => $this->chart_colours['guests'],
+				),
+			),
+		);
 		?>
 		<div class="chart-container">
-			<div class="chart-placeholder customers_vs_guests pie-chart" style="height:200px"></div>
+			<div class="chart-placeholder customers_vs_guests pie-chart wc-report-pie-chart" style="height:200px" data-chart="<?php echo wc_esc_json( wp_json_encode( $chart ) ); ?>"></div>
 			<ul class="pie-chart-legend">
 				<li style="border-color: <?php echo esc_attr( $this->chart_colours['customers'] ); ?>"><?php esc_html_e( 'Customer sales', 'woocommerce' ); ?></li>
 				<li style="border-color: <?php echo esc_attr( $this->chart_colours['guests'] ); ?>"><?php esc_html_e( 'Guest sales', 'woocommerce' ); ?></li>
 			</ul>
 		</div>
-		<script type="text/javascript">
-			jQuery(function(){
-				 jQuery.plot(
-					jQuery('.chart-placeholder.customers_vs_guests'),
-					[
-						{
-							label: '<?php esc_html_e( 'Customer orders', 'woocommerce' ); ?>',
-							data:  "<?php echo esc_html( $customer_order_totals->total_orders ); ?>",
-							color: '<?php echo esc_html( $this->chart_colours['customers'] ); ?>'
-						},
-						{
-							label: '<?php esc_html_e( 'Guest orders', 'woocommerce' ); ?>',
-							data:  "<?php echo esc_html( $guest_order_totals->total_orders ); ?>",
-							color: '<?php echo esc_html( $this->chart_colours['guests'] ); ?>'
-						}
-					],
-					{
-						grid: {
-							hoverable: true
-						},
-						series: {
-							pie: {
-								show: true,
-								radius: 1,
-								innerRadius: 0.6,
-								label: {
-									show: false
-								}
-							},
-							enable_tooltip: true,
-							append_tooltip: "<?php echo esc_html( ' ' . __( 'orders', 'woocommerce' ) ); ?>",
-						},
-						legend: {
-							show: false
-						}
-					}
-				);
-
-				jQuery('.chart-placeholder.customers_vs_guests').trigger( 'resize' );
-			});
-		</script>
 		<?php
 	}
 
@@ -247,8 +222,6 @@ class WC_Report_Customers extends WC_Admin_Report {
 	 * Output the main chart.
 	 */
 	public function get_main_chart() {
-		global $wp_locale;
-
 		$customer_orders = $this->get_order_report_data(
 			array(
 				'data'         => array(
@@ -309,124 +282,32 @@ class WC_Report_Customers extends WC_Admin_Report {
 		$customer_orders = $this->prepare_chart_data( $customer_orders, 'post_date', 'total_orders', $this->chart_interval, $this->start_date, $this->chart_groupby );
 		$guest_orders    = $this->prepare_chart_data( $guest_orders, 'post_date', 'total_orders', $this->chart_interval, $this->start_date, $this->chart_groupby );
 
-		$chart_data = wp_json_encode(
+		$this->output_chart(
 			array(
-				'signups'         => array_values( $signups ),
-				'customer_orders' => array_values( $customer_orders ),
-				'guest_orders'    => array_values( $guest_orders ),
+				array(
+					'label' => __( 'Customer orders', 'woocommerce' ),
+					'data'  => $customer_orders,
+					'color' => $this->chart_colours['customers'],
+					'type'  => 'bar',
+					'axis'  => 'count',
+					'stack' => true,
+				),
+				array(
+					'label' => __( 'Guest orders', 'woocommerce' ),
+					'data'  => $guest_orders,
+					'color' => $this->chart_colours['guests'],
+					'type'  => 'bar',
+					'axis'  => 'count',
+					'stack' => true,
+				),
+				array(
+					'label' => __( 'Signups', 'woocommerce' ),
+					'data'  => $signups,
+					'color' => $this->chart_colours['signups'],
+					'axis'  => 'count',
+					'width' => 4,
+				),
 			)
 		);
-		?>
-		<div class="chart-container">
-			<div class="chart-placeholder main"></div>
-		</div>
-		<script type="text/javascript">
-			var main_chart;
-
-			jQuery(function(){
-				var chart_data = JSON.parse( decodeURIComponent( '<?php echo rawurlencode( $chart_data ); ?>' ) );
-
-				var drawGraph = function( highlight ) {
-					var series = [
-							{
-								label: "<?php echo esc_js( __( 'Customer orders', 'woocommerce' ) ); ?>",
-								data: chart_data.customer_orders,
-								color: '<?php echo esc_html( $this->chart_colours['customers'] ); ?>',
-								bars: { fillColor: '<?php echo esc_html( $this->chart_colours['customers'] ); ?>', fill: true, show: true, lineWidth: 0, barWidth: <?php echo esc_html( $this->barwidth ); ?> * 0.5, align: 'center' },
-								shadowSize: 0,
-								enable_tooltip: true,
-								append_tooltip: "<?php echo esc_html( ' ' . __( 'customer orders', 'woocommerce' ) ); ?>",
-								stack: true,
-							},
-							{
-								label: "<?php echo esc_js( __( 'Guest orders', 'woocommerce' ) ); ?>",
-								data: chart_data.guest_orders,
-								color: '<?php echo esc_html( $this->chart_colours['guests'] ); ?>',
-								bars: { fillColor: '<?php echo esc_html( $this->chart_colours['guests'] ); ?>', fill: true, show: true, lineWidth: 0, barWidth: <?php echo esc_html( $this->barwidth ); ?> * 0.5, align: 'center' },
-								shadowSize: 0,
-								enable_tooltip: true,
-								append_tooltip: "<?php echo esc_html( ' ' . __( 'guest orders', 'woocommerce' ) ); ?>",
-								stack: true,
-							},
-							{
-								label: "<?php echo esc_js( __( 'Signups', 'woocommerce' ) ); ?>",
-								data: chart_data.signups,
-								color: '<?php echo esc_html( $this->chart_colours['signups'] ); ?>',
-								points: { show: true, radius: 5, lineWidth: 3, fillColor: '#fff', fill: true },
-								lines: { show: true, lineWidth: 4, fill: false },
-								shadowSize: 0,
-								enable_tooltip: true,
-								append_tooltip: "<?php echo esc_html( ' ' . __( 'new users', 'woocommerce' ) ); ?>",
-								stack: false
-							},
-						];
-
-					if ( highlight !== 'undefined' && series[ highlight ] ) {
-						highlight_series = series[ highlight ];
-
-						highlight_series.color = '#9c5d90';
-
-						if ( highlight_series.bars )
-							highlight_series.bars.fillColor = '#9c5d90';
-
-						if ( highlight_series.lines ) {
-							highlight_series.lines.lineWidth = 5;
-						}
-					}
-
-					main_chart = jQuery.plot(
-						jQuery('.chart-placeholder.main'),
-						series,
-						{
-							legend: {
-								show: false
-							},
-							grid: {
-								color: '#aaa',
-								borderColor: 'transparent',
-								borderWidth: 0,
-								hoverable: true
-							},
-							xaxes: [ {
-								color: '#aaa',
-								position: "bottom",
-								tickColor: 'transparent',
-								mode: "time",
-								timeformat: "<?php echo ( 'day' === $this->chart_groupby ) ? '%d %b' : '%b'; ?>",
-								monthNames: JSON.parse( decodeURIComponent( '<?php echo rawurlencode( wp_json_encode( array_values( $wp_locale->month_abbrev ) ) ); ?>' ) ),
-								tickLength: 1,
-								minTickSize: [1, "<?php echo esc_html( $this->chart_groupby ); ?>"],
-								tickSize: [1, "<?php echo esc_html( $this->chart_groupby ); ?>"],
-								font: {
-									color: "#aaa"
-								}
-							} ],
-							yaxes: [
-								{
-									min: 0,
-									minTickSize: 1,
-									tickDecimals: 0,
-									color: '#ecf0f1',
-									font: { color: "#aaa" }
-								}
-							],
-						}
-					);
-					jQuery('.chart-placeholder').trigger( 'resize' );
-				}
-
-				drawGraph();
-
-				jQuery('.highlight_series').on( 'mouseenter',
-					function() {
-						drawGraph( jQuery(this).data('series') );
-					} ).on( 'mouseleave',
-					function() {
-						drawGraph();
-					}
-				);
-			});
-		</script>
-		<?php
 	}
 }
@@ -0,0 +1,156 @@
+<?php
+/**
+ * Checkout funnel report.
+ *
+ * @package     WooCommerce\Admin\Reports
+ */
+
+use Automattic\WooCommerce\Blocks\Package;
+use Automattic\WooCommerce\Blocks\Domain\Services\Analytics;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly.
+}
+
+/**
+ * WC_Report_Funnel
+ *
+ * Shows how many browsing sessions reached each step from viewing a product to placing the order, from the events
+ * stored by the first-party analytics adapter.
+ *
+ * @package     WooCommerce\Admin\Reports
+ */
+class WC_Report_Funnel extends WC_Admin_Report {
+
+	/**
+	 * Get the legend for the main chart sidebar.
+	 *
+	 * @return array
+	 */
+	public function get_chart_legend() {
+		return array();
+	}
+
+	/**
+	 * Output an export link.
+	 */
+	public function get_export_button() {
+
+		$current_range = ! empty( $_GET['range'] ) ? sanitize_text_field( wp_unslash( $_GET['range'] ) ) : '7day';
+		?>
+		<a
+			href="#"
+			download="report-<?php echo esc_attr( $current_range ); ?>-<?php echo esc_attr( date_i18n( 'Y-m-d', current_time( 'timestamp' ) ) ); ?>.csv"
+			class="export_csv"
+			data-export="table"
+		>
+			<?php esc_html_e( 'Export CSV', 'woocommerce' ); ?>
+		</a>
+		<?php
+	}
+
+	/**
+	 * Output the report.
+	 */
+	public function output_report() {
+
+		$ranges = array(
+			'year'       => __( 'Year', 'woocommerce' ),
+			'last_month' => __( 'Last month', 'woocommerce' ),
+			'month'      => __( 'This month', 'woocommerce' ),
+			'7day'       => __( 'Last 7 days', 'woocommerce' ),
+		);
+
+		$current_range = ! empty( $_GET['range'] ) ? sanitize_text_field( wp_unslash( $_GET['range'] ) ) : '7day';
+
+		if ( ! in_array( $current_range, array( 'custom', 'year', 'last_month', 'month', '7day' ), true ) ) {
+			$current_range = '7day';
+		}
+
+		$this->check_current_range_nonce( $current_range );
+		$this->calculate_current_range( $current_range );
+
+		$hide_sidebar = true;
+
+		include WC()->plugin_path() . '/includes/admin/views/html-report-by-date.php';
+	}
+
+	/**
+	 * Get the labels of the funnel steps.
+	 *
+	 * @return array
+	 */
+	protected function get_step_labels() {
+		return array(
+			'view_item'        => __( 'Viewed a product', 'woocommerce' ),
+			'add_to_cart'      => __( 'Added to cart', 'woocommerce' ),
+			'begin_checkout'   => __( 'Started checkout', 'woocommerce' ),
+			'add_payment_info' => __( 'Submitted payment details', 'woocommerce' ),
+			'purchase'         => __( 'Placed an order', 'woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the main chart.
+	 */
+	public function get_main_chart() {
+
+		// The range is in the site timezone, events are stored in UTC.
+		$funnel = Package::container()->get( Analytics::class )->get_funnel(
+			get_gmt_from_date( date( 'Y-m-d 00:00:00', $this->start_date ) ), // phpcs:ignore WordPress.DateTime.RestrictedFunctions.date_date
+			get_gmt_from_date( date( 'Y-m-d 00:00:00', strtotime( '+1 DAY', $this->end_date ) ) ) // phpcs:ignore WordPress.DateTime.RestrictedFunctions.date_date
+		);
+		$labels = $this->get_step_labels();
+		$first  = reset( $funnel );
+		?>
+		<table class="widefat">
+			<thead>
+				<tr>
+					<th><?php esc_html_e( 'Step', 'woocommerce' ); ?></th>
+					<th class="total_row"><?php esc_html_e( 'Sessions', 'woocommerce' ); ?></th>
+					<th class="total_row"><?php esc_html_e( 'Of previous step', 'woocommerce' ); ?> <?php echo wc_help_tip( __( 'Share of the sessions of the previous step which also reached this step.', 'woocommerce' ) ); ?></th>
+					<th class="total_row"><?php esc_html_e( 'Of first step', 'woocommerce' ); ?> <?php echo wc_help_tip( __( 'Share of the sessions which viewed a product and reached this step.', 'woocommerce' ) ); ?></th>
+				</tr>
+			</thead>
+			<?php if ( array_sum( $funnel ) ) : ?>
+				<tbody>
+					<?php
+					$previous = 0;
+
+					foreach ( $funnel as $step => $sessions ) {
+						?>
+						<tr>
+							<th scope="row"><?php echo esc_html( isset( $labels[ $step ] ) ? $labels[ $step ] : $step ); ?></th>
+							<td class="total_row"><?php echo esc_html( $sessions ); ?></td>
+							<td class="total_row"><?php echo $previous ? esc_html( $this->format_rate( $sessions, $previous ) ) : '&ndash;'; ?></td>
+							<td class="total_row"><?php echo $first ? esc_html( $this->format_rate( $sessions, $first ) ) : '&ndash;'; ?></td>
+						</tr>
+						<?php
+						$previous = $sessions;
+					}
+					?>
+				</tbody>
+			<?php else : ?>
+				<tbody>
+					<tr>
+						<td colspan="4"><?php esc_html_e( 'No store events were recorded in this period.', 'woocommerce' ); ?></td>
+					</tr>
+				</tbody>
+			<?php endif; ?>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Format the share of sessions of one step in another.
+	 *
+	 * Sessions can skip steps, e.g. when products are added from a list, so shares above 100% are possible.
+	 *
+	 * @param int $sessions Sessions of the step.
+	 * @param int $total    Sessions of the step compared with, more than 0.
+	 * @return string
+	 */
+	protected function format_rate( $sessions, $total ) {
+		return wc_format_decimal( $sessions / $total * 100, 1 ) . '%';
+	}
+}
@@ -281,8 +281,6 @@ class WC_Report_Sales_By_Category extends WC_Admin_Report {
 	 * Get the main chart.
 	 */
 	public function get_main_chart() {
-		global $wp_locale;
-
 		if ( empty( $this->show_categories ) ) {
 			?>
 			<div class="chart-container">
@@ -328,124 +326,22 @@ class WC_Report_Sales_By_Category extends WC_Admin_Report {
 
 				$index++;
 			}
-			?>
-			<div class="chart-container">
-				<div class="chart-placeholder main"></div>
-			</div>
-			<?php // @codingStandardsIgnoreStart ?>
-			<script type="text/javascript">
-				var main_chart;
 
-				jQuery(function(){
-					var drawGraph = function( highlight ) {
-						var series = [
-							<?php
-								$index = 0;
-								foreach ( $chart_data as $data ) {
-									$color  = isset( $this->chart_colours[ $index ] ) ? $this->chart_colours[ $index ] : $this->chart_colours[0];
-									$width  = $this->barwidth / sizeof( $chart_data );
-									$offset = ( $width * $index );
-									$series = $data['data'];
-
-									foreach ( $series as $key => $series_data ) {
-										$series[ $key ][0] = $series_data[0] + $offset;
-									}
-
-									$series = wp_json_encode( $series );
-
-									echo '{
-											label: "' . esc_js( $data['category'] ) . '",
-											data: JSON.parse( decodeURIComponent( "' . rawurlencode( $series ) . '" ) ),
-											color: "' . $color . '",
-											bars: {
-												fillColor: "' . $color . '",
-												fill: true,
-												show: true,
-												lineWidth: 1,
-												align: "center",
-												barWidth: ' . $width * 0.75 . ',
-												stack: false
-											},
-											' . $this->get_currency_tooltip() . ',
-											enable_tooltip: true,
-											prepend_label: true
-										},';
-									$index++;
-								}
-							?>
-						];
-
-						if ( highlight !== 'undefined' && series[ highlight ] ) {
-							highlight_series = series[ highlight ];
-
-							highlight_series.color = '#9c5d90';
-
-							if ( highlight_series.bars ) {
-								highlight_series.bars.fillColor = '#9c5d90';
-							}
-
-							if ( highlight_series.lines ) {
-								highlight_series.lines.lineWidth = 5;
-							}
-						}
+			$series = array();
+			$index  = 0;
 
-						main_chart = jQuery.plot(
-							jQuery('.chart-placeholder.main'),
-							series,
-							{
-								legend: {
-									show: false
-								},
-								grid: {
-									color: '#aaa',
-									borderColor: 'transparent',
-									borderWidth: 0,
-									hoverable: true
-								},
-								xaxes: [ {
-									color: '#aaa',
-									reserveSpace: true,
-									position: "bottom",
-									tickColor: 'transparent',
-									mode: "time",
-									timeformat: "<?php echo ( 'day' === $this->chart_groupby ) ? '%d %b' : '%b'; ?>",
-									monthNames: JSON.parse( decodeURIComponent( '<?php echo rawurlencode( wp_json_encode( array_values( $wp_locale->month_abbrev ) ) ); ?>' ) ),
-									tickLength: 1,
-									minTickSize: [1, "<?php echo $this->chart_groupby; ?>"],
-									tickSize: [1, "<?php echo $this->chart_groupby; ?>"],
-									font: {
-										color: "#aaa"
-									}
-								} ],
-								yaxes: [
-									{
-										min: 0,
-										tickDecimals: 2,
-										color: 'transparent',
-										font: { color: "#aaa" }
-									}
-								],
-							}
-						);
-
-						jQuery('.chart-placeholder').trigger( 'resize' );
+			foreach ( $chart_data as $data ) {
+				$series[] = array(
+					'label' => $data['category'],
+					'data'  => $data['data'],
+					'color' => isset( $this->chart_colours[ $index ] ) ? $this->chart_colours[ $index ] : $this->chart_colours[0],
+					'type'  => 'bar',
+				);
 
-					}
-
-					drawGraph();
+				$index++;
+			}
 
-					jQuery('.highlight_series').on( 'mouseenter',
-						function() {
-							drawGraph( jQuery(this).data('series') );
-						} ).on( 'mouseleave',
-						function() {
-							drawGraph();
-						}
-					);
-				});
-			</script>
-			<?php // @codingStandardsIgnoreEnd ?>
-			<?php
+			$this->output_chart( $series );
 		}
 	}
 }
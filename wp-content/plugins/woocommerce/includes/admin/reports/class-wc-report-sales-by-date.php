@@ -566,6 +566,13 @@ class WC_Report_Sales_By_Date extends WC_Admin_Report {
 			'highlight_series' => 4,
 		);
 
+		// The series of a breakdown do not match the legend.
+		if ( $this->get_current_breakdown() ) {
+			foreach ( $legend as $key => $item ) {
+				unset( $legend[ $key ]['highlight_series'] );
+			}
+		}
+
 		return $legend;
 	}
 
@@ -616,7 +623,6 @@ class WC_Report_Sales_By_Date extends WC_Admin_Report {
 			class="export_csv"
 			data-export="chart"
 			data-xaxes="<?php esc_attr_e( 'Date', 'woocommerce' ); ?>"
-			data-exclude_series="2"
 			data-groupby="<?php echo esc_attr( $this->chart_groupby ); ?>"
 		>
 			<?php esc_html_e( 'Export CSV', 'woocommerce' ); ?>
@@ -640,22 +646,62 @@ class WC_Report_Sales_By_Date extends WC_Admin_Report {
 	}
 
 	/**
-	 * Get the main chart.
+	 * Get the breakdowns of item sales offered: by branch and by each product attribute.
+	 *
+	 * @return array Labels keyed by breakdown.
 	 */
-	public function get_main_chart() {
-		global $wp_locale;
+	public function get_breakdowns() {
+		$breakdowns = array();
+
+		if ( WC_Showroom_Appointments::get_branches() ) {
+			$breakdowns['branch'] = __( 'Branch', 'woocommerce' );
+		}
+
+		foreach ( wc_get_attribute_taxonomies() as $attribute ) {
+			$breakdowns[ wc_attribute_taxonomy_name( $attribute->attribute_name ) ] = $attribute->attribute_label;
+		}
+
+		return apply_filters( 'woocommerce_report_sales_breakdowns', $breakdowns );
+	}
+
+	/**
+	 * Get the breakdown chosen, if any.
+	 *
+	 * @return string
+	 */
+	public function get_current_breakdown() {
+		$breakdown = ! empty( $_GET['breakdown'] ) ? sanitize_text_field( wp_unslash( $_GET['breakdown'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+		return array_key_exists( $breakdown, $this->get_breakdowns() ) ? $breakdown : '';
+	}
+
+	/**
+	 * Whether to compare the period to the one before it.
+	 *
+	 * @return bool
+	 */
+	public function is_comparing() {
+		return ! empty( $_GET['compare'] ) && 'previous_period' === $_GET['compare']; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+	}
+
+	/**
+	 * Get the data of the chart, by day or month.
+	 *
+	 * @return array
+	 */
+	public function get_chart_data() {
+		$report_data = $this->get_report_data();
 
-		// Prepare data for report.
 		$data = array(
-			'order_counts'         => $this->prepare_chart_data( $this->report_data->order_counts, 'post_date', 'count', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'order_item_counts'    => $this->prepare_chart_data( $this->report_data->order_items, 'post_date', 'order_item_count', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'order_amounts'        => $this->prepare_chart_data( $this->report_data->orders, 'post_date', 'total_sales', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'coupon_amounts'       => $this->prepare_chart_data( $this->report_data->coupons, 'post_date', 'discount_amount', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'shipping_amounts'     => $this->prepare_chart_data( $this->report_data->orders, 'post_date', 'total_shipping', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'refund_amounts'       => $this->prepare_chart_data( $this->report_data->refund_lines, 'post_date', 'total_refund', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'net_refund_amounts'   => $this->prepare_chart_data( $this->report_data->refunded_orders, 'post_date', 'net_refund', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'shipping_tax_amounts' => $this->prepare_chart_data( $this->report_data->orders, 'post_date', 'total_shipping_tax', $this->chart_interval, $this->start_date, $this->chart_groupby ),
-			'tax_amounts'          => $this->prepare_chart_data( $this->report_data->orders, 'post_date', 'total_tax', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'order_counts'         => $this->prepare_chart_data( $report_data->order_counts, 'post_date', 'count', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'order_item_counts'    => $this->prepare_chart_data( $report_data->order_items, 'post_date', 'order_item_count', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'order_amounts'        => $this->prepare_chart_data( $report_data->orders, 'post_date', 'total_sales', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'coupon_amounts'       => $this->prepare_chart_data( $report_data->coupons, 'post_date', 'discount_amount', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'shipping_amounts'     => $this->prepare_chart_data( $report_data->orders, 'post_date', 'total_shipping', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'refund_amounts'       => $this->prepare_chart_data( $report_data->refund_lines, 'post_date', 'total_refund', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'net_refund_amounts'   => $this->prepare_chart_data( $report_data->refunded_orders, 'post_date', 'net_refund', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'shipping_tax_amounts' => $this->prepare_chart_data( $report_data->orders, 'post_date', 'total_shipping_tax', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+			'tax_amounts'          => $this->prepare_chart_data( $report_data->orders, 'post_date', 'total_tax', $this->chart_interval, $this->start_date, $this->chart_groupby ),
 			'net_order_amounts'    => array(),
 			'gross_order_amounts'  => array(),
 		);
@@ -674,196 +720,381 @@ class WC_Report_Sales_By_Date extends WC_Admin_Report {
 		}
 
 		// 3rd party filtering of report data.
-		$data = apply_filters( 'woocommerce_admin_report_chart_data', $data );
+		return apply_filters( 'woocommerce_admin_report_chart_data', $data );
+	}
 
-		// Encode in json format.
-		$chart_data = wp_json_encode(
+	/**
+	 * Get the item sales of the period split by a breakdown, by day or month.
+	 *
+	 * @param string $breakdown Branch or attribute taxonomy.
+	 * @return array[] Groups with a label, item sales and the orders behind them.
+	 */
+	public function get_breakdown_data( $breakdown ) {
+		$rows = (array) $this->get_order_report_data(
 			array(
-				'order_counts'        => array_values( $data['order_counts'] ),
-				'order_item_counts'   => array_values( $data['order_item_counts'] ),
-				'order_amounts'       => array_map( array( $this, 'round_chart_totals' ), array_values( $data['order_amounts'] ) ),
-				'gross_order_amounts' => array_map( array( $this, 'round_chart_totals' ), array_values( $data['gross_order_amounts'] ) ),
-				'net_order_amounts'   => array_map( array( $this, 'round_chart_totals' ), array_values( $data['net_order_amounts'] ) ),
-				'shipping_amounts'    => array_map( array( $this, 'round_chart_totals' ), array_values( $data['shipping_amounts'] ) ),
-				'coupon_amounts'      => array_map( array( $this, 'round_chart_totals' ), array_values( $data['coupon_amounts'] ) ),
-				'refund_amounts'      => array_map( array( $this, 'round_chart_totals' ), array_values( $data['refund_amounts'] ) ),
+				'data'         => array(
+					'ID'               => array(
+						'type'     => 'post_data',
+						'function' => '',
+						'name'     => 'order_id',
+					),
+					'post_date'        => array(
+						'type'     => 'post_data',
+						'function' => '',
+						'name'     => 'post_date',
+					),
+					'_line_total'      => array(
+						'type'            => 'order_item_meta',
+						'order_item_type' => 'line_item',
+						'function'        => '',
+						'name'            => 'line_total',
+					),
+					'_product_id'      => array(
+						'type'            => 'order_item_meta',
+						'order_item_type' => 'line_item',
+						'function'        => '',
+						'name'            => 'product_id',
+					),
+					'_variation_id'    => array(
+						'type'            => 'order_item_meta',
+						'order_item_type' => 'line_item',
+						'function'        => '',
+						'name'            => 'variation_id',
+					),
+					'_showroom_branch' => array(
+						'type'      => 'meta',
+						'function'  => '',
+						'name'      => 'branch',
+						'join_type' => 'LEFT',
+					),
+				),
+				'where'        => array(
+					array(
+						'key'      => 'order_items.order_item_type',
+						'value'    => 'line_item',
+						'operator' => '=',
+					),
+				),
+				'order_by'     => 'post_date ASC',
+				'query_type'   => 'get_results',
+				'filter_range' => true,
+				'order_types'  => wc_get_order_types( 'order-count' ),
+				'order_status' => array( 'completed', 'processing', 'on-hold', 'refunded' ),
 			)
 		);
-		?>
-		<div class="chart-container">
-			<div class="chart-placeholder main"></div>
-		</div>
-		<script type="text/javascript">
-
-			var main_chart;
-
-			jQuery(function(){
-				var order_data = JSON.parse( decodeURIComponent( '<?php echo rawurlencode( $chart_data ); ?>' ) );
-				var drawGraph = function( highlight ) {
-					var series = [
-						{
-							label: "<?php echo esc_js( __( 'Number of items sold', 'woocommerce' ) ); ?>",
-							data: order_data.order_item_counts,
-							color: '<?php echo esc_js( $this->chart_colours['item_count'] ); ?>',
-							bars: { fillColor: '<?php echo esc_js( $this->chart_colours['item_count'] ); ?>', fill: true, show: true, lineWidth: 0, barWidth: <?php echo esc_js( $this->barwidth ); ?> * 0.5, align: 'center' },
-							shadowSize: 0,
-							hoverable: false
-						},
-						{
-							label: "<?php echo esc_js( __( 'Number of orders', 'woocommerce' ) ); ?>",
-							data: order_data.order_counts,
-							color: '<?php echo esc_js( $this->chart_colours['order_count'] ); ?>',
-							bars: { fillColor: '<?php echo esc_js( $this->chart_colours['order_count'] ); ?>', fill: true, show: true, lineWidth: 0, barWidth: <?php echo esc_js( $this->barwidth ); ?> * 0.5, align: 'center' },
-							shadowSize: 0,
-							hoverable: false
-						},
-						{
-							label: "<?php echo esc_js( __( 'Average gross sales amount', 'woocommerce' ) ); ?>",
-							data: [ [ <?php echo esc_js( min( array_keys( $data['order_amounts'] ) ) ); ?>, <?php echo esc_js( $this->report_data->average_total_sales ); ?> ], [ <?php echo esc_js( max( array_keys( $data['order_amounts'] ) ) ); ?>, <?php echo esc_js( $this->report_data->average_total_sales ); ?> ] ],
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['average'] ); ?>',
-							points: { show: false },
-							lines: { show: true, lineWidth: 2, fill: false },
-							shadowSize: 0,
-							hoverable: false
-						},
-						{
-							label: "<?php echo esc_js( __( 'Average net sales amount', 'woocommerce' ) ); ?>",
-							data: [ [ <?php echo esc_js( min( array_keys( $data['order_amounts'] ) ) ); ?>, <?php echo esc_js( $this->report_data->average_sales ); ?> ], [ <?php echo esc_js( max( array_keys( $data['order_amounts'] ) ) ); ?>, <?php echo esc_js( $this->report_data->average_sales ); ?> ] ],
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['net_average'] ); ?>',
-							points: { show: false },
-							lines: { show: true, lineWidth: 2, fill: false },
-							shadowSize: 0,
-							hoverable: false
-						},
-						{
-							label: "<?php echo esc_js( __( 'Coupon amount', 'woocommerce' ) ); ?>",
-							data: order_data.coupon_amounts,
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['coupon_amount'] ); ?>',
-							points: { show: true, radius: 5, lineWidth: 2, fillColor: '#fff', fill: true },
-							lines: { show: true, lineWidth: 2, fill: false },
-							shadowSize: 0,
-							<?php echo $this->get_currency_tooltip();  // phpcs:ignore WordPress.XSS.EscapeOutput.OutputNotEscaped ?>
-						},
-						{
-							label: "<?php echo esc_js( __( 'Shipping amount', 'woocommerce' ) ); ?>",
-							data: order_data.shipping_amounts,
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['shipping_amount'] ); ?>',
-							points: { show: true, radius: 5, lineWidth: 2, fillColor: '#fff', fill: true },
-							lines: { show: true, lineWidth: 2, fill: false },
-							shadowSize: 0,
-							prepend_tooltip: "<?php echo get_woocommerce_currency_symbol(); // phpcs:ignore WordPress.XSS.EscapeOutput.OutputNotEscaped ?>"
-						},
-						{
-							label: "<?php echo esc_js( __( 'Gross sales amount', 'woocommerce' ) ); ?>",
-							data: order_data.gross_order_amounts,
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['sales_amount'] ); ?>',
-							points: { show: true, radius: 5, lineWidth: 2, fillColor: '#fff', fill: true },
-							lines: { show: true, lineWidth: 2, fill: false },
-							shadowSize: 0,
-							<?php echo $this->get_currency_tooltip(); // phpcs:ignore WordPress.XSS.EscapeOutput.OutputNotEscaped ?>
-						},
-						{
-							label: "<?php echo esc_js( __( 'Net sales amount', 'woocommerce' ) ); ?>",
-							data: order_data.net_order_amounts,
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['net_sales_amount'] ); ?>',
-							points: { show: true, radius: 6, lineWidth: 4, fillColor: '#fff', fill: true },
-							lines: { show: true, lineWidth: 5, fill: false },
-							shadowSize: 0,
-							<?php echo $this->get_currency_tooltip(); // phpcs:ignore WordPress.XSS.EscapeOutput.OutputNotEscaped ?>
-						},
-						{
-							label: "<?php echo esc_js( __( 'Refund amount', 'woocommerce' ) ); ?>",
-							data: order_data.refund_amounts,
-							yaxis: 2,
-							color: '<?php echo esc_js( $this->chart_colours['refund_amount'] ); ?>',
-							points: { show: true, radius: 5, lineWidth: 2, fillColor: '#fff', fill: true },
-							lines: { show: true, lineWidth: 2, fill: false },
-							shadowSize: 0,
-							prepend_tooltip: "<?php echo get_woocommerce_currency_symbol(); // phpcs:ignore WordPress.XSS.EscapeOutput.OutputNotEscaped ?>"
-						},
-					];
-
-					if ( highlight !== 'undefined' && series[ highlight ] ) {
-						highlight_series = series[ highlight ];
-
-						highlight_series.color = '#9c5d90';
-
-						if ( highlight_series.bars ) {
-							highlight_series.bars.fillColor = '#9c5d90';
-						}
-
-						if ( highlight_series.lines ) {
-							highlight_series.lines.lineWidth = 5;
-						}
-					}
 
-					main_chart = jQuery.plot(
-						jQuery('.chart-placeholder.main'),
-						series,
-						{
-							legend: {
-								show: false
-							},
-							grid: {
-								color: '#aaa',
-								borderColor: 'transparent',
-								borderWidth: 0,
-								hoverable: true
-							},
-							xaxes: [ {
-								color: '#aaa',
-								position: "bottom",
-								tickColor: 'transparent',
-								mode: "time",
-								timeformat: "<?php echo ( 'day' === $this->chart_groupby ) ? '%d %b' : '%b'; ?>",
-								monthNames: JSON.parse( decodeURIComponent( '<?php echo rawurlencode( wp_json_encode( array_values( $wp_locale->month_abbrev ) ) ); ?>' ) ),
-								tickLength: 1,
-								minTickSize: [1, "<?php echo esc_js( $this->chart_groupby ); ?>"],
-								font: {
-									color: "#aaa"
-								}
-							} ],
-							yaxes: [
-								{
-									min: 0,
-									minTickSize: 1,
-									tickDecimals: 0,
-									color: '#d4d9dc',
-									font: { color: "#aaa" }
-								},
-								{
-									position: "right",
-									min: 0,
-									tickDecimals: 2,
-									alignTicksWithAxis: 1,
-									color: 'transparent',
-									font: { color: "#aaa" }
-								}
-							],
-						}
-					);
-
-					jQuery('.chart-placeholder').trigger( 'resize' );
-				}
+		$values = array();
+		$groups = array();
 
-				drawGraph();
+		foreach ( $rows as $row ) {
+			if ( 'branch' === $breakdown ) {
+				$branch = $row->branch ? WC_Showroom_Appointments::get_branch( $row->branch ) : null;
+				$label  = $branch ? $branch['name'] : __( 'No branch', 'woocommerce' );
+			} else {
+				$product_id = $row->variation_id ? $row->variation_id : $row->product_id;
 
-				jQuery('.highlight_series').on( 'mouseenter',
-					function() {
-						drawGraph( jQuery(this).data('series') );
-					} ).on( 'mouseleave',
-					function() {
-						drawGraph();
+				if ( ! isset( $values[ $product_id ] ) ) {
+					$product               = wc_get_product( $product_id );
+					$values[ $product_id ] = $product ? $product->get_attribute( $breakdown ) : '';
+
+					if ( '' === $values[ $product_id ] && $product && $product->get_parent_id() ) {
+						$parent                = wc_get_product( $product->get_parent_id() );
+						$values[ $product_id ] = $parent ? $parent->get_attribute( $breakdown ) : '';
 					}
+				}
+
+				$label = '' !== $values[ $product_id ] ? $values[ $product_id ] : __( 'Not set', 'woocommerce' );
+			}
+
+			$groups[ $label ][] = $row;
+		}
+
+		ksort( $groups );
+
+		foreach ( $groups as $label => $group_rows ) {
+			$groups[ $label ] = array(
+				'label'  => $label,
+				'data'   => $this->prepare_chart_data( $group_rows, 'post_date', 'line_total', $this->chart_interval, $this->start_date, $this->chart_groupby ),
+				'orders' => $this->prepare_chart_orders( $group_rows, 'post_date', 'order_id', $this->chart_groupby ),
+			);
+		}
+
+		return array_values( apply_filters( 'woocommerce_report_sales_breakdown_data', $groups, $breakdown, $this ) );
+	}
+
+	/**
+	 * Get the orders behind a group of a breakdown over the period, for the orders list to drill down to.
+	 *
+	 * @param string $breakdown Branch or attribute taxonomy.
+	 * @param string $group     Label of the group.
+	 * @return int[]
+	 */
+	public function get_breakdown_order_ids( $breakdown, $group ) {
+		$order_ids = array();
+
+		if ( ! array_key_exists( $breakdown, $this->get_breakdowns() ) ) {
+			return $order_ids;
+		}
+
+		foreach ( $this->get_breakdown_data( $breakdown ) as $data ) {
+			if ( $group !== $data['label'] ) {
+				continue;
+			}
+
+			foreach ( $data['orders'] as $orders ) {
+				$order_ids = array_merge( $order_ids, $orders );
+			}
+		}
+
+		return array_values( array_unique( $order_ids ) );
+	}
+
+	/**
+	 * Get the same report for the period before this one, of the same length.
+	 *
+	 * @return WC_Report_Sales_By_Date
+	 */
+	public function get_previous_period() {
+		$previous              = clone $this;
+		$previous->report_data = null;
+
+		if ( 'day' === $this->chart_groupby ) {
+			$previous->start_date = strtotime( '-' . ( $this->chart_interval + 1 ) . ' DAY', $this->start_date );
+		} else {
+			$previous->start_date = strtotime( '-' . ( $this->chart_interval + 1 ) . ' MONTH', strtotime( date( 'Y-m-01', $this->start_date ) ) );
+		}
+
+		$previous->end_date = strtotime( '-1 DAY', $this->start_date );
+
+		return $previous;
+	}
+
+	/**
+	 * Move the points of the previous period onto the days or months of this one, so the periods can be compared.
+	 *
+	 * @param array $previous Chart data of the previous period.
+	 * @param array $current  Chart data of this period.
+	 * @return array
+	 */
+	private function align_previous_period( $previous, $current ) {
+		$aligned  = array();
+		$previous = array_values( $previous );
+
+		foreach ( array_keys( $current ) as $index => $time ) {
+			$aligned[ $time ] = array( (string) $time, isset( $previous[ $index ] ) ? $previous[ $index ][1] : 0 );
+		}
+
+		return $aligned;
+	}
+
+	/**
+	 * Get the order totals less shipping and taxes by day or month, to set the item sales of a breakdown against.
+	 *
+	 * @param array $data Chart data.
+	 * @return array
+	 */
+	private function get_sales_before_shipping_and_tax( $data ) {
+		$amounts = array();
+
+		foreach ( $data['order_amounts'] as $time => $amount ) {
+			$amounts[ $time ] = array( $amount[0], $amount[1] - $data['shipping_amounts'][ $time ][1] - $data['shipping_tax_amounts'][ $time ][1] - $data['tax_amounts'][ $time ][1] );
+		}
+
+		return $amounts;
+	}
+
+	/**
+	 * Get the series of the main chart.
+	 *
+	 * @return array
+	 */
+	public function get_chart_series() {
+		$data      = $this->get_chart_data();
+		$breakdown = $this->get_current_breakdown();
+		$series    = array(
+			array(
+				'label' => __( 'Number of items sold', 'woocommerce' ),
+				'data'  => $data['order_item_counts'],
+				'color' => $this->chart_colours['item_count'],
+				'type'  => 'bar',
+				'axis'  => 'count',
+			),
+			array(
+				'label'     => __( 'Number of orders', 'woocommerce' ),
+				'data'      => $data['order_counts'],
+				'color'     => $this->chart_colours['order_count'],
+				'type'      => 'bar',
+				'axis'      => 'count',
+				'drilldown' => array(
+					'report_status' => 'completed,processing,on-hold,refunded',
+				),
+			),
+		);
+
+		if ( $breakdown ) {
+			$palette = array( '#3498db', '#e74c3c', '#5cc488', '#f1c40f', '#9b59b6', '#e67e22', '#1abc9c', '#34495e', '#95a5a6', '#d35400' );
+
+			foreach ( $this->get_breakdown_data( $breakdown ) as $index => $group ) {
+				$series[] = array(
+					'label'     => $group['label'],
+					'data'      => array_map( array( $this, 'round_chart_totals' ), $group['data'] ),
+					'color'     => $palette[ $index % count( $palette ) ],
+					'drilldown' => array(
+						'report_breakdown' => $breakdown,
+						'report_group'     => $group['label'],
+					),
 				);
-			});
-		</script>
+			}
+
+			if ( $this->is_comparing() ) {
+				$current  = $this->get_sales_before_shipping_and_tax( $data );
+				$previous = $this->get_sales_before_shipping_and_tax( $this->get_previous_period()->get_chart_data() );
+
+				$series[] = array(
+					'label'  => __( 'Sales excluding shipping and tax', 'woocommerce' ),
+					'data'   => array_map( array( $this, 'round_chart_totals' ), $current ),
+					'color'  => '#646970',
+					'points' => false,
+				);
+				$series[] = array(
+					'label'  => __( 'Sales excluding shipping and tax (previous period)', 'woocommerce' ),
+					'data'   => array_map( array( $this, 'round_chart_totals' ), $this->align_previous_period( $previous, $current ) ),
+					'color'  => '#646970',
+					'dashed' => true,
+					'points' => false,
+				);
+			}
+
+			return apply_filters( 'woocommerce_report_sales_chart_series', $series, $this );
+		}
+
+		$averages = array(
+			'average_total_sales' => array(),
+			'average_sales'       => array(),
+		);
+
+		foreach ( $averages as $key => $average ) {
+			foreach ( array_keys( $data['order_amounts'] ) as $time ) {
+				$averages[ $key ][ $time ] = array( (string) $time, $this->get_report_data()->$key );
+			}
+		}
+
+		$series = array_merge(
+			$series,
+			array(
+				array(
+					'label'  => __( 'Average gross sales amount', 'woocommerce' ),
+					'data'   => $averages['average_total_sales'],
+					'color'  => $this->chart_colours['average'],
+					'points' => false,
+					'export' => false,
+				),
+				array(
+					'label'  => __( 'Average net sales amount', 'woocommerce' ),
+					'data'   => $averages['average_sales'],
+					'color'  => $this->chart_colours['net_average'],
+					'points' => false,
+					'export' => false,
+				),
+				array(
+					'label' => __( 'Coupon amount', 'woocommerce' ),
+					'data'  => array_map( array( $this, 'round_chart_totals' ), $data['coupon_amounts'] ),
+					'color' => $this->chart_colours['coupon_amount'],
+				),
+				array(
+					'label' => __( 'Shipping amount', 'woocommerce' ),
+					'data'  => array_map( array( $this, 'round_chart_totals' ), $data['shipping_amounts'] ),
+					'color' => $this->chart_colours['shipping_amount'],
+				),
+				array(
+					'label' => __( 'Gross sales amount', 'woocommerce' ),
+					'data'  => array_map( array( $this, 'round_chart_totals' ), $data['gross_order_amounts'] ),
+					'color' => $this->chart_colours['sales_amount'],
+				),
+				array(
+					'label' => __( 'Net sales amount', 'woocommerce' ),
+					'data'  => array_map( array( $this, 'round_chart_totals' ), $data['net_order_amounts'] ),
+					'color' => $this->chart_colours['net_sales_amount'],
+					'width' => 4,
+				),
+				array(
+					'label' => __( 'Refund amount', 'woocommerce' ),
+					'data'  => array_map( array( $this, 'round_chart_totals' ), $data['refund_amounts'] ),
+					'color' => $this->chart_colours['refund_amount'],
+				),
+			)
+		);
+
+		if ( $this->is_comparing() ) {
+			$previous = $this->get_previous_period()->get_chart_data();
+
+			$series[] = array(
+				'label'  => __( 'Gross sales amount (previous period)', 'woocommerce' ),
+				'data'   => array_map( array( $this, 'round_chart_totals' ), $this->align_previous_period( $previous['gross_order_amounts'], $data['gross_order_amounts'] ) ),
+				'color'  => $this->chart_colours['sales_amount'],
+				'dashed' => true,
+				'points' => false,
+			);
+			$series[] = array(
+				'label'  => __( 'Net sales amount (previous period)', 'woocommerce' ),
+				'data'   => array_map( array( $this, 'round_chart_totals' ), $this->align_previous_period( $previous['net_order_amounts'], $data['net_order_amounts'] ) ),
+				'color'  => $this->chart_colours['net_sales_amount'],
+				'dashed' => true,
+				'points' => false,
+			);
+		}
+
+		return apply_filters( 'woocommerce_report_sales_chart_series', $series, $this );
+	}
+
+	/**
+	 * Output the breakdown and comparison options of the chart.
+	 */
+	public function output_chart_options() {
+		$breakdowns = $this->get_breakdowns();
+		?>
+		<form method="GET" class="wc-report-chart-options">
+			<?php
+			// Maintain query string.
+			foreach ( $_GET as $key => $value ) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+				if ( in_array( $key, array( 'breakdown', 'compare' ), true ) ) {
+					continue;
+				}
+
+				if ( is_array( $value ) ) {
+					foreach ( $value as $v ) {
+						echo '<input type="hidden" name="' . esc_attr( sanitize_text_field( $key ) ) . '[]" value="' . esc_attr( sanitize_text_field( wp_unslash( $v ) ) ) . '" />';
+					}
+				} else {
+					echo '<input type="hidden" name="' . esc_attr( sanitize_text_field( $key ) ) . '" value="' . esc_attr( sanitize_text_field( wp_unslash( $value ) ) ) . '" />';
+				}
+			}
+			?>
+			<?php if ( $breakdowns ) : ?>
+				<label>
+					<?php esc_html_e( 'Break item sales down by', 'woocommerce' ); ?>
+					<select name="breakdown">
+						<option value=""><?php esc_html_e( 'Nothing', 'woocommerce' ); ?></option>
+						<?php foreach ( $breakdowns as $breakdown => $label ) : ?>
+							<option value="<?php echo esc_attr( $breakdown ); ?>" <?php selected( $breakdown, $this->get_current_breakdown() ); ?>><?php echo esc_html( $label ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+			<?php endif; ?>
+			<label>
+				<input type="checkbox" name="compare" value="previous_period" <?php checked( $this->is_comparing() ); ?> />
+				<?php esc_html_e( 'Compare to the previous period', 'woocommerce' ); ?>
+			</label>
+			<button type="submit" class="button"><?php esc_html_e( 'Apply', 'woocommerce' ); ?></button>
+		</form>
 		<?php
 	}
+
+	/**
+	 * Get the main chart.
+	 */
+	public function get_main_chart() {
+		$this->output_chart_options();
+		$this->output_chart( $this->get_chart_series() );
+	}
 }
@@ -420,8 +420,6 @@ class WC_Report_Sales_By_Product extends WC_Admin_Report {
 	 * Get the main chart.
 	 */
 	public function get_main_chart() {
-		global $wp_locale;
-
 		if ( empty( $this->product_ids ) ) {
 			?>
 			<div class="chart-container">
@@ -510,123 +508,23 @@ class WC_Report_Sales_By_Product extends WC_Admin_Report {
 			$order_item_counts  = $this->prepare_chart_data( $order_item_counts, 'post_date', 'order_item_count', $this->chart_interval, $this->start_date, $this->chart_groupby );
 			$order_item_amounts = $this->prepare_chart_data( $order_item_amounts, 'post_date', 'order_item_amount', $this->chart_interval, $this->start_date, $this->chart_groupby );
 
-			// Encode in json format.
-			$chart_data = wp_json_encode(
+			$this->output_chart(
 				array(
-					'order_item_counts'  => array_values( $order_item_counts ),
-					'order_item_amounts' => array_values( $order_item_amounts ),
+					array(
+						'label' => __( 'Number of items sold', 'woocommerce' ),
+						'data'  => $order_item_counts,
+						'color' => $this->chart_colours['item_count'],
+						'type'  => 'bar',
+						'axis'  => 'count',
+					),
+					array(
+						'label' => __( 'Sales amount', 'woocommerce' ),
+						'data'  => $order_item_amounts,
+						'color' => $this->chart_colours['sales_amount'],
+						'width' => 4,
+					),
 				)
 			);
-			?>
-			<div class="chart-container">
-				<div class="chart-placeholder main"></div>
-			</div>
-			<?php // @codingStandardsIgnoreStart ?>
-			<script type="text/javascript">
-				var main_chart;
-
-				jQuery(function(){
-					var order_data = JSON.parse( decodeURIComponent( '<?php echo rawurlencode( $chart_data ); ?>' ) );
-
-					var drawGraph = function( highlight ) {
-
-						var series = [
-							{
-								label: "<?php echo esc_js( __( 'Number of items sold', 'woocommerce' ) ) ?>",
-								data: order_data.order_item_counts,
-								color: '<?php echo $this->chart_colours['item_count']; ?>',
-								bars: { fillColor: '<?php echo $this->chart_colours['item_count']; ?>', fill: true, show: true, lineWidth: 0, barWidth: <?php echo $this->barwidth; ?> * 0.5, align: 'center' },
-								shadowSize: 0,
-								hoverable: false
-							},
-							{
-								label: "<?php echo esc_js( __( 'Sales amount', 'woocommerce' ) ) ?>",
-								data: order_data.order_item_amounts,
-								yaxis: 2,
-								color: '<?php echo $this->chart_colours['sales_amount']; ?>',
-								points: { show: true, radius: 5, lineWidth: 3, fillColor: '#fff', fill: true },
-								lines: { show: true, lineWidth: 4, fill: false },
-								shadowSize: 0,
-								<?php echo $this->get_currency_tooltip(); ?>
-							}
-						];
-
-						if ( highlight !== 'undefined' && series[ highlight ] ) {
-							highlight_series = series[ highlight ];
-
-							highlight_series.color = '#9c5d90';
-
-							if ( highlight_series.bars )
-								highlight_series.bars.fillColor = '#9c5d90';
-
-							if ( highlight_series.lines ) {
-								highlight_series.lines.lineWidth = 5;
-							}
-						}
-
-						main_chart = jQuery.plot(
-							jQuery('.chart-placeholder.main'),
-							series,
-							{
-								legend: {
-									show: false
-								},
-								grid: {
-									color: '#aaa',
-									borderColor: 'transparent',
-									borderWidth: 0,
-									hoverable: true
-								},
-								xaxes: [ {
-									color: '#aaa',
-									position: "bottom",
-									tickColor: 'transparent',
-									mode: "time",
-									timeformat: "<?php echo ( 'day' === $this->chart_groupby ) ? '%d %b' : '%b'; ?>",
-									monthNames: JSON.parse( decodeURIComponent( '<?php echo rawurlencode( wp_json_encode( array_values( $wp_locale->month_abbrev ) ) ); ?>' ) ),
-									tickLength: 1,
-									minTickSize: [1, "<?php echo $this->chart_groupby; ?>"],
-									font: {
-										color: "#aaa"
-									}
-								} ],
-								yaxes: [
-									{
-										min: 0,
-										minTickSize: 1,
-										tickDecimals: 0,
-										color: '#ecf0f1',
-										font: { color: "#aaa" }
-									},
-									{
-										position: "right",
-										min: 0,
-										tickDecimals: 2,
-										alignTicksWithAxis: 1,
-										color: 'transparent',
-										font: { color: "#aaa" }
-									}
-								],
-							}
-						);
-
-						jQuery('.chart-placeholder').trigger( 'resize' );
-					}
-
-					drawGraph();
-
-					jQuery('.highlight_series').on( 'mouseenter',
-						function() {
-							drawGraph( jQuery(this).data('series') );
-						} ).on( 'mouseleave',
-						function() {
-							drawGraph();
-						}
-					);
-				});
-			</script>
-			<?php
-			// @codingStandardsIgnoreEnd
 		}
 	}
 }
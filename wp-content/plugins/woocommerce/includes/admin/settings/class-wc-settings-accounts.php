@@ -166,6 +166,44 @@ class WC_Settings_Accounts extends WC_Settings_Page {
 				'type' => 'sectionend',
 				'id'   => 'privacy_policy_options',
 			),
+			array(
+				'title' => __( 'Cookie consent', 'woocommerce' ),
+				'desc'  => __( 'Ask visitors which cookies they accept. Analytics, instant page prefetching and social sharing scripts are held back until the matching category is accepted.', 'woocommerce' ),
+				'type'  => 'title',
+				'id'    => 'cookie_consent_options',
+			),
+			array(
+				'title'   => __( 'Cookie banner', 'woocommerce' ),
+				'desc'    => __( 'Show a cookie consent banner', 'woocommerce' ),
+				'id'      => 'woocommerce_cookie_consent_enabled',
+				'default' => 'no',
+				'type'    => 'checkbox',
+			),
+			array(
+				'title'    => __( 'Banner text', 'woocommerce' ),
+				'desc_tip' => __( 'Text shown in the cookie banner.', 'woocommerce' ),
+				'id'       => 'woocommerce_cookie_consent_text',
+				'default'  => WC_Cookie_Consent::get_default_text(),
+				'type'     => 'textarea',
+				'css'      => 'min-width: 50%; height: 75px;',
+			),
+			array(
+				'title'             => __( 'Remember choice for', 'woocommerce' ),
+				'desc'              => __( 'days', 'woocommerce' ),
+				'desc_tip'          => __( 'Visitors are asked again once their choice expires.', 'woocommerce' ),
+				'id'                => 'woocommerce_cookie_consent_expiry',
+				'default'           => '180',
+				'type'              => 'number',
+				'css'               => 'width: 80px;',
+				'custom_attributes' => array(
+					'min'  => 1,
+					'step' => 1,
+				),
+			),
+			array(
+				'type' => 'sectionend',
+				'id'   => 'cookie_consent_options',
+			),
 			array(
 				'title' => __( 'Personal data retention', 'woocommerce' ),
 				'desc'  => __( 'Choose how long to retain personal data when it\'s no longer needed for processing. Leave the following options blank to retain this data indefinitely.', 'woocommerce' ),
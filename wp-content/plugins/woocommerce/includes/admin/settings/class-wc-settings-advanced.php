@@ -41,6 +41,7 @@ class WC_Settings_Advanced extends WC_Settings_Page {
 			'keys'            => __( 'REST API', 'woocommerce' ),
 			'webhooks'        => __( 'Webhooks', 'woocommerce' ),
 			'legacy_api'      => __( 'Legacy API', 'woocommerce' ),
+			'analytics'       => __( 'Analytics', 'woocommerce' ),
 			'woocommerce_com' => __( 'WooCommerce.com', 'woocommerce' ),
 		);
 	}
@@ -407,6 +408,111 @@ class WC_Settings_Advanced extends WC_Settings_Page {
 		return apply_filters( 'woocommerce_settings_rest_api', $settings );
 	}
 
+	/**
+	 * Get settings for the analytics section.
+	 *
+	 * @return array
+	 */
+	protected function get_settings_for_analytics_section() {
+		$settings =
+			array(
+				array(
+					'title' => __( 'Analytics', 'woocommerce' ),
+					'type'  => 'title',
+					'desc'  => __( 'Send product views, add to cart, checkout steps and purchases made with the store blocks to the services below.', 'woocommerce' ),
+					'id'    => 'analytics_options',
+				),
+				array(
+					'title'   => __( 'Consent', 'woocommerce' ),
+					'desc'    => __( 'Only send events once the customer has accepted analytics or marketing cookies', 'woocommerce' ),
+					'id'      => 'woocommerce_analytics_require_consent',
+					'type'    => 'checkbox',
+					'default' => 'no',
+				),
+				array(
+					'type' => 'sectionend',
+					'id'   => 'analytics_options',
+				),
+				array(
+					'title' => __( 'Google Analytics 4', 'woocommerce' ),
+					'type'  => 'title',
+					'desc'  => __( 'Skipped when the Google Analytics integration already tracks the store blocks.', 'woocommerce' ),
+					'id'    => 'analytics_ga4_options',
+				),
+				array(
+					'title'   => __( 'Enable', 'woocommerce' ),
+					'desc'    => __( 'Send events to Google Analytics 4', 'woocommerce' ),
+					'id'      => 'woocommerce_analytics_ga4_enabled',
+					'type'    => 'checkbox',
+					'default' => 'no',
+				),
+				array(
+					'title'       => __( 'Measurement ID', 'woocommerce' ),
+					'id'          => 'woocommerce_analytics_ga4_measurement_id',
+					'type'        => 'text',
+					'default'     => '',
+					'placeholder' => 'G-XXXXXXXXXX',
+				),
+				array(
+					'type' => 'sectionend',
+					'id'   => 'analytics_ga4_options',
+				),
+				array(
+					'title' => __( 'Meta Pixel', 'woocommerce' ),
+					'type'  => 'title',
+					'id'    => 'analytics_meta_pixel_options',
+				),
+				array(
+					'title'   => __( 'Enable', 'woocommerce' ),
+					'desc'    => __( 'Send events to a Meta Pixel. These count as marketing cookies.', 'woocommerce' ),
+					'id'      => 'woocommerce_analytics_meta_pixel_enabled',
+					'type'    => 'checkbox',
+					'default' => 'no',
+				),
+				array(
+					'title'   => __( 'Pixel ID', 'woocommerce' ),
+					'id'      => 'woocommerce_analytics_meta_pixel_id',
+					'type'    => 'text',
+					'default' => '',
+				),
+				array(
+					'type' => 'sectionend',
+					'id'   => 'analytics_meta_pixel_options',
+				),
+				array(
+					'title' => __( 'Store funnel', 'woocommerce' ),
+					'type'  => 'title',
+					'desc'  => __( 'Store events in the site database for the checkout funnel report, under Reports &gt; Customers. Events are tied to a random browsing session id, not to the customer.', 'woocommerce' ),
+					'id'    => 'analytics_first_party_options',
+				),
+				array(
+					'title'   => __( 'Enable', 'woocommerce' ),
+					'desc'    => __( 'Store events in the site database', 'woocommerce' ),
+					'id'      => 'woocommerce_analytics_first_party_enabled',
+					'type'    => 'checkbox',
+					'default' => 'no',
+				),
+				array(
+					'title'             => __( 'Keep events for (days)', 'woocommerce' ),
+					'desc'              => __( 'Older events are deleted daily. Set to 0 to keep them forever.', 'woocommerce' ),
+					'id'                => 'woocommerce_analytics_first_party_retention',
+					'type'              => 'number',
+					'default'           => '90',
+					'desc_tip'          => true,
+					'custom_attributes' => array(
+						'min'  => 0,
+						'step' => 1,
+					),
+				),
+				array(
+					'type' => 'sectionend',
+					'id'   => 'analytics_first_party_options',
+				),
+			);
+
+		return apply_filters( 'woocommerce_analytics_settings', $settings );
+	}
+
 	/**
 	 * Form method.
 	 *
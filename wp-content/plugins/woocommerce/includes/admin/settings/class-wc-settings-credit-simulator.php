@@ -0,0 +1,234 @@
+<?php
+/**
+ * WooCommerce Credit Simulation Settings
+ *
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+if ( class_exists( 'WC_Settings_Credit_Simulator', false ) ) {
+	return new WC_Settings_Credit_Simulator();
+}
+
+/**
+ * WC_Settings_Credit_Simulator.
+ */
+class WC_Settings_Credit_Simulator extends WC_Settings_Page {
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->id    = 'credit_simulator';
+		$this->label = __( 'Credit simulation', 'woocommerce' );
+
+		add_action( 'woocommerce_admin_field_credit_partners', array( $this, 'output_partners' ) );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_woocommerce_credit_simulator_partners', array( $this, 'sanitize_partners' ), 10, 3 );
+
+		parent::__construct();
+	}
+
+	/**
+	 * Get settings array.
+	 *
+	 * @return array
+	 */
+	protected function get_settings_for_default_section() {
+		$settings = array(
+			array(
+				'title' => __( 'Credit simulation', 'woocommerce' ),
+				'desc'  => __( 'Shows the monthly instalments of your leasing partners on product pages. The plan chosen by the customer is saved with the order item.', 'woocommerce' ),
+				'type'  => 'title',
+				'id'    => 'credit_simulator_options',
+			),
+			array(
+				'title'   => __( 'Enable', 'woocommerce' ),
+				'desc'    => __( 'Show the credit simulation on product pages', 'woocommerce' ),
+				'id'      => 'woocommerce_credit_simulator_enabled',
+				'default' => 'no',
+				'type'    => 'checkbox',
+			),
+			array(
+				'title'    => __( 'Tenors', 'woocommerce' ),
+				'desc'     => __( 'Comma separated list of tenors in months. Each tenor gets a rate column in the partners table.', 'woocommerce' ),
+				'id'       => 'woocommerce_credit_simulator_tenors',
+				'default'  => '11, 17, 23, 29, 35',
+				'type'     => 'text',
+				'desc_tip' => true,
+			),
+			array(
+				'title'    => __( 'Down payment options', 'woocommerce' ),
+				'desc'     => __( 'Comma separated list of down payment percentages the customer can choose from.', 'woocommerce' ),
+				'id'       => 'woocommerce_credit_simulator_down_payments',
+				'default'  => '10, 15, 20, 25, 30',
+				'type'     => 'text',
+				'desc_tip' => true,
+			),
+			array(
+				'title'             => __( 'Round up to', 'woocommerce' ),
+				'desc'              => __( 'Down payments and instalments are rounded up to a multiple of this amount. Use 0 to round to the store decimals.', 'woocommerce' ),
+				'id'                => 'woocommerce_credit_simulator_rounding',
+				'default'           => '1000',
+				'type'              => 'number',
+				'custom_attributes' => array(
+					'min'  => 0,
+					'step' => 'any',
+				),
+				'desc_tip'          => true,
+			),
+			array(
+				'title'    => __( 'Disclaimer', 'woocommerce' ),
+				'desc'     => __( 'Shown below the simulation table.', 'woocommerce' ),
+				'id'       => 'woocommerce_credit_simulator_disclaimer',
+				'default'  => __( 'This simulation is an estimate, the final instalment is determined by the leasing company after approval.', 'woocommerce' ),
+				'type'     => 'textarea',
+				'css'      => 'min-width: 50%; height: 75px;',
+				'desc_tip' => true,
+			),
+			array(
+				'title' => __( 'Leasing partners', 'woocommerce' ),
+				'id'    => 'woocommerce_credit_simulator_partners',
+				'type'  => 'credit_partners',
+			),
+			array(
+				'type' => 'sectionend',
+				'id'   => 'credit_simulator_options',
+			),
+		);
+
+		return apply_filters( 'woocommerce_credit_simulator_settings', $settings );
+	}
+
+	/**
+	 * Output the leasing partners rate table.
+	 *
+	 * @param array $value Field data.
+	 */
+	public function output_partners( $value ) {
+		$tenors   = WC_Credit_Simulator::get_tenors();
+		$partners = (array) get_option( $value['id'], array() );
+		$columns  = 4 + count( $tenors );
+		?>
+		<tr valign="top">
+			<th scope="row" class="titledesc"><?php echo esc_html( $value['title'] ); ?></th>
+			<td class="forminp" id="credit_simulator_partners">
+				<div class="wc_input_table_wrapper">
+					<table class="widefat wc_input_table sortable" cellspacing="0">
+						<thead>
+							<tr>
+								<th class="sort">&nbsp;</th>
+								<th><?php esc_html_e( 'Partner', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Min. down payment (%)', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Admin fee', 'woocommerce' ); ?></th>
+								<?php foreach ( $tenors as $tenor ) : ?>
+									<th>
+										<?php
+										/* translators: %d: tenor in months */
+										echo esc_html( sprintf( __( 'Rate %d mo. (%% / year)', 'woocommerce' ), $tenor ) );
+										?>
+									</th>
+								<?php endforeach; ?>
+							</tr>
+						</thead>
+						<tbody class="partners">
+							<?php
+							foreach ( array_values( $partners ) as $i => $partner ) {
+								$this->output_partner_row( $i, $partner, $tenors );
+							}
+							?>
+						</tbody>
+						<tfoot>
+							<tr>
+								<th colspan="<?php echo esc_attr( $columns ); ?>"><a href="#" class="add button"><?php esc_html_e( '+ Add partner', 'woocommerce' ); ?></a> <a href="#" class="remove_rows button"><?php esc_html_e( 'Remove selected partner(s)', 'woocommerce' ); ?></a></th>
+							</tr>
+						</tfoot>
+					</table>
+				</div>
+				<script type="text/html" id="tmpl-credit-simulator-partner">
+					<?php $this->output_partner_row( '{{ data.index }}', array(), $tenors ); ?>
+				</script>
+				<script type="text/javascript">
+					jQuery( function() {
+						jQuery( '#credit_simulator_partners' ).on( 'click', 'a.add', function() {
+							var size = jQuery( '#credit_simulator_partners' ).find( 'tbody .partner' ).length;
+
+							jQuery( wp.template( 'credit-simulator-partner' )( { index: size } ) ).appendTo( '#credit_simulator_partners table tbody' );
+
+							return false;
+						} );
+					} );
+				</script>
+			</td>
+		</tr>
+		<?php
+		wp_enqueue_script( 'wp-util' );
+	}
+
+	/**
+	 * Output a row of the leasing partners table.
+	 *
+	 * @param int|string $index   Row index.
+	 * @param array      $partner Partner data.
+	 * @param array      $tenors  Tenors.
+	 */
+	protected function output_partner_row( $index, $partner, $tenors ) {
+		$partner = wp_parse_args(
+			$partner,
+			array(
+				'name'             => '',
+				'min_down_payment' => '',
+				'admin_fee'        => '',
+				'rates'            => array(),
+			)
+		);
+		$name    = 'woocommerce_credit_simulator_partners[' . $index . ']';
+		?>
+		<tr class="partner">
+			<td class="sort"></td>
+			<td><input type="text" value="<?php echo esc_attr( $partner['name'] ); ?>" name="<?php echo esc_attr( $name ); ?>[name]" /></td>
+			<td><input type="number" min="0" max="99" step="any" value="<?php echo esc_attr( $partner['min_down_payment'] ); ?>" name="<?php echo esc_attr( $name ); ?>[min_down_payment]" /></td>
+			<td><input type="text" class="wc_input_price" value="<?php echo esc_attr( wc_format_localized_price( $partner['admin_fee'] ) ); ?>" name="<?php echo esc_attr( $name ); ?>[admin_fee]" /></td>
+			<?php foreach ( $tenors as $tenor ) : ?>
+				<td><input type="number" min="0" step="any" value="<?php echo esc_attr( isset( $partner['rates'][ $tenor ] ) ? $partner['rates'][ $tenor ] : '' ); ?>" name="<?php echo esc_attr( $name ); ?>[rates][<?php echo esc_attr( $tenor ); ?>]" placeholder="<?php esc_attr_e( 'N/A', 'woocommerce' ); ?>" /></td>
+			<?php endforeach; ?>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Sanitize the leasing partners table. Tenors without a rate are not offered by the partner.
+	 *
+	 * @param mixed $value     Cleaned value.
+	 * @param array $option    Option data.
+	 * @param mixed $raw_value Posted value.
+	 * @return array
+	 */
+	public function sanitize_partners( $value, $option, $raw_value ) {
+		$partners = array();
+
+		foreach ( (array) $raw_value as $partner ) {
+			if ( empty( $partner['name'] ) ) {
+				continue;
+			}
+
+			$rates = array();
+			foreach ( isset( $partner['rates'] ) ? (array) $partner['rates'] : array() as $tenor => $rate ) {
+				if ( '' !== $rate && absint( $tenor ) > 0 ) {
+					$rates[ absint( $tenor ) ] = max( 0, floatval( $rate ) );
+				}
+			}
+
+			$partners[] = array(
+				'name'             => wc_clean( $partner['name'] ),
+				'min_down_payment' => isset( $partner['min_down_payment'] ) ? min( 99, max( 0, floatval( $partner['min_down_payment'] ) ) ) : 0,
+				'admin_fee'        => isset( $partner['admin_fee'] ) ? wc_format_decimal( $partner['admin_fee'] ) : 0,
+				'rates'            => $rates,
+			);
+		}
+
+		return $partners;
+	}
+}
+
+return new WC_Settings_Credit_Simulator();
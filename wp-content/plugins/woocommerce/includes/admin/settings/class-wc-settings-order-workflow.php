@@ -0,0 +1,285 @@
+<?php
+/**
+ * WooCommerce Order Workflow Settings
+ *
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+if ( class_exists( 'WC_Settings_Order_Workflow', false ) ) {
+	return new WC_Settings_Order_Workflow();
+}
+
+/**
+ * WC_Settings_Order_Workflow.
+ */
+class WC_Settings_Order_Workflow extends WC_Settings_Page {
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->id    = 'order_workflow';
+		$this->label = __( 'Order workflow', 'woocommerce' );
+
+		add_action( 'woocommerce_admin_field_order_workflow_statuses', array( $this, 'output_statuses' ) );
+		add_action( 'woocommerce_admin_field_order_workflow_transitions', array( $this, 'output_transitions' ) );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_' . WC_Order_Workflow::STATUSES_OPTION, array( $this, 'sanitize_statuses' ), 10, 3 );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_' . WC_Order_Workflow::TRANSITIONS_OPTION, array( $this, 'sanitize_transitions' ), 10, 3 );
+
+		parent::__construct();
+	}
+
+	/**
+	 * Get settings array.
+	 *
+	 * @return array
+	 */
+	protected function get_settings_for_default_section() {
+		$settings = array(
+			array(
+				'title' => __( 'Order workflow', 'woocommerce' ),
+				'desc'  => __( 'Add your own order statuses and choose which statuses orders can move to from each status. The rules apply when orders are changed from the order screen, the orders list and the order board.', 'woocommerce' ),
+				'type'  => 'title',
+				'id'    => 'order_workflow_options',
+			),
+			array(
+				'title' => __( 'Custom statuses', 'woocommerce' ),
+				'id'    => WC_Order_Workflow::STATUSES_OPTION,
+				'type'  => 'order_workflow_statuses',
+			),
+			array(
+				'title' => __( 'Allowed transitions', 'woocommerce' ),
+				'id'    => WC_Order_Workflow::TRANSITIONS_OPTION,
+				'type'  => 'order_workflow_transitions',
+			),
+			array(
+				'type' => 'sectionend',
+				'id'   => 'order_workflow_options',
+			),
+		);
+
+		return apply_filters( 'woocommerce_order_workflow_settings', $settings );
+	}
+
+	/**
+	 * Output the custom statuses table.
+	 *
+	 * @param array $value Field data.
+	 */
+	public function output_statuses( $value ) {
+		$statuses = (array) get_option( $value['id'], array() );
+		?>
+		<tr valign="top">
+			<th scope="row" class="titledesc"><?php echo esc_html( $value['title'] ); ?></th>
+			<td class="forminp" id="order_workflow_statuses">
+				<div class="wc_input_table_wrapper">
+					<table class="widefat wc_input_table sortable" cellspacing="0">
+						<thead>
+							<tr>
+								<th class="sort">&nbsp;</th>
+								<th><?php esc_html_e( 'Status', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Slug', 'woocommerce' ); ?> <?php echo wc_help_tip( __( 'Used in URLs and the database. It cannot be changed once the status is saved.', 'woocommerce' ) ); // WPCS: XSS ok. ?></th>
+								<th><?php esc_html_e( 'Paid', 'woocommerce' ); ?> <?php echo wc_help_tip( __( 'Whether orders in this status have been paid for. Paid orders count towards sales reports.', 'woocommerce' ) ); // WPCS: XSS ok. ?></th>
+							</tr>
+						</thead>
+						<tbody class="statuses">
+							<?php
+							foreach ( array_values( $statuses ) as $i => $status ) {
+								$this->output_status_row( $i, $status );
+							}
+							?>
+						</tbody>
+						<tfoot>
+							<tr>
+								<th colspan="4"><a href="#" class="add button"><?php esc_html_e( '+ Add status', 'woocommerce' ); ?></a> <a href="#" class="remove_rows button"><?php esc_html_e( 'Remove selected status(es)', 'woocommerce' ); ?></a></th>
+							</tr>
+						</tfoot>
+					</table>
+				</div>
+				<p class="description"><?php esc_html_e( 'Statuses still used by orders cannot be removed. Save the statuses before choosing their transitions.', 'woocommerce' ); ?></p>
+				<?php if ( ! $statuses ) : ?>
+					<p class="description">
+						<?php
+						printf(
+							/* translators: 1: opening link tag 2: closing link tag */
+							esc_html__( 'To start from the vehicle sales statuses, run the "Create vehicle sales statuses" tool on the %1$sstatus tools%2$s page.', 'woocommerce' ),
+							'<a href="' . esc_url( admin_url( 'admin.php?page=wc-status&tab=tools' ) ) . '">',
+							'</a>'
+						);
+						?>
+					</p>
+				<?php endif; ?>
+				<script type="text/html" id="tmpl-order-workflow-status">
+					<?php $this->output_status_row( '{{ data.index }}', array() ); ?>
+				</script>
+				<script type="text/javascript">
+					jQuery( function() {
+						jQuery( '#order_workflow_statuses' ).on( 'click', 'a.add', function() {
+							var size = jQuery( '#order_workflow_statuses' ).find( 'tbody .status' ).length;
+
+							jQuery( wp.template( 'order-workflow-status' )( { index: size } ) ).appendTo( '#order_workflow_statuses table tbody' );
+
+							return false;
+						} );
+					} );
+				</script>
+			</td>
+		</tr>
+		<?php
+		wp_enqueue_script( 'wp-util' );
+	}
+
+	/**
+	 * Output a row of the custom statuses table.
+	 *
+	 * @param int|string $index  Row index.
+	 * @param array      $status Status data.
+	 */
+	protected function output_status_row( $index, $status ) {
+		$status = wp_parse_args(
+			$status,
+			array(
+				'slug'  => '',
+				'label' => '',
+				'paid'  => false,
+			)
+		);
+		$name   = WC_Order_Workflow::STATUSES_OPTION . '[' . $index . ']';
+		?>
+		<tr class="status">
+			<td class="sort"></td>
+			<td><input type="text" value="<?php echo esc_attr( $status['label'] ); ?>" name="<?php echo esc_attr( $name ); ?>[label]" /></td>
+			<td><input type="text" value="<?php echo esc_attr( $status['slug'] ); ?>" name="<?php echo esc_attr( $name ); ?>[slug]" maxlength="17" placeholder="<?php esc_attr_e( 'Generated from the status', 'woocommerce' ); ?>" <?php echo $status['slug'] ? 'readonly="readonly"' : ''; ?> /></td>
+			<td><input type="checkbox" value="1" name="<?php echo esc_attr( $name ); ?>[paid]" <?php checked( $status['paid'] ); ?> style="width: auto;" /></td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Output the allowed transitions table.
+	 *
+	 * @param array $value Field data.
+	 */
+	public function output_transitions( $value ) {
+		$transitions = WC_Order_Workflow::get_transitions();
+		$statuses    = wc_get_order_statuses();
+		?>
+		<tr valign="top">
+			<th scope="row" class="titledesc"><?php echo esc_html( $value['title'] ); ?></th>
+			<td class="forminp" id="order_workflow_transitions">
+				<table class="widefat striped" cellspacing="0">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'From', 'woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Can move to', 'woocommerce' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $statuses as $status => $label ) : ?>
+							<?php
+							$status  = WC_Order_Workflow::remove_status_prefix( $status );
+							$allowed = isset( $transitions[ $status ] ) ? $transitions[ $status ] : array();
+							?>
+							<tr>
+								<td><label for="order_workflow_transitions_<?php echo esc_attr( $status ); ?>"><?php echo esc_html( $label ); ?></label></td>
+								<td>
+									<select multiple="multiple" class="wc-enhanced-select" style="width: 100%;" id="order_workflow_transitions_<?php echo esc_attr( $status ); ?>" name="<?php echo esc_attr( $value['id'] . '[' . $status . '][]' ); ?>" data-placeholder="<?php esc_attr_e( 'Any status', 'woocommerce' ); ?>">
+										<?php foreach ( $statuses as $next_status => $next_label ) : ?>
+											<?php $next_status = WC_Order_Workflow::remove_status_prefix( $next_status ); ?>
+											<?php if ( $next_status !== $status ) : ?>
+												<option value="<?php echo esc_attr( $next_status ); ?>" <?php selected( in_array( $next_status, $allowed, true ) ); ?>><?php echo esc_html( $next_label ); ?></option>
+											<?php endif; ?>
+										<?php endforeach; ?>
+									</select>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+				<p class="description"><?php esc_html_e( 'Leave a status empty to let orders move from it to any status.', 'woocommerce' ); ?></p>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Sanitize the custom statuses. Statuses without a name are dropped, and removed statuses still used by orders
+	 * are kept.
+	 *
+	 * @param mixed $value     Cleaned value.
+	 * @param array $option    Option data.
+	 * @param mixed $raw_value Posted value.
+	 * @return array
+	 */
+	public function sanitize_statuses( $value, $option, $raw_value ) {
+		$current  = WC_Order_Workflow::get_custom_statuses();
+		$reserved = array_diff( array_map( array( 'WC_Order_Workflow', 'remove_status_prefix' ), array_keys( wc_get_order_statuses() ) ), array_keys( $current ) );
+		$statuses = array();
+
+		foreach ( (array) $raw_value as $status ) {
+			if ( empty( $status['label'] ) ) {
+				continue;
+			}
+
+			$label = wc_clean( $status['label'] );
+			$slug  = WC_Order_Workflow::remove_status_prefix( sanitize_title( empty( $status['slug'] ) ? $label : $status['slug'] ) );
+			$slug  = substr( $slug, 0, 17 );
+
+			if ( '' === $slug || in_array( $slug, $reserved, true ) || isset( $statuses[ $slug ] ) ) {
+				/* translators: %s: status slug */
+				WC_Admin_Settings::add_error( sprintf( __( 'The status slug "%s" is already used by another status.', 'woocommerce' ), $slug ) );
+				continue;
+			}
+
+			$statuses[ $slug ] = array(
+				'slug'  => $slug,
+				'label' => $label,
+				'paid'  => ! empty( $status['paid'] ),
+			);
+		}
+
+		foreach ( array_diff_key( $current, $statuses ) as $slug => $status ) {
+			$count = wc_orders_count( $slug );
+
+			if ( $count ) {
+				/* translators: 1: order status 2: orders count */
+				WC_Admin_Settings::add_error( sprintf( _n( '%1$s is still used by %2$s order and was kept.', '%1$s is still used by %2$s orders and was kept.', $count, 'woocommerce' ), $status['label'], number_format_i18n( $count ) ) );
+
+				$statuses[ $slug ] = array(
+					'slug'  => $slug,
+					'label' => $status['label'],
+					'paid'  => $status['paid'],
+				);
+			}
+		}
+
+		return array_values( $statuses );
+	}
+
+	/**
+	 * Sanitize the allowed transitions. Statuses with no transitions are dropped.
+	 *
+	 * @param mixed $value     Cleaned value.
+	 * @param array $option    Option data.
+	 * @param mixed $raw_value Posted value.
+	 * @return array
+	 */
+	public function sanitize_transitions( $value, $option, $raw_value ) {
+		$statuses    = array_map( array( 'WC_Order_Workflow', 'remove_status_prefix' ), array_keys( wc_get_order_statuses() ) );
+		$transitions = array();
+
+		foreach ( (array) $raw_value as $status => $next_statuses ) {
+			$next_statuses = array_values( array_intersect( array_map( 'wc_clean', (array) $next_statuses ), array_diff( $statuses, array( $status ) ) ) );
+
+			if ( in_array( $status, $statuses, true ) && $next_statuses ) {
+				$transitions[ $status ] = $next_statuses;
+			}
+		}
+
+		return $transitions;
+	}
+}
+
+return new WC_Settings_Order_Workflow();
@@ -0,0 +1,248 @@
+<?php
+/**
+ * WooCommerce Showroom Appointment Settings
+ *
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+if ( class_exists( 'WC_Settings_Showroom_Appointments', false ) ) {
+	return new WC_Settings_Showroom_Appointments();
+}
+
+/**
+ * WC_Settings_Showroom_Appointments.
+ */
+class WC_Settings_Showroom_Appointments extends WC_Settings_Page {
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->id    = 'showroom_appointments';
+		$this->label = __( 'Showroom appointments', 'woocommerce' );
+
+		add_action( 'woocommerce_admin_field_showroom_branches', array( $this, 'output_branches' ) );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_woocommerce_showroom_branches', array( $this, 'sanitize_branches' ), 10, 3 );
+
+		parent::__construct();
+	}
+
+	/**
+	 * Get settings array.
+	 *
+	 * @return array
+	 */
+	protected function get_settings_for_default_section() {
+		$settings = array(
+			array(
+				'title' => __( 'Showroom appointments', 'woocommerce' ),
+				'desc'  => __( 'Lets customers choose a branch and a time slot to pick up their motorcycle or take a test ride when placing an order with the checkout block.', 'woocommerce' ),
+				'type'  => 'title',
+				'id'    => 'showroom_appointment_options',
+			),
+			array(
+				'title'   => __( 'Enable', 'woocommerce' ),
+				'desc'    => __( 'Add a showroom appointment step to the checkout', 'woocommerce' ),
+				'id'      => 'woocommerce_showroom_appointments_enabled',
+				'default' => 'no',
+				'type'    => 'checkbox',
+			),
+			array(
+				'title'   => __( 'Required', 'woocommerce' ),
+				'desc'    => __( 'Customers must choose a slot to place an order', 'woocommerce' ),
+				'id'      => 'woocommerce_showroom_appointments_required',
+				'default' => 'yes',
+				'type'    => 'checkbox',
+			),
+			array(
+				'title'             => __( 'Slot length (minutes)', 'woocommerce' ),
+				'id'                => 'woocommerce_showroom_slot_length',
+				'default'           => '60',
+				'type'              => 'number',
+				'custom_attributes' => array(
+					'min'  => 15,
+					'step' => 15,
+				),
+			),
+			array(
+				'title'             => __( 'Booking window (days)', 'woocommerce' ),
+				'desc'              => __( 'How many days ahead customers can book, today included.', 'woocommerce' ),
+				'id'                => 'woocommerce_showroom_days_ahead',
+				'default'           => '14',
+				'type'              => 'number',
+				'custom_attributes' => array(
+					'min'  => 1,
+					'step' => 1,
+				),
+				'desc_tip'          => true,
+			),
+			array(
+				'title' => __( 'Branches', 'woocommerce' ),
+				'id'    => 'woocommerce_showroom_branches',
+				'type'  => 'showroom_branches',
+			),
+			array(
+				'type' => 'sectionend',
+				'id'   => 'showroom_appointment_options',
+			),
+		);
+
+		return apply_filters( 'woocommerce_showroom_appointment_settings', $settings );
+	}
+
+	/**
+	 * Weekday labels keyed by ISO-8601 weekday number.
+	 *
+	 * @return array
+	 */
+	protected function get_weekdays() {
+		global $wp_locale;
+
+		$weekdays = array();
+		for ( $day = 1; $day <= 7; $day++ ) {
+			$weekdays[ $day ] = $wp_locale->get_weekday_abbrev( $wp_locale->get_weekday( $day % 7 ) );
+		}
+		return $weekdays;
+	}
+
+	/**
+	 * Output the branches table.
+	 *
+	 * @param array $value Field data.
+	 */
+	public function output_branches( $value ) {
+		$branches = (array) get_option( $value['id'], array() );
+		?>
+		<tr valign="top">
+			<th scope="row" class="titledesc"><?php echo esc_html( $value['title'] ); ?></th>
+			<td class="forminp" id="showroom_branches">
+				<div class="wc_input_table_wrapper">
+					<table class="widefat wc_input_table sortable" cellspacing="0">
+						<thead>
+							<tr>
+								<th class="sort">&nbsp;</th>
+								<th><?php esc_html_e( 'Branch', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Address', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Open on', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Opens', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Closes', 'woocommerce' ); ?></th>
+								<th><?php esc_html_e( 'Appointments per slot', 'woocommerce' ); ?></th>
+							</tr>
+						</thead>
+						<tbody class="branches">
+							<?php
+							foreach ( array_values( $branches ) as $i => $branch ) {
+								$this->output_branch_row( $i, $branch );
+							}
+							?>
+						</tbody>
+						<tfoot>
+							<tr>
+								<th colspan="7"><a href="#" class="add button"><?php esc_html_e( '+ Add branch', 'woocommerce' ); ?></a> <a href="#" class="remove_rows button"><?php esc_html_e( 'Remove selected branch(es)', 'woocommerce' ); ?></a></th>
+							</tr>
+						</tfoot>
+					</table>
+				</div>
+				<script type="text/html" id="tmpl-showroom-branch">
+					<?php $this->output_branch_row( '{{ data.index }}', array() ); ?>
+				</script>
+				<script type="text/javascript">
+					jQuery( function() {
+						jQuery( '#showroom_branches' ).on( 'click', 'a.add', function() {
+							var size = jQuery( '#showroom_branches' ).find( 'tbody .branch' ).length;
+
+							jQuery( wp.template( 'showroom-branch' )( { index: size } ) ).appendTo( '#showroom_branches table tbody' );
+
+							return false;
+						} );
+					} );
+				</script>
+			</td>
+		</tr>
+		<?php
+		wp_enqueue_script( 'wp-util' );
+	}
+
+	/**
+	 * Output a row of the branches table.
+	 *
+	 * @param int|string $index  Row index.
+	 * @param array      $branch Branch data.
+	 */
+	protected function output_branch_row( $index, $branch ) {
+		$branch = wp_parse_args(
+			$branch,
+			array(
+				'name'     => '',
+				'address'  => '',
+				'days'     => array( 1, 2, 3, 4, 5, 6 ),
+				'opens'    => '08:00',
+				'closes'   => '16:00',
+				'capacity' => 2,
+			)
+		);
+		$name   = 'woocommerce_showroom_branches[' . $index . ']';
+		?>
+		<tr class="branch">
+			<td class="sort"></td>
+			<td><input type="text" value="<?php echo esc_attr( $branch['name'] ); ?>" name="<?php echo esc_attr( $name ); ?>[name]" /></td>
+			<td><input type="text" value="<?php echo esc_attr( $branch['address'] ); ?>" name="<?php echo esc_attr( $name ); ?>[address]" /></td>
+			<td style="white-space: nowrap;">
+				<?php foreach ( $this->get_weekdays() as $day => $label ) : ?>
+					<label style="display: inline-block; margin-right: 4px;"><input type="checkbox" value="<?php echo esc_attr( $day ); ?>" name="<?php echo esc_attr( $name ); ?>[days][]" <?php checked( in_array( $day, array_map( 'absint', (array) $branch['days'] ), true ) ); ?> style="width: auto;" /> <?php echo esc_html( $label ); ?></label>
+				<?php endforeach; ?>
+			</td>
+			<td><input type="time" value="<?php echo esc_attr( $branch['opens'] ); ?>" name="<?php echo esc_attr( $name ); ?>[opens]" /></td>
+			<td><input type="time" value="<?php echo esc_attr( $branch['closes'] ); ?>" name="<?php echo esc_attr( $name ); ?>[closes]" /></td>
+			<td><input type="number" min="1" step="1" value="<?php echo esc_attr( $branch['capacity'] ); ?>" name="<?php echo esc_attr( $name ); ?>[capacity]" /></td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Sanitize the branches table. Branches without a name or opening day are dropped.
+	 *
+	 * @param mixed $value     Cleaned value.
+	 * @param array $option    Option data.
+	 * @param mixed $raw_value Posted value.
+	 * @return array
+	 */
+	public function sanitize_branches( $value, $option, $raw_value ) {
+		$branches = array();
+
+		foreach ( (array) $raw_value as $branch ) {
+			if ( empty( $branch['name'] ) || empty( $branch['days'] ) ) {
+				continue;
+			}
+
+			$opens  = isset( $branch['opens'] ) ? $this->sanitize_time( $branch['opens'], '08:00' ) : '08:00';
+			$closes = isset( $branch['closes'] ) ? $this->sanitize_time( $branch['closes'], '16:00' ) : '16:00';
+
+			$branches[] = array(
+				'name'     => wc_clean( $branch['name'] ),
+				'address'  => isset( $branch['address'] ) ? wc_clean( $branch['address'] ) : '',
+				'days'     => array_values( array_intersect( array_map( 'absint', (array) $branch['days'] ), range( 1, 7 ) ) ),
+				'opens'    => $opens,
+				'closes'   => $closes > $opens ? $closes : $opens,
+				'capacity' => isset( $branch['capacity'] ) ? max( 1, absint( $branch['capacity'] ) ) : 1,
+			);
+		}
+
+		return $branches;
+	}
+
+	/**
+	 * Sanitize a time in H:i format.
+	 *
+	 * @param string $time    Posted time.
+	 * @param string $default Time to use when the posted time is not valid.
+	 * @return string
+	 */
+	protected function sanitize_time( $time, $default ) {
+		return preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $time ) ? $time : $default;
+	}
+}
+
+return new WC_Settings_Showroom_Appointments();
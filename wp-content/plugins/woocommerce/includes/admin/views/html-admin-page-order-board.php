@@ -0,0 +1,49 @@
+<?php
+/**
+ * Admin View: Page - Order board
+ *
+ * @package WooCommerce\Admin
+ *
+ * @var array $columns Label, order count and latest orders of each status, keyed by status.
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+?>
+<div class="wrap woocommerce wc-order-board">
+	<h1 class="wp-heading-inline"><?php esc_html_e( 'Order board', 'woocommerce' ); ?></h1>
+	<a href="<?php echo esc_url( admin_url( 'admin.php?page=wc-settings&tab=order_workflow' ) ); ?>" class="page-title-action"><?php esc_html_e( 'Edit workflow', 'woocommerce' ); ?></a>
+	<hr class="wp-header-end" />
+
+	<p><?php esc_html_e( 'Drag an order to another status to move it there. The statuses it can move to are highlighted while dragging.', 'woocommerce' ); ?></p>
+
+	<div class="wc-order-board__columns">
+		<?php foreach ( $columns as $status => $column ) : ?>
+			<div class="wc-order-board__column" data-status="<?php echo esc_attr( $status ); ?>">
+				<h2 class="wc-order-board__heading">
+					<mark class="order-status <?php echo esc_attr( sanitize_html_class( 'status-' . $status ) ); ?>"><span><?php echo esc_html( $column['label'] ); ?></span></mark>
+					<span class="wc-order-board__count" data-count="<?php echo esc_attr( $column['count'] ); ?>"><?php echo esc_html( number_format_i18n( $column['count'] ) ); ?></span>
+				</h2>
+				<ul class="wc-order-board__cards">
+					<?php foreach ( $column['orders'] as $order ) : ?>
+						<li class="wc-order-board__card" data-order-id="<?php echo esc_attr( $order->get_id() ); ?>" data-date="<?php echo esc_attr( $order->get_date_created() ? $order->get_date_created()->getTimestamp() : 0 ); ?>" data-next-statuses="<?php echo esc_attr( wp_json_encode( WC_Order_Workflow::get_next_statuses( $order ) ) ); ?>">
+							<a href="<?php echo esc_url( $order->get_edit_order_url() ); ?>" class="wc-order-board__title">
+								<?php
+								/* translators: 1: order number 2: customer name */
+								echo esc_html( sprintf( __( '#%1$s %2$s', 'woocommerce' ), $order->get_order_number(), $order->get_formatted_billing_full_name() ) );
+								?>
+							</a>
+							<span class="wc-order-board__total"><?php echo wp_kses_post( $order->get_formatted_order_total() ); ?></span>
+							<?php if ( $order->get_date_created() ) : ?>
+								<time class="wc-order-board__date" datetime="<?php echo esc_attr( $order->get_date_created()->date( 'c' ) ); ?>"><?php echo esc_html( $order->get_date_created()->date_i18n( wc_date_format() ) ); ?></time>
+							<?php endif; ?>
+						</li>
+					<?php endforeach; ?>
+				</ul>
+				<?php if ( $column['count'] > count( $column['orders'] ) ) : ?>
+					<a class="wc-order-board__more" href="<?php echo esc_url( admin_url( 'edit.php?post_type=shop_order&post_status=wc-' . $status ) ); ?>"><?php esc_html_e( 'View all', 'woocommerce' ); ?></a>
+				<?php endif; ?>
+			</div>
+		<?php endforeach; ?>
+	</div>
+</div>
@@ -0,0 +1,83 @@
+<?php
+/**
+ * Admin View: Page - Showroom calendar
+ *
+ * @package WooCommerce\Admin
+ *
+ * @var string            $date         Date being viewed, in Y-m-d format.
+ * @var DateTimeImmutable $day          Date being viewed.
+ * @var array             $branches     Branches.
+ * @var array             $appointments Orders keyed by branch id, then by slot.
+ * @var array             $types        Appointment types.
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+$page_url = admin_url( 'admin.php?page=wc-showroom-calendar' );
+?>
+<div class="wrap woocommerce wc-showroom-calendar">
+	<h1 class="wp-heading-inline"><?php esc_html_e( 'Showroom calendar', 'woocommerce' ); ?></h1>
+	<hr class="wp-header-end" />
+
+	<form method="get" action="<?php echo esc_url( admin_url( 'admin.php' ) ); ?>" class="wc-showroom-calendar__nav">
+		<input type="hidden" name="page" value="wc-showroom-calendar" />
+		<a class="button" href="<?php echo esc_url( add_query_arg( 'date', $day->modify( '-1 day' )->format( 'Y-m-d' ), $page_url ) ); ?>">&larr; <?php esc_html_e( 'Previous day', 'woocommerce' ); ?></a>
+		<input type="date" name="date" value="<?php echo esc_attr( $date ); ?>" />
+		<button type="submit" class="button"><?php esc_html_e( 'Go', 'woocommerce' ); ?></button>
+		<a class="button" href="<?php echo esc_url( add_query_arg( 'date', $day->modify( '+1 day' )->format( 'Y-m-d' ), $page_url ) ); ?>"><?php esc_html_e( 'Next day', 'woocommerce' ); ?> &rarr;</a>
+		<a class="button" href="<?php echo esc_url( $page_url ); ?>"><?php esc_html_e( 'Today', 'woocommerce' ); ?></a>
+	</form>
+
+	<h2><?php echo esc_html( wp_date( 'l, ' . get_option( 'date_format' ), $day->getTimestamp() ) ); ?></h2>
+
+	<?php foreach ( $branches as $branch_id => $branch ) : ?>
+		<?php
+		$branch_appointments = isset( $appointments[ $branch_id ] ) ? $appointments[ $branch_id ] : array();
+		$slots               = array_unique( array_merge( array_keys( WC_Showroom_Appointments::get_slot_starts( $branch_id, $date ) ), array_keys( $branch_appointments ) ) );
+		sort( $slots );
+		?>
+		<h3><?php echo esc_html( $branch['name'] ); ?> <small><?php echo esc_html( $branch['address'] ); ?></small></h3>
+
+		<?php if ( empty( $slots ) ) : ?>
+			<p><?php esc_html_e( 'Closed on this day.', 'woocommerce' ); ?></p>
+			<?php continue; ?>
+		<?php endif; ?>
+
+		<table class="widefat striped">
+			<thead>
+				<tr>
+					<th style="width: 10%;"><?php esc_html_e( 'Time', 'woocommerce' ); ?></th>
+					<th style="width: 10%;"><?php esc_html_e( 'Booked', 'woocommerce' ); ?></th>
+					<th><?php esc_html_e( 'Appointments', 'woocommerce' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ( $slots as $slot ) : ?>
+					<?php $slot_orders = isset( $branch_appointments[ $slot ] ) ? $branch_appointments[ $slot ] : array(); ?>
+					<tr>
+						<td><?php echo esc_html( substr( $slot, 11 ) ); ?></td>
+						<td><?php echo esc_html( count( $slot_orders ) . ' / ' . $branch['capacity'] ); ?></td>
+						<td>
+							<?php foreach ( $slot_orders as $order ) : ?>
+								<?php $type = $order->get_meta( '_showroom_appointment_type' ); ?>
+								<div>
+									<a href="<?php echo esc_url( $order->get_edit_order_url() ); ?>">
+										<?php
+										/* translators: 1: order number 2: customer name */
+										echo esc_html( sprintf( __( '#%1$s %2$s', 'woocommerce' ), $order->get_order_number(), $order->get_formatted_billing_full_name() ) );
+										?>
+									</a>
+									&ndash; <?php echo esc_html( isset( $types[ $type ] ) ? $types[ $type ] : $type ); ?>
+									<mark class="order-status <?php echo esc_attr( sanitize_html_class( 'status-' . $order->get_status() ) ); ?>"><span><?php echo esc_html( wc_get_order_status_name( $order->get_status() ) ); ?></span></mark>
+									<?php if ( $order->get_billing_phone() ) : ?>
+										<a href="<?php echo esc_url( 'tel:' . $order->get_billing_phone() ); ?>"><?php echo esc_html( $order->get_billing_phone() ); ?></a>
+									<?php endif; ?>
+								</div>
+							<?php endforeach; ?>
+						</td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+	<?php endforeach; ?>
+</div>
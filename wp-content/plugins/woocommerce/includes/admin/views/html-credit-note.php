@@ -0,0 +1,134 @@
+<?php
+/**
+ * Admin View: Printable credit note of a refund.
+ *
+ * @var WC_Order_Refund $refund Refund.
+ * @var WC_Order        $order  Refunded order.
+ * @var string          $number Credit note number.
+ * @var array           $items  Refunded items.
+ * @var array           $taxes  Refunded taxes.
+ * @package WooCommerce\Admin
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+$currency = array( 'currency' => $refund->get_currency() );
+?>
+<!DOCTYPE html>
+<html <?php language_attributes(); ?>>
+<head>
+	<meta charset="<?php bloginfo( 'charset' ); ?>" />
+	<title><?php echo esc_html( sprintf( /* translators: %s: credit note number */ __( 'Credit note %s', 'woocommerce' ), $number ) ); ?></title>
+	<style>
+		body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1d2327; margin: 2em auto; max-width: 50em; padding: 0 1em; }
+		h1 { font-size: 1.8em; margin: 0 0 .25em; }
+		table { border-collapse: collapse; width: 100%; margin: 1.5em 0; }
+		th, td { border-bottom: 1px solid #dcdcde; padding: .5em; text-align: left; vertical-align: top; }
+		.amount, .qty { text-align: right; white-space: nowrap; }
+		tfoot th { text-align: right; }
+		tfoot tr:last-child th, tfoot tr:last-child td { font-size: 1.15em; border-bottom: 0; }
+		.credit-note-columns { display: flex; justify-content: space-between; gap: 2em; margin-top: 2em; }
+		.credit-note-print { margin-bottom: 2em; }
+		@media print { .credit-note-print { display: none; } body { margin: 0; } }
+	</style>
+</head>
+<body>
+	<p class="credit-note-print"><button type="button" onclick="window.print();"><?php esc_html_e( 'Print', 'woocommerce' ); ?></button></p>
+
+	<h1><?php esc_html_e( 'Credit note', 'woocommerce' ); ?></h1>
+	<p>
+		<strong><?php echo esc_html( $number ); ?></strong><br />
+		<?php echo esc_html( wc_format_datetime( $refund->get_date_created() ) ); ?>
+	</p>
+
+	<div class="credit-note-columns">
+		<div>
+			<strong><?php echo esc_html( get_bloginfo( 'name' ) ); ?></strong><br />
+			<?php
+			echo wp_kses_post(
+				WC()->countries->get_formatted_address(
+					array(
+						'address_1' => WC()->countries->get_base_address(),
+						'address_2' => WC()->countries->get_base_address_2(),
+						'city'      => WC()->countries->get_base_city(),
+						'state'     => WC()->countries->get_base_state(),
+						'postcode'  => WC()->countries->get_base_postcode(),
+						'country'   => WC()->countries->get_base_country(),
+					)
+				)
+			);
+			?>
+		</div>
+		<div>
+			<strong><?php esc_html_e( 'Customer', 'woocommerce' ); ?></strong><br />
+			<?php echo $order->get_formatted_billing_address() ? wp_kses_post( $order->get_formatted_billing_address() ) : esc_html__( 'N/A', 'woocommerce' ); ?>
+		</div>
+		<div>
+			<strong><?php esc_html_e( 'Original order', 'woocommerce' ); ?></strong><br />
+			<?php
+			/* translators: %s: order number */
+			echo esc_html( sprintf( __( 'Order #%s', 'woocommerce' ), $order->get_order_number() ) );
+			?>
+			<br />
+			<?php echo esc_html( wc_format_datetime( $order->get_date_created() ) ); ?>
+			<?php if ( $order->get_payment_method_title() ) : ?>
+				<br /><?php echo esc_html( $order->get_payment_method_title() ); ?>
+			<?php endif; ?>
+		</div>
+	</div>
+
+	<table>
+		<thead>
+			<tr>
+				<th><?php esc_html_e( 'Item', 'woocommerce' ); ?></th>
+				<th class="qty"><?php esc_html_e( 'Qty', 'woocommerce' ); ?></th>
+				<th class="amount"><?php esc_html_e( 'Amount', 'woocommerce' ); ?></th>
+			</tr>
+		</thead>
+		<tbody>
+			<?php if ( $items ) : ?>
+				<?php foreach ( $items as $item ) : ?>
+					<tr>
+						<td><?php echo esc_html( $item->get_name() ); ?></td>
+						<td class="qty"><?php echo $item->is_type( 'line_item' ) && $item->get_quantity() ? esc_html( absint( $item->get_quantity() ) ) : '&ndash;'; ?></td>
+						<td class="amount"><?php echo wp_kses_post( wc_price( abs( (float) $item->get_total() ), $currency ) ); ?></td>
+					</tr>
+				<?php endforeach; ?>
+			<?php else : ?>
+				<tr>
+					<td><?php esc_html_e( 'Refund', 'woocommerce' ); ?></td>
+					<td class="qty">&ndash;</td>
+					<td class="amount"><?php echo wp_kses_post( wc_price( $refund->get_amount() - abs( (float) $refund->get_total_tax() ), $currency ) ); ?></td>
+				</tr>
+			<?php endif; ?>
+		</tbody>
+		<tfoot>
+			<?php foreach ( $taxes as $tax ) : ?>
+				<tr>
+					<th colspan="2"><?php echo esc_html( $tax->label ); ?></th>
+					<td class="amount"><?php echo wp_kses_post( wc_price( abs( (float) $tax->amount ), $currency ) ); ?></td>
+				</tr>
+			<?php endforeach; ?>
+			<tr>
+				<th colspan="2"><?php esc_html_e( 'Total refunded', 'woocommerce' ); ?></th>
+				<td class="amount"><?php echo wp_kses_post( wc_price( $refund->get_amount(), $currency ) ); ?></td>
+			</tr>
+		</tfoot>
+	</table>
+
+	<?php if ( $refund->get_reason() ) : ?>
+		<p><strong><?php esc_html_e( 'Reason', 'woocommerce' ); ?>:</strong> <?php echo esc_html( $refund->get_reason() ); ?></p>
+	<?php endif; ?>
+
+	<p>
+		<?php
+		if ( $refund->get_refunded_payment() ) {
+			/* translators: %s: payment method */
+			echo esc_html( sprintf( __( 'Refunded via %s.', 'woocommerce' ), $order->get_payment_method_title() ) );
+		} else {
+			esc_html_e( 'Refunded manually.', 'woocommerce' );
+		}
+		?>
+	</p>
+</body>
+</html>
@@ -25,6 +25,7 @@ function wc_get_screen_ids() {
 		$wc_screen_id . '_page_wc-settings',
 		$wc_screen_id . '_page_wc-status',
 		$wc_screen_id . '_page_wc-addons',
+		$wc_screen_id . '_page_wc-order-board',
 		'toplevel_page_wc-reports',
 		'product_page_product_attributes',
 		'product_page_product_exporter',
@@ -33,6 +34,8 @@ function wc_get_screen_ids() {
 		'product',
 		'edit-shop_coupon',
 		'shop_coupon',
+		'edit-shop_vehicle_unit',
+		'shop_vehicle_unit',
 		'edit-product_cat',
 		'edit-product_tag',
 		'profile',
@@ -0,0 +1,412 @@
+<?php
+/**
+ * Address regions.
+ *
+ * Lets customers pick the city, district and postcode of their address from the regions bundled in i18n/regions.php,
+ * and checks that the chosen combination belongs together. The district has its own address field, shown for
+ * countries with regions and saved as billing_district and shipping_district meta of customers and orders.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Address_Regions class.
+ */
+class WC_Address_Regions {
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_after_checkout_validation', array( __CLASS__, 'validate_checkout' ), 10, 2 );
+		add_action( 'woocommerce_after_save_address_validation', array( __CLASS__, 'validate_saved_address' ), 10, 4 );
+		add_filter( 'woocommerce_default_address_fields', array( __CLASS__, 'add_district_field' ) );
+		add_filter( 'woocommerce_get_country_locale', array( __CLASS__, 'show_district_field' ) );
+		add_filter( 'woocommerce_country_locale_field_selectors', array( __CLASS__, 'district_field_selectors' ) );
+		add_filter( 'woocommerce_localisation_address_formats', array( __CLASS__, 'address_formats' ) );
+		add_filter( 'woocommerce_formatted_address_replacements', array( __CLASS__, 'formatted_address_replacements' ), 10, 2 );
+		add_filter( 'woocommerce_order_formatted_billing_address', array( __CLASS__, 'order_formatted_billing_address' ), 10, 2 );
+		add_filter( 'woocommerce_order_formatted_shipping_address', array( __CLASS__, 'order_formatted_shipping_address' ), 10, 2 );
+		add_filter( 'woocommerce_my_account_my_address_formatted_address', array( __CLASS__, 'customer_formatted_address' ), 10, 3 );
+		add_filter( 'woocommerce_admin_billing_fields', array( __CLASS__, 'admin_order_fields' ) );
+		add_filter( 'woocommerce_admin_shipping_fields', array( __CLASS__, 'admin_order_fields' ) );
+		add_filter( 'woocommerce_customer_meta_fields', array( __CLASS__, 'admin_customer_fields' ) );
+	}
+
+	/**
+	 * Get the codes of the states with regions, keyed by country code.
+	 *
+	 * @return array
+	 */
+	public static function get_states_with_regions() {
+		return array_map( 'array_keys', array_filter( WC()->countries->get_regions() ) );
+	}
+
+	/**
+	 * Get the regions of a state.
+	 *
+	 * @param string $country Country code.
+	 * @param string $state   State code.
+	 * @return array Districts and their postcodes, keyed by city.
+	 */
+	public static function get_state_regions( $country, $state ) {
+		$regions = WC()->countries->get_regions( $country );
+
+		return isset( $regions[ $state ] ) ? (array) $regions[ $state ] : array();
+	}
+
+	/**
+	 * Whether a state has regions to pick from.
+	 *
+	 * @param string $country Country code.
+	 * @param string $state   State code.
+	 * @return bool
+	 */
+	public static function has_regions( $country, $state ) {
+		return ! empty( self::get_state_regions( $country, $state ) );
+	}
+
+	/**
+	 * Get the district of an address.
+	 *
+	 * @param WC_Order|WC_Customer $object Order or customer.
+	 * @param string               $type   Type of address, billing or shipping.
+	 * @return string
+	 */
+	public static function get_district( $object, $type ) {
+		return (string) $object->get_meta( ( $object instanceof WC_Order ? '_' : '' ) . "{$type}_district" );
+	}
+
+	/**
+	 * Set the district of an address. The object still needs to be saved.
+	 *
+	 * @param WC_Order|WC_Customer $object   Order or customer.
+	 * @param string               $type     Type of address, billing or shipping.
+	 * @param string               $district District.
+	 */
+	public static function set_district( $object, $type, $district ) {
+		$object->update_meta_data( ( $object instanceof WC_Order ? '_' : '' ) . "{$type}_district", $district );
+	}
+
+	/**
+	 * Add the district field to the address fields. It is hidden unless the country has regions.
+	 *
+	 * @param array $fields Default address fields.
+	 * @return array
+	 */
+	public static function add_district_field( $fields ) {
+		$fields['district'] = array(
+			'label'    => __( 'District', 'woocommerce' ),
+			'class'    => array( 'form-row-wide', 'address-field' ),
+			'required' => false,
+			'hidden'   => true,
+			'priority' => 75,
+		);
+
+		return $fields;
+	}
+
+	/**
+	 * Show the district field for countries with regions.
+	 *
+	 * @param array $locale Country locales.
+	 * @return array
+	 */
+	public static function show_district_field( $locale ) {
+		foreach ( array_keys( array_filter( WC()->countries->get_regions() ) ) as $country ) {
+			$locale[ $country ]['district'] = array(
+				'hidden' => false,
+			);
+		}
+
+		return $locale;
+	}
+
+	/**
+	 * Let the country locale script show and hide the district field.
+	 *
+	 * @param array $selectors Field selectors, keyed by field.
+	 * @return array
+	 */
+	public static function district_field_selectors( $selectors ) {
+		$selectors['district'] = '#billing_district_field, #shipping_district_field';
+
+		return $selectors;
+	}
+
+	/**
+	 * Show the district below the second address line of countries with regions.
+	 *
+	 * @param array $formats Address formats, keyed by country.
+	 * @return array
+	 */
+	public static function address_formats( $formats ) {
+		foreach ( array_keys( array_filter( WC()->countries->get_regions() ) ) as $country ) {
+			$format = isset( $formats[ $country ] ) ? $formats[ $country ] : $formats['default'];
+
+			if ( false === strpos( $format, '{district}' ) ) {
+				$formats[ $country ] = str_replace( '{address_2}', "{address_2}\n{district}", $format );
+			}
+		}
+
+		return $formats;
+	}
+
+	/**
+	 * Replace the district placeholder of address formats.
+	 *
+	 * @param array $replacements Placeholder replacements.
+	 * @param array $args         Address parts.
+	 * @return array
+	 */
+	public static function formatted_address_replacements( $replacements, $args ) {
+		$district = isset( $args['district'] ) ? $args['district'] : '';
+
+		$replacements['{district}']       = $district;
+		$replacements['{district_upper}'] = wc_strtoupper( $district );
+
+		return $replacements;
+	}
+
+	/**
+	 * Add the district to the billing address of an order when it is formatted.
+	 *
+	 * @param array    $address Address parts.
+	 * @param WC_Order $order   Order.
+	 * @return array
+	 */
+	public static function order_formatted_billing_address( $address, $order ) {
+		if ( is_array( $address ) ) {
+			$address['district'] = self::get_district( $order, 'billing' );
+		}
+
+		return $address;
+	}
+
+	/**
+	 * Add the district to the shipping address of an order when it is formatted.
+	 *
+	 * @param array    $address Address parts.
+	 * @param WC_Order $order   Order.
+	 * @return array
+	 */
+	public static function order_formatted_shipping_address( $address, $order ) {
+		if ( is_array( $address ) ) {
+			$address['district'] = self::get_district( $order, 'shipping' );
+		}
+
+		return $address;
+	}
+
+	/**
+	 * Add the district to the addresses shown on the account page.
+	 *
+	 * @param array  $address     Address parts.
+	 * @param int    $customer_id Customer ID.
+	 * @param string $type        Type of address, billing or shipping.
+	 * @return array
+	 */
+	public static function customer_formatted_address( $address, $customer_id, $type ) {
+		$address['district'] = get_user_meta( $customer_id, "{$type}_district", true );
+
+		return $address;
+	}
+
+	/**
+	 * Add the district to the address fields of the order screen.
+	 *
+	 * @param array $fields Address fields.
+	 * @return array
+	 */
+	public static function admin_order_fields( $fields ) {
+		return self::insert_field_after(
+			$fields,
+			'address_2',
+			'district',
+			array(
+				'label' => __( 'District', 'woocommerce' ),
+				'show'  => false,
+			)
+		);
+	}
+
+	/**
+	 * Add the district to the address fields of the user profile screen.
+	 *
+	 * @param array $fields Fields, keyed by address type.
+	 * @return array
+	 */
+	public static function admin_customer_fields( $fields ) {
+		foreach ( array( 'billing', 'shipping' ) as $type ) {
+			if ( isset( $fields[ $type ]['fields'] ) ) {
+				$fields[ $type ]['fields'] = self::insert_field_after(
+					$fields[ $type ]['fields'],
+					"{$type}_address_2",
+					"{$type}_district",
+					array(
+						'label'       => __( 'District', 'woocommerce' ),
+						'description' => '',
+					)
+				);
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Insert a field after another one, or at the end when that field is not found.
+	 *
+	 * @param array  $fields Fields, keyed by name.
+	 * @param string $after  Name of the field to insert after.
+	 * @param string $key    Name of the new field.
+	 * @param array  $field  New field.
+	 * @return array
+	 */
+	protected static function insert_field_after( $fields, $after, $key, $field ) {
+		$position = array_search( $after, array_keys( $fields ), true );
+
+		if ( false === $position ) {
+			$fields[ $key ] = $field;
+			return $fields;
+		}
+
+		return array_slice( $fields, 0, $position + 1, true ) + array( $key => $field ) + array_slice( $fields, $position + 1, null, true );
+	}
+
+	/**
+	 * Find a region by name, ignoring case.
+	 *
+	 * @param array  $regions Regions keyed by name.
+	 * @param string $name    Name to look for.
+	 * @return string|null Name of the region as it is listed, null if not found.
+	 */
+	protected static function find_region( $regions, $name ) {
+		$name = wc_strtolower( trim( $name ) );
+
+		foreach ( array_keys( $regions ) as $region ) {
+			if ( wc_strtolower( $region ) === $name ) {
+				return $region;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check that the city, district and postcode of an address belong to its state.
+	 *
+	 * Empty fields are skipped, required fields are checked elsewhere.
+	 *
+	 * @param array $address Address with country, state, city, district and postcode keys.
+	 * @return WP_Error Errors, with the key of the invalid field as data.
+	 */
+	public static function validate( $address ) {
+		$errors  = new WP_Error();
+		$address = wp_parse_args( $address, array_fill_keys( array( 'country', 'state', 'city', 'district', 'postcode' ), '' ) );
+		$regions = self::get_state_regions( $address['country'], $address['state'] );
+
+		if ( empty( $regions ) || '' === $address['city'] ) {
+			return $errors;
+		}
+
+		$states = WC()->countries->get_states( $address['country'] );
+		$city   = self::find_region( $regions, $address['city'] );
+
+		if ( is_null( $city ) ) {
+			$errors->add(
+				'invalid_city',
+				/* translators: 1: city name 2: state name */
+				sprintf( __( '%1$s is not a city or regency of %2$s.', 'woocommerce' ), $address['city'], isset( $states[ $address['state'] ] ) ? $states[ $address['state'] ] : $address['state'] ),
+				'city'
+			);
+			return $errors;
+		}
+
+		$postcodes = call_user_func_array( 'array_merge', array_values( $regions[ $city ] ) );
+		$place     = $city;
+
+		if ( '' !== $address['district'] ) {
+			$district = self::find_region( $regions[ $city ], $address['district'] );
+
+			if ( is_null( $district ) ) {
+				$errors->add(
+					'invalid_district',
+					/* translators: 1: district name 2: city name */
+					sprintf( __( '%1$s is not a district of %2$s.', 'woocommerce' ), $address['district'], $city ),
+					'district'
+				);
+				return $errors;
+			}
+
+			$postcodes = $regions[ $city ][ $district ];
+			$place     = $district;
+		}
+
+		if ( '' !== $address['postcode'] && $postcodes && ! in_array( wc_format_postcode( $address['postcode'], $address['country'] ), $postcodes, true ) ) {
+			$errors->add(
+				'invalid_postcode',
+				/* translators: 1: postcode 2: district or city name */
+				sprintf( __( '%1$s is not a postcode of %2$s.', 'woocommerce' ), $address['postcode'], $place ),
+				'postcode'
+			);
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Validate the addresses posted with the shortcode checkout.
+	 *
+	 * @param array    $data   Posted data.
+	 * @param WP_Error $errors Validation errors.
+	 */
+	public static function validate_checkout( $data, $errors ) {
+		foreach ( array( 'billing', 'shipping' ) as $type ) {
+			if ( 'shipping' === $type && ( empty( $data['ship_to_different_address'] ) || ! WC()->cart->needs_shipping_address() ) ) {
+				continue;
+			}
+
+			$address = array();
+
+			foreach ( array( 'country', 'state', 'city', 'district', 'postcode' ) as $field ) {
+				$address[ $field ] = isset( $data[ "{$type}_{$field}" ] ) ? $data[ "{$type}_{$field}" ] : '';
+			}
+
+			$address_errors = self::validate( $address );
+
+			foreach ( $address_errors->get_error_codes() as $code ) {
+				$key = "{$type}_" . $address_errors->get_error_data( $code );
+				$errors->add( $key . '_validation', esc_html( $address_errors->get_error_message( $code ) ), array( 'id' => $key ) );
+			}
+		}
+	}
+
+	/**
+	 * Validate addresses edited from the account page.
+	 *
+	 * @param int         $user_id      User ID being saved.
+	 * @param string      $load_address Type of address, billing or shipping.
+	 * @param array       $address      Address fields.
+	 * @param WC_Customer $customer     Customer being saved.
+	 */
+	public static function validate_saved_address( $user_id, $load_address, $address, $customer ) {
+		$address_errors = self::validate(
+			array(
+				'country'  => $customer->{"get_{$load_address}_country"}(),
+				'state'    => $customer->{"get_{$load_address}_state"}(),
+				'city'     => $customer->{"get_{$load_address}_city"}(),
+				'district' => self::get_district( $customer, $load_address ),
+				'postcode' => $customer->{"get_{$load_address}_postcode"}(),
+			)
+		);
+
+		foreach ( $address_errors->get_error_messages() as $message ) {
+			wc_add_notice( esc_html( $message ), 'error' );
+		}
+	}
+}
+
+WC_Address_Regions::init();
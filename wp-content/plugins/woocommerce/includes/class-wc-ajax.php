@@ -108,7 +108,9 @@ class WC_AJAX {
 			'remove_from_cart',
 			'checkout',
 			'get_variation',
+			'get_compare_products',
 			'get_customer_location',
+			'upload_bacs_receipt',
 		);
 
 		foreach ( $ajax_events_nopriv as $ajax_event ) {
@@ -150,6 +152,10 @@ class WC_AJAX {
 			'load_order_items',
 			'add_order_note',
 			'delete_order_note',
+			'verify_bacs_payment',
+			'download_bacs_receipt',
+			'record_deposit_payment',
+			'order_board_transition',
 			'json_search_products',
 			'json_search_products_and_variations',
 			'json_search_downloadable_products_and_variations',
@@ -160,10 +166,15 @@ class WC_AJAX {
 			'product_ordering',
 			'refund_line_items',
 			'delete_refund',
+			'refund_wizard_preview',
+			'refund_wizard_refund',
+			'credit_note',
 			'rated',
 			'update_api_key',
 			'load_variations',
 			'save_variations',
+			'load_variations_grid',
+			'save_variations_grid',
 			'bulk_edit_variations',
 			'tax_rates_save_changes',
 			'shipping_zones_save_changes',
@@ -491,6 +502,17 @@ class WC_AJAX {
 		// phpcs:enable
 	}
 
+	/**
+	 * Get the comparison table data of the products the customer ticked.
+	 */
+	public static function get_compare_products() {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended
+		$product_ids = isset( $_GET['product_ids'] ) ? explode( ',', wc_clean( wp_unslash( $_GET['product_ids'] ) ) ) : array();
+		// phpcs:enable
+
+		wp_send_json( WC_Product_Compare::get_comparison( $product_ids ) );
+	}
+
 	/**
 	 * Locate user via AJAX.
 	 */
@@ -499,6 +521,53 @@ class WC_AJAX {
 		wp_send_json_success( array( 'hash' => $location_hash ) );
 	}
 
+	/**
+	 * Upload a bank transfer receipt during checkout.
+	 *
+	 * The receipt is remembered in the session and attached to the order when the payment is processed.
+	 */
+	public static function upload_bacs_receipt() {
+		check_ajax_referer( 'upload-bacs-receipt', 'security' );
+
+		$gateways = WC()->payment_gateways()->payment_gateways();
+
+		if ( ! isset( $gateways['bacs'] ) || ! $gateways['bacs']->receipt_upload || ! WC()->session ) {
+			wp_send_json_error( array( 'message' => __( 'Transfer receipts cannot be uploaded.', 'woocommerce' ) ) );
+		}
+
+		$uploads = absint( WC()->session->get( 'bacs_receipt_uploads', 0 ) );
+
+		if ( $uploads >= $gateways['bacs']->get_receipt_session_limit() ) {
+			wp_send_json_error( array( 'message' => __( 'You have uploaded too many transfer receipts. Please place your order with the last one, or upload another one from your account afterwards.', 'woocommerce' ) ) );
+		}
+
+		$attachment_id = $gateways['bacs']->handle_receipt_upload( isset( $_FILES['receipt'] ) ? $_FILES['receipt'] : array() ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		if ( is_wp_error( $attachment_id ) ) {
+			wp_send_json_error( array( 'message' => $attachment_id->get_error_message() ) );
+		}
+
+		// Until the order is placed the receipt is attached to nothing, wc_cleanup_bacs_receipts() deletes it if that never happens.
+		update_post_meta( $attachment_id, '_bacs_pending_receipt', time() );
+
+		// A new receipt replaces the one uploaded before.
+		$previous_id = absint( WC()->session->get( 'bacs_receipt_id', 0 ) );
+
+		if ( $previous_id && ! wp_get_post_parent_id( $previous_id ) && get_post_meta( $previous_id, '_bacs_pending_receipt', true ) ) {
+			wp_delete_attachment( $previous_id, true );
+		}
+
+		WC()->session->set( 'bacs_receipt_id', $attachment_id );
+		WC()->session->set( 'bacs_receipt_uploads', $uploads + 1 );
+
+		wp_send_json_success(
+			array(
+				'id'   => $attachment_id,
+				'name' => basename( get_attached_file( $attachment_id ) ),
+			)
+		);
+	}
+
 	/**
 	 * Toggle Featured status of a product from admin.
 	 */
@@ -525,11 +594,11 @@ class WC_AJAX {
 			$order  = wc_get_order( absint( wp_unslash( $_GET['order_id'] ) ) );
 
 			if ( wc_is_order_status( 'wc-' . $status ) && $order ) {
-				// Initialize payment gateways in case order has hooked status transition actions.
-				WC()->payment_gateways();
-
-				$order->update_status( $status, '', true );
-				do_action( 'woocommerce_order_edit_status', $order->get_id(), $status );
+				try {
+					WC_Order_Workflow::transition( $order, $status );
+				} catch ( Exception $e ) {
+					WC_Admin_Meta_Boxes::add_error( $e->getMessage() );
+				}
 			}
 		}
 
@@ -1454,8 +1523,13 @@ class WC_AJAX {
 			parse_str( wp_unslash( $_POST['items'] ), $items ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
 
 			// Save order items.
+			WC_Admin_Meta_Boxes::$meta_box_errors = array();
 			wc_save_order_items( $order_id, $items );
 
+			// Errors are shown right away rather than on the next page load.
+			$errors                               = WC_Admin_Meta_Boxes::$meta_box_errors;
+			WC_Admin_Meta_Boxes::$meta_box_errors = array();
+
 			// Return HTML items.
 			$order = wc_get_order( $order_id );
 
@@ -1473,6 +1547,7 @@ class WC_AJAX {
 				array(
 					'html'       => $items_html,
 					'notes_html' => $notes_html,
+					'errors'     => $errors,
 				)
 			);
 		}
@@ -1564,6 +1639,140 @@ class WC_AJAX {
 		wp_die();
 	}
 
+	/**
+	 * Mark a bank transfer order as paid from the order screen.
+	 */
+	public static function verify_bacs_payment() {
+		check_ajax_referer( 'verify-bacs-payment', 'security' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) || ! isset( $_POST['order_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$order    = wc_get_order( absint( $_POST['order_id'] ) );
+		$gateways = WC()->payment_gateways()->payment_gateways();
+
+		if ( ! $order || 'bacs' !== $order->get_payment_method() || ! isset( $gateways['bacs'] ) || ! $order->has_status( array( 'pending', 'on-hold' ) ) ) {
+			wp_send_json_error( array( 'error' => __( 'This order is not awaiting a bank transfer.', 'woocommerce' ) ) );
+		}
+
+		$gateways['bacs']->verify_payment( $order );
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Send a transfer receipt of an order to staff.
+	 *
+	 * Receipts live in a directory denied to the web, this is the only way to view them.
+	 */
+	public static function download_bacs_receipt() {
+		check_ajax_referer( 'download-bacs-receipt', 'security' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) || ! isset( $_GET['order_id'], $_GET['receipt_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$order      = wc_get_order( absint( $_GET['order_id'] ) );
+		$receipt_id = absint( $_GET['receipt_id'] );
+		$gateways   = WC()->payment_gateways()->payment_gateways();
+
+		if ( ! $order || ! isset( $gateways['bacs'] ) || ! in_array( $receipt_id, $gateways['bacs']->get_receipt_ids( $order ), true ) ) {
+			wp_die( esc_html__( 'Transfer receipt not found.', 'woocommerce' ), '', array( 'response' => 404 ) );
+		}
+
+		$file = get_attached_file( $receipt_id );
+
+		if ( ! $file || ! is_readable( $file ) ) {
+			wp_die( esc_html__( 'Transfer receipt not found.', 'woocommerce' ), '', array( 'response' => 404 ) );
+		}
+
+		wc_nocache_headers();
+		header( 'Content-Type: ' . get_post_mime_type( $receipt_id ) );
+		header( 'Content-Disposition: inline; filename="' . basename( $file ) . '"' );
+		header( 'Content-Length: ' . filesize( $file ) );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		readfile( $file ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_read_readfile
+		exit;
+	}
+
+	/**
+	 * Record a balance payment against an order placed paying the booking fee only.
+	 *
+	 * @throws Exception If the order or the amount is invalid.
+	 */
+	public static function record_deposit_payment() {
+		check_ajax_referer( 'order-item', 'security' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) ) {
+			wp_die( -1 );
+		}
+
+		$response = array();
+
+		try {
+			$order_id = isset( $_POST['order_id'] ) ? absint( $_POST['order_id'] ) : 0;
+			$order    = wc_get_order( $order_id );
+
+			if ( ! $order || ! WC_Deposits::order_has_deposit( $order ) ) {
+				throw new Exception( __( 'Invalid order', 'woocommerce' ) );
+			}
+
+			$amount = isset( $_POST['amount'] ) ? wc_format_decimal( wc_clean( wp_unslash( $_POST['amount'] ) ) ) : 0;
+			$method = isset( $_POST['method'] ) ? wc_clean( wp_unslash( $_POST['method'] ) ) : '';
+			$note   = isset( $_POST['note'] ) ? sanitize_text_field( wp_unslash( $_POST['note'] ) ) : '';
+
+			WC_Deposits::record_payment( $order, $amount, $method, $note );
+
+			ob_start();
+			include __DIR__ . '/admin/meta-boxes/views/html-order-items.php';
+			$response['html'] = ob_get_clean();
+
+			ob_start();
+			$notes = wc_get_order_notes( array( 'order_id' => $order_id ) );
+			include __DIR__ . '/admin/meta-boxes/views/html-order-notes.php';
+			$response['notes_html'] = ob_get_clean();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'error' => $e->getMessage() ) );
+		}
+
+		// wp_send_json_success must be outside the try block not to break phpunit tests.
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Move an order to another status from the order board.
+	 */
+	public static function order_board_transition() {
+		check_ajax_referer( 'order-board', 'security' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) ) {
+			wp_die( -1 );
+		}
+
+		$response = array();
+
+		try {
+			$order  = wc_get_order( isset( $_POST['order_id'] ) ? absint( $_POST['order_id'] ) : 0 );
+			$status = isset( $_POST['status'] ) ? wc_clean( wp_unslash( $_POST['status'] ) ) : '';
+
+			if ( ! $order ) {
+				throw new Exception( __( 'Invalid order', 'woocommerce' ) );
+			}
+
+			WC_Order_Workflow::transition( $order, $status, __( 'Order status changed from the order board:', 'woocommerce' ) );
+
+			$response['status']        = $order->get_status();
+			$response['next_statuses'] = WC_Order_Workflow::get_next_statuses( $order );
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'error' => $e->getMessage() ) );
+		}
+
+		// wp_send_json_success must be outside the try block not to break phpunit tests.
+		wp_send_json_success( $response );
+	}
+
 	/**
 	 * Search for products and echo json.
 	 *
@@ -2007,6 +2216,152 @@ class WC_AJAX {
 		wp_send_json_success( $response );
 	}
 
+	/**
+	 * Get the choices made in the refund wizard from the request.
+	 *
+	 * @return array
+	 */
+	private static function get_refund_wizard_request() {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing
+		$items = isset( $_POST['items'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['items'] ) ) : array();
+		$qtys  = isset( $_POST['qty'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['qty'] ) ) : array();
+
+		return array(
+			'mode'       => isset( $_POST['mode'] ) ? sanitize_text_field( wp_unslash( $_POST['mode'] ) ) : 'full',
+			'percentage' => isset( $_POST['percentage'] ) ? (float) wc_format_decimal( sanitize_text_field( wp_unslash( $_POST['percentage'] ) ) ) : 0,
+			'items'      => array_combine(
+				$items,
+				array_map(
+					function( $item_id ) use ( $qtys ) {
+						return isset( $qtys[ $item_id ] ) ? $qtys[ $item_id ] : 0;
+					},
+					$items
+				)
+			),
+			'addons'     => isset( $_POST['addons'] ) ? wc_clean( wp_unslash( $_POST['addons'] ) ) : array(), // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+			'restock'    => isset( $_POST['restock'] ) && 'true' === $_POST['restock'],
+		);
+		// phpcs:enable
+	}
+
+	/**
+	 * Preview a refund made with the refund wizard.
+	 *
+	 * @throws Exception To return errors.
+	 */
+	public static function refund_wizard_preview() {
+		check_ajax_referer( 'order-item', 'security' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) || ! isset( $_POST['order_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$response = array();
+
+		try {
+			$order = wc_get_order( absint( $_POST['order_id'] ) );
+
+			if ( ! $order ) {
+				throw new Exception( __( 'Invalid order', 'woocommerce' ) );
+			}
+
+			$calculation     = WC_Refund_Wizard::calculate( $order, self::get_refund_wizard_request() );
+			$payment_gateway = wc_get_payment_gateway_by_order( $order );
+
+			ob_start();
+			include __DIR__ . '/admin/meta-boxes/views/html-order-refund-wizard-preview.php';
+			$response['html']   = ob_get_clean();
+			$response['amount'] = wc_format_decimal( $calculation['amount'], wc_get_price_decimals() );
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'error' => $e->getMessage() ) );
+		}
+
+		// wp_send_json_success must be outside the try block not to break phpunit tests.
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Make a refund with the refund wizard. The refund is worked out again so it matches the order as it is now.
+	 *
+	 * @throws Exception To return errors.
+	 */
+	public static function refund_wizard_refund() {
+		check_ajax_referer( 'order-item', 'security' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) || ! isset( $_POST['order_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$refund_amount   = isset( $_POST['refund_amount'] ) ? wc_format_decimal( sanitize_text_field( wp_unslash( $_POST['refund_amount'] ) ), wc_get_price_decimals() ) : 0;
+		$refunded_amount = isset( $_POST['refunded_amount'] ) ? wc_format_decimal( sanitize_text_field( wp_unslash( $_POST['refunded_amount'] ) ), wc_get_price_decimals() ) : 0;
+		$refund_reason   = isset( $_POST['refund_reason'] ) ? sanitize_text_field( wp_unslash( $_POST['refund_reason'] ) ) : '';
+		$api_refund      = isset( $_POST['api_refund'] ) && 'true' === $_POST['api_refund'];
+		$request         = self::get_refund_wizard_request();
+		$response        = array();
+
+		try {
+			$order = wc_get_order( absint( $_POST['order_id'] ) );
+
+			if ( ! $order ) {
+				throw new Exception( __( 'Invalid order', 'woocommerce' ) );
+			}
+
+			if ( wc_format_decimal( $order->get_total_refunded(), wc_get_price_decimals() ) !== $refunded_amount ) {
+				throw new Exception( __( 'Error processing refund. Please try again.', 'woocommerce' ) );
+			}
+
+			$calculation = WC_Refund_Wizard::calculate( $order, $request );
+
+			if ( wc_format_decimal( $calculation['amount'], wc_get_price_decimals() ) !== $refund_amount ) {
+				throw new Exception( __( 'The order has changed since the refund was previewed. Please preview it again.', 'woocommerce' ) );
+			}
+
+			$refund = wc_create_refund(
+				array(
+					'amount'         => $refund_amount,
+					'reason'         => $refund_reason,
+					'order_id'       => $order->get_id(),
+					'line_items'     => $calculation['line_items'],
+					'refund_payment' => $api_refund,
+					'restock_items'  => $request['restock'],
+				)
+			);
+
+			if ( is_wp_error( $refund ) ) {
+				throw new Exception( $refund->get_error_message() );
+			}
+
+			$response['credit_note_url'] = WC_Credit_Notes::get_url( $refund );
+
+			if ( did_action( 'woocommerce_order_fully_refunded' ) ) {
+				$response['status'] = 'fully_refunded';
+			}
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'error' => $e->getMessage() ) );
+		}
+
+		// wp_send_json_success must be outside the try block not to break phpunit tests.
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Output the printable credit note of a refund.
+	 */
+	public static function credit_note() {
+		if ( ! current_user_can( 'edit_shop_orders' ) || ! check_admin_referer( 'credit-note' ) || ! isset( $_GET['refund_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$refund = wc_get_order( absint( $_GET['refund_id'] ) );
+
+		if ( ! $refund || 'shop_order_refund' !== $refund->get_type() ) {
+			wp_die( esc_html__( 'Invalid refund', 'woocommerce' ) );
+		}
+
+		WC_Credit_Notes::output( $refund );
+		wp_die();
+	}
+
 	/**
 	 * Delete a refund.
 	 */
@@ -2232,6 +2587,222 @@ class WC_AJAX {
 		wp_die();
 	}
 
+	/**
+	 * Load all the variations of a product via AJAX for the grid editor.
+	 */
+	public static function load_variations_grid() {
+		check_ajax_referer( 'load-variations', 'security' );
+
+		if ( ! current_user_can( 'edit_products' ) || empty( $_POST['product_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$product_object = wc_get_product( absint( $_POST['product_id'] ) );
+
+		if ( ! $product_object ) {
+			wp_die( -1 );
+		}
+
+		$attributes = self::get_variation_grid_attributes( $product_object );
+		$variations = wc_get_products(
+			array(
+				'status'  => array( 'private', 'publish' ),
+				'type'    => 'variation',
+				'parent'  => $product_object->get_id(),
+				'limit'   => -1,
+				'orderby' => array(
+					'menu_order' => 'ASC',
+					'ID'         => 'DESC',
+				),
+				'return'  => 'objects',
+			)
+		);
+		$rows       = array();
+
+		foreach ( $variations as $variation_object ) {
+			$rows[] = self::get_variation_grid_row( $variation_object, $attributes );
+		}
+
+		wp_send_json_success( array( 'variations' => $rows ) );
+	}
+
+	/**
+	 * Save the variations changed in the grid editor via AJAX.
+	 *
+	 * Each variation is saved on its own, so one which cannot be saved does not hold back the others. The errors are
+	 * returned keyed by variation ID.
+	 */
+	public static function save_variations_grid() {
+		check_ajax_referer( 'save-variations', 'security' );
+
+		if ( ! current_user_can( 'edit_products' ) || empty( $_POST['product_id'] ) ) {
+			wp_die( -1 );
+		}
+
+		$product_object = wc_get_product( absint( $_POST['product_id'] ) );
+
+		if ( ! $product_object ) {
+			wp_die( -1 );
+		}
+
+		$attributes = self::get_variation_grid_attributes( $product_object );
+		$changes    = isset( $_POST['variations'] ) ? wp_unslash( $_POST['variations'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$rows       = array();
+		$errors     = array();
+
+		foreach ( (array) $changes as $change ) {
+			$variation_id     = isset( $change['id'] ) ? absint( $change['id'] ) : 0;
+			$variation_object = wc_get_product( $variation_id );
+
+			if ( ! $variation_object || ! $variation_object->is_type( 'variation' ) || $variation_object->get_parent_id() !== $product_object->get_id() ) {
+				$errors[ $variation_id ] = __( 'Invalid variation', 'woocommerce' );
+				continue;
+			}
+
+			$result = self::save_variation_grid_row( $variation_object, $change );
+
+			if ( is_wp_error( $result ) ) {
+				$errors[ $variation_id ] = $result->get_error_message();
+				continue;
+			}
+
+			$rows[] = self::get_variation_grid_row( $variation_object, $attributes );
+		}
+
+		do_action( 'woocommerce_ajax_save_product_variations', $product_object->get_id() );
+
+		wp_send_json_success(
+			array(
+				'variations' => $rows,
+				'errors'     => (object) $errors,
+			)
+		);
+	}
+
+	/**
+	 * Get the attributes used for variations, with the labels of their values.
+	 *
+	 * @param WC_Product $product_object Variable product.
+	 * @return array[] Attributes keyed by attribute key.
+	 */
+	private static function get_variation_grid_attributes( $product_object ) {
+		$attributes = array();
+
+		foreach ( $product_object->get_attributes() as $attribute ) {
+			if ( ! $attribute->get_variation() ) {
+				continue;
+			}
+
+			$options = array();
+
+			if ( $attribute->is_taxonomy() ) {
+				foreach ( $attribute->get_terms() as $term ) {
+					$options[ $term->slug ] = apply_filters( 'woocommerce_variation_option_name', $term->name, $term, $attribute->get_name(), $product_object );
+				}
+			} else {
+				foreach ( $attribute->get_options() as $option ) {
+					$options[ $option ] = apply_filters( 'woocommerce_variation_option_name', $option, null, $attribute->get_name(), $product_object );
+				}
+			}
+
+			$attributes[ sanitize_title( $attribute->get_name() ) ] = array(
+				'label'   => wc_attribute_label( $attribute->get_name(), $product_object ),
+				'options' => $options,
+			);
+		}
+
+		return $attributes;
+	}
+
+	/**
+	 * Get the values of a variation edited in the grid editor.
+	 *
+	 * @param WC_Product_Variation $variation_object Variation.
+	 * @param array[]              $attributes       Attributes used for variations, see get_variation_grid_attributes().
+	 * @return array
+	 */
+	private static function get_variation_grid_row( $variation_object, $attributes ) {
+		$values = $variation_object->get_attributes( 'edit' );
+		$names  = array();
+
+		foreach ( $attributes as $key => $attribute ) {
+			$value = isset( $values[ $key ] ) ? $values[ $key ] : '';
+
+			if ( '' === $value ) {
+				/* translators: %s: attribute label */
+				$names[] = sprintf( __( 'Any %s', 'woocommerce' ), $attribute['label'] );
+			} else {
+				$names[] = isset( $attribute['options'][ $value ] ) ? $attribute['options'][ $value ] : $value;
+			}
+		}
+
+		return array(
+			'id'             => $variation_object->get_id(),
+			'name'           => implode( ', ', $names ),
+			'attributes'     => (object) $values,
+			'sku'            => $variation_object->get_sku( 'edit' ),
+			'regular_price'  => wc_format_localized_price( $variation_object->get_regular_price( 'edit' ) ),
+			'sale_price'     => wc_format_localized_price( $variation_object->get_sale_price( 'edit' ) ),
+			'manage_stock'   => true === $variation_object->get_manage_stock(),
+			'stock_quantity' => wc_stock_amount( $variation_object->get_stock_quantity( 'edit' ) ),
+			'stock_status'   => $variation_object->get_stock_status( 'edit' ),
+			'weight'         => wc_format_localized_decimal( $variation_object->get_weight( 'edit' ) ),
+			'image_id'       => $variation_object->get_image_id( 'edit' ),
+			'image_url'      => $variation_object->get_image_id( 'edit' ) ? wp_get_attachment_thumb_url( $variation_object->get_image_id( 'edit' ) ) : wc_placeholder_img_src(),
+		);
+	}
+
+	/**
+	 * Save the values of a variation changed in the grid editor. Nothing is saved when one of the values is invalid.
+	 *
+	 * @param WC_Product_Variation $variation_object Variation.
+	 * @param array                $change           Changed values, unslashed.
+	 * @return true|WP_Error
+	 */
+	private static function save_variation_grid_row( $variation_object, $change ) {
+		$props = array();
+
+		foreach ( array( 'sku', 'regular_price', 'sale_price', 'stock_status', 'weight' ) as $key ) {
+			if ( isset( $change[ $key ] ) ) {
+				$props[ $key ] = wc_clean( $change[ $key ] );
+			}
+		}
+
+		if ( isset( $change['image_id'] ) ) {
+			$props['image_id'] = absint( $change['image_id'] );
+		}
+
+		if ( isset( $change['manage_stock'] ) ) {
+			$props['manage_stock'] = wc_string_to_bool( $change['manage_stock'] );
+		}
+
+		if ( isset( $change['stock_quantity'] ) ) {
+			if ( isset( $change['original_stock'] ) && wc_stock_amount( $variation_object->get_stock_quantity( 'edit' ) ) !== wc_stock_amount( $change['original_stock'] ) ) {
+				/* translators: 1: product ID 2: quantity in stock */
+				return new WP_Error( 'woocommerce_variation_stock_changed', sprintf( __( 'The stock has not been updated because the value has changed since editing. Product %1$d has %2$d units in stock.', 'woocommerce' ), $variation_object->get_id(), $variation_object->get_stock_quantity( 'edit' ) ) );
+			}
+
+			$props['stock_quantity'] = wc_stock_amount( $change['stock_quantity'] );
+		}
+
+		$regular_price = wc_format_decimal( isset( $props['regular_price'] ) ? $props['regular_price'] : $variation_object->get_regular_price( 'edit' ) );
+		$sale_price    = wc_format_decimal( isset( $props['sale_price'] ) ? $props['sale_price'] : $variation_object->get_sale_price( 'edit' ) );
+
+		if ( '' !== $sale_price && (float) $regular_price <= (float) $sale_price ) {
+			return new WP_Error( 'woocommerce_variation_invalid_sale_price', __( 'Please enter in a value less than the regular price.', 'woocommerce' ) );
+		}
+
+		$result = $variation_object->set_props( $props );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$variation_object->save();
+
+		return true;
+	}
+
 	/**
 	 * Bulk action - Toggle Enabled.
 	 *
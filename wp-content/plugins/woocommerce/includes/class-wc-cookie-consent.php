@@ -0,0 +1,181 @@
+<?php
+/**
+ * Cookie consent.
+ *
+ * Shows a consent banner, stores the categories the visitor agreed to in a cookie and holds back
+ * tracking and third-party scripts until their category is granted.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Cookie_Consent class.
+ */
+class WC_Cookie_Consent {
+
+	/**
+	 * Name of the cookie holding the decision.
+	 */
+	const COOKIE = 'wc_cookie_consent';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		if ( ! self::is_enabled() ) {
+			return;
+		}
+
+		// After other plugins changed the tags, e.g. to add async.
+		add_filter( 'script_loader_tag', array( __CLASS__, 'gate_script_tag' ), 20, 2 );
+		add_action( 'wp_footer', array( __CLASS__, 'output_banner' ) );
+	}
+
+	/**
+	 * Is the consent banner enabled.
+	 *
+	 * @return bool
+	 */
+	public static function is_enabled() {
+		return 'yes' === get_option( 'woocommerce_cookie_consent_enabled', 'no' );
+	}
+
+	/**
+	 * Consent categories, keyed by id. Necessary cookies are always allowed.
+	 *
+	 * @return array
+	 */
+	public static function get_categories() {
+		return apply_filters(
+			'woocommerce_cookie_consent_categories',
+			array(
+				'necessary'  => array(
+					'label'       => __( 'Necessary', 'woocommerce' ),
+					'description' => __( 'Keep your cart and session working. These cannot be turned off.', 'woocommerce' ),
+				),
+				'functional' => array(
+					'label'       => __( 'Functional', 'woocommerce' ),
+					'description' => __( 'Make pages load faster, for example by preloading links you hover.', 'woocommerce' ),
+				),
+				'analytics'  => array(
+					'label'       => __( 'Analytics', 'woocommerce' ),
+					'description' => __( 'Help us understand how the store is used so we can improve it.', 'woocommerce' ),
+				),
+				'marketing'  => array(
+					'label'       => __( 'Marketing', 'woocommerce' ),
+					'description' => __( 'Social media features and ads measured by third parties such as Facebook.', 'woocommerce' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Scripts held back until their category is granted, as handle => category.
+	 *
+	 * @return array
+	 */
+	public static function get_gated_scripts() {
+		return apply_filters(
+			'woocommerce_cookie_consent_gated_scripts',
+			array(
+				'google-tag-manager'         => 'analytics',
+				'wc-blocks-google-analytics' => 'analytics',
+				'flatsome-instant-page'      => 'functional',
+				'share-link'                 => 'marketing',
+			)
+		);
+	}
+
+	/**
+	 * Number of days the decision is remembered.
+	 *
+	 * @return int
+	 */
+	public static function get_expiry_days() {
+		return max( 1, absint( get_option( 'woocommerce_cookie_consent_expiry', 180 ) ) );
+	}
+
+	/**
+	 * Categories the visitor agreed to, read from the consent cookie.
+	 *
+	 * @return string[]|null Null when the visitor has not decided yet.
+	 */
+	public static function get_consent() {
+		if ( empty( $_COOKIE[ self::COOKIE ] ) ) {
+			return null;
+		}
+
+		$consent = json_decode( wp_unslash( $_COOKIE[ self::COOKIE ] ), true ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		if ( ! is_array( $consent ) || ! isset( $consent['categories'] ) || ! is_array( $consent['categories'] ) ) {
+			return null;
+		}
+
+		return array_values( array_intersect( array_map( 'strval', $consent['categories'] ), array_keys( self::get_categories() ) ) );
+	}
+
+	/**
+	 * Whether the visitor agreed to a category.
+	 *
+	 * @param string $category Category id.
+	 * @return bool
+	 */
+	public static function has_consent( $category ) {
+		if ( ! self::is_enabled() || 'necessary' === $category ) {
+			return true;
+		}
+
+		$consent = self::get_consent();
+
+		return null !== $consent && in_array( $category, $consent, true );
+	}
+
+	/**
+	 * Turn the tags of gated scripts, including their inline scripts, into inert text/plain scripts.
+	 * cookie-consent.js runs them once their category is granted.
+	 *
+	 * @param string $tag    Script tags.
+	 * @param string $handle Script handle.
+	 * @return string
+	 */
+	public static function gate_script_tag( $tag, $handle ) {
+		$scripts = self::get_gated_scripts();
+
+		if ( is_admin() || ! isset( $scripts[ $handle ] ) || self::has_consent( $scripts[ $handle ] ) ) {
+			return $tag;
+		}
+
+		return preg_replace(
+			'/<script(\s+type=([\'"])text\/javascript\2)?/',
+			'<script type="text/plain" data-wc-consent="' . esc_attr( $scripts[ $handle ] ) . '"',
+			$tag
+		);
+	}
+
+	/**
+	 * Output the banner.
+	 */
+	public static function output_banner() {
+		wc_get_template(
+			'global/cookie-consent.php',
+			array(
+				'categories' => self::get_categories(),
+				'message'    => get_option( 'woocommerce_cookie_consent_text', self::get_default_text() ),
+			)
+		);
+	}
+
+	/**
+	 * Default banner text.
+	 *
+	 * @return string
+	 */
+	public static function get_default_text() {
+		/* translators: %s privacy policy page name and link */
+		return sprintf( __( 'We use cookies to keep the store working and, with your permission, to measure visits and show social media content. Read more in our %s.', 'woocommerce' ), '[privacy_policy]' );
+	}
+}
+
+WC_Cookie_Consent::init();
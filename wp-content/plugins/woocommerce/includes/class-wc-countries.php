@@ -176,6 +176,25 @@ class WC_Countries {
 		}
 	}
 
+	/**
+	 * Get the cities, districts and postcodes of the states of a country.
+	 *
+	 * @since  5.6.0
+	 * @param  string $cc Country code.
+	 * @return array Regions keyed by state code, then city and district name, listing the postcodes of each district.
+	 */
+	public function get_regions( $cc = null ) {
+		if ( ! isset( $this->regions ) ) {
+			$this->regions = apply_filters( 'woocommerce_regions', include WC()->plugin_path() . '/i18n/regions.php' );
+		}
+
+		if ( ! is_null( $cc ) ) {
+			return isset( $this->regions[ $cc ] ) ? $this->regions[ $cc ] : array();
+		} else {
+			return $this->regions;
+		}
+	}
+
 	/**
 	 * Get the base address (first line) for the store.
 	 *
@@ -1064,7 +1083,11 @@ class WC_Countries {
 					),
 					'ID' => array(
 						'state' => array(
-							'label' => __( 'Province', 'woocommerce' ),
+							'label'    => __( 'Province', 'woocommerce' ),
+							'priority' => 65,
+						),
+						'city'  => array(
+							'label' => __( 'City / Regency', 'woocommerce' ),
 						),
 					),
 					'IE' => array(
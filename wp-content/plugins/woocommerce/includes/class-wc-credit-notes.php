@@ -0,0 +1,122 @@
+<?php
+/**
+ * Credit notes.
+ *
+ * Every refund gets a credit note: a document with its own sequential number listing what was refunded, which staff
+ * can print or save as PDF from the browser and hand to the customer.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Credit_Notes class.
+ */
+class WC_Credit_Notes {
+
+	/**
+	 * Refund meta key of the credit note number.
+	 */
+	const NUMBER_META_KEY = '_credit_note_number';
+
+	/**
+	 * Option holding the next credit note number.
+	 */
+	const NEXT_NUMBER_OPTION = 'woocommerce_credit_note_next_number';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_refund_created', array( __CLASS__, 'assign_number' ) );
+		add_action( 'woocommerce_after_order_refund_item_name', array( __CLASS__, 'output_refund_link' ) );
+	}
+
+	/**
+	 * Give a refund the next credit note number.
+	 *
+	 * @param int $refund_id Refund ID.
+	 */
+	public static function assign_number( $refund_id ) {
+		$refund = wc_get_order( $refund_id );
+
+		if ( ! $refund || $refund->get_meta( self::NUMBER_META_KEY ) ) {
+			return;
+		}
+
+		$next = max( 1, absint( get_option( self::NEXT_NUMBER_OPTION, 1 ) ) );
+
+		update_option( self::NEXT_NUMBER_OPTION, $next + 1, false );
+
+		/**
+		 * Credit note number given to a refund.
+		 *
+		 * @param string          $number Credit note number.
+		 * @param int             $next   Sequential number.
+		 * @param WC_Order_Refund $refund Refund.
+		 */
+		$refund->update_meta_data( self::NUMBER_META_KEY, apply_filters( 'woocommerce_credit_note_number', sprintf( 'CN-%06d', $next ), $next, $refund ) );
+		$refund->save_meta_data();
+	}
+
+	/**
+	 * Get the credit note number of a refund. Refunds made before credit notes existed get a number the first time.
+	 *
+	 * @param WC_Order_Refund $refund Refund.
+	 * @return string
+	 */
+	public static function get_number( $refund ) {
+		if ( ! $refund->get_meta( self::NUMBER_META_KEY ) ) {
+			self::assign_number( $refund->get_id() );
+			$refund->read_meta_data( true );
+		}
+
+		return (string) $refund->get_meta( self::NUMBER_META_KEY );
+	}
+
+	/**
+	 * Get the URL of the printable credit note of a refund.
+	 *
+	 * @param WC_Order_Refund $refund Refund.
+	 * @return string
+	 */
+	public static function get_url( $refund ) {
+		return wp_nonce_url( admin_url( 'admin-ajax.php?action=woocommerce_credit_note&refund_id=' . $refund->get_id() ), 'credit-note' );
+	}
+
+	/**
+	 * Output a link to the credit note after a refund on the order screen.
+	 *
+	 * @param WC_Order_Refund $refund Refund.
+	 */
+	public static function output_refund_link( $refund ) {
+		if ( ! current_user_can( 'edit_shop_orders' ) ) {
+			return;
+		}
+
+		/* translators: %s: credit note number */
+		echo ' <a class="wc-credit-note-link" href="' . esc_url( self::get_url( $refund ) ) . '" target="_blank">' . esc_html( sprintf( __( 'Credit note %s', 'woocommerce' ), self::get_number( $refund ) ) ) . '</a>';
+	}
+
+	/**
+	 * Output the printable credit note of a refund.
+	 *
+	 * @param WC_Order_Refund $refund Refund.
+	 */
+	public static function output( $refund ) {
+		$order = wc_get_order( $refund->get_parent_id() );
+
+		if ( ! $order ) {
+			return;
+		}
+
+		$number = self::get_number( $refund );
+		$items  = $refund->get_items( array( 'line_item', 'fee', 'shipping' ) );
+		$taxes  = $refund->get_tax_totals();
+
+		include __DIR__ . '/admin/views/html-credit-note.php';
+	}
+}
+
+WC_Credit_Notes::init();
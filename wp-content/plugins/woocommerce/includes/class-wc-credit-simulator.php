@@ -0,0 +1,334 @@
+<?php
+/**
+ * Credit simulation for product pages.
+ *
+ * Shows the monthly instalments of the leasing partners configured in WooCommerce > Settings > Credit simulation
+ * and carries the plan chosen by the customer into the cart item and order line item.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Credit_Simulator class.
+ */
+class WC_Credit_Simulator {
+
+	/**
+	 * Cart item key holding the chosen plan.
+	 */
+	const CART_ITEM_KEY = 'credit_plan';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_before_add_to_cart_button', array( __CLASS__, 'output' ), 20 );
+		add_filter( 'woocommerce_add_to_cart_validation', array( __CLASS__, 'add_to_cart_validation' ), 20, 4 );
+		add_filter( 'woocommerce_add_cart_item_data', array( __CLASS__, 'add_cart_item_data' ), 20, 3 );
+		add_filter( 'woocommerce_get_item_data', array( __CLASS__, 'get_item_data' ), 10, 2 );
+		add_action( 'woocommerce_checkout_create_order_line_item', array( __CLASS__, 'create_order_line_item' ), 10, 3 );
+	}
+
+	/**
+	 * Is the simulator enabled and has at least one partner.
+	 *
+	 * @return bool
+	 */
+	public static function is_enabled() {
+		return 'yes' === get_option( 'woocommerce_credit_simulator_enabled', 'no' ) && count( self::get_partners() ) > 0;
+	}
+
+	/**
+	 * Tenors (in months) offered by the simulator.
+	 *
+	 * @return int[]
+	 */
+	public static function get_tenors() {
+		$tenors = array_filter( array_map( 'absint', explode( ',', get_option( 'woocommerce_credit_simulator_tenors', '11, 17, 23, 29, 35' ) ) ) );
+		sort( $tenors );
+		return array_values( array_unique( $tenors ) );
+	}
+
+	/**
+	 * Down payment percentages offered by the simulator.
+	 *
+	 * @return float[]
+	 */
+	public static function get_down_payments() {
+		$down_payments = array_filter(
+			array_map( 'floatval', explode( ',', get_option( 'woocommerce_credit_simulator_down_payments', '10, 15, 20, 25, 30' ) ) ),
+			function( $percent ) {
+				return $percent >= 0 && $percent < 100;
+			}
+		);
+		sort( $down_payments );
+		return array_values( array_unique( $down_payments ) );
+	}
+
+	/**
+	 * Leasing partners and their rate tables, keyed by partner id.
+	 *
+	 * Each partner has a name, a minimum down payment (percent), an admin fee and a flat yearly interest rate per tenor.
+	 *
+	 * @return array
+	 */
+	public static function get_partners() {
+		$partners = array();
+		foreach ( (array) get_option( 'woocommerce_credit_simulator_partners', array() ) as $partner ) {
+			if ( empty( $partner['name'] ) || empty( $partner['rates'] ) ) {
+				continue;
+			}
+			$id              = sanitize_title( $partner['name'] );
+			$partners[ $id ] = array(
+				'id'               => $id,
+				'name'             => $partner['name'],
+				'min_down_payment' => isset( $partner['min_down_payment'] ) ? floatval( $partner['min_down_payment'] ) : 0,
+				'admin_fee'        => isset( $partner['admin_fee'] ) ? floatval( $partner['admin_fee'] ) : 0,
+				'rates'            => array_map( 'floatval', (array) $partner['rates'] ),
+			);
+		}
+		return apply_filters( 'woocommerce_credit_simulator_partners', $partners );
+	}
+
+	/**
+	 * Calculate a plan using the flat rate method used by leasing companies.
+	 *
+	 * Keep in sync with calculate() in assets/js/frontend/credit-simulator.js.
+	 *
+	 * @param float  $price              Unit price (product and options).
+	 * @param string $partner_id         Partner id.
+	 * @param float  $down_payment_share Down payment in percent of the price.
+	 * @param int    $tenor              Tenor in months.
+	 * @return array|false False when the partner does not offer the plan.
+	 */
+	public static function calculate( $price, $partner_id, $down_payment_share, $tenor ) {
+		$partners = self::get_partners();
+		$tenor    = absint( $tenor );
+
+		if ( ! isset( $partners[ $partner_id ] ) || empty( $partners[ $partner_id ]['rates'][ $tenor ] ) || $price <= 0 ) {
+			return false;
+		}
+
+		$partner = $partners[ $partner_id ];
+
+		if ( $down_payment_share < $partner['min_down_payment'] || $down_payment_share >= 100 ) {
+			return false;
+		}
+
+		$rounding     = max( 0, floatval( get_option( 'woocommerce_credit_simulator_rounding', 1000 ) ) );
+		$rate         = $partner['rates'][ $tenor ];
+		$down_payment = self::round_up( $price * $down_payment_share / 100, $rounding );
+		$principal    = max( 0, $price - $down_payment );
+		$interest     = $principal * $rate / 100 * $tenor / 12;
+		$monthly      = self::round_up( ( $principal + $interest ) / $tenor, $rounding );
+
+		return array(
+			'partner'            => $partner['id'],
+			'partner_name'       => $partner['name'],
+			'tenor'              => $tenor,
+			'rate'               => $rate,
+			'price'              => $price,
+			'down_payment_share' => $down_payment_share,
+			'down_payment'       => $down_payment,
+			'admin_fee'          => $partner['admin_fee'],
+			'first_payment'      => $down_payment + $partner['admin_fee'],
+			'monthly'            => $monthly,
+			'total'              => $down_payment + $partner['admin_fee'] + $monthly * $tenor,
+		);
+	}
+
+	/**
+	 * Round a value up to a multiple of $rounding, or to the store decimals when rounding is 0.
+	 *
+	 * @param float $value    Value to round.
+	 * @param float $rounding Multiple.
+	 * @return float
+	 */
+	private static function round_up( $value, $rounding ) {
+		if ( $rounding > 0 ) {
+			return ceil( round( $value / $rounding, 6 ) ) * $rounding;
+		}
+		return round( $value, wc_get_price_decimals() );
+	}
+
+	/**
+	 * Output the simulator inside the add to cart form.
+	 */
+	public static function output() {
+		global $product;
+
+		if ( ! $product || ! self::is_enabled() || ! $product->is_type( array( 'simple', 'variable' ) ) ) {
+			return;
+		}
+
+		$partners      = self::get_partners();
+		$down_payments = self::get_down_payments();
+		$price         = $product->is_type( 'simple' ) ? wc_get_price_to_display( $product ) : 0;
+		?>
+		<div class="wc-credit-simulator" data-price="<?php echo esc_attr( $price ); ?>">
+			<h3 class="wc-credit-simulator__title"><?php esc_html_e( 'Credit simulation', 'woocommerce' ); ?></h3>
+			<p class="wc-credit-simulator__notice"><?php esc_html_e( 'Select a variant to see the monthly instalments.', 'woocommerce' ); ?></p>
+			<p class="wc-credit-simulator__controls">
+				<label>
+					<?php esc_html_e( 'Leasing partner', 'woocommerce' ); ?>
+					<select name="credit_simulator_partner" class="wc-credit-simulator__partner">
+						<?php foreach ( $partners as $partner ) : ?>
+							<option value="<?php echo esc_attr( $partner['id'] ); ?>"><?php echo esc_html( $partner['name'] ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+				<label>
+					<?php esc_html_e( 'Down payment', 'woocommerce' ); ?>
+					<select name="credit_simulator_down_payment" class="wc-credit-simulator__down-payment">
+						<?php foreach ( $down_payments as $percent ) : ?>
+							<option value="<?php echo esc_attr( $percent ); ?>"><?php echo esc_html( wc_format_localized_decimal( $percent ) ); ?>%</option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+			</p>
+			<table class="shop_table wc-credit-simulator__table">
+				<thead>
+					<tr>
+						<th>&nbsp;</th>
+						<th><?php esc_html_e( 'Tenor', 'woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'First payment', 'woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Monthly', 'woocommerce' ); ?></th>
+					</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+			<?php if ( get_option( 'woocommerce_credit_simulator_disclaimer' ) ) : ?>
+				<p class="wc-credit-simulator__disclaimer"><small><?php echo wp_kses_post( get_option( 'woocommerce_credit_simulator_disclaimer' ) ); ?></small></p>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the plan posted with the add to cart form.
+	 *
+	 * @param int   $product_id    Product ID.
+	 * @param int   $variation_id  Variation ID.
+	 * @param float $options_price Price of the product add-ons.
+	 * @return array|false|null Null when no plan was chosen, false when the plan is not valid.
+	 */
+	private static function get_posted_plan( $product_id, $variation_id, $options_price = 0 ) {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing
+		if ( ! self::is_enabled() || empty( $_POST['credit_simulator_tenor'] ) || empty( $_POST['credit_simulator_partner'] ) ) {
+			return null;
+		}
+
+		$product = wc_get_product( $variation_id ? $variation_id : $product_id );
+
+		if ( ! $product ) {
+			return false;
+		}
+
+		return self::calculate(
+			wc_get_price_to_display( $product ) + $options_price,
+			wc_clean( wp_unslash( $_POST['credit_simulator_partner'] ) ),
+			isset( $_POST['credit_simulator_down_payment'] ) ? floatval( wp_unslash( $_POST['credit_simulator_down_payment'] ) ) : 0,
+			absint( wp_unslash( $_POST['credit_simulator_tenor'] ) )
+		);
+		// phpcs:enable
+	}
+
+	/**
+	 * Reject plans the partner does not offer.
+	 *
+	 * @param bool $passed       Validation result so far.
+	 * @param int  $product_id   Product ID.
+	 * @param int  $quantity     Quantity.
+	 * @param int  $variation_id Variation ID.
+	 * @return bool
+	 */
+	public static function add_to_cart_validation( $passed, $product_id, $quantity = 1, $variation_id = 0 ) {
+		if ( $passed && false === self::get_posted_plan( $product_id, $variation_id ) ) {
+			wc_add_notice( __( 'The selected credit plan is not available for this product, please choose another one.', 'woocommerce' ), 'error' );
+			return false;
+		}
+		return $passed;
+	}
+
+	/**
+	 * Store the chosen plan, recalculated server side, in the cart item.
+	 *
+	 * @param array $cart_item_data Cart item data.
+	 * @param int   $product_id     Product ID.
+	 * @param int   $variation_id   Variation ID.
+	 * @return array
+	 */
+	public static function add_cart_item_data( $cart_item_data, $product_id, $variation_id ) {
+		$options_price = 0;
+
+		// Product add-on prices are part of the financed amount.
+		if ( ! empty( $cart_item_data['wcpa_data'] ) && is_array( $cart_item_data['wcpa_data'] ) ) {
+			foreach ( $cart_item_data['wcpa_data'] as $field ) {
+				if ( isset( $field['price'] ) && false !== $field['price'] ) {
+					$options_price += floatval( $field['price'] );
+				}
+			}
+		}
+
+		$plan = self::get_posted_plan( $product_id, $variation_id, $options_price );
+
+		if ( $plan ) {
+			$cart_item_data[ self::CART_ITEM_KEY ] = $plan;
+		}
+
+		return $cart_item_data;
+	}
+
+	/**
+	 * Human readable summary of a plan.
+	 *
+	 * @param array $plan Plan.
+	 * @return string
+	 */
+	public static function format_plan( $plan ) {
+		return sprintf(
+			/* translators: 1: partner name 2: tenor 3: monthly instalment 4: first payment */
+			__( '%1$s, %2$d &times; %3$s / month, first payment %4$s', 'woocommerce' ),
+			$plan['partner_name'],
+			$plan['tenor'],
+			wc_price( $plan['monthly'] ),
+			wc_price( $plan['first_payment'] )
+		);
+	}
+
+	/**
+	 * Show the plan in the cart and checkout.
+	 *
+	 * @param array $item_data Item data.
+	 * @param array $cart_item Cart item.
+	 * @return array
+	 */
+	public static function get_item_data( $item_data, $cart_item ) {
+		if ( ! empty( $cart_item[ self::CART_ITEM_KEY ] ) ) {
+			$item_data[] = array(
+				'key'     => __( 'Credit plan', 'woocommerce' ),
+				'value'   => wp_strip_all_tags( self::format_plan( $cart_item[ self::CART_ITEM_KEY ] ) ),
+				'display' => self::format_plan( $cart_item[ self::CART_ITEM_KEY ] ),
+			);
+		}
+		return $item_data;
+	}
+
+	/**
+	 * Save the plan to the order line item.
+	 *
+	 * @param WC_Order_Item_Product $item          Order item.
+	 * @param string                $cart_item_key Cart item key.
+	 * @param array                 $values        Cart item.
+	 */
+	public static function create_order_line_item( $item, $cart_item_key, $values ) {
+		if ( ! empty( $values[ self::CART_ITEM_KEY ] ) ) {
+			$item->add_meta_data( __( 'Credit plan', 'woocommerce' ), wp_strip_all_tags( self::format_plan( $values[ self::CART_ITEM_KEY ] ) ) );
+			$item->add_meta_data( '_' . self::CART_ITEM_KEY, $values[ self::CART_ITEM_KEY ] );
+		}
+	}
+}
+
+WC_Credit_Simulator::init();
@@ -0,0 +1,407 @@
+<?php
+/**
+ * Booking fees (down payments) for high-value products.
+ *
+ * Products can define a booking fee, either a fixed amount per unit or a percentage of the line total. When the
+ * customer chooses to pay the booking fee only, the order keeps its full total and records the amount paid at
+ * checkout and the balance due. Balance payments made later, for example at the showroom, are recorded against
+ * the order from the order screen.
+ *
+ * Customers choose the mode in the Cart and Checkout blocks, which use the Store API cart/update-deposit route.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Deposits class.
+ */
+class WC_Deposits {
+
+	/**
+	 * Session key holding whether the customer chose to pay the booking fee only.
+	 */
+	const SESSION_KEY = 'deposit_mode';
+
+	/**
+	 * Payment gateway feature required to take booking fees.
+	 */
+	const GATEWAY_FEATURE = 'deposits';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_product_options_general_product_data', array( __CLASS__, 'product_options' ) );
+		add_action( 'woocommerce_admin_process_product_object', array( __CLASS__, 'save_product_options' ) );
+		add_filter( 'woocommerce_available_payment_gateways', array( __CLASS__, 'filter_payment_gateways' ) );
+		add_action( 'woocommerce_checkout_create_order', array( __CLASS__, 'add_order_amounts' ) );
+		add_action( '__experimental_woocommerce_blocks_checkout_order_processed', array( __CLASS__, 'blocks_checkout_order_processed' ) );
+		add_action( 'woocommerce_cart_emptied', array( __CLASS__, 'reset_mode' ) );
+		add_action( 'woocommerce_cart_totals_after_order_total', array( __CLASS__, 'cart_totals_rows' ) );
+		add_action( 'woocommerce_review_order_after_order_total', array( __CLASS__, 'cart_totals_rows' ) );
+		add_filter( 'woocommerce_get_order_item_totals', array( __CLASS__, 'order_item_totals' ), 10, 2 );
+	}
+
+	/**
+	 * Get the booking fee setting of a product.
+	 *
+	 * Variations use the booking fee of their parent product.
+	 *
+	 * @param WC_Product $product Product.
+	 * @return string Fixed amount, percentage such as "10%", or an empty string when there is no booking fee.
+	 */
+	public static function get_product_deposit( $product ) {
+		if ( ! $product ) {
+			return '';
+		}
+
+		$deposit = $product->get_meta( '_deposit_amount' );
+
+		if ( '' === $deposit && $product->get_parent_id() ) {
+			$parent  = wc_get_product( $product->get_parent_id() );
+			$deposit = $parent ? $parent->get_meta( '_deposit_amount' ) : '';
+		}
+
+		return apply_filters( 'woocommerce_product_deposit_amount', (string) $deposit, $product );
+	}
+
+	/**
+	 * Calculate the booking fee of a cart or order line.
+	 *
+	 * @param WC_Product $product    Product.
+	 * @param int        $quantity   Quantity.
+	 * @param float      $line_total Line total including tax.
+	 * @return float|false False when the product has no booking fee.
+	 */
+	public static function calculate_line_deposit( $product, $quantity, $line_total ) {
+		$deposit = self::get_product_deposit( $product );
+
+		if ( '' === $deposit ) {
+			return false;
+		}
+
+		if ( '%' === substr( $deposit, -1 ) ) {
+			$amount = $line_total * floatval( $deposit ) / 100;
+		} else {
+			$amount = floatval( $deposit ) * $quantity;
+		}
+
+		return round( min( max( 0, $amount ), $line_total ), wc_get_price_decimals() );
+	}
+
+	/**
+	 * Whether any item in the cart can be reserved with a booking fee.
+	 *
+	 * @return bool
+	 */
+	public static function is_available() {
+		if ( ! WC()->cart ) {
+			return false;
+		}
+
+		foreach ( WC()->cart->get_cart() as $cart_item ) {
+			if ( '' !== self::get_product_deposit( $cart_item['data'] ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Whether the customer chose to pay the booking fee only.
+	 *
+	 * @return bool
+	 */
+	public static function is_enabled() {
+		return WC()->session && WC()->session->get( self::SESSION_KEY ) && self::is_available();
+	}
+
+	/**
+	 * Choose between paying the booking fee only and paying in full.
+	 *
+	 * @param bool $enabled Pay the booking fee only.
+	 */
+	public static function set_mode( $enabled ) {
+		if ( WC()->session ) {
+			WC()->session->set( self::SESSION_KEY, $enabled ? true : null );
+		}
+	}
+
+	/**
+	 * Go back to paying in full once the cart is emptied.
+	 */
+	public static function reset_mode() {
+		self::set_mode( false );
+	}
+
+	/**
+	 * Get the amount to pay at checkout and the balance due of the cart.
+	 *
+	 * Items without a booking fee, shipping and fees are paid in full at checkout.
+	 *
+	 * @return array Array with the pay_now and balance_due amounts.
+	 */
+	public static function get_cart_amounts() {
+		$total   = (float) WC()->cart->get_total( 'edit' );
+		$balance = 0;
+
+		foreach ( WC()->cart->get_cart() as $cart_item ) {
+			$line_total = $cart_item['line_total'] + $cart_item['line_tax'];
+			$deposit    = self::calculate_line_deposit( $cart_item['data'], $cart_item['quantity'], $line_total );
+
+			if ( false !== $deposit ) {
+				$balance += $line_total - $deposit;
+			}
+		}
+
+		$balance = round( min( $balance, $total ), wc_get_price_decimals() );
+
+		return array(
+			'pay_now'     => $total - $balance,
+			'balance_due' => $balance,
+		);
+	}
+
+	/**
+	 * Only offer gateways that can take a booking fee, such as bank transfer, when paying the booking fee only.
+	 *
+	 * @param WC_Payment_Gateway[] $gateways Available gateways.
+	 * @return WC_Payment_Gateway[]
+	 */
+	public static function filter_payment_gateways( $gateways ) {
+		if ( is_admin() && ! wp_doing_ajax() ) {
+			return $gateways;
+		}
+
+		if ( ! self::is_enabled() ) {
+			return $gateways;
+		}
+
+		foreach ( $gateways as $id => $gateway ) {
+			if ( ! $gateway->supports( self::GATEWAY_FEATURE ) ) {
+				unset( $gateways[ $id ] );
+			}
+		}
+
+		return $gateways;
+	}
+
+	/**
+	 * Record the amount paid at checkout and the balance due on a new order.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function add_order_amounts( $order ) {
+		if ( ! self::is_enabled() ) {
+			$order->delete_meta_data( '_deposit_paid_at_checkout' );
+			$order->delete_meta_data( '_deposit_balance_due' );
+			return;
+		}
+
+		$amounts = self::get_cart_amounts();
+
+		$order->update_meta_data( '_deposit_paid_at_checkout', wc_format_decimal( $amounts['pay_now'] ) );
+		$order->update_meta_data( '_deposit_balance_due', wc_format_decimal( $amounts['balance_due'] ) );
+	}
+
+	/**
+	 * Record the amounts on orders placed with the checkout block.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function blocks_checkout_order_processed( $order ) {
+		self::add_order_amounts( $order );
+		$order->save();
+	}
+
+	/**
+	 * Whether an order was placed paying the booking fee only.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return bool
+	 */
+	public static function order_has_deposit( $order ) {
+		return '' !== $order->get_meta( '_deposit_balance_due' );
+	}
+
+	/**
+	 * Get the amount paid at checkout.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return float
+	 */
+	public static function get_order_paid_at_checkout( $order ) {
+		return (float) $order->get_meta( '_deposit_paid_at_checkout' );
+	}
+
+	/**
+	 * Get the balance payments recorded against an order.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array[] Payments with amount, date, method, note and user_id.
+	 */
+	public static function get_order_payments( $order ) {
+		return array_filter( (array) $order->get_meta( '_deposit_payments' ) );
+	}
+
+	/**
+	 * Get the balance still due on an order.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return float
+	 */
+	public static function get_order_balance_due( $order ) {
+		if ( ! self::order_has_deposit( $order ) ) {
+			return 0;
+		}
+
+		$balance = (float) $order->get_meta( '_deposit_balance_due' );
+
+		foreach ( self::get_order_payments( $order ) as $payment ) {
+			$balance -= (float) $payment['amount'];
+		}
+
+		return max( 0, round( $balance, wc_get_price_decimals() ) );
+	}
+
+	/**
+	 * Record a balance payment against an order.
+	 *
+	 * @throws Exception When the amount is not valid.
+	 * @param WC_Order $order  Order object.
+	 * @param float    $amount Amount paid.
+	 * @param string   $method How the balance was paid, for example "Cash at showroom".
+	 * @param string   $note   Optional note.
+	 */
+	public static function record_payment( $order, $amount, $method = '', $note = '' ) {
+		$amount  = round( (float) $amount, wc_get_price_decimals() );
+		$balance = self::get_order_balance_due( $order );
+
+		if ( $amount <= 0 ) {
+			throw new Exception( __( 'Please enter the amount paid.', 'woocommerce' ) );
+		}
+
+		if ( $amount > $balance ) {
+			throw new Exception( __( 'The amount paid cannot be more than the balance due.', 'woocommerce' ) );
+		}
+
+		$payments   = self::get_order_payments( $order );
+		$payments[] = array(
+			'amount'  => wc_format_decimal( $amount ),
+			'date'    => time(),
+			'method'  => $method,
+			'note'    => $note,
+			'user_id' => get_current_user_id(),
+		);
+
+		$order->update_meta_data( '_deposit_payments', $payments );
+		$order->save();
+
+		$order->add_order_note(
+			sprintf(
+				/* translators: 1: amount paid 2: payment method 3: balance due */
+				__( 'Balance payment of %1$s received (%2$s). Balance due: %3$s.', 'woocommerce' ),
+				wc_price( $amount, array( 'currency' => $order->get_currency() ) ),
+				$method ? $method : __( 'no method given', 'woocommerce' ),
+				wc_price( $balance - $amount, array( 'currency' => $order->get_currency() ) )
+			),
+			0,
+			true
+		);
+
+		do_action( 'woocommerce_deposit_payment_recorded', $order, $amount, $method, $note );
+
+		if ( 0 >= self::get_order_balance_due( $order ) ) {
+			do_action( 'woocommerce_deposit_balance_paid', $order );
+		}
+	}
+
+	/**
+	 * Output the booking fee field in the product data meta box.
+	 */
+	public static function product_options() {
+		echo '<div class="options_group show_if_simple show_if_variable">';
+
+		woocommerce_wp_text_input(
+			array(
+				'id'          => '_deposit_amount',
+				'label'       => __( 'Booking fee', 'woocommerce' ) . ' (' . get_woocommerce_currency_symbol() . ' / %)',
+				'placeholder' => __( 'No booking fee', 'woocommerce' ),
+				'desc_tip'    => true,
+				'description' => __( 'Lets customers reserve this product by paying a fixed amount per unit, or a percentage such as 10%, at checkout and the rest later. Leave blank to require full payment.', 'woocommerce' ),
+			)
+		);
+
+		echo '</div>';
+	}
+
+	/**
+	 * Save the booking fee field.
+	 *
+	 * @param WC_Product $product Product object.
+	 */
+	public static function save_product_options( $product ) {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verification already handled in WC_Admin_Meta_Boxes::save_meta_boxes()
+		$deposit = isset( $_POST['_deposit_amount'] ) ? trim( wc_clean( wp_unslash( $_POST['_deposit_amount'] ) ) ) : '';
+		// phpcs:enable
+
+		if ( '%' === substr( $deposit, -1 ) ) {
+			$percent = min( 100, max( 0, floatval( wc_format_decimal( substr( $deposit, 0, -1 ) ) ) ) );
+			$deposit = $percent ? $percent . '%' : '';
+		} elseif ( '' !== $deposit ) {
+			$deposit = wc_format_decimal( $deposit );
+		}
+
+		$product->update_meta_data( '_deposit_amount', $deposit );
+	}
+
+	/**
+	 * Show the amount to pay now and the balance due in the classic cart and checkout totals.
+	 */
+	public static function cart_totals_rows() {
+		if ( ! self::is_enabled() ) {
+			return;
+		}
+
+		$amounts = self::get_cart_amounts();
+		?>
+		<tr class="deposit-pay-now">
+			<th><?php esc_html_e( 'Pay now', 'woocommerce' ); ?></th>
+			<td data-title="<?php esc_attr_e( 'Pay now', 'woocommerce' ); ?>"><?php echo wc_price( $amounts['pay_now'] ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?></td>
+		</tr>
+		<tr class="deposit-balance-due">
+			<th><?php esc_html_e( 'Balance due', 'woocommerce' ); ?></th>
+			<td data-title="<?php esc_attr_e( 'Balance due', 'woocommerce' ); ?>"><?php echo wc_price( $amounts['balance_due'] ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?></td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Show the amount paid at checkout and the balance due on the order received page, in emails and in My Account.
+	 *
+	 * @param array    $total_rows Order total rows.
+	 * @param WC_Order $order      Order object.
+	 * @return array
+	 */
+	public static function order_item_totals( $total_rows, $order ) {
+		if ( ! self::order_has_deposit( $order ) ) {
+			return $total_rows;
+		}
+
+		$total_rows['deposit_paid_at_checkout'] = array(
+			'label' => __( 'Booking fee:', 'woocommerce' ),
+			'value' => wc_price( self::get_order_paid_at_checkout( $order ), array( 'currency' => $order->get_currency() ) ),
+		);
+		$total_rows['deposit_balance_due']      = array(
+			'label' => __( 'Balance due:', 'woocommerce' ),
+			'value' => wc_price( self::get_order_balance_due( $order ), array( 'currency' => $order->get_currency() ) ),
+		);
+
+		return $total_rows;
+	}
+}
+
+WC_Deposits::init();
@@ -25,6 +25,7 @@ class WC_Form_Handler {
 		add_action( 'wp_loaded', array( __CLASS__, 'process_lost_password' ), 20 );
 		add_action( 'wp_loaded', array( __CLASS__, 'process_reset_password' ), 20 );
 		add_action( 'wp_loaded', array( __CLASS__, 'cancel_order' ), 20 );
+		add_action( 'wp_loaded', array( __CLASS__, 'upload_bacs_receipt' ), 20 );
 		add_action( 'wp_loaded', array( __CLASS__, 'update_cart_action' ), 20 );
 		add_action( 'wp_loaded', array( __CLASS__, 'add_to_cart_action' ), 20 );
 
@@ -762,6 +763,43 @@ class WC_Form_Handler {
 		}
 	}
 
+	/**
+	 * Attach a bank transfer receipt uploaded from the order received or view order page.
+	 */
+	public static function upload_bacs_receipt() {
+		$nonce_value = wc_get_var( $_REQUEST['woocommerce-bacs-receipt-nonce'], '' ); // @codingStandardsIgnoreLine.
+
+		if ( ! isset( $_POST['bacs_upload_receipt'], $_POST['order_id'], $_POST['order_key'] ) || ! wp_verify_nonce( $nonce_value, 'woocommerce-bacs-receipt' ) ) {
+			return;
+		}
+
+		wc_nocache_headers();
+
+		$order_id  = absint( $_POST['order_id'] );
+		$order_key = wc_clean( wp_unslash( $_POST['order_key'] ) );
+		$order     = wc_get_order( $order_id );
+		$gateways  = WC()->payment_gateways()->payment_gateways();
+		$gateway   = isset( $gateways['bacs'] ) ? $gateways['bacs'] : null;
+
+		if ( ! $order || ! $gateway || ! hash_equals( $order->get_order_key(), $order_key ) || ! $gateway->can_upload_receipt( $order ) ) {
+			wc_add_notice( __( 'Invalid order.', 'woocommerce' ), 'error' );
+			return;
+		}
+
+		$attachment_id = $gateway->handle_receipt_upload( isset( $_FILES['bacs_receipt'] ) ? $_FILES['bacs_receipt'] : array() ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		if ( is_wp_error( $attachment_id ) ) {
+			wc_add_notice( $attachment_id->get_error_message(), 'error' );
+			return;
+		}
+
+		$gateway->attach_receipt( $order, $attachment_id );
+
+		wc_add_notice( __( 'Thank you, we have received your transfer receipt and will verify your payment shortly.', 'woocommerce' ) );
+		wp_safe_redirect( wp_get_referer() ? wp_get_referer() : $order->get_view_order_url() );
+		exit;
+	}
+
 	/**
 	 * Add to cart action.
 	 *
@@ -231,6 +231,16 @@ class WC_Frontend_Scripts {
 				'deps'    => array( 'jquery', 'wc-country-select' ),
 				'version' => $version,
 			),
+			'wc-address-regions'         => array(
+				'src'     => self::get_asset_url( 'assets/js/frontend/address-regions' . $suffix . '.js' ),
+				'deps'    => array( 'jquery', 'selectWoo', 'wc-country-select', 'wc-address-i18n' ),
+				'version' => $version,
+			),
+			'wc-showroom-appointment'    => array(
+				'src'     => self::get_asset_url( 'assets/js/frontend/showroom-appointment' . $suffix . '.js' ),
+				'deps'    => array( 'jquery', 'jquery-blockui' ),
+				'version' => $version,
+			),
 			'wc-add-payment-method'      => array(
 				'src'     => self::get_asset_url( 'assets/js/frontend/add-payment-method' . $suffix . '.js' ),
 				'deps'    => array( 'jquery', 'woocommerce' ),
@@ -256,6 +266,21 @@ class WC_Frontend_Scripts {
 				'deps'    => array( 'jquery' ),
 				'version' => $version,
 			),
+			'wc-credit-simulator'        => array(
+				'src'     => self::get_asset_url( 'assets/js/frontend/credit-simulator' . $suffix . '.js' ),
+				'deps'    => array( 'jquery' ),
+				'version' => $version,
+			),
+			'wc-product-compare'         => array(
+				'src'     => self::get_asset_url( 'assets/js/frontend/product-compare' . $suffix . '.js' ),
+				'deps'    => array( 'jquery' ),
+				'version' => $version,
+			),
+			'wc-cookie-consent'          => array(
+				'src'     => self::get_asset_url( 'assets/js/frontend/cookie-consent' . $suffix . '.js' ),
+				'deps'    => array( 'jquery', 'js-cookie' ),
+				'version' => $version,
+			),
 			'wc-credit-card-form'        => array(
 				'src'     => self::get_asset_url( 'assets/js/frontend/credit-card-form' . $suffix . '.js' ),
 				'deps'    => array( 'jquery', 'jquery-payment' ),
@@ -332,6 +357,12 @@ class WC_Frontend_Scripts {
 				'version' => $version,
 				'has_rtl' => false,
 			),
+			'wc-cookie-consent'           => array(
+				'src'     => self::get_asset_url( 'assets/css/cookie-consent.css' ),
+				'deps'    => array(),
+				'version' => $version,
+				'has_rtl' => true,
+			),
 			'woocommerce_prettyPhoto_css' => array( // deprecated.
 				'src'     => self::get_asset_url( 'assets/css/prettyPhoto.css' ),
 				'deps'    => array(),
@@ -375,6 +406,9 @@ class WC_Frontend_Scripts {
 		if ( is_checkout() ) {
 			self::enqueue_script( 'wc-checkout' );
 		}
+		if ( ( is_checkout() || is_wc_endpoint_url( 'edit-address' ) ) && WC()->countries->get_regions() ) {
+			self::enqueue_script( 'wc-address-regions' );
+		}
 		if ( is_add_payment_method_page() ) {
 			self::enqueue_script( 'wc-add-payment-method' );
 		}
@@ -396,6 +430,10 @@ class WC_Frontend_Scripts {
 				add_action( 'wp_footer', 'woocommerce_photoswipe' );
 			}
 			self::enqueue_script( 'wc-single-product' );
+
+			if ( WC_Credit_Simulator::is_enabled() ) {
+				self::enqueue_script( 'wc-credit-simulator' );
+			}
 		}
 
 		// Only enqueue the geolocation script if the Default Current Address is set to "Geolocate
@@ -415,6 +453,16 @@ class WC_Frontend_Scripts {
 		self::enqueue_script( 'woocommerce' );
 		self::enqueue_script( 'wc-cart-fragments' );
 
+		if ( WC_Product_Compare::is_enabled() ) {
+			self::enqueue_script( 'wc-product-compare' );
+		}
+
+		// Kept apart from the WooCommerce styles, which themes often replace.
+		if ( WC_Cookie_Consent::is_enabled() ) {
+			self::enqueue_script( 'wc-cookie-consent' );
+			self::enqueue_style( 'wc-cookie-consent' );
+		}
+
 		// CSS Styles.
 		$enqueue_styles = self::get_styles();
 		if ( $enqueue_styles ) {
@@ -536,6 +584,40 @@ class WC_Frontend_Scripts {
 					'i18n_optional_text' => esc_html__( 'optional', 'woocommerce' ),
 				);
 				break;
+			case 'wc-address-regions':
+				$params = array(
+					'regions_url'               => get_rest_url( null, 'wc/store/regions' ),
+					'states'                    => WC_Address_Regions::get_states_with_regions(),
+					'i18n_select_city_text'     => esc_attr__( 'Select a city / regency&hellip;', 'woocommerce' ),
+					'i18n_select_district_text' => esc_attr__( 'Select a district&hellip;', 'woocommerce' ),
+					'i18n_select_postcode_text' => esc_attr__( 'Select a postcode&hellip;', 'woocommerce' ),
+				);
+				break;
+			case 'wc-showroom-appointment':
+				$branches = array();
+
+				foreach ( WC_Showroom_Appointments::get_branches() as $branch ) {
+					$dates = array();
+
+					foreach ( WC_Showroom_Appointments::get_dates( $branch['id'] ) as $date ) {
+						$dates[] = array(
+							'value' => $date,
+							'label' => wp_date( get_option( 'date_format' ), date_create_immutable( $date, wp_timezone() )->getTimestamp() ),
+						);
+					}
+
+					$branches[ $branch['id'] ] = array( 'dates' => $dates );
+				}
+
+				$params = array(
+					'slots_url'           => get_rest_url( null, 'wc/store/showroom/slots' ),
+					'branches'            => $branches,
+					'i18n_one_place_left' => __( '1 place left', 'woocommerce' ),
+					/* translators: %d: number of places left in the time slot */
+					'i18n_places_left'    => __( '%d places left', 'woocommerce' ),
+					'i18n_full'           => __( 'Full', 'woocommerce' ),
+				);
+				break;
 			case 'wc-cart':
 				$params = array(
 					'ajax_url'                     => WC()->ajax_url(),
@@ -575,6 +657,48 @@ class WC_Frontend_Scripts {
 					'i18n_unavailable_text'            => esc_attr__( 'Sorry, this product is unavailable. Please choose a different combination.', 'woocommerce' ),
 				);
 				break;
+			case 'wc-credit-simulator':
+				$params = array(
+					'partners'           => array_values( WC_Credit_Simulator::get_partners() ),
+					'tenors'             => WC_Credit_Simulator::get_tenors(),
+					'rounding'           => floatval( get_option( 'woocommerce_credit_simulator_rounding', 1000 ) ),
+					'currency_format'    => array(
+						'symbol'    => html_entity_decode( get_woocommerce_currency_symbol() ),
+						'decimals'  => wc_get_price_decimals(),
+						'decimal'   => wc_get_price_decimal_separator(),
+						'thousand'  => wc_get_price_thousand_separator(),
+						'format'    => get_woocommerce_price_format(),
+					),
+					/* translators: %d: number of months */
+					'i18n_months'        => esc_attr__( '%d months', 'woocommerce' ),
+					'i18n_cash'          => esc_attr__( 'Pay in cash', 'woocommerce' ),
+					'i18n_not_available' => esc_attr__( 'Not available with this down payment', 'woocommerce' ),
+				);
+				break;
+			case 'wc-product-compare':
+				$params = array(
+					'wc_ajax_url'  => WC_AJAX::get_endpoint( '%%endpoint%%' ),
+					'storage_key'  => 'wc_product_compare',
+					'max_items'    => WC_Product_Compare::get_max_items(),
+					/* translators: %d: maximum number of products */
+					'i18n_max'     => esc_attr( sprintf( __( 'You can compare up to %d products, remove one first.', 'woocommerce' ), WC_Product_Compare::get_max_items() ) ),
+					/* translators: %d: number of products */
+					'i18n_count'   => esc_attr__( '%d products selected', 'woocommerce' ),
+					'i18n_remove'  => esc_attr__( 'Remove', 'woocommerce' ),
+					'i18n_product' => esc_attr__( 'Product', 'woocommerce' ),
+					'i18n_error'   => esc_attr__( 'The comparison could not be loaded, please try again.', 'woocommerce' ),
+				);
+				break;
+			case 'wc-cookie-consent':
+				$params = array(
+					'cookie_name'      => WC_Cookie_Consent::COOKIE,
+					'expiry_days'      => WC_Cookie_Consent::get_expiry_days(),
+					'categories'       => array_keys( WC_Cookie_Consent::get_categories() ),
+					'elementor_assets' => array(
+						'share-link' => 'marketing',
+					),
+				);
+				break;
 			case 'wc-country-select':
 				$params = array(
 					'countries'                 => wp_json_encode( array_merge( WC()->countries->get_allowed_country_states(), WC()->countries->get_shipping_country_states() ) ),
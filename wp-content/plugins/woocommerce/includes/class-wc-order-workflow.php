@@ -0,0 +1,498 @@
+<?php
+/**
+ * Order workflow: custom order statuses, allowed status transitions and the order timeline.
+ *
+ * Custom statuses are registered next to the core ones. A status can restrict which statuses orders may move to
+ * from it; statuses without a rule allow any change. The rules apply to the changes made by shop managers, from
+ * the order screen, the orders list and the order board. Payments and other automatic changes are not restricted.
+ * No custom status is registered until the shop adds some, or creates the vehicle sales statuses from the tools.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Order_Workflow class.
+ */
+class WC_Order_Workflow {
+
+	/**
+	 * Option holding the custom statuses.
+	 */
+	const STATUSES_OPTION = 'woocommerce_order_workflow_statuses';
+
+	/**
+	 * Option holding the allowed transitions, keyed by status.
+	 */
+	const TRANSITIONS_OPTION = 'woocommerce_order_workflow_transitions';
+
+	/**
+	 * Order meta key holding the status changes.
+	 */
+	const HISTORY_META_KEY = '_status_history';
+
+	/**
+	 * ID of the tool creating the vehicle sales statuses.
+	 */
+	const SETUP_TOOL_ID = 'create_order_workflow_statuses';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_filter( 'woocommerce_register_shop_order_post_statuses', array( __CLASS__, 'register_post_statuses' ) );
+		add_filter( 'wc_order_statuses', array( __CLASS__, 'add_order_statuses' ) );
+		add_filter( 'woocommerce_order_is_paid_statuses', array( __CLASS__, 'add_paid_statuses' ) );
+		add_filter( 'bulk_actions-edit-shop_order', array( __CLASS__, 'add_bulk_actions' ), 20 );
+		add_filter( 'woocommerce_debug_tools', array( __CLASS__, 'add_setup_tool' ) );
+		add_action( 'woocommerce_before_order_object_save', array( __CLASS__, 'record_status_change' ) );
+	}
+
+	/**
+	 * Statuses of the vehicle sales lifecycle, created by the setup tool.
+	 *
+	 * @return array[]
+	 */
+	public static function get_default_statuses() {
+		return array(
+			array(
+				'slug'  => 'booking',
+				'label' => __( 'Booking', 'woocommerce' ),
+				'paid'  => false,
+			),
+			array(
+				'slug'  => 'payment-verified',
+				'label' => __( 'Payment verified', 'woocommerce' ),
+				'paid'  => true,
+			),
+			array(
+				'slug'  => 'registration',
+				'label' => __( 'STNK/BPKB registration', 'woocommerce' ),
+				'paid'  => true,
+			),
+			array(
+				'slug'  => 'ready-delivery',
+				'label' => __( 'Ready for delivery', 'woocommerce' ),
+				'paid'  => true,
+			),
+			array(
+				'slug'  => 'delivered',
+				'label' => __( 'Delivered', 'woocommerce' ),
+				'paid'  => true,
+			),
+		);
+	}
+
+	/**
+	 * Transitions of the vehicle sales lifecycle, created by the setup tool.
+	 *
+	 * @return array
+	 */
+	public static function get_default_transitions() {
+		return array(
+			'booking'          => array( 'payment-verified', 'cancelled' ),
+			'payment-verified' => array( 'registration', 'cancelled', 'refunded' ),
+			'registration'     => array( 'ready-delivery' ),
+			'ready-delivery'   => array( 'delivered' ),
+			'delivered'        => array( 'completed', 'refunded' ),
+		);
+	}
+
+	/**
+	 * Get the custom statuses.
+	 *
+	 * @return array[] Statuses with their label and whether orders in them are paid, keyed by slug without the wc- prefix.
+	 */
+	public static function get_custom_statuses() {
+		$statuses = array();
+
+		foreach ( (array) get_option( self::STATUSES_OPTION, array() ) as $status ) {
+			if ( empty( $status['slug'] ) || empty( $status['label'] ) ) {
+				continue;
+			}
+
+			$statuses[ $status['slug'] ] = array(
+				'label' => $status['label'],
+				'paid'  => ! empty( $status['paid'] ),
+			);
+		}
+
+		return apply_filters( 'woocommerce_order_workflow_statuses', $statuses );
+	}
+
+	/**
+	 * Get the allowed transitions.
+	 *
+	 * @return array Next statuses keyed by status, all without the wc- prefix.
+	 */
+	public static function get_transitions() {
+		$transitions = array_filter( (array) get_option( self::TRANSITIONS_OPTION, array() ) );
+
+		return apply_filters( 'woocommerce_order_workflow_transitions', array_map( 'array_values', $transitions ) );
+	}
+
+	/**
+	 * Add the tool creating the vehicle sales statuses to the status tools.
+	 *
+	 * @param array $tools Status tools.
+	 * @return array
+	 */
+	public static function add_setup_tool( $tools ) {
+		$tools[ self::SETUP_TOOL_ID ] = array(
+			'name'     => __( 'Create vehicle sales statuses', 'woocommerce' ),
+			'button'   => __( 'Create statuses', 'woocommerce' ),
+			'desc'     => __( 'This tool will add the Booking, Payment verified, STNK/BPKB registration, Ready for delivery and Delivered order statuses, with their transitions. Existing statuses and transitions are kept.', 'woocommerce' ),
+			'callback' => array( __CLASS__, 'create_default_statuses' ),
+		);
+
+		return $tools;
+	}
+
+	/**
+	 * Add the vehicle sales statuses and their transitions to the workflow. Statuses with the same slug and
+	 * statuses which already have transitions are left as they are.
+	 *
+	 * @return string Message shown once the tool ran.
+	 */
+	public static function create_default_statuses() {
+		$statuses    = array_values( (array) get_option( self::STATUSES_OPTION, array() ) );
+		$transitions = (array) get_option( self::TRANSITIONS_OPTION, array() );
+		$slugs       = wp_list_pluck( $statuses, 'slug' );
+		$added       = 0;
+
+		foreach ( self::get_default_statuses() as $status ) {
+			if ( ! in_array( $status['slug'], $slugs, true ) ) {
+				$statuses[] = $status;
+				$added++;
+			}
+		}
+
+		update_option( self::STATUSES_OPTION, $statuses );
+		update_option( self::TRANSITIONS_OPTION, $transitions + self::get_default_transitions() );
+
+		/* translators: %d: number of statuses */
+		return sprintf( _n( '%d order status was added.', '%d order statuses were added.', $added, 'woocommerce' ), $added );
+	}
+
+	/**
+	 * Register the custom statuses as post statuses.
+	 *
+	 * @param array $order_statuses Post statuses of orders.
+	 * @return array
+	 */
+	public static function register_post_statuses( $order_statuses ) {
+		foreach ( self::get_custom_statuses() as $slug => $status ) {
+			$label_count = $status['label'] . ' <span class="count">(%s)</span>';
+
+			$order_statuses[ 'wc-' . $slug ] = array(
+				'label'                     => $status['label'],
+				'public'                    => false,
+				'exclude_from_search'       => false,
+				'show_in_admin_all_list'    => true,
+				'show_in_admin_status_list' => true,
+				'label_count'               => array(
+					0          => $label_count,
+					1          => $label_count,
+					'singular' => $label_count,
+					'plural'   => $label_count,
+					'context'  => null,
+					'domain'   => null,
+				),
+			);
+		}
+
+		return $order_statuses;
+	}
+
+	/**
+	 * Add the custom statuses to the order statuses, before the completed status.
+	 *
+	 * @param array $order_statuses Order statuses.
+	 * @return array
+	 */
+	public static function add_order_statuses( $order_statuses ) {
+		$custom_statuses = array();
+
+		foreach ( self::get_custom_statuses() as $slug => $status ) {
+			$custom_statuses[ 'wc-' . $slug ] = $status['label'];
+		}
+
+		$position = array_search( 'wc-completed', array_keys( $order_statuses ), true );
+
+		if ( false === $position ) {
+			return array_merge( $order_statuses, $custom_statuses );
+		}
+
+		return array_slice( $order_statuses, 0, $position, true ) + $custom_statuses + array_slice( $order_statuses, $position, null, true );
+	}
+
+	/**
+	 * Count orders in the paid custom statuses as paid.
+	 *
+	 * @param string[] $statuses Paid statuses.
+	 * @return string[]
+	 */
+	public static function add_paid_statuses( $statuses ) {
+		foreach ( self::get_custom_statuses() as $slug => $status ) {
+			if ( $status['paid'] ) {
+				$statuses[] = $slug;
+			}
+		}
+
+		return array_unique( $statuses );
+	}
+
+	/**
+	 * Let orders be moved to the custom statuses in bulk.
+	 *
+	 * @param array $actions Bulk actions.
+	 * @return array
+	 */
+	public static function add_bulk_actions( $actions ) {
+		foreach ( self::get_custom_statuses() as $slug => $status ) {
+			/* translators: %s: order status */
+			$actions[ 'mark_' . $slug ] = sprintf( __( 'Change status to %s', 'woocommerce' ), strtolower( $status['label'] ) );
+		}
+
+		return $actions;
+	}
+
+	/**
+	 * Get the statuses an order can be moved to from its current status.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return string[] Statuses without the wc- prefix, the current status excluded.
+	 */
+	public static function get_next_statuses( $order ) {
+		$current     = $order->get_status( 'edit' );
+		$statuses    = array_diff( array_map( array( __CLASS__, 'remove_status_prefix' ), array_keys( wc_get_order_statuses() ) ), array( $current ) );
+		$transitions = self::get_transitions();
+
+		if ( wc_is_order_status( 'wc-' . $current ) && ! empty( $transitions[ $current ] ) ) {
+			$statuses = array_intersect( $statuses, $transitions[ $current ] );
+		}
+
+		return array_values( $statuses );
+	}
+
+	/**
+	 * Get the order statuses to choose from when editing an order: its current status and the ones it can move to.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array Status labels keyed by status with the wc- prefix.
+	 */
+	public static function get_selectable_statuses( $order ) {
+		$allowed   = self::get_next_statuses( $order );
+		$allowed[] = $order->get_status( 'edit' );
+
+		return array_intersect_key(
+			wc_get_order_statuses(),
+			array_flip(
+				array_map(
+					function( $status ) {
+						return 'wc-' . $status;
+					},
+					$allowed
+				)
+			)
+		);
+	}
+
+	/**
+	 * Remove the wc- prefix from a status.
+	 *
+	 * @param string $status Status, with or without the wc- prefix.
+	 * @return string
+	 */
+	public static function remove_status_prefix( $status ) {
+		return 'wc-' === substr( $status, 0, 3 ) ? substr( $status, 3 ) : $status;
+	}
+
+	/**
+	 * Check whether an order can be moved to a status by a shop manager.
+	 *
+	 * @param WC_Order $order      Order object.
+	 * @param string   $new_status New status, with or without the wc- prefix.
+	 * @return true|WP_Error
+	 */
+	public static function validate_transition( $order, $new_status ) {
+		$old_status = $order->get_status( 'edit' );
+		$new_status = self::remove_status_prefix( $new_status );
+		$result     = true;
+
+		if ( $old_status === $new_status ) {
+			return true;
+		}
+
+		if ( ! wc_is_order_status( 'wc-' . $new_status ) ) {
+			$result = new WP_Error( 'woocommerce_order_invalid_status', __( 'Invalid order status.', 'woocommerce' ) );
+		} elseif ( wc_is_order_status( 'wc-' . $old_status ) && ! in_array( $new_status, self::get_next_statuses( $order ), true ) ) {
+			$result = new WP_Error(
+				'woocommerce_order_invalid_transition',
+				sprintf(
+					/* translators: 1: order number 2: current status 3: new status */
+					__( 'Order #%1$s cannot go from %2$s to %3$s.', 'woocommerce' ),
+					$order->get_order_number(),
+					wc_get_order_status_name( $old_status ),
+					wc_get_order_status_name( $new_status )
+				)
+			);
+		}
+
+		return apply_filters( 'woocommerce_order_workflow_validate_transition', $result, $order, $old_status, $new_status );
+	}
+
+	/**
+	 * Move an order to a status on behalf of a shop manager.
+	 *
+	 * @throws Exception When the order cannot be moved to the status.
+	 * @param WC_Order $order      Order object.
+	 * @param string   $new_status New status, with or without the wc- prefix.
+	 * @param string   $note       Optional note to add.
+	 */
+	public static function transition( $order, $new_status, $note = '' ) {
+		$valid = self::validate_transition( $order, $new_status );
+
+		if ( is_wp_error( $valid ) ) {
+			throw new Exception( $valid->get_error_message() );
+		}
+
+		$new_status = self::remove_status_prefix( $new_status );
+
+		// Initialize payment gateways in case order has hooked status transition actions.
+		WC()->payment_gateways();
+
+		$order->update_status( $new_status, $note, true );
+		do_action( 'woocommerce_order_edit_status', $order->get_id(), $new_status );
+	}
+
+	/**
+	 * Record the status change of an order about to be saved, for the timeline. The change is saved with the order,
+	 * and only when the order changes status, like the woocommerce_order_status_changed action.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function record_status_change( $order ) {
+		$changes = $order->get_changes();
+
+		if ( ! isset( $changes['status'] ) ) {
+			return;
+		}
+
+		$data = $order->get_data();
+
+		if ( empty( $data['status'] ) || $data['status'] === $changes['status'] ) {
+			return;
+		}
+
+		$history   = self::get_status_history( $order );
+		$history[] = array(
+			'from' => $data['status'],
+			'to'   => $changes['status'],
+			'date' => time(),
+			'user' => get_current_user_id(),
+		);
+
+		$order->update_meta_data( self::HISTORY_META_KEY, $history );
+	}
+
+	/**
+	 * Get the status changes of an order, oldest first.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array[] Changes with the previous and new status, timestamp and ID of the user.
+	 */
+	public static function get_status_history( $order ) {
+		$history = $order->get_meta( self::HISTORY_META_KEY );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Get the events of an order for its timeline: creation, status changes, notes, payments and refunds.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array[] Events with a type, timestamp, title, content (HTML) and author, newest first.
+	 */
+	public static function get_timeline( $order ) {
+		$events = array();
+
+		if ( $order->get_date_created() ) {
+			$events[] = array(
+				'type'    => 'created',
+				'date'    => $order->get_date_created()->getTimestamp(),
+				'title'   => __( 'Order placed', 'woocommerce' ),
+				/* translators: %s: how the order was created, e.g. checkout */
+				'content' => $order->get_created_via() ? esc_html( sprintf( __( 'Created via %s.', 'woocommerce' ), $order->get_created_via() ) ) : '',
+				'author'  => '',
+			);
+		}
+
+		foreach ( self::get_status_history( $order ) as $change ) {
+			$user     = $change['user'] ? get_user_by( 'id', $change['user'] ) : false;
+			$events[] = array(
+				'type'    => 'status',
+				'date'    => $change['date'],
+				/* translators: %s: order status */
+				'title'   => sprintf( __( 'Moved to %s', 'woocommerce' ), wc_get_order_status_name( $change['to'] ) ),
+				/* translators: %s: order status */
+				'content' => $change['from'] ? esc_html( sprintf( __( 'Was %s.', 'woocommerce' ), wc_get_order_status_name( $change['from'] ) ) ) : '',
+				'author'  => $user ? $user->display_name : '',
+			);
+		}
+
+		foreach ( wc_get_order_notes( array( 'order_id' => $order->get_id() ) ) as $note ) {
+			$events[] = array(
+				'type'    => $note->customer_note ? 'customer-note' : 'note',
+				'date'    => $note->date_created->getTimestamp(),
+				'title'   => $note->customer_note ? __( 'Note to customer', 'woocommerce' ) : __( 'Note', 'woocommerce' ),
+				'content' => wpautop( wptexturize( wp_kses_post( $note->content ) ) ),
+				'author'  => 'system' === $note->added_by ? '' : $note->added_by,
+			);
+		}
+
+		if ( $order->get_date_paid() ) {
+			$events[] = array(
+				'type'    => 'payment',
+				'date'    => $order->get_date_paid()->getTimestamp(),
+				'title'   => __( 'Payment received', 'woocommerce' ),
+				/* translators: %s: payment method */
+				'content' => $order->get_payment_method_title() ? esc_html( sprintf( __( 'Paid via %s.', 'woocommerce' ), $order->get_payment_method_title() ) ) : '',
+				'author'  => '',
+			);
+		}
+
+		foreach ( WC_Deposits::get_order_payments( $order ) as $payment ) {
+			$user     = $payment['user_id'] ? get_user_by( 'id', $payment['user_id'] ) : false;
+			$events[] = array(
+				'type'    => 'payment',
+				'date'    => $payment['date'],
+				/* translators: %s: amount paid */
+				'title'   => sprintf( __( 'Balance payment of %s', 'woocommerce' ), wp_strip_all_tags( wc_price( $payment['amount'], array( 'currency' => $order->get_currency() ) ) ) ),
+				'content' => implode( ' &ndash; ', array_map( 'esc_html', array_filter( array( $payment['method'], $payment['note'] ) ) ) ),
+				'author'  => $user ? $user->display_name : '',
+			);
+		}
+
+		foreach ( $order->get_refunds() as $refund ) {
+			$user     = $refund->get_refunded_by() ? get_user_by( 'id', $refund->get_refunded_by() ) : false;
+			$events[] = array(
+				'type'    => 'refund',
+				'date'    => $refund->get_date_created() ? $refund->get_date_created()->getTimestamp() : 0,
+				/* translators: %s: amount refunded */
+				'title'   => sprintf( __( 'Refund of %s', 'woocommerce' ), wp_strip_all_tags( wc_price( $refund->get_amount(), array( 'currency' => $order->get_currency() ) ) ) ),
+				'content' => esc_html( $refund->get_reason() ),
+				'author'  => $user ? $user->display_name : '',
+			);
+		}
+
+		// Newest first; of the events recorded in the same second, the last one added comes first.
+		$positions = array_keys( $events );
+		array_multisort( array_column( $events, 'date' ), SORT_DESC, SORT_NUMERIC, $positions, SORT_DESC, $events );
+
+		return apply_filters( 'woocommerce_order_timeline', $events, $order );
+	}
+}
+
+WC_Order_Workflow::init();
@@ -0,0 +1,282 @@
+<?php
+/**
+ * Product comparison.
+ *
+ * Shoppers tick products (or variations of a variable product) from product grids and the single product page.
+ * The selection lives in the browser session storage, see assets/js/frontend/product-compare.js, and the
+ * comparison table is built from the same variation data the add to cart variation form uses.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Product_Compare class.
+ */
+class WC_Product_Compare {
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_after_shop_loop_item', array( __CLASS__, 'output_loop_toggle' ), 15 );
+		add_action( 'woocommerce_after_add_to_cart_button', array( __CLASS__, 'output_single_toggle' ) );
+		add_action( 'wp_footer', array( __CLASS__, 'output_bar' ) );
+	}
+
+	/**
+	 * Is product comparison enabled.
+	 *
+	 * @return bool
+	 */
+	public static function is_enabled() {
+		return (bool) apply_filters( 'woocommerce_product_compare_enabled', true );
+	}
+
+	/**
+	 * Maximum number of products that can be compared at once.
+	 *
+	 * @return int
+	 */
+	public static function get_max_items() {
+		return max( 2, absint( apply_filters( 'woocommerce_product_compare_max_items', 4 ) ) );
+	}
+
+	/**
+	 * Get a product that can be compared.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return WC_Product|false
+	 */
+	protected static function get_product( $product_id ) {
+		$product = wc_get_product( $product_id );
+
+		if ( ! $product ) {
+			return false;
+		}
+
+		$parent = $product->is_type( 'variation' ) ? wc_get_product( $product->get_parent_id() ) : $product;
+
+		if ( ! $parent || 'publish' !== $parent->get_status() || ! $parent->is_visible() ) {
+			return false;
+		}
+
+		if ( $product->is_type( 'variation' ) && ( ! $product->exists() || ! $product->variation_is_visible() ) ) {
+			return false;
+		}
+
+		return $product;
+	}
+
+	/**
+	 * Get the comparable data of a product.
+	 *
+	 * Variations use WC_Product_Variable::get_available_variation(), which is what the variation form finds matches in.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @return array
+	 */
+	protected static function get_item( $product ) {
+		$parent = $product->is_type( 'variation' ) ? wc_get_product( $product->get_parent_id() ) : $product;
+		$data   = $product->is_type( 'variation' ) ? $parent->get_available_variation( $product ) : array();
+
+		$item = array(
+			'id'        => $product->get_id(),
+			'parent_id' => $parent->get_id(),
+			'name'      => $product->get_name(),
+			'permalink' => $product->get_permalink(),
+			'image'     => $product->get_image( 'woocommerce_thumbnail' ),
+			'values'    => array(
+				'price'      => ! empty( $data['price_html'] ) ? $data['price_html'] : $product->get_price_html(),
+				'stock'      => ! empty( $data['availability_html'] ) ? $data['availability_html'] : self::get_stock_html( $product ),
+				'dimensions' => $product->has_dimensions() ? wc_format_dimensions( $product->get_dimensions( false ) ) : '',
+				'weight'     => $product->has_weight() ? wc_format_weight( $product->get_weight() ) : '',
+				'sku'        => esc_html( $product->get_sku() ),
+			),
+		);
+
+		foreach ( $parent->get_attributes() as $attribute ) {
+			if ( ! $attribute->get_visible() && ! $attribute->get_variation() ) {
+				continue;
+			}
+
+			$key = 'attribute_' . sanitize_title( $attribute->get_name() );
+
+			// A variation with "any" for the attribute shows all options of the parent.
+			if ( ! empty( $data['attributes'][ $key ] ) ) {
+				$value = $data['attributes'][ $key ];
+				$term  = $attribute->is_taxonomy() ? get_term_by( 'slug', $value, $attribute->get_name() ) : false;
+				$names = array( $term ? $term->name : $value );
+			} else {
+				$names = $attribute->is_taxonomy() ? wc_get_product_terms( $parent->get_id(), $attribute->get_name(), array( 'fields' => 'names' ) ) : $attribute->get_options();
+			}
+
+			$item['values'][ $key ] = esc_html( implode( ', ', $names ) );
+		}
+
+		return apply_filters( 'woocommerce_product_compare_item', $item, $product );
+	}
+
+	/**
+	 * Stock text for products that do not show the stock quantity.
+	 *
+	 * @param WC_Product $product Product.
+	 * @return string
+	 */
+	protected static function get_stock_html( $product ) {
+		$html = wc_get_stock_html( $product );
+
+		if ( ! $html ) {
+			$html = '<p class="stock ' . ( $product->is_in_stock() ? 'in-stock' : 'out-of-stock' ) . '">' . ( $product->is_in_stock() ? esc_html__( 'In stock', 'woocommerce' ) : esc_html__( 'Out of stock', 'woocommerce' ) ) . '</p>';
+		}
+
+		return $html;
+	}
+
+	/**
+	 * Get the comparison of a list of products.
+	 *
+	 * @param int[] $product_ids Product or variation IDs.
+	 * @return array Items and the rows to show, rows only include attributes at least one product has.
+	 */
+	public static function get_comparison( $product_ids ) {
+		$items = array();
+
+		foreach ( array_slice( array_unique( array_filter( array_map( 'absint', $product_ids ) ) ), 0, self::get_max_items() ) as $product_id ) {
+			$product = self::get_product( $product_id );
+
+			if ( $product ) {
+				$items[] = self::get_item( $product );
+			}
+		}
+
+		$rows = array(
+			'price'      => __( 'Price', 'woocommerce' ),
+			'stock'      => __( 'Availability', 'woocommerce' ),
+			'dimensions' => __( 'Dimensions', 'woocommerce' ),
+			'weight'     => __( 'Weight', 'woocommerce' ),
+			'sku'        => __( 'SKU', 'woocommerce' ),
+		);
+
+		foreach ( $items as $item ) {
+			$product = wc_get_product( $item['parent_id'] );
+
+			foreach ( $product->get_attributes() as $attribute ) {
+				$key = 'attribute_' . sanitize_title( $attribute->get_name() );
+
+				if ( isset( $item['values'][ $key ] ) && ! isset( $rows[ $key ] ) ) {
+					$rows[ $key ] = wc_attribute_label( $attribute->get_name(), $product );
+				}
+			}
+		}
+
+		$rows = apply_filters( 'woocommerce_product_compare_rows', $rows, $items );
+
+		// Drop rows that are empty for every product, e.g. weight when no product has one.
+		foreach ( array_keys( $rows ) as $key ) {
+			if ( ! array_filter( wp_list_pluck( wp_list_pluck( $items, 'values' ), $key ) ) ) {
+				unset( $rows[ $key ] );
+			}
+		}
+
+		$result = array(
+			'items' => $items,
+			'rows'  => array(),
+		);
+
+		foreach ( $rows as $key => $label ) {
+			$result['rows'][] = array(
+				'key'   => $key,
+				'label' => $label,
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Output the compare checkbox.
+	 *
+	 * @param WC_Product $product Product.
+	 */
+	public static function output_toggle( $product ) {
+		if ( ! $product || ! self::is_enabled() ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wc-product-compare' );
+		?>
+		<label class="wc-product-compare-toggle">
+			<input type="checkbox" class="wc-product-compare-toggle__input" value="<?php echo esc_attr( $product->get_id() ); ?>" data-product_id="<?php echo esc_attr( $product->get_id() ); ?>" />
+			<span><?php esc_html_e( 'Compare', 'woocommerce' ); ?></span>
+		</label>
+		<?php
+	}
+
+	/**
+	 * Output the compare checkbox in product loops.
+	 */
+	public static function output_loop_toggle() {
+		global $product;
+
+		self::output_toggle( $product );
+	}
+
+	/**
+	 * Output the compare checkbox next to the add to cart button. For variable products it follows the chosen variation.
+	 */
+	public static function output_single_toggle() {
+		global $product;
+
+		if ( is_product() && $product && $product->get_id() === get_queried_object_id() ) {
+			self::output_toggle( $product );
+		}
+	}
+
+	/**
+	 * Output a comparison table. Rendered in the browser from the session selection.
+	 */
+	public static function output_table() {
+		if ( ! self::is_enabled() ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wc-product-compare' );
+		?>
+		<div class="woocommerce wc-product-compare">
+			<p class="wc-product-compare__empty">
+				<?php
+				/* translators: %d: maximum number of products */
+				echo esc_html( sprintf( __( 'Tick "Compare" on up to %d products to compare them here.', 'woocommerce' ), self::get_max_items() ) );
+				?>
+			</p>
+			<div class="wc-product-compare__table-wrapper"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Output the floating bar showing the selection.
+	 */
+	public static function output_bar() {
+		if ( ! self::is_enabled() || ! wp_script_is( 'wc-product-compare' ) ) {
+			return;
+		}
+		?>
+		<div class="wc-product-compare-bar" hidden>
+			<span class="wc-product-compare-bar__count"></span>
+			<button type="button" class="button wc-product-compare-bar__open"><?php esc_html_e( 'Compare', 'woocommerce' ); ?></button>
+			<button type="button" class="button-link wc-product-compare-bar__clear"><?php esc_html_e( 'Clear', 'woocommerce' ); ?></button>
+		</div>
+		<div class="wc-product-compare-modal" role="dialog" aria-modal="true" aria-label="<?php esc_attr_e( 'Compare products', 'woocommerce' ); ?>" hidden>
+			<div class="wc-product-compare-modal__content">
+				<button type="button" class="wc-product-compare-modal__close" aria-label="<?php esc_attr_e( 'Close', 'woocommerce' ); ?>">&times;</button>
+				<?php self::output_table(); ?>
+			</div>
+		</div>
+		<?php
+	}
+}
+
+WC_Product_Compare::init();
@@ -0,0 +1,300 @@
+<?php
+/**
+ * Refund wizard: works out refunds of whole lines, quantities, percentages or add-ons of an order.
+ *
+ * The amounts and taxes of a refund are derived from what is left to refund on each line, so they always match the
+ * order and a line can never be refunded twice. The result feeds `wc_create_refund()`.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Refund_Wizard class.
+ */
+class WC_Refund_Wizard {
+
+	/**
+	 * Get the refund modes.
+	 *
+	 * @return array
+	 */
+	public static function get_modes() {
+		return array(
+			'full'       => __( 'Refund the selected lines in full', 'woocommerce' ),
+			'partial'    => __( 'Refund part of the quantity', 'woocommerce' ),
+			'percentage' => __( 'Refund a percentage of the selected lines', 'woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get what is left to refund on each line of an order.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array[] Lines keyed by item ID, with the type, name, quantity, total, taxes keyed by rate ID and priced add-ons.
+	 */
+	public static function get_refundable_lines( $order ) {
+		$lines = array();
+
+		foreach ( $order->get_items( array( 'line_item', 'fee', 'shipping' ) ) as $item_id => $item ) {
+			$type  = $item->get_type();
+			$taxes = array();
+
+			foreach ( $item->get_taxes()['total'] as $rate_id => $tax ) {
+				$taxes[ $rate_id ] = (float) $tax - abs( (float) $order->get_tax_refunded_for_item( $item_id, $rate_id, $type ) );
+			}
+
+			$line = array(
+				'id'     => $item_id,
+				'type'   => $type,
+				'name'   => $item->get_name(),
+				'qty'    => 'line_item' === $type ? $item->get_quantity() + $order->get_qty_refunded_for_item( $item_id ) : 0,
+				'total'  => (float) $item->get_total() - abs( (float) $order->get_total_refunded_for_item( $item_id, $type ) ),
+				'taxes'  => $taxes,
+				'addons' => array(),
+			);
+
+			if ( 'line_item' === $type ) {
+				/**
+				 * Priced add-ons of an order item which can be refunded on their own.
+				 *
+				 * @param array[]               $addons Add-ons with a key, label and price per unit, as charged to the customer.
+				 * @param WC_Order_Item_Product $item   Order item.
+				 */
+				$line['addons'] = array_values( (array) apply_filters( 'woocommerce_refund_wizard_item_addons', array(), $item ) );
+			}
+
+			if ( 0 < $line['total'] || 0 < array_sum( $line['taxes'] ) || 0 < $line['qty'] ) {
+				$lines[ $item_id ] = $line;
+			}
+		}
+
+		return $lines;
+	}
+
+	/**
+	 * Get the lines shown in the wizard, with formatted amounts.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array[]
+	 */
+	public static function get_wizard_lines( $order ) {
+		$currency = array( 'currency' => $order->get_currency() );
+		$lines    = array();
+
+		foreach ( self::get_refundable_lines( $order ) as $line ) {
+			$addons = array();
+
+			foreach ( $line['addons'] as $addon ) {
+				$addons[] = array(
+					'key'   => (string) $addon['key'],
+					'label' => $addon['label'],
+					'price' => wc_price( $addon['price'], $currency ),
+				);
+			}
+
+			$lines[] = array(
+				'id'        => $line['id'],
+				'type'      => $line['type'],
+				'name'      => $line['name'],
+				'qty'       => $line['qty'],
+				'remaining' => wc_price( $line['total'] + array_sum( $line['taxes'] ), $currency ),
+				'addons'    => $addons,
+			);
+		}
+
+		return $lines;
+	}
+
+	/**
+	 * Work out a refund.
+	 *
+	 * @throws Exception When nothing can be refunded with the choices made.
+	 * @param WC_Order $order   Order object.
+	 * @param array    $request {
+	 *     Choices made in the wizard.
+	 *
+	 *     @type string $mode       Refund mode, see get_modes().
+	 *     @type float  $percentage Percentage to refund in the percentage mode.
+	 *     @type array  $items      Quantities to refund keyed by the IDs of the selected lines. Only used in the partial mode.
+	 *     @type array  $addons     Keys of the add-ons to refund keyed by item ID, for lines which are not selected.
+	 *     @type bool   $restock    Whether to put refunded products back in stock.
+	 * }
+	 * @return array Line items for wc_create_refund(), the preview lines, taxes, totals and the stock to be restored.
+	 */
+	public static function calculate( $order, $request ) {
+		$request = wp_parse_args(
+			$request,
+			array(
+				'mode'       => 'full',
+				'percentage' => 100,
+				'items'      => array(),
+				'addons'     => array(),
+				'restock'    => false,
+			)
+		);
+
+		if ( ! array_key_exists( $request['mode'], self::get_modes() ) ) {
+			throw new Exception( __( 'Invalid refund mode.', 'woocommerce' ) );
+		}
+
+		$percentage = (float) $request['percentage'];
+
+		if ( 'percentage' === $request['mode'] && ( 0 >= $percentage || 100 < $percentage ) ) {
+			throw new Exception( __( 'Please enter a percentage between 0 and 100.', 'woocommerce' ) );
+		}
+
+		$result = array(
+			'line_items' => array(),
+			'lines'      => array(),
+			'taxes'      => array(),
+			'totals'     => array(
+				'line_item' => 0,
+				'fee'       => 0,
+				'shipping'  => 0,
+				'tax'       => 0,
+			),
+			'amount'     => 0,
+			'restock'    => array(),
+		);
+
+		foreach ( self::get_refundable_lines( $order ) as $item_id => $line ) {
+			$selected = isset( $request['items'][ $item_id ] );
+			$addons   = isset( $request['addons'][ $item_id ] ) ? array_map( 'strval', (array) $request['addons'][ $item_id ] ) : array();
+			$qty      = 0;
+			$name     = $line['name'];
+
+			if ( $selected ) {
+				if ( 'partial' === $request['mode'] && 'line_item' === $line['type'] ) {
+					$qty = min( absint( $request['items'][ $item_id ] ), $line['qty'] );
+
+					if ( ! $qty ) {
+						continue;
+					}
+
+					$share = $qty / $line['qty'];
+				} else {
+					$qty   = 'percentage' === $request['mode'] ? 0 : $line['qty'];
+					$share = 'percentage' === $request['mode'] ? $percentage / 100 : 1;
+				}
+			} elseif ( $addons ) {
+				$share = self::get_addons_share( $order, $line, $addons );
+				$name  = sprintf(
+					/* translators: 1: item name 2: add-on names */
+					__( '%1$s (add-ons: %2$s)', 'woocommerce' ),
+					$line['name'],
+					implode( ', ', array_intersect_key( wp_list_pluck( $line['addons'], 'label', 'key' ), array_flip( $addons ) ) )
+				);
+
+				if ( 'percentage' === $request['mode'] ) {
+					$share *= $percentage / 100;
+				}
+			} else {
+				continue;
+			}
+
+			$total = round( $line['total'] * $share, wc_get_price_decimals() );
+			$taxes = array();
+
+			foreach ( $line['taxes'] as $rate_id => $tax ) {
+				$taxes[ $rate_id ] = round( $tax * $share, wc_get_price_decimals() );
+			}
+
+			if ( ! $qty && ! $total && ! array_sum( $taxes ) ) {
+				continue;
+			}
+
+			$result['line_items'][ $item_id ] = array(
+				'qty'          => $qty,
+				'refund_total' => wc_format_decimal( $total ),
+				'refund_tax'   => array_filter( array_map( 'wc_format_decimal', $taxes ) ),
+			);
+
+			$result['lines'][] = array(
+				'id'    => $item_id,
+				'type'  => $line['type'],
+				'name'  => $name,
+				'qty'   => $qty,
+				'total' => $total,
+				'tax'   => array_sum( $taxes ),
+			);
+
+			$result['totals'][ $line['type'] ] += $total;
+			$result['totals']['tax']           += array_sum( $taxes );
+
+			foreach ( $taxes as $rate_id => $tax ) {
+				$result['taxes'][ $rate_id ] = ( isset( $result['taxes'][ $rate_id ] ) ? $result['taxes'][ $rate_id ] : 0 ) + $tax;
+			}
+
+			if ( $request['restock'] && $qty ) {
+				$restock = self::get_restock_preview( $order->get_item( $item_id ), $qty );
+
+				if ( $restock ) {
+					$result['restock'][] = $restock;
+				}
+			}
+		}
+
+		if ( ! $result['line_items'] ) {
+			throw new Exception( __( 'Please choose what to refund.', 'woocommerce' ) );
+		}
+
+		$result['amount'] = round( array_sum( $result['totals'] ), wc_get_price_decimals() );
+
+		if ( $result['amount'] > $order->get_remaining_refund_amount() ) {
+			throw new Exception( __( 'The refund is more than the amount left to refund on this order.', 'woocommerce' ) );
+		}
+
+		return apply_filters( 'woocommerce_refund_wizard_calculation', $result, $order, $request );
+	}
+
+	/**
+	 * Get the share of a line made up by some of its add-ons, in the way prices are entered in the store.
+	 *
+	 * @param WC_Order $order  Order object.
+	 * @param array    $line   Refundable line.
+	 * @param string[] $addons Keys of the add-ons.
+	 * @return float Between 0 and 1.
+	 */
+	protected static function get_addons_share( $order, $line, $addons ) {
+		$addons_total = 0;
+
+		foreach ( $line['addons'] as $addon ) {
+			if ( in_array( (string) $addon['key'], $addons, true ) ) {
+				$addons_total += (float) $addon['price'] * $line['qty'];
+			}
+		}
+
+		$line_total = $line['total'] + ( $order->get_prices_include_tax() ? array_sum( $line['taxes'] ) : 0 );
+
+		if ( 0 >= $line_total ) {
+			return 0;
+		}
+
+		return min( 1, $addons_total / $line_total );
+	}
+
+	/**
+	 * Get the stock change a refund will make to the product of an order item, the same way wc_restock_refunded_items() does.
+	 *
+	 * @param WC_Order_Item_Product $item Order item.
+	 * @param int                   $qty  Quantity refunded.
+	 * @return array|false Product name, SKU, quantity and stock before and after, or false when the stock does not change.
+	 */
+	protected static function get_restock_preview( $item, $qty ) {
+		$product = $item ? $item->get_product() : false;
+
+		if ( ! $product || ! $product->managing_stock() || ! $item->get_meta( '_reduced_stock', true ) ) {
+			return false;
+		}
+
+		return array(
+			'product_id' => $product->get_id(),
+			'name'       => $product->get_formatted_name(),
+			'qty'        => $qty,
+			'before'     => $product->get_stock_quantity(),
+			'after'      => $product->get_stock_quantity() + $qty,
+		);
+	}
+}
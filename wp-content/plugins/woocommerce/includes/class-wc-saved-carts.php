@@ -0,0 +1,420 @@
+<?php
+/**
+ * Saved carts (quotes).
+ *
+ * Sales staff can save the current cart, including add-on selections and coupons, as a named quote. Each quote has
+ * an expiring link which restores it into the cart of whoever opens it. Orders placed from a restored quote are
+ * linked to it so the admin list shows which quotes converted.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Saved_Carts class.
+ */
+class WC_Saved_Carts {
+
+	/**
+	 * Post type of saved carts.
+	 */
+	const POST_TYPE = 'shop_saved_cart';
+
+	/**
+	 * Session key holding the saved cart restored into the cart.
+	 */
+	const SESSION_KEY = 'saved_cart_id';
+
+	/**
+	 * Query arg of the links restoring a saved cart.
+	 */
+	const QUERY_ARG = 'saved-cart';
+
+	/**
+	 * Query arg confirming a quote link may replace the items already in the cart.
+	 */
+	const REPLACE_ARG = 'replace-cart';
+
+	/**
+	 * Cart item keys which are calculated and not saved with the cart.
+	 *
+	 * @var string[]
+	 */
+	protected static $calculated_item_keys = array( 'key', 'product_id', 'variation_id', 'variation', 'quantity', 'data', 'data_hash', 'line_tax_data', 'line_subtotal', 'line_subtotal_tax', 'line_total', 'line_tax' );
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_after_register_post_type', array( __CLASS__, 'register_post_type' ) );
+		add_action( 'woocommerce_checkout_create_order', array( __CLASS__, 'link_order' ) );
+		add_action( '__experimental_woocommerce_blocks_checkout_order_processed', array( __CLASS__, 'blocks_checkout_order_processed' ) );
+		add_action( 'woocommerce_cart_emptied', array( __CLASS__, 'forget_restored_cart' ) );
+		add_action( 'wp_loaded', array( __CLASS__, 'restore_from_link' ), 20 );
+	}
+
+	/**
+	 * Register the saved cart post type.
+	 */
+	public static function register_post_type() {
+		register_post_type(
+			self::POST_TYPE,
+			apply_filters(
+				'woocommerce_register_post_type_shop_saved_cart',
+				array(
+					'labels'              => array(
+						'name'                  => __( 'Saved carts', 'woocommerce' ),
+						'singular_name'         => __( 'Saved cart', 'woocommerce' ),
+						'menu_name'             => _x( 'Quotes', 'Admin menu name', 'woocommerce' ),
+						'edit'                  => __( 'Edit', 'woocommerce' ),
+						'edit_item'             => __( 'Edit saved cart', 'woocommerce' ),
+						'search_items'          => __( 'Search saved carts', 'woocommerce' ),
+						'not_found'             => __( 'No saved carts found', 'woocommerce' ),
+						'not_found_in_trash'    => __( 'No saved carts found in trash', 'woocommerce' ),
+						'filter_items_list'     => __( 'Filter saved carts', 'woocommerce' ),
+						'items_list_navigation' => __( 'Saved carts navigation', 'woocommerce' ),
+						'items_list'            => __( 'Saved carts list', 'woocommerce' ),
+					),
+					'description'         => __( 'Carts saved as quotes from the cart page.', 'woocommerce' ),
+					'public'              => false,
+					'show_ui'             => true,
+					'capability_type'     => 'shop_order',
+					'capabilities'        => array(
+						'create_posts' => 'do_not_allow',
+					),
+					'map_meta_cap'        => true,
+					'publicly_queryable'  => false,
+					'exclude_from_search' => true,
+					'show_in_menu'        => current_user_can( 'edit_others_shop_orders' ) ? 'woocommerce' : true,
+					'hierarchical'        => false,
+					'rewrite'             => false,
+					'query_var'           => false,
+					'supports'            => array( 'title' ),
+					'show_in_nav_menus'   => false,
+					'show_in_admin_bar'   => false,
+				)
+			)
+		);
+	}
+
+	/**
+	 * Whether the current user can save carts.
+	 *
+	 * @return bool
+	 */
+	public static function user_can_save() {
+		return (bool) apply_filters( 'woocommerce_saved_carts_user_can_save', current_user_can( 'edit_shop_orders' ) );
+	}
+
+	/**
+	 * Number of days a saved cart link works for, unless another duration is chosen when saving.
+	 *
+	 * @return int
+	 */
+	public static function get_default_expiry_days() {
+		return absint( apply_filters( 'woocommerce_saved_carts_default_expiry_days', 14 ) );
+	}
+
+	/**
+	 * Save the contents of a cart.
+	 *
+	 * @throws Exception When the cart is empty or the saved cart cannot be created.
+	 * @param WC_Cart $cart        Cart to save.
+	 * @param string  $name        Name of the saved cart.
+	 * @param int     $expiry_days Number of days the link works for.
+	 * @return int Saved cart ID.
+	 */
+	public static function save( $cart, $name, $expiry_days ) {
+		$items = array();
+
+		foreach ( $cart->get_cart() as $cart_item ) {
+			$items[] = array(
+				'product_id'     => $cart_item['product_id'],
+				'variation_id'   => $cart_item['variation_id'],
+				'variation'      => $cart_item['variation'],
+				'quantity'       => $cart_item['quantity'],
+				'cart_item_data' => apply_filters( 'woocommerce_saved_cart_item_data', array_diff_key( $cart_item, array_flip( self::$calculated_item_keys ) ), $cart_item ),
+			);
+		}
+
+		if ( empty( $items ) ) {
+			throw new Exception( __( 'There is nothing in the cart to save.', 'woocommerce' ) );
+		}
+
+		$saved_cart_id = wp_insert_post(
+			array(
+				'post_type'   => self::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => $name,
+				'post_author' => get_current_user_id(),
+			),
+			true
+		);
+
+		if ( is_wp_error( $saved_cart_id ) ) {
+			throw new Exception( $saved_cart_id->get_error_message() );
+		}
+
+		update_post_meta( $saved_cart_id, '_token', wp_generate_password( 32, false ) );
+		update_post_meta( $saved_cart_id, '_expires', time() + max( 1, absint( $expiry_days ) ) * DAY_IN_SECONDS );
+		update_post_meta( $saved_cart_id, '_items', $items );
+		update_post_meta( $saved_cart_id, '_coupons', $cart->get_applied_coupons() );
+		update_post_meta( $saved_cart_id, '_total', wc_format_decimal( $cart->get_total( 'edit' ) ) );
+		update_post_meta( $saved_cart_id, '_currency', get_woocommerce_currency() );
+		update_post_meta( $saved_cart_id, '_restore_count', 0 );
+
+		do_action( 'woocommerce_saved_cart_created', $saved_cart_id, $cart );
+
+		return $saved_cart_id;
+	}
+
+	/**
+	 * Find a saved cart by the token of its link.
+	 *
+	 * @param string $token Token.
+	 * @return int Saved cart ID, 0 if not found.
+	 */
+	public static function get_by_token( $token ) {
+		if ( ! is_string( $token ) || '' === $token ) {
+			return 0;
+		}
+
+		$ids = get_posts(
+			array(
+				'post_type'      => self::POST_TYPE,
+				'post_status'    => 'publish',
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+				'meta_key'       => '_token', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'meta_value'     => $token, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+			)
+		);
+
+		return $ids ? (int) $ids[0] : 0;
+	}
+
+	/**
+	 * Get the link restoring a saved cart.
+	 *
+	 * @param int $saved_cart_id Saved cart ID.
+	 * @return string
+	 */
+	public static function get_url( $saved_cart_id ) {
+		return add_query_arg( self::QUERY_ARG, get_post_meta( $saved_cart_id, '_token', true ), wc_get_cart_url() );
+	}
+
+	/**
+	 * Get when the link of a saved cart expires.
+	 *
+	 * @param int $saved_cart_id Saved cart ID.
+	 * @return WC_DateTime|null
+	 */
+	public static function get_date_expires( $saved_cart_id ) {
+		$expires = (int) get_post_meta( $saved_cart_id, '_expires', true );
+
+		return $expires ? new WC_DateTime( "@{$expires}", new DateTimeZone( 'UTC' ) ) : null;
+	}
+
+	/**
+	 * Whether the link of a saved cart has expired.
+	 *
+	 * @param int $saved_cart_id Saved cart ID.
+	 * @return bool
+	 */
+	public static function is_expired( $saved_cart_id ) {
+		return (int) get_post_meta( $saved_cart_id, '_expires', true ) < time();
+	}
+
+	/**
+	 * Get the order placed from a saved cart.
+	 *
+	 * @param int $saved_cart_id Saved cart ID.
+	 * @return WC_Order|false
+	 */
+	public static function get_order( $saved_cart_id ) {
+		$order_id = (int) get_post_meta( $saved_cart_id, '_order_id', true );
+
+		return $order_id ? wc_get_order( $order_id ) : false;
+	}
+
+	/**
+	 * Get the status of a saved cart.
+	 *
+	 * @param int $saved_cart_id Saved cart ID.
+	 * @return string One of converted, ordered, expired or open.
+	 */
+	public static function get_status( $saved_cart_id ) {
+		$order = self::get_order( $saved_cart_id );
+
+		if ( $order ) {
+			return $order->is_paid() || $order->has_status( 'completed' ) ? 'converted' : 'ordered';
+		}
+
+		return self::is_expired( $saved_cart_id ) ? 'expired' : 'open';
+	}
+
+	/**
+	 * Get the labels of the saved cart statuses.
+	 *
+	 * @return array
+	 */
+	public static function get_statuses() {
+		return array(
+			'open'      => __( 'Open', 'woocommerce' ),
+			'expired'   => __( 'Expired', 'woocommerce' ),
+			'ordered'   => __( 'Ordered, awaiting payment', 'woocommerce' ),
+			'converted' => __( 'Converted', 'woocommerce' ),
+		);
+	}
+
+	/**
+	 * Replace the contents of the cart with a saved cart.
+	 *
+	 * Items which can no longer be bought, for example because they are out of stock, and coupons which are no longer
+	 * valid are skipped.
+	 *
+	 * @param int     $saved_cart_id Saved cart ID.
+	 * @param WC_Cart $cart          Cart to restore into.
+	 * @return string[] Messages about the items and coupons which were skipped.
+	 */
+	public static function restore( $saved_cart_id, $cart ) {
+		$notice_counts = array_map( 'count', wc_get_notices() );
+
+		$cart->empty_cart();
+
+		foreach ( (array) get_post_meta( $saved_cart_id, '_items', true ) as $item ) {
+			$cart->add_to_cart( $item['product_id'], $item['quantity'], $item['variation_id'], $item['variation'], $item['cart_item_data'] );
+		}
+
+		foreach ( (array) get_post_meta( $saved_cart_id, '_coupons', true ) as $coupon_code ) {
+			$cart->apply_coupon( $coupon_code );
+		}
+
+		// Messages are returned instead, success notices would otherwise show up on the next page. Notices added
+		// before the restore are kept.
+		$notices = wc_get_notices();
+		$errors  = array();
+
+		foreach ( $notices as $notice_type => $type_notices ) {
+			$count = isset( $notice_counts[ $notice_type ] ) ? $notice_counts[ $notice_type ] : 0;
+
+			if ( 'error' === $notice_type ) {
+				$errors = array_map( 'wp_strip_all_tags', wp_list_pluck( array_slice( $type_notices, $count ), 'notice' ) );
+			}
+
+			$notices[ $notice_type ] = array_slice( $type_notices, 0, $count );
+		}
+
+		wc_set_notices( array_filter( $notices ) );
+
+		if ( WC()->session ) {
+			WC()->session->set( self::SESSION_KEY, $saved_cart_id );
+		}
+
+		update_post_meta( $saved_cart_id, '_restore_count', (int) get_post_meta( $saved_cart_id, '_restore_count', true ) + 1 );
+
+		do_action( 'woocommerce_saved_cart_restored', $saved_cart_id, $cart );
+
+		return $errors;
+	}
+
+	/**
+	 * Restore the saved cart of a quote link when the link is opened, then redirect to the cart without the token.
+	 *
+	 * When the cart already has items, the visitor is asked to confirm before they are replaced.
+	 */
+	public static function restore_from_link() {
+		if ( empty( $_GET[ self::QUERY_ARG ] ) || ! WC()->cart ) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+			return;
+		}
+
+		wc_nocache_headers();
+
+		$saved_cart_id = self::get_by_token( wc_clean( wp_unslash( $_GET[ self::QUERY_ARG ] ) ) ); // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+		if ( ! $saved_cart_id ) {
+			wc_add_notice( __( 'This quote link is not valid.', 'woocommerce' ), 'error' );
+		} elseif ( self::is_expired( $saved_cart_id ) ) {
+			wc_add_notice( __( 'This quote link has expired. Please ask us for a new one.', 'woocommerce' ), 'error' );
+		} elseif ( ! WC()->cart->is_empty() && ! self::is_replace_confirmed() ) {
+			wc_add_notice(
+				sprintf(
+					'%s <a href="%s" class="button wc-forward">%s</a>',
+					esc_html__( 'Your cart already has items in it. Opening this quote will replace them.', 'woocommerce' ),
+					esc_url( wp_nonce_url( add_query_arg( self::REPLACE_ARG, 1 ), 'replace-cart' ) ),
+					esc_html__( 'Replace my cart', 'woocommerce' )
+				),
+				'notice'
+			);
+		} else {
+			$errors = self::restore( $saved_cart_id, WC()->cart );
+
+			foreach ( $errors as $error ) {
+				wc_add_notice( $error, 'error' );
+			}
+
+			wc_add_notice( __( 'The quote has been added to your cart.', 'woocommerce' ) );
+		}
+
+		wp_safe_redirect( remove_query_arg( array( self::QUERY_ARG, self::REPLACE_ARG, '_wpnonce' ) ) );
+		exit;
+	}
+
+	/**
+	 * Whether the visitor confirmed that a quote link may replace the items in their cart.
+	 *
+	 * @return bool
+	 */
+	protected static function is_replace_confirmed() {
+		return ! empty( $_GET[ self::REPLACE_ARG ] ) && isset( $_GET['_wpnonce'] ) && wp_verify_nonce( wp_unslash( $_GET['_wpnonce'] ), 'replace-cart' ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+	}
+
+	/**
+	 * Stop linking the cart to a saved cart once it is emptied.
+	 */
+	public static function forget_restored_cart() {
+		if ( WC()->session ) {
+			WC()->session->set( self::SESSION_KEY, null );
+		}
+	}
+
+	/**
+	 * Link a new order to the saved cart it was placed from.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function link_order( $order ) {
+		$saved_cart_id = WC()->session ? absint( WC()->session->get( self::SESSION_KEY ) ) : 0;
+
+		if ( ! $saved_cart_id || self::POST_TYPE !== get_post_type( $saved_cart_id ) ) {
+			return;
+		}
+
+		$order->update_meta_data( '_saved_cart_id', $saved_cart_id );
+
+		if ( $order->get_id() ) {
+			update_post_meta( $saved_cart_id, '_order_id', $order->get_id() );
+		} else {
+			// Orders placed with the shortcode checkout get their ID once saved.
+			add_action(
+				'woocommerce_checkout_update_order_meta',
+				function( $order_id ) use ( $saved_cart_id ) {
+					update_post_meta( $saved_cart_id, '_order_id', $order_id );
+				}
+			);
+		}
+	}
+
+	/**
+	 * Link orders placed with the checkout block.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function blocks_checkout_order_processed( $order ) {
+		self::link_order( $order );
+		$order->save();
+	}
+}
+
+WC_Saved_Carts::init();
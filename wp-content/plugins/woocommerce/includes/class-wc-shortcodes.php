@@ -33,6 +33,7 @@ class WC_Shortcodes {
 			'product_attribute'          => __CLASS__ . '::product_attribute',
 			'related_products'           => __CLASS__ . '::related_products',
 			'shop_messages'              => __CLASS__ . '::shop_messages',
+			'product_compare'            => __CLASS__ . '::product_compare',
 			'woocommerce_order_tracking' => __CLASS__ . '::order_tracking',
 			'woocommerce_cart'           => __CLASS__ . '::cart',
 			'woocommerce_checkout'       => __CLASS__ . '::checkout',
@@ -628,6 +629,17 @@ class WC_Shortcodes {
 		return '<div class="woocommerce">' . wc_print_notices( true ) . '</div>';
 	}
 
+	/**
+	 * Show the comparison table of the products the customer ticked.
+	 *
+	 * @return string
+	 */
+	public static function product_compare() {
+		ob_start();
+		WC_Product_Compare::output_table();
+		return ob_get_clean();
+	}
+
 	/**
 	 * Order by rating.
 	 *
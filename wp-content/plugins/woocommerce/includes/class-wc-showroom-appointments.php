@@ -0,0 +1,589 @@
+<?php
+/**
+ * Showroom pickup and test ride appointments.
+ *
+ * Customers choose a dealer branch and a time slot at checkout. Each branch has opening days, opening hours and a
+ * capacity per slot, configured under WooCommerce > Settings > Showroom appointments. The chosen slot is saved to the
+ * order and listed on the daily showroom calendar.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Showroom_Appointments class.
+ */
+class WC_Showroom_Appointments {
+
+	/**
+	 * Format of the slot start saved to the order, in the site timezone.
+	 */
+	const SLOT_FORMAT = 'Y-m-d H:i';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_filter( 'woocommerce_get_order_item_totals', array( __CLASS__, 'order_item_totals' ), 20, 2 );
+		add_action( 'woocommerce_admin_order_data_after_shipping_address', array( __CLASS__, 'admin_order_appointment' ) );
+		add_action( 'woocommerce_checkout_after_customer_details', array( __CLASS__, 'checkout_fields' ) );
+		add_action( 'woocommerce_after_checkout_validation', array( __CLASS__, 'validate_checkout' ), 10, 2 );
+		add_action( 'woocommerce_checkout_create_order', array( __CLASS__, 'save_checkout_appointment' ) );
+		add_action( 'woocommerce_cart_emptied', array( __CLASS__, 'clear_session_appointment' ) );
+	}
+
+	/**
+	 * Whether customers choose a branch and slot at checkout.
+	 *
+	 * @return bool
+	 */
+	public static function is_enabled() {
+		return 'yes' === get_option( 'woocommerce_showroom_appointments_enabled', 'no' ) && count( self::get_branches() ) > 0;
+	}
+
+	/**
+	 * Whether an appointment is required to place an order.
+	 *
+	 * @return bool
+	 */
+	public static function is_required() {
+		return 'yes' === get_option( 'woocommerce_showroom_appointments_required', 'yes' );
+	}
+
+	/**
+	 * Appointment types the customer can choose from.
+	 *
+	 * @return array
+	 */
+	public static function get_types() {
+		return apply_filters(
+			'woocommerce_showroom_appointment_types',
+			array(
+				'pickup'    => __( 'Motorcycle pickup', 'woocommerce' ),
+				'test_ride' => __( 'Test ride', 'woocommerce' ),
+			)
+		);
+	}
+
+	/**
+	 * Length of a slot in minutes.
+	 *
+	 * @return int
+	 */
+	public static function get_slot_length() {
+		return max( 15, absint( get_option( 'woocommerce_showroom_slot_length', 60 ) ) );
+	}
+
+	/**
+	 * Number of days ahead customers can book, today included.
+	 *
+	 * @return int
+	 */
+	public static function get_days_ahead() {
+		return max( 1, absint( get_option( 'woocommerce_showroom_days_ahead', 14 ) ) );
+	}
+
+	/**
+	 * Dealer branches, keyed by branch id.
+	 *
+	 * Each branch has a name, an address, opening days (ISO-8601 weekday numbers), opening hours and a capacity per slot.
+	 *
+	 * @return array
+	 */
+	public static function get_branches() {
+		$branches = array();
+		foreach ( (array) get_option( 'woocommerce_showroom_branches', array() ) as $branch ) {
+			if ( empty( $branch['name'] ) || empty( $branch['days'] ) ) {
+				continue;
+			}
+			$id              = sanitize_title( $branch['name'] );
+			$branches[ $id ] = array(
+				'id'       => $id,
+				'name'     => $branch['name'],
+				'address'  => isset( $branch['address'] ) ? $branch['address'] : '',
+				'days'     => array_map( 'absint', (array) $branch['days'] ),
+				'opens'    => isset( $branch['opens'] ) ? $branch['opens'] : '08:00',
+				'closes'   => isset( $branch['closes'] ) ? $branch['closes'] : '16:00',
+				'capacity' => isset( $branch['capacity'] ) ? max( 1, absint( $branch['capacity'] ) ) : 1,
+			);
+		}
+		return apply_filters( 'woocommerce_showroom_branches', $branches );
+	}
+
+	/**
+	 * Get a branch by id.
+	 *
+	 * @param string $branch_id Branch id.
+	 * @return array|null
+	 */
+	public static function get_branch( $branch_id ) {
+		$branches = self::get_branches();
+		return isset( $branches[ $branch_id ] ) ? $branches[ $branch_id ] : null;
+	}
+
+	/**
+	 * Dates the branch is open within the booking window.
+	 *
+	 * @param string $branch_id Branch id.
+	 * @return string[] Dates in Y-m-d format.
+	 */
+	public static function get_dates( $branch_id ) {
+		$branch = self::get_branch( $branch_id );
+		$dates  = array();
+
+		if ( ! $branch ) {
+			return $dates;
+		}
+
+		$day = current_datetime()->setTime( 0, 0 );
+
+		for ( $i = 0; $i < self::get_days_ahead(); $i++ ) {
+			if ( in_array( (int) $day->format( 'N' ), $branch['days'], true ) ) {
+				$dates[] = $day->format( 'Y-m-d' );
+			}
+			$day = $day->modify( '+1 day' );
+		}
+
+		return $dates;
+	}
+
+	/**
+	 * Start times of the slots of a branch on a date, from opening to closing time.
+	 *
+	 * @param string $branch_id Branch id.
+	 * @param string $date      Date in Y-m-d format.
+	 * @return DateTimeImmutable[] Start times keyed by slot (start in SLOT_FORMAT).
+	 */
+	public static function get_slot_starts( $branch_id, $date ) {
+		$branch = self::get_branch( $branch_id );
+		$starts = array();
+
+		if ( ! $branch ) {
+			return $starts;
+		}
+
+		$timezone = wp_timezone();
+		$start    = date_create_immutable( $date . ' ' . $branch['opens'], $timezone );
+		$close    = date_create_immutable( $date . ' ' . $branch['closes'], $timezone );
+		$length   = self::get_slot_length();
+
+		if ( ! $start || ! $close || ! in_array( (int) $start->format( 'N' ), $branch['days'], true ) ) {
+			return $starts;
+		}
+
+		while ( $start->modify( '+' . $length . ' minutes' ) <= $close ) {
+			$starts[ $start->format( self::SLOT_FORMAT ) ] = $start;
+			$start = $start->modify( '+' . $length . ' minutes' );
+		}
+
+		return $starts;
+	}
+
+	/**
+	 * Time slots of a branch on a date within the booking window, with the number of places left.
+	 *
+	 * @param string $branch_id        Branch id.
+	 * @param string $date             Date in Y-m-d format.
+	 * @param int    $exclude_order_id Order whose appointment should not count against the capacity.
+	 * @return array[] Slots with slot (start in SLOT_FORMAT), time, label, remaining and available.
+	 */
+	public static function get_slots( $branch_id, $date, $exclude_order_id = 0 ) {
+		$branch = self::get_branch( $branch_id );
+		$slots  = array();
+
+		if ( ! $branch || ! in_array( $date, self::get_dates( $branch_id ), true ) ) {
+			return $slots;
+		}
+
+		$booked = self::get_booked_counts( $branch_id, $date, $exclude_order_id );
+		$now    = current_datetime();
+
+		foreach ( self::get_slot_starts( $branch_id, $date ) as $slot => $start ) {
+			$remaining = max( 0, $branch['capacity'] - ( isset( $booked[ $slot ] ) ? $booked[ $slot ] : 0 ) );
+			$slots[]   = array(
+				'slot'      => $slot,
+				'time'      => $start->format( 'H:i' ),
+				'label'     => wp_date( get_option( 'time_format' ), $start->getTimestamp() ),
+				'remaining' => $remaining,
+				'available' => $remaining > 0 && $start > $now,
+			);
+		}
+
+		return apply_filters( 'woocommerce_showroom_slots', $slots, $branch, $date );
+	}
+
+	/**
+	 * Count the appointments per slot of a branch on a date.
+	 *
+	 * Cancelled, failed and draft orders do not hold a place.
+	 *
+	 * @param string $branch_id        Branch id.
+	 * @param string $date             Date in Y-m-d format.
+	 * @param int    $exclude_order_id Order to leave out.
+	 * @return array Number of appointments keyed by slot.
+	 */
+	protected static function get_booked_counts( $branch_id, $date, $exclude_order_id = 0 ) {
+		$counts = array();
+
+		foreach ( self::get_orders( $date, $branch_id ) as $order ) {
+			if ( $order->get_id() === (int) $exclude_order_id ) {
+				continue;
+			}
+			$slot            = $order->get_meta( '_showroom_slot' );
+			$counts[ $slot ] = isset( $counts[ $slot ] ) ? $counts[ $slot ] + 1 : 1;
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Get the orders with an appointment on a date.
+	 *
+	 * @param string $date      Date in Y-m-d format.
+	 * @param string $branch_id Optional branch id.
+	 * @return WC_Order[]
+	 */
+	public static function get_orders( $date, $branch_id = '' ) {
+		$meta_query = array(
+			array(
+				'key'     => '_showroom_slot',
+				'value'   => $date . ' ',
+				'compare' => 'LIKE',
+			),
+		);
+
+		if ( $branch_id ) {
+			$meta_query[] = array(
+				'key'   => '_showroom_branch',
+				'value' => $branch_id,
+			);
+		}
+
+		return wc_get_orders(
+			array(
+				'limit'      => -1,
+				'type'       => 'shop_order',
+				'status'     => array_diff( array_keys( wc_get_order_statuses() ), array( 'wc-cancelled', 'wc-failed', 'wc-refunded', 'wc-checkout-draft' ) ),
+				'meta_query' => $meta_query, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_query_meta_query
+				'orderby'    => 'ID',
+				'order'      => 'ASC',
+			)
+		);
+	}
+
+	/**
+	 * Check that a slot can be booked.
+	 *
+	 * @param string $branch_id Branch id.
+	 * @param string $slot      Slot start in SLOT_FORMAT.
+	 * @param string $type      Appointment type.
+	 * @param int    $order_id  Order being placed, so a retried checkout does not count against the capacity.
+	 * @return true|WP_Error
+	 */
+	public static function validate_appointment( $branch_id, $slot, $type, $order_id = 0 ) {
+		if ( ! self::get_branch( $branch_id ) ) {
+			return new WP_Error( 'woocommerce_showroom_invalid_branch', __( 'Please choose a branch.', 'woocommerce' ) );
+		}
+
+		if ( ! array_key_exists( $type, self::get_types() ) ) {
+			return new WP_Error( 'woocommerce_showroom_invalid_type', __( 'Please choose whether you are coming to pick up your motorcycle or for a test ride.', 'woocommerce' ) );
+		}
+
+		$date = substr( (string) $slot, 0, 10 );
+
+		foreach ( self::get_slots( $branch_id, $date, $order_id ) as $candidate ) {
+			if ( $candidate['slot'] === $slot ) {
+				return $candidate['available'] ? true : new WP_Error( 'woocommerce_showroom_slot_full', __( 'Sorry, this time slot is no longer available. Please choose another one.', 'woocommerce' ) );
+			}
+		}
+
+		return new WP_Error( 'woocommerce_showroom_invalid_slot', __( 'Please choose a time slot.', 'woocommerce' ) );
+	}
+
+	/**
+	 * Get the appointment chosen in the checkout block, kept in the session until the order is placed.
+	 *
+	 * @return array Appointment with branch, slot and type, empty when none was chosen.
+	 */
+	public static function get_session_appointment() {
+		$appointment = WC()->session ? WC()->session->get( 'showroom_appointment' ) : null;
+
+		return wp_parse_args(
+			is_array( $appointment ) ? $appointment : array(),
+			array(
+				'branch' => '',
+				'slot'   => '',
+				'type'   => '',
+			)
+		);
+	}
+
+	/**
+	 * Keep the appointment chosen in the checkout block in the session.
+	 *
+	 * @param string $branch_id Branch id.
+	 * @param string $slot      Slot start in SLOT_FORMAT.
+	 * @param string $type      Appointment type.
+	 */
+	public static function set_session_appointment( $branch_id, $slot, $type ) {
+		WC()->session->set(
+			'showroom_appointment',
+			array(
+				'branch' => $branch_id,
+				'slot'   => $slot,
+				'type'   => $type,
+			)
+		);
+	}
+
+	/**
+	 * Forget the appointment kept in the session, once the order is placed and the cart emptied.
+	 */
+	public static function clear_session_appointment() {
+		if ( WC()->session ) {
+			WC()->session->set( 'showroom_appointment', null );
+		}
+	}
+
+	/**
+	 * Get the appointment fields of the classic checkout.
+	 *
+	 * The date and time options depend on the chosen branch and are filled in by showroom-appointment.js.
+	 *
+	 * @return array
+	 */
+	public static function get_checkout_fields() {
+		$required = self::is_required();
+		$types    = self::get_types();
+		$branches = array( '' => __( 'Choose a branch&hellip;', 'woocommerce' ) );
+
+		foreach ( self::get_branches() as $branch ) {
+			$branches[ $branch['id'] ] = $branch['name'];
+		}
+
+		$fields = array(
+			'showroom_appointment_type' => array(
+				'type'     => 'radio',
+				'label'    => __( 'Appointment', 'woocommerce' ),
+				'options'  => $types,
+				'default'  => key( $types ),
+				'required' => true,
+			),
+			'showroom_branch'           => array(
+				'type'     => 'select',
+				'label'    => __( 'Branch', 'woocommerce' ),
+				'options'  => $branches,
+				'required' => $required,
+			),
+			'showroom_date'             => array(
+				'type'     => 'select',
+				'label'    => __( 'Date', 'woocommerce' ),
+				'options'  => array( '' => __( 'Choose a date&hellip;', 'woocommerce' ) ),
+				'required' => $required,
+			),
+			'showroom_slot'             => array(
+				'type'     => 'select',
+				'label'    => __( 'Time', 'woocommerce' ),
+				'options'  => array( '' => __( 'Choose a time&hellip;', 'woocommerce' ) ),
+				'required' => $required,
+			),
+		);
+
+		// A single type needs no choice.
+		if ( count( $types ) < 2 ) {
+			$fields['showroom_appointment_type']['type']  = 'hidden';
+			$fields['showroom_appointment_type']['label'] = '';
+		}
+
+		return apply_filters( 'woocommerce_showroom_checkout_fields', $fields );
+	}
+
+	/**
+	 * Output the appointment fields on the classic checkout.
+	 *
+	 * @param WC_Checkout $checkout Checkout object.
+	 */
+	public static function checkout_fields( $checkout = null ) {
+		if ( ! self::is_enabled() ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wc-showroom-appointment' );
+
+		wc_get_template(
+			'checkout/showroom-appointment.php',
+			array(
+				'checkout' => $checkout ? $checkout : WC()->checkout(),
+				'fields'   => self::get_checkout_fields(),
+				'required' => self::is_required(),
+			)
+		);
+	}
+
+	/**
+	 * Get the appointment posted by the classic checkout.
+	 *
+	 * @return array Appointment with branch, slot and type.
+	 */
+	protected static function get_posted_appointment() {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- The checkout nonce is checked by WC_Checkout.
+		return array(
+			'branch' => isset( $_POST['showroom_branch'] ) ? sanitize_title( wp_unslash( $_POST['showroom_branch'] ) ) : '',
+			'slot'   => isset( $_POST['showroom_slot'] ) ? wc_clean( wp_unslash( $_POST['showroom_slot'] ) ) : '',
+			'type'   => isset( $_POST['showroom_appointment_type'] ) ? wc_clean( wp_unslash( $_POST['showroom_appointment_type'] ) ) : '',
+		);
+		// phpcs:enable
+	}
+
+	/**
+	 * Check the appointment posted by the classic checkout.
+	 *
+	 * @param array    $data   Posted checkout data.
+	 * @param WP_Error $errors Validation errors.
+	 */
+	public static function validate_checkout( $data, $errors ) {
+		if ( ! self::is_enabled() ) {
+			return;
+		}
+
+		$appointment = self::get_posted_appointment();
+
+		if ( ! $appointment['branch'] && ! $appointment['slot'] ) {
+			if ( self::is_required() ) {
+				$errors->add( 'showroom_appointment', __( 'Please choose a branch and a time for your showroom appointment.', 'woocommerce' ) );
+			}
+			return;
+		}
+
+		$valid = self::validate_appointment( $appointment['branch'], $appointment['slot'], $appointment['type'], absint( WC()->session->get( 'order_awaiting_payment' ) ) );
+
+		if ( is_wp_error( $valid ) ) {
+			$errors->add( $valid->get_error_code(), $valid->get_error_message() );
+		}
+	}
+
+	/**
+	 * Save the appointment posted by the classic checkout, once validate_checkout() accepted it.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function save_checkout_appointment( $order ) {
+		$appointment = self::get_posted_appointment();
+
+		if ( self::is_enabled() && $appointment['branch'] && $appointment['slot'] ) {
+			self::set_order_appointment( $order, $appointment['branch'], $appointment['slot'], $appointment['type'] );
+		}
+	}
+
+	/**
+	 * Save an appointment to an order.
+	 *
+	 * @param WC_Order $order     Order object.
+	 * @param string   $branch_id Branch id.
+	 * @param string   $slot      Slot start in SLOT_FORMAT.
+	 * @param string   $type      Appointment type.
+	 */
+	public static function set_order_appointment( $order, $branch_id, $slot, $type ) {
+		$order->update_meta_data( '_showroom_branch', $branch_id );
+		$order->update_meta_data( '_showroom_slot', $slot );
+		$order->update_meta_data( '_showroom_appointment_type', $type );
+	}
+
+	/**
+	 * Get the appointment saved to an order.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return array|null Appointment with branch_id, branch (name), address, slot, type and type_label.
+	 */
+	public static function get_order_appointment( $order ) {
+		$branch_id = $order->get_meta( '_showroom_branch' );
+		$slot      = $order->get_meta( '_showroom_slot' );
+
+		if ( ! $branch_id || ! $slot ) {
+			return null;
+		}
+
+		$branch = self::get_branch( $branch_id );
+		$type   = $order->get_meta( '_showroom_appointment_type' );
+		$types  = self::get_types();
+
+		return array(
+			'branch_id'  => $branch_id,
+			'branch'     => $branch ? $branch['name'] : $branch_id,
+			'address'    => $branch ? $branch['address'] : '',
+			'slot'       => $slot,
+			'type'       => $type,
+			'type_label' => isset( $types[ $type ] ) ? $types[ $type ] : $type,
+		);
+	}
+
+	/**
+	 * Format an appointment for display, e.g. "Test ride at Jakarta Selatan on 20 October 2026 10:00".
+	 *
+	 * @param array $appointment Appointment from get_order_appointment().
+	 * @return string
+	 */
+	public static function format_appointment( $appointment ) {
+		$start = date_create_immutable( $appointment['slot'], wp_timezone() );
+
+		return sprintf(
+			/* translators: 1: appointment type 2: branch name 3: date 4: time */
+			__( '%1$s at %2$s on %3$s %4$s', 'woocommerce' ),
+			$appointment['type_label'],
+			$appointment['branch'],
+			$start ? wp_date( get_option( 'date_format' ), $start->getTimestamp() ) : $appointment['slot'],
+			$start ? wp_date( get_option( 'time_format' ), $start->getTimestamp() ) : ''
+		);
+	}
+
+	/**
+	 * Show the appointment on the order received page, in emails and in My Account.
+	 *
+	 * @param array    $total_rows Order total rows.
+	 * @param WC_Order $order      Order object.
+	 * @return array
+	 */
+	public static function order_item_totals( $total_rows, $order ) {
+		$appointment = self::get_order_appointment( $order );
+
+		if ( $appointment ) {
+			$total_rows['showroom_appointment'] = array(
+				'label' => __( 'Showroom appointment:', 'woocommerce' ),
+				'value' => esc_html( self::format_appointment( $appointment ) ) . ( $appointment['address'] ? '<br /><small>' . esc_html( $appointment['address'] ) . '</small>' : '' ),
+			);
+		}
+
+		return $total_rows;
+	}
+
+	/**
+	 * Show the appointment on the edit order screen.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public static function admin_order_appointment( $order ) {
+		$appointment = self::get_order_appointment( $order );
+
+		if ( ! $appointment ) {
+			return;
+		}
+
+		$calendar_url = add_query_arg(
+			array(
+				'page' => 'wc-showroom-calendar',
+				'date' => substr( $appointment['slot'], 0, 10 ),
+			),
+			admin_url( 'admin.php' )
+		);
+		?>
+		<p class="wc-showroom-appointment">
+			<strong><?php esc_html_e( 'Showroom appointment:', 'woocommerce' ); ?></strong><br />
+			<?php echo esc_html( self::format_appointment( $appointment ) ); ?><br />
+			<a href="<?php echo esc_url( $calendar_url ); ?>"><?php esc_html_e( 'View calendar', 'woocommerce' ); ?></a>
+		</p>
+		<?php
+	}
+}
+
+WC_Showroom_Appointments::init();
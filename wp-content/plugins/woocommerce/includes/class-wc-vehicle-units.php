@@ -0,0 +1,593 @@
+<?php
+/**
+ * Vehicle units.
+ *
+ * Each vehicle sold is a unique unit identified by its VIN, engine number and frame number. Units are registered
+ * against a product or variation, forming the inventory pool sales staff pick from when assigning one unit per
+ * quantity to order line items. Every unit keeps a history of what happened to it.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Vehicle_Units class.
+ */
+class WC_Vehicle_Units {
+
+	/**
+	 * Post type of units.
+	 */
+	const POST_TYPE = 'shop_vehicle_unit';
+
+	/**
+	 * Order item meta key of the assigned unit IDs.
+	 */
+	const ITEM_META_KEY = '_vehicle_unit_ids';
+
+	/**
+	 * Hook in methods.
+	 */
+	public static function init() {
+		add_action( 'woocommerce_after_register_post_type', array( __CLASS__, 'register_post_type' ) );
+		add_filter( 'woocommerce_hidden_order_itemmeta', array( __CLASS__, 'hidden_order_itemmeta' ) );
+		add_action( 'woocommerce_saved_order_items', array( __CLASS__, 'save_order_items' ), 10, 2 );
+		add_action( 'woocommerce_before_delete_order_item', array( __CLASS__, 'release_order_item_units' ) );
+		add_action( 'woocommerce_order_status_cancelled', array( __CLASS__, 'release_order_units' ) );
+		add_action( 'woocommerce_after_order_itemmeta', array( __CLASS__, 'output_admin_order_item_units' ), 10, 2 );
+		add_action( 'woocommerce_order_item_meta_end', array( __CLASS__, 'output_order_item_units' ), 10, 4 );
+		add_filter( 'woocommerce_shop_order_search_results', array( __CLASS__, 'search_orders' ), 10, 2 );
+	}
+
+	/**
+	 * Register the unit post type.
+	 */
+	public static function register_post_type() {
+		register_post_type(
+			self::POST_TYPE,
+			apply_filters(
+				'woocommerce_register_post_type_shop_vehicle_unit',
+				array(
+					'labels'              => array(
+						'name'                  => __( 'Vehicle units', 'woocommerce' ),
+						'singular_name'         => __( 'Vehicle unit', 'woocommerce' ),
+						'menu_name'             => _x( 'Units', 'Admin menu name', 'woocommerce' ),
+						'add_new'               => __( 'Register unit', 'woocommerce' ),
+						'add_new_item'          => __( 'Register unit', 'woocommerce' ),
+						'edit'                  => __( 'Edit', 'woocommerce' ),
+						'edit_item'             => __( 'Edit unit', 'woocommerce' ),
+						'new_item'              => __( 'New unit', 'woocommerce' ),
+						'search_items'          => __( 'Search VIN, engine or frame number', 'woocommerce' ),
+						'not_found'             => __( 'No units found', 'woocommerce' ),
+						'not_found_in_trash'    => __( 'No units found in trash', 'woocommerce' ),
+						'filter_items_list'     => __( 'Filter units', 'woocommerce' ),
+						'items_list_navigation' => __( 'Units navigation', 'woocommerce' ),
+						'items_list'            => __( 'Units list', 'woocommerce' ),
+					),
+					'description'         => __( 'Vehicle units registered for sale, identified by their VIN, engine and frame numbers.', 'woocommerce' ),
+					'public'              => false,
+					'show_ui'             => true,
+					'capability_type'     => 'product',
+					'map_meta_cap'        => true,
+					'publicly_queryable'  => false,
+					'exclude_from_search' => true,
+					'show_in_menu'        => current_user_can( 'edit_products' ) ? 'edit.php?post_type=product' : true,
+					'hierarchical'        => false,
+					'rewrite'             => false,
+					'query_var'           => false,
+					'supports'            => array( 'title' ),
+					'show_in_nav_menus'   => false,
+					'show_in_admin_bar'   => false,
+				)
+			)
+		);
+	}
+
+	/**
+	 * Get the labels of the unit numbers.
+	 *
+	 * @return array
+	 */
+	public static function get_number_labels() {
+		return array(
+			'vin'           => __( 'VIN', 'woocommerce' ),
+			'engine_number' => __( 'Engine number', 'woocommerce' ),
+			'frame_number'  => __( 'Frame number', 'woocommerce' ),
+		);
+	}
+
+	/**
+	 * Format a VIN, engine or frame number the way it is stored: uppercase without spaces or dashes.
+	 *
+	 * @param string $number Number to format.
+	 * @return string
+	 */
+	public static function format_number( $number ) {
+		return strtoupper( preg_replace( '/[\s\-]+/', '', wc_clean( $number ) ) );
+	}
+
+	/**
+	 * Whether a VIN is valid: 17 letters and digits, without I, O and Q.
+	 *
+	 * @param string $vin Formatted VIN.
+	 * @return bool
+	 */
+	public static function is_valid_vin( $vin ) {
+		return (bool) apply_filters( 'woocommerce_vehicle_unit_is_valid_vin', 1 === preg_match( '/^[A-HJ-NPR-Z0-9]{17}$/', $vin ), $vin );
+	}
+
+	/**
+	 * Find the unit with a VIN, engine or frame number.
+	 *
+	 * @param string $field      One of vin, engine_number or frame_number.
+	 * @param string $number     Formatted number.
+	 * @param int    $exclude_id Unit ID to leave out, for example the one being edited.
+	 * @return int Unit ID, 0 if not found.
+	 */
+	public static function get_unit_id_by_number( $field, $number, $exclude_id = 0 ) {
+		if ( '' === $number ) {
+			return 0;
+		}
+
+		$ids = get_posts(
+			array(
+				'post_type'      => self::POST_TYPE,
+				'post_status'    => array( 'publish', 'draft', 'pending', 'private' ),
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+				'post__not_in'   => array( absint( $exclude_id ) ),
+				'meta_key'       => '_' . $field, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'meta_value'     => $number, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+			)
+		);
+
+		return $ids ? (int) $ids[0] : 0;
+	}
+
+	/**
+	 * Find the units whose VIN, engine or frame number contains a term.
+	 *
+	 * @param string $term Search term.
+	 * @return int[] Unit IDs.
+	 */
+	public static function search( $term ) {
+		$term = self::format_number( $term );
+
+		if ( '' === $term ) {
+			return array();
+		}
+
+		$meta_query = array( 'relation' => 'OR' );
+
+		foreach ( array_keys( self::get_number_labels() ) as $field ) {
+			$meta_query[] = array(
+				'key'     => '_' . $field,
+				'value'   => $term,
+				'compare' => 'LIKE',
+			);
+		}
+
+		return array_map(
+			'intval',
+			get_posts(
+				array(
+					'post_type'      => self::POST_TYPE,
+					'post_status'    => 'any',
+					'posts_per_page' => -1,
+					'fields'         => 'ids',
+					'meta_query'     => $meta_query, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				)
+			)
+		);
+	}
+
+	/**
+	 * Get the data of a unit.
+	 *
+	 * @param int $unit_id Unit ID.
+	 * @return array|false
+	 */
+	public static function get_unit( $unit_id ) {
+		if ( self::POST_TYPE !== get_post_type( $unit_id ) ) {
+			return false;
+		}
+
+		return array(
+			'id'            => (int) $unit_id,
+			'vin'           => (string) get_post_meta( $unit_id, '_vin', true ),
+			'engine_number' => (string) get_post_meta( $unit_id, '_engine_number', true ),
+			'frame_number'  => (string) get_post_meta( $unit_id, '_frame_number', true ),
+			'product_id'    => (int) get_post_meta( $unit_id, '_product_id', true ),
+			'order_id'      => (int) get_post_meta( $unit_id, '_order_id', true ),
+			'order_item_id' => (int) get_post_meta( $unit_id, '_order_item_id', true ),
+		);
+	}
+
+	/**
+	 * Save the numbers and product of a unit.
+	 *
+	 * @throws Exception When a number is invalid or already used by another unit.
+	 * @param int   $unit_id Unit ID.
+	 * @param array $data    VIN, engine number, frame number and product ID.
+	 */
+	public static function update_unit( $unit_id, $data ) {
+		$labels  = self::get_number_labels();
+		$numbers = array();
+
+		foreach ( array_keys( $labels ) as $field ) {
+			$numbers[ $field ] = isset( $data[ $field ] ) ? self::format_number( $data[ $field ] ) : '';
+		}
+
+		if ( ! self::is_valid_vin( $numbers['vin'] ) ) {
+			/* translators: %s: VIN */
+			throw new Exception( sprintf( __( '%s is not a valid VIN, it must be 17 letters and digits without I, O or Q.', 'woocommerce' ), $numbers['vin'] ) );
+		}
+
+		foreach ( $numbers as $field => $number ) {
+			$other_unit_id = self::get_unit_id_by_number( $field, $number, $unit_id );
+
+			if ( $other_unit_id ) {
+				/* translators: 1: number label 2: number 3: unit ID */
+				throw new Exception( sprintf( __( '%1$s %2$s is already registered to unit #%3$d.', 'woocommerce' ), $labels[ $field ], $number, $other_unit_id ) );
+			}
+		}
+
+		$unit       = self::get_unit( $unit_id );
+		$product_id = isset( $data['product_id'] ) ? absint( $data['product_id'] ) : 0;
+
+		if ( $unit && $unit['order_item_id'] && $unit['product_id'] !== $product_id ) {
+			throw new Exception( __( 'The product of a sold unit cannot be changed.', 'woocommerce' ) );
+		}
+
+		$product = wc_get_product( $product_id );
+
+		if ( ! $product || $product->is_type( 'variable' ) ) {
+			throw new Exception( __( 'Choose the product or variation of the unit.', 'woocommerce' ) );
+		}
+
+		foreach ( $numbers as $field => $number ) {
+			update_post_meta( $unit_id, '_' . $field, $number );
+		}
+
+		update_post_meta( $unit_id, '_product_id', $product_id );
+
+		if ( ! $unit || ! $unit['vin'] ) {
+			/* translators: %s: product name */
+			self::add_history( $unit_id, sprintf( __( 'Registered as %s.', 'woocommerce' ), $product->get_formatted_name() ) );
+		}
+	}
+
+	/**
+	 * Get the units of a product which are not assigned to an order.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return int[] Unit IDs, oldest first.
+	 */
+	public static function get_available_unit_ids( $product_id ) {
+		return array_map(
+			'intval',
+			get_posts(
+				array(
+					'post_type'      => self::POST_TYPE,
+					'post_status'    => 'publish',
+					'posts_per_page' => -1,
+					'fields'         => 'ids',
+					'orderby'        => 'date',
+					'order'          => 'ASC',
+					'meta_query'     => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+						array(
+							'key'   => '_product_id',
+							'value' => absint( $product_id ),
+						),
+						array(
+							'key'     => '_order_item_id',
+							'compare' => 'NOT EXISTS',
+						),
+					),
+				)
+			)
+		);
+	}
+
+	/**
+	 * Get the IDs of the units assigned to an order item.
+	 *
+	 * @param WC_Order_Item $item Order item.
+	 * @return int[]
+	 */
+	public static function get_order_item_unit_ids( $item ) {
+		return array_values( array_filter( array_map( 'absint', (array) $item->get_meta( self::ITEM_META_KEY ) ) ) );
+	}
+
+	/**
+	 * Whether units can be assigned to an order item, because its product has units registered.
+	 *
+	 * @param WC_Order_Item $item Order item.
+	 * @return bool
+	 */
+	public static function order_item_has_units( $item ) {
+		if ( ! $item->is_type( 'line_item' ) ) {
+			return false;
+		}
+
+		return self::get_order_item_unit_ids( $item ) || self::get_available_unit_ids( $item->get_variation_id() ? $item->get_variation_id() : $item->get_product_id() );
+	}
+
+	/**
+	 * Assign units to an order item, one per quantity. Units no longer chosen are released back into the pool.
+	 *
+	 * @throws Exception When a unit cannot be assigned to the item.
+	 * @param WC_Order_Item_Product $item     Order item.
+	 * @param int[]                 $unit_ids Unit IDs.
+	 */
+	public static function assign_units( $item, $unit_ids ) {
+		$unit_ids   = array_values( array_filter( array_map( 'absint', $unit_ids ) ) );
+		$product_id = $item->get_variation_id() ? $item->get_variation_id() : $item->get_product_id();
+
+		if ( count( $unit_ids ) !== count( array_unique( $unit_ids ) ) ) {
+			/* translators: %s: item name */
+			throw new Exception( sprintf( __( 'The same unit was chosen more than once for %s.', 'woocommerce' ), $item->get_name() ) );
+		}
+
+		if ( count( $unit_ids ) > $item->get_quantity() ) {
+			/* translators: 1: item name 2: quantity */
+			throw new Exception( sprintf( __( '%1$s can only have %2$d units assigned, one per quantity.', 'woocommerce' ), $item->get_name(), $item->get_quantity() ) );
+		}
+
+		foreach ( $unit_ids as $unit_id ) {
+			$unit = self::get_unit( $unit_id );
+
+			if ( ! $unit || $unit['product_id'] !== $product_id ) {
+				/* translators: %s: item name */
+				throw new Exception( sprintf( __( 'A unit chosen for %s is not registered to its product.', 'woocommerce' ), $item->get_name() ) );
+			}
+
+			if ( $unit['order_item_id'] && $unit['order_item_id'] !== $item->get_id() ) {
+				/* translators: 1: VIN 2: order ID */
+				throw new Exception( sprintf( __( 'Unit %1$s is already assigned to order #%2$d.', 'woocommerce' ), $unit['vin'], $unit['order_id'] ) );
+			}
+		}
+
+		$current_ids = self::get_order_item_unit_ids( $item );
+
+		foreach ( array_diff( $current_ids, $unit_ids ) as $unit_id ) {
+			/* translators: %d: order ID */
+			self::release_unit( $unit_id, sprintf( __( 'Removed from order #%d.', 'woocommerce' ), $item->get_order_id() ) );
+		}
+
+		foreach ( array_diff( $unit_ids, $current_ids ) as $unit_id ) {
+			update_post_meta( $unit_id, '_order_id', $item->get_order_id() );
+			update_post_meta( $unit_id, '_order_item_id', $item->get_id() );
+			update_post_meta( $unit_id, '_date_sold', time() );
+
+			/* translators: %d: order ID */
+			self::add_history( $unit_id, sprintf( __( 'Assigned to order #%d.', 'woocommerce' ), $item->get_order_id() ) );
+		}
+
+		if ( $unit_ids ) {
+			$item->update_meta_data( self::ITEM_META_KEY, $unit_ids );
+		} else {
+			$item->delete_meta_data( self::ITEM_META_KEY );
+		}
+
+		$item->save_meta_data();
+
+		do_action( 'woocommerce_vehicle_units_assigned', $item, $unit_ids, $current_ids );
+	}
+
+	/**
+	 * Release a unit back into the pool.
+	 *
+	 * @param int    $unit_id Unit ID.
+	 * @param string $note    Why the unit was released, for its history.
+	 */
+	public static function release_unit( $unit_id, $note ) {
+		delete_post_meta( $unit_id, '_order_id' );
+		delete_post_meta( $unit_id, '_order_item_id' );
+		delete_post_meta( $unit_id, '_date_sold' );
+
+		self::add_history( $unit_id, $note );
+	}
+
+	/**
+	 * Add an entry to the history of a unit.
+	 *
+	 * @param int    $unit_id Unit ID.
+	 * @param string $note    What happened.
+	 */
+	public static function add_history( $unit_id, $note ) {
+		$history   = self::get_history( $unit_id );
+		$history[] = array(
+			'date' => time(),
+			'note' => $note,
+			'user' => get_current_user_id(),
+		);
+
+		update_post_meta( $unit_id, '_history', $history );
+	}
+
+	/**
+	 * Get the history of a unit, oldest first.
+	 *
+	 * @param int $unit_id Unit ID.
+	 * @return array[] Entries with the timestamp, note and ID of the user.
+	 */
+	public static function get_history( $unit_id ) {
+		$history = get_post_meta( $unit_id, '_history', true );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Hide the assigned unit IDs from the item meta.
+	 *
+	 * @param string[] $hidden_meta Hidden meta keys.
+	 * @return string[]
+	 */
+	public static function hidden_order_itemmeta( $hidden_meta ) {
+		$hidden_meta[] = self::ITEM_META_KEY;
+
+		return $hidden_meta;
+	}
+
+	/**
+	 * Assign the units chosen on the order screen after the items are saved.
+	 *
+	 * Units of items which cannot be assigned are left unchanged and the reason is shown to the user.
+	 *
+	 * @param int   $order_id Order ID.
+	 * @param array $items    Posted order items.
+	 */
+	public static function save_order_items( $order_id, $items ) {
+		if ( ! isset( $items['order_item_vehicle_units'] ) || ! is_array( $items['order_item_vehicle_units'] ) ) {
+			return;
+		}
+
+		foreach ( $items['order_item_vehicle_units'] as $item_id => $unit_ids ) {
+			$item = WC_Order_Factory::get_order_item( absint( $item_id ) );
+
+			if ( ! $item || ! $item->is_type( 'line_item' ) || (int) $item->get_order_id() !== (int) $order_id ) {
+				continue;
+			}
+
+			try {
+				self::assign_units( $item, (array) $unit_ids );
+			} catch ( Exception $e ) {
+				WC_Admin_Meta_Boxes::add_error( $e->getMessage() );
+			}
+		}
+	}
+
+	/**
+	 * Release the units of an order item which is being deleted.
+	 *
+	 * @param int $item_id Order item ID.
+	 */
+	public static function release_order_item_units( $item_id ) {
+		$item = WC_Order_Factory::get_order_item( $item_id );
+
+		if ( ! $item || ! $item->is_type( 'line_item' ) ) {
+			return;
+		}
+
+		foreach ( self::get_order_item_unit_ids( $item ) as $unit_id ) {
+			/* translators: %d: order ID */
+			self::release_unit( $unit_id, sprintf( __( 'Removed from order #%d.', 'woocommerce' ), $item->get_order_id() ) );
+		}
+	}
+
+	/**
+	 * Release the units of a cancelled order.
+	 *
+	 * @param int $order_id Order ID.
+	 */
+	public static function release_order_units( $order_id ) {
+		$order = wc_get_order( $order_id );
+
+		if ( ! $order ) {
+			return;
+		}
+
+		foreach ( $order->get_items() as $item ) {
+			$unit_ids = self::get_order_item_unit_ids( $item );
+
+			if ( ! $unit_ids ) {
+				continue;
+			}
+
+			foreach ( $unit_ids as $unit_id ) {
+				/* translators: %d: order ID */
+				self::release_unit( $unit_id, sprintf( __( 'Released, order #%d was cancelled.', 'woocommerce' ), $order_id ) );
+			}
+
+			$item->delete_meta_data( self::ITEM_META_KEY );
+			$item->save_meta_data();
+		}
+	}
+
+	/**
+	 * Show the assigned units of a line item on the order screen, and the fields to choose them when editing.
+	 *
+	 * @param int           $item_id Order item ID.
+	 * @param WC_Order_Item $item    Order item.
+	 */
+	public static function output_admin_order_item_units( $item_id, $item ) {
+		if ( ! self::order_item_has_units( $item ) ) {
+			return;
+		}
+
+		$product_id  = $item->get_variation_id() ? $item->get_variation_id() : $item->get_product_id();
+		$unit_ids    = self::get_order_item_unit_ids( $item );
+		$units       = array_filter( array_map( array( __CLASS__, 'get_unit' ), $unit_ids ) );
+		$available   = array_filter( array_map( array( __CLASS__, 'get_unit' ), self::get_available_unit_ids( $product_id ) ) );
+		$unit_labels = self::get_number_labels();
+
+		include __DIR__ . '/admin/meta-boxes/views/html-order-item-vehicle-units.php';
+	}
+
+	/**
+	 * Show the assigned units of a line item in the order details and emails.
+	 *
+	 * @param int           $item_id    Order item ID.
+	 * @param WC_Order_Item $item       Order item.
+	 * @param WC_Order      $order      Order object.
+	 * @param bool          $plain_text Whether the email is sent as plain text.
+	 */
+	public static function output_order_item_units( $item_id, $item, $order, $plain_text = false ) {
+		if ( ! $item->is_type( 'line_item' ) ) {
+			return;
+		}
+
+		$units  = array_filter( array_map( array( __CLASS__, 'get_unit' ), self::get_order_item_unit_ids( $item ) ) );
+		$labels = self::get_number_labels();
+
+		if ( ! $units ) {
+			return;
+		}
+
+		if ( $plain_text ) {
+			foreach ( $units as $unit ) {
+				foreach ( $labels as $field => $label ) {
+					if ( $unit[ $field ] ) {
+						echo "\n" . esc_html( $label ) . ': ' . esc_html( $unit[ $field ] );
+					}
+				}
+			}
+			return;
+		}
+
+		echo '<ul class="wc-item-meta wc-vehicle-units">';
+
+		foreach ( $units as $unit ) {
+			foreach ( $labels as $field => $label ) {
+				if ( $unit[ $field ] ) {
+					echo '<li><strong class="wc-item-meta-label">' . esc_html( $label ) . ':</strong> ' . esc_html( $unit[ $field ] ) . '</li>';
+				}
+			}
+		}
+
+		echo '</ul>';
+	}
+
+	/**
+	 * Find orders by the VIN, engine or frame number of their units.
+	 *
+	 * @param int[]  $order_ids Order IDs found by the search.
+	 * @param string $term      Search term.
+	 * @return int[]
+	 */
+	public static function search_orders( $order_ids, $term ) {
+		foreach ( self::search( $term ) as $unit_id ) {
+			$order_id = (int) get_post_meta( $unit_id, '_order_id', true );
+
+			if ( $order_id ) {
+				$order_ids[] = $order_id;
+			}
+		}
+
+		return array_values( array_unique( $order_ids ) );
+	}
+}
+
+WC_Vehicle_Units::init();
@@ -0,0 +1,150 @@
+<?php
+/**
+ * Wishlists.
+ *
+ * Customers keep the products they want to buy later in a wishlist stored in their user meta. Each item remembers the
+ * price it was added at, so price drops since then can be shown. Guests keep their wishlist in the browser until they
+ * log in, when it is merged into the one saved here.
+ *
+ * @package WooCommerce\Classes
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * WC_Wishlist class.
+ */
+class WC_Wishlist {
+
+	/**
+	 * User meta key of the wishlist.
+	 */
+	const META_KEY = '_woocommerce_wishlist';
+
+	/**
+	 * Maximum number of products in a wishlist.
+	 *
+	 * @return int
+	 */
+	public static function get_max_items() {
+		return absint( apply_filters( 'woocommerce_wishlist_max_items', 100 ) );
+	}
+
+	/**
+	 * Get the items of a wishlist, most recently added last.
+	 *
+	 * Products which no longer exist or are not visible are left out.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array[] Items with the product ID, the timestamp it was added at and the price it was added at.
+	 */
+	public static function get_items( $user_id ) {
+		$items = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $items ) ) {
+			return array();
+		}
+
+		$items = array_filter(
+			$items,
+			function( $item ) {
+				$product = is_array( $item ) && isset( $item['product_id'] ) ? wc_get_product( $item['product_id'] ) : false;
+
+				return $product && $product->is_visible();
+			}
+		);
+
+		return apply_filters( 'woocommerce_wishlist_items', array_values( $items ), $user_id );
+	}
+
+	/**
+	 * Whether a product is in a wishlist.
+	 *
+	 * @param int $user_id    User ID.
+	 * @param int $product_id Product ID.
+	 * @return bool
+	 */
+	public static function has_item( $user_id, $product_id ) {
+		return in_array( absint( $product_id ), wp_list_pluck( self::get_items( $user_id ), 'product_id' ), true );
+	}
+
+	/**
+	 * Add a product to a wishlist. Products already in the wishlist keep the date and price they were added at.
+	 *
+	 * @throws Exception When the product cannot be added.
+	 * @param int        $user_id    User ID.
+	 * @param int        $product_id Product ID.
+	 * @param int|null   $date_added Timestamp the product was added at, defaults to now.
+	 * @param float|null $price      Price the product was added at, defaults to its current price.
+	 */
+	public static function add_item( $user_id, $product_id, $date_added = null, $price = null ) {
+		$product = wc_get_product( $product_id );
+
+		if ( ! $product || ! $product->is_visible() ) {
+			throw new Exception( __( 'This product cannot be added to the wishlist.', 'woocommerce' ) );
+		}
+
+		$items = self::get_items( $user_id );
+
+		if ( in_array( $product->get_id(), wp_list_pluck( $items, 'product_id' ), true ) ) {
+			return;
+		}
+
+		if ( count( $items ) >= self::get_max_items() ) {
+			/* translators: %d: maximum number of products */
+			throw new Exception( sprintf( __( 'Your wishlist can hold up to %d products, remove one first.', 'woocommerce' ), self::get_max_items() ) );
+		}
+
+		$items[] = array(
+			'product_id' => $product->get_id(),
+			'date_added' => $date_added ? min( absint( $date_added ), time() ) : time(),
+			'price'      => wc_format_decimal( null === $price ? wc_get_price_to_display( $product ) : $price ),
+		);
+
+		update_user_meta( $user_id, self::META_KEY, $items );
+
+		do_action( 'woocommerce_wishlist_item_added', $product->get_id(), $user_id );
+	}
+
+	/**
+	 * Remove a product from a wishlist.
+	 *
+	 * @param int $user_id    User ID.
+	 * @param int $product_id Product ID.
+	 */
+	public static function remove_item( $user_id, $product_id ) {
+		$items     = self::get_items( $user_id );
+		$remaining = array_filter(
+			$items,
+			function( $item ) use ( $product_id ) {
+				return absint( $product_id ) !== $item['product_id'];
+			}
+		);
+
+		if ( count( $remaining ) === count( $items ) ) {
+			return;
+		}
+
+		update_user_meta( $user_id, self::META_KEY, array_values( $remaining ) );
+
+		do_action( 'woocommerce_wishlist_item_removed', absint( $product_id ), $user_id );
+	}
+
+	/**
+	 * Merge the wishlist a guest kept in their browser into their saved wishlist after logging in.
+	 *
+	 * Products which cannot be added, for example because the wishlist is full, are skipped.
+	 *
+	 * @param int     $user_id User ID.
+	 * @param array[] $items   Items with the product ID, the timestamp it was added at and the price it was added at.
+	 */
+	public static function merge( $user_id, $items ) {
+		foreach ( $items as $item ) {
+			try {
+				self::add_item( $user_id, $item['product_id'], $item['date_added'], $item['price'] );
+			} catch ( Exception $e ) {
+				continue;
+			}
+		}
+	}
+}
@@ -454,6 +454,18 @@ final class WooCommerce {
 		include_once WC_ABSPATH . 'includes/class-wc-privacy.php';
 		include_once WC_ABSPATH . 'includes/class-wc-structured-data.php';
 		include_once WC_ABSPATH . 'includes/class-wc-shortcodes.php';
+		include_once WC_ABSPATH . 'includes/class-wc-credit-simulator.php';
+		include_once WC_ABSPATH . 'includes/class-wc-product-compare.php';
+		include_once WC_ABSPATH . 'includes/class-wc-deposits.php';
+		include_once WC_ABSPATH . 'includes/class-wc-showroom-appointments.php';
+		include_once WC_ABSPATH . 'includes/class-wc-cookie-consent.php';
+		include_once WC_ABSPATH . 'includes/class-wc-saved-carts.php';
+		include_once WC_ABSPATH . 'includes/class-wc-address-regions.php';
+		include_once WC_ABSPATH . 'includes/class-wc-wishlist.php';
+		include_once WC_ABSPATH . 'includes/class-wc-vehicle-units.php';
+		include_once WC_ABSPATH . 'includes/class-wc-order-workflow.php';
+		include_once WC_ABSPATH . 'includes/class-wc-refund-wizard.php';
+		include_once WC_ABSPATH . 'includes/class-wc-credit-notes.php';
 		include_once WC_ABSPATH . 'includes/class-wc-logger.php';
 		include_once WC_ABSPATH . 'includes/queue/class-wc-action-queue.php';
 		include_once WC_ABSPATH . 'includes/queue/class-wc-queue.php';
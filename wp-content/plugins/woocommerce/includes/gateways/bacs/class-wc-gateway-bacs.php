@@ -28,6 +28,20 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 	 */
 	public $locale;
 
+	/**
+	 * Digits prepended to the order ID to build a virtual account number.
+	 *
+	 * @var string
+	 */
+	public $virtual_account_prefix;
+
+	/**
+	 * Whether customers can upload transfer receipts.
+	 *
+	 * @var bool
+	 */
+	public $receipt_upload;
+
 	/**
 	 * Constructor for the gateway.
 	 */
@@ -36,6 +50,7 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 		$this->id                 = 'bacs';
 		$this->icon               = apply_filters( 'woocommerce_bacs_icon', '' );
 		$this->has_fields         = false;
+		$this->supports           = array( 'products', 'deposits' );
 		$this->method_title       = __( 'Direct bank transfer', 'woocommerce' );
 		$this->method_description = __( 'Take payments in person via BACS. More commonly known as direct bank/wire transfer.', 'woocommerce' );
 
@@ -48,6 +63,10 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 		$this->description  = $this->get_option( 'description' );
 		$this->instructions = $this->get_option( 'instructions' );
 
+		// Per-order virtual accounts and transfer receipts.
+		$this->virtual_account_prefix = preg_replace( '/\D/', '', $this->get_option( 'virtual_account_prefix' ) );
+		$this->receipt_upload         = 'yes' === $this->get_option( 'receipt_upload', 'yes' );
+
 		// BACS account fields shown on the thanks page and in emails.
 		$this->account_details = get_option(
 			'woocommerce_bacs_accounts',
@@ -67,6 +86,8 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 		add_action( 'woocommerce_update_options_payment_gateways_' . $this->id, array( $this, 'process_admin_options' ) );
 		add_action( 'woocommerce_update_options_payment_gateways_' . $this->id, array( $this, 'save_account_details' ) );
 		add_action( 'woocommerce_thankyou_bacs', array( $this, 'thankyou_page' ) );
+		add_action( 'woocommerce_order_details_after_order_table', array( $this, 'view_order_receipt_form' ) );
+		add_action( 'woocommerce_admin_order_data_after_billing_address', array( $this, 'admin_order_payment_details' ) );
 
 		// Customer Emails.
 		add_action( 'woocommerce_email_before_order_table', array( $this, 'email_instructions' ), 10, 3 );
@@ -78,34 +99,47 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 	public function init_form_fields() {
 
 		$this->form_fields = array(
-			'enabled'         => array(
+			'enabled'                => array(
 				'title'   => __( 'Enable/Disable', 'woocommerce' ),
 				'type'    => 'checkbox',
 				'label'   => __( 'Enable bank transfer', 'woocommerce' ),
 				'default' => 'no',
 			),
-			'title'           => array(
+			'title'                  => array(
 				'title'       => __( 'Title', 'woocommerce' ),
 				'type'        => 'text',
 				'description' => __( 'This controls the title which the user sees during checkout.', 'woocommerce' ),
 				'default'     => __( 'Direct bank transfer', 'woocommerce' ),
 				'desc_tip'    => true,
 			),
-			'description'     => array(
+			'description'            => array(
 				'title'       => __( 'Description', 'woocommerce' ),
 				'type'        => 'textarea',
 				'description' => __( 'Payment method description that the customer will see on your checkout.', 'woocommerce' ),
 				'default'     => __( 'Make your payment directly into our bank account. Please use your Order ID as the payment reference. Your order will not be shipped until the funds have cleared in our account.', 'woocommerce' ),
 				'desc_tip'    => true,
 			),
-			'instructions'    => array(
+			'instructions'           => array(
 				'title'       => __( 'Instructions', 'woocommerce' ),
 				'type'        => 'textarea',
 				'description' => __( 'Instructions that will be added to the thank you page and emails.', 'woocommerce' ),
 				'default'     => '',
 				'desc_tip'    => true,
 			),
-			'account_details' => array(
+			'virtual_account_prefix' => array(
+				'title'       => __( 'Virtual account prefix', 'woocommerce' ),
+				'type'        => 'text',
+				'description' => __( 'Company code assigned by your bank for virtual accounts. The order ID is appended to it so every order gets its own account number. Leave blank to disable virtual accounts.', 'woocommerce' ),
+				'default'     => '',
+				'desc_tip'    => true,
+			),
+			'receipt_upload'         => array(
+				'title'   => __( 'Transfer receipts', 'woocommerce' ),
+				'type'    => 'checkbox',
+				'label'   => __( 'Let customers upload a transfer receipt during or after checkout', 'woocommerce' ),
+				'default' => 'yes',
+			),
+			'account_details'        => array(
 				'type' => 'account_details',
 			),
 		);
@@ -247,6 +281,22 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 			echo wp_kses_post( wpautop( wptexturize( wp_kses_post( $this->instructions ) ) ) );
 		}
 		$this->bank_details( $order_id );
+		$this->receipt_form( wc_get_order( $order_id ) );
+
+	}
+
+	/**
+	 * Output the receipt upload form on the view order page.
+	 *
+	 * The order received page is handled by thankyou_page().
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public function view_order_receipt_form( $order ) {
+
+		if ( is_wc_endpoint_url( 'view-order' ) ) {
+			$this->receipt_form( $order );
+		}
 
 	}
 
@@ -289,12 +339,22 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 		// Get sortcode label in the $locale array and use appropriate one.
 		$sortcode = isset( $locale[ $country ]['sortcode']['label'] ) ? $locale[ $country ]['sortcode']['label'] : __( 'Sort code', 'woocommerce' );
 
-		$bacs_accounts = apply_filters( 'woocommerce_bacs_accounts', $this->account_details, $order_id );
+		$bacs_accounts   = $this->get_bank_accounts( $order_id );
+		$virtual_account = $order->get_meta( '_bacs_virtual_account' );
+
+		if ( ! $virtual_account ) {
+			$virtual_account = $this->get_virtual_account_number( $order_id );
+		}
 
 		if ( ! empty( $bacs_accounts ) ) {
 			$account_html = '';
 			$has_details  = false;
 
+			if ( $virtual_account ) {
+				$account_html .= '<p class="wc-bacs-virtual-account">' . esc_html__( 'Virtual account number', 'woocommerce' ) . ': <strong>' . esc_html( $virtual_account ) . '</strong></p>' . PHP_EOL;
+				$has_details   = true;
+			}
+
 			foreach ( $bacs_accounts as $bacs_account ) {
 				$bacs_account = (object) $bacs_account;
 
@@ -359,6 +419,24 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 
 		$order = wc_get_order( $order_id );
 
+		$virtual_account = $this->get_virtual_account_number( $order_id );
+
+		if ( $virtual_account ) {
+			$order->update_meta_data( '_bacs_virtual_account', $virtual_account );
+			$order->save();
+		}
+
+		// Attach the receipt uploaded during checkout, if it was uploaded in this session.
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verification already handled by the checkout.
+		$receipt_id = isset( $_POST['bacs_receipt_id'] ) ? absint( $_POST['bacs_receipt_id'] ) : 0;
+		// phpcs:enable
+
+		if ( $receipt_id && WC()->session && absint( WC()->session->get( 'bacs_receipt_id' ) ) === $receipt_id && get_post( $receipt_id ) ) {
+			$this->attach_receipt( $order, $receipt_id );
+			WC()->session->set( 'bacs_receipt_id', null );
+			WC()->session->set( 'bacs_receipt_uploads', null );
+		}
+
 		if ( $order->get_total() > 0 ) {
 			// Mark as on-hold (we're awaiting the payment).
 			$order->update_status( apply_filters( 'woocommerce_bacs_process_payment_order_status', 'on-hold', $order ), __( 'Awaiting BACS payment', 'woocommerce' ) );
@@ -377,6 +455,346 @@ class WC_Gateway_BACS extends WC_Payment_Gateway {
 
 	}
 
+	/**
+	 * Get the bank accounts customers can transfer to.
+	 *
+	 * @param int|string $order_id Order ID, if the accounts are shown for an order.
+	 * @return array
+	 */
+	public function get_bank_accounts( $order_id = '' ) {
+		return apply_filters( 'woocommerce_bacs_accounts', $this->account_details, $order_id );
+	}
+
+	/**
+	 * Get the virtual account number of an order.
+	 *
+	 * The number is the configured prefix followed by the zero-padded order ID.
+	 *
+	 * @param int $order_id Order ID.
+	 * @return string Empty string if virtual accounts are disabled.
+	 */
+	public function get_virtual_account_number( $order_id ) {
+		$number = '';
+
+		if ( $this->virtual_account_prefix && $order_id ) {
+			$length = absint( apply_filters( 'woocommerce_bacs_virtual_account_length', 16 ) );
+			$number = $this->virtual_account_prefix . str_pad( absint( $order_id ), max( 0, $length - strlen( $this->virtual_account_prefix ) ), '0', STR_PAD_LEFT );
+		}
+
+		return apply_filters( 'woocommerce_bacs_virtual_account_number', $number, $order_id, $this->virtual_account_prefix );
+	}
+
+	/**
+	 * Get the file types accepted as transfer receipts.
+	 *
+	 * @return array Extensions regex => mime type, as accepted by wp_handle_upload().
+	 */
+	public function get_receipt_mime_types() {
+		return apply_filters(
+			'woocommerce_bacs_receipt_mime_types',
+			array(
+				'jpg|jpeg|jpe' => 'image/jpeg',
+				'png'          => 'image/png',
+			)
+		);
+	}
+
+	/**
+	 * Get the maximum size of a transfer receipt.
+	 *
+	 * @return int Size in bytes.
+	 */
+	public function get_receipt_max_size() {
+		return absint( apply_filters( 'woocommerce_bacs_receipt_max_size', 5 * MB_IN_BYTES ) );
+	}
+
+	/**
+	 * Get how many transfer receipts can be uploaded during checkout in one session.
+	 *
+	 * @return int
+	 */
+	public function get_receipt_session_limit() {
+		return absint( apply_filters( 'woocommerce_bacs_receipt_session_limit', 5 ) );
+	}
+
+	/**
+	 * Whether the customer can still upload a transfer receipt for an order.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return bool
+	 */
+	public function can_upload_receipt( $order ) {
+		return $this->receipt_upload && 'bacs' === $order->get_payment_method() && $order->has_status( apply_filters( 'woocommerce_bacs_receipt_upload_statuses', array( 'pending', 'on-hold' ), $order ) );
+	}
+
+	/**
+	 * Point uploads at the transfer receipts directory, which is not reachable from the web.
+	 *
+	 * @param array $pathdata Upload directory data.
+	 * @return array
+	 */
+	public function receipt_upload_dir( $pathdata ) {
+		$pathdata['subdir'] = '/woocommerce_uploads/bacs_receipts';
+		$pathdata['path']   = $pathdata['basedir'] . $pathdata['subdir'];
+		$pathdata['url']    = $pathdata['baseurl'] . $pathdata['subdir'];
+
+		return $pathdata;
+	}
+
+	/**
+	 * Create the transfer receipts directory, denying direct access to it.
+	 *
+	 * The woocommerce_uploads .htaccess only lists indexes when downloads use redirects, so receipts get their own deny rule.
+	 *
+	 * @param string $path Directory path.
+	 * @return bool
+	 */
+	private function protect_receipt_dir( $path ) {
+		if ( ! wp_mkdir_p( $path ) ) {
+			return false;
+		}
+
+		$files = array(
+			'.htaccess'  => 'deny from all',
+			'index.html' => '',
+		);
+
+		foreach ( $files as $file => $content ) {
+			if ( ! file_exists( trailingslashit( $path ) . $file ) ) {
+				$file_handle = @fopen( trailingslashit( $path ) . $file, 'wb' ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged, WordPress.WP.AlternativeFunctions.file_system_read_fopen
+
+				if ( ! $file_handle ) {
+					return false;
+				}
+
+				fwrite( $file_handle, $content ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_read_fwrite
+				fclose( $file_handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_read_fclose
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Store an uploaded transfer receipt as a private attachment in the protected receipts directory.
+	 *
+	 * Receipts are only served to staff through WC_AJAX::download_bacs_receipt().
+	 *
+	 * @param array $file Uploaded file, as found in $_FILES.
+	 * @return int|WP_Error Attachment ID, or error.
+	 */
+	public function handle_receipt_upload( $file ) {
+
+		if ( empty( $file['tmp_name'] ) || ! empty( $file['error'] ) ) {
+			return new WP_Error( 'bacs_receipt_missing', __( 'Please choose a transfer receipt to upload.', 'woocommerce' ) );
+		}
+
+		$max_size = $this->get_receipt_max_size();
+
+		if ( $file['size'] > $max_size ) {
+			/* translators: %s: maximum file size */
+			return new WP_Error( 'bacs_receipt_too_large', sprintf( __( 'The transfer receipt may not be larger than %s.', 'woocommerce' ), size_format( $max_size ) ) );
+		}
+
+		$upload_dir = $this->receipt_upload_dir( wp_get_upload_dir() );
+
+		if ( ! $this->protect_receipt_dir( $upload_dir['path'] ) ) {
+			return new WP_Error( 'bacs_receipt_upload', __( 'The transfer receipt could not be stored. Please try again later.', 'woocommerce' ) );
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+
+		// A random prefix keeps receipts with the same name apart.
+		$file['name'] = wp_generate_password( 12, false ) . '-' . sanitize_file_name( $file['name'] );
+
+		add_filter( 'upload_dir', array( $this, 'receipt_upload_dir' ) );
+
+		$upload = wp_handle_upload(
+			$file,
+			array(
+				'test_form' => false,
+				'mimes'     => $this->get_receipt_mime_types(),
+			)
+		);
+
+		remove_filter( 'upload_dir', array( $this, 'receipt_upload_dir' ) );
+
+		if ( isset( $upload['error'] ) ) {
+			return new WP_Error( 'bacs_receipt_upload', $upload['error'] );
+		}
+
+		// Private, so the receipt stays out of the media library and the REST API for everyone who cannot edit it.
+		return wp_insert_attachment(
+			array(
+				'post_title'     => __( 'Transfer receipt', 'woocommerce' ),
+				'post_mime_type' => $upload['type'],
+				'post_status'    => 'private',
+			),
+			$upload['file'],
+			0,
+			true
+		);
+	}
+
+	/**
+	 * Attach a transfer receipt to an order.
+	 *
+	 * @param WC_Order $order         Order object.
+	 * @param int      $attachment_id Receipt attachment ID.
+	 */
+	public function attach_receipt( $order, $attachment_id ) {
+
+		wp_update_post(
+			array(
+				'ID'          => $attachment_id,
+				'post_parent' => $order->get_id(),
+			)
+		);
+
+		delete_post_meta( $attachment_id, '_bacs_pending_receipt' );
+
+		$receipt_ids   = $this->get_receipt_ids( $order );
+		$receipt_ids[] = $attachment_id;
+
+		$order->update_meta_data( '_bacs_receipt_ids', array_values( array_unique( $receipt_ids ) ) );
+		$order->save();
+		$order->add_order_note( __( 'Transfer receipt uploaded by the customer.', 'woocommerce' ) );
+
+		do_action( 'woocommerce_bacs_receipt_uploaded', $order, $attachment_id );
+	}
+
+	/**
+	 * Get the transfer receipts attached to an order.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return int[] Attachment IDs.
+	 */
+	public function get_receipt_ids( $order ) {
+		return array_values( array_filter( array_map( 'absint', (array) $order->get_meta( '_bacs_receipt_ids' ) ) ) );
+	}
+
+	/**
+	 * Mark a bank transfer as received after checking the receipt or bank statement.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public function verify_payment( $order ) {
+
+		$order->update_meta_data( '_bacs_payment_verified_by', get_current_user_id() );
+		$order->save();
+		$order->add_order_note( __( 'Bank transfer payment verified.', 'woocommerce' ), 0, true );
+		$order->payment_complete();
+
+		do_action( 'woocommerce_bacs_payment_verified', $order );
+	}
+
+	/**
+	 * Output the transfer receipt upload form for an order.
+	 *
+	 * @param WC_Order|false $order Order object.
+	 */
+	private function receipt_form( $order ) {
+
+		if ( ! $order || ! $this->can_upload_receipt( $order ) ) {
+			return;
+		}
+
+		$receipt_count = count( $this->get_receipt_ids( $order ) );
+
+		?>
+		<section class="woocommerce-bacs-receipt">
+			<h2 class="wc-bacs-receipt-heading"><?php esc_html_e( 'Transfer receipt', 'woocommerce' ); ?></h2>
+			<?php if ( $receipt_count ) : ?>
+				<p class="wc-bacs-receipt-received">
+					<?php
+					/* translators: %d: number of receipts */
+					echo esc_html( sprintf( _n( 'We have received %d transfer receipt and will verify your payment shortly.', 'We have received %d transfer receipts and will verify your payment shortly.', $receipt_count, 'woocommerce' ), $receipt_count ) );
+					?>
+				</p>
+			<?php endif; ?>
+			<form method="post" enctype="multipart/form-data" class="woocommerce-bacs-receipt-form">
+				<p class="form-row">
+					<label for="bacs_receipt"><?php esc_html_e( 'Upload a photo or screenshot of your transfer receipt', 'woocommerce' ); ?></label>
+					<input type="file" id="bacs_receipt" name="bacs_receipt" accept="<?php echo esc_attr( implode( ',', array_unique( $this->get_receipt_mime_types() ) ) ); ?>" required />
+				</p>
+				<p class="form-row">
+					<?php wp_nonce_field( 'woocommerce-bacs-receipt', 'woocommerce-bacs-receipt-nonce' ); ?>
+					<input type="hidden" name="order_id" value="<?php echo esc_attr( $order->get_id() ); ?>" />
+					<input type="hidden" name="order_key" value="<?php echo esc_attr( $order->get_order_key() ); ?>" />
+					<button type="submit" class="button" name="bacs_upload_receipt" value="1"><?php esc_html_e( 'Upload receipt', 'woocommerce' ); ?></button>
+				</p>
+			</form>
+		</section>
+		<?php
+
+	}
+
+	/**
+	 * Output the virtual account, transfer receipts and verify action in the order data meta box.
+	 *
+	 * @param WC_Order $order Order object.
+	 */
+	public function admin_order_payment_details( $order ) {
+
+		if ( 'bacs' !== $order->get_payment_method() ) {
+			return;
+		}
+
+		$virtual_account = $order->get_meta( '_bacs_virtual_account' );
+		$receipt_ids     = $this->get_receipt_ids( $order );
+		$verified_by     = get_userdata( absint( $order->get_meta( '_bacs_payment_verified_by' ) ) );
+
+		?>
+		<div class="wc-bacs-payment-details">
+			<?php if ( $virtual_account ) : ?>
+				<p><strong><?php esc_html_e( 'Virtual account number:', 'woocommerce' ); ?></strong> <?php echo esc_html( $virtual_account ); ?></p>
+			<?php endif; ?>
+			<p>
+				<strong><?php esc_html_e( 'Transfer receipts:', 'woocommerce' ); ?></strong>
+				<?php
+				if ( ! $receipt_ids ) {
+					esc_html_e( 'None uploaded yet.', 'woocommerce' );
+				}
+				?>
+			</p>
+			<?php if ( $receipt_ids ) : ?>
+				<ul class="wc-bacs-receipts">
+					<?php
+					foreach ( $receipt_ids as $receipt_id ) {
+						$download_url = wp_nonce_url(
+							add_query_arg(
+								array(
+									'action'     => 'woocommerce_download_bacs_receipt',
+									'order_id'   => $order->get_id(),
+									'receipt_id' => $receipt_id,
+								),
+								admin_url( 'admin-ajax.php' )
+							),
+							'download-bacs-receipt',
+							'security'
+						);
+						echo '<li><a href="' . esc_url( $download_url ) . '" target="_blank" rel="noopener noreferrer">' . esc_html( basename( get_attached_file( $receipt_id ) ) ) . '</a></li>';
+					}
+					?>
+				</ul>
+			<?php endif; ?>
+			<?php if ( $verified_by ) : ?>
+				<p class="wc-bacs-payment-verified">
+					<?php
+					/* translators: %s: user display name */
+					echo esc_html( sprintf( __( 'Payment verified by %s.', 'woocommerce' ), $verified_by->display_name ) );
+					?>
+				</p>
+			<?php elseif ( $order->has_status( array( 'pending', 'on-hold' ) ) ) : ?>
+				<p>
+					<button type="button" class="button verify-bacs-payment"><?php esc_html_e( 'Verify payment', 'woocommerce' ); ?></button>
+				</p>
+			<?php endif; ?>
+		</div>
+		<?php
+
+	}
+
 	/**
 	 * Get country locale if localized.
 	 *
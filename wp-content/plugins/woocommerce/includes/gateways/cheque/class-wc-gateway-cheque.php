@@ -28,6 +28,7 @@ class WC_Gateway_Cheque extends WC_Payment_Gateway {
 		$this->id                 = 'cheque';
 		$this->icon               = apply_filters( 'woocommerce_cheque_icon', '' );
 		$this->has_fields         = false;
+		$this->supports           = array( 'products', 'deposits' );
 		$this->method_title       = _x( 'Check payments', 'Check payment method', 'woocommerce' );
 		$this->method_description = __( 'Take payments in person via checks. This offline gateway can also be useful to test purchases.', 'woocommerce' );
 
@@ -58,6 +58,7 @@ class WC_Gateway_COD extends WC_Payment_Gateway {
 		$this->method_title       = __( 'Cash on delivery', 'woocommerce' );
 		$this->method_description = __( 'Have your customers pay with cash (or by other means) upon delivery.', 'woocommerce' );
 		$this->has_fields         = false;
+		$this->supports           = array( 'products', 'deposits' );
 	}
 
 	/**
@@ -2392,6 +2392,36 @@ function wc_cleanup_session_data() {
 }
 add_action( 'woocommerce_cleanup_sessions', 'wc_cleanup_session_data' );
 
+/**
+ * Deletes the transfer receipts uploaded during checkouts which never led to an order - cron callback.
+ *
+ * Receipts are kept as long as the session they were uploaded in can still place the order.
+ */
+function wc_cleanup_bacs_receipts() {
+	$receipt_ids = get_posts(
+		array(
+			'post_type'      => 'attachment',
+			'post_status'    => 'any',
+			'post_parent'    => 0,
+			'posts_per_page' => 100,
+			'fields'         => 'ids',
+			'meta_query'     => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				array(
+					'key'     => '_bacs_pending_receipt',
+					'value'   => time() - intval( apply_filters( 'wc_session_expiration', 60 * 60 * 48 ) ),
+					'compare' => '<',
+					'type'    => 'NUMERIC',
+				),
+			),
+		)
+	);
+
+	foreach ( $receipt_ids as $receipt_id ) {
+		wp_delete_attachment( $receipt_id, true );
+	}
+}
+add_action( 'woocommerce_cleanup_sessions', 'wc_cleanup_bacs_receipts' );
+
 /**
  * Convert a decimal (e.g. 3.5) to a fraction (e.g. 7/2).
  * From: https://www.designedbyaturtle.co.uk/2015/converting-a-decimal-to-a-fraction-in-php/
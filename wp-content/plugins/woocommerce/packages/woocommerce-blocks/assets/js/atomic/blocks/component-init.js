@@ -116,3 +116,21 @@ registerBlockComponent( {
 		)
 	),
 } );
+
+registerBlockComponent( {
+	blockName: 'woocommerce/product-compare',
+	component: lazy( () =>
+		import(
+			/* webpackChunkName: "atomic-block-components/compare" */ './product-elements/compare/block'
+		)
+	),
+} );
+
+registerBlockComponent( {
+	blockName: 'woocommerce/product-wishlist',
+	component: lazy( () =>
+		import(
+			/* webpackChunkName: "atomic-block-components/wishlist" */ './product-elements/wishlist/block'
+		)
+	),
+} );
@@ -0,0 +1,88 @@
+/**
+ * External dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { useEffect, useState } from '@wordpress/element';
+import { getSetting } from '@woocommerce/settings';
+import {
+	useInnerBlockLayoutContext,
+	useProductDataContext,
+} from '@woocommerce/shared-context';
+import { withProductDataContext } from '@woocommerce/shared-hocs';
+
+/**
+ * Internal dependencies
+ */
+import {
+	getComparedProducts,
+	subscribe,
+	toggleComparedProduct,
+} from './storage';
+import './style.scss';
+
+/**
+ * Product Compare Block Component.
+ *
+ * @param {Object} props             Incoming props.
+ * @param {string} [props.className] CSS Class name for the component.
+ * @return {*} The component.
+ */
+export const Block = ( { className } ) => {
+	const { parentClassName } = useInnerBlockLayoutContext();
+	const { product } = useProductDataContext();
+	const [ comparedIds, setComparedIds ] = useState( getComparedProducts );
+
+	useEffect( () => subscribe( setComparedIds ), [] );
+
+	if ( ! product.id ) {
+		return null;
+	}
+
+	const maxItems = getSetting( 'productCompareMax', 4 );
+	const isCompared = comparedIds.includes( product.id );
+
+	const onChange = () => {
+		if ( ! toggleComparedProduct( product.id, ! isCompared, maxItems ) ) {
+			// eslint-disable-next-line no-alert
+			window.alert(
+				sprintf(
+					/* translators: %d maximum number of products */
+					__(
+						'You can compare up to %d products, remove one first.',
+						'woocommerce'
+					),
+					maxItems
+				)
+			);
+		}
+	};
+
+	return (
+		<label
+			className={ classnames(
+				className,
+				'wc-block-components-product-compare',
+				{
+					[ `${ parentClassName }__product-compare` ]: parentClassName,
+					'wc-block-components-product-compare--selected': isCompared,
+				}
+			) }
+		>
+			<input
+				type="checkbox"
+				className="wc-block-components-product-compare__input"
+				checked={ isCompared }
+				onChange={ onChange }
+			/>
+			<span>{ __( 'Compare', 'woocommerce' ) }</span>
+		</label>
+	);
+};
+
+Block.propTypes = {
+	className: PropTypes.string,
+};
+
+export default withProductDataContext( Block );
@@ -0,0 +1,12 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { list, Icon } from '@woocommerce/icons';
+
+export const BLOCK_TITLE = __( 'Product Compare', 'woocommerce' );
+export const BLOCK_ICON = <Icon srcElement={ list } />;
+export const BLOCK_DESCRIPTION = __(
+	'Let shoppers tick a product to compare it side by side with others.',
+	'woocommerce'
+);
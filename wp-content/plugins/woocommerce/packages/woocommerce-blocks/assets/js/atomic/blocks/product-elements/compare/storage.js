@@ -0,0 +1,76 @@
+/**
+ * The compare selection is shared with assets/js/frontend/product-compare.js of WooCommerce core, which renders the
+ * compare bar and tables. Both read the same session storage key and dispatch the same event on the body.
+ */
+export const STORAGE_KEY = 'wc_product_compare';
+export const UPDATED_EVENT = 'wc_product_compare_updated';
+
+/**
+ * Get the product and variation IDs selected for comparison.
+ *
+ * @return {number[]} Product IDs.
+ */
+export const getComparedProducts = () => {
+	try {
+		const ids = JSON.parse( window.sessionStorage.getItem( STORAGE_KEY ) );
+
+		return Array.isArray( ids )
+			? ids.map( ( id ) => parseInt( id, 10 ) ).filter( ( id ) => id > 0 )
+			: [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Save the selection and notify listeners.
+ *
+ * @param {number[]} ids Product IDs.
+ */
+export const setComparedProducts = ( ids ) => {
+	try {
+		window.sessionStorage.setItem( STORAGE_KEY, JSON.stringify( ids ) );
+	} catch {
+		return;
+	}
+	document.body.dispatchEvent(
+		new window.CustomEvent( UPDATED_EVENT, { detail: ids } )
+	);
+};
+
+/**
+ * Add or remove a product from the selection.
+ *
+ * @param {number}  id       Product ID.
+ * @param {boolean} add      Whether to add or remove the product.
+ * @param {number}  maxItems Maximum number of products in the selection.
+ * @return {boolean} False if the product could not be added because the selection is full.
+ */
+export const toggleComparedProduct = ( id, add, maxItems ) => {
+	const ids = getComparedProducts().filter( ( value ) => value !== id );
+
+	if ( add ) {
+		if ( ids.length >= maxItems ) {
+			return false;
+		}
+		ids.push( id );
+	}
+
+	setComparedProducts( ids );
+
+	return true;
+};
+
+/**
+ * Listen to selection changes.
+ *
+ * @param {Function} callback Receives the selected IDs.
+ * @return {Function} Unsubscribe function.
+ */
+export const subscribe = ( callback ) => {
+	const listener = () => callback( getComparedProducts() );
+
+	document.body.addEventListener( UPDATED_EVENT, listener );
+
+	return () => document.body.removeEventListener( UPDATED_EVENT, listener );
+};
@@ -0,0 +1,56 @@
+/**
+ * Internal dependencies
+ */
+import {
+	STORAGE_KEY,
+	UPDATED_EVENT,
+	getComparedProducts,
+	subscribe,
+	toggleComparedProduct,
+} from '../storage';
+
+describe( 'product compare storage', () => {
+	beforeEach( () => {
+		window.sessionStorage.clear();
+	} );
+
+	it( 'returns an empty selection for missing or invalid data', () => {
+		expect( getComparedProducts() ).toEqual( [] );
+		window.sessionStorage.setItem( STORAGE_KEY, '{not json' );
+		expect( getComparedProducts() ).toEqual( [] );
+		window.sessionStorage.setItem( STORAGE_KEY, '[12, "13", 0, "abc"]' );
+		expect( getComparedProducts() ).toEqual( [ 12, 13 ] );
+	} );
+
+	it( 'adds and removes products', () => {
+		expect( toggleComparedProduct( 12, true, 4 ) ).toBe( true );
+		expect( toggleComparedProduct( 13, true, 4 ) ).toBe( true );
+		expect( toggleComparedProduct( 12, true, 4 ) ).toBe( true );
+		expect( getComparedProducts() ).toEqual( [ 13, 12 ] );
+		expect( toggleComparedProduct( 13, false, 4 ) ).toBe( true );
+		expect( getComparedProducts() ).toEqual( [ 12 ] );
+	} );
+
+	it( 'does not add more than the maximum number of products', () => {
+		toggleComparedProduct( 1, true, 2 );
+		toggleComparedProduct( 2, true, 2 );
+		expect( toggleComparedProduct( 3, true, 2 ) ).toBe( false );
+		expect( getComparedProducts() ).toEqual( [ 1, 2 ] );
+	} );
+
+	it( 'notifies subscribers and shares the event with other scripts', () => {
+		const callback = jest.fn();
+		const listener = jest.fn();
+		const unsubscribe = subscribe( callback );
+
+		document.body.addEventListener( UPDATED_EVENT, listener );
+		toggleComparedProduct( 7, true, 4 );
+		expect( callback ).toHaveBeenCalledWith( [ 7 ] );
+		expect( listener ).toHaveBeenCalledTimes( 1 );
+
+		unsubscribe();
+		toggleComparedProduct( 7, false, 4 );
+		expect( callback ).toHaveBeenCalledTimes( 1 );
+		document.body.removeEventListener( UPDATED_EVENT, listener );
+	} );
+} );
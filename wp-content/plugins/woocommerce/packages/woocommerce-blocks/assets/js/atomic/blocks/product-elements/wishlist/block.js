@@ -0,0 +1,87 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { heart, Icon } from '@woocommerce/icons';
+import { useStoreWishlist } from '@woocommerce/base-context/hooks';
+import {
+	useInnerBlockLayoutContext,
+	useProductDataContext,
+} from '@woocommerce/shared-context';
+import { withProductDataContext } from '@woocommerce/shared-hocs';
+
+/**
+ * Internal dependencies
+ */
+import './style.scss';
+
+/**
+ * Product Wishlist Block Component.
+ *
+ * @param {Object} props             Incoming props.
+ * @param {string} [props.className] CSS Class name for the component.
+ * @return {*} The component.
+ */
+export const Block = ( { className } ) => {
+	const { parentClassName } = useInnerBlockLayoutContext();
+	const { product } = useProductDataContext();
+	const {
+		wishlistItems,
+		itemsPending,
+		addToWishlist,
+		removeFromWishlist,
+	} = useStoreWishlist();
+
+	if ( ! product.id ) {
+		return null;
+	}
+
+	const isInWishlist = wishlistItems.some(
+		( item ) => item.id === product.id
+	);
+	const isPending = itemsPending.includes( product.id );
+
+	const onClick = () => {
+		if ( isInWishlist ) {
+			removeFromWishlist( product.id );
+		} else {
+			addToWishlist( product.id, product.prices?.price );
+		}
+	};
+
+	return (
+		<button
+			type="button"
+			className={ classnames(
+				className,
+				'wc-block-components-product-wishlist',
+				{
+					[ `${ parentClassName }__product-wishlist` ]: parentClassName,
+					'wc-block-components-product-wishlist--added': isInWishlist,
+				}
+			) }
+			aria-pressed={ isInWishlist }
+			disabled={ isPending }
+			onClick={ onClick }
+		>
+			<Icon
+				className="wc-block-components-product-wishlist__icon"
+				srcElement={ heart }
+				size={ 20 }
+			/>
+			<span>
+				{ isInWishlist
+					? __( 'In wishlist', 'woocommerce' )
+					: __( 'Add to wishlist', 'woocommerce' ) }
+			</span>
+		</button>
+	);
+};
+
+Block.propTypes = {
+	className: PropTypes.string,
+};
+
+export default withProductDataContext( Block );
@@ -0,0 +1,12 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { heart, Icon } from '@woocommerce/icons';
+
+export const BLOCK_TITLE = __( 'Add to Wishlist', 'woocommerce' );
+export const BLOCK_ICON = <Icon srcElement={ heart } />;
+export const BLOCK_DESCRIPTION = __(
+	'Let shoppers save a product to their wishlist to buy it later.',
+	'woocommerce'
+);
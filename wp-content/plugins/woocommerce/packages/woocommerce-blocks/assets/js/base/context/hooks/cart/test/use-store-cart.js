@@ -44,6 +44,7 @@ describe( 'useStoreCart', () => {
 			company: '',
 			address_1: '',
 			address_2: '',
+			district: '',
 			city: '',
 			state: '',
 			postcode: '',
@@ -57,6 +58,7 @@ describe( 'useStoreCart', () => {
 			company: '',
 			address_1: '',
 			address_2: '',
+			district: '',
 			city: '',
 			state: '',
 			postcode: '',
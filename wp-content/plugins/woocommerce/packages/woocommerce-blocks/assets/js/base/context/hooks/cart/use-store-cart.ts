@@ -37,6 +37,7 @@ const defaultShippingAddress: CartResponseShippingAddress = {
 	company: '',
 	address_1: '',
 	address_2: '',
+	district: '',
 	city: '',
 	state: '',
 	postcode: '',
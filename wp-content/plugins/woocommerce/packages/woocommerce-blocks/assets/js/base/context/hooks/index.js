@@ -7,6 +7,7 @@ export * from './use-store-events';
 export * from './use-query-state';
 export * from './use-store-products';
 export * from './use-store-add-to-cart';
+export * from './use-store-wishlist';
 export * from './use-customer-data';
 export * from './use-checkout-address';
 export * from './use-checkout-notices';
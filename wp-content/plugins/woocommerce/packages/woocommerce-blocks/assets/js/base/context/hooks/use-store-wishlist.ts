@@ -0,0 +1,75 @@
+/**
+ * External dependencies
+ */
+import { useCallback } from '@wordpress/element';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { WISHLIST_STORE_KEY as storeKey } from '@woocommerce/block-data';
+import { decodeEntities } from '@wordpress/html-entities';
+import type { WishlistItem } from '@woocommerce/types';
+
+/**
+ * Internal dependencies
+ */
+import { useStoreNotices } from './use-store-notices';
+
+interface StoreWishlist {
+	wishlistItems: Array< WishlistItem >;
+	wishlistIsLoading: boolean;
+	itemsPending: Array< number >;
+	addToWishlist: ( productId: number, price?: string ) => Promise< void >;
+	removeFromWishlist: ( productId: number ) => Promise< void >;
+	moveToCart: ( productId: number ) => Promise< void >;
+}
+
+/**
+ * A custom hook exposing the wishlist and the actions changing it. Errors are
+ * shown as store notices.
+ *
+ * @return {StoreWishlist} An object exposing wishlist data and actions.
+ */
+export const useStoreWishlist = (): StoreWishlist => {
+	const { addToWishlist, removeFromWishlist, moveToCart } = useDispatch(
+		storeKey
+	);
+	const { addErrorNotice, removeNotice } = useStoreNotices();
+	const { wishlistItems, wishlistIsLoading, itemsPending } = useSelect(
+		( select ) => {
+			const store = select( storeKey );
+			return {
+				wishlistItems: store.getWishlistItems(),
+				wishlistIsLoading: ! store.hasFinishedResolution(
+					'getWishlistItems',
+					[]
+				),
+				itemsPending: store.getItemsPending(),
+			};
+		},
+		[]
+	);
+
+	const withErrorNotice = useCallback(
+		( request: Promise< void > ) =>
+			request
+				.then( () => {
+					removeNotice( 'wishlist' );
+				} )
+				.catch( ( error ) => {
+					addErrorNotice( decodeEntities( error.message ), {
+						id: 'wishlist',
+						isDismissible: true,
+					} );
+				} ),
+		[ addErrorNotice, removeNotice ]
+	);
+
+	return {
+		wishlistItems,
+		wishlistIsLoading,
+		itemsPending,
+		addToWishlist: ( productId, price ) =>
+			withErrorNotice( addToWishlist( productId, price ) ),
+		removeFromWishlist: ( productId ) =>
+			withErrorNotice( removeFromWishlist( productId ) ),
+		moveToCart: ( productId ) => withErrorNotice( moveToCart( productId ) ),
+	};
+};
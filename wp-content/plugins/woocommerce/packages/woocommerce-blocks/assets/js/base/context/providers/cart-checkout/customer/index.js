@@ -23,6 +23,7 @@ const defaultBillingData = {
 	company: '',
 	address_1: '',
 	address_2: '',
+	district: '',
 	city: '',
 	state: '',
 	postcode: '',
@@ -40,6 +41,7 @@ export const defaultShippingAddress = {
 	company: '',
 	address_1: '',
 	address_2: '',
+	district: '',
 	city: '',
 	state: '',
 	postcode: '',
@@ -28,6 +28,7 @@ export const DEFAULT_SHIPPING_ADDRESS = {
 	company: '',
 	address_1: '',
 	address_2: '',
+	district: '',
 	city: '',
 	state: '',
 	postcode: '',
@@ -0,0 +1,93 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import {
+	useCollection,
+	useStoreWishlist,
+} from '@woocommerce/base-context/hooks';
+import LoadingMask from '@woocommerce/base-components/loading-mask';
+
+/**
+ * Internal dependencies
+ */
+import WishlistItem from './wishlist-item';
+import './style.scss';
+
+/**
+ * Lists the products in the wishlist, most recently added first.
+ *
+ * @param {Object} props             Incoming props.
+ * @param {string} [props.className] CSS Class name for the component.
+ * @return {*} The component.
+ */
+const Block = ( { className } ) => {
+	const {
+		wishlistItems,
+		wishlistIsLoading,
+		itemsPending,
+		moveToCart,
+		removeFromWishlist,
+	} = useStoreWishlist();
+	const productIds = wishlistItems.map( ( { id } ) => id );
+	const { results: products, isLoading: productsLoading } = useCollection( {
+		namespace: '/wc/store',
+		resourceName: 'products',
+		query: {
+			include: productIds,
+			per_page: productIds.length,
+		},
+		shouldSelect: productIds.length > 0,
+	} );
+
+	if ( ! wishlistIsLoading && ! productIds.length ) {
+		return (
+			<div
+				className={ classnames(
+					'wc-block-wishlist',
+					'wc-block-wishlist--is-empty',
+					className
+				) }
+			>
+				<p>{ __( 'Your wishlist is empty.', 'woocommerce' ) }</p>
+			</div>
+		);
+	}
+
+	const rows = [ ...wishlistItems ]
+		.reverse()
+		.map( ( wishlistItem ) => ( {
+			wishlistItem,
+			product: products.find( ( { id } ) => id === wishlistItem.id ),
+		} ) )
+		.filter( ( { product } ) => product );
+
+	return (
+		<LoadingMask
+			className={ classnames( 'wc-block-wishlist', className ) }
+			isLoading={ wishlistIsLoading || productsLoading }
+			showSpinner={ true }
+		>
+			<ul className="wc-block-wishlist__items">
+				{ rows.map( ( { wishlistItem, product } ) => (
+					<WishlistItem
+						key={ product.id }
+						wishlistItem={ wishlistItem }
+						product={ product }
+						isPending={ itemsPending.includes( product.id ) }
+						onMoveToCart={ () => moveToCart( product.id ) }
+						onRemove={ () => removeFromWishlist( product.id ) }
+					/>
+				) ) }
+			</ul>
+		</LoadingMask>
+	);
+};
+
+Block.propTypes = {
+	className: PropTypes.string,
+};
+
+export default Block;
@@ -0,0 +1,19 @@
+/**
+ * External dependencies
+ */
+import { Disabled } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import Block from './block.js';
+
+const Edit = ( { attributes } ) => {
+	return (
+		<Disabled>
+			<Block className={ attributes.className } />
+		</Disabled>
+	);
+};
+
+export default Edit;
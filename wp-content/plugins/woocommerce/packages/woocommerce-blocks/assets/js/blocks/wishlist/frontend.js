@@ -0,0 +1,29 @@
+/**
+ * External dependencies
+ */
+import { withRestApiHydration } from '@woocommerce/block-hocs';
+import { StoreNoticesProvider } from '@woocommerce/base-context';
+import { renderFrontend } from '@woocommerce/base-utils';
+
+/**
+ * Internal dependencies
+ */
+import Block from './block.js';
+
+/**
+ * Wrapper component to supply the notice provider.
+ *
+ * @param {*} props
+ */
+const WishlistFrontend = ( props ) => {
+	return (
+		<StoreNoticesProvider context="wc/wishlist">
+			<Block { ...props } />
+		</StoreNoticesProvider>
+	);
+};
+
+renderFrontend( {
+	selector: '.wp-block-woocommerce-wishlist',
+	Block: withRestApiHydration( WishlistFrontend ),
+} );
@@ -0,0 +1,43 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { registerBlockType } from '@wordpress/blocks';
+import { Icon, heart } from '@woocommerce/icons';
+import classNames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import edit from './edit.js';
+
+registerBlockType( 'woocommerce/wishlist', {
+	title: __( 'Wishlist', 'woocommerce' ),
+	icon: {
+		src: <Icon srcElement={ heart } />,
+		foreground: '#96588a',
+	},
+	category: 'woocommerce',
+	keywords: [ __( 'WooCommerce', 'woocommerce' ) ],
+	description: __(
+		'Show the products shoppers saved to their wishlist, with price drops since they were added.',
+		'woocommerce'
+	),
+	supports: {
+		html: false,
+		multiple: false,
+	},
+	example: {
+		attributes: {},
+	},
+	attributes: {},
+	edit,
+	// Save the props to post content.
+	save( { attributes } ) {
+		return (
+			<div className={ classNames( 'is-loading', attributes.className ) }>
+				<span aria-hidden className="wc-block-wishlist__placeholder" />
+			</div>
+		);
+	},
+} );
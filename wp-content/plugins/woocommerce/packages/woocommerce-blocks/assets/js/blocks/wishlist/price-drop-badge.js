@@ -0,0 +1,41 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { createInterpolateElement } from 'wordpress-element';
+import FormattedMonetaryAmount from '@woocommerce/base-components/formatted-monetary-amount';
+import ProductBadge from '@woocommerce/base-components/cart-checkout/product-badge';
+
+/**
+ * Shows how much the price of a product dropped since it was added to the
+ * wishlist.
+ *
+ * @param {Object} props          Incoming props.
+ * @param {Object} props.currency Currency object.
+ * @param {number} props.amount   Price drop in the currency minor unit.
+ * @return {*} The component.
+ */
+const PriceDropBadge = ( { currency, amount } ) => {
+	if ( ! amount ) {
+		return null;
+	}
+
+	return (
+		<ProductBadge className="wc-block-wishlist-item__price-drop">
+			{ createInterpolateElement(
+				/* translators: <price/> will be replaced by the price drop amount */
+				__( 'Price dropped by <price/>', 'woocommerce' ),
+				{
+					price: (
+						<FormattedMonetaryAmount
+							currency={ currency }
+							value={ amount }
+						/>
+					),
+				}
+			) }
+		</ProductBadge>
+	);
+};
+
+export default PriceDropBadge;
@@ -0,0 +1,43 @@
+/**
+ * Internal dependencies
+ */
+import { canMoveToCart, getPriceDrop } from '../utils';
+
+describe( 'getPriceDrop', () => {
+	it( 'returns how much the price dropped since the product was added', () => {
+		expect(
+			getPriceDrop( { addedPrice: '1500' }, { price: '1200' } )
+		).toBe( 300 );
+	} );
+
+	it( 'ignores price rises and unknown prices', () => {
+		expect(
+			getPriceDrop( { addedPrice: '1500' }, { price: '1800' } )
+		).toBe( 0 );
+		expect( getPriceDrop( { addedPrice: '' }, { price: '1200' } ) ).toBe(
+			0
+		);
+		expect( getPriceDrop( { addedPrice: '1500' }, undefined ) ).toBe( 0 );
+	} );
+} );
+
+describe( 'canMoveToCart', () => {
+	const product = {
+		has_options: false,
+		is_purchasable: true,
+		is_in_stock: true,
+	};
+
+	it( 'allows simple products in stock', () => {
+		expect( canMoveToCart( product ) ).toBe( true );
+	} );
+
+	it( 'sends products with options or out of stock to the product page', () => {
+		expect( canMoveToCart( { ...product, has_options: true } ) ).toBe(
+			false
+		);
+		expect( canMoveToCart( { ...product, is_in_stock: false } ) ).toBe(
+			false
+		);
+	} );
+} );
@@ -0,0 +1,28 @@
+/**
+ * Get how much the price of a product dropped since it was added to the
+ * wishlist.
+ *
+ * @param {Object} wishlistItem            Wishlist item.
+ * @param {string} wishlistItem.addedPrice Price when the product was added, in
+ *                                         the currency minor unit.
+ * @param {Object} prices                  Current prices of the product from
+ *                                         the Store API.
+ * @return {number} Price drop in the currency minor unit, 0 if the price did
+ *                  not drop or is unknown.
+ */
+export const getPriceDrop = ( { addedPrice }, prices ) => {
+	const previousPrice = parseInt( addedPrice, 10 );
+	const price = parseInt( prices?.price, 10 );
+
+	return previousPrice > price ? previousPrice - price : 0;
+};
+
+/**
+ * Whether a product can be added to the cart straight from the wishlist.
+ * Products with options have to be chosen on the product page.
+ *
+ * @param {Object} product Product from the Store API.
+ * @return {boolean} True if the product can be added to the cart.
+ */
+export const canMoveToCart = ( product ) =>
+	! product.has_options && product.is_purchasable && product.is_in_stock;
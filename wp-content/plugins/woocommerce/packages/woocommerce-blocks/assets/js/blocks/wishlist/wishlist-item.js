@@ -0,0 +1,111 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import classnames from 'classnames';
+import PropTypes from 'prop-types';
+import ProductPrice from '@woocommerce/base-components/product-price';
+import ProductName from '@woocommerce/base-components/product-name';
+import { ProductImage } from '@woocommerce/base-components/cart-checkout';
+import { getCurrencyFromPriceResponse } from '@woocommerce/price-format';
+
+/**
+ * Internal dependencies
+ */
+import PriceDropBadge from './price-drop-badge';
+import { canMoveToCart, getPriceDrop } from './utils';
+
+/**
+ * A product in the wishlist.
+ *
+ * @param {Object}   props              Incoming props.
+ * @param {Object}   props.wishlistItem Wishlist item.
+ * @param {Object}   props.product      Product from the Store API.
+ * @param {boolean}  props.isPending    Whether a request for the product is
+ *                                      pending.
+ * @param {Function} props.onMoveToCart Moves the product to the cart.
+ * @param {Function} props.onRemove     Removes the product from the wishlist.
+ * @return {*} The component.
+ */
+const WishlistItem = ( {
+	wishlistItem,
+	product,
+	isPending,
+	onMoveToCart,
+	onRemove,
+} ) => {
+	const { name, permalink, images, prices } = product;
+	const currency = getCurrencyFromPriceResponse( prices );
+
+	return (
+		<li
+			className={ classnames( 'wc-block-wishlist-item', {
+				'is-disabled': isPending,
+			} ) }
+		>
+			<a
+				className="wc-block-wishlist-item__image"
+				href={ permalink }
+				tabIndex={ -1 }
+				aria-hidden
+			>
+				<ProductImage image={ images.length ? images[ 0 ] : {} } />
+			</a>
+			<div className="wc-block-wishlist-item__product">
+				<ProductName
+					disabled={ isPending }
+					name={ name }
+					permalink={ permalink }
+				/>
+				<div className="wc-block-wishlist-item__prices">
+					<ProductPrice
+						currency={ currency }
+						regularPrice={ parseInt( prices.regular_price, 10 ) }
+						price={ parseInt( prices.price, 10 ) }
+					/>
+				</div>
+				<PriceDropBadge
+					currency={ currency }
+					amount={ getPriceDrop( wishlistItem, prices ) }
+				/>
+			</div>
+			<div className="wc-block-wishlist-item__actions">
+				{ canMoveToCart( product ) ? (
+					<button
+						type="button"
+						className="wp-block-button__link wc-block-wishlist-item__move-to-cart"
+						disabled={ isPending }
+						onClick={ onMoveToCart }
+					>
+						{ __( 'Move to cart', 'woocommerce' ) }
+					</button>
+				) : (
+					<a
+						className="wp-block-button__link wc-block-wishlist-item__view"
+						href={ permalink }
+					>
+						{ __( 'Select options', 'woocommerce' ) }
+					</a>
+				) }
+				<button
+					type="button"
+					className="wc-block-wishlist-item__remove-link"
+					disabled={ isPending }
+					onClick={ onRemove }
+				>
+					{ __( 'Remove', 'woocommerce' ) }
+				</button>
+			</div>
+		</li>
+	);
+};
+
+WishlistItem.propTypes = {
+	wishlistItem: PropTypes.object.isRequired,
+	product: PropTypes.object.isRequired,
+	isPending: PropTypes.bool,
+	onMoveToCart: PropTypes.func.isRequired,
+	onRemove: PropTypes.func.isRequired,
+};
+
+export default WishlistItem;
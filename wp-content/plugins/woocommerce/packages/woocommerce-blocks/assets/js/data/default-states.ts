@@ -1,7 +1,7 @@
 /**
  * External dependencies
  */
-import type { Cart, CartMeta } from '@woocommerce/types';
+import type { Cart, CartMeta, WishlistItem } from '@woocommerce/types';
 
 /**
  * Internal dependencies
@@ -28,6 +28,7 @@ export const defaultCartState: CartState = {
 			company: '',
 			address_1: '',
 			address_2: '',
+			district: '',
 			city: '',
 			state: '',
 			postcode: '',
@@ -39,6 +40,7 @@ export const defaultCartState: CartState = {
 			company: '',
 			address_1: '',
 			address_2: '',
+			district: '',
 			city: '',
 			state: '',
 			postcode: '',
@@ -86,3 +88,15 @@ export const defaultCartState: CartState = {
 	},
 	errors: [],
 };
+
+export interface WishlistState {
+	items: Array< WishlistItem >;
+	itemsPending: Array< number >;
+	errors: Array< ResponseError >;
+}
+
+export const defaultWishlistState: WishlistState = {
+	items: [],
+	itemsPending: [],
+	errors: [],
+};
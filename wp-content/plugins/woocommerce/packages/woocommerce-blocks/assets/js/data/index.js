@@ -10,4 +10,5 @@ export { SCHEMA_STORE_KEY } from './schema';
 export { COLLECTIONS_STORE_KEY } from './collections';
 export { CART_STORE_KEY } from './cart';
 export { QUERY_STATE_STORE_KEY } from './query-state';
+export { WISHLIST_STORE_KEY } from './wishlist';
 export { API_BLOCK_NAMESPACE } from './constants';
@@ -0,0 +1,5 @@
+export const ACTION_TYPES = {
+	RECEIVE_WISHLIST: 'RECEIVE_WISHLIST',
+	RECEIVE_ERROR: 'RECEIVE_ERROR',
+	ITEM_PENDING: 'ITEM_PENDING',
+} as const;
@@ -0,0 +1,179 @@
+/**
+ * External dependencies
+ */
+import { dispatch } from '@wordpress/data-controls';
+import type { WishlistItem, WishlistResponse } from '@woocommerce/types';
+import { ReturnOrGeneratorYieldUnion } from '@automattic/data-stores';
+import { CURRENT_USER_IS_LOGGED_IN } from '@woocommerce/settings';
+
+/**
+ * Internal dependencies
+ */
+import { ACTION_TYPES as types } from './action-types';
+import { STORE_KEY as CART_STORE_KEY } from '../cart/constants';
+import { apiFetchWithHeaders } from '../shared-controls';
+import type { ResponseError } from '../types';
+import { getItemsFromResponse } from './utils';
+import { getGuestWishlist, setGuestWishlist } from './storage';
+
+/**
+ * Returns an action object used to update the store with the wishlist items.
+ *
+ * @param {Array<WishlistItem>} items Wishlist items.
+ */
+export const receiveWishlist = ( items: Array< WishlistItem > ) =>
+	( {
+		type: types.RECEIVE_WISHLIST,
+		items,
+	} as const );
+
+/**
+ * Returns an action object used for receiving customer facing errors from the
+ * API.
+ *
+ * @param {ResponseError} error Error received from the API.
+ */
+export const receiveError = ( error: ResponseError ) =>
+	( {
+		type: types.RECEIVE_ERROR,
+		error,
+	} as const );
+
+/**
+ * Returns an action object to indicate if the specified product is being
+ * added, removed or moved to the cart.
+ *
+ * @param {number}  productId Product ID.
+ * @param {boolean} [isPending=true] Flag for update state; true if API
+ *                                   request is pending.
+ */
+export const itemIsPending = ( productId: number, isPending = true ) =>
+	( {
+		type: types.ITEM_PENDING,
+		productId,
+		isPending,
+	} as const );
+
+/**
+ * Sends a wishlist change to the API for logged in customers, and returns the
+ * updated wishlist.
+ *
+ * @param {string} path      API path of the change.
+ * @param {number} productId Product ID.
+ */
+function* sendWishlistMutation(
+	path: string,
+	productId: number
+): Generator< unknown, void, { response: WishlistResponse } > {
+	yield itemIsPending( productId );
+
+	try {
+		const { response } = yield apiFetchWithHeaders( {
+			path,
+			method: 'POST',
+			data: {
+				id: productId,
+			},
+			cache: 'no-store',
+		} );
+
+		yield receiveWishlist( getItemsFromResponse( response ) );
+	} catch ( error ) {
+		yield receiveError( error );
+		yield itemIsPending( productId, false );
+
+		// Re-throw the error.
+		throw error;
+	}
+	yield itemIsPending( productId, false );
+}
+
+/**
+ * Adds a product to the wishlist. Guests keep their wishlist in local storage
+ * until they log in.
+ *
+ * @param {number} productId Product ID.
+ * @param {string} [price]   Current price of the product in the currency minor
+ *                           unit, used to show price drops later on. Only
+ *                           needed for guests, the API records the price
+ *                           itself.
+ * @throws Will throw an error if there is an API problem.
+ */
+export function* addToWishlist(
+	productId: number,
+	price = ''
+): Generator< unknown, void, { response: WishlistResponse } > {
+	if ( ! CURRENT_USER_IS_LOGGED_IN ) {
+		const items = getGuestWishlist();
+
+		if ( ! items.some( ( item ) => item.id === productId ) ) {
+			items.push( {
+				id: productId,
+				added: new Date().toISOString(),
+				addedPrice: price,
+			} );
+			setGuestWishlist( items );
+		}
+		yield receiveWishlist( items );
+		return;
+	}
+
+	yield* sendWishlistMutation( '/wc/store/wishlist/add-item', productId );
+}
+
+/**
+ * Removes a product from the wishlist.
+ *
+ * @param {number} productId Product ID.
+ * @throws Will throw an error if there is an API problem.
+ */
+export function* removeFromWishlist(
+	productId: number
+): Generator< unknown, void, { response: WishlistResponse } > {
+	if ( ! CURRENT_USER_IS_LOGGED_IN ) {
+		const items = getGuestWishlist().filter(
+			( item ) => item.id !== productId
+		);
+
+		setGuestWishlist( items );
+		yield receiveWishlist( items );
+		return;
+	}
+
+	yield* sendWishlistMutation( '/wc/store/wishlist/remove-item', productId );
+}
+
+/**
+ * Adds a product to the cart, then removes it from the wishlist. The product
+ * stays in the wishlist if it cannot be added to the cart.
+ *
+ * @param {number} productId Product ID.
+ * @throws Will throw an error if the product cannot be added to the cart.
+ */
+export function* moveToCart(
+	productId: number
+	// eslint-disable-next-line @typescript-eslint/no-explicit-any -- unclear how to represent multiple different yields as type
+): Generator< unknown, void, any > {
+	yield itemIsPending( productId );
+
+	try {
+		yield dispatch( CART_STORE_KEY, 'addItemToCart', productId, 1 );
+	} catch ( error ) {
+		yield itemIsPending( productId, false );
+
+		// Re-throw the error.
+		throw error;
+	}
+
+	yield* removeFromWishlist( productId );
+	yield itemIsPending( productId, false );
+}
+
+export type WishlistAction = ReturnOrGeneratorYieldUnion<
+	| typeof receiveWishlist
+	| typeof receiveError
+	| typeof itemIsPending
+	| typeof addToWishlist
+	| typeof removeFromWishlist
+	| typeof moveToCart
+>;
@@ -0,0 +1,15 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+export const STORE_KEY = 'wc/store/wishlist';
+export const WISHLIST_API_ERROR = {
+	code: 'wishlist_api_error',
+	message: __( 'Unable to get wishlist data from the API.', 'woocommerce' ),
+	data: {
+		status: 500,
+	},
+};
+// Local storage key of the wishlist kept by guests until they log in.
+export const GUEST_WISHLIST_STORAGE_KEY = 'wc_wishlist';
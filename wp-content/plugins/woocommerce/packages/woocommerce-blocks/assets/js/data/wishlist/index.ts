@@ -0,0 +1,45 @@
+/**
+ * External dependencies
+ */
+import { registerStore, dispatch } from '@wordpress/data';
+import { controls as dataControls } from '@wordpress/data-controls';
+import type { SelectFromMap, DispatchFromMap } from '@automattic/data-stores';
+import { CURRENT_USER_IS_LOGGED_IN } from '@woocommerce/settings';
+
+/**
+ * Internal dependencies
+ */
+import { STORE_KEY } from './constants';
+import * as selectors from './selectors';
+import * as actions from './actions';
+import * as resolvers from './resolvers';
+import reducer, { State } from './reducers';
+import { controls as sharedControls } from '../shared-controls';
+import { onGuestWishlistUpdatedInAnotherTab } from './storage';
+
+registerStore< State >( STORE_KEY, {
+	reducer,
+	actions,
+	// eslint-disable-next-line @typescript-eslint/no-explicit-any
+	controls: { ...dataControls, ...sharedControls } as any,
+	selectors,
+	resolvers,
+} );
+
+export const WISHLIST_STORE_KEY = STORE_KEY;
+
+// Keep the guest wishlist in step with changes made in other tabs.
+if ( typeof window !== 'undefined' && ! CURRENT_USER_IS_LOGGED_IN ) {
+	onGuestWishlistUpdatedInAnotherTab( ( items ) =>
+		dispatch( STORE_KEY ).receiveWishlist( items )
+	);
+}
+
+declare module '@wordpress/data' {
+	function dispatch(
+		key: typeof WISHLIST_STORE_KEY
+	): DispatchFromMap< typeof actions >;
+	function select(
+		key: typeof WISHLIST_STORE_KEY
+	): SelectFromMap< typeof selectors >;
+}
@@ -0,0 +1,63 @@
+/**
+ * External dependencies
+ */
+import type { Reducer } from 'redux';
+
+/**
+ * Internal dependencies
+ */
+import { ACTION_TYPES as types } from './action-types';
+import { defaultWishlistState, WishlistState } from '../default-states';
+import type { WishlistAction } from './actions';
+
+/**
+ * Reducer for receiving items related to the wishlist.
+ *
+ * @param   {WishlistState}  state   The current state in the store.
+ * @param   {WishlistAction}  action  Action object.
+ *
+ * @return  {WishlistState}          New or existing state.
+ */
+const reducer: Reducer< WishlistState > = (
+	state = defaultWishlistState,
+	action: Partial< WishlistAction >
+) => {
+	switch ( action.type ) {
+		case types.RECEIVE_WISHLIST:
+			if ( action.items ) {
+				state = {
+					...state,
+					errors: [],
+					items: action.items,
+				};
+			}
+			break;
+		case types.RECEIVE_ERROR:
+			if ( action.error ) {
+				state = {
+					...state,
+					errors: state.errors.concat( action.error ),
+				};
+			}
+			break;
+		case types.ITEM_PENDING:
+			if ( action.productId ) {
+				const itemsPending = state.itemsPending.filter(
+					( productId ) => productId !== action.productId
+				);
+				if ( action.isPending ) {
+					itemsPending.push( action.productId );
+				}
+				state = {
+					...state,
+					itemsPending,
+				};
+			}
+			break;
+	}
+	return state;
+};
+
+export type State = ReturnType< typeof reducer >;
+
+export default reducer;
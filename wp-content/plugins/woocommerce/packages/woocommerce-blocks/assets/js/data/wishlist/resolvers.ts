@@ -0,0 +1,79 @@
+/**
+ * External dependencies
+ */
+import { select, apiFetch } from '@wordpress/data-controls';
+import type { WishlistResponse } from '@woocommerce/types';
+import { CURRENT_USER_IS_LOGGED_IN } from '@woocommerce/settings';
+
+/**
+ * Internal dependencies
+ */
+import { receiveWishlist, receiveError } from './actions';
+import { STORE_KEY, WISHLIST_API_ERROR } from './constants';
+import { getGuestWishlist, setGuestWishlist } from './storage';
+import { getItemsFromResponse, getResponseItems } from './utils';
+
+/**
+ * Resolver for retrieving the wishlist items.
+ *
+ * Guests get the wishlist kept in local storage. Once they log in, that
+ * wishlist is merged into the saved one and removed from local storage.
+ */
+export function* getWishlistItems(): Generator<
+	unknown,
+	void,
+	WishlistResponse
+> {
+	const guestItems = getGuestWishlist();
+
+	if ( ! CURRENT_USER_IS_LOGGED_IN ) {
+		yield receiveWishlist( guestItems );
+		return;
+	}
+
+	const response = yield apiFetch(
+		guestItems.length
+			? {
+					path: '/wc/store/wishlist/merge',
+					method: 'POST',
+					data: {
+						items: getResponseItems( guestItems ),
+					},
+					cache: 'no-store',
+			  }
+			: {
+					path: '/wc/store/wishlist',
+					method: 'GET',
+					cache: 'no-store',
+			  }
+	);
+
+	if ( ! response ) {
+		yield receiveError( WISHLIST_API_ERROR );
+		return;
+	}
+
+	setGuestWishlist( [] );
+	yield receiveWishlist( getItemsFromResponse( response ) );
+}
+
+/**
+ * Resolver for the number of products in the wishlist.
+ */
+export function* getWishlistItemsCount(): Generator< unknown, void, never > {
+	yield select( STORE_KEY, 'getWishlistItems' );
+}
+
+/**
+ * Resolver for the wishlist item of a product.
+ */
+export function* getWishlistItem(): Generator< unknown, void, never > {
+	yield select( STORE_KEY, 'getWishlistItems' );
+}
+
+/**
+ * Resolver for checking if a product is in the wishlist.
+ */
+export function* isInWishlist(): Generator< unknown, void, never > {
+	yield select( STORE_KEY, 'getWishlistItems' );
+}
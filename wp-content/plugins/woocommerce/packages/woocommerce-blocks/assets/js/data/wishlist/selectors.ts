@@ -0,0 +1,96 @@
+/**
+ * External dependencies
+ */
+import type { WishlistItem } from '@woocommerce/types';
+
+/**
+ * Internal dependencies
+ */
+import type { WishlistState } from '../default-states';
+import type { ResponseError } from '../types';
+
+/**
+ * Retrieves the wishlist items from state, most recently added last.
+ *
+ * @param {WishlistState} state The current state.
+ * @return {Array<WishlistItem>} Wishlist items.
+ */
+export const getWishlistItems = (
+	state: WishlistState
+): Array< WishlistItem > => {
+	return state.items;
+};
+
+/**
+ * Retrieves the number of products in the wishlist.
+ *
+ * @param {WishlistState} state The current state.
+ * @return {number} Number of products.
+ */
+export const getWishlistItemsCount = ( state: WishlistState ): number => {
+	return state.items.length;
+};
+
+/**
+ * Retrieves the wishlist item of a product.
+ *
+ * @param {WishlistState} state     The current state.
+ * @param {number}        productId Product ID.
+ * @return {WishlistItem|undefined} The item, if the product is in the wishlist.
+ */
+export const getWishlistItem = (
+	state: WishlistState,
+	productId: number
+): WishlistItem | undefined => {
+	return state.items.find( ( item ) => item.id === productId );
+};
+
+/**
+ * Returns true if the product is in the wishlist.
+ *
+ * @param {WishlistState} state     The current state.
+ * @param {number}        productId Product ID.
+ * @return {boolean} True if the product is in the wishlist.
+ */
+export const isInWishlist = (
+	state: WishlistState,
+	productId: number
+): boolean => {
+	return state.items.some( ( item ) => item.id === productId );
+};
+
+/**
+ * Retrieves the IDs of the products being added, removed or moved to the cart.
+ *
+ * @param {WishlistState} state The current state.
+ * @return {Array<number>} Product IDs.
+ */
+export const getItemsPending = ( state: WishlistState ): Array< number > => {
+	return state.itemsPending;
+};
+
+/**
+ * Returns true if the product is being added, removed or moved to the cart.
+ *
+ * @param {WishlistState} state     The current state.
+ * @param {number}        productId Product ID.
+ * @return {boolean} True if a request for the product is pending.
+ */
+export const isItemPending = (
+	state: WishlistState,
+	productId: number
+): boolean => {
+	return state.itemsPending.includes( productId );
+};
+
+/**
+ * Retrieves wishlist errors from state.
+ *
+ * @param {WishlistState} state The current state.
+ * @return {Array<ResponseError>} Array of errors.
+ */
+export const getWishlistErrors = (
+	state: WishlistState
+): Array< ResponseError > => {
+	return state.errors;
+};
@@ -0,0 +1,70 @@
+/**
+ * External dependencies
+ */
+import type { WishlistItem } from '@woocommerce/types';
+
+/**
+ * Internal dependencies
+ */
+import { GUEST_WISHLIST_STORAGE_KEY } from './constants';
+
+/**
+ * Get the wishlist kept in local storage by guests.
+ *
+ * @return {Array<WishlistItem>} Wishlist items, invalid items are left out.
+ */
+export const getGuestWishlist = (): Array< WishlistItem > => {
+	try {
+		const items = JSON.parse(
+			window.localStorage.getItem( GUEST_WISHLIST_STORAGE_KEY ) || '[]'
+		);
+
+		return Array.isArray( items )
+			? items
+					.filter( ( item ) => item && parseInt( item.id, 10 ) > 0 )
+					.map( ( item ) => ( {
+						id: parseInt( item.id, 10 ),
+						added: String( item.added || '' ),
+						addedPrice: String( item.addedPrice || '' ),
+					} ) )
+			: [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Save the wishlist of a guest to local storage. An empty wishlist removes the
+ * stored one.
+ *
+ * @param {Array<WishlistItem>} items Wishlist items.
+ */
+export const setGuestWishlist = ( items: Array< WishlistItem > ): void => {
+	try {
+		if ( items.length ) {
+			window.localStorage.setItem(
+				GUEST_WISHLIST_STORAGE_KEY,
+				JSON.stringify( items )
+			);
+		} else {
+			window.localStorage.removeItem( GUEST_WISHLIST_STORAGE_KEY );
+		}
+	} catch {
+		// Storage may be full or disabled, the wishlist then lasts until the page is left.
+	}
+};
+
+/**
+ * Run a callback when the guest wishlist changes in another tab.
+ *
+ * @param {Function} callback Receives the wishlist items.
+ */
+export const onGuestWishlistUpdatedInAnotherTab = (
+	callback: ( items: Array< WishlistItem > ) => void
+): void => {
+	window.addEventListener( 'storage', ( event ) => {
+		if ( event.key === GUEST_WISHLIST_STORAGE_KEY ) {
+			callback( getGuestWishlist() );
+		}
+	} );
+};
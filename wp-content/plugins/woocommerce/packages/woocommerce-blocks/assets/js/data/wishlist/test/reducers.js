@@ -0,0 +1,74 @@
+/**
+ * External dependencies
+ */
+import deepFreeze from 'deep-freeze';
+
+/**
+ * Internal dependencies
+ */
+import wishlistReducer from '../reducers';
+import { ACTION_TYPES as types } from '../action-types';
+
+describe( 'wishlistReducer', () => {
+	const originalState = deepFreeze( {
+		items: [ { id: 12, added: '2021-01-01T10:00:00', addedPrice: '1500' } ],
+		itemsPending: [],
+		errors: [
+			{
+				code: '100',
+				message: 'Test Error',
+				data: {},
+			},
+		],
+	} );
+
+	it( 'sets expected state when the wishlist is received', () => {
+		const items = [
+			{ id: 12, added: '2021-01-01T10:00:00', addedPrice: '1500' },
+			{ id: 13, added: '2021-01-02T10:00:00', addedPrice: '900' },
+		];
+		const newState = wishlistReducer( originalState, {
+			type: types.RECEIVE_WISHLIST,
+			items,
+		} );
+
+		expect( newState ).not.toBe( originalState );
+		expect( newState.items ).toEqual( items );
+		expect( newState.errors ).toEqual( [] );
+	} );
+
+	it( 'sets expected state when errors are received', () => {
+		const newState = wishlistReducer( originalState, {
+			type: types.RECEIVE_ERROR,
+			error: {
+				code: '101',
+				message: 'Test Error',
+				data: {},
+			},
+		} );
+
+		expect( newState.errors ).toHaveLength( 2 );
+		expect( newState.items ).toBe( originalState.items );
+	} );
+
+	it( 'tracks the products with pending requests', () => {
+		let state = wishlistReducer( originalState, {
+			type: types.ITEM_PENDING,
+			productId: 12,
+			isPending: true,
+		} );
+		state = wishlistReducer( state, {
+			type: types.ITEM_PENDING,
+			productId: 12,
+			isPending: true,
+		} );
+		expect( state.itemsPending ).toEqual( [ 12 ] );
+
+		state = wishlistReducer( state, {
+			type: types.ITEM_PENDING,
+			productId: 12,
+			isPending: false,
+		} );
+		expect( state.itemsPending ).toEqual( [] );
+	} );
+} );
@@ -0,0 +1,86 @@
+/**
+ * External dependencies
+ */
+import { apiFetch } from '@wordpress/data-controls';
+
+/**
+ * Internal dependencies
+ */
+import { getWishlistItems } from '../resolvers';
+import { receiveWishlist, receiveError } from '../actions';
+import { WISHLIST_API_ERROR } from '../constants';
+import { getGuestWishlist, setGuestWishlist } from '../storage';
+
+jest.mock( '@wordpress/data-controls' );
+jest.mock( '@woocommerce/settings', () => ( {
+	...jest.requireActual( '@woocommerce/settings' ),
+	CURRENT_USER_IS_LOGGED_IN: true,
+} ) );
+
+const guestItem = {
+	id: 12,
+	added: '2021-01-01T10:00:00.000Z',
+	addedPrice: '1500',
+};
+
+describe( 'getWishlistItems', () => {
+	beforeEach( () => {
+		window.localStorage.clear();
+		apiFetch.mockClear();
+	} );
+
+	it( 'fetches the saved wishlist', () => {
+		const fulfillment = getWishlistItems();
+
+		fulfillment.next();
+		expect( apiFetch ).toHaveBeenCalledWith(
+			expect.objectContaining( { path: '/wc/store/wishlist' } )
+		);
+		const { value } = fulfillment.next( {
+			items: [
+				{ id: 13, added: '2021-01-02T10:00:00', added_price: '900' },
+			],
+			items_count: 1,
+		} );
+		expect( value ).toEqual(
+			receiveWishlist( [
+				{ id: 13, added: '2021-01-02T10:00:00', addedPrice: '900' },
+			] )
+		);
+		expect( fulfillment.next().done ).toBe( true );
+	} );
+
+	it( 'merges the guest wishlist and removes it from local storage', () => {
+		setGuestWishlist( [ guestItem ] );
+		const fulfillment = getWishlistItems();
+
+		fulfillment.next();
+		expect( apiFetch ).toHaveBeenCalledWith(
+			expect.objectContaining( {
+				path: '/wc/store/wishlist/merge',
+				method: 'POST',
+				data: {
+					items: [
+						{
+							id: 12,
+							added: guestItem.added,
+							added_price: '1500',
+						},
+					],
+				},
+			} )
+		);
+		fulfillment.next( { items: [], items_count: 0 } );
+		expect( getGuestWishlist() ).toEqual( [] );
+	} );
+
+	it( 'keeps the guest wishlist when the request fails', () => {
+		setGuestWishlist( [ guestItem ] );
+		const fulfillment = getWishlistItems();
+
+		fulfillment.next();
+		const { value } = fulfillment.next( undefined );
+		expect( value ).toEqual( receiveError( WISHLIST_API_ERROR ) );
+		expect( getGuestWishlist() ).toEqual( [ guestItem ] );
+	} );
+} );
@@ -0,0 +1,38 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getWishlistItems,
+	getWishlistItemsCount,
+	getWishlistItem,
+	isInWishlist,
+	isItemPending,
+} from '../selectors';
+
+const state = {
+	items: [
+		{ id: 12, added: '2021-01-01T10:00:00', addedPrice: '1500' },
+		{ id: 13, added: '2021-01-02T10:00:00', addedPrice: '900' },
+	],
+	itemsPending: [ 13 ],
+	errors: [],
+};
+
+describe( 'wishlist selectors', () => {
+	it( 'returns the wishlist items and their count', () => {
+		expect( getWishlistItems( state ) ).toBe( state.items );
+		expect( getWishlistItemsCount( state ) ).toBe( 2 );
+	} );
+
+	it( 'finds the item of a product', () => {
+		expect( getWishlistItem( state, 13 ) ).toBe( state.items[ 1 ] );
+		expect( getWishlistItem( state, 14 ) ).toBeUndefined();
+		expect( isInWishlist( state, 12 ) ).toBe( true );
+		expect( isInWishlist( state, 14 ) ).toBe( false );
+	} );
+
+	it( 'returns whether a request for a product is pending', () => {
+		expect( isItemPending( state, 13 ) ).toBe( true );
+		expect( isItemPending( state, 12 ) ).toBe( false );
+	} );
+} );
@@ -0,0 +1,59 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getGuestWishlist,
+	setGuestWishlist,
+	onGuestWishlistUpdatedInAnotherTab,
+} from '../storage';
+import { GUEST_WISHLIST_STORAGE_KEY } from '../constants';
+
+describe( 'guest wishlist storage', () => {
+	beforeEach( () => {
+		window.localStorage.clear();
+	} );
+
+	it( 'returns an empty wishlist for missing or invalid data', () => {
+		expect( getGuestWishlist() ).toEqual( [] );
+		window.localStorage.setItem( GUEST_WISHLIST_STORAGE_KEY, '{not json' );
+		expect( getGuestWishlist() ).toEqual( [] );
+		window.localStorage.setItem(
+			GUEST_WISHLIST_STORAGE_KEY,
+			'[{"id":"12","addedPrice":"1500"},{"id":0},null,"abc"]'
+		);
+		expect( getGuestWishlist() ).toEqual( [
+			{ id: 12, added: '', addedPrice: '1500' },
+		] );
+	} );
+
+	it( 'saves the wishlist and removes it once empty', () => {
+		const items = [
+			{ id: 12, added: '2021-01-01T10:00:00.000Z', addedPrice: '1500' },
+		];
+
+		setGuestWishlist( items );
+		expect( getGuestWishlist() ).toEqual( items );
+
+		setGuestWishlist( [] );
+		expect(
+			window.localStorage.getItem( GUEST_WISHLIST_STORAGE_KEY )
+		).toBeNull();
+	} );
+
+	it( 'notifies about changes made in other tabs', () => {
+		const callback = jest.fn();
+
+		onGuestWishlistUpdatedInAnotherTab( callback );
+		window.dispatchEvent(
+			new window.StorageEvent( 'storage', { key: 'another_key' } )
+		);
+		expect( callback ).not.toHaveBeenCalled();
+
+		window.dispatchEvent(
+			new window.StorageEvent( 'storage', {
+				key: GUEST_WISHLIST_STORAGE_KEY,
+			} )
+		);
+		expect( callback ).toHaveBeenCalledWith( [] );
+	} );
+} );
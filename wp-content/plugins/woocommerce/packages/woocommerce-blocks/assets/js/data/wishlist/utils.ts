@@ -0,0 +1,39 @@
+/**
+ * External dependencies
+ */
+import type {
+	WishlistItem,
+	WishlistResponse,
+	WishlistResponseItem,
+} from '@woocommerce/types';
+
+/**
+ * Convert the wishlist returned by the API into store items.
+ *
+ * @param {WishlistResponse} response Wishlist API response.
+ * @return {Array<WishlistItem>} Wishlist items.
+ */
+export const getItemsFromResponse = (
+	response: WishlistResponse
+): Array< WishlistItem > =>
+	response.items.map( ( item ) => ( {
+		id: item.id,
+		added: item.added,
+		addedPrice: item.added_price,
+	} ) );
+
+/**
+ * Convert store items into the format accepted by the API.
+ *
+ * @param {Array<WishlistItem>} items Wishlist items.
+ * @return {Array<WishlistResponseItem>} Items to send to the API.
+ */
+export const getResponseItems = (
+	items: Array< WishlistItem >
+): Array< WishlistResponseItem > =>
+	items.map( ( item ) => ( {
+		id: item.id,
+		added: item.added,
+		// eslint-disable-next-line camelcase
+		added_price: item.addedPrice,
+	} ) );
@@ -0,0 +1,129 @@
+/**
+ * Internal dependencies
+ */
+import { getSessionId } from '../utils';
+import type { AnalyticsAdapter, AnalyticsEvent } from '../types';
+
+/**
+ * Events are sent together once no new event was tracked for this long, in ms,
+ * or when the page is hidden.
+ */
+const FLUSH_DELAY = 2000;
+
+/**
+ * Limits of the analytics/events route: events per request and items per
+ * event.
+ */
+const MAX_EVENTS = 10;
+const MAX_ITEMS = 25;
+
+/**
+ * Events stored for the funnel reports. Errors are left out as notices can
+ * contain customer data.
+ */
+const storedEvents: AnalyticsEvent[ 'name' ][] = [
+	'view_item_list',
+	'view_item',
+	'add_to_cart',
+	'remove_from_cart',
+	'begin_checkout',
+	'checkout_progress',
+	'add_shipping_info',
+	'add_payment_info',
+	'purchase',
+	'search',
+];
+
+/**
+ * Format an event for the analytics/events route of the Store API.
+ *
+ * @param {AnalyticsEvent} event     Event to format.
+ * @param {string}         sessionId Session id.
+ */
+export const getFirstPartyEvent = (
+	event: AnalyticsEvent,
+	sessionId: string
+): Record< string, unknown > => ( {
+	name: event.name,
+	session_id: sessionId,
+	items: event.items.slice( 0, MAX_ITEMS ).map( ( item ) => ( {
+		product_id: item.id,
+		quantity: item.quantity || 1,
+		price: item.price,
+	} ) ),
+	value: event.value,
+	currency: event.currency,
+	step: event.step,
+	order_id: event.orderId,
+} );
+
+/**
+ * Create an adapter storing events in the store database, through the Store
+ * API. Requests are sent with keepalive so events tracked right before leaving
+ * the page are not lost.
+ *
+ * @param {string} endpoint URL of the analytics/events route.
+ * @param {string} nonce    Store API nonce.
+ */
+export const createFirstPartyAdapter = (
+	endpoint: string,
+	nonce: string
+): AnalyticsAdapter => {
+	let queue: Record< string, unknown >[] = [];
+	let timeoutId: ReturnType< typeof setTimeout > | undefined;
+
+	const flush = () => {
+		if ( timeoutId ) {
+			clearTimeout( timeoutId );
+			timeoutId = undefined;
+		}
+		if ( ! queue.length ) {
+			return;
+		}
+
+		const body = JSON.stringify( { events: queue } );
+		queue = [];
+
+		// sendBeacon cannot send the nonce header.
+		window
+			.fetch( endpoint, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'X-WC-Store-API-Nonce': nonce,
+				},
+				credentials: 'same-origin',
+				keepalive: true,
+				body,
+			} )
+			.catch( () => undefined );
+	};
+
+	document.addEventListener( 'visibilitychange', () => {
+		if ( document.hidden ) {
+			flush();
+		}
+	} );
+	window.addEventListener( 'pagehide', flush );
+
+	return {
+		name: 'first-party',
+		consentCategory: 'analytics',
+		track: ( event ) => {
+			if ( ! storedEvents.includes( event.name ) ) {
+				return;
+			}
+			queue.push( getFirstPartyEvent( event, getSessionId() ) );
+
+			if ( queue.length >= MAX_EVENTS ) {
+				flush();
+				return;
+			}
+
+			if ( timeoutId ) {
+				clearTimeout( timeoutId );
+			}
+			timeoutId = setTimeout( flush, FLUSH_DELAY );
+		},
+	};
+};
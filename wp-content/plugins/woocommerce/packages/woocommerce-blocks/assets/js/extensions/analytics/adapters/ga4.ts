@@ -0,0 +1,110 @@
+/**
+ * Internal dependencies
+ */
+import { getItemsValue } from '../utils';
+import type { AnalyticsAdapter, AnalyticsEvent, AnalyticsItem } from '../types';
+
+/**
+ * Format an item using the GA4 items schema.
+ *
+ * @see https://developers.google.com/analytics/devguides/collection/ga4/reference/events#add_to_cart_item
+ */
+const getGa4Item = ( item: AnalyticsItem ): Gtag.CustomParams => ( {
+	item_id: item.sku || '#' + item.id,
+	item_name: item.name,
+	item_category: item.category,
+	price: item.price,
+	quantity: item.quantity,
+	item_list_name: item.listName,
+	index: item.position,
+} );
+
+/**
+ * Get the gtag event name and parameters of an event, or null for events GA4
+ * has no use for.
+ *
+ * @param {AnalyticsEvent} event Event to format.
+ */
+export const getGa4Event = (
+	event: AnalyticsEvent
+): [ string, Gtag.CustomParams ] | null => {
+	const items = event.items.map( getGa4Item );
+	const ecommerce = {
+		currency: event.currency,
+		value: event.value ?? getItemsValue( event.items ),
+		items,
+	};
+
+	switch ( event.name ) {
+		case 'view_item_list':
+			return [
+				'view_item_list',
+				{ item_list_name: event.items[ 0 ]?.listName, items },
+			];
+		case 'select_item':
+			return [
+				'select_item',
+				{ item_list_name: event.items[ 0 ]?.listName, items },
+			];
+		case 'view_item':
+		case 'add_to_cart':
+		case 'remove_from_cart':
+			return [ event.name, ecommerce ];
+		case 'change_cart_quantity':
+			return [ 'change_cart_quantity', { items } ];
+		case 'begin_checkout':
+			return [ 'begin_checkout', { ...ecommerce, coupon: event.coupon } ];
+		case 'add_shipping_info':
+			return [
+				'add_shipping_info',
+				{ ...ecommerce, shipping_tier: event.option },
+			];
+		case 'add_payment_info':
+			return [
+				'add_payment_info',
+				{ ...ecommerce, payment_type: event.option },
+			];
+		case 'purchase':
+			return [
+				'purchase',
+				{
+					...ecommerce,
+					transaction_id: event.transactionId,
+					tax: event.tax,
+					shipping: event.shipping,
+					coupon: event.coupon,
+				},
+			];
+		case 'search':
+			return [ 'search', { search_term: event.searchTerm } ];
+		case 'exception':
+			return [
+				'exception',
+				{ description: event.description, fatal: false },
+			];
+	}
+	return null;
+};
+
+/**
+ * Sends events to Google Analytics 4 through gtag.
+ */
+export const ga4Adapter: AnalyticsAdapter = {
+	name: 'ga4',
+	consentCategory: 'analytics',
+	track: ( event ) => {
+		const ga4Event = getGa4Event( event );
+
+		if ( ! ga4Event || typeof window.gtag !== 'function' ) {
+			return;
+		}
+		window.gtag( 'event', ...ga4Event );
+	},
+	setConsent: ( granted ) => {
+		if ( typeof window.gtag === 'function' ) {
+			window.gtag( 'consent', 'update', {
+				analytics_storage: granted ? 'granted' : 'denied',
+			} );
+		}
+	},
+};
@@ -0,0 +1,76 @@
+/**
+ * Internal dependencies
+ */
+import { getItemsValue } from '../utils';
+import type { AnalyticsAdapter, AnalyticsEvent } from '../types';
+
+const eventNames: Partial< Record< AnalyticsEvent[ 'name' ], string > > = {
+	view_item: 'ViewContent',
+	add_to_cart: 'AddToCart',
+	begin_checkout: 'InitiateCheckout',
+	add_payment_info: 'AddPaymentInfo',
+	purchase: 'Purchase',
+	search: 'Search',
+};
+
+/**
+ * Get the standard event name and parameters of an event, or null for events
+ * the pixel has no standard event for.
+ *
+ * @see https://developers.facebook.com/docs/meta-pixel/reference#standard-events
+ *
+ * @param {AnalyticsEvent} event Event to format.
+ */
+export const getMetaPixelEvent = (
+	event: AnalyticsEvent
+): [ string, Record< string, unknown > ] | null => {
+	const eventName = eventNames[ event.name ];
+
+	if ( ! eventName ) {
+		return null;
+	}
+
+	if ( event.name === 'search' ) {
+		return [ eventName, { search_string: event.searchTerm } ];
+	}
+
+	return [
+		eventName,
+		{
+			content_type: 'product',
+			content_ids: event.items.map( ( item ) => item.sku || item.id ),
+			contents: event.items.map( ( item ) => ( {
+				id: item.sku || item.id,
+				quantity: item.quantity || 1,
+				item_price: item.price,
+			} ) ),
+			num_items: event.items.reduce(
+				( total, item ) => total + ( item.quantity || 1 ),
+				0
+			),
+			value: event.value ?? getItemsValue( event.items ),
+			currency: event.currency,
+		},
+	];
+};
+
+/**
+ * Sends events to a Meta Pixel style fbq function.
+ */
+export const metaPixelAdapter: AnalyticsAdapter = {
+	name: 'meta-pixel',
+	consentCategory: 'marketing',
+	track: ( event ) => {
+		const pixelEvent = getMetaPixelEvent( event );
+
+		if ( ! pixelEvent || typeof window.fbq !== 'function' ) {
+			return;
+		}
+		window.fbq( 'track', ...pixelEvent );
+	},
+	setConsent: ( granted ) => {
+		if ( typeof window.fbq === 'function' ) {
+			window.fbq( 'consent', granted ? 'grant' : 'revoke' );
+		}
+	},
+};
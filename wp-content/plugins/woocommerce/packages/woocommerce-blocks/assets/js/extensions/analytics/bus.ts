@@ -0,0 +1,89 @@
+/**
+ * Internal dependencies
+ */
+import type {
+	AnalyticsAdapter,
+	AnalyticsEvent,
+	Consent,
+	ConsentCategory,
+} from './types';
+
+const adapters: AnalyticsAdapter[] = [];
+
+let requireConsent = false;
+let consent: Consent = {};
+
+/**
+ * Whether events can be sent to adapters of a consent category.
+ *
+ * @param {string} category Consent category.
+ */
+export const hasConsent = ( category: ConsentCategory ): boolean =>
+	! requireConsent || consent[ category ] === true;
+
+/**
+ * Register an adapter. It receives the events tracked from then on.
+ *
+ * @param {AnalyticsAdapter} adapter Adapter to register.
+ */
+export const registerAdapter = ( adapter: AnalyticsAdapter ): void => {
+	if ( adapters.some( ( { name } ) => name === adapter.name ) ) {
+		return;
+	}
+	adapters.push( adapter );
+	adapter.setConsent?.( hasConsent( adapter.consentCategory ) );
+};
+
+/**
+ * Get the names of the registered adapters.
+ */
+export const getAdapterNames = (): string[] =>
+	adapters.map( ( { name } ) => name );
+
+/**
+ * Set whether events are held back until the shopper consents.
+ *
+ * @param {boolean} required True if consent is required.
+ */
+export const setRequireConsent = ( required: boolean ): void => {
+	requireConsent = required;
+	adapters.forEach( ( adapter ) =>
+		adapter.setConsent?.( hasConsent( adapter.consentCategory ) )
+	);
+};
+
+/**
+ * Update the consent of the shopper. Categories left out keep their value.
+ *
+ * Events tracked without consent are dropped rather than sent later.
+ *
+ * @param {Consent} updated Consent by category.
+ */
+export const setConsent = ( updated: Consent ): void => {
+	consent = { ...consent, ...updated };
+	adapters.forEach( ( adapter ) =>
+		adapter.setConsent?.( hasConsent( adapter.consentCategory ) )
+	);
+};
+
+/**
+ * Send an event to every adapter the shopper consented to.
+ *
+ * An adapter throwing, e.g. because its script was blocked, does not stop the
+ * event from reaching the others.
+ *
+ * @param {AnalyticsEvent} event Event to send.
+ */
+export const trackEvent = ( event: AnalyticsEvent ): void => {
+	adapters.forEach( ( adapter ) => {
+		if ( ! hasConsent( adapter.consentCategory ) ) {
+			return;
+		}
+		try {
+			adapter.track( event );
+		} catch ( e ) {
+			// eslint-disable-next-line no-console
+			console.error( e );
+		}
+	} );
+};
@@ -0,0 +1,10 @@
+export const namespace = 'woocommerce-blocks-analytics';
+export const actionPrefix = 'experimental__woocommerce_blocks';
+
+/**
+ * Action other scripts, such as a cookie banner, call with the categories the
+ * shopper agreed to, e.g. `{ analytics: true, marketing: false }`.
+ */
+export const consentAction = 'woocommerce_blocks_analytics_set_consent';
+
+export const sessionStorageKey = 'wc_blocks_analytics_session';
@@ -0,0 +1,319 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { addAction } from '@wordpress/hooks';
+import { getSetting } from '@woocommerce/settings';
+import type {
+	ProductResponseItem,
+	CartResponseItem,
+	StoreCart,
+} from '@woocommerce/types';
+
+/**
+ * Internal dependencies
+ */
+import { namespace, actionPrefix, consentAction } from './constants';
+import {
+	registerAdapter,
+	setConsent,
+	setRequireConsent,
+	trackEvent,
+} from './bus';
+import { ga4Adapter } from './adapters/ga4';
+import { metaPixelAdapter } from './adapters/meta-pixel';
+import { createFirstPartyAdapter } from './adapters/first-party';
+import { getCartData, getItem } from './utils';
+import type { AnalyticsSettings, Consent } from './types';
+
+const settings = getSetting( 'analytics', {
+	requireConsent: false,
+	adapters: {
+		ga4: { enabled: false, measurementId: '' },
+		metaPixel: { enabled: false, pixelId: '' },
+		firstParty: { enabled: false, endpoint: '', nonce: '' },
+	},
+	purchase: null,
+} ) as AnalyticsSettings;
+
+setRequireConsent( settings.requireConsent );
+addAction( consentAction, namespace, ( consent: Consent ) =>
+	setConsent( consent )
+);
+
+// The consent banner may have run before this script was loaded.
+if ( window.wcCookieConsent ) {
+	setConsent( {
+		analytics: window.wcCookieConsent.has( 'analytics' ),
+		marketing: window.wcCookieConsent.has( 'marketing' ),
+	} );
+}
+
+if ( settings.adapters.ga4.enabled ) {
+	registerAdapter( ga4Adapter );
+}
+if ( settings.adapters.metaPixel.enabled ) {
+	registerAdapter( metaPixelAdapter );
+}
+if ( settings.adapters.firstParty.enabled ) {
+	registerAdapter(
+		createFirstPartyAdapter(
+			settings.adapters.firstParty.endpoint,
+			settings.adapters.firstParty.nonce
+		)
+	);
+}
+
+let currentStep = -1;
+let activePaymentMethod = '';
+
+/**
+ * Track customer progress through steps of the checkout. Triggers the event when the step changes:
+ * 	0 - Checkout form rendered (begin_checkout)
+ * 	1 - Contact information
+ * 	2 - Shipping address
+ * 	3 - Billing address
+ *
+ * @param {number} step Checkout step.
+ */
+const trackCheckoutStep = ( step: number ) => ( {
+	storeCart,
+}: {
+	storeCart: StoreCart;
+} ): void => {
+	if ( currentStep === step ) {
+		return;
+	}
+	currentStep = step;
+	trackEvent( {
+		name: step === 0 ? 'begin_checkout' : 'checkout_progress',
+		...getCartData( storeCart ),
+		step,
+	} );
+};
+
+addAction(
+	`${ actionPrefix }-checkout-render-checkout-form`,
+	namespace,
+	trackCheckoutStep( 0 )
+);
+addAction(
+	`${ actionPrefix }-checkout-set-email-address`,
+	namespace,
+	trackCheckoutStep( 1 )
+);
+addAction(
+	`${ actionPrefix }-checkout-set-shipping-address`,
+	namespace,
+	trackCheckoutStep( 2 )
+);
+addAction(
+	`${ actionPrefix }-checkout-set-billing-address`,
+	namespace,
+	trackCheckoutStep( 3 )
+);
+addAction(
+	`${ actionPrefix }-checkout-set-phone-number`,
+	namespace,
+	( { step, ...rest }: { step: string; storeCart: StoreCart } ): void => {
+		trackCheckoutStep( step === 'shipping' ? 2 : 3 )( rest );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-checkout-set-selected-shipping-rate`,
+	namespace,
+	( {
+		shippingRateId,
+		storeCart,
+	}: {
+		shippingRateId: string;
+		storeCart: StoreCart;
+	} ): void => {
+		trackEvent( {
+			name: 'add_shipping_info',
+			...getCartData( storeCart ),
+			step: 4,
+			option: shippingRateId,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-checkout-set-active-payment-method`,
+	namespace,
+	( { paymentMethodSlug }: { paymentMethodSlug: string } ): void => {
+		activePaymentMethod = paymentMethodSlug;
+	}
+);
+
+/**
+ * The payment method is sent with the checkout, rather than each time the
+ * shopper picks one.
+ */
+addAction(
+	`${ actionPrefix }-checkout-submit`,
+	namespace,
+	( { storeCart }: { storeCart: StoreCart } ): void => {
+		trackEvent( {
+			name: 'add_payment_info',
+			...getCartData( storeCart ),
+			step: 5,
+			option: activePaymentMethod,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-cart-add-item`,
+	namespace,
+	( {
+		product,
+		quantity = 1,
+	}: {
+		product: ProductResponseItem;
+		quantity: number;
+	} ): void => {
+		trackEvent( {
+			name: 'add_to_cart',
+			items: [ getItem( product, quantity ) ],
+			currency: product.prices.currency_code,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-cart-remove-item`,
+	namespace,
+	( {
+		product,
+		quantity = 1,
+	}: {
+		product: CartResponseItem;
+		quantity: number;
+	} ): void => {
+		trackEvent( {
+			name: 'remove_from_cart',
+			items: [ getItem( product, quantity ) ],
+			currency: product.prices.currency_code,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-cart-set-item-quantity`,
+	namespace,
+	( {
+		product,
+		quantity = 1,
+	}: {
+		product: CartResponseItem;
+		quantity: number;
+	} ): void => {
+		trackEvent( {
+			name: 'change_cart_quantity',
+			items: [ getItem( product, quantity ) ],
+			currency: product.prices.currency_code,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-product-list-render`,
+	namespace,
+	( {
+		products,
+		listName = __( 'Product List', 'woocommerce' ),
+	}: {
+		products: Array< ProductResponseItem >;
+		listName: string;
+	} ): void => {
+		if ( products.length === 0 ) {
+			return;
+		}
+		trackEvent( {
+			name: 'view_item_list',
+			items: products.map( ( product, index ) => ( {
+				...getItem( product ),
+				listName,
+				position: index + 1,
+			} ) ),
+			currency: products[ 0 ].prices.currency_code,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-product-view-link`,
+	namespace,
+	( {
+		product,
+		listName,
+	}: {
+		product: ProductResponseItem;
+		listName: string;
+	} ): void => {
+		trackEvent( {
+			name: 'select_item',
+			items: [ { ...getItem( product ), listName } ],
+			currency: product.prices.currency_code,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-product-search`,
+	namespace,
+	( { searchTerm }: { searchTerm: string } ): void => {
+		trackEvent( {
+			name: 'search',
+			items: [],
+			searchTerm,
+		} );
+	}
+);
+
+addAction(
+	`${ actionPrefix }-product-render`,
+	namespace,
+	( {
+		product,
+		listName,
+	}: {
+		product: ProductResponseItem;
+		listName: string;
+	} ): void => {
+		if ( product ) {
+			trackEvent( {
+				name: 'view_item',
+				items: [ { ...getItem( product ), listName } ],
+				currency: product.prices.currency_code,
+			} );
+		}
+	}
+);
+
+addAction(
+	`${ actionPrefix }-store-notice-create`,
+	namespace,
+	( { status, content }: { status: string; content: string } ): void => {
+		if ( status === 'error' ) {
+			trackEvent( {
+				name: 'exception',
+				items: [],
+				description: content,
+			} );
+		}
+	}
+);
+
+/**
+ * Purchase, sent from the order received page. The store only adds the order
+ * the first time the page is shown.
+ */
+if ( settings.purchase ) {
+	trackEvent( {
+		name: 'purchase',
+		...settings.purchase,
+	} );
+}
@@ -0,0 +1,73 @@
+/**
+ * Internal dependencies
+ */
+import { getGa4Event } from '../adapters/ga4';
+import { getMetaPixelEvent } from '../adapters/meta-pixel';
+
+const item = {
+	id: 12,
+	sku: 'ADV160',
+	name: 'ADV 160',
+	category: 'Scooter',
+	price: 36000000,
+	quantity: 2,
+};
+
+describe( 'getGa4Event', () => {
+	it( 'uses the GA4 items schema', () => {
+		expect(
+			getGa4Event( {
+				name: 'add_to_cart',
+				items: [ item ],
+				currency: 'IDR',
+			} )
+		).toEqual( [
+			'add_to_cart',
+			{
+				currency: 'IDR',
+				value: 72000000,
+				items: [
+					{
+						item_id: 'ADV160',
+						item_name: 'ADV 160',
+						item_category: 'Scooter',
+						price: 36000000,
+						quantity: 2,
+						item_list_name: undefined,
+						index: undefined,
+					},
+				],
+			},
+		] );
+	} );
+} );
+
+describe( 'getMetaPixelEvent', () => {
+	it( 'maps purchases to the Purchase event', () => {
+		expect(
+			getMetaPixelEvent( {
+				name: 'purchase',
+				items: [ item ],
+				value: 72500000,
+				currency: 'IDR',
+			} )
+		).toEqual( [
+			'Purchase',
+			{
+				content_type: 'product',
+				content_ids: [ 'ADV160' ],
+				contents: [
+					{ id: 'ADV160', quantity: 2, item_price: 36000000 },
+				],
+				num_items: 2,
+				value: 72500000,
+				currency: 'IDR',
+			},
+		] );
+	} );
+	it( 'ignores events without a standard event', () => {
+		expect(
+			getMetaPixelEvent( { name: 'view_item_list', items: [ item ] } )
+		).toBeNull();
+	} );
+} );
@@ -0,0 +1,59 @@
+/**
+ * Internal dependencies
+ */
+import {
+	registerAdapter,
+	setConsent,
+	setRequireConsent,
+	trackEvent,
+} from '../bus';
+
+const event = { name: 'add_to_cart', items: [] };
+
+describe( 'analytics bus', () => {
+	const analytics = {
+		name: 'analytics',
+		consentCategory: 'analytics',
+		track: jest.fn(),
+		setConsent: jest.fn(),
+	};
+	const marketing = {
+		name: 'marketing',
+		consentCategory: 'marketing',
+		track: jest.fn( () => {
+			throw new Error( 'Blocked' );
+		} ),
+	};
+
+	beforeAll( () => {
+		registerAdapter( analytics );
+		registerAdapter( marketing );
+		registerAdapter( { ...analytics, track: jest.fn() } );
+		jest.spyOn( console, 'error' ).mockImplementation( () => null );
+	} );
+	beforeEach( () => {
+		analytics.track.mockClear();
+		marketing.track.mockClear();
+	} );
+
+	it( 'sends events to every adapter when consent is not required', () => {
+		trackEvent( event );
+		expect( analytics.track ).toHaveBeenCalledWith( event );
+		expect( marketing.track ).toHaveBeenCalledWith( event );
+	} );
+
+	it( 'drops events until the shopper consents to the category', () => {
+		setRequireConsent( true );
+		expect( analytics.setConsent ).toHaveBeenLastCalledWith( false );
+
+		trackEvent( event );
+		expect( analytics.track ).not.toHaveBeenCalled();
+
+		setConsent( { analytics: true } );
+		expect( analytics.setConsent ).toHaveBeenLastCalledWith( true );
+
+		trackEvent( event );
+		expect( analytics.track ).toHaveBeenCalledTimes( 1 );
+		expect( marketing.track ).not.toHaveBeenCalled();
+	} );
+} );
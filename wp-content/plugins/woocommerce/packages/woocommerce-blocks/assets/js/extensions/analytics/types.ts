@@ -0,0 +1,93 @@
+/**
+ * Product data shared by all adapters. Prices are in major units, e.g. 1.5
+ * rather than 150.
+ */
+export interface AnalyticsItem {
+	id: number;
+	sku: string;
+	name: string;
+	category: string;
+	price: number;
+	quantity?: number;
+	listName?: string;
+	position?: number;
+}
+
+export type AnalyticsEventName =
+	| 'view_item_list'
+	| 'select_item'
+	| 'view_item'
+	| 'search'
+	| 'add_to_cart'
+	| 'remove_from_cart'
+	| 'change_cart_quantity'
+	| 'begin_checkout'
+	| 'checkout_progress'
+	| 'add_shipping_info'
+	| 'add_payment_info'
+	| 'purchase'
+	| 'exception';
+
+/**
+ * A store event, before an adapter turns it into the format its service
+ * expects.
+ */
+export interface AnalyticsEvent {
+	name: AnalyticsEventName;
+	items: AnalyticsItem[];
+	value?: number;
+	currency?: string;
+	coupon?: string;
+	step?: number;
+	option?: string;
+	searchTerm?: string;
+	transactionId?: string;
+	orderId?: number;
+	tax?: number;
+	shipping?: number;
+	description?: string;
+}
+
+export type ConsentCategory = 'analytics' | 'marketing';
+
+export type Consent = Partial< Record< ConsentCategory, boolean > >;
+
+export interface AnalyticsAdapter {
+	name: string;
+	// Events are only sent once the shopper agreed to this category.
+	consentCategory: ConsentCategory;
+	track: ( event: AnalyticsEvent ) => void;
+	// Called when consent for the adapter's category is granted or withdrawn.
+	setConsent?: ( granted: boolean ) => void;
+}
+
+export interface PurchaseData {
+	transactionId: string;
+	orderId: number;
+	value: number;
+	tax: number;
+	shipping: number;
+	currency: string;
+	coupon: string;
+	items: AnalyticsItem[];
+}
+
+export interface AnalyticsSettings {
+	requireConsent: boolean;
+	adapters: {
+		ga4: { enabled: boolean; measurementId: string };
+		metaPixel: { enabled: boolean; pixelId: string };
+		firstParty: { enabled: boolean; endpoint: string; nonce: string };
+	};
+	purchase: PurchaseData | null;
+}
+
+declare global {
+	interface Window {
+		fbq?: ( ...args: unknown[] ) => void;
+		// Set by the WooCommerce cookie consent banner.
+		wcCookieConsent?: {
+			has: ( category: string ) => boolean;
+		};
+	}
+}
@@ -0,0 +1,108 @@
+/**
+ * External dependencies
+ */
+import type {
+	ProductResponseItem,
+	CartResponseItem,
+	StoreCart,
+} from '@woocommerce/types';
+
+/**
+ * Internal dependencies
+ */
+import { sessionStorageKey } from './constants';
+import type { AnalyticsItem } from './types';
+
+/**
+ * Convert a price in minor units, as returned by the Store API, to a number.
+ *
+ * @param {string} price      Price in minor units.
+ * @param {number} minorUnit  Number of decimals of the currency.
+ */
+export const formatPrice = ( price: string, minorUnit: number ): number =>
+	parseInt( price, 10 ) / 10 ** minorUnit;
+
+/**
+ * Get the item data of a product or cart item.
+ *
+ * @param {Object} product  Product or cart item.
+ * @param {number} quantity Quantity, if any.
+ */
+export const getItem = (
+	product: ProductResponseItem | CartResponseItem,
+	quantity?: number
+): AnalyticsItem => ( {
+	id: product.id,
+	sku: product.sku,
+	name: product.name,
+	category:
+		'categories' in product && product.categories.length
+			? product.categories[ 0 ].name
+			: '',
+	price: formatPrice(
+		product.prices.price,
+		product.prices.currency_minor_unit
+	),
+	quantity,
+} );
+
+/**
+ * Get the items, value and coupon of the cart.
+ *
+ * @param {StoreCart} storeCart Cart from useStoreCart.
+ */
+export const getCartData = (
+	storeCart: StoreCart
+): {
+	items: AnalyticsItem[];
+	value: number;
+	currency: string;
+	coupon: string;
+} => ( {
+	items: storeCart.cartItems.map( ( item ) =>
+		getItem( item, item.quantity )
+	),
+	value: formatPrice(
+		storeCart.cartTotals.total_price,
+		storeCart.cartTotals.currency_minor_unit
+	),
+	currency: storeCart.cartTotals.currency_code,
+	coupon: storeCart.cartCoupons[ 0 ]?.code || '',
+} );
+
+/**
+ * Sum of price times quantity of the items.
+ *
+ * @param {AnalyticsItem[]} items Items.
+ */
+export const getItemsValue = ( items: AnalyticsItem[] ): number =>
+	items.reduce(
+		( total, item ) => total + item.price * ( item.quantity || 1 ),
+		0
+	);
+
+/**
+ * Random id tying the events of a visit together, kept until the browser tab
+ * is closed. It is not linked to the customer account.
+ */
+export const getSessionId = (): string => {
+	let sessionId = '';
+
+	try {
+		sessionId = window.sessionStorage.getItem( sessionStorageKey ) || '';
+	} catch ( e ) {
+		// Storage is not available, a new id is used for each page.
+	}
+
+	if ( ! sessionId ) {
+		sessionId = Array.from( { length: 32 }, () =>
+			Math.floor( Math.random() * 16 ).toString( 16 )
+		).join( '' );
+
+		try {
+			window.sessionStorage.setItem( sessionStorageKey, sessionId );
+		} catch ( e ) {}
+	}
+
+	return sessionId;
+};
@@ -0,0 +1,6 @@
+export const CART_STORE_KEY = 'wc/store/cart';
+// Written by the blocks cart-update middleware when the cart is changed.
+export const LAST_CART_UPDATE_TIMESTAMP_KEY = 'wc-blocks_cart_update_timestamp';
+// Also used by the legacy cart-fragments.js script to tell other tabs about cart changes.
+export const CART_BROADCAST_CHANNEL = 'wc_cart';
+export const CART_UPDATED_MESSAGE = 'cart_updated';
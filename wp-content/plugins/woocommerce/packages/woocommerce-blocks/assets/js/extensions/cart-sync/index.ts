@@ -0,0 +1,74 @@
+/**
+ * External dependencies
+ */
+import apiFetch, { APIFetchOptions } from '@wordpress/api-fetch';
+import { dispatch, select } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { CART_STORE_KEY } from './constants';
+import { broadcastCartUpdate, onCartUpdatedInAnotherTab } from './tab-sync';
+
+/**
+ * Checks if this request is a POST changing the cart, like the blocks
+ * cart-update middleware does.
+ *
+ * @param {Object} options Fetch options.
+ */
+const isCartUpdatePostRequest = ( options: APIFetchOptions ): boolean => {
+	const url = options.url || options.path || '';
+
+	if ( ! url || options.method !== 'POST' ) {
+		return false;
+	}
+
+	const cartRegExp = /wc\/store\/cart\//;
+
+	if ( cartRegExp.test( url ) ) {
+		return true;
+	}
+
+	if ( /wc\/store\/batch/.test( url ) ) {
+		const requests = options.data?.requests || [];
+
+		return requests.some( ( request: { path?: string } ) =>
+			cartRegExp.test( request.path || '' )
+		);
+	}
+
+	return false;
+};
+
+// Tell other tabs once a cart change has completed. Errors can come with an
+// updated cart too, so other tabs are told either way.
+apiFetch.use( ( options, next ) => {
+	const result = next( options );
+
+	if ( isCartUpdatePostRequest( options ) ) {
+		result.finally( broadcastCartUpdate ).catch( () => {
+			/* The caller handles the error. */
+		} );
+	}
+	return result;
+} );
+
+// Keep the cart in step with changes made in other tabs. Nothing is fetched
+// until the cart has been loaded in this tab.
+onCartUpdatedInAnotherTab( () => {
+	if ( ! select( CART_STORE_KEY ).hasFinishedResolution( 'getCartData' ) ) {
+		return;
+	}
+
+	apiFetch( {
+		path: '/wc/store/cart',
+		method: 'GET',
+		cache: 'no-store',
+	} )
+		.then( ( response ) => {
+			dispatch( CART_STORE_KEY ).receiveCart( response );
+		} )
+		.catch( () => {
+			/* The cart is fetched again on the next change. */
+		} );
+} );
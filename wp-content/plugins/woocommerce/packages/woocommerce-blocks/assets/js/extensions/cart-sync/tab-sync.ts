@@ -0,0 +1,93 @@
+/**
+ * Internal dependencies
+ */
+import {
+	CART_BROADCAST_CHANNEL,
+	CART_UPDATED_MESSAGE,
+	LAST_CART_UPDATE_TIMESTAMP_KEY,
+} from './constants';
+
+/**
+ * How long to wait for more updates before fetching the cart, in ms. Several
+ * requests made in a row in another tab then lead to a single fetch.
+ */
+const REFRESH_DELAY = 500;
+
+let channel: BroadcastChannel | null | undefined;
+
+const getChannel = (): BroadcastChannel | null => {
+	if ( channel === undefined ) {
+		channel =
+			typeof window !== 'undefined' && 'BroadcastChannel' in window
+				? new window.BroadcastChannel( CART_BROADCAST_CHANNEL )
+				: null;
+	}
+	return channel;
+};
+
+/**
+ * Tell other tabs that the cart has changed.
+ *
+ * The timestamp is also saved to local storage, which is used to tell if the
+ * cart data hydrated on page load is stale, and which browsers without
+ * BroadcastChannel listen to through storage events.
+ */
+export const broadcastCartUpdate = (): void => {
+	const timestamp = Date.now() / 1000;
+
+	window.localStorage.setItem(
+		LAST_CART_UPDATE_TIMESTAMP_KEY,
+		timestamp.toString()
+	);
+	getChannel()?.postMessage( {
+		type: CART_UPDATED_MESSAGE,
+		timestamp,
+	} );
+};
+
+/**
+ * Run a callback when the cart changes in another tab.
+ *
+ * Updates are debounced, and tabs in the background wait until they are shown
+ * again, so many open tabs do not all fetch the cart at once.
+ *
+ * @param {Function} callback Called when the cart should be fetched again.
+ */
+export const onCartUpdatedInAnotherTab = ( callback: () => void ): void => {
+	let timeoutId: ReturnType< typeof setTimeout > | undefined;
+	let isPending = false;
+
+	const scheduleRefresh = () => {
+		if ( document.hidden ) {
+			isPending = true;
+			return;
+		}
+		isPending = false;
+		if ( timeoutId ) {
+			clearTimeout( timeoutId );
+		}
+		timeoutId = setTimeout( callback, REFRESH_DELAY );
+	};
+
+	const broadcastChannel = getChannel();
+
+	if ( broadcastChannel ) {
+		broadcastChannel.addEventListener( 'message', ( event ) => {
+			if ( event.data?.type === CART_UPDATED_MESSAGE ) {
+				scheduleRefresh();
+			}
+		} );
+	} else {
+		window.addEventListener( 'storage', ( event ) => {
+			if ( event.key === LAST_CART_UPDATE_TIMESTAMP_KEY ) {
+				scheduleRefresh();
+			}
+		} );
+	}
+
+	document.addEventListener( 'visibilitychange', () => {
+		if ( isPending && ! document.hidden ) {
+			scheduleRefresh();
+		}
+	} );
+};
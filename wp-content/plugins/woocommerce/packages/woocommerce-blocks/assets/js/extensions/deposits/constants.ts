@@ -0,0 +1 @@
+export const CART_STORE_KEY = 'wc/store/cart';
@@ -0,0 +1,19 @@
+/**
+ * External dependencies
+ */
+import { registerPlugin } from '@wordpress/plugins';
+import { ExperimentalOrderMeta } from '@woocommerce/blocks-checkout';
+
+/**
+ * Internal dependencies
+ */
+import TotalsDeposit from './totals-deposit';
+
+registerPlugin( 'woocommerce-deposits', {
+	render: () => (
+		<ExperimentalOrderMeta>
+			<TotalsDeposit />
+		</ExperimentalOrderMeta>
+	),
+	scope: 'woocommerce-checkout',
+} );
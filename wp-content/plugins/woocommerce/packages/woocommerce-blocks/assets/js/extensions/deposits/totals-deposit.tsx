@@ -0,0 +1,142 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { useState } from '@wordpress/element';
+import { dispatch, useSelect } from '@wordpress/data';
+import apiFetch from '@wordpress/api-fetch';
+import { decodeEntities } from '@wordpress/html-entities';
+import { TotalsItem, TotalsWrapper } from '@woocommerce/blocks-checkout';
+import { getCurrencyFromPriceResponse } from '@woocommerce/price-format';
+import classnames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import { CART_STORE_KEY } from './constants';
+import type { CartDeposit, CartDepositTotals } from './types';
+import './style.scss';
+
+/**
+ * Lets the customer reserve products with a booking fee and shows the amount
+ * to pay now and the balance due when they do.
+ *
+ * The mode is switched with the Store API cart/update-deposit route, and the
+ * cart it returns is passed to the cart store.
+ */
+const TotalsDeposit = (): JSX.Element | null => {
+	const { deposit, totals } = useSelect( ( select ) => {
+		const cartData = select( CART_STORE_KEY ).getCartData();
+
+		return {
+			deposit: cartData.deposit as CartDeposit | undefined,
+			totals: cartData.totals as CartDepositTotals,
+		};
+	} );
+	const [ isUpdating, setIsUpdating ] = useState( false );
+	const [ error, setError ] = useState( '' );
+
+	if ( ! deposit?.available ) {
+		return null;
+	}
+
+	const setDepositMode = ( enabled: boolean ) => {
+		setIsUpdating( true );
+		setError( '' );
+		apiFetch( {
+			path: '/wc/store/cart/update-deposit',
+			method: 'POST',
+			data: { enabled },
+			cache: 'no-store',
+		} )
+			.then( ( response ) => {
+				dispatch( CART_STORE_KEY ).receiveCart( response );
+			} )
+			.catch( ( response: { message?: string } ) => {
+				setError(
+					decodeEntities( response?.message || '' ) ||
+						__(
+							'The payment could not be updated. Please try again.',
+							'woocommerce'
+						)
+				);
+			} )
+			.finally( () => setIsUpdating( false ) );
+	};
+
+	const currency = getCurrencyFromPriceResponse( totals );
+
+	return (
+		<TotalsWrapper>
+			<div
+				className={ classnames( 'wc-block-components-totals-deposit', {
+					'is-loading': isUpdating,
+				} ) }
+				aria-busy={ isUpdating }
+			>
+				<label
+					className="wc-block-components-checkbox wc-block-components-totals-deposit__toggle"
+					htmlFor="wc-block-components-totals-deposit__input"
+				>
+					<input
+						id="wc-block-components-totals-deposit__input"
+						className="wc-block-components-checkbox__input"
+						type="checkbox"
+						checked={ deposit.enabled }
+						disabled={ isUpdating }
+						onChange={ ( event ) =>
+							setDepositMode( event.target.checked )
+						}
+					/>
+					<svg
+						className="wc-block-components-checkbox__mark"
+						aria-hidden="true"
+						xmlns="http://www.w3.org/2000/svg"
+						viewBox="0 0 24 20"
+					>
+						<path d="M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z" />
+					</svg>
+					<span className="wc-block-components-checkbox__label">
+						{ __(
+							'Pay the booking fee now and the balance at the showroom',
+							'woocommerce'
+						) }
+					</span>
+				</label>
+				{ error && (
+					<p
+						className="wc-block-components-totals-deposit__error"
+						role="alert"
+					>
+						{ error }
+					</p>
+				) }
+				{ deposit.enabled && totals.total_pay_now !== null && (
+					<>
+						<TotalsItem
+							className="wc-block-components-totals-deposit__pay-now"
+							currency={ currency }
+							label={ __( 'Pay now', 'woocommerce' ) }
+							value={ parseInt( totals.total_pay_now, 10 ) }
+						/>
+						<TotalsItem
+							className="wc-block-components-totals-deposit__balance-due"
+							currency={ currency }
+							label={ __( 'Balance due', 'woocommerce' ) }
+							value={ parseInt(
+								totals.total_balance_due || '0',
+								10
+							) }
+							description={ __(
+								'Paid when you collect your order.',
+								'woocommerce'
+							) }
+						/>
+					</>
+				) }
+			</div>
+		</TotalsWrapper>
+	);
+};
+
+export default TotalsDeposit;
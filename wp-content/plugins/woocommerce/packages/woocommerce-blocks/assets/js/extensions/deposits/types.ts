@@ -0,0 +1,17 @@
+/* eslint-disable camelcase -- API responses have camelcase properties */
+/**
+ * External dependencies
+ */
+import type { CurrencyResponse } from '@woocommerce/types';
+
+// Booking fee mode returned with the cart.
+export interface CartDeposit {
+	available: boolean;
+	enabled: boolean;
+}
+
+// Cart totals, with the amounts sent when paying the booking fee only.
+export interface CartDepositTotals extends CurrencyResponse {
+	total_pay_now: string | null;
+	total_balance_due: string | null;
+}
@@ -0,0 +1,32 @@
+/**
+ * External dependencies
+ */
+import { registerPlugin } from '@wordpress/plugins';
+import {
+	ExperimentalOrderMeta,
+	TotalsWrapper,
+} from '@woocommerce/blocks-checkout';
+import { getSetting } from '@woocommerce/settings';
+
+/**
+ * Internal dependencies
+ */
+import SaveCart from './save-cart';
+import type { SavedCartSettings } from './types';
+
+const settings = getSetting( 'savedCarts', {
+	canSave: false,
+} ) as SavedCartSettings;
+
+if ( settings.canSave ) {
+	registerPlugin( 'woocommerce-saved-carts', {
+		render: () => (
+			<ExperimentalOrderMeta>
+				<TotalsWrapper>
+					<SaveCart expiryDays={ settings.expiryDays || 14 } />
+				</TotalsWrapper>
+			</ExperimentalOrderMeta>
+		),
+		scope: 'woocommerce-checkout',
+	} );
+}
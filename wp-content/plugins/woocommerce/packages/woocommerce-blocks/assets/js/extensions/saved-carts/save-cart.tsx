@@ -0,0 +1,189 @@
+/**
+ * External dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { decodeEntities } from '@wordpress/html-entities';
+import { Button, Panel } from '@woocommerce/blocks-checkout';
+import classnames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import type { SavedCart } from './types';
+import './style.scss';
+
+/**
+ * Text input with the markup and styles of the blocks text inputs.
+ *
+ * @param {Object}   props          Incoming props for the component.
+ * @param {string}   props.id       Id of the input.
+ * @param {string}   props.label    Label of the input.
+ * @param {string}   props.value    Value of the input.
+ * @param {Function} props.onChange Called with the new value.
+ */
+const TextField = ( {
+	id,
+	label,
+	value,
+	onChange,
+	...rest
+}: {
+	id: string;
+	label: string;
+	value: string;
+	onChange?: ( value: string ) => void;
+} & Omit< JSX.IntrinsicElements[ 'input' ], 'onChange' > ): JSX.Element => {
+	const [ isActive, setIsActive ] = useState( false );
+
+	return (
+		<div
+			className={ classnames( 'wc-block-components-text-input', {
+				'is-active': isActive || value,
+			} ) }
+		>
+			<input
+				type="text"
+				id={ id }
+				value={ value }
+				onChange={ ( event ) => onChange?.( event.target.value ) }
+				onFocus={ () => setIsActive( true ) }
+				onBlur={ () => setIsActive( false ) }
+				{ ...rest }
+			/>
+			<label htmlFor={ id }>{ label }</label>
+		</div>
+	);
+};
+
+/**
+ * Lets sales staff save the cart as a named quote and share the link restoring it.
+ *
+ * @param {Object} props            Incoming props for the component.
+ * @param {number} props.expiryDays Default number of days the link works for.
+ */
+const SaveCart = ( { expiryDays }: { expiryDays: number } ): JSX.Element => {
+	const [ name, setName ] = useState( '' );
+	const [ days, setDays ] = useState( String( expiryDays ) );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ savedCart, setSavedCart ] = useState< SavedCart | null >( null );
+	const [ isCopied, setIsCopied ] = useState( false );
+	const [ error, setError ] = useState( '' );
+
+	const onSubmit = ( event: React.FormEvent ) => {
+		event.preventDefault();
+		setIsSaving( true );
+		setError( '' );
+		apiFetch< SavedCart >( {
+			path: '/wc/store/cart/save',
+			method: 'POST',
+			data: {
+				name,
+				expiry_days: parseInt( days, 10 ) || expiryDays,
+			},
+		} )
+			.then( ( response ) => {
+				setSavedCart( response );
+				setIsCopied( false );
+				setName( '' );
+			} )
+			.catch( ( response: { message?: string } ) => {
+				setError(
+					decodeEntities( response?.message || '' ) ||
+						__(
+							'The quote could not be saved. Please try again.',
+							'woocommerce'
+						)
+				);
+			} )
+			.finally( () => setIsSaving( false ) );
+	};
+
+	const onCopy = () => {
+		if ( savedCart ) {
+			window.navigator.clipboard
+				.writeText( savedCart.url )
+				.then( () => setIsCopied( true ) );
+		}
+	};
+
+	return (
+		<Panel
+			className="wc-block-cart__save-cart"
+			hasBorder={ false }
+			initialOpen={ false }
+			title={ __( 'Save as quote', 'woocommerce' ) }
+		>
+			<form
+				className="wc-block-cart__save-cart-form"
+				onSubmit={ onSubmit }
+			>
+				<TextField
+					id="wc-block-cart__save-cart-name"
+					label={ __( 'Quote name', 'woocommerce' ) }
+					value={ name }
+					onChange={ setName }
+					disabled={ isSaving }
+					required={ true }
+				/>
+				<TextField
+					id="wc-block-cart__save-cart-days"
+					type="number"
+					min="1"
+					max="365"
+					label={ __( 'Link valid for (days)', 'woocommerce' ) }
+					value={ days }
+					onChange={ setDays }
+					disabled={ isSaving }
+				/>
+				{ error && (
+					<p className="wc-block-cart__save-cart-error" role="alert">
+						{ error }
+					</p>
+				) }
+				<Button
+					type="submit"
+					disabled={ isSaving || ! name.trim() }
+					showSpinner={ isSaving }
+				>
+					{ __( 'Save quote', 'woocommerce' ) }
+				</Button>
+			</form>
+			{ savedCart && (
+				<div className="wc-block-cart__save-cart-link">
+					<p>
+						{ sprintf(
+							/* translators: %1$s quote name, %2$s date the link expires. */
+							__(
+								'"%1$s" has been saved. Share this link to add it to any cart until %2$s:',
+								'woocommerce'
+							),
+							decodeEntities( savedCart.name ),
+							savedCart.expires
+								? new Date(
+										savedCart.expires
+								  ).toLocaleDateString()
+								: ''
+						) }
+					</p>
+					<TextField
+						id="wc-block-cart__save-cart-url"
+						label={ __( 'Quote link', 'woocommerce' ) }
+						value={ savedCart.url }
+						readOnly={ true }
+					/>
+					{ window.navigator.clipboard && (
+						<Button onClick={ onCopy }>
+							{ isCopied
+								? __( 'Copied', 'woocommerce' )
+								: __( 'Copy link', 'woocommerce' ) }
+						</Button>
+					) }
+				</div>
+			) }
+		</Panel>
+	);
+};
+
+export default SaveCart;
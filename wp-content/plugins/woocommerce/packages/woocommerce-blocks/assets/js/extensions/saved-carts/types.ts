@@ -0,0 +1,15 @@
+/* eslint-disable camelcase -- API responses have camelcase properties */
+export interface SavedCartSettings {
+	canSave: boolean;
+	// Default number of days the link of a new quote works for.
+	expiryDays?: number;
+}
+
+// Saved cart returned by the cart/save route.
+export interface SavedCart {
+	id: number;
+	name: string;
+	expiry_days: number;
+	url: string;
+	expires: string | null;
+}
@@ -0,0 +1,5 @@
+/**
+ * Namespace of the cart extensions data and update callback registered by
+ * the ShowroomAppointments service.
+ */
+export const namespace = 'showroom-appointments';
@@ -0,0 +1,27 @@
+/**
+ * External dependencies
+ */
+import { registerPlugin } from '@wordpress/plugins';
+import { ExperimentalOrderMeta } from '@woocommerce/blocks-checkout';
+import { getSetting } from '@woocommerce/settings';
+
+/**
+ * Internal dependencies
+ */
+import ShowroomAppointment from './showroom-appointment';
+import type { ShowroomAppointmentSettings } from './types';
+
+const settings = getSetting( 'showroomAppointments', {
+	enabled: false,
+} ) as ShowroomAppointmentSettings;
+
+if ( settings.enabled ) {
+	registerPlugin( 'woocommerce-showroom-appointments', {
+		render: () => (
+			<ExperimentalOrderMeta>
+				<ShowroomAppointment settings={ settings } />
+			</ExperimentalOrderMeta>
+		),
+		scope: 'woocommerce-checkout',
+	} );
+}
@@ -0,0 +1,294 @@
+/**
+ * External dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
+import { decodeEntities } from '@wordpress/html-entities';
+import { extensionCartUpdate } from '@woocommerce/blocks-checkout';
+import classnames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import { namespace } from './constants';
+import type {
+	ShowroomAppointment as ShowroomAppointmentValue,
+	ShowroomAppointmentSettings,
+	ShowroomSlot,
+} from './types';
+import './style.scss';
+
+const emptyAppointment: ShowroomAppointmentValue = {
+	branch: '',
+	slot: '',
+	type: '',
+};
+
+/**
+ * Format a Y-m-d date for display, e.g. "Tuesday, 20 October".
+ *
+ * @param {string} date Date in Y-m-d format.
+ */
+const formatDate = ( date: string ): string =>
+	new Date( `${ date }T00:00:00` ).toLocaleDateString( undefined, {
+		weekday: 'long',
+		day: 'numeric',
+		month: 'long',
+	} );
+
+/**
+ * Lets the customer choose a branch, a date and a time slot for a showroom
+ * pickup or test ride.
+ *
+ * The chosen slot is kept in the session through the cart/extensions route and
+ * saved to the order when it is placed; the checkout refuses the order when an
+ * appointment is required and none was chosen.
+ *
+ * @param {Object} props            Incoming props for the component.
+ * @param {Object} props.settings   Branches, types and whether an appointment is required.
+ * @param {Object} props.extensions Cart extensions data, passed by the order meta slot.
+ */
+const ShowroomAppointment = ( {
+	settings,
+	extensions = {},
+}: {
+	settings: ShowroomAppointmentSettings;
+	extensions?: Record< string, unknown >;
+} ): JSX.Element => {
+	const { branches = [], types = [], required = false } = settings;
+	const value =
+		( extensions[ namespace ] as ShowroomAppointmentValue ) ||
+		emptyAppointment;
+	const [ branchId, setBranchId ] = useState( value.branch );
+	const [ date, setDate ] = useState( value.slot.substring( 0, 10 ) );
+	const [ type, setType ] = useState(
+		value.type || ( types.length ? types[ 0 ].value : '' )
+	);
+	const [ slots, setSlots ] = useState< ShowroomSlot[] >( [] );
+	const [ slotsLoading, setSlotsLoading ] = useState( false );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ error, setError ] = useState( '' );
+	const branch = branches.find( ( { id } ) => id === branchId );
+
+	// Load the slots of the chosen branch and date.
+	useEffect( () => {
+		if ( ! branchId || ! date ) {
+			setSlots( [] );
+			return;
+		}
+		let isCurrent = true;
+		setSlotsLoading( true );
+		apiFetch< ShowroomSlot[] >( {
+			path: addQueryArgs( '/wc/store/showroom/slots', {
+				branch: branchId,
+				date,
+			} ),
+		} )
+			.then( ( response ) => {
+				if ( isCurrent ) {
+					setSlots( response );
+				}
+			} )
+			.catch( () => {
+				if ( isCurrent ) {
+					setSlots( [] );
+				}
+			} )
+			.finally( () => {
+				if ( isCurrent ) {
+					setSlotsLoading( false );
+				}
+			} );
+		return () => {
+			isCurrent = false;
+		};
+	}, [ branchId, date ] );
+
+	const saveAppointment = ( appointment: ShowroomAppointmentValue ) => {
+		setIsSaving( true );
+		setError( '' );
+		extensionCartUpdate( {
+			namespace,
+			data: appointment,
+		} )
+			.catch( ( response: { message?: string } ) => {
+				setError(
+					response?.message ||
+						__(
+							'Your appointment could not be saved. Please try again.',
+							'woocommerce'
+						)
+				);
+			} )
+			.finally( () => setIsSaving( false ) );
+	};
+
+	// A new branch or date drops the slot chosen before.
+	const clearSlot = () => {
+		if ( value.slot ) {
+			saveAppointment( { ...emptyAppointment, type } );
+		}
+	};
+
+	return (
+		<div className="wc-block-checkout__showroom-appointment">
+			<h2 className="wc-block-checkout__showroom-appointment-title">
+				{ __( 'Showroom appointment', 'woocommerce' ) }
+			</h2>
+			<p className="wc-block-checkout__showroom-appointment-description">
+				{ required
+					? __(
+							'Choose the branch and time to pick up your motorcycle or take a test ride.',
+							'woocommerce'
+					  )
+					: __(
+							'Optionally book a time at one of our branches to pick up your motorcycle or take a test ride.',
+							'woocommerce'
+					  ) }
+			</p>
+			{ types.length > 1 && (
+				<div className="wc-block-checkout__showroom-appointment-types">
+					{ types.map( ( option ) => (
+						<label key={ option.value }>
+							<input
+								type="radio"
+								name="showroom-appointment-type"
+								value={ option.value }
+								checked={ option.value === type }
+								disabled={ isSaving }
+								onChange={ () => {
+									setType( option.value );
+									if ( value.slot ) {
+										saveAppointment( {
+											...value,
+											type: option.value,
+										} );
+									}
+								} }
+							/>
+							{ decodeEntities( option.label ) }
+						</label>
+					) ) }
+				</div>
+			) }
+			<label className="wc-block-checkout__showroom-appointment-field">
+				{ __( 'Branch', 'woocommerce' ) }
+				<select
+					value={ branchId }
+					disabled={ isSaving }
+					onChange={ ( event ) => {
+						setBranchId( event.target.value );
+						setDate( '' );
+						clearSlot();
+					} }
+				>
+					<option value="">
+						{ __( 'Choose a branch…', 'woocommerce' ) }
+					</option>
+					{ branches.map( ( { id, name } ) => (
+						<option key={ id } value={ id }>
+							{ decodeEntities( name ) }
+						</option>
+					) ) }
+				</select>
+			</label>
+			{ branch?.address && (
+				<p className="wc-block-checkout__showroom-appointment-address">
+					{ decodeEntities( branch.address ) }
+				</p>
+			) }
+			{ branch && (
+				<label className="wc-block-checkout__showroom-appointment-field">
+					{ __( 'Date', 'woocommerce' ) }
+					<select
+						value={ date }
+						disabled={ isSaving }
+						onChange={ ( event ) => {
+							setDate( event.target.value );
+							clearSlot();
+						} }
+					>
+						<option value="">
+							{ __( 'Choose a date…', 'woocommerce' ) }
+						</option>
+						{ branch.dates.map( ( branchDate ) => (
+							<option key={ branchDate } value={ branchDate }>
+								{ formatDate( branchDate ) }
+							</option>
+						) ) }
+					</select>
+				</label>
+			) }
+			{ branch && date && (
+				<div
+					className={ classnames(
+						'wc-block-checkout__showroom-appointment-slots',
+						{
+							'is-loading': slotsLoading,
+						}
+					) }
+				>
+					{ ! slotsLoading && ! slots.length && (
+						<p>
+							{ __(
+								'There are no time slots left on this date. Please choose another date.',
+								'woocommerce'
+							) }
+						</p>
+					) }
+					{ slots.map( ( slot ) => (
+						<button
+							key={ slot.slot }
+							type="button"
+							className={ classnames(
+								'wc-block-checkout__showroom-appointment-slot',
+								{
+									'is-selected': slot.slot === value.slot,
+								}
+							) }
+							aria-pressed={ slot.slot === value.slot }
+							disabled={ isSaving || ! slot.available }
+							onClick={ () =>
+								saveAppointment( {
+									branch: branchId,
+									slot: slot.slot,
+									type,
+								} )
+							}
+						>
+							<span className="wc-block-checkout__showroom-appointment-slot-time">
+								{ decodeEntities( slot.label ) }
+							</span>
+							<span className="wc-block-checkout__showroom-appointment-slot-remaining">
+								{ slot.available
+									? sprintf(
+											/* translators: %d number of places left in the time slot */
+											_n(
+												'%d place left',
+												'%d places left',
+												slot.remaining,
+												'woocommerce'
+											),
+											slot.remaining
+									  )
+									: __( 'Full', 'woocommerce' ) }
+							</span>
+						</button>
+					) ) }
+				</div>
+			) }
+			{ error && (
+				<p
+					className="wc-block-checkout__showroom-appointment-error"
+					role="alert"
+				>
+					{ error }
+				</p>
+			) }
+		</div>
+	);
+};
+
+export default ShowroomAppointment;
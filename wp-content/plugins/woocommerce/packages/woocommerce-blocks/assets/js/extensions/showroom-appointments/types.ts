@@ -0,0 +1,37 @@
+export interface ShowroomBranch {
+	id: string;
+	name: string;
+	address: string;
+	// Dates the branch can be booked, in Y-m-d format.
+	dates: string[];
+}
+
+export interface ShowroomAppointmentType {
+	value: string;
+	label: string;
+}
+
+export interface ShowroomAppointmentSettings {
+	enabled: boolean;
+	required?: boolean;
+	branches?: ShowroomBranch[];
+	types?: ShowroomAppointmentType[];
+}
+
+/**
+ * Appointment kept in the session until the order is placed, as returned in
+ * the cart extensions data. The slot start is in Y-m-d H:i format.
+ */
+export interface ShowroomAppointment {
+	branch: string;
+	slot: string;
+	type: string;
+}
+
+export interface ShowroomSlot {
+	slot: string;
+	time: string;
+	label: string;
+	remaining: number;
+	available: boolean;
+}
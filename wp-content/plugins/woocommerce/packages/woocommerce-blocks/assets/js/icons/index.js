@@ -22,6 +22,7 @@ export { default as folderStarred } from './library/folder-starred';
 export { default as folder } from './library/folder';
 export { default as grid } from './library/grid';
 export { default as heading } from './library/heading';
+export { default as heart } from './library/heart';
 export { default as image } from './library/image';
 export { default as list } from './library/list';
 export { default as more } from './library/more';
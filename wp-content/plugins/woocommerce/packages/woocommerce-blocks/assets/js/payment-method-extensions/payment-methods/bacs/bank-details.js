@@ -0,0 +1,62 @@
+/**
+ * External dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { decodeEntities } from '@wordpress/html-entities';
+
+/**
+ * Bank account and virtual account details.
+ *
+ * @param {Object} props                Incoming props.
+ * @param {Array}  props.accounts       Bank accounts the customer can transfer to.
+ * @param {string} props.virtualAccount Virtual account number of the draft order.
+ * @param {string} props.sortCodeLabel  Label of the sort code field for the store country.
+ */
+const BankDetails = ( { accounts, virtualAccount, sortCodeLabel } ) => {
+	const fields = [
+		[ 'bank_name', __( 'Bank', 'woocommerce' ) ],
+		[ 'account_number', __( 'Account number', 'woocommerce' ) ],
+		[ 'sort_code', sortCodeLabel || __( 'Sort code', 'woocommerce' ) ],
+		[ 'iban', __( 'IBAN', 'woocommerce' ) ],
+		[ 'bic', __( 'BIC', 'woocommerce' ) ],
+	];
+
+	if ( ! virtualAccount && ! accounts.length ) {
+		return null;
+	}
+
+	return (
+		<div className="wc-block-components-bacs-details">
+			{ virtualAccount && (
+				<p className="wc-block-components-bacs-details__virtual-account">
+					{ __( 'Virtual account number', 'woocommerce' ) }:{ ' ' }
+					<strong>{ virtualAccount }</strong>
+				</p>
+			) }
+			{ accounts.map( ( account, index ) => (
+				<div
+					key={ index }
+					className="wc-block-components-bacs-details__account"
+				>
+					{ account.account_name && (
+						<strong>{ decodeEntities( account.account_name ) }</strong>
+					) }
+					<ul>
+						{ fields
+							.filter( ( [ key ] ) => !! account[ key ] )
+							.map( ( [ key, fieldLabel ] ) => (
+								<li key={ key }>
+									{ fieldLabel }:{ ' ' }
+									<strong>
+										{ decodeEntities( account[ key ] ) }
+									</strong>
+								</li>
+							) ) }
+					</ul>
+				</div>
+			) ) }
+		</div>
+	);
+};
+
+export default BankDetails;
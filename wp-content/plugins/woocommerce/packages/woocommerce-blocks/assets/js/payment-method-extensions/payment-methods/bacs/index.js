@@ -10,6 +10,8 @@ import { decodeEntities } from '@wordpress/html-entities';
  * Internal dependencies
  */
 import { PAYMENT_METHOD_NAME } from './constants';
+import BankDetails from './bank-details';
+import ReceiptUpload from './receipt-upload';
 
 const settings = getSetting( 'bacs_data', {} );
 const defaultLabel = __(
@@ -24,9 +26,45 @@ const label = decodeEntities( settings.title ) || defaultLabel;
 
 /**
  * Content component
+ *
+ * @param {RegisteredPaymentMethodProps} props Incoming props.
+ */
+const Content = ( { eventRegistration, emitResponse } ) => {
+	return (
+		<>
+			{ decodeEntities( settings.description || '' ) }
+			<BankDetails
+				accounts={ settings.accounts || [] }
+				virtualAccount={ settings.virtualAccount }
+				sortCodeLabel={ settings.sortCodeLabel }
+			/>
+			{ settings.receiptUpload && (
+				<ReceiptUpload
+					settings={ settings }
+					eventRegistration={ eventRegistration }
+					emitResponse={ emitResponse }
+				/>
+			) }
+		</>
+	);
+};
+
+/**
+ * Edit component
+ *
+ * Shows the description and bank details; receipts can only be uploaded on the front end.
  */
-const Content = () => {
-	return decodeEntities( settings.description || '' );
+const Edit = () => {
+	return (
+		<>
+			{ decodeEntities( settings.description || '' ) }
+			<BankDetails
+				accounts={ settings.accounts || [] }
+				virtualAccount={ settings.virtualAccount }
+				sortCodeLabel={ settings.sortCodeLabel }
+			/>
+		</>
+	);
 };
 
 /**
@@ -46,7 +84,7 @@ const bankTransferPaymentMethod = {
 	name: PAYMENT_METHOD_NAME,
 	label: <Label />,
 	content: <Content />,
-	edit: <Content />,
+	edit: <Edit />,
 	canMakePayment: () => true,
 	ariaLabel: label,
 	supports: {
@@ -0,0 +1,116 @@
+/**
+ * External dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { uploadReceipt, validateReceipt } from './utils';
+
+/**
+ * Optional transfer receipt upload.
+ *
+ * The receipt is uploaded as soon as it is chosen; its ID is sent along with the payment method data.
+ *
+ * @param {Object} props                   Incoming props.
+ * @param {Object} props.settings          Payment method settings.
+ * @param {Object} props.eventRegistration Checkout event registration helpers.
+ * @param {Object} props.emitResponse      Checkout response helpers.
+ */
+const ReceiptUpload = ( { settings, eventRegistration, emitResponse } ) => {
+	const { onPaymentProcessing } = eventRegistration;
+	const [ receipt, setReceipt ] = useState( null );
+	const [ isUploading, setIsUploading ] = useState( false );
+	const [ error, setError ] = useState( '' );
+
+	useEffect( () => {
+		const unsubscribe = onPaymentProcessing( () => {
+			if ( isUploading ) {
+				return {
+					type: emitResponse.responseTypes.ERROR,
+					message: __(
+						'Please wait until your transfer receipt has been uploaded.',
+						'woocommerce'
+					),
+				};
+			}
+			return {
+				type: emitResponse.responseTypes.SUCCESS,
+				meta: {
+					paymentMethodData: {
+						bacs_receipt_id: receipt ? String( receipt.id ) : '',
+					},
+				},
+			};
+		} );
+		return unsubscribe;
+	}, [
+		onPaymentProcessing,
+		emitResponse.responseTypes.ERROR,
+		emitResponse.responseTypes.SUCCESS,
+		receipt,
+		isUploading,
+	] );
+
+	const onChange = ( event ) => {
+		const file = event.target.files[ 0 ];
+		if ( ! file ) {
+			return;
+		}
+		const validationError = validateReceipt(
+			file,
+			settings.receiptTypes || [],
+			settings.receiptMaxSize
+		);
+		setError( validationError );
+		if ( validationError ) {
+			return;
+		}
+		setIsUploading( true );
+		uploadReceipt( file, settings.receiptUploadUrl, settings.receiptNonce )
+			.then( ( uploaded ) =>
+				setReceipt( { id: uploaded.id, name: file.name } )
+			)
+			.catch( ( uploadError ) => setError( uploadError.message ) )
+			.finally( () => setIsUploading( false ) );
+	};
+
+	return (
+		<div className="wc-block-components-bacs-receipt">
+			<label htmlFor="wc-bacs-receipt">
+				{ __(
+					'Already transferred? Upload your receipt (optional)',
+					'woocommerce'
+				) }
+			</label>
+			<input
+				type="file"
+				id="wc-bacs-receipt"
+				accept={ ( settings.receiptTypes || [] ).join( ',' ) }
+				disabled={ isUploading }
+				onChange={ onChange }
+			/>
+			{ isUploading && (
+				<p>{ __( 'Uploading receipt…', 'woocommerce' ) }</p>
+			) }
+			{ ! isUploading && receipt && (
+				<p>
+					{ sprintf(
+						/* translators: %s: file name */
+						__( 'Receipt %s uploaded.', 'woocommerce' ),
+						receipt.name
+					) }
+				</p>
+			) }
+			{ error && (
+				<p className="wc-block-components-bacs-receipt__error">
+					{ error }
+				</p>
+			) }
+		</div>
+	);
+};
+
+export default ReceiptUpload;
@@ -0,0 +1,68 @@
+/**
+ * External dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Check a receipt file before uploading it.
+ *
+ * @param {File}     file    The chosen file.
+ * @param {string[]} types   Accepted mime types.
+ * @param {number}   maxSize Maximum size in bytes.
+ *
+ * @return {string} Error message, or an empty string if the file is valid.
+ */
+export const validateReceipt = ( file, types, maxSize ) => {
+	if ( types.length && ! types.includes( file.type ) ) {
+		return __(
+			'Please upload your transfer receipt as a JPG or PNG image.',
+			'woocommerce'
+		);
+	}
+	if ( maxSize && file.size > maxSize ) {
+		return sprintf(
+			/* translators: %d: maximum file size in megabytes */
+			__(
+				'The transfer receipt may not be larger than %d MB.',
+				'woocommerce'
+			),
+			Math.floor( maxSize / 1048576 )
+		);
+	}
+	return '';
+};
+
+/**
+ * Upload a transfer receipt so it can be attached to the order at checkout.
+ *
+ * @param {File}   file  The receipt file.
+ * @param {string} url   Upload endpoint.
+ * @param {string} nonce Upload nonce.
+ *
+ * @return {Promise<{id: number, name: string}>} The stored receipt.
+ */
+export const uploadReceipt = ( file, url, nonce ) => {
+	const body = new window.FormData();
+	body.append( 'receipt', file );
+	body.append( 'security', nonce );
+
+	return window
+		.fetch( url, {
+			method: 'POST',
+			credentials: 'same-origin',
+			body,
+		} )
+		.then( ( response ) => response.json() )
+		.then( ( response ) => {
+			if ( ! response.success ) {
+				throw new Error(
+					response.data?.message ||
+						__(
+							'The transfer receipt could not be uploaded.',
+							'woocommerce'
+						)
+				);
+			}
+			return response.data;
+		} );
+};
@@ -172,6 +172,7 @@ export const previewCart: CartResponse = {
 		company: '',
 		address_1: '',
 		address_2: '',
+		district: '',
 		city: '',
 		state: '',
 		postcode: '',
@@ -183,6 +184,7 @@ export const previewCart: CartResponse = {
 		company: '',
 		address_1: '',
 		address_2: '',
+		district: '',
 		city: '',
 		state: '',
 		postcode: '',
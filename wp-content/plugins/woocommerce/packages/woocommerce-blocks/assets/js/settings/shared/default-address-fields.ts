@@ -34,6 +34,7 @@ export interface AddressFields {
 	address_1: AddressField;
 	// eslint-disable-next-line camelcase
 	address_2: AddressField;
+	district: AddressField;
 	country: AddressField;
 	city: AddressField;
 	state: AddressField;
@@ -51,6 +52,7 @@ export interface EnteredAddress {
 	address_1: string;
 	// eslint-disable-next-line camelcase
 	address_2: string;
+	district: string;
 	country: string;
 	city: string;
 	state: string;
@@ -140,6 +142,18 @@ export const defaultAddressFields: AddressFields = {
 		hidden: false,
 		index: 60,
 	},
+	district: {
+		label: __( 'District', 'woo-gutenberg-products-block' ),
+		optionalLabel: __(
+			'District (optional)',
+			'woo-gutenberg-products-block'
+		),
+		autocomplete: 'address-level3',
+		autocapitalize: 'sentences',
+		required: false,
+		hidden: true,
+		index: 75,
+	},
 	city: {
 		label: __( 'City', 'woo-gutenberg-products-block' ),
 		optionalLabel: __( 'City (optional)', 'woo-gutenberg-products-block' ),
@@ -10,6 +10,7 @@ export const ADMIN_URL = allSettings.adminUrl;
 export const COUNTRIES = allSettings.countries;
 export const CURRENCY = allSettings.currency;
 export const CURRENT_USER_IS_ADMIN = allSettings.currentUserIsAdmin;
+export const CURRENT_USER_IS_LOGGED_IN = allSettings.currentUserIsLoggedIn;
 export const HOME_URL = allSettings.homeUrl;
 export const LOCALE = allSettings.locale;
 export const ORDER_STATUSES = allSettings.orderStatuses;
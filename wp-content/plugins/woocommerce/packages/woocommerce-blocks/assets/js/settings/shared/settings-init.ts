@@ -40,6 +40,7 @@ export interface WooCommerceSharedSettings {
 	countries: Record< string, string > | never[];
 	currency: WooCommerceSiteCurrency;
 	currentUserIsAdmin: boolean;
+	currentUserIsLoggedIn: boolean;
 	homeUrl: string;
 	locale: WooCommerceSiteLocale;
 	orderStatuses: Record< string, string > | never[];
@@ -65,6 +66,7 @@ const defaults: WooCommerceSharedSettings = {
 		thousandSeparator: ',',
 	},
 	currentUserIsAdmin: false,
+	currentUserIsLoggedIn: false,
 	homeUrl: '',
 	locale: {
 		siteLocale: 'en_US',
@@ -7,6 +7,7 @@
  * @property {string} company    Company name for the billing address
  * @property {string} address_1  First line of the billing address
  * @property {string} address_2  Second line of the billing address
+ * @property {string} district   District of the billing address, for countries with address regions
  * @property {string} city       The city of the billing address
  * @property {string} state      The state of the billing address (ISO or name)
  * @property {string} postcode   The postal or zip code for the billing address
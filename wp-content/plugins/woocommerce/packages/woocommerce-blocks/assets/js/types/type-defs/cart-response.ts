@@ -83,6 +83,7 @@ export interface CartResponseShippingAddress
 	extends ResponseBaseAddress,
 		ResponseFirstNameLastName {
 	company: string;
+	district: string;
 }
 
 export interface CartResponseBillingAddress
@@ -67,6 +67,7 @@ export interface CartShippingRate {
 
 export interface CartShippingAddress extends BaseAddress, FirstNameLastName {
 	company: string;
+	district: string;
 }
 
 export interface CartBillingAddress extends CartShippingAddress {
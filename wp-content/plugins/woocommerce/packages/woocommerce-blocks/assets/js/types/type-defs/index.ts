@@ -3,3 +3,4 @@ export * from './product-response';
 export * from './cart';
 export * from './hooks';
 export * from './currency';
+export * from './wishlist';
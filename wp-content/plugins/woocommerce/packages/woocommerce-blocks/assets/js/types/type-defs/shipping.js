@@ -6,6 +6,7 @@
  * @property {string} company    Company name for the shipping address
  * @property {string} address_1  First line of the shipping address
  * @property {string} address_2  Second line of the shipping address
+ * @property {string} district   District of the shipping address, for countries with address regions
  * @property {string} city       The city of the shipping address
  * @property {string} state      The state of the shipping address (ISO or name)
  * @property {string} postcode   The postal or zip code for the shipping address
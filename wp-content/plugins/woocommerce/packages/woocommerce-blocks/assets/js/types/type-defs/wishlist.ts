@@ -0,0 +1,18 @@
+/* eslint-disable camelcase -- API responses have camelcase properties */
+
+export interface WishlistResponseItem {
+	id: number;
+	added: string;
+	added_price: string;
+}
+
+export interface WishlistResponse {
+	items: Array< WishlistResponseItem >;
+	items_count: number;
+}
+
+export interface WishlistItem {
+	id: number;
+	added: string;
+	addedPrice: string;
+}
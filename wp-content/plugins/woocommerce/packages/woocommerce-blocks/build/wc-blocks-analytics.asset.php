@@ -0,0 +1 @@
+<?php return array('dependencies' => array('wc-settings', 'wp-hooks', 'wp-i18n', 'wp-polyfill'), 'version' => '0672152d83721256ac17ac5cccda49c4');
\ No newline at end of file
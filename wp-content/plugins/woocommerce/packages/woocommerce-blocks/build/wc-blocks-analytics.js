@@ -0,0 +1 @@
+(()=>{var z=Object.create;var A=Object.defineProperty,B=Object.defineProperties,Q=Object.getOwnPropertyDescriptor,Z=Object.getOwnPropertyDescriptors,ee=Object.getOwnPropertyNames,_=Object.getOwnPropertySymbols,te=Object.getPrototypeOf,k=Object.prototype.hasOwnProperty,E=Object.prototype.propertyIsEnumerable;var q=Math.pow,S=(e,t,n)=>t in e?A(e,t,{enumerable:!0,configurable:!0,writable:!0,value:n}):e[t]=n,c=(e,t)=>{for(var n in t||(t={}))k.call(t,n)&&S(e,n,t[n]);if(_)for(var n of _(t))E.call(t,n)&&S(e,n,t[n]);return e},p=(e,t)=>B(e,Z(t));var R=(e,t)=>{var n={};for(var r in e)k.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(e!=null&&_)for(var r of _(e))t.indexOf(r)<0&&E.call(e,r)&&(n[r]=e[r]);return n};var x=(e,t)=>()=>(t||e((t={exports:{}}).exports,t),t.exports);var ne=(e,t,n,r)=>{if(t&&typeof t=="object"||typeof t=="function")for(let a of ee(t))!k.call(e,a)&&a!==n&&A(e,a,{get:()=>t[a],enumerable:!(r=Q(t,a))||r.enumerable});return e};var I=(e,t,n)=>(n=e!=null?z(te(e)):{},ne(t||!e||!e.__esModule?A(n,"default",{value:e,enumerable:!0}):n,e));var $=x((ye,T)=>{T.exports=window.wp.i18n});var M=x((le,N)=>{N.exports=window.wp.hooks});var V=x((ge,L)=>{L.exports=window.wc.wcSettings});var U=I($()),s=I(M()),W=I(V());var o="woocommerce-blocks-analytics",i="experimental__woocommerce_blocks",F="woocommerce_blocks_analytics_set_consent",v="wc_blocks_analytics_session";var l=[],G=!1,b={},f=e=>!G||b[e]===!0,h=e=>{var t;l.some(({name:n})=>n===e.name)||(l.push(e),(t=e.setConsent)==null||t.call(e,f(e.consentCategory)))};var D=e=>{G=e,l.forEach(t=>{var n;return(n=t.setConsent)==null?void 0:n.call(t,f(t.consentCategory))})},P=e=>{b=c(c({},b),e),l.forEach(t=>{var n;return(n=t.setConsent)==null?void 0:n.call(t,f(t.consentCategory))})},m=e=>{l.forEach(t=>{if(f(t.consentCategory))try{t.track(e)}catch(n){console.error(n)}})};var X=(e,t)=>parseInt(e,10)/q(10,t),u=(e,t)=>({id:e.id,sku:e.sku,name:e.name,category:"categories"in e&&e.categories.length?e.categories[0].name:"",price:X(e.prices.price,e.prices.currency_minor_unit),quantity:t}),w=e=>{var t;return{items:e.cartItems.map(n=>u(n,n.quantity)),value:X(e.cartTotals.total_price,e.cartTotals.currency_minor_unit),currency:e.cartTotals.currency_code,coupon:((t=e.cartCoupons[0])==null?void 0:t.code)||""}},C=e=>e.reduce((t,n)=>t+n.price*(n.quantity||1),0),j=()=>{let e="";try{e=window.sessionStorage.getItem(v)||""}catch(t){}if(!e){e=Array.from({length:32},()=>Math.floor(Math.random()*16).toString(16)).join("");try{window.sessionStorage.setItem(v,e)}catch(t){}}return e};var re=e=>({item_id:e.sku||"#"+e.id,item_name:e.name,item_category:e.category,price:e.price,quantity:e.quantity,item_list_name:e.listName,index:e.position}),oe=e=>{var r,a,y;let t=e.items.map(re),n={currency:e.currency,value:(r=e.value)!=null?r:C(e.items),items:t};switch(e.name){case"view_item_list":return["view_item_list",{item_list_name:(a=e.items[0])==null?void 0:a.listName,items:t}];case"select_item":return["select_item",{item_list_name:(y=e.items[0])==null?void 0:y.listName,items:t}];case"view_item":case"add_to_cart":case"remove_from_cart":return[e.name,n];case"change_cart_quantity":return["change_cart_quantity",{items:t}];case"begin_checkout":return["begin_checkout",p(c({},n),{coupon:e.coupon})];case"add_shipping_info":return["add_shipping_info",p(c({},n),{shipping_tier:e.option})];case"add_payment_info":return["add_payment_info",p(c({},n),{payment_type:e.option})];case"purchase":return["purchase",p(c({},n),{transaction_id:e.transactionId,tax:e.tax,shipping:e.shipping,coupon:e.coupon})];case"search":return["search",{search_term:e.searchTerm}];case"exception":return["exception",{description:e.description,fatal:!1}]}return null},K={name:"ga4",consentCategory:"analytics",track:e=>{let t=oe(e);!t||typeof window.gtag!="function"||window.gtag("event",...t)},setConsent:e=>{typeof window.gtag=="function"&&window.gtag("consent","update",{analytics_storage:e?"granted":"denied"})}};var se={view_item:"ViewContent",add_to_cart:"AddToCart",begin_checkout:"InitiateCheckout",add_payment_info:"AddPaymentInfo",purchase:"Purchase",search:"Search"},ie=e=>{var n;let t=se[e.name];return t?e.name==="search"?[t,{search_string:e.searchTerm}]:[t,{content_type:"product",content_ids:e.items.map(r=>r.sku||r.id),contents:e.items.map(r=>({id:r.sku||r.id,quantity:r.quantity||1,item_price:r.price})),num_items:e.items.reduce((r,a)=>r+(a.quantity||1),0),value:(n=e.value)!=null?n:C(e.items),currency:e.currency}]:null},O={name:"meta-pixel",consentCategory:"marketing",track:e=>{let t=ie(e);!t||typeof window.fbq!="function"||window.fbq("track",...t)},setConsent:e=>{typeof window.fbq=="function"&&window.fbq("consent",e?"grant":"revoke")}};var ce=2e3,ae=10,me=25,pe=["view_item_list","view_item","add_to_cart","remove_from_cart","begin_checkout","checkout_progress","add_shipping_info","add_payment_info","purchase","search"],ue=(e,t)=>({name:e.name,session_id:t,items:e.items.slice(0,me).map(n=>({product_id:n.id,quantity:n.quantity||1,price:n.price})),value:e.value,currency:e.currency,step:e.step,order_id:e.orderId}),H=(e,t)=>{let n=[],r,a=()=>{if(r&&(clearTimeout(r),r=void 0),!n.length)return;let y=JSON.stringify({events:n});n=[],window.fetch(e,{method:"POST",headers:{"Content-Type":"application/json","X-WC-Store-API-Nonce":t},credentials:"same-origin",keepalive:!0,body:y}).catch(()=>{})};return document.addEventListener("visibilitychange",()=>{document.hidden&&a()}),window.addEventListener("pagehide",a),{name:"first-party",consentCategory:"analytics",track:y=>{if(pe.includes(y.name)){if(n.push(ue(y,j())),n.length>=ae){a();return}r&&clearTimeout(r),r=setTimeout(a,ce)}}}};var d=(0,W.getSetting)("analytics",{requireConsent:!1,adapters:{ga4:{enabled:!1,measurementId:""},metaPixel:{enabled:!1,pixelId:""},firstParty:{enabled:!1,endpoint:"",nonce:""}},purchase:null});D(d.requireConsent);(0,s.addAction)(F,o,e=>P(e));window.wcCookieConsent&&P({analytics:window.wcCookieConsent.has("analytics"),marketing:window.wcCookieConsent.has("marketing")});d.adapters.ga4.enabled&&h(K);d.adapters.metaPixel.enabled&&h(O);d.adapters.firstParty.enabled&&h(H(d.adapters.firstParty.endpoint,d.adapters.firstParty.nonce));var J=-1,Y="",g=e=>({storeCart:t})=>{J!==e&&(J=e,m(p(c({name:e===0?"begin_checkout":"checkout_progress"},w(t)),{step:e})))};(0,s.addAction)(`${i}-checkout-render-checkout-form`,o,g(0));(0,s.addAction)(`${i}-checkout-set-email-address`,o,g(1));(0,s.addAction)(`${i}-checkout-set-shipping-address`,o,g(2));(0,s.addAction)(`${i}-checkout-set-billing-address`,o,g(3));(0,s.addAction)(`${i}-checkout-set-phone-number`,o,n=>{var r=n,{step:e}=r,t=R(r,["step"]);g(e==="shipping"?2:3)(t)});(0,s.addAction)(`${i}-checkout-set-selected-shipping-rate`,o,({shippingRateId:e,storeCart:t})=>{m(p(c({name:"add_shipping_info"},w(t)),{step:4,option:e}))});(0,s.addAction)(`${i}-checkout-set-active-payment-method`,o,({paymentMethodSlug:e})=>{Y=e});(0,s.addAction)(`${i}-checkout-submit`,o,({storeCart:e})=>{m(p(c({name:"add_payment_info"},w(e)),{step:5,option:Y}))});(0,s.addAction)(`${i}-cart-add-item`,o,({product:e,quantity:t=1})=>{m({name:"add_to_cart",items:[u(e,t)],currency:e.prices.currency_code})});(0,s.addAction)(`${i}-cart-remove-item`,o,({product:e,quantity:t=1})=>{m({name:"remove_from_cart",items:[u(e,t)],currency:e.prices.currency_code})});(0,s.addAction)(`${i}-cart-set-item-quantity`,o,({product:e,quantity:t=1})=>{m({name:"change_cart_quantity",items:[u(e,t)],currency:e.prices.currency_code})});(0,s.addAction)(`${i}-product-list-render`,o,({products:e,listName:t=(0,U.__)("Product List","woocommerce")})=>{e.length!==0&&m({name:"view_item_list",items:e.map((n,r)=>p(c({},u(n)),{listName:t,position:r+1})),currency:e[0].prices.currency_code})});(0,s.addAction)(`${i}-product-view-link`,o,({product:e,listName:t})=>{m({name:"select_item",items:[p(c({},u(e)),{listName:t})],currency:e.prices.currency_code})});(0,s.addAction)(`${i}-product-search`,o,({searchTerm:e})=>{m({name:"search",items:[],searchTerm:e})});(0,s.addAction)(`${i}-product-render`,o,({product:e,listName:t})=>{e&&m({name:"view_item",items:[p(c({},u(e)),{listName:t})],currency:e.prices.currency_code})});(0,s.addAction)(`${i}-store-notice-create`,o,({status:e,content:t})=>{e==="error"&&m({name:"exception",items:[],description:t})});d.purchase&&m(c({name:"purchase"},d.purchase));})();
@@ -0,0 +1 @@
+<?php return array('dependencies' => array('wp-api-fetch', 'wp-data', 'wp-polyfill'), 'version' => 'c760ae005ba78c1ade0fd9b7c6b18383');
\ No newline at end of file
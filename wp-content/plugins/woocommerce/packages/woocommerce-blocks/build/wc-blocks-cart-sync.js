@@ -0,0 +1 @@
+(()=>{var g=Object.create;var h=Object.defineProperty;var D=Object.getOwnPropertyDescriptor;var P=Object.getOwnPropertyNames;var b=Object.getPrototypeOf,x=Object.prototype.hasOwnProperty;var T=(t,e)=>()=>(e||t((e={exports:{}}).exports,e),e.exports);var U=(t,e,n,a)=>{if(e&&typeof e=="object"||typeof e=="function")for(let r of P(e))!x.call(t,r)&&r!==n&&h(t,r,{get:()=>e[r],enumerable:!(a=D(e,r))||a.enumerable});return t};var f=(t,e,n)=>(n=t!=null?g(b(t)):{},U(e||!t||!t.__esModule?h(n,"default",{value:t,enumerable:!0}):n,t));var m=T((L,A)=>{A.exports=window.wp.apiFetch});var _=T((M,E)=>{E.exports=window.wp.data});var p=f(m()),s=f(_());var c="wc/store/cart",d="wc-blocks_cart_update_timestamp",C="wc_cart",i="cart_updated";var v=500,u,w=()=>(u===void 0&&(u=typeof window!="undefined"&&"BroadcastChannel"in window?new window.BroadcastChannel(C):null),u),R=()=>{var e;let t=Date.now()/1e3;window.localStorage.setItem(d,t.toString()),(e=w())==null||e.postMessage({type:i,timestamp:t})},S=t=>{let e,n=!1,a=()=>{if(document.hidden){n=!0;return}n=!1,e&&clearTimeout(e),e=setTimeout(t,v)},r=w();r?r.addEventListener("message",o=>{var l;((l=o.data)==null?void 0:l.type)===i&&a()}):window.addEventListener("storage",o=>{o.key===d&&a()}),document.addEventListener("visibilitychange",()=>{n&&!document.hidden&&a()})};var y=t=>{var a;let e=t.url||t.path||"";if(!e||t.method!=="POST")return!1;let n=/wc\/store\/cart\//;return n.test(e)?!0:/wc\/store\/batch/.test(e)?(((a=t.data)==null?void 0:a.requests)||[]).some(o=>n.test(o.path||"")):!1};p.default.use((t,e)=>{let n=e(t);return y(t)&&n.finally(R).catch(()=>{}),n});S(()=>{(0,s.select)(c).hasFinishedResolution("getCartData")&&(0,p.default)({path:"/wc/store/cart",method:"GET",cache:"no-store"}).then(t=>{(0,s.dispatch)(c).receiveCart(t)}).catch(()=>{})});})();
@@ -0,0 +1,10 @@
+(()=>{var Y=Object.create;var y=Object.defineProperty;var z=Object.getOwnPropertyDescriptor;var J=Object.getOwnPropertyNames;var X=Object.getPrototypeOf,q=Object.prototype.hasOwnProperty;var r=(o,e)=>()=>(e||o((e={exports:{}}).exports,e),e.exports);var G=(o,e,s,c)=>{if(e&&typeof e=="object"||typeof e=="function")for(let t of J(e))!q.call(o,t)&&t!==s&&y(o,t,{get:()=>e[t],enumerable:!(c=z(e,t))||c.enumerable});return o};var a=(o,e,s)=>(s=o!=null?Y(X(o)):{},G(e||!o||!o.__esModule?y(s,"default",{value:o,enumerable:!0}):s,o));var x=r((V,k)=>{k.exports=window.wp.plugins});var b=r((Z,g)=>{g.exports=window.wc.blocksCheckout});var C=r(($,v)=>{v.exports=window.wp.i18n});var E=r((ee,T)=>{T.exports=window.wp.element});var D=r((oe,N)=>{N.exports=window.wp.data});var O=r((te,S)=>{S.exports=window.wp.apiFetch});var F=r((se,P)=>{P.exports=window.wp.htmlEntities});var j=r((ae,R)=>{R.exports=window.wc.priceFormat});var A=r((ce,u)=>{(function(){"use strict";var o={}.hasOwnProperty;function e(){for(var s=[],c=0;c<arguments.length;c++){var t=arguments[c];if(t){var l=typeof t;if(l==="string"||l==="number")s.push(t);else if(Array.isArray(t)){if(t.length){var w=e.apply(null,t);w&&s.push(w)}}else if(l==="object")if(t.toString===Object.prototype.toString)for(var i in t)o.call(t,i)&&t[i]&&s.push(i);else s.push(t.toString())}}return s.join(" ")}typeof u!="undefined"&&u.exports?(e.default=e,u.exports=e):typeof define=="function"&&typeof define.amd=="object"&&define.amd?define("classnames",[],function(){return e}):window.classNames=e})()});var U=a(x()),W=a(b());var p=a(C()),_=a(E()),f=a(D()),I=a(O()),M=a(F()),d=a(b()),L=a(j()),B=a(A());var h="wc/store/cart";var H=()=>{let{deposit:o,totals:e}=(0,f.useSelect)(m=>{let n=m(h).getCartData();return{deposit:n.deposit,totals:n.totals}}),[s,c]=(0,_.useState)(!1),[t,l]=(0,_.useState)("");if(!(o!=null&&o.available))return null;let w=m=>{c(!0),l(""),(0,I.default)({path:"/wc/store/cart/update-deposit",method:"POST",data:{enabled:m},cache:"no-store"}).then(n=>{(0,f.dispatch)(h).receiveCart(n)}).catch(n=>{l((0,M.decodeEntities)((n==null?void 0:n.message)||"")||(0,p.__)("The payment could not be updated. Please try again.","woocommerce"))}).finally(()=>c(!1))},i=(0,L.getCurrencyFromPriceResponse)(e);return React.createElement(d.TotalsWrapper,null,React.createElement("div",{className:(0,B.default)("wc-block-components-totals-deposit",{"is-loading":s}),"aria-busy":s},React.createElement("label",{className:"wc-block-components-checkbox wc-block-components-totals-deposit__toggle",htmlFor:"wc-block-components-totals-deposit__input"},React.createElement("input",{id:"wc-block-components-totals-deposit__input",className:"wc-block-components-checkbox__input",type:"checkbox",checked:o.enabled,disabled:s,onChange:m=>w(m.target.checked)}),React.createElement("svg",{className:"wc-block-components-checkbox__mark","aria-hidden":"true",xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 20"},React.createElement("path",{d:"M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z"})),React.createElement("span",{className:"wc-block-components-checkbox__label"},(0,p.__)("Pay the booking fee now and the balance at the showroom","woocommerce"))),t&&React.createElement("p",{className:"wc-block-components-totals-deposit__error",role:"alert"},t),o.enabled&&e.total_pay_now!==null&&React.createElement(React.Fragment,null,React.createElement(d.TotalsItem,{className:"wc-block-components-totals-deposit__pay-now",currency:i,label:(0,p.__)("Pay now","woocommerce"),value:parseInt(e.total_pay_now,10)}),React.createElement(d.TotalsItem,{className:"wc-block-components-totals-deposit__balance-due",currency:i,label:(0,p.__)("Balance due","woocommerce"),value:parseInt(e.total_balance_due||"0",10),description:(0,p.__)("Paid when you collect your order.","woocommerce")}))))},K=H;(0,U.registerPlugin)("woocommerce-deposits",{render:()=>React.createElement(W.ExperimentalOrderMeta,null,React.createElement(K,null)),scope:"woocommerce-checkout"});})();
+/*! Bundled license information:
+
+classnames/index.js:
+  (*!
+    Copyright (c) 2018 Jed Watson.
+    Licensed under the MIT License (MIT), see
+    http://jedwatson.github.io/classnames
+  *)
+*/
@@ -0,0 +1 @@
+<?php return array('dependencies' => array('react', 'wc-blocks-checkout', 'wc-settings', 'wp-api-fetch', 'wp-element', 'wp-html-entities', 'wp-i18n', 'wp-plugins', 'wp-polyfill'), 'version' => '72b1e9827d5feb94810def60ec7d9df7');
\ No newline at end of file
@@ -0,0 +1,10 @@
+(()=>{var ee=Object.create;var y=Object.defineProperty;var te=Object.getOwnPropertyDescriptor;var oe=Object.getOwnPropertyNames,v=Object.getOwnPropertySymbols,ae=Object.getPrototypeOf,h=Object.prototype.hasOwnProperty,N=Object.prototype.propertyIsEnumerable;var O=(t,e,o)=>e in t?y(t,e,{enumerable:!0,configurable:!0,writable:!0,value:o}):t[e]=o,D=(t,e)=>{for(var o in e||(e={}))h.call(e,o)&&O(t,o,e[o]);if(v)for(var o of v(e))N.call(e,o)&&O(t,o,e[o]);return t};var F=(t,e)=>{var o={};for(var a in t)h.call(t,a)&&e.indexOf(a)<0&&(o[a]=t[a]);if(t!=null&&v)for(var a of v(t))e.indexOf(a)<0&&N.call(t,a)&&(o[a]=t[a]);return o};var m=(t,e)=>()=>(e||t((e={exports:{}}).exports,e),e.exports);var re=(t,e,o,a)=>{if(e&&typeof e=="object"||typeof e=="function")for(let r of oe(e))!h.call(t,r)&&r!==o&&y(t,r,{get:()=>e[r],enumerable:!(a=te(e,r))||a.enumerable});return t};var c=(t,e,o)=>(o=t!=null?ee(ae(t)):{},re(e||!t||!t.__esModule?y(o,"default",{value:t,enumerable:!0}):o,t));var B=m((ne,P)=>{P.exports=window.wp.plugins});var x=m((ce,I)=>{I.exports=window.wc.blocksCheckout});var q=m((le,j)=>{j.exports=window.wc.wcSettings});var T=m((me,A)=>{A.exports=window.wp.i18n});var X=m((pe,J)=>{J.exports=window.wp.element});var M=m((de,L)=>{L.exports=window.wp.apiFetch});var W=m((ue,Q)=>{Q.exports=window.wp.htmlEntities});var $=m((fe,w)=>{(function(){"use strict";var t={}.hasOwnProperty;function e(){for(var o=[],a=0;a<arguments.length;a++){var r=arguments[a];if(r){var n=typeof r;if(n==="string"||n==="number")o.push(r);else if(Array.isArray(r)){if(r.length){var l=e.apply(null,r);l&&o.push(l)}}else if(n==="object")if(r.toString===Object.prototype.toString)for(var s in r)t.call(r,s)&&r[s]&&o.push(s);else o.push(r.toString())}}return o.join(" ")}typeof w!="undefined"&&w.exports?(e.default=e,w.exports=e):typeof define=="function"&&typeof define.amd=="object"&&define.amd?define("classnames",[],function(){return e}):window.classNames=e})()});var K=c(B()),S=c(x()),U=c(q());var i=c(T()),p=c(X()),R=c(M()),C=c(W()),u=c(x()),z=c($());var g=n=>{var l=n,{id:t,label:e,value:o,onChange:a}=l,r=F(l,["id","label","value","onChange"]);let[s,f]=(0,p.useState)(!1);return React.createElement("div",{className:(0,z.default)("wc-block-components-text-input",{"is-active":s||o})},React.createElement("input",D({type:"text",id:t,value:o,onChange:b=>a==null?void 0:a(b.target.value),onFocus:()=>f(!0),onBlur:()=>f(!1)},r)),React.createElement("label",{htmlFor:t},e))},se=({expiryDays:t})=>{let[e,o]=(0,p.useState)(""),[a,r]=(0,p.useState)(String(t)),[n,l]=(0,p.useState)(!1),[s,f]=(0,p.useState)(null),[b,_]=(0,p.useState)(!1),[k,E]=(0,p.useState)(""),V=Z=>{Z.preventDefault(),l(!0),E(""),(0,R.default)({path:"/wc/store/cart/save",method:"POST",data:{name:e,expiry_days:parseInt(a,10)||t}}).then(d=>{f(d),_(!1),o("")}).catch(d=>{E((0,C.decodeEntities)((d==null?void 0:d.message)||"")||(0,i.__)("The quote could not be saved. Please try again.","woocommerce"))}).finally(()=>l(!1))},Y=()=>{s&&window.navigator.clipboard.writeText(s.url).then(()=>_(!0))};return React.createElement(u.Panel,{className:"wc-block-cart__save-cart",hasBorder:!1,initialOpen:!1,title:(0,i.__)("Save as quote","woocommerce")},React.createElement("form",{className:"wc-block-cart__save-cart-form",onSubmit:V},React.createElement(g,{id:"wc-block-cart__save-cart-name",label:(0,i.__)("Quote name","woocommerce"),value:e,onChange:o,disabled:n,required:!0}),React.createElement(g,{id:"wc-block-cart__save-cart-days",type:"number",min:"1",max:"365",label:(0,i.__)("Link valid for (days)","woocommerce"),value:a,onChange:r,disabled:n}),k&&React.createElement("p",{className:"wc-block-cart__save-cart-error",role:"alert"},k),React.createElement(u.Button,{type:"submit",disabled:n||!e.trim(),showSpinner:n},(0,i.__)("Save quote","woocommerce"))),s&&React.createElement("div",{className:"wc-block-cart__save-cart-link"},React.createElement("p",null,(0,i.sprintf)((0,i.__)('"%1$s" has been saved. Share this link to add it to any cart until %2$s:',"woocommerce"),(0,C.decodeEntities)(s.name),s.expires?new Date(s.expires).toLocaleDateString():"")),React.createElement(g,{id:"wc-block-cart__save-cart-url",label:(0,i.__)("Quote link","woocommerce"),value:s.url,readOnly:!0}),window.navigator.clipboard&&React.createElement(u.Button,{onClick:Y},b?(0,i.__)("Copied","woocommerce"):(0,i.__)("Copy link","woocommerce"))))},G=se;var H=(0,U.getSetting)("savedCarts",{canSave:!1});H.canSave&&(0,K.registerPlugin)("woocommerce-saved-carts",{render:()=>React.createElement(S.ExperimentalOrderMeta,null,React.createElement(S.TotalsWrapper,null,React.createElement(G,{expiryDays:H.expiryDays||14}))),scope:"woocommerce-checkout"});})();
+/*! Bundled license information:
+
+classnames/index.js:
+  (*!
+    Copyright (c) 2018 Jed Watson.
+    Licensed under the MIT License (MIT), see
+    http://jedwatson.github.io/classnames
+  *)
+*/
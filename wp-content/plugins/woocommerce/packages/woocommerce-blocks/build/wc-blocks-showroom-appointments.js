@@ -0,0 +1,10 @@
+(()=>{var po=Object.create;var S=Object.defineProperty,wo=Object.defineProperties,ho=Object.getOwnPropertyDescriptor,uo=Object.getOwnPropertyDescriptors,fo=Object.getOwnPropertyNames,L=Object.getOwnPropertySymbols,bo=Object.getPrototypeOf,M=Object.prototype.hasOwnProperty,ko=Object.prototype.propertyIsEnumerable;var B=(t,e,n)=>e in t?S(t,e,{enumerable:!0,configurable:!0,writable:!0,value:n}):t[e]=n,_=(t,e)=>{for(var n in e||(e={}))M.call(e,n)&&B(t,n,e[n]);if(L)for(var n of L(e))ko.call(e,n)&&B(t,n,e[n]);return t},A=(t,e)=>wo(t,uo(e));var p=(t,e)=>()=>(e||t((e={exports:{}}).exports,e),e.exports);var go=(t,e,n,i)=>{if(e&&typeof e=="object"||typeof e=="function")for(let s of fo(e))!M.call(t,s)&&s!==n&&S(t,s,{get:()=>e[s],enumerable:!(i=ho(e,s))||i.enumerable});return t};var c=(t,e,n)=>(n=t!=null?po(bo(t)):{},go(e||!t||!t.__esModule?S(n,"default",{value:t,enumerable:!0}):n,t));var J=p((_o,q)=>{q.exports=window.wp.plugins});var x=p((Ao,Q)=>{Q.exports=window.wc.blocksCheckout});var T=p((xo,R)=>{R.exports=window.wc.wcSettings});var X=p((No,U)=>{U.exports=window.wp.i18n});var $=p((Co,Y)=>{Y.exports=window.wp.element});var G=p((Eo,z)=>{z.exports=window.wp.apiFetch});var K=p((Oo,H)=>{H.exports=window.wp.url});var Z=p((jo,W)=>{W.exports=window.wp.htmlEntities});var oo=p((Po,k)=>{(function(){"use strict";var t={}.hasOwnProperty;function e(){for(var n=[],i=0;i<arguments.length;i++){var s=arguments[i];if(s){var r=typeof s;if(r==="string"||r==="number")n.push(s);else if(Array.isArray(s)){if(s.length){var l=e.apply(null,s);l&&n.push(l)}}else if(r==="object")if(s.toString===Object.prototype.toString)for(var u in s)t.call(s,u)&&s[u]&&n.push(u);else n.push(s.toString())}}return n.join(" ")}typeof k!="undefined"&&k.exports?(e.default=e,k.exports=e):typeof define=="function"&&typeof define.amd=="object"&&define.amd?define("classnames",[],function(){return e}):window.classNames=e})()});var io=c(J()),co=c(x()),mo=c(T());var a=c(X()),m=c($()),to=c(G()),no=c(K()),f=c(Z()),so=c(x()),C=c(oo());var N="showroom-appointments";var eo={branch:"",slot:"",type:""},vo=t=>new Date(`${t}T00:00:00`).toLocaleDateString(void 0,{weekday:"long",day:"numeric",month:"long"}),yo=({settings:t,extensions:e={}})=>{let{branches:n=[],types:i=[],required:s=!1}=t,r=e[N]||eo,[l,u]=(0,m.useState)(r.branch),[d,E]=(0,m.useState)(r.slot.substring(0,10)),[g,lo]=(0,m.useState)(r.type||(i.length?i[0].value:"")),[O,v]=(0,m.useState)([]),[j,P]=(0,m.useState)(!1),[b,V]=(0,m.useState)(!1),[D,F]=(0,m.useState)(""),w=n.find(({id:o})=>o===l);(0,m.useEffect)(()=>{if(!l||!d){v([]);return}let o=!0;return P(!0),(0,to.default)({path:(0,no.addQueryArgs)("/wc/store/showroom/slots",{branch:l,date:d})}).then(h=>{o&&v(h)}).catch(()=>{o&&v([])}).finally(()=>{o&&P(!1)}),()=>{o=!1}},[l,d]);let y=o=>{V(!0),F(""),(0,so.extensionCartUpdate)({namespace:N,data:o}).catch(h=>{F((h==null?void 0:h.message)||(0,a.__)("Your appointment could not be saved. Please try again.","woocommerce"))}).finally(()=>V(!1))},I=()=>{r.slot&&y(A(_({},eo),{type:g}))};return React.createElement("div",{className:"wc-block-checkout__showroom-appointment"},React.createElement("h2",{className:"wc-block-checkout__showroom-appointment-title"},(0,a.__)("Showroom appointment","woocommerce")),React.createElement("p",{className:"wc-block-checkout__showroom-appointment-description"},s?(0,a.__)("Choose the branch and time to pick up your motorcycle or take a test ride.","woocommerce"):(0,a.__)("Optionally book a time at one of our branches to pick up your motorcycle or take a test ride.","woocommerce")),i.length>1&&React.createElement("div",{className:"wc-block-checkout__showroom-appointment-types"},i.map(o=>React.createElement("label",{key:o.value},React.createElement("input",{type:"radio",name:"showroom-appointment-type",value:o.value,checked:o.value===g,disabled:b,onChange:()=>{lo(o.value),r.slot&&y(A(_({},r),{type:o.value}))}}),(0,f.decodeEntities)(o.label)))),React.createElement("label",{className:"wc-block-checkout__showroom-appointment-field"},(0,a.__)("Branch","woocommerce"),React.createElement("select",{value:l,disabled:b,onChange:o=>{u(o.target.value),E(""),I()}},React.createElement("option",{value:""},(0,a.__)("Choose a branch\u2026","woocommerce")),n.map(({id:o,name:h})=>React.createElement("option",{key:o,value:o},(0,f.decodeEntities)(h))))),(w==null?void 0:w.address)&&React.createElement("p",{className:"wc-block-checkout__showroom-appointment-address"},(0,f.decodeEntities)(w.address)),w&&React.createElement("label",{className:"wc-block-checkout__showroom-appointment-field"},(0,a.__)("Date","woocommerce"),React.createElement("select",{value:d,disabled:b,onChange:o=>{E(o.target.value),I()}},React.createElement("option",{value:""},(0,a.__)("Choose a date\u2026","woocommerce")),w.dates.map(o=>React.createElement("option",{key:o,value:o},vo(o))))),w&&d&&React.createElement("div",{className:(0,C.default)("wc-block-checkout__showroom-appointment-slots",{"is-loading":j})},!j&&!O.length&&React.createElement("p",null,(0,a.__)("There are no time slots left on this date. Please choose another date.","woocommerce")),O.map(o=>React.createElement("button",{key:o.slot,type:"button",className:(0,C.default)("wc-block-checkout__showroom-appointment-slot",{"is-selected":o.slot===r.slot}),"aria-pressed":o.slot===r.slot,disabled:b||!o.available,onClick:()=>y({branch:l,slot:o.slot,type:g})},React.createElement("span",{className:"wc-block-checkout__showroom-appointment-slot-time"},(0,f.decodeEntities)(o.label)),React.createElement("span",{className:"wc-block-checkout__showroom-appointment-slot-remaining"},o.available?(0,a.sprintf)((0,a._n)("%d place left","%d places left",o.remaining,"woocommerce"),o.remaining):(0,a.__)("Full","woocommerce"))))),D&&React.createElement("p",{className:"wc-block-checkout__showroom-appointment-error",role:"alert"},D))},ao=yo;var ro=(0,mo.getSetting)("showroomAppointments",{enabled:!1});ro.enabled&&(0,io.registerPlugin)("woocommerce-showroom-appointments",{render:()=>React.createElement(co.ExperimentalOrderMeta,null,React.createElement(ao,{settings:ro})),scope:"woocommerce-checkout"});})();
+/*! Bundled license information:
+
+classnames/index.js:
+  (*!
+    Copyright (c) 2018 Jed Watson.
+    Licensed under the MIT License (MIT), see
+    http://jedwatson.github.io/classnames
+  *)
+*/
@@ -1 +1 @@
-<?php return array('dependencies' => array('wp-hooks', 'wp-i18n', 'wp-polyfill'), 'version' => 'eb9fff9e86cd8c11bfb8c225bea87ed4');
\ No newline at end of file
+<?php return array('dependencies' => array('wp-hooks', 'wp-i18n', 'wp-polyfill'), 'version' => 'd6fb3f3e4bb4f91a3b70f6c1084fef23');
\ No newline at end of file
@@ -1 +1,3 @@
-this.wc=this.wc||{},this.wc.wcSettings=function(e){var t={};function r(o){if(t[o])return t[o].exports;var n=t[o]={i:o,l:!1,exports:{}};return e[o].call(n.exports,n,n.exports,r),n.l=!0,n.exports}return r.m=e,r.c=t,r.d=function(e,t,o){r.o(e,t)||Object.defineProperty(e,t,{enumerable:!0,get:o})},r.r=function(e){"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},r.t=function(e,t){if(1&t&&(e=r(e)),8&t)return e;if(4&t&&"object"==typeof e&&e&&e.__esModule)return e;var o=Object.create(null);if(r.r(o),Object.defineProperty(o,"default",{enumerable:!0,value:e}),2&t&&"string"!=typeof e)for(var n in e)r.d(o,n,function(t){return e[t]}.bind(null,n));return o},r.n=function(e){var t=e&&e.__esModule?function(){return e.default}:function(){return e};return r.d(t,"a",t),t},r.o=function(e,t){return Object.prototype.hasOwnProperty.call(e,t)},r.p="",r(r.s=162)}({1:function(e,t){!function(){e.exports=this.wp.i18n}()},162:function(e,t,r){"use strict";r.r(t),r.d(t,"ADMIN_URL",(function(){return b})),r.d(t,"COUNTRIES",(function(){return g})),r.d(t,"CURRENCY",(function(){return _})),r.d(t,"CURRENT_USER_IS_ADMIN",(function(){return m})),r.d(t,"HOME_URL",(function(){return y})),r.d(t,"LOCALE",(function(){return O})),r.d(t,"ORDER_STATUSES",(function(){return w})),r.d(t,"PLACEHOLDER_IMG_SRC",(function(){return v})),r.d(t,"SITE_TITLE",(function(){return h})),r.d(t,"STORE_PAGES",(function(){return j})),r.d(t,"WC_ASSET_URL",(function(){return x})),r.d(t,"WC_VERSION",(function(){return S})),r.d(t,"WP_LOGIN_URL",(function(){return P})),r.d(t,"WP_VERSION",(function(){return k})),r.d(t,"defaultAddressFields",(function(){return L})),r.d(t,"getSetting",(function(){return R})),r.d(t,"isWpVersion",(function(){return T})),r.d(t,"isWcVersion",(function(){return C})),r.d(t,"getAdminLink",(function(){return M}));var o=r(2),n=r.n(o),i=r(39);function c(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var o=Object.getOwnPropertySymbols(e);t&&(o=o.filter((function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable}))),r.push.apply(r,o)}return r}function u(e){for(var t=1;t<arguments.length;t++){var r=null!=arguments[t]?arguments[t]:{};t%2?c(Object(r),!0).forEach((function(t){n()(e,t,r[t])})):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):c(Object(r)).forEach((function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(r,t))}))}return e}Object(i.addFilter)("woocommerce_admin_analytics_settings","woocommerce-blocks/exclude-draft-status-from-analytics",(function(e){var t=function(e){return"customStatuses"===e.key?u(u({},e),{},{options:e.options.filter((function(e){return"checkout-draft"!==e.value}))}):e},r=e.woocommerce_actionable_order_statuses.options.map(t),o=e.woocommerce_excluded_report_order_statuses.options.map(t);return u(u({},e),{},{woocommerce_actionable_order_statuses:u(u({},e.woocommerce_actionable_order_statuses),{},{options:r}),woocommerce_excluded_report_order_statuses:u(u({},e.woocommerce_excluded_report_order_statuses),{},{options:o})})}));var a=r(7);function s(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var o=Object.getOwnPropertySymbols(e);t&&(o=o.filter((function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable}))),r.push.apply(r,o)}return r}function l(e){for(var t=1;t<arguments.length;t++){var r=null!=arguments[t]?arguments[t]:{};t%2?s(Object(r),!0).forEach((function(t){n()(e,t,r[t])})):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):s(Object(r)).forEach((function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(r,t))}))}return e}var d={adminUrl:"",countries:[],currency:{code:"USD",precision:2,symbol:"$",symbolPosition:"left",decimalSeparator:".",priceFormat:"%1$s%2$s",thousandSeparator:","},currentUserIsAdmin:!1,homeUrl:"",locale:{siteLocale:"en_US",userLocale:"en_US",weekdaysShort:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"]},orderStatuses:[],placeholderImgSrc:"",siteTitle:"",storePages:[],wcAssetUrl:"",wcVersion:"",wpLoginUrl:"",wpVersion:""},p="object"===r.n(a)()(window.wcSettings)?window.wcSettings:{},f=l(l({},d),p);f.currency=l(l({},d.currency),f.currency),f.locale=l(l({},d.locale),f.locale);var b=f.adminUrl,g=f.countries,_=f.currency,m=f.currentUserIsAdmin,y=f.homeUrl,O=f.locale,w=f.orderStatuses,v=f.placeholderImgSrc,h=f.siteTitle,j=f.storePages,x=f.wcAssetUrl,S=f.wcVersion,P=f.wpLoginUrl,k=f.wpVersion,E=r(1),L={first_name:{label:Object(E.__)("First name",'woocommerce'),optionalLabel:Object(E.__)("First name (optional)",'woocommerce'),autocomplete:"given-name",autocapitalize:"sentences",required:!0,hidden:!1,index:10},last_name:{label:Object(E.__)("Last name",'woocommerce'),optionalLabel:Object(E.__)("Last name (optional)",'woocommerce'),autocomplete:"family-name",autocapitalize:"sentences",required:!0,hidden:!1,index:20},company:{label:Object(E.__)("Company",'woocommerce'),optionalLabel:Object(E.__)("Company (optional)",'woocommerce'),autocomplete:"organization",autocapitalize:"sentences",required:!1,hidden:!1,index:30},address_1:{label:Object(E.__)("Address",'woocommerce'),optionalLabel:Object(E.__)("Address (optional)",'woocommerce'),autocomplete:"address-line1",autocapitalize:"sentences",required:!0,hidden:!1,index:40},address_2:{label:Object(E.__)("Apartment, suite, etc.",'woocommerce'),optionalLabel:Object(E.__)("Apartment, suite, etc. (optional)",'woocommerce'),autocomplete:"address-line2",autocapitalize:"sentences",required:!1,hidden:!1,index:50},country:{label:Object(E.__)("Country/Region",'woocommerce'),optionalLabel:Object(E.__)("Country/Region (optional)",'woocommerce'),autocomplete:"country",required:!0,hidden:!1,index:60},city:{label:Object(E.__)("City",'woocommerce'),optionalLabel:Object(E.__)("City (optional)",'woocommerce'),autocomplete:"address-level2",autocapitalize:"sentences",required:!0,hidden:!1,index:70},state:{label:Object(E.__)("State/County",'woocommerce'),optionalLabel:Object(E.__)("State/County (optional)",'woocommerce'),autocomplete:"address-level1",autocapitalize:"sentences",required:!0,hidden:!1,index:80},postcode:{label:Object(E.__)("Postal code",'woocommerce'),optionalLabel:Object(E.__)("Postal code (optional)",'woocommerce'),autocomplete:"postal-code",autocapitalize:"characters",required:!0,hidden:!1,index:90}},U=r(40),I=r.n(U),R=function(e){var t=arguments.length>1&&void 0!==arguments[1]&&arguments[1],r=arguments.length>2&&void 0!==arguments[2]?arguments[2]:function(e,t){return void 0!==e?e:t},o=e in f?f[e]:t;return r(o,t)},A=function(e,t,r){var o=R(e,"").replace(/-[a-zA-Z0-9]*[\-]*/,".0-rc.");return o=o.endsWith(".")?o.substring(0,o.length-1):o,I.a.compare(o,t,r)},T=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:"=";return A("wpVersion",e,t)},C=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:"=";return A("wcVersion",e,t)},M=function(e){return R("adminUrl")+e}},2:function(e,t){e.exports=function(e,t,r){return t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e},e.exports.default=e.exports,e.exports.__esModule=!0},39:function(e,t){!function(){e.exports=this.wp.hooks}()},40:function(e,t,r){var o,n;void 0===(n="function"==typeof(o=function(){var e=/^v?(?:\d+)(\.(?:[x*]|\d+)(\.(?:[x*]|\d+)(\.(?:[x*]|\d+))?(?:-[\da-z\-]+(?:\.[\da-z\-]+)*)?(?:\+[\da-z\-]+(?:\.[\da-z\-]+)*)?)?)?$/i;function t(e){var t,r=e.replace(/^v/,"").replace(/\+.*$/,""),o=("-",-1===(t=r).indexOf("-")?t.length:t.indexOf("-")),n=r.substring(0,o).split(".");return n.push(r.substring(o+1)),n}function r(e){return isNaN(Number(e))?e:Number(e)}function o(t){if("string"!=typeof t)throw new TypeError("Invalid argument expected string");if(!e.test(t))throw new Error("Invalid argument not valid semver ('"+t+"' received)")}function n(e,n){[e,n].forEach(o);for(var i=t(e),c=t(n),u=0;u<Math.max(i.length-1,c.length-1);u++){var a=parseInt(i[u]||0,10),s=parseInt(c[u]||0,10);if(a>s)return 1;if(s>a)return-1}var l=i[i.length-1],d=c[c.length-1];if(l&&d){var p=l.split(".").map(r),f=d.split(".").map(r);for(u=0;u<Math.max(p.length,f.length);u++){if(void 0===p[u]||"string"==typeof f[u]&&"number"==typeof p[u])return-1;if(void 0===f[u]||"string"==typeof p[u]&&"number"==typeof f[u])return 1;if(p[u]>f[u])return 1;if(f[u]>p[u])return-1}}else if(l||d)return l?-1:1;return 0}var i=[">",">=","=","<","<="],c={">":[1],">=":[0,1],"=":[0],"<=":[-1,0],"<":[-1]};return n.validate=function(t){return"string"==typeof t&&e.test(t)},n.compare=function(e,t,r){!function(e){if("string"!=typeof e)throw new TypeError("Invalid operator type, expected string but got "+typeof e);if(-1===i.indexOf(e))throw new TypeError("Invalid operator, expected one of "+i.join("|"))}(r);var o=n(e,t);return c[r].indexOf(o)>-1},n})?o.apply(t,[]):o)||(e.exports=n)},7:function(e,t){function r(t){return"function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?(e.exports=r=function(e){return typeof e},e.exports.default=e.exports,e.exports.__esModule=!0):(e.exports=r=function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},e.exports.default=e.exports,e.exports.__esModule=!0),r(t)}e.exports=r,e.exports.default=e.exports,e.exports.__esModule=!0}});
\ No newline at end of file
+this.wc=this.wc||{},this.wc.wcSettings=function(){
+var __wcSettings=(()=>{var $=Object.create;var w=Object.defineProperty,j=Object.defineProperties,G=Object.getOwnPropertyDescriptor,H=Object.getOwnPropertyDescriptors,B=Object.getOwnPropertyNames,v=Object.getOwnPropertySymbols,K=Object.getPrototypeOf,E=Object.prototype.hasOwnProperty,Y=Object.prototype.propertyIsEnumerable;var C=(e,r,t)=>r in e?w(e,r,{enumerable:!0,configurable:!0,writable:!0,value:t}):e[r]=t,d=(e,r)=>{for(var t in r||(r={}))E.call(r,t)&&C(e,t,r[t]);if(v)for(var t of v(r))Y.call(r,t)&&C(e,t,r[t]);return e},x=(e,r)=>j(e,H(r));var _=(e,r)=>()=>(r||e((r={exports:{}}).exports,r),r.exports),Z=(e,r)=>{for(var t in r)w(e,t,{get:r[t],enumerable:!0})},F=(e,r,t,c)=>{if(r&&typeof r=="object"||typeof r=="function")for(let s of B(r))!E.call(e,s)&&s!==t&&w(e,s,{get:()=>r[s],enumerable:!(c=G(r,s))||c.enumerable});return e};var b=(e,r,t)=>(t=e!=null?$(K(e)):{},F(r||!e||!e.__esModule?w(t,"default",{value:e,enumerable:!0}):t,e)),J=e=>F(w({},"__esModule",{value:!0}),e);var T=_((_e,O)=>{O.exports=window.wp.hooks});var z=_((Ie,k)=>{k.exports=window.wp.i18n});var W=_((A,P)=>{(function(e,r){typeof define=="function"&&define.amd?define([],r):typeof A=="object"?P.exports=r():e.compareVersions=r()})(A,function(){var e=/^v?(?:\d+)(\.(?:[x*]|\d+)(\.(?:[x*]|\d+)(\.(?:[x*]|\d+))?(?:-[\da-z\-]+(?:\.[\da-z\-]+)*)?(?:\+[\da-z\-]+(?:\.[\da-z\-]+)*)?)?)?$/i;function r(o,l){return o.indexOf(l)===-1?o.length:o.indexOf(l)}function t(o){var l=o.replace(/^v/,"").replace(/\+.*$/,""),p=r(l,"-"),m=l.substring(0,p).split(".");return m.push(l.substring(p+1)),m}function c(o){return isNaN(Number(o))?o:Number(o)}function s(o){if(typeof o!="string")throw new TypeError("Invalid argument expected string");if(!e.test(o))throw new Error("Invalid argument not valid semver ('"+o+"' received)")}function u(o,l){[o,l].forEach(s);for(var p=t(o),m=t(l),a=0;a<Math.max(p.length-1,m.length-1);a++){var I=parseInt(p[a]||0,10),R=parseInt(m[a]||0,10);if(I>R)return 1;if(R>I)return-1}var y=p[p.length-1],S=m[m.length-1];if(y&&S){var g=y.split(".").map(c),f=S.split(".").map(c);for(a=0;a<Math.max(g.length,f.length);a++){if(g[a]===void 0||typeof f[a]=="string"&&typeof g[a]=="number")return-1;if(f[a]===void 0||typeof g[a]=="string"&&typeof f[a]=="number"||g[a]>f[a])return 1;if(f[a]>g[a])return-1}}else if(y||S)return y?-1:1;return 0}var U=[">",">=","=","<","<="],D={">":[1],">=":[0,1],"=":[0],"<=":[-1,0],"<":[-1]};function M(o){if(typeof o!="string")throw new TypeError("Invalid operator type, expected string but got "+typeof o);if(U.indexOf(o)===-1)throw new TypeError("Invalid operator, expected one of "+U.join("|"))}return u.validate=function(o){return typeof o=="string"&&e.test(o)},u.compare=function(o,l,p){M(p);var m=u(o,l);return D[p].indexOf(m)>-1},u})});var ye={};Z(ye,{ADMIN_URL:()=>X,COUNTRIES:()=>ee,CURRENCY:()=>re,CURRENT_USER_IS_ADMIN:()=>te,CURRENT_USER_IS_LOGGED_IN:()=>oe,HOME_URL:()=>ne,LOCALE:()=>se,ORDER_STATUSES:()=>ie,PLACEHOLDER_IMG_SRC:()=>ae,SITE_TITLE:()=>ce,STORE_PAGES:()=>de,WC_ASSET_URL:()=>le,WC_VERSION:()=>pe,WP_LOGIN_URL:()=>me,WP_VERSION:()=>ue,defaultAddressFields:()=>ge,getAdminLink:()=>xe,getSetting:()=>L,isWcVersion:()=>we,isWpVersion:()=>fe});var V=b(T());(0,V.addFilter)("woocommerce_admin_analytics_settings","woocommerce-blocks/exclude-draft-status-from-analytics",e=>{let r=s=>s.key==="customStatuses"?x(d({},s),{options:s.options.filter(u=>u.value!=="checkout-draft")}):s,t=e.woocommerce_actionable_order_statuses.options.map(r),c=e.woocommerce_excluded_report_order_statuses.options.map(r);return x(d({},e),{woocommerce_actionable_order_statuses:x(d({},e.woocommerce_actionable_order_statuses),{options:t}),woocommerce_excluded_report_order_statuses:x(d({},e.woocommerce_excluded_report_order_statuses),{options:c})})});var h={adminUrl:"",countries:[],currency:{code:"USD",precision:2,symbol:"$",symbolPosition:"left",decimalSeparator:".",priceFormat:"%1$s%2$s",thousandSeparator:","},currentUserIsAdmin:!1,currentUserIsLoggedIn:!1,homeUrl:"",locale:{siteLocale:"en_US",userLocale:"en_US",weekdaysShort:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"]},orderStatuses:[],placeholderImgSrc:"",siteTitle:"",storePages:[],wcAssetUrl:"",wcVersion:"",wpLoginUrl:"",wpVersion:""},Q=typeof window.wcSettings=="object"?window.wcSettings:{},n=d(d({},h),Q);n.currency=d(d({},h.currency),n.currency);n.locale=d(d({},h.locale),n.locale);var X=n.adminUrl,ee=n.countries,re=n.currency,te=n.currentUserIsAdmin,oe=n.currentUserIsLoggedIn,ne=n.homeUrl,se=n.locale,ie=n.orderStatuses,ae=n.placeholderImgSrc,ce=n.siteTitle,de=n.storePages,le=n.wcAssetUrl,pe=n.wcVersion,me=n.wpLoginUrl,ue=n.wpVersion;var i=b(z()),ge={first_name:{label:(0,i.__)("First name","woocommerce"),optionalLabel:(0,i.__)("First name (optional)","woocommerce"),autocomplete:"given-name",autocapitalize:"sentences",required:!0,hidden:!1,index:10},last_name:{label:(0,i.__)("Last name","woocommerce"),optionalLabel:(0,i.__)("Last name (optional)","woocommerce"),autocomplete:"family-name",autocapitalize:"sentences",required:!0,hidden:!1,index:20},company:{label:(0,i.__)("Company","woocommerce"),optionalLabel:(0,i.__)("Company (optional)","woocommerce"),autocomplete:"organization",autocapitalize:"sentences",required:!1,hidden:!1,index:30},address_1:{label:(0,i.__)("Address","woocommerce"),optionalLabel:(0,i.__)("Address (optional)","woocommerce"),autocomplete:"address-line1",autocapitalize:"sentences",required:!0,hidden:!1,index:40},address_2:{label:(0,i.__)("Apartment, suite, etc.","woocommerce"),optionalLabel:(0,i.__)("Apartment, suite, etc. (optional)","woocommerce"),autocomplete:"address-line2",autocapitalize:"sentences",required:!1,hidden:!1,index:50},country:{label:(0,i.__)("Country/Region","woocommerce"),optionalLabel:(0,i.__)("Country/Region (optional)","woocommerce"),autocomplete:"country",required:!0,hidden:!1,index:60},district:{label:(0,i.__)("District","woocommerce"),optionalLabel:(0,i.__)("District (optional)","woocommerce"),autocomplete:"address-level3",autocapitalize:"sentences",required:!1,hidden:!0,index:75},city:{label:(0,i.__)("City","woocommerce"),optionalLabel:(0,i.__)("City (optional)","woocommerce"),autocomplete:"address-level2",autocapitalize:"sentences",required:!0,hidden:!1,index:70},state:{label:(0,i.__)("State/County","woocommerce"),optionalLabel:(0,i.__)("State/County (optional)","woocommerce"),autocomplete:"address-level1",autocapitalize:"sentences",required:!0,hidden:!1,index:80},postcode:{label:(0,i.__)("Postal code","woocommerce"),optionalLabel:(0,i.__)("Postal code (optional)","woocommerce"),autocomplete:"postal-code",autocapitalize:"characters",required:!0,hidden:!1,index:90}};var N=b(W());var L=(e,r=!1,t=(c,s)=>typeof c!="undefined"?c:s)=>{let c=e in n?n[e]:r;return t(c,r)},q=(e,r,t)=>{let s=L(e,"").replace(/-[a-zA-Z0-9]*[\-]*/,".0-rc.");return s=s.endsWith(".")?s.substring(0,s.length-1):s,N.default.compare(s,r,t)},fe=(e,r="=")=>q("wpVersion",e,r),we=(e,r="=")=>q("wcVersion",e,r),xe=e=>L("adminUrl")+e;return J(ye);})();
+return __wcSettings}();
@@ -74,20 +74,21 @@ class AssetDataRegistry {
 	 */
 	protected function get_core_data() {
 		return [
-			'adminUrl'           => admin_url(),
-			'countries'          => WC()->countries->get_countries(),
-			'currency'           => $this->get_currency_data(),
-			'currentUserIsAdmin' => current_user_can( 'manage_woocommerce' ),
-			'homeUrl'            => esc_url( home_url( '/' ) ),
-			'locale'             => $this->get_locale_data(),
-			'orderStatuses'      => $this->get_order_statuses(),
-			'placeholderImgSrc'  => wc_placeholder_img_src(),
-			'siteTitle'          => get_bloginfo( 'name' ),
-			'storePages'         => $this->get_store_pages(),
-			'wcAssetUrl'         => plugins_url( 'assets/', WC_PLUGIN_FILE ),
-			'wcVersion'          => defined( 'WC_VERSION' ) ? WC_VERSION : '',
-			'wpLoginUrl'         => wp_login_url(),
-			'wpVersion'          => get_bloginfo( 'version' ),
+			'adminUrl'              => admin_url(),
+			'countries'             => WC()->countries->get_countries(),
+			'currency'              => $this->get_currency_data(),
+			'currentUserIsAdmin'    => current_user_can( 'manage_woocommerce' ),
+			'currentUserIsLoggedIn' => is_user_logged_in(),
+			'homeUrl'               => esc_url( home_url( '/' ) ),
+			'locale'                => $this->get_locale_data(),
+			'orderStatuses'         => $this->get_order_statuses(),
+			'placeholderImgSrc'     => wc_placeholder_img_src(),
+			'siteTitle'             => get_bloginfo( 'name' ),
+			'storePages'            => $this->get_store_pages(),
+			'wcAssetUrl'            => plugins_url( 'assets/', WC_PLUGIN_FILE ),
+			'wcVersion'             => defined( 'WC_VERSION' ) ? WC_VERSION : '',
+			'wpLoginUrl'            => wp_login_url(),
+			'wpVersion'             => get_bloginfo( 'version' ),
 		];
 	}
 
@@ -28,5 +28,6 @@ class AllProducts extends AbstractBlock {
 		$this->asset_data_registry->add( 'max_rows', wc_get_theme_support( 'product_blocks::max_rows', 6 ), true );
 		$this->asset_data_registry->add( 'default_rows', wc_get_theme_support( 'product_blocks::default_rows', 3 ), true );
 		$this->asset_data_registry->add( 'hideOutOfStockItems', 'yes' === get_option( 'woocommerce_hide_out_of_stock_items' ), true );
+		$this->asset_data_registry->add( 'productCompareMax', class_exists( 'WC_Product_Compare' ) ? \WC_Product_Compare::get_max_items() : 4, true );
 	}
 }
@@ -126,6 +126,14 @@ class Cart extends AbstractBlock {
 		$this->asset_data_registry->add( 'couponsEnabled', wc_coupons_enabled(), true );
 		$this->asset_data_registry->add( 'shippingEnabled', wc_shipping_enabled(), true );
 		$this->asset_data_registry->add( 'hasDarkEditorStyleSupport', current_theme_supports( 'dark-editor-style' ), true );
+		$this->asset_data_registry->add(
+			'savedCarts',
+			[
+				'canSave'    => \WC_Saved_Carts::user_can_save(),
+				'expiryDays' => \WC_Saved_Carts::get_default_expiry_days(),
+			],
+			true
+		);
 		$this->asset_data_registry->register_page_id( isset( $attributes['checkoutPageId'] ) ? $attributes['checkoutPageId'] : 0 );
 
 		// Hydrate the following data depending on admin or frontend context.
@@ -167,6 +167,7 @@ class Checkout extends AbstractBlock {
 		$this->asset_data_registry->add( 'couponsEnabled', wc_coupons_enabled(), true );
 		$this->asset_data_registry->add( 'shippingEnabled', wc_shipping_enabled(), true );
 		$this->asset_data_registry->add( 'hasDarkEditorStyleSupport', current_theme_supports( 'dark-editor-style' ), true );
+		$this->asset_data_registry->add( 'showroomAppointments', $this->get_showroom_appointment_data(), true );
 		$this->asset_data_registry->register_page_id( isset( $attributes['cartPageId'] ) ? $attributes['cartPageId'] : 0 );
 
 		// Hydrate the following data depending on admin or frontend context.
@@ -187,6 +188,46 @@ class Checkout extends AbstractBlock {
 		do_action( 'woocommerce_blocks_checkout_enqueue_data' );
 	}
 
+	/**
+	 * Get the branches, opening dates and appointment types for the showroom appointment step.
+	 *
+	 * @return array
+	 */
+	protected function get_showroom_appointment_data() {
+		if ( ! \WC_Showroom_Appointments::is_enabled() ) {
+			return [
+				'enabled' => false,
+			];
+		}
+
+		$branches = [];
+
+		foreach ( \WC_Showroom_Appointments::get_branches() as $branch ) {
+			$branches[] = [
+				'id'      => $branch['id'],
+				'name'    => $branch['name'],
+				'address' => $branch['address'],
+				'dates'   => \WC_Showroom_Appointments::get_dates( $branch['id'] ),
+			];
+		}
+
+		$types = [];
+
+		foreach ( \WC_Showroom_Appointments::get_types() as $value => $label ) {
+			$types[] = [
+				'value' => $value,
+				'label' => $label,
+			];
+		}
+
+		return [
+			'enabled'  => true,
+			'required' => \WC_Showroom_Appointments::is_required(),
+			'branches' => $branches,
+			'types'    => $types,
+		];
+	}
+
 	/**
 	 * Removes accents from an array of values, sorts by the values, then returns the original array values sorted.
 	 *
@@ -117,6 +117,7 @@ final class BlockTypesController {
 			'PriceFilter',
 			'AttributeFilter',
 			'ActiveFilters',
+			'Wishlist',
 		];
 
 		if ( Package::feature()->is_feature_plugin_build() ) {
@@ -128,6 +129,10 @@ final class BlockTypesController {
 			$block_types[] = 'SingleProduct';
 		}
 
+		if ( ! $this->has_build( 'wishlist' ) ) {
+			$block_types = array_diff( $block_types, [ 'Wishlist' ] );
+		}
+
 		/**
 		 * This disables specific blocks in Widget Areas by not registering them.
 		 */
@@ -154,7 +159,7 @@ final class BlockTypesController {
 	 * @return array
 	 */
 	protected function get_atomic_blocks() {
-		return [
+		$atomic_blocks = [
 			'product-title',
 			'product-button',
 			'product-image',
@@ -167,6 +172,28 @@ final class BlockTypesController {
 			'product-tag-list',
 			'product-stock-indicator',
 			'product-add-to-cart',
+			'product-compare',
+			'product-wishlist',
 		];
+
+		if ( ! $this->has_build( 'atomic-block-components/compare' ) ) {
+			$atomic_blocks = array_diff( $atomic_blocks, [ 'product-compare' ] );
+		}
+
+		if ( ! $this->has_build( 'atomic-block-components/wishlist' ) ) {
+			$atomic_blocks = array_diff( $atomic_blocks, [ 'product-wishlist' ] );
+		}
+
+		return $atomic_blocks;
+	}
+
+	/**
+	 * Whether the script of a block has been built, so blocks added to the source are not registered without one.
+	 *
+	 * @param string $filename Name of the script in the build directory, without extension.
+	 * @return bool
+	 */
+	protected function has_build( $filename ) {
+		return file_exists( Package::get_path() . $this->asset_api->get_block_asset_build_path( $filename ) );
 	}
 }
@@ -27,6 +27,11 @@ use Automattic\WooCommerce\Blocks\StoreApi\Formatters\CurrencyFormatter;
 use Automattic\WooCommerce\Blocks\StoreApi\RoutesController;
 use Automattic\WooCommerce\Blocks\StoreApi\SchemaController;
 use Automattic\WooCommerce\Blocks\Domain\Services\GoogleAnalytics;
+use Automattic\WooCommerce\Blocks\Domain\Services\Analytics;
+use Automattic\WooCommerce\Blocks\Domain\Services\ShowroomAppointments;
+use Automattic\WooCommerce\Blocks\Domain\Services\SavedCarts;
+use Automattic\WooCommerce\Blocks\Domain\Services\CartSync;
+use Automattic\WooCommerce\Blocks\Domain\Services\Deposits;
 
 /**
  * Takes care of bootstrapping the plugin.
@@ -88,6 +93,11 @@ class Bootstrap {
 		$this->container->get( ExtendRestApi::class );
 		$this->container->get( RestApi::class );
 		$this->container->get( GoogleAnalytics::class );
+		$this->container->get( Analytics::class );
+		$this->container->get( ShowroomAppointments::class );
+		$this->container->get( SavedCarts::class );
+		$this->container->get( CartSync::class );
+		$this->container->get( Deposits::class );
 		$this->container->get( BlockTypesController::class );
 		if ( $this->package->feature()->is_feature_plugin_build() ) {
 			$this->container->get( PaymentsApi::class );
@@ -242,6 +252,36 @@ class Bootstrap {
 				return new GoogleAnalytics( $asset_api );
 			}
 		);
+		$this->container->register(
+			Analytics::class,
+			function( Container $container ) {
+				return new Analytics( $container->get( AssetApi::class ), $container->get( AssetDataRegistry::class ) );
+			}
+		);
+		$this->container->register(
+			ShowroomAppointments::class,
+			function( Container $container ) {
+				return new ShowroomAppointments( $container->get( AssetApi::class ), $container->get( ExtendRestApi::class ) );
+			}
+		);
+		$this->container->register(
+			SavedCarts::class,
+			function( Container $container ) {
+				return new SavedCarts( $container->get( AssetApi::class ) );
+			}
+		);
+		$this->container->register(
+			CartSync::class,
+			function( Container $container ) {
+				return new CartSync( $container->get( AssetApi::class ) );
+			}
+		);
+		$this->container->register(
+			Deposits::class,
+			function( Container $container ) {
+				return new Deposits( $container->get( AssetApi::class ) );
+			}
+		);
 		if ( $this->package->feature()->is_feature_plugin_build() ) {
 			$this->container->register(
 				PaymentsApi::class,
@@ -0,0 +1,387 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\Domain\Services;
+
+use Automattic\WooCommerce\Blocks\Assets\Api as AssetApi;
+use Automattic\WooCommerce\Blocks\Assets\AssetDataRegistry;
+
+/**
+ * Service class routing store events to analytics adapters: GA4, a Meta Pixel and a first-party
+ * table used for the store's own funnel reports.
+ */
+class Analytics {
+	/**
+	 * Events the funnel is made of, in order.
+	 *
+	 * @var string[]
+	 */
+	const FUNNEL_STEPS = [ 'view_item', 'add_to_cart', 'begin_checkout', 'add_payment_info', 'purchase' ];
+
+	/**
+	 * Rows a single IP address can store per rate limit window.
+	 *
+	 * @var int
+	 */
+	const RATE_LIMIT = 300;
+
+	/**
+	 * Length of the rate limit window, in seconds.
+	 *
+	 * @var int
+	 */
+	const RATE_LIMIT_WINDOW = 600;
+
+	/**
+	 * Instance of the asset API.
+	 *
+	 * @var AssetApi
+	 */
+	protected $asset_api;
+
+	/**
+	 * Instance of the asset data registry.
+	 *
+	 * @var AssetDataRegistry
+	 */
+	protected $asset_data_registry;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AssetApi          $asset_api           Instance of the asset API.
+	 * @param AssetDataRegistry $asset_data_registry Instance of the asset data registry.
+	 */
+	public function __construct( AssetApi $asset_api, AssetDataRegistry $asset_data_registry ) {
+		$this->asset_api           = $asset_api;
+		$this->asset_data_registry = $asset_data_registry;
+		$this->init();
+	}
+
+	/**
+	 * Hook into WP.
+	 */
+	protected function init() {
+		add_action( 'init', array( $this, 'register_assets' ) );
+		// After the Google Analytics integration, so GA4 events are not sent twice.
+		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_scripts' ), 20 );
+		add_action( 'woocommerce_cleanup_sessions', array( $this, 'delete_expired_events' ) );
+	}
+
+	/**
+	 * Register scripts.
+	 */
+	public function register_assets() {
+		$this->asset_api->register_script( 'wc-blocks-analytics', 'build/wc-blocks-analytics.js', [ 'wc-settings' ] );
+	}
+
+	/**
+	 * Get the analytics settings.
+	 *
+	 * @return array
+	 */
+	public function get_settings() {
+		return [
+			'require_consent'       => wc_string_to_bool( get_option( 'woocommerce_analytics_require_consent', 'no' ) ) || wc_string_to_bool( get_option( 'woocommerce_cookie_consent_enabled', 'no' ) ),
+			'ga4_enabled'           => wc_string_to_bool( get_option( 'woocommerce_analytics_ga4_enabled', 'no' ) ),
+			'ga4_measurement_id'    => get_option( 'woocommerce_analytics_ga4_measurement_id', '' ),
+			'meta_pixel_enabled'    => wc_string_to_bool( get_option( 'woocommerce_analytics_meta_pixel_enabled', 'no' ) ),
+			'meta_pixel_id'         => get_option( 'woocommerce_analytics_meta_pixel_id', '' ),
+			'first_party_enabled'   => wc_string_to_bool( get_option( 'woocommerce_analytics_first_party_enabled', 'no' ) ),
+			'first_party_retention' => absint( get_option( 'woocommerce_analytics_first_party_retention', 90 ) ),
+		];
+	}
+
+	/**
+	 * Whether events are stored in the first-party table.
+	 *
+	 * @return boolean
+	 */
+	public function is_first_party_enabled() {
+		return $this->get_settings()['first_party_enabled'];
+	}
+
+	/**
+	 * Enqueue the analytics script and the scripts of the enabled adapters.
+	 */
+	public function enqueue_scripts() {
+		if ( ! wp_script_is( 'wc-blocks-analytics', 'registered' ) ) {
+			return;
+		}
+
+		$settings = $this->get_settings();
+
+		$ga4_enabled        = $settings['ga4_enabled'] && stristr( $settings['ga4_measurement_id'], 'G-' ) && ! wp_script_is( 'wc-blocks-google-analytics', 'enqueued' );
+		$meta_pixel_enabled = $settings['meta_pixel_enabled'] && '' !== $settings['meta_pixel_id'];
+
+		if ( ! $ga4_enabled && ! $meta_pixel_enabled && ! $settings['first_party_enabled'] ) {
+			return;
+		}
+
+		if ( $ga4_enabled ) {
+			$this->register_gtag( $settings['ga4_measurement_id'], $settings['require_consent'] );
+			wp_enqueue_script( 'google-tag-manager' );
+		}
+
+		if ( $meta_pixel_enabled ) {
+			wp_add_inline_script( 'wc-blocks-analytics', $this->get_meta_pixel_snippet( $settings['meta_pixel_id'], $settings['require_consent'] ), 'before' );
+		}
+
+		$this->asset_data_registry->add(
+			'analytics',
+			[
+				'requireConsent' => $settings['require_consent'],
+				'adapters'       => [
+					'ga4'        => [
+						'enabled'       => (bool) $ga4_enabled,
+						'measurementId' => $settings['ga4_measurement_id'],
+					],
+					'metaPixel'  => [
+						'enabled' => $meta_pixel_enabled,
+						'pixelId' => $settings['meta_pixel_id'],
+					],
+					'firstParty' => [
+						'enabled'  => $settings['first_party_enabled'],
+						'endpoint' => rest_url( 'wc/store/analytics/events' ),
+						'nonce'    => wp_create_nonce( 'wc_store_api' ),
+					],
+				],
+				'purchase'       => $this->get_purchase_data(),
+			]
+		);
+
+		wp_enqueue_script( 'wc-blocks-analytics' );
+	}
+
+	/**
+	 * Register the gtag script, unless another plugin did already. Analytics storage is denied until
+	 * the shopper consents when consent is required.
+	 *
+	 * @param string  $measurement_id  GA4 measurement ID.
+	 * @param boolean $require_consent Whether consent is required.
+	 */
+	protected function register_gtag( $measurement_id, $require_consent ) {
+		if ( wp_script_is( 'google-tag-manager', 'registered' ) ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.WP.EnqueuedResourceParameters.MissingVersion
+		wp_register_script( 'google-tag-manager', 'https://www.googletagmanager.com/gtag/js?id=' . $measurement_id, [], null, false );
+		wp_add_inline_script(
+			'google-tag-manager',
+			"
+	window.dataLayer = window.dataLayer || [];
+	function gtag(){dataLayer.push(arguments);}
+	gtag('consent', 'default', { 'analytics_storage': '" . ( $require_consent ? 'denied' : 'granted' ) . "', 'ad_storage': 'denied' });
+	gtag('js', new Date());
+	gtag('config', '" . esc_js( $measurement_id ) . "', { 'send_page_view': false });"
+		);
+	}
+
+	/**
+	 * Get the Meta Pixel base code.
+	 *
+	 * @param string  $pixel_id        Pixel ID.
+	 * @param boolean $require_consent Whether consent is required.
+	 * @return string
+	 */
+	protected function get_meta_pixel_snippet( $pixel_id, $require_consent ) {
+		return "
+	!function(f,b,e,v,n,t,s){if(f.fbq)return;n=f.fbq=function(){n.callMethod?
+	n.callMethod.apply(n,arguments):n.queue.push(arguments)};if(!f._fbq)f._fbq=n;
+	n.push=n;n.loaded=!0;n.version='2.0';n.queue=[];t=b.createElement(e);t.async=!0;
+	t.src=v;s=b.getElementsByTagName(e)[0];s.parentNode.insertBefore(t,s)}(window,
+	document,'script','https://connect.facebook.net/en_US/fbevents.js');
+	" . ( $require_consent ? "fbq('consent', 'revoke');" : '' ) . "
+	fbq('init', '" . esc_js( $pixel_id ) . "');
+	fbq('track', 'PageView');";
+	}
+
+	/**
+	 * Get the order placed by the shopper on the order received page, the first time the page is
+	 * shown.
+	 *
+	 * @return array|null
+	 */
+	protected function get_purchase_data() {
+		global $wp;
+
+		if ( ! is_order_received_page() || empty( $wp->query_vars['order-received'] ) ) {
+			return null;
+		}
+
+		$order     = wc_get_order( absint( $wp->query_vars['order-received'] ) );
+		$order_key = isset( $_GET['key'] ) ? wc_clean( wp_unslash( $_GET['key'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+		if ( ! $order || ! hash_equals( $order->get_order_key(), $order_key ) || $order->get_meta( '_wc_blocks_analytics_tracked' ) ) {
+			return null;
+		}
+
+		$order->update_meta_data( '_wc_blocks_analytics_tracked', 'yes' );
+		$order->save();
+
+		$items = [];
+
+		foreach ( $order->get_items() as $item ) {
+			$product    = $item->get_product();
+			$categories = $product ? get_the_terms( $product->get_parent_id() ? $product->get_parent_id() : $product->get_id(), 'product_cat' ) : [];
+
+			$items[] = [
+				'id'       => $item->get_variation_id() ? $item->get_variation_id() : $item->get_product_id(),
+				'sku'      => $product ? $product->get_sku() : '',
+				'name'     => $item->get_name(),
+				'category' => $categories && ! is_wp_error( $categories ) ? $categories[0]->name : '',
+				'price'    => (float) $order->get_item_subtotal( $item, false, false ),
+				'quantity' => $item->get_quantity(),
+			];
+		}
+
+		return [
+			'transactionId' => $order->get_order_number(),
+			'orderId'       => $order->get_id(),
+			'value'         => (float) $order->get_total(),
+			'tax'           => (float) $order->get_total_tax(),
+			'shipping'      => (float) $order->get_shipping_total(),
+			'currency'      => $order->get_currency(),
+			'coupon'        => implode( ',', $order->get_coupon_codes() ),
+			'items'         => $items,
+		];
+	}
+
+	/**
+	 * Count the rows a batch of events is stored as: a row per item, or a single row for events without items.
+	 *
+	 * @param array $events Events, as validated by the analytics/events route.
+	 * @return int
+	 */
+	public function count_event_rows( array $events ) {
+		$rows = 0;
+
+		foreach ( $events as $event ) {
+			$rows += empty( $event['items'] ) ? 1 : count( $event['items'] );
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Count rows against the rate limit of the IP address of the request, so a single client cannot fill the
+	 * events table.
+	 *
+	 * @param int $rows Number of rows about to be stored.
+	 * @return boolean False when the rows would exceed the limit; nothing is counted then.
+	 */
+	public function consume_rate_limit( $rows ) {
+		$limit = (int) apply_filters( 'woocommerce_blocks_analytics_events_rate_limit', self::RATE_LIMIT );
+		$key   = 'wc_blocks_analytics_' . md5( \WC_Geolocation::get_ip_address() );
+		$usage = get_transient( $key );
+
+		if ( ! is_array( $usage ) || $usage['reset'] <= time() ) {
+			$usage = [
+				'rows'  => 0,
+				'reset' => time() + self::RATE_LIMIT_WINDOW,
+			];
+		}
+
+		if ( $usage['rows'] + $rows > $limit ) {
+			return false;
+		}
+
+		$usage['rows'] += $rows;
+		set_transient( $key, $usage, max( 1, $usage['reset'] - time() ) );
+
+		return true;
+	}
+
+	/**
+	 * Store events sent by the first-party adapter. Events with items are stored as a row per item.
+	 *
+	 * @param array $events Events, as validated by the analytics/events route.
+	 * @return int Number of rows stored.
+	 */
+	public function record_events( array $events ) {
+		global $wpdb;
+
+		$count = 0;
+		$now   = current_time( 'mysql', true );
+
+		foreach ( $events as $event ) {
+			$row = [
+				'session_id'    => $event['session_id'],
+				'event_name'    => $event['name'],
+				'product_id'    => 0,
+				'quantity'      => 0,
+				'value'         => isset( $event['value'] ) ? (float) $event['value'] : 0,
+				'currency'      => isset( $event['currency'] ) ? $event['currency'] : '',
+				'checkout_step' => isset( $event['step'] ) ? absint( $event['step'] ) : 0,
+				'order_id'      => isset( $event['order_id'] ) ? absint( $event['order_id'] ) : 0,
+				'date_created'  => $now,
+			];
+			$items = empty( $event['items'] ) ? [ null ] : $event['items'];
+
+			foreach ( $items as $item ) {
+				if ( $item ) {
+					$row['product_id'] = absint( $item['product_id'] );
+					$row['quantity']   = absint( $item['quantity'] );
+
+					if ( ! isset( $event['value'] ) ) {
+						$row['value'] = (float) $item['price'] * $row['quantity'];
+					}
+				}
+
+				$count += (int) $wpdb->insert( $wpdb->prefix . 'wc_blocks_analytics_events', $row );
+			}
+		}
+
+		return $count;
+	}
+
+	/**
+	 * Count the sessions that reached each step of the funnel between two dates.
+	 *
+	 * @param string $after  Start date, in Y-m-d H:i:s format (UTC).
+	 * @param string $before End date, in Y-m-d H:i:s format (UTC).
+	 * @return array Number of sessions keyed by event name, in funnel order.
+	 */
+	public function get_funnel( $after, $before ) {
+		global $wpdb;
+
+		$results = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT event_name, COUNT( DISTINCT session_id ) AS sessions
+				FROM {$wpdb->prefix}wc_blocks_analytics_events
+				WHERE date_created >= %s AND date_created < %s
+				GROUP BY event_name",
+				$after,
+				$before
+			),
+			OBJECT_K
+		);
+
+		$funnel = [];
+
+		foreach ( self::FUNNEL_STEPS as $step ) {
+			$funnel[ $step ] = isset( $results[ $step ] ) ? (int) $results[ $step ]->sessions : 0;
+		}
+
+		return $funnel;
+	}
+
+	/**
+	 * Delete events older than the retention period. Runs with the daily session cleanup.
+	 */
+	public function delete_expired_events() {
+		global $wpdb;
+
+		$retention = $this->get_settings()['first_party_retention'];
+
+		if ( ! $retention ) {
+			return;
+		}
+
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->prefix}wc_blocks_analytics_events WHERE date_created < %s",
+				gmdate( 'Y-m-d H:i:s', time() - $retention * DAY_IN_SECONDS )
+			)
+		);
+	}
+}
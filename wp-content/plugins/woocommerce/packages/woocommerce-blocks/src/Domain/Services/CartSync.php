@@ -0,0 +1,52 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\Domain\Services;
+
+use Automattic\WooCommerce\Blocks\Assets\Api as AssetApi;
+
+/**
+ * Service class keeping the cart and checkout blocks in step with cart changes made in other tabs.
+ *
+ * Cart changes are announced through a BroadcastChannel, or local storage in browsers without it, which the legacy
+ * cart-fragments.js script listens to as well.
+ */
+class CartSync {
+	/**
+	 * Instance of the asset API.
+	 *
+	 * @var AssetApi
+	 */
+	protected $asset_api;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AssetApi $asset_api Instance of the asset API.
+	 */
+	public function __construct( AssetApi $asset_api ) {
+		$this->asset_api = $asset_api;
+		$this->init();
+	}
+
+	/**
+	 * Hook into WP.
+	 */
+	protected function init() {
+		add_action( 'init', array( $this, 'register_assets' ) );
+		add_action( 'woocommerce_blocks_enqueue_cart_block_scripts_before', array( $this, 'enqueue_scripts' ) );
+		add_action( 'woocommerce_blocks_enqueue_checkout_block_scripts_before', array( $this, 'enqueue_scripts' ) );
+	}
+
+	/**
+	 * Register scripts.
+	 */
+	public function register_assets() {
+		$this->asset_api->register_script( 'wc-blocks-cart-sync', 'build/wc-blocks-cart-sync.js', [], false );
+	}
+
+	/**
+	 * Enqueue the script with the cart and checkout blocks.
+	 */
+	public function enqueue_scripts() {
+		wp_enqueue_script( 'wc-blocks-cart-sync' );
+	}
+}
@@ -0,0 +1,54 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\Domain\Services;
+
+use Automattic\WooCommerce\Blocks\Assets\Api as AssetApi;
+
+/**
+ * Service class adding the booking fee choice and the pay now / balance due totals to the cart and checkout blocks.
+ *
+ * The totals fill the order meta slot of the blocks and switch the mode through the cart/update-deposit route.
+ */
+class Deposits {
+	/**
+	 * Instance of the asset API.
+	 *
+	 * @var AssetApi
+	 */
+	protected $asset_api;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AssetApi $asset_api Instance of the asset API.
+	 */
+	public function __construct( AssetApi $asset_api ) {
+		$this->asset_api = $asset_api;
+		$this->init();
+	}
+
+	/**
+	 * Hook into WP.
+	 */
+	protected function init() {
+		add_action( 'init', array( $this, 'register_assets' ) );
+		add_action( 'woocommerce_blocks_enqueue_cart_block_scripts_before', array( $this, 'enqueue_scripts' ) );
+		add_action( 'woocommerce_blocks_enqueue_checkout_block_scripts_before', array( $this, 'enqueue_scripts' ) );
+	}
+
+	/**
+	 * Register scripts and styles.
+	 */
+	public function register_assets() {
+		$this->asset_api->register_script( 'wc-blocks-deposits', 'build/wc-blocks-deposits.js', [ 'wc-blocks-checkout' ] );
+		$this->asset_api->register_style( 'wc-blocks-deposits-style', 'build/wc-blocks-deposits-style.css', [ 'wc-blocks-style' ] );
+	}
+
+	/**
+	 * Enqueue the totals with the cart and checkout blocks. They only show when the cart has products which can be
+	 * reserved with a booking fee.
+	 */
+	public function enqueue_scripts() {
+		wp_enqueue_script( 'wc-blocks-deposits' );
+		wp_enqueue_style( 'wc-blocks-deposits-style' );
+	}
+}
@@ -0,0 +1,56 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\Domain\Services;
+
+use Automattic\WooCommerce\Blocks\Assets\Api as AssetApi;
+
+/**
+ * Service class adding the "Save as quote" panel to the cart block.
+ *
+ * The panel fills the order meta slot of the cart and saves the cart through the cart/save route.
+ */
+class SavedCarts {
+	/**
+	 * Instance of the asset API.
+	 *
+	 * @var AssetApi
+	 */
+	protected $asset_api;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AssetApi $asset_api Instance of the asset API.
+	 */
+	public function __construct( AssetApi $asset_api ) {
+		$this->asset_api = $asset_api;
+		$this->init();
+	}
+
+	/**
+	 * Hook into WP.
+	 */
+	protected function init() {
+		add_action( 'init', array( $this, 'register_assets' ) );
+		add_action( 'woocommerce_blocks_enqueue_cart_block_scripts_before', array( $this, 'enqueue_scripts' ) );
+	}
+
+	/**
+	 * Register scripts and styles.
+	 */
+	public function register_assets() {
+		$this->asset_api->register_script( 'wc-blocks-saved-carts', 'build/wc-blocks-saved-carts.js', [ 'wc-blocks-checkout' ] );
+		$this->asset_api->register_style( 'wc-blocks-saved-carts-style', 'build/wc-blocks-saved-carts-style.css', [ 'wc-blocks-style' ] );
+	}
+
+	/**
+	 * Enqueue the panel with the cart block, for users who can save quotes.
+	 */
+	public function enqueue_scripts() {
+		if ( ! \WC_Saved_Carts::user_can_save() ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wc-blocks-saved-carts' );
+		wp_enqueue_style( 'wc-blocks-saved-carts-style' );
+	}
+}
@@ -0,0 +1,156 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\Domain\Services;
+
+use Automattic\WooCommerce\Blocks\Assets\Api as AssetApi;
+use Automattic\WooCommerce\Blocks\StoreApi\Routes\RouteException;
+use Automattic\WooCommerce\Blocks\StoreApi\Schemas\CartSchema;
+
+/**
+ * Service class adding the showroom appointment step to the checkout block.
+ *
+ * The step fills the order meta slot of the checkout. The chosen slot is kept in the session through the
+ * cart/extensions route, returned with the cart, and saved to the order by the checkout route.
+ */
+class ShowroomAppointments {
+	/**
+	 * Namespace of the cart extensions data and update callback.
+	 *
+	 * @var string
+	 */
+	const IDENTIFIER = 'showroom-appointments';
+
+	/**
+	 * Instance of the asset API.
+	 *
+	 * @var AssetApi
+	 */
+	protected $asset_api;
+
+	/**
+	 * Instance of the extend REST API.
+	 *
+	 * @var ExtendRestApi
+	 */
+	protected $extend;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AssetApi      $asset_api Instance of the asset API.
+	 * @param ExtendRestApi $extend    Instance of the extend REST API.
+	 */
+	public function __construct( AssetApi $asset_api, ExtendRestApi $extend ) {
+		$this->asset_api = $asset_api;
+		$this->extend    = $extend;
+		$this->init();
+	}
+
+	/**
+	 * Hook into WP.
+	 */
+	protected function init() {
+		add_action( 'init', array( $this, 'register_assets' ) );
+		add_action( 'woocommerce_blocks_enqueue_checkout_block_scripts_before', array( $this, 'enqueue_scripts' ) );
+
+		$this->extend->register_endpoint_data(
+			[
+				'endpoint'        => CartSchema::IDENTIFIER,
+				'namespace'       => self::IDENTIFIER,
+				'data_callback'   => [ $this, 'get_cart_data' ],
+				'schema_callback' => [ $this, 'get_cart_schema' ],
+			]
+		);
+		$this->extend->register_update_callback(
+			[
+				'namespace' => self::IDENTIFIER,
+				'callback'  => [ $this, 'update_appointment' ],
+			]
+		);
+	}
+
+	/**
+	 * Register scripts and styles.
+	 */
+	public function register_assets() {
+		$this->asset_api->register_script( 'wc-blocks-showroom-appointments', 'build/wc-blocks-showroom-appointments.js', [ 'wc-blocks-checkout' ] );
+		$this->asset_api->register_style( 'wc-blocks-showroom-appointments-style', 'build/wc-blocks-showroom-appointments-style.css', [ 'wc-blocks-style' ] );
+	}
+
+	/**
+	 * Enqueue the step with the checkout block, when customers can book appointments.
+	 */
+	public function enqueue_scripts() {
+		if ( ! \WC_Showroom_Appointments::is_enabled() ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wc-blocks-showroom-appointments' );
+		wp_enqueue_style( 'wc-blocks-showroom-appointments-style' );
+	}
+
+	/**
+	 * Get the appointment kept in the session, returned with the cart.
+	 *
+	 * @return array
+	 */
+	public function get_cart_data() {
+		return \WC_Showroom_Appointments::get_session_appointment();
+	}
+
+	/**
+	 * Get the schema of the appointment returned with the cart.
+	 *
+	 * @return array
+	 */
+	public function get_cart_schema() {
+		return [
+			'branch' => [
+				'description' => __( 'Branch of the showroom appointment.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'slot'   => [
+				'description' => __( 'Start of the time slot, in Y-m-d H:i format in the site timezone.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'type'   => [
+				'description' => __( 'Appointment type, e.g. pickup or test_ride.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+		];
+	}
+
+	/**
+	 * Keep the appointment chosen in the checkout block, once the slot was checked. An empty branch and slot clear it.
+	 *
+	 * @throws RouteException If the appointment cannot be booked.
+	 * @param array $data Appointment sent to the cart/extensions route, with branch, slot and type.
+	 */
+	public function update_appointment( $data ) {
+		if ( ! \WC_Showroom_Appointments::is_enabled() ) {
+			throw new RouteException( 'woocommerce_rest_showroom_disabled', __( 'Showroom appointments cannot be booked.', 'woocommerce' ), 400 );
+		}
+
+		$branch = isset( $data['branch'] ) ? sanitize_title( $data['branch'] ) : '';
+		$slot   = isset( $data['slot'] ) ? wc_clean( $data['slot'] ) : '';
+		$type   = isset( $data['type'] ) ? wc_clean( $data['type'] ) : '';
+
+		if ( ! $branch && ! $slot ) {
+			\WC_Showroom_Appointments::clear_session_appointment();
+			return;
+		}
+
+		$valid = \WC_Showroom_Appointments::validate_appointment( $branch, $slot, $type );
+
+		if ( is_wp_error( $valid ) ) {
+			throw new RouteException( 'woocommerce_rest_' . $valid->get_error_code(), $valid->get_error_message(), 400 );
+		}
+
+		\WC_Showroom_Appointments::set_session_appointment( $branch, $slot, $type );
+	}
+}
@@ -35,7 +35,7 @@ class Installer {
 	public function maybe_create_tables() {
 		global $wpdb;
 
-		$schema_version    = 260;
+		$schema_version    = 551;
 		$db_schema_version = (int) get_option( 'wc_blocks_db_schema_version', 0 );
 
 		if ( $db_schema_version >= $schema_version && 0 !== $db_schema_version ) {
@@ -59,6 +59,30 @@ class Installer {
 			"
 		);
 
+		if ( $exists ) {
+			$table_name = $wpdb->prefix . 'wc_blocks_analytics_events';
+			$exists     = $this->maybe_create_table(
+				$table_name,
+				"
+				CREATE TABLE {$wpdb->prefix}wc_blocks_analytics_events (
+					`event_id` bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+					`session_id` char(32) NOT NULL,
+					`event_name` varchar(50) NOT NULL,
+					`product_id` bigint(20) unsigned NOT NULL DEFAULT 0,
+					`quantity` int(11) unsigned NOT NULL DEFAULT 0,
+					`value` double NOT NULL DEFAULT 0,
+					`currency` char(3) NOT NULL DEFAULT '',
+					`checkout_step` tinyint(3) unsigned NOT NULL DEFAULT 0,
+					`order_id` bigint(20) unsigned NOT NULL DEFAULT 0,
+					`date_created` datetime NOT NULL DEFAULT '0000-00-00 00:00:00',
+					PRIMARY KEY  (`event_id`),
+					KEY `event_date` (`event_name`, `date_created`),
+					KEY `session_id` (`session_id`)
+				) $collate;
+				"
+			);
+		}
+
 		if ( $show_errors ) {
 			$wpdb->show_errors();
 		}
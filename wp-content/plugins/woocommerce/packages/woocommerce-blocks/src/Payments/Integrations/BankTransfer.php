@@ -67,10 +67,78 @@ final class BankTransfer extends AbstractPaymentMethodType {
 	 * @return array
 	 */
 	public function get_payment_method_data() {
-		return [
-			'title'       => $this->get_setting( 'title' ),
-			'description' => $this->get_setting( 'description' ),
-			'supports'    => $this->get_supported_features(),
+		$data = [
+			'title'          => $this->get_setting( 'title' ),
+			'description'    => $this->get_setting( 'description' ),
+			'supports'       => $this->get_supported_features(),
+			'accounts'       => [],
+			'virtualAccount' => '',
+			'receiptUpload'  => false,
 		];
+
+		$gateway = $this->get_gateway();
+
+		if ( ! $gateway ) {
+			return $data;
+		}
+
+		// The checkout block creates the draft order before payment method data is added, so its ID is known here.
+		$draft_order_id = wc()->session ? absint( wc()->session->get( 'store_api_draft_order', 0 ) ) : 0;
+
+		$locale  = $gateway->get_country_locale();
+		$country = wc()->countries->get_base_country();
+
+		$data['accounts']       = array_values( array_map( [ $this, 'prepare_account' ], (array) $gateway->get_bank_accounts( $draft_order_id ) ) );
+		$data['sortCodeLabel']  = isset( $locale[ $country ]['sortcode']['label'] ) ? $locale[ $country ]['sortcode']['label'] : __( 'Sort code', 'woocommerce' );
+		$data['virtualAccount'] = $draft_order_id ? $gateway->get_virtual_account_number( $draft_order_id ) : '';
+
+		if ( $gateway->receipt_upload ) {
+			$data['receiptUpload']    = true;
+			$data['receiptUploadUrl'] = \WC_AJAX::get_endpoint( 'upload_bacs_receipt' );
+			$data['receiptNonce']     = wp_create_nonce( 'upload-bacs-receipt' );
+			$data['receiptMaxSize']   = $gateway->get_receipt_max_size();
+			$data['receiptTypes']     = array_values( array_unique( $gateway->get_receipt_mime_types() ) );
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Get the core BACS gateway instance.
+	 *
+	 * @return \WC_Gateway_BACS|null
+	 */
+	protected function get_gateway() {
+		$gateways = wc()->payment_gateways()->payment_gateways();
+		return isset( $gateways['bacs'] ) && $gateways['bacs'] instanceof \WC_Gateway_BACS ? $gateways['bacs'] : null;
+	}
+
+	/**
+	 * Limit a bank account to the fields shown in the checkout block.
+	 *
+	 * @param array $account Bank account from the gateway settings.
+	 * @return array
+	 */
+	protected function prepare_account( $account ) {
+		$account  = (array) $account;
+		$fields   = [ 'account_name', 'account_number', 'bank_name', 'sort_code', 'iban', 'bic' ];
+		$prepared = [];
+
+		foreach ( $fields as $field ) {
+			$prepared[ $field ] = isset( $account[ $field ] ) ? wp_unslash( $account[ $field ] ) : '';
+		}
+
+		return $prepared;
+	}
+
+	/**
+	 * Returns an array of supported features.
+	 *
+	 * @return string[]
+	 */
+	public function get_supported_features() {
+		$gateway  = $this->get_gateway();
+		$features = $gateway ? array_filter( $gateway->supports, array( $gateway, 'supports' ) ) : parent::get_supported_features();
+		return apply_filters( '__experimental_woocommerce_blocks_payment_gateway_features_list', $features, $this->get_name() );
 	}
 }
@@ -74,4 +74,16 @@ final class Cheque extends AbstractPaymentMethodType {
 			'supports'    => $this->get_supported_features(),
 		];
 	}
+
+	/**
+	 * Returns an array of supported features.
+	 *
+	 * @return string[]
+	 */
+	public function get_supported_features() {
+		$gateways = wc()->payment_gateways()->payment_gateways();
+		$gateway  = isset( $gateways[ $this->name ] ) ? $gateways[ $this->name ] : null;
+		$features = $gateway ? array_filter( $gateway->supports, array( $gateway, 'supports' ) ) : parent::get_supported_features();
+		return apply_filters( '__experimental_woocommerce_blocks_payment_gateway_features_list', $features, $this->get_name() );
+	}
 }
@@ -0,0 +1,37 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * Abstract Wishlist Route
+ *
+ * Wishlists are saved for logged in customers only; guests keep theirs in the browser until they log in. Cookie
+ * authentication requires the REST API nonce, so these routes do not need a nonce of their own.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+abstract class AbstractWishlistRoute extends AbstractRoute {
+	/**
+	 * Get the route response based on the type of request.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_Error|\WP_REST_Response
+	 */
+	public function get_response( \WP_REST_Request $request ) {
+		if ( ! is_user_logged_in() ) {
+			return $this->error_to_response(
+				$this->get_route_error_response( 'woocommerce_rest_wishlist_not_logged_in', __( 'Please log in to save your wishlist.', 'woocommerce' ), 401 )
+			);
+		}
+
+		return parent::get_response( $request );
+	}
+
+	/**
+	 * Get the wishlist of the current user.
+	 *
+	 * @return \WP_REST_Response
+	 */
+	protected function get_wishlist_response() {
+		return rest_ensure_response( $this->schema->get_item_response( get_current_user_id() ) );
+	}
+}
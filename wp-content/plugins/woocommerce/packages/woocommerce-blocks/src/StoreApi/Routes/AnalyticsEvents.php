@@ -0,0 +1,98 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+use Automattic\WooCommerce\Blocks\Package;
+use Automattic\WooCommerce\Blocks\Domain\Services\Analytics;
+
+/**
+ * AnalyticsEvents class.
+ *
+ * Stores store events sent by the first-party analytics adapter.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class AnalyticsEvents extends AbstractRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/analytics/events';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'events' => [
+						'description' => __( 'Events to store.', 'woocommerce' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 10,
+						'items'       => $this->schema->get_item_schema(),
+					],
+				],
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Get the route response, once the Store API nonce was checked.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_Error|\WP_REST_Response
+	 */
+	public function get_response( \WP_REST_Request $request ) {
+		$nonce_check = $this->check_nonce( $request );
+
+		if ( is_wp_error( $nonce_check ) ) {
+			return $this->error_to_response( $nonce_check );
+		}
+
+		return parent::get_response( $request );
+	}
+
+	/**
+	 * Store the events.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_post_response( \WP_REST_Request $request ) {
+		$analytics = Package::container()->get( Analytics::class );
+
+		if ( ! $analytics->is_first_party_enabled() ) {
+			throw new RouteException( 'woocommerce_rest_analytics_disabled', __( 'First-party analytics are disabled.', 'woocommerce' ), 403 );
+		}
+
+		if ( ! $analytics->consume_rate_limit( $analytics->count_event_rows( $request['events'] ) ) ) {
+			throw new RouteException( 'woocommerce_rest_analytics_rate_limited', __( 'Too many events were sent. Please try again later.', 'woocommerce' ), 429 );
+		}
+
+		$analytics->record_events( $request['events'] );
+
+		$return = [];
+
+		foreach ( $request['events'] as $event ) {
+			$data     = $this->prepare_item_for_response( $event, $request );
+			$return[] = $this->prepare_response_for_collection( $data );
+		}
+
+		$response = rest_ensure_response( $return );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+}
@@ -0,0 +1,75 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * CartRestore class.
+ *
+ * Replaces the contents of the cart with a saved cart, using the token from its link.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class CartRestore extends AbstractCartRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/cart/restore';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'token' => [
+						'description' => __( 'Token from the link of the saved cart.', 'woocommerce' ),
+						'type'        => 'string',
+						'required'    => true,
+					],
+				],
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Handle the request and return a valid response for this endpoint.
+	 *
+	 * Items and coupons which could not be restored are reported with a 409 error, which includes the restored cart.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_post_response( \WP_REST_Request $request ) {
+		$saved_cart_id = \WC_Saved_Carts::get_by_token( $request['token'] );
+
+		if ( ! $saved_cart_id ) {
+			throw new RouteException( 'woocommerce_rest_saved_cart_invalid', __( 'This quote link is not valid.', 'woocommerce' ), 404 );
+		}
+
+		if ( \WC_Saved_Carts::is_expired( $saved_cart_id ) ) {
+			throw new RouteException( 'woocommerce_rest_saved_cart_expired', __( 'This quote link has expired. Please ask us for a new one.', 'woocommerce' ), 410 );
+		}
+
+		$cart   = $this->cart_controller->get_cart_instance();
+		$errors = \WC_Saved_Carts::restore( $saved_cart_id, $cart );
+
+		$this->calculate_totals();
+
+		if ( $errors ) {
+			throw new RouteException( 'woocommerce_rest_saved_cart_partially_restored', implode( ' ', $errors ), 409 );
+		}
+
+		return rest_ensure_response( $this->schema->get_item_response( $cart ) );
+	}
+}
@@ -0,0 +1,69 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * CartSave class.
+ *
+ * Saves the cart as a named quote with a link restoring it.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class CartSave extends AbstractCartRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/cart/save';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => $this->schema->get_endpoint_args_for_item_schema( \WP_REST_Server::CREATABLE ),
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Handle the request and return a valid response for this endpoint.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_post_response( \WP_REST_Request $request ) {
+		if ( ! \WC_Saved_Carts::user_can_save() ) {
+			throw new RouteException( 'woocommerce_rest_cart_save_forbidden', __( 'Sorry, you are not allowed to save carts.', 'woocommerce' ), 403 );
+		}
+
+		if ( '' === trim( $request['name'] ) ) {
+			throw new RouteException( 'woocommerce_rest_cart_save_missing_name', __( 'Please enter a name for the quote.', 'woocommerce' ), 400 );
+		}
+
+		try {
+			$saved_cart_id = \WC_Saved_Carts::save(
+				$this->cart_controller->get_cart_instance(),
+				$request['name'],
+				isset( $request['expiry_days'] ) ? $request['expiry_days'] : \WC_Saved_Carts::get_default_expiry_days()
+			);
+		} catch ( \Exception $e ) {
+			throw new RouteException( 'woocommerce_rest_cart_save_failed', $e->getMessage(), 400 );
+		}
+
+		$response = rest_ensure_response( $this->schema->get_item_response( $saved_cart_id ) );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+}
@@ -86,6 +86,7 @@ class CartUpdateCustomer extends AbstractCartRoute {
 				'company'    => wc()->customer->get_billing_company(),
 				'address_1'  => wc()->customer->get_billing_address_1(),
 				'address_2'  => wc()->customer->get_billing_address_2(),
+				'district'   => \WC_Address_Regions::get_district( wc()->customer, 'billing' ),
 				'city'       => wc()->customer->get_billing_city(),
 				'state'      => wc()->customer->get_billing_state(),
 				'postcode'   => wc()->customer->get_billing_postcode(),
@@ -117,6 +118,13 @@ class CartUpdateCustomer extends AbstractCartRoute {
 				'shipping_country'    => isset( $shipping['country'] ) ? $shipping['country'] : null,
 			)
 		);
+
+		foreach ( [ 'billing' => $billing, 'shipping' => $shipping ] as $type => $address ) {
+			if ( isset( $address['district'] ) ) {
+				\WC_Address_Regions::set_district( wc()->customer, $type, $address['district'] );
+			}
+		}
+
 		wc()->customer->save();
 
 		$this->calculate_totals();
@@ -162,6 +170,8 @@ class CartUpdateCustomer extends AbstractCartRoute {
 				'shipping_country'    => wc()->customer->get_shipping_country(),
 			]
 		);
+		\WC_Address_Regions::set_district( $draft_order, 'billing', \WC_Address_Regions::get_district( wc()->customer, 'billing' ) );
+		\WC_Address_Regions::set_district( $draft_order, 'shipping', \WC_Address_Regions::get_district( wc()->customer, 'shipping' ) );
 
 		$draft_order->save();
 	}
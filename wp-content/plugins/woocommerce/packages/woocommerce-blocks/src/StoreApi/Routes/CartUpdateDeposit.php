@@ -0,0 +1,66 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * CartUpdateDeposit class.
+ *
+ * Switches the cart between paying in full and paying the booking fee only.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class CartUpdateDeposit extends AbstractCartRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/cart/update-deposit';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'enabled' => [
+						'description' => __( 'Whether the customer pays the booking fee only.', 'woocommerce' ),
+						'type'        => 'boolean',
+						'required'    => true,
+					],
+				],
+			],
+			'schema'      => [ $this->schema, 'get_public_item_schema' ],
+			'allow_batch' => [ 'v1' => true ],
+		];
+	}
+
+	/**
+	 * Handle the request and return a valid response for this endpoint.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_post_response( \WP_REST_Request $request ) {
+		$cart    = $this->cart_controller->get_cart_instance();
+		$enabled = (bool) $request['enabled'];
+
+		if ( $enabled && ! \WC_Deposits::is_available() ) {
+			throw new RouteException( 'woocommerce_rest_cart_deposit_unavailable', __( 'None of the products in your cart can be reserved with a booking fee.', 'woocommerce' ), 400 );
+		}
+
+		\WC_Deposits::set_mode( $enabled );
+
+		$cart->calculate_totals();
+
+		return rest_ensure_response( $this->schema->get_item_response( $cart ) );
+	}
+}
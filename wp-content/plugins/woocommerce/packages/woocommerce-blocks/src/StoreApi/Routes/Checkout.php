@@ -231,6 +231,11 @@ class Checkout extends AbstractCartRoute {
 		$this->create_or_update_draft_order();
 		$this->update_order_from_request( $request );
 
+		/**
+		 * Validate the showroom appointment and save it to the order.
+		 */
+		$this->process_showroom_appointment( $request );
+
 		/**
 		 * Process customer data.
 		 *
@@ -464,6 +469,12 @@ class Checkout extends AbstractCartRoute {
 			}
 		}
 
+		foreach ( [ 'billing', 'shipping' ] as $type ) {
+			if ( isset( $request[ "{$type}_address" ]['district'] ) ) {
+				\WC_Address_Regions::set_district( $customer, $type, $request[ "{$type}_address" ]['district'] );
+			}
+		}
+
 		$customer->save();
 	}
 
@@ -480,6 +491,49 @@ class Checkout extends AbstractCartRoute {
 		$this->order->save();
 	}
 
+	/**
+	 * Validate the branch and slot chosen for a showroom pickup or test ride, and save them to the order.
+	 *
+	 * The slot is checked against the capacity of the branch again here since other customers may have booked it
+	 * since the slots were listed.
+	 *
+	 * The checkout block keeps the appointment in the session through the cart/extensions route; clients can also
+	 * send it with the showroom_appointment field.
+	 *
+	 * @throws RouteException On error.
+	 * @param WP_REST_Request $request Full details about the request.
+	 */
+	private function process_showroom_appointment( WP_REST_Request $request ) {
+		if ( ! \WC_Showroom_Appointments::is_enabled() ) {
+			return;
+		}
+
+		$appointment = $request->has_param( 'showroom_appointment' ) ? $request['showroom_appointment'] : \WC_Showroom_Appointments::get_session_appointment();
+
+		if ( empty( $appointment['branch'] ) && empty( $appointment['slot'] ) ) {
+			if ( \WC_Showroom_Appointments::is_required() ) {
+				throw new RouteException(
+					'woocommerce_rest_checkout_missing_showroom_appointment',
+					__( 'Please choose a branch and a time for your showroom appointment.', 'woocommerce' ),
+					400
+				);
+			}
+			return;
+		}
+
+		$branch = isset( $appointment['branch'] ) ? $appointment['branch'] : '';
+		$slot   = isset( $appointment['slot'] ) ? $appointment['slot'] : '';
+		$type   = isset( $appointment['type'] ) ? $appointment['type'] : '';
+		$valid  = \WC_Showroom_Appointments::validate_appointment( $branch, $slot, $type, $this->order->get_id() );
+
+		if ( is_wp_error( $valid ) ) {
+			throw new RouteException( 'woocommerce_rest_checkout_' . $valid->get_error_code(), $valid->get_error_message(), 400 );
+		}
+
+		\WC_Showroom_Appointments::set_order_appointment( $this->order, $branch, $slot, $type );
+		$this->order->save();
+	}
+
 	/**
 	 * For orders which do not require payment, just update status.
 	 *
@@ -0,0 +1,77 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * Regions class.
+ *
+ * Lists the cities, districts and postcodes of a state, for the cascading address fields.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class Regions extends AbstractRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/regions';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'country' => [
+						'description'       => __( 'Country code (ISO 3166-1 alpha-2).', 'woocommerce' ),
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'wc_strtoupper',
+						'validate_callback' => 'rest_validate_request_arg',
+					],
+					'state'   => [
+						'description'       => __( 'State/county code.', 'woocommerce' ),
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'wc_strtoupper',
+						'validate_callback' => 'rest_validate_request_arg',
+					],
+				],
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Get the regions of a state.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_response( \WP_REST_Request $request ) {
+		$regions = \WC_Address_Regions::get_state_regions( $request['country'], $request['state'] );
+
+		if ( empty( $regions ) ) {
+			throw new RouteException( 'woocommerce_rest_regions_not_found', __( 'There are no regions for this state.', 'woocommerce' ), 404 );
+		}
+
+		return rest_ensure_response(
+			$this->schema->get_item_response(
+				[
+					'country' => $request['country'],
+					'state'   => $request['state'],
+					'regions' => $regions,
+				]
+			)
+		);
+	}
+}
@@ -0,0 +1,86 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * ShowroomSlots class.
+ *
+ * Lists the appointment slots of a dealer branch on a date.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class ShowroomSlots extends AbstractRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/showroom/slots';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => $this->get_collection_params(),
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Get the slots of a branch on a date.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_response( \WP_REST_Request $request ) {
+		if ( ! \WC_Showroom_Appointments::get_branch( $request['branch'] ) ) {
+			throw new RouteException( 'woocommerce_rest_showroom_invalid_branch', __( 'Invalid branch.', 'woocommerce' ), 404 );
+		}
+
+		$return = [];
+
+		foreach ( \WC_Showroom_Appointments::get_slots( $request['branch'], $request['date'] ) as $slot ) {
+			$data     = $this->prepare_item_for_response( $slot, $request );
+			$return[] = $this->prepare_response_for_collection( $data );
+		}
+
+		return rest_ensure_response( $return );
+	}
+
+	/**
+	 * Get the query params for collections of slots.
+	 *
+	 * @return array
+	 */
+	public function get_collection_params() {
+		$params = parent::get_collection_params();
+
+		$params['branch'] = [
+			'description'       => __( 'Branch to list the slots of.', 'woocommerce' ),
+			'type'              => 'string',
+			'required'          => true,
+			'sanitize_callback' => 'sanitize_title',
+			'validate_callback' => 'rest_validate_request_arg',
+		];
+
+		$params['date'] = [
+			'description'       => __( 'Date to list the slots of, in Y-m-d format.', 'woocommerce' ),
+			'type'              => 'string',
+			'required'          => true,
+			'pattern'           => '^\d{4}-\d{2}-\d{2}$',
+			'validate_callback' => 'rest_validate_request_arg',
+		];
+
+		return $params;
+	}
+}
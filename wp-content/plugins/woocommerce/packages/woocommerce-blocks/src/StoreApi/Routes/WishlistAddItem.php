@@ -0,0 +1,62 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * WishlistAddItem class.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class WishlistAddItem extends AbstractWishlistRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/wishlist/add-item';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'id' => [
+						'description'       => __( 'The product ID to add to the wishlist.', 'woocommerce' ),
+						'type'              => 'integer',
+						'required'          => true,
+						'validate_callback' => 'rest_validate_request_arg',
+					],
+				],
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Handle the request and return a valid response for this endpoint.
+	 *
+	 * @throws RouteException On error.
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_post_response( \WP_REST_Request $request ) {
+		try {
+			\WC_Wishlist::add_item( get_current_user_id(), $request['id'] );
+		} catch ( \Exception $e ) {
+			throw new RouteException( 'woocommerce_rest_wishlist_add_item_failed', $e->getMessage(), 400 );
+		}
+
+		$response = $this->get_wishlist_response();
+		$response->set_status( 201 );
+
+		return $response;
+	}
+}
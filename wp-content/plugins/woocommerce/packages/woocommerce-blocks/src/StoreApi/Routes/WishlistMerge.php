@@ -0,0 +1,71 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Routes;
+
+/**
+ * WishlistMerge class.
+ *
+ * Merges the wishlist a guest kept in their browser into their saved wishlist after logging in.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class WishlistMerge extends AbstractWishlistRoute {
+	/**
+	 * Get the path of this REST route.
+	 *
+	 * @return string
+	 */
+	public function get_path() {
+		return '/wishlist/merge';
+	}
+
+	/**
+	 * Get method arguments for this REST route.
+	 *
+	 * @return array An array of endpoints.
+	 */
+	public function get_args() {
+		return [
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'get_response' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'items' => [
+						'description'       => __( 'Products of the guest wishlist.', 'woocommerce' ),
+						'type'              => 'array',
+						'required'          => true,
+						'validate_callback' => 'rest_validate_request_arg',
+						'items'             => [
+							'type'       => 'object',
+							'properties' => $this->schema->get_item_properties(),
+						],
+					],
+				],
+			],
+			'schema' => [ $this->schema, 'get_public_item_schema' ],
+		];
+	}
+
+	/**
+	 * Handle the request and return a valid response for this endpoint.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	protected function get_route_post_response( \WP_REST_Request $request ) {
+		$decimals = wc_get_price_decimals();
+		$items    = [];
+
+		foreach ( $request['items'] as $item ) {
+			$items[] = [
+				'product_id' => $item['id'],
+				'date_added' => empty( $item['added'] ) ? null : strtotime( $item['added'] ),
+				'price'      => isset( $item['added_price'] ) && is_numeric( $item['added_price'] ) ? $item['added_price'] / pow( 10, $decimals ) : null,
+			];
+		}
+
+		\WC_Wishlist::merge( get_current_user_id(), $items );
+
+		return $this->get_wishlist_response();
+	}
+}
@@ -74,6 +74,7 @@ class RoutesController {
 		$order_controller = new OrderController();
 
 		$this->routes = [
+			'analytics-events'          => new Routes\AnalyticsEvents( $this->schemas->get( 'analytics-event' ) ),
 			'cart'                      => new Routes\Cart( $this->schemas->get( 'cart' ), null, $cart_controller ),
 			'cart-add-item'             => new Routes\CartAddItem( $this->schemas->get( 'cart' ), null, $cart_controller ),
 			'cart-apply-coupon'         => new Routes\CartApplyCoupon( $this->schemas->get( 'cart' ), null, $cart_controller ),
@@ -84,8 +85,11 @@ class RoutesController {
 			'cart-items-by-key'         => new Routes\CartItemsByKey( $this->schemas->get( 'cart' ), $this->schemas->get( 'cart-item' ), $cart_controller ),
 			'cart-remove-coupon'        => new Routes\CartRemoveCoupon( $this->schemas->get( 'cart' ), null, $cart_controller ),
 			'cart-remove-item'          => new Routes\CartRemoveItem( $this->schemas->get( 'cart' ), null, $cart_controller ),
+			'cart-restore'              => new Routes\CartRestore( $this->schemas->get( 'cart' ), null, $cart_controller ),
+			'cart-save'                 => new Routes\CartSave( $this->schemas->get( 'cart' ), $this->schemas->get( 'saved-cart' ), $cart_controller ),
 			'cart-select-shipping-rate' => new Routes\CartSelectShippingRate( $this->schemas->get( 'cart' ), null, $cart_controller ),
 			'cart-update-item'          => new Routes\CartUpdateItem( $this->schemas->get( 'cart' ), null, $cart_controller ),
+			'cart-update-deposit'       => new Routes\CartUpdateDeposit( $this->schemas->get( 'cart' ), null, $cart_controller ),
 			'cart-update-customer'      => new Routes\CartUpdateCustomer( $this->schemas->get( 'cart' ), null, $cart_controller ),
 			'checkout'                  => new Routes\Checkout( $this->schemas->get( 'cart' ), $this->schemas->get( 'checkout' ), $cart_controller, $order_controller ),
 			'product-attributes'        => new Routes\ProductAttributes( $this->schemas->get( 'product-attribute' ) ),
@@ -98,6 +102,12 @@ class RoutesController {
 			'product-tags'              => new Routes\ProductTags( $this->schemas->get( 'term' ) ),
 			'products'                  => new Routes\Products( $this->schemas->get( 'product' ) ),
 			'products-by-id'            => new Routes\ProductsById( $this->schemas->get( 'product' ) ),
+			'regions'                   => new Routes\Regions( $this->schemas->get( 'region' ) ),
+			'showroom-slots'            => new Routes\ShowroomSlots( $this->schemas->get( 'showroom-slot' ) ),
+			'wishlist'                  => new Routes\Wishlist( $this->schemas->get( 'wishlist' ) ),
+			'wishlist-add-item'         => new Routes\WishlistAddItem( $this->schemas->get( 'wishlist' ) ),
+			'wishlist-merge'            => new Routes\WishlistMerge( $this->schemas->get( 'wishlist' ) ),
+			'wishlist-remove-item'      => new Routes\WishlistRemoveItem( $this->schemas->get( 'wishlist' ) ),
 		];
 
 		// Batching requires WP 5.6.
@@ -3,6 +3,7 @@ namespace Automattic\WooCommerce\Blocks\StoreApi;
 
 use Exception;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\AbstractSchema;
+use Automattic\WooCommerce\Blocks\StoreApi\Schemas\AnalyticsEventSchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\BillingAddressSchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\ShippingAddressSchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\CartShippingRateSchema;
@@ -19,7 +20,11 @@ use Automattic\WooCommerce\Blocks\StoreApi\Schemas\ProductAttributeSchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\ProductCategorySchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\ProductCollectionDataSchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\ProductReviewSchema;
+use Automattic\WooCommerce\Blocks\StoreApi\Schemas\RegionSchema;
+use Automattic\WooCommerce\Blocks\StoreApi\Schemas\SavedCartSchema;
+use Automattic\WooCommerce\Blocks\StoreApi\Schemas\ShowroomSlotSchema;
 use Automattic\WooCommerce\Blocks\StoreApi\Schemas\TermSchema;
+use Automattic\WooCommerce\Blocks\StoreApi\Schemas\WishlistSchema;
 use Automattic\WooCommerce\Blocks\Domain\Services\ExtendRestApi;
 
 
@@ -118,5 +123,10 @@ class SchemaController {
 			$this->extend,
 			$this->schemas[ ImageAttachmentSchema::IDENTIFIER ]
 		);
+		$this->schemas[ ShowroomSlotSchema::IDENTIFIER ]          = new ShowroomSlotSchema( $this->extend );
+		$this->schemas[ AnalyticsEventSchema::IDENTIFIER ]        = new AnalyticsEventSchema( $this->extend );
+		$this->schemas[ SavedCartSchema::IDENTIFIER ]             = new SavedCartSchema( $this->extend );
+		$this->schemas[ RegionSchema::IDENTIFIER ]                = new RegionSchema( $this->extend );
+		$this->schemas[ WishlistSchema::IDENTIFIER ]              = new WishlistSchema( $this->extend );
 	}
 }
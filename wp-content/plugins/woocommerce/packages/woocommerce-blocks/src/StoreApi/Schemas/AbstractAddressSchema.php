@@ -50,6 +50,12 @@ abstract class AbstractAddressSchema extends AbstractSchema {
 				'context'     => [ 'view', 'edit' ],
 				'required'    => true,
 			],
+			'district'   => [
+				'description' => __( 'District, for countries with address regions. Left unchanged when not provided.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'required'    => false,
+			],
 			'city'       => [
 				'description' => __( 'City', 'woocommerce' ),
 				'type'        => 'string',
@@ -86,7 +92,8 @@ abstract class AbstractAddressSchema extends AbstractSchema {
 	 * @return array
 	 */
 	public function sanitize_callback( $address, $request, $param ) {
-		$address               = array_merge( array_fill_keys( array_keys( $this->get_properties() ), '' ), (array) $address );
+		$required              = array_keys( wp_list_filter( $this->get_properties(), [ 'required' => true ] ) );
+		$address               = array_merge( array_fill_keys( $required, '' ), (array) $address );
 		$address['country']    = wc_strtoupper( wc_clean( wp_unslash( $address['country'] ) ) );
 		$address['first_name'] = wc_clean( wp_unslash( $address['first_name'] ) );
 		$address['last_name']  = wc_clean( wp_unslash( $address['last_name'] ) );
@@ -96,6 +103,11 @@ abstract class AbstractAddressSchema extends AbstractSchema {
 		$address['city']       = wc_clean( wp_unslash( $address['city'] ) );
 		$address['state']      = $this->format_state( wc_clean( wp_unslash( $address['state'] ) ), $address['country'] );
 		$address['postcode']   = $address['postcode'] ? wc_format_postcode( wc_clean( wp_unslash( $address['postcode'] ) ), $address['country'] ) : '';
+
+		if ( isset( $address['district'] ) ) {
+			$address['district'] = wc_clean( wp_unslash( $address['district'] ) );
+		}
+
 		return $address;
 	}
 
@@ -176,6 +188,12 @@ abstract class AbstractAddressSchema extends AbstractSchema {
 			);
 		}
 
+		$region_errors = \WC_Address_Regions::validate( $address );
+
+		foreach ( $region_errors->get_error_codes() as $code ) {
+			$errors->add( $code, $region_errors->get_error_message( $code ) );
+		}
+
 		return $errors->has_errors( $errors ) ? $errors : true;
 	}
 }
@@ -0,0 +1,112 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Schemas;
+
+/**
+ * AnalyticsEventSchema class.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class AnalyticsEventSchema extends AbstractSchema {
+	/**
+	 * The schema item name.
+	 *
+	 * @var string
+	 */
+	protected $title = 'analytics_event';
+
+	/**
+	 * The schema item identifier.
+	 *
+	 * @var string
+	 */
+	const IDENTIFIER = 'analytics-event';
+
+	/**
+	 * Analytics event properties.
+	 *
+	 * @return array
+	 */
+	public function get_properties() {
+		return [
+			'name'       => [
+				'description' => __( 'Name of the event.', 'woocommerce' ),
+				'type'        => 'string',
+				'enum'        => [ 'view_item_list', 'view_item', 'add_to_cart', 'remove_from_cart', 'begin_checkout', 'checkout_progress', 'add_shipping_info', 'add_payment_info', 'purchase', 'search' ],
+				'context'     => [ 'view', 'edit' ],
+				'required'    => true,
+			],
+			'session_id' => [
+				'description' => __( 'Random id of the browsing session the event happened in.', 'woocommerce' ),
+				'type'        => 'string',
+				'pattern'     => '^[a-f0-9]{32}$',
+				'context'     => [ 'view', 'edit' ],
+				'required'    => true,
+			],
+			'items'      => [
+				'description' => __( 'Products the event is about.', 'woocommerce' ),
+				'type'        => 'array',
+				'context'     => [ 'view', 'edit' ],
+				'maxItems'    => 25,
+				'items'       => [
+					'type'       => 'object',
+					'properties' => [
+						'product_id' => [
+							'description' => __( 'Product or variation ID.', 'woocommerce' ),
+							'type'        => 'integer',
+							'context'     => [ 'view', 'edit' ],
+						],
+						'quantity'   => [
+							'description' => __( 'Quantity.', 'woocommerce' ),
+							'type'        => 'integer',
+							'context'     => [ 'view', 'edit' ],
+						],
+						'price'      => [
+							'description' => __( 'Price of one item, in major units.', 'woocommerce' ),
+							'type'        => 'number',
+							'context'     => [ 'view', 'edit' ],
+						],
+					],
+				],
+			],
+			'value'      => [
+				'description' => __( 'Value of the event, in major units.', 'woocommerce' ),
+				'type'        => 'number',
+				'context'     => [ 'view', 'edit' ],
+			],
+			'currency'   => [
+				'description' => __( 'Currency code of the value.', 'woocommerce' ),
+				'type'        => 'string',
+				'pattern'     => '^[A-Z]{3}$',
+				'context'     => [ 'view', 'edit' ],
+			],
+			'step'       => [
+				'description' => __( 'Checkout step, for checkout events.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+			],
+			'order_id'   => [
+				'description' => __( 'Order ID, for purchases.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+			],
+		];
+	}
+
+	/**
+	 * Convert a stored event into an object suitable for the response.
+	 *
+	 * @param array $event Event data.
+	 * @return array
+	 */
+	public function get_item_response( $event ) {
+		return [
+			'name'       => $event['name'],
+			'session_id' => $event['session_id'],
+			'items'      => isset( $event['items'] ) ? $event['items'] : [],
+			'value'      => isset( $event['value'] ) ? (float) $event['value'] : null,
+			'currency'   => isset( $event['currency'] ) ? $event['currency'] : '',
+			'step'       => isset( $event['step'] ) ? (int) $event['step'] : null,
+			'order_id'   => isset( $event['order_id'] ) ? (int) $event['order_id'] : null,
+		];
+	}
+}
@@ -114,6 +114,7 @@ class BillingAddressSchema extends AbstractAddressSchema {
 					'company'    => $address->get_billing_company(),
 					'address_1'  => $address->get_billing_address_1(),
 					'address_2'  => $address->get_billing_address_2(),
+					'district'   => \WC_Address_Regions::get_district( $address, 'billing' ),
 					'city'       => $address->get_billing_city(),
 					'state'      => $address->get_billing_state(),
 					'postcode'   => $address->get_billing_postcode(),
@@ -115,6 +115,10 @@ class CartSchema extends AbstractSchema {
 	 * @return array
 	 */
 	public function get_properties() {
+		// Booking fee amounts are only sent when the customer chose to pay the booking fee only.
+		$deposit_enabled = \WC_Deposits::is_enabled();
+		$deposit_amounts = $deposit_enabled ? \WC_Deposits::get_cart_amounts() : null;
+
 		return [
 			'coupons'                 => [
 				'description' => __( 'List of applied cart coupons.', 'woocommerce' ),
@@ -268,6 +272,18 @@ class CartSchema extends AbstractSchema {
 							'context'     => [ 'view', 'edit' ],
 							'readonly'    => true,
 						],
+						'total_pay_now'      => [
+							'description' => __( 'Amount the customer will pay at checkout when paying the booking fee only. If the booking fee mode is off, a null response will be sent.', 'woocommerce' ),
+							'type'        => [ 'string', 'null' ],
+							'context'     => [ 'view', 'edit' ],
+							'readonly'    => true,
+						],
+						'total_balance_due'  => [
+							'description' => __( 'Balance the customer will pay later when paying the booking fee only. If the booking fee mode is off, a null response will be sent.', 'woocommerce' ),
+							'type'        => [ 'string', 'null' ],
+							'context'     => [ 'view', 'edit' ],
+							'readonly'    => true,
+						],
 						'tax_lines'          => [
 							'description' => __( 'Lines of taxes applied to items and shipping.', 'woocommerce' ),
 							'type'        => 'array',
@@ -300,6 +316,26 @@ class CartSchema extends AbstractSchema {
 					]
 				),
 			],
+			'deposit'                 => [
+				'description' => __( 'Booking fee mode of the cart.', 'woocommerce' ),
+				'type'        => 'object',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+				'properties'  => [
+					'available' => [
+						'description' => __( 'True if the cart contains products which can be reserved with a booking fee.', 'woocommerce' ),
+						'type'        => 'boolean',
+						'context'     => [ 'view', 'edit' ],
+						'readonly'    => true,
+					],
+					'enabled'   => [
+						'description' => __( 'True if the customer chose to pay the booking fee only.', 'woocommerce' ),
+						'type'        => 'boolean',
+						'context'     => [ 'view', 'edit' ],
+						'readonly'    => true,
+					],
+				],
+			],
 			'errors'                  => [
 				'description' => __( 'List of cart item errors, for example, items in the cart which are out of stock.', 'woocommerce' ),
 				'type'        => 'array',
@@ -373,15 +409,37 @@ class CartSchema extends AbstractSchema {
 					'total_price'        => $this->prepare_money_response( $cart->get_total( 'edit' ), wc_get_price_decimals() ),
 					'total_tax'          => $this->prepare_money_response( $cart->get_total_tax(), wc_get_price_decimals() ),
 					'tax_lines'          => $this->get_tax_lines( $cart ),
+					'total_pay_now'      => $deposit_enabled ? $this->prepare_money_response( $deposit_amounts['pay_now'], wc_get_price_decimals() ) : null,
+					'total_balance_due'  => $deposit_enabled ? $this->prepare_money_response( $deposit_amounts['balance_due'], wc_get_price_decimals() ) : null,
 				]
 			),
+			'deposit'                 => (object) [
+				'available' => \WC_Deposits::is_available(),
+				'enabled'   => $deposit_enabled,
+			],
 			'errors'                  => $cart_errors,
-			'payment_requirements'    => $this->extend->get_payment_requirements(),
+			'payment_requirements'    => $this->get_payment_requirements( $deposit_enabled ),
 			'generated_timestamp'     => time(),
 			self::EXTENDING_KEY       => $this->get_extended_data( self::IDENTIFIER ),
 		];
 	}
 
+	/**
+	 * Get the payment gateway features required to process the order.
+	 *
+	 * @param bool $deposit_enabled Whether the customer chose to pay the booking fee only.
+	 * @return string[]
+	 */
+	protected function get_payment_requirements( $deposit_enabled ) {
+		$requirements = $this->extend->get_payment_requirements();
+
+		if ( $deposit_enabled ) {
+			$requirements[] = \WC_Deposits::GATEWAY_FEATURE;
+		}
+
+		return array_values( array_unique( $requirements ) );
+	}
+
 	/**
 	 * Get tax lines from the cart and format to match schema.
 	 *
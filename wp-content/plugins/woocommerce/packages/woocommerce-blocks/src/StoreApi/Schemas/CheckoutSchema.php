@@ -59,36 +59,36 @@ class CheckoutSchema extends AbstractSchema {
 	 */
 	public function get_properties() {
 		return [
-			'order_id'         => [
+			'order_id'             => [
 				'description' => __( 'The order ID to process during checkout.', 'woocommerce' ),
 				'type'        => 'integer',
 				'context'     => [ 'view', 'edit' ],
 				'readonly'    => true,
 			],
-			'status'           => [
+			'status'               => [
 				'description' => __( 'Order status. Payment providers will update this value after payment.', 'woocommerce' ),
 				'type'        => 'string',
 				'context'     => [ 'view', 'edit' ],
 				'readonly'    => true,
 			],
-			'order_key'        => [
+			'order_key'            => [
 				'description' => __( 'Order key used to check validity or protect access to certain order data.', 'woocommerce' ),
 				'type'        => 'string',
 				'context'     => [ 'view', 'edit' ],
 				'readonly'    => true,
 			],
-			'customer_note'    => [
+			'customer_note'        => [
 				'description' => __( 'Note added to the order by the customer during checkout.', 'woocommerce' ),
 				'type'        => 'string',
 				'context'     => [ 'view', 'edit' ],
 			],
-			'customer_id'      => [
+			'customer_id'          => [
 				'description' => __( 'Customer ID if registered. Will return 0 for guests.', 'woocommerce' ),
 				'type'        => 'integer',
 				'context'     => [ 'view', 'edit' ],
 				'readonly'    => true,
 			],
-			'billing_address'  => [
+			'billing_address'      => [
 				'description' => __( 'Billing address.', 'woocommerce' ),
 				'type'        => 'object',
 				'context'     => [ 'view', 'edit' ],
@@ -99,7 +99,7 @@ class CheckoutSchema extends AbstractSchema {
 				],
 				'required'    => true,
 			],
-			'shipping_address' => [
+			'shipping_address'     => [
 				'description' => __( 'Shipping address.', 'woocommerce' ),
 				'type'        => 'object',
 				'context'     => [ 'view', 'edit' ],
@@ -110,18 +110,18 @@ class CheckoutSchema extends AbstractSchema {
 				],
 				'required'    => true,
 			],
-			'payment_method'   => [
+			'payment_method'       => [
 				'description' => __( 'The ID of the payment method being used to process the payment.', 'woocommerce' ),
 				'type'        => 'string',
 				'context'     => [ 'view', 'edit' ],
 				'enum'        => wc()->payment_gateways->get_payment_gateway_ids(),
 			],
-			'create_account'   => [
+			'create_account'       => [
 				'description' => __( 'Whether to create a new user account as part of order processing.', 'woocommerce' ),
 				'type'        => 'boolean',
 				'context'     => [ 'view', 'edit' ],
 			],
-			'payment_result'   => [
+			'payment_result'       => [
 				'description' => __( 'Result of payment processing, or false if not yet processed.', 'woocommerce' ),
 				'type'        => 'object',
 				'context'     => [ 'view', 'edit' ],
@@ -155,6 +155,51 @@ class CheckoutSchema extends AbstractSchema {
 					],
 				],
 			],
+			'deposit'              => [
+				'description' => __( 'Amount paid at checkout and balance due when paying the booking fee only. Null when the order is paid in full.', 'woocommerce' ),
+				'type'        => [ 'object', 'null' ],
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+				'properties'  => array_merge(
+					$this->get_store_currency_properties(),
+					[
+						'total_pay_now'     => [
+							'description' => __( 'Amount paid at checkout.', 'woocommerce' ),
+							'type'        => 'string',
+							'context'     => [ 'view', 'edit' ],
+							'readonly'    => true,
+						],
+						'total_balance_due' => [
+							'description' => __( 'Balance still due on the order.', 'woocommerce' ),
+							'type'        => 'string',
+							'context'     => [ 'view', 'edit' ],
+							'readonly'    => true,
+						],
+					]
+				),
+			],
+			'showroom_appointment' => [
+				'description' => __( 'Branch and time slot chosen for a showroom pickup or test ride.', 'woocommerce' ),
+				'type'        => [ 'object', 'null' ],
+				'context'     => [ 'view', 'edit' ],
+				'properties'  => [
+					'branch' => [
+						'description' => __( 'Branch id.', 'woocommerce' ),
+						'type'        => 'string',
+						'context'     => [ 'view', 'edit' ],
+					],
+					'slot'   => [
+						'description' => __( 'Start of the slot in the site timezone, in Y-m-d H:i format.', 'woocommerce' ),
+						'type'        => 'string',
+						'context'     => [ 'view', 'edit' ],
+					],
+					'type'   => [
+						'description' => __( 'Appointment type, e.g. pickup or test_ride.', 'woocommerce' ),
+						'type'        => 'string',
+						'context'     => [ 'view', 'edit' ],
+					],
+				],
+			],
 		];
 	}
 
@@ -177,22 +222,63 @@ class CheckoutSchema extends AbstractSchema {
 	 */
 	protected function get_checkout_response( \WC_Order $order, PaymentResult $payment_result = null ) {
 		return [
-			'order_id'         => $order->get_id(),
-			'status'           => $order->get_status(),
-			'order_key'        => $order->get_order_key(),
-			'customer_note'    => $order->get_customer_note(),
-			'customer_id'      => $order->get_customer_id(),
-			'billing_address'  => $this->billing_address_schema->get_item_response( $order ),
-			'shipping_address' => $this->shipping_address_schema->get_item_response( $order ),
-			'payment_method'   => $order->get_payment_method(),
-			'payment_result'   => [
+			'order_id'             => $order->get_id(),
+			'status'               => $order->get_status(),
+			'order_key'            => $order->get_order_key(),
+			'customer_note'        => $order->get_customer_note(),
+			'customer_id'          => $order->get_customer_id(),
+			'billing_address'      => $this->billing_address_schema->get_item_response( $order ),
+			'shipping_address'     => $this->shipping_address_schema->get_item_response( $order ),
+			'payment_method'       => $order->get_payment_method(),
+			'payment_result'       => [
 				'payment_status'  => $payment_result->status,
 				'payment_details' => $this->prepare_payment_details_for_response( $payment_result->payment_details ),
 				'redirect_url'    => $payment_result->redirect_url,
 			],
+			'deposit'              => $this->get_deposit_response( $order ),
+			'showroom_appointment' => $this->get_showroom_appointment_response( $order ),
 		];
 	}
 
+	/**
+	 * Get the showroom appointment saved to an order.
+	 *
+	 * @param \WC_Order $order Order object.
+	 * @return object|null
+	 */
+	protected function get_showroom_appointment_response( \WC_Order $order ) {
+		$appointment = \WC_Showroom_Appointments::get_order_appointment( $order );
+
+		if ( ! $appointment ) {
+			return null;
+		}
+
+		return (object) [
+			'branch'               => $appointment['branch_id'],
+			'slot'                 => $appointment['slot'],
+			'type'                 => $appointment['type'],
+		];
+	}
+
+	/**
+	 * Get the amount paid at checkout and balance due of an order placed paying the booking fee only.
+	 *
+	 * @param \WC_Order $order Order object.
+	 * @return object|null
+	 */
+	protected function get_deposit_response( \WC_Order $order ) {
+		if ( ! \WC_Deposits::order_has_deposit( $order ) ) {
+			return null;
+		}
+
+		return (object) $this->prepare_currency_response(
+			[
+				'total_pay_now'     => $this->prepare_money_response( \WC_Deposits::get_order_paid_at_checkout( $order ), wc_get_price_decimals() ),
+				'total_balance_due' => $this->prepare_money_response( \WC_Deposits::get_order_balance_due( $order ), wc_get_price_decimals() ),
+			]
+		);
+	}
+
 	/**
 	 * This prepares the payment details for the response so it's following the
 	 * schema where it's an array of objects.
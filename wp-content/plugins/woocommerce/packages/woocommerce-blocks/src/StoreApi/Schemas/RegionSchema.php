@@ -0,0 +1,120 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Schemas;
+
+/**
+ * RegionSchema class.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class RegionSchema extends AbstractSchema {
+	/**
+	 * The schema item name.
+	 *
+	 * @var string
+	 */
+	protected $title = 'region';
+
+	/**
+	 * The schema item identifier.
+	 *
+	 * @var string
+	 */
+	const IDENTIFIER = 'region';
+
+	/**
+	 * Region properties.
+	 *
+	 * @return array
+	 */
+	public function get_properties() {
+		return [
+			'country' => [
+				'description' => __( 'Country code (ISO 3166-1 alpha-2).', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'state'   => [
+				'description' => __( 'State/county code.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'cities'  => [
+				'description' => __( 'List of the cities or regencies of the state.', 'woocommerce' ),
+				'type'        => 'array',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+				'items'       => [
+					'type'       => 'object',
+					'properties' => [
+						'name'      => [
+							'description' => __( 'Name of the city or regency.', 'woocommerce' ),
+							'type'        => 'string',
+							'context'     => [ 'view', 'edit' ],
+							'readonly'    => true,
+						],
+						'districts' => [
+							'description' => __( 'List of the districts of the city.', 'woocommerce' ),
+							'type'        => 'array',
+							'context'     => [ 'view', 'edit' ],
+							'readonly'    => true,
+							'items'       => [
+								'type'       => 'object',
+								'properties' => [
+									'name'      => [
+										'description' => __( 'Name of the district.', 'woocommerce' ),
+										'type'        => 'string',
+										'context'     => [ 'view', 'edit' ],
+										'readonly'    => true,
+									],
+									'postcodes' => [
+										'description' => __( 'List of the postcodes of the district.', 'woocommerce' ),
+										'type'        => 'array',
+										'context'     => [ 'view', 'edit' ],
+										'readonly'    => true,
+										'items'       => [
+											'type' => 'string',
+										],
+									],
+								],
+							],
+						],
+					],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Convert the regions of a state into an object suitable for the response.
+	 *
+	 * @param array $region Country and state codes, and the regions of the state from \WC_Address_Regions::get_state_regions().
+	 * @return array
+	 */
+	public function get_item_response( $region ) {
+		$cities = [];
+
+		foreach ( $region['regions'] as $city => $districts ) {
+			$city_districts = [];
+
+			foreach ( $districts as $district => $postcodes ) {
+				$city_districts[] = [
+					'name'      => (string) $district,
+					'postcodes' => array_map( 'strval', array_values( $postcodes ) ),
+				];
+			}
+
+			$cities[] = [
+				'name'      => (string) $city,
+				'districts' => $city_districts,
+			];
+		}
+
+		return [
+			'country' => $region['country'],
+			'state'   => $region['state'],
+			'cities'  => $cities,
+		];
+	}
+}
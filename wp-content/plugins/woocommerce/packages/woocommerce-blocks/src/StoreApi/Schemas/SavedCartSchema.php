@@ -0,0 +1,87 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Schemas;
+
+/**
+ * SavedCartSchema class.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class SavedCartSchema extends AbstractSchema {
+	/**
+	 * The schema item name.
+	 *
+	 * @var string
+	 */
+	protected $title = 'saved_cart';
+
+	/**
+	 * The schema item identifier.
+	 *
+	 * @var string
+	 */
+	const IDENTIFIER = 'saved-cart';
+
+	/**
+	 * Saved cart properties.
+	 *
+	 * @return array
+	 */
+	public function get_properties() {
+		return [
+			'id'          => [
+				'description' => __( 'Unique identifier for the saved cart.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'name'        => [
+				'description' => __( 'Name of the saved cart.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'required'    => true,
+				'arg_options' => [
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+			],
+			'expiry_days' => [
+				'description' => __( 'Number of days the link restoring the saved cart works for.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+				'minimum'     => 1,
+				'maximum'     => 365,
+			],
+			'url'         => [
+				'description' => __( 'Link restoring the saved cart.', 'woocommerce' ),
+				'type'        => 'string',
+				'format'      => 'uri',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'expires'     => [
+				'description' => __( 'When the link expires, in the site timezone.', 'woocommerce' ),
+				'type'        => 'string',
+				'format'      => 'date-time',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+		];
+	}
+
+	/**
+	 * Convert a saved cart into an object suitable for the response.
+	 *
+	 * @param int $saved_cart_id Saved cart ID.
+	 * @return array
+	 */
+	public function get_item_response( $saved_cart_id ) {
+		$expires = \WC_Saved_Carts::get_date_expires( $saved_cart_id );
+
+		return [
+			'id'          => (int) $saved_cart_id,
+			'name'        => $this->prepare_html_response( get_the_title( $saved_cart_id ) ),
+			'expiry_days' => $expires ? (int) ceil( ( $expires->getTimestamp() - time() ) / DAY_IN_SECONDS ) : 0,
+			'url'         => esc_url_raw( \WC_Saved_Carts::get_url( $saved_cart_id ) ),
+			'expires'     => $expires ? wc_rest_prepare_date_response( $expires, false ) : null,
+		];
+	}
+}
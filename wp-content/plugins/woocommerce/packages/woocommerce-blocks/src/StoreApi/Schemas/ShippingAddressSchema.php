@@ -43,6 +43,7 @@ class ShippingAddressSchema extends AbstractAddressSchema {
 					'company'    => $address->get_shipping_company(),
 					'address_1'  => $address->get_shipping_address_1(),
 					'address_2'  => $address->get_shipping_address_2(),
+					'district'   => \WC_Address_Regions::get_district( $address, 'shipping' ),
 					'city'       => $address->get_shipping_city(),
 					'state'      => $address->get_shipping_state(),
 					'postcode'   => $address->get_shipping_postcode(),
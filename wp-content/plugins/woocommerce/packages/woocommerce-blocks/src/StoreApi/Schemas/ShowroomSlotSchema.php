@@ -0,0 +1,79 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Schemas;
+
+/**
+ * ShowroomSlotSchema class.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class ShowroomSlotSchema extends AbstractSchema {
+	/**
+	 * The schema item name.
+	 *
+	 * @var string
+	 */
+	protected $title = 'showroom_slot';
+
+	/**
+	 * The schema item identifier.
+	 *
+	 * @var string
+	 */
+	const IDENTIFIER = 'showroom-slot';
+
+	/**
+	 * Showroom slot properties.
+	 *
+	 * @return array
+	 */
+	public function get_properties() {
+		return [
+			'slot'      => [
+				'description' => __( 'Start of the slot in the site timezone, in Y-m-d H:i format.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'time'      => [
+				'description' => __( 'Start time of the slot, in H:i format.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'label'     => [
+				'description' => __( 'Start time of the slot, formatted for display.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'remaining' => [
+				'description' => __( 'Number of appointments that can still be booked in the slot.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+			'available' => [
+				'description' => __( 'True if the slot can be booked.', 'woocommerce' ),
+				'type'        => 'boolean',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+		];
+	}
+
+	/**
+	 * Convert a slot into an object suitable for the response.
+	 *
+	 * @param array $slot Slot from \WC_Showroom_Appointments::get_slots().
+	 * @return array
+	 */
+	public function get_item_response( $slot ) {
+		return [
+			'slot'      => $slot['slot'],
+			'time'      => $slot['time'],
+			'label'     => $this->prepare_html_response( $slot['label'] ),
+			'remaining' => (int) $slot['remaining'],
+			'available' => (bool) $slot['available'],
+		];
+	}
+}
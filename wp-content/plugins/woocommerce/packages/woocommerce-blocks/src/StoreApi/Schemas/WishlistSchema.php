@@ -0,0 +1,99 @@
+<?php
+namespace Automattic\WooCommerce\Blocks\StoreApi\Schemas;
+
+/**
+ * WishlistSchema class.
+ *
+ * @internal This API is used internally by Blocks--it is still in flux and may be subject to revisions.
+ */
+class WishlistSchema extends AbstractSchema {
+	/**
+	 * The schema item name.
+	 *
+	 * @var string
+	 */
+	protected $title = 'wishlist';
+
+	/**
+	 * The schema item identifier.
+	 *
+	 * @var string
+	 */
+	const IDENTIFIER = 'wishlist';
+
+	/**
+	 * Wishlist properties.
+	 *
+	 * @return array
+	 */
+	public function get_properties() {
+		return [
+			'items'       => [
+				'description' => __( 'List of products in the wishlist, most recently added last.', 'woocommerce' ),
+				'type'        => 'array',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+				'items'       => [
+					'type'       => 'object',
+					'properties' => $this->get_item_properties(),
+				],
+			],
+			'items_count' => [
+				'description' => __( 'Number of products in the wishlist.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+				'readonly'    => true,
+			],
+		];
+	}
+
+	/**
+	 * Wishlist item properties, also used to validate the items of a guest wishlist being merged.
+	 *
+	 * @return array
+	 */
+	public function get_item_properties() {
+		return [
+			'id'          => [
+				'description' => __( 'The product ID.', 'woocommerce' ),
+				'type'        => 'integer',
+				'context'     => [ 'view', 'edit' ],
+				'required'    => true,
+			],
+			'added'       => [
+				'description' => __( 'When the product was added to the wishlist, as GMT.', 'woocommerce' ),
+				'type'        => 'string',
+				'format'      => 'date-time',
+				'context'     => [ 'view', 'edit' ],
+			],
+			'added_price' => [
+				'description' => __( 'Price of the product when it was added, in the store currency minor unit.', 'woocommerce' ),
+				'type'        => 'string',
+				'context'     => [ 'view', 'edit' ],
+			],
+		];
+	}
+
+	/**
+	 * Convert a wishlist into an object suitable for the response.
+	 *
+	 * @param int $user_id ID of the user owning the wishlist.
+	 * @return array
+	 */
+	public function get_item_response( $user_id ) {
+		$items = [];
+
+		foreach ( \WC_Wishlist::get_items( $user_id ) as $item ) {
+			$items[] = [
+				'id'          => (int) $item['product_id'],
+				'added'       => wc_rest_prepare_date_response( $item['date_added'] ),
+				'added_price' => $this->prepare_money_response( $item['price'], wc_get_price_decimals() ),
+			];
+		}
+
+		return [
+			'items'       => $items,
+			'items_count' => count( $items ),
+		];
+	}
+}
@@ -477,5 +477,7 @@ class OrderController {
 				'shipping_country'    => wc()->customer->get_shipping_country(),
 			]
 		);
+		\WC_Address_Regions::set_district( $order, 'billing', \WC_Address_Regions::get_district( wc()->customer, 'billing' ) );
+		\WC_Address_Regions::set_district( $order, 'shipping', \WC_Address_Regions::get_district( wc()->customer, 'shipping' ) );
 	}
 }
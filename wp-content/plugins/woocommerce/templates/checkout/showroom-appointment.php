@@ -0,0 +1,44 @@
+<?php
+/**
+ * Checkout showroom appointment fields
+ *
+ * This template can be overridden by copying it to yourtheme/woocommerce/checkout/showroom-appointment.php.
+ *
+ * HOWEVER, on occasion WooCommerce will need to update template files and you
+ * (the theme developer) will need to copy the new files to your theme to
+ * maintain compatibility. We try to do this as little as possible, but it does
+ * happen. When this occurs the version of the template file will be bumped and
+ * the readme will list any important changes.
+ *
+ * @see     https://docs.woocommerce.com/document/template-structure/
+ * @package WooCommerce\Templates
+ * @version 5.6.0
+ *
+ * @var WC_Checkout $checkout Checkout object.
+ * @var array       $fields   Appointment fields.
+ * @var bool        $required Whether an appointment is required.
+ */
+
+defined( 'ABSPATH' ) || exit;
+?>
+<div class="woocommerce-showroom-appointment" id="showroom_appointment">
+	<h3><?php esc_html_e( 'Showroom appointment', 'woocommerce' ); ?></h3>
+
+	<p class="woocommerce-showroom-appointment__description">
+		<?php
+		if ( $required ) {
+			esc_html_e( 'Choose the branch and time to pick up your motorcycle or take a test ride.', 'woocommerce' );
+		} else {
+			esc_html_e( 'Optionally book a time at one of our branches to pick up your motorcycle or take a test ride.', 'woocommerce' );
+		}
+		?>
+	</p>
+
+	<div class="woocommerce-showroom-appointment__fields">
+		<?php
+		foreach ( $fields as $key => $field ) {
+			woocommerce_form_field( $key, $field, $checkout->get_value( $key ) );
+		}
+		?>
+	</div>
+</div>
@@ -0,0 +1,44 @@
+<?php
+/**
+ * Cookie consent banner
+ *
+ * This template can be overridden by copying it to yourtheme/woocommerce/global/cookie-consent.php.
+ *
+ * HOWEVER, on occasion WooCommerce will need to update template files and you
+ * (the theme developer) will need to copy the new files to your theme to
+ * maintain compatibility. We try to do this as little as possible, but it does
+ * happen. When this occurs the version of the template file will be bumped and
+ * the readme will list any important changes.
+ *
+ * @see     https://docs.woocommerce.com/document/template-structure/
+ * @package WooCommerce\Templates
+ * @version 5.6.0
+ *
+ * @var array  $categories Consent categories.
+ * @var string $message    Banner text.
+ */
+
+defined( 'ABSPATH' ) || exit;
+?>
+<div class="wc-cookie-consent" role="dialog" aria-labelledby="wc-cookie-consent-title" hidden>
+	<p id="wc-cookie-consent-title" class="wc-cookie-consent__title"><?php esc_html_e( 'Cookie settings', 'woocommerce' ); ?></p>
+	<div class="wc-cookie-consent__message"><?php echo wp_kses_post( wpautop( wc_replace_policy_page_link_placeholders( $message ) ) ); ?></div>
+
+	<div class="wc-cookie-consent__preferences" hidden>
+		<?php foreach ( $categories as $category => $details ) : ?>
+			<label class="wc-cookie-consent__category">
+				<input type="checkbox" name="wc_cookie_consent[]" value="<?php echo esc_attr( $category ); ?>" <?php checked( 'necessary', $category ); ?> <?php disabled( 'necessary', $category ); ?> />
+				<strong><?php echo esc_html( $details['label'] ); ?></strong>
+				<span><?php echo esc_html( $details['description'] ); ?></span>
+			</label>
+		<?php endforeach; ?>
+	</div>
+
+	<p class="wc-cookie-consent__actions">
+		<button type="button" class="button wc-cookie-consent__reject"><?php esc_html_e( 'Only necessary', 'woocommerce' ); ?></button>
+		<button type="button" class="button wc-cookie-consent__customize"><?php esc_html_e( 'Preferences', 'woocommerce' ); ?></button>
+		<button type="button" class="button wc-cookie-consent__save" hidden><?php esc_html_e( 'Save preferences', 'woocommerce' ); ?></button>
+		<button type="button" class="button alt wc-cookie-consent__accept"><?php esc_html_e( 'Accept all', 'woocommerce' ); ?></button>
+	</p>
+</div>
+<button type="button" class="wc-cookie-consent-open" hidden><?php esc_html_e( 'Cookie settings', 'woocommerce' ); ?></button>
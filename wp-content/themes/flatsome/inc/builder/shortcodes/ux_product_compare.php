@@ -0,0 +1,23 @@
+<?php
+/**
+ * UX Builder Shortcodes.
+ *
+ * Flatsome Product Compare Element for UX Builder.
+ *
+ * @package Flatsome/UX Builder
+ */
+
+add_ux_builder_shortcode( 'ux_product_compare', array(
+	'name'      => __( 'Product Compare', 'ux-builder' ),
+	'category'  => __( 'Shop', 'ux-builder' ),
+	'thumbnail' => flatsome_ux_builder_thumbnail( 'products-list' ),
+	'wrap'      => false,
+	'options'   => array(
+		'title'            => array(
+			'type'    => 'textfield',
+			'heading' => __( 'Title', 'ux-builder' ),
+			'default' => '',
+		),
+		'advanced_options' => require __DIR__ . '/commons/advanced.php',
+	),
+) );
@@ -118,6 +118,7 @@ if (is_woocommerce_activated()) {
   require get_template_directory() . '/inc/shortcodes/ux_products_list.php';
   require get_template_directory() . '/inc/shortcodes/product_flip.php';
   require get_template_directory() . '/inc/shortcodes/product_categories.php';
+  require get_template_directory() . '/inc/shortcodes/ux_product_compare.php';
   if(get_theme_mod('product_layout') == 'custom') {
     require get_template_directory() . '/inc/shortcodes/custom-product.php';
   }
@@ -0,0 +1,33 @@
+<?php
+
+// Comparison table of the products the visitor ticked in product grids, see WC_Product_Compare.
+function ux_product_compare( $atts ) {
+	extract( shortcode_atts( array(
+		'title'      => '',
+		'class'      => '',
+		'visibility' => '',
+	), $atts ) );
+
+	if ( ! class_exists( 'WC_Product_Compare' ) ) {
+		return false;
+	}
+
+	$classes = array( 'ux-product-compare' );
+
+	if ( $class ) $classes[] = $class;
+
+	if ( $visibility ) $classes[] = $visibility;
+
+	ob_start();
+
+	echo '<div class="' . esc_attr( implode( ' ', $classes ) ) . '">';
+	if ( $title ) {
+		echo '<h3 class="section-title section-title-normal"><span class="section-title-main">' . esc_html( $title ) . '</span></h3>';
+	}
+	WC_Product_Compare::output_table();
+	echo '</div>';
+
+	return ob_get_clean();
+}
+
+add_shortcode( 'ux_product_compare', 'ux_product_compare' );